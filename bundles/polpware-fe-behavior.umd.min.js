@@ -1,2 +1,10 @@
-!function(t,e){"object"==typeof exports&&"undefined"!=typeof module?e(exports,require("@polpware/fe-dependencies"),require("@polpware/fe-utilities")):"function"==typeof define&&define.amd?define("@polpware/fe-behavior",["exports","@polpware/fe-dependencies","@polpware/fe-utilities"],e):e((t.polpware=t.polpware||{},t.polpware["fe-behavior"]={}),t.dependencies,t.feUtilities)}(this,function(t,e,s){"use strict";var n=e.underscore,h=e.statemachine,r=n.indexOf,i=n.without,f="{from}2{to}";function l(t){return t.charAt(0).toUpperCase()+t.slice(1)}function u(n,r){return function(){var t=n[r];if(t)for(var e=0;e<t.length;e++){t[e].apply(null,arguments)}}}function p(t,e,n){var r=s.replace("Transition {name} from {from} to {to} fails.",{name:t,from:e,to:n});console.log(r)}var o=function(){function t(){this._impl=null,this._initState=null,this._errorHandler=null,this._stateConfiguration={},this._transitionConfiguration={},this._handlers={}}return t.prototype.ensureConfigureStage=function(){if(this._impl)throw new Error("State machine has started.")},t.prototype.ensureRunningStage=function(){if(!this._impl)throw new Error("State machine has not yet started.")},t.prototype.addState=function(t,e,n){this.ensureConfigureStage();var r=this._stateConfiguration;if(r[t])throw new Error("Redefined state: "+t);return r[t]={onEnterCallback:e,onLeaveCallback:n},this},t.prototype.setInitState=function(t){if(this.ensureConfigureStage(),this._initState)throw new Error("Redefined init state: "+this._initState);return this._initState=t,this},t.prototype.addTransition=function(t,e,n,r){this.ensureConfigureStage();var i=this._stateConfiguration,o=this._transitionConfiguration;if(!i[t])throw new Error("Undefined source state: "+t);if(!i[e])throw new Error("Undefined target state: "+e);var a=s.replace(f,{from:t,to:e});if(o[a])throw new Error("Redefined transition: "+t+" -> "+e);return o[a]={from:t,to:e,onAfterCallback:n,onBeforeCallback:r},this},t.prototype.start=function(){if(this.ensureConfigureStage(),!this._initState)throw new Error("Init state has not been defined.");var t=this._stateConfiguration,e=this._transitionConfiguration,n=[],r={};for(var i in e)if(e.hasOwnProperty(i)){var o=e[i];n.push({name:i,from:o.from,to:o.to}),o.onAfterCallback&&(r["onAfter"+l(i)]=o.onAfterCallback),o.onBeforeCallback&&(r["onBefore"+l(i)]=o.onAfterCallback)}for(var a in t)if(t.hasOwnProperty(a)){var s=t[a];s.onEnterCallback&&(r["onEnter"+l(a)]=s.onEnterCallback),s.onLeaveCallback&&(r["onLeave"+l(a)]=s.onLeaveCallback)}var f=this._handlers;return f.onEnterState=[],f.onLeaveState=[],r.onEnterState=u(this._handlers,"onEnterState"),r.onLeaveState=u(this._handlers,"onLeaveState"),this._impl=new h({init:this._initState,transitions:n,methods:r,onInvalidTransition:this._errorHandler||p}),this},t.prototype.onEnterState=function(t){var e=this._handlers.onEnterState;if(0<=r(e,t))throw new Error("Re-registering a hander!");return e.push(t),this},t.prototype.onExitState=function(t){var e=this._handlers.onLeaveState;if(0<=r(e,t))throw new Error("Registering a hander!");return e.push(t),this},t.prototype.offEnterState=function(t){var e=this._handlers.onEnterState;return this._handlers.onenterstate=i(e,t),this},t.prototype.offExitState=function(t){var e=this._handlers.onLeaveState;return this._handlers.onexitstate=i(e,t),this},t.prototype.go=function(t){if(this.ensureRunningStage(),!this._stateConfiguration[t])throw new Error("Go to undefined state: "+t);if(this._impl.is(t))return this;var e=this._impl.state,n=s.replace(f,{from:e,to:t});if(this._impl.cannot(n))throw new Error("Transition is not allowed: "+e+" -> "+t);return this._impl[n].call(this._impl),self},t.prototype.addErrorHandler=function(t){return this.ensureConfigureStage(),this._errorHandler=t,this},t.prototype.current=function(){return this.ensureRunningStage(),this._impl.state},t}();t.FiniteStateMachine=o,Object.defineProperty(t,"__esModule",{value:!0})});
+!function(t,e){"object"==typeof exports&&"undefined"!=typeof module?e(exports,require("@polpware/fe-dependencies"),require("@polpware/fe-utilities"),require("rxjs"),require("@angular/router"),require("rxjs/operators"),require("@angular/core")):"function"==typeof define&&define.amd?define("@polpware/fe-behavior",["exports","@polpware/fe-dependencies","@polpware/fe-utilities","rxjs","@angular/router","rxjs/operators","@angular/core"],e):e((t.polpware=t.polpware||{},t.polpware["fe-behavior"]={}),t.dependencies,t.feUtilities,t.rxjs,t.ng.router,t.rxjs.operators,t.ng.core)}(this,function(t,e,v,n,a,u,r){"use strict";var o=function(t,e){return(o=Object.setPrototypeOf||{__proto__:[]}instanceof Array&&function(t,e){t.__proto__=e}||function(t,e){for(var n in e)e.hasOwnProperty(n)&&(t[n]=e[n])})(t,e)};
+/**
+     * @fileOverview
+     * Provides the declarative (JSON) definition of a finite state machine,
+     * together with its schema and validation.
+     * @author Xiaolong Tang <xxlongtang@gmail.com>
+     * @license Copyright @me
+     */
+var i=".",g=function(n){function r(t){var e=n.call(this,"Invalid definition: "+t.map(function(t){return(t.path||"/")+" "+t.message}).join("; "))||this;return Object.setPrototypeOf(e,r.prototype),e.name="DefinitionError",e.errors=t,e}return function i(t,e){function n(){this.constructor=t}o(t,e),t.prototype=null===e?Object.create(e):(n.prototype=e.prototype,new n)}(r,n),r}(Error),s={type:"string",minLength:1},h={$schema:"http://json-schema.org/draft-07/schema#",type:"object",required:["states"],additionalProperties:!1,properties:{version:{type:"integer","enum":[1]},initial:s,asyncMode:{type:"boolean"},sameStatePolicy:{type:"string","enum":["ignore","error","reenter"]},context:{},regions:{type:"array",items:{type:"object",required:["name","initial"],additionalProperties:!1,properties:{name:s,initial:s}}},states:{type:"array",items:{type:"object",required:["name"],additionalProperties:!1,properties:{name:s,parent:s,initial:s,region:s,"final":{type:"boolean"},onEnter:s,onLeave:s}}},historyStates:{type:"array",items:{type:"object",required:["name","parent"],additionalProperties:!1,properties:{name:s,parent:s,deep:{type:"boolean"},defaultTarget:s}}},transitions:{type:"array",items:{type:"object",required:["from","to"],additionalProperties:!1,properties:{from:s,to:s,event:s,guard:s,onBefore:s,onAfter:s,assign:{type:["string","object"]},delay:{type:"number"},compensation:s,internal:{type:"boolean"}}}}}};function f(t){return null===t?"null":Array.isArray(t)?"array":typeof t}function c(n,e,r,i){if(n.type){var t=[].concat(n.type);if(!t.some(function(t){return function n(t,e){return"integer"===e?"number"==typeof t&&t%1==0:f(t)===e}(e,t)}))return void i.push({path:r,message:"must be of type "+t.join(" or ")})}if(n["enum"]&&n["enum"].indexOf(e)<0&&i.push({path:r,message:"must be one of "+n["enum"].join(", ")}),n.minLength&&"string"==typeof e&&e.length<n.minLength&&i.push({path:r,message:"must not be shorter than "+n.minLength}),n.items&&Array.isArray(e)&&e.forEach(function(t,e){c(n.items,t,r+"/"+e,i)}),"object"===f(e)){(n.required||[]).forEach(function(t){e.hasOwnProperty(t)||i.push({path:r+"/"+t,message:"is required"})});var o=n.properties||{};for(var s in e)e.hasOwnProperty(s)&&(o[s]?c(o[s],e[s],r+"/"+s,i):!1===n.additionalProperties&&i.push({path:r+"/"+s,message:"is not allowed"}))}}function p(t){var e=[];return c(h,t,"",e),e}function d(t){var r={};return t.states.forEach(function(t){var e=t.parent;if(!e){var n=t.name.lastIndexOf(i);0<n&&r.hasOwnProperty(t.name.substring(0,n))&&(e=t.name.substring(0,n))}r[t.name]=e||null}),r}var m="default",y="#ffe08a";function _(t){var r={},i={},o={};o[m]={roots:[],initial:t.initial},(t.regions||[]).forEach(function(t){o[t.name]={roots:[],initial:t.initial}});var s=d(t);return t.states.forEach(function(t){var e=s[t.name];if(r[t.name]={name:t.name,children:[],initial:t.initial,"final":t["final"],histories:[]},e&&r[e])r[e].children.push(t.name),i[t.name]=i[e];else{var n=t.region||m;o[n]=o[n]||{roots:[]},o[n].roots.push(t.name),i[t.name]=n}}),(t.historyStates||[]).forEach(function(t){r[t.parent]&&r[t.parent].histories.push(t)}),{nodes:r,regions:o}}function w(t){return t.deep?"H*":"H"}function b(t){var e=t.from+"2"+t.to;return t.event&&(e+=" ("+t.event+")"),t.guard&&(e+=" ["+t.guard+"]"),t.delay!==undefined&&null!==t.delay&&(e+=" after "+t.delay+"ms"),e}function l(t){return'"'+t.replace(/\\/g,"\\\\").replace(/"/g,'\\"')+'"'}function E(t,e){var o=e&&e.active||[],n=_(t),s=n.nodes,a=[],u=function(t){return new Array(t+1).join("    ")},h=function(t){return"cluster_"+t},f=function(t,e,n){if(e&&s[e]){var r="__init__"+t,i=s[e].children.length?" [lhead="+l(h(e))+"]":"";a.push(u(n)+l(r)+" [shape=point];"),a.push(u(n)+l(r)+" -> "+l(e)+i+";")}},c=function(t,n){var e=s[t],r=0<=o.indexOf(t);if(!e.children.length){var i=[];return e["final"]&&i.push("peripheries=2"),r&&i.push('style="rounded,filled"',"fillcolor="+l(y)),void a.push(u(n)+l(t)+(i.length?" ["+i.join(", ")+"]":"")+";")}a.push(u(n)+"subgraph "+l(h(t))+" {"),a.push(u(n+1)+"label="+l(t)+";"),r&&(a.push(u(n+1)+"style=bold;"),a.push(u(n+1)+"color="+l("#cc9a06")+";")),a.push(u(n+1)+l(t)+" [shape=point, style=invis];"),f(t,e.initial,n+1),e.children.forEach(function(t){return c(t,n+1)}),e.histories.forEach(function(t){if(a.push(u(n+1)+l(t.name)+" [shape=circle, label="+l(w(t))+"];"),t.defaultTarget&&s[t.defaultTarget]){var e=s[t.defaultTarget].children.length?", lhead="+l(h(t.defaultTarget)):"";a.push(u(n+1)+l(t.name)+" -> "+l(t.defaultTarget)+" [style=dashed"+e+"];")}}),a.push(u(n)+"}")};for(var r in a.push("digraph fsm {"),a.push(u(1)+"compound=true;"),a.push(u(1)+"rankdir=LR;"),a.push(u(1)+"node [shape=box, style=rounded];"),n.regions)if(n.regions.hasOwnProperty(r)){var i=n.regions[r];r===m?(f(r,i.initial,1),i.roots.forEach(function(t){return c(t,1)})):(a.push(u(1)+"subgraph "+l("cluster_region_"+r)+" {"),a.push(u(2)+"label="+l(r)+";"),a.push(u(2)+"style=dashed;"),f("region_"+r,i.initial,2),i.roots.forEach(function(t){return c(t,2)}),a.push(u(1)+"}"))}return(t.transitions||[]).forEach(function(t){var e=["label="+l(b(t))];s[t.from]&&s[t.from].children.length&&e.push("ltail="+l(h(t.from))),s[t.to]&&s[t.to].children.length&&e.push("lhead="+l(h(t.to))),a.push(u(1)+l(t.from)+" -> "+l(t.to)+" ["+e.join(", ")+"];")}),a.push("}"),a.join("\n")+"\n"}function S(t,e){var n=e&&e.active||[],r=_(t),i=r.nodes,o={};t.states.forEach(function(t,e){o[t.name]="s"+e}),(t.historyStates||[]).forEach(function(t,e){o[t.name]="h"+e});var s=[],a=function(t){return new Array(t+1).join("    ")},u=function(t,e){t&&i[t]&&s.push(a(e)+"[*] --\x3e "+o[t])},h=function(t,n){var e=i[t];s.push(a(n)+"state "+JSON.stringify(t)+" as "+o[t]),e["final"]&&s.push(a(n)+o[t]+" --\x3e [*]"),e.children.length&&(s.push(a(n)+"state "+o[t]+" {"),u(e.initial,n+1),e.children.forEach(function(t){return h(t,n+1)}),e.histories.forEach(function(t){var e=t.name+" ("+w(t)+")";s.push(a(n+1)+"state "+JSON.stringify(e)+" as "+o[t.name]),t.defaultTarget&&o[t.defaultTarget]&&s.push(a(n+1)+o[t.name]+" --\x3e "+o[t.defaultTarget]+" : default")}),s.push(a(n)+"}"))};s.push("stateDiagram-v2");var f=0;for(var c in r.regions)if(r.regions.hasOwnProperty(c)){var p=r.regions[c];if(c===m)u(p.initial,1),p.roots.forEach(function(t){return h(t,1)});else{var l="r"+f++;s.push(a(1)+"state "+JSON.stringify(c)+" as "+l),s.push(a(1)+"state "+l+" {"),u(p.initial,2),p.roots.forEach(function(t){return h(t,2)}),s.push(a(1)+"}")}}(t.transitions||[]).forEach(function(t){o[t.from]&&o[t.to]&&s.push(a(1)+o[t.from]+" --\x3e "+o[t.to]+" : "+b(t).replace(/[\r\n]+/g," "))});var d=n.filter(function(t){return o[t]}).map(function(t){return o[t]});return d.length&&(s.push(a(1)+"classDef active fill:"+y),s.push(a(1)+"class "+d.join(",")+" active")),s.join("\n")+"\n"}var x="default",C=/^[A-Za-z_$][\w$]*$/,O={lt:"<",gt:">",amp:"&",quot:'"',apos:"'"};function T(t){return t.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|\w+);/g,function(t,e){return"#"===e.charAt(0)?String.fromCharCode("x"===e.charAt(1)?parseInt(e.substring(2),16):parseInt(e.substring(1),10)):O.hasOwnProperty(e)?O[e]:t})}function j(t){return t.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;")}function P(t){var e,n=[];try{e=function i(f){var c=0,p=function(t){throw new Error("Malformed XML at "+c+": "+t)},l=function(t){var e=f.indexOf(t,c);e<0&&p("missing "+t),c=e+t.length},t=function(){for(;;){for(;c<f.length&&/\s/.test(f.charAt(c));)c++;if("<?"===f.substr(c,2))l("?>");else if("\x3c!--"===f.substr(c,4))l("--\x3e");else{if("<!DOCTYPE"!==f.substr(c,9))return;l(">")}}},d=function(){var t=/^<([\w:.-]+)/.exec(f.substring(c));t||p("expected an element"),c+=t[0].length;for(var e,n={name:(e=t[1],e.substring(e.indexOf(":")+1)),attributes:{},children:[],text:""};;){var r=/^\s+([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/.exec(f.substring(c));if(!r)break;var i=r[3]!==undefined?r[3]:r[4];n.attributes[r[1]]=T(i),c+=r[0].length}var o=/^\s*(\/?)>/.exec(f.substring(c));if(o||p("unterminated tag "+t[1]),c+=o[0].length,o[1])return n;for(;;){if(c>=f.length&&p("unclosed element "+t[1]),"</"===f.substr(c,2)){var s=/^<\/([\w:.-]+)\s*>/.exec(f.substring(c));return s&&s[1]===t[1]||p("mismatched closing tag for "+t[1]),c+=s[0].length,n}if("\x3c!--"===f.substr(c,4))l("--\x3e");else if("<![CDATA["===f.substr(c,9)){var a=c+9;l("]]>"),n.text+=f.substring(a,c-3)}else if("<?"===f.substr(c,2))l("?>");else if("<"===f.charAt(c))n.children.push(d());else{var u=f.indexOf("<",c),h=u<0?f.length:u;n.text+=T(f.substring(c,h)),c=h}}};t();var e=d();return t(),c<f.length&&p("unexpected content after the root element"),e}(t)}catch(d){throw new g([{path:"",message:d.message}])}if("scxml"!==e.name)throw new g([{path:"/"+e.name,message:"Not a SCXML document"}]);var s=[],a=[],u=[],o=[],h={states:s,transitions:u},f=function(t,e){n.push({path:t,message:"Unsupported "+e})},c=function(t,e){var n=t.children.filter(function(t){return"script"===t.name});if(t.children.forEach(function(t){"script"!==t.name&&f(e+"/"+t.name,"executable content: "+t.name)}),1<n.length&&f(e+"/script","multiple scripts"),!n.length)return undefined;var r=n[0].text.trim();return n[0].attributes.src||!C.test(r)?(f(e+"/script","script; expected the name of a callback"),undefined):r},p=function(t,e){var n=t.children.filter(function(t){return"transition"===t.name});return 1!==n.length||!n[0].attributes.target||n[0].children.length?(f(e,t.name+" element; expected a single transition with a target"),undefined):n[0].attributes.target},l=function(t,e,r,n){var i=t.attributes.id;if(i){r=r+"[@id='"+i+"']";var o={name:i};e&&(o.parent=e),n&&n!==x&&(o.region=n),t.attributes.initial&&(o.initial=t.attributes.initial),"final"===t.name&&(o["final"]=!0),s.push(o),t.children.forEach(function(t){var e=r+"/"+t.name;if("state"===t.name||"final"===t.name)l(t,i,e);else if("initial"===t.name)o.initial=p(t,e);else if("history"===t.name)!function(t,e,n){var r=t.attributes.id;if(r){var i={name:r,parent:e};if("deep"===t.attributes.type&&(i.deep=!0),t.children.length){var o=p(t,n+"[@id='"+r+"']");o&&(i.defaultTarget=o)}a.push(i)}else f(n,"history without an id")}(t,i,e);else if("transition"===t.name)!function(t,e,n){var r=t.attributes,i=r.target?{from:e,to:r.target}:{from:e,to:e,internal:!0};if(r.target&&/\s/.test(r.target.trim()))f(n+"/@target","multiple targets: "+r.target);else{r.event?/\s/.test(r.event.trim())||/[*]/.test(r.event)?f(n+"/@event","event descriptor: "+r.event):i.event=r.event:f(n,"eventless transition"),r.cond&&(C.test(r.cond.trim())?i.guard=r.cond.trim():f(n+"/@cond","condition; expected the name of a guard: "+r.cond)),"internal"===r.type&&f(n+"/@type","internal transition");var o=c(t,n);o&&(i.onAfter=o),u.push(i)}}(t,i,e);else if("onentry"===t.name||"onexit"===t.name){var n="onentry"===t.name?"onEnter":"onLeave";o[n]&&f(e,"multiple "+t.name+" handlers"),o[n]=c(t,e)}else f(e,"element: "+t.name)})}else f(r,"state without an id")},r=e.children.filter(function(t){return"parallel"===t.name});if(r.length&&e.children.some(function(t){return"parallel"!==t.name&&"datamodel"!==t.name})?f("/scxml/parallel","parallel element along with other states"):1<r.length&&f("/scxml/parallel","multiple parallel elements"),e.attributes.initial&&!r.length&&(h.initial=e.attributes.initial),e.children.forEach(function(t){var e="/scxml/"+t.name;if("state"===t.name||"final"===t.name)l(t,null,e);else if("parallel"===t.name)t.children.forEach(function(t){return function(t,n){var r=t.attributes.id;if("state"===t.name&&r){n=n+"[@id='"+r+"']";var e=t.children.filter(function(t){return"state"===t.name||"final"===t.name}),i=t.attributes.initial;t.children.forEach(function(t){var e=n+"/"+t.name;"state"===t.name||"final"===t.name?l(t,null,e,r):"initial"===t.name?i=p(t,e):f(e,"element in a region: "+t.name)}),i=i||(e.length?e[0].attributes.id:undefined),r===x?h.initial=i:o.push({name:r,initial:i})}else f(n,"region; expected a state with an id")}(t,e+"/"+t.name)});else if("datamodel"===t.name){var n={};t.children.forEach(function(t){if("data"===t.name&&t.attributes.id)try{n[t.attributes.id]=JSON.parse(t.attributes.expr||t.text||"null")}catch(d){f(e+"/data[@id='"+t.attributes.id+"']","data expression; expected a JSON value")}else f(e+"/"+t.name,"data element")}),h.context=n}else f(e,"element: "+t.name)}),a.length&&(h.historyStates=a),o.length&&(h.regions=o),h.initial||!s.length||r.length||(h.initial=s[0].name),n.length)throw new g(n);return h}function A(o){var s=[],a=[],u=function(t){return new Array(t+1).join("    ")},h=function(t,e){return e?" "+t+'="'+j(e)+'"':""},f={},r=[],n=d(o);o.states.forEach(function(t){var e=n[t.name];f[t.name]=[],e&&f[e]?f[e].push(t):r.push(t)});var c=function(t,e,n){e&&(a.push(u(n)+"<"+t+">"),a.push(u(n+1)+"<script>"+j(e)+"<\/script>"),a.push(u(n)+"</"+t+">"))},p=function(n,r){var t=(o.transitions||[]).filter(function(t){return t.from===n.name}),e=n["final"]?"final":"state";n["final"]&&(t.length||f[n.name].length)&&s.push({path:"/states/"+o.states.indexOf(n)+"/final",message:"Final states with transitions or children are not supported in SCXML"});var i=u(r)+"<"+e+h("id",n.name)+h("initial",n.initial)+">";a.push(i),c("onentry",n.onEnter,r+1),c("onexit",n.onLeave,r+1),t.forEach(function(t){var e=o.transitions.indexOf(t);t.event||s.push({path:"/transitions/"+e+"/event",message:"Transitions without an event are not supported in SCXML"}),t.onBefore&&s.push({path:"/transitions/"+e+"/onBefore",message:"Before callbacks are not supported in SCXML"}),t.assign&&s.push({path:"/transitions/"+e+"/assign",message:"Assign options are not supported in SCXML"}),t.delay!==undefined&&null!==t.delay&&s.push({path:"/transitions/"+e+"/delay",message:"Delays are not supported in SCXML"}),t.compensation&&s.push({path:"/transitions/"+e+"/compensation",message:"Compensations are not supported in SCXML"});var n=u(r+1)+"<transition"+h("event",t.event)+h("cond",t.guard)+h("target",t.internal?undefined:t.to);t.onAfter?(a.push(n+">"),a.push(u(r+2)+"<script>"+j(t.onAfter)+"<\/script>"),a.push(u(r+1)+"</transition>")):a.push(n+"/>")}),f[n.name].forEach(function(t){return p(t,r+1)}),(o.historyStates||[]).filter(function(t){return t.parent===n.name}).forEach(function(t){var e=t.defaultTarget||n.initial||f[n.name][0]&&f[n.name][0].name;a.push(u(r+1)+"<history"+h("id",t.name)+h("type",t.deep?"deep":"shallow")+">"),a.push(u(r+2)+"<transition"+h("target",e)+"/>"),a.push(u(r+1)+"</history>")}),a[a.length-1]===i?a[a.length-1]=i.replace(/>$/,"/>"):a.push(u(r)+"</"+e+">")},t=o.regions||[];a.push('<?xml version="1.0" encoding="UTF-8"?>'),a.push("<scxml"+h("xmlns","http://www.w3.org/2005/07/scxml")+' version="1.0"'+h("initial",t.length?undefined:o.initial)+">");var e=o.context;if(e!==undefined&&null!==e&&("object"!=typeof e||Array.isArray(e)?s.push({path:"/context",message:"Context data other than an object is not supported in SCXML"}):Object.keys(e).length&&(a.push(u(1)+"<datamodel>"),Object.keys(e).forEach(function(t){a.push(u(2)+"<data"+h("id",t)+' expr="'+j(JSON.stringify(e[t]))+'"/>')}),a.push(u(1)+"</datamodel>"))),t.length){var i=o.states.map(function(t){return t.name}).concat((o.historyStates||[]).map(function(t){return t.name}));a.push(u(1)+"<parallel>"),[{name:x,initial:o.initial}].concat(t).forEach(function(e,t){var n=r.filter(function(t){return(t.region||x)===e.name});n.length&&(0<=i.indexOf(e.name)&&s.push({path:t?"/regions/"+(t-1)+"/name":"/states/"+i.indexOf(e.name)+"/name",message:"Regions named as states are not supported in SCXML: "+e.name}),a.push(u(2)+"<state"+h("id",e.name)+h("initial",e.initial)+">"),n.forEach(function(t){return p(t,3)}),a.push(u(2)+"</state>"))}),a.push(u(1)+"</parallel>")}else r.forEach(function(t){return p(t,1)});if(a.push("</scxml>"),s.length)throw new g(s);return a.join("\n")+"\n"}var R="default";function k(t){var n=d(t),i={},r={},o={},s={};t.states.forEach(function(t){var e=n[t.name];i[t.name]=[],r[t.name]=t.initial,e&&i[e]?(i[e].push(t.name),o[t.name]=o[e],s[t.name]=s[e].concat([t.name])):(o[t.name]=t.region||R,s[t.name]=[t.name])});var a=function(t){if(!i[t].length)return[t];var e=[];return i[t].forEach(function(t){e=e.concat(a(t))}),e},u=function(t){for(;i[t]&&i[t].length;)t=r[t]||i[t][0];return t},e=t.states.map(function(t){return t.name}).filter(function(t){return!i[t].length}),h={};e.forEach(function(t){h[t]=[]});var f={};(t.historyStates||[]).forEach(function(t){i[t.parent]&&(f[t.name]=t)});(t.transitions||[]).forEach(function(n){i[n.from]&&(i[n.to]||f[n.to])&&function(t){var e=f[t];if(!e)return[u(t)];var n=e.deep?a(e.parent):i[e.parent].map(u),r=u(e.defaultTarget||e.parent);return n.indexOf(r)<0?n.concat([r]):n}(n.to).forEach(function(e){a(n.from).forEach(function(t){h[t].push({to:e,transition:n.from+"2"+n.to,event:n.event})})})});var c=[];t.initial&&i[t.initial]&&c.push(u(t.initial)),(t.regions||[]).forEach(function(t){i[t.initial]&&c.push(u(t.initial))});var p=t.states.filter(function(t){return t["final"]}).map(function(t){return t.name}),l=e.filter(function(t){return s[t].some(function(t){return 0<=p.indexOf(t)})});return{states:e,edges:h,initial:c,regions:o,paths:s,"final":l}}function M(t,e){for(var n={},r=t.slice();r.length;){var i=r.shift();n[i]||(n[i]=!0,(e[i]||[]).forEach(function(t){return r.push(t.to)}))}return n}function U(t){var n=k(t),e=t.states.map(function(t){return t.name}),r=function(e){return n.states.filter(function(t){return 0<=n.paths[t].indexOf(e)})},i=M(n.initial,n.edges),o=e.filter(function(t){return!r(t).some(function(t){return i[t]})}),s=n.states.filter(function(t){return!n.edges[t].length&&n["final"].indexOf(t)<0}),a={};n.initial.forEach(function(t){a[t]=!0}),n.states.forEach(function(t){n.edges[t].forEach(function(t){a[t.to]=!0})});var u=e.filter(function(t){return!r(t).some(function(t){return a[t]})}),h={};n.states.forEach(function(e){n.edges[e].forEach(function(t){h[t.to]=h[t.to]||[],h[t.to].push({to:e})})});var f=M(n["final"],h),c=n["final"].map(function(t){return n.regions[t]}),p=n.states.filter(function(t){return 0<=c.indexOf(n.regions[t])&&!f[t]});return{unreachable:o,deadEnds:s,noIncoming:u,components:function l(r){var i=[],o={},s={},a={},u=[],h=0,f=function(e){if(o[e]=s[e]=h++,u.push(e),a[e]=!0,r.edges[e].forEach(function(t){o[t.to]===undefined?(f(t.to),s[e]=Math.min(s[e],s[t.to])):a[t.to]&&(s[e]=Math.min(s[e],o[t.to]))}),s[e]===o[e]){for(var t,n=[];t=u.pop(),a[t]=!1,n.unshift(t),t!==e;);i.push(n)}};return r.states.forEach(function(t){o[t]===undefined&&f(t)}),i}(n),cannotReachFinal:p,ok:!o.length&&!s.length&&!p.length}}var D=["EX","AX","EF","AF","EG","AG"];function I(t){for(var r=[],e=/^\s*(->|&&?|\|\|?|[!()\[\]@]|"[^"]*"|[A-Za-z_$][\w$.]*)/,n=t.replace(/\s+$/,"");n.length;){var i=e.exec(n);if(!i)throw new Error("Unexpected character in property: "+n);r.push(i[1]),n=n.substring(i[0].length)}var o=0,s=function(){return r[o]},a=function(t){if(r[o]!==t)throw new Error("Expected "+t+" in property, but got "+(r[o]||"the end"));o++},u=function(t){if(!t||!/^("|[A-Za-z_$])/.test(t))throw new Error("Expected a name in property, but got "+(t||"the end"));return'"'===t.charAt(0)?t.substring(1,t.length-1):t},h=function(){var t=f();return"->"===s()?(o++,{op:"implies",args:[t,h()]}):t},f=function(){for(var t=c();"|"===s()||"||"===s();)o++,t={op:"or",args:[t,c()]};return t},c=function(){for(var t=p();"&"===s()||"&&"===s();)o++,t={op:"and",args:[t,p()]};return t},p=function(){var t=s();if("!"===t)return o++,{op:"not",args:[p()]};if(0<=D.indexOf(t))return o++,{op:t,args:[p()]};if("E"!==t&&"A"!==t||"["!==r[o+1])return l();o+=2;var e=h();a("U");var n=h();return a("]"),{op:t+"U",args:[e,n]}},l=function(){var t=r[o++];if("("!==t)return"true"===t||"false"===t?{op:t}:"@"===t?{op:"tag",name:u(r[o++])}:{op:"atom",name:u(t)};var e=h();return a(")"),e},d=h();if(o<r.length)throw new Error("Unexpected "+r[o]+" in property");return d}function L(t){var e=function(t){return{op:"not",args:[t]}},n=(t.args||[]).map(L),r=n[0],i=n[1];switch(t.op){case"implies":return{op:"or",args:[e(r),i]};case"EF":return{op:"EU",args:[{op:"true"},r]};case"AX":return e({op:"EX",args:[e(r)]});case"AF":return e({op:"EG",args:[e(r)]});case"AG":return e({op:"EU",args:[{op:"true"},e(r)]});case"AU":return e({op:"or",args:[{op:"EU",args:[e(i),{op:"and",args:[e(r),e(i)]}]},{op:"EG",args:[e(i)]}]});default:return{op:t.op,name:t.name,args:n}}}var N=function(){function t(t,e){var i=this;this.states=[],this.via=[],this.events=[],this.successors=[],this._graph=t,this._cache=[];for(var o={},n=function(t,e,n){var r=t+"\n"+(e||"");return o[r]===undefined&&(o[r]=i.states.length,i.states.push(t),i.via.push(e),i.events.push(n),i.successors.push(null)),o[r]},r=[n(e,null,null)];r.length;){var s=r.shift();this.successors[s]||(this.successors[s]=t.edges[this.states[s]].map(function(t){var e=n(t.to,t.transition,t.event);return r.push(e),e}))}}return t.prototype.sat=function(t){for(var e=0,n=this._cache;e<n.length;e++){var r=n[e];if(r.formula===t)return r.sat}var i=this.compute(t);return this._cache.push({formula:t,sat:i}),i},t.prototype.compute=function(n){var r=this,t=this.states.map(function(){return!0}),e=this.successors;switch(n.op){case"true":return t;case"false":return t.map(function(){return!1});case"atom":return this.states.map(function(t){return 0<=r._graph.paths[t].indexOf(n.name)});case"tag":return this.via.map(function(t,e){return t===n.name||r.events[e]===n.name});case"not":return this.sat(n.args[0]).map(function(t){return!t});case"and":var i=this.sat(n.args[0]),o=this.sat(n.args[1]);return i.map(function(t,e){return t&&o[e]});case"or":i=this.sat(n.args[0]);var s=this.sat(n.args[1]);return i.map(function(t,e){return t||s[e]});case"EX":var a=this.sat(n.args[0]);return e.map(function(t){return t.some(function(t){return a[t]})});case"EU":for(var u=this.sat(n.args[0]),h=this.sat(n.args[1]).slice(),f=!0;f;)f=!1,e.forEach(function(t,e){!h[e]&&u[e]&&t.some(function(t){return h[t]})&&(h[e]=f=!0)});return h;case"EG":for(var c=this.sat(n.args[0]).slice(),p=!0;p;)p=!1,e.forEach(function(t,e){c[e]&&t.length&&!t.some(function(t){return c[t]})&&(c[e]=!1,p=!0)});return c}throw new Error("Unsupported operator: "+n.op)},t.prototype.explain=function(t,a,e){var n=this,r=this.successors,u=function(t,e){return{nodes:t.concat(e.nodes.slice(1)),loopsTo:e.loopsTo===undefined?undefined:e.loopsTo+t.length-1}},i=function(t,e){for(var n=[],r=a;;){var i=n.indexOf(r);if(0<=i)return{nodes:n,loopsTo:i};n.push(r);var o=e(r);if(o)return u(n,o);var s=t(r);if(s===undefined)return{nodes:n};r=s}},o=t.args&&t.args[0],s=t.args&&t.args[1];switch(t.op){case"not":return this.explain(o,a,!e);case"and":case"or":return this.explain(this.sat(s)[a]===e?s:o,a,e);case"EX":var h=this.sat(o),f=e?r[a].filter(function(t){return h[t]})[0]:r[a][0];return f===undefined?{nodes:[a]}:u([a,f],this.explain(o,f,e));case"EU":var c=this.sat(o),p=this.sat(s);if(e){var l={},d=[a];l[a]=-1;for(var g=function(){var e=d.shift();if(p[e]){for(var t=[],n=e;0<=n;n=l[n])t.unshift(n);return{value:u(t,m.explain(s,e,!0))}}c[e]&&r[e].forEach(function(t){l[t]===undefined&&(l[t]=e,d.push(t))})},m=this;d.length;){var v=g();if("object"==typeof v)return v.value}}return i(function(t){return r[t][0]},function(t){return c[t]?null:n.explain(o,t,!1)});case"EG":var y=this.sat(t);if(e)return i(function(t){return r[t].filter(function(t){return y[t]})[0]},function(){return null});var _=this.sat(o);return i(function(t){return r[t][0]},function(t){return _[t]?null:n.explain(o,t,!1)})}return{nodes:[a]}},t}();function H(t,e,n){var r=I(e),i=k(t);n=n||"default";var o=function(t){if("atom"===t.op&&!i.paths[t.name])throw new Error("Undefined state in property: "+t.name);(t.args||[]).forEach(o)};o(r);var s=i.initial.filter(function(t){return i.regions[t]===n})[0];if(!s)throw new Error("Undefined init state in region: "+n);var a=new N(i,s),u=L(r);if(a.sat(u)[0])return{holds:!0};var h=a.explain(u,0,!1),f={holds:!1,counterexample:h.nodes.map(function(t){return{state:a.states[t],transition:a.via[t]}})};return h.loopsTo!==undefined&&(f.loopsTo=h.loopsTo),f}var X={setTimeout:function(t,e){return setTimeout(t,e)},clearTimeout:function(t){return clearTimeout(t)}},$=function(){function t(){this._now=0,this._counter=0,this._tasks=[]}return t.prototype.now=function(){return this._now},t.prototype.pending=function(){return this._tasks.length},t.prototype.setTimeout=function(t,e){var n=++this._counter;return this._tasks.push({id:n,time:this._now+Math.max(0,e||0),callback:t}),n},t.prototype.clearTimeout=function(e){this._tasks=this._tasks.filter(function(t){return t.id!==e})},t.prototype.advance=function(t){for(var e=this._now+t;;){for(var n=null,r=0,i=this._tasks;r<i.length;r++){var o=i[r];o.time<=e&&(!n||o.time<n.time||o.time===n.time&&o.id<n.id)&&(n=o)}if(!n)break;this.clearTimeout(n.id),this._now=n.time,n.callback()}return this._now=e,this},t}(),F={execute:function(t){return t()},notify:function(t){return t()}},q=e.underscore,G=e.statemachine,B=q.indexOf,J=q.without,z="{from}2{to}",V="default",Z=["ignore","error","reenter"];function Y(r,i){return function(t){var e=r[i];if(e)for(var n=0;n<e.length;n++){e[n].apply(null,arguments)}}}function K(t,e,n,r){var i=v.replace("Transition {name} from {from} to {to} fails.",{name:t,from:e,to:n});console.log(i),r&&console.log(r)}var Q=function(){function o(){this._impls=null,this._initState=null,this._context={},this._asyncMode=!1,this._sameStatePolicy="ignore",this._pendingRegions={},this._errorHandler=null,this._regionConfiguration={},this._historyConfiguration={},this._lastActive={},this._stateConfiguration={},this._transitionConfiguration={},this._reentryConfiguration={},this._eventConfiguration={},this._handlers={onEnterState:[],onLeaveState:[],onContextChange:[]},this._middleware=[],this._history=[],this._historyLimit=100,this._undone=[],this._replays={},this._settledEvents={},this._implementations=null,this._scheduler=X,this._timers={},this._execution=F,this._disposed=!1,this._configurationSubject=new n.ReplaySubject(1),this._transitionSubject=new n.Subject,this._errorSubject=new n.Subject,this._contextSubject=new n.ReplaySubject(1),this.configuration$=this._configurationSubject.asObservable(),this.state$=this.watchState(),this.transitions$=this._transitionSubject.asObservable(),this.errors$=this._errorSubject.asObservable(),this.context$=this._contextSubject.asObservable()}return o.fromDefinition=function(t,n){var r=p(t);if(r.length)throw new g(r);n=n||{};var a=function(t,e){return t?n.hasOwnProperty(t)&&"function"==typeof n[t]?n[t]:(r.push({path:e,message:"Undefined implementation: "+t}),undefined):undefined},u=function(t,e){try{e()}catch(n){r.push({path:t,message:n.message})}},h=new o;t.context!==undefined&&h.setContext(t.context),h.setAsyncMode(!!t.asyncMode),t.sameStatePolicy&&u("/sameStatePolicy",function(){return h.setSameStatePolicy(t.sameStatePolicy)}),(t.regions||[]).forEach(function(t,e){u("/regions/"+e,function(){return h.addRegion(t.name,t.initial)})}),t.states.forEach(function(t,e){var n="/states/"+e,r=a(t.onEnter,n+"/onEnter"),i=a(t.onLeave,n+"/onLeave");u(n,function(){return h.addState(t.name,r,i,{parent:t.parent,initial:t.initial,region:t.region,"final":t["final"]})})}),(t.historyStates||[]).forEach(function(t,e){u("/historyStates/"+e,function(){return h.addHistoryState(t.name,t.parent,{deep:t.deep,defaultTarget:t.defaultTarget})})}),(t.transitions||[]).forEach(function(t,e){var n="/transitions/"+e,r=a(t.onAfter,n+"/onAfter"),i=a(t.onBefore,n+"/onBefore"),o=a(t.guard,n+"/guard"),s="string"==typeof t.assign?a(t.assign,n+"/assign"):t.assign;u(n,function(){return h.addTransition(t.from,t.to,r,i,{guard:o,event:t.event,assign:s,delay:t.delay,compensation:t.compensation,internal:t.internal})})});var i=h._stateConfiguration;if(t.initial&&(i[t.initial]?h.setInitState(t.initial):r.push({path:"/initial",message:"Undefined state: "+t.initial})),(t.regions||[]).forEach(function(t,e){i[t.initial]&&i[t.initial].region===t.name||r.push({path:"/regions/"+e+"/initial",message:"Undefined state in region: "+t.initial})}),t.states.forEach(function(t,e){var n=i[t.name];n&&t.initial&&B(n.children,t.initial)<0&&r.push({path:"/states/"+e+"/initial",message:"Undefined initial child state: "+t.initial})}),(t.historyStates||[]).forEach(function(t,e){i[t.parent]&&!i[t.parent].children.length&&r.push({path:"/historyStates/"+e+"/parent",message:"History state of an atomic state: "+t.name});var n=t.defaultTarget;n&&(!i[n]||n===t.parent||B(h.pathOf(n),t.parent)<0)&&r.push({path:"/historyStates/"+e+"/defaultTarget",message:"Undefined default target: "+n})}),r.length)throw new g(r);return h._implementations=n,h},o.fromScxml=function(t,e){return o.fromDefinition(P(t),e)},o.prototype.ensureConfigureStage=function(){if(this._disposed)throw new Error("State machine has been disposed.");if(this._impls)throw new Error("State machine has started.")},o.prototype.ensureRunningStage=function(){if(this._disposed)throw new Error("State machine has been disposed.");if(!this._impls)throw new Error("State machine has not yet started.")},o.prototype.pathOf=function(t){for(var e=this._stateConfiguration,n=[],r=t;r;r=e[r].parent)n.unshift(r);return n},o.prototype.resolveAtomicState=function(t){for(var e=this._stateConfiguration,n=e[t];0<n.children.length;)n=e[t=n.initial||n.children[0]];return t},o.prototype.atomicStatesOf=function(t){var e=this._stateConfiguration[t];if(0===e.children.length)return[t];for(var n=[],r=0,i=e.children;r<i.length;r++){var o=i[r];n=n.concat(this.atomicStatesOf(o))}return n},o.prototype.invokeVetoableCallbacks=function(t,e){var n=function s(n,r,t){void 0===t&&(t=0);for(var e=function(e){var t=n[e](r);return!1===t?{value:!1}:t&&"function"==typeof t.then?{value:t.then(function(t){return!1!==t&&s(n,r,e+1)})}:void 0},i=t;i<n.length;i++){var o=e(i);if("object"==typeof o)return o.value}}(t,e);if(!n||"function"!=typeof n.then)return n;if(!this._asyncMode)throw new Error("Promise returned in synchronous mode: "+e.transition);return n.then(function(t){if(!1===t)throw new Error("Transition is vetoed: "+e.transition);return t})},o.prototype.assignContext=function(t,e){var n=this,r=this._context,i="function"==typeof t?t(r,e.payload):q.mapObject(t,function(t){return"function"==typeof t?t(r,e.payload):t});this._context=q.extend({},r,i),e.context=this._context;var o={context:this._context,previous:r,lifecycle:e};this.deliver(this._handlers.onContextChange,function(){Y(n._handlers,"onContextChange")(o)}),this.notifyContext()},o.prototype.notifyContext=function(){var t=this,e=this._context;this.deliver(this._contextSubject.observers,function(){return t._contextSubject.next(e)})},o.prototype.reportError=function(t,e,n,r){var i=this;(this._errorHandler||K)(t,e,n,r),this.deliver(this._errorSubject.observers,function(){i._errorSubject.next({name:t,from:e,to:n,error:r})})},o.prototype.deliver=function(t,e){t&&0<t.length?this._execution.notify(e):e()},o.prototype.transitionOf=function(t){return this._transitionConfiguration[t]||this._reentryConfiguration[t]},o.prototype.stepsOf=function(t){var e=this.transitionOf(t.transition),n=this._stateConfiguration[t.from]?this.pathOf(t.from):[],r=this.pathOf(t.to);if(e&&e.from===e.to){if(e.internal)return{exit:[],entry:[]};var i=B(n,e.from);return{exit:n.slice(i).reverse(),entry:r.slice(i)}}return function o(t,e){for(var n=0;n<t.length&&n<e.length&&t[n]===e[n];)n++;return{exit:t.slice(n).reverse(),entry:e.slice(n)}}(n,r)},o.prototype.implOf=function(t){t=t||V;var e=this._impls[t];if(!e)throw new Error("Undefined region: "+t);return e},o.prototype.addRegion=function(t,e){this.ensureConfigureStage();var n=this._regionConfiguration;if(t===V||n[t])throw new Error("Redefined region: "+t);return n[t]={initState:e},this},o.prototype.addState=function(t,e,n,r){this.ensureConfigureStage();var i=this._stateConfiguration;if(i[t]||this._historyConfiguration[t])throw new Error("Redefined state: "+t);var o=(r=r||{}).parent;if(o){if(!i[o])throw new Error("Undefined parent state: "+o)}else{var s=t.lastIndexOf(".");0<s&&i[t.substring(0,s)]&&(o=t.substring(0,s))}var a=r.region||V;if(a!==V&&!this._regionConfiguration[a])throw new Error("Undefined region: "+a);if(o){if(r.region&&r.region!==i[o].region)throw new Error("State and its parent are in different regions: "+t);a=i[o].region}return i[t]={onEnterCallback:e,onLeaveCallback:n,parent:o,initial:r.initial,children:[],region:a,"final":r["final"]},o&&i[o].children.push(t),this},o.prototype.addHistoryState=function(t,e,n){this.ensureConfigureStage();var r=this._stateConfiguration,i=this._historyConfiguration;if(r[t]||i[t])throw new Error("Redefined state: "+t);if(!r[e])throw new Error("Undefined parent state: "+e);return n=n||{},i[t]={parent:e,deep:!!n.deep,defaultTarget:n.defaultTarget,region:r[e].region},this},o.prototype.resolveHistoryState=function(t){var e=this._historyConfiguration[t],n=this._lastActive[e.parent];if(!n)return this.resolveAtomicState(e.defaultTarget||e.parent);if(e.deep)return n;var r=this.pathOf(n);return this.resolveAtomicState(r[B(r,e.parent)+1])},o.prototype.rememberHistory=function(t,e){var n=this._historyConfiguration;for(var r in n)n.hasOwnProperty(r)&&0<=B(e,n[r].parent)&&(this._lastActive[n[r].parent]=t)},o.prototype.setInitState=function(t){if(this.ensureConfigureStage(),this._initState)throw new Error("Redefined init state: "+this._initState);return this._initState=t,this},o.prototype.setAsyncMode=function(t){return this.ensureConfigureStage(),this._asyncMode=t,this},o.prototype.setSameStatePolicy=function(t){if(this.ensureConfigureStage(),B(Z,t)<0)throw new Error("Undefined same-state policy: "+t);return this._sameStatePolicy=t,this},o.prototype.setScheduler=function(t){return this.ensureConfigureStage(),this._scheduler=t,this},o.prototype.setExecutionStrategy=function(t){return this.ensureConfigureStage(),this._execution=t,this},o.prototype.setHistoryLimit=function(t){return this.ensureConfigureStage(),this._historyLimit=t,this},o.prototype.setContext=function(t){return this.ensureConfigureStage(),this._context=t,this},o.prototype.addTransition=function(t,e,n,r,i){this.ensureConfigureStage();var o=this._stateConfiguration,s=this._transitionConfiguration;if(!o[t])throw new Error("Undefined source state: "+t);var a=o[e]||this._historyConfiguration[e];if(!a)throw new Error("Undefined target state: "+e);if(o[t].region!==a.region)throw new Error("Transition across regions: "+t+" -> "+e);var u=v.replace(z,{from:t,to:e});if(s[u])throw new Error("Redefined transition: "+t+" -> "+e);if((i=i||{}).compensation&&!o[i.compensation])throw new Error("Undefined compensation state: "+i.compensation);if(i.internal&&t!==e)throw new Error("Internal transition to another state: "+t+" -> "+e);if(s[u]={from:t,to:e,onAfterCallback:n,onBeforeCallback:r,guard:i.guard,event:i.event,assign:i.assign,delay:i.delay,compensation:i.compensation,internal:i.internal},i.event){var h=this._eventConfiguration;h[i.event]=h[i.event]||[],h[i.event].push(u)}return this},o.prototype.createImpl=function(s,t,e){var a=this,u=this._stateConfiguration,n=this._transitionConfiguration;if(!u[t]||u[t].region!==s)throw new Error("Undefined init state: "+t);var r=[],i={},o=q.extend({},n,this._reentryConfiguration),h=function(t){if(o.hasOwnProperty(t)){var e=o[t];if(u[e.from].region!==s)return"continue";var n=void 0;n=e.internal?"*":f._historyConfiguration[e.to]?function(){return a.resolveHistoryState(e.to)}:f.resolveAtomicState(e.to),r.push({name:t,from:f.atomicStatesOf(e.from),to:n})}},f=this;for(var c in o)h(c);var p=Y(this._handlers,"onEnterState"),l=Y(this._handlers,"onLeaveState"),d=null,g=e;i.onBeforeTransition=function(t,e){if(!g){var n=a.transitionOf(t.transition);return d={transition:t.transition,from:t.from,to:t.to,region:s,event:n?n.event:undefined,payload:e,context:a._context},n&&n.onBeforeCallback?a.invokeVetoableCallbacks([n.onBeforeCallback],d):void 0}},i.onTransition=function(t){if(!g){var e=a.transitionOf(t.transition);if(e){var n=a.stepsOf(t).exit;a.cancelDelayedTransitions(n),a.rememberHistory(t.from,n)}e&&e.assign&&a.assignContext(e.assign,d)}},i.onAfterTransition=function(t){if(!g){var e=a.transitionOf(t.transition);e&&(a.recordHistory(d),a._settledEvents[s]=d),e&&e.onAfterCallback&&e.onAfterCallback(d)}},i.onLeaveState=function(t){var e=a.stepsOf(t);if(!g&&(e.exit.length||e.entry.length)){e.exit.length&&a.deliver(a._handlers.onLeaveState,function(){return l(d)});for(var n=[],r=0,i=e.exit;r<i.length;r++){var o=i[r],s=u[o];s.onLeaveCallback&&n.push(s.onLeaveCallback)}return a.invokeVetoableCallbacks(n,d)}},i.onEnterState=function(t){var e=a.stepsOf(t);if(!g&&(e.exit.length||e.entry.length)){a.deliver(a._handlers.onEnterState,function(){return p(d)});for(var n=0,r=e.entry;n<r.length;n++){var i=r[n],o=u[i];o.onEnterCallback&&o.onEnterCallback(d)}a.scheduleDelayedTransitions(e.entry,s)}};var m=function(t){if(i.hasOwnProperty(t)){var r=i[t];i[t]=function(t,e){try{return r(t,e)}catch(n){return a.reportError(t.transition,t.from,t.to,n),!1}}}};for(var v in i)m(v);var y=new G({init:this.resolveAtomicState(t),observeUnchangedState:!0,transitions:r,methods:i,onInvalidTransition:function(t,e,n){return a.reportError(t,e,n)}});return g=!1,e&&this.scheduleDelayedTransitions(this.pathOf(y.state),s),y},o.prototype.scheduleDelayedTransitions=function(r,i){var o=this,s=this._transitionConfiguration,t=function(t){if(s.hasOwnProperty(t)){var e=s[t];if(e.delay===undefined||null===e.delay||B(r,e.from)<0)return"continue";var n=a._scheduler.setTimeout(function(){o.fireDelayedTransition(i,t)},e.delay);a._timers[e.from]=a._timers[e.from]||[],a._timers[e.from].push(n)}},a=this;for(var e in s)t(e)},o.prototype.cancelDelayedTransitions=function(t){for(var e=0,n=t;e<n.length;e++){for(var r=n[e],i=0,o=this._timers[r]||[];i<o.length;i++){var s=o[i];this._scheduler.clearTimeout(s)}delete this._timers[r]}},o.prototype.fireDelayedTransition=function(t,e){var n=this._impls&&this._impls[t],r=this.transitionOf(e);if(n&&!this._pendingRegions[t]&&!n.cannot(e)&&(!r.guard||r.guard(this._context))){var i=n.state;try{this.fireTransition(t,e)}catch(o){this.reportError(e,i,r.to,o)}}},o.prototype.recordHistory=function(t){var e=this._replays[t.region];if(delete this._replays[t.region],e&&"undo"===e.kind)return this._history=J(this._history,e.entry),void this._undone.push(e.entry);e&&"redo"===e.kind?this._undone=J(this._undone,e.entry):this._undone=[],this._history.push({transition:t.transition,from:t.from,to:t.to,region:t.region,payload:t.payload,timestamp:Date.now()}),this._history.length>this._historyLimit&&this._history.shift()},o.prototype.validateSnapshot=function(t,e){if(1!==t.version)throw new Error("Unsupported snapshot version: "+t.version);var n=this._stateConfiguration;for(var r in t.state)if(t.state.hasOwnProperty(r)){if(B(e,r)<0)throw new Error("Undefined region in snapshot: "+r);var i=n[t.state[r]];if(!i||i.region!==r)throw new Error("Undefined state in snapshot: "+t.state[r])}},o.prototype.start=function(n){var r=this;this.ensureConfigureStage();var t=this._stateConfiguration,e=this._regionConfiguration,i=!!this._initState||q.isEmpty(e),o={};for(var s in t)if(t.hasOwnProperty(s)){var a=t[s];if(a.initial&&B(a.children,a.initial)<0)throw new Error("Undefined initial child state: "+s+" -> "+a.initial);a.region===V&&(i=!0);var u=v.replace(z,{from:s,to:s});"reenter"!==this._sameStatePolicy||this._transitionConfiguration[u]||(o[u]={from:s,to:s})}if(this._reentryConfiguration=o,i&&!this._initState)throw new Error("Init state has not been defined.");var h=this._historyConfiguration;for(var f in h)if(h.hasOwnProperty(f)){var c=h[f];if(0===t[c.parent].children.length)throw new Error("History state of an atomic state: "+f);var p=c.defaultTarget;if(p&&(!t[p]||B(this.pathOf(p),c.parent)<0||p===c.parent))throw new Error("Undefined default target of history state: "+f+" -> "+p)}var l={};for(var d in i&&(l[V]=this._initState),e)e.hasOwnProperty(d)&&(l[d]=e[d].initState);n&&this.validateSnapshot(n,q.keys(l)),this.loadRunningStatus(n);var g={};this._execution.execute(function(){for(var t in l)if(l.hasOwnProperty(t)){var e=n&&n.state[t];g[t]=r.createImpl(t,e||l[t],!!e)}}),this._impls=g;var m=this.configuration();return this.deliver(this._configurationSubject.observers,function(){return r._configurationSubject.next(m)}),this.notifyContext(),this},o.prototype.loadRunningStatus=function(t){this._lastActive=t?(this._context=t.context,this._history=(t.history||[]).slice(-this._historyLimit),this._undone=(t.undone||[]).slice(-this._historyLimit),q.extend({},t.lastActive)):(this._history=[],this._undone=[],{})},o.prototype.restore=function(r){var i=this;if(this.ensureRunningStage(),!q.isEmpty(this._pendingRegions))throw new Error("Transition is in progress: "+q.keys(this._pendingRegions).join(", "));var o=q.keys(this._impls);this.validateSnapshot(r,o),this.cancelDelayedTransitions(q.keys(this._timers)),this.loadRunningStatus(r);var s={};this._execution.execute(function(){for(var t=0,e=o;t<e.length;t++){var n=e[t];s[n]=i.createImpl(n,r.state[n]||i._impls[n].state,!0)}}),this._impls=s;var t=this.configuration();return this.deliver(this._configurationSubject.observers,function(){return i._configurationSubject.next(t)}),this.notifyContext(),this},o.prototype.watchState=function(e){return e=e||V,this.configuration$.pipe(u.filter(function(t){return t.hasOwnProperty(e)}),u.map(function(t){return t[e]}),u.distinctUntilChanged())},o.prototype.dispose=function(){this._disposed||(this._disposed=!0,this.cancelDelayedTransitions(q.keys(this._timers)),this._configurationSubject.complete(),this._transitionSubject.complete(),this._errorSubject.complete(),this._contextSubject.complete())},o.prototype.onEnterState=function(t){var e=this._handlers.onEnterState;if(0<=B(e,t))throw new Error("Re-registering a hander!");return e.push(t),this},o.prototype.onExitState=function(t){var e=this._handlers.onLeaveState;if(0<=B(e,t))throw new Error("Registering a hander!");return e.push(t),this},o.prototype.offEnterState=function(t){var e=this._handlers.onEnterState;return this._handlers.onEnterState=J(e,t),this},o.prototype.offExitState=function(t){var e=this._handlers.onLeaveState;return this._handlers.onLeaveState=J(e,t),this},o.prototype.seekTransition=function(t,e,n){for(var r=this.pathOf(t.state),i=null,o=r.length-1;0<=o;o--)for(var s=0,a=e(r[o]);s<a.length;s++){var u=a[s],h=this.transitionOf(u);if(h&&!t.cannot(u)){if(!h.guard||h.guard(this._context,n))return{name:u,rejected:null};i=i||u}}return{name:null,rejected:i}},o.prototype.fireTransition=function(t,e,n){var r=this,i=this._impls[t],o=i.state,s=this.transitionOf(e),a=s.to,u=i[e],h=this._middleware.slice(),f={transition:e,from:o,to:a,region:t,event:s.event,payload:n,context:this._context},c=function(){return function s(e,n,r,i){if(void 0===i&&(i=0),i>=e.length)return r(n.payload);var o=!1;return e[i](n,function(t){if(o)throw new Error("Calling next more than once: "+n.transition);return o=!0,0<arguments.length&&(n.payload=t),s(e,n,r,i+1)})}(h,f,function(t){return u.call(i,t)})};if(this._pendingRegions[t]=!0,!this._asyncMode){try{this._execution.execute(c)}finally{delete this._pendingRegions[t],this.notifySettled(t)}return this}var p=function(){return delete r._pendingRegions[t],r.notifySettled(t),i.state};return this._execution.execute(function(){return Promise.resolve().then(c).then(null,function(t){r.reportError(e,o,a,t)}).then(p,function(t){throw p(),t})})},o.prototype.notifySettled=function(t){var e=this,n=this._settledEvents[t];if(delete this._settledEvents[t],n&&!this._disposed){var r=this.configuration();this.deliver(this._configurationSubject.observers,function(){return e._configurationSubject.next(r)}),this.deliver(this._transitionSubject.observers,function(){return e._transitionSubject.next(n)})}},o.prototype.onContextChange=function(t){var e=this._handlers.onContextChange;if(0<=B(e,t))throw new Error("Re-registering a hander!");return e.push(t),this},o.prototype.offContextChange=function(t){var e=this._handlers.onContextChange;return this._handlers.onContextChange=J(e,t),this},o.prototype.use=function(t){if(0<=B(this._middleware,t))throw new Error("Re-registering a middleware!");return this._middleware.push(t),this},o.prototype.unuse=function(t){return this._middleware=J(this._middleware,t),this},o.prototype.go=function(e,t){this.ensureRunningStage();var n=this._stateConfiguration,r=n[e]||this._historyConfiguration[e];if(!r)throw new Error("Go to undefined state: "+e);var i=r.region,o=this.implOf(i),s=o.state;if(this._pendingRegions[i])throw new Error("Transition is in progress: "+s+" -> "+e);var a=this.seekTransition(o,function(t){return[v.replace(z,{from:t,to:e})]},t);if(!a.name&&a.rejected)return this.reportError(a.rejected,s,e),this._asyncMode?Promise.resolve(s):this;if(!a.name&&n[e]&&0<=B(this.pathOf(s),e)){if("error"===this._sameStatePolicy)throw new Error("Already in state: "+e);return this._asyncMode?Promise.resolve(s):this}if(!a.name)throw new Error("Transition is not allowed: "+s+" -> "+e);return this.fireTransition(i,a.name,t)},o.prototype.send=function(r,i){this.ensureRunningStage();var o=this._eventConfiguration[r];if(!o)throw new Error("Send undefined event: "+r);var s=this._transitionConfiguration,a=this._stateConfiguration,u={},h=null,t=function(n){if(f._impls.hasOwnProperty(n)){var t=f._impls[n];if(f._pendingRegions[n])throw new Error("Transition is in progress: "+t.state+" -> "+r);var e=f.seekTransition(t,function(e){return q.filter(o,function(t){return s[t].from===e&&a[e].region===n})},i);e.name&&(u[n]=e.name),h=h||e.rejected}},f=this;for(var e in this._impls)t(e);if(q.isEmpty(u)){if(h)this.reportError(r,s[h].from,s[h].to);else{e=a[s[o[0]].from].region;this.reportError(r,this._impls[e].state,null)}return this._asyncMode?Promise.resolve([]):this}var n=[];for(var e in u)if(u.hasOwnProperty(e)){var c=this.fireTransition(e,u[e],i);this._asyncMode&&n.push(c)}return this._asyncMode?Promise.all(n):this},o.prototype.can=function(e,t){this.ensureRunningStage();var n=this._stateConfiguration[e]||this._historyConfiguration[e];if(!n)return!1;var r=this.implOf(n.region);return!!this.seekTransition(r,function(t){return[v.replace(z,{from:t,to:e})]},t).name},o.prototype.history=function(){return this._history.slice()},o.prototype.seekUndoTransition=function(t,e){var n=this.transitionOf(e.transition),r=n&&(n.compensation||n.from),i=this._stateConfiguration[e.to]?this.pathOf(e.to):[];return this.seekTransition(t,function(t){return r&&0<=B(i,t)?[v.replace(z,{from:t,to:r})]:[]},e.payload)},o.prototype.seekRedoTransition=function(t,e){var n=this.transitionOf(e.transition);return this.seekTransition(t,function(t){return n&&n.from===t?[e.transition]:[]},e.payload)},o.prototype.replay=function(t,e){var n=this,r=e.region,i=this.implOf(r),o=i.state;if(this._pendingRegions[r])throw new Error("Transition is in progress: "+o+" -> "+t);var s="undo"===t?this.seekUndoTransition(i,e):this.seekRedoTransition(i,e);if(!s.name&&s.rejected)return this.reportError(s.rejected,o,this.transitionOf(s.rejected).to),this._asyncMode?Promise.resolve(o):this;if(!s.name)throw new Error("Transition cannot be "+("undo"===t?"undone":"redone")+": "+e.transition);if(this._replays[r]={kind:t,entry:e},!this._asyncMode)try{return this.fireTransition(r,s.name,e.payload)}finally{delete this._replays[r]}return this.fireTransition(r,s.name,e.payload).then(function(t){return delete n._replays[r],t},function(t){throw delete n._replays[r],t})},o.prototype.undo=function(){if(this.ensureRunningStage(),!this._history.length)throw new Error("Nothing to undo.");return this.replay("undo",this._history[this._history.length-1])},o.prototype.redo=function(){if(this.ensureRunningStage(),!this._undone.length)throw new Error("Nothing to redo.");return this.replay("redo",this._undone[this._undone.length-1])},o.prototype.canUndo=function(){this.ensureRunningStage();var t=this._history[this._history.length-1];return!!t&&!this._pendingRegions[t.region]&&!!this.seekUndoTransition(this.implOf(t.region),t).name},o.prototype.canRedo=function(){this.ensureRunningStage();var t=this._undone[this._undone.length-1];return!!t&&!this._pendingRegions[t.region]&&!!this.seekRedoTransition(this.implOf(t.region),t).name},o.prototype.status=function(){return this._impls?q.isEmpty(this._pendingRegions)?"idle":"transitioning":"configuring"},o.prototype.snapshot=function(){if(this.ensureRunningStage(),!q.isEmpty(this._pendingRegions))throw new Error("Transition is in progress: "+q.keys(this._pendingRegions).join(", "));return JSON.parse(JSON.stringify({version:1,state:this.configuration(),context:this._context,history:this._history,undone:this._undone,lastActive:this._lastActive}))},o.prototype.getContext=function(){return this._context},o.prototype.addErrorHandler=function(t){return this.ensureConfigureStage(),this._errorHandler=t,this},o.prototype.current=function(t){return this.ensureRunningStage(),this.implOf(t).state},o.prototype.currentPath=function(t){return this.ensureRunningStage(),this.pathOf(this.implOf(t).state)},o.prototype.configuration=function(){this.ensureRunningStage();var t={};for(var e in this._impls)this._impls.hasOwnProperty(e)&&(t[e]=this._impls[e].state);return t},o.prototype.isActive=function(t){return 0<=B(this.activeStates(),t)},o.prototype.toDefinition=function(t){var e=[],n=this.describe(t||this._implementations||{},e);if(e.length)throw new g(e);return n},o.prototype.describe=function(r,i){var t=function(e,t){if(!e)return undefined;var n=q.findKey(r,function(t){return t===e});return n||(i.push({path:t,message:"Unnamed implementation"}),e.name||"anonymous")},e=function(t){return q.omit(t,q.isUndefined)},n=this._regionConfiguration,o=[];for(var s in n)n.hasOwnProperty(s)&&o.push({name:s,initial:n[s].initState});var a=this._stateConfiguration,u=[];for(var h in a)if(a.hasOwnProperty(h)){var f=a[h],c="/states/"+u.length;u.push(e({name:h,parent:f.parent,initial:f.initial,region:f.parent||f.region===V?undefined:f.region,"final":f["final"]||undefined,onEnter:t(f.onEnterCallback,c+"/onEnter"),onLeave:t(f.onLeaveCallback,c+"/onLeave")}))}var p=this._historyConfiguration,l=[];for(var d in p)p.hasOwnProperty(d)&&l.push(e({name:d,parent:p[d].parent,deep:p[d].deep||undefined,defaultTarget:p[d].defaultTarget}));var g=this._transitionConfiguration,m=[];for(var v in g)if(g.hasOwnProperty(v)){var y=g[v],_="/transitions/"+m.length,w=y.assign;"function"==typeof w?w=t(w,_+"/assign"):w&&q.some(w,function(t){return"function"==typeof t})&&i.push({path:_+"/assign",message:"Unnamed implementation"}),m.push(e({from:y.from,to:y.to,event:y.event,guard:t(y.guard,_+"/guard"),onBefore:t(y.onBeforeCallback,_+"/onBefore"),onAfter:t(y.onAfterCallback,_+"/onAfter"),assign:w,delay:y.delay,compensation:y.compensation,internal:y.internal}))}return e({version:1,initial:this._initState||undefined,asyncMode:this._asyncMode||undefined,sameStatePolicy:"ignore"!==this._sameStatePolicy?this._sameStatePolicy:undefined,context:this._context,regions:o.length?o:undefined,states:u,historyStates:l.length?l:undefined,transitions:m})},o.prototype.toScxml=function(t){return A(this.toDefinition(t))},o.prototype.analyze=function(){return U(this.describe(this._implementations||{},[]))},o.prototype.check=function(t,e){return H(this.describe(this._implementations||{},[]),t,e)},o.prototype.toDot=function(t){return E(this.describe(this._implementations||{},[]),{active:t?this.activeStates():[]})},o.prototype.toMermaid=function(t){return S(this.describe(this._implementations||{},[]),{active:t?this.activeStates():[]})},o.prototype.activeStates=function(){this.ensureRunningStage();var t=[];for(var e in this._impls)this._impls.hasOwnProperty(e)&&(t=t.concat(this.pathOf(this._impls[e].state)));return t},o}();var W=function(){function t(t,e){var n=this;e=e||{},this._machine=t,this._records=[],this._nextId=0,this._maxRecords=e.maxRecords||500,this._subscriptions=[],this._contextHandler=function(t){return n.onContextChange(t)};var r=e.devTools||function i(){var t="undefined"!=typeof window?window:null;return t&&t.__REDUX_DEVTOOLS_EXTENSION__||null}();this._connection=r?r.connect({name:e.name||"FiniteStateMachine"}):null,this.append({type:"start",context:t.getContext(),snapshot:t.snapshot(),timestamp:Date.now()}),this._connection&&(this._connection.init(this.stateOf(this._records[0])),this._connection.subscribe(function(t){return n.onMessage(t)})),t.onContextChange(this._contextHandler),this._subscriptions.push(t.transitions$.subscribe(function(t){return n.onTransition(t)})),this._subscriptions.push(t.errors$.subscribe(function(t){return n.onError(t)}))}return t.prototype.records=function(){return this._records.slice()},t.prototype.jumpTo=function(t){for(var e=this._records,n=e.length-1;0<=n&&e[n].id!==t;)n--;if(n<0)throw new Error((0<t&&t<this._nextId?"Dropped record: ":"Undefined record: ")+t);for(;!e[n].snapshot;){if(e[n-1].id!==e[n].id-1)throw new Error("Dropped record: "+(e[n].id-1));n--}return this._machine.restore(e[n].snapshot),this},t.prototype.detach=function(){for(var t=0,e=this._subscriptions;t<e.length;t++){e[t].unsubscribe()}this._subscriptions=[],this._machine.offContextChange(this._contextHandler),this._connection&&(this._connection.unsubscribe(),this._connection=null)},t.prototype.onTransition=function(t){var e="idle"===this._machine.status();this.append({type:"transition",transition:t.transition,event:t.event,from:t.from,to:t.to,payload:t.payload,context:this._machine.getContext(),snapshot:e?this._machine.snapshot():undefined,timestamp:Date.now()})},t.prototype.onContextChange=function(t){this.append({type:"context",transition:t.lifecycle.transition,payload:t.lifecycle.payload,context:t.context,previous:t.previous,timestamp:Date.now()})},t.prototype.onError=function(t){this.append({type:"error",transition:t.name,from:t.from,to:t.to,error:t.error,context:this._machine.getContext(),timestamp:Date.now()}),this._connection&&this._connection.error("Transition "+t.name+" from "+t.from+" to "+t.to+" fails.")},t.prototype.append=function(t){t.id=this._nextId++,this._records.push(t),this._records.length>this._maxRecords&&this._records.splice(1,1),this._connection&&"start"!==t.type&&this._connection.send(this.actionOf(t),this.stateOf(t))},t.prototype.actionOf=function(t){return{type:"transition"===t.type?t.event||t.transition:t.type+": "+t.transition,transition:t.transition,from:t.from,to:t.to,payload:t.payload}},t.prototype.stateOf=function(t){return{state:t.snapshot?t.snapshot.state:this._machine.configuration(),context:t.context}},t.prototype.onMessage=function(t){if("DISPATCH"===t.type&&t.payload)switch(t.payload.type){case"JUMP_TO_STATE":case"JUMP_TO_ACTION":try{this.jumpTo(t.payload.actionId)}catch(e){this._connection.error(e.message)}break;case"RESET":this.jumpTo(0),this.commit();break;case"COMMIT":this.commit()}},t.prototype.commit=function(){this._records=[],this._nextId=0,this.append({type:"start",context:this._machine.getContext(),snapshot:this._machine.snapshot(),timestamp:Date.now()}),this._connection&&this._connection.init(this.stateOf(this._records[0]))},t}(),tt=function(){function t(t){this.name=t,this.actions=[],this.states=[],this.errors=[],this._listeners=[]}return t.prototype.init=function(t){this.actions=[null],this.states=[t]},t.prototype.send=function(t,e){this.actions.push(t),this.states.push(e)},t.prototype.subscribe=function(e){var t=this;return this._listeners.push(e),function(){t._listeners=t._listeners.filter(function(t){return t!==e})}},t.prototype.unsubscribe=function(){this._listeners=[]},t.prototype.error=function(t){this.errors.push(t)},t.prototype.dispatch=function(t){for(var e=0,n=this._listeners.slice();e<n.length;e++){(0,n[e])(t)}},t.prototype.jumpToAction=function(t){this.dispatch({type:"DISPATCH",payload:{type:"JUMP_TO_ACTION",actionId:t},state:JSON.stringify(this.states[t])})},t}(),et=function(){function t(){this.connections=[]}return t.prototype.connect=function(t){var e=new tt(t&&t.name);return this.connections.push(e),e},t}(),nt=new r.InjectionToken("MACHINE_REGISTRATIONS"),rt=new r.InjectionToken("MACHINE_EXECUTION_STRATEGY"),it=function(){function t(t,e,n){this._registrations={},this._machines={},this._parent=e,this._execution=n;for(var r=0,i=t||[];r<i.length;r++)for(var o=0,s=i[r];o<s.length;o++){var a=s[o];if(this._registrations[a.name])throw new Error("Re-registering a machine: "+a.name);this._registrations[a.name]=a}}return t.prototype.has=function(t){return!!this._registrations[t]||!!this._parent&&this._parent.has(t)},t.prototype.get=function(t){var e=this._registrations[t];if(!e){if(!this._parent)throw new Error("Undefined machine: "+t);return this._parent.get(t)}if(!this._machines[t]){var n=Q.fromDefinition(e.definition,e.implementations);this._execution&&n.setExecutionStrategy(this._execution),this._machines[t]=n.start()}return this._machines[t]},t.prototype.ngOnDestroy=function(){for(var t in this._machines)this._machines.hasOwnProperty(t)&&this._machines[t].dispose();this._machines={}},t.decorators=[{type:r.Injectable}],t.ctorParameters=function(){return[{type:Array,decorators:[{type:r.Optional},{type:r.Inject,args:[nt]}]},{type:t,decorators:[{type:r.Optional},{type:r.SkipSelf}]},{type:undefined,decorators:[{type:r.Optional},{type:r.Inject,args:[rt]}]}]},t}();function ot(e,t){return!(!e||"configuring"===e.status())&&("string"==typeof t?[t]:t||[]).some(function(t){return e.isActive(t)})}var st=function(){function t(t,e,n){this._viewContainer=t,this._templateRef=e,this._zone=n,this._subscription=null,this._shown=null}return t.prototype.ngOnChanges=function(t){var e=this;t.fsmStateMachine&&(this.unsubscribe(),this.fsmStateMachine&&(this._subscription=this.fsmStateMachine.configuration$.subscribe(function(){e._zone.run(function(){return e.render()})}))),this.render()},t.prototype.ngOnDestroy=function(){this.unsubscribe()},t.prototype.unsubscribe=function(){this._subscription&&(this._subscription.unsubscribe(),this._subscription=null)},t.prototype.render=function(){var t=ot(this.fsmStateMachine,this.fsmState)?this._templateRef:this.fsmStateElse||null;t!==this._shown&&(this._viewContainer.clear(),t&&this._viewContainer.createEmbeddedView(t),this._shown=t)},t.decorators=[{type:r.Directive,args:[{selector:"[fsmState]"}]}],t.ctorParameters=function(){return[{type:r.ViewContainerRef},{type:r.TemplateRef},{type:r.NgZone}]},t.propDecorators={fsmState:[{type:r.Input}],fsmStateMachine:[{type:r.Input}],fsmStateElse:[{type:r.Input}]},t}(),at="default",ut=function(){function t(t,e){this._changeDetector=t,this._zone=e,this._machine=null,this._subscription=null,this._configuration=null}return t.prototype.transform=function(t,e){var n=this;if(t!==this._machine&&(this.unsubscribe(),this._machine=t,this._configuration=null,t&&(this._subscription=t.configuration$.subscribe(function(t){n._configuration=t,n._zone.run(function(){return n._changeDetector.markForCheck()})}))),e!==undefined)return ot(t,e);var r=this._configuration;return r?r.hasOwnProperty(at)?r[at]:r:null},t.prototype.ngOnDestroy=function(){this.unsubscribe()},t.prototype.unsubscribe=function(){this._subscription&&(this._subscription.unsubscribe(),this._subscription=null)},t.decorators=[{type:r.Pipe,args:[{name:"fsmState",pure:!1}]}],t.ctorParameters=function(){return[{type:r.ChangeDetectorRef},{type:r.NgZone}]},t}();function ht(t){var e=t.data&&t.data.fsm;if(!e||!e.machine)throw new Error("Undefined route data: fsm");return e}var ft=[];function ct(t,e,n,r){var i,o;try{if(e.isActive(n))return Promise.resolve(!0);if(!e.can(n))return Promise.resolve(!1);if(!r)return Promise.resolve(!0);i=e.snapshot(),o=e.go(n)}catch(s){return Promise.resolve(!1)}return Promise.resolve(o).then(function(){return!!e.isActive(n)&&(function s(t,r,e){var n=JSON.stringify(r.configuration()),i=ft.filter(function(t){return t.machine===r})[0];if(i)return void(i.taken=n);var o={machine:r,snapshot:e,taken:n};ft.push(o),t.events.pipe(u.filter(function(t){return t instanceof a.NavigationEnd||t instanceof a.NavigationCancel||t instanceof a.NavigationError}),u.take(1)).subscribe(function(t){if(ft.splice(ft.indexOf(o),1),!(t instanceof a.NavigationEnd||"idle"!==r.status())){var e;try{e=JSON.stringify(r.configuration())}catch(n){return}e===o.taken&&r.restore(o.snapshot)}})}(t,e,i),!0)},function(){return!1})}var pt=function(){function t(t,e){this._registry=t,this._router=e}return t.prototype.canActivate=function(t){var e=this,n=ht(t);if(!n.state)return Promise.resolve(!0);var r=this._registry.get(n.machine);return ct(this._router,r,n.state,n.go).then(function(t){return t||e.redirect(r,n)})},t.prototype.redirect=function(t,e){var n,r=e.redirects||{},i=!!e.redirectTo&&this._router.parseUrl(e.redirectTo);try{n=t.configuration()}catch(u){return i}for(var o in n)if(n.hasOwnProperty(o))for(var s=t.currentPath(o),a=s.length-1;0<=a;a--)if(r.hasOwnProperty(s[a]))return this._router.parseUrl(r[s[a]]);return i},t.decorators=[{type:r.Injectable}],t.ctorParameters=function(){return[{type:it},{type:a.Router}]},t}(),lt=function(){function t(t,e){this._registry=t,this._router=e}return t.prototype.canDeactivate=function(t,e){var n=ht(e);return n.exit?ct(this._router,this._registry.get(n.machine),n.exit,n.go):Promise.resolve(!0)},t.decorators=[{type:r.Injectable}],t.ctorParameters=function(){return[{type:it},{type:a.Router}]},t}(),dt=function(){function e(){}return e.forRoot=function(t){return{ngModule:e,providers:[{provide:nt,useValue:t||[],multi:!0},it,pt,lt]}},e.forFeature=function(t){return{ngModule:e,providers:[{provide:nt,useValue:t,multi:!0},it,pt,lt]}},e.decorators=[{type:r.NgModule,args:[{declarations:[st,ut],exports:[st,ut]}]}],e}(),gt=function(){function t(t){this._zone=t}return t.prototype.execute=function(t){return this._zone.runOutsideAngular(t)},t.prototype.notify=function(t){r.NgZone.isInAngularZone()?t():this._zone.run(t)},t.decorators=[{type:r.Injectable}],t.ctorParameters=function(){return[{type:r.NgZone}]},t}();t.FiniteStateMachine=Q,t.validateDefinition=p,t.parentsOf=d,t.definitionVersion=1,t.DefinitionError=g,t.machineDefinitionSchema=h,t.renderDot=E,t.renderMermaid=S,t.parseScxml=P,t.serializeScxml=A,t.buildStateGraph=k,t.analyzeDefinition=U,t.parseProperty=I,t.checkProperty=H,t.realTimeScheduler=X,t.VirtualScheduler=$,t.directExecutionStrategy=F,t.MachineInspector=W,t.LocalDevToolsConnection=tt,t.LocalDevTools=et,t.provideMachines=function mt(t){return[{provide:nt,useValue:t,multi:!0},it]},t.MACHINE_REGISTRATIONS=nt,t.MACHINE_EXECUTION_STRATEGY=rt,t.MachineRegistry=it,t.FeBehaviorModule=dt,t.isAnyStateActive=ot,t.FsmStateDirective=st,t.FsmStatePipe=ut,t.machineRouteDataKey="fsm",t.FsmCanActivateGuard=pt,t.FsmCanDeactivateGuard=lt,t.NgZoneExecutionStrategy=gt,Object.defineProperty(t,"__esModule",{value:!0})});
 //# sourceMappingURL=polpware-fe-behavior.umd.min.js.map
\ No newline at end of file
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * @fileOverview
+ * Provides the Angular module which makes finite state machines injectable.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { NgModule } from '@angular/core';
+import { MACHINE_REGISTRATIONS, MachineRegistry } from './machine-registry';
+import { FsmStateDirective } from './fsm-state.directive';
+import { FsmStatePipe } from './fsm-state.pipe';
+import { FsmCanActivateGuard, FsmCanDeactivateGuard } from './fsm-route-guards';
+/**
+ * The Angular module of the package. The machines registered with
+ * forRoot are shared by the whole application, and the machines
+ * registered with forFeature in a lazy loaded module are
+ * created in the injector of that module. The module also provides
+ * the fsmState directive and pipe for templates, and the route guards
+ * which consult the machines of the same injector.
+ */
+export class FeBehaviorModule {
+    /**
+     * Registers the given machines in the root injector.
+     * @param {?=} registrations
+     * @return {?}
+     */
+    static forRoot(registrations) {
+        return {
+            ngModule: FeBehaviorModule,
+            providers: [
+                { provide: MACHINE_REGISTRATIONS, useValue: registrations || [], multi: true },
+                MachineRegistry,
+                FsmCanActivateGuard,
+                FsmCanDeactivateGuard
+            ]
+        };
+    }
+    /**
+     * Registers the given machines in the injector of a feature module.
+     * @param {?} registrations
+     * @return {?}
+     */
+    static forFeature(registrations) {
+        return {
+            ngModule: FeBehaviorModule,
+            providers: [
+                { provide: MACHINE_REGISTRATIONS, useValue: registrations, multi: true },
+                MachineRegistry,
+                FsmCanActivateGuard,
+                FsmCanDeactivateGuard
+            ]
+        };
+    }
+}
+FeBehaviorModule.decorators = [
+    { type: NgModule, args: [{
+                declarations: [FsmStateDirective, FsmStatePipe],
+                exports: [FsmStateDirective, FsmStatePipe]
+            },] }
+];
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZmUtYmVoYXZpb3IubW9kdWxlLmpzIiwic291cmNlUm9vdCI6Im5nOi8vQHBvbHB3YXJlL2ZlLWJlaGF2aW9yLyIsInNvdXJjZXMiOlsibGliL2FuZ3VsYXIvZmUtYmVoYXZpb3IubW9kdWxlLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7Ozs7Ozs7QUFNQSxPQUFPLEVBQXVCLFFBQVEsRUFBRSxNQUFNLGVBQWUsQ0FBQztBQUM5RCxPQUFPLEVBQXdCLHFCQUFxQixFQUFFLGVBQWUsRUFBRSxNQUFNLG9CQUFvQixDQUFDO0FBQ2xHLE9BQU8sRUFBRSxpQkFBaUIsRUFBRSxNQUFNLHVCQUF1QixDQUFDO0FBQzFELE9BQU8sRUFBRSxZQUFZLEVBQUUsTUFBTSxrQkFBa0IsQ0FBQztBQUNoRCxPQUFPLEVBQUUsbUJBQW1CLEVBQUUscUJBQXFCLEVBQUUsTUFBTSxvQkFBb0IsQ0FBQzs7Ozs7Ozs7O0FBZWhGLE1BQU0sT0FBTyxnQkFBZ0I7Ozs7OztJQUt6QixNQUFNLENBQUMsT0FBTyxDQUFDLGFBQTJDO1FBQ3RELE9BQU87WUFDSCxRQUFRLEVBQUUsZ0JBQWdCO1lBQzFCLFNBQVMsRUFBRTtnQkFDUCxFQUFFLE9BQU8sRUFBRSxxQkFBcUIsRUFBRSxRQUFRLEVBQUUsYUFBYSxJQUFJLEVBQUUsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFO2dCQUM5RSxlQUFlO2dCQUNmLG1CQUFtQjtnQkFDbkIscUJBQXFCO2FBQ3hCO1NBQ0osQ0FBQztJQUNOLENBQUM7Ozs7OztJQUtELE1BQU0sQ0FBQyxVQUFVLENBQUMsYUFBMEM7UUFDeEQsT0FBTztZQUNILFFBQVEsRUFBRSxnQkFBZ0I7WUFDMUIsU0FBUyxFQUFFO2dCQUNQLEVBQUUsT0FBTyxFQUFFLHFCQUFxQixFQUFFLFFBQVEsRUFBRSxhQUFhLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRTtnQkFDeEUsZUFBZTtnQkFDZixtQkFBbUI7Z0JBQ25CLHFCQUFxQjthQUN4QjtTQUNKLENBQUM7SUFDTixDQUFDOzs7WUFsQ0osUUFBUSxTQUFDO2dCQUNOLFlBQVksRUFBRSxDQUFDLGlCQUFpQixFQUFFLFlBQVksQ0FBQztnQkFDL0MsT0FBTyxFQUFFLENBQUMsaUJBQWlCLEVBQUUsWUFBWSxDQUFDO2FBQzdDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAZmlsZU92ZXJ2aWV3XG4gKiBQcm92aWRlcyB0aGUgQW5ndWxhciBtb2R1bGUgd2hpY2ggbWFrZXMgZmluaXRlIHN0YXRlIG1hY2hpbmVzIGluamVjdGFibGUuXG4gKiBAYXV0aG9yIFhpYW9sb25nIFRhbmcgPHh4bG9uZ3RhbmdAZ21haWwuY29tPlxuICogQGxpY2Vuc2UgQ29weXJpZ2h0IEBtZVxuICovXG5pbXBvcnQgeyBNb2R1bGVXaXRoUHJvdmlkZXJzLCBOZ01vZHVsZSB9IGZyb20gJ0Bhbmd1bGFyL2NvcmUnO1xuaW1wb3J0IHsgSU1hY2hpbmVSZWdpc3RyYXRpb24sIE1BQ0hJTkVfUkVHSVNUUkFUSU9OUywgTWFjaGluZVJlZ2lzdHJ5IH0gZnJvbSAnLi9tYWNoaW5lLXJlZ2lzdHJ5JztcbmltcG9ydCB7IEZzbVN0YXRlRGlyZWN0aXZlIH0gZnJvbSAnLi9mc20tc3RhdGUuZGlyZWN0aXZlJztcbmltcG9ydCB7IEZzbVN0YXRlUGlwZSB9IGZyb20gJy4vZnNtLXN0YXRlLnBpcGUnO1xuaW1wb3J0IHsgRnNtQ2FuQWN0aXZhdGVHdWFyZCwgRnNtQ2FuRGVhY3RpdmF0ZUd1YXJkIH0gZnJvbSAnLi9mc20tcm91dGUtZ3VhcmRzJztcblxuLyoqXG4gKiBUaGUgQW5ndWxhciBtb2R1bGUgb2YgdGhlIHBhY2thZ2UuIFRoZSBtYWNoaW5lcyByZWdpc3RlcmVkIHdpdGhcbiAqIGZvclJvb3QgYXJlIHNoYXJlZCBieSB0aGUgd2hvbGUgYXBwbGljYXRpb24sIGFuZCB0aGUgbWFjaGluZXNcbiAqIHJlZ2lzdGVyZWQgd2l0aCBmb3JGZWF0dXJlIGluIGEgbGF6eSBsb2FkZWQgbW9kdWxlIGFyZVxuICogY3JlYXRlZCBpbiB0aGUgaW5qZWN0b3Igb2YgdGhhdCBtb2R1bGUuIFRoZSBtb2R1bGUgYWxzbyBwcm92aWRlc1xuICogdGhlIGZzbVN0YXRlIGRpcmVjdGl2ZSBhbmQgcGlwZSBmb3IgdGVtcGxhdGVzLCBhbmQgdGhlIHJvdXRlIGd1YXJkc1xuICogd2hpY2ggY29uc3VsdCB0aGUgbWFjaGluZXMgb2YgdGhlIHNhbWUgaW5qZWN0b3IuXG4gKiBAY2xhc3MgRmVCZWhhdmlvck1vZHVsZVxuICovXG5ATmdNb2R1bGUoe1xuICAgIGRlY2xhcmF0aW9uczogW0ZzbVN0YXRlRGlyZWN0aXZlLCBGc21TdGF0ZVBpcGVdLFxuICAgIGV4cG9ydHM6IFtGc21TdGF0ZURpcmVjdGl2ZSwgRnNtU3RhdGVQaXBlXVxufSlcbmV4cG9ydCBjbGFzcyBGZUJlaGF2aW9yTW9kdWxlIHtcblxuICAgIC8qKlxuICAgICAqIFJlZ2lzdGVycyB0aGUgZ2l2ZW4gbWFjaGluZXMgaW4gdGhlIHJvb3QgaW5qZWN0b3IuXG4gICAgICovXG4gICAgc3RhdGljIGZvclJvb3QocmVnaXN0cmF0aW9ucz86IEFycmF5PElNYWNoaW5lUmVnaXN0cmF0aW9uPik6IE1vZHVsZVdpdGhQcm92aWRlcnMge1xuICAgICAgICByZXR1cm4ge1xuICAgICAgICAgICAgbmdNb2R1bGU6IEZlQmVoYXZpb3JNb2R1bGUsXG4gICAgICAgICAgICBwcm92aWRlcnM6IFtcbiAgICAgICAgICAgICAgICB7IHByb3ZpZGU6IE1BQ0hJTkVfUkVHSVNUUkFUSU9OUywgdXNlVmFsdWU6IHJlZ2lzdHJhdGlvbnMgfHwgW10sIG11bHRpOiB0cnVlIH0sXG4gICAgICAgICAgICAgICAgTWFjaGluZVJlZ2lzdHJ5LFxuICAgICAgICAgICAgICAgIEZzbUNhbkFjdGl2YXRlR3VhcmQsXG4gICAgICAgICAgICAgICAgRnNtQ2FuRGVhY3RpdmF0ZUd1YXJkXG4gICAgICAgICAgICBdXG4gICAgICAgIH07XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogUmVnaXN0ZXJzIHRoZSBnaXZlbiBtYWNoaW5lcyBpbiB0aGUgaW5qZWN0b3Igb2YgYSBmZWF0dXJlIG1vZHVsZS5cbiAgICAgKi9cbiAgICBzdGF0aWMgZm9yRmVhdHVyZShyZWdpc3RyYXRpb25zOiBBcnJheTxJTWFjaGluZVJlZ2lzdHJhdGlvbj4pOiBNb2R1bGVXaXRoUHJvdmlkZXJzIHtcbiAgICAgICAgcmV0dXJuIHtcbiAgICAgICAgICAgIG5nTW9kdWxlOiBGZUJlaGF2aW9yTW9kdWxlLFxuICAgICAgICAgICAgcHJvdmlkZXJzOiBbXG4gICAgICAgICAgICAgICAgeyBwcm92aWRlOiBNQUNISU5FX1JFR0lTVFJBVElPTlMsIHVzZVZhbHVlOiByZWdpc3RyYXRpb25zLCBtdWx0aTogdHJ1ZSB9LFxuICAgICAgICAgICAgICAgIE1hY2hpbmVSZWdpc3RyeSxcbiAgICAgICAgICAgICAgICBGc21DYW5BY3RpdmF0ZUd1YXJkLFxuICAgICAgICAgICAgICAgIEZzbUNhbkRlYWN0aXZhdGVHdWFyZFxuICAgICAgICAgICAgXVxuICAgICAgICB9O1xuICAgIH1cbn1cbiJdfQ==
\ No newline at end of file
@@ -0,0 +1,286 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * @fileOverview
+ * Provides the route guards which gate the navigation
+ * by the states of a finite state machine.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { Injectable } from '@angular/core';
+import { NavigationCancel, NavigationEnd, NavigationError, Router } from '@angular/router';
+import { filter, take } from 'rxjs/operators';
+import { MachineRegistry } from './machine-registry';
+/**
+ * The key of the route data read by the guards.
+ * @type {?}
+ */
+export const machineRouteDataKey = 'fsm';
+/**
+ * Describes how a route is gated by a machine, e.g.,
+ * data: { fsm: { machine: 'checkout', state: 'payment', go: true,
+ *     redirects: { cart: '/checkout/cart' }, redirectTo: '/' } }
+ * @record
+ */
+export function IMachineRouteData() { }
+if (false) {
+    /** @type {?} */
+    IMachineRouteData.prototype.machine;
+    /** @type {?|undefined} */
+    IMachineRouteData.prototype.state;
+    /** @type {?|undefined} */
+    IMachineRouteData.prototype.exit;
+    /** @type {?|undefined} */
+    IMachineRouteData.prototype.go;
+    /** @type {?|undefined} */
+    IMachineRouteData.prototype.redirects;
+    /** @type {?|undefined} */
+    IMachineRouteData.prototype.redirectTo;
+}
+/**
+ * @param {?} route
+ * @return {?}
+ */
+function routeDataOf(route) {
+    /** @type {?} */
+    const data = route.data && route.data[machineRouteDataKey];
+    if (!data || !data.machine) {
+        throw new Error('Undefined route data: ' + machineRouteDataKey);
+    }
+    return data;
+}
+/**
+ * Describes how to put a machine back as it was before the navigation,
+ * if the navigation does not end.
+ * @record
+ */
+function IRollback() { }
+if (false) {
+    /** @type {?} */
+    IRollback.prototype.machine;
+    /** @type {?} */
+    IRollback.prototype.snapshot;
+    /** @type {?} */
+    IRollback.prototype.taken;
+}
+// The rollbacks of the navigation in progress
+/** @type {?} */
+const rollbacks = [];
+/**
+ * Checks if the machine ends up in the given state, taking the transition
+ * to it if required. A transition may be rejected by its guard, or
+ * vetoed by its callbacks, and may settle asynchronously. A machine
+ * which throws instead, e.g., as another transition is in progress,
+ * or as it is not running, does not let the navigation go either.
+ * @param {?} router
+ * @param {?} machine
+ * @param {?} target
+ * @param {?} go
+ * @return {?}
+ */
+function enterState(router, machine, target, go) {
+    /** @type {?} */
+    let snapshot;
+    /** @type {?} */
+    let outcome;
+    try {
+        if (machine.isActive(target)) {
+            return Promise.resolve(true);
+        }
+        if (!machine.can(target)) {
+            return Promise.resolve(false);
+        }
+        if (!go) {
+            return Promise.resolve(true);
+        }
+        snapshot = machine.snapshot();
+        outcome = machine.go(target);
+    }
+    catch (e) {
+        return Promise.resolve(false);
+    }
+    return Promise.resolve(outcome).then(() => {
+        if (!machine.isActive(target)) {
+            return false;
+        }
+        rollBackUnlessNavigationEnds(router, machine, snapshot);
+        return true;
+    }, () => false);
+}
+/**
+ * Puts the machine back into the given snapshot if the navigation
+ * does not end, unless the machine has moved on meanwhile.
+ * The guards of a navigation may take several transitions of
+ * the same machine, which are rolled back at once.
+ * @param {?} router
+ * @param {?} machine
+ * @param {?} snapshot
+ * @return {?}
+ */
+function rollBackUnlessNavigationEnds(router, machine, snapshot) {
+    /** @type {?} */
+    const taken = JSON.stringify(machine.configuration());
+    /** @type {?} */
+    const existing = rollbacks.filter(r => r.machine === machine)[0];
+    if (existing) {
+        existing.taken = taken;
+        return;
+    }
+    /** @type {?} */
+    const rollback = { machine: machine, snapshot: snapshot, taken: taken };
+    rollbacks.push(rollback);
+    router.events.pipe(filter((e) => e instanceof NavigationEnd || e instanceof NavigationCancel || e instanceof NavigationError), take(1)).subscribe((e) => {
+        rollbacks.splice(rollbacks.indexOf(rollback), 1);
+        if (e instanceof NavigationEnd || machine.status() !== 'idle') {
+            return;
+        }
+        /** @type {?} */
+        let current;
+        try {
+            current = JSON.stringify(machine.configuration());
+        }
+        catch (error) {
+            // The machine has been disposed.
+            return;
+        }
+        if (current === rollback.taken) {
+            machine.restore(rollback.snapshot);
+        }
+    });
+}
+/**
+ * Guards the activation of a route by the state which the route stands for.
+ * If the route may not be activated, the navigation is redirected
+ * to the url configured for the current state, starting from
+ * the innermost one, or cancelled if there is none.
+ */
+export class FsmCanActivateGuard {
+    /**
+     * @param {?} _registry
+     * @param {?} _router
+     */
+    constructor(_registry, _router) {
+        this._registry = _registry;
+        this._router = _router;
+    }
+    /**
+     * @param {?} route
+     * @return {?}
+     */
+    canActivate(route) {
+        /** @type {?} */
+        const data = routeDataOf(route);
+        if (!data.state) {
+            return Promise.resolve(true);
+        }
+        /** @type {?} */
+        const machine = this._registry.get(data.machine);
+        return enterState(this._router, machine, data.state, data.go).then((allowed) => {
+            return allowed || this.redirect(machine, data);
+        });
+    }
+    /**
+     * @private
+     * @param {?} machine
+     * @param {?} data
+     * @return {?}
+     */
+    redirect(machine, data) {
+        /** @type {?} */
+        const redirects = data.redirects || {};
+        /** @type {?} */
+        const fallback = data.redirectTo ? this._router.parseUrl(data.redirectTo) : false;
+        /** @type {?} */
+        let configuration;
+        try {
+            configuration = machine.configuration();
+        }
+        catch (e) {
+            // The machine is not running.
+            return fallback;
+        }
+        for (const k in configuration) {
+            if (configuration.hasOwnProperty(k)) {
+                /** @type {?} */
+                const path = machine.currentPath(k);
+                for (let i = path.length - 1; i >= 0; i--) {
+                    if (redirects.hasOwnProperty(path[i])) {
+                        return this._router.parseUrl(redirects[path[i]]);
+                    }
+                }
+            }
+        }
+        return fallback;
+    }
+}
+FsmCanActivateGuard.decorators = [
+    { type: Injectable }
+];
+/** @nocollapse */
+FsmCanActivateGuard.ctorParameters = () => [
+    { type: MachineRegistry },
+    { type: Router }
+];
+if (false) {
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmCanActivateGuard.prototype._registry;
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmCanActivateGuard.prototype._router;
+}
+/**
+ * Guards the deactivation of a route by the state which the machine
+ * goes to when the route is left. A route without such a state
+ * may always be left.
+ */
+export class FsmCanDeactivateGuard {
+    /**
+     * @param {?} _registry
+     * @param {?} _router
+     */
+    constructor(_registry, _router) {
+        this._registry = _registry;
+        this._router = _router;
+    }
+    /**
+     * @param {?} component
+     * @param {?} route
+     * @return {?}
+     */
+    canDeactivate(component, route) {
+        /** @type {?} */
+        const data = routeDataOf(route);
+        if (!data.exit) {
+            return Promise.resolve(true);
+        }
+        return enterState(this._router, this._registry.get(data.machine), data.exit, data.go);
+    }
+}
+FsmCanDeactivateGuard.decorators = [
+    { type: Injectable }
+];
+/** @nocollapse */
+FsmCanDeactivateGuard.ctorParameters = () => [
+    { type: MachineRegistry },
+    { type: Router }
+];
+if (false) {
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmCanDeactivateGuard.prototype._registry;
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmCanDeactivateGuard.prototype._router;
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZnNtLXJvdXRlLWd1YXJkcy5qcyIsInNvdXJjZVJvb3QiOiJuZzovL0Bwb2xwd2FyZS9mZS1iZWhhdmlvci8iLCJzb3VyY2VzIjpbImxpYi9hbmd1bGFyL2ZzbS1yb3V0ZS1ndWFyZHMudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7QUFPQSxPQUFPLEVBQUUsVUFBVSxFQUFFLE1BQU0sZUFBZSxDQUFDO0FBQzNDLE9BQU8sRUFJSCxnQkFBZ0IsRUFDaEIsYUFBYSxFQUNiLGVBQWUsRUFDZixNQUFNLEVBRVQsTUFBTSxpQkFBaUIsQ0FBQztBQUN6QixPQUFPLEVBQUUsTUFBTSxFQUFFLElBQUksRUFBRSxNQUFNLGdCQUFnQixDQUFDO0FBRTlDLE9BQU8sRUFBRSxlQUFlLEVBQUUsTUFBTSxvQkFBb0IsQ0FBQzs7Ozs7QUFLckQsTUFBTSxPQUFPLG1CQUFtQixHQUFHLEtBQUs7Ozs7Ozs7QUFPeEMsdUNBb0JDOzs7SUFsQkcsb0NBQWdCOztJQUdoQixrQ0FBZTs7SUFHZixpQ0FBYzs7SUFNZCwrQkFBYTs7SUFHYixzQ0FBc0M7O0lBRXRDLHVDQUFvQjs7Ozs7O0FBR3hCLFNBQVMsV0FBVyxDQUFDLEtBQTZCOztVQUN4QyxJQUFJLEdBQUcsS0FBSyxDQUFDLElBQUksSUFBSSxLQUFLLENBQUMsSUFBSSxDQUFDLG1CQUFtQixDQUFDO0lBQzFELElBQUksQ0FBQyxJQUFJLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxFQUFFO1FBQ3hCLE1BQU0sSUFBSSxLQUFLLENBQUMsd0JBQXdCLEdBQUcsbUJBQW1CLENBQUMsQ0FBQztLQUNuRTtJQUNELE9BQU8sSUFBSSxDQUFDO0FBQ2hCLENBQUM7Ozs7OztBQU1ELHdCQU1DOzs7SUFMRyw0QkFBb0Q7O0lBRXBELDZCQUFvQjs7SUFFcEIsMEJBQWM7Ozs7TUFJWixTQUFTLEdBQXFCLEVBQUU7Ozs7Ozs7Ozs7Ozs7QUFTdEMsU0FBUyxVQUFVLENBQUMsTUFBYyxFQUFFLE9BQW1ELEVBQ25GLE1BQWMsRUFBRSxFQUFXOztRQUN2QixRQUFtQjs7UUFDbkIsT0FBWTtJQUNoQixJQUFJO1FBQ0EsSUFBSSxPQUFPLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxFQUFFO1lBQzFCLE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQztTQUNoQztRQUNELElBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFO1lBQ3RCLE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsQ0FBQztTQUNqQztRQUNELElBQUksQ0FBQyxFQUFFLEVBQUU7WUFDTCxPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUM7U0FDaEM7UUFDRCxRQUFRLEdBQUcsT0FBTyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQzlCLE9BQU8sR0FBRyxPQUFPLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0tBQ2hDO0lBQUMsT0FBTyxDQUFDLEVBQUU7UUFDUixPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUM7S0FDakM7SUFDRCxPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRTtRQUN0QyxJQUFJLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsRUFBRTtZQUMzQixPQUFPLEtBQUssQ0FBQztTQUNoQjtRQUNELDRCQUE0QixDQUFDLE1BQU0sRUFBRSxPQUFPLEVBQUUsUUFBUSxDQUFDLENBQUM7UUFDeEQsT0FBTyxJQUFJLENBQUM7SUFDaEIsQ0FBQyxFQUFFLEdBQUcsRUFBRSxDQUFDLEtBQUssQ0FBQyxDQUFDO0FBQ3BCLENBQUM7Ozs7Ozs7Ozs7O0FBUUQsU0FBUyw0QkFBNEIsQ0FBQyxNQUFjLEVBQUUsT0FBbUQsRUFDckcsUUFBbUI7O1VBQ2IsS0FBSyxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLGFBQWEsRUFBRSxDQUFDOztVQUMvQyxRQUFRLEdBQUcsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxPQUFPLEtBQUssT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ2hFLElBQUksUUFBUSxFQUFFO1FBQ1YsUUFBUSxDQUFDLEtBQUssR0FBRyxLQUFLLENBQUM7UUFDdkIsT0FBTztLQUNWOztVQUNLLFFBQVEsR0FBYyxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFO0lBQ2xGLFNBQVMsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUM7SUFDekIsTUFBTSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQ2QsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLFlBQVksYUFBYSxJQUFJLENBQUMsWUFBWSxnQkFBZ0IsSUFBSSxDQUFDLFlBQVksZUFBZSxDQUFDLEVBQzFHLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FDVixDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFO1FBQ2QsU0FBUyxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO1FBQ2pELElBQUksQ0FBQyxZQUFZLGFBQWEsSUFBSSxPQUFPLENBQUMsTUFBTSxFQUFFLEtBQUssTUFBTSxFQUFFO1lBQzNELE9BQU87U0FDVjs7WUFDRyxPQUFlO1FBQ25CLElBQUk7WUFDQSxPQUFPLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyxPQUFPLENBQUMsYUFBYSxFQUFFLENBQUMsQ0FBQztTQUNyRDtRQUFDLE9BQU8sS0FBSyxFQUFFO1lBQ1osaUNBQWlDO1lBQ2pDLE9BQU87U0FDVjtRQUNELElBQUksT0FBTyxLQUFLLFFBQVEsQ0FBQyxLQUFLLEVBQUU7WUFDNUIsT0FBTyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsUUFBUSxDQUFDLENBQUM7U0FDdEM7SUFDTCxDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7Ozs7Ozs7QUFVRCxNQUFNLE9BQU8sbUJBQW1COzs7OztJQUU1QixZQUFvQixTQUEwQixFQUNsQyxPQUFlO1FBRFAsY0FBUyxHQUFULFNBQVMsQ0FBaUI7UUFDbEMsWUFBTyxHQUFQLE9BQU8sQ0FBUTtJQUFJLENBQUM7Ozs7O0lBRWhDLFdBQVcsQ0FBQyxLQUE2Qjs7Y0FDL0IsSUFBSSxHQUFHLFdBQVcsQ0FBQyxLQUFLLENBQUM7UUFDL0IsSUFBSSxDQUFDLElBQUksQ0FBQyxLQUFLLEVBQUU7WUFDYixPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUM7U0FDaEM7O2NBQ0ssT0FBTyxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUM7UUFDaEQsT0FBTyxVQUFVLENBQUMsSUFBSSxDQUFDLE9BQU8sRUFBRSxPQUFPLEVBQUUsSUFBSSxDQUFDLEtBQUssRUFBRSxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsT0FBTyxFQUFFLEVBQUU7WUFDM0UsT0FBTyxPQUFPLElBQUksSUFBSSxDQUFDLFFBQVEsQ0FBQyxPQUFPLEVBQUUsSUFBSSxDQUFDLENBQUM7UUFDbkQsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDOzs7Ozs7O0lBRU8sUUFBUSxDQUFDLE9BQW1ELEVBQUUsSUFBdUI7O2NBQ25GLFNBQVMsR0FBRyxJQUFJLENBQUMsU0FBUyxJQUFJLEVBQUU7O2NBQ2hDLFFBQVEsR0FBRyxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUs7O1lBQzdFLGFBQXdDO1FBQzVDLElBQUk7WUFDQSxhQUFhLEdBQUcsT0FBTyxDQUFDLGFBQWEsRUFBRSxDQUFDO1NBQzNDO1FBQUMsT0FBTyxDQUFDLEVBQUU7WUFDUiw4QkFBOEI7WUFDOUIsT0FBTyxRQUFRLENBQUM7U0FDbkI7UUFDRCxLQUFLLE1BQU0sQ0FBQyxJQUFJLGFBQWEsRUFBRTtZQUMzQixJQUFJLGFBQWEsQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLEVBQUU7O3NCQUMzQixJQUFJLEdBQUcsT0FBTyxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUM7Z0JBQ25DLEtBQUssSUFBSSxDQUFDLEdBQUcsSUFBSSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRTtvQkFDdkMsSUFBSSxTQUFTLENBQUMsY0FBYyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFO3dCQUNuQyxPQUFPLElBQUksQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO3FCQUNwRDtpQkFDSjthQUNKO1NBQ0o7UUFDRCxPQUFPLFFBQVEsQ0FBQztJQUNwQixDQUFDOzs7WUF0Q0osVUFBVTs7OztZQXhJRixlQUFlO1lBTHBCLE1BQU07Ozs7Ozs7SUFnSk0sd0NBQWtDOzs7OztJQUMxQyxzQ0FBdUI7Ozs7Ozs7QUE0Qy9CLE1BQU0sT0FBTyxxQkFBcUI7Ozs7O0lBRTlCLFlBQW9CLFNBQTBCLEVBQ2xDLE9BQWU7UUFEUCxjQUFTLEdBQVQsU0FBUyxDQUFpQjtRQUNsQyxZQUFPLEdBQVAsT0FBTyxDQUFRO0lBQUksQ0FBQzs7Ozs7O0lBRWhDLGFBQWEsQ0FBQyxTQUFjLEVBQUUsS0FBNkI7O2NBQ2pELElBQUksR0FBRyxXQUFXLENBQUMsS0FBSyxDQUFDO1FBQy9CLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFO1lBQ1osT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDO1NBQ2hDO1FBQ0QsT0FBTyxVQUFVLENBQUMsSUFBSSxDQUFDLE9BQU8sRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsSUFBSSxDQUFDLElBQUksRUFBRSxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7SUFDMUYsQ0FBQzs7O1lBWkosVUFBVTs7OztZQXZMRixlQUFlO1lBTHBCLE1BQU07Ozs7Ozs7SUErTE0sMENBQWtDOzs7OztJQUMxQyx3Q0FBdUIiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBmaWxlT3ZlcnZpZXdcbiAqIFByb3ZpZGVzIHRoZSByb3V0ZSBndWFyZHMgd2hpY2ggZ2F0ZSB0aGUgbmF2aWdhdGlvblxuICogYnkgdGhlIHN0YXRlcyBvZiBhIGZpbml0ZSBzdGF0ZSBtYWNoaW5lLlxuICogQGF1dGhvciBYaWFvbG9uZyBUYW5nIDx4eGxvbmd0YW5nQGdtYWlsLmNvbT5cbiAqIEBsaWNlbnNlIENvcHlyaWdodCBAbWVcbiAqL1xuaW1wb3J0IHsgSW5qZWN0YWJsZSB9IGZyb20gJ0Bhbmd1bGFyL2NvcmUnO1xuaW1wb3J0IHtcbiAgICBBY3RpdmF0ZWRSb3V0ZVNuYXBzaG90LFxuICAgIENhbkFjdGl2YXRlLFxuICAgIENhbkRlYWN0aXZhdGUsXG4gICAgTmF2aWdhdGlvbkNhbmNlbCxcbiAgICBOYXZpZ2F0aW9uRW5kLFxuICAgIE5hdmlnYXRpb25FcnJvcixcbiAgICBSb3V0ZXIsXG4gICAgVXJsVHJlZVxufSBmcm9tICdAYW5ndWxhci9yb3V0ZXInO1xuaW1wb3J0IHsgZmlsdGVyLCB0YWtlIH0gZnJvbSAncnhqcy9vcGVyYXRvcnMnO1xuaW1wb3J0IHsgRmluaXRlU3RhdGVNYWNoaW5lLCBJU25hcHNob3QgfSBmcm9tICcuLi9zdGF0ZS9maW5pdGUtc3RhdGUtbWFjaGluZSc7XG5pbXBvcnQgeyBNYWNoaW5lUmVnaXN0cnkgfSBmcm9tICcuL21hY2hpbmUtcmVnaXN0cnknO1xuXG4vKipcbiAqIFRoZSBrZXkgb2YgdGhlIHJvdXRlIGRhdGEgcmVhZCBieSB0aGUgZ3VhcmRzLlxuICovXG5leHBvcnQgY29uc3QgbWFjaGluZVJvdXRlRGF0YUtleSA9ICdmc20nO1xuXG4vKipcbiAqIERlc2NyaWJlcyBob3cgYSByb3V0ZSBpcyBnYXRlZCBieSBhIG1hY2hpbmUsIGUuZy4sXG4gKiBkYXRhOiB7IGZzbTogeyBtYWNoaW5lOiAnY2hlY2tvdXQnLCBzdGF0ZTogJ3BheW1lbnQnLCBnbzogdHJ1ZSxcbiAqICAgICByZWRpcmVjdHM6IHsgY2FydDogJy9jaGVja291dC9jYXJ0JyB9LCByZWRpcmVjdFRvOiAnLycgfSB9XG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgSU1hY2hpbmVSb3V0ZURhdGEge1xuICAgIC8vIFRoZSBuYW1lIG9mIHRoZSBtYWNoaW5lIGluIHRoZSByZWdpc3RyeVxuICAgIG1hY2hpbmU6IHN0cmluZztcbiAgICAvLyBUaGUgc3RhdGUgd2hpY2ggdGhlIHJvdXRlIHN0YW5kcyBmb3I7IHRoZSByb3V0ZSBtYXkgYmUgYWN0aXZhdGVkXG4gICAgLy8gaWYgdGhlIHN0YXRlIGlzIGFjdGl2ZSwgb3IgdGhlIG1hY2hpbmUgY2FuIGdvIHRvIGl0LlxuICAgIHN0YXRlPzogc3RyaW5nO1xuICAgIC8vIFRoZSBzdGF0ZSB3aGljaCB0aGUgbWFjaGluZSBnb2VzIHRvIHdoZW4gdGhlIHJvdXRlIGlzIGxlZnQ7XG4gICAgLy8gdGhlIHJvdXRlIG1heSBiZSBsZWZ0IG9ubHkgaWYgdGhlIG1hY2hpbmUgY2FuIGdvIHRvIGl0LlxuICAgIGV4aXQ/OiBzdHJpbmc7XG4gICAgLy8gV2hldGhlciB0aGUgdHJhbnNpdGlvbiBpcyB0YWtlbiBkdXJpbmcgdGhlIG5hdmlnYXRpb24sIHNvIHRoYXRcbiAgICAvLyBpdHMgZ3VhcmQgYW5kIGl0cyBjYWxsYmFja3MsIGV2ZW4gYXN5bmNocm9ub3VzIG9uZXMsIG1heSBzdG9wXG4gICAgLy8gdGhlIG5hdmlnYXRpb247IG90aGVyd2lzZSwgaXQgaXMgb25seSBjaGVja2VkLiBJZiB0aGUgbmF2aWdhdGlvblxuICAgIC8vIGlzIGNhbmNlbGxlZCBvciBmYWlscyBhZnRlcndhcmRzLCBlLmcuLCBieSBhbm90aGVyIGd1YXJkLFxuICAgIC8vIHRoZSBtYWNoaW5lIGlzIHB1dCBiYWNrIGFzIGl0IHdhcywgd2l0aG91dCBpbnZva2luZyBhbnkgY2FsbGJhY2tzLlxuICAgIGdvPzogYm9vbGVhbjtcbiAgICAvLyBUaGUgdXJscyB0byByZWRpcmVjdCB0byB3aGVuIHRoZSByb3V0ZSBtYXkgbm90IGJlIGFjdGl2YXRlZCxcbiAgICAvLyBieSB0aGUgY3VycmVudCBzdGF0ZXMgb2YgdGhlIG1hY2hpbmUuXG4gICAgcmVkaXJlY3RzPzogeyBba2V5OiBzdHJpbmddOiBzdHJpbmcgfTtcbiAgICAvLyBUaGUgdXJsIHRvIHJlZGlyZWN0IHRvIGlmIG5vIGN1cnJlbnQgc3RhdGUgaGFzIGFueSByZWRpcmVjdC5cbiAgICByZWRpcmVjdFRvPzogc3RyaW5nO1xufVxuXG5mdW5jdGlvbiByb3V0ZURhdGFPZihyb3V0ZTogQWN0aXZhdGVkUm91dGVTbmFwc2hvdCk6IElNYWNoaW5lUm91dGVEYXRhIHtcbiAgICBjb25zdCBkYXRhID0gcm91dGUuZGF0YSAmJiByb3V0ZS5kYXRhW21hY2hpbmVSb3V0ZURhdGFLZXldO1xuICAgIGlmICghZGF0YSB8fCAhZGF0YS5tYWNoaW5lKSB7XG4gICAgICAgIHRocm93IG5ldyBFcnJvcignVW5kZWZpbmVkIHJvdXRlIGRhdGE6ICcgKyBtYWNoaW5lUm91dGVEYXRhS2V5KTtcbiAgICB9XG4gICAgcmV0dXJuIGRhdGE7XG59XG5cbi8qKlxuICogRGVzY3JpYmVzIGhvdyB0byBwdXQgYSBtYWNoaW5lIGJhY2sgYXMgaXQgd2FzIGJlZm9yZSB0aGUgbmF2aWdhdGlvbixcbiAqIGlmIHRoZSBuYXZpZ2F0aW9uIGRvZXMgbm90IGVuZC5cbiAqL1xuaW50ZXJmYWNlIElSb2xsYmFjayB7XG4gICAgbWFjaGluZTogRmluaXRlU3RhdGVNYWNoaW5lPGFueSwgYW55LCBhbnksIGJvb2xlYW4+O1xuICAgIC8vIFRoZSBydW5uaW5nIHN0YXR1cyBiZWZvcmUgdGhlIG5hdmlnYXRpb25cbiAgICBzbmFwc2hvdDogSVNuYXBzaG90O1xuICAgIC8vIFRoZSBjb25maWd1cmF0aW9uIHdoaWNoIHRoZSBuYXZpZ2F0aW9uIGhhcyBwdXQgdGhlIG1hY2hpbmUgaW50b1xuICAgIHRha2VuOiBzdHJpbmc7XG59XG5cbi8vIFRoZSByb2xsYmFja3Mgb2YgdGhlIG5hdmlnYXRpb24gaW4gcHJvZ3Jlc3NcbmNvbnN0IHJvbGxiYWNrczogQXJyYXk8SVJvbGxiYWNrPiA9IFtdO1xuXG4vKipcbiAqIENoZWNrcyBpZiB0aGUgbWFjaGluZSBlbmRzIHVwIGluIHRoZSBnaXZlbiBzdGF0ZSwgdGFraW5nIHRoZSB0cmFuc2l0aW9uXG4gKiB0byBpdCBpZiByZXF1aXJlZC4gQSB0cmFuc2l0aW9uIG1heSBiZSByZWplY3RlZCBieSBpdHMgZ3VhcmQsIG9yXG4gKiB2ZXRvZWQgYnkgaXRzIGNhbGxiYWNrcywgYW5kIG1heSBzZXR0bGUgYXN5bmNocm9ub3VzbHkuIEEgbWFjaGluZVxuICogd2hpY2ggdGhyb3dzIGluc3RlYWQsIGUuZy4sIGFzIGFub3RoZXIgdHJhbnNpdGlvbiBpcyBpbiBwcm9ncmVzcyxcbiAqIG9yIGFzIGl0IGlzIG5vdCBydW5uaW5nLCBkb2VzIG5vdCBsZXQgdGhlIG5hdmlnYXRpb24gZ28gZWl0aGVyLlxuICovXG5mdW5jdGlvbiBlbnRlclN0YXRlKHJvdXRlcjogUm91dGVyLCBtYWNoaW5lOiBGaW5pdGVTdGF0ZU1hY2hpbmU8YW55LCBhbnksIGFueSwgYm9vbGVhbj4sXG4gICAgdGFyZ2V0OiBzdHJpbmcsIGdvOiBib29sZWFuKTogUHJvbWlzZTxib29sZWFuPiB7XG4gICAgbGV0IHNuYXBzaG90OiBJU25hcHNob3Q7XG4gICAgbGV0IG91dGNvbWU6IGFueTtcbiAgICB0cnkge1xuICAgICAgICBpZiAobWFjaGluZS5pc0FjdGl2ZSh0YXJnZXQpKSB7XG4gICAgICAgICAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKHRydWUpO1xuICAgICAgICB9XG4gICAgICAgIGlmICghbWFjaGluZS5jYW4odGFyZ2V0KSkge1xuICAgICAgICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZShmYWxzZSk7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKCFnbykge1xuICAgICAgICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSh0cnVlKTtcbiAgICAgICAgfVxuICAgICAgICBzbmFwc2hvdCA9IG1hY2hpbmUuc25hcHNob3QoKTtcbiAgICAgICAgb3V0Y29tZSA9IG1hY2hpbmUuZ28odGFyZ2V0KTtcbiAgICB9IGNhdGNoIChlKSB7XG4gICAgICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUoZmFsc2UpO1xuICAgIH1cbiAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKG91dGNvbWUpLnRoZW4oKCkgPT4ge1xuICAgICAgICBpZiAoIW1hY2hpbmUuaXNBY3RpdmUodGFyZ2V0KSkge1xuICAgICAgICAgICAgcmV0dXJuIGZhbHNlO1xuICAgICAgICB9XG4gICAgICAgIHJvbGxCYWNrVW5sZXNzTmF2aWdhdGlvbkVuZHMocm91dGVyLCBtYWNoaW5lLCBzbmFwc2hvdCk7XG4gICAgICAgIHJldHVybiB0cnVlO1xuICAgIH0sICgpID0+IGZhbHNlKTtcbn1cblxuLyoqXG4gKiBQdXRzIHRoZSBtYWNoaW5lIGJhY2sgaW50byB0aGUgZ2l2ZW4gc25hcHNob3QgaWYgdGhlIG5hdmlnYXRpb25cbiAqIGRvZXMgbm90IGVuZCwgdW5sZXNzIHRoZSBtYWNoaW5lIGhhcyBtb3ZlZCBvbiBtZWFud2hpbGUuXG4gKiBUaGUgZ3VhcmRzIG9mIGEgbmF2aWdhdGlvbiBtYXkgdGFrZSBzZXZlcmFsIHRyYW5zaXRpb25zIG9mXG4gKiB0aGUgc2FtZSBtYWNoaW5lLCB3aGljaCBhcmUgcm9sbGVkIGJhY2sgYXQgb25jZS5cbiAqL1xuZnVuY3Rpb24gcm9sbEJhY2tVbmxlc3NOYXZpZ2F0aW9uRW5kcyhyb3V0ZXI6IFJvdXRlciwgbWFjaGluZTogRmluaXRlU3RhdGVNYWNoaW5lPGFueSwgYW55LCBhbnksIGJvb2xlYW4+LFxuICAgIHNuYXBzaG90OiBJU25hcHNob3QpIHtcbiAgICBjb25zdCB0YWtlbiA9IEpTT04uc3RyaW5naWZ5KG1hY2hpbmUuY29uZmlndXJhdGlvbigpKTtcbiAgICBjb25zdCBleGlzdGluZyA9IHJvbGxiYWNrcy5maWx0ZXIociA9PiByLm1hY2hpbmUgPT09IG1hY2hpbmUpWzBdO1xuICAgIGlmIChleGlzdGluZykge1xuICAgICAgICBleGlzdGluZy50YWtlbiA9IHRha2VuO1xuICAgICAgICByZXR1cm47XG4gICAgfVxuICAgIGNvbnN0IHJvbGxiYWNrOiBJUm9sbGJhY2sgPSB7IG1hY2hpbmU6IG1hY2hpbmUsIHNuYXBzaG90OiBzbmFwc2hvdCwgdGFrZW46IHRha2VuIH07XG4gICAgcm9sbGJhY2tzLnB1c2gocm9sbGJhY2spO1xuICAgIHJvdXRlci5ldmVudHMucGlwZShcbiAgICAgICAgZmlsdGVyKChlKSA9PiBlIGluc3RhbmNlb2YgTmF2aWdhdGlvbkVuZCB8fCBlIGluc3RhbmNlb2YgTmF2aWdhdGlvbkNhbmNlbCB8fCBlIGluc3RhbmNlb2YgTmF2aWdhdGlvbkVycm9yKSxcbiAgICAgICAgdGFrZSgxKVxuICAgICkuc3Vic2NyaWJlKChlKSA9PiB7XG4gICAgICAgIHJvbGxiYWNrcy5zcGxpY2Uocm9sbGJhY2tzLmluZGV4T2Yocm9sbGJhY2spLCAxKTtcbiAgICAgICAgaWYgKGUgaW5zdGFuY2VvZiBOYXZpZ2F0aW9uRW5kIHx8IG1hY2hpbmUuc3RhdHVzKCkgIT09ICdpZGxlJykge1xuICAgICAgICAgICAgcmV0dXJuO1xuICAgICAgICB9XG4gICAgICAgIGxldCBjdXJyZW50OiBzdHJpbmc7XG4gICAgICAgIHRyeSB7XG4gICAgICAgICAgICBjdXJyZW50ID0gSlNPTi5zdHJpbmdpZnkobWFjaGluZS5jb25maWd1cmF0aW9uKCkpO1xuICAgICAgICB9IGNhdGNoIChlcnJvcikge1xuICAgICAgICAgICAgLy8gVGhlIG1hY2hpbmUgaGFzIGJlZW4gZGlzcG9zZWQuXG4gICAgICAgICAgICByZXR1cm47XG4gICAgICAgIH1cbiAgICAgICAgaWYgKGN1cnJlbnQgPT09IHJvbGxiYWNrLnRha2VuKSB7XG4gICAgICAgICAgICBtYWNoaW5lLnJlc3RvcmUocm9sbGJhY2suc25hcHNob3QpO1xuICAgICAgICB9XG4gICAgfSk7XG59XG5cbi8qKlxuICogR3VhcmRzIHRoZSBhY3RpdmF0aW9uIG9mIGEgcm91dGUgYnkgdGhlIHN0YXRlIHdoaWNoIHRoZSByb3V0ZSBzdGFuZHMgZm9yLlxuICogSWYgdGhlIHJvdXRlIG1heSBub3QgYmUgYWN0aXZhdGVkLCB0aGUgbmF2aWdhdGlvbiBpcyByZWRpcmVjdGVkXG4gKiB0byB0aGUgdXJsIGNvbmZpZ3VyZWQgZm9yIHRoZSBjdXJyZW50IHN0YXRlLCBzdGFydGluZyBmcm9tXG4gKiB0aGUgaW5uZXJtb3N0IG9uZSwgb3IgY2FuY2VsbGVkIGlmIHRoZXJlIGlzIG5vbmUuXG4gKiBAY2xhc3MgRnNtQ2FuQWN0aXZhdGVHdWFyZFxuICovXG5ASW5qZWN0YWJsZSgpXG5leHBvcnQgY2xhc3MgRnNtQ2FuQWN0aXZhdGVHdWFyZCBpbXBsZW1lbnRzIENhbkFjdGl2YXRlIHtcblxuICAgIGNvbnN0cnVjdG9yKHByaXZhdGUgX3JlZ2lzdHJ5OiBNYWNoaW5lUmVnaXN0cnksXG4gICAgICAgIHByaXZhdGUgX3JvdXRlcjogUm91dGVyKSB7IH1cblxuICAgIGNhbkFjdGl2YXRlKHJvdXRlOiBBY3RpdmF0ZWRSb3V0ZVNuYXBzaG90KTogUHJvbWlzZTxib29sZWFuIHwgVXJsVHJlZT4ge1xuICAgICAgICBjb25zdCBkYXRhID0gcm91dGVEYXRhT2Yocm91dGUpO1xuICAgICAgICBpZiAoIWRhdGEuc3RhdGUpIHtcbiAgICAgICAgICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUodHJ1ZSk7XG4gICAgICAgIH1cbiAgICAgICAgY29uc3QgbWFjaGluZSA9IHRoaXMuX3JlZ2lzdHJ5LmdldChkYXRhLm1hY2hpbmUpO1xuICAgICAgICByZXR1cm4gZW50ZXJTdGF0ZSh0aGlzLl9yb3V0ZXIsIG1hY2hpbmUsIGRhdGEuc3RhdGUsIGRhdGEuZ28pLnRoZW4oKGFsbG93ZWQpID0+IHtcbiAgICAgICAgICAgIHJldHVybiBhbGxvd2VkIHx8IHRoaXMucmVkaXJlY3QobWFjaGluZSwgZGF0YSk7XG4gICAgICAgIH0pO1xuICAgIH1cblxuICAgIHByaXZhdGUgcmVkaXJlY3QobWFjaGluZTogRmluaXRlU3RhdGVNYWNoaW5lPGFueSwgYW55LCBhbnksIGJvb2xlYW4+LCBkYXRhOiBJTWFjaGluZVJvdXRlRGF0YSk6IGJvb2xlYW4gfCBVcmxUcmVlIHtcbiAgICAgICAgY29uc3QgcmVkaXJlY3RzID0gZGF0YS5yZWRpcmVjdHMgfHwge307XG4gICAgICAgIGNvbnN0IGZhbGxiYWNrID0gZGF0YS5yZWRpcmVjdFRvID8gdGhpcy5fcm91dGVyLnBhcnNlVXJsKGRhdGEucmVkaXJlY3RUbykgOiBmYWxzZTtcbiAgICAgICAgbGV0IGNvbmZpZ3VyYXRpb246IHsgW2tleTogc3RyaW5nXTogc3RyaW5nIH07XG4gICAgICAgIHRyeSB7XG4gICAgICAgICAgICBjb25maWd1cmF0aW9uID0gbWFjaGluZS5jb25maWd1cmF0aW9uKCk7XG4gICAgICAgIH0gY2F0Y2ggKGUpIHtcbiAgICAgICAgICAgIC8vIFRoZSBtYWNoaW5lIGlzIG5vdCBydW5uaW5nLlxuICAgICAgICAgICAgcmV0dXJuIGZhbGxiYWNrO1xuICAgICAgICB9XG4gICAgICAgIGZvciAoY29uc3QgayBpbiBjb25maWd1cmF0aW9uKSB7XG4gICAgICAgICAgICBpZiAoY29uZmlndXJhdGlvbi5oYXNPd25Qcm9wZXJ0eShrKSkge1xuICAgICAgICAgICAgICAgIGNvbnN0IHBhdGggPSBtYWNoaW5lLmN1cnJlbnRQYXRoKGspO1xuICAgICAgICAgICAgICAgIGZvciAobGV0IGkgPSBwYXRoLmxlbmd0aCAtIDE7IGkgPj0gMDsgaS0tKSB7XG4gICAgICAgICAgICAgICAgICAgIGlmIChyZWRpcmVjdHMuaGFzT3duUHJvcGVydHkocGF0aFtpXSkpIHtcbiAgICAgICAgICAgICAgICAgICAgICAgIHJldHVybiB0aGlzLl9yb3V0ZXIucGFyc2VVcmwocmVkaXJlY3RzW3BhdGhbaV1dKTtcbiAgICAgICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gZmFsbGJhY2s7XG4gICAgfVxufVxuXG4vKipcbiAqIEd1YXJkcyB0aGUgZGVhY3RpdmF0aW9uIG9mIGEgcm91dGUgYnkgdGhlIHN0YXRlIHdoaWNoIHRoZSBtYWNoaW5lXG4gKiBnb2VzIHRvIHdoZW4gdGhlIHJvdXRlIGlzIGxlZnQuIEEgcm91dGUgd2l0aG91dCBzdWNoIGEgc3RhdGVcbiAqIG1heSBhbHdheXMgYmUgbGVmdC5cbiAqIEBjbGFzcyBGc21DYW5EZWFjdGl2YXRlR3VhcmRcbiAqL1xuQEluamVjdGFibGUoKVxuZXhwb3J0IGNsYXNzIEZzbUNhbkRlYWN0aXZhdGVHdWFyZCBpbXBsZW1lbnRzIENhbkRlYWN0aXZhdGU8YW55PiB7XG5cbiAgICBjb25zdHJ1Y3Rvcihwcml2YXRlIF9yZWdpc3RyeTogTWFjaGluZVJlZ2lzdHJ5LFxuICAgICAgICBwcml2YXRlIF9yb3V0ZXI6IFJvdXRlcikgeyB9XG5cbiAgICBjYW5EZWFjdGl2YXRlKGNvbXBvbmVudDogYW55LCByb3V0ZTogQWN0aXZhdGVkUm91dGVTbmFwc2hvdCk6IFByb21pc2U8Ym9vbGVhbj4ge1xuICAgICAgICBjb25zdCBkYXRhID0gcm91dGVEYXRhT2Yocm91dGUpO1xuICAgICAgICBpZiAoIWRhdGEuZXhpdCkge1xuICAgICAgICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSh0cnVlKTtcbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gZW50ZXJTdGF0ZSh0aGlzLl9yb3V0ZXIsIHRoaXMuX3JlZ2lzdHJ5LmdldChkYXRhLm1hY2hpbmUpLCBkYXRhLmV4aXQsIGRhdGEuZ28pO1xuICAgIH1cbn1cbiJdfQ==
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * @fileOverview
+ * Provides the structural directive which renders a template
+ * depending on the active states of a finite state machine.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { Directive, Input, NgZone, TemplateRef, ViewContainerRef } from '@angular/core';
+import { FiniteStateMachine } from '../state/finite-state-machine';
+/**
+ * Checks if any of the given states is active in the given machine.
+ * A machine which has not yet started has no active state.
+ * @param {?} machine
+ * @param {?} states
+ * @return {?}
+ */
+export function isAnyStateActive(machine, states) {
+    if (!machine || machine.status() === 'configuring') {
+        return false;
+    }
+    /** @type {?} */
+    const names = typeof states === 'string' ? [states] : (states || []);
+    return names.some(name => machine.isActive(name));
+}
+/**
+ * Renders its template while any of the given states is active,
+ * and the else template otherwise, e.g.,
+ * <div *fsmState="['loading', 'saving']; machine: fsm; else idle">...</div>
+ * A state is active if it is the current state of a region, or
+ * it encloses one. The template is updated whenever the machine
+ * takes a transition, even outside the Angular zone.
+ */
+export class FsmStateDirective {
+    /**
+     * @param {?} _viewContainer
+     * @param {?} _templateRef
+     * @param {?} _zone
+     */
+    constructor(_viewContainer, _templateRef, _zone) {
+        this._viewContainer = _viewContainer;
+        this._templateRef = _templateRef;
+        this._zone = _zone;
+        this._subscription = null;
+        this._shown = null;
+    }
+    /**
+     * @param {?} changes
+     * @return {?}
+     */
+    ngOnChanges(changes) {
+        if (changes['fsmStateMachine']) {
+            this.unsubscribe();
+            if (this.fsmStateMachine) {
+                // The current states are replayed at once, if any.
+                this._subscription = this.fsmStateMachine.configuration$.subscribe(() => {
+                    this._zone.run(() => this.render());
+                });
+            }
+        }
+        this.render();
+    }
+    /**
+     * @return {?}
+     */
+    ngOnDestroy() {
+        this.unsubscribe();
+    }
+    /**
+     * @private
+     * @return {?}
+     */
+    unsubscribe() {
+        if (this._subscription) {
+            this._subscription.unsubscribe();
+            this._subscription = null;
+        }
+    }
+    /**
+     * Shows the template matching the active states,
+     * unless it is shown already.
+     * @private
+     * @return {?}
+     */
+    render() {
+        /** @type {?} */
+        const template = isAnyStateActive(this.fsmStateMachine, this.fsmState) ?
+            this._templateRef : (this.fsmStateElse || null);
+        if (template === this._shown) {
+            return;
+        }
+        this._viewContainer.clear();
+        if (template) {
+            this._viewContainer.createEmbeddedView(template);
+        }
+        this._shown = template;
+    }
+}
+FsmStateDirective.decorators = [
+    { type: Directive, args: [{
+                selector: '[fsmState]'
+            },] }
+];
+/** @nocollapse */
+FsmStateDirective.ctorParameters = () => [
+    { type: ViewContainerRef },
+    { type: TemplateRef },
+    { type: NgZone }
+];
+FsmStateDirective.propDecorators = {
+    fsmState: [{ type: Input }],
+    fsmStateMachine: [{ type: Input }],
+    fsmStateElse: [{ type: Input }]
+};
+if (false) {
+    /** @type {?} */
+    FsmStateDirective.prototype.fsmState;
+    /** @type {?} */
+    FsmStateDirective.prototype.fsmStateMachine;
+    /** @type {?} */
+    FsmStateDirective.prototype.fsmStateElse;
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmStateDirective.prototype._subscription;
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmStateDirective.prototype._shown;
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmStateDirective.prototype._viewContainer;
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmStateDirective.prototype._templateRef;
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmStateDirective.prototype._zone;
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZnNtLXN0YXRlLmRpcmVjdGl2ZS5qcyIsInNvdXJjZVJvb3QiOiJuZzovL0Bwb2xwd2FyZS9mZS1iZWhhdmlvci8iLCJzb3VyY2VzIjpbImxpYi9hbmd1bGFyL2ZzbS1zdGF0ZS5kaXJlY3RpdmUudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7QUFPQSxPQUFPLEVBQ0gsU0FBUyxFQUNULEtBQUssRUFDTCxNQUFNLEVBSU4sV0FBVyxFQUNYLGdCQUFnQixFQUNuQixNQUFNLGVBQWUsQ0FBQztBQUV2QixPQUFPLEVBQUUsa0JBQWtCLEVBQUUsTUFBTSwrQkFBK0IsQ0FBQzs7Ozs7Ozs7QUFNbkUsTUFBTSxVQUFVLGdCQUFnQixDQUFDLE9BQW1ELEVBQUUsTUFBOEI7SUFDaEgsSUFBSSxDQUFDLE9BQU8sSUFBSSxPQUFPLENBQUMsTUFBTSxFQUFFLEtBQUssYUFBYSxFQUFFO1FBQ2hELE9BQU8sS0FBSyxDQUFDO0tBQ2hCOztVQUNLLEtBQUssR0FBRyxPQUFPLE1BQU0sS0FBSyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxJQUFJLEVBQUUsQ0FBQztJQUNwRSxPQUFPLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7QUFDdEQsQ0FBQzs7Ozs7Ozs7O0FBY0QsTUFBTSxPQUFPLGlCQUFpQjs7Ozs7O0lBUzFCLFlBQW9CLGNBQWdDLEVBQ3hDLFlBQThCLEVBQzlCLEtBQWE7UUFGTCxtQkFBYyxHQUFkLGNBQWMsQ0FBa0I7UUFDeEMsaUJBQVksR0FBWixZQUFZLENBQWtCO1FBQzlCLFVBQUssR0FBTCxLQUFLLENBQVE7UUFDckIsSUFBSSxDQUFDLGFBQWEsR0FBRyxJQUFJLENBQUM7UUFDMUIsSUFBSSxDQUFDLE1BQU0sR0FBRyxJQUFJLENBQUM7SUFDdkIsQ0FBQzs7Ozs7SUFFRCxXQUFXLENBQUMsT0FBc0I7UUFDOUIsSUFBSSxPQUFPLENBQUMsaUJBQWlCLENBQUMsRUFBRTtZQUM1QixJQUFJLENBQUMsV0FBVyxFQUFFLENBQUM7WUFDbkIsSUFBSSxJQUFJLENBQUMsZUFBZSxFQUFFO2dCQUN0QixtREFBbUQ7Z0JBQ25ELElBQUksQ0FBQyxhQUFhLEdBQUcsSUFBSSxDQUFDLGVBQWUsQ0FBQyxjQUFjLENBQUMsU0FBUyxDQUFDLEdBQUcsRUFBRTtvQkFDcEUsSUFBSSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUM7Z0JBQ3hDLENBQUMsQ0FBQyxDQUFDO2FBQ047U0FDSjtRQUNELElBQUksQ0FBQyxNQUFNLEVBQUUsQ0FBQztJQUNsQixDQUFDOzs7O0lBRUQsV0FBVztRQUNQLElBQUksQ0FBQyxXQUFXLEVBQUUsQ0FBQztJQUN2QixDQUFDOzs7OztJQUVPLFdBQVc7UUFDZixJQUFJLElBQUksQ0FBQyxhQUFhLEVBQUU7WUFDcEIsSUFBSSxDQUFDLGFBQWEsQ0FBQyxXQUFXLEVBQUUsQ0FBQztZQUNqQyxJQUFJLENBQUMsYUFBYSxHQUFHLElBQUksQ0FBQztTQUM3QjtJQUNMLENBQUM7Ozs7Ozs7SUFNTyxNQUFNOztjQUNKLFFBQVEsR0FBRyxnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsZUFBZSxFQUFFLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO1lBQ3BFLElBQUksQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLFlBQVksSUFBSSxJQUFJLENBQUM7UUFDbkQsSUFBSSxRQUFRLEtBQUssSUFBSSxDQUFDLE1BQU0sRUFBRTtZQUMxQixPQUFPO1NBQ1Y7UUFDRCxJQUFJLENBQUMsY0FBYyxDQUFDLEtBQUssRUFBRSxDQUFDO1FBQzVCLElBQUksUUFBUSxFQUFFO1lBQ1YsSUFBSSxDQUFDLGNBQWMsQ0FBQyxrQkFBa0IsQ0FBQyxRQUFRLENBQUMsQ0FBQztTQUNwRDtRQUNELElBQUksQ0FBQyxNQUFNLEdBQUcsUUFBUSxDQUFDO0lBQzNCLENBQUM7OztZQTFESixTQUFTLFNBQUM7Z0JBQ1AsUUFBUSxFQUFFLFlBQVk7YUFDekI7Ozs7WUE1QkcsZ0JBQWdCO1lBRGhCLFdBQVc7WUFKWCxNQUFNOzs7dUJBb0NMLEtBQUs7OEJBQ0wsS0FBSzsyQkFDTCxLQUFLOzs7O0lBRk4scUNBQTBDOztJQUMxQyw0Q0FBcUU7O0lBQ3JFLHlDQUF3Qzs7Ozs7SUFFeEMsMENBQW9DOzs7OztJQUNwQyxtQ0FBaUM7Ozs7O0lBRXJCLDJDQUF3Qzs7Ozs7SUFDaEQseUNBQXNDOzs7OztJQUN0QyxrQ0FBcUIiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBmaWxlT3ZlcnZpZXdcbiAqIFByb3ZpZGVzIHRoZSBzdHJ1Y3R1cmFsIGRpcmVjdGl2ZSB3aGljaCByZW5kZXJzIGEgdGVtcGxhdGVcbiAqIGRlcGVuZGluZyBvbiB0aGUgYWN0aXZlIHN0YXRlcyBvZiBhIGZpbml0ZSBzdGF0ZSBtYWNoaW5lLlxuICogQGF1dGhvciBYaWFvbG9uZyBUYW5nIDx4eGxvbmd0YW5nQGdtYWlsLmNvbT5cbiAqIEBsaWNlbnNlIENvcHlyaWdodCBAbWVcbiAqL1xuaW1wb3J0IHtcbiAgICBEaXJlY3RpdmUsXG4gICAgSW5wdXQsXG4gICAgTmdab25lLFxuICAgIE9uQ2hhbmdlcyxcbiAgICBPbkRlc3Ryb3ksXG4gICAgU2ltcGxlQ2hhbmdlcyxcbiAgICBUZW1wbGF0ZVJlZixcbiAgICBWaWV3Q29udGFpbmVyUmVmXG59IGZyb20gJ0Bhbmd1bGFyL2NvcmUnO1xuaW1wb3J0IHsgU3Vic2NyaXB0aW9uIH0gZnJvbSAncnhqcyc7XG5pbXBvcnQgeyBGaW5pdGVTdGF0ZU1hY2hpbmUgfSBmcm9tICcuLi9zdGF0ZS9maW5pdGUtc3RhdGUtbWFjaGluZSc7XG5cbi8qKlxuICogQ2hlY2tzIGlmIGFueSBvZiB0aGUgZ2l2ZW4gc3RhdGVzIGlzIGFjdGl2ZSBpbiB0aGUgZ2l2ZW4gbWFjaGluZS5cbiAqIEEgbWFjaGluZSB3aGljaCBoYXMgbm90IHlldCBzdGFydGVkIGhhcyBubyBhY3RpdmUgc3RhdGUuXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiBpc0FueVN0YXRlQWN0aXZlKG1hY2hpbmU6IEZpbml0ZVN0YXRlTWFjaGluZTxhbnksIGFueSwgYW55LCBib29sZWFuPiwgc3RhdGVzOiBzdHJpbmcgfCBBcnJheTxzdHJpbmc+KSB7XG4gICAgaWYgKCFtYWNoaW5lIHx8IG1hY2hpbmUuc3RhdHVzKCkgPT09ICdjb25maWd1cmluZycpIHtcbiAgICAgICAgcmV0dXJuIGZhbHNlO1xuICAgIH1cbiAgICBjb25zdCBuYW1lcyA9IHR5cGVvZiBzdGF0ZXMgPT09ICdzdHJpbmcnID8gW3N0YXRlc10gOiAoc3RhdGVzIHx8IFtdKTtcbiAgICByZXR1cm4gbmFtZXMuc29tZShuYW1lID0+IG1hY2hpbmUuaXNBY3RpdmUobmFtZSkpO1xufVxuXG4vKipcbiAqIFJlbmRlcnMgaXRzIHRlbXBsYXRlIHdoaWxlIGFueSBvZiB0aGUgZ2l2ZW4gc3RhdGVzIGlzIGFjdGl2ZSxcbiAqIGFuZCB0aGUgZWxzZSB0ZW1wbGF0ZSBvdGhlcndpc2UsIGUuZy4sXG4gKiA8ZGl2ICpmc21TdGF0ZT1cIlsnbG9hZGluZycsICdzYXZpbmcnXTsgbWFjaGluZTogZnNtOyBlbHNlIGlkbGVcIj4uLi48L2Rpdj5cbiAqIEEgc3RhdGUgaXMgYWN0aXZlIGlmIGl0IGlzIHRoZSBjdXJyZW50IHN0YXRlIG9mIGEgcmVnaW9uLCBvclxuICogaXQgZW5jbG9zZXMgb25lLiBUaGUgdGVtcGxhdGUgaXMgdXBkYXRlZCB3aGVuZXZlciB0aGUgbWFjaGluZVxuICogdGFrZXMgYSB0cmFuc2l0aW9uLCBldmVuIG91dHNpZGUgdGhlIEFuZ3VsYXIgem9uZS5cbiAqIEBjbGFzcyBGc21TdGF0ZURpcmVjdGl2ZVxuICovXG5ARGlyZWN0aXZlKHtcbiAgICBzZWxlY3RvcjogJ1tmc21TdGF0ZV0nXG59KVxuZXhwb3J0IGNsYXNzIEZzbVN0YXRlRGlyZWN0aXZlIGltcGxlbWVudHMgT25DaGFuZ2VzLCBPbkRlc3Ryb3kge1xuXG4gICAgQElucHV0KCkgZnNtU3RhdGU6IHN0cmluZyB8IEFycmF5PHN0cmluZz47XG4gICAgQElucHV0KCkgZnNtU3RhdGVNYWNoaW5lOiBGaW5pdGVTdGF0ZU1hY2hpbmU8YW55LCBhbnksIGFueSwgYm9vbGVhbj47XG4gICAgQElucHV0KCkgZnNtU3RhdGVFbHNlOiBUZW1wbGF0ZVJlZjxhbnk+O1xuXG4gICAgcHJpdmF0ZSBfc3Vic2NyaXB0aW9uOiBTdWJzY3JpcHRpb247XG4gICAgcHJpdmF0ZSBfc2hvd246IFRlbXBsYXRlUmVmPGFueT47XG5cbiAgICBjb25zdHJ1Y3Rvcihwcml2YXRlIF92aWV3Q29udGFpbmVyOiBWaWV3Q29udGFpbmVyUmVmLFxuICAgICAgICBwcml2YXRlIF90ZW1wbGF0ZVJlZjogVGVtcGxhdGVSZWY8YW55PixcbiAgICAgICAgcHJpdmF0ZSBfem9uZTogTmdab25lKSB7XG4gICAgICAgIHRoaXMuX3N1YnNjcmlwdGlvbiA9IG51bGw7XG4gICAgICAgIHRoaXMuX3Nob3duID0gbnVsbDtcbiAgICB9XG5cbiAgICBuZ09uQ2hhbmdlcyhjaGFuZ2VzOiBTaW1wbGVDaGFuZ2VzKSB7XG4gICAgICAgIGlmIChjaGFuZ2VzWydmc21TdGF0ZU1hY2hpbmUnXSkge1xuICAgICAgICAgICAgdGhpcy51bnN1YnNjcmliZSgpO1xuICAgICAgICAgICAgaWYgKHRoaXMuZnNtU3RhdGVNYWNoaW5lKSB7XG4gICAgICAgICAgICAgICAgLy8gVGhlIGN1cnJlbnQgc3RhdGVzIGFyZSByZXBsYXllZCBhdCBvbmNlLCBpZiBhbnkuXG4gICAgICAgICAgICAgICAgdGhpcy5fc3Vic2NyaXB0aW9uID0gdGhpcy5mc21TdGF0ZU1hY2hpbmUuY29uZmlndXJhdGlvbiQuc3Vic2NyaWJlKCgpID0+IHtcbiAgICAgICAgICAgICAgICAgICAgdGhpcy5fem9uZS5ydW4oKCkgPT4gdGhpcy5yZW5kZXIoKSk7XG4gICAgICAgICAgICAgICAgfSk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgICAgdGhpcy5yZW5kZXIoKTtcbiAgICB9XG5cbiAgICBuZ09uRGVzdHJveSgpIHtcbiAgICAgICAgdGhpcy51bnN1YnNjcmliZSgpO1xuICAgIH1cblxuICAgIHByaXZhdGUgdW5zdWJzY3JpYmUoKSB7XG4gICAgICAgIGlmICh0aGlzLl9zdWJzY3JpcHRpb24pIHtcbiAgICAgICAgICAgIHRoaXMuX3N1YnNjcmlwdGlvbi51bnN1YnNjcmliZSgpO1xuICAgICAgICAgICAgdGhpcy5fc3Vic2NyaXB0aW9uID0gbnVsbDtcbiAgICAgICAgfVxuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFNob3dzIHRoZSB0ZW1wbGF0ZSBtYXRjaGluZyB0aGUgYWN0aXZlIHN0YXRlcyxcbiAgICAgKiB1bmxlc3MgaXQgaXMgc2hvd24gYWxyZWFkeS5cbiAgICAgKi9cbiAgICBwcml2YXRlIHJlbmRlcigpIHtcbiAgICAgICAgY29uc3QgdGVtcGxhdGUgPSBpc0FueVN0YXRlQWN0aXZlKHRoaXMuZnNtU3RhdGVNYWNoaW5lLCB0aGlzLmZzbVN0YXRlKSA/XG4gICAgICAgICAgICB0aGlzLl90ZW1wbGF0ZVJlZiA6ICh0aGlzLmZzbVN0YXRlRWxzZSB8fCBudWxsKTtcbiAgICAgICAgaWYgKHRlbXBsYXRlID09PSB0aGlzLl9zaG93bikge1xuICAgICAgICAgICAgcmV0dXJuO1xuICAgICAgICB9XG4gICAgICAgIHRoaXMuX3ZpZXdDb250YWluZXIuY2xlYXIoKTtcbiAgICAgICAgaWYgKHRlbXBsYXRlKSB7XG4gICAgICAgICAgICB0aGlzLl92aWV3Q29udGFpbmVyLmNyZWF0ZUVtYmVkZGVkVmlldyh0ZW1wbGF0ZSk7XG4gICAgICAgIH1cbiAgICAgICAgdGhpcy5fc2hvd24gPSB0ZW1wbGF0ZTtcbiAgICB9XG59XG4iXX0=
\ No newline at end of file
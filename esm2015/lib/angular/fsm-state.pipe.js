@@ -0,0 +1,120 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * @fileOverview
+ * Provides the pipe which reads the states of a finite state machine
+ * in templates.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { ChangeDetectorRef, NgZone, Pipe } from '@angular/core';
+import { isAnyStateActive } from './fsm-state.directive';
+/** @type {?} */
+const defaultRegion = 'default';
+/**
+ * Reads the states of a machine, and marks the view for check
+ * whenever the machine takes a transition, even outside the Angular zone.
+ * Without an argument, it returns the current state of the default region,
+ * e.g., {{ fsm | fsmState }}, or, if every state is in a named region,
+ * the current state of every region, e.g., {{ (fsm | fsmState).left }},
+ * which is the same object until the machine takes another transition;
+ * given a state or a list of states, it returns whether any of them
+ * is active, e.g., [class.busy]="fsm | fsmState: ['loading', 'saving']".
+ */
+export class FsmStatePipe {
+    /**
+     * @param {?} _changeDetector
+     * @param {?} _zone
+     */
+    constructor(_changeDetector, _zone) {
+        this._changeDetector = _changeDetector;
+        this._zone = _zone;
+        this._machine = null;
+        this._subscription = null;
+        this._configuration = null;
+    }
+    /**
+     * @param {?} machine
+     * @param {?=} states
+     * @return {?}
+     */
+    transform(machine, states) {
+        if (machine !== this._machine) {
+            this.unsubscribe();
+            this._machine = machine;
+            this._configuration = null;
+            if (machine) {
+                this._subscription = machine.configuration$.subscribe((configuration) => {
+                    this._configuration = configuration;
+                    this._zone.run(() => this._changeDetector.markForCheck());
+                });
+            }
+        }
+        if (states !== undefined) {
+            return isAnyStateActive(machine, states);
+        }
+        /** @type {?} */
+        const current = this._configuration;
+        if (!current) {
+            return null;
+        }
+        return current.hasOwnProperty(defaultRegion) ? current[defaultRegion] : current;
+    }
+    /**
+     * @return {?}
+     */
+    ngOnDestroy() {
+        this.unsubscribe();
+    }
+    /**
+     * @private
+     * @return {?}
+     */
+    unsubscribe() {
+        if (this._subscription) {
+            this._subscription.unsubscribe();
+            this._subscription = null;
+        }
+    }
+}
+FsmStatePipe.decorators = [
+    { type: Pipe, args: [{
+                name: 'fsmState',
+                pure: false
+            },] }
+];
+/** @nocollapse */
+FsmStatePipe.ctorParameters = () => [
+    { type: ChangeDetectorRef },
+    { type: NgZone }
+];
+if (false) {
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmStatePipe.prototype._machine;
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmStatePipe.prototype._subscription;
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmStatePipe.prototype._configuration;
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmStatePipe.prototype._changeDetector;
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmStatePipe.prototype._zone;
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZnNtLXN0YXRlLnBpcGUuanMiLCJzb3VyY2VSb290Ijoibmc6Ly9AcG9scHdhcmUvZmUtYmVoYXZpb3IvIiwic291cmNlcyI6WyJsaWIvYW5ndWxhci9mc20tc3RhdGUucGlwZS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7OztBQU9BLE9BQU8sRUFBRSxpQkFBaUIsRUFBRSxNQUFNLEVBQWEsSUFBSSxFQUFpQixNQUFNLGVBQWUsQ0FBQztBQUcxRixPQUFPLEVBQUUsZ0JBQWdCLEVBQUUsTUFBTSx1QkFBdUIsQ0FBQzs7TUFFbkQsYUFBYSxHQUFHLFNBQVM7Ozs7Ozs7Ozs7O0FBaUIvQixNQUFNLE9BQU8sWUFBWTs7Ozs7SUFPckIsWUFBb0IsZUFBa0MsRUFDMUMsS0FBYTtRQURMLG9CQUFlLEdBQWYsZUFBZSxDQUFtQjtRQUMxQyxVQUFLLEdBQUwsS0FBSyxDQUFRO1FBQ3JCLElBQUksQ0FBQyxRQUFRLEdBQUcsSUFBSSxDQUFDO1FBQ3JCLElBQUksQ0FBQyxhQUFhLEdBQUcsSUFBSSxDQUFDO1FBQzFCLElBQUksQ0FBQyxjQUFjLEdBQUcsSUFBSSxDQUFDO0lBQy9CLENBQUM7Ozs7OztJQUlELFNBQVMsQ0FBQyxPQUFtRCxFQUN6RCxNQUErQjtRQUMvQixJQUFJLE9BQU8sS0FBSyxJQUFJLENBQUMsUUFBUSxFQUFFO1lBQzNCLElBQUksQ0FBQyxXQUFXLEVBQUUsQ0FBQztZQUNuQixJQUFJLENBQUMsUUFBUSxHQUFHLE9BQU8sQ0FBQztZQUN4QixJQUFJLENBQUMsY0FBYyxHQUFHLElBQUksQ0FBQztZQUMzQixJQUFJLE9BQU8sRUFBRTtnQkFDVCxJQUFJLENBQUMsYUFBYSxHQUFHLE9BQU8sQ0FBQyxjQUFjLENBQUMsU0FBUyxDQUFDLENBQUMsYUFBYSxFQUFFLEVBQUU7b0JBQ3BFLElBQUksQ0FBQyxjQUFjLEdBQUcsYUFBYSxDQUFDO29CQUNwQyxJQUFJLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLFlBQVksRUFBRSxDQUFDLENBQUM7Z0JBQzlELENBQUMsQ0FBQyxDQUFDO2FBQ047U0FDSjtRQUNELElBQUksTUFBTSxLQUFLLFNBQVMsRUFBRTtZQUN0QixPQUFPLGdCQUFnQixDQUFDLE9BQU8sRUFBRSxNQUFNLENBQUMsQ0FBQztTQUM1Qzs7Y0FDSyxPQUFPLEdBQUcsSUFBSSxDQUFDLGNBQWM7UUFDbkMsSUFBSSxDQUFDLE9BQU8sRUFBRTtZQUNWLE9BQU8sSUFBSSxDQUFDO1NBQ2Y7UUFDRCxPQUFPLE9BQU8sQ0FBQyxjQUFjLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxhQUFhLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDO0lBQ3BGLENBQUM7Ozs7SUFFRCxXQUFXO1FBQ1AsSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDO0lBQ3ZCLENBQUM7Ozs7O0lBRU8sV0FBVztRQUNmLElBQUksSUFBSSxDQUFDLGFBQWEsRUFBRTtZQUNwQixJQUFJLENBQUMsYUFBYSxDQUFDLFdBQVcsRUFBRSxDQUFDO1lBQ2pDLElBQUksQ0FBQyxhQUFhLEdBQUcsSUFBSSxDQUFDO1NBQzdCO0lBQ0wsQ0FBQzs7O1lBcERKLElBQUksU0FBQztnQkFDRixJQUFJLEVBQUUsVUFBVTtnQkFDaEIsSUFBSSxFQUFFLEtBQUs7YUFDZDs7OztZQXJCUSxpQkFBaUI7WUFBRSxNQUFNOzs7Ozs7O0lBd0I5QixnQ0FBNkQ7Ozs7O0lBQzdELHFDQUFvQzs7Ozs7SUFFcEMsc0NBQWtEOzs7OztJQUV0Qyx1Q0FBMEM7Ozs7O0lBQ2xELDZCQUFxQiIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGZpbGVPdmVydmlld1xuICogUHJvdmlkZXMgdGhlIHBpcGUgd2hpY2ggcmVhZHMgdGhlIHN0YXRlcyBvZiBhIGZpbml0ZSBzdGF0ZSBtYWNoaW5lXG4gKiBpbiB0ZW1wbGF0ZXMuXG4gKiBAYXV0aG9yIFhpYW9sb25nIFRhbmcgPHh4bG9uZ3RhbmdAZ21haWwuY29tPlxuICogQGxpY2Vuc2UgQ29weXJpZ2h0IEBtZVxuICovXG5pbXBvcnQgeyBDaGFuZ2VEZXRlY3RvclJlZiwgTmdab25lLCBPbkRlc3Ryb3ksIFBpcGUsIFBpcGVUcmFuc2Zvcm0gfSBmcm9tICdAYW5ndWxhci9jb3JlJztcbmltcG9ydCB7IFN1YnNjcmlwdGlvbiB9IGZyb20gJ3J4anMnO1xuaW1wb3J0IHsgRmluaXRlU3RhdGVNYWNoaW5lIH0gZnJvbSAnLi4vc3RhdGUvZmluaXRlLXN0YXRlLW1hY2hpbmUnO1xuaW1wb3J0IHsgaXNBbnlTdGF0ZUFjdGl2ZSB9IGZyb20gJy4vZnNtLXN0YXRlLmRpcmVjdGl2ZSc7XG5cbmNvbnN0IGRlZmF1bHRSZWdpb24gPSAnZGVmYXVsdCc7XG5cbi8qKlxuICogUmVhZHMgdGhlIHN0YXRlcyBvZiBhIG1hY2hpbmUsIGFuZCBtYXJrcyB0aGUgdmlldyBmb3IgY2hlY2tcbiAqIHdoZW5ldmVyIHRoZSBtYWNoaW5lIHRha2VzIGEgdHJhbnNpdGlvbiwgZXZlbiBvdXRzaWRlIHRoZSBBbmd1bGFyIHpvbmUuXG4gKiBXaXRob3V0IGFuIGFyZ3VtZW50LCBpdCByZXR1cm5zIHRoZSBjdXJyZW50IHN0YXRlIG9mIHRoZSBkZWZhdWx0IHJlZ2lvbixcbiAqIGUuZy4sIHt7IGZzbSB8IGZzbVN0YXRlIH19LCBvciwgaWYgZXZlcnkgc3RhdGUgaXMgaW4gYSBuYW1lZCByZWdpb24sXG4gKiB0aGUgY3VycmVudCBzdGF0ZSBvZiBldmVyeSByZWdpb24sIGUuZy4sIHt7IChmc20gfCBmc21TdGF0ZSkubGVmdCB9fSxcbiAqIHdoaWNoIGlzIHRoZSBzYW1lIG9iamVjdCB1bnRpbCB0aGUgbWFjaGluZSB0YWtlcyBhbm90aGVyIHRyYW5zaXRpb247XG4gKiBnaXZlbiBhIHN0YXRlIG9yIGEgbGlzdCBvZiBzdGF0ZXMsIGl0IHJldHVybnMgd2hldGhlciBhbnkgb2YgdGhlbVxuICogaXMgYWN0aXZlLCBlLmcuLCBbY2xhc3MuYnVzeV09XCJmc20gfCBmc21TdGF0ZTogWydsb2FkaW5nJywgJ3NhdmluZyddXCIuXG4gKiBAY2xhc3MgRnNtU3RhdGVQaXBlXG4gKi9cbkBQaXBlKHtcbiAgICBuYW1lOiAnZnNtU3RhdGUnLFxuICAgIHB1cmU6IGZhbHNlXG59KVxuZXhwb3J0IGNsYXNzIEZzbVN0YXRlUGlwZSBpbXBsZW1lbnRzIFBpcGVUcmFuc2Zvcm0sIE9uRGVzdHJveSB7XG5cbiAgICBwcml2YXRlIF9tYWNoaW5lOiBGaW5pdGVTdGF0ZU1hY2hpbmU8YW55LCBhbnksIGFueSwgYm9vbGVhbj47XG4gICAgcHJpdmF0ZSBfc3Vic2NyaXB0aW9uOiBTdWJzY3JpcHRpb247XG4gICAgLy8gVGhlIGNvbmZpZ3VyYXRpb24gYXMgb2YgdGhlIGxhc3QgdHJhbnNpdGlvblxuICAgIHByaXZhdGUgX2NvbmZpZ3VyYXRpb246IHsgW2tleTogc3RyaW5nXTogc3RyaW5nIH07XG5cbiAgICBjb25zdHJ1Y3Rvcihwcml2YXRlIF9jaGFuZ2VEZXRlY3RvcjogQ2hhbmdlRGV0ZWN0b3JSZWYsXG4gICAgICAgIHByaXZhdGUgX3pvbmU6IE5nWm9uZSkge1xuICAgICAgICB0aGlzLl9tYWNoaW5lID0gbnVsbDtcbiAgICAgICAgdGhpcy5fc3Vic2NyaXB0aW9uID0gbnVsbDtcbiAgICAgICAgdGhpcy5fY29uZmlndXJhdGlvbiA9IG51bGw7XG4gICAgfVxuXG4gICAgdHJhbnNmb3JtKG1hY2hpbmU6IEZpbml0ZVN0YXRlTWFjaGluZTxhbnksIGFueSwgYW55LCBib29sZWFuPik6IHN0cmluZyB8IHsgW3JlZ2lvbjogc3RyaW5nXTogc3RyaW5nIH07XG4gICAgdHJhbnNmb3JtKG1hY2hpbmU6IEZpbml0ZVN0YXRlTWFjaGluZTxhbnksIGFueSwgYW55LCBib29sZWFuPiwgc3RhdGVzOiBzdHJpbmcgfCBBcnJheTxzdHJpbmc+KTogYm9vbGVhbjtcbiAgICB0cmFuc2Zvcm0obWFjaGluZTogRmluaXRlU3RhdGVNYWNoaW5lPGFueSwgYW55LCBhbnksIGJvb2xlYW4+LFxuICAgICAgICBzdGF0ZXM/OiBzdHJpbmcgfCBBcnJheTxzdHJpbmc+KTogc3RyaW5nIHwgeyBbcmVnaW9uOiBzdHJpbmddOiBzdHJpbmcgfSB8IGJvb2xlYW4ge1xuICAgICAgICBpZiAobWFjaGluZSAhPT0gdGhpcy5fbWFjaGluZSkge1xuICAgICAgICAgICAgdGhpcy51bnN1YnNjcmliZSgpO1xuICAgICAgICAgICAgdGhpcy5fbWFjaGluZSA9IG1hY2hpbmU7XG4gICAgICAgICAgICB0aGlzLl9jb25maWd1cmF0aW9uID0gbnVsbDtcbiAgICAgICAgICAgIGlmIChtYWNoaW5lKSB7XG4gICAgICAgICAgICAgICAgdGhpcy5fc3Vic2NyaXB0aW9uID0gbWFjaGluZS5jb25maWd1cmF0aW9uJC5zdWJzY3JpYmUoKGNvbmZpZ3VyYXRpb24pID0+IHtcbiAgICAgICAgICAgICAgICAgICAgdGhpcy5fY29uZmlndXJhdGlvbiA9IGNvbmZpZ3VyYXRpb247XG4gICAgICAgICAgICAgICAgICAgIHRoaXMuX3pvbmUucnVuKCgpID0+IHRoaXMuX2NoYW5nZURldGVjdG9yLm1hcmtGb3JDaGVjaygpKTtcbiAgICAgICAgICAgICAgICB9KTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgICAgICBpZiAoc3RhdGVzICE9PSB1bmRlZmluZWQpIHtcbiAgICAgICAgICAgIHJldHVybiBpc0FueVN0YXRlQWN0aXZlKG1hY2hpbmUsIHN0YXRlcyk7XG4gICAgICAgIH1cbiAgICAgICAgY29uc3QgY3VycmVudCA9IHRoaXMuX2NvbmZpZ3VyYXRpb247XG4gICAgICAgIGlmICghY3VycmVudCkge1xuICAgICAgICAgICAgcmV0dXJuIG51bGw7XG4gICAgICAgIH1cbiAgICAgICAgcmV0dXJuIGN1cnJlbnQuaGFzT3duUHJvcGVydHkoZGVmYXVsdFJlZ2lvbikgPyBjdXJyZW50W2RlZmF1bHRSZWdpb25dIDogY3VycmVudDtcbiAgICB9XG5cbiAgICBuZ09uRGVzdHJveSgpIHtcbiAgICAgICAgdGhpcy51bnN1YnNjcmliZSgpO1xuICAgIH1cblxuICAgIHByaXZhdGUgdW5zdWJzY3JpYmUoKSB7XG4gICAgICAgIGlmICh0aGlzLl9zdWJzY3JpcHRpb24pIHtcbiAgICAgICAgICAgIHRoaXMuX3N1YnNjcmlwdGlvbi51bnN1YnNjcmliZSgpO1xuICAgICAgICAgICAgdGhpcy5fc3Vic2NyaXB0aW9uID0gbnVsbDtcbiAgICAgICAgfVxuICAgIH1cbn1cbiJdfQ==
\ No newline at end of file
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * @fileOverview
+ * Provides the injectable registry of finite state machines, which
+ * creates the machines registered in its injector on demand, and
+ * disposes them when the injector is destroyed.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { Inject, Injectable, InjectionToken, Optional, SkipSelf } from '@angular/core';
+import { FiniteStateMachine } from '../state/finite-state-machine';
+/**
+ * Describes a machine to be provided by a registry.
+ * The callbacks and the guards in the definition are referred to
+ * by their names in the map of implementations.
+ * @record
+ */
+export function IMachineRegistration() { }
+if (false) {
+    /** @type {?} */
+    IMachineRegistration.prototype.name;
+    /** @type {?} */
+    IMachineRegistration.prototype.definition;
+    /** @type {?|undefined} */
+    IMachineRegistration.prototype.implementations;
+}
+/**
+ * The token under which the registrations of machines are provided.
+ * Each provider contributes an array of registrations.
+ * @type {?}
+ */
+export const MACHINE_REGISTRATIONS = new InjectionToken('MACHINE_REGISTRATIONS');
+/**
+ * The token under which the execution strategy of the machines
+ * created by a registry is provided, if any.
+ * @type {?}
+ */
+export const MACHINE_EXECUTION_STRATEGY = new InjectionToken('MACHINE_EXECUTION_STRATEGY');
+/**
+ * Represents the machines available in an injector.
+ * A machine registered in the same injector as the registry is created
+ * and started on the first request, and a machine registered elsewhere
+ * is looked up in the registry of the parent injector.
+ * Provided at the component level without any registration, the registry
+ * creates its own instances of the machines visible to the component.
+ */
+export class MachineRegistry {
+    /**
+     * @param {?} registrations
+     * @param {?} parent
+     * @param {?} execution
+     */
+    constructor(registrations, parent, execution) {
+        this._registrations = {};
+        this._machines = {};
+        this._parent = parent;
+        this._execution = execution;
+        for (const group of registrations || []) {
+            for (const elem of group) {
+                if (this._registrations[elem.name]) {
+                    throw new Error('Re-registering a machine: ' + elem.name);
+                }
+                this._registrations[elem.name] = elem;
+            }
+        }
+    }
+    /**
+     * Checks if the machine of the given name is available,
+     * either in this registry or in any of its ancestors.
+     * @param {?} name
+     * @return {?}
+     */
+    has(name) {
+        return !!this._registrations[name] || (!!this._parent && this._parent.has(name));
+    }
+    /**
+     * Returns the machine of the given name, which is created
+     * from its definition and started on the first request,
+     * with the execution strategy provided, if any.
+     * The states, the events and the context data of the machine
+     * may be given as the type parameters, as in FiniteStateMachine,
+     * and so may the mode, which is otherwise unknown.
+     * @template TState, TEvent, TContext, TAsync
+     * @param {?} name
+     * @return {?}
+     */
+    get(name) {
+        /** @type {?} */
+        const elem = this._registrations[name];
+        if (!elem) {
+            if (!this._parent) {
+                throw new Error('Undefined machine: ' + name);
+            }
+            return this._parent.get(name);
+        }
+        if (!this._machines[name]) {
+            /** @type {?} */
+            const machine = FiniteStateMachine.fromDefinition(elem.definition, elem.implementations);
+            if (this._execution) {
+                machine.setExecutionStrategy(this._execution);
+            }
+            this._machines[name] = machine.start();
+        }
+        return this._machines[name];
+    }
+    /**
+     * Disposes the machines created by this registry.
+     * @return {?}
+     */
+    ngOnDestroy() {
+        for (const k in this._machines) {
+            if (this._machines.hasOwnProperty(k)) {
+                this._machines[k].dispose();
+            }
+        }
+        this._machines = {};
+    }
+}
+MachineRegistry.decorators = [
+    { type: Injectable }
+];
+/** @nocollapse */
+MachineRegistry.ctorParameters = () => [
+    { type: Array, decorators: [{ type: Optional }, { type: Inject, args: [MACHINE_REGISTRATIONS,] }] },
+    { type: MachineRegistry, decorators: [{ type: Optional }, { type: SkipSelf }] },
+    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [MACHINE_EXECUTION_STRATEGY,] }] }
+];
+if (false) {
+    /**
+     * @type {?}
+     * @private
+     */
+    MachineRegistry.prototype._registrations;
+    /**
+     * @type {?}
+     * @private
+     */
+    MachineRegistry.prototype._machines;
+    /**
+     * @type {?}
+     * @private
+     */
+    MachineRegistry.prototype._parent;
+    /**
+     * @type {?}
+     * @private
+     */
+    MachineRegistry.prototype._execution;
+}
+/**
+ * Returns the providers of a registry of the given machines, e.g.,
+ * to be used in the providers of a component, so that the machines
+ * live as long as the component.
+ * @param {?} registrations
+ * @return {?}
+ */
+export function provideMachines(registrations) {
+    return [
+        { provide: MACHINE_REGISTRATIONS, useValue: registrations, multi: true },
+        MachineRegistry
+    ];
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibWFjaGluZS1yZWdpc3RyeS5qcyIsInNvdXJjZVJvb3QiOiJuZzovL0Bwb2xwd2FyZS9mZS1iZWhhdmlvci8iLCJzb3VyY2VzIjpbImxpYi9hbmd1bGFyL21hY2hpbmUtcmVnaXN0cnkudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7O0FBUUEsT0FBTyxFQUFFLE1BQU0sRUFBRSxVQUFVLEVBQUUsY0FBYyxFQUFhLFFBQVEsRUFBWSxRQUFRLEVBQUUsTUFBTSxlQUFlLENBQUM7QUFDNUcsT0FBTyxFQUFFLGtCQUFrQixFQUFFLE1BQU0sK0JBQStCLENBQUM7Ozs7Ozs7QUFTbkUsMENBSUM7OztJQUhHLG9DQUFhOztJQUNiLDBDQUErQjs7SUFDL0IsK0NBQXlDOzs7Ozs7O0FBTzdDLE1BQU0sT0FBTyxxQkFBcUIsR0FBRyxJQUFJLGNBQWMsQ0FBZ0MsdUJBQXVCLENBQUM7Ozs7OztBQU0vRyxNQUFNLE9BQU8sMEJBQTBCLEdBQUcsSUFBSSxjQUFjLENBQXFCLDRCQUE0QixDQUFDOzs7Ozs7Ozs7QUFZOUcsTUFBTSxPQUFPLGVBQWU7Ozs7OztJQU94QixZQUF1RCxhQUE0QyxFQUN2RSxNQUF1QixFQUNDLFNBQTZCO1FBQzdFLElBQUksQ0FBQyxjQUFjLEdBQUcsRUFBRSxDQUFDO1FBQ3pCLElBQUksQ0FBQyxTQUFTLEdBQUcsRUFBRSxDQUFDO1FBQ3BCLElBQUksQ0FBQyxPQUFPLEdBQUcsTUFBTSxDQUFDO1FBQ3RCLElBQUksQ0FBQyxVQUFVLEdBQUcsU0FBUyxDQUFDO1FBRTVCLEtBQUssTUFBTSxLQUFLLElBQUksYUFBYSxJQUFJLEVBQUUsRUFBRTtZQUNyQyxLQUFLLE1BQU0sSUFBSSxJQUFJLEtBQUssRUFBRTtnQkFDdEIsSUFBSSxJQUFJLENBQUMsY0FBYyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRTtvQkFDaEMsTUFBTSxJQUFJLEtBQUssQ0FBQyw0QkFBNEIsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7aUJBQzdEO2dCQUNELElBQUksQ0FBQyxjQUFjLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQzthQUN6QztTQUNKO0lBQ0wsQ0FBQzs7Ozs7OztJQU1ELEdBQUcsQ0FBQyxJQUFZO1FBQ1osT0FBTyxDQUFDLENBQUMsSUFBSSxDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsT0FBTyxJQUFJLElBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7SUFDckYsQ0FBQzs7Ozs7Ozs7Ozs7O0lBVUQsR0FBRyxDQUNtQyxJQUFZOztjQUN4QyxJQUFJLEdBQUcsSUFBSSxDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUM7UUFDdEMsSUFBSSxDQUFDLElBQUksRUFBRTtZQUNQLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxFQUFFO2dCQUNmLE1BQU0sSUFBSSxLQUFLLENBQUMscUJBQXFCLEdBQUcsSUFBSSxDQUFDLENBQUM7YUFDakQ7WUFDRCxPQUFPLElBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFtQyxJQUFJLENBQUMsQ0FBQztTQUNuRTtRQUNELElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxFQUFFOztrQkFDakIsT0FBTyxHQUFHLGtCQUFrQixDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUMsVUFBVSxFQUFFLElBQUksQ0FBQyxlQUFlLENBQUM7WUFDeEYsSUFBSSxJQUFJLENBQUMsVUFBVSxFQUFFO2dCQUNqQixPQUFPLENBQUMsb0JBQW9CLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDO2FBQ2pEO1lBQ0QsSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsR0FBRyxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUM7U0FDMUM7UUFDRCxPQUFPLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDaEMsQ0FBQzs7Ozs7SUFLRCxXQUFXO1FBQ1AsS0FBSyxNQUFNLENBQUMsSUFBSSxJQUFJLENBQUMsU0FBUyxFQUFFO1lBQzVCLElBQUksSUFBSSxDQUFDLFNBQVMsQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLEVBQUU7Z0JBQ2xDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxFQUFFLENBQUM7YUFDL0I7U0FDSjtRQUNELElBQUksQ0FBQyxTQUFTLEdBQUcsRUFBRSxDQUFDO0lBQ3hCLENBQUM7OztZQXZFSixVQUFVOzs7O1lBUStELEtBQUssdUJBQTlELFFBQVEsWUFBSSxNQUFNLFNBQUMscUJBQXFCO1lBQ2pCLGVBQWUsdUJBQTlDLFFBQVEsWUFBSSxRQUFROzRDQUNwQixRQUFRLFlBQUksTUFBTSxTQUFDLDBCQUEwQjs7Ozs7OztJQVBsRCx5Q0FBZ0U7Ozs7O0lBQ2hFLG9DQUE2RTs7Ozs7SUFDN0Usa0NBQWlDOzs7OztJQUNqQyxxQ0FBdUM7Ozs7Ozs7OztBQXlFM0MsTUFBTSxVQUFVLGVBQWUsQ0FBQyxhQUEwQztJQUN0RSxPQUFPO1FBQ0gsRUFBRSxPQUFPLEVBQUUscUJBQXFCLEVBQUUsUUFBUSxFQUFFLGFBQWEsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFO1FBQ3hFLGVBQWU7S0FDbEIsQ0FBQztBQUNOLENBQUMiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBmaWxlT3ZlcnZpZXdcbiAqIFByb3ZpZGVzIHRoZSBpbmplY3RhYmxlIHJlZ2lzdHJ5IG9mIGZpbml0ZSBzdGF0ZSBtYWNoaW5lcywgd2hpY2hcbiAqIGNyZWF0ZXMgdGhlIG1hY2hpbmVzIHJlZ2lzdGVyZWQgaW4gaXRzIGluamVjdG9yIG9uIGRlbWFuZCwgYW5kXG4gKiBkaXNwb3NlcyB0aGVtIHdoZW4gdGhlIGluamVjdG9yIGlzIGRlc3Ryb3llZC5cbiAqIEBhdXRob3IgWGlhb2xvbmcgVGFuZyA8eHhsb25ndGFuZ0BnbWFpbC5jb20+XG4gKiBAbGljZW5zZSBDb3B5cmlnaHQgQG1lXG4gKi9cbmltcG9ydCB7IEluamVjdCwgSW5qZWN0YWJsZSwgSW5qZWN0aW9uVG9rZW4sIE9uRGVzdHJveSwgT3B0aW9uYWwsIFByb3ZpZGVyLCBTa2lwU2VsZiB9IGZyb20gJ0Bhbmd1bGFyL2NvcmUnO1xuaW1wb3J0IHsgRmluaXRlU3RhdGVNYWNoaW5lIH0gZnJvbSAnLi4vc3RhdGUvZmluaXRlLXN0YXRlLW1hY2hpbmUnO1xuaW1wb3J0IHsgSU1hY2hpbmVEZWZpbml0aW9uIH0gZnJvbSAnLi4vc3RhdGUvbWFjaGluZS1kZWZpbml0aW9uJztcbmltcG9ydCB7IElFeGVjdXRpb25TdHJhdGVneSB9IGZyb20gJy4uL3N0YXRlL2V4ZWN1dGlvbi1zdHJhdGVneSc7XG5cbi8qKlxuICogRGVzY3JpYmVzIGEgbWFjaGluZSB0byBiZSBwcm92aWRlZCBieSBhIHJlZ2lzdHJ5LlxuICogVGhlIGNhbGxiYWNrcyBhbmQgdGhlIGd1YXJkcyBpbiB0aGUgZGVmaW5pdGlvbiBhcmUgcmVmZXJyZWQgdG9cbiAqIGJ5IHRoZWlyIG5hbWVzIGluIHRoZSBtYXAgb2YgaW1wbGVtZW50YXRpb25zLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIElNYWNoaW5lUmVnaXN0cmF0aW9uIHtcbiAgICBuYW1lOiBzdHJpbmc7XG4gICAgZGVmaW5pdGlvbjogSU1hY2hpbmVEZWZpbml0aW9uO1xuICAgIGltcGxlbWVudGF0aW9ucz86IHsgW2tleTogc3RyaW5nXTogYW55IH07XG59XG5cbi8qKlxuICogVGhlIHRva2VuIHVuZGVyIHdoaWNoIHRoZSByZWdpc3RyYXRpb25zIG9mIG1hY2hpbmVzIGFyZSBwcm92aWRlZC5cbiAqIEVhY2ggcHJvdmlkZXIgY29udHJpYnV0ZXMgYW4gYXJyYXkgb2YgcmVnaXN0cmF0aW9ucy5cbiAqL1xuZXhwb3J0IGNvbnN0IE1BQ0hJTkVfUkVHSVNUUkFUSU9OUyA9IG5ldyBJbmplY3Rpb25Ub2tlbjxBcnJheTxJTWFjaGluZVJlZ2lzdHJhdGlvbltdPj4oJ01BQ0hJTkVfUkVHSVNUUkFUSU9OUycpO1xuXG4vKipcbiAqIFRoZSB0b2tlbiB1bmRlciB3aGljaCB0aGUgZXhlY3V0aW9uIHN0cmF0ZWd5IG9mIHRoZSBtYWNoaW5lc1xuICogY3JlYXRlZCBieSBhIHJlZ2lzdHJ5IGlzIHByb3ZpZGVkLCBpZiBhbnkuXG4gKi9cbmV4cG9ydCBjb25zdCBNQUNISU5FX0VYRUNVVElPTl9TVFJBVEVHWSA9IG5ldyBJbmplY3Rpb25Ub2tlbjxJRXhlY3V0aW9uU3RyYXRlZ3k+KCdNQUNISU5FX0VYRUNVVElPTl9TVFJBVEVHWScpO1xuXG4vKipcbiAqIFJlcHJlc2VudHMgdGhlIG1hY2hpbmVzIGF2YWlsYWJsZSBpbiBhbiBpbmplY3Rvci5cbiAqIEEgbWFjaGluZSByZWdpc3RlcmVkIGluIHRoZSBzYW1lIGluamVjdG9yIGFzIHRoZSByZWdpc3RyeSBpcyBjcmVhdGVkXG4gKiBhbmQgc3RhcnRlZCBvbiB0aGUgZmlyc3QgcmVxdWVzdCwgYW5kIGEgbWFjaGluZSByZWdpc3RlcmVkIGVsc2V3aGVyZVxuICogaXMgbG9va2VkIHVwIGluIHRoZSByZWdpc3RyeSBvZiB0aGUgcGFyZW50IGluamVjdG9yLlxuICogUHJvdmlkZWQgYXQgdGhlIGNvbXBvbmVudCBsZXZlbCB3aXRob3V0IGFueSByZWdpc3RyYXRpb24sIHRoZSByZWdpc3RyeVxuICogY3JlYXRlcyBpdHMgb3duIGluc3RhbmNlcyBvZiB0aGUgbWFjaGluZXMgdmlzaWJsZSB0byB0aGUgY29tcG9uZW50LlxuICogQGNsYXNzIE1hY2hpbmVSZWdpc3RyeVxuICovXG5ASW5qZWN0YWJsZSgpXG5leHBvcnQgY2xhc3MgTWFjaGluZVJlZ2lzdHJ5IGltcGxlbWVudHMgT25EZXN0cm95IHtcblxuICAgIHByaXZhdGUgX3JlZ2lzdHJhdGlvbnM6IHsgW2tleTogc3RyaW5nXTogSU1hY2hpbmVSZWdpc3RyYXRpb24gfTtcbiAgICBwcml2YXRlIF9tYWNoaW5lczogeyBba2V5OiBzdHJpbmddOiBGaW5pdGVTdGF0ZU1hY2hpbmU8YW55LCBhbnksIGFueSwgYW55PiB9O1xuICAgIHByaXZhdGUgX3BhcmVudDogTWFjaGluZVJlZ2lzdHJ5O1xuICAgIHByaXZhdGUgX2V4ZWN1dGlvbjogSUV4ZWN1dGlvblN0cmF0ZWd5O1xuXG4gICAgY29uc3RydWN0b3IoQE9wdGlvbmFsKCkgQEluamVjdChNQUNISU5FX1JFR0lTVFJBVElPTlMpIHJlZ2lzdHJhdGlvbnM6IEFycmF5PElNYWNoaW5lUmVnaXN0cmF0aW9uW10+LFxuICAgICAgICBAT3B0aW9uYWwoKSBAU2tpcFNlbGYoKSBwYXJlbnQ6IE1hY2hpbmVSZWdpc3RyeSxcbiAgICAgICAgQE9wdGlvbmFsKCkgQEluamVjdChNQUNISU5FX0VYRUNVVElPTl9TVFJBVEVHWSkgZXhlY3V0aW9uOiBJRXhlY3V0aW9uU3RyYXRlZ3kpIHtcbiAgICAgICAgdGhpcy5fcmVnaXN0cmF0aW9ucyA9IHt9O1xuICAgICAgICB0aGlzLl9tYWNoaW5lcyA9IHt9O1xuICAgICAgICB0aGlzLl9wYXJlbnQgPSBwYXJlbnQ7XG4gICAgICAgIHRoaXMuX2V4ZWN1dGlvbiA9IGV4ZWN1dGlvbjtcblxuICAgICAgICBmb3IgKGNvbnN0IGdyb3VwIG9mIHJlZ2lzdHJhdGlvbnMgfHwgW10pIHtcbiAgICAgICAgICAgIGZvciAoY29uc3QgZWxlbSBvZiBncm91cCkge1xuICAgICAgICAgICAgICAgIGlmICh0aGlzLl9yZWdpc3RyYXRpb25zW2VsZW0ubmFtZV0pIHtcbiAgICAgICAgICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdSZS1yZWdpc3RlcmluZyBhIG1hY2hpbmU6ICcgKyBlbGVtLm5hbWUpO1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICB0aGlzLl9yZWdpc3RyYXRpb25zW2VsZW0ubmFtZV0gPSBlbGVtO1xuICAgICAgICAgICAgfVxuICAgICAgICB9XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogQ2hlY2tzIGlmIHRoZSBtYWNoaW5lIG9mIHRoZSBnaXZlbiBuYW1lIGlzIGF2YWlsYWJsZSxcbiAgICAgKiBlaXRoZXIgaW4gdGhpcyByZWdpc3RyeSBvciBpbiBhbnkgb2YgaXRzIGFuY2VzdG9ycy5cbiAgICAgKi9cbiAgICBoYXMobmFtZTogc3RyaW5nKTogYm9vbGVhbiB7XG4gICAgICAgIHJldHVybiAhIXRoaXMuX3JlZ2lzdHJhdGlvbnNbbmFtZV0gfHwgKCEhdGhpcy5fcGFyZW50ICYmIHRoaXMuX3BhcmVudC5oYXMobmFtZSkpO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJldHVybnMgdGhlIG1hY2hpbmUgb2YgdGhlIGdpdmVuIG5hbWUsIHdoaWNoIGlzIGNyZWF0ZWRcbiAgICAgKiBmcm9tIGl0cyBkZWZpbml0aW9uIGFuZCBzdGFydGVkIG9uIHRoZSBmaXJzdCByZXF1ZXN0LFxuICAgICAqIHdpdGggdGhlIGV4ZWN1dGlvbiBzdHJhdGVneSBwcm92aWRlZCwgaWYgYW55LlxuICAgICAqIFRoZSBzdGF0ZXMsIHRoZSBldmVudHMgYW5kIHRoZSBjb250ZXh0IGRhdGEgb2YgdGhlIG1hY2hpbmVcbiAgICAgKiBtYXkgYmUgZ2l2ZW4gYXMgdGhlIHR5cGUgcGFyYW1ldGVycywgYXMgaW4gRmluaXRlU3RhdGVNYWNoaW5lLFxuICAgICAqIGFuZCBzbyBtYXkgdGhlIG1vZGUsIHdoaWNoIGlzIG90aGVyd2lzZSB1bmtub3duLlxuICAgICAqL1xuICAgIGdldDxUU3RhdGUgZXh0ZW5kcyBzdHJpbmcgPSBzdHJpbmcsIFRFdmVudCBleHRlbmRzIHN0cmluZyA9IHN0cmluZywgVENvbnRleHQgPSBhbnksXG4gICAgICAgIFRBc3luYyBleHRlbmRzIGJvb2xlYW4gPSBib29sZWFuPihuYW1lOiBzdHJpbmcpOiBGaW5pdGVTdGF0ZU1hY2hpbmU8VFN0YXRlLCBURXZlbnQsIFRDb250ZXh0LCBUQXN5bmM+IHtcbiAgICAgICAgY29uc3QgZWxlbSA9IHRoaXMuX3JlZ2lzdHJhdGlvbnNbbmFtZV07XG4gICAgICAgIGlmICghZWxlbSkge1xuICAgICAgICAgICAgaWYgKCF0aGlzLl9wYXJlbnQpIHtcbiAgICAgICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1VuZGVmaW5lZCBtYWNoaW5lOiAnICsgbmFtZSk7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICByZXR1cm4gdGhpcy5fcGFyZW50LmdldDxUU3RhdGUsIFRFdmVudCwgVENvbnRleHQsIFRBc3luYz4obmFtZSk7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKCF0aGlzLl9tYWNoaW5lc1tuYW1lXSkge1xuICAgICAgICAgICAgY29uc3QgbWFjaGluZSA9IEZpbml0ZVN0YXRlTWFjaGluZS5mcm9tRGVmaW5pdGlvbihlbGVtLmRlZmluaXRpb24sIGVsZW0uaW1wbGVtZW50YXRpb25zKTtcbiAgICAgICAgICAgIGlmICh0aGlzLl9leGVjdXRpb24pIHtcbiAgICAgICAgICAgICAgICBtYWNoaW5lLnNldEV4ZWN1dGlvblN0cmF0ZWd5KHRoaXMuX2V4ZWN1dGlvbik7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICB0aGlzLl9tYWNoaW5lc1tuYW1lXSA9IG1hY2hpbmUuc3RhcnQoKTtcbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gdGhpcy5fbWFjaGluZXNbbmFtZV07XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogRGlzcG9zZXMgdGhlIG1hY2hpbmVzIGNyZWF0ZWQgYnkgdGhpcyByZWdpc3RyeS5cbiAgICAgKi9cbiAgICBuZ09uRGVzdHJveSgpIHtcbiAgICAgICAgZm9yIChjb25zdCBrIGluIHRoaXMuX21hY2hpbmVzKSB7XG4gICAgICAgICAgICBpZiAodGhpcy5fbWFjaGluZXMuaGFzT3duUHJvcGVydHkoaykpIHtcbiAgICAgICAgICAgICAgICB0aGlzLl9tYWNoaW5lc1trXS5kaXNwb3NlKCk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgICAgdGhpcy5fbWFjaGluZXMgPSB7fTtcbiAgICB9XG59XG5cbi8qKlxuICogUmV0dXJucyB0aGUgcHJvdmlkZXJzIG9mIGEgcmVnaXN0cnkgb2YgdGhlIGdpdmVuIG1hY2hpbmVzLCBlLmcuLFxuICogdG8gYmUgdXNlZCBpbiB0aGUgcHJvdmlkZXJzIG9mIGEgY29tcG9uZW50LCBzbyB0aGF0IHRoZSBtYWNoaW5lc1xuICogbGl2ZSBhcyBsb25nIGFzIHRoZSBjb21wb25lbnQuXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiBwcm92aWRlTWFjaGluZXMocmVnaXN0cmF0aW9uczogQXJyYXk8SU1hY2hpbmVSZWdpc3RyYXRpb24+KTogQXJyYXk8UHJvdmlkZXI+IHtcbiAgICByZXR1cm4gW1xuICAgICAgICB7IHByb3ZpZGU6IE1BQ0hJTkVfUkVHSVNUUkFUSU9OUywgdXNlVmFsdWU6IHJlZ2lzdHJhdGlvbnMsIG11bHRpOiB0cnVlIH0sXG4gICAgICAgIE1hY2hpbmVSZWdpc3RyeVxuICAgIF07XG59XG4iXX0=
\ No newline at end of file
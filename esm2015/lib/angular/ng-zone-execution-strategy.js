@@ -0,0 +1,63 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * @fileOverview
+ * Provides the execution strategy which runs finite state machines
+ * outside the Angular zone.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { Injectable, NgZone } from '@angular/core';
+/**
+ * Runs the work of a machine outside the Angular zone, so that
+ * the transitions do not trigger change detection by themselves,
+ * and re-enters the zone only to notify the handlers and the subscribers,
+ * e.g., the fsmState directive and pipe. To be used by the machines
+ * of a registry, it is provided under MACHINE_EXECUTION_STRATEGY, e.g.,
+ * { provide: MACHINE_EXECUTION_STRATEGY, useClass: NgZoneExecutionStrategy }
+ */
+export class NgZoneExecutionStrategy {
+    /**
+     * @param {?} _zone
+     */
+    constructor(_zone) {
+        this._zone = _zone;
+    }
+    /**
+     * @template T
+     * @param {?} work
+     * @return {?}
+     */
+    execute(work) {
+        return this._zone.runOutsideAngular(work);
+    }
+    /**
+     * @param {?} delivery
+     * @return {?}
+     */
+    notify(delivery) {
+        if (NgZone.isInAngularZone()) {
+            delivery();
+        }
+        else {
+            this._zone.run(delivery);
+        }
+    }
+}
+NgZoneExecutionStrategy.decorators = [
+    { type: Injectable }
+];
+/** @nocollapse */
+NgZoneExecutionStrategy.ctorParameters = () => [
+    { type: NgZone }
+];
+if (false) {
+    /**
+     * @type {?}
+     * @private
+     */
+    NgZoneExecutionStrategy.prototype._zone;
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibmctem9uZS1leGVjdXRpb24tc3RyYXRlZ3kuanMiLCJzb3VyY2VSb290Ijoibmc6Ly9AcG9scHdhcmUvZmUtYmVoYXZpb3IvIiwic291cmNlcyI6WyJsaWIvYW5ndWxhci9uZy16b25lLWV4ZWN1dGlvbi1zdHJhdGVneS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7OztBQU9BLE9BQU8sRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFFLE1BQU0sZUFBZSxDQUFDOzs7Ozs7Ozs7QUFhbkQsTUFBTSxPQUFPLHVCQUF1Qjs7OztJQUVoQyxZQUFvQixLQUFhO1FBQWIsVUFBSyxHQUFMLEtBQUssQ0FBUTtJQUFJLENBQUM7Ozs7OztJQUV0QyxPQUFPLENBQUksSUFBYTtRQUNwQixPQUFPLElBQUksQ0FBQyxLQUFLLENBQUMsaUJBQWlCLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDOUMsQ0FBQzs7Ozs7SUFFRCxNQUFNLENBQUMsUUFBb0I7UUFDdkIsSUFBSSxNQUFNLENBQUMsZUFBZSxFQUFFLEVBQUU7WUFDMUIsUUFBUSxFQUFFLENBQUM7U0FDZDthQUFNO1lBQ0gsSUFBSSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLENBQUM7U0FDNUI7SUFDTCxDQUFDOzs7WUFmSixVQUFVOzs7O1lBWlUsTUFBTTs7Ozs7OztJQWVYLHdDQUFxQiIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGZpbGVPdmVydmlld1xuICogUHJvdmlkZXMgdGhlIGV4ZWN1dGlvbiBzdHJhdGVneSB3aGljaCBydW5zIGZpbml0ZSBzdGF0ZSBtYWNoaW5lc1xuICogb3V0c2lkZSB0aGUgQW5ndWxhciB6b25lLlxuICogQGF1dGhvciBYaWFvbG9uZyBUYW5nIDx4eGxvbmd0YW5nQGdtYWlsLmNvbT5cbiAqIEBsaWNlbnNlIENvcHlyaWdodCBAbWVcbiAqL1xuaW1wb3J0IHsgSW5qZWN0YWJsZSwgTmdab25lIH0gZnJvbSAnQGFuZ3VsYXIvY29yZSc7XG5pbXBvcnQgeyBJRXhlY3V0aW9uU3RyYXRlZ3kgfSBmcm9tICcuLi9zdGF0ZS9leGVjdXRpb24tc3RyYXRlZ3knO1xuXG4vKipcbiAqIFJ1bnMgdGhlIHdvcmsgb2YgYSBtYWNoaW5lIG91dHNpZGUgdGhlIEFuZ3VsYXIgem9uZSwgc28gdGhhdFxuICogdGhlIHRyYW5zaXRpb25zIGRvIG5vdCB0cmlnZ2VyIGNoYW5nZSBkZXRlY3Rpb24gYnkgdGhlbXNlbHZlcyxcbiAqIGFuZCByZS1lbnRlcnMgdGhlIHpvbmUgb25seSB0byBub3RpZnkgdGhlIGhhbmRsZXJzIGFuZCB0aGUgc3Vic2NyaWJlcnMsXG4gKiBlLmcuLCB0aGUgZnNtU3RhdGUgZGlyZWN0aXZlIGFuZCBwaXBlLiBUbyBiZSB1c2VkIGJ5IHRoZSBtYWNoaW5lc1xuICogb2YgYSByZWdpc3RyeSwgaXQgaXMgcHJvdmlkZWQgdW5kZXIgTUFDSElORV9FWEVDVVRJT05fU1RSQVRFR1ksIGUuZy4sXG4gKiB7IHByb3ZpZGU6IE1BQ0hJTkVfRVhFQ1VUSU9OX1NUUkFURUdZLCB1c2VDbGFzczogTmdab25lRXhlY3V0aW9uU3RyYXRlZ3kgfVxuICogQGNsYXNzIE5nWm9uZUV4ZWN1dGlvblN0cmF0ZWd5XG4gKi9cbkBJbmplY3RhYmxlKClcbmV4cG9ydCBjbGFzcyBOZ1pvbmVFeGVjdXRpb25TdHJhdGVneSBpbXBsZW1lbnRzIElFeGVjdXRpb25TdHJhdGVneSB7XG5cbiAgICBjb25zdHJ1Y3Rvcihwcml2YXRlIF96b25lOiBOZ1pvbmUpIHsgfVxuXG4gICAgZXhlY3V0ZTxUPih3b3JrOiAoKSA9PiBUKTogVCB7XG4gICAgICAgIHJldHVybiB0aGlzLl96b25lLnJ1bk91dHNpZGVBbmd1bGFyKHdvcmspO1xuICAgIH1cblxuICAgIG5vdGlmeShkZWxpdmVyeTogKCkgPT4gdm9pZCkge1xuICAgICAgICBpZiAoTmdab25lLmlzSW5Bbmd1bGFyWm9uZSgpKSB7XG4gICAgICAgICAgICBkZWxpdmVyeSgpO1xuICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgdGhpcy5fem9uZS5ydW4oZGVsaXZlcnkpO1xuICAgICAgICB9XG4gICAgfVxufVxuIl19
\ No newline at end of file
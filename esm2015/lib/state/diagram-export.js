@@ -0,0 +1,329 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * @fileOverview
+ * Provides the exporters rendering the definition of a finite state machine
+ * as Graphviz DOT and Mermaid (stateDiagram-v2) text.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { parentsOf } from './machine-definition';
+/** @type {?} */
+const defaultRegion = 'default';
+/** @type {?} */
+const highlightColor = '#ffe08a';
+/** @type {?} */
+const highlightBorderColor = '#cc9a06';
+/**
+ * Options for rendering a diagram.
+ * @record
+ */
+export function IDiagramOptions() { }
+if (false) {
+    /** @type {?|undefined} */
+    IDiagramOptions.prototype.active;
+}
+/**
+ * @record
+ */
+function IStateNode() { }
+if (false) {
+    /** @type {?} */
+    IStateNode.prototype.name;
+    /** @type {?} */
+    IStateNode.prototype.children;
+    /** @type {?|undefined} */
+    IStateNode.prototype.initial;
+    /** @type {?|undefined} */
+    IStateNode.prototype.final;
+    /** @type {?} */
+    IStateNode.prototype.histories;
+}
+/**
+ * @record
+ */
+function IContainer() { }
+if (false) {
+    /** @type {?} */
+    IContainer.prototype.roots;
+    /** @type {?|undefined} */
+    IContainer.prototype.initial;
+}
+/**
+ * Arranges the states of a definition into a tree for each region,
+ * following the same nesting rules as the FSM does.
+ * @param {?} definition
+ * @return {?}
+ */
+function buildTree(definition) {
+    /** @type {?} */
+    const nodes = {};
+    /** @type {?} */
+    const regionOf = {};
+    /** @type {?} */
+    const regions = {};
+    regions[defaultRegion] = { roots: [], initial: definition.initial };
+    (definition.regions || []).forEach(r => {
+        regions[r.name] = { roots: [], initial: r.initial };
+    });
+    /** @type {?} */
+    const parents = parentsOf(definition);
+    definition.states.forEach(st => {
+        /** @type {?} */
+        const parent = parents[st.name];
+        nodes[st.name] = { name: st.name, children: [], initial: st.initial, final: st.final, histories: [] };
+        if (parent && nodes[parent]) {
+            nodes[parent].children.push(st.name);
+            regionOf[st.name] = regionOf[parent];
+        }
+        else {
+            /** @type {?} */
+            const region = st.region || defaultRegion;
+            regions[region] = regions[region] || { roots: [] };
+            regions[region].roots.push(st.name);
+            regionOf[st.name] = region;
+        }
+    });
+    (definition.historyStates || []).forEach(h => {
+        if (nodes[h.parent]) {
+            nodes[h.parent].histories.push(h);
+        }
+    });
+    return { nodes: nodes, regions: regions };
+}
+/**
+ * @param {?} history
+ * @return {?}
+ */
+function historyLabelOf(history) {
+    return history.deep ? 'H*' : 'H';
+}
+/**
+ * @param {?} transition
+ * @return {?}
+ */
+function labelOf(transition) {
+    // The same name as the FSM gives to the transition
+    /** @type {?} */
+    let label = transition.from + '2' + transition.to;
+    if (transition.event) {
+        label += ' (' + transition.event + ')';
+    }
+    if (transition.guard) {
+        label += ' [' + transition.guard + ']';
+    }
+    if (transition.delay !== undefined && transition.delay !== null) {
+        label += ' after ' + transition.delay + 'ms';
+    }
+    return label;
+}
+/**
+ * @param {?} value
+ * @return {?}
+ */
+function quote(value) {
+    return '"' + value.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+/**
+ * Renders a definition as a Graphviz DOT graph. A compound state is
+ * rendered as a cluster, and an orthogonal region as a dashed cluster.
+ * @param {?} definition
+ * @param {?=} options
+ * @return {?}
+ */
+export function renderDot(definition, options) {
+    /** @type {?} */
+    const active = (options && options.active) || [];
+    /** @type {?} */
+    const tree = buildTree(definition);
+    /** @type {?} */
+    const nodes = tree.nodes;
+    /** @type {?} */
+    const lines = [];
+    /** @type {?} */
+    const indent = (depth) => new Array(depth + 1).join('    ');
+    /** @type {?} */
+    const clusterOf = (name) => 'cluster_' + name;
+    /** @type {?} */
+    const writeInit = (scope, target, depth) => {
+        if (!target || !nodes[target]) {
+            return;
+        }
+        /** @type {?} */
+        const point = '__init__' + scope;
+        /** @type {?} */
+        const attrs = nodes[target].children.length ? ' [lhead=' + quote(clusterOf(target)) + ']' : '';
+        lines.push(indent(depth) + quote(point) + ' [shape=point];');
+        lines.push(indent(depth) + quote(point) + ' -> ' + quote(target) + attrs + ';');
+    };
+    /** @type {?} */
+    const writeState = (name, depth) => {
+        /** @type {?} */
+        const node = nodes[name];
+        /** @type {?} */
+        const highlighted = active.indexOf(name) >= 0;
+        if (!node.children.length) {
+            /** @type {?} */
+            const attrs = [];
+            if (node.final) {
+                attrs.push('peripheries=2');
+            }
+            if (highlighted) {
+                attrs.push('style="rounded,filled"', 'fillcolor=' + quote(highlightColor));
+            }
+            lines.push(indent(depth) + quote(name) + (attrs.length ? ' [' + attrs.join(', ') + ']' : '') + ';');
+            return;
+        }
+        // The invisible node is the anchor of the transitions
+        // from or to the compound state.
+        lines.push(indent(depth) + 'subgraph ' + quote(clusterOf(name)) + ' {');
+        lines.push(indent(depth + 1) + 'label=' + quote(name) + ';');
+        if (highlighted) {
+            lines.push(indent(depth + 1) + 'style=bold;');
+            lines.push(indent(depth + 1) + 'color=' + quote(highlightBorderColor) + ';');
+        }
+        lines.push(indent(depth + 1) + quote(name) + ' [shape=point, style=invis];');
+        writeInit(name, node.initial, depth + 1);
+        node.children.forEach(child => writeState(child, depth + 1));
+        node.histories.forEach(h => {
+            lines.push(indent(depth + 1) + quote(h.name) + ' [shape=circle, label=' + quote(historyLabelOf(h)) + '];');
+            if (h.defaultTarget && nodes[h.defaultTarget]) {
+                /** @type {?} */
+                const attrs = nodes[h.defaultTarget].children.length ? ', lhead=' + quote(clusterOf(h.defaultTarget)) : '';
+                lines.push(indent(depth + 1) + quote(h.name) + ' -> ' + quote(h.defaultTarget) + ' [style=dashed' + attrs + '];');
+            }
+        });
+        lines.push(indent(depth) + '}');
+    };
+    lines.push('digraph fsm {');
+    lines.push(indent(1) + 'compound=true;');
+    lines.push(indent(1) + 'rankdir=LR;');
+    lines.push(indent(1) + 'node [shape=box, style=rounded];');
+    for (const k in tree.regions) {
+        if (tree.regions.hasOwnProperty(k)) {
+            /** @type {?} */
+            const region = tree.regions[k];
+            if (k === defaultRegion) {
+                writeInit(k, region.initial, 1);
+                region.roots.forEach(name => writeState(name, 1));
+            }
+            else {
+                lines.push(indent(1) + 'subgraph ' + quote('cluster_region_' + k) + ' {');
+                lines.push(indent(2) + 'label=' + quote(k) + ';');
+                lines.push(indent(2) + 'style=dashed;');
+                writeInit('region_' + k, region.initial, 2);
+                region.roots.forEach(name => writeState(name, 2));
+                lines.push(indent(1) + '}');
+            }
+        }
+    }
+    (definition.transitions || []).forEach(tr => {
+        /** @type {?} */
+        const attrs = ['label=' + quote(labelOf(tr))];
+        if (nodes[tr.from] && nodes[tr.from].children.length) {
+            attrs.push('ltail=' + quote(clusterOf(tr.from)));
+        }
+        if (nodes[tr.to] && nodes[tr.to].children.length) {
+            attrs.push('lhead=' + quote(clusterOf(tr.to)));
+        }
+        lines.push(indent(1) + quote(tr.from) + ' -> ' + quote(tr.to) + ' [' + attrs.join(', ') + '];');
+    });
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+/**
+ * Renders a definition as a Mermaid state diagram (stateDiagram-v2).
+ * The states are given generated identifiers, as state names
+ * may contain characters which Mermaid does not accept.
+ * @param {?} definition
+ * @param {?=} options
+ * @return {?}
+ */
+export function renderMermaid(definition, options) {
+    /** @type {?} */
+    const active = (options && options.active) || [];
+    /** @type {?} */
+    const tree = buildTree(definition);
+    /** @type {?} */
+    const nodes = tree.nodes;
+    /** @type {?} */
+    const ids = {};
+    definition.states.forEach((st, i) => {
+        ids[st.name] = 's' + i;
+    });
+    (definition.historyStates || []).forEach((h, i) => {
+        ids[h.name] = 'h' + i;
+    });
+    /** @type {?} */
+    const lines = [];
+    /** @type {?} */
+    const indent = (depth) => new Array(depth + 1).join('    ');
+    /** @type {?} */
+    const sanitize = (value) => value.replace(/[\r\n]+/g, ' ');
+    /** @type {?} */
+    const writeInit = (target, depth) => {
+        if (target && nodes[target]) {
+            lines.push(indent(depth) + '[*] --> ' + ids[target]);
+        }
+    };
+    /** @type {?} */
+    const writeState = (name, depth) => {
+        /** @type {?} */
+        const node = nodes[name];
+        lines.push(indent(depth) + 'state ' + JSON.stringify(name) + ' as ' + ids[name]);
+        if (node.final) {
+            lines.push(indent(depth) + ids[name] + ' --> [*]');
+        }
+        if (node.children.length) {
+            lines.push(indent(depth) + 'state ' + ids[name] + ' {');
+            writeInit(node.initial, depth + 1);
+            node.children.forEach(child => writeState(child, depth + 1));
+            node.histories.forEach(h => {
+                /** @type {?} */
+                const label = h.name + ' (' + historyLabelOf(h) + ')';
+                lines.push(indent(depth + 1) + 'state ' + JSON.stringify(label) + ' as ' + ids[h.name]);
+                if (h.defaultTarget && ids[h.defaultTarget]) {
+                    lines.push(indent(depth + 1) + ids[h.name] + ' --> ' + ids[h.defaultTarget] + ' : default');
+                }
+            });
+            lines.push(indent(depth) + '}');
+        }
+    };
+    lines.push('stateDiagram-v2');
+    /** @type {?} */
+    let regionIndex = 0;
+    for (const k in tree.regions) {
+        if (tree.regions.hasOwnProperty(k)) {
+            /** @type {?} */
+            const region = tree.regions[k];
+            if (k === defaultRegion) {
+                writeInit(region.initial, 1);
+                region.roots.forEach(name => writeState(name, 1));
+            }
+            else {
+                /** @type {?} */
+                const regionId = 'r' + regionIndex++;
+                lines.push(indent(1) + 'state ' + JSON.stringify(k) + ' as ' + regionId);
+                lines.push(indent(1) + 'state ' + regionId + ' {');
+                writeInit(region.initial, 2);
+                region.roots.forEach(name => writeState(name, 2));
+                lines.push(indent(1) + '}');
+            }
+        }
+    }
+    (definition.transitions || []).forEach(tr => {
+        if (ids[tr.from] && ids[tr.to]) {
+            lines.push(indent(1) + ids[tr.from] + ' --> ' + ids[tr.to] + ' : ' + sanitize(labelOf(tr)));
+        }
+    });
+    /** @type {?} */
+    const highlighted = active.filter(name => ids[name]).map(name => ids[name]);
+    if (highlighted.length) {
+        lines.push(indent(1) + 'classDef active fill:' + highlightColor);
+        lines.push(indent(1) + 'class ' + highlighted.join(',') + ' active');
+    }
+    return lines.join('\n') + '\n';
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZGlhZ3JhbS1leHBvcnQuanMiLCJzb3VyY2VSb290Ijoibmc6Ly9AcG9scHdhcmUvZmUtYmVoYXZpb3IvIiwic291cmNlcyI6WyJsaWIvc3RhdGUvZGlhZ3JhbS1leHBvcnQudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7QUFPQSxPQUFPLEVBSUgsU0FBUyxFQUNaLE1BQU0sc0JBQXNCLENBQUM7O01BRXhCLGFBQWEsR0FBRyxTQUFTOztNQUN6QixjQUFjLEdBQUcsU0FBUzs7TUFDMUIsb0JBQW9CLEdBQUcsU0FBUzs7Ozs7QUFLdEMscUNBR0M7OztJQURHLGlDQUF1Qjs7Ozs7QUFHM0IseUJBTUM7OztJQUxHLDBCQUFhOztJQUNiLDhCQUF3Qjs7SUFDeEIsNkJBQWlCOztJQUNqQiwyQkFBZ0I7O0lBQ2hCLCtCQUEwQzs7Ozs7QUFHOUMseUJBSUM7OztJQUZHLDJCQUFxQjs7SUFDckIsNkJBQWlCOzs7Ozs7OztBQU9yQixTQUFTLFNBQVMsQ0FBQyxVQUE4Qjs7VUFDdkMsS0FBSyxHQUFrQyxFQUFFOztVQUN6QyxRQUFRLEdBQThCLEVBQUU7O1VBQ3hDLE9BQU8sR0FBa0MsRUFBRTtJQUNqRCxPQUFPLENBQUMsYUFBYSxDQUFDLEdBQUcsRUFBRSxLQUFLLEVBQUUsRUFBRSxFQUFFLE9BQU8sRUFBRSxVQUFVLENBQUMsT0FBTyxFQUFFLENBQUM7SUFDcEUsQ0FBQyxVQUFVLENBQUMsT0FBTyxJQUFJLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsRUFBRTtRQUNuQyxPQUFPLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsS0FBSyxFQUFFLEVBQUUsRUFBRSxPQUFPLEVBQUUsQ0FBQyxDQUFDLE9BQU8sRUFBRSxDQUFDO0lBQ3hELENBQUMsQ0FBQyxDQUFDOztVQUVHLE9BQU8sR0FBRyxTQUFTLENBQUMsVUFBVSxDQUFDO0lBQ3JDLFVBQVUsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxFQUFFOztjQUNyQixNQUFNLEdBQUcsT0FBTyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUM7UUFDL0IsS0FBSyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsR0FBRyxFQUFFLElBQUksRUFBRSxFQUFFLENBQUMsSUFBSSxFQUFFLFFBQVEsRUFBRSxFQUFFLEVBQUUsT0FBTyxFQUFFLEVBQUUsQ0FBQyxPQUFPLEVBQUUsS0FBSyxFQUFFLEVBQUUsQ0FBQyxLQUFLLEVBQUUsU0FBUyxFQUFFLEVBQUUsRUFBRSxDQUFDO1FBQ3RHLElBQUksTUFBTSxJQUFJLEtBQUssQ0FBQyxNQUFNLENBQUMsRUFBRTtZQUN6QixLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUM7WUFDckMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsR0FBRyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUM7U0FDeEM7YUFBTTs7a0JBQ0csTUFBTSxHQUFHLEVBQUUsQ0FBQyxNQUFNLElBQUksYUFBYTtZQUN6QyxPQUFPLENBQUMsTUFBTSxDQUFDLEdBQUcsT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLEVBQUUsRUFBRSxDQUFDO1lBQ25ELE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUNwQyxRQUFRLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLE1BQU0sQ0FBQztTQUM5QjtJQUNMLENBQUMsQ0FBQyxDQUFDO0lBQ0gsQ0FBQyxVQUFVLENBQUMsYUFBYSxJQUFJLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsRUFBRTtRQUN6QyxJQUFJLEtBQUssQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEVBQUU7WUFDakIsS0FBSyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO1NBQ3JDO0lBQ0wsQ0FBQyxDQUFDLENBQUM7SUFDSCxPQUFPLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLENBQUM7QUFDOUMsQ0FBQzs7Ozs7QUFFRCxTQUFTLGNBQWMsQ0FBQyxPQUFnQztJQUNwRCxPQUFPLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDO0FBQ3JDLENBQUM7Ozs7O0FBRUQsU0FBUyxPQUFPLENBQUMsVUFBaUM7OztRQUUxQyxLQUFLLEdBQUcsVUFBVSxDQUFDLElBQUksR0FBRyxHQUFHLEdBQUcsVUFBVSxDQUFDLEVBQUU7SUFDakQsSUFBSSxVQUFVLENBQUMsS0FBSyxFQUFFO1FBQ2xCLEtBQUssSUFBSSxJQUFJLEdBQUcsVUFBVSxDQUFDLEtBQUssR0FBRyxHQUFHLENBQUM7S0FDMUM7SUFDRCxJQUFJLFVBQVUsQ0FBQyxLQUFLLEVBQUU7UUFDbEIsS0FBSyxJQUFJLElBQUksR0FBRyxVQUFVLENBQUMsS0FBSyxHQUFHLEdBQUcsQ0FBQztLQUMxQztJQUNELElBQUksVUFBVSxDQUFDLEtBQUssS0FBSyxTQUFTLElBQUksVUFBVSxDQUFDLEtBQUssS0FBSyxJQUFJLEVBQUU7UUFDN0QsS0FBSyxJQUFJLFNBQVMsR0FBRyxVQUFVLENBQUMsS0FBSyxHQUFHLElBQUksQ0FBQztLQUNoRDtJQUNELE9BQU8sS0FBSyxDQUFDO0FBQ2pCLENBQUM7Ozs7O0FBRUQsU0FBUyxLQUFLLENBQUMsS0FBYTtJQUN4QixPQUFPLEdBQUcsR0FBRyxLQUFLLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxNQUFNLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLEtBQUssQ0FBQyxHQUFHLEdBQUcsQ0FBQztBQUN6RSxDQUFDOzs7Ozs7OztBQU1ELE1BQU0sVUFBVSxTQUFTLENBQUMsVUFBOEIsRUFBRSxPQUF5Qjs7VUFDekUsTUFBTSxHQUFHLENBQUMsT0FBTyxJQUFJLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxFQUFFOztVQUMxQyxJQUFJLEdBQUcsU0FBUyxDQUFDLFVBQVUsQ0FBQzs7VUFDNUIsS0FBSyxHQUFHLElBQUksQ0FBQyxLQUFLOztVQUNsQixLQUFLLEdBQWtCLEVBQUU7O1VBQ3pCLE1BQU0sR0FBRyxDQUFDLEtBQWEsRUFBRSxFQUFFLENBQUMsSUFBSSxLQUFLLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUM7O1VBQzdELFNBQVMsR0FBRyxDQUFDLElBQVksRUFBRSxFQUFFLENBQUMsVUFBVSxHQUFHLElBQUk7O1VBRS9DLFNBQVMsR0FBRyxDQUFDLEtBQWEsRUFBRSxNQUFjLEVBQUUsS0FBYSxFQUFFLEVBQUU7UUFDL0QsSUFBSSxDQUFDLE1BQU0sSUFBSSxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsRUFBRTtZQUMzQixPQUFPO1NBQ1Y7O2NBQ0ssS0FBSyxHQUFHLFVBQVUsR0FBRyxLQUFLOztjQUMxQixLQUFLLEdBQUcsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLFVBQVUsR0FBRyxLQUFLLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFO1FBQzlGLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLEtBQUssQ0FBQyxLQUFLLENBQUMsR0FBRyxpQkFBaUIsQ0FBQyxDQUFDO1FBQzdELEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLEtBQUssQ0FBQyxLQUFLLENBQUMsR0FBRyxNQUFNLEdBQUcsS0FBSyxDQUFDLE1BQU0sQ0FBQyxHQUFHLEtBQUssR0FBRyxHQUFHLENBQUMsQ0FBQztJQUNwRixDQUFDOztVQUVLLFVBQVUsR0FBRyxDQUFDLElBQVksRUFBRSxLQUFhLEVBQUUsRUFBRTs7Y0FDekMsSUFBSSxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUM7O2NBQ2xCLFdBQVcsR0FBRyxNQUFNLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUM7UUFDN0MsSUFBSSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxFQUFFOztrQkFDakIsS0FBSyxHQUFrQixFQUFFO1lBQy9CLElBQUksSUFBSSxDQUFDLEtBQUssRUFBRTtnQkFDWixLQUFLLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxDQUFDO2FBQy9CO1lBQ0QsSUFBSSxXQUFXLEVBQUU7Z0JBQ2IsS0FBSyxDQUFDLElBQUksQ0FBQyx3QkFBd0IsRUFBRSxZQUFZLEdBQUcsS0FBSyxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUM7YUFDOUU7WUFDRCxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxJQUFJLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxHQUFHLEdBQUcsQ0FBQyxDQUFDO1lBQ3BHLE9BQU87U0FDVjtRQUNELHNEQUFzRDtRQUN0RCxpQ0FBaUM7UUFDakMsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsV0FBVyxHQUFHLEtBQUssQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztRQUN4RSxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsUUFBUSxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQztRQUM3RCxJQUFJLFdBQVcsRUFBRTtZQUNiLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsR0FBRyxhQUFhLENBQUMsQ0FBQztZQUM5QyxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsUUFBUSxHQUFHLEtBQUssQ0FBQyxvQkFBb0IsQ0FBQyxHQUFHLEdBQUcsQ0FBQyxDQUFDO1NBQ2hGO1FBQ0QsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsR0FBRyw4QkFBOEIsQ0FBQyxDQUFDO1FBQzdFLFNBQVMsQ0FBQyxJQUFJLEVBQUUsSUFBSSxDQUFDLE9BQU8sRUFBRSxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFDekMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsS0FBSyxFQUFFLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQzdELElBQUksQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFO1lBQ3ZCLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsR0FBRyxLQUFLLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLHdCQUF3QixHQUFHLEtBQUssQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztZQUMzRyxJQUFJLENBQUMsQ0FBQyxhQUFhLElBQUksS0FBSyxDQUFDLENBQUMsQ0FBQyxhQUFhLENBQUMsRUFBRTs7c0JBQ3JDLEtBQUssR0FBRyxLQUFLLENBQUMsQ0FBQyxDQUFDLGFBQWEsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLFVBQVUsR0FBRyxLQUFLLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxhQUFhLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFO2dCQUMxRyxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsS0FBSyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxNQUFNLEdBQUcsS0FBSyxDQUFDLENBQUMsQ0FBQyxhQUFhLENBQUMsR0FBRyxnQkFBZ0IsR0FBRyxLQUFLLEdBQUcsSUFBSSxDQUFDLENBQUM7YUFDckg7UUFDTCxDQUFDLENBQUMsQ0FBQztRQUNILEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLEdBQUcsQ0FBQyxDQUFDO0lBQ3BDLENBQUM7SUFFRCxLQUFLLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxDQUFDO0lBQzVCLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLGdCQUFnQixDQUFDLENBQUM7SUFDekMsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsYUFBYSxDQUFDLENBQUM7SUFDdEMsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsa0NBQWtDLENBQUMsQ0FBQztJQUMzRCxLQUFLLE1BQU0sQ0FBQyxJQUFJLElBQUksQ0FBQyxPQUFPLEVBQUU7UUFDMUIsSUFBSSxJQUFJLENBQUMsT0FBTyxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUMsRUFBRTs7a0JBQzFCLE1BQU0sR0FBRyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztZQUM5QixJQUFJLENBQUMsS0FBSyxhQUFhLEVBQUU7Z0JBQ3JCLFNBQVMsQ0FBQyxDQUFDLEVBQUUsTUFBTSxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUMsQ0FBQztnQkFDaEMsTUFBTSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUM7YUFDckQ7aUJBQU07Z0JBQ0gsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsV0FBVyxHQUFHLEtBQUssQ0FBQyxpQkFBaUIsR0FBRyxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztnQkFDMUUsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsUUFBUSxHQUFHLEtBQUssQ0FBQyxDQUFDLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQztnQkFDbEQsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsZUFBZSxDQUFDLENBQUM7Z0JBQ3hDLFNBQVMsQ0FBQyxTQUFTLEdBQUcsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDLENBQUM7Z0JBQzVDLE1BQU0sQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUNsRCxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQzthQUMvQjtTQUNKO0tBQ0o7SUFDRCxDQUFDLFVBQVUsQ0FBQyxXQUFXLElBQUksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxFQUFFOztjQUNsQyxLQUFLLEdBQUcsQ0FBQyxRQUFRLEdBQUcsS0FBSyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO1FBQzdDLElBQUksS0FBSyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxLQUFLLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDLFFBQVEsQ0FBQyxNQUFNLEVBQUU7WUFDbEQsS0FBSyxDQUFDLElBQUksQ0FBQyxRQUFRLEdBQUcsS0FBSyxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO1NBQ3BEO1FBQ0QsSUFBSSxLQUFLLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxJQUFJLEtBQUssQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLENBQUMsUUFBUSxDQUFDLE1BQU0sRUFBRTtZQUM5QyxLQUFLLENBQUMsSUFBSSxDQUFDLFFBQVEsR0FBRyxLQUFLLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUM7U0FDbEQ7UUFDRCxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxLQUFLLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLE1BQU0sR0FBRyxLQUFLLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxHQUFHLElBQUksR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQyxDQUFDO0lBQ3BHLENBQUMsQ0FBQyxDQUFDO0lBQ0gsS0FBSyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUNoQixPQUFPLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxDQUFDO0FBQ25DLENBQUM7Ozs7Ozs7OztBQU9ELE1BQU0sVUFBVSxhQUFhLENBQUMsVUFBOEIsRUFBRSxPQUF5Qjs7VUFDN0UsTUFBTSxHQUFHLENBQUMsT0FBTyxJQUFJLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxFQUFFOztVQUMxQyxJQUFJLEdBQUcsU0FBUyxDQUFDLFVBQVUsQ0FBQzs7VUFDNUIsS0FBSyxHQUFHLElBQUksQ0FBQyxLQUFLOztVQUNsQixHQUFHLEdBQThCLEVBQUU7SUFDekMsVUFBVSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxFQUFFLEVBQUU7UUFDaEMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsR0FBRyxHQUFHLEdBQUcsQ0FBQyxDQUFDO0lBQzNCLENBQUMsQ0FBQyxDQUFDO0lBQ0gsQ0FBQyxVQUFVLENBQUMsYUFBYSxJQUFJLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRTtRQUM5QyxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLEdBQUcsR0FBRyxDQUFDLENBQUM7SUFDMUIsQ0FBQyxDQUFDLENBQUM7O1VBQ0csS0FBSyxHQUFrQixFQUFFOztVQUN6QixNQUFNLEdBQUcsQ0FBQyxLQUFhLEVBQUUsRUFBRSxDQUFDLElBQUksS0FBSyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDOztVQUM3RCxRQUFRLEdBQUcsQ0FBQyxLQUFhLEVBQUUsRUFBRSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsVUFBVSxFQUFFLEdBQUcsQ0FBQzs7VUFFNUQsU0FBUyxHQUFHLENBQUMsTUFBYyxFQUFFLEtBQWEsRUFBRSxFQUFFO1FBQ2hELElBQUksTUFBTSxJQUFJLEtBQUssQ0FBQyxNQUFNLENBQUMsRUFBRTtZQUN6QixLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxVQUFVLEdBQUcsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7U0FDeEQ7SUFDTCxDQUFDOztVQUVLLFVBQVUsR0FBRyxDQUFDLElBQVksRUFBRSxLQUFhLEVBQUUsRUFBRTs7Y0FDekMsSUFBSSxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUM7UUFDeEIsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsUUFBUSxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLEdBQUcsTUFBTSxHQUFHLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO1FBQ2pGLElBQUksSUFBSSxDQUFDLEtBQUssRUFBRTtZQUNaLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLEdBQUcsQ0FBQyxJQUFJLENBQUMsR0FBRyxVQUFVLENBQUMsQ0FBQztTQUN0RDtRQUNELElBQUksSUFBSSxDQUFDLFFBQVEsQ0FBQyxNQUFNLEVBQUU7WUFDdEIsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsUUFBUSxHQUFHLEdBQUcsQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztZQUN4RCxTQUFTLENBQUMsSUFBSSxDQUFDLE9BQU8sRUFBRSxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUM7WUFDbkMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsS0FBSyxFQUFFLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQzdELElBQUksQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFOztzQkFDakIsS0FBSyxHQUFHLENBQUMsQ0FBQyxJQUFJLEdBQUcsSUFBSSxHQUFHLGNBQWMsQ0FBQyxDQUFDLENBQUMsR0FBRyxHQUFHO2dCQUNyRCxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsUUFBUSxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLEdBQUcsTUFBTSxHQUFHLEdBQUcsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztnQkFDeEYsSUFBSSxDQUFDLENBQUMsYUFBYSxJQUFJLEdBQUcsQ0FBQyxDQUFDLENBQUMsYUFBYSxDQUFDLEVBQUU7b0JBQ3pDLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLE9BQU8sR0FBRyxHQUFHLENBQUMsQ0FBQyxDQUFDLGFBQWEsQ0FBQyxHQUFHLFlBQVksQ0FBQyxDQUFDO2lCQUMvRjtZQUNMLENBQUMsQ0FBQyxDQUFDO1lBQ0gsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsR0FBRyxDQUFDLENBQUM7U0FDbkM7SUFDTCxDQUFDO0lBRUQsS0FBSyxDQUFDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDOztRQUMxQixXQUFXLEdBQUcsQ0FBQztJQUNuQixLQUFLLE1BQU0sQ0FBQyxJQUFJLElBQUksQ0FBQyxPQUFPLEVBQUU7UUFDMUIsSUFBSSxJQUFJLENBQUMsT0FBTyxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUMsRUFBRTs7a0JBQzFCLE1BQU0sR0FBRyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztZQUM5QixJQUFJLENBQUMsS0FBSyxhQUFhLEVBQUU7Z0JBQ3JCLFNBQVMsQ0FBQyxNQUFNLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQyxDQUFDO2dCQUM3QixNQUFNLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQzthQUNyRDtpQkFBTTs7c0JBQ0csUUFBUSxHQUFHLEdBQUcsR0FBRyxXQUFXLEVBQUU7Z0JBQ3BDLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLFFBQVEsR0FBRyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxHQUFHLE1BQU0sR0FBRyxRQUFRLENBQUMsQ0FBQztnQkFDekUsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsUUFBUSxHQUFHLFFBQVEsR0FBRyxJQUFJLENBQUMsQ0FBQztnQkFDbkQsU0FBUyxDQUFDLE1BQU0sQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDLENBQUM7Z0JBQzdCLE1BQU0sQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUNsRCxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQzthQUMvQjtTQUNKO0tBQ0o7SUFDRCxDQUFDLFVBQVUsQ0FBQyxXQUFXLElBQUksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxFQUFFO1FBQ3hDLElBQUksR0FBRyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxHQUFHLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFO1lBQzVCLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLEdBQUcsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsT0FBTyxHQUFHLEdBQUcsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEdBQUcsS0FBSyxHQUFHLFFBQVEsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO1NBQy9GO0lBQ0wsQ0FBQyxDQUFDLENBQUM7O1VBQ0csV0FBVyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDM0UsSUFBSSxXQUFXLENBQUMsTUFBTSxFQUFFO1FBQ3BCLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLHVCQUF1QixHQUFHLGNBQWMsQ0FBQyxDQUFDO1FBQ2pFLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLFFBQVEsR0FBRyxXQUFXLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFDO0tBQ3hFO0lBQ0QsT0FBTyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQztBQUNuQyxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAZmlsZU92ZXJ2aWV3XG4gKiBQcm92aWRlcyB0aGUgZXhwb3J0ZXJzIHJlbmRlcmluZyB0aGUgZGVmaW5pdGlvbiBvZiBhIGZpbml0ZSBzdGF0ZSBtYWNoaW5lXG4gKiBhcyBHcmFwaHZpeiBET1QgYW5kIE1lcm1haWQgKHN0YXRlRGlhZ3JhbS12MikgdGV4dC5cbiAqIEBhdXRob3IgWGlhb2xvbmcgVGFuZyA8eHhsb25ndGFuZ0BnbWFpbC5jb20+XG4gKiBAbGljZW5zZSBDb3B5cmlnaHQgQG1lXG4gKi9cbmltcG9ydCB7XG4gICAgSUhpc3RvcnlTdGF0ZURlZmluaXRpb24sXG4gICAgSU1hY2hpbmVEZWZpbml0aW9uLFxuICAgIElUcmFuc2l0aW9uRGVmaW5pdGlvbixcbiAgICBwYXJlbnRzT2Zcbn0gZnJvbSAnLi9tYWNoaW5lLWRlZmluaXRpb24nO1xuXG5jb25zdCBkZWZhdWx0UmVnaW9uID0gJ2RlZmF1bHQnO1xuY29uc3QgaGlnaGxpZ2h0Q29sb3IgPSAnI2ZmZTA4YSc7XG5jb25zdCBoaWdobGlnaHRCb3JkZXJDb2xvciA9ICcjY2M5YTA2JztcblxuLyoqXG4gKiBPcHRpb25zIGZvciByZW5kZXJpbmcgYSBkaWFncmFtLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIElEaWFncmFtT3B0aW9ucyB7XG4gICAgLy8gVGhlIHN0YXRlcyB0byBiZSBoaWdobGlnaHRlZCwgZS5nLiwgdGhlIGN1cnJlbnQgc3RhdGVzLlxuICAgIGFjdGl2ZT86IEFycmF5PHN0cmluZz47XG59XG5cbmludGVyZmFjZSBJU3RhdGVOb2RlIHtcbiAgICBuYW1lOiBzdHJpbmc7XG4gICAgY2hpbGRyZW46IEFycmF5PHN0cmluZz47XG4gICAgaW5pdGlhbD86IHN0cmluZztcbiAgICBmaW5hbD86IGJvb2xlYW47XG4gICAgaGlzdG9yaWVzOiBBcnJheTxJSGlzdG9yeVN0YXRlRGVmaW5pdGlvbj47XG59XG5cbmludGVyZmFjZSBJQ29udGFpbmVyIHtcbiAgICAvLyBUaGUgc3RhdGVzIHdoaWNoIGFyZSBub3QgbmVzdGVkIGluIGFueSBvdGhlciBzdGF0ZS5cbiAgICByb290czogQXJyYXk8c3RyaW5nPjtcbiAgICBpbml0aWFsPzogc3RyaW5nO1xufVxuXG4vKipcbiAqIEFycmFuZ2VzIHRoZSBzdGF0ZXMgb2YgYSBkZWZpbml0aW9uIGludG8gYSB0cmVlIGZvciBlYWNoIHJlZ2lvbixcbiAqIGZvbGxvd2luZyB0aGUgc2FtZSBuZXN0aW5nIHJ1bGVzIGFzIHRoZSBGU00gZG9lcy5cbiAqL1xuZnVuY3Rpb24gYnVpbGRUcmVlKGRlZmluaXRpb246IElNYWNoaW5lRGVmaW5pdGlvbikge1xuICAgIGNvbnN0IG5vZGVzOiB7IFtrZXk6IHN0cmluZ106IElTdGF0ZU5vZGUgfSA9IHt9O1xuICAgIGNvbnN0IHJlZ2lvbk9mOiB7IFtrZXk6IHN0cmluZ106IHN0cmluZyB9ID0ge307XG4gICAgY29uc3QgcmVnaW9uczogeyBba2V5OiBzdHJpbmddOiBJQ29udGFpbmVyIH0gPSB7fTtcbiAgICByZWdpb25zW2RlZmF1bHRSZWdpb25dID0geyByb290czogW10sIGluaXRpYWw6IGRlZmluaXRpb24uaW5pdGlhbCB9O1xuICAgIChkZWZpbml0aW9uLnJlZ2lvbnMgfHwgW10pLmZvckVhY2gociA9PiB7XG4gICAgICAgIHJlZ2lvbnNbci5uYW1lXSA9IHsgcm9vdHM6IFtdLCBpbml0aWFsOiByLmluaXRpYWwgfTtcbiAgICB9KTtcblxuICAgIGNvbnN0IHBhcmVudHMgPSBwYXJlbnRzT2YoZGVmaW5pdGlvbik7XG4gICAgZGVmaW5pdGlvbi5zdGF0ZXMuZm9yRWFjaChzdCA9PiB7XG4gICAgICAgIGNvbnN0IHBhcmVudCA9IHBhcmVudHNbc3QubmFtZV07XG4gICAgICAgIG5vZGVzW3N0Lm5hbWVdID0geyBuYW1lOiBzdC5uYW1lLCBjaGlsZHJlbjogW10sIGluaXRpYWw6IHN0LmluaXRpYWwsIGZpbmFsOiBzdC5maW5hbCwgaGlzdG9yaWVzOiBbXSB9O1xuICAgICAgICBpZiAocGFyZW50ICYmIG5vZGVzW3BhcmVudF0pIHtcbiAgICAgICAgICAgIG5vZGVzW3BhcmVudF0uY2hpbGRyZW4ucHVzaChzdC5uYW1lKTtcbiAgICAgICAgICAgIHJlZ2lvbk9mW3N0Lm5hbWVdID0gcmVnaW9uT2ZbcGFyZW50XTtcbiAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgIGNvbnN0IHJlZ2lvbiA9IHN0LnJlZ2lvbiB8fCBkZWZhdWx0UmVnaW9uO1xuICAgICAgICAgICAgcmVnaW9uc1tyZWdpb25dID0gcmVnaW9uc1tyZWdpb25dIHx8IHsgcm9vdHM6IFtdIH07XG4gICAgICAgICAgICByZWdpb25zW3JlZ2lvbl0ucm9vdHMucHVzaChzdC5uYW1lKTtcbiAgICAgICAgICAgIHJlZ2lvbk9mW3N0Lm5hbWVdID0gcmVnaW9uO1xuICAgICAgICB9XG4gICAgfSk7XG4gICAgKGRlZmluaXRpb24uaGlzdG9yeVN0YXRlcyB8fCBbXSkuZm9yRWFjaChoID0+IHtcbiAgICAgICAgaWYgKG5vZGVzW2gucGFyZW50XSkge1xuICAgICAgICAgICAgbm9kZXNbaC5wYXJlbnRdLmhpc3Rvcmllcy5wdXNoKGgpO1xuICAgICAgICB9XG4gICAgfSk7XG4gICAgcmV0dXJuIHsgbm9kZXM6IG5vZGVzLCByZWdpb25zOiByZWdpb25zIH07XG59XG5cbmZ1bmN0aW9uIGhpc3RvcnlMYWJlbE9mKGhpc3Rvcnk6IElIaXN0b3J5U3RhdGVEZWZpbml0aW9uKSB7XG4gICAgcmV0dXJuIGhpc3RvcnkuZGVlcCA/ICdIKicgOiAnSCc7XG59XG5cbmZ1bmN0aW9uIGxhYmVsT2YodHJhbnNpdGlvbjogSVRyYW5zaXRpb25EZWZpbml0aW9uKSB7XG4gICAgLy8gVGhlIHNhbWUgbmFtZSBhcyB0aGUgRlNNIGdpdmVzIHRvIHRoZSB0cmFuc2l0aW9uXG4gICAgbGV0IGxhYmVsID0gdHJhbnNpdGlvbi5mcm9tICsgJzInICsgdHJhbnNpdGlvbi50bztcbiAgICBpZiAodHJhbnNpdGlvbi5ldmVudCkge1xuICAgICAgICBsYWJlbCArPSAnICgnICsgdHJhbnNpdGlvbi5ldmVudCArICcpJztcbiAgICB9XG4gICAgaWYgKHRyYW5zaXRpb24uZ3VhcmQpIHtcbiAgICAgICAgbGFiZWwgKz0gJyBbJyArIHRyYW5zaXRpb24uZ3VhcmQgKyAnXSc7XG4gICAgfVxuICAgIGlmICh0cmFuc2l0aW9uLmRlbGF5ICE9PSB1bmRlZmluZWQgJiYgdHJhbnNpdGlvbi5kZWxheSAhPT0gbnVsbCkge1xuICAgICAgICBsYWJlbCArPSAnIGFmdGVyICcgKyB0cmFuc2l0aW9uLmRlbGF5ICsgJ21zJztcbiAgICB9XG4gICAgcmV0dXJuIGxhYmVsO1xufVxuXG5mdW5jdGlvbiBxdW90ZSh2YWx1ZTogc3RyaW5nKSB7XG4gICAgcmV0dXJuICdcIicgKyB2YWx1ZS5yZXBsYWNlKC9cXFxcL2csICdcXFxcXFxcXCcpLnJlcGxhY2UoL1wiL2csICdcXFxcXCInKSArICdcIic7XG59XG5cbi8qKlxuICogUmVuZGVycyBhIGRlZmluaXRpb24gYXMgYSBHcmFwaHZpeiBET1QgZ3JhcGguIEEgY29tcG91bmQgc3RhdGUgaXNcbiAqIHJlbmRlcmVkIGFzIGEgY2x1c3RlciwgYW5kIGFuIG9ydGhvZ29uYWwgcmVnaW9uIGFzIGEgZGFzaGVkIGNsdXN0ZXIuXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiByZW5kZXJEb3QoZGVmaW5pdGlvbjogSU1hY2hpbmVEZWZpbml0aW9uLCBvcHRpb25zPzogSURpYWdyYW1PcHRpb25zKTogc3RyaW5nIHtcbiAgICBjb25zdCBhY3RpdmUgPSAob3B0aW9ucyAmJiBvcHRpb25zLmFjdGl2ZSkgfHwgW107XG4gICAgY29uc3QgdHJlZSA9IGJ1aWxkVHJlZShkZWZpbml0aW9uKTtcbiAgICBjb25zdCBub2RlcyA9IHRyZWUubm9kZXM7XG4gICAgY29uc3QgbGluZXM6IEFycmF5PHN0cmluZz4gPSBbXTtcbiAgICBjb25zdCBpbmRlbnQgPSAoZGVwdGg6IG51bWJlcikgPT4gbmV3IEFycmF5KGRlcHRoICsgMSkuam9pbignICAgICcpO1xuICAgIGNvbnN0IGNsdXN0ZXJPZiA9IChuYW1lOiBzdHJpbmcpID0+ICdjbHVzdGVyXycgKyBuYW1lO1xuXG4gICAgY29uc3Qgd3JpdGVJbml0ID0gKHNjb3BlOiBzdHJpbmcsIHRhcmdldDogc3RyaW5nLCBkZXB0aDogbnVtYmVyKSA9PiB7XG4gICAgICAgIGlmICghdGFyZ2V0IHx8ICFub2Rlc1t0YXJnZXRdKSB7XG4gICAgICAgICAgICByZXR1cm47XG4gICAgICAgIH1cbiAgICAgICAgY29uc3QgcG9pbnQgPSAnX19pbml0X18nICsgc2NvcGU7XG4gICAgICAgIGNvbnN0IGF0dHJzID0gbm9kZXNbdGFyZ2V0XS5jaGlsZHJlbi5sZW5ndGggPyAnIFtsaGVhZD0nICsgcXVvdGUoY2x1c3Rlck9mKHRhcmdldCkpICsgJ10nIDogJyc7XG4gICAgICAgIGxpbmVzLnB1c2goaW5kZW50KGRlcHRoKSArIHF1b3RlKHBvaW50KSArICcgW3NoYXBlPXBvaW50XTsnKTtcbiAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGgpICsgcXVvdGUocG9pbnQpICsgJyAtPiAnICsgcXVvdGUodGFyZ2V0KSArIGF0dHJzICsgJzsnKTtcbiAgICB9O1xuXG4gICAgY29uc3Qgd3JpdGVTdGF0ZSA9IChuYW1lOiBzdHJpbmcsIGRlcHRoOiBudW1iZXIpID0+IHtcbiAgICAgICAgY29uc3Qgbm9kZSA9IG5vZGVzW25hbWVdO1xuICAgICAgICBjb25zdCBoaWdobGlnaHRlZCA9IGFjdGl2ZS5pbmRleE9mKG5hbWUpID49IDA7XG4gICAgICAgIGlmICghbm9kZS5jaGlsZHJlbi5sZW5ndGgpIHtcbiAgICAgICAgICAgIGNvbnN0IGF0dHJzOiBBcnJheTxzdHJpbmc+ID0gW107XG4gICAgICAgICAgICBpZiAobm9kZS5maW5hbCkge1xuICAgICAgICAgICAgICAgIGF0dHJzLnB1c2goJ3BlcmlwaGVyaWVzPTInKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIGlmIChoaWdobGlnaHRlZCkge1xuICAgICAgICAgICAgICAgIGF0dHJzLnB1c2goJ3N0eWxlPVwicm91bmRlZCxmaWxsZWRcIicsICdmaWxsY29sb3I9JyArIHF1b3RlKGhpZ2hsaWdodENvbG9yKSk7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICBsaW5lcy5wdXNoKGluZGVudChkZXB0aCkgKyBxdW90ZShuYW1lKSArIChhdHRycy5sZW5ndGggPyAnIFsnICsgYXR0cnMuam9pbignLCAnKSArICddJyA6ICcnKSArICc7Jyk7XG4gICAgICAgICAgICByZXR1cm47XG4gICAgICAgIH1cbiAgICAgICAgLy8gVGhlIGludmlzaWJsZSBub2RlIGlzIHRoZSBhbmNob3Igb2YgdGhlIHRyYW5zaXRpb25zXG4gICAgICAgIC8vIGZyb20gb3IgdG8gdGhlIGNvbXBvdW5kIHN0YXRlLlxuICAgICAgICBsaW5lcy5wdXNoKGluZGVudChkZXB0aCkgKyAnc3ViZ3JhcGggJyArIHF1b3RlKGNsdXN0ZXJPZihuYW1lKSkgKyAnIHsnKTtcbiAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGggKyAxKSArICdsYWJlbD0nICsgcXVvdGUobmFtZSkgKyAnOycpO1xuICAgICAgICBpZiAoaGlnaGxpZ2h0ZWQpIHtcbiAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KGRlcHRoICsgMSkgKyAnc3R5bGU9Ym9sZDsnKTtcbiAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KGRlcHRoICsgMSkgKyAnY29sb3I9JyArIHF1b3RlKGhpZ2hsaWdodEJvcmRlckNvbG9yKSArICc7Jyk7XG4gICAgICAgIH1cbiAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGggKyAxKSArIHF1b3RlKG5hbWUpICsgJyBbc2hhcGU9cG9pbnQsIHN0eWxlPWludmlzXTsnKTtcbiAgICAgICAgd3JpdGVJbml0KG5hbWUsIG5vZGUuaW5pdGlhbCwgZGVwdGggKyAxKTtcbiAgICAgICAgbm9kZS5jaGlsZHJlbi5mb3JFYWNoKGNoaWxkID0+IHdyaXRlU3RhdGUoY2hpbGQsIGRlcHRoICsgMSkpO1xuICAgICAgICBub2RlLmhpc3Rvcmllcy5mb3JFYWNoKGggPT4ge1xuICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGggKyAxKSArIHF1b3RlKGgubmFtZSkgKyAnIFtzaGFwZT1jaXJjbGUsIGxhYmVsPScgKyBxdW90ZShoaXN0b3J5TGFiZWxPZihoKSkgKyAnXTsnKTtcbiAgICAgICAgICAgIGlmIChoLmRlZmF1bHRUYXJnZXQgJiYgbm9kZXNbaC5kZWZhdWx0VGFyZ2V0XSkge1xuICAgICAgICAgICAgICAgIGNvbnN0IGF0dHJzID0gbm9kZXNbaC5kZWZhdWx0VGFyZ2V0XS5jaGlsZHJlbi5sZW5ndGggPyAnLCBsaGVhZD0nICsgcXVvdGUoY2x1c3Rlck9mKGguZGVmYXVsdFRhcmdldCkpIDogJyc7XG4gICAgICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGggKyAxKSArIHF1b3RlKGgubmFtZSkgKyAnIC0+ICcgKyBxdW90ZShoLmRlZmF1bHRUYXJnZXQpICsgJyBbc3R5bGU9ZGFzaGVkJyArIGF0dHJzICsgJ107Jyk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH0pO1xuICAgICAgICBsaW5lcy5wdXNoKGluZGVudChkZXB0aCkgKyAnfScpO1xuICAgIH07XG5cbiAgICBsaW5lcy5wdXNoKCdkaWdyYXBoIGZzbSB7Jyk7XG4gICAgbGluZXMucHVzaChpbmRlbnQoMSkgKyAnY29tcG91bmQ9dHJ1ZTsnKTtcbiAgICBsaW5lcy5wdXNoKGluZGVudCgxKSArICdyYW5rZGlyPUxSOycpO1xuICAgIGxpbmVzLnB1c2goaW5kZW50KDEpICsgJ25vZGUgW3NoYXBlPWJveCwgc3R5bGU9cm91bmRlZF07Jyk7XG4gICAgZm9yIChjb25zdCBrIGluIHRyZWUucmVnaW9ucykge1xuICAgICAgICBpZiAodHJlZS5yZWdpb25zLmhhc093blByb3BlcnR5KGspKSB7XG4gICAgICAgICAgICBjb25zdCByZWdpb24gPSB0cmVlLnJlZ2lvbnNba107XG4gICAgICAgICAgICBpZiAoayA9PT0gZGVmYXVsdFJlZ2lvbikge1xuICAgICAgICAgICAgICAgIHdyaXRlSW5pdChrLCByZWdpb24uaW5pdGlhbCwgMSk7XG4gICAgICAgICAgICAgICAgcmVnaW9uLnJvb3RzLmZvckVhY2gobmFtZSA9PiB3cml0ZVN0YXRlKG5hbWUsIDEpKTtcbiAgICAgICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoMSkgKyAnc3ViZ3JhcGggJyArIHF1b3RlKCdjbHVzdGVyX3JlZ2lvbl8nICsgaykgKyAnIHsnKTtcbiAgICAgICAgICAgICAgICBsaW5lcy5wdXNoKGluZGVudCgyKSArICdsYWJlbD0nICsgcXVvdGUoaykgKyAnOycpO1xuICAgICAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KDIpICsgJ3N0eWxlPWRhc2hlZDsnKTtcbiAgICAgICAgICAgICAgICB3cml0ZUluaXQoJ3JlZ2lvbl8nICsgaywgcmVnaW9uLmluaXRpYWwsIDIpO1xuICAgICAgICAgICAgICAgIHJlZ2lvbi5yb290cy5mb3JFYWNoKG5hbWUgPT4gd3JpdGVTdGF0ZShuYW1lLCAyKSk7XG4gICAgICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoMSkgKyAnfScpO1xuICAgICAgICAgICAgfVxuICAgICAgICB9XG4gICAgfVxuICAgIChkZWZpbml0aW9uLnRyYW5zaXRpb25zIHx8IFtdKS5mb3JFYWNoKHRyID0+IHtcbiAgICAgICAgY29uc3QgYXR0cnMgPSBbJ2xhYmVsPScgKyBxdW90ZShsYWJlbE9mKHRyKSldO1xuICAgICAgICBpZiAobm9kZXNbdHIuZnJvbV0gJiYgbm9kZXNbdHIuZnJvbV0uY2hpbGRyZW4ubGVuZ3RoKSB7XG4gICAgICAgICAgICBhdHRycy5wdXNoKCdsdGFpbD0nICsgcXVvdGUoY2x1c3Rlck9mKHRyLmZyb20pKSk7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKG5vZGVzW3RyLnRvXSAmJiBub2Rlc1t0ci50b10uY2hpbGRyZW4ubGVuZ3RoKSB7XG4gICAgICAgICAgICBhdHRycy5wdXNoKCdsaGVhZD0nICsgcXVvdGUoY2x1c3Rlck9mKHRyLnRvKSkpO1xuICAgICAgICB9XG4gICAgICAgIGxpbmVzLnB1c2goaW5kZW50KDEpICsgcXVvdGUodHIuZnJvbSkgKyAnIC0+ICcgKyBxdW90ZSh0ci50bykgKyAnIFsnICsgYXR0cnMuam9pbignLCAnKSArICddOycpO1xuICAgIH0pO1xuICAgIGxpbmVzLnB1c2goJ30nKTtcbiAgICByZXR1cm4gbGluZXMuam9pbignXFxuJykgKyAnXFxuJztcbn1cblxuLyoqXG4gKiBSZW5kZXJzIGEgZGVmaW5pdGlvbiBhcyBhIE1lcm1haWQgc3RhdGUgZGlhZ3JhbSAoc3RhdGVEaWFncmFtLXYyKS5cbiAqIFRoZSBzdGF0ZXMgYXJlIGdpdmVuIGdlbmVyYXRlZCBpZGVudGlmaWVycywgYXMgc3RhdGUgbmFtZXNcbiAqIG1heSBjb250YWluIGNoYXJhY3RlcnMgd2hpY2ggTWVybWFpZCBkb2VzIG5vdCBhY2NlcHQuXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiByZW5kZXJNZXJtYWlkKGRlZmluaXRpb246IElNYWNoaW5lRGVmaW5pdGlvbiwgb3B0aW9ucz86IElEaWFncmFtT3B0aW9ucyk6IHN0cmluZyB7XG4gICAgY29uc3QgYWN0aXZlID0gKG9wdGlvbnMgJiYgb3B0aW9ucy5hY3RpdmUpIHx8IFtdO1xuICAgIGNvbnN0IHRyZWUgPSBidWlsZFRyZWUoZGVmaW5pdGlvbik7XG4gICAgY29uc3Qgbm9kZXMgPSB0cmVlLm5vZGVzO1xuICAgIGNvbnN0IGlkczogeyBba2V5OiBzdHJpbmddOiBzdHJpbmcgfSA9IHt9O1xuICAgIGRlZmluaXRpb24uc3RhdGVzLmZvckVhY2goKHN0LCBpKSA9PiB7XG4gICAgICAgIGlkc1tzdC5uYW1lXSA9ICdzJyArIGk7XG4gICAgfSk7XG4gICAgKGRlZmluaXRpb24uaGlzdG9yeVN0YXRlcyB8fCBbXSkuZm9yRWFjaCgoaCwgaSkgPT4ge1xuICAgICAgICBpZHNbaC5uYW1lXSA9ICdoJyArIGk7XG4gICAgfSk7XG4gICAgY29uc3QgbGluZXM6IEFycmF5PHN0cmluZz4gPSBbXTtcbiAgICBjb25zdCBpbmRlbnQgPSAoZGVwdGg6IG51bWJlcikgPT4gbmV3IEFycmF5KGRlcHRoICsgMSkuam9pbignICAgICcpO1xuICAgIGNvbnN0IHNhbml0aXplID0gKHZhbHVlOiBzdHJpbmcpID0+IHZhbHVlLnJlcGxhY2UoL1tcXHJcXG5dKy9nLCAnICcpO1xuXG4gICAgY29uc3Qgd3JpdGVJbml0ID0gKHRhcmdldDogc3RyaW5nLCBkZXB0aDogbnVtYmVyKSA9PiB7XG4gICAgICAgIGlmICh0YXJnZXQgJiYgbm9kZXNbdGFyZ2V0XSkge1xuICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGgpICsgJ1sqXSAtLT4gJyArIGlkc1t0YXJnZXRdKTtcbiAgICAgICAgfVxuICAgIH07XG5cbiAgICBjb25zdCB3cml0ZVN0YXRlID0gKG5hbWU6IHN0cmluZywgZGVwdGg6IG51bWJlcikgPT4ge1xuICAgICAgICBjb25zdCBub2RlID0gbm9kZXNbbmFtZV07XG4gICAgICAgIGxpbmVzLnB1c2goaW5kZW50KGRlcHRoKSArICdzdGF0ZSAnICsgSlNPTi5zdHJpbmdpZnkobmFtZSkgKyAnIGFzICcgKyBpZHNbbmFtZV0pO1xuICAgICAgICBpZiAobm9kZS5maW5hbCkge1xuICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGgpICsgaWRzW25hbWVdICsgJyAtLT4gWypdJyk7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKG5vZGUuY2hpbGRyZW4ubGVuZ3RoKSB7XG4gICAgICAgICAgICBsaW5lcy5wdXNoKGluZGVudChkZXB0aCkgKyAnc3RhdGUgJyArIGlkc1tuYW1lXSArICcgeycpO1xuICAgICAgICAgICAgd3JpdGVJbml0KG5vZGUuaW5pdGlhbCwgZGVwdGggKyAxKTtcbiAgICAgICAgICAgIG5vZGUuY2hpbGRyZW4uZm9yRWFjaChjaGlsZCA9PiB3cml0ZVN0YXRlKGNoaWxkLCBkZXB0aCArIDEpKTtcbiAgICAgICAgICAgIG5vZGUuaGlzdG9yaWVzLmZvckVhY2goaCA9PiB7XG4gICAgICAgICAgICAgICAgY29uc3QgbGFiZWwgPSBoLm5hbWUgKyAnICgnICsgaGlzdG9yeUxhYmVsT2YoaCkgKyAnKSc7XG4gICAgICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGggKyAxKSArICdzdGF0ZSAnICsgSlNPTi5zdHJpbmdpZnkobGFiZWwpICsgJyBhcyAnICsgaWRzW2gubmFtZV0pO1xuICAgICAgICAgICAgICAgIGlmIChoLmRlZmF1bHRUYXJnZXQgJiYgaWRzW2guZGVmYXVsdFRhcmdldF0pIHtcbiAgICAgICAgICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGggKyAxKSArIGlkc1toLm5hbWVdICsgJyAtLT4gJyArIGlkc1toLmRlZmF1bHRUYXJnZXRdICsgJyA6IGRlZmF1bHQnKTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICB9KTtcbiAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KGRlcHRoKSArICd9Jyk7XG4gICAgICAgIH1cbiAgICB9O1xuXG4gICAgbGluZXMucHVzaCgnc3RhdGVEaWFncmFtLXYyJyk7XG4gICAgbGV0IHJlZ2lvbkluZGV4ID0gMDtcbiAgICBmb3IgKGNvbnN0IGsgaW4gdHJlZS5yZWdpb25zKSB7XG4gICAgICAgIGlmICh0cmVlLnJlZ2lvbnMuaGFzT3duUHJvcGVydHkoaykpIHtcbiAgICAgICAgICAgIGNvbnN0IHJlZ2lvbiA9IHRyZWUucmVnaW9uc1trXTtcbiAgICAgICAgICAgIGlmIChrID09PSBkZWZhdWx0UmVnaW9uKSB7XG4gICAgICAgICAgICAgICAgd3JpdGVJbml0KHJlZ2lvbi5pbml0aWFsLCAxKTtcbiAgICAgICAgICAgICAgICByZWdpb24ucm9vdHMuZm9yRWFjaChuYW1lID0+IHdyaXRlU3RhdGUobmFtZSwgMSkpO1xuICAgICAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgICAgICBjb25zdCByZWdpb25JZCA9ICdyJyArIHJlZ2lvbkluZGV4Kys7XG4gICAgICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoMSkgKyAnc3RhdGUgJyArIEpTT04uc3RyaW5naWZ5KGspICsgJyBhcyAnICsgcmVnaW9uSWQpO1xuICAgICAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KDEpICsgJ3N0YXRlICcgKyByZWdpb25JZCArICcgeycpO1xuICAgICAgICAgICAgICAgIHdyaXRlSW5pdChyZWdpb24uaW5pdGlhbCwgMik7XG4gICAgICAgICAgICAgICAgcmVnaW9uLnJvb3RzLmZvckVhY2gobmFtZSA9PiB3cml0ZVN0YXRlKG5hbWUsIDIpKTtcbiAgICAgICAgICAgICAgICBsaW5lcy5wdXNoKGluZGVudCgxKSArICd9Jyk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICB9XG4gICAgKGRlZmluaXRpb24udHJhbnNpdGlvbnMgfHwgW10pLmZvckVhY2godHIgPT4ge1xuICAgICAgICBpZiAoaWRzW3RyLmZyb21dICYmIGlkc1t0ci50b10pIHtcbiAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KDEpICsgaWRzW3RyLmZyb21dICsgJyAtLT4gJyArIGlkc1t0ci50b10gKyAnIDogJyArIHNhbml0aXplKGxhYmVsT2YodHIpKSk7XG4gICAgICAgIH1cbiAgICB9KTtcbiAgICBjb25zdCBoaWdobGlnaHRlZCA9IGFjdGl2ZS5maWx0ZXIobmFtZSA9PiBpZHNbbmFtZV0pLm1hcChuYW1lID0+IGlkc1tuYW1lXSk7XG4gICAgaWYgKGhpZ2hsaWdodGVkLmxlbmd0aCkge1xuICAgICAgICBsaW5lcy5wdXNoKGluZGVudCgxKSArICdjbGFzc0RlZiBhY3RpdmUgZmlsbDonICsgaGlnaGxpZ2h0Q29sb3IpO1xuICAgICAgICBsaW5lcy5wdXNoKGluZGVudCgxKSArICdjbGFzcyAnICsgaGlnaGxpZ2h0ZWQuam9pbignLCcpICsgJyBhY3RpdmUnKTtcbiAgICB9XG4gICAgcmV0dXJuIGxpbmVzLmpvaW4oJ1xcbicpICsgJ1xcbic7XG59XG4iXX0=
\ No newline at end of file
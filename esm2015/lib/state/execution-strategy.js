@@ -0,0 +1,39 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * @fileOverview
+ * Provides the strategies deciding where a finite state machine
+ * does its work and delivers its notifications, e.g., inside or
+ * outside the zone of a framework.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+/**
+ * Defines where a machine runs.
+ * @record
+ */
+export function IExecutionStrategy() { }
+if (false) {
+    /**
+     * @template T
+     * @param {?} work
+     * @return {?}
+     */
+    IExecutionStrategy.prototype.execute = function (work) { };
+    /**
+     * @param {?} delivery
+     * @return {?}
+     */
+    IExecutionStrategy.prototype.notify = function (delivery) { };
+}
+/**
+ * The strategy which runs everything where the machine is called.
+ * @type {?}
+ */
+export const directExecutionStrategy = {
+    execute: (work) => work(),
+    notify: (delivery) => delivery()
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZXhlY3V0aW9uLXN0cmF0ZWd5LmpzIiwic291cmNlUm9vdCI6Im5nOi8vQHBvbHB3YXJlL2ZlLWJlaGF2aW9yLyIsInNvdXJjZXMiOlsibGliL3N0YXRlL2V4ZWN1dGlvbi1zdHJhdGVneS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7O0FBWUEsd0NBT0M7Ozs7Ozs7SUFKRywyREFBNkI7Ozs7O0lBRzdCLDhEQUFtQzs7Ozs7O0FBTXZDLE1BQU0sT0FBTyx1QkFBdUIsR0FBdUI7SUFDdkQsT0FBTyxFQUFFLENBQUksSUFBYSxFQUFFLEVBQUUsQ0FBQyxJQUFJLEVBQUU7SUFDckMsTUFBTSxFQUFFLENBQUMsUUFBb0IsRUFBRSxFQUFFLENBQUMsUUFBUSxFQUFFO0NBQy9DIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAZmlsZU92ZXJ2aWV3XG4gKiBQcm92aWRlcyB0aGUgc3RyYXRlZ2llcyBkZWNpZGluZyB3aGVyZSBhIGZpbml0ZSBzdGF0ZSBtYWNoaW5lXG4gKiBkb2VzIGl0cyB3b3JrIGFuZCBkZWxpdmVycyBpdHMgbm90aWZpY2F0aW9ucywgZS5nLiwgaW5zaWRlIG9yXG4gKiBvdXRzaWRlIHRoZSB6b25lIG9mIGEgZnJhbWV3b3JrLlxuICogQGF1dGhvciBYaWFvbG9uZyBUYW5nIDx4eGxvbmd0YW5nQGdtYWlsLmNvbT5cbiAqIEBsaWNlbnNlIENvcHlyaWdodCBAbWVcbiAqL1xuXG4vKipcbiAqIERlZmluZXMgd2hlcmUgYSBtYWNoaW5lIHJ1bnMuXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgSUV4ZWN1dGlvblN0cmF0ZWd5IHtcbiAgICAvLyBSdW5zIHRoZSB3b3JrIG9mIHRoZSBtYWNoaW5lLCBpLmUuLCB0YWtpbmcgdHJhbnNpdGlvbnNcbiAgICAvLyBhbmQgaW52b2tpbmcgdGhlIGNhbGxiYWNrcyBvZiB0aGUgc3RhdGVzIGFuZCB0aGUgdHJhbnNpdGlvbnMuXG4gICAgZXhlY3V0ZTxUPih3b3JrOiAoKSA9PiBUKTogVDtcbiAgICAvLyBEZWxpdmVycyBhIG5vdGlmaWNhdGlvbiB0byB0aGUgaGFuZGxlcnMgYW5kIHRoZSBzdWJzY3JpYmVyc1xuICAgIC8vIG9mIHRoZSBtYWNoaW5lLiBJdCBpcyBpbnZva2VkIG9ubHkgaWYgdGhlcmUgaXMgYW55IG9mIHRoZW0uXG4gICAgbm90aWZ5KGRlbGl2ZXJ5OiAoKSA9PiB2b2lkKTogdm9pZDtcbn1cblxuLyoqXG4gKiBUaGUgc3RyYXRlZ3kgd2hpY2ggcnVucyBldmVyeXRoaW5nIHdoZXJlIHRoZSBtYWNoaW5lIGlzIGNhbGxlZC5cbiAqL1xuZXhwb3J0IGNvbnN0IGRpcmVjdEV4ZWN1dGlvblN0cmF0ZWd5OiBJRXhlY3V0aW9uU3RyYXRlZ3kgPSB7XG4gICAgZXhlY3V0ZTogPFQ+KHdvcms6ICgpID0+IFQpID0+IHdvcmsoKSxcbiAgICBub3RpZnk6IChkZWxpdmVyeTogKCkgPT4gdm9pZCkgPT4gZGVsaXZlcnkoKVxufTtcbiJdfQ==
\ No newline at end of file
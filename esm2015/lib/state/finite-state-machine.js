@@ -10,6 +10,15 @@
  */
 import * as dependencies from '@polpware/fe-dependencies';
 import { replace as replaceStr } from '@polpware/fe-utilities';
+import { ReplaySubject, Subject } from 'rxjs';
+import { distinctUntilChanged, filter, map } from 'rxjs/operators';
+import { definitionVersion, DefinitionError, validateDefinition } from './machine-definition';
+import { renderDot, renderMermaid } from './diagram-export';
+import { parseScxml, serializeScxml } from './scxml';
+import { analyzeDefinition } from './model-checking';
+import { checkProperty } from './temporal-logic';
+import { realTimeScheduler } from './scheduler';
+import { directExecutionStrategy } from './execution-strategy';
 // A set of helper functions
 /** @type {?} */
 const _ = dependencies.underscore;
@@ -22,14 +31,22 @@ const without = _.without;
 /** @type {?} */
 const transitionKeyFormat = '{from}2{to}';
 /** @type {?} */
+const stateSeparator = '.';
+// The target which keeps the underlying implementation in its current state
+/** @type {?} */
+const wildcardState = '*';
+/** @type {?} */
+const defaultRegion = 'default';
+/** @type {?} */
 const errorMessageFormat = 'Transition {name} from {from} to {to} fails.';
-/**
- * @param {?} value
- * @return {?}
- */
-function captialize(value) {
-    return value.charAt(0).toUpperCase() + value.slice(1);
-}
+// The format version of snapshots; bump it whenever
+// the snapshot structure changes incompatibly.
+/** @type {?} */
+const snapshotVersion = 1;
+/** @type {?} */
+const maxHistoryLength = 100;
+/** @type {?} */
+const sameStatePolicies = ['ignore', 'error', 'reenter'];
 /**
  * @record
  */
@@ -54,9 +71,13 @@ if (false) {
     IUnderlyImpl.prototype.fire = function (transitionName) { };
 }
 /**
+ * Describes a transition to the callbacks invoked during it.
+ * The type parameters are the states, the events and the context data
+ * of the FSM, as in FiniteStateMachine.
  * @record
+ * @template TState, TEvent, TContext
  */
-function ILifeCycleEvent() { }
+export function ILifeCycleEvent() { }
 if (false) {
     /** @type {?} */
     ILifeCycleEvent.prototype.transition;
@@ -64,6 +85,99 @@ if (false) {
     ILifeCycleEvent.prototype.from;
     /** @type {?} */
     ILifeCycleEvent.prototype.to;
+    /** @type {?|undefined} */
+    ILifeCycleEvent.prototype.region;
+    /** @type {?|undefined} */
+    ILifeCycleEvent.prototype.event;
+    /** @type {?|undefined} */
+    ILifeCycleEvent.prototype.payload;
+    /** @type {?|undefined} */
+    ILifeCycleEvent.prototype.context;
+}
+/**
+ * Describes a change of the context data.
+ * @record
+ * @template TState, TEvent, TContext
+ */
+export function IContextChangeEvent() { }
+if (false) {
+    /** @type {?} */
+    IContextChangeEvent.prototype.context;
+    /** @type {?} */
+    IContextChangeEvent.prototype.previous;
+    /** @type {?} */
+    IContextChangeEvent.prototype.lifecycle;
+}
+/**
+ * Describes an error reported to the error handler.
+ * @record
+ */
+export function IErrorEvent() { }
+if (false) {
+    /** @type {?} */
+    IErrorEvent.prototype.name;
+    /** @type {?} */
+    IErrorEvent.prototype.from;
+    /** @type {?} */
+    IErrorEvent.prototype.to;
+    /** @type {?|undefined} */
+    IErrorEvent.prototype.error;
+}
+/**
+ * Describes a transition which has been taken.
+ * @record
+ * @template TState
+ */
+export function IHistoryEntry() { }
+if (false) {
+    /** @type {?} */
+    IHistoryEntry.prototype.transition;
+    /** @type {?} */
+    IHistoryEntry.prototype.from;
+    /** @type {?} */
+    IHistoryEntry.prototype.to;
+    /** @type {?} */
+    IHistoryEntry.prototype.region;
+    /** @type {?|undefined} */
+    IHistoryEntry.prototype.payload;
+    /** @type {?|undefined} */
+    IHistoryEntry.prototype.timestamp;
+}
+/**
+ * Describes the running status of a FSM in plain JSON data,
+ * from which a FSM of the same configuration may be started again.
+ * @record
+ * @template TState, TContext
+ */
+export function ISnapshot() { }
+if (false) {
+    /** @type {?} */
+    ISnapshot.prototype.version;
+    /** @type {?} */
+    ISnapshot.prototype.state;
+    /** @type {?} */
+    ISnapshot.prototype.context;
+    /** @type {?} */
+    ISnapshot.prototype.history;
+    /** @type {?|undefined} */
+    ISnapshot.prototype.undone;
+    /** @type {?|undefined} */
+    ISnapshot.prototype.lastActive;
+}
+/**
+ * @record
+ * @template TState
+ */
+export function IStateOptions() { }
+if (false) {
+    /** @type {?|undefined} */
+    IStateOptions.prototype.parent;
+    /** @type {?|undefined} */
+    IStateOptions.prototype.initial;
+    /** @type {?|undefined} */
+    IStateOptions.prototype.region;
+    /** @type {?|undefined} */
+    IStateOptions.prototype.final;
 }
 /**
  * @record
@@ -74,6 +188,68 @@ if (false) {
     IStateSpecification.prototype.onEnterCallback;
     /** @type {?|undefined} */
     IStateSpecification.prototype.onLeaveCallback;
+    /** @type {?|undefined} */
+    IStateSpecification.prototype.parent;
+    /** @type {?|undefined} */
+    IStateSpecification.prototype.initial;
+    /** @type {?} */
+    IStateSpecification.prototype.children;
+    /** @type {?} */
+    IStateSpecification.prototype.region;
+    /** @type {?|undefined} */
+    IStateSpecification.prototype.final;
+}
+/**
+ * @record
+ */
+function IRegionSpecification() { }
+if (false) {
+    /** @type {?} */
+    IRegionSpecification.prototype.initState;
+}
+/**
+ * @record
+ * @template TState
+ */
+export function IHistoryStateOptions() { }
+if (false) {
+    /** @type {?|undefined} */
+    IHistoryStateOptions.prototype.deep;
+    /** @type {?|undefined} */
+    IHistoryStateOptions.prototype.defaultTarget;
+}
+/**
+ * @record
+ */
+function IHistoryStateSpecification() { }
+if (false) {
+    /** @type {?} */
+    IHistoryStateSpecification.prototype.parent;
+    /** @type {?} */
+    IHistoryStateSpecification.prototype.deep;
+    /** @type {?|undefined} */
+    IHistoryStateSpecification.prototype.defaultTarget;
+    /** @type {?} */
+    IHistoryStateSpecification.prototype.region;
+}
+/**
+ * @record
+ * @template TState, TEvent, TContext
+ */
+export function ITransitionOptions() { }
+if (false) {
+    /** @type {?|undefined} */
+    ITransitionOptions.prototype.guard;
+    /** @type {?|undefined} */
+    ITransitionOptions.prototype.event;
+    /** @type {?|undefined} */
+    ITransitionOptions.prototype.assign;
+    /** @type {?|undefined} */
+    ITransitionOptions.prototype.delay;
+    /** @type {?|undefined} */
+    ITransitionOptions.prototype.compensation;
+    /** @type {?|undefined} */
+    ITransitionOptions.prototype.internal;
 }
 /**
  * @record
@@ -88,6 +264,28 @@ if (false) {
     ITransitionSpecification.prototype.onBeforeCallback;
     /** @type {?|undefined} */
     ITransitionSpecification.prototype.onAfterCallback;
+    /** @type {?|undefined} */
+    ITransitionSpecification.prototype.guard;
+    /** @type {?|undefined} */
+    ITransitionSpecification.prototype.event;
+    /** @type {?|undefined} */
+    ITransitionSpecification.prototype.assign;
+    /** @type {?|undefined} */
+    ITransitionSpecification.prototype.delay;
+    /** @type {?|undefined} */
+    ITransitionSpecification.prototype.compensation;
+    /** @type {?|undefined} */
+    ITransitionSpecification.prototype.internal;
+}
+/**
+ * @record
+ */
+function IReplaySpecification() { }
+if (false) {
+    /** @type {?} */
+    IReplaySpecification.prototype.kind;
+    /** @type {?} */
+    IReplaySpecification.prototype.entry;
 }
 /**
  * Builds a handler with necessary context information.
@@ -97,7 +295,7 @@ if (false) {
  * @return {?}
  */
 function buildHandlerInClosure(context, key) {
-    return function () {
+    return function (data) {
         /** @type {?} */
         const ourHandlers = context[key];
         if (!ourHandlers) {
@@ -110,14 +308,85 @@ function buildHandlerInClosure(context, key) {
         }
     };
 }
+/**
+ * Computes the states to be left and the states to be entered
+ * when moving from one state to another, given the active paths of both.
+ * The states to be left are ordered from the innermost one, and
+ * the states to be entered from the outermost one.
+ * @param {?} fromPath
+ * @param {?} toPath
+ * @return {?}
+ */
+function computeExitAndEntry(fromPath, toPath) {
+    /** @type {?} */
+    let i = 0;
+    while (i < fromPath.length && i < toPath.length && fromPath[i] === toPath[i]) {
+        i++;
+    }
+    return {
+        exit: fromPath.slice(i).reverse(),
+        entry: toPath.slice(i)
+    };
+}
+/**
+ * Invokes the given callbacks one after another, and stops at
+ * the first one which returns false. A callback may return a promise,
+ * and then the remaining callbacks are invoked once it is resolved.
+ * @param {?} callbacks
+ * @param {?} lifecycle
+ * @param {?=} index
+ * @return {?}
+ */
+function invokeInSequence(callbacks, lifecycle, index = 0) {
+    for (let i = index; i < callbacks.length; i++) {
+        /** @type {?} */
+        const result = callbacks[i](lifecycle);
+        if (result === false) {
+            return false;
+        }
+        if (result && typeof result.then === 'function') {
+            return result.then((value) => {
+                return value === false ? false : invokeInSequence(callbacks, lifecycle, i + 1);
+            });
+        }
+    }
+}
+/**
+ * Invokes the given middleware around the given work, the first one
+ * being the outermost. A middleware which does not call next vetoes
+ * the transition; a middleware may call next only once.
+ * @param {?} middleware
+ * @param {?} lifecycle
+ * @param {?} work
+ * @param {?=} index
+ * @return {?}
+ */
+function invokeMiddleware(middleware, lifecycle, work, index = 0) {
+    if (index >= middleware.length) {
+        return work(lifecycle.payload);
+    }
+    /** @type {?} */
+    let called = false;
+    return middleware[index](lifecycle, function (payload) {
+        if (called) {
+            throw new Error('Calling next more than once: ' + lifecycle.transition);
+        }
+        called = true;
+        if (arguments.length > 0) {
+            lifecycle.payload = payload;
+        }
+        return invokeMiddleware(middleware, lifecycle, work, index + 1);
+    });
+}
 /**
  * Default error handler for the FSM.
  * @param {?} eventName
  * @param {?} from
  * @param {?} to
+ * @param {?=} error
  * @return {?}
  */
-function defaultErrorHandler(eventName, from, to) {
+function defaultErrorHandler(eventName, from, to, error) {
     /** @type {?} */
     const info = replaceStr(errorMessageFormat, {
         name: eventName,
@@ -125,6 +394,9 @@ function defaultErrorHandler(eventName, from, to) {
         to: to
     });
     console.log(info);
+    if (error) {
+        console.log(error);
+    }
 }
 /**
  * Represents a finite state machine.
@@ -136,15 +408,204 @@ function defaultErrorHandler(eventName, from, to) {
  * transitions
  * - Support for asychronous and synchrous transitions
  * - Support for global exception handling
+ * The states, the events and the context data may be typed by
+ * the type parameters, e.g.,
+ * new FiniteStateMachine<'idle' | 'busy', 'submit', { count: number }>(),
+ * so that the names are checked at compile time and the callbacks
+ * receive precisely typed lifecycle events. The last type parameter
+ * tells whether the FSM is in the asynchronous mode, as set by
+ * setAsyncMode, so that taking a transition is typed to return
+ * either the FSM or a promise.
+ * @template TState, TEvent, TContext, TAsync
  */
 export class FiniteStateMachine {
     constructor() {
-        this._impl = null;
+        this._impls = null;
         this._initState = null;
+        this._context = {};
+        this._asyncMode = false;
+        this._sameStatePolicy = 'ignore';
+        this._pendingRegions = {};
         this._errorHandler = null;
+        this._regionConfiguration = {};
+        this._historyConfiguration = {};
+        this._lastActive = {};
         this._stateConfiguration = {};
         this._transitionConfiguration = {};
-        this._handlers = {};
+        this._reentryConfiguration = {};
+        this._eventConfiguration = {};
+        // Handlers may be registered before the FSM starts
+        this._handlers = {
+            onEnterState: [],
+            onLeaveState: [],
+            onContextChange: []
+        };
+        this._middleware = [];
+        this._history = [];
+        this._historyLimit = maxHistoryLength;
+        this._undone = [];
+        this._replays = {};
+        this._settledEvents = {};
+        this._implementations = null;
+        this._scheduler = realTimeScheduler;
+        this._timers = {};
+        this._execution = directExecutionStrategy;
+        this._disposed = false;
+        this._configurationSubject = new ReplaySubject(1);
+        this._transitionSubject = new Subject();
+        this._errorSubject = new Subject();
+        this._contextSubject = new ReplaySubject(1);
+        this.configuration$ = (/** @type {?} */ (this._configurationSubject.asObservable()));
+        this.state$ = this.watchState();
+        this.transitions$ = (/** @type {?} */ (this._transitionSubject.asObservable()));
+        this.errors$ = this._errorSubject.asObservable();
+        this.context$ = (/** @type {?} */ (this._contextSubject.asObservable()));
+    }
+    /**
+     * Builds a FSM from a declarative definition, in which the callbacks
+     * and the guards are referred to by their names in the given map of
+     * implementations. The resulting FSM is configured but not started.
+     * If the definition is invalid, a DefinitionError listing all
+     * the problems found is thrown. The mode of the FSM is given by
+     * the definition, so it is unknown to the type system,
+     * unless stated by the last type parameter.
+     * @template TState, TEvent, TContext, TAsync
+     * @param {?} definition
+     * @param {?=} implementations
+     * @return {?}
+     */
+    static fromDefinition(definition, implementations) {
+        /** @type {?} */
+        const errors = validateDefinition(definition);
+        if (errors.length) {
+            throw new DefinitionError(errors);
+        }
+        implementations = implementations || {};
+        /** @type {?} */
+        const lookup = (name, path) => {
+            if (!name) {
+                return undefined;
+            }
+            if (!implementations.hasOwnProperty(name) || typeof implementations[name] !== 'function') {
+                errors.push({ path: path, message: 'Undefined implementation: ' + name });
+                return undefined;
+            }
+            return implementations[name];
+        };
+        // Keeps going on failures, so that all the problems are reported.
+        /** @type {?} */
+        const attempt = (path, fn) => {
+            try {
+                fn();
+            }
+            catch (e) {
+                errors.push({ path: path, message: e.message });
+            }
+        };
+        /** @type {?} */
+        const fsm = new FiniteStateMachine();
+        if (definition.context !== undefined) {
+            fsm.setContext(definition.context);
+        }
+        fsm.setAsyncMode(!!definition.asyncMode);
+        if (definition.sameStatePolicy) {
+            attempt('/sameStatePolicy', () => fsm.setSameStatePolicy((/** @type {?} */ (definition.sameStatePolicy))));
+        }
+        (definition.regions || []).forEach((r, i) => {
+            attempt('/regions/' + i, () => fsm.addRegion(r.name, r.initial));
+        });
+        definition.states.forEach((st, i) => {
+            /** @type {?} */
+            const path = '/states/' + i;
+            /** @type {?} */
+            const onEnter = lookup(st.onEnter, path + '/onEnter');
+            /** @type {?} */
+            const onLeave = lookup(st.onLeave, path + '/onLeave');
+            attempt(path, () => fsm.addState(st.name, onEnter, onLeave, {
+                parent: st.parent,
+                initial: st.initial,
+                region: st.region,
+                final: st.final
+            }));
+        });
+        (definition.historyStates || []).forEach((h, i) => {
+            attempt('/historyStates/' + i, () => fsm.addHistoryState(h.name, h.parent, {
+                deep: h.deep,
+                defaultTarget: h.defaultTarget
+            }));
+        });
+        (definition.transitions || []).forEach((tr, i) => {
+            /** @type {?} */
+            const path = '/transitions/' + i;
+            /** @type {?} */
+            const onAfter = lookup(tr.onAfter, path + '/onAfter');
+            /** @type {?} */
+            const onBefore = lookup(tr.onBefore, path + '/onBefore');
+            /** @type {?} */
+            const guard = lookup(tr.guard, path + '/guard');
+            /** @type {?} */
+            const assign = typeof tr.assign === 'string' ? lookup(tr.assign, path + '/assign') : tr.assign;
+            attempt(path, () => fsm.addTransition(tr.from, tr.to, onAfter, onBefore, {
+                guard: guard,
+                event: tr.event,
+                assign: assign,
+                delay: tr.delay,
+                compensation: tr.compensation,
+                internal: tr.internal
+            }));
+        });
+        // The references to the states are otherwise checked only on start.
+        /** @type {?} */
+        const stateConf = fsm._stateConfiguration;
+        if (definition.initial) {
+            if (stateConf[definition.initial]) {
+                fsm.setInitState(definition.initial);
+            }
+            else {
+                errors.push({ path: '/initial', message: 'Undefined state: ' + definition.initial });
+            }
+        }
+        (definition.regions || []).forEach((r, i) => {
+            if (!stateConf[r.initial] || stateConf[r.initial].region !== r.name) {
+                errors.push({ path: '/regions/' + i + '/initial', message: 'Undefined state in region: ' + r.initial });
+            }
+        });
+        definition.states.forEach((st, i) => {
+            /** @type {?} */
+            const elem = stateConf[st.name];
+            if (elem && st.initial && indexOf(elem.children, st.initial) < 0) {
+                errors.push({ path: '/states/' + i + '/initial', message: 'Undefined initial child state: ' + st.initial });
+            }
+        });
+        (definition.historyStates || []).forEach((h, i) => {
+            if (stateConf[h.parent] && !stateConf[h.parent].children.length) {
+                errors.push({ path: '/historyStates/' + i + '/parent', message: 'History state of an atomic state: ' + h.name });
+            }
+            /** @type {?} */
+            const target = h.defaultTarget;
+            if (target && (!stateConf[target] || target === h.parent || indexOf(fsm.pathOf(target), h.parent) < 0)) {
+                errors.push({ path: '/historyStates/' + i + '/defaultTarget', message: 'Undefined default target: ' + target });
+            }
+        });
+        if (errors.length) {
+            throw new DefinitionError(errors);
+        }
+        fsm._implementations = implementations;
+        return fsm;
+    }
+    /**
+     * Builds a FSM from a SCXML document, in which the onentry and onexit
+     * handlers and the conditions refer to the callbacks and the guards
+     * by their names in the given map of implementations.
+     * The resulting FSM is configured but not started,
+     * and it is in the synchronous mode.
+     * @template TState, TEvent, TContext
+     * @param {?} xml
+     * @param {?=} implementations
+     * @return {?}
+     */
+    static fromScxml(xml, implementations) {
+        return FiniteStateMachine.fromDefinition(parseScxml(xml), implementations);
     }
     /**
      * Checks if FSM is in configuration stage.
@@ -152,7 +613,10 @@ export class FiniteStateMachine {
      * @return {?}
      */
     ensureConfigureStage() {
-        if (this._impl) {
+        if (this._disposed) {
+            throw new Error('State machine has been disposed.');
+        }
+        if (this._impls) {
             throw new Error('State machine has started.');
         }
     }
@@ -162,257 +626,1863 @@ export class FiniteStateMachine {
      * @return {?}
      */
     ensureRunningStage() {
-        if (!this._impl) {
+        if (this._disposed) {
+            throw new Error('State machine has been disposed.');
+        }
+        if (!this._impls) {
             throw new Error('State machine has not yet started.');
         }
     }
     /**
-     * Defines the behavior when the FSM moves into a state by a transition.
-     * @template THIS
-     * @this {THIS}
+     * Returns the given state and all of its enclosing states,
+     * starting from the outermost one.
+     * @private
      * @param {?} name
-     * @param {?=} onEnterCallback
-     * @param {?=} onLeaveCallback
-     * @return {THIS}
+     * @return {?}
      */
-    addState(name, onEnterCallback, onLeaveCallback) {
-        // Pre-conditions
-        (/** @type {?} */ (this)).ensureConfigureStage();
+    pathOf(name) {
         /** @type {?} */
-        const stateConf = (/** @type {?} */ (this))._stateConfiguration;
-        if (stateConf[name]) {
-            throw new Error('Redefined state: ' + name);
+        const stateConf = this._stateConfiguration;
+        /** @type {?} */
+        const path = [];
+        for (let s = name; s; s = stateConf[s].parent) {
+            path.unshift(s);
         }
-        stateConf[name] = {
-            onEnterCallback: onEnterCallback,
-            onLeaveCallback: onLeaveCallback
-        };
-        return (/** @type {?} */ (this));
+        return path;
     }
     /**
-     * Defines the init state for the FSM.
-     * @template THIS
-     * @this {THIS}
+     * Resolves the atomic state which is entered
+     * when a transition targets the given state.
+     * @private
      * @param {?} name
-     * @return {THIS}
+     * @return {?}
      */
-    setInitState(name) {
-        // Pre-conditions
-        (/** @type {?} */ (this)).ensureConfigureStage();
-        if ((/** @type {?} */ (this))._initState) {
-            throw new Error('Redefined init state: ' + (/** @type {?} */ (this))._initState);
+    resolveAtomicState(name) {
+        /** @type {?} */
+        const stateConf = this._stateConfiguration;
+        /** @type {?} */
+        let elem = stateConf[name];
+        while (elem.children.length > 0) {
+            name = elem.initial || elem.children[0];
+            elem = stateConf[name];
         }
-        (/** @type {?} */ (this))._initState = name;
-        return (/** @type {?} */ (this));
+        return name;
     }
     /**
-     * Defines a new stransition.
-     * @template THIS
-     * @this {THIS}
-     * @param {?} from
-     * @param {?} to
-     * @param {?=} onAfterCallback
-     * @param {?=} onBeforeCallback
-     * @return {THIS}
+     * Returns the atomic states which are nested in the given state,
+     * or the state itself if it does not have any child.
+     * @private
+     * @param {?} name
+     * @return {?}
      */
-    addTransition(from, to, onAfterCallback, onBeforeCallback) {
-        // Pre-condition
-        (/** @type {?} */ (this)).ensureConfigureStage();
-        /** @type {?} */
-        const stateConf = (/** @type {?} */ (this))._stateConfiguration;
+    atomicStatesOf(name) {
         /** @type {?} */
-        const transitionConf = (/** @type {?} */ (this))._transitionConfiguration;
-        if (!stateConf[from]) {
-            throw new Error('Undefined source state: ' + from);
-        }
-        if (!stateConf[to]) {
-            throw new Error('Undefined target state: ' + to);
+        const elem = this._stateConfiguration[name];
+        if (elem.children.length === 0) {
+            return [name];
         }
         /** @type {?} */
-        const key = replaceStr(transitionKeyFormat, { from: from, to: to });
-        if (transitionConf[key]) {
-            throw new Error('Redefined transition: ' + from + ' -> ' + to);
+        let result = [];
+        for (const child of elem.children) {
+            result = result.concat(this.atomicStatesOf(child));
         }
-        transitionConf[key] = {
-            from: from, to: to,
-            onAfterCallback: onAfterCallback,
-            onBeforeCallback: onBeforeCallback
-        };
-        return (/** @type {?} */ (this));
+        return result;
     }
     /**
-     * Starts the FSM. Note that this method must be invoked before
-     * any method which may change the state of the FSM.
-     * @template THIS
-     * @this {THIS}
-     * @return {THIS}
-     */
-    start() {
+     * Invokes the given callbacks which may delay or veto a transition.
+     * In the asynchronous mode, a promise resolved to false is turned into
+     * a rejection, as the underlying implementation would not take it as a veto.
+     * In the synchronous mode, a promise is an error, which vetoes
+     * the transition, as the underlying implementation would wait for it.
+     * @private
+     * @param {?} callbacks
+     * @param {?} lifecycle
+     * @return {?}
+     */
+    invokeVetoableCallbacks(callbacks, lifecycle) {
+        /** @type {?} */
+        const result = invokeInSequence(callbacks, lifecycle);
+        if (!result || typeof result.then !== 'function') {
+            return result;
+        }
+        if (!this._asyncMode) {
+            throw new Error('Promise returned in synchronous mode: ' + lifecycle.transition);
+        }
+        return result.then((value) => {
+            if (value === false) {
+                throw new Error('Transition is vetoed: ' + lifecycle.transition);
+            }
+            return value;
+        });
+    }
+    /**
+     * Updates the context data as declared by a transition,
+     * and notifies the handlers of the change.
+     * @private
+     * @param {?} assign
+     * @param {?} lifecycle
+     * @return {?}
+     */
+    assignContext(assign, lifecycle) {
+        /** @type {?} */
+        const previous = this._context;
+        /** @type {?} */
+        const changes = typeof assign === 'function' ?
+            ((/** @type {?} */ (assign)))(previous, lifecycle.payload) :
+            _.mapObject(assign, (value) => {
+                return typeof value === 'function' ? value(previous, lifecycle.payload) : value;
+            });
+        this._context = _.extend({}, previous, changes);
+        lifecycle.context = this._context;
+        /** @type {?} */
+        const change = {
+            context: this._context,
+            previous: previous,
+            lifecycle: lifecycle
+        };
+        this.deliver(this._handlers.onContextChange, () => {
+            buildHandlerInClosure(this._handlers, 'onContextChange')(change);
+        });
+        this.notifyContext();
+    }
+    /**
+     * Notifies the subscribers of context$ of the current context data.
+     * @private
+     * @return {?}
+     */
+    notifyContext() {
+        /** @type {?} */
+        const context = this._context;
+        this.deliver(this._contextSubject.observers, () => this._contextSubject.next(context));
+    }
+    /**
+     * Reports an error to the error handler and to the subscribers of errors$.
+     * @private
+     * @param {?} name
+     * @param {?} from
+     * @param {?} to
+     * @param {?=} error
+     * @return {?}
+     */
+    reportError(name, from, to, error) {
+        /** @type {?} */
+        const errorHandler = this._errorHandler || defaultErrorHandler;
+        errorHandler(name, from, to, error);
+        this.deliver(this._errorSubject.observers, () => {
+            this._errorSubject.next({ name: name, from: from, to: to, error: error });
+        });
+    }
+    /**
+     * Delivers a notification by the execution strategy, unless
+     * nobody listens to it, in which case it is delivered at once.
+     * @private
+     * @param {?} listeners
+     * @param {?} delivery
+     * @return {?}
+     */
+    deliver(listeners, delivery) {
+        if (listeners && listeners.length > 0) {
+            this._execution.notify(delivery);
+        }
+        else {
+            delivery();
+        }
+    }
+    /**
+     * Returns the specification of the given transition, which is either
+     * defined, or implied by the same-state policy for re-entering a state.
+     * @private
+     * @param {?} name
+     * @return {?}
+     */
+    transitionOf(name) {
+        return this._transitionConfiguration[name] || this._reentryConfiguration[name];
+    }
+    /**
+     * Computes the states left and entered by a transition. A self-transition
+     * leaves and re-enters its own state, unless it is internal.
+     * @private
+     * @param {?} lifecycle
+     * @return {?}
+     */
+    stepsOf(lifecycle) {
+        /** @type {?} */
+        const elem = this.transitionOf(lifecycle.transition);
+        /** @type {?} */
+        const fromPath = this._stateConfiguration[lifecycle.from] ? this.pathOf(lifecycle.from) : [];
+        /** @type {?} */
+        const toPath = this.pathOf(lifecycle.to);
+        if (elem && elem.from === elem.to) {
+            if (elem.internal) {
+                return { exit: [], entry: [] };
+            }
+            /** @type {?} */
+            const i = indexOf(fromPath, elem.from);
+            return { exit: fromPath.slice(i).reverse(), entry: toPath.slice(i) };
+        }
+        return computeExitAndEntry(fromPath, toPath);
+    }
+    /**
+     * Returns the underlying implementation for the given region.
+     * @private
+     * @param {?} region
+     * @return {?}
+     */
+    implOf(region) {
+        region = region || defaultRegion;
+        /** @type {?} */
+        const impl = this._impls[region];
+        if (!impl) {
+            throw new Error('Undefined region: ' + region);
+        }
+        return impl;
+    }
+    /**
+     * Defines an orthogonal region, which is active at the same time as
+     * the default region and all the other regions.
+     * Each region has its own init state and its own current state.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} name
+     * @param {?} initState
+     * @return {THIS}
+     */
+    addRegion(name, initState) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        /** @type {?} */
+        const regionConf = (/** @type {?} */ (this))._regionConfiguration;
+        if (name === defaultRegion || regionConf[name]) {
+            throw new Error('Redefined region: ' + name);
+        }
+        regionConf[name] = {
+            initState: initState
+        };
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * Defines the behavior when the FSM moves into a state by a transition.
+     * A state may be nested in another state, either by a dotted name
+     * (e.g., 'editor.saving') or by the parent option. Entering a child
+     * state enters its parent first, and the transitions defined
+     * on the parent apply to all of its descendants.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} name
+     * @param {?=} onEnterCallback
+     * @param {?=} onLeaveCallback
+     * @param {?=} options
+     * @return {THIS}
+     */
+    addState(name, onEnterCallback, onLeaveCallback, options) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        /** @type {?} */
+        const stateConf = (/** @type {?} */ (this))._stateConfiguration;
+        if (stateConf[name] || (/** @type {?} */ (this))._historyConfiguration[name]) {
+            throw new Error('Redefined state: ' + name);
+        }
+        options = options || {};
+        /** @type {?} */
+        let parent = options.parent;
+        if (parent) {
+            if (!stateConf[parent]) {
+                throw new Error('Undefined parent state: ' + parent);
+            }
+        }
+        else {
+            /** @type {?} */
+            const pos = name.lastIndexOf(stateSeparator);
+            if (pos > 0 && stateConf[name.substring(0, pos)]) {
+                parent = name.substring(0, pos);
+            }
+        }
+        /** @type {?} */
+        let region = options.region || defaultRegion;
+        if (region !== defaultRegion && !(/** @type {?} */ (this))._regionConfiguration[region]) {
+            throw new Error('Undefined region: ' + region);
+        }
+        if (parent) {
+            if (options.region && options.region !== stateConf[parent].region) {
+                throw new Error('State and its parent are in different regions: ' + name);
+            }
+            region = stateConf[parent].region;
+        }
+        stateConf[name] = {
+            onEnterCallback: onEnterCallback,
+            onLeaveCallback: onLeaveCallback,
+            parent: parent,
+            initial: options.initial,
+            children: [],
+            region: region,
+            final: options.final
+        };
+        if (parent) {
+            stateConf[parent].children.push(name);
+        }
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * Defines a history pseudo-state of a compound state. A transition
+     * to a history state enters the child of the compound state which
+     * was last active when the compound state was left, or with the deep
+     * option, the atomic state which was last active. If the compound
+     * state has not been left yet, the default target is entered.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} name
+     * @param {?} parent
+     * @param {?=} options
+     * @return {THIS}
+     */
+    addHistoryState(name, parent, options) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        /** @type {?} */
+        const stateConf = (/** @type {?} */ (this))._stateConfiguration;
+        /** @type {?} */
+        const historyConf = (/** @type {?} */ (this))._historyConfiguration;
+        if (stateConf[name] || historyConf[name]) {
+            throw new Error('Redefined state: ' + name);
+        }
+        if (!stateConf[parent]) {
+            throw new Error('Undefined parent state: ' + parent);
+        }
+        options = options || {};
+        historyConf[name] = {
+            parent: parent,
+            deep: !!options.deep,
+            defaultTarget: options.defaultTarget,
+            region: stateConf[parent].region
+        };
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * Resolves the atomic state which is entered
+     * when a transition targets the given history state.
+     * @private
+     * @param {?} name
+     * @return {?}
+     */
+    resolveHistoryState(name) {
+        /** @type {?} */
+        const elem = this._historyConfiguration[name];
+        /** @type {?} */
+        const last = this._lastActive[elem.parent];
+        if (!last) {
+            return this.resolveAtomicState(elem.defaultTarget || elem.parent);
+        }
+        if (elem.deep) {
+            return last;
+        }
+        /** @type {?} */
+        const path = this.pathOf(last);
+        return this.resolveAtomicState(path[indexOf(path, elem.parent) + 1]);
+    }
+    /**
+     * Remembers the last active atomic state of the compound states
+     * with history states, which are left by a transition.
+     * @private
+     * @param {?} from
+     * @param {?} exit
+     * @return {?}
+     */
+    rememberHistory(from, exit) {
+        /** @type {?} */
+        const historyConf = this._historyConfiguration;
+        for (const k in historyConf) {
+            if (historyConf.hasOwnProperty(k) && indexOf(exit, historyConf[k].parent) >= 0) {
+                this._lastActive[historyConf[k].parent] = from;
+            }
+        }
+    }
+    /**
+     * Defines the init state for the FSM.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} name
+     * @return {THIS}
+     */
+    setInitState(name) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        if ((/** @type {?} */ (this))._initState) {
+            throw new Error('Redefined init state: ' + (/** @type {?} */ (this))._initState);
+        }
+        (/** @type {?} */ (this))._initState = name;
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * @param {?} value
+     * @return {?}
+     */
+    setAsyncMode(value) {
+        // Pre-conditions
+        this.ensureConfigureStage();
+        this._asyncMode = value;
+        return this;
+    }
+    /**
+     * Defines what going to an active state does, if no transition
+     * is defined for it, e.g., by a self-transition: 'ignore' does nothing,
+     * which is the default; 'error' throws an error; 'reenter' leaves
+     * and re-enters the state, as an external self-transition would.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} policy
+     * @return {THIS}
+     */
+    setSameStatePolicy(policy) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        if (indexOf(sameStatePolicies, policy) < 0) {
+            throw new Error('Undefined same-state policy: ' + policy);
+        }
+        (/** @type {?} */ (this))._sameStatePolicy = policy;
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * Defines the scheduler which drives the delayed transitions,
+     * e.g., a VirtualScheduler in tests. By default, the timers of
+     * the environment are used.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} scheduler
+     * @return {THIS}
+     */
+    setScheduler(scheduler) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        (/** @type {?} */ (this))._scheduler = scheduler;
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * Defines where the FSM does its work and delivers its notifications,
+     * e.g., outside the zone of a framework. By default, everything
+     * runs where the FSM is called.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} strategy
+     * @return {THIS}
+     */
+    setExecutionStrategy(strategy) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        (/** @type {?} */ (this))._execution = strategy;
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * Defines how many transitions the history keeps at most,
+     * which also bounds how many transitions may be undone.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} limit
+     * @return {THIS}
+     */
+    setHistoryLimit(limit) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        (/** @type {?} */ (this))._historyLimit = limit;
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * Defines the initial context data for the FSM, which is
+     * passed to the guard conditions of transitions and delivered in
+     * every lifecycle event. The context data is updated only by
+     * the assign option of transitions.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} context
+     * @return {THIS}
+     */
+    setContext(context) {
+        // Pre-conditions
         (/** @type {?} */ (this)).ensureConfigureStage();
-        if (!(/** @type {?} */ (this))._initState) {
+        (/** @type {?} */ (this))._context = context;
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * Defines a new stransition.
+     * A transition with a guard condition is taken only if the guard holds.
+     * A transition with a delay is scheduled whenever its source state is
+     * entered, and is cancelled if the source state is left before.
+     * A transition with a compensation state is undone by going to it,
+     * rather than to the source state.
+     * A self-transition, i.e., from a state to itself, leaves and
+     * re-enters the state, including its descendants, unless it is
+     * internal, in which case no state is left or entered.
+     * A transition may be triggered by a named event, and the same event
+     * may trigger different transitions from different states.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} from
+     * @param {?} to
+     * @param {?=} onAfterCallback
+     * @param {?=} onBeforeCallback
+     * @param {?=} options
+     * @return {THIS}
+     */
+    addTransition(from, to, onAfterCallback, onBeforeCallback, options) {
+        // Pre-condition
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        /** @type {?} */
+        const stateConf = (/** @type {?} */ (this))._stateConfiguration;
+        /** @type {?} */
+        const transitionConf = (/** @type {?} */ (this))._transitionConfiguration;
+        if (!stateConf[from]) {
+            throw new Error('Undefined source state: ' + from);
+        }
+        /** @type {?} */
+        const target = stateConf[to] || (/** @type {?} */ (this))._historyConfiguration[to];
+        if (!target) {
+            throw new Error('Undefined target state: ' + to);
+        }
+        if (stateConf[from].region !== target.region) {
+            throw new Error('Transition across regions: ' + from + ' -> ' + to);
+        }
+        /** @type {?} */
+        const key = replaceStr(transitionKeyFormat, { from: from, to: to });
+        if (transitionConf[key]) {
+            throw new Error('Redefined transition: ' + from + ' -> ' + to);
+        }
+        options = options || {};
+        if (options.compensation && !stateConf[options.compensation]) {
+            throw new Error('Undefined compensation state: ' + options.compensation);
+        }
+        if (options.internal && from !== to) {
+            throw new Error('Internal transition to another state: ' + from + ' -> ' + to);
+        }
+        transitionConf[key] = {
+            from: from, to: to,
+            onAfterCallback: onAfterCallback,
+            onBeforeCallback: onBeforeCallback,
+            guard: options.guard,
+            event: options.event,
+            assign: options.assign,
+            delay: options.delay,
+            compensation: options.compensation,
+            internal: options.internal
+        };
+        if (options.event) {
+            /** @type {?} */
+            const eventConf = (/** @type {?} */ (this))._eventConfiguration;
+            eventConf[options.event] = eventConf[options.event] || [];
+            eventConf[options.event].push(key);
+        }
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * Builds the underlying implementation for the given region.
+     * @private
+     * @param {?} region
+     * @param {?} initState
+     * @param {?} restoring
+     * @return {?}
+     */
+    createImpl(region, initState, restoring) {
+        /** @type {?} */
+        const stateConf = this._stateConfiguration;
+        /** @type {?} */
+        const transitionConf = this._transitionConfiguration;
+        if (!stateConf[initState] || stateConf[initState].region !== region) {
+            throw new Error('Undefined init state: ' + initState);
+        }
+        /** @type {?} */
+        const transitions = [];
+        /** @type {?} */
+        const methods = {};
+        // A transition defined on a compound state applies to
+        // all of its descendants, and a transition to a compound state
+        // ends up in its initial atomic state.
+        /** @type {?} */
+        const allConf = _.extend({}, transitionConf, this._reentryConfiguration);
+        for (const k1 in allConf) {
+            if (allConf.hasOwnProperty(k1)) {
+                /** @type {?} */
+                const elem1 = allConf[k1];
+                if (stateConf[elem1.from].region !== region) {
+                    continue;
+                }
+                /** @type {?} */
+                let target;
+                if (elem1.internal) {
+                    // Stay in the current state
+                    target = wildcardState;
+                }
+                else if (this._historyConfiguration[elem1.to]) {
+                    // The target of a history state is decided on the fly.
+                    target = () => this.resolveHistoryState(elem1.to);
+                }
+                else {
+                    target = this.resolveAtomicState(elem1.to);
+                }
+                transitions.push({
+                    name: k1,
+                    from: this.atomicStatesOf(elem1.from),
+                    to: target
+                });
+            }
+        }
+        /** @type {?} */
+        const notifyEnterState = buildHandlerInClosure(this._handlers, 'onEnterState');
+        /** @type {?} */
+        const notifyLeaveState = buildHandlerInClosure(this._handlers, 'onLeaveState');
+        // The same lifecycle event is delivered to all callbacks
+        // of a transition; it is built when the transition begins.
+        /** @type {?} */
+        let event = null;
+        // While restoring from a snapshot, the init transition only
+        // puts the underlying implementation into the saved state;
+        // none of the callbacks are invoked.
+        /** @type {?} */
+        let silent = restoring;
+        // Only the before and leave callbacks may delay or veto a transition,
+        // as they are invoked before the state is changed.
+        methods['onBeforeTransition'] = (lifecycle, payload) => {
+            if (silent) {
+                return;
+            }
+            /** @type {?} */
+            const elem = this.transitionOf(lifecycle.transition);
+            event = {
+                transition: lifecycle.transition,
+                from: lifecycle.from,
+                to: lifecycle.to,
+                region: region,
+                event: elem ? elem.event : undefined,
+                payload: payload,
+                context: this._context
+            };
+            if (elem && elem.onBeforeCallback) {
+                return this.invokeVetoableCallbacks([elem.onBeforeCallback], event);
+            }
+        };
+        // The context data is updated after the source state is left,
+        // so that the target state is entered with the new context.
+        methods['onTransition'] = (lifecycle) => {
+            if (silent) {
+                return;
+            }
+            /** @type {?} */
+            const elem = this.transitionOf(lifecycle.transition);
+            if (elem) {
+                /** @type {?} */
+                const exit = this.stepsOf(lifecycle).exit;
+                this.cancelDelayedTransitions(exit);
+                this.rememberHistory(lifecycle.from, exit);
+            }
+            if (elem && elem.assign) {
+                this.assignContext(elem.assign, event);
+            }
+        };
+        methods['onAfterTransition'] = (lifecycle) => {
+            if (silent) {
+                return;
+            }
+            /** @type {?} */
+            const elem = this.transitionOf(lifecycle.transition);
+            if (elem) {
+                this.recordHistory(event);
+                // The transition is taken, even if the callback fails
+                this._settledEvents[region] = event;
+            }
+            if (elem && elem.onAfterCallback) {
+                elem.onAfterCallback(event);
+            }
+        };
+        methods['onLeaveState'] = (lifecycle) => {
+            /** @type {?} */
+            const steps = this.stepsOf(lifecycle);
+            if (silent || !steps.exit.length && !steps.entry.length) {
+                return;
+            }
+            // The init transition does not leave any state
+            if (steps.exit.length) {
+                this.deliver(this._handlers.onLeaveState, () => notifyLeaveState(event));
+            }
+            // Leave from the innermost state
+            /** @type {?} */
+            const callbacks = [];
+            for (const s of steps.exit) {
+                /** @type {?} */
+                const elem = stateConf[s];
+                if (elem.onLeaveCallback) {
+                    callbacks.push(elem.onLeaveCallback);
+                }
+            }
+            return this.invokeVetoableCallbacks(callbacks, event);
+        };
+        methods['onEnterState'] = (lifecycle) => {
+            /** @type {?} */
+            const steps = this.stepsOf(lifecycle);
+            if (silent || !steps.exit.length && !steps.entry.length) {
+                return;
+            }
+            this.deliver(this._handlers.onEnterState, () => notifyEnterState(event));
+            // Enter from the outermost state
+            for (const s of steps.entry) {
+                /** @type {?} */
+                const elem = stateConf[s];
+                if (elem.onEnterCallback) {
+                    elem.onEnterCallback(event);
+                }
+            }
+            this.scheduleDelayedTransitions(steps.entry, region);
+        };
+        // An exception thrown by a callback is reported, and ends
+        // the transition by returning false, so that the underlying
+        // implementation gets out of the pending status. The state is kept
+        // as it is, i.e., the source state unless the exception is thrown
+        // after the state is changed.
+        for (const k2 in methods) {
+            if (methods.hasOwnProperty(k2)) {
+                /** @type {?} */
+                const method = methods[k2];
+                methods[k2] = (lifecycle, payload) => {
+                    try {
+                        return method(lifecycle, payload);
+                    }
+                    catch (e) {
+                        this.reportError(lifecycle.transition, lifecycle.from, lifecycle.to, e);
+                        return false;
+                    }
+                };
+            }
+        }
+        /** @type {?} */
+        const impl = new StateMachine({
+            init: this.resolveAtomicState(initState),
+            // Self-transitions are observed too; stepsOf decides
+            // which states they leave and enter.
+            observeUnchangedState: true,
+            transitions: transitions,
+            methods: methods,
+            onInvalidTransition: (name, from, to) => this.reportError(name, from, to)
+        });
+        silent = false;
+        if (restoring) {
+            // The time spent in the saved states is not kept
+            this.scheduleDelayedTransitions(this.pathOf(impl.state), region);
+        }
+        return impl;
+    }
+    /**
+     * Schedules the delayed transitions from the given states,
+     * which have just been entered.
+     * @private
+     * @param {?} states
+     * @param {?} region
+     * @return {?}
+     */
+    scheduleDelayedTransitions(states, region) {
+        /** @type {?} */
+        const transitionConf = this._transitionConfiguration;
+        for (const k in transitionConf) {
+            if (transitionConf.hasOwnProperty(k)) {
+                /** @type {?} */
+                const elem = transitionConf[k];
+                if (elem.delay === undefined || elem.delay === null || indexOf(states, elem.from) < 0) {
+                    continue;
+                }
+                /** @type {?} */
+                const handle = this._scheduler.setTimeout(() => {
+                    this.fireDelayedTransition(region, k);
+                }, elem.delay);
+                this._timers[elem.from] = this._timers[elem.from] || [];
+                this._timers[elem.from].push(handle);
+            }
+        }
+    }
+    /**
+     * Cancels the delayed transitions from the given states,
+     * which are being left.
+     * @private
+     * @param {?} states
+     * @return {?}
+     */
+    cancelDelayedTransitions(states) {
+        for (const s of states) {
+            for (const handle of this._timers[s] || []) {
+                this._scheduler.clearTimeout(handle);
+            }
+            delete this._timers[s];
+        }
+    }
+    /**
+     * Takes a delayed transition when its time is up. The transition is
+     * skipped if its guard does not hold, or another transition of
+     * the region is in progress.
+     * @private
+     * @param {?} region
+     * @param {?} transitionName
+     * @return {?}
+     */
+    fireDelayedTransition(region, transitionName) {
+        /** @type {?} */
+        const impl = this._impls && this._impls[region];
+        /** @type {?} */
+        const elem = this.transitionOf(transitionName);
+        if (!impl || this._pendingRegions[region] || impl.cannot(transitionName)) {
+            return;
+        }
+        if (elem.guard && !elem.guard(this._context)) {
+            return;
+        }
+        /** @type {?} */
+        const currentState = impl.state;
+        try {
+            this.fireTransition(region, transitionName);
+        }
+        catch (e) {
+            // Nobody else could catch it in a timer
+            this.reportError(transitionName, currentState, elem.to, e);
+        }
+    }
+    /**
+     * Appends a taken transition to the history,
+     * dropping the oldest one if the history is full.
+     * Undoing a transition moves it from the history to the undone ones,
+     * and any other transition than a redo clears the undone ones.
+     * @private
+     * @param {?} lifecycle
+     * @return {?}
+     */
+    recordHistory(lifecycle) {
+        /** @type {?} */
+        const replay = this._replays[lifecycle.region];
+        delete this._replays[lifecycle.region];
+        if (replay && replay.kind === 'undo') {
+            this._history = without(this._history, replay.entry);
+            this._undone.push(replay.entry);
+            return;
+        }
+        if (replay && replay.kind === 'redo') {
+            this._undone = without(this._undone, replay.entry);
+        }
+        else {
+            this._undone = [];
+        }
+        this._history.push({
+            transition: lifecycle.transition,
+            from: lifecycle.from,
+            to: lifecycle.to,
+            region: lifecycle.region,
+            payload: lifecycle.payload,
+            timestamp: Date.now()
+        });
+        if (this._history.length > this._historyLimit) {
+            this._history.shift();
+        }
+    }
+    /**
+     * Checks that the given snapshot may be restored
+     * in the current configuration.
+     * @private
+     * @param {?} snapshot
+     * @param {?} regions
+     * @return {?}
+     */
+    validateSnapshot(snapshot, regions) {
+        if (snapshot.version !== snapshotVersion) {
+            throw new Error('Unsupported snapshot version: ' + snapshot.version);
+        }
+        /** @type {?} */
+        const stateConf = this._stateConfiguration;
+        for (const k in snapshot.state) {
+            if (snapshot.state.hasOwnProperty(k)) {
+                if (indexOf(regions, k) < 0) {
+                    throw new Error('Undefined region in snapshot: ' + k);
+                }
+                /** @type {?} */
+                const elem = stateConf[snapshot.state[k]];
+                if (!elem || elem.region !== k) {
+                    throw new Error('Undefined state in snapshot: ' + snapshot.state[k]);
+                }
+            }
+        }
+    }
+    /**
+     * Starts the FSM. Note that this method must be invoked before
+     * any method which may change the state of the FSM.
+     * Each region starts from its own init state, unless
+     * a snapshot is given, in which case the FSM resumes from
+     * the saved states, context and history without invoking
+     * any enter callbacks.
+     * @template THIS
+     * @this {THIS}
+     * @param {?=} snapshot
+     * @return {THIS}
+     */
+    start(snapshot) {
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        // Definition
+        /** @type {?} */
+        const stateConf = (/** @type {?} */ (this))._stateConfiguration;
+        /** @type {?} */
+        const regionConf = (/** @type {?} */ (this))._regionConfiguration;
+        // The default region may be left empty if
+        // all states live in other regions.
+        /** @type {?} */
+        let useDefaultRegion = !!(/** @type {?} */ (this))._initState || _.isEmpty(regionConf);
+        // A state without a self-transition is re-entered
+        // by an implied one, if so required.
+        /** @type {?} */
+        const reentryConf = {};
+        for (const k0 in stateConf) {
+            if (stateConf.hasOwnProperty(k0)) {
+                /** @type {?} */
+                const elem0 = stateConf[k0];
+                if (elem0.initial && indexOf(elem0.children, elem0.initial) < 0) {
+                    throw new Error('Undefined initial child state: ' + k0 + ' -> ' + elem0.initial);
+                }
+                if (elem0.region === defaultRegion) {
+                    useDefaultRegion = true;
+                }
+                /** @type {?} */
+                const key0 = replaceStr(transitionKeyFormat, { from: k0, to: k0 });
+                if ((/** @type {?} */ (this))._sameStatePolicy === 'reenter' && !(/** @type {?} */ (this))._transitionConfiguration[key0]) {
+                    reentryConf[key0] = { from: k0, to: k0 };
+                }
+            }
+        }
+        (/** @type {?} */ (this))._reentryConfiguration = reentryConf;
+        if (useDefaultRegion && !(/** @type {?} */ (this))._initState) {
             throw new Error('Init state has not been defined.');
         }
-        // Definition
         /** @type {?} */
-        const stateConf = (/** @type {?} */ (this))._stateConfiguration;
+        const historyConf = (/** @type {?} */ (this))._historyConfiguration;
+        for (const k3 in historyConf) {
+            if (historyConf.hasOwnProperty(k3)) {
+                /** @type {?} */
+                const elem3 = historyConf[k3];
+                if (stateConf[elem3.parent].children.length === 0) {
+                    throw new Error('History state of an atomic state: ' + k3);
+                }
+                /** @type {?} */
+                const target = elem3.defaultTarget;
+                if (target && (!stateConf[target] || indexOf((/** @type {?} */ (this)).pathOf(target), elem3.parent) < 0 || target === elem3.parent)) {
+                    throw new Error('Undefined default target of history state: ' + k3 + ' -> ' + target);
+                }
+            }
+        }
+        /** @type {?} */
+        const initStates = {};
+        if (useDefaultRegion) {
+            initStates[defaultRegion] = (/** @type {?} */ (this))._initState;
+        }
+        for (const k1 in regionConf) {
+            if (regionConf.hasOwnProperty(k1)) {
+                initStates[k1] = regionConf[k1].initState;
+            }
+        }
+        if (snapshot) {
+            (/** @type {?} */ (this)).validateSnapshot(snapshot, _.keys(initStates));
+        }
+        (/** @type {?} */ (this)).loadRunningStatus(snapshot);
+        /** @type {?} */
+        const impls = {};
+        (/** @type {?} */ (this))._execution.execute(() => {
+            for (const k2 in initStates) {
+                if (initStates.hasOwnProperty(k2)) {
+                    /** @type {?} */
+                    const restored = snapshot && snapshot.state[k2];
+                    impls[k2] = (/** @type {?} */ (this)).createImpl(k2, restored || initStates[k2], !!restored);
+                }
+            }
+        });
+        (/** @type {?} */ (this))._impls = impls;
+        /** @type {?} */
+        const states = (/** @type {?} */ (this)).configuration();
+        (/** @type {?} */ (this)).deliver((/** @type {?} */ (this))._configurationSubject.observers, () => (/** @type {?} */ (this))._configurationSubject.next(states));
+        (/** @type {?} */ (this)).notifyContext();
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * Loads the context data and the history from the given snapshot,
+     * or resets them if no snapshot is given.
+     * @private
+     * @param {?=} snapshot
+     * @return {?}
+     */
+    loadRunningStatus(snapshot) {
+        if (snapshot) {
+            this._context = snapshot.context;
+            this._history = (snapshot.history || []).slice(-this._historyLimit);
+            this._undone = (snapshot.undone || []).slice(-this._historyLimit);
+            this._lastActive = _.extend({}, snapshot.lastActive);
+        }
+        else {
+            this._history = [];
+            this._undone = [];
+            this._lastActive = {};
+        }
+    }
+    /**
+     * Puts the running FSM back into the status captured by a snapshot,
+     * e.g., for time-travel debugging. As when starting from a snapshot,
+     * none of the callbacks are invoked. The delayed transitions are
+     * scheduled again from the restored states.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} snapshot
+     * @return {THIS}
+     */
+    restore(snapshot) {
+        (/** @type {?} */ (this)).ensureRunningStage();
+        if (!_.isEmpty((/** @type {?} */ (this))._pendingRegions)) {
+            throw new Error('Transition is in progress: ' + _.keys((/** @type {?} */ (this))._pendingRegions).join(', '));
+        }
+        /** @type {?} */
+        const regions = _.keys((/** @type {?} */ (this))._impls);
+        (/** @type {?} */ (this)).validateSnapshot(snapshot, regions);
+        (/** @type {?} */ (this)).cancelDelayedTransitions(_.keys((/** @type {?} */ (this))._timers));
+        (/** @type {?} */ (this)).loadRunningStatus(snapshot);
         /** @type {?} */
-        const transitionConf = (/** @type {?} */ (this))._transitionConfiguration;
+        const impls = {};
+        (/** @type {?} */ (this))._execution.execute(() => {
+            for (const k of regions) {
+                impls[k] = (/** @type {?} */ (this)).createImpl(k, snapshot.state[k] || (/** @type {?} */ (this))._impls[k].state, true);
+            }
+        });
+        (/** @type {?} */ (this))._impls = impls;
         /** @type {?} */
-        const transitions = [];
+        const states = (/** @type {?} */ (this)).configuration();
+        (/** @type {?} */ (this)).deliver((/** @type {?} */ (this))._configurationSubject.observers, () => (/** @type {?} */ (this))._configurationSubject.next(states));
+        (/** @type {?} */ (this)).notifyContext();
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * Returns an observable of the current state of the given region,
+     * or of the default region if no region is given. The current state
+     * is replayed to each new subscriber once the FSM has started.
+     * A state is emitted only when it differs from the previous one,
+     * so re-entering the current state, or an internal transition,
+     * is not emitted; it is found on transitions$ instead.
+     * @param {?=} region
+     * @return {?}
+     */
+    watchState(region) {
+        region = region || defaultRegion;
+        return this.configuration$.pipe(filter(states => states.hasOwnProperty(region)), map(states => states[region]), distinctUntilChanged());
+    }
+    /**
+     * Disposes the FSM, i.e., cancels the pending delayed transitions and
+     * completes the observables. The FSM cannot be used any more afterwards.
+     * @return {?}
+     */
+    dispose() {
+        if (this._disposed) {
+            return;
+        }
+        this._disposed = true;
+        this.cancelDelayedTransitions(_.keys(this._timers));
+        this._configurationSubject.complete();
+        this._transitionSubject.complete();
+        this._errorSubject.complete();
+        this._contextSubject.complete();
+    }
+    /**
+     * Registers a handler for enterstate
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    onEnterState(handler) {
         /** @type {?} */
-        const methods = {};
-        for (const k1 in transitionConf) {
-            if (transitionConf.hasOwnProperty(k1)) {
+        const ourHandlers = (/** @type {?} */ (this))._handlers.onEnterState;
+        if (indexOf(ourHandlers, handler) >= 0) {
+            throw new Error('Re-registering a hander!');
+        }
+        ourHandlers.push(handler);
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * Registers a handler for exitstate
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    onExitState(handler) {
+        /** @type {?} */
+        const ourHandlers = (/** @type {?} */ (this))._handlers.onLeaveState;
+        if (indexOf(ourHandlers, handler) >= 0) {
+            throw new Error('Registering a hander!');
+        }
+        ourHandlers.push(handler);
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * Un-register a handler for enterstate
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    offEnterState(handler) {
+        /** @type {?} */
+        const ourHandlers = (/** @type {?} */ (this))._handlers.onEnterState;
+        (/** @type {?} */ (this))._handlers.onEnterState = without(ourHandlers, handler);
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * Un-register a handler for exitstate
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    offExitState(handler) {
+        /** @type {?} */
+        const ourHandlers = (/** @type {?} */ (this))._handlers.onLeaveState;
+        (/** @type {?} */ (this))._handlers.onLeaveState = without(ourHandlers, handler);
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * Looks for a transition among the candidates of each active state,
+     * starting from the innermost active state. A transition whose guard
+     * does not hold is skipped, and the first of such transitions
+     * is reported as rejected.
+     * @private
+     * @param {?} impl
+     * @param {?} candidatesOf
+     * @param {?=} payload
+     * @return {?}
+     */
+    seekTransition(impl, candidatesOf, payload) {
+        /** @type {?} */
+        const activePath = this.pathOf(impl.state);
+        /** @type {?} */
+        let rejected = null;
+        for (let i = activePath.length - 1; i >= 0; i--) {
+            for (const key of candidatesOf(activePath[i])) {
                 /** @type {?} */
-                const elem1 = transitionConf[k1];
-                transitions.push({
-                    name: k1,
-                    from: elem1.from,
-                    to: elem1.to
-                });
-                if (elem1.onAfterCallback) {
-                    methods['onAfter' + captialize(k1)] = elem1.onAfterCallback;
+                const elem = this.transitionOf(key);
+                if (!elem || impl.cannot(key)) {
+                    continue;
                 }
-                if (elem1.onBeforeCallback) {
-                    methods['onBefore' + captialize(k1)] = elem1.onAfterCallback;
+                if (elem.guard && !elem.guard(this._context, payload)) {
+                    rejected = rejected || key;
+                    continue;
                 }
+                return { name: key, rejected: null };
+            }
+        }
+        return { name: null, rejected: rejected };
+    }
+    /**
+     * Fires the given transition in the given region.
+     * In the asynchronous mode, it returns a promise which is resolved
+     * to the resulting state once the transition settles.
+     * @private
+     * @param {?} region
+     * @param {?} transitionName
+     * @param {?=} payload
+     * @return {?}
+     */
+    fireTransition(region, transitionName, payload) {
+        /** @type {?} */
+        const impl = this._impls[region];
+        /** @type {?} */
+        const currentState = impl.state;
+        /** @type {?} */
+        const elem = this.transitionOf(transitionName);
+        /** @type {?} */
+        const to = elem.to;
+        // Invoke this function, wrapped by the middleware
+        /** @type {?} */
+        const func = impl[transitionName];
+        /** @type {?} */
+        const middleware = this._middleware.slice();
+        /** @type {?} */
+        const lifecycle = {
+            transition: transitionName,
+            from: currentState,
+            to: to,
+            region: region,
+            event: elem.event,
+            payload: payload,
+            context: this._context
+        };
+        /** @type {?} */
+        const run = () => invokeMiddleware(middleware, lifecycle, (data) => func.call(impl, data));
+        this._pendingRegions[region] = true;
+        if (!this._asyncMode) {
+            try {
+                this._execution.execute(run);
+            }
+            finally {
+                delete this._pendingRegions[region];
+                this.notifySettled(region);
+            }
+            return this;
+        }
+        /** @type {?} */
+        const settle = () => {
+            delete this._pendingRegions[region];
+            this.notifySettled(region);
+            return (/** @type {?} */ (impl.state));
+        };
+        // The callbacks of the promise run where it is created
+        return this._execution.execute(() => Promise.resolve()
+            .then(run)
+            .then(null, (error) => {
+            // The FSM is still in the source state
+            this.reportError(transitionName, currentState, to, error);
+        })
+            .then(settle, (error) => {
+            settle();
+            throw error;
+        }));
+    }
+    /**
+     * Notifies the subscribers of the transition taken in the given region,
+     * if any. It is done once the transition settles, so that
+     * the subscribers may use the FSM at once, e.g., take a snapshot.
+     * @private
+     * @param {?} region
+     * @return {?}
+     */
+    notifySettled(region) {
+        /** @type {?} */
+        const event = this._settledEvents[region];
+        delete this._settledEvents[region];
+        if (!event || this._disposed) {
+            return;
+        }
+        /** @type {?} */
+        const states = this.configuration();
+        this.deliver(this._configurationSubject.observers, () => this._configurationSubject.next(states));
+        this.deliver(this._transitionSubject.observers, () => this._transitionSubject.next(event));
+    }
+    /**
+     * Registers a handler for the change of the context data
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    onContextChange(handler) {
+        /** @type {?} */
+        const ourHandlers = (/** @type {?} */ (this))._handlers.onContextChange;
+        if (indexOf(ourHandlers, handler) >= 0) {
+            throw new Error('Re-registering a hander!');
+        }
+        ourHandlers.push(handler);
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * Un-register a handler for the change of the context data
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    offContextChange(handler) {
+        /** @type {?} */
+        const ourHandlers = (/** @type {?} */ (this))._handlers.onContextChange;
+        (/** @type {?} */ (this))._handlers.onContextChange = without(ourHandlers, handler);
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * Registers a middleware which wraps every transition, in the order
+     * of registration, the first one being the outermost. A middleware is
+     * invoked with the lifecycle event of the transition before any callback,
+     * and may inspect it, replace the payload by calling next with a new one,
+     * veto the transition by not calling next or by throwing, and run code
+     * after the transition by working on what next returns.
+     * In the asynchronous mode, next returns a promise, and a middleware
+     * is expected to return a promise too if it waits for the transition.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} middleware
+     * @return {THIS}
+     */
+    use(middleware) {
+        if (indexOf((/** @type {?} */ (this))._middleware, middleware) >= 0) {
+            throw new Error('Re-registering a middleware!');
+        }
+        (/** @type {?} */ (this))._middleware.push(middleware);
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * Un-register a middleware
+     * @template THIS
+     * @this {THIS}
+     * @param {?} middleware
+     * @return {THIS}
+     */
+    unuse(middleware) {
+        (/** @type {?} */ (this))._middleware = without((/** @type {?} */ (this))._middleware, middleware);
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * @param {?} to
+     * @param {?=} payload
+     * @return {?}
+     */
+    go(to, payload) {
+        this.ensureRunningStage();
+        /** @type {?} */
+        const stateConf = this._stateConfiguration;
+        /** @type {?} */
+        const target = stateConf[to] || this._historyConfiguration[to];
+        if (!target) {
+            throw new Error('Go to undefined state: ' + to);
+        }
+        // The transition happens in the region of the target state
+        /** @type {?} */
+        const region = target.region;
+        /** @type {?} */
+        const impl = this.implOf(region);
+        /** @type {?} */
+        const currentState = (/** @type {?} */ (impl.state));
+        if (this._pendingRegions[region]) {
+            throw new Error('Transition is in progress: ' + currentState + ' -> ' + to);
+        }
+        /** @type {?} */
+        const result = this.seekTransition(impl, (from) => {
+            return [replaceStr(transitionKeyFormat, { from: from, to: to })];
+        }, payload);
+        if (!result.name && result.rejected) {
+            this.reportError(result.rejected, currentState, to);
+            return this._asyncMode ? Promise.resolve(currentState) : this;
+        }
+        if (!result.name && stateConf[to] && indexOf(this.pathOf(currentState), to) >= 0) {
+            // No transition is defined for going to an active state,
+            // nor implied by the same-state policy.
+            if (this._sameStatePolicy === 'error') {
+                throw new Error('Already in state: ' + to);
             }
+            return this._asyncMode ? Promise.resolve(currentState) : this;
+        }
+        // Validate if this transition is allowed or not
+        if (!result.name) {
+            throw new Error('Transition is not allowed: ' + currentState + ' -> ' + to);
+        }
+        return this.fireTransition(region, result.name, payload);
+    }
+    /**
+     * @param {?} eventName
+     * @param {?=} payload
+     * @return {?}
+     */
+    send(eventName, payload) {
+        this.ensureRunningStage();
+        /** @type {?} */
+        const candidates = this._eventConfiguration[eventName];
+        if (!candidates) {
+            throw new Error('Send undefined event: ' + eventName);
         }
-        for (const k2 in stateConf) {
-            if (stateConf.hasOwnProperty(k2)) {
+        /** @type {?} */
+        const transitionConf = this._transitionConfiguration;
+        /** @type {?} */
+        const stateConf = this._stateConfiguration;
+        /** @type {?} */
+        const targets = {};
+        /** @type {?} */
+        let rejected = null;
+        for (const region in this._impls) {
+            if (this._impls.hasOwnProperty(region)) {
+                /** @type {?} */
+                const impl = this._impls[region];
+                if (this._pendingRegions[region]) {
+                    throw new Error('Transition is in progress: ' + impl.state + ' -> ' + eventName);
+                }
                 /** @type {?} */
-                const elem2 = stateConf[k2];
-                if (elem2.onEnterCallback) {
-                    methods['onEnter' + captialize(k2)] = elem2.onEnterCallback;
+                const result = this.seekTransition(impl, (from) => {
+                    return _.filter(candidates, (key) => {
+                        return transitionConf[key].from === from && stateConf[from].region === region;
+                    });
+                }, payload);
+                if (result.name) {
+                    targets[region] = result.name;
                 }
-                if (elem2.onLeaveCallback) {
-                    methods['onLeave' + captialize(k2)] = elem2.onLeaveCallback;
+                rejected = rejected || result.rejected;
+            }
+        }
+        if (_.isEmpty(targets)) {
+            if (rejected) {
+                this.reportError(eventName, transitionConf[rejected].from, transitionConf[rejected].to);
+            }
+            else {
+                // The event is not expected in the current state
+                /** @type {?} */
+                const region = stateConf[transitionConf[candidates[0]].from].region;
+                this.reportError(eventName, this._impls[region].state, null);
+            }
+            return this._asyncMode ? Promise.resolve([]) : this;
+        }
+        /** @type {?} */
+        const promises = [];
+        for (const region in targets) {
+            if (targets.hasOwnProperty(region)) {
+                /** @type {?} */
+                const outcome = this.fireTransition(region, targets[region], payload);
+                if (this._asyncMode) {
+                    promises.push((/** @type {?} */ (outcome)));
                 }
             }
         }
+        return this._asyncMode ? Promise.all(promises) : this;
+    }
+    /**
+     * Checks if the FSM can go to the given state, i.e., there is
+     * a transition from the active states whose guard holds.
+     * @param {?} to
+     * @param {?=} payload
+     * @return {?}
+     */
+    can(to, payload) {
+        this.ensureRunningStage();
+        /** @type {?} */
+        const stateConf = this._stateConfiguration;
+        /** @type {?} */
+        const target = stateConf[to] || this._historyConfiguration[to];
+        if (!target) {
+            return false;
+        }
+        /** @type {?} */
+        const impl = this.implOf(target.region);
+        return !!this.seekTransition(impl, (from) => {
+            return [replaceStr(transitionKeyFormat, { from: from, to: to })];
+        }, payload).name;
+    }
+    /**
+     * Returns the transitions taken, the oldest one first.
+     * @return {?}
+     */
+    history() {
+        return (/** @type {?} */ (this._history.slice()));
+    }
+    /**
+     * Looks for the transition undoing the given one, i.e., the transition
+     * from its target state back to its source state, or to its
+     * compensation state if declared. The FSM must still be in
+     * the target state, or the history does not apply any more.
+     * @private
+     * @param {?} impl
+     * @param {?} entry
+     * @return {?}
+     */
+    seekUndoTransition(impl, entry) {
+        /** @type {?} */
+        const elem = this.transitionOf(entry.transition);
+        /** @type {?} */
+        const to = elem && (elem.compensation || elem.from);
+        /** @type {?} */
+        const targetPath = this._stateConfiguration[entry.to] ? this.pathOf(entry.to) : [];
+        return this.seekTransition(impl, (from) => {
+            return to && indexOf(targetPath, from) >= 0 ? [replaceStr(transitionKeyFormat, { from: from, to: to })] : [];
+        }, entry.payload);
+    }
+    /**
+     * Looks for the given transition again, for redoing it.
+     * @private
+     * @param {?} impl
+     * @param {?} entry
+     * @return {?}
+     */
+    seekRedoTransition(impl, entry) {
+        /** @type {?} */
+        const elem = this.transitionOf(entry.transition);
+        return this.seekTransition(impl, (from) => {
+            return elem && elem.from === from ? [entry.transition] : [];
+        }, entry.payload);
+    }
+    /**
+     * Takes the transition which undoes or redoes the given one,
+     * and keeps track of it until the transition settles.
+     * @private
+     * @param {?} kind
+     * @param {?} entry
+     * @return {?}
+     */
+    replay(kind, entry) {
+        /** @type {?} */
+        const region = entry.region;
+        /** @type {?} */
+        const impl = this.implOf(region);
+        /** @type {?} */
+        const currentState = (/** @type {?} */ (impl.state));
+        if (this._pendingRegions[region]) {
+            throw new Error('Transition is in progress: ' + currentState + ' -> ' + kind);
+        }
+        /** @type {?} */
+        const result = kind === 'undo' ?
+            this.seekUndoTransition(impl, entry) :
+            this.seekRedoTransition(impl, entry);
+        if (!result.name && result.rejected) {
+            this.reportError(result.rejected, currentState, this.transitionOf(result.rejected).to);
+            return this._asyncMode ? Promise.resolve(currentState) : this;
+        }
+        if (!result.name) {
+            throw new Error('Transition cannot be ' + (kind === 'undo' ? 'undone' : 'redone') + ': ' + entry.transition);
+        }
+        this._replays[region] = { kind: kind, entry: entry };
+        if (!this._asyncMode) {
+            try {
+                return this.fireTransition(region, result.name, entry.payload);
+            }
+            finally {
+                delete this._replays[region];
+            }
+        }
+        return ((/** @type {?} */ (this.fireTransition(region, result.name, entry.payload)))).then((state) => {
+            delete this._replays[region];
+            return state;
+        }, (error) => {
+            delete this._replays[region];
+            throw error;
+        });
+    }
+    /**
+     * @return {?}
+     */
+    undo() {
+        this.ensureRunningStage();
+        if (!this._history.length) {
+            throw new Error('Nothing to undo.');
+        }
+        return this.replay('undo', this._history[this._history.length - 1]);
+    }
+    /**
+     * @return {?}
+     */
+    redo() {
+        this.ensureRunningStage();
+        if (!this._undone.length) {
+            throw new Error('Nothing to redo.');
+        }
+        return this.replay('redo', this._undone[this._undone.length - 1]);
+    }
+    /**
+     * Checks if the last transition in the history may be undone.
+     * @return {?}
+     */
+    canUndo() {
+        this.ensureRunningStage();
         /** @type {?} */
-        const handlers = (/** @type {?} */ (this))._handlers;
-        handlers.onEnterState = [];
-        handlers.onLeaveState = [];
-        methods['onEnterState'] = buildHandlerInClosure((/** @type {?} */ (this))._handlers, 'onEnterState');
-        methods['onLeaveState'] = buildHandlerInClosure((/** @type {?} */ (this))._handlers, 'onLeaveState');
-        (/** @type {?} */ (this))._impl = new StateMachine({
-            init: (/** @type {?} */ (this))._initState,
-            transitions: transitions,
-            methods: methods,
-            onInvalidTransition: (/** @type {?} */ (this))._errorHandler || defaultErrorHandler
-        });
-        return (/** @type {?} */ (this));
+        const entry = this._history[this._history.length - 1];
+        return !!entry && !this._pendingRegions[entry.region] &&
+            !!this.seekUndoTransition(this.implOf(entry.region), entry).name;
     }
     /**
-     * Registers a handler for enterstate
-     * @template THIS
-     * @this {THIS}
-     * @param {?} handler
-     * @return {THIS}
+     * Checks if the last undone transition may be redone.
+     * @return {?}
      */
-    onEnterState(handler) {
+    canRedo() {
+        this.ensureRunningStage();
         /** @type {?} */
-        const ourHandlers = (/** @type {?} */ (this))._handlers.onEnterState;
-        if (indexOf(ourHandlers, handler) >= 0) {
-            throw new Error('Re-registering a hander!');
+        const entry = this._undone[this._undone.length - 1];
+        return !!entry && !this._pendingRegions[entry.region] &&
+            !!this.seekRedoTransition(this.implOf(entry.region), entry).name;
+    }
+    /**
+     * Returns the status of the FSM, which is one of
+     * 'configuring', 'idle' and 'transitioning'.
+     * @return {?}
+     */
+    status() {
+        if (!this._impls) {
+            return 'configuring';
         }
-        ourHandlers.push(handler);
-        return (/** @type {?} */ (this));
+        return _.isEmpty(this._pendingRegions) ? 'idle' : 'transitioning';
     }
     /**
-     * Registers a handler for exitstate
-     * @template THIS
-     * @this {THIS}
-     * @param {?} handler
-     * @return {THIS}
+     * Captures the running status of the FSM, i.e., the current states,
+     * the context data and the history, in plain JSON data.
+     * Note that the context data and the payloads of the transitions
+     * in the history are expected to be serializable.
+     * @return {?}
      */
-    onExitState(handler) {
-        /** @type {?} */
-        const ourHandlers = (/** @type {?} */ (this))._handlers.onLeaveState;
-        if (indexOf(ourHandlers, handler) >= 0) {
-            throw new Error('Registering a hander!');
+    snapshot() {
+        this.ensureRunningStage();
+        if (!_.isEmpty(this._pendingRegions)) {
+            throw new Error('Transition is in progress: ' + _.keys(this._pendingRegions).join(', '));
         }
-        ourHandlers.push(handler);
-        return (/** @type {?} */ (this));
+        return JSON.parse(JSON.stringify({
+            version: snapshotVersion,
+            state: this.configuration(),
+            context: this._context,
+            history: this._history,
+            undone: this._undone,
+            lastActive: this._lastActive
+        }));
     }
     /**
-     * Un-register a handler for enterstate
-     * @template THIS
-     * @this {THIS}
-     * @param {?} handler
-     * @return {THIS}
+     * Returns the current context data.
+     * @return {?}
      */
-    offEnterState(handler) {
-        /** @type {?} */
-        const ourHandlers = (/** @type {?} */ (this))._handlers.onEnterState;
-        (/** @type {?} */ (this))._handlers.onenterstate = without(ourHandlers, handler);
-        return (/** @type {?} */ (this));
+    getContext() {
+        return this._context;
     }
     /**
-     * Un-register a handler for exitstate
+     * Provides the error handler for the FSM.
      * @template THIS
      * @this {THIS}
-     * @param {?} handler
+     * @param {?} fn
      * @return {THIS}
      */
-    offExitState(handler) {
-        /** @type {?} */
-        const ourHandlers = (/** @type {?} */ (this))._handlers.onLeaveState;
-        (/** @type {?} */ (this))._handlers.onexitstate = without(ourHandlers, handler);
+    addErrorHandler(fn) {
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        (/** @type {?} */ (this))._errorHandler = fn;
         return (/** @type {?} */ (this));
     }
     /**
-     * Performs a transition to the given state.
-     * This method also validate the transition.
-     * @param {?} to
+     * Returns the current state of the given region,
+     * or of the default region if no region is given.
+     * In case of nested states, it is the innermost active state.
+     * @param {?=} region
+     * @return {?}
+     */
+    current(region) {
+        this.ensureRunningStage();
+        return (/** @type {?} */ (this.implOf(region).state));
+    }
+    /**
+     * Returns the full active path of the given region, i.e., the current state
+     * and all of its enclosing states, starting from the outermost one.
+     * @param {?=} region
+     * @return {?}
+     */
+    currentPath(region) {
+        this.ensureRunningStage();
+        return (/** @type {?} */ (this.pathOf(this.implOf(region).state)));
+    }
+    /**
+     * Returns the active configuration, i.e.,
+     * the current state of every region.
      * @return {?}
      */
-    go(to) {
+    configuration() {
         this.ensureRunningStage();
         /** @type {?} */
-        const stateConf = this._stateConfiguration;
-        if (!stateConf[to]) {
-            throw new Error('Go to undefined state: ' + to);
+        const result = {};
+        for (const k in this._impls) {
+            if (this._impls.hasOwnProperty(k)) {
+                result[k] = (/** @type {?} */ (this._impls[k].state));
+            }
         }
-        if (this._impl.is(to)) {
-            // TODO: check if the underlying implementation takes into account
-            // moving from one state to itself
-            return this;
+        return result;
+    }
+    /**
+     * Checks if the given state is active, i.e., it is the current state
+     * of a region, or it encloses the current state of a region.
+     * @param {?} name
+     * @return {?}
+     */
+    isActive(name) {
+        return indexOf(this.activeStates(), name) >= 0;
+    }
+    /**
+     * Exports the configuration of the FSM as a declarative definition.
+     * The callbacks and the guards are named by looking them up in
+     * the given map of implementations, which defaults to the one
+     * the FSM is built from. The context data is exported as it is now.
+     * If any of them cannot be named, a DefinitionError is thrown.
+     * @param {?=} implementations
+     * @return {?}
+     */
+    toDefinition(implementations) {
+        /** @type {?} */
+        const errors = [];
+        /** @type {?} */
+        const definition = this.describe(implementations || this._implementations || {}, errors);
+        if (errors.length) {
+            throw new DefinitionError(errors);
+        }
+        return definition;
+    }
+    /**
+     * Builds the definition of the FSM, and collects the problems
+     * found instead of throwing. A callback which cannot be named is
+     * given a placeholder name.
+     * @private
+     * @param {?} implementations
+     * @param {?} errors
+     * @return {?}
+     */
+    describe(implementations, errors) {
+        /** @type {?} */
+        const nameOf = (fn, path) => {
+            if (!fn) {
+                return undefined;
+            }
+            /** @type {?} */
+            const name = _.findKey(implementations, (v) => v === fn);
+            if (!name) {
+                errors.push({ path: path, message: 'Unnamed implementation' });
+                return fn.name || 'anonymous';
+            }
+            return name;
+        };
+        // Drops the options which are not defined.
+        /** @type {?} */
+        const compact = (obj) => _.omit(obj, _.isUndefined);
+        /** @type {?} */
+        const regionConf = this._regionConfiguration;
+        /** @type {?} */
+        const regions = [];
+        for (const k0 in regionConf) {
+            if (regionConf.hasOwnProperty(k0)) {
+                regions.push({ name: k0, initial: regionConf[k0].initState });
+            }
         }
         /** @type {?} */
-        const currentState = this._impl.state;
+        const stateConf = this._stateConfiguration;
         /** @type {?} */
-        const transitionName = replaceStr(transitionKeyFormat, { from: currentState, to: to });
-        // Validate if this transition is allowed or not
-        if (this._impl.cannot(transitionName)) {
-            throw new Error('Transition is not allowed: ' + currentState + ' -> ' + to);
+        const states = [];
+        for (const k1 in stateConf) {
+            if (stateConf.hasOwnProperty(k1)) {
+                /** @type {?} */
+                const elem1 = stateConf[k1];
+                /** @type {?} */
+                const path1 = '/states/' + states.length;
+                states.push(compact({
+                    name: k1,
+                    parent: elem1.parent,
+                    initial: elem1.initial,
+                    // A child state is always in the region of its parent.
+                    region: elem1.parent || elem1.region === defaultRegion ? undefined : elem1.region,
+                    final: elem1.final || undefined,
+                    onEnter: nameOf(elem1.onEnterCallback, path1 + '/onEnter'),
+                    onLeave: nameOf(elem1.onLeaveCallback, path1 + '/onLeave')
+                }));
+            }
+        }
+        /** @type {?} */
+        const historyConf = this._historyConfiguration;
+        /** @type {?} */
+        const historyStates = [];
+        for (const k3 in historyConf) {
+            if (historyConf.hasOwnProperty(k3)) {
+                historyStates.push(compact({
+                    name: k3,
+                    parent: historyConf[k3].parent,
+                    deep: historyConf[k3].deep || undefined,
+                    defaultTarget: historyConf[k3].defaultTarget
+                }));
+            }
         }
-        // Invoke this function
         /** @type {?} */
-        const func = this._impl[transitionName];
-        func.call(this._impl);
-        return self;
+        const transitionConf = this._transitionConfiguration;
+        /** @type {?} */
+        const transitions = [];
+        for (const k2 in transitionConf) {
+            if (transitionConf.hasOwnProperty(k2)) {
+                /** @type {?} */
+                const elem2 = transitionConf[k2];
+                /** @type {?} */
+                const path2 = '/transitions/' + transitions.length;
+                /** @type {?} */
+                let assign = elem2.assign;
+                if (typeof assign === 'function') {
+                    assign = nameOf(assign, path2 + '/assign');
+                }
+                else if (assign && _.some(assign, (v) => typeof v === 'function')) {
+                    errors.push({ path: path2 + '/assign', message: 'Unnamed implementation' });
+                }
+                transitions.push(compact({
+                    from: elem2.from,
+                    to: elem2.to,
+                    event: elem2.event,
+                    guard: nameOf(elem2.guard, path2 + '/guard'),
+                    onBefore: nameOf(elem2.onBeforeCallback, path2 + '/onBefore'),
+                    onAfter: nameOf(elem2.onAfterCallback, path2 + '/onAfter'),
+                    assign: assign,
+                    delay: elem2.delay,
+                    compensation: elem2.compensation,
+                    internal: elem2.internal
+                }));
+            }
+        }
+        return compact({
+            version: definitionVersion,
+            initial: this._initState || undefined,
+            asyncMode: this._asyncMode || undefined,
+            sameStatePolicy: this._sameStatePolicy !== 'ignore' ? this._sameStatePolicy : undefined,
+            context: this._context,
+            regions: regions.length ? regions : undefined,
+            states: states,
+            historyStates: historyStates.length ? historyStates : undefined,
+            transitions: transitions
+        });
     }
     /**
-     * Provides the error handler for the FSM.
-     * @template THIS
-     * @this {THIS}
-     * @param {?} fn
-     * @return {THIS}
+     * Exports the configuration of the FSM as a SCXML document.
+     * The callbacks and the guards are named in the same way
+     * as toDefinition does.
+     * @param {?=} implementations
+     * @return {?}
      */
-    addErrorHandler(fn) {
-        (/** @type {?} */ (this)).ensureConfigureStage();
-        (/** @type {?} */ (this))._errorHandler = fn;
-        return (/** @type {?} */ (this));
+    toScxml(implementations) {
+        return serializeScxml(this.toDefinition(implementations));
+    }
+    /**
+     * Checks the configuration of the FSM, and reports the states
+     * which are unreachable from the init states, the dead ends which are
+     * not final, the states without incoming transitions, the strongly
+     * connected components, and the states which cannot reach a final state.
+     * Note that guard conditions are not taken into account.
+     * @return {?}
+     */
+    analyze() {
+        return analyzeDefinition(this.describe(this._implementations || {}, []));
+    }
+    /**
+     * Checks a temporal property, e.g., 'AG (editing -> EF saved)',
+     * against the transitions of the FSM from the init state of the given
+     * region, and gives a counterexample path if the property does not hold.
+     * See temporal-logic for the property language.
+     * @param {?} property
+     * @param {?=} region
+     * @return {?}
+     */
+    check(property, region) {
+        return checkProperty(this.describe(this._implementations || {}, []), property, region);
+    }
+    /**
+     * Renders the configuration of the FSM as a Graphviz DOT graph.
+     * If required, the states in which a running FSM currently is
+     * are highlighted.
+     * @param {?=} highlightCurrent
+     * @return {?}
+     */
+    toDot(highlightCurrent) {
+        return renderDot(this.describe(this._implementations || {}, []), {
+            active: highlightCurrent ? this.activeStates() : []
+        });
+    }
+    /**
+     * Renders the configuration of the FSM as a Mermaid state diagram.
+     * If required, the states in which a running FSM currently is
+     * are highlighted.
+     * @param {?=} highlightCurrent
+     * @return {?}
+     */
+    toMermaid(highlightCurrent) {
+        return renderMermaid(this.describe(this._implementations || {}, []), {
+            active: highlightCurrent ? this.activeStates() : []
+        });
     }
     /**
-     * Returns the current state.
+     * Returns the active states of all regions,
+     * including the enclosing compound states.
+     * @private
      * @return {?}
      */
-    current() {
+    activeStates() {
         this.ensureRunningStage();
-        return this._impl.state;
+        /** @type {?} */
+        let result = [];
+        for (const k in this._impls) {
+            if (this._impls.hasOwnProperty(k)) {
+                result = result.concat(this.pathOf(this._impls[k].state));
+            }
+        }
+        return result;
     }
 }
 if (false) {
@@ -420,17 +2490,102 @@ if (false) {
      * @type {?}
      * @private
      */
-    FiniteStateMachine.prototype._impl;
+    FiniteStateMachine.prototype._impls;
     /**
      * @type {?}
      * @private
      */
     FiniteStateMachine.prototype._initState;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._context;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._asyncMode;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._sameStatePolicy;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._pendingRegions;
     /**
      * @type {?}
      * @private
      */
     FiniteStateMachine.prototype._errorHandler;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._regionConfiguration;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._historyConfiguration;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._lastActive;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._scheduler;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._timers;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._execution;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._disposed;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._configurationSubject;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._transitionSubject;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._errorSubject;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._contextSubject;
+    /** @type {?} */
+    FiniteStateMachine.prototype.configuration$;
+    /** @type {?} */
+    FiniteStateMachine.prototype.state$;
+    /** @type {?} */
+    FiniteStateMachine.prototype.transitions$;
+    /** @type {?} */
+    FiniteStateMachine.prototype.errors$;
+    /** @type {?} */
+    FiniteStateMachine.prototype.context$;
     /**
      * @type {?}
      * @private
@@ -441,10 +2596,55 @@ if (false) {
      * @private
      */
     FiniteStateMachine.prototype._transitionConfiguration;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._reentryConfiguration;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._eventConfiguration;
     /**
      * @type {?}
      * @private
      */
     FiniteStateMachine.prototype._handlers;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._middleware;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._history;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._historyLimit;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._undone;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._replays;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._settledEvents;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._implementations;
 }
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZmluaXRlLXN0YXRlLW1hY2hpbmUuanMiLCJzb3VyY2VSb290Ijoibmc6Ly9AcG9scHdhcmUvZmUtYmVoYXZpb3IvIiwic291cmNlcyI6WyJsaWIvc3RhdGUvZmluaXRlLXN0YXRlLW1hY2hpbmUudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7OztBQU1BLE9BQU8sS0FBSyxZQUFZLE1BQU0sMkJBQTJCLENBQUM7QUFDMUQsT0FBTyxFQUFFLE9BQU8sSUFBSSxVQUFVLEVBQUUsTUFBTSx3QkFBd0IsQ0FBQzs7O01BR3pELENBQUMsR0FBRyxZQUFZLENBQUMsVUFBVTs7TUFDM0IsWUFBWSxHQUFHLFlBQVksQ0FBQyxjQUFjLENBQUM7O01BQzNDLE9BQU8sR0FBRyxDQUFDLENBQUMsT0FBTzs7TUFDbkIsT0FBTyxHQUFHLENBQUMsQ0FBQyxPQUFPOztNQUNuQixtQkFBbUIsR0FBRyxhQUFhOztNQUNuQyxrQkFBa0IsR0FBRyw4Q0FBOEM7Ozs7O0FBR3pFLFNBQVMsVUFBVSxDQUFDLEtBQWE7SUFDN0IsT0FBTyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsRUFBRSxHQUFHLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7QUFDMUQsQ0FBQzs7OztBQUVELDJCQUtDOzs7SUFKRyw2QkFBYzs7Ozs7SUFDZCxxREFBK0I7Ozs7O0lBQy9CLDhEQUF3Qzs7Ozs7SUFDeEMsNERBQWtDOzs7OztBQUd0Qyw4QkFJQzs7O0lBSEcscUNBQW1COztJQUNuQiwrQkFBYTs7SUFDYiw2QkFBVzs7Ozs7QUFNZixrQ0FHQzs7O0lBRkcsOENBQXFDOztJQUNyQyw4Q0FBcUM7Ozs7O0FBR3pDLHVDQUtDOzs7SUFKRyx3Q0FBYTs7SUFDYixzQ0FBVzs7SUFDWCxvREFBc0M7O0lBQ3RDLG1EQUFxQzs7Ozs7Ozs7O0FBT3pDLFNBQVMscUJBQXFCLENBQUMsT0FBcUQsRUFBRSxHQUFXO0lBQzdGLE9BQU87O2NBQ0csV0FBVyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUM7UUFDaEMsSUFBSSxDQUFDLFdBQVcsRUFBRTtZQUNkLE9BQU87U0FDVjtRQUNELEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxXQUFXLENBQUMsTUFBTSxFQUFFLENBQUMsRUFBRSxFQUFFOztrQkFDbkMsSUFBSSxHQUFHLFdBQVcsQ0FBQyxDQUFDLENBQUM7WUFDM0IsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUUsU0FBUyxDQUFDLENBQUM7U0FDL0I7SUFDTCxDQUFDLENBQUM7QUFDTixDQUFDOzs7Ozs7OztBQUtELFNBQVMsbUJBQW1CLENBQUMsU0FBaUIsRUFBRSxJQUFZLEVBQUUsRUFBVTs7VUFDOUQsSUFBSSxHQUFHLFVBQVUsQ0FBQyxrQkFBa0IsRUFBRTtRQUN4QyxJQUFJLEVBQUUsU0FBUztRQUNmLElBQUksRUFBRSxJQUFJO1FBQ1YsRUFBRSxFQUFFLEVBQUU7S0FDVCxDQUFDO0lBQ0YsT0FBTyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQztBQUN0QixDQUFDOzs7Ozs7Ozs7Ozs7QUFjRCxNQUFNLE9BQU8sa0JBQWtCO0lBUzNCO1FBQ0ksSUFBSSxDQUFDLEtBQUssR0FBRyxJQUFJLENBQUM7UUFDbEIsSUFBSSxDQUFDLFVBQVUsR0FBRyxJQUFJLENBQUM7UUFDdkIsSUFBSSxDQUFDLGFBQWEsR0FBRyxJQUFJLENBQUM7UUFDMUIsSUFBSSxDQUFDLG1CQUFtQixHQUFHLEVBQUUsQ0FBQztRQUM5QixJQUFJLENBQUMsd0JBQXdCLEdBQUcsRUFBRSxDQUFDO1FBQ25DLElBQUksQ0FBQyxTQUFTLEdBQUcsRUFBRSxDQUFDO0lBQ3hCLENBQUM7Ozs7OztJQUtPLG9CQUFvQjtRQUN4QixJQUFJLElBQUksQ0FBQyxLQUFLLEVBQUU7WUFDWixNQUFNLElBQUksS0FBSyxDQUFDLDRCQUE0QixDQUFDLENBQUM7U0FDakQ7SUFDTCxDQUFDOzs7Ozs7SUFLTyxrQkFBa0I7UUFDdEIsSUFBSSxDQUFDLElBQUksQ0FBQyxLQUFLLEVBQUU7WUFDYixNQUFNLElBQUksS0FBSyxDQUFDLG9DQUFvQyxDQUFDLENBQUM7U0FDekQ7SUFDTCxDQUFDOzs7Ozs7Ozs7O0lBS0QsUUFBUSxDQUFDLElBQVksRUFDakIsZUFBb0MsRUFDcEMsZUFBb0M7UUFDcEMsaUJBQWlCO1FBQ2pCLG1CQUFBLElBQUksRUFBQSxDQUFDLG9CQUFvQixFQUFFLENBQUM7O2NBQ3RCLFNBQVMsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxtQkFBbUI7UUFDMUMsSUFBSSxTQUFTLENBQUMsSUFBSSxDQUFDLEVBQUU7WUFDakIsTUFBTSxJQUFJLEtBQUssQ0FBQyxtQkFBbUIsR0FBRyxJQUFJLENBQUMsQ0FBQztTQUMvQztRQUNELFNBQVMsQ0FBQyxJQUFJLENBQUMsR0FBRztZQUNkLGVBQWUsRUFBRSxlQUFlO1lBQ2hDLGVBQWUsRUFBRSxlQUFlO1NBQ25DLENBQUM7UUFDRixPQUFPLG1CQUFBLElBQUksRUFBQSxDQUFDO0lBQ2hCLENBQUM7Ozs7Ozs7O0lBS0QsWUFBWSxDQUFDLElBQVk7UUFDckIsaUJBQWlCO1FBQ2pCLG1CQUFBLElBQUksRUFBQSxDQUFDLG9CQUFvQixFQUFFLENBQUM7UUFFNUIsSUFBSSxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxVQUFVLEVBQUU7WUFDakIsTUFBTSxJQUFJLEtBQUssQ0FBQyx3QkFBd0IsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxVQUFVLENBQUMsQ0FBQztTQUMvRDtRQUNELG1CQUFBLElBQUksRUFBQSxDQUFDLFVBQVUsR0FBRyxJQUFJLENBQUM7UUFDdkIsT0FBTyxtQkFBQSxJQUFJLEVBQUEsQ0FBQztJQUNoQixDQUFDOzs7Ozs7Ozs7OztJQUtELGFBQWEsQ0FBQyxJQUFZLEVBQ3RCLEVBQVUsRUFDVixlQUFvQyxFQUNwQyxnQkFBcUM7UUFDckMsZ0JBQWdCO1FBQ2hCLG1CQUFBLElBQUksRUFBQSxDQUFDLG9CQUFvQixFQUFFLENBQUM7O2NBRXRCLFNBQVMsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxtQkFBbUI7O2NBQ3BDLGNBQWMsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyx3QkFBd0I7UUFDcEQsSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsRUFBRTtZQUNsQixNQUFNLElBQUksS0FBSyxDQUFDLDBCQUEwQixHQUFHLElBQUksQ0FBQyxDQUFDO1NBQ3REO1FBQ0QsSUFBSSxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsRUFBRTtZQUNoQixNQUFNLElBQUksS0FBSyxDQUFDLDBCQUEwQixHQUFHLEVBQUUsQ0FBQyxDQUFDO1NBQ3BEOztjQUNLLEdBQUcsR0FBRyxVQUFVLENBQUMsbUJBQW1CLEVBQUUsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsQ0FBQztRQUNuRSxJQUFJLGNBQWMsQ0FBQyxHQUFHLENBQUMsRUFBRTtZQUNyQixNQUFNLElBQUksS0FBSyxDQUFDLHdCQUF3QixHQUFHLElBQUksR0FBRyxNQUFNLEdBQUcsRUFBRSxDQUFDLENBQUM7U0FDbEU7UUFDRCxjQUFjLENBQUMsR0FBRyxDQUFDLEdBQUc7WUFDbEIsSUFBSSxFQUFFLElBQUksRUFBRSxFQUFFLEVBQUUsRUFBRTtZQUNsQixlQUFlLEVBQUUsZUFBZTtZQUNoQyxnQkFBZ0IsRUFBRSxnQkFBZ0I7U0FDckMsQ0FBQztRQUNGLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQzs7Ozs7Ozs7SUFNRCxLQUFLO1FBRUQsbUJBQUEsSUFBSSxFQUFBLENBQUMsb0JBQW9CLEVBQUUsQ0FBQztRQUM1QixJQUFJLENBQUMsbUJBQUEsSUFBSSxFQUFBLENBQUMsVUFBVSxFQUFFO1lBQ2xCLE1BQU0sSUFBSSxLQUFLLENBQUMsa0NBQWtDLENBQUMsQ0FBQztTQUN2RDs7O2NBR0ssU0FBUyxHQUFXLG1CQUFBLElBQUksRUFBQSxDQUFDLG1CQUFtQjs7Y0FDNUMsY0FBYyxHQUFXLG1CQUFBLElBQUksRUFBQSxDQUFDLHdCQUF3Qjs7Y0FFdEQsV0FBVyxHQUFzRCxFQUFFOztjQUNuRSxPQUFPLEdBQTBDLEVBQUU7UUFFekQsS0FBSyxNQUFNLEVBQUUsSUFBSSxjQUFjLEVBQUU7WUFDN0IsSUFBSSxjQUFjLENBQUMsY0FBYyxDQUFDLEVBQUUsQ0FBQyxFQUFFOztzQkFDN0IsS0FBSyxHQUFHLGNBQWMsQ0FBQyxFQUFFLENBQUM7Z0JBQ2hDLFdBQVcsQ0FBQyxJQUFJLENBQUM7b0JBQ2IsSUFBSSxFQUFFLEVBQUU7b0JBQ1IsSUFBSSxFQUFFLEtBQUssQ0FBQyxJQUFJO29CQUNoQixFQUFFLEVBQUUsS0FBSyxDQUFDLEVBQUU7aUJBQ2YsQ0FBQyxDQUFDO2dCQUVILElBQUksS0FBSyxDQUFDLGVBQWUsRUFBRTtvQkFDdkIsT0FBTyxDQUFDLFNBQVMsR0FBRyxVQUFVLENBQUMsRUFBRSxDQUFDLENBQUMsR0FBRyxLQUFLLENBQUMsZUFBZSxDQUFDO2lCQUMvRDtnQkFDRCxJQUFJLEtBQUssQ0FBQyxnQkFBZ0IsRUFBRTtvQkFDeEIsT0FBTyxDQUFDLFVBQVUsR0FBRyxVQUFVLENBQUMsRUFBRSxDQUFDLENBQUMsR0FBRyxLQUFLLENBQUMsZUFBZSxDQUFDO2lCQUNoRTthQUNKO1NBQ0o7UUFFRCxLQUFLLE1BQU0sRUFBRSxJQUFJLFNBQVMsRUFBRTtZQUV4QixJQUFJLFNBQVMsQ0FBQyxjQUFjLENBQUMsRUFBRSxDQUFDLEVBQUU7O3NCQUN4QixLQUFLLEdBQUcsU0FBUyxDQUFDLEVBQUUsQ0FBQztnQkFFM0IsSUFBSSxLQUFLLENBQUMsZUFBZSxFQUFFO29CQUN2QixPQUFPLENBQUMsU0FBUyxHQUFHLFVBQVUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxHQUFHLEtBQUssQ0FBQyxlQUFlLENBQUM7aUJBQy9EO2dCQUNELElBQUksS0FBSyxDQUFDLGVBQWUsRUFBRTtvQkFDdkIsT0FBTyxDQUFDLFNBQVMsR0FBRyxVQUFVLENBQUMsRUFBRSxDQUFDLENBQUMsR0FBRyxLQUFLLENBQUMsZUFBZSxDQUFDO2lCQUMvRDthQUNKO1NBQ0o7O2NBRUssUUFBUSxHQUFHLG1CQUFBLElBQUksRUFBQSxDQUFDLFNBQVM7UUFDL0IsUUFBUSxDQUFDLFlBQVksR0FBRyxFQUFFLENBQUM7UUFDM0IsUUFBUSxDQUFDLFlBQVksR0FBRyxFQUFFLENBQUM7UUFFM0IsT0FBTyxDQUFDLGNBQWMsQ0FBQyxHQUFHLHFCQUFxQixDQUFDLG1CQUFBLElBQUksRUFBQSxDQUFDLFNBQVMsRUFBRSxjQUFjLENBQUMsQ0FBQztRQUNoRixPQUFPLENBQUMsY0FBYyxDQUFDLEdBQUcscUJBQXFCLENBQUMsbUJBQUEsSUFBSSxFQUFBLENBQUMsU0FBUyxFQUFFLGNBQWMsQ0FBQyxDQUFDO1FBRWhGLG1CQUFBLElBQUksRUFBQSxDQUFDLEtBQUssR0FBRyxJQUFJLFlBQVksQ0FBQztZQUMxQixJQUFJLEVBQUUsbUJBQUEsSUFBSSxFQUFBLENBQUMsVUFBVTtZQUNyQixXQUFXLEVBQUUsV0FBVztZQUN4QixPQUFPLEVBQUUsT0FBTztZQUNoQixtQkFBbUIsRUFBRSxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxhQUFhLElBQUksbUJBQW1CO1NBQ2pFLENBQUMsQ0FBQztRQUNILE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQzs7Ozs7Ozs7SUFLRCxZQUFZLENBQUMsT0FBMkI7O2NBQzlCLFdBQVcsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxTQUFTLENBQUMsWUFBWTtRQUMvQyxJQUFJLE9BQU8sQ0FBQyxXQUFXLEVBQUUsT0FBTyxDQUFDLElBQUksQ0FBQyxFQUFFO1lBQ3BDLE1BQU0sSUFBSSxLQUFLLENBQUMsMEJBQTBCLENBQUMsQ0FBQztTQUMvQztRQUNELFdBQVcsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7UUFDMUIsT0FBTyxtQkFBQSxJQUFJLEVBQUEsQ0FBQztJQUNoQixDQUFDOzs7Ozs7OztJQUtELFdBQVcsQ0FBQyxPQUEyQjs7Y0FDN0IsV0FBVyxHQUFHLG1CQUFBLElBQUksRUFBQSxDQUFDLFNBQVMsQ0FBQyxZQUFZO1FBQy9DLElBQUksT0FBTyxDQUFDLFdBQVcsRUFBRSxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUU7WUFDcEMsTUFBTSxJQUFJLEtBQUssQ0FBQyx1QkFBdUIsQ0FBQyxDQUFDO1NBQzVDO1FBQ0QsV0FBVyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUMxQixPQUFPLG1CQUFBLElBQUksRUFBQSxDQUFDO0lBQ2hCLENBQUM7Ozs7Ozs7O0lBS0QsYUFBYSxDQUFDLE9BQTJCOztjQUMvQixXQUFXLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMsU0FBUyxDQUFDLFlBQVk7UUFDL0MsbUJBQUEsSUFBSSxFQUFBLENBQUMsU0FBUyxDQUFDLFlBQVksR0FBRyxPQUFPLENBQUMsV0FBVyxFQUFFLE9BQU8sQ0FBQyxDQUFDO1FBQzVELE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQzs7Ozs7Ozs7SUFLRCxZQUFZLENBQUMsT0FBMkI7O2NBQzlCLFdBQVcsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxTQUFTLENBQUMsWUFBWTtRQUMvQyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxTQUFTLENBQUMsV0FBVyxHQUFHLE9BQU8sQ0FBQyxXQUFXLEVBQUUsT0FBTyxDQUFDLENBQUM7UUFDM0QsT0FBTyxtQkFBQSxJQUFJLEVBQUEsQ0FBQztJQUNoQixDQUFDOzs7Ozs7O0lBTUQsRUFBRSxDQUFDLEVBQVU7UUFDVCxJQUFJLENBQUMsa0JBQWtCLEVBQUUsQ0FBQzs7Y0FFcEIsU0FBUyxHQUFHLElBQUksQ0FBQyxtQkFBbUI7UUFDMUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsRUFBRTtZQUNoQixNQUFNLElBQUksS0FBSyxDQUFDLHlCQUF5QixHQUFHLEVBQUUsQ0FBQyxDQUFDO1NBQ25EO1FBQ0QsSUFBSSxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRTtZQUNuQixrRUFBa0U7WUFDbEUsa0NBQWtDO1lBQ2xDLE9BQU8sSUFBSSxDQUFDO1NBQ2Y7O2NBQ0ssWUFBWSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSzs7Y0FDL0IsY0FBYyxHQUFHLFVBQVUsQ0FBQyxtQkFBbUIsRUFBRSxFQUFFLElBQUksRUFBRSxZQUFZLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxDQUFDO1FBQ3RGLGdEQUFnRDtRQUNoRCxJQUFJLElBQUksQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLGNBQWMsQ0FBQyxFQUFFO1lBQ25DLE1BQU0sSUFBSSxLQUFLLENBQUMsNkJBQTZCLEdBQUcsWUFBWSxHQUFHLE1BQU0sR0FBRyxFQUFFLENBQUMsQ0FBQztTQUMvRTs7O2NBR0ssSUFBSSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsY0FBYyxDQUFDO1FBQ3ZDLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ3RCLE9BQU8sSUFBSSxDQUFDO0lBQ2hCLENBQUM7Ozs7Ozs7O0lBS0QsZUFBZSxDQUFDLEVBQW9CO1FBQ2hDLG1CQUFBLElBQUksRUFBQSxDQUFDLG9CQUFvQixFQUFFLENBQUM7UUFFNUIsbUJBQUEsSUFBSSxFQUFBLENBQUMsYUFBYSxHQUFHLEVBQUUsQ0FBQztRQUV4QixPQUFPLG1CQUFBLElBQUksRUFBQSxDQUFDO0lBQ2hCLENBQUM7Ozs7O0lBS0QsT0FBTztRQUNILElBQUksQ0FBQyxrQkFBa0IsRUFBRSxDQUFDO1FBQzFCLE9BQU8sSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUM7SUFDNUIsQ0FBQztDQUNKOzs7Ozs7SUE1UEcsbUNBQTRCOzs7OztJQUM1Qix3Q0FBMkI7Ozs7O0lBQzNCLDJDQUF3Qzs7Ozs7SUFDeEMsaURBQW9FOzs7OztJQUNwRSxzREFBOEU7Ozs7O0lBQzlFLHVDQUFnRSIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGZpbGVPdmVydmlld1xuICogUHJvdmlkZXMgYSBjbGFzcyByZXByZXNlbnRpbmcgYSBmaW5pdGUgc3RhdGUgbWFjaGluZS5cbiAqIEBhdXRob3IgWGlhb2xvbmcgVGFuZyA8eHhsb25ndGFuZ0BnbWFpbC5jb20+XG4gKiBAbGljZW5zZSBDb3B5cmlnaHQgQG1lXG4gKi9cbmltcG9ydCAqIGFzIGRlcGVuZGVuY2llcyBmcm9tICdAcG9scHdhcmUvZmUtZGVwZW5kZW5jaWVzJztcbmltcG9ydCB7IHJlcGxhY2UgYXMgcmVwbGFjZVN0ciB9IGZyb20gJ0Bwb2xwd2FyZS9mZS11dGlsaXRpZXMnO1xuXG4vLyBBIHNldCBvZiBoZWxwZXIgZnVuY3Rpb25zXG5jb25zdCBfID0gZGVwZW5kZW5jaWVzLnVuZGVyc2NvcmU7XG5jb25zdCBTdGF0ZU1hY2hpbmUgPSBkZXBlbmRlbmNpZXNbJ3N0YXRlbWFjaGluZSddO1xuY29uc3QgaW5kZXhPZiA9IF8uaW5kZXhPZjtcbmNvbnN0IHdpdGhvdXQgPSBfLndpdGhvdXQ7XG5jb25zdCB0cmFuc2l0aW9uS2V5Rm9ybWF0ID0gJ3tmcm9tfTJ7dG99JztcbmNvbnN0IGVycm9yTWVzc2FnZUZvcm1hdCA9ICdUcmFuc2l0aW9uIHtuYW1lfSBmcm9tIHtmcm9tfSB0byB7dG99IGZhaWxzLic7XG5cblxuZnVuY3Rpb24gY2FwdGlhbGl6ZSh2YWx1ZTogc3RyaW5nKTogc3RyaW5nIHtcbiAgICByZXR1cm4gdmFsdWUuY2hhckF0KDApLnRvVXBwZXJDYXNlKCkgKyB2YWx1ZS5zbGljZSgxKTtcbn1cblxuaW50ZXJmYWNlIElVbmRlcmx5SW1wbCB7XG4gICAgc3RhdGU6IHN0cmluZztcbiAgICBpcyhzdGF0ZU5hbWU6IHN0cmluZyk6IGJvb2xlYW47XG4gICAgY2Fubm90KHRyYW5zaXRpb25OYW1lOiBzdHJpbmcpOiBib29sZWFuO1xuICAgIGZpcmUodHJhbnNpdGlvbk5hbWU6IHN0cmluZyk6IGFueTtcbn1cblxuaW50ZXJmYWNlIElMaWZlQ3ljbGVFdmVudCB7XG4gICAgdHJhbnNpdGlvbjogc3RyaW5nO1xuICAgIGZyb206IHN0cmluZztcbiAgICB0bzogc3RyaW5nO1xufVxuXG50eXBlIE1ldGhvZENhbGxiYWNrVHlwZSA9IChJTGlmZUN5Y2xlRXZlbnQpID0+IHZvaWQ7XG50eXBlIEVycm9ySGFuZGxlclR5cGUgPSAobmFtZTogc3RyaW5nLCBmcm9tOiBzdHJpbmcsIHRvOiBzdHJpbmcpID0+IHZvaWQ7XG5cbmludGVyZmFjZSBJU3RhdGVTcGVjaWZpY2F0aW9uIHtcbiAgICBvbkVudGVyQ2FsbGJhY2s/OiBNZXRob2RDYWxsYmFja1R5cGU7XG4gICAgb25MZWF2ZUNhbGxiYWNrPzogTWV0aG9kQ2FsbGJhY2tUeXBlO1xufVxuXG5pbnRlcmZhY2UgSVRyYW5zaXRpb25TcGVjaWZpY2F0aW9uIHtcbiAgICBmcm9tOiBzdHJpbmc7XG4gICAgdG86IHN0cmluZztcbiAgICBvbkJlZm9yZUNhbGxiYWNrPzogTWV0aG9kQ2FsbGJhY2tUeXBlO1xuICAgIG9uQWZ0ZXJDYWxsYmFjaz86IE1ldGhvZENhbGxiYWNrVHlwZTtcbn1cblxuLyoqXG4gKiBCdWlsZHMgYSBoYW5kbGVyIHdpdGggbmVjZXNzYXJ5IGNvbnRleHQgaW5mb3JtYXRpb24uXG4gKiBUaGUgcmVzdWx0aW5nIHJldHVybiB2YWx1ZSBpcyBhIGNsb3N1cmUgaW5kZWVkLlxuICovXG5mdW5jdGlvbiBidWlsZEhhbmRsZXJJbkNsb3N1cmUoY29udGV4dDogeyBba2V5OiBzdHJpbmddOiBBcnJheTxNZXRob2RDYWxsYmFja1R5cGU+IH0sIGtleTogc3RyaW5nKSB7XG4gICAgcmV0dXJuIGZ1bmN0aW9uKCkge1xuICAgICAgICBjb25zdCBvdXJIYW5kbGVycyA9IGNvbnRleHRba2V5XTtcbiAgICAgICAgaWYgKCFvdXJIYW5kbGVycykge1xuICAgICAgICAgICAgcmV0dXJuO1xuICAgICAgICB9XG4gICAgICAgIGZvciAobGV0IGkgPSAwOyBpIDwgb3VySGFuZGxlcnMubGVuZ3RoOyBpKyspIHtcbiAgICAgICAgICAgIGNvbnN0IGZ1bmMgPSBvdXJIYW5kbGVyc1tpXTtcbiAgICAgICAgICAgIGZ1bmMuYXBwbHkobnVsbCwgYXJndW1lbnRzKTtcbiAgICAgICAgfVxuICAgIH07XG59XG5cbi8qKlxuICogRGVmYXVsdCBlcnJvciBoYW5kbGVyIGZvciB0aGUgRlNNLlxuICovXG5mdW5jdGlvbiBkZWZhdWx0RXJyb3JIYW5kbGVyKGV2ZW50TmFtZTogc3RyaW5nLCBmcm9tOiBzdHJpbmcsIHRvOiBzdHJpbmcpOiB2b2lkIHtcbiAgICBjb25zdCBpbmZvID0gcmVwbGFjZVN0cihlcnJvck1lc3NhZ2VGb3JtYXQsIHtcbiAgICAgICAgbmFtZTogZXZlbnROYW1lLFxuICAgICAgICBmcm9tOiBmcm9tLFxuICAgICAgICB0bzogdG9cbiAgICB9KTtcbiAgICBjb25zb2xlLmxvZyhpbmZvKTtcbn1cblxuLyoqXG4gKiBSZXByZXNlbnRzIGEgZmluaXRlIHN0YXRlIG1hY2hpbmUuXG4gKiBUaGUgcmVzdWx0aW5nIEZTTSBpcyBidWlsdCB1cG9uIGEgY29tbW9ubHkgdXNlZCBqYXZhc2NyaXB0XG4gKiBzdGF0ZSBtYWNoaW5lIGxpYnJhcnkuXG4gKiBTdWNoIGEgZGVzaWduIChvZiBhcmNoaXRlY3R1cmUpIGlzIGJhc2VkIG9uIHRoZSBmb2xsb3dpbmcgY29uc2lkZXJhdGlvbnM6XG4gKiAtIEEgdXNlci1mcmllbmRseSBpbnRlcmZhY2UgZm9yIGRlZmluaW5nIHN0YXRlcyBhbmQgdGhlaXIgYmVoYXZpb3JzXG4gKiAtIEEga2luZCBvZiBtb2RlbC1jaGVja2luZyBjYXBhYmlsaXR5IGZvciB2ZXJpZnlpbmcgdGhlIGNvcnJlY3RuZXNzIG9mXG4gKiB0cmFuc2l0aW9uc1xuICogLSBTdXBwb3J0IGZvciBhc3ljaHJvbm91cyBhbmQgc3luY2hyb3VzIHRyYW5zaXRpb25zXG4gKiAtIFN1cHBvcnQgZm9yIGdsb2JhbCBleGNlcHRpb24gaGFuZGxpbmdcbiAqIEBjbGFzcyBGU01cbiAqL1xuZXhwb3J0IGNsYXNzIEZpbml0ZVN0YXRlTWFjaGluZSB7XG5cbiAgICBwcml2YXRlIF9pbXBsOiBJVW5kZXJseUltcGw7XG4gICAgcHJpdmF0ZSBfaW5pdFN0YXRlOiBzdHJpbmc7XG4gICAgcHJpdmF0ZSBfZXJyb3JIYW5kbGVyOiBFcnJvckhhbmRsZXJUeXBlO1xuICAgIHByaXZhdGUgX3N0YXRlQ29uZmlndXJhdGlvbjogeyBba2V5OiBzdHJpbmddOiBJU3RhdGVTcGVjaWZpY2F0aW9uIH07XG4gICAgcHJpdmF0ZSBfdHJhbnNpdGlvbkNvbmZpZ3VyYXRpb246IHsgW2tleTogc3RyaW5nXTogSVRyYW5zaXRpb25TcGVjaWZpY2F0aW9uIH07XG4gICAgcHJpdmF0ZSBfaGFuZGxlcnM6IHsgW2tleTogc3RyaW5nXTogQXJyYXk8TWV0aG9kQ2FsbGJhY2tUeXBlPiB9O1xuXG4gICAgY29uc3RydWN0b3IoKSB7XG4gICAgICAgIHRoaXMuX2ltcGwgPSBudWxsO1xuICAgICAgICB0aGlzLl9pbml0U3RhdGUgPSBudWxsO1xuICAgICAgICB0aGlzLl9lcnJvckhhbmRsZXIgPSBudWxsO1xuICAgICAgICB0aGlzLl9zdGF0ZUNvbmZpZ3VyYXRpb24gPSB7fTtcbiAgICAgICAgdGhpcy5fdHJhbnNpdGlvbkNvbmZpZ3VyYXRpb24gPSB7fTtcbiAgICAgICAgdGhpcy5faGFuZGxlcnMgPSB7fTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBDaGVja3MgaWYgRlNNIGlzIGluIGNvbmZpZ3VyYXRpb24gc3RhZ2UuXG4gICAgICovXG4gICAgcHJpdmF0ZSBlbnN1cmVDb25maWd1cmVTdGFnZSgpIHtcbiAgICAgICAgaWYgKHRoaXMuX2ltcGwpIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignU3RhdGUgbWFjaGluZSBoYXMgc3RhcnRlZC4nKTtcbiAgICAgICAgfVxuICAgIH1cblxuICAgIC8qKlxuICAgICAqIENoZWNrcyBpZiBGU00gaXMgaW4gcnVubmluZyBzdGFnZS5cbiAgICAgKi9cbiAgICBwcml2YXRlIGVuc3VyZVJ1bm5pbmdTdGFnZSgpIHtcbiAgICAgICAgaWYgKCF0aGlzLl9pbXBsKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1N0YXRlIG1hY2hpbmUgaGFzIG5vdCB5ZXQgc3RhcnRlZC4nKTtcbiAgICAgICAgfVxuICAgIH1cblxuICAgIC8qKlxuICAgICAqIERlZmluZXMgdGhlIGJlaGF2aW9yIHdoZW4gdGhlIEZTTSBtb3ZlcyBpbnRvIGEgc3RhdGUgYnkgYSB0cmFuc2l0aW9uLlxuICAgICAqL1xuICAgIGFkZFN0YXRlKG5hbWU6IHN0cmluZyxcbiAgICAgICAgb25FbnRlckNhbGxiYWNrPzogTWV0aG9kQ2FsbGJhY2tUeXBlLFxuICAgICAgICBvbkxlYXZlQ2FsbGJhY2s/OiBNZXRob2RDYWxsYmFja1R5cGUpIHtcbiAgICAgICAgLy8gUHJlLWNvbmRpdGlvbnNcbiAgICAgICAgdGhpcy5lbnN1cmVDb25maWd1cmVTdGFnZSgpO1xuICAgICAgICBjb25zdCBzdGF0ZUNvbmYgPSB0aGlzLl9zdGF0ZUNvbmZpZ3VyYXRpb247XG4gICAgICAgIGlmIChzdGF0ZUNvbmZbbmFtZV0pIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignUmVkZWZpbmVkIHN0YXRlOiAnICsgbmFtZSk7XG4gICAgICAgIH1cbiAgICAgICAgc3RhdGVDb25mW25hbWVdID0ge1xuICAgICAgICAgICAgb25FbnRlckNhbGxiYWNrOiBvbkVudGVyQ2FsbGJhY2ssXG4gICAgICAgICAgICBvbkxlYXZlQ2FsbGJhY2s6IG9uTGVhdmVDYWxsYmFja1xuICAgICAgICB9O1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBEZWZpbmVzIHRoZSBpbml0IHN0YXRlIGZvciB0aGUgRlNNLlxuICAgICAqL1xuICAgIHNldEluaXRTdGF0ZShuYW1lOiBzdHJpbmcpIHtcbiAgICAgICAgLy8gUHJlLWNvbmRpdGlvbnNcbiAgICAgICAgdGhpcy5lbnN1cmVDb25maWd1cmVTdGFnZSgpO1xuXG4gICAgICAgIGlmICh0aGlzLl9pbml0U3RhdGUpIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignUmVkZWZpbmVkIGluaXQgc3RhdGU6ICcgKyB0aGlzLl9pbml0U3RhdGUpO1xuICAgICAgICB9XG4gICAgICAgIHRoaXMuX2luaXRTdGF0ZSA9IG5hbWU7XG4gICAgICAgIHJldHVybiB0aGlzO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIERlZmluZXMgYSBuZXcgc3RyYW5zaXRpb24uXG4gICAgICovXG4gICAgYWRkVHJhbnNpdGlvbihmcm9tOiBzdHJpbmcsXG4gICAgICAgIHRvOiBzdHJpbmcsXG4gICAgICAgIG9uQWZ0ZXJDYWxsYmFjaz86IE1ldGhvZENhbGxiYWNrVHlwZSxcbiAgICAgICAgb25CZWZvcmVDYWxsYmFjaz86IE1ldGhvZENhbGxiYWNrVHlwZSkge1xuICAgICAgICAvLyBQcmUtY29uZGl0aW9uXG4gICAgICAgIHRoaXMuZW5zdXJlQ29uZmlndXJlU3RhZ2UoKTtcblxuICAgICAgICBjb25zdCBzdGF0ZUNvbmYgPSB0aGlzLl9zdGF0ZUNvbmZpZ3VyYXRpb247XG4gICAgICAgIGNvbnN0IHRyYW5zaXRpb25Db25mID0gdGhpcy5fdHJhbnNpdGlvbkNvbmZpZ3VyYXRpb247XG4gICAgICAgIGlmICghc3RhdGVDb25mW2Zyb21dKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1VuZGVmaW5lZCBzb3VyY2Ugc3RhdGU6ICcgKyBmcm9tKTtcbiAgICAgICAgfVxuICAgICAgICBpZiAoIXN0YXRlQ29uZlt0b10pIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignVW5kZWZpbmVkIHRhcmdldCBzdGF0ZTogJyArIHRvKTtcbiAgICAgICAgfVxuICAgICAgICBjb25zdCBrZXkgPSByZXBsYWNlU3RyKHRyYW5zaXRpb25LZXlGb3JtYXQsIHsgZnJvbTogZnJvbSwgdG86IHRvIH0pO1xuICAgICAgICBpZiAodHJhbnNpdGlvbkNvbmZba2V5XSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdSZWRlZmluZWQgdHJhbnNpdGlvbjogJyArIGZyb20gKyAnIC0+ICcgKyB0byk7XG4gICAgICAgIH1cbiAgICAgICAgdHJhbnNpdGlvbkNvbmZba2V5XSA9IHtcbiAgICAgICAgICAgIGZyb206IGZyb20sIHRvOiB0byxcbiAgICAgICAgICAgIG9uQWZ0ZXJDYWxsYmFjazogb25BZnRlckNhbGxiYWNrLFxuICAgICAgICAgICAgb25CZWZvcmVDYWxsYmFjazogb25CZWZvcmVDYWxsYmFja1xuICAgICAgICB9O1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBTdGFydHMgdGhlIEZTTS4gTm90ZSB0aGF0IHRoaXMgbWV0aG9kIG11c3QgYmUgaW52b2tlZCBiZWZvcmVcbiAgICAgKiBhbnkgbWV0aG9kIHdoaWNoIG1heSBjaGFuZ2UgdGhlIHN0YXRlIG9mIHRoZSBGU00uXG4gICAgICovXG4gICAgc3RhcnQoKSB7XG5cbiAgICAgICAgdGhpcy5lbnN1cmVDb25maWd1cmVTdGFnZSgpO1xuICAgICAgICBpZiAoIXRoaXMuX2luaXRTdGF0ZSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdJbml0IHN0YXRlIGhhcyBub3QgYmVlbiBkZWZpbmVkLicpO1xuICAgICAgICB9XG5cbiAgICAgICAgLy8gRGVmaW5pdGlvblxuICAgICAgICBjb25zdCBzdGF0ZUNvbmY6IE9iamVjdCA9IHRoaXMuX3N0YXRlQ29uZmlndXJhdGlvbjtcbiAgICAgICAgY29uc3QgdHJhbnNpdGlvbkNvbmY6IE9iamVjdCA9IHRoaXMuX3RyYW5zaXRpb25Db25maWd1cmF0aW9uO1xuXG4gICAgICAgIGNvbnN0IHRyYW5zaXRpb25zOiBBcnJheTx7IG5hbWU6IHN0cmluZywgZnJvbTogc3RyaW5nLCB0bzogc3RyaW5nIH0+ID0gW107XG4gICAgICAgIGNvbnN0IG1ldGhvZHM6IHsgW2tleTogc3RyaW5nXTogTWV0aG9kQ2FsbGJhY2tUeXBlIH0gPSB7fTtcblxuICAgICAgICBmb3IgKGNvbnN0IGsxIGluIHRyYW5zaXRpb25Db25mKSB7XG4gICAgICAgICAgICBpZiAodHJhbnNpdGlvbkNvbmYuaGFzT3duUHJvcGVydHkoazEpKSB7XG4gICAgICAgICAgICAgICAgY29uc3QgZWxlbTEgPSB0cmFuc2l0aW9uQ29uZltrMV07XG4gICAgICAgICAgICAgICAgdHJhbnNpdGlvbnMucHVzaCh7XG4gICAgICAgICAgICAgICAgICAgIG5hbWU6IGsxLFxuICAgICAgICAgICAgICAgICAgICBmcm9tOiBlbGVtMS5mcm9tLFxuICAgICAgICAgICAgICAgICAgICB0bzogZWxlbTEudG9cbiAgICAgICAgICAgICAgICB9KTtcblxuICAgICAgICAgICAgICAgIGlmIChlbGVtMS5vbkFmdGVyQ2FsbGJhY2spIHtcbiAgICAgICAgICAgICAgICAgICAgbWV0aG9kc1snb25BZnRlcicgKyBjYXB0aWFsaXplKGsxKV0gPSBlbGVtMS5vbkFmdGVyQ2FsbGJhY2s7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgICAgIGlmIChlbGVtMS5vbkJlZm9yZUNhbGxiYWNrKSB7XG4gICAgICAgICAgICAgICAgICAgIG1ldGhvZHNbJ29uQmVmb3JlJyArIGNhcHRpYWxpemUoazEpXSA9IGVsZW0xLm9uQWZ0ZXJDYWxsYmFjaztcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cblxuICAgICAgICBmb3IgKGNvbnN0IGsyIGluIHN0YXRlQ29uZikge1xuXG4gICAgICAgICAgICBpZiAoc3RhdGVDb25mLmhhc093blByb3BlcnR5KGsyKSkge1xuICAgICAgICAgICAgICAgIGNvbnN0IGVsZW0yID0gc3RhdGVDb25mW2syXTtcblxuICAgICAgICAgICAgICAgIGlmIChlbGVtMi5vbkVudGVyQ2FsbGJhY2spIHtcbiAgICAgICAgICAgICAgICAgICAgbWV0aG9kc1snb25FbnRlcicgKyBjYXB0aWFsaXplKGsyKV0gPSBlbGVtMi5vbkVudGVyQ2FsbGJhY2s7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgICAgIGlmIChlbGVtMi5vbkxlYXZlQ2FsbGJhY2spIHtcbiAgICAgICAgICAgICAgICAgICAgbWV0aG9kc1snb25MZWF2ZScgKyBjYXB0aWFsaXplKGsyKV0gPSBlbGVtMi5vbkxlYXZlQ2FsbGJhY2s7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgfVxuICAgICAgICB9XG5cbiAgICAgICAgY29uc3QgaGFuZGxlcnMgPSB0aGlzLl9oYW5kbGVycztcbiAgICAgICAgaGFuZGxlcnMub25FbnRlclN0YXRlID0gW107XG4gICAgICAgIGhhbmRsZXJzLm9uTGVhdmVTdGF0ZSA9IFtdO1xuXG4gICAgICAgIG1ldGhvZHNbJ29uRW50ZXJTdGF0ZSddID0gYnVpbGRIYW5kbGVySW5DbG9zdXJlKHRoaXMuX2hhbmRsZXJzLCAnb25FbnRlclN0YXRlJyk7XG4gICAgICAgIG1ldGhvZHNbJ29uTGVhdmVTdGF0ZSddID0gYnVpbGRIYW5kbGVySW5DbG9zdXJlKHRoaXMuX2hhbmRsZXJzLCAnb25MZWF2ZVN0YXRlJyk7XG5cbiAgICAgICAgdGhpcy5faW1wbCA9IG5ldyBTdGF0ZU1hY2hpbmUoe1xuICAgICAgICAgICAgaW5pdDogdGhpcy5faW5pdFN0YXRlLFxuICAgICAgICAgICAgdHJhbnNpdGlvbnM6IHRyYW5zaXRpb25zLFxuICAgICAgICAgICAgbWV0aG9kczogbWV0aG9kcyxcbiAgICAgICAgICAgIG9uSW52YWxpZFRyYW5zaXRpb246IHRoaXMuX2Vycm9ySGFuZGxlciB8fCBkZWZhdWx0RXJyb3JIYW5kbGVyXG4gICAgICAgIH0pO1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZWdpc3RlcnMgYSBoYW5kbGVyIGZvciBlbnRlcnN0YXRlXG4gICAgICovXG4gICAgb25FbnRlclN0YXRlKGhhbmRsZXI6IE1ldGhvZENhbGxiYWNrVHlwZSkge1xuICAgICAgICBjb25zdCBvdXJIYW5kbGVycyA9IHRoaXMuX2hhbmRsZXJzLm9uRW50ZXJTdGF0ZTtcbiAgICAgICAgaWYgKGluZGV4T2Yob3VySGFuZGxlcnMsIGhhbmRsZXIpID49IDApIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignUmUtcmVnaXN0ZXJpbmcgYSBoYW5kZXIhJyk7XG4gICAgICAgIH1cbiAgICAgICAgb3VySGFuZGxlcnMucHVzaChoYW5kbGVyKTtcbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogUmVnaXN0ZXJzIGEgaGFuZGxlciBmb3IgZXhpdHN0YXRlXG4gICAgICovXG4gICAgb25FeGl0U3RhdGUoaGFuZGxlcjogTWV0aG9kQ2FsbGJhY2tUeXBlKSB7XG4gICAgICAgIGNvbnN0IG91ckhhbmRsZXJzID0gdGhpcy5faGFuZGxlcnMub25MZWF2ZVN0YXRlO1xuICAgICAgICBpZiAoaW5kZXhPZihvdXJIYW5kbGVycywgaGFuZGxlcikgPj0gMCkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdSZWdpc3RlcmluZyBhIGhhbmRlciEnKTtcbiAgICAgICAgfVxuICAgICAgICBvdXJIYW5kbGVycy5wdXNoKGhhbmRsZXIpO1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBVbi1yZWdpc3RlciBhIGhhbmRsZXIgZm9yIGVudGVyc3RhdGVcbiAgICAgKi9cbiAgICBvZmZFbnRlclN0YXRlKGhhbmRsZXI6IE1ldGhvZENhbGxiYWNrVHlwZSkge1xuICAgICAgICBjb25zdCBvdXJIYW5kbGVycyA9IHRoaXMuX2hhbmRsZXJzLm9uRW50ZXJTdGF0ZTtcbiAgICAgICAgdGhpcy5faGFuZGxlcnMub25lbnRlcnN0YXRlID0gd2l0aG91dChvdXJIYW5kbGVycywgaGFuZGxlcik7XG4gICAgICAgIHJldHVybiB0aGlzO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFVuLXJlZ2lzdGVyIGEgaGFuZGxlciBmb3IgZXhpdHN0YXRlXG4gICAgICovXG4gICAgb2ZmRXhpdFN0YXRlKGhhbmRsZXI6IE1ldGhvZENhbGxiYWNrVHlwZSkge1xuICAgICAgICBjb25zdCBvdXJIYW5kbGVycyA9IHRoaXMuX2hhbmRsZXJzLm9uTGVhdmVTdGF0ZTtcbiAgICAgICAgdGhpcy5faGFuZGxlcnMub25leGl0c3RhdGUgPSB3aXRob3V0KG91ckhhbmRsZXJzLCBoYW5kbGVyKTtcbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogUGVyZm9ybXMgYSB0cmFuc2l0aW9uIHRvIHRoZSBnaXZlbiBzdGF0ZS5cbiAgICAgKiBUaGlzIG1ldGhvZCBhbHNvIHZhbGlkYXRlIHRoZSB0cmFuc2l0aW9uLlxuICAgICAqL1xuICAgIGdvKHRvOiBzdHJpbmcpIHtcbiAgICAgICAgdGhpcy5lbnN1cmVSdW5uaW5nU3RhZ2UoKTtcblxuICAgICAgICBjb25zdCBzdGF0ZUNvbmYgPSB0aGlzLl9zdGF0ZUNvbmZpZ3VyYXRpb247XG4gICAgICAgIGlmICghc3RhdGVDb25mW3RvXSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdHbyB0byB1bmRlZmluZWQgc3RhdGU6ICcgKyB0byk7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKHRoaXMuX2ltcGwuaXModG8pKSB7XG4gICAgICAgICAgICAvLyBUT0RPOiBjaGVjayBpZiB0aGUgdW5kZXJseWluZyBpbXBsZW1lbnRhdGlvbiB0YWtlcyBpbnRvIGFjY291bnRcbiAgICAgICAgICAgIC8vIG1vdmluZyBmcm9tIG9uZSBzdGF0ZSB0byBpdHNlbGZcbiAgICAgICAgICAgIHJldHVybiB0aGlzO1xuICAgICAgICB9XG4gICAgICAgIGNvbnN0IGN1cnJlbnRTdGF0ZSA9IHRoaXMuX2ltcGwuc3RhdGU7XG4gICAgICAgIGNvbnN0IHRyYW5zaXRpb25OYW1lID0gcmVwbGFjZVN0cih0cmFuc2l0aW9uS2V5Rm9ybWF0LCB7IGZyb206IGN1cnJlbnRTdGF0ZSwgdG86IHRvIH0pO1xuICAgICAgICAvLyBWYWxpZGF0ZSBpZiB0aGlzIHRyYW5zaXRpb24gaXMgYWxsb3dlZCBvciBub3RcbiAgICAgICAgaWYgKHRoaXMuX2ltcGwuY2Fubm90KHRyYW5zaXRpb25OYW1lKSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdUcmFuc2l0aW9uIGlzIG5vdCBhbGxvd2VkOiAnICsgY3VycmVudFN0YXRlICsgJyAtPiAnICsgdG8pO1xuICAgICAgICB9XG5cbiAgICAgICAgLy8gSW52b2tlIHRoaXMgZnVuY3Rpb25cbiAgICAgICAgY29uc3QgZnVuYyA9IHRoaXMuX2ltcGxbdHJhbnNpdGlvbk5hbWVdO1xuICAgICAgICBmdW5jLmNhbGwodGhpcy5faW1wbCk7XG4gICAgICAgIHJldHVybiBzZWxmO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFByb3ZpZGVzIHRoZSBlcnJvciBoYW5kbGVyIGZvciB0aGUgRlNNLlxuICAgICAqL1xuICAgIGFkZEVycm9ySGFuZGxlcihmbjogRXJyb3JIYW5kbGVyVHlwZSkge1xuICAgICAgICB0aGlzLmVuc3VyZUNvbmZpZ3VyZVN0YWdlKCk7XG5cbiAgICAgICAgdGhpcy5fZXJyb3JIYW5kbGVyID0gZm47XG5cbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogUmV0dXJucyB0aGUgY3VycmVudCBzdGF0ZS5cbiAgICAgKi9cbiAgICBjdXJyZW50KCkge1xuICAgICAgICB0aGlzLmVuc3VyZVJ1bm5pbmdTdGFnZSgpO1xuICAgICAgICByZXR1cm4gdGhpcy5faW1wbC5zdGF0ZTtcbiAgICB9XG59XG4iXX0=
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZmluaXRlLXN0YXRlLW1hY2hpbmUuanMiLCJzb3VyY2VSb290Ijoibmc6Ly9AcG9scHdhcmUvZmUtYmVoYXZpb3IvIiwic291cmNlcyI6WyJsaWIvc3RhdGUvZmluaXRlLXN0YXRlLW1hY2hpbmUudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7OztBQU1BLE9BQU8sS0FBSyxZQUFZLE1BQU0sMkJBQTJCLENBQUM7QUFDMUQsT0FBTyxFQUFFLE9BQU8sSUFBSSxVQUFVLEVBQUUsTUFBTSx3QkFBd0IsQ0FBQztBQUMvRCxPQUFPLEVBQWMsYUFBYSxFQUFFLE9BQU8sRUFBRSxNQUFNLE1BQU0sQ0FBQztBQUMxRCxPQUFPLEVBQUUsb0JBQW9CLEVBQUUsTUFBTSxFQUFFLEdBQUcsRUFBRSxNQUFNLGdCQUFnQixDQUFDO0FBQ25FLE9BQU8sRUFDSCxpQkFBaUIsRUFDakIsZUFBZSxFQU1mLGtCQUFrQixFQUNyQixNQUFNLHNCQUFzQixDQUFDO0FBQzlCLE9BQU8sRUFBRSxTQUFTLEVBQUUsYUFBYSxFQUFFLE1BQU0sa0JBQWtCLENBQUM7QUFDNUQsT0FBTyxFQUFFLFVBQVUsRUFBRSxjQUFjLEVBQUUsTUFBTSxTQUFTLENBQUM7QUFDckQsT0FBTyxFQUFFLGlCQUFpQixFQUFtQixNQUFNLGtCQUFrQixDQUFDO0FBQ3RFLE9BQU8sRUFBRSxhQUFhLEVBQW1CLE1BQU0sa0JBQWtCLENBQUM7QUFDbEUsT0FBTyxFQUFjLGlCQUFpQixFQUFFLE1BQU0sYUFBYSxDQUFDO0FBQzVELE9BQU8sRUFBRSx1QkFBdUIsRUFBc0IsTUFBTSxzQkFBc0IsQ0FBQzs7O01BRzdFLENBQUMsR0FBRyxZQUFZLENBQUMsVUFBVTs7TUFDM0IsWUFBWSxHQUFHLFlBQVksQ0FBQyxjQUFjLENBQUM7O01BQzNDLE9BQU8sR0FBRyxDQUFDLENBQUMsT0FBTzs7TUFDbkIsT0FBTyxHQUFHLENBQUMsQ0FBQyxPQUFPOztNQUNuQixtQkFBbUIsR0FBRyxhQUFhOztNQUNuQyxjQUFjLEdBQUcsR0FBRzs7O01BRXBCLGFBQWEsR0FBRyxHQUFHOztNQUNuQixhQUFhLEdBQUcsU0FBUzs7TUFDekIsa0JBQWtCLEdBQUcsOENBQThDOzs7O01BR25FLGVBQWUsR0FBRyxDQUFDOztNQUNuQixnQkFBZ0IsR0FBRyxHQUFHOztNQUN0QixpQkFBaUIsR0FBRyxDQUFDLFFBQVEsRUFBRSxPQUFPLEVBQUUsU0FBUyxDQUFDOzs7O0FBR3hELDJCQUtDOzs7SUFKRyw2QkFBYzs7Ozs7SUFDZCxxREFBK0I7Ozs7O0lBQy9CLDhEQUF3Qzs7Ozs7SUFDeEMsNERBQWtDOzs7Ozs7Ozs7QUFRdEMscUNBV0M7OztJQVZHLHFDQUFtQjs7SUFDbkIsK0JBQWE7O0lBQ2IsNkJBQVc7O0lBQ1gsaUNBQWdCOztJQUVoQixnQ0FBZTs7SUFFZixrQ0FBYzs7SUFFZCxrQ0FBbUI7Ozs7Ozs7QUFNdkIseUNBS0M7OztJQUpHLHNDQUFrQjs7SUFDbEIsdUNBQW1COztJQUVuQix3Q0FBcUQ7Ozs7OztBQU16RCxpQ0FNQzs7O0lBSkcsMkJBQWE7O0lBQ2IsMkJBQWE7O0lBQ2IseUJBQVc7O0lBQ1gsNEJBQVk7Ozs7Ozs7QUFNaEIsbUNBU0M7OztJQVJHLG1DQUFtQjs7SUFDbkIsNkJBQWE7O0lBQ2IsMkJBQVc7O0lBQ1gsK0JBQWU7O0lBRWYsZ0NBQWM7O0lBRWQsa0NBQW1COzs7Ozs7OztBQU92QiwrQkFZQzs7O0lBWEcsNEJBQWdCOztJQUVoQiwwQkFBaUM7O0lBQ2pDLDRCQUFrQjs7SUFDbEIsNEJBQXNDOztJQUd0QywyQkFBc0M7O0lBR3RDLCtCQUF1Qzs7Ozs7O0FBNkIzQyxtQ0FZQzs7O0lBVEcsK0JBQWdCOztJQUVoQixnQ0FBaUI7O0lBR2pCLCtCQUFnQjs7SUFHaEIsOEJBQWdCOzs7OztBQUdwQixrQ0FRQzs7O0lBUEcsOENBQXFDOztJQUNyQyw4Q0FBcUM7O0lBQ3JDLHFDQUFnQjs7SUFDaEIsc0NBQWlCOztJQUNqQix1Q0FBd0I7O0lBQ3hCLHFDQUFlOztJQUNmLG9DQUFnQjs7Ozs7QUFHcEIsbUNBRUM7OztJQURHLHlDQUFrQjs7Ozs7O0FBR3RCLDBDQU9DOzs7SUFKRyxvQ0FBZTs7SUFHZiw2Q0FBdUI7Ozs7O0FBRzNCLHlDQUtDOzs7SUFKRyw0Q0FBZTs7SUFDZiwwQ0FBYzs7SUFDZCxtREFBdUI7O0lBQ3ZCLDRDQUFlOzs7Ozs7QUFHbkIsd0NBaUJDOzs7SUFmRyxtQ0FBNEI7O0lBRTVCLG1DQUFlOztJQUVmLG9DQUE4Qjs7SUFHOUIsbUNBQWU7O0lBSWYsMENBQXNCOztJQUd0QixzQ0FBbUI7Ozs7O0FBR3ZCLHVDQVdDOzs7SUFWRyx3Q0FBYTs7SUFDYixzQ0FBVzs7SUFDWCxvREFBc0M7O0lBQ3RDLG1EQUFxQzs7SUFDckMseUNBQWtCOztJQUNsQix5Q0FBZTs7SUFDZiwwQ0FBb0I7O0lBQ3BCLHlDQUFlOztJQUNmLGdEQUFzQjs7SUFDdEIsNENBQW1COzs7OztBQUd2QixtQ0FHQzs7O0lBRkcsb0NBQWE7O0lBQ2IscUNBQXFCOzs7Ozs7Ozs7QUFPekIsU0FBUyxxQkFBcUIsQ0FBQyxPQUEyQyxFQUFFLEdBQVc7SUFDbkYsT0FBTyxVQUFTLElBQVM7O2NBQ2YsV0FBVyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUM7UUFDaEMsSUFBSSxDQUFDLFdBQVcsRUFBRTtZQUNkLE9BQU87U0FDVjtRQUNELEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxXQUFXLENBQUMsTUFBTSxFQUFFLENBQUMsRUFBRSxFQUFFOztrQkFDbkMsSUFBSSxHQUFHLFdBQVcsQ0FBQyxDQUFDLENBQUM7WUFDM0IsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUUsU0FBUyxDQUFDLENBQUM7U0FDL0I7SUFDTCxDQUFDLENBQUM7QUFDTixDQUFDOzs7Ozs7Ozs7O0FBUUQsU0FBUyxtQkFBbUIsQ0FBQyxRQUF1QixFQUFFLE1BQXFCOztRQUNuRSxDQUFDLEdBQUcsQ0FBQztJQUNULE9BQU8sQ0FBQyxHQUFHLFFBQVEsQ0FBQyxNQUFNLElBQUksQ0FBQyxHQUFHLE1BQU0sQ0FBQyxNQUFNLElBQUksUUFBUSxDQUFDLENBQUMsQ0FBQyxLQUFLLE1BQU0sQ0FBQyxDQUFDLENBQUMsRUFBRTtRQUMxRSxDQUFDLEVBQUUsQ0FBQztLQUNQO0lBQ0QsT0FBTztRQUNILElBQUksRUFBRSxRQUFRLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sRUFBRTtRQUNqQyxLQUFLLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7S0FDekIsQ0FBQztBQUNOLENBQUM7Ozs7Ozs7Ozs7QUFPRCxTQUFTLGdCQUFnQixDQUFDLFNBQW9DLEVBQUUsU0FBMEIsRUFBRSxRQUFnQixDQUFDO0lBQ3pHLEtBQUssSUFBSSxDQUFDLEdBQUcsS0FBSyxFQUFFLENBQUMsR0FBRyxTQUFTLENBQUMsTUFBTSxFQUFFLENBQUMsRUFBRSxFQUFFOztjQUNyQyxNQUFNLEdBQVEsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQztRQUMzQyxJQUFJLE1BQU0sS0FBSyxLQUFLLEVBQUU7WUFDbEIsT0FBTyxLQUFLLENBQUM7U0FDaEI7UUFDRCxJQUFJLE1BQU0sSUFBSSxPQUFPLE1BQU0sQ0FBQyxJQUFJLEtBQUssVUFBVSxFQUFFO1lBQzdDLE9BQU8sTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLEtBQUssRUFBRSxFQUFFO2dCQUN6QixPQUFPLEtBQUssS0FBSyxLQUFLLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsZ0JBQWdCLENBQUMsU0FBUyxFQUFFLFNBQVMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7WUFDbkYsQ0FBQyxDQUFDLENBQUM7U0FDTjtLQUNKO0FBQ0wsQ0FBQzs7Ozs7Ozs7Ozs7QUFPRCxTQUFTLGdCQUFnQixDQUFDLFVBQWlDLEVBQUUsU0FBMEIsRUFDbkYsSUFBNEIsRUFBRSxRQUFnQixDQUFDO0lBQy9DLElBQUksS0FBSyxJQUFJLFVBQVUsQ0FBQyxNQUFNLEVBQUU7UUFDNUIsT0FBTyxJQUFJLENBQUMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxDQUFDO0tBQ2xDOztRQUNHLE1BQU0sR0FBRyxLQUFLO0lBQ2xCLE9BQU8sVUFBVSxDQUFDLEtBQUssQ0FBQyxDQUFDLFNBQVMsRUFBRSxVQUFTLE9BQWE7UUFDdEQsSUFBSSxNQUFNLEVBQUU7WUFDUixNQUFNLElBQUksS0FBSyxDQUFDLCtCQUErQixHQUFHLFNBQVMsQ0FBQyxVQUFVLENBQUMsQ0FBQztTQUMzRTtRQUNELE1BQU0sR0FBRyxJQUFJLENBQUM7UUFDZCxJQUFJLFNBQVMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO1lBQ3RCLFNBQVMsQ0FBQyxPQUFPLEdBQUcsT0FBTyxDQUFDO1NBQy9CO1FBQ0QsT0FBTyxnQkFBZ0IsQ0FBQyxVQUFVLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFDcEUsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDOzs7Ozs7Ozs7QUFLRCxTQUFTLG1CQUFtQixDQUFDLFNBQWlCLEVBQUUsSUFBWSxFQUFFLEVBQVUsRUFBRSxLQUFXOztVQUMzRSxJQUFJLEdBQUcsVUFBVSxDQUFDLGtCQUFrQixFQUFFO1FBQ3hDLElBQUksRUFBRSxTQUFTO1FBQ2YsSUFBSSxFQUFFLElBQUk7UUFDVixFQUFFLEVBQUUsRUFBRTtLQUNULENBQUM7SUFDRixPQUFPLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDO0lBQ2xCLElBQUksS0FBSyxFQUFFO1FBQ1AsT0FBTyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsQ0FBQztLQUN0QjtBQUNMLENBQUM7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7OztBQXNCRCxNQUFNLE9BQU8sa0JBQWtCO0lBZ0QzQjtRQUNJLElBQUksQ0FBQyxNQUFNLEdBQUcsSUFBSSxDQUFDO1FBQ25CLElBQUksQ0FBQyxVQUFVLEdBQUcsSUFBSSxDQUFDO1FBQ3ZCLElBQUksQ0FBQyxRQUFRLEdBQUcsRUFBRSxDQUFDO1FBQ25CLElBQUksQ0FBQyxVQUFVLEdBQUcsS0FBSyxDQUFDO1FBQ3hCLElBQUksQ0FBQyxnQkFBZ0IsR0FBRyxRQUFRLENBQUM7UUFDakMsSUFBSSxDQUFDLGVBQWUsR0FBRyxFQUFFLENBQUM7UUFDMUIsSUFBSSxDQUFDLGFBQWEsR0FBRyxJQUFJLENBQUM7UUFDMUIsSUFBSSxDQUFDLG9CQUFvQixHQUFHLEVBQUUsQ0FBQztRQUMvQixJQUFJLENBQUMscUJBQXFCLEdBQUcsRUFBRSxDQUFDO1FBQ2hDLElBQUksQ0FBQyxXQUFXLEdBQUcsRUFBRSxDQUFDO1FBQ3RCLElBQUksQ0FBQyxtQkFBbUIsR0FBRyxFQUFFLENBQUM7UUFDOUIsSUFBSSxDQUFDLHdCQUF3QixHQUFHLEVBQUUsQ0FBQztRQUNuQyxJQUFJLENBQUMscUJBQXFCLEdBQUcsRUFBRSxDQUFDO1FBQ2hDLElBQUksQ0FBQyxtQkFBbUIsR0FBRyxFQUFFLENBQUM7UUFDOUIsbURBQW1EO1FBQ25ELElBQUksQ0FBQyxTQUFTLEdBQUc7WUFDYixZQUFZLEVBQUUsRUFBRTtZQUNoQixZQUFZLEVBQUUsRUFBRTtZQUNoQixlQUFlLEVBQUUsRUFBRTtTQUN0QixDQUFDO1FBQ0YsSUFBSSxDQUFDLFdBQVcsR0FBRyxFQUFFLENBQUM7UUFDdEIsSUFBSSxDQUFDLFFBQVEsR0FBRyxFQUFFLENBQUM7UUFDbkIsSUFBSSxDQUFDLGFBQWEsR0FBRyxnQkFBZ0IsQ0FBQztRQUN0QyxJQUFJLENBQUMsT0FBTyxHQUFHLEVBQUUsQ0FBQztRQUNsQixJQUFJLENBQUMsUUFBUSxHQUFHLEVBQUUsQ0FBQztRQUNuQixJQUFJLENBQUMsY0FBYyxHQUFHLEVBQUUsQ0FBQztRQUN6QixJQUFJLENBQUMsZ0JBQWdCLEdBQUcsSUFBSSxDQUFDO1FBQzdCLElBQUksQ0FBQyxVQUFVLEdBQUcsaUJBQWlCLENBQUM7UUFDcEMsSUFBSSxDQUFDLE9BQU8sR0FBRyxFQUFFLENBQUM7UUFDbEIsSUFBSSxDQUFDLFVBQVUsR0FBRyx1QkFBdUIsQ0FBQztRQUMxQyxJQUFJLENBQUMsU0FBUyxHQUFHLEtBQUssQ0FBQztRQUN2QixJQUFJLENBQUMscUJBQXFCLEdBQUcsSUFBSSxhQUFhLENBQTRCLENBQUMsQ0FBQyxDQUFDO1FBQzdFLElBQUksQ0FBQyxrQkFBa0IsR0FBRyxJQUFJLE9BQU8sRUFBbUIsQ0FBQztRQUN6RCxJQUFJLENBQUMsYUFBYSxHQUFHLElBQUksT0FBTyxFQUFlLENBQUM7UUFDaEQsSUFBSSxDQUFDLGVBQWUsR0FBRyxJQUFJLGFBQWEsQ0FBTSxDQUFDLENBQUMsQ0FBQztRQUNqRCxJQUFJLENBQUMsY0FBYyxHQUFHLG1CQUF1QyxJQUFJLENBQUMscUJBQXFCLENBQUMsWUFBWSxFQUFFLEVBQUEsQ0FBQztRQUN2RyxJQUFJLENBQUMsTUFBTSxHQUFHLElBQUksQ0FBQyxVQUFVLEVBQUUsQ0FBQztRQUNoQyxJQUFJLENBQUMsWUFBWSxHQUFHLG1CQUF1RCxJQUFJLENBQUMsa0JBQWtCLENBQUMsWUFBWSxFQUFFLEVBQUEsQ0FBQztRQUNsSCxJQUFJLENBQUMsT0FBTyxHQUFHLElBQUksQ0FBQyxhQUFhLENBQUMsWUFBWSxFQUFFLENBQUM7UUFDakQsSUFBSSxDQUFDLFFBQVEsR0FBRyxtQkFBc0IsSUFBSSxDQUFDLGVBQWUsQ0FBQyxZQUFZLEVBQUUsRUFBQSxDQUFDO0lBQzlFLENBQUM7Ozs7Ozs7Ozs7Ozs7O0lBV0QsTUFBTSxDQUFDLGNBQWMsQ0FDaUIsVUFBOEIsRUFDaEUsZUFBd0M7O2NBQ2xDLE1BQU0sR0FBRyxrQkFBa0IsQ0FBQyxVQUFVLENBQUM7UUFDN0MsSUFBSSxNQUFNLENBQUMsTUFBTSxFQUFFO1lBQ2YsTUFBTSxJQUFJLGVBQWUsQ0FBQyxNQUFNLENBQUMsQ0FBQztTQUNyQztRQUVELGVBQWUsR0FBRyxlQUFlLElBQUksRUFBRSxDQUFDOztjQUNsQyxNQUFNLEdBQUcsQ0FBQyxJQUFZLEVBQUUsSUFBWSxFQUFFLEVBQUU7WUFDMUMsSUFBSSxDQUFDLElBQUksRUFBRTtnQkFDUCxPQUFPLFNBQVMsQ0FBQzthQUNwQjtZQUNELElBQUksQ0FBQyxlQUFlLENBQUMsY0FBYyxDQUFDLElBQUksQ0FBQyxJQUFJLE9BQU8sZUFBZSxDQUFDLElBQUksQ0FBQyxLQUFLLFVBQVUsRUFBRTtnQkFDdEYsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLDRCQUE0QixHQUFHLElBQUksRUFBRSxDQUFDLENBQUM7Z0JBQzFFLE9BQU8sU0FBUyxDQUFDO2FBQ3BCO1lBQ0QsT0FBTyxlQUFlLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDakMsQ0FBQzs7O2NBRUssT0FBTyxHQUFHLENBQUMsSUFBWSxFQUFFLEVBQWMsRUFBRSxFQUFFO1lBQzdDLElBQUk7Z0JBQ0EsRUFBRSxFQUFFLENBQUM7YUFDUjtZQUFDLE9BQU8sQ0FBQyxFQUFFO2dCQUNSLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRSxDQUFDLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQzthQUNuRDtRQUNMLENBQUM7O2NBRUssR0FBRyxHQUEyQyxJQUFJLGtCQUFrQixFQUFFO1FBQzVFLElBQUksVUFBVSxDQUFDLE9BQU8sS0FBSyxTQUFTLEVBQUU7WUFDbEMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLENBQUM7U0FDdEM7UUFDRCxHQUFHLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsU0FBUyxDQUFDLENBQUM7UUFDekMsSUFBSSxVQUFVLENBQUMsZUFBZSxFQUFFO1lBQzVCLE9BQU8sQ0FBQyxrQkFBa0IsRUFBRSxHQUFHLEVBQUUsQ0FBQyxHQUFHLENBQUMsa0JBQWtCLENBQUMsbUJBQXFCLFVBQVUsQ0FBQyxlQUFlLEVBQUEsQ0FBQyxDQUFDLENBQUM7U0FDOUc7UUFDRCxDQUFDLFVBQVUsQ0FBQyxPQUFPLElBQUksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFO1lBQ3hDLE9BQU8sQ0FBQyxXQUFXLEdBQUcsQ0FBQyxFQUFFLEdBQUcsRUFBRSxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztRQUNyRSxDQUFDLENBQUMsQ0FBQztRQUNILFVBQVUsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLENBQUMsRUFBb0IsRUFBRSxDQUFDLEVBQUUsRUFBRTs7a0JBQzVDLElBQUksR0FBRyxVQUFVLEdBQUcsQ0FBQzs7a0JBQ3JCLE9BQU8sR0FBRyxNQUFNLENBQUMsRUFBRSxDQUFDLE9BQU8sRUFBRSxJQUFJLEdBQUcsVUFBVSxDQUFDOztrQkFDL0MsT0FBTyxHQUFHLE1BQU0sQ0FBQyxFQUFFLENBQUMsT0FBTyxFQUFFLElBQUksR0FBRyxVQUFVLENBQUM7WUFDckQsT0FBTyxDQUFDLElBQUksRUFBRSxHQUFHLEVBQUUsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxJQUFJLEVBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRTtnQkFDeEQsTUFBTSxFQUFFLEVBQUUsQ0FBQyxNQUFNO2dCQUNqQixPQUFPLEVBQUUsRUFBRSxDQUFDLE9BQU87Z0JBQ25CLE1BQU0sRUFBRSxFQUFFLENBQUMsTUFBTTtnQkFDakIsS0FBSyxFQUFFLEVBQUUsQ0FBQyxLQUFLO2FBQ2xCLENBQUMsQ0FBQyxDQUFDO1FBQ1IsQ0FBQyxDQUFDLENBQUM7UUFDSCxDQUFDLFVBQVUsQ0FBQyxhQUFhLElBQUksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBMEIsRUFBRSxDQUFDLEVBQUUsRUFBRTtZQUN2RSxPQUFPLENBQUMsaUJBQWlCLEdBQUcsQ0FBQyxFQUFFLEdBQUcsRUFBRSxDQUFDLEdBQUcsQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsTUFBTSxFQUFFO2dCQUN2RSxJQUFJLEVBQUUsQ0FBQyxDQUFDLElBQUk7Z0JBQ1osYUFBYSxFQUFFLENBQUMsQ0FBQyxhQUFhO2FBQ2pDLENBQUMsQ0FBQyxDQUFDO1FBQ1IsQ0FBQyxDQUFDLENBQUM7UUFDSCxDQUFDLFVBQVUsQ0FBQyxXQUFXLElBQUksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsRUFBeUIsRUFBRSxDQUFDLEVBQUUsRUFBRTs7a0JBQzlELElBQUksR0FBRyxlQUFlLEdBQUcsQ0FBQzs7a0JBQzFCLE9BQU8sR0FBRyxNQUFNLENBQUMsRUFBRSxDQUFDLE9BQU8sRUFBRSxJQUFJLEdBQUcsVUFBVSxDQUFDOztrQkFDL0MsUUFBUSxHQUFHLE1BQU0sQ0FBQyxFQUFFLENBQUMsUUFBUSxFQUFFLElBQUksR0FBRyxXQUFXLENBQUM7O2tCQUNsRCxLQUFLLEdBQUcsTUFBTSxDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsSUFBSSxHQUFHLFFBQVEsQ0FBQzs7a0JBQ3pDLE1BQU0sR0FBRyxPQUFPLEVBQUUsQ0FBQyxNQUFNLEtBQUssUUFBUSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sRUFBRSxJQUFJLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxNQUFNO1lBQzlGLE9BQU8sQ0FBQyxJQUFJLEVBQUUsR0FBRyxFQUFFLENBQUMsR0FBRyxDQUFDLGFBQWEsQ0FBQyxFQUFFLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQyxFQUFFLEVBQUUsT0FBTyxFQUFFLFFBQVEsRUFBRTtnQkFDckUsS0FBSyxFQUFFLEtBQUs7Z0JBQ1osS0FBSyxFQUFFLEVBQUUsQ0FBQyxLQUFLO2dCQUNmLE1BQU0sRUFBRSxNQUFNO2dCQUNkLEtBQUssRUFBRSxFQUFFLENBQUMsS0FBSztnQkFDZixZQUFZLEVBQUUsRUFBRSxDQUFDLFlBQVk7Z0JBQzdCLFFBQVEsRUFBRSxFQUFFLENBQUMsUUFBUTthQUN4QixDQUFDLENBQUMsQ0FBQztRQUNSLENBQUMsQ0FBQyxDQUFDOzs7Y0FHRyxTQUFTLEdBQUcsR0FBRyxDQUFDLG1CQUFtQjtRQUN6QyxJQUFJLFVBQVUsQ0FBQyxPQUFPLEVBQUU7WUFDcEIsSUFBSSxTQUFTLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxFQUFFO2dCQUMvQixHQUFHLENBQUMsWUFBWSxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsQ0FBQzthQUN4QztpQkFBTTtnQkFDSCxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxPQUFPLEVBQUUsbUJBQW1CLEdBQUcsVUFBVSxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7YUFDeEY7U0FDSjtRQUNELENBQUMsVUFBVSxDQUFDLE9BQU8sSUFBSSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUU7WUFDeEMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksU0FBUyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxNQUFNLEtBQUssQ0FBQyxDQUFDLElBQUksRUFBRTtnQkFDakUsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxXQUFXLEdBQUcsQ0FBQyxHQUFHLFVBQVUsRUFBRSxPQUFPLEVBQUUsNkJBQTZCLEdBQUcsQ0FBQyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7YUFDM0c7UUFDTCxDQUFDLENBQUMsQ0FBQztRQUNILFVBQVUsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLENBQUMsRUFBb0IsRUFBRSxDQUFDLEVBQUUsRUFBRTs7a0JBQzVDLElBQUksR0FBRyxTQUFTLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQztZQUMvQixJQUFJLElBQUksSUFBSSxFQUFFLENBQUMsT0FBTyxJQUFJLE9BQU8sQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLEVBQUUsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLEVBQUU7Z0JBQzlELE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsVUFBVSxHQUFHLENBQUMsR0FBRyxVQUFVLEVBQUUsT0FBTyxFQUFFLGlDQUFpQyxHQUFHLEVBQUUsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO2FBQy9HO1FBQ0wsQ0FBQyxDQUFDLENBQUM7UUFDSCxDQUFDLFVBQVUsQ0FBQyxhQUFhLElBQUksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBMEIsRUFBRSxDQUFDLEVBQUUsRUFBRTtZQUN2RSxJQUFJLFNBQVMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLFFBQVEsQ0FBQyxNQUFNLEVBQUU7Z0JBQzdELE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsaUJBQWlCLEdBQUcsQ0FBQyxHQUFHLFNBQVMsRUFBRSxPQUFPLEVBQUUsb0NBQW9DLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUM7YUFDcEg7O2tCQUNLLE1BQU0sR0FBRyxDQUFDLENBQUMsYUFBYTtZQUM5QixJQUFJLE1BQU0sSUFBSSxDQUFDLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxJQUFJLE1BQU0sS0FBSyxDQUFDLENBQUMsTUFBTSxJQUFJLE9BQU8sQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRTtnQkFDcEcsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxpQkFBaUIsR0FBRyxDQUFDLEdBQUcsZ0JBQWdCLEVBQUUsT0FBTyxFQUFFLDRCQUE0QixHQUFHLE1BQU0sRUFBRSxDQUFDLENBQUM7YUFDbkg7UUFDTCxDQUFDLENBQUMsQ0FBQztRQUVILElBQUksTUFBTSxDQUFDLE1BQU0sRUFBRTtZQUNmLE1BQU0sSUFBSSxlQUFlLENBQUMsTUFBTSxDQUFDLENBQUM7U0FDckM7UUFDRCxHQUFHLENBQUMsZ0JBQWdCLEdBQUcsZUFBZSxDQUFDO1FBQ3ZDLE9BQU8sR0FBRyxDQUFDO0lBQ2YsQ0FBQzs7Ozs7Ozs7Ozs7O0lBU0QsTUFBTSxDQUFDLFNBQVMsQ0FDWixHQUFXLEVBQUUsZUFBd0M7UUFDckQsT0FBTyxrQkFBa0IsQ0FBQyxjQUFjLENBQWtDLFVBQVUsQ0FBQyxHQUFHLENBQUMsRUFBRSxlQUFlLENBQUMsQ0FBQztJQUNoSCxDQUFDOzs7Ozs7SUFLTyxvQkFBb0I7UUFDeEIsSUFBSSxJQUFJLENBQUMsU0FBUyxFQUFFO1lBQ2hCLE1BQU0sSUFBSSxLQUFLLENBQUMsa0NBQWtDLENBQUMsQ0FBQztTQUN2RDtRQUNELElBQUksSUFBSSxDQUFDLE1BQU0sRUFBRTtZQUNiLE1BQU0sSUFBSSxLQUFLLENBQUMsNEJBQTRCLENBQUMsQ0FBQztTQUNqRDtJQUNMLENBQUM7Ozs7OztJQUtPLGtCQUFrQjtRQUN0QixJQUFJLElBQUksQ0FBQyxTQUFTLEVBQUU7WUFDaEIsTUFBTSxJQUFJLEtBQUssQ0FBQyxrQ0FBa0MsQ0FBQyxDQUFDO1NBQ3ZEO1FBQ0QsSUFBSSxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUU7WUFDZCxNQUFNLElBQUksS0FBSyxDQUFDLG9DQUFvQyxDQUFDLENBQUM7U0FDekQ7SUFDTCxDQUFDOzs7Ozs7OztJQU1PLE1BQU0sQ0FBQyxJQUFZOztjQUNqQixTQUFTLEdBQUcsSUFBSSxDQUFDLG1CQUFtQjs7Y0FDcEMsSUFBSSxHQUFrQixFQUFFO1FBQzlCLEtBQUssSUFBSSxDQUFDLEdBQUcsSUFBSSxFQUFFLENBQUMsRUFBRSxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sRUFBRTtZQUMzQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO1NBQ25CO1FBQ0QsT0FBTyxJQUFJLENBQUM7SUFDaEIsQ0FBQzs7Ozs7Ozs7SUFNTyxrQkFBa0IsQ0FBQyxJQUFZOztjQUM3QixTQUFTLEdBQUcsSUFBSSxDQUFDLG1CQUFtQjs7WUFDdEMsSUFBSSxHQUFHLFNBQVMsQ0FBQyxJQUFJLENBQUM7UUFDMUIsT0FBTyxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7WUFDN0IsSUFBSSxHQUFHLElBQUksQ0FBQyxPQUFPLElBQUksSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN4QyxJQUFJLEdBQUcsU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDO1NBQzFCO1FBQ0QsT0FBTyxJQUFJLENBQUM7SUFDaEIsQ0FBQzs7Ozs7Ozs7SUFNTyxjQUFjLENBQUMsSUFBWTs7Y0FDekIsSUFBSSxHQUFHLElBQUksQ0FBQyxtQkFBbUIsQ0FBQyxJQUFJLENBQUM7UUFDM0MsSUFBSSxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUU7WUFDNUIsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDO1NBQ2pCOztZQUNHLE1BQU0sR0FBa0IsRUFBRTtRQUM5QixLQUFLLE1BQU0sS0FBSyxJQUFJLElBQUksQ0FBQyxRQUFRLEVBQUU7WUFDL0IsTUFBTSxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLGNBQWMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO1NBQ3REO1FBQ0QsT0FBTyxNQUFNLENBQUM7SUFDbEIsQ0FBQzs7Ozs7Ozs7Ozs7O0lBU08sdUJBQXVCLENBQUMsU0FBb0MsRUFBRSxTQUEwQjs7Y0FDdEYsTUFBTSxHQUFHLGdCQUFnQixDQUFDLFNBQVMsRUFBRSxTQUFTLENBQUM7UUFDckQsSUFBSSxDQUFDLE1BQU0sSUFBSSxPQUFPLE1BQU0sQ0FBQyxJQUFJLEtBQUssVUFBVSxFQUFFO1lBQzlDLE9BQU8sTUFBTSxDQUFDO1NBQ2pCO1FBQ0QsSUFBSSxDQUFDLElBQUksQ0FBQyxVQUFVLEVBQUU7WUFDbEIsTUFBTSxJQUFJLEtBQUssQ0FBQyx3Q0FBd0MsR0FBRyxTQUFTLENBQUMsVUFBVSxDQUFDLENBQUM7U0FDcEY7UUFDRCxPQUFPLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxLQUFLLEVBQUUsRUFBRTtZQUN6QixJQUFJLEtBQUssS0FBSyxLQUFLLEVBQUU7Z0JBQ2pCLE1BQU0sSUFBSSxLQUFLLENBQUMsd0JBQXdCLEdBQUcsU0FBUyxDQUFDLFVBQVUsQ0FBQyxDQUFDO2FBQ3BFO1lBQ0QsT0FBTyxLQUFLLENBQUM7UUFDakIsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDOzs7Ozs7Ozs7SUFNTyxhQUFhLENBQUMsTUFBa0IsRUFBRSxTQUEwQjs7Y0FDMUQsUUFBUSxHQUFHLElBQUksQ0FBQyxRQUFROztjQUN4QixPQUFPLEdBQUcsT0FBTyxNQUFNLEtBQUssVUFBVSxDQUFDLENBQUM7WUFDMUMsQ0FBQyxtQkFBb0IsTUFBTSxFQUFBLENBQUMsQ0FBQyxRQUFRLEVBQUUsU0FBUyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7WUFDM0QsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxLQUFLLEVBQUUsRUFBRTtnQkFDMUIsT0FBTyxPQUFPLEtBQUssS0FBSyxVQUFVLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxRQUFRLEVBQUUsU0FBUyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUM7WUFDcEYsQ0FBQyxDQUFDO1FBQ04sSUFBSSxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUMsTUFBTSxDQUFDLEVBQUUsRUFBRSxRQUFRLEVBQUUsT0FBTyxDQUFDLENBQUM7UUFDaEQsU0FBUyxDQUFDLE9BQU8sR0FBRyxJQUFJLENBQUMsUUFBUSxDQUFDOztjQUU1QixNQUFNLEdBQXdCO1lBQ2hDLE9BQU8sRUFBRSxJQUFJLENBQUMsUUFBUTtZQUN0QixRQUFRLEVBQUUsUUFBUTtZQUNsQixTQUFTLEVBQUUsU0FBUztTQUN2QjtRQUNELElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxlQUFlLEVBQUUsR0FBRyxFQUFFO1lBQzlDLHFCQUFxQixDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsaUJBQWlCLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUNyRSxDQUFDLENBQUMsQ0FBQztRQUNILElBQUksQ0FBQyxhQUFhLEVBQUUsQ0FBQztJQUN6QixDQUFDOzs7Ozs7SUFLTyxhQUFhOztjQUNYLE9BQU8sR0FBRyxJQUFJLENBQUMsUUFBUTtRQUM3QixJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsU0FBUyxFQUFFLEdBQUcsRUFBRSxDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7SUFDM0YsQ0FBQzs7Ozs7Ozs7OztJQUtPLFdBQVcsQ0FBQyxJQUFZLEVBQUUsSUFBWSxFQUFFLEVBQVUsRUFBRSxLQUFXOztjQUM3RCxZQUFZLEdBQUcsSUFBSSxDQUFDLGFBQWEsSUFBSSxtQkFBbUI7UUFDOUQsWUFBWSxDQUFDLElBQUksRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFLEtBQUssQ0FBQyxDQUFDO1FBQ3BDLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxTQUFTLEVBQUUsR0FBRyxFQUFFO1lBQzVDLElBQUksQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUM7UUFDOUUsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDOzs7Ozs7Ozs7SUFNTyxPQUFPLENBQUMsU0FBcUIsRUFBRSxRQUFvQjtRQUN2RCxJQUFJLFNBQVMsSUFBSSxTQUFTLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtZQUNuQyxJQUFJLENBQUMsVUFBVSxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQztTQUNwQzthQUFNO1lBQ0gsUUFBUSxFQUFFLENBQUM7U0FDZDtJQUNMLENBQUM7Ozs7Ozs7O0lBTU8sWUFBWSxDQUFDLElBQVk7UUFDN0IsT0FBTyxJQUFJLENBQUMsd0JBQXdCLENBQUMsSUFBSSxDQUFDLElBQUksSUFBSSxDQUFDLHFCQUFxQixDQUFDLElBQUksQ0FBQyxDQUFDO0lBQ25GLENBQUM7Ozs7Ozs7O0lBTU8sT0FBTyxDQUFDLFNBQTJEOztjQUNqRSxJQUFJLEdBQUcsSUFBSSxDQUFDLFlBQVksQ0FBQyxTQUFTLENBQUMsVUFBVSxDQUFDOztjQUM5QyxRQUFRLEdBQUcsSUFBSSxDQUFDLG1CQUFtQixDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUU7O2NBQ3RGLE1BQU0sR0FBRyxJQUFJLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUM7UUFDeEMsSUFBSSxJQUFJLElBQUksSUFBSSxDQUFDLElBQUksS0FBSyxJQUFJLENBQUMsRUFBRSxFQUFFO1lBQy9CLElBQUksSUFBSSxDQUFDLFFBQVEsRUFBRTtnQkFDZixPQUFPLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsRUFBRSxFQUFFLENBQUM7YUFDbEM7O2tCQUNLLENBQUMsR0FBRyxPQUFPLENBQUMsUUFBUSxFQUFFLElBQUksQ0FBQyxJQUFJLENBQUM7WUFDdEMsT0FBTyxFQUFFLElBQUksRUFBRSxRQUFRLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sRUFBRSxFQUFFLEtBQUssRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7U0FDeEU7UUFDRCxPQUFPLG1CQUFtQixDQUFDLFFBQVEsRUFBRSxNQUFNLENBQUMsQ0FBQztJQUNqRCxDQUFDOzs7Ozs7O0lBS08sTUFBTSxDQUFDLE1BQWM7UUFDekIsTUFBTSxHQUFHLE1BQU0sSUFBSSxhQUFhLENBQUM7O2NBQzNCLElBQUksR0FBRyxJQUFJLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQztRQUNoQyxJQUFJLENBQUMsSUFBSSxFQUFFO1lBQ1AsTUFBTSxJQUFJLEtBQUssQ0FBQyxvQkFBb0IsR0FBRyxNQUFNLENBQUMsQ0FBQztTQUNsRDtRQUNELE9BQU8sSUFBSSxDQUFDO0lBQ2hCLENBQUM7Ozs7Ozs7Ozs7O0lBT0QsU0FBUyxDQUFDLElBQVksRUFBRSxTQUFpQjtRQUNyQyxpQkFBaUI7UUFDakIsbUJBQUEsSUFBSSxFQUFBLENBQUMsb0JBQW9CLEVBQUUsQ0FBQzs7Y0FDdEIsVUFBVSxHQUFHLG1CQUFBLElBQUksRUFBQSxDQUFDLG9CQUFvQjtRQUM1QyxJQUFJLElBQUksS0FBSyxhQUFhLElBQUksVUFBVSxDQUFDLElBQUksQ0FBQyxFQUFFO1lBQzVDLE1BQU0sSUFBSSxLQUFLLENBQUMsb0JBQW9CLEdBQUcsSUFBSSxDQUFDLENBQUM7U0FDaEQ7UUFDRCxVQUFVLENBQUMsSUFBSSxDQUFDLEdBQUc7WUFDZixTQUFTLEVBQUUsU0FBUztTQUN2QixDQUFDO1FBQ0YsT0FBTyxtQkFBQSxJQUFJLEVBQUEsQ0FBQztJQUNoQixDQUFDOzs7Ozs7Ozs7Ozs7Ozs7SUFTRCxRQUFRLENBQUMsSUFBWSxFQUNqQixlQUE4RCxFQUM5RCxlQUE4RCxFQUM5RCxPQUErQjtRQUMvQixpQkFBaUI7UUFDakIsbUJBQUEsSUFBSSxFQUFBLENBQUMsb0JBQW9CLEVBQUUsQ0FBQzs7Y0FDdEIsU0FBUyxHQUFHLG1CQUFBLElBQUksRUFBQSxDQUFDLG1CQUFtQjtRQUMxQyxJQUFJLFNBQVMsQ0FBQyxJQUFJLENBQUMsSUFBSSxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxxQkFBcUIsQ0FBQyxJQUFJLENBQUMsRUFBRTtZQUNyRCxNQUFNLElBQUksS0FBSyxDQUFDLG1CQUFtQixHQUFHLElBQUksQ0FBQyxDQUFDO1NBQy9DO1FBQ0QsT0FBTyxHQUFHLE9BQU8sSUFBSSxFQUFFLENBQUM7O1lBQ3BCLE1BQU0sR0FBVyxPQUFPLENBQUMsTUFBTTtRQUNuQyxJQUFJLE1BQU0sRUFBRTtZQUNSLElBQUksQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLEVBQUU7Z0JBQ3BCLE1BQU0sSUFBSSxLQUFLLENBQUMsMEJBQTBCLEdBQUcsTUFBTSxDQUFDLENBQUM7YUFDeEQ7U0FDSjthQUFNOztrQkFDRyxHQUFHLEdBQUcsSUFBSSxDQUFDLFdBQVcsQ0FBQyxjQUFjLENBQUM7WUFDNUMsSUFBSSxHQUFHLEdBQUcsQ0FBQyxJQUFJLFNBQVMsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUMsRUFBRSxHQUFHLENBQUMsQ0FBQyxFQUFFO2dCQUM5QyxNQUFNLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLEVBQUUsR0FBRyxDQUFDLENBQUM7YUFDbkM7U0FDSjs7WUFDRyxNQUFNLEdBQUcsT0FBTyxDQUFDLE1BQU0sSUFBSSxhQUFhO1FBQzVDLElBQUksTUFBTSxLQUFLLGFBQWEsSUFBSSxDQUFDLG1CQUFBLElBQUksRUFBQSxDQUFDLG9CQUFvQixDQUFDLE1BQU0sQ0FBQyxFQUFFO1lBQ2hFLE1BQU0sSUFBSSxLQUFLLENBQUMsb0JBQW9CLEdBQUcsTUFBTSxDQUFDLENBQUM7U0FDbEQ7UUFDRCxJQUFJLE1BQU0sRUFBRTtZQUNSLElBQUksT0FBTyxDQUFDLE1BQU0sSUFBSSxPQUFPLENBQUMsTUFBTSxLQUFLLFNBQVMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxNQUFNLEVBQUU7Z0JBQy9ELE1BQU0sSUFBSSxLQUFLLENBQUMsaURBQWlELEdBQUcsSUFBSSxDQUFDLENBQUM7YUFDN0U7WUFDRCxNQUFNLEdBQUcsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDLE1BQU0sQ0FBQztTQUNyQztRQUNELFNBQVMsQ0FBQyxJQUFJLENBQUMsR0FBRztZQUNkLGVBQWUsRUFBRSxlQUFlO1lBQ2hDLGVBQWUsRUFBRSxlQUFlO1lBQ2hDLE1BQU0sRUFBRSxNQUFNO1lBQ2QsT0FBTyxFQUFFLE9BQU8sQ0FBQyxPQUFPO1lBQ3hCLFFBQVEsRUFBRSxFQUFFO1lBQ1osTUFBTSxFQUFFLE1BQU07WUFDZCxLQUFLLEVBQUUsT0FBTyxDQUFDLEtBQUs7U0FDdkIsQ0FBQztRQUNGLElBQUksTUFBTSxFQUFFO1lBQ1IsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7U0FDekM7UUFDRCxPQUFPLG1CQUFBLElBQUksRUFBQSxDQUFDO0lBQ2hCLENBQUM7Ozs7Ozs7Ozs7Ozs7O0lBU0QsZUFBZSxDQUFDLElBQVksRUFBRSxNQUFjLEVBQUUsT0FBc0M7UUFDaEYsaUJBQWlCO1FBQ2pCLG1CQUFBLElBQUksRUFBQSxDQUFDLG9CQUFvQixFQUFFLENBQUM7O2NBQ3RCLFNBQVMsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxtQkFBbUI7O2NBQ3BDLFdBQVcsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxxQkFBcUI7UUFDOUMsSUFBSSxTQUFTLENBQUMsSUFBSSxDQUFDLElBQUksV0FBVyxDQUFDLElBQUksQ0FBQyxFQUFFO1lBQ3RDLE1BQU0sSUFBSSxLQUFLLENBQUMsbUJBQW1CLEdBQUcsSUFBSSxDQUFDLENBQUM7U0FDL0M7UUFDRCxJQUFJLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxFQUFFO1lBQ3BCLE1BQU0sSUFBSSxLQUFLLENBQUMsMEJBQTBCLEdBQUcsTUFBTSxDQUFDLENBQUM7U0FDeEQ7UUFDRCxPQUFPLEdBQUcsT0FBTyxJQUFJLEVBQUUsQ0FBQztRQUN4QixXQUFXLENBQUMsSUFBSSxDQUFDLEdBQUc7WUFDaEIsTUFBTSxFQUFFLE1BQU07WUFDZCxJQUFJLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJO1lBQ3BCLGFBQWEsRUFBRSxPQUFPLENBQUMsYUFBYTtZQUNwQyxNQUFNLEVBQUUsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDLE1BQU07U0FDbkMsQ0FBQztRQUNGLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQzs7Ozs7Ozs7SUFNTyxtQkFBbUIsQ0FBQyxJQUFZOztjQUM5QixJQUFJLEdBQUcsSUFBSSxDQUFDLHFCQUFxQixDQUFDLElBQUksQ0FBQzs7Y0FDdkMsSUFBSSxHQUFHLElBQUksQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQztRQUMxQyxJQUFJLENBQUMsSUFBSSxFQUFFO1lBQ1AsT0FBTyxJQUFJLENBQUMsa0JBQWtCLENBQUMsSUFBSSxDQUFDLGFBQWEsSUFBSSxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUM7U0FDckU7UUFDRCxJQUFJLElBQUksQ0FBQyxJQUFJLEVBQUU7WUFDWCxPQUFPLElBQUksQ0FBQztTQUNmOztjQUNLLElBQUksR0FBRyxJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQztRQUM5QixPQUFPLElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxJQUFJLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUN6RSxDQUFDOzs7Ozs7Ozs7SUFNTyxlQUFlLENBQUMsSUFBWSxFQUFFLElBQW1COztjQUMvQyxXQUFXLEdBQUcsSUFBSSxDQUFDLHFCQUFxQjtRQUM5QyxLQUFLLE1BQU0sQ0FBQyxJQUFJLFdBQVcsRUFBRTtZQUN6QixJQUFJLFdBQVcsQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLElBQUksT0FBTyxDQUFDLElBQUksRUFBRSxXQUFXLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFO2dCQUM1RSxJQUFJLENBQUMsV0FBVyxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsR0FBRyxJQUFJLENBQUM7YUFDbEQ7U0FDSjtJQUNMLENBQUM7Ozs7Ozs7O0lBS0QsWUFBWSxDQUFDLElBQVk7UUFDckIsaUJBQWlCO1FBQ2pCLG1CQUFBLElBQUksRUFBQSxDQUFDLG9CQUFvQixFQUFFLENBQUM7UUFFNUIsSUFBSSxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxVQUFVLEVBQUU7WUFDakIsTUFBTSxJQUFJLEtBQUssQ0FBQyx3QkFBd0IsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxVQUFVLENBQUMsQ0FBQztTQUMvRDtRQUNELG1CQUFBLElBQUksRUFBQSxDQUFDLFVBQVUsR0FBRyxJQUFJLENBQUM7UUFDdkIsT0FBTyxtQkFBQSxJQUFJLEVBQUEsQ0FBQztJQUNoQixDQUFDOzs7OztJQWFELFlBQVksQ0FBQyxLQUFjO1FBQ3ZCLGlCQUFpQjtRQUNqQixJQUFJLENBQUMsb0JBQW9CLEVBQUUsQ0FBQztRQUU1QixJQUFJLENBQUMsVUFBVSxHQUFHLEtBQUssQ0FBQztRQUN4QixPQUFPLElBQUksQ0FBQztJQUNoQixDQUFDOzs7Ozs7Ozs7OztJQVFELGtCQUFrQixDQUFDLE1BQTJCO1FBQzFDLGlCQUFpQjtRQUNqQixtQkFBQSxJQUFJLEVBQUEsQ0FBQyxvQkFBb0IsRUFBRSxDQUFDO1FBRTVCLElBQUksT0FBTyxDQUFDLGlCQUFpQixFQUFFLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRTtZQUN4QyxNQUFNLElBQUksS0FBSyxDQUFDLCtCQUErQixHQUFHLE1BQU0sQ0FBQyxDQUFDO1NBQzdEO1FBQ0QsbUJBQUEsSUFBSSxFQUFBLENBQUMsZ0JBQWdCLEdBQUcsTUFBTSxDQUFDO1FBQy9CLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQzs7Ozs7Ozs7OztJQU9ELFlBQVksQ0FBQyxTQUFxQjtRQUM5QixpQkFBaUI7UUFDakIsbUJBQUEsSUFBSSxFQUFBLENBQUMsb0JBQW9CLEVBQUUsQ0FBQztRQUU1QixtQkFBQSxJQUFJLEVBQUEsQ0FBQyxVQUFVLEdBQUcsU0FBUyxDQUFDO1FBQzVCLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQzs7Ozs7Ozs7OztJQU9ELG9CQUFvQixDQUFDLFFBQTRCO1FBQzdDLGlCQUFpQjtRQUNqQixtQkFBQSxJQUFJLEVBQUEsQ0FBQyxvQkFBb0IsRUFBRSxDQUFDO1FBRTVCLG1CQUFBLElBQUksRUFBQSxDQUFDLFVBQVUsR0FBRyxRQUFRLENBQUM7UUFDM0IsT0FBTyxtQkFBQSxJQUFJLEVBQUEsQ0FBQztJQUNoQixDQUFDOzs7Ozs7Ozs7SUFNRCxlQUFlLENBQUMsS0FBYTtRQUN6QixpQkFBaUI7UUFDakIsbUJBQUEsSUFBSSxFQUFBLENBQUMsb0JBQW9CLEVBQUUsQ0FBQztRQUU1QixtQkFBQSxJQUFJLEVBQUEsQ0FBQyxhQUFhLEdBQUcsS0FBSyxDQUFDO1FBQzNCLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQzs7Ozs7Ozs7Ozs7SUFRRCxVQUFVLENBQUMsT0FBaUI7UUFDeEIsaUJBQWlCO1FBQ2pCLG1CQUFBLElBQUksRUFBQSxDQUFDLG9CQUFvQixFQUFFLENBQUM7UUFFNUIsbUJBQUEsSUFBSSxFQUFBLENBQUMsUUFBUSxHQUFHLE9BQU8sQ0FBQztRQUN4QixPQUFPLG1CQUFBLElBQUksRUFBQSxDQUFDO0lBQ2hCLENBQUM7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7SUFlRCxhQUFhLENBQUMsSUFBWSxFQUN0QixFQUFVLEVBQ1YsZUFBOEQsRUFDOUQsZ0JBQStELEVBQy9ELE9BQXNEO1FBQ3RELGdCQUFnQjtRQUNoQixtQkFBQSxJQUFJLEVBQUEsQ0FBQyxvQkFBb0IsRUFBRSxDQUFDOztjQUV0QixTQUFTLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMsbUJBQW1COztjQUNwQyxjQUFjLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMsd0JBQXdCO1FBQ3BELElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLEVBQUU7WUFDbEIsTUFBTSxJQUFJLEtBQUssQ0FBQywwQkFBMEIsR0FBRyxJQUFJLENBQUMsQ0FBQztTQUN0RDs7Y0FDSyxNQUFNLEdBQUcsU0FBUyxDQUFDLEVBQUUsQ0FBQyxJQUFJLG1CQUFBLElBQUksRUFBQSxDQUFDLHFCQUFxQixDQUFDLEVBQUUsQ0FBQztRQUM5RCxJQUFJLENBQUMsTUFBTSxFQUFFO1lBQ1QsTUFBTSxJQUFJLEtBQUssQ0FBQywwQkFBMEIsR0FBRyxFQUFFLENBQUMsQ0FBQztTQUNwRDtRQUNELElBQUksU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sS0FBSyxNQUFNLENBQUMsTUFBTSxFQUFFO1lBQzFDLE1BQU0sSUFBSSxLQUFLLENBQUMsNkJBQTZCLEdBQUcsSUFBSSxHQUFHLE1BQU0sR0FBRyxFQUFFLENBQUMsQ0FBQztTQUN2RTs7Y0FDSyxHQUFHLEdBQUcsVUFBVSxDQUFDLG1CQUFtQixFQUFFLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxFQUFFLEVBQUUsRUFBRSxFQUFFLENBQUM7UUFDbkUsSUFBSSxjQUFjLENBQUMsR0FBRyxDQUFDLEVBQUU7WUFDckIsTUFBTSxJQUFJLEtBQUssQ0FBQyx3QkFBd0IsR0FBRyxJQUFJLEdBQUcsTUFBTSxHQUFHLEVBQUUsQ0FBQyxDQUFDO1NBQ2xFO1FBQ0QsT0FBTyxHQUFHLE9BQU8sSUFBSSxFQUFFLENBQUM7UUFDeEIsSUFBSSxPQUFPLENBQUMsWUFBWSxJQUFJLENBQUMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxZQUFZLENBQUMsRUFBRTtZQUMxRCxNQUFNLElBQUksS0FBSyxDQUFDLGdDQUFnQyxHQUFHLE9BQU8sQ0FBQyxZQUFZLENBQUMsQ0FBQztTQUM1RTtRQUNELElBQUksT0FBTyxDQUFDLFFBQVEsSUFBSSxJQUFJLEtBQUssRUFBRSxFQUFFO1lBQ2pDLE1BQU0sSUFBSSxLQUFLLENBQUMsd0NBQXdDLEdBQUcsSUFBSSxHQUFHLE1BQU0sR0FBRyxFQUFFLENBQUMsQ0FBQztTQUNsRjtRQUNELGNBQWMsQ0FBQyxHQUFHLENBQUMsR0FBRztZQUNsQixJQUFJLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxFQUFFO1lBQ2xCLGVBQWUsRUFBRSxlQUFlO1lBQ2hDLGdCQUFnQixFQUFFLGdCQUFnQjtZQUNsQyxLQUFLLEVBQUUsT0FBTyxDQUFDLEtBQUs7WUFDcEIsS0FBSyxFQUFFLE9BQU8sQ0FBQyxLQUFLO1lBQ3BCLE1BQU0sRUFBRSxPQUFPLENBQUMsTUFBTTtZQUN0QixLQUFLLEVBQUUsT0FBTyxDQUFDLEtBQUs7WUFDcEIsWUFBWSxFQUFFLE9BQU8sQ0FBQyxZQUFZO1lBQ2xDLFFBQVEsRUFBRSxPQUFPLENBQUMsUUFBUTtTQUM3QixDQUFDO1FBQ0YsSUFBSSxPQUFPLENBQUMsS0FBSyxFQUFFOztrQkFDVCxTQUFTLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMsbUJBQW1CO1lBQzFDLFNBQVMsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEdBQUcsU0FBUyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsSUFBSSxFQUFFLENBQUM7WUFDMUQsU0FBUyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7U0FDdEM7UUFDRCxPQUFPLG1CQUFBLElBQUksRUFBQSxDQUFDO0lBQ2hCLENBQUM7Ozs7Ozs7OztJQUtPLFVBQVUsQ0FBQyxNQUFjLEVBQUUsU0FBaUIsRUFBRSxTQUFrQjs7Y0FDOUQsU0FBUyxHQUFHLElBQUksQ0FBQyxtQkFBbUI7O2NBQ3BDLGNBQWMsR0FBRyxJQUFJLENBQUMsd0JBQXdCO1FBRXBELElBQUksQ0FBQyxTQUFTLENBQUMsU0FBUyxDQUFDLElBQUksU0FBUyxDQUFDLFNBQVMsQ0FBQyxDQUFDLE1BQU0sS0FBSyxNQUFNLEVBQUU7WUFDakUsTUFBTSxJQUFJLEtBQUssQ0FBQyx3QkFBd0IsR0FBRyxTQUFTLENBQUMsQ0FBQztTQUN6RDs7Y0FFSyxXQUFXLEdBQThFLEVBQUU7O2NBQzNGLE9BQU8sR0FBOEQsRUFBRTs7Ozs7Y0FLdkUsT0FBTyxHQUFHLENBQUMsQ0FBQyxNQUFNLENBQUMsRUFBRSxFQUFFLGNBQWMsRUFBRSxJQUFJLENBQUMscUJBQXFCLENBQUM7UUFDeEUsS0FBSyxNQUFNLEVBQUUsSUFBSSxPQUFPLEVBQUU7WUFDdEIsSUFBSSxPQUFPLENBQUMsY0FBYyxDQUFDLEVBQUUsQ0FBQyxFQUFFOztzQkFDdEIsS0FBSyxHQUE2QixPQUFPLENBQUMsRUFBRSxDQUFDO2dCQUNuRCxJQUFJLFNBQVMsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxLQUFLLE1BQU0sRUFBRTtvQkFDekMsU0FBUztpQkFDWjs7b0JBQ0csTUFBK0I7Z0JBQ25DLElBQUksS0FBSyxDQUFDLFFBQVEsRUFBRTtvQkFDaEIsNEJBQTRCO29CQUM1QixNQUFNLEdBQUcsYUFBYSxDQUFDO2lCQUMxQjtxQkFBTSxJQUFJLElBQUksQ0FBQyxxQkFBcUIsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEVBQUU7b0JBQzdDLHVEQUF1RDtvQkFDdkQsTUFBTSxHQUFHLEdBQUcsRUFBRSxDQUFDLElBQUksQ0FBQyxtQkFBbUIsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLENBQUM7aUJBQ3JEO3FCQUFNO29CQUNILE1BQU0sR0FBRyxJQUFJLENBQUMsa0JBQWtCLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFDO2lCQUM5QztnQkFDRCxXQUFXLENBQUMsSUFBSSxDQUFDO29CQUNiLElBQUksRUFBRSxFQUFFO29CQUNSLElBQUksRUFBRSxJQUFJLENBQUMsY0FBYyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUM7b0JBQ3JDLEVBQUUsRUFBRSxNQUFNO2lCQUNiLENBQUMsQ0FBQzthQUNOO1NBQ0o7O2NBRUssZ0JBQWdCLEdBQUcscUJBQXFCLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxjQUFjLENBQUM7O2NBQ3hFLGdCQUFnQixHQUFHLHFCQUFxQixDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsY0FBYyxDQUFDOzs7O1lBSTFFLEtBQUssR0FBb0IsSUFBSTs7Ozs7WUFLN0IsTUFBTSxHQUFHLFNBQVM7UUFFdEIsc0VBQXNFO1FBQ3RFLG1EQUFtRDtRQUNuRCxPQUFPLENBQUMsb0JBQW9CLENBQUMsR0FBRyxDQUFDLFNBQVMsRUFBRSxPQUFPLEVBQUUsRUFBRTtZQUNuRCxJQUFJLE1BQU0sRUFBRTtnQkFDUixPQUFPO2FBQ1Y7O2tCQUNLLElBQUksR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDLFNBQVMsQ0FBQyxVQUFVLENBQUM7WUFDcEQsS0FBSyxHQUFHO2dCQUNKLFVBQVUsRUFBRSxTQUFTLENBQUMsVUFBVTtnQkFDaEMsSUFBSSxFQUFFLFNBQVMsQ0FBQyxJQUFJO2dCQUNwQixFQUFFLEVBQUUsU0FBUyxDQUFDLEVBQUU7Z0JBQ2hCLE1BQU0sRUFBRSxNQUFNO2dCQUNkLEtBQUssRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLFNBQVM7Z0JBQ3BDLE9BQU8sRUFBRSxPQUFPO2dCQUNoQixPQUFPLEVBQUUsSUFBSSxDQUFDLFFBQVE7YUFDekIsQ0FBQztZQUNGLElBQUksSUFBSSxJQUFJLElBQUksQ0FBQyxnQkFBZ0IsRUFBRTtnQkFDL0IsT0FBTyxJQUFJLENBQUMsdUJBQXVCLENBQUMsQ0FBQyxJQUFJLENBQUMsZ0JBQWdCLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQzthQUN2RTtRQUNMLENBQUMsQ0FBQztRQUNGLDhEQUE4RDtRQUM5RCw0REFBNEQ7UUFDNUQsT0FBTyxDQUFDLGNBQWMsQ0FBQyxHQUFHLENBQUMsU0FBUyxFQUFFLEVBQUU7WUFDcEMsSUFBSSxNQUFNLEVBQUU7Z0JBQ1IsT0FBTzthQUNWOztrQkFDSyxJQUFJLEdBQUcsSUFBSSxDQUFDLFlBQVksQ0FBQyxTQUFTLENBQUMsVUFBVSxDQUFDO1lBQ3BELElBQUksSUFBSSxFQUFFOztzQkFDQSxJQUFJLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQyxJQUFJO2dCQUN6QyxJQUFJLENBQUMsd0JBQXdCLENBQUMsSUFBSSxDQUFDLENBQUM7Z0JBQ3BDLElBQUksQ0FBQyxlQUFlLENBQUMsU0FBUyxDQUFDLElBQUksRUFBRSxJQUFJLENBQUMsQ0FBQzthQUM5QztZQUNELElBQUksSUFBSSxJQUFJLElBQUksQ0FBQyxNQUFNLEVBQUU7Z0JBQ3JCLElBQUksQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxLQUFLLENBQUMsQ0FBQzthQUMxQztRQUNMLENBQUMsQ0FBQztRQUNGLE9BQU8sQ0FBQyxtQkFBbUIsQ0FBQyxHQUFHLENBQUMsU0FBUyxFQUFFLEVBQUU7WUFDekMsSUFBSSxNQUFNLEVBQUU7Z0JBQ1IsT0FBTzthQUNWOztrQkFDSyxJQUFJLEdBQUcsSUFBSSxDQUFDLFlBQVksQ0FBQyxTQUFTLENBQUMsVUFBVSxDQUFDO1lBQ3BELElBQUksSUFBSSxFQUFFO2dCQUNOLElBQUksQ0FBQyxhQUFhLENBQUMsS0FBSyxDQUFDLENBQUM7Z0JBQzFCLHNEQUFzRDtnQkFDdEQsSUFBSSxDQUFDLGNBQWMsQ0FBQyxNQUFNLENBQUMsR0FBRyxLQUFLLENBQUM7YUFDdkM7WUFDRCxJQUFJLElBQUksSUFBSSxJQUFJLENBQUMsZUFBZSxFQUFFO2dCQUM5QixJQUFJLENBQUMsZUFBZSxDQUFDLEtBQUssQ0FBQyxDQUFDO2FBQy9CO1FBQ0wsQ0FBQyxDQUFDO1FBQ0YsT0FBTyxDQUFDLGNBQWMsQ0FBQyxHQUFHLENBQUMsU0FBUyxFQUFFLEVBQUU7O2tCQUM5QixLQUFLLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUM7WUFDckMsSUFBSSxNQUFNLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsTUFBTSxFQUFFO2dCQUNyRCxPQUFPO2FBQ1Y7WUFDRCwrQ0FBK0M7WUFDL0MsSUFBSSxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRTtnQkFDbkIsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLFlBQVksRUFBRSxHQUFHLEVBQUUsQ0FBQyxnQkFBZ0IsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO2FBQzVFOzs7a0JBRUssU0FBUyxHQUE4QixFQUFFO1lBQy9DLEtBQUssTUFBTSxDQUFDLElBQUksS0FBSyxDQUFDLElBQUksRUFBRTs7c0JBQ2xCLElBQUksR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDO2dCQUN6QixJQUFJLElBQUksQ0FBQyxlQUFlLEVBQUU7b0JBQ3RCLFNBQVMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxDQUFDO2lCQUN4QzthQUNKO1lBQ0QsT0FBTyxJQUFJLENBQUMsdUJBQXVCLENBQUMsU0FBUyxFQUFFLEtBQUssQ0FBQyxDQUFDO1FBQzFELENBQUMsQ0FBQztRQUNGLE9BQU8sQ0FBQyxjQUFjLENBQUMsR0FBRyxDQUFDLFNBQVMsRUFBRSxFQUFFOztrQkFDOUIsS0FBSyxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDO1lBQ3JDLElBQUksTUFBTSxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLE1BQU0sRUFBRTtnQkFDckQsT0FBTzthQUNWO1lBQ0QsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLFlBQVksRUFBRSxHQUFHLEVBQUUsQ0FBQyxnQkFBZ0IsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO1lBQ3pFLGlDQUFpQztZQUNqQyxLQUFLLE1BQU0sQ0FBQyxJQUFJLEtBQUssQ0FBQyxLQUFLLEVBQUU7O3NCQUNuQixJQUFJLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQztnQkFDekIsSUFBSSxJQUFJLENBQUMsZUFBZSxFQUFFO29CQUN0QixJQUFJLENBQUMsZUFBZSxDQUFDLEtBQUssQ0FBQyxDQUFDO2lCQUMvQjthQUNKO1lBQ0QsSUFBSSxDQUFDLDBCQUEwQixDQUFDLEtBQUssQ0FBQyxLQUFLLEVBQUUsTUFBTSxDQUFDLENBQUM7UUFDekQsQ0FBQyxDQUFDO1FBRUYsMERBQTBEO1FBQzFELDREQUE0RDtRQUM1RCxtRUFBbUU7UUFDbkUsa0VBQWtFO1FBQ2xFLDhCQUE4QjtRQUM5QixLQUFLLE1BQU0sRUFBRSxJQUFJLE9BQU8sRUFBRTtZQUN0QixJQUFJLE9BQU8sQ0FBQyxjQUFjLENBQUMsRUFBRSxDQUFDLEVBQUU7O3NCQUN0QixNQUFNLEdBQUcsT0FBTyxDQUFDLEVBQUUsQ0FBQztnQkFDMUIsT0FBTyxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsU0FBUyxFQUFFLE9BQU8sRUFBRSxFQUFFO29CQUNqQyxJQUFJO3dCQUNBLE9BQU8sTUFBTSxDQUFDLFNBQVMsRUFBRSxPQUFPLENBQUMsQ0FBQztxQkFDckM7b0JBQUMsT0FBTyxDQUFDLEVBQUU7d0JBQ1IsSUFBSSxDQUFDLFdBQVcsQ0FBQyxTQUFTLENBQUMsVUFBVSxFQUFFLFNBQVMsQ0FBQyxJQUFJLEVBQUUsU0FBUyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQzt3QkFDeEUsT0FBTyxLQUFLLENBQUM7cUJBQ2hCO2dCQUNMLENBQUMsQ0FBQzthQUNMO1NBQ0o7O2NBRUssSUFBSSxHQUFHLElBQUksWUFBWSxDQUFDO1lBQzFCLElBQUksRUFBRSxJQUFJLENBQUMsa0JBQWtCLENBQUMsU0FBUyxDQUFDOzs7WUFHeEMscUJBQXFCLEVBQUUsSUFBSTtZQUMzQixXQUFXLEVBQUUsV0FBVztZQUN4QixPQUFPLEVBQUUsT0FBTztZQUNoQixtQkFBbUIsRUFBRSxDQUFDLElBQVksRUFBRSxJQUFZLEVBQUUsRUFBVSxFQUFFLEVBQUUsQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLElBQUksRUFBRSxJQUFJLEVBQUUsRUFBRSxDQUFDO1NBQ3BHLENBQUM7UUFDRixNQUFNLEdBQUcsS0FBSyxDQUFDO1FBQ2YsSUFBSSxTQUFTLEVBQUU7WUFDWCxpREFBaUQ7WUFDakQsSUFBSSxDQUFDLDBCQUEwQixDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLE1BQU0sQ0FBQyxDQUFDO1NBQ3BFO1FBQ0QsT0FBTyxJQUFJLENBQUM7SUFDaEIsQ0FBQzs7Ozs7Ozs7O0lBTU8sMEJBQTBCLENBQUMsTUFBcUIsRUFBRSxNQUFjOztjQUM5RCxjQUFjLEdBQUcsSUFBSSxDQUFDLHdCQUF3QjtRQUNwRCxLQUFLLE1BQU0sQ0FBQyxJQUFJLGNBQWMsRUFBRTtZQUM1QixJQUFJLGNBQWMsQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLEVBQUU7O3NCQUM1QixJQUFJLEdBQUcsY0FBYyxDQUFDLENBQUMsQ0FBQztnQkFDOUIsSUFBSSxJQUFJLENBQUMsS0FBSyxLQUFLLFNBQVMsSUFBSSxJQUFJLENBQUMsS0FBSyxLQUFLLElBQUksSUFBSSxPQUFPLENBQUMsTUFBTSxFQUFFLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUU7b0JBQ25GLFNBQVM7aUJBQ1o7O3NCQUNLLE1BQU0sR0FBRyxJQUFJLENBQUMsVUFBVSxDQUFDLFVBQVUsQ0FBQyxHQUFHLEVBQUU7b0JBQzNDLElBQUksQ0FBQyxxQkFBcUIsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxDQUFDLENBQUM7Z0JBQzFDLENBQUMsRUFBRSxJQUFJLENBQUMsS0FBSyxDQUFDO2dCQUNkLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztnQkFDeEQsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDO2FBQ3hDO1NBQ0o7SUFDTCxDQUFDOzs7Ozs7OztJQU1PLHdCQUF3QixDQUFDLE1BQXFCO1FBQ2xELEtBQUssTUFBTSxDQUFDLElBQUksTUFBTSxFQUFFO1lBQ3BCLEtBQUssTUFBTSxNQUFNLElBQUksSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLEVBQUU7Z0JBQ3hDLElBQUksQ0FBQyxVQUFVLENBQUMsWUFBWSxDQUFDLE1BQU0sQ0FBQyxDQUFDO2FBQ3hDO1lBQ0QsT0FBTyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO1NBQzFCO0lBQ0wsQ0FBQzs7Ozs7Ozs7OztJQU9PLHFCQUFxQixDQUFDLE1BQWMsRUFBRSxjQUFzQjs7Y0FDMUQsSUFBSSxHQUFHLElBQUksQ0FBQyxNQUFNLElBQUksSUFBSSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUM7O2NBQ3pDLElBQUksR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDLGNBQWMsQ0FBQztRQUM5QyxJQUFJLENBQUMsSUFBSSxJQUFJLElBQUksQ0FBQyxlQUFlLENBQUMsTUFBTSxDQUFDLElBQUksSUFBSSxDQUFDLE1BQU0sQ0FBQyxjQUFjLENBQUMsRUFBRTtZQUN0RSxPQUFPO1NBQ1Y7UUFDRCxJQUFJLElBQUksQ0FBQyxLQUFLLElBQUksQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsRUFBRTtZQUMxQyxPQUFPO1NBQ1Y7O2NBQ0ssWUFBWSxHQUFHLElBQUksQ0FBQyxLQUFLO1FBQy9CLElBQUk7WUFDQSxJQUFJLENBQUMsY0FBYyxDQUFDLE1BQU0sRUFBRSxjQUFjLENBQUMsQ0FBQztTQUMvQztRQUFDLE9BQU8sQ0FBQyxFQUFFO1lBQ1Isd0NBQXdDO1lBQ3hDLElBQUksQ0FBQyxXQUFXLENBQUMsY0FBYyxFQUFFLFlBQVksRUFBRSxJQUFJLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDO1NBQzlEO0lBQ0wsQ0FBQzs7Ozs7Ozs7OztJQVFPLGFBQWEsQ0FBQyxTQUEwQjs7Y0FDdEMsTUFBTSxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQztRQUM5QyxPQUFPLElBQUksQ0FBQyxRQUFRLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQ3ZDLElBQUksTUFBTSxJQUFJLE1BQU0sQ0FBQyxJQUFJLEtBQUssTUFBTSxFQUFFO1lBQ2xDLElBQUksQ0FBQyxRQUFRLEdBQUcsT0FBTyxDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO1lBQ3JELElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztZQUNoQyxPQUFPO1NBQ1Y7UUFDRCxJQUFJLE1BQU0sSUFBSSxNQUFNLENBQUMsSUFBSSxLQUFLLE1BQU0sRUFBRTtZQUNsQyxJQUFJLENBQUMsT0FBTyxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsT0FBTyxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztTQUN0RDthQUFNO1lBQ0gsSUFBSSxDQUFDLE9BQU8sR0FBRyxFQUFFLENBQUM7U0FDckI7UUFDRCxJQUFJLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQztZQUNmLFVBQVUsRUFBRSxTQUFTLENBQUMsVUFBVTtZQUNoQyxJQUFJLEVBQUUsU0FBUyxDQUFDLElBQUk7WUFDcEIsRUFBRSxFQUFFLFNBQVMsQ0FBQyxFQUFFO1lBQ2hCLE1BQU0sRUFBRSxTQUFTLENBQUMsTUFBTTtZQUN4QixPQUFPLEVBQUUsU0FBUyxDQUFDLE9BQU87WUFDMUIsU0FBUyxFQUFFLElBQUksQ0FBQyxHQUFHLEVBQUU7U0FDeEIsQ0FBQyxDQUFDO1FBQ0gsSUFBSSxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sR0FBRyxJQUFJLENBQUMsYUFBYSxFQUFFO1lBQzNDLElBQUksQ0FBQyxRQUFRLENBQUMsS0FBSyxFQUFFLENBQUM7U0FDekI7SUFDTCxDQUFDOzs7Ozs7Ozs7SUFNTyxnQkFBZ0IsQ0FBQyxRQUFtQixFQUFFLE9BQXNCO1FBQ2hFLElBQUksUUFBUSxDQUFDLE9BQU8sS0FBSyxlQUFlLEVBQUU7WUFDdEMsTUFBTSxJQUFJLEtBQUssQ0FBQyxnQ0FBZ0MsR0FBRyxRQUFRLENBQUMsT0FBTyxDQUFDLENBQUM7U0FDeEU7O2NBQ0ssU0FBUyxHQUFHLElBQUksQ0FBQyxtQkFBbUI7UUFDMUMsS0FBSyxNQUFNLENBQUMsSUFBSSxRQUFRLENBQUMsS0FBSyxFQUFFO1lBQzVCLElBQUksUUFBUSxDQUFDLEtBQUssQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLEVBQUU7Z0JBQ2xDLElBQUksT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUMsR0FBRyxDQUFDLEVBQUU7b0JBQ3pCLE1BQU0sSUFBSSxLQUFLLENBQUMsZ0NBQWdDLEdBQUcsQ0FBQyxDQUFDLENBQUM7aUJBQ3pEOztzQkFDSyxJQUFJLEdBQUcsU0FBUyxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7Z0JBQ3pDLElBQUksQ0FBQyxJQUFJLElBQUksSUFBSSxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUU7b0JBQzVCLE1BQU0sSUFBSSxLQUFLLENBQUMsK0JBQStCLEdBQUcsUUFBUSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO2lCQUN4RTthQUNKO1NBQ0o7SUFDTCxDQUFDOzs7Ozs7Ozs7Ozs7O0lBVUQsS0FBSyxDQUFDLFFBQXNDO1FBRXhDLG1CQUFBLElBQUksRUFBQSxDQUFDLG9CQUFvQixFQUFFLENBQUM7OztjQUd0QixTQUFTLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMsbUJBQW1COztjQUNwQyxVQUFVLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMsb0JBQW9COzs7O1lBSXhDLGdCQUFnQixHQUFHLENBQUMsQ0FBQyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxVQUFVLElBQUksQ0FBQyxDQUFDLE9BQU8sQ0FBQyxVQUFVLENBQUM7Ozs7Y0FHM0QsV0FBVyxHQUFnRCxFQUFFO1FBQ25FLEtBQUssTUFBTSxFQUFFLElBQUksU0FBUyxFQUFFO1lBQ3hCLElBQUksU0FBUyxDQUFDLGNBQWMsQ0FBQyxFQUFFLENBQUMsRUFBRTs7c0JBQ3hCLEtBQUssR0FBRyxTQUFTLENBQUMsRUFBRSxDQUFDO2dCQUMzQixJQUFJLEtBQUssQ0FBQyxPQUFPLElBQUksT0FBTyxDQUFDLEtBQUssQ0FBQyxRQUFRLEVBQUUsS0FBSyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsRUFBRTtvQkFDN0QsTUFBTSxJQUFJLEtBQUssQ0FBQyxpQ0FBaUMsR0FBRyxFQUFFLEdBQUcsTUFBTSxHQUFHLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQztpQkFDcEY7Z0JBQ0QsSUFBSSxLQUFLLENBQUMsTUFBTSxLQUFLLGFBQWEsRUFBRTtvQkFDaEMsZ0JBQWdCLEdBQUcsSUFBSSxDQUFDO2lCQUMzQjs7c0JBQ0ssSUFBSSxHQUFHLFVBQVUsQ0FBQyxtQkFBbUIsRUFBRSxFQUFFLElBQUksRUFBRSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxDQUFDO2dCQUNsRSxJQUFJLG1CQUFBLElBQUksRUFBQSxDQUFDLGdCQUFnQixLQUFLLFNBQVMsSUFBSSxDQUFDLG1CQUFBLElBQUksRUFBQSxDQUFDLHdCQUF3QixDQUFDLElBQUksQ0FBQyxFQUFFO29CQUM3RSxXQUFXLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsQ0FBQztpQkFDNUM7YUFDSjtTQUNKO1FBQ0QsbUJBQUEsSUFBSSxFQUFBLENBQUMscUJBQXFCLEdBQUcsV0FBVyxDQUFDO1FBQ3pDLElBQUksZ0JBQWdCLElBQUksQ0FBQyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxVQUFVLEVBQUU7WUFDdEMsTUFBTSxJQUFJLEtBQUssQ0FBQyxrQ0FBa0MsQ0FBQyxDQUFDO1NBQ3ZEOztjQUNLLFdBQVcsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxxQkFBcUI7UUFDOUMsS0FBSyxNQUFNLEVBQUUsSUFBSSxXQUFXLEVBQUU7WUFDMUIsSUFBSSxXQUFXLENBQUMsY0FBYyxDQUFDLEVBQUUsQ0FBQyxFQUFFOztzQkFDMUIsS0FBSyxHQUFHLFdBQVcsQ0FBQyxFQUFFLENBQUM7Z0JBQzdCLElBQUksU0FBUyxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBQyxRQUFRLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtvQkFDL0MsTUFBTSxJQUFJLEtBQUssQ0FBQyxvQ0FBb0MsR0FBRyxFQUFFLENBQUMsQ0FBQztpQkFDOUQ7O3NCQUNLLE1BQU0sR0FBRyxLQUFLLENBQUMsYUFBYTtnQkFDbEMsSUFBSSxNQUFNLElBQUksQ0FBQyxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsSUFBSSxPQUFPLENBQUMsbUJBQUEsSUFBSSxFQUFBLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxFQUFFLEtBQUssQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLElBQUksTUFBTSxLQUFLLEtBQUssQ0FBQyxNQUFNLENBQUMsRUFBRTtvQkFDN0csTUFBTSxJQUFJLEtBQUssQ0FBQyw2Q0FBNkMsR0FBRyxFQUFFLEdBQUcsTUFBTSxHQUFHLE1BQU0sQ0FBQyxDQUFDO2lCQUN6RjthQUNKO1NBQ0o7O2NBR0ssVUFBVSxHQUE4QixFQUFFO1FBQ2hELElBQUksZ0JBQWdCLEVBQUU7WUFDbEIsVUFBVSxDQUFDLGFBQWEsQ0FBQyxHQUFHLG1CQUFBLElBQUksRUFBQSxDQUFDLFVBQVUsQ0FBQztTQUMvQztRQUNELEtBQUssTUFBTSxFQUFFLElBQUksVUFBVSxFQUFFO1lBQ3pCLElBQUksVUFBVSxDQUFDLGNBQWMsQ0FBQyxFQUFFLENBQUMsRUFBRTtnQkFDL0IsVUFBVSxDQUFDLEVBQUUsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxTQUFTLENBQUM7YUFDN0M7U0FDSjtRQUVELElBQUksUUFBUSxFQUFFO1lBQ1YsbUJBQUEsSUFBSSxFQUFBLENBQUMsZ0JBQWdCLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQztTQUN2RDtRQUNELG1CQUFBLElBQUksRUFBQSxDQUFDLGlCQUFpQixDQUFDLFFBQVEsQ0FBQyxDQUFDOztjQUUzQixLQUFLLEdBQW9DLEVBQUU7UUFDakQsbUJBQUEsSUFBSSxFQUFBLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxHQUFHLEVBQUU7WUFDekIsS0FBSyxNQUFNLEVBQUUsSUFBSSxVQUFVLEVBQUU7Z0JBQ3pCLElBQUksVUFBVSxDQUFDLGNBQWMsQ0FBQyxFQUFFLENBQUMsRUFBRTs7MEJBQ3pCLFFBQVEsR0FBRyxRQUFRLElBQUksUUFBUSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUM7b0JBQy9DLEtBQUssQ0FBQyxFQUFFLENBQUMsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxVQUFVLENBQUMsRUFBRSxFQUFFLFFBQVEsSUFBSSxVQUFVLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDO2lCQUMzRTthQUNKO1FBQ0wsQ0FBQyxDQUFDLENBQUM7UUFDSCxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxNQUFNLEdBQUcsS0FBSyxDQUFDOztjQUNkLE1BQU0sR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxhQUFhLEVBQUU7UUFDbkMsbUJBQUEsSUFBSSxFQUFBLENBQUMsT0FBTyxDQUFDLG1CQUFBLElBQUksRUFBQSxDQUFDLHFCQUFxQixDQUFDLFNBQVMsRUFBRSxHQUFHLEVBQUUsQ0FBQyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxxQkFBcUIsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztRQUNsRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxhQUFhLEVBQUUsQ0FBQztRQUNyQixPQUFPLG1CQUFBLElBQUksRUFBQSxDQUFDO0lBQ2hCLENBQUM7Ozs7Ozs7O0lBTU8saUJBQWlCLENBQUMsUUFBb0I7UUFDMUMsSUFBSSxRQUFRLEVBQUU7WUFDVixJQUFJLENBQUMsUUFBUSxHQUFHLFFBQVEsQ0FBQyxPQUFPLENBQUM7WUFDakMsSUFBSSxDQUFDLFFBQVEsR0FBRyxDQUFDLFFBQVEsQ0FBQyxPQUFPLElBQUksRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxDQUFDO1lBQ3BFLElBQUksQ0FBQyxPQUFPLEdBQUcsQ0FBQyxRQUFRLENBQUMsTUFBTSxJQUFJLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsQ0FBQztZQUNsRSxJQUFJLENBQUMsV0FBVyxHQUFHLENBQUMsQ0FBQyxNQUFNLENBQUMsRUFBRSxFQUFFLFFBQVEsQ0FBQyxVQUFVLENBQUMsQ0FBQztTQUN4RDthQUFNO1lBQ0gsSUFBSSxDQUFDLFFBQVEsR0FBRyxFQUFFLENBQUM7WUFDbkIsSUFBSSxDQUFDLE9BQU8sR0FBRyxFQUFFLENBQUM7WUFDbEIsSUFBSSxDQUFDLFdBQVcsR0FBRyxFQUFFLENBQUM7U0FDekI7SUFDTCxDQUFDOzs7Ozs7Ozs7OztJQVFELE9BQU8sQ0FBQyxRQUFxQztRQUN6QyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxrQkFBa0IsRUFBRSxDQUFDO1FBQzFCLElBQUksQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLG1CQUFBLElBQUksRUFBQSxDQUFDLGVBQWUsQ0FBQyxFQUFFO1lBQ2xDLE1BQU0sSUFBSSxLQUFLLENBQUMsNkJBQTZCLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxlQUFlLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztTQUM1Rjs7Y0FDSyxPQUFPLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxNQUFNLENBQUM7UUFDbkMsbUJBQUEsSUFBSSxFQUFBLENBQUMsZ0JBQWdCLENBQUMsUUFBUSxFQUFFLE9BQU8sQ0FBQyxDQUFDO1FBQ3pDLG1CQUFBLElBQUksRUFBQSxDQUFDLHdCQUF3QixDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsbUJBQUEsSUFBSSxFQUFBLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztRQUNwRCxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxpQkFBaUIsQ0FBQyxRQUFRLENBQUMsQ0FBQzs7Y0FFM0IsS0FBSyxHQUFvQyxFQUFFO1FBQ2pELG1CQUFBLElBQUksRUFBQSxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsR0FBRyxFQUFFO1lBQ3pCLEtBQUssTUFBTSxDQUFDLElBQUksT0FBTyxFQUFFO2dCQUNyQixLQUFLLENBQUMsQ0FBQyxDQUFDLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMsVUFBVSxDQUFDLENBQUMsRUFBRSxRQUFRLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxJQUFJLG1CQUFBLElBQUksRUFBQSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLEVBQUUsSUFBSSxDQUFDLENBQUM7YUFDbEY7UUFDTCxDQUFDLENBQUMsQ0FBQztRQUNILG1CQUFBLElBQUksRUFBQSxDQUFDLE1BQU0sR0FBRyxLQUFLLENBQUM7O2NBQ2QsTUFBTSxHQUFHLG1CQUFBLElBQUksRUFBQSxDQUFDLGFBQWEsRUFBRTtRQUNuQyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxPQUFPLENBQUMsbUJBQUEsSUFBSSxFQUFBLENBQUMscUJBQXFCLENBQUMsU0FBUyxFQUFFLEdBQUcsRUFBRSxDQUFDLG1CQUFBLElBQUksRUFBQSxDQUFDLHFCQUFxQixDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO1FBQ2xHLG1CQUFBLElBQUksRUFBQSxDQUFDLGFBQWEsRUFBRSxDQUFDO1FBQ3JCLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQzs7Ozs7Ozs7Ozs7SUFVRCxVQUFVLENBQUMsTUFBZTtRQUN0QixNQUFNLEdBQUcsTUFBTSxJQUFJLGFBQWEsQ0FBQztRQUNqQyxPQUFPLElBQUksQ0FBQyxjQUFjLENBQUMsSUFBSSxDQUMzQixNQUFNLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsY0FBYyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEVBQy9DLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxFQUM3QixvQkFBb0IsRUFBRSxDQUFDLENBQUM7SUFDaEMsQ0FBQzs7Ozs7O0lBTUQsT0FBTztRQUNILElBQUksSUFBSSxDQUFDLFNBQVMsRUFBRTtZQUNoQixPQUFPO1NBQ1Y7UUFDRCxJQUFJLENBQUMsU0FBUyxHQUFHLElBQUksQ0FBQztRQUN0QixJQUFJLENBQUMsd0JBQXdCLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztRQUNwRCxJQUFJLENBQUMscUJBQXFCLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDdEMsSUFBSSxDQUFDLGtCQUFrQixDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQ25DLElBQUksQ0FBQyxhQUFhLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDOUIsSUFBSSxDQUFDLGVBQWUsQ0FBQyxRQUFRLEVBQUUsQ0FBQztJQUNwQyxDQUFDOzs7Ozs7OztJQUtELFlBQVksQ0FBQyxPQUFxRDs7Y0FDeEQsV0FBVyxHQUFHLG1CQUFBLElBQUksRUFBQSxDQUFDLFNBQVMsQ0FBQyxZQUFZO1FBQy9DLElBQUksT0FBTyxDQUFDLFdBQVcsRUFBRSxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUU7WUFDcEMsTUFBTSxJQUFJLEtBQUssQ0FBQywwQkFBMEIsQ0FBQyxDQUFDO1NBQy9DO1FBQ0QsV0FBVyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUMxQixPQUFPLG1CQUFBLElBQUksRUFBQSxDQUFDO0lBQ2hCLENBQUM7Ozs7Ozs7O0lBS0QsV0FBVyxDQUFDLE9BQXFEOztjQUN2RCxXQUFXLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMsU0FBUyxDQUFDLFlBQVk7UUFDL0MsSUFBSSxPQUFPLENBQUMsV0FBVyxFQUFFLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRTtZQUNwQyxNQUFNLElBQUksS0FBSyxDQUFDLHVCQUF1QixDQUFDLENBQUM7U0FDNUM7UUFDRCxXQUFXLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQzFCLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQzs7Ozs7Ozs7SUFLRCxhQUFhLENBQUMsT0FBcUQ7O2NBQ3pELFdBQVcsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxTQUFTLENBQUMsWUFBWTtRQUMvQyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxTQUFTLENBQUMsWUFBWSxHQUFHLE9BQU8sQ0FBQyxXQUFXLEVBQUUsT0FBTyxDQUFDLENBQUM7UUFDNUQsT0FBTyxtQkFBQSxJQUFJLEVBQUEsQ0FBQztJQUNoQixDQUFDOzs7Ozs7OztJQUtELFlBQVksQ0FBQyxPQUFxRDs7Y0FDeEQsV0FBVyxHQUFHLG1CQUFBLElBQUksRUFBQSxDQUFDLFNBQVMsQ0FBQyxZQUFZO1FBQy9DLG1CQUFBLElBQUksRUFBQSxDQUFDLFNBQVMsQ0FBQyxZQUFZLEdBQUcsT0FBTyxDQUFDLFdBQVcsRUFBRSxPQUFPLENBQUMsQ0FBQztRQUM1RCxPQUFPLG1CQUFBLElBQUksRUFBQSxDQUFDO0lBQ2hCLENBQUM7Ozs7Ozs7Ozs7OztJQVFPLGNBQWMsQ0FBQyxJQUFrQixFQUNyQyxZQUE4QyxFQUM5QyxPQUFhOztjQUNQLFVBQVUsR0FBRyxJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUM7O1lBQ3RDLFFBQVEsR0FBVyxJQUFJO1FBQzNCLEtBQUssSUFBSSxDQUFDLEdBQUcsVUFBVSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRTtZQUM3QyxLQUFLLE1BQU0sR0FBRyxJQUFJLFlBQVksQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRTs7c0JBQ3JDLElBQUksR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDLEdBQUcsQ0FBQztnQkFDbkMsSUFBSSxDQUFDLElBQUksSUFBSSxJQUFJLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFO29CQUMzQixTQUFTO2lCQUNaO2dCQUNELElBQUksSUFBSSxDQUFDLEtBQUssSUFBSSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxPQUFPLENBQUMsRUFBRTtvQkFDbkQsUUFBUSxHQUFHLFFBQVEsSUFBSSxHQUFHLENBQUM7b0JBQzNCLFNBQVM7aUJBQ1o7Z0JBQ0QsT0FBTyxFQUFFLElBQUksRUFBRSxHQUFHLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRSxDQUFDO2FBQ3hDO1NBQ0o7UUFDRCxPQUFPLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLENBQUM7SUFDOUMsQ0FBQzs7Ozs7Ozs7Ozs7SUFPTyxjQUFjLENBQUMsTUFBYyxFQUFFLGNBQXNCLEVBQUUsT0FBYTs7Y0FDbEUsSUFBSSxHQUFHLElBQUksQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDOztjQUMxQixZQUFZLEdBQUcsSUFBSSxDQUFDLEtBQUs7O2NBQ3pCLElBQUksR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDLGNBQWMsQ0FBQzs7Y0FDeEMsRUFBRSxHQUFHLElBQUksQ0FBQyxFQUFFOzs7Y0FHWixJQUFJLEdBQUcsSUFBSSxDQUFDLGNBQWMsQ0FBQzs7Y0FDM0IsVUFBVSxHQUFHLElBQUksQ0FBQyxXQUFXLENBQUMsS0FBSyxFQUFFOztjQUNyQyxTQUFTLEdBQW9CO1lBQy9CLFVBQVUsRUFBRSxjQUFjO1lBQzFCLElBQUksRUFBRSxZQUFZO1lBQ2xCLEVBQUUsRUFBRSxFQUFFO1lBQ04sTUFBTSxFQUFFLE1BQU07WUFDZCxLQUFLLEVBQUUsSUFBSSxDQUFDLEtBQUs7WUFDakIsT0FBTyxFQUFFLE9BQU87WUFDaEIsT0FBTyxFQUFFLElBQUksQ0FBQyxRQUFRO1NBQ3pCOztjQUNLLEdBQUcsR0FBRyxHQUFHLEVBQUUsQ0FBQyxnQkFBZ0IsQ0FBQyxVQUFVLEVBQUUsU0FBUyxFQUFFLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxJQUFJLENBQUMsQ0FBQztRQUMxRixJQUFJLENBQUMsZUFBZSxDQUFDLE1BQU0sQ0FBQyxHQUFHLElBQUksQ0FBQztRQUNwQyxJQUFJLENBQUMsSUFBSSxDQUFDLFVBQVUsRUFBRTtZQUNsQixJQUFJO2dCQUNBLElBQUksQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDO2FBQ2hDO29CQUFTO2dCQUNOLE9BQU8sSUFBSSxDQUFDLGVBQWUsQ0FBQyxNQUFNLENBQUMsQ0FBQztnQkFDcEMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxNQUFNLENBQUMsQ0FBQzthQUM5QjtZQUNELE9BQU8sSUFBSSxDQUFDO1NBQ2Y7O2NBRUssTUFBTSxHQUFHLEdBQUcsRUFBRTtZQUNoQixPQUFPLElBQUksQ0FBQyxlQUFlLENBQUMsTUFBTSxDQUFDLENBQUM7WUFDcEMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxNQUFNLENBQUMsQ0FBQztZQUMzQixPQUFPLG1CQUFRLElBQUksQ0FBQyxLQUFLLEVBQUEsQ0FBQztRQUM5QixDQUFDO1FBQ0QsdURBQXVEO1FBQ3ZELE9BQU8sSUFBSSxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsR0FBRyxFQUFFLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRTthQUNqRCxJQUFJLENBQUMsR0FBRyxDQUFDO2FBQ1QsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLEtBQUssRUFBRSxFQUFFO1lBQ2xCLHVDQUF1QztZQUN2QyxJQUFJLENBQUMsV0FBVyxDQUFDLGNBQWMsRUFBRSxZQUFZLEVBQUUsRUFBRSxFQUFFLEtBQUssQ0FBQyxDQUFDO1FBQzlELENBQUMsQ0FBQzthQUNELElBQUksQ0FBQyxNQUFNLEVBQUUsQ0FBQyxLQUFLLEVBQUUsRUFBRTtZQUNwQixNQUFNLEVBQUUsQ0FBQztZQUNULE1BQU0sS0FBSyxDQUFDO1FBQ2hCLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDWixDQUFDOzs7Ozs7Ozs7SUFPTyxhQUFhLENBQUMsTUFBYzs7Y0FDMUIsS0FBSyxHQUFHLElBQUksQ0FBQyxjQUFjLENBQUMsTUFBTSxDQUFDO1FBQ3pDLE9BQU8sSUFBSSxDQUFDLGNBQWMsQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUNuQyxJQUFJLENBQUMsS0FBSyxJQUFJLElBQUksQ0FBQyxTQUFTLEVBQUU7WUFDMUIsT0FBTztTQUNWOztjQUNLLE1BQU0sR0FBRyxJQUFJLENBQUMsYUFBYSxFQUFFO1FBQ25DLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLHFCQUFxQixDQUFDLFNBQVMsRUFBRSxHQUFHLEVBQUUsQ0FBQyxJQUFJLENBQUMscUJBQXFCLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7UUFDbEcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsa0JBQWtCLENBQUMsU0FBUyxFQUFFLEdBQUcsRUFBRSxDQUFDLElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztJQUMvRixDQUFDOzs7Ozs7OztJQUtELGVBQWUsQ0FBQyxPQUE0RDs7Y0FDbEUsV0FBVyxHQUFHLG1CQUFBLElBQUksRUFBQSxDQUFDLFNBQVMsQ0FBQyxlQUFlO1FBQ2xELElBQUksT0FBTyxDQUFDLFdBQVcsRUFBRSxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUU7WUFDcEMsTUFBTSxJQUFJLEtBQUssQ0FBQywwQkFBMEIsQ0FBQyxDQUFDO1NBQy9DO1FBQ0QsV0FBVyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUMxQixPQUFPLG1CQUFBLElBQUksRUFBQSxDQUFDO0lBQ2hCLENBQUM7Ozs7Ozs7O0lBS0QsZ0JBQWdCLENBQUMsT0FBNEQ7O2NBQ25FLFdBQVcsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxTQUFTLENBQUMsZUFBZTtRQUNsRCxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxTQUFTLENBQUMsZUFBZSxHQUFHLE9BQU8sQ0FBQyxXQUFXLEVBQUUsT0FBTyxDQUFDLENBQUM7UUFDL0QsT0FBTyxtQkFBQSxJQUFJLEVBQUEsQ0FBQztJQUNoQixDQUFDOzs7Ozs7Ozs7Ozs7Ozs7SUFZRCxHQUFHLENBQUMsVUFBb0Q7UUFDcEQsSUFBSSxPQUFPLENBQUMsbUJBQUEsSUFBSSxFQUFBLENBQUMsV0FBVyxFQUFFLFVBQVUsQ0FBQyxJQUFJLENBQUMsRUFBRTtZQUM1QyxNQUFNLElBQUksS0FBSyxDQUFDLDhCQUE4QixDQUFDLENBQUM7U0FDbkQ7UUFDRCxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDO1FBQ2xDLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQzs7Ozs7Ozs7SUFLRCxLQUFLLENBQUMsVUFBb0Q7UUFDdEQsbUJBQUEsSUFBSSxFQUFBLENBQUMsV0FBVyxHQUFHLE9BQU8sQ0FBQyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxXQUFXLEVBQUUsVUFBVSxDQUFDLENBQUM7UUFDekQsT0FBTyxtQkFBQSxJQUFJLEVBQUEsQ0FBQztJQUNoQixDQUFDOzs7Ozs7SUFlRCxFQUFFLENBQUMsRUFBVSxFQUFFLE9BQWE7UUFDeEIsSUFBSSxDQUFDLGtCQUFrQixFQUFFLENBQUM7O2NBRXBCLFNBQVMsR0FBRyxJQUFJLENBQUMsbUJBQW1COztjQUNwQyxNQUFNLEdBQUcsU0FBUyxDQUFDLEVBQUUsQ0FBQyxJQUFJLElBQUksQ0FBQyxxQkFBcUIsQ0FBQyxFQUFFLENBQUM7UUFDOUQsSUFBSSxDQUFDLE1BQU0sRUFBRTtZQUNULE1BQU0sSUFBSSxLQUFLLENBQUMseUJBQXlCLEdBQUcsRUFBRSxDQUFDLENBQUM7U0FDbkQ7OztjQUVLLE1BQU0sR0FBRyxNQUFNLENBQUMsTUFBTTs7Y0FDdEIsSUFBSSxHQUFHLElBQUksQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDOztjQUMxQixZQUFZLEdBQUcsbUJBQVEsSUFBSSxDQUFDLEtBQUssRUFBQTtRQUN2QyxJQUFJLElBQUksQ0FBQyxlQUFlLENBQUMsTUFBTSxDQUFDLEVBQUU7WUFDOUIsTUFBTSxJQUFJLEtBQUssQ0FBQyw2QkFBNkIsR0FBRyxZQUFZLEdBQUcsTUFBTSxHQUFHLEVBQUUsQ0FBQyxDQUFDO1NBQy9FOztjQUNLLE1BQU0sR0FBRyxJQUFJLENBQUMsY0FBYyxDQUFDLElBQUksRUFBRSxDQUFDLElBQUksRUFBRSxFQUFFO1lBQzlDLE9BQU8sQ0FBQyxVQUFVLENBQUMsbUJBQW1CLEVBQUUsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUM7UUFDckUsQ0FBQyxFQUFFLE9BQU8sQ0FBQztRQUNYLElBQUksQ0FBQyxNQUFNLENBQUMsSUFBSSxJQUFJLE1BQU0sQ0FBQyxRQUFRLEVBQUU7WUFDakMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxNQUFNLENBQUMsUUFBUSxFQUFFLFlBQVksRUFBRSxFQUFFLENBQUMsQ0FBQztZQUNwRCxPQUFPLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztTQUNqRTtRQUNELElBQUksQ0FBQyxNQUFNLENBQUMsSUFBSSxJQUFJLFNBQVMsQ0FBQyxFQUFFLENBQUMsSUFBSSxPQUFPLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsRUFBRSxFQUFFLENBQUMsSUFBSSxDQUFDLEVBQUU7WUFDOUUseURBQXlEO1lBQ3pELHdDQUF3QztZQUN4QyxJQUFJLElBQUksQ0FBQyxnQkFBZ0IsS0FBSyxPQUFPLEVBQUU7Z0JBQ25DLE1BQU0sSUFBSSxLQUFLLENBQUMsb0JBQW9CLEdBQUcsRUFBRSxDQUFDLENBQUM7YUFDOUM7WUFDRCxPQUFPLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztTQUNqRTtRQUNELGdEQUFnRDtRQUNoRCxJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksRUFBRTtZQUNkLE1BQU0sSUFBSSxLQUFLLENBQUMsNkJBQTZCLEdBQUcsWUFBWSxHQUFHLE1BQU0sR0FBRyxFQUFFLENBQUMsQ0FBQztTQUMvRTtRQUVELE9BQU8sSUFBSSxDQUFDLGNBQWMsQ0FBQyxNQUFNLEVBQUUsTUFBTSxDQUFDLElBQUksRUFBRSxPQUFPLENBQUMsQ0FBQztJQUM3RCxDQUFDOzs7Ozs7SUFVRCxJQUFJLENBQUMsU0FBaUIsRUFBRSxPQUFhO1FBQ2pDLElBQUksQ0FBQyxrQkFBa0IsRUFBRSxDQUFDOztjQUVwQixVQUFVLEdBQUcsSUFBSSxDQUFDLG1CQUFtQixDQUFDLFNBQVMsQ0FBQztRQUN0RCxJQUFJLENBQUMsVUFBVSxFQUFFO1lBQ2IsTUFBTSxJQUFJLEtBQUssQ0FBQyx3QkFBd0IsR0FBRyxTQUFTLENBQUMsQ0FBQztTQUN6RDs7Y0FDSyxjQUFjLEdBQUcsSUFBSSxDQUFDLHdCQUF3Qjs7Y0FDOUMsU0FBUyxHQUFHLElBQUksQ0FBQyxtQkFBbUI7O2NBQ3BDLE9BQU8sR0FBOEIsRUFBRTs7WUFDekMsUUFBUSxHQUFXLElBQUk7UUFDM0IsS0FBSyxNQUFNLE1BQU0sSUFBSSxJQUFJLENBQUMsTUFBTSxFQUFFO1lBQzlCLElBQUksSUFBSSxDQUFDLE1BQU0sQ0FBQyxjQUFjLENBQUMsTUFBTSxDQUFDLEVBQUU7O3NCQUM5QixJQUFJLEdBQUcsSUFBSSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUM7Z0JBQ2hDLElBQUksSUFBSSxDQUFDLGVBQWUsQ0FBQyxNQUFNLENBQUMsRUFBRTtvQkFDOUIsTUFBTSxJQUFJLEtBQUssQ0FBQyw2QkFBNkIsR0FBRyxJQUFJLENBQUMsS0FBSyxHQUFHLE1BQU0sR0FBRyxTQUFTLENBQUMsQ0FBQztpQkFDcEY7O3NCQUNLLE1BQU0sR0FBRyxJQUFJLENBQUMsY0FBYyxDQUFDLElBQUksRUFBRSxDQUFDLElBQUksRUFBRSxFQUFFO29CQUM5QyxPQUFPLENBQUMsQ0FBQyxNQUFNLENBQUMsVUFBVSxFQUFFLENBQUMsR0FBRyxFQUFFLEVBQUU7d0JBQ2hDLE9BQU8sY0FBYyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksS0FBSyxJQUFJLElBQUksU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sS0FBSyxNQUFNLENBQUM7b0JBQ2xGLENBQUMsQ0FBQyxDQUFDO2dCQUNQLENBQUMsRUFBRSxPQUFPLENBQUM7Z0JBQ1gsSUFBSSxNQUFNLENBQUMsSUFBSSxFQUFFO29CQUNiLE9BQU8sQ0FBQyxNQUFNLENBQUMsR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDO2lCQUNqQztnQkFDRCxRQUFRLEdBQUcsUUFBUSxJQUFJLE1BQU0sQ0FBQyxRQUFRLENBQUM7YUFDMUM7U0FDSjtRQUVELElBQUksQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRTtZQUNwQixJQUFJLFFBQVEsRUFBRTtnQkFDVixJQUFJLENBQUMsV0FBVyxDQUFDLFNBQVMsRUFBRSxjQUFjLENBQUMsUUFBUSxDQUFDLENBQUMsSUFBSSxFQUFFLGNBQWMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQzthQUMzRjtpQkFBTTs7O3NCQUVHLE1BQU0sR0FBRyxTQUFTLENBQUMsY0FBYyxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU07Z0JBQ25FLElBQUksQ0FBQyxXQUFXLENBQUMsU0FBUyxFQUFFLElBQUksQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxFQUFFLElBQUksQ0FBQyxDQUFDO2FBQ2hFO1lBQ0QsT0FBTyxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7U0FDdkQ7O2NBRUssUUFBUSxHQUEyQixFQUFFO1FBQzNDLEtBQUssTUFBTSxNQUFNLElBQUksT0FBTyxFQUFFO1lBQzFCLElBQUksT0FBTyxDQUFDLGNBQWMsQ0FBQyxNQUFNLENBQUMsRUFBRTs7c0JBQzFCLE9BQU8sR0FBRyxJQUFJLENBQUMsY0FBYyxDQUFDLE1BQU0sRUFBRSxPQUFPLENBQUMsTUFBTSxDQUFDLEVBQUUsT0FBTyxDQUFDO2dCQUNyRSxJQUFJLElBQUksQ0FBQyxVQUFVLEVBQUU7b0JBQ2pCLFFBQVEsQ0FBQyxJQUFJLENBQUMsbUJBQWlCLE9BQU8sRUFBQSxDQUFDLENBQUM7aUJBQzNDO2FBQ0o7U0FDSjtRQUNELE9BQU8sSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO0lBQzFELENBQUM7Ozs7Ozs7O0lBTUQsR0FBRyxDQUFDLEVBQVUsRUFBRSxPQUFhO1FBQ3pCLElBQUksQ0FBQyxrQkFBa0IsRUFBRSxDQUFDOztjQUVwQixTQUFTLEdBQUcsSUFBSSxDQUFDLG1CQUFtQjs7Y0FDcEMsTUFBTSxHQUFHLFNBQVMsQ0FBQyxFQUFFLENBQUMsSUFBSSxJQUFJLENBQUMscUJBQXFCLENBQUMsRUFBRSxDQUFDO1FBQzlELElBQUksQ0FBQyxNQUFNLEVBQUU7WUFDVCxPQUFPLEtBQUssQ0FBQztTQUNoQjs7Y0FDSyxJQUFJLEdBQUcsSUFBSSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDO1FBQ3ZDLE9BQU8sQ0FBQyxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsSUFBSSxFQUFFLENBQUMsSUFBSSxFQUFFLEVBQUU7WUFDeEMsT0FBTyxDQUFDLFVBQVUsQ0FBQyxtQkFBbUIsRUFBRSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQztRQUNyRSxDQUFDLEVBQUUsT0FBTyxDQUFDLENBQUMsSUFBSSxDQUFDO0lBQ3JCLENBQUM7Ozs7O0lBS0QsT0FBTztRQUNILE9BQU8sbUJBQThCLElBQUksQ0FBQyxRQUFRLENBQUMsS0FBSyxFQUFFLEVBQUEsQ0FBQztJQUMvRCxDQUFDOzs7Ozs7Ozs7OztJQVFPLGtCQUFrQixDQUFDLElBQWtCLEVBQUUsS0FBb0I7O2NBQ3pELElBQUksR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDLEtBQUssQ0FBQyxVQUFVLENBQUM7O2NBQzFDLEVBQUUsR0FBRyxJQUFJLElBQUksQ0FBQyxJQUFJLENBQUMsWUFBWSxJQUFJLElBQUksQ0FBQyxJQUFJLENBQUM7O2NBQzdDLFVBQVUsR0FBRyxJQUFJLENBQUMsbUJBQW1CLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRTtRQUNsRixPQUFPLElBQUksQ0FBQyxjQUFjLENBQUMsSUFBSSxFQUFFLENBQUMsSUFBSSxFQUFFLEVBQUU7WUFDdEMsT0FBTyxFQUFFLElBQUksT0FBTyxDQUFDLFVBQVUsRUFBRSxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLG1CQUFtQixFQUFFLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxFQUFFLEVBQUUsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7UUFDakgsQ0FBQyxFQUFFLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQztJQUN0QixDQUFDOzs7Ozs7OztJQUtPLGtCQUFrQixDQUFDLElBQWtCLEVBQUUsS0FBb0I7O2NBQ3pELElBQUksR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDLEtBQUssQ0FBQyxVQUFVLENBQUM7UUFDaEQsT0FBTyxJQUFJLENBQUMsY0FBYyxDQUFDLElBQUksRUFBRSxDQUFDLElBQUksRUFBRSxFQUFFO1lBQ3RDLE9BQU8sSUFBSSxJQUFJLElBQUksQ0FBQyxJQUFJLEtBQUssSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO1FBQ2hFLENBQUMsRUFBRSxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUM7SUFDdEIsQ0FBQzs7Ozs7Ozs7O0lBTU8sTUFBTSxDQUFDLElBQVksRUFBRSxLQUFvQjs7Y0FDdkMsTUFBTSxHQUFHLEtBQUssQ0FBQyxNQUFNOztjQUNyQixJQUFJLEdBQUcsSUFBSSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUM7O2NBQzFCLFlBQVksR0FBRyxtQkFBUSxJQUFJLENBQUMsS0FBSyxFQUFBO1FBQ3ZDLElBQUksSUFBSSxDQUFDLGVBQWUsQ0FBQyxNQUFNLENBQUMsRUFBRTtZQUM5QixNQUFNLElBQUksS0FBSyxDQUFDLDZCQUE2QixHQUFHLFlBQVksR0FBRyxNQUFNLEdBQUcsSUFBSSxDQUFDLENBQUM7U0FDakY7O2NBQ0ssTUFBTSxHQUFHLElBQUksS0FBSyxNQUFNLENBQUMsQ0FBQztZQUM1QixJQUFJLENBQUMsa0JBQWtCLENBQUMsSUFBSSxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUM7WUFDdEMsSUFBSSxDQUFDLGtCQUFrQixDQUFDLElBQUksRUFBRSxLQUFLLENBQUM7UUFDeEMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLElBQUksTUFBTSxDQUFDLFFBQVEsRUFBRTtZQUNqQyxJQUFJLENBQUMsV0FBVyxDQUFDLE1BQU0sQ0FBQyxRQUFRLEVBQUUsWUFBWSxFQUFFLElBQUksQ0FBQyxZQUFZLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1lBQ3ZGLE9BQU8sSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO1NBQ2pFO1FBQ0QsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLEVBQUU7WUFDZCxNQUFNLElBQUksS0FBSyxDQUFDLHVCQUF1QixHQUFHLENBQUMsSUFBSSxLQUFLLE1BQU0sQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsR0FBRyxJQUFJLEdBQUcsS0FBSyxDQUFDLFVBQVUsQ0FBQyxDQUFDO1NBQ2hIO1FBRUQsSUFBSSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsR0FBRyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDO1FBQ3JELElBQUksQ0FBQyxJQUFJLENBQUMsVUFBVSxFQUFFO1lBQ2xCLElBQUk7Z0JBQ0EsT0FBTyxJQUFJLENBQUMsY0FBYyxDQUFDLE1BQU0sRUFBRSxNQUFNLENBQUMsSUFBSSxFQUFFLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQzthQUNsRTtvQkFBUztnQkFDTixPQUFPLElBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUM7YUFDaEM7U0FDSjtRQUNELE9BQU8sQ0FBQyxtQkFBaUIsSUFBSSxDQUFDLGNBQWMsQ0FBQyxNQUFNLEVBQUUsTUFBTSxDQUFDLElBQUksRUFBRSxLQUFLLENBQUMsT0FBTyxDQUFDLEVBQUEsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLEtBQUssRUFBRSxFQUFFO1lBQzdGLE9BQU8sSUFBSSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQztZQUM3QixPQUFPLEtBQUssQ0FBQztRQUNqQixDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUUsRUFBRTtZQUNULE9BQU8sSUFBSSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQztZQUM3QixNQUFNLEtBQUssQ0FBQztRQUNoQixDQUFDLENBQUMsQ0FBQztJQUNQLENBQUM7Ozs7SUFXRCxJQUFJO1FBQ0EsSUFBSSxDQUFDLGtCQUFrQixFQUFFLENBQUM7UUFDMUIsSUFBSSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxFQUFFO1lBQ3ZCLE1BQU0sSUFBSSxLQUFLLENBQUMsa0JBQWtCLENBQUMsQ0FBQztTQUN2QztRQUNELE9BQU8sSUFBSSxDQUFDLE1BQU0sQ0FBQyxNQUFNLEVBQUUsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3hFLENBQUM7Ozs7SUFRRCxJQUFJO1FBQ0EsSUFBSSxDQUFDLGtCQUFrQixFQUFFLENBQUM7UUFDMUIsSUFBSSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFO1lBQ3RCLE1BQU0sSUFBSSxLQUFLLENBQUMsa0JBQWtCLENBQUMsQ0FBQztTQUN2QztRQUNELE9BQU8sSUFBSSxDQUFDLE1BQU0sQ0FBQyxNQUFNLEVBQUUsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3RFLENBQUM7Ozs7O0lBS0QsT0FBTztRQUNILElBQUksQ0FBQyxrQkFBa0IsRUFBRSxDQUFDOztjQUNwQixLQUFLLEdBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUM7UUFDckQsT0FBTyxDQUFDLENBQUMsS0FBSyxJQUFJLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDO1lBQ2pELENBQUMsQ0FBQyxJQUFJLENBQUMsa0JBQWtCLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDO0lBQ3pFLENBQUM7Ozs7O0lBS0QsT0FBTztRQUNILElBQUksQ0FBQyxrQkFBa0IsRUFBRSxDQUFDOztjQUNwQixLQUFLLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUM7UUFDbkQsT0FBTyxDQUFDLENBQUMsS0FBSyxJQUFJLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDO1lBQ2pELENBQUMsQ0FBQyxJQUFJLENBQUMsa0JBQWtCLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDO0lBQ3pFLENBQUM7Ozs7OztJQU1ELE1BQU07UUFDRixJQUFJLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRTtZQUNkLE9BQU8sYUFBYSxDQUFDO1NBQ3hCO1FBQ0QsT0FBTyxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxlQUFlLENBQUM7SUFDdEUsQ0FBQzs7Ozs7Ozs7SUFRRCxRQUFRO1FBQ0osSUFBSSxDQUFDLGtCQUFrQixFQUFFLENBQUM7UUFDMUIsSUFBSSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxFQUFFO1lBQ2xDLE1BQU0sSUFBSSxLQUFLLENBQUMsNkJBQTZCLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7U0FDNUY7UUFDRCxPQUFPLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQztZQUM3QixPQUFPLEVBQUUsZUFBZTtZQUN4QixLQUFLLEVBQUUsSUFBSSxDQUFDLGFBQWEsRUFBRTtZQUMzQixPQUFPLEVBQUUsSUFBSSxDQUFDLFFBQVE7WUFDdEIsT0FBTyxFQUFFLElBQUksQ0FBQyxRQUFRO1lBQ3RCLE1BQU0sRUFBRSxJQUFJLENBQUMsT0FBTztZQUNwQixVQUFVLEVBQUUsSUFBSSxDQUFDLFdBQVc7U0FDL0IsQ0FBQyxDQUFDLENBQUM7SUFDUixDQUFDOzs7OztJQUtELFVBQVU7UUFDTixPQUFPLElBQUksQ0FBQyxRQUFRLENBQUM7SUFDekIsQ0FBQzs7Ozs7Ozs7SUFLRCxlQUFlLENBQUMsRUFBb0I7UUFDaEMsbUJBQUEsSUFBSSxFQUFBLENBQUMsb0JBQW9CLEVBQUUsQ0FBQztRQUU1QixtQkFBQSxJQUFJLEVBQUEsQ0FBQyxhQUFhLEdBQUcsRUFBRSxDQUFDO1FBRXhCLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQzs7Ozs7Ozs7SUFPRCxPQUFPLENBQUMsTUFBZTtRQUNuQixJQUFJLENBQUMsa0JBQWtCLEVBQUUsQ0FBQztRQUMxQixPQUFPLG1CQUFRLElBQUksQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxFQUFBLENBQUM7SUFDN0MsQ0FBQzs7Ozs7OztJQU1ELFdBQVcsQ0FBQyxNQUFlO1FBQ3ZCLElBQUksQ0FBQyxrQkFBa0IsRUFBRSxDQUFDO1FBQzFCLE9BQU8sbUJBQWUsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEtBQUssQ0FBQyxFQUFBLENBQUM7SUFDakUsQ0FBQzs7Ozs7O0lBTUQsYUFBYTtRQUNULElBQUksQ0FBQyxrQkFBa0IsRUFBRSxDQUFDOztjQUNwQixNQUFNLEdBQThCLEVBQUU7UUFDNUMsS0FBSyxNQUFNLENBQUMsSUFBSSxJQUFJLENBQUMsTUFBTSxFQUFFO1lBQ3pCLElBQUksSUFBSSxDQUFDLE1BQU0sQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLEVBQUU7Z0JBQy9CLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxtQkFBUSxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssRUFBQSxDQUFDO2FBQzVDO1NBQ0o7UUFDRCxPQUFPLE1BQU0sQ0FBQztJQUNsQixDQUFDOzs7Ozs7O0lBTUQsUUFBUSxDQUFDLElBQVk7UUFDakIsT0FBTyxPQUFPLENBQUMsSUFBSSxDQUFDLFlBQVksRUFBRSxFQUFFLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUNuRCxDQUFDOzs7Ozs7Ozs7O0lBU0QsWUFBWSxDQUFDLGVBQXdDOztjQUMzQyxNQUFNLEdBQThCLEVBQUU7O2NBQ3RDLFVBQVUsR0FBRyxJQUFJLENBQUMsUUFBUSxDQUFDLGVBQWUsSUFBSSxJQUFJLENBQUMsZ0JBQWdCLElBQUksRUFBRSxFQUFFLE1BQU0sQ0FBQztRQUN4RixJQUFJLE1BQU0sQ0FBQyxNQUFNLEVBQUU7WUFDZixNQUFNLElBQUksZUFBZSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1NBQ3JDO1FBQ0QsT0FBTyxVQUFVLENBQUM7SUFDdEIsQ0FBQzs7Ozs7Ozs7OztJQU9PLFFBQVEsQ0FBQyxlQUF1QyxFQUFFLE1BQWlDOztjQUNqRixNQUFNLEdBQUcsQ0FBQyxFQUFPLEVBQUUsSUFBWSxFQUFVLEVBQUU7WUFDN0MsSUFBSSxDQUFDLEVBQUUsRUFBRTtnQkFDTCxPQUFPLFNBQVMsQ0FBQzthQUNwQjs7a0JBQ0ssSUFBSSxHQUFHLENBQUMsQ0FBQyxPQUFPLENBQUMsZUFBZSxFQUFFLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLEtBQUssRUFBRSxDQUFDO1lBQ3hELElBQUksQ0FBQyxJQUFJLEVBQUU7Z0JBQ1AsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLHdCQUF3QixFQUFFLENBQUMsQ0FBQztnQkFDL0QsT0FBTyxFQUFFLENBQUMsSUFBSSxJQUFJLFdBQVcsQ0FBQzthQUNqQztZQUNELE9BQU8sSUFBSSxDQUFDO1FBQ2hCLENBQUM7OztjQUVLLE9BQU8sR0FBRyxDQUFDLEdBQVEsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUFDLFdBQVcsQ0FBQzs7Y0FFbEQsVUFBVSxHQUFHLElBQUksQ0FBQyxvQkFBb0I7O2NBQ3RDLE9BQU8sR0FBZSxFQUFFO1FBQzlCLEtBQUssTUFBTSxFQUFFLElBQUksVUFBVSxFQUFFO1lBQ3pCLElBQUksVUFBVSxDQUFDLGNBQWMsQ0FBQyxFQUFFLENBQUMsRUFBRTtnQkFDL0IsT0FBTyxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxFQUFFLEVBQUUsT0FBTyxFQUFFLFVBQVUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxTQUFTLEVBQUUsQ0FBQyxDQUFDO2FBQ2pFO1NBQ0o7O2NBRUssU0FBUyxHQUFHLElBQUksQ0FBQyxtQkFBbUI7O2NBQ3BDLE1BQU0sR0FBZSxFQUFFO1FBQzdCLEtBQUssTUFBTSxFQUFFLElBQUksU0FBUyxFQUFFO1lBQ3hCLElBQUksU0FBUyxDQUFDLGNBQWMsQ0FBQyxFQUFFLENBQUMsRUFBRTs7c0JBQ3hCLEtBQUssR0FBRyxTQUFTLENBQUMsRUFBRSxDQUFDOztzQkFDckIsS0FBSyxHQUFHLFVBQVUsR0FBRyxNQUFNLENBQUMsTUFBTTtnQkFDeEMsTUFBTSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUM7b0JBQ2hCLElBQUksRUFBRSxFQUFFO29CQUNSLE1BQU0sRUFBRSxLQUFLLENBQUMsTUFBTTtvQkFDcEIsT0FBTyxFQUFFLEtBQUssQ0FBQyxPQUFPOztvQkFFdEIsTUFBTSxFQUFFLEtBQUssQ0FBQyxNQUFNLElBQUksS0FBSyxDQUFDLE1BQU0sS0FBSyxhQUFhLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLE1BQU07b0JBQ2pGLEtBQUssRUFBRSxLQUFLLENBQUMsS0FBSyxJQUFJLFNBQVM7b0JBQy9CLE9BQU8sRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDLGVBQWUsRUFBRSxLQUFLLEdBQUcsVUFBVSxDQUFDO29CQUMxRCxPQUFPLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxlQUFlLEVBQUUsS0FBSyxHQUFHLFVBQVUsQ0FBQztpQkFDN0QsQ0FBQyxDQUFDLENBQUM7YUFDUDtTQUNKOztjQUVLLFdBQVcsR0FBRyxJQUFJLENBQUMscUJBQXFCOztjQUN4QyxhQUFhLEdBQWUsRUFBRTtRQUNwQyxLQUFLLE1BQU0sRUFBRSxJQUFJLFdBQVcsRUFBRTtZQUMxQixJQUFJLFdBQVcsQ0FBQyxjQUFjLENBQUMsRUFBRSxDQUFDLEVBQUU7Z0JBQ2hDLGFBQWEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDO29CQUN2QixJQUFJLEVBQUUsRUFBRTtvQkFDUixNQUFNLEVBQUUsV0FBVyxDQUFDLEVBQUUsQ0FBQyxDQUFDLE1BQU07b0JBQzlCLElBQUksRUFBRSxXQUFXLENBQUMsRUFBRSxDQUFDLENBQUMsSUFBSSxJQUFJLFNBQVM7b0JBQ3ZDLGFBQWEsRUFBRSxXQUFXLENBQUMsRUFBRSxDQUFDLENBQUMsYUFBYTtpQkFDL0MsQ0FBQyxDQUFDLENBQUM7YUFDUDtTQUNKOztjQUVLLGNBQWMsR0FBRyxJQUFJLENBQUMsd0JBQXdCOztjQUM5QyxXQUFXLEdBQWUsRUFBRTtRQUNsQyxLQUFLLE1BQU0sRUFBRSxJQUFJLGNBQWMsRUFBRTtZQUM3QixJQUFJLGNBQWMsQ0FBQyxjQUFjLENBQUMsRUFBRSxDQUFDLEVBQUU7O3NCQUM3QixLQUFLLEdBQUcsY0FBYyxDQUFDLEVBQUUsQ0FBQzs7c0JBQzFCLEtBQUssR0FBRyxlQUFlLEdBQUcsV0FBVyxDQUFDLE1BQU07O29CQUM5QyxNQUFNLEdBQVEsS0FBSyxDQUFDLE1BQU07Z0JBQzlCLElBQUksT0FBTyxNQUFNLEtBQUssVUFBVSxFQUFFO29CQUM5QixNQUFNLEdBQUcsTUFBTSxDQUFDLE1BQU0sRUFBRSxLQUFLLEdBQUcsU0FBUyxDQUFDLENBQUM7aUJBQzlDO3FCQUFNLElBQUksTUFBTSxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxVQUFVLENBQUMsRUFBRTtvQkFDakUsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxLQUFLLEdBQUcsU0FBUyxFQUFFLE9BQU8sRUFBRSx3QkFBd0IsRUFBRSxDQUFDLENBQUM7aUJBQy9FO2dCQUNELFdBQVcsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDO29CQUNyQixJQUFJLEVBQUUsS0FBSyxDQUFDLElBQUk7b0JBQ2hCLEVBQUUsRUFBRSxLQUFLLENBQUMsRUFBRTtvQkFDWixLQUFLLEVBQUUsS0FBSyxDQUFDLEtBQUs7b0JBQ2xCLEtBQUssRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDLEtBQUssRUFBRSxLQUFLLEdBQUcsUUFBUSxDQUFDO29CQUM1QyxRQUFRLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxnQkFBZ0IsRUFBRSxLQUFLLEdBQUcsV0FBVyxDQUFDO29CQUM3RCxPQUFPLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxlQUFlLEVBQUUsS0FBSyxHQUFHLFVBQVUsQ0FBQztvQkFDMUQsTUFBTSxFQUFFLE1BQU07b0JBQ2QsS0FBSyxFQUFFLEtBQUssQ0FBQyxLQUFLO29CQUNsQixZQUFZLEVBQUUsS0FBSyxDQUFDLFlBQVk7b0JBQ2hDLFFBQVEsRUFBRSxLQUFLLENBQUMsUUFBUTtpQkFDM0IsQ0FBQyxDQUFDLENBQUM7YUFDUDtTQUNKO1FBRUQsT0FBTyxPQUFPLENBQUM7WUFDWCxPQUFPLEVBQUUsaUJBQWlCO1lBQzFCLE9BQU8sRUFBRSxJQUFJLENBQUMsVUFBVSxJQUFJLFNBQVM7WUFDckMsU0FBUyxFQUFFLElBQUksQ0FBQyxVQUFVLElBQUksU0FBUztZQUN2QyxlQUFlLEVBQUUsSUFBSSxDQUFDLGdCQUFnQixLQUFLLFFBQVEsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLGdCQUFnQixDQUFDLENBQUMsQ0FBQyxTQUFTO1lBQ3ZGLE9BQU8sRUFBRSxJQUFJLENBQUMsUUFBUTtZQUN0QixPQUFPLEVBQUUsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxTQUFTO1lBQzdDLE1BQU0sRUFBRSxNQUFNO1lBQ2QsYUFBYSxFQUFFLGFBQWEsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUMsU0FBUztZQUMvRCxXQUFXLEVBQUUsV0FBVztTQUMzQixDQUFDLENBQUM7SUFDUCxDQUFDOzs7Ozs7OztJQU9ELE9BQU8sQ0FBQyxlQUF3QztRQUM1QyxPQUFPLGNBQWMsQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLGVBQWUsQ0FBQyxDQUFDLENBQUM7SUFDOUQsQ0FBQzs7Ozs7Ozs7O0lBU0QsT0FBTztRQUNILE9BQU8saUJBQWlCLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsZ0JBQWdCLElBQUksRUFBRSxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFDN0UsQ0FBQzs7Ozs7Ozs7OztJQVFELEtBQUssQ0FBQyxRQUFnQixFQUFFLE1BQWU7UUFDbkMsT0FBTyxhQUFhLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsZ0JBQWdCLElBQUksRUFBRSxFQUFFLEVBQUUsQ0FBQyxFQUFFLFFBQVEsRUFBRSxNQUFNLENBQUMsQ0FBQztJQUMzRixDQUFDOzs7Ozs7OztJQU9ELEtBQUssQ0FBQyxnQkFBMEI7UUFDNUIsT0FBTyxTQUFTLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsZ0JBQWdCLElBQUksRUFBRSxFQUFFLEVBQUUsQ0FBQyxFQUFFO1lBQzdELE1BQU0sRUFBRSxnQkFBZ0IsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLFlBQVksRUFBRSxDQUFDLENBQUMsQ0FBQyxFQUFFO1NBQ3RELENBQUMsQ0FBQztJQUNQLENBQUM7Ozs7Ozs7O0lBT0QsU0FBUyxDQUFDLGdCQUEwQjtRQUNoQyxPQUFPLGFBQWEsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxnQkFBZ0IsSUFBSSxFQUFFLEVBQUUsRUFBRSxDQUFDLEVBQUU7WUFDakUsTUFBTSxFQUFFLGdCQUFnQixDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsWUFBWSxFQUFFLENBQUMsQ0FBQyxDQUFDLEVBQUU7U0FDdEQsQ0FBQyxDQUFDO0lBQ1AsQ0FBQzs7Ozs7OztJQU1PLFlBQVk7UUFDaEIsSUFBSSxDQUFDLGtCQUFrQixFQUFFLENBQUM7O1lBQ3RCLE1BQU0sR0FBa0IsRUFBRTtRQUM5QixLQUFLLE1BQU0sQ0FBQyxJQUFJLElBQUksQ0FBQyxNQUFNLEVBQUU7WUFDekIsSUFBSSxJQUFJLENBQUMsTUFBTSxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUMsRUFBRTtnQkFDL0IsTUFBTSxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7YUFDN0Q7U0FDSjtRQUNELE9BQU8sTUFBTSxDQUFDO0lBQ2xCLENBQUM7Q0FDSjs7Ozs7O0lBbDBERyxvQ0FBZ0Q7Ozs7O0lBQ2hELHdDQUEyQjs7Ozs7SUFDM0Isc0NBQXNCOzs7OztJQUN0Qix3Q0FBNEI7Ozs7O0lBQzVCLDhDQUFpQzs7Ozs7SUFDakMsNkNBQW9EOzs7OztJQUNwRCwyQ0FBd0M7Ozs7O0lBQ3hDLGtEQUFzRTs7Ozs7SUFDdEUsbURBQTZFOzs7OztJQUM3RSx5Q0FBK0M7Ozs7O0lBQy9DLHdDQUErQjs7Ozs7SUFDL0IscUNBQStDOzs7OztJQUMvQyx3Q0FBdUM7Ozs7O0lBQ3ZDLHVDQUEyQjs7Ozs7SUFDM0IsbURBQXdFOzs7OztJQUN4RSxnREFBcUQ7Ozs7O0lBQ3JELDJDQUE0Qzs7Ozs7SUFDNUMsNkNBQTRDOztJQUk1Qyw0Q0FBK0Q7O0lBRy9ELG9DQUFvQzs7SUFFcEMsMENBQTZFOztJQUU3RSxxQ0FBMEM7O0lBRzFDLHNDQUF3Qzs7Ozs7SUFDeEMsaURBQW9FOzs7OztJQUNwRSxzREFBOEU7Ozs7O0lBQzlFLG1EQUEyRTs7Ozs7SUFDM0UsaURBQThEOzs7OztJQUM5RCx1Q0FBc0Q7Ozs7O0lBQ3RELHlDQUEyQzs7Ozs7SUFDM0Msc0NBQXVDOzs7OztJQUN2QywyQ0FBOEI7Ozs7O0lBQzlCLHFDQUFzQzs7Ozs7SUFDdEMsc0NBQTBEOzs7OztJQUMxRCw0Q0FBMkQ7Ozs7O0lBQzNELDhDQUFpRCIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGZpbGVPdmVydmlld1xuICogUHJvdmlkZXMgYSBjbGFzcyByZXByZXNlbnRpbmcgYSBmaW5pdGUgc3RhdGUgbWFjaGluZS5cbiAqIEBhdXRob3IgWGlhb2xvbmcgVGFuZyA8eHhsb25ndGFuZ0BnbWFpbC5jb20+XG4gKiBAbGljZW5zZSBDb3B5cmlnaHQgQG1lXG4gKi9cbmltcG9ydCAqIGFzIGRlcGVuZGVuY2llcyBmcm9tICdAcG9scHdhcmUvZmUtZGVwZW5kZW5jaWVzJztcbmltcG9ydCB7IHJlcGxhY2UgYXMgcmVwbGFjZVN0ciB9IGZyb20gJ0Bwb2xwd2FyZS9mZS11dGlsaXRpZXMnO1xuaW1wb3J0IHsgT2JzZXJ2YWJsZSwgUmVwbGF5U3ViamVjdCwgU3ViamVjdCB9IGZyb20gJ3J4anMnO1xuaW1wb3J0IHsgZGlzdGluY3RVbnRpbENoYW5nZWQsIGZpbHRlciwgbWFwIH0gZnJvbSAncnhqcy9vcGVyYXRvcnMnO1xuaW1wb3J0IHtcbiAgICBkZWZpbml0aW9uVmVyc2lvbixcbiAgICBEZWZpbml0aW9uRXJyb3IsXG4gICAgSURlZmluaXRpb25Qcm9ibGVtLFxuICAgIElIaXN0b3J5U3RhdGVEZWZpbml0aW9uLFxuICAgIElNYWNoaW5lRGVmaW5pdGlvbixcbiAgICBJU3RhdGVEZWZpbml0aW9uLFxuICAgIElUcmFuc2l0aW9uRGVmaW5pdGlvbixcbiAgICB2YWxpZGF0ZURlZmluaXRpb25cbn0gZnJvbSAnLi9tYWNoaW5lLWRlZmluaXRpb24nO1xuaW1wb3J0IHsgcmVuZGVyRG90LCByZW5kZXJNZXJtYWlkIH0gZnJvbSAnLi9kaWFncmFtLWV4cG9ydCc7XG5pbXBvcnQgeyBwYXJzZVNjeG1sLCBzZXJpYWxpemVTY3htbCB9IGZyb20gJy4vc2N4bWwnO1xuaW1wb3J0IHsgYW5hbHl6ZURlZmluaXRpb24sIElBbmFseXNpc1JlcG9ydCB9IGZyb20gJy4vbW9kZWwtY2hlY2tpbmcnO1xuaW1wb3J0IHsgY2hlY2tQcm9wZXJ0eSwgSVByb3BlcnR5UmVzdWx0IH0gZnJvbSAnLi90ZW1wb3JhbC1sb2dpYyc7XG5pbXBvcnQgeyBJU2NoZWR1bGVyLCByZWFsVGltZVNjaGVkdWxlciB9IGZyb20gJy4vc2NoZWR1bGVyJztcbmltcG9ydCB7IGRpcmVjdEV4ZWN1dGlvblN0cmF0ZWd5LCBJRXhlY3V0aW9uU3RyYXRlZ3kgfSBmcm9tICcuL2V4ZWN1dGlvbi1zdHJhdGVneSc7XG5cbi8vIEEgc2V0IG9mIGhlbHBlciBmdW5jdGlvbnNcbmNvbnN0IF8gPSBkZXBlbmRlbmNpZXMudW5kZXJzY29yZTtcbmNvbnN0IFN0YXRlTWFjaGluZSA9IGRlcGVuZGVuY2llc1snc3RhdGVtYWNoaW5lJ107XG5jb25zdCBpbmRleE9mID0gXy5pbmRleE9mO1xuY29uc3Qgd2l0aG91dCA9IF8ud2l0aG91dDtcbmNvbnN0IHRyYW5zaXRpb25LZXlGb3JtYXQgPSAne2Zyb219Mnt0b30nO1xuY29uc3Qgc3RhdGVTZXBhcmF0b3IgPSAnLic7XG4vLyBUaGUgdGFyZ2V0IHdoaWNoIGtlZXBzIHRoZSB1bmRlcmx5aW5nIGltcGxlbWVudGF0aW9uIGluIGl0cyBjdXJyZW50IHN0YXRlXG5jb25zdCB3aWxkY2FyZFN0YXRlID0gJyonO1xuY29uc3QgZGVmYXVsdFJlZ2lvbiA9ICdkZWZhdWx0JztcbmNvbnN0IGVycm9yTWVzc2FnZUZvcm1hdCA9ICdUcmFuc2l0aW9uIHtuYW1lfSBmcm9tIHtmcm9tfSB0byB7dG99IGZhaWxzLic7XG4vLyBUaGUgZm9ybWF0IHZlcnNpb24gb2Ygc25hcHNob3RzOyBidW1wIGl0IHdoZW5ldmVyXG4vLyB0aGUgc25hcHNob3Qgc3RydWN0dXJlIGNoYW5nZXMgaW5jb21wYXRpYmx5LlxuY29uc3Qgc25hcHNob3RWZXJzaW9uID0gMTtcbmNvbnN0IG1heEhpc3RvcnlMZW5ndGggPSAxMDA7XG5jb25zdCBzYW1lU3RhdGVQb2xpY2llcyA9IFsnaWdub3JlJywgJ2Vycm9yJywgJ3JlZW50ZXInXTtcblxuXG5pbnRlcmZhY2UgSVVuZGVybHlJbXBsIHtcbiAgICBzdGF0ZTogc3RyaW5nO1xuICAgIGlzKHN0YXRlTmFtZTogc3RyaW5nKTogYm9vbGVhbjtcbiAgICBjYW5ub3QodHJhbnNpdGlvbk5hbWU6IHN0cmluZyk6IGJvb2xlYW47XG4gICAgZmlyZSh0cmFuc2l0aW9uTmFtZTogc3RyaW5nKTogYW55O1xufVxuXG4vKipcbiAqIERlc2NyaWJlcyBhIHRyYW5zaXRpb24gdG8gdGhlIGNhbGxiYWNrcyBpbnZva2VkIGR1cmluZyBpdC5cbiAqIFRoZSB0eXBlIHBhcmFtZXRlcnMgYXJlIHRoZSBzdGF0ZXMsIHRoZSBldmVudHMgYW5kIHRoZSBjb250ZXh0IGRhdGFcbiAqIG9mIHRoZSBGU00sIGFzIGluIEZpbml0ZVN0YXRlTWFjaGluZS5cbiAqL1xuZXhwb3J0IGludGVyZmFjZSBJTGlmZUN5Y2xlRXZlbnQ8VFN0YXRlIGV4dGVuZHMgc3RyaW5nID0gc3RyaW5nLCBURXZlbnQgZXh0ZW5kcyBzdHJpbmcgPSBzdHJpbmcsIFRDb250ZXh0ID0gYW55PiB7XG4gICAgdHJhbnNpdGlvbjogc3RyaW5nO1xuICAgIGZyb206IFRTdGF0ZTtcbiAgICB0bzogVFN0YXRlO1xuICAgIHJlZ2lvbj86IHN0cmluZztcbiAgICAvLyBUaGUgbmFtZWQgZXZlbnQgd2hpY2ggdGhlIHRyYW5zaXRpb24gaXMgZGVmaW5lZCBmb3IsIGlmIGFueS5cbiAgICBldmVudD86IFRFdmVudDtcbiAgICAvLyBUaGUgZGF0YSBnaXZlbiB3aGVuIHRoZSB0cmFuc2l0aW9uIGlzIHRyaWdnZXJlZC5cbiAgICBwYXlsb2FkPzogYW55O1xuICAgIC8vIFRoZSBjb250ZXh0IGRhdGEgb2YgdGhlIEZTTS5cbiAgICBjb250ZXh0PzogVENvbnRleHQ7XG59XG5cbi8qKlxuICogRGVzY3JpYmVzIGEgY2hhbmdlIG9mIHRoZSBjb250ZXh0IGRhdGEuXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgSUNvbnRleHRDaGFuZ2VFdmVudDxUU3RhdGUgZXh0ZW5kcyBzdHJpbmcgPSBzdHJpbmcsIFRFdmVudCBleHRlbmRzIHN0cmluZyA9IHN0cmluZywgVENvbnRleHQgPSBhbnk+IHtcbiAgICBjb250ZXh0OiBUQ29udGV4dDtcbiAgICBwcmV2aW91czogVENvbnRleHQ7XG4gICAgLy8gVGhlIHRyYW5zaXRpb24gd2hpY2ggY2F1c2VzIHRoZSBjaGFuZ2UuXG4gICAgbGlmZWN5Y2xlOiBJTGlmZUN5Y2xlRXZlbnQ8VFN0YXRlLCBURXZlbnQsIFRDb250ZXh0Pjtcbn1cblxuLyoqXG4gKiBEZXNjcmliZXMgYW4gZXJyb3IgcmVwb3J0ZWQgdG8gdGhlIGVycm9yIGhhbmRsZXIuXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgSUVycm9yRXZlbnQge1xuICAgIC8vIFRoZSB0cmFuc2l0aW9uIG9yIHRoZSBldmVudCB3aGljaCBmYWlscy5cbiAgICBuYW1lOiBzdHJpbmc7XG4gICAgZnJvbTogc3RyaW5nO1xuICAgIHRvOiBzdHJpbmc7XG4gICAgZXJyb3I/OiBhbnk7XG59XG5cbi8qKlxuICogRGVzY3JpYmVzIGEgdHJhbnNpdGlvbiB3aGljaCBoYXMgYmVlbiB0YWtlbi5cbiAqL1xuZXhwb3J0IGludGVyZmFjZSBJSGlzdG9yeUVudHJ5PFRTdGF0ZSBleHRlbmRzIHN0cmluZyA9IHN0cmluZz4ge1xuICAgIHRyYW5zaXRpb246IHN0cmluZztcbiAgICBmcm9tOiBUU3RhdGU7XG4gICAgdG86IFRTdGF0ZTtcbiAgICByZWdpb246IHN0cmluZztcbiAgICAvLyBUaGUgZGF0YSBnaXZlbiB3aGVuIHRoZSB0cmFuc2l0aW9uIGlzIHRyaWdnZXJlZC5cbiAgICBwYXlsb2FkPzogYW55O1xuICAgIC8vIFRoZSB0aW1lIGluIG1pbGxpc2Vjb25kcyBzaW5jZSB0aGUgZXBvY2ggd2hlbiB0aGUgdHJhbnNpdGlvbiBpcyB0YWtlbi5cbiAgICB0aW1lc3RhbXA/OiBudW1iZXI7XG59XG5cbi8qKlxuICogRGVzY3JpYmVzIHRoZSBydW5uaW5nIHN0YXR1cyBvZiBhIEZTTSBpbiBwbGFpbiBKU09OIGRhdGEsXG4gKiBmcm9tIHdoaWNoIGEgRlNNIG9mIHRoZSBzYW1lIGNvbmZpZ3VyYXRpb24gbWF5IGJlIHN0YXJ0ZWQgYWdhaW4uXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgSVNuYXBzaG90PFRTdGF0ZSBleHRlbmRzIHN0cmluZyA9IHN0cmluZywgVENvbnRleHQgPSBhbnk+IHtcbiAgICB2ZXJzaW9uOiBudW1iZXI7XG4gICAgLy8gVGhlIGN1cnJlbnQgYXRvbWljIHN0YXRlIG9mIGVhY2ggcmVnaW9uXG4gICAgc3RhdGU6IHsgW2tleTogc3RyaW5nXTogVFN0YXRlIH07XG4gICAgY29udGV4dDogVENvbnRleHQ7XG4gICAgaGlzdG9yeTogQXJyYXk8SUhpc3RvcnlFbnRyeTxUU3RhdGU+PjtcbiAgICAvLyBUaGUgdHJhbnNpdGlvbnMgd2hpY2ggaGF2ZSBiZWVuIHVuZG9uZSBhbmQgbWF5IGJlIHJlZG9uZSxcbiAgICAvLyB0aGUgbW9zdCByZWNlbnRseSB1bmRvbmUgb25lIGxhc3QuXG4gICAgdW5kb25lPzogQXJyYXk8SUhpc3RvcnlFbnRyeTxUU3RhdGU+PjtcbiAgICAvLyBUaGUgbGFzdCBhY3RpdmUgYXRvbWljIHN0YXRlIG9mIGVhY2ggY29tcG91bmQgc3RhdGVcbiAgICAvLyB3aGljaCBoYXMgYSBoaXN0b3J5IHN0YXRlLCBhcyBvZiB3aGVuIGl0IHdhcyBsZWZ0LlxuICAgIGxhc3RBY3RpdmU/OiB7IFtrZXk6IHN0cmluZ106IFRTdGF0ZSB9O1xufVxuXG5leHBvcnQgdHlwZSBNZXRob2RDYWxsYmFja1R5cGU8VFN0YXRlIGV4dGVuZHMgc3RyaW5nID0gc3RyaW5nLCBURXZlbnQgZXh0ZW5kcyBzdHJpbmcgPSBzdHJpbmcsIFRDb250ZXh0ID0gYW55PiA9XG4gICAgKGxpZmVjeWNsZTogSUxpZmVDeWNsZUV2ZW50PFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dD4pID0+IHZvaWQ7XG5leHBvcnQgdHlwZSBFcnJvckhhbmRsZXJUeXBlID0gKG5hbWU6IHN0cmluZywgZnJvbTogc3RyaW5nLCB0bzogc3RyaW5nLCBlcnJvcj86IGFueSkgPT4gdm9pZDtcbmV4cG9ydCB0eXBlIEd1YXJkVHlwZTxUQ29udGV4dCA9IGFueT4gPSAoY29udGV4dDogVENvbnRleHQsIHBheWxvYWQ/OiBhbnkpID0+IGJvb2xlYW47XG5leHBvcnQgdHlwZSBDb250ZXh0Q2hhbmdlQ2FsbGJhY2tUeXBlPFRTdGF0ZSBleHRlbmRzIHN0cmluZyA9IHN0cmluZywgVEV2ZW50IGV4dGVuZHMgc3RyaW5nID0gc3RyaW5nLCBUQ29udGV4dCA9IGFueT4gPVxuICAgIChjaGFuZ2U6IElDb250ZXh0Q2hhbmdlRXZlbnQ8VFN0YXRlLCBURXZlbnQsIFRDb250ZXh0PikgPT4gdm9pZDtcbi8vIEVpdGhlciBhIGZ1bmN0aW9uIGNvbXB1dGluZyB0aGUgcHJvcGVydGllcyB0byBiZSB1cGRhdGVkLCBvclxuLy8gYW4gb2JqZWN0IG9mIHRoZSBwcm9wZXJ0aWVzIHRvIGJlIHVwZGF0ZWQsIHdoZXJlIGVhY2ggcHJvcGVydHlcbi8vIG1heSBhbHNvIGJlIGNvbXB1dGVkIGJ5IGEgZnVuY3Rpb24uXG5leHBvcnQgdHlwZSBBc3NpZ25GdW5jdGlvblR5cGU8VENvbnRleHQgPSBhbnk+ID0gKGNvbnRleHQ6IFRDb250ZXh0LCBwYXlsb2FkPzogYW55KSA9PiBQYXJ0aWFsPFRDb250ZXh0PjtcbmV4cG9ydCB0eXBlIEFzc2lnblR5cGU8VENvbnRleHQgPSBhbnk+ID0gQXNzaWduRnVuY3Rpb25UeXBlPFRDb250ZXh0PiB8XG4gICAgeyBbSyBpbiBrZXlvZiBUQ29udGV4dF0/OiBUQ29udGV4dFtLXSB8ICgoY29udGV4dDogVENvbnRleHQsIHBheWxvYWQ/OiBhbnkpID0+IFRDb250ZXh0W0tdKSB9O1xuLy8gV3JhcHMgYSB0cmFuc2l0aW9uOyBpdCBnb2VzIG9uIHdpdGggdGhlIHRyYW5zaXRpb24gYnkgY2FsbGluZyBuZXh0LFxuLy8gb3B0aW9uYWxseSB3aXRoIGEgbmV3IHBheWxvYWQsIGFuZCBnZXRzIHdoYXQgdGhlIHRyYW5zaXRpb24gcmV0dXJucyxcbi8vIGkuZS4sIGEgcHJvbWlzZSBpbiB0aGUgYXN5bmNocm9ub3VzIG1vZGUuXG5leHBvcnQgdHlwZSBNaWRkbGV3YXJlVHlwZTxUU3RhdGUgZXh0ZW5kcyBzdHJpbmcgPSBzdHJpbmcsIFRFdmVudCBleHRlbmRzIHN0cmluZyA9IHN0cmluZywgVENvbnRleHQgPSBhbnk+ID1cbiAgICAobGlmZWN5Y2xlOiBJTGlmZUN5Y2xlRXZlbnQ8VFN0YXRlLCBURXZlbnQsIFRDb250ZXh0PiwgbmV4dDogKHBheWxvYWQ/OiBhbnkpID0+IGFueSkgPT4gYW55O1xuLy8gV2hhdCBnb2luZyB0byBhbiBhY3RpdmUgc3RhdGUgZG9lcywgaWYgbm8gdHJhbnNpdGlvbiBpcyBkZWZpbmVkIGZvciBpdDpcbi8vIG5vdGhpbmcsIHRocm93aW5nIGFuIGVycm9yLCBvciBsZWF2aW5nIGFuZCByZS1lbnRlcmluZyB0aGUgc3RhdGUuXG5leHBvcnQgdHlwZSBTYW1lU3RhdGVQb2xpY3lUeXBlID0gJ2lnbm9yZScgfCAnZXJyb3InIHwgJ3JlZW50ZXInO1xuLy8gV2hhdCB0YWtpbmcgYSB0cmFuc2l0aW9uIHJldHVybnMsIGJ5IHRoZSBtb2RlIG9mIHRoZSBGU006IHRoZSBGU00gaXRzZWxmXG4vLyBpbiB0aGUgc3luY2hyb25vdXMgbW9kZSwgc28gdGhhdCB0aGUgY2FsbHMgbWF5IGJlIGNoYWluZWQsIGFuZCBhIHByb21pc2Vcbi8vIG9mIHRoZSByZXN1bHQgaW4gdGhlIGFzeW5jaHJvbm91cyBtb2RlOyBlaXRoZXIgaWYgdGhlIG1vZGUgaXMgdW5rbm93bi5cbmV4cG9ydCB0eXBlIFRyYW5zaXRpb25SZXN1bHRUeXBlPFRBc3luYyBleHRlbmRzIGJvb2xlYW4sIFRNYWNoaW5lLCBUUmVzdWx0PiA9XG4gICAgVEFzeW5jIGV4dGVuZHMgdHJ1ZSA/IFByb21pc2U8VFJlc3VsdD4gOiBUTWFjaGluZTtcblxuZXhwb3J0IGludGVyZmFjZSBJU3RhdGVPcHRpb25zPFRTdGF0ZSBleHRlbmRzIHN0cmluZyA9IHN0cmluZz4ge1xuICAgIC8vIFRoZSBlbmNsb3Npbmcgc3RhdGU7IGJ5IGRlZmF1bHQgaXQgaXMgZGVyaXZlZCBmcm9tIGEgZG90dGVkIG5hbWUsXG4gICAgLy8gZS5nLiwgJ2VkaXRvcicgZm9yICdlZGl0b3Iuc2F2aW5nJy5cbiAgICBwYXJlbnQ/OiBUU3RhdGU7XG4gICAgLy8gVGhlIGNoaWxkIHN0YXRlIHRvIGVudGVyIHdoZW4gYSB0cmFuc2l0aW9uIHRhcmdldHMgdGhpcyBzdGF0ZS5cbiAgICBpbml0aWFsPzogVFN0YXRlO1xuICAgIC8vIFRoZSBvcnRob2dvbmFsIHJlZ2lvbiB0aGUgc3RhdGUgYmVsb25ncyB0bzsgYnkgZGVmYXVsdCBpdCBpc1xuICAgIC8vIHRoZSByZWdpb24gb2YgaXRzIHBhcmVudCwgb3IgdGhlIGRlZmF1bHQgcmVnaW9uLlxuICAgIHJlZ2lvbj86IHN0cmluZztcbiAgICAvLyBXaGV0aGVyIHRoZSBzdGF0ZSBpcyBhIGZpbmFsIHN0YXRlLCBpLmUuLCBpdCBpcyBmaW5lXG4gICAgLy8gZm9yIHRoZSBzdGF0ZSBub3QgdG8gaGF2ZSBhbnkgb3V0Z29pbmcgdHJhbnNpdGlvbi5cbiAgICBmaW5hbD86IGJvb2xlYW47XG59XG5cbmludGVyZmFjZSBJU3RhdGVTcGVjaWZpY2F0aW9uIHtcbiAgICBvbkVudGVyQ2FsbGJhY2s/OiBNZXRob2RDYWxsYmFja1R5cGU7XG4gICAgb25MZWF2ZUNhbGxiYWNrPzogTWV0aG9kQ2FsbGJhY2tUeXBlO1xuICAgIHBhcmVudD86IHN0cmluZztcbiAgICBpbml0aWFsPzogc3RyaW5nO1xuICAgIGNoaWxkcmVuOiBBcnJheTxzdHJpbmc+O1xuICAgIHJlZ2lvbjogc3RyaW5nO1xuICAgIGZpbmFsPzogYm9vbGVhbjtcbn1cblxuaW50ZXJmYWNlIElSZWdpb25TcGVjaWZpY2F0aW9uIHtcbiAgICBpbml0U3RhdGU6IHN0cmluZztcbn1cblxuZXhwb3J0IGludGVyZmFjZSBJSGlzdG9yeVN0YXRlT3B0aW9uczxUU3RhdGUgZXh0ZW5kcyBzdHJpbmcgPSBzdHJpbmc+IHtcbiAgICAvLyBXaGV0aGVyIHRoZSBmdWxsIGRlc2NlbmRhbnQgY29uZmlndXJhdGlvbiBpcyByZW1lbWJlcmVkLFxuICAgIC8vIHJhdGhlciB0aGFuIHRoZSBsYXN0IGFjdGl2ZSBjaGlsZC5cbiAgICBkZWVwPzogYm9vbGVhbjtcbiAgICAvLyBUaGUgc3RhdGUgdG8gZW50ZXIgd2hlbiB0aGVyZSBpcyBubyBoaXN0b3J5IHlldDsgYnkgZGVmYXVsdFxuICAgIC8vIGl0IGlzIHRoZSBpbml0aWFsIHN0YXRlIG9mIHRoZSBwYXJlbnQuXG4gICAgZGVmYXVsdFRhcmdldD86IFRTdGF0ZTtcbn1cblxuaW50ZXJmYWNlIElIaXN0b3J5U3RhdGVTcGVjaWZpY2F0aW9uIHtcbiAgICBwYXJlbnQ6IHN0cmluZztcbiAgICBkZWVwOiBib29sZWFuO1xuICAgIGRlZmF1bHRUYXJnZXQ/OiBzdHJpbmc7XG4gICAgcmVnaW9uOiBzdHJpbmc7XG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgSVRyYW5zaXRpb25PcHRpb25zPFRTdGF0ZSBleHRlbmRzIHN0cmluZyA9IHN0cmluZywgVEV2ZW50IGV4dGVuZHMgc3RyaW5nID0gc3RyaW5nLCBUQ29udGV4dCA9IGFueT4ge1xuICAgIC8vIFRoZSBjb25kaXRpb24gd2hpY2ggbXVzdCBob2xkIGZvciB0aGUgdHJhbnNpdGlvbiB0byBiZSB0YWtlbi5cbiAgICBndWFyZD86IEd1YXJkVHlwZTxUQ29udGV4dD47XG4gICAgLy8gVGhlIG5hbWVkIGV2ZW50IHdoaWNoIHRyaWdnZXJzIHRoZSB0cmFuc2l0aW9uLlxuICAgIGV2ZW50PzogVEV2ZW50O1xuICAgIC8vIFRoZSB1cGRhdGUgdG8gdGhlIGNvbnRleHQgZGF0YSB3aGVuIHRoZSB0cmFuc2l0aW9uIGlzIHRha2VuLlxuICAgIGFzc2lnbj86IEFzc2lnblR5cGU8VENvbnRleHQ+O1xuICAgIC8vIFRoZSB0aW1lIGluIG1pbGxpc2Vjb25kcyBhZnRlciB3aGljaCB0aGUgdHJhbnNpdGlvbiBpcyB0YWtlblxuICAgIC8vIGF1dG9tYXRpY2FsbHksIGlmIHRoZSBGU00gc3RheXMgaW4gdGhlIHNvdXJjZSBzdGF0ZSBtZWFud2hpbGUuXG4gICAgZGVsYXk/OiBudW1iZXI7XG4gICAgLy8gVGhlIHN0YXRlIHRvIGdvIGJhY2sgdG8gd2hlbiB0aGUgdHJhbnNpdGlvbiBpcyB1bmRvbmUsXG4gICAgLy8gYnkgdGhlIHRyYW5zaXRpb24gZGVmaW5lZCBmcm9tIHRoZSB0YXJnZXQgc3RhdGUgdG8gaXQuXG4gICAgLy8gQnkgZGVmYXVsdCwgaXQgaXMgdGhlIHNvdXJjZSBzdGF0ZS5cbiAgICBjb21wZW5zYXRpb24/OiBUU3RhdGU7XG4gICAgLy8gV2hldGhlciBhIHNlbGYtdHJhbnNpdGlvbiBpcyBpbnRlcm5hbCwgaS5lLiwgaXRzIHN0YXRlIGlzXG4gICAgLy8gbmVpdGhlciBsZWZ0IG5vciByZS1lbnRlcmVkOyBieSBkZWZhdWx0LCBpdCBpcyBleHRlcm5hbC5cbiAgICBpbnRlcm5hbD86IGJvb2xlYW47XG59XG5cbmludGVyZmFjZSBJVHJhbnNpdGlvblNwZWNpZmljYXRpb24ge1xuICAgIGZyb206IHN0cmluZztcbiAgICB0bzogc3RyaW5nO1xuICAgIG9uQmVmb3JlQ2FsbGJhY2s/OiBNZXRob2RDYWxsYmFja1R5cGU7XG4gICAgb25BZnRlckNhbGxiYWNrPzogTWV0aG9kQ2FsbGJhY2tUeXBlO1xuICAgIGd1YXJkPzogR3VhcmRUeXBlO1xuICAgIGV2ZW50Pzogc3RyaW5nO1xuICAgIGFzc2lnbj86IEFzc2lnblR5cGU7XG4gICAgZGVsYXk/OiBudW1iZXI7XG4gICAgY29tcGVuc2F0aW9uPzogc3RyaW5nO1xuICAgIGludGVybmFsPzogYm9vbGVhbjtcbn1cblxuaW50ZXJmYWNlIElSZXBsYXlTcGVjaWZpY2F0aW9uIHtcbiAgICBraW5kOiBzdHJpbmc7XG4gICAgZW50cnk6IElIaXN0b3J5RW50cnk7XG59XG5cbi8qKlxuICogQnVpbGRzIGEgaGFuZGxlciB3aXRoIG5lY2Vzc2FyeSBjb250ZXh0IGluZm9ybWF0aW9uLlxuICogVGhlIHJlc3VsdGluZyByZXR1cm4gdmFsdWUgaXMgYSBjbG9zdXJlIGluZGVlZC5cbiAqL1xuZnVuY3Rpb24gYnVpbGRIYW5kbGVySW5DbG9zdXJlKGNvbnRleHQ6IHsgW2tleTogc3RyaW5nXTogQXJyYXk8RnVuY3Rpb24+IH0sIGtleTogc3RyaW5nKSB7XG4gICAgcmV0dXJuIGZ1bmN0aW9uKGRhdGE6IGFueSkge1xuICAgICAgICBjb25zdCBvdXJIYW5kbGVycyA9IGNvbnRleHRba2V5XTtcbiAgICAgICAgaWYgKCFvdXJIYW5kbGVycykge1xuICAgICAgICAgICAgcmV0dXJuO1xuICAgICAgICB9XG4gICAgICAgIGZvciAobGV0IGkgPSAwOyBpIDwgb3VySGFuZGxlcnMubGVuZ3RoOyBpKyspIHtcbiAgICAgICAgICAgIGNvbnN0IGZ1bmMgPSBvdXJIYW5kbGVyc1tpXTtcbiAgICAgICAgICAgIGZ1bmMuYXBwbHkobnVsbCwgYXJndW1lbnRzKTtcbiAgICAgICAgfVxuICAgIH07XG59XG5cbi8qKlxuICogQ29tcHV0ZXMgdGhlIHN0YXRlcyB0byBiZSBsZWZ0IGFuZCB0aGUgc3RhdGVzIHRvIGJlIGVudGVyZWRcbiAqIHdoZW4gbW92aW5nIGZyb20gb25lIHN0YXRlIHRvIGFub3RoZXIsIGdpdmVuIHRoZSBhY3RpdmUgcGF0aHMgb2YgYm90aC5cbiAqIFRoZSBzdGF0ZXMgdG8gYmUgbGVmdCBhcmUgb3JkZXJlZCBmcm9tIHRoZSBpbm5lcm1vc3Qgb25lLCBhbmRcbiAqIHRoZSBzdGF0ZXMgdG8gYmUgZW50ZXJlZCBmcm9tIHRoZSBvdXRlcm1vc3Qgb25lLlxuICovXG5mdW5jdGlvbiBjb21wdXRlRXhpdEFuZEVudHJ5KGZyb21QYXRoOiBBcnJheTxzdHJpbmc+LCB0b1BhdGg6IEFycmF5PHN0cmluZz4pIHtcbiAgICBsZXQgaSA9IDA7XG4gICAgd2hpbGUgKGkgPCBmcm9tUGF0aC5sZW5ndGggJiYgaSA8IHRvUGF0aC5sZW5ndGggJiYgZnJvbVBhdGhbaV0gPT09IHRvUGF0aFtpXSkge1xuICAgICAgICBpKys7XG4gICAgfVxuICAgIHJldHVybiB7XG4gICAgICAgIGV4aXQ6IGZyb21QYXRoLnNsaWNlKGkpLnJldmVyc2UoKSxcbiAgICAgICAgZW50cnk6IHRvUGF0aC5zbGljZShpKVxuICAgIH07XG59XG5cbi8qKlxuICogSW52b2tlcyB0aGUgZ2l2ZW4gY2FsbGJhY2tzIG9uZSBhZnRlciBhbm90aGVyLCBhbmQgc3RvcHMgYXRcbiAqIHRoZSBmaXJzdCBvbmUgd2hpY2ggcmV0dXJucyBmYWxzZS4gQSBjYWxsYmFjayBtYXkgcmV0dXJuIGEgcHJvbWlzZSxcbiAqIGFuZCB0aGVuIHRoZSByZW1haW5pbmcgY2FsbGJhY2tzIGFyZSBpbnZva2VkIG9uY2UgaXQgaXMgcmVzb2x2ZWQuXG4gKi9cbmZ1bmN0aW9uIGludm9rZUluU2VxdWVuY2UoY2FsbGJhY2tzOiBBcnJheTxNZXRob2RDYWxsYmFja1R5cGU+LCBsaWZlY3ljbGU6IElMaWZlQ3ljbGVFdmVudCwgaW5kZXg6IG51bWJlciA9IDApOiBhbnkge1xuICAgIGZvciAobGV0IGkgPSBpbmRleDsgaSA8IGNhbGxiYWNrcy5sZW5ndGg7IGkrKykge1xuICAgICAgICBjb25zdCByZXN1bHQ6IGFueSA9IGNhbGxiYWNrc1tpXShsaWZlY3ljbGUpO1xuICAgICAgICBpZiAocmVzdWx0ID09PSBmYWxzZSkge1xuICAgICAgICAgICAgcmV0dXJuIGZhbHNlO1xuICAgICAgICB9XG4gICAgICAgIGlmIChyZXN1bHQgJiYgdHlwZW9mIHJlc3VsdC50aGVuID09PSAnZnVuY3Rpb24nKSB7XG4gICAgICAgICAgICByZXR1cm4gcmVzdWx0LnRoZW4oKHZhbHVlKSA9PiB7XG4gICAgICAgICAgICAgICAgcmV0dXJuIHZhbHVlID09PSBmYWxzZSA/IGZhbHNlIDogaW52b2tlSW5TZXF1ZW5jZShjYWxsYmFja3MsIGxpZmVjeWNsZSwgaSArIDEpO1xuICAgICAgICAgICAgfSk7XG4gICAgICAgIH1cbiAgICB9XG59XG5cbi8qKlxuICogSW52b2tlcyB0aGUgZ2l2ZW4gbWlkZGxld2FyZSBhcm91bmQgdGhlIGdpdmVuIHdvcmssIHRoZSBmaXJzdCBvbmVcbiAqIGJlaW5nIHRoZSBvdXRlcm1vc3QuIEEgbWlkZGxld2FyZSB3aGljaCBkb2VzIG5vdCBjYWxsIG5leHQgdmV0b2VzXG4gKiB0aGUgdHJhbnNpdGlvbjsgYSBtaWRkbGV3YXJlIG1heSBjYWxsIG5leHQgb25seSBvbmNlLlxuICovXG5mdW5jdGlvbiBpbnZva2VNaWRkbGV3YXJlKG1pZGRsZXdhcmU6IEFycmF5PE1pZGRsZXdhcmVUeXBlPiwgbGlmZWN5Y2xlOiBJTGlmZUN5Y2xlRXZlbnQsXG4gICAgd29yazogKHBheWxvYWQ/OiBhbnkpID0+IGFueSwgaW5kZXg6IG51bWJlciA9IDApOiBhbnkge1xuICAgIGlmIChpbmRleCA+PSBtaWRkbGV3YXJlLmxlbmd0aCkge1xuICAgICAgICByZXR1cm4gd29yayhsaWZlY3ljbGUucGF5bG9hZCk7XG4gICAgfVxuICAgIGxldCBjYWxsZWQgPSBmYWxzZTtcbiAgICByZXR1cm4gbWlkZGxld2FyZVtpbmRleF0obGlmZWN5Y2xlLCBmdW5jdGlvbihwYXlsb2FkPzogYW55KSB7XG4gICAgICAgIGlmIChjYWxsZWQpIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignQ2FsbGluZyBuZXh0IG1vcmUgdGhhbiBvbmNlOiAnICsgbGlmZWN5Y2xlLnRyYW5zaXRpb24pO1xuICAgICAgICB9XG4gICAgICAgIGNhbGxlZCA9IHRydWU7XG4gICAgICAgIGlmIChhcmd1bWVudHMubGVuZ3RoID4gMCkge1xuICAgICAgICAgICAgbGlmZWN5Y2xlLnBheWxvYWQgPSBwYXlsb2FkO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiBpbnZva2VNaWRkbGV3YXJlKG1pZGRsZXdhcmUsIGxpZmVjeWNsZSwgd29yaywgaW5kZXggKyAxKTtcbiAgICB9KTtcbn1cblxuLyoqXG4gKiBEZWZhdWx0IGVycm9yIGhhbmRsZXIgZm9yIHRoZSBGU00uXG4gKi9cbmZ1bmN0aW9uIGRlZmF1bHRFcnJvckhhbmRsZXIoZXZlbnROYW1lOiBzdHJpbmcsIGZyb206IHN0cmluZywgdG86IHN0cmluZywgZXJyb3I/OiBhbnkpOiB2b2lkIHtcbiAgICBjb25zdCBpbmZvID0gcmVwbGFjZVN0cihlcnJvck1lc3NhZ2VGb3JtYXQsIHtcbiAgICAgICAgbmFtZTogZXZlbnROYW1lLFxuICAgICAgICBmcm9tOiBmcm9tLFxuICAgICAgICB0bzogdG9cbiAgICB9KTtcbiAgICBjb25zb2xlLmxvZyhpbmZvKTtcbiAgICBpZiAoZXJyb3IpIHtcbiAgICAgICAgY29uc29sZS5sb2coZXJyb3IpO1xuICAgIH1cbn1cblxuLyoqXG4gKiBSZXByZXNlbnRzIGEgZmluaXRlIHN0YXRlIG1hY2hpbmUuXG4gKiBUaGUgcmVzdWx0aW5nIEZTTSBpcyBidWlsdCB1cG9uIGEgY29tbW9ubHkgdXNlZCBqYXZhc2NyaXB0XG4gKiBzdGF0ZSBtYWNoaW5lIGxpYnJhcnkuXG4gKiBTdWNoIGEgZGVzaWduIChvZiBhcmNoaXRlY3R1cmUpIGlzIGJhc2VkIG9uIHRoZSBmb2xsb3dpbmcgY29uc2lkZXJhdGlvbnM6XG4gKiAtIEEgdXNlci1mcmllbmRseSBpbnRlcmZhY2UgZm9yIGRlZmluaW5nIHN0YXRlcyBhbmQgdGhlaXIgYmVoYXZpb3JzXG4gKiAtIEEga2luZCBvZiBtb2RlbC1jaGVja2luZyBjYXBhYmlsaXR5IGZvciB2ZXJpZnlpbmcgdGhlIGNvcnJlY3RuZXNzIG9mXG4gKiB0cmFuc2l0aW9uc1xuICogLSBTdXBwb3J0IGZvciBhc3ljaHJvbm91cyBhbmQgc3luY2hyb3VzIHRyYW5zaXRpb25zXG4gKiAtIFN1cHBvcnQgZm9yIGdsb2JhbCBleGNlcHRpb24gaGFuZGxpbmdcbiAqIFRoZSBzdGF0ZXMsIHRoZSBldmVudHMgYW5kIHRoZSBjb250ZXh0IGRhdGEgbWF5IGJlIHR5cGVkIGJ5XG4gKiB0aGUgdHlwZSBwYXJhbWV0ZXJzLCBlLmcuLFxuICogbmV3IEZpbml0ZVN0YXRlTWFjaGluZTwnaWRsZScgfCAnYnVzeScsICdzdWJtaXQnLCB7IGNvdW50OiBudW1iZXIgfT4oKSxcbiAqIHNvIHRoYXQgdGhlIG5hbWVzIGFyZSBjaGVja2VkIGF0IGNvbXBpbGUgdGltZSBhbmQgdGhlIGNhbGxiYWNrc1xuICogcmVjZWl2ZSBwcmVjaXNlbHkgdHlwZWQgbGlmZWN5Y2xlIGV2ZW50cy4gVGhlIGxhc3QgdHlwZSBwYXJhbWV0ZXJcbiAqIHRlbGxzIHdoZXRoZXIgdGhlIEZTTSBpcyBpbiB0aGUgYXN5bmNocm9ub3VzIG1vZGUsIGFzIHNldCBieVxuICogc2V0QXN5bmNNb2RlLCBzbyB0aGF0IHRha2luZyBhIHRyYW5zaXRpb24gaXMgdHlwZWQgdG8gcmV0dXJuXG4gKiBlaXRoZXIgdGhlIEZTTSBvciBhIHByb21pc2UuXG4gKiBAY2xhc3MgRlNNXG4gKi9cbmV4cG9ydCBjbGFzcyBGaW5pdGVTdGF0ZU1hY2hpbmU8VFN0YXRlIGV4dGVuZHMgc3RyaW5nID0gc3RyaW5nLCBURXZlbnQgZXh0ZW5kcyBzdHJpbmcgPSBzdHJpbmcsIFRDb250ZXh0ID0gYW55LFxuICAgIFRBc3luYyBleHRlbmRzIGJvb2xlYW4gPSBmYWxzZT4ge1xuXG4gICAgcHJpdmF0ZSBfaW1wbHM6IHsgW2tleTogc3RyaW5nXTogSVVuZGVybHlJbXBsIH07XG4gICAgcHJpdmF0ZSBfaW5pdFN0YXRlOiBzdHJpbmc7XG4gICAgcHJpdmF0ZSBfY29udGV4dDogYW55O1xuICAgIHByaXZhdGUgX2FzeW5jTW9kZTogYm9vbGVhbjtcbiAgICBwcml2YXRlIF9zYW1lU3RhdGVQb2xpY3k6IHN0cmluZztcbiAgICBwcml2YXRlIF9wZW5kaW5nUmVnaW9uczogeyBba2V5OiBzdHJpbmddOiBib29sZWFuIH07XG4gICAgcHJpdmF0ZSBfZXJyb3JIYW5kbGVyOiBFcnJvckhhbmRsZXJUeXBlO1xuICAgIHByaXZhdGUgX3JlZ2lvbkNvbmZpZ3VyYXRpb246IHsgW2tleTogc3RyaW5nXTogSVJlZ2lvblNwZWNpZmljYXRpb24gfTtcbiAgICBwcml2YXRlIF9oaXN0b3J5Q29uZmlndXJhdGlvbjogeyBba2V5OiBzdHJpbmddOiBJSGlzdG9yeVN0YXRlU3BlY2lmaWNhdGlvbiB9O1xuICAgIHByaXZhdGUgX2xhc3RBY3RpdmU6IHsgW2tleTogc3RyaW5nXTogc3RyaW5nIH07XG4gICAgcHJpdmF0ZSBfc2NoZWR1bGVyOiBJU2NoZWR1bGVyO1xuICAgIHByaXZhdGUgX3RpbWVyczogeyBba2V5OiBzdHJpbmddOiBBcnJheTxhbnk+IH07XG4gICAgcHJpdmF0ZSBfZXhlY3V0aW9uOiBJRXhlY3V0aW9uU3RyYXRlZ3k7XG4gICAgcHJpdmF0ZSBfZGlzcG9zZWQ6IGJvb2xlYW47XG4gICAgcHJpdmF0ZSBfY29uZmlndXJhdGlvblN1YmplY3Q6IFJlcGxheVN1YmplY3Q8eyBba2V5OiBzdHJpbmddOiBzdHJpbmcgfT47XG4gICAgcHJpdmF0ZSBfdHJhbnNpdGlvblN1YmplY3Q6IFN1YmplY3Q8SUxpZmVDeWNsZUV2ZW50PjtcbiAgICBwcml2YXRlIF9lcnJvclN1YmplY3Q6IFN1YmplY3Q8SUVycm9yRXZlbnQ+O1xuICAgIHByaXZhdGUgX2NvbnRleHRTdWJqZWN0OiBSZXBsYXlTdWJqZWN0PGFueT47XG5cbiAgICAvLyBUaGUgY3VycmVudCBzdGF0ZSBvZiBldmVyeSByZWdpb24sIHJlcGxheWVkIHRvIG5ldyBzdWJzY3JpYmVycztcbiAgICAvLyBpdCBpcyBlbWl0dGVkIG9uY2UgZXZlcnkgdHJhbnNpdGlvbiBpcyB0YWtlbi5cbiAgICByZWFkb25seSBjb25maWd1cmF0aW9uJDogT2JzZXJ2YWJsZTx7IFtrZXk6IHN0cmluZ106IFRTdGF0ZSB9PjtcbiAgICAvLyBUaGUgY3VycmVudCBzdGF0ZSBvZiB0aGUgZGVmYXVsdCByZWdpb24sIHJlcGxheWVkIHRvIG5ldyBzdWJzY3JpYmVycztcbiAgICAvLyBpdCBpcyBlbWl0dGVkIG9ubHkgd2hlbiB0aGUgc3RhdGUgY2hhbmdlcywgc2VlIHdhdGNoU3RhdGUuXG4gICAgcmVhZG9ubHkgc3RhdGUkOiBPYnNlcnZhYmxlPFRTdGF0ZT47XG4gICAgLy8gVGhlIHRyYW5zaXRpb25zIG9uY2UgdGhleSBhcmUgdGFrZW4sIGluY2x1ZGluZyBzZWxmLXRyYW5zaXRpb25zLlxuICAgIHJlYWRvbmx5IHRyYW5zaXRpb25zJDogT2JzZXJ2YWJsZTxJTGlmZUN5Y2xlRXZlbnQ8VFN0YXRlLCBURXZlbnQsIFRDb250ZXh0Pj47XG4gICAgLy8gVGhlIGVycm9ycyByZXBvcnRlZCB0byB0aGUgZXJyb3IgaGFuZGxlci5cbiAgICByZWFkb25seSBlcnJvcnMkOiBPYnNlcnZhYmxlPElFcnJvckV2ZW50PjtcbiAgICAvLyBUaGUgY29udGV4dCBkYXRhLCByZXBsYXllZCB0byBuZXcgc3Vic2NyaWJlcnMgb25jZSB0aGUgRlNNXG4gICAgLy8gaGFzIHN0YXJ0ZWQ7IGl0IGlzIGVtaXR0ZWQgd2hlbmV2ZXIgdGhlIGNvbnRleHQgZGF0YSBjaGFuZ2VzLlxuICAgIHJlYWRvbmx5IGNvbnRleHQkOiBPYnNlcnZhYmxlPFRDb250ZXh0PjtcbiAgICBwcml2YXRlIF9zdGF0ZUNvbmZpZ3VyYXRpb246IHsgW2tleTogc3RyaW5nXTogSVN0YXRlU3BlY2lmaWNhdGlvbiB9O1xuICAgIHByaXZhdGUgX3RyYW5zaXRpb25Db25maWd1cmF0aW9uOiB7IFtrZXk6IHN0cmluZ106IElUcmFuc2l0aW9uU3BlY2lmaWNhdGlvbiB9O1xuICAgIHByaXZhdGUgX3JlZW50cnlDb25maWd1cmF0aW9uOiB7IFtrZXk6IHN0cmluZ106IElUcmFuc2l0aW9uU3BlY2lmaWNhdGlvbiB9O1xuICAgIHByaXZhdGUgX2V2ZW50Q29uZmlndXJhdGlvbjogeyBba2V5OiBzdHJpbmddOiBBcnJheTxzdHJpbmc+IH07XG4gICAgcHJpdmF0ZSBfaGFuZGxlcnM6IHsgW2tleTogc3RyaW5nXTogQXJyYXk8RnVuY3Rpb24+IH07XG4gICAgcHJpdmF0ZSBfbWlkZGxld2FyZTogQXJyYXk8TWlkZGxld2FyZVR5cGU+O1xuICAgIHByaXZhdGUgX2hpc3Rvcnk6IEFycmF5PElIaXN0b3J5RW50cnk+O1xuICAgIHByaXZhdGUgX2hpc3RvcnlMaW1pdDogbnVtYmVyO1xuICAgIHByaXZhdGUgX3VuZG9uZTogQXJyYXk8SUhpc3RvcnlFbnRyeT47XG4gICAgcHJpdmF0ZSBfcmVwbGF5czogeyBba2V5OiBzdHJpbmddOiBJUmVwbGF5U3BlY2lmaWNhdGlvbiB9O1xuICAgIHByaXZhdGUgX3NldHRsZWRFdmVudHM6IHsgW2tleTogc3RyaW5nXTogSUxpZmVDeWNsZUV2ZW50IH07XG4gICAgcHJpdmF0ZSBfaW1wbGVtZW50YXRpb25zOiB7IFtrZXk6IHN0cmluZ106IGFueSB9O1xuXG4gICAgY29uc3RydWN0b3IoKSB7XG4gICAgICAgIHRoaXMuX2ltcGxzID0gbnVsbDtcbiAgICAgICAgdGhpcy5faW5pdFN0YXRlID0gbnVsbDtcbiAgICAgICAgdGhpcy5fY29udGV4dCA9IHt9O1xuICAgICAgICB0aGlzLl9hc3luY01vZGUgPSBmYWxzZTtcbiAgICAgICAgdGhpcy5fc2FtZVN0YXRlUG9saWN5ID0gJ2lnbm9yZSc7XG4gICAgICAgIHRoaXMuX3BlbmRpbmdSZWdpb25zID0ge307XG4gICAgICAgIHRoaXMuX2Vycm9ySGFuZGxlciA9IG51bGw7XG4gICAgICAgIHRoaXMuX3JlZ2lvbkNvbmZpZ3VyYXRpb24gPSB7fTtcbiAgICAgICAgdGhpcy5faGlzdG9yeUNvbmZpZ3VyYXRpb24gPSB7fTtcbiAgICAgICAgdGhpcy5fbGFzdEFjdGl2ZSA9IHt9O1xuICAgICAgICB0aGlzLl9zdGF0ZUNvbmZpZ3VyYXRpb24gPSB7fTtcbiAgICAgICAgdGhpcy5fdHJhbnNpdGlvbkNvbmZpZ3VyYXRpb24gPSB7fTtcbiAgICAgICAgdGhpcy5fcmVlbnRyeUNvbmZpZ3VyYXRpb24gPSB7fTtcbiAgICAgICAgdGhpcy5fZXZlbnRDb25maWd1cmF0aW9uID0ge307XG4gICAgICAgIC8vIEhhbmRsZXJzIG1heSBiZSByZWdpc3RlcmVkIGJlZm9yZSB0aGUgRlNNIHN0YXJ0c1xuICAgICAgICB0aGlzLl9oYW5kbGVycyA9IHtcbiAgICAgICAgICAgIG9uRW50ZXJTdGF0ZTogW10sXG4gICAgICAgICAgICBvbkxlYXZlU3RhdGU6IFtdLFxuICAgICAgICAgICAgb25Db250ZXh0Q2hhbmdlOiBbXVxuICAgICAgICB9O1xuICAgICAgICB0aGlzLl9taWRkbGV3YXJlID0gW107XG4gICAgICAgIHRoaXMuX2hpc3RvcnkgPSBbXTtcbiAgICAgICAgdGhpcy5faGlzdG9yeUxpbWl0ID0gbWF4SGlzdG9yeUxlbmd0aDtcbiAgICAgICAgdGhpcy5fdW5kb25lID0gW107XG4gICAgICAgIHRoaXMuX3JlcGxheXMgPSB7fTtcbiAgICAgICAgdGhpcy5fc2V0dGxlZEV2ZW50cyA9IHt9O1xuICAgICAgICB0aGlzLl9pbXBsZW1lbnRhdGlvbnMgPSBudWxsO1xuICAgICAgICB0aGlzLl9zY2hlZHVsZXIgPSByZWFsVGltZVNjaGVkdWxlcjtcbiAgICAgICAgdGhpcy5fdGltZXJzID0ge307XG4gICAgICAgIHRoaXMuX2V4ZWN1dGlvbiA9IGRpcmVjdEV4ZWN1dGlvblN0cmF0ZWd5O1xuICAgICAgICB0aGlzLl9kaXNwb3NlZCA9IGZhbHNlO1xuICAgICAgICB0aGlzLl9jb25maWd1cmF0aW9uU3ViamVjdCA9IG5ldyBSZXBsYXlTdWJqZWN0PHsgW2tleTogc3RyaW5nXTogc3RyaW5nIH0+KDEpO1xuICAgICAgICB0aGlzLl90cmFuc2l0aW9uU3ViamVjdCA9IG5ldyBTdWJqZWN0PElMaWZlQ3ljbGVFdmVudD4oKTtcbiAgICAgICAgdGhpcy5fZXJyb3JTdWJqZWN0ID0gbmV3IFN1YmplY3Q8SUVycm9yRXZlbnQ+KCk7XG4gICAgICAgIHRoaXMuX2NvbnRleHRTdWJqZWN0ID0gbmV3IFJlcGxheVN1YmplY3Q8YW55PigxKTtcbiAgICAgICAgdGhpcy5jb25maWd1cmF0aW9uJCA9IDxPYnNlcnZhYmxlPHsgW2tleTogc3RyaW5nXTogVFN0YXRlIH0+PnRoaXMuX2NvbmZpZ3VyYXRpb25TdWJqZWN0LmFzT2JzZXJ2YWJsZSgpO1xuICAgICAgICB0aGlzLnN0YXRlJCA9IHRoaXMud2F0Y2hTdGF0ZSgpO1xuICAgICAgICB0aGlzLnRyYW5zaXRpb25zJCA9IDxPYnNlcnZhYmxlPElMaWZlQ3ljbGVFdmVudDxUU3RhdGUsIFRFdmVudCwgVENvbnRleHQ+Pj50aGlzLl90cmFuc2l0aW9uU3ViamVjdC5hc09ic2VydmFibGUoKTtcbiAgICAgICAgdGhpcy5lcnJvcnMkID0gdGhpcy5fZXJyb3JTdWJqZWN0LmFzT2JzZXJ2YWJsZSgpO1xuICAgICAgICB0aGlzLmNvbnRleHQkID0gPE9ic2VydmFibGU8VENvbnRleHQ+PnRoaXMuX2NvbnRleHRTdWJqZWN0LmFzT2JzZXJ2YWJsZSgpO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIEJ1aWxkcyBhIEZTTSBmcm9tIGEgZGVjbGFyYXRpdmUgZGVmaW5pdGlvbiwgaW4gd2hpY2ggdGhlIGNhbGxiYWNrc1xuICAgICAqIGFuZCB0aGUgZ3VhcmRzIGFyZSByZWZlcnJlZCB0byBieSB0aGVpciBuYW1lcyBpbiB0aGUgZ2l2ZW4gbWFwIG9mXG4gICAgICogaW1wbGVtZW50YXRpb25zLiBUaGUgcmVzdWx0aW5nIEZTTSBpcyBjb25maWd1cmVkIGJ1dCBub3Qgc3RhcnRlZC5cbiAgICAgKiBJZiB0aGUgZGVmaW5pdGlvbiBpcyBpbnZhbGlkLCBhIERlZmluaXRpb25FcnJvciBsaXN0aW5nIGFsbFxuICAgICAqIHRoZSBwcm9ibGVtcyBmb3VuZCBpcyB0aHJvd24uIFRoZSBtb2RlIG9mIHRoZSBGU00gaXMgZ2l2ZW4gYnlcbiAgICAgKiB0aGUgZGVmaW5pdGlvbiwgc28gaXQgaXMgdW5rbm93biB0byB0aGUgdHlwZSBzeXN0ZW0sXG4gICAgICogdW5sZXNzIHN0YXRlZCBieSB0aGUgbGFzdCB0eXBlIHBhcmFtZXRlci5cbiAgICAgKi9cbiAgICBzdGF0aWMgZnJvbURlZmluaXRpb248VFN0YXRlIGV4dGVuZHMgc3RyaW5nID0gc3RyaW5nLCBURXZlbnQgZXh0ZW5kcyBzdHJpbmcgPSBzdHJpbmcsIFRDb250ZXh0ID0gYW55LFxuICAgICAgICBUQXN5bmMgZXh0ZW5kcyBib29sZWFuID0gYm9vbGVhbj4oZGVmaW5pdGlvbjogSU1hY2hpbmVEZWZpbml0aW9uLFxuICAgICAgICBpbXBsZW1lbnRhdGlvbnM/OiB7IFtrZXk6IHN0cmluZ106IGFueSB9KTogRmluaXRlU3RhdGVNYWNoaW5lPFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dCwgVEFzeW5jPiB7XG4gICAgICAgIGNvbnN0IGVycm9ycyA9IHZhbGlkYXRlRGVmaW5pdGlvbihkZWZpbml0aW9uKTtcbiAgICAgICAgaWYgKGVycm9ycy5sZW5ndGgpIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBEZWZpbml0aW9uRXJyb3IoZXJyb3JzKTtcbiAgICAgICAgfVxuXG4gICAgICAgIGltcGxlbWVudGF0aW9ucyA9IGltcGxlbWVudGF0aW9ucyB8fCB7fTtcbiAgICAgICAgY29uc3QgbG9va3VwID0gKG5hbWU6IHN0cmluZywgcGF0aDogc3RyaW5nKSA9PiB7XG4gICAgICAgICAgICBpZiAoIW5hbWUpIHtcbiAgICAgICAgICAgICAgICByZXR1cm4gdW5kZWZpbmVkO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgaWYgKCFpbXBsZW1lbnRhdGlvbnMuaGFzT3duUHJvcGVydHkobmFtZSkgfHwgdHlwZW9mIGltcGxlbWVudGF0aW9uc1tuYW1lXSAhPT0gJ2Z1bmN0aW9uJykge1xuICAgICAgICAgICAgICAgIGVycm9ycy5wdXNoKHsgcGF0aDogcGF0aCwgbWVzc2FnZTogJ1VuZGVmaW5lZCBpbXBsZW1lbnRhdGlvbjogJyArIG5hbWUgfSk7XG4gICAgICAgICAgICAgICAgcmV0dXJuIHVuZGVmaW5lZDtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIHJldHVybiBpbXBsZW1lbnRhdGlvbnNbbmFtZV07XG4gICAgICAgIH07XG4gICAgICAgIC8vIEtlZXBzIGdvaW5nIG9uIGZhaWx1cmVzLCBzbyB0aGF0IGFsbCB0aGUgcHJvYmxlbXMgYXJlIHJlcG9ydGVkLlxuICAgICAgICBjb25zdCBhdHRlbXB0ID0gKHBhdGg6IHN0cmluZywgZm46ICgpID0+IHZvaWQpID0+IHtcbiAgICAgICAgICAgIHRyeSB7XG4gICAgICAgICAgICAgICAgZm4oKTtcbiAgICAgICAgICAgIH0gY2F0Y2ggKGUpIHtcbiAgICAgICAgICAgICAgICBlcnJvcnMucHVzaCh7IHBhdGg6IHBhdGgsIG1lc3NhZ2U6IGUubWVzc2FnZSB9KTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfTtcblxuICAgICAgICBjb25zdCBmc206IEZpbml0ZVN0YXRlTWFjaGluZTxhbnksIGFueSwgYW55LCBhbnk+ID0gbmV3IEZpbml0ZVN0YXRlTWFjaGluZSgpO1xuICAgICAgICBpZiAoZGVmaW5pdGlvbi5jb250ZXh0ICE9PSB1bmRlZmluZWQpIHtcbiAgICAgICAgICAgIGZzbS5zZXRDb250ZXh0KGRlZmluaXRpb24uY29udGV4dCk7XG4gICAgICAgIH1cbiAgICAgICAgZnNtLnNldEFzeW5jTW9kZSghIWRlZmluaXRpb24uYXN5bmNNb2RlKTtcbiAgICAgICAgaWYgKGRlZmluaXRpb24uc2FtZVN0YXRlUG9saWN5KSB7XG4gICAgICAgICAgICBhdHRlbXB0KCcvc2FtZVN0YXRlUG9saWN5JywgKCkgPT4gZnNtLnNldFNhbWVTdGF0ZVBvbGljeSg8U2FtZVN0YXRlUG9saWN5VHlwZT5kZWZpbml0aW9uLnNhbWVTdGF0ZVBvbGljeSkpO1xuICAgICAgICB9XG4gICAgICAgIChkZWZpbml0aW9uLnJlZ2lvbnMgfHwgW10pLmZvckVhY2goKHIsIGkpID0+IHtcbiAgICAgICAgICAgIGF0dGVtcHQoJy9yZWdpb25zLycgKyBpLCAoKSA9PiBmc20uYWRkUmVnaW9uKHIubmFtZSwgci5pbml0aWFsKSk7XG4gICAgICAgIH0pO1xuICAgICAgICBkZWZpbml0aW9uLnN0YXRlcy5mb3JFYWNoKChzdDogSVN0YXRlRGVmaW5pdGlvbiwgaSkgPT4ge1xuICAgICAgICAgICAgY29uc3QgcGF0aCA9ICcvc3RhdGVzLycgKyBpO1xuICAgICAgICAgICAgY29uc3Qgb25FbnRlciA9IGxvb2t1cChzdC5vbkVudGVyLCBwYXRoICsgJy9vbkVudGVyJyk7XG4gICAgICAgICAgICBjb25zdCBvbkxlYXZlID0gbG9va3VwKHN0Lm9uTGVhdmUsIHBhdGggKyAnL29uTGVhdmUnKTtcbiAgICAgICAgICAgIGF0dGVtcHQocGF0aCwgKCkgPT4gZnNtLmFkZFN0YXRlKHN0Lm5hbWUsIG9uRW50ZXIsIG9uTGVhdmUsIHtcbiAgICAgICAgICAgICAgICBwYXJlbnQ6IHN0LnBhcmVudCxcbiAgICAgICAgICAgICAgICBpbml0aWFsOiBzdC5pbml0aWFsLFxuICAgICAgICAgICAgICAgIHJlZ2lvbjogc3QucmVnaW9uLFxuICAgICAgICAgICAgICAgIGZpbmFsOiBzdC5maW5hbFxuICAgICAgICAgICAgfSkpO1xuICAgICAgICB9KTtcbiAgICAgICAgKGRlZmluaXRpb24uaGlzdG9yeVN0YXRlcyB8fCBbXSkuZm9yRWFjaCgoaDogSUhpc3RvcnlTdGF0ZURlZmluaXRpb24sIGkpID0+IHtcbiAgICAgICAgICAgIGF0dGVtcHQoJy9oaXN0b3J5U3RhdGVzLycgKyBpLCAoKSA9PiBmc20uYWRkSGlzdG9yeVN0YXRlKGgubmFtZSwgaC5wYXJlbnQsIHtcbiAgICAgICAgICAgICAgICBkZWVwOiBoLmRlZXAsXG4gICAgICAgICAgICAgICAgZGVmYXVsdFRhcmdldDogaC5kZWZhdWx0VGFyZ2V0XG4gICAgICAgICAgICB9KSk7XG4gICAgICAgIH0pO1xuICAgICAgICAoZGVmaW5pdGlvbi50cmFuc2l0aW9ucyB8fCBbXSkuZm9yRWFjaCgodHI6IElUcmFuc2l0aW9uRGVmaW5pdGlvbiwgaSkgPT4ge1xuICAgICAgICAgICAgY29uc3QgcGF0aCA9ICcvdHJhbnNpdGlvbnMvJyArIGk7XG4gICAgICAgICAgICBjb25zdCBvbkFmdGVyID0gbG9va3VwKHRyLm9uQWZ0ZXIsIHBhdGggKyAnL29uQWZ0ZXInKTtcbiAgICAgICAgICAgIGNvbnN0IG9uQmVmb3JlID0gbG9va3VwKHRyLm9uQmVmb3JlLCBwYXRoICsgJy9vbkJlZm9yZScpO1xuICAgICAgICAgICAgY29uc3QgZ3VhcmQgPSBsb29rdXAodHIuZ3VhcmQsIHBhdGggKyAnL2d1YXJkJyk7XG4gICAgICAgICAgICBjb25zdCBhc3NpZ24gPSB0eXBlb2YgdHIuYXNzaWduID09PSAnc3RyaW5nJyA/IGxvb2t1cCh0ci5hc3NpZ24sIHBhdGggKyAnL2Fzc2lnbicpIDogdHIuYXNzaWduO1xuICAgICAgICAgICAgYXR0ZW1wdChwYXRoLCAoKSA9PiBmc20uYWRkVHJhbnNpdGlvbih0ci5mcm9tLCB0ci50bywgb25BZnRlciwgb25CZWZvcmUsIHtcbiAgICAgICAgICAgICAgICBndWFyZDogZ3VhcmQsXG4gICAgICAgICAgICAgICAgZXZlbnQ6IHRyLmV2ZW50LFxuICAgICAgICAgICAgICAgIGFzc2lnbjogYXNzaWduLFxuICAgICAgICAgICAgICAgIGRlbGF5OiB0ci5kZWxheSxcbiAgICAgICAgICAgICAgICBjb21wZW5zYXRpb246IHRyLmNvbXBlbnNhdGlvbixcbiAgICAgICAgICAgICAgICBpbnRlcm5hbDogdHIuaW50ZXJuYWxcbiAgICAgICAgICAgIH0pKTtcbiAgICAgICAgfSk7XG5cbiAgICAgICAgLy8gVGhlIHJlZmVyZW5jZXMgdG8gdGhlIHN0YXRlcyBhcmUgb3RoZXJ3aXNlIGNoZWNrZWQgb25seSBvbiBzdGFydC5cbiAgICAgICAgY29uc3Qgc3RhdGVDb25mID0gZnNtLl9zdGF0ZUNvbmZpZ3VyYXRpb247XG4gICAgICAgIGlmIChkZWZpbml0aW9uLmluaXRpYWwpIHtcbiAgICAgICAgICAgIGlmIChzdGF0ZUNvbmZbZGVmaW5pdGlvbi5pbml0aWFsXSkge1xuICAgICAgICAgICAgICAgIGZzbS5zZXRJbml0U3RhdGUoZGVmaW5pdGlvbi5pbml0aWFsKTtcbiAgICAgICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICAgICAgZXJyb3JzLnB1c2goeyBwYXRoOiAnL2luaXRpYWwnLCBtZXNzYWdlOiAnVW5kZWZpbmVkIHN0YXRlOiAnICsgZGVmaW5pdGlvbi5pbml0aWFsIH0pO1xuICAgICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICAgIChkZWZpbml0aW9uLnJlZ2lvbnMgfHwgW10pLmZvckVhY2goKHIsIGkpID0+IHtcbiAgICAgICAgICAgIGlmICghc3RhdGVDb25mW3IuaW5pdGlhbF0gfHwgc3RhdGVDb25mW3IuaW5pdGlhbF0ucmVnaW9uICE9PSByLm5hbWUpIHtcbiAgICAgICAgICAgICAgICBlcnJvcnMucHVzaCh7IHBhdGg6ICcvcmVnaW9ucy8nICsgaSArICcvaW5pdGlhbCcsIG1lc3NhZ2U6ICdVbmRlZmluZWQgc3RhdGUgaW4gcmVnaW9uOiAnICsgci5pbml0aWFsIH0pO1xuICAgICAgICAgICAgfVxuICAgICAgICB9KTtcbiAgICAgICAgZGVmaW5pdGlvbi5zdGF0ZXMuZm9yRWFjaCgoc3Q6IElTdGF0ZURlZmluaXRpb24sIGkpID0+IHtcbiAgICAgICAgICAgIGNvbnN0IGVsZW0gPSBzdGF0ZUNvbmZbc3QubmFtZV07XG4gICAgICAgICAgICBpZiAoZWxlbSAmJiBzdC5pbml0aWFsICYmIGluZGV4T2YoZWxlbS5jaGlsZHJlbiwgc3QuaW5pdGlhbCkgPCAwKSB7XG4gICAgICAgICAgICAgICAgZXJyb3JzLnB1c2goeyBwYXRoOiAnL3N0YXRlcy8nICsgaSArICcvaW5pdGlhbCcsIG1lc3NhZ2U6ICdVbmRlZmluZWQgaW5pdGlhbCBjaGlsZCBzdGF0ZTogJyArIHN0LmluaXRpYWwgfSk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH0pO1xuICAgICAgICAoZGVmaW5pdGlvbi5oaXN0b3J5U3RhdGVzIHx8IFtdKS5mb3JFYWNoKChoOiBJSGlzdG9yeVN0YXRlRGVmaW5pdGlvbiwgaSkgPT4ge1xuICAgICAgICAgICAgaWYgKHN0YXRlQ29uZltoLnBhcmVudF0gJiYgIXN0YXRlQ29uZltoLnBhcmVudF0uY2hpbGRyZW4ubGVuZ3RoKSB7XG4gICAgICAgICAgICAgICAgZXJyb3JzLnB1c2goeyBwYXRoOiAnL2hpc3RvcnlTdGF0ZXMvJyArIGkgKyAnL3BhcmVudCcsIG1lc3NhZ2U6ICdIaXN0b3J5IHN0YXRlIG9mIGFuIGF0b21pYyBzdGF0ZTogJyArIGgubmFtZSB9KTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIGNvbnN0IHRhcmdldCA9IGguZGVmYXVsdFRhcmdldDtcbiAgICAgICAgICAgIGlmICh0YXJnZXQgJiYgKCFzdGF0ZUNvbmZbdGFyZ2V0XSB8fCB0YXJnZXQgPT09IGgucGFyZW50IHx8IGluZGV4T2YoZnNtLnBhdGhPZih0YXJnZXQpLCBoLnBhcmVudCkgPCAwKSkge1xuICAgICAgICAgICAgICAgIGVycm9ycy5wdXNoKHsgcGF0aDogJy9oaXN0b3J5U3RhdGVzLycgKyBpICsgJy9kZWZhdWx0VGFyZ2V0JywgbWVzc2FnZTogJ1VuZGVmaW5lZCBkZWZhdWx0IHRhcmdldDogJyArIHRhcmdldCB9KTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfSk7XG5cbiAgICAgICAgaWYgKGVycm9ycy5sZW5ndGgpIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBEZWZpbml0aW9uRXJyb3IoZXJyb3JzKTtcbiAgICAgICAgfVxuICAgICAgICBmc20uX2ltcGxlbWVudGF0aW9ucyA9IGltcGxlbWVudGF0aW9ucztcbiAgICAgICAgcmV0dXJuIGZzbTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBCdWlsZHMgYSBGU00gZnJvbSBhIFNDWE1MIGRvY3VtZW50LCBpbiB3aGljaCB0aGUgb25lbnRyeSBhbmQgb25leGl0XG4gICAgICogaGFuZGxlcnMgYW5kIHRoZSBjb25kaXRpb25zIHJlZmVyIHRvIHRoZSBjYWxsYmFja3MgYW5kIHRoZSBndWFyZHNcbiAgICAgKiBieSB0aGVpciBuYW1lcyBpbiB0aGUgZ2l2ZW4gbWFwIG9mIGltcGxlbWVudGF0aW9ucy5cbiAgICAgKiBUaGUgcmVzdWx0aW5nIEZTTSBpcyBjb25maWd1cmVkIGJ1dCBub3Qgc3RhcnRlZCxcbiAgICAgKiBhbmQgaXQgaXMgaW4gdGhlIHN5bmNocm9ub3VzIG1vZGUuXG4gICAgICovXG4gICAgc3RhdGljIGZyb21TY3htbDxUU3RhdGUgZXh0ZW5kcyBzdHJpbmcgPSBzdHJpbmcsIFRFdmVudCBleHRlbmRzIHN0cmluZyA9IHN0cmluZywgVENvbnRleHQgPSBhbnk+KFxuICAgICAgICB4bWw6IHN0cmluZywgaW1wbGVtZW50YXRpb25zPzogeyBba2V5OiBzdHJpbmddOiBhbnkgfSk6IEZpbml0ZVN0YXRlTWFjaGluZTxUU3RhdGUsIFRFdmVudCwgVENvbnRleHQ+IHtcbiAgICAgICAgcmV0dXJuIEZpbml0ZVN0YXRlTWFjaGluZS5mcm9tRGVmaW5pdGlvbjxUU3RhdGUsIFRFdmVudCwgVENvbnRleHQsIGZhbHNlPihwYXJzZVNjeG1sKHhtbCksIGltcGxlbWVudGF0aW9ucyk7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogQ2hlY2tzIGlmIEZTTSBpcyBpbiBjb25maWd1cmF0aW9uIHN0YWdlLlxuICAgICAqL1xuICAgIHByaXZhdGUgZW5zdXJlQ29uZmlndXJlU3RhZ2UoKSB7XG4gICAgICAgIGlmICh0aGlzLl9kaXNwb3NlZCkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdTdGF0ZSBtYWNoaW5lIGhhcyBiZWVuIGRpc3Bvc2VkLicpO1xuICAgICAgICB9XG4gICAgICAgIGlmICh0aGlzLl9pbXBscykge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdTdGF0ZSBtYWNoaW5lIGhhcyBzdGFydGVkLicpO1xuICAgICAgICB9XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogQ2hlY2tzIGlmIEZTTSBpcyBpbiBydW5uaW5nIHN0YWdlLlxuICAgICAqL1xuICAgIHByaXZhdGUgZW5zdXJlUnVubmluZ1N0YWdlKCkge1xuICAgICAgICBpZiAodGhpcy5fZGlzcG9zZWQpIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignU3RhdGUgbWFjaGluZSBoYXMgYmVlbiBkaXNwb3NlZC4nKTtcbiAgICAgICAgfVxuICAgICAgICBpZiAoIXRoaXMuX2ltcGxzKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1N0YXRlIG1hY2hpbmUgaGFzIG5vdCB5ZXQgc3RhcnRlZC4nKTtcbiAgICAgICAgfVxuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJldHVybnMgdGhlIGdpdmVuIHN0YXRlIGFuZCBhbGwgb2YgaXRzIGVuY2xvc2luZyBzdGF0ZXMsXG4gICAgICogc3RhcnRpbmcgZnJvbSB0aGUgb3V0ZXJtb3N0IG9uZS5cbiAgICAgKi9cbiAgICBwcml2YXRlIHBhdGhPZihuYW1lOiBzdHJpbmcpIHtcbiAgICAgICAgY29uc3Qgc3RhdGVDb25mID0gdGhpcy5fc3RhdGVDb25maWd1cmF0aW9uO1xuICAgICAgICBjb25zdCBwYXRoOiBBcnJheTxzdHJpbmc+ID0gW107XG4gICAgICAgIGZvciAobGV0IHMgPSBuYW1lOyBzOyBzID0gc3RhdGVDb25mW3NdLnBhcmVudCkge1xuICAgICAgICAgICAgcGF0aC51bnNoaWZ0KHMpO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiBwYXRoO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJlc29sdmVzIHRoZSBhdG9taWMgc3RhdGUgd2hpY2ggaXMgZW50ZXJlZFxuICAgICAqIHdoZW4gYSB0cmFuc2l0aW9uIHRhcmdldHMgdGhlIGdpdmVuIHN0YXRlLlxuICAgICAqL1xuICAgIHByaXZhdGUgcmVzb2x2ZUF0b21pY1N0YXRlKG5hbWU6IHN0cmluZykge1xuICAgICAgICBjb25zdCBzdGF0ZUNvbmYgPSB0aGlzLl9zdGF0ZUNvbmZpZ3VyYXRpb247XG4gICAgICAgIGxldCBlbGVtID0gc3RhdGVDb25mW25hbWVdO1xuICAgICAgICB3aGlsZSAoZWxlbS5jaGlsZHJlbi5sZW5ndGggPiAwKSB7XG4gICAgICAgICAgICBuYW1lID0gZWxlbS5pbml0aWFsIHx8IGVsZW0uY2hpbGRyZW5bMF07XG4gICAgICAgICAgICBlbGVtID0gc3RhdGVDb25mW25hbWVdO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiBuYW1lO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJldHVybnMgdGhlIGF0b21pYyBzdGF0ZXMgd2hpY2ggYXJlIG5lc3RlZCBpbiB0aGUgZ2l2ZW4gc3RhdGUsXG4gICAgICogb3IgdGhlIHN0YXRlIGl0c2VsZiBpZiBpdCBkb2VzIG5vdCBoYXZlIGFueSBjaGlsZC5cbiAgICAgKi9cbiAgICBwcml2YXRlIGF0b21pY1N0YXRlc09mKG5hbWU6IHN0cmluZyk6IEFycmF5PHN0cmluZz4ge1xuICAgICAgICBjb25zdCBlbGVtID0gdGhpcy5fc3RhdGVDb25maWd1cmF0aW9uW25hbWVdO1xuICAgICAgICBpZiAoZWxlbS5jaGlsZHJlbi5sZW5ndGggPT09IDApIHtcbiAgICAgICAgICAgIHJldHVybiBbbmFtZV07XG4gICAgICAgIH1cbiAgICAgICAgbGV0IHJlc3VsdDogQXJyYXk8c3RyaW5nPiA9IFtdO1xuICAgICAgICBmb3IgKGNvbnN0IGNoaWxkIG9mIGVsZW0uY2hpbGRyZW4pIHtcbiAgICAgICAgICAgIHJlc3VsdCA9IHJlc3VsdC5jb25jYXQodGhpcy5hdG9taWNTdGF0ZXNPZihjaGlsZCkpO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiByZXN1bHQ7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogSW52b2tlcyB0aGUgZ2l2ZW4gY2FsbGJhY2tzIHdoaWNoIG1heSBkZWxheSBvciB2ZXRvIGEgdHJhbnNpdGlvbi5cbiAgICAgKiBJbiB0aGUgYXN5bmNocm9ub3VzIG1vZGUsIGEgcHJvbWlzZSByZXNvbHZlZCB0byBmYWxzZSBpcyB0dXJuZWQgaW50b1xuICAgICAqIGEgcmVqZWN0aW9uLCBhcyB0aGUgdW5kZXJseWluZyBpbXBsZW1lbnRhdGlvbiB3b3VsZCBub3QgdGFrZSBpdCBhcyBhIHZldG8uXG4gICAgICogSW4gdGhlIHN5bmNocm9ub3VzIG1vZGUsIGEgcHJvbWlzZSBpcyBhbiBlcnJvciwgd2hpY2ggdmV0b2VzXG4gICAgICogdGhlIHRyYW5zaXRpb24sIGFzIHRoZSB1bmRlcmx5aW5nIGltcGxlbWVudGF0aW9uIHdvdWxkIHdhaXQgZm9yIGl0LlxuICAgICAqL1xuICAgIHByaXZhdGUgaW52b2tlVmV0b2FibGVDYWxsYmFja3MoY2FsbGJhY2tzOiBBcnJheTxNZXRob2RDYWxsYmFja1R5cGU+LCBsaWZlY3ljbGU6IElMaWZlQ3ljbGVFdmVudCkge1xuICAgICAgICBjb25zdCByZXN1bHQgPSBpbnZva2VJblNlcXVlbmNlKGNhbGxiYWNrcywgbGlmZWN5Y2xlKTtcbiAgICAgICAgaWYgKCFyZXN1bHQgfHwgdHlwZW9mIHJlc3VsdC50aGVuICE9PSAnZnVuY3Rpb24nKSB7XG4gICAgICAgICAgICByZXR1cm4gcmVzdWx0O1xuICAgICAgICB9XG4gICAgICAgIGlmICghdGhpcy5fYXN5bmNNb2RlKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1Byb21pc2UgcmV0dXJuZWQgaW4gc3luY2hyb25vdXMgbW9kZTogJyArIGxpZmVjeWNsZS50cmFuc2l0aW9uKTtcbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gcmVzdWx0LnRoZW4oKHZhbHVlKSA9PiB7XG4gICAgICAgICAgICBpZiAodmFsdWUgPT09IGZhbHNlKSB7XG4gICAgICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdUcmFuc2l0aW9uIGlzIHZldG9lZDogJyArIGxpZmVjeWNsZS50cmFuc2l0aW9uKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIHJldHVybiB2YWx1ZTtcbiAgICAgICAgfSk7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogVXBkYXRlcyB0aGUgY29udGV4dCBkYXRhIGFzIGRlY2xhcmVkIGJ5IGEgdHJhbnNpdGlvbixcbiAgICAgKiBhbmQgbm90aWZpZXMgdGhlIGhhbmRsZXJzIG9mIHRoZSBjaGFuZ2UuXG4gICAgICovXG4gICAgcHJpdmF0ZSBhc3NpZ25Db250ZXh0KGFzc2lnbjogQXNzaWduVHlwZSwgbGlmZWN5Y2xlOiBJTGlmZUN5Y2xlRXZlbnQpIHtcbiAgICAgICAgY29uc3QgcHJldmlvdXMgPSB0aGlzLl9jb250ZXh0O1xuICAgICAgICBjb25zdCBjaGFuZ2VzID0gdHlwZW9mIGFzc2lnbiA9PT0gJ2Z1bmN0aW9uJyA/XG4gICAgICAgICAgICAoPEFzc2lnbkZ1bmN0aW9uVHlwZT5hc3NpZ24pKHByZXZpb3VzLCBsaWZlY3ljbGUucGF5bG9hZCkgOlxuICAgICAgICAgICAgXy5tYXBPYmplY3QoYXNzaWduLCAodmFsdWUpID0+IHtcbiAgICAgICAgICAgICAgICByZXR1cm4gdHlwZW9mIHZhbHVlID09PSAnZnVuY3Rpb24nID8gdmFsdWUocHJldmlvdXMsIGxpZmVjeWNsZS5wYXlsb2FkKSA6IHZhbHVlO1xuICAgICAgICAgICAgfSk7XG4gICAgICAgIHRoaXMuX2NvbnRleHQgPSBfLmV4dGVuZCh7fSwgcHJldmlvdXMsIGNoYW5nZXMpO1xuICAgICAgICBsaWZlY3ljbGUuY29udGV4dCA9IHRoaXMuX2NvbnRleHQ7XG5cbiAgICAgICAgY29uc3QgY2hhbmdlOiBJQ29udGV4dENoYW5nZUV2ZW50ID0ge1xuICAgICAgICAgICAgY29udGV4dDogdGhpcy5fY29udGV4dCxcbiAgICAgICAgICAgIHByZXZpb3VzOiBwcmV2aW91cyxcbiAgICAgICAgICAgIGxpZmVjeWNsZTogbGlmZWN5Y2xlXG4gICAgICAgIH07XG4gICAgICAgIHRoaXMuZGVsaXZlcih0aGlzLl9oYW5kbGVycy5vbkNvbnRleHRDaGFuZ2UsICgpID0+IHtcbiAgICAgICAgICAgIGJ1aWxkSGFuZGxlckluQ2xvc3VyZSh0aGlzLl9oYW5kbGVycywgJ29uQ29udGV4dENoYW5nZScpKGNoYW5nZSk7XG4gICAgICAgIH0pO1xuICAgICAgICB0aGlzLm5vdGlmeUNvbnRleHQoKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBOb3RpZmllcyB0aGUgc3Vic2NyaWJlcnMgb2YgY29udGV4dCQgb2YgdGhlIGN1cnJlbnQgY29udGV4dCBkYXRhLlxuICAgICAqL1xuICAgIHByaXZhdGUgbm90aWZ5Q29udGV4dCgpIHtcbiAgICAgICAgY29uc3QgY29udGV4dCA9IHRoaXMuX2NvbnRleHQ7XG4gICAgICAgIHRoaXMuZGVsaXZlcih0aGlzLl9jb250ZXh0U3ViamVjdC5vYnNlcnZlcnMsICgpID0+IHRoaXMuX2NvbnRleHRTdWJqZWN0Lm5leHQoY29udGV4dCkpO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJlcG9ydHMgYW4gZXJyb3IgdG8gdGhlIGVycm9yIGhhbmRsZXIgYW5kIHRvIHRoZSBzdWJzY3JpYmVycyBvZiBlcnJvcnMkLlxuICAgICAqL1xuICAgIHByaXZhdGUgcmVwb3J0RXJyb3IobmFtZTogc3RyaW5nLCBmcm9tOiBzdHJpbmcsIHRvOiBzdHJpbmcsIGVycm9yPzogYW55KSB7XG4gICAgICAgIGNvbnN0IGVycm9ySGFuZGxlciA9IHRoaXMuX2Vycm9ySGFuZGxlciB8fCBkZWZhdWx0RXJyb3JIYW5kbGVyO1xuICAgICAgICBlcnJvckhhbmRsZXIobmFtZSwgZnJvbSwgdG8sIGVycm9yKTtcbiAgICAgICAgdGhpcy5kZWxpdmVyKHRoaXMuX2Vycm9yU3ViamVjdC5vYnNlcnZlcnMsICgpID0+IHtcbiAgICAgICAgICAgIHRoaXMuX2Vycm9yU3ViamVjdC5uZXh0KHsgbmFtZTogbmFtZSwgZnJvbTogZnJvbSwgdG86IHRvLCBlcnJvcjogZXJyb3IgfSk7XG4gICAgICAgIH0pO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIERlbGl2ZXJzIGEgbm90aWZpY2F0aW9uIGJ5IHRoZSBleGVjdXRpb24gc3RyYXRlZ3ksIHVubGVzc1xuICAgICAqIG5vYm9keSBsaXN0ZW5zIHRvIGl0LCBpbiB3aGljaCBjYXNlIGl0IGlzIGRlbGl2ZXJlZCBhdCBvbmNlLlxuICAgICAqL1xuICAgIHByaXZhdGUgZGVsaXZlcihsaXN0ZW5lcnM6IEFycmF5PGFueT4sIGRlbGl2ZXJ5OiAoKSA9PiB2b2lkKSB7XG4gICAgICAgIGlmIChsaXN0ZW5lcnMgJiYgbGlzdGVuZXJzLmxlbmd0aCA+IDApIHtcbiAgICAgICAgICAgIHRoaXMuX2V4ZWN1dGlvbi5ub3RpZnkoZGVsaXZlcnkpO1xuICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgZGVsaXZlcnkoKTtcbiAgICAgICAgfVxuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJldHVybnMgdGhlIHNwZWNpZmljYXRpb24gb2YgdGhlIGdpdmVuIHRyYW5zaXRpb24sIHdoaWNoIGlzIGVpdGhlclxuICAgICAqIGRlZmluZWQsIG9yIGltcGxpZWQgYnkgdGhlIHNhbWUtc3RhdGUgcG9saWN5IGZvciByZS1lbnRlcmluZyBhIHN0YXRlLlxuICAgICAqL1xuICAgIHByaXZhdGUgdHJhbnNpdGlvbk9mKG5hbWU6IHN0cmluZykge1xuICAgICAgICByZXR1cm4gdGhpcy5fdHJhbnNpdGlvbkNvbmZpZ3VyYXRpb25bbmFtZV0gfHwgdGhpcy5fcmVlbnRyeUNvbmZpZ3VyYXRpb25bbmFtZV07XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogQ29tcHV0ZXMgdGhlIHN0YXRlcyBsZWZ0IGFuZCBlbnRlcmVkIGJ5IGEgdHJhbnNpdGlvbi4gQSBzZWxmLXRyYW5zaXRpb25cbiAgICAgKiBsZWF2ZXMgYW5kIHJlLWVudGVycyBpdHMgb3duIHN0YXRlLCB1bmxlc3MgaXQgaXMgaW50ZXJuYWwuXG4gICAgICovXG4gICAgcHJpdmF0ZSBzdGVwc09mKGxpZmVjeWNsZTogeyB0cmFuc2l0aW9uOiBzdHJpbmcsIGZyb206IHN0cmluZywgdG86IHN0cmluZyB9KSB7XG4gICAgICAgIGNvbnN0IGVsZW0gPSB0aGlzLnRyYW5zaXRpb25PZihsaWZlY3ljbGUudHJhbnNpdGlvbik7XG4gICAgICAgIGNvbnN0IGZyb21QYXRoID0gdGhpcy5fc3RhdGVDb25maWd1cmF0aW9uW2xpZmVjeWNsZS5mcm9tXSA/IHRoaXMucGF0aE9mKGxpZmVjeWNsZS5mcm9tKSA6IFtdO1xuICAgICAgICBjb25zdCB0b1BhdGggPSB0aGlzLnBhdGhPZihsaWZlY3ljbGUudG8pO1xuICAgICAgICBpZiAoZWxlbSAmJiBlbGVtLmZyb20gPT09IGVsZW0udG8pIHtcbiAgICAgICAgICAgIGlmIChlbGVtLmludGVybmFsKSB7XG4gICAgICAgICAgICAgICAgcmV0dXJuIHsgZXhpdDogW10sIGVudHJ5OiBbXSB9O1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgY29uc3QgaSA9IGluZGV4T2YoZnJvbVBhdGgsIGVsZW0uZnJvbSk7XG4gICAgICAgICAgICByZXR1cm4geyBleGl0OiBmcm9tUGF0aC5zbGljZShpKS5yZXZlcnNlKCksIGVudHJ5OiB0b1BhdGguc2xpY2UoaSkgfTtcbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gY29tcHV0ZUV4aXRBbmRFbnRyeShmcm9tUGF0aCwgdG9QYXRoKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZXR1cm5zIHRoZSB1bmRlcmx5aW5nIGltcGxlbWVudGF0aW9uIGZvciB0aGUgZ2l2ZW4gcmVnaW9uLlxuICAgICAqL1xuICAgIHByaXZhdGUgaW1wbE9mKHJlZ2lvbjogc3RyaW5nKSB7XG4gICAgICAgIHJlZ2lvbiA9IHJlZ2lvbiB8fCBkZWZhdWx0UmVnaW9uO1xuICAgICAgICBjb25zdCBpbXBsID0gdGhpcy5faW1wbHNbcmVnaW9uXTtcbiAgICAgICAgaWYgKCFpbXBsKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1VuZGVmaW5lZCByZWdpb246ICcgKyByZWdpb24pO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiBpbXBsO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIERlZmluZXMgYW4gb3J0aG9nb25hbCByZWdpb24sIHdoaWNoIGlzIGFjdGl2ZSBhdCB0aGUgc2FtZSB0aW1lIGFzXG4gICAgICogdGhlIGRlZmF1bHQgcmVnaW9uIGFuZCBhbGwgdGhlIG90aGVyIHJlZ2lvbnMuXG4gICAgICogRWFjaCByZWdpb24gaGFzIGl0cyBvd24gaW5pdCBzdGF0ZSBhbmQgaXRzIG93biBjdXJyZW50IHN0YXRlLlxuICAgICAqL1xuICAgIGFkZFJlZ2lvbihuYW1lOiBzdHJpbmcsIGluaXRTdGF0ZTogVFN0YXRlKSB7XG4gICAgICAgIC8vIFByZS1jb25kaXRpb25zXG4gICAgICAgIHRoaXMuZW5zdXJlQ29uZmlndXJlU3RhZ2UoKTtcbiAgICAgICAgY29uc3QgcmVnaW9uQ29uZiA9IHRoaXMuX3JlZ2lvbkNvbmZpZ3VyYXRpb247XG4gICAgICAgIGlmIChuYW1lID09PSBkZWZhdWx0UmVnaW9uIHx8IHJlZ2lvbkNvbmZbbmFtZV0pIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignUmVkZWZpbmVkIHJlZ2lvbjogJyArIG5hbWUpO1xuICAgICAgICB9XG4gICAgICAgIHJlZ2lvbkNvbmZbbmFtZV0gPSB7XG4gICAgICAgICAgICBpbml0U3RhdGU6IGluaXRTdGF0ZVxuICAgICAgICB9O1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBEZWZpbmVzIHRoZSBiZWhhdmlvciB3aGVuIHRoZSBGU00gbW92ZXMgaW50byBhIHN0YXRlIGJ5IGEgdHJhbnNpdGlvbi5cbiAgICAgKiBBIHN0YXRlIG1heSBiZSBuZXN0ZWQgaW4gYW5vdGhlciBzdGF0ZSwgZWl0aGVyIGJ5IGEgZG90dGVkIG5hbWVcbiAgICAgKiAoZS5nLiwgJ2VkaXRvci5zYXZpbmcnKSBvciBieSB0aGUgcGFyZW50IG9wdGlvbi4gRW50ZXJpbmcgYSBjaGlsZFxuICAgICAqIHN0YXRlIGVudGVycyBpdHMgcGFyZW50IGZpcnN0LCBhbmQgdGhlIHRyYW5zaXRpb25zIGRlZmluZWRcbiAgICAgKiBvbiB0aGUgcGFyZW50IGFwcGx5IHRvIGFsbCBvZiBpdHMgZGVzY2VuZGFudHMuXG4gICAgICovXG4gICAgYWRkU3RhdGUobmFtZTogVFN0YXRlLFxuICAgICAgICBvbkVudGVyQ2FsbGJhY2s/OiBNZXRob2RDYWxsYmFja1R5cGU8VFN0YXRlLCBURXZlbnQsIFRDb250ZXh0PixcbiAgICAgICAgb25MZWF2ZUNhbGxiYWNrPzogTWV0aG9kQ2FsbGJhY2tUeXBlPFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dD4sXG4gICAgICAgIG9wdGlvbnM/OiBJU3RhdGVPcHRpb25zPFRTdGF0ZT4pIHtcbiAgICAgICAgLy8gUHJlLWNvbmRpdGlvbnNcbiAgICAgICAgdGhpcy5lbnN1cmVDb25maWd1cmVTdGFnZSgpO1xuICAgICAgICBjb25zdCBzdGF0ZUNvbmYgPSB0aGlzLl9zdGF0ZUNvbmZpZ3VyYXRpb247XG4gICAgICAgIGlmIChzdGF0ZUNvbmZbbmFtZV0gfHwgdGhpcy5faGlzdG9yeUNvbmZpZ3VyYXRpb25bbmFtZV0pIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignUmVkZWZpbmVkIHN0YXRlOiAnICsgbmFtZSk7XG4gICAgICAgIH1cbiAgICAgICAgb3B0aW9ucyA9IG9wdGlvbnMgfHwge307XG4gICAgICAgIGxldCBwYXJlbnQ6IHN0cmluZyA9IG9wdGlvbnMucGFyZW50O1xuICAgICAgICBpZiAocGFyZW50KSB7XG4gICAgICAgICAgICBpZiAoIXN0YXRlQ29uZltwYXJlbnRdKSB7XG4gICAgICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdVbmRlZmluZWQgcGFyZW50IHN0YXRlOiAnICsgcGFyZW50KTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgIGNvbnN0IHBvcyA9IG5hbWUubGFzdEluZGV4T2Yoc3RhdGVTZXBhcmF0b3IpO1xuICAgICAgICAgICAgaWYgKHBvcyA+IDAgJiYgc3RhdGVDb25mW25hbWUuc3Vic3RyaW5nKDAsIHBvcyldKSB7XG4gICAgICAgICAgICAgICAgcGFyZW50ID0gbmFtZS5zdWJzdHJpbmcoMCwgcG9zKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgICAgICBsZXQgcmVnaW9uID0gb3B0aW9ucy5yZWdpb24gfHwgZGVmYXVsdFJlZ2lvbjtcbiAgICAgICAgaWYgKHJlZ2lvbiAhPT0gZGVmYXVsdFJlZ2lvbiAmJiAhdGhpcy5fcmVnaW9uQ29uZmlndXJhdGlvbltyZWdpb25dKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1VuZGVmaW5lZCByZWdpb246ICcgKyByZWdpb24pO1xuICAgICAgICB9XG4gICAgICAgIGlmIChwYXJlbnQpIHtcbiAgICAgICAgICAgIGlmIChvcHRpb25zLnJlZ2lvbiAmJiBvcHRpb25zLnJlZ2lvbiAhPT0gc3RhdGVDb25mW3BhcmVudF0ucmVnaW9uKSB7XG4gICAgICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdTdGF0ZSBhbmQgaXRzIHBhcmVudCBhcmUgaW4gZGlmZmVyZW50IHJlZ2lvbnM6ICcgKyBuYW1lKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIHJlZ2lvbiA9IHN0YXRlQ29uZltwYXJlbnRdLnJlZ2lvbjtcbiAgICAgICAgfVxuICAgICAgICBzdGF0ZUNvbmZbbmFtZV0gPSB7XG4gICAgICAgICAgICBvbkVudGVyQ2FsbGJhY2s6IG9uRW50ZXJDYWxsYmFjayxcbiAgICAgICAgICAgIG9uTGVhdmVDYWxsYmFjazogb25MZWF2ZUNhbGxiYWNrLFxuICAgICAgICAgICAgcGFyZW50OiBwYXJlbnQsXG4gICAgICAgICAgICBpbml0aWFsOiBvcHRpb25zLmluaXRpYWwsXG4gICAgICAgICAgICBjaGlsZHJlbjogW10sXG4gICAgICAgICAgICByZWdpb246IHJlZ2lvbixcbiAgICAgICAgICAgIGZpbmFsOiBvcHRpb25zLmZpbmFsXG4gICAgICAgIH07XG4gICAgICAgIGlmIChwYXJlbnQpIHtcbiAgICAgICAgICAgIHN0YXRlQ29uZltwYXJlbnRdLmNoaWxkcmVuLnB1c2gobmFtZSk7XG4gICAgICAgIH1cbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogRGVmaW5lcyBhIGhpc3RvcnkgcHNldWRvLXN0YXRlIG9mIGEgY29tcG91bmQgc3RhdGUuIEEgdHJhbnNpdGlvblxuICAgICAqIHRvIGEgaGlzdG9yeSBzdGF0ZSBlbnRlcnMgdGhlIGNoaWxkIG9mIHRoZSBjb21wb3VuZCBzdGF0ZSB3aGljaFxuICAgICAqIHdhcyBsYXN0IGFjdGl2ZSB3aGVuIHRoZSBjb21wb3VuZCBzdGF0ZSB3YXMgbGVmdCwgb3Igd2l0aCB0aGUgZGVlcFxuICAgICAqIG9wdGlvbiwgdGhlIGF0b21pYyBzdGF0ZSB3aGljaCB3YXMgbGFzdCBhY3RpdmUuIElmIHRoZSBjb21wb3VuZFxuICAgICAqIHN0YXRlIGhhcyBub3QgYmVlbiBsZWZ0IHlldCwgdGhlIGRlZmF1bHQgdGFyZ2V0IGlzIGVudGVyZWQuXG4gICAgICovXG4gICAgYWRkSGlzdG9yeVN0YXRlKG5hbWU6IFRTdGF0ZSwgcGFyZW50OiBUU3RhdGUsIG9wdGlvbnM/OiBJSGlzdG9yeVN0YXRlT3B0aW9uczxUU3RhdGU+KSB7XG4gICAgICAgIC8vIFByZS1jb25kaXRpb25zXG4gICAgICAgIHRoaXMuZW5zdXJlQ29uZmlndXJlU3RhZ2UoKTtcbiAgICAgICAgY29uc3Qgc3RhdGVDb25mID0gdGhpcy5fc3RhdGVDb25maWd1cmF0aW9uO1xuICAgICAgICBjb25zdCBoaXN0b3J5Q29uZiA9IHRoaXMuX2hpc3RvcnlDb25maWd1cmF0aW9uO1xuICAgICAgICBpZiAoc3RhdGVDb25mW25hbWVdIHx8IGhpc3RvcnlDb25mW25hbWVdKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1JlZGVmaW5lZCBzdGF0ZTogJyArIG5hbWUpO1xuICAgICAgICB9XG4gICAgICAgIGlmICghc3RhdGVDb25mW3BhcmVudF0pIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignVW5kZWZpbmVkIHBhcmVudCBzdGF0ZTogJyArIHBhcmVudCk7XG4gICAgICAgIH1cbiAgICAgICAgb3B0aW9ucyA9IG9wdGlvbnMgfHwge307XG4gICAgICAgIGhpc3RvcnlDb25mW25hbWVdID0ge1xuICAgICAgICAgICAgcGFyZW50OiBwYXJlbnQsXG4gICAgICAgICAgICBkZWVwOiAhIW9wdGlvbnMuZGVlcCxcbiAgICAgICAgICAgIGRlZmF1bHRUYXJnZXQ6IG9wdGlvbnMuZGVmYXVsdFRhcmdldCxcbiAgICAgICAgICAgIHJlZ2lvbjogc3RhdGVDb25mW3BhcmVudF0ucmVnaW9uXG4gICAgICAgIH07XG4gICAgICAgIHJldHVybiB0aGlzO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJlc29sdmVzIHRoZSBhdG9taWMgc3RhdGUgd2hpY2ggaXMgZW50ZXJlZFxuICAgICAqIHdoZW4gYSB0cmFuc2l0aW9uIHRhcmdldHMgdGhlIGdpdmVuIGhpc3Rvcnkgc3RhdGUuXG4gICAgICovXG4gICAgcHJpdmF0ZSByZXNvbHZlSGlzdG9yeVN0YXRlKG5hbWU6IHN0cmluZykge1xuICAgICAgICBjb25zdCBlbGVtID0gdGhpcy5faGlzdG9yeUNvbmZpZ3VyYXRpb25bbmFtZV07XG4gICAgICAgIGNvbnN0IGxhc3QgPSB0aGlzLl9sYXN0QWN0aXZlW2VsZW0ucGFyZW50XTtcbiAgICAgICAgaWYgKCFsYXN0KSB7XG4gICAgICAgICAgICByZXR1cm4gdGhpcy5yZXNvbHZlQXRvbWljU3RhdGUoZWxlbS5kZWZhdWx0VGFyZ2V0IHx8IGVsZW0ucGFyZW50KTtcbiAgICAgICAgfVxuICAgICAgICBpZiAoZWxlbS5kZWVwKSB7XG4gICAgICAgICAgICByZXR1cm4gbGFzdDtcbiAgICAgICAgfVxuICAgICAgICBjb25zdCBwYXRoID0gdGhpcy5wYXRoT2YobGFzdCk7XG4gICAgICAgIHJldHVybiB0aGlzLnJlc29sdmVBdG9taWNTdGF0ZShwYXRoW2luZGV4T2YocGF0aCwgZWxlbS5wYXJlbnQpICsgMV0pO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJlbWVtYmVycyB0aGUgbGFzdCBhY3RpdmUgYXRvbWljIHN0YXRlIG9mIHRoZSBjb21wb3VuZCBzdGF0ZXNcbiAgICAgKiB3aXRoIGhpc3Rvcnkgc3RhdGVzLCB3aGljaCBhcmUgbGVmdCBieSBhIHRyYW5zaXRpb24uXG4gICAgICovXG4gICAgcHJpdmF0ZSByZW1lbWJlckhpc3RvcnkoZnJvbTogc3RyaW5nLCBleGl0OiBBcnJheTxzdHJpbmc+KSB7XG4gICAgICAgIGNvbnN0IGhpc3RvcnlDb25mID0gdGhpcy5faGlzdG9yeUNvbmZpZ3VyYXRpb247XG4gICAgICAgIGZvciAoY29uc3QgayBpbiBoaXN0b3J5Q29uZikge1xuICAgICAgICAgICAgaWYgKGhpc3RvcnlDb25mLmhhc093blByb3BlcnR5KGspICYmIGluZGV4T2YoZXhpdCwgaGlzdG9yeUNvbmZba10ucGFyZW50KSA+PSAwKSB7XG4gICAgICAgICAgICAgICAgdGhpcy5fbGFzdEFjdGl2ZVtoaXN0b3J5Q29uZltrXS5wYXJlbnRdID0gZnJvbTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgIH1cblxuICAgIC8qKlxuICAgICAqIERlZmluZXMgdGhlIGluaXQgc3RhdGUgZm9yIHRoZSBGU00uXG4gICAgICovXG4gICAgc2V0SW5pdFN0YXRlKG5hbWU6IFRTdGF0ZSkge1xuICAgICAgICAvLyBQcmUtY29uZGl0aW9uc1xuICAgICAgICB0aGlzLmVuc3VyZUNvbmZpZ3VyZVN0YWdlKCk7XG5cbiAgICAgICAgaWYgKHRoaXMuX2luaXRTdGF0ZSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdSZWRlZmluZWQgaW5pdCBzdGF0ZTogJyArIHRoaXMuX2luaXRTdGF0ZSk7XG4gICAgICAgIH1cbiAgICAgICAgdGhpcy5faW5pdFN0YXRlID0gbmFtZTtcbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogVHVybnMgb24gb3Igb2ZmIHRoZSBhc3luY2hyb25vdXMgbW9kZS4gSW4gdGhlIGFzeW5jaHJvbm91cyBtb2RlLFxuICAgICAqIHRoZSBiZWZvcmUgYW5kIGxlYXZlIGNhbGxiYWNrcyBtYXkgcmV0dXJuIGEgcHJvbWlzZSwgYW5kXG4gICAgICogYSB0cmFuc2l0aW9uIGNvbXBsZXRlcyBvbmx5IGFmdGVyIHN1Y2ggYSBwcm9taXNlIGlzIHJlc29sdmVkLlxuICAgICAqIElmIHRoZSBwcm9taXNlIGlzIHJlamVjdGVkLCB0aGUgRlNNIHN0YXlzIGluIHRoZSBzb3VyY2Ugc3RhdGVcbiAgICAgKiBhbmQgdGhlIGVycm9yIGhhbmRsZXIgaXMgaW52b2tlZC4gSW4gdGhlIHN5bmNocm9ub3VzIG1vZGUsXG4gICAgICogc3VjaCBhIHByb21pc2UgdmV0b2VzIHRoZSB0cmFuc2l0aW9uIGFzIGFuIGVycm9yLlxuICAgICAqL1xuICAgIHNldEFzeW5jTW9kZSh2YWx1ZTogdHJ1ZSk6IEZpbml0ZVN0YXRlTWFjaGluZTxUU3RhdGUsIFRFdmVudCwgVENvbnRleHQsIHRydWU+O1xuICAgIHNldEFzeW5jTW9kZSh2YWx1ZTogZmFsc2UpOiBGaW5pdGVTdGF0ZU1hY2hpbmU8VFN0YXRlLCBURXZlbnQsIFRDb250ZXh0LCBmYWxzZT47XG4gICAgc2V0QXN5bmNNb2RlKHZhbHVlOiBib29sZWFuKTogRmluaXRlU3RhdGVNYWNoaW5lPFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dCwgYm9vbGVhbj47XG4gICAgc2V0QXN5bmNNb2RlKHZhbHVlOiBib29sZWFuKTogRmluaXRlU3RhdGVNYWNoaW5lPFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dCwgYm9vbGVhbj4ge1xuICAgICAgICAvLyBQcmUtY29uZGl0aW9uc1xuICAgICAgICB0aGlzLmVuc3VyZUNvbmZpZ3VyZVN0YWdlKCk7XG5cbiAgICAgICAgdGhpcy5fYXN5bmNNb2RlID0gdmFsdWU7XG4gICAgICAgIHJldHVybiB0aGlzO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIERlZmluZXMgd2hhdCBnb2luZyB0byBhbiBhY3RpdmUgc3RhdGUgZG9lcywgaWYgbm8gdHJhbnNpdGlvblxuICAgICAqIGlzIGRlZmluZWQgZm9yIGl0LCBlLmcuLCBieSBhIHNlbGYtdHJhbnNpdGlvbjogJ2lnbm9yZScgZG9lcyBub3RoaW5nLFxuICAgICAqIHdoaWNoIGlzIHRoZSBkZWZhdWx0OyAnZXJyb3InIHRocm93cyBhbiBlcnJvcjsgJ3JlZW50ZXInIGxlYXZlc1xuICAgICAqIGFuZCByZS1lbnRlcnMgdGhlIHN0YXRlLCBhcyBhbiBleHRlcm5hbCBzZWxmLXRyYW5zaXRpb24gd291bGQuXG4gICAgICovXG4gICAgc2V0U2FtZVN0YXRlUG9saWN5KHBvbGljeTogU2FtZVN0YXRlUG9saWN5VHlwZSkge1xuICAgICAgICAvLyBQcmUtY29uZGl0aW9uc1xuICAgICAgICB0aGlzLmVuc3VyZUNvbmZpZ3VyZVN0YWdlKCk7XG5cbiAgICAgICAgaWYgKGluZGV4T2Yoc2FtZVN0YXRlUG9saWNpZXMsIHBvbGljeSkgPCAwKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1VuZGVmaW5lZCBzYW1lLXN0YXRlIHBvbGljeTogJyArIHBvbGljeSk7XG4gICAgICAgIH1cbiAgICAgICAgdGhpcy5fc2FtZVN0YXRlUG9saWN5ID0gcG9saWN5O1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBEZWZpbmVzIHRoZSBzY2hlZHVsZXIgd2hpY2ggZHJpdmVzIHRoZSBkZWxheWVkIHRyYW5zaXRpb25zLFxuICAgICAqIGUuZy4sIGEgVmlydHVhbFNjaGVkdWxlciBpbiB0ZXN0cy4gQnkgZGVmYXVsdCwgdGhlIHRpbWVycyBvZlxuICAgICAqIHRoZSBlbnZpcm9ubWVudCBhcmUgdXNlZC5cbiAgICAgKi9cbiAgICBzZXRTY2hlZHVsZXIoc2NoZWR1bGVyOiBJU2NoZWR1bGVyKSB7XG4gICAgICAgIC8vIFByZS1jb25kaXRpb25zXG4gICAgICAgIHRoaXMuZW5zdXJlQ29uZmlndXJlU3RhZ2UoKTtcblxuICAgICAgICB0aGlzLl9zY2hlZHVsZXIgPSBzY2hlZHVsZXI7XG4gICAgICAgIHJldHVybiB0aGlzO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIERlZmluZXMgd2hlcmUgdGhlIEZTTSBkb2VzIGl0cyB3b3JrIGFuZCBkZWxpdmVycyBpdHMgbm90aWZpY2F0aW9ucyxcbiAgICAgKiBlLmcuLCBvdXRzaWRlIHRoZSB6b25lIG9mIGEgZnJhbWV3b3JrLiBCeSBkZWZhdWx0LCBldmVyeXRoaW5nXG4gICAgICogcnVucyB3aGVyZSB0aGUgRlNNIGlzIGNhbGxlZC5cbiAgICAgKi9cbiAgICBzZXRFeGVjdXRpb25TdHJhdGVneShzdHJhdGVneTogSUV4ZWN1dGlvblN0cmF0ZWd5KSB7XG4gICAgICAgIC8vIFByZS1jb25kaXRpb25zXG4gICAgICAgIHRoaXMuZW5zdXJlQ29uZmlndXJlU3RhZ2UoKTtcblxuICAgICAgICB0aGlzLl9leGVjdXRpb24gPSBzdHJhdGVneTtcbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogRGVmaW5lcyBob3cgbWFueSB0cmFuc2l0aW9ucyB0aGUgaGlzdG9yeSBrZWVwcyBhdCBtb3N0LFxuICAgICAqIHdoaWNoIGFsc28gYm91bmRzIGhvdyBtYW55IHRyYW5zaXRpb25zIG1heSBiZSB1bmRvbmUuXG4gICAgICovXG4gICAgc2V0SGlzdG9yeUxpbWl0KGxpbWl0OiBudW1iZXIpIHtcbiAgICAgICAgLy8gUHJlLWNvbmRpdGlvbnNcbiAgICAgICAgdGhpcy5lbnN1cmVDb25maWd1cmVTdGFnZSgpO1xuXG4gICAgICAgIHRoaXMuX2hpc3RvcnlMaW1pdCA9IGxpbWl0O1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBEZWZpbmVzIHRoZSBpbml0aWFsIGNvbnRleHQgZGF0YSBmb3IgdGhlIEZTTSwgd2hpY2ggaXNcbiAgICAgKiBwYXNzZWQgdG8gdGhlIGd1YXJkIGNvbmRpdGlvbnMgb2YgdHJhbnNpdGlvbnMgYW5kIGRlbGl2ZXJlZCBpblxuICAgICAqIGV2ZXJ5IGxpZmVjeWNsZSBldmVudC4gVGhlIGNvbnRleHQgZGF0YSBpcyB1cGRhdGVkIG9ubHkgYnlcbiAgICAgKiB0aGUgYXNzaWduIG9wdGlvbiBvZiB0cmFuc2l0aW9ucy5cbiAgICAgKi9cbiAgICBzZXRDb250ZXh0KGNvbnRleHQ6IFRDb250ZXh0KSB7XG4gICAgICAgIC8vIFByZS1jb25kaXRpb25zXG4gICAgICAgIHRoaXMuZW5zdXJlQ29uZmlndXJlU3RhZ2UoKTtcblxuICAgICAgICB0aGlzLl9jb250ZXh0ID0gY29udGV4dDtcbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogRGVmaW5lcyBhIG5ldyBzdHJhbnNpdGlvbi5cbiAgICAgKiBBIHRyYW5zaXRpb24gd2l0aCBhIGd1YXJkIGNvbmRpdGlvbiBpcyB0YWtlbiBvbmx5IGlmIHRoZSBndWFyZCBob2xkcy5cbiAgICAgKiBBIHRyYW5zaXRpb24gd2l0aCBhIGRlbGF5IGlzIHNjaGVkdWxlZCB3aGVuZXZlciBpdHMgc291cmNlIHN0YXRlIGlzXG4gICAgICogZW50ZXJlZCwgYW5kIGlzIGNhbmNlbGxlZCBpZiB0aGUgc291cmNlIHN0YXRlIGlzIGxlZnQgYmVmb3JlLlxuICAgICAqIEEgdHJhbnNpdGlvbiB3aXRoIGEgY29tcGVuc2F0aW9uIHN0YXRlIGlzIHVuZG9uZSBieSBnb2luZyB0byBpdCxcbiAgICAgKiByYXRoZXIgdGhhbiB0byB0aGUgc291cmNlIHN0YXRlLlxuICAgICAqIEEgc2VsZi10cmFuc2l0aW9uLCBpLmUuLCBmcm9tIGEgc3RhdGUgdG8gaXRzZWxmLCBsZWF2ZXMgYW5kXG4gICAgICogcmUtZW50ZXJzIHRoZSBzdGF0ZSwgaW5jbHVkaW5nIGl0cyBkZXNjZW5kYW50cywgdW5sZXNzIGl0IGlzXG4gICAgICogaW50ZXJuYWwsIGluIHdoaWNoIGNhc2Ugbm8gc3RhdGUgaXMgbGVmdCBvciBlbnRlcmVkLlxuICAgICAqIEEgdHJhbnNpdGlvbiBtYXkgYmUgdHJpZ2dlcmVkIGJ5IGEgbmFtZWQgZXZlbnQsIGFuZCB0aGUgc2FtZSBldmVudFxuICAgICAqIG1heSB0cmlnZ2VyIGRpZmZlcmVudCB0cmFuc2l0aW9ucyBmcm9tIGRpZmZlcmVudCBzdGF0ZXMuXG4gICAgICovXG4gICAgYWRkVHJhbnNpdGlvbihmcm9tOiBUU3RhdGUsXG4gICAgICAgIHRvOiBUU3RhdGUsXG4gICAgICAgIG9uQWZ0ZXJDYWxsYmFjaz86IE1ldGhvZENhbGxiYWNrVHlwZTxUU3RhdGUsIFRFdmVudCwgVENvbnRleHQ+LFxuICAgICAgICBvbkJlZm9yZUNhbGxiYWNrPzogTWV0aG9kQ2FsbGJhY2tUeXBlPFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dD4sXG4gICAgICAgIG9wdGlvbnM/OiBJVHJhbnNpdGlvbk9wdGlvbnM8VFN0YXRlLCBURXZlbnQsIFRDb250ZXh0Pikge1xuICAgICAgICAvLyBQcmUtY29uZGl0aW9uXG4gICAgICAgIHRoaXMuZW5zdXJlQ29uZmlndXJlU3RhZ2UoKTtcblxuICAgICAgICBjb25zdCBzdGF0ZUNvbmYgPSB0aGlzLl9zdGF0ZUNvbmZpZ3VyYXRpb247XG4gICAgICAgIGNvbnN0IHRyYW5zaXRpb25Db25mID0gdGhpcy5fdHJhbnNpdGlvbkNvbmZpZ3VyYXRpb247XG4gICAgICAgIGlmICghc3RhdGVDb25mW2Zyb21dKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1VuZGVmaW5lZCBzb3VyY2Ugc3RhdGU6ICcgKyBmcm9tKTtcbiAgICAgICAgfVxuICAgICAgICBjb25zdCB0YXJnZXQgPSBzdGF0ZUNvbmZbdG9dIHx8IHRoaXMuX2hpc3RvcnlDb25maWd1cmF0aW9uW3RvXTtcbiAgICAgICAgaWYgKCF0YXJnZXQpIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignVW5kZWZpbmVkIHRhcmdldCBzdGF0ZTogJyArIHRvKTtcbiAgICAgICAgfVxuICAgICAgICBpZiAoc3RhdGVDb25mW2Zyb21dLnJlZ2lvbiAhPT0gdGFyZ2V0LnJlZ2lvbikge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdUcmFuc2l0aW9uIGFjcm9zcyByZWdpb25zOiAnICsgZnJvbSArICcgLT4gJyArIHRvKTtcbiAgICAgICAgfVxuICAgICAgICBjb25zdCBrZXkgPSByZXBsYWNlU3RyKHRyYW5zaXRpb25LZXlGb3JtYXQsIHsgZnJvbTogZnJvbSwgdG86IHRvIH0pO1xuICAgICAgICBpZiAodHJhbnNpdGlvbkNvbmZba2V5XSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdSZWRlZmluZWQgdHJhbnNpdGlvbjogJyArIGZyb20gKyAnIC0+ICcgKyB0byk7XG4gICAgICAgIH1cbiAgICAgICAgb3B0aW9ucyA9IG9wdGlvbnMgfHwge307XG4gICAgICAgIGlmIChvcHRpb25zLmNvbXBlbnNhdGlvbiAmJiAhc3RhdGVDb25mW29wdGlvbnMuY29tcGVuc2F0aW9uXSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdVbmRlZmluZWQgY29tcGVuc2F0aW9uIHN0YXRlOiAnICsgb3B0aW9ucy5jb21wZW5zYXRpb24pO1xuICAgICAgICB9XG4gICAgICAgIGlmIChvcHRpb25zLmludGVybmFsICYmIGZyb20gIT09IHRvKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ0ludGVybmFsIHRyYW5zaXRpb24gdG8gYW5vdGhlciBzdGF0ZTogJyArIGZyb20gKyAnIC0+ICcgKyB0byk7XG4gICAgICAgIH1cbiAgICAgICAgdHJhbnNpdGlvbkNvbmZba2V5XSA9IHtcbiAgICAgICAgICAgIGZyb206IGZyb20sIHRvOiB0byxcbiAgICAgICAgICAgIG9uQWZ0ZXJDYWxsYmFjazogb25BZnRlckNhbGxiYWNrLFxuICAgICAgICAgICAgb25CZWZvcmVDYWxsYmFjazogb25CZWZvcmVDYWxsYmFjayxcbiAgICAgICAgICAgIGd1YXJkOiBvcHRpb25zLmd1YXJkLFxuICAgICAgICAgICAgZXZlbnQ6IG9wdGlvbnMuZXZlbnQsXG4gICAgICAgICAgICBhc3NpZ246IG9wdGlvbnMuYXNzaWduLFxuICAgICAgICAgICAgZGVsYXk6IG9wdGlvbnMuZGVsYXksXG4gICAgICAgICAgICBjb21wZW5zYXRpb246IG9wdGlvbnMuY29tcGVuc2F0aW9uLFxuICAgICAgICAgICAgaW50ZXJuYWw6IG9wdGlvbnMuaW50ZXJuYWxcbiAgICAgICAgfTtcbiAgICAgICAgaWYgKG9wdGlvbnMuZXZlbnQpIHtcbiAgICAgICAgICAgIGNvbnN0IGV2ZW50Q29uZiA9IHRoaXMuX2V2ZW50Q29uZmlndXJhdGlvbjtcbiAgICAgICAgICAgIGV2ZW50Q29uZltvcHRpb25zLmV2ZW50XSA9IGV2ZW50Q29uZltvcHRpb25zLmV2ZW50XSB8fCBbXTtcbiAgICAgICAgICAgIGV2ZW50Q29uZltvcHRpb25zLmV2ZW50XS5wdXNoKGtleSk7XG4gICAgICAgIH1cbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogQnVpbGRzIHRoZSB1bmRlcmx5aW5nIGltcGxlbWVudGF0aW9uIGZvciB0aGUgZ2l2ZW4gcmVnaW9uLlxuICAgICAqL1xuICAgIHByaXZhdGUgY3JlYXRlSW1wbChyZWdpb246IHN0cmluZywgaW5pdFN0YXRlOiBzdHJpbmcsIHJlc3RvcmluZzogYm9vbGVhbikge1xuICAgICAgICBjb25zdCBzdGF0ZUNvbmYgPSB0aGlzLl9zdGF0ZUNvbmZpZ3VyYXRpb247XG4gICAgICAgIGNvbnN0IHRyYW5zaXRpb25Db25mID0gdGhpcy5fdHJhbnNpdGlvbkNvbmZpZ3VyYXRpb247XG5cbiAgICAgICAgaWYgKCFzdGF0ZUNvbmZbaW5pdFN0YXRlXSB8fCBzdGF0ZUNvbmZbaW5pdFN0YXRlXS5yZWdpb24gIT09IHJlZ2lvbikge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdVbmRlZmluZWQgaW5pdCBzdGF0ZTogJyArIGluaXRTdGF0ZSk7XG4gICAgICAgIH1cblxuICAgICAgICBjb25zdCB0cmFuc2l0aW9uczogQXJyYXk8eyBuYW1lOiBzdHJpbmcsIGZyb206IEFycmF5PHN0cmluZz4sIHRvOiBzdHJpbmcgfCAoKCkgPT4gc3RyaW5nKSB9PiA9IFtdO1xuICAgICAgICBjb25zdCBtZXRob2RzOiB7IFtrZXk6IHN0cmluZ106IChsaWZlY3ljbGU6IGFueSwgcGF5bG9hZD86IGFueSkgPT4gYW55IH0gPSB7fTtcblxuICAgICAgICAvLyBBIHRyYW5zaXRpb24gZGVmaW5lZCBvbiBhIGNvbXBvdW5kIHN0YXRlIGFwcGxpZXMgdG9cbiAgICAgICAgLy8gYWxsIG9mIGl0cyBkZXNjZW5kYW50cywgYW5kIGEgdHJhbnNpdGlvbiB0byBhIGNvbXBvdW5kIHN0YXRlXG4gICAgICAgIC8vIGVuZHMgdXAgaW4gaXRzIGluaXRpYWwgYXRvbWljIHN0YXRlLlxuICAgICAgICBjb25zdCBhbGxDb25mID0gXy5leHRlbmQoe30sIHRyYW5zaXRpb25Db25mLCB0aGlzLl9yZWVudHJ5Q29uZmlndXJhdGlvbik7XG4gICAgICAgIGZvciAoY29uc3QgazEgaW4gYWxsQ29uZikge1xuICAgICAgICAgICAgaWYgKGFsbENvbmYuaGFzT3duUHJvcGVydHkoazEpKSB7XG4gICAgICAgICAgICAgICAgY29uc3QgZWxlbTE6IElUcmFuc2l0aW9uU3BlY2lmaWNhdGlvbiA9IGFsbENvbmZbazFdO1xuICAgICAgICAgICAgICAgIGlmIChzdGF0ZUNvbmZbZWxlbTEuZnJvbV0ucmVnaW9uICE9PSByZWdpb24pIHtcbiAgICAgICAgICAgICAgICAgICAgY29udGludWU7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgICAgIGxldCB0YXJnZXQ6IHN0cmluZyB8ICgoKSA9PiBzdHJpbmcpO1xuICAgICAgICAgICAgICAgIGlmIChlbGVtMS5pbnRlcm5hbCkge1xuICAgICAgICAgICAgICAgICAgICAvLyBTdGF5IGluIHRoZSBjdXJyZW50IHN0YXRlXG4gICAgICAgICAgICAgICAgICAgIHRhcmdldCA9IHdpbGRjYXJkU3RhdGU7XG4gICAgICAgICAgICAgICAgfSBlbHNlIGlmICh0aGlzLl9oaXN0b3J5Q29uZmlndXJhdGlvbltlbGVtMS50b10pIHtcbiAgICAgICAgICAgICAgICAgICAgLy8gVGhlIHRhcmdldCBvZiBhIGhpc3Rvcnkgc3RhdGUgaXMgZGVjaWRlZCBvbiB0aGUgZmx5LlxuICAgICAgICAgICAgICAgICAgICB0YXJnZXQgPSAoKSA9PiB0aGlzLnJlc29sdmVIaXN0b3J5U3RhdGUoZWxlbTEudG8pO1xuICAgICAgICAgICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICAgICAgICAgIHRhcmdldCA9IHRoaXMucmVzb2x2ZUF0b21pY1N0YXRlKGVsZW0xLnRvKTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICAgICAgdHJhbnNpdGlvbnMucHVzaCh7XG4gICAgICAgICAgICAgICAgICAgIG5hbWU6IGsxLFxuICAgICAgICAgICAgICAgICAgICBmcm9tOiB0aGlzLmF0b21pY1N0YXRlc09mKGVsZW0xLmZyb20pLFxuICAgICAgICAgICAgICAgICAgICB0bzogdGFyZ2V0XG4gICAgICAgICAgICAgICAgfSk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cblxuICAgICAgICBjb25zdCBub3RpZnlFbnRlclN0YXRlID0gYnVpbGRIYW5kbGVySW5DbG9zdXJlKHRoaXMuX2hhbmRsZXJzLCAnb25FbnRlclN0YXRlJyk7XG4gICAgICAgIGNvbnN0IG5vdGlmeUxlYXZlU3RhdGUgPSBidWlsZEhhbmRsZXJJbkNsb3N1cmUodGhpcy5faGFuZGxlcnMsICdvbkxlYXZlU3RhdGUnKTtcblxuICAgICAgICAvLyBUaGUgc2FtZSBsaWZlY3ljbGUgZXZlbnQgaXMgZGVsaXZlcmVkIHRvIGFsbCBjYWxsYmFja3NcbiAgICAgICAgLy8gb2YgYSB0cmFuc2l0aW9uOyBpdCBpcyBidWlsdCB3aGVuIHRoZSB0cmFuc2l0aW9uIGJlZ2lucy5cbiAgICAgICAgbGV0IGV2ZW50OiBJTGlmZUN5Y2xlRXZlbnQgPSBudWxsO1xuXG4gICAgICAgIC8vIFdoaWxlIHJlc3RvcmluZyBmcm9tIGEgc25hcHNob3QsIHRoZSBpbml0IHRyYW5zaXRpb24gb25seVxuICAgICAgICAvLyBwdXRzIHRoZSB1bmRlcmx5aW5nIGltcGxlbWVudGF0aW9uIGludG8gdGhlIHNhdmVkIHN0YXRlO1xuICAgICAgICAvLyBub25lIG9mIHRoZSBjYWxsYmFja3MgYXJlIGludm9rZWQuXG4gICAgICAgIGxldCBzaWxlbnQgPSByZXN0b3Jpbmc7XG5cbiAgICAgICAgLy8gT25seSB0aGUgYmVmb3JlIGFuZCBsZWF2ZSBjYWxsYmFja3MgbWF5IGRlbGF5IG9yIHZldG8gYSB0cmFuc2l0aW9uLFxuICAgICAgICAvLyBhcyB0aGV5IGFyZSBpbnZva2VkIGJlZm9yZSB0aGUgc3RhdGUgaXMgY2hhbmdlZC5cbiAgICAgICAgbWV0aG9kc1snb25CZWZvcmVUcmFuc2l0aW9uJ10gPSAobGlmZWN5Y2xlLCBwYXlsb2FkKSA9PiB7XG4gICAgICAgICAgICBpZiAoc2lsZW50KSB7XG4gICAgICAgICAgICAgICAgcmV0dXJuO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgY29uc3QgZWxlbSA9IHRoaXMudHJhbnNpdGlvbk9mKGxpZmVjeWNsZS50cmFuc2l0aW9uKTtcbiAgICAgICAgICAgIGV2ZW50ID0ge1xuICAgICAgICAgICAgICAgIHRyYW5zaXRpb246IGxpZmVjeWNsZS50cmFuc2l0aW9uLFxuICAgICAgICAgICAgICAgIGZyb206IGxpZmVjeWNsZS5mcm9tLFxuICAgICAgICAgICAgICAgIHRvOiBsaWZlY3ljbGUudG8sXG4gICAgICAgICAgICAgICAgcmVnaW9uOiByZWdpb24sXG4gICAgICAgICAgICAgICAgZXZlbnQ6IGVsZW0gPyBlbGVtLmV2ZW50IDogdW5kZWZpbmVkLFxuICAgICAgICAgICAgICAgIHBheWxvYWQ6IHBheWxvYWQsXG4gICAgICAgICAgICAgICAgY29udGV4dDogdGhpcy5fY29udGV4dFxuICAgICAgICAgICAgfTtcbiAgICAgICAgICAgIGlmIChlbGVtICYmIGVsZW0ub25CZWZvcmVDYWxsYmFjaykge1xuICAgICAgICAgICAgICAgIHJldHVybiB0aGlzLmludm9rZVZldG9hYmxlQ2FsbGJhY2tzKFtlbGVtLm9uQmVmb3JlQ2FsbGJhY2tdLCBldmVudCk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH07XG4gICAgICAgIC8vIFRoZSBjb250ZXh0IGRhdGEgaXMgdXBkYXRlZCBhZnRlciB0aGUgc291cmNlIHN0YXRlIGlzIGxlZnQsXG4gICAgICAgIC8vIHNvIHRoYXQgdGhlIHRhcmdldCBzdGF0ZSBpcyBlbnRlcmVkIHdpdGggdGhlIG5ldyBjb250ZXh0LlxuICAgICAgICBtZXRob2RzWydvblRyYW5zaXRpb24nXSA9IChsaWZlY3ljbGUpID0+IHtcbiAgICAgICAgICAgIGlmIChzaWxlbnQpIHtcbiAgICAgICAgICAgICAgICByZXR1cm47XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICBjb25zdCBlbGVtID0gdGhpcy50cmFuc2l0aW9uT2YobGlmZWN5Y2xlLnRyYW5zaXRpb24pO1xuICAgICAgICAgICAgaWYgKGVsZW0pIHtcbiAgICAgICAgICAgICAgICBjb25zdCBleGl0ID0gdGhpcy5zdGVwc09mKGxpZmVjeWNsZSkuZXhpdDtcbiAgICAgICAgICAgICAgICB0aGlzLmNhbmNlbERlbGF5ZWRUcmFuc2l0aW9ucyhleGl0KTtcbiAgICAgICAgICAgICAgICB0aGlzLnJlbWVtYmVySGlzdG9yeShsaWZlY3ljbGUuZnJvbSwgZXhpdCk7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICBpZiAoZWxlbSAmJiBlbGVtLmFzc2lnbikge1xuICAgICAgICAgICAgICAgIHRoaXMuYXNzaWduQ29udGV4dChlbGVtLmFzc2lnbiwgZXZlbnQpO1xuICAgICAgICAgICAgfVxuICAgICAgICB9O1xuICAgICAgICBtZXRob2RzWydvbkFmdGVyVHJhbnNpdGlvbiddID0gKGxpZmVjeWNsZSkgPT4ge1xuICAgICAgICAgICAgaWYgKHNpbGVudCkge1xuICAgICAgICAgICAgICAgIHJldHVybjtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIGNvbnN0IGVsZW0gPSB0aGlzLnRyYW5zaXRpb25PZihsaWZlY3ljbGUudHJhbnNpdGlvbik7XG4gICAgICAgICAgICBpZiAoZWxlbSkge1xuICAgICAgICAgICAgICAgIHRoaXMucmVjb3JkSGlzdG9yeShldmVudCk7XG4gICAgICAgICAgICAgICAgLy8gVGhlIHRyYW5zaXRpb24gaXMgdGFrZW4sIGV2ZW4gaWYgdGhlIGNhbGxiYWNrIGZhaWxzXG4gICAgICAgICAgICAgICAgdGhpcy5fc2V0dGxlZEV2ZW50c1tyZWdpb25dID0gZXZlbnQ7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICBpZiAoZWxlbSAmJiBlbGVtLm9uQWZ0ZXJDYWxsYmFjaykge1xuICAgICAgICAgICAgICAgIGVsZW0ub25BZnRlckNhbGxiYWNrKGV2ZW50KTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfTtcbiAgICAgICAgbWV0aG9kc1snb25MZWF2ZVN0YXRlJ10gPSAobGlmZWN5Y2xlKSA9PiB7XG4gICAgICAgICAgICBjb25zdCBzdGVwcyA9IHRoaXMuc3RlcHNPZihsaWZlY3ljbGUpO1xuICAgICAgICAgICAgaWYgKHNpbGVudCB8fCAhc3RlcHMuZXhpdC5sZW5ndGggJiYgIXN0ZXBzLmVudHJ5Lmxlbmd0aCkge1xuICAgICAgICAgICAgICAgIHJldHVybjtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIC8vIFRoZSBpbml0IHRyYW5zaXRpb24gZG9lcyBub3QgbGVhdmUgYW55IHN0YXRlXG4gICAgICAgICAgICBpZiAoc3RlcHMuZXhpdC5sZW5ndGgpIHtcbiAgICAgICAgICAgICAgICB0aGlzLmRlbGl2ZXIodGhpcy5faGFuZGxlcnMub25MZWF2ZVN0YXRlLCAoKSA9PiBub3RpZnlMZWF2ZVN0YXRlKGV2ZW50KSk7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICAvLyBMZWF2ZSBmcm9tIHRoZSBpbm5lcm1vc3Qgc3RhdGVcbiAgICAgICAgICAgIGNvbnN0IGNhbGxiYWNrczogQXJyYXk8TWV0aG9kQ2FsbGJhY2tUeXBlPiA9IFtdO1xuICAgICAgICAgICAgZm9yIChjb25zdCBzIG9mIHN0ZXBzLmV4aXQpIHtcbiAgICAgICAgICAgICAgICBjb25zdCBlbGVtID0gc3RhdGVDb25mW3NdO1xuICAgICAgICAgICAgICAgIGlmIChlbGVtLm9uTGVhdmVDYWxsYmFjaykge1xuICAgICAgICAgICAgICAgICAgICBjYWxsYmFja3MucHVzaChlbGVtLm9uTGVhdmVDYWxsYmFjayk7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgfVxuICAgICAgICAgICAgcmV0dXJuIHRoaXMuaW52b2tlVmV0b2FibGVDYWxsYmFja3MoY2FsbGJhY2tzLCBldmVudCk7XG4gICAgICAgIH07XG4gICAgICAgIG1ldGhvZHNbJ29uRW50ZXJTdGF0ZSddID0gKGxpZmVjeWNsZSkgPT4ge1xuICAgICAgICAgICAgY29uc3Qgc3RlcHMgPSB0aGlzLnN0ZXBzT2YobGlmZWN5Y2xlKTtcbiAgICAgICAgICAgIGlmIChzaWxlbnQgfHwgIXN0ZXBzLmV4aXQubGVuZ3RoICYmICFzdGVwcy5lbnRyeS5sZW5ndGgpIHtcbiAgICAgICAgICAgICAgICByZXR1cm47XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICB0aGlzLmRlbGl2ZXIodGhpcy5faGFuZGxlcnMub25FbnRlclN0YXRlLCAoKSA9PiBub3RpZnlFbnRlclN0YXRlKGV2ZW50KSk7XG4gICAgICAgICAgICAvLyBFbnRlciBmcm9tIHRoZSBvdXRlcm1vc3Qgc3RhdGVcbiAgICAgICAgICAgIGZvciAoY29uc3QgcyBvZiBzdGVwcy5lbnRyeSkge1xuICAgICAgICAgICAgICAgIGNvbnN0IGVsZW0gPSBzdGF0ZUNvbmZbc107XG4gICAgICAgICAgICAgICAgaWYgKGVsZW0ub25FbnRlckNhbGxiYWNrKSB7XG4gICAgICAgICAgICAgICAgICAgIGVsZW0ub25FbnRlckNhbGxiYWNrKGV2ZW50KTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICB0aGlzLnNjaGVkdWxlRGVsYXllZFRyYW5zaXRpb25zKHN0ZXBzLmVudHJ5LCByZWdpb24pO1xuICAgICAgICB9O1xuXG4gICAgICAgIC8vIEFuIGV4Y2VwdGlvbiB0aHJvd24gYnkgYSBjYWxsYmFjayBpcyByZXBvcnRlZCwgYW5kIGVuZHNcbiAgICAgICAgLy8gdGhlIHRyYW5zaXRpb24gYnkgcmV0dXJuaW5nIGZhbHNlLCBzbyB0aGF0IHRoZSB1bmRlcmx5aW5nXG4gICAgICAgIC8vIGltcGxlbWVudGF0aW9uIGdldHMgb3V0IG9mIHRoZSBwZW5kaW5nIHN0YXR1cy4gVGhlIHN0YXRlIGlzIGtlcHRcbiAgICAgICAgLy8gYXMgaXQgaXMsIGkuZS4sIHRoZSBzb3VyY2Ugc3RhdGUgdW5sZXNzIHRoZSBleGNlcHRpb24gaXMgdGhyb3duXG4gICAgICAgIC8vIGFmdGVyIHRoZSBzdGF0ZSBpcyBjaGFuZ2VkLlxuICAgICAgICBmb3IgKGNvbnN0IGsyIGluIG1ldGhvZHMpIHtcbiAgICAgICAgICAgIGlmIChtZXRob2RzLmhhc093blByb3BlcnR5KGsyKSkge1xuICAgICAgICAgICAgICAgIGNvbnN0IG1ldGhvZCA9IG1ldGhvZHNbazJdO1xuICAgICAgICAgICAgICAgIG1ldGhvZHNbazJdID0gKGxpZmVjeWNsZSwgcGF5bG9hZCkgPT4ge1xuICAgICAgICAgICAgICAgICAgICB0cnkge1xuICAgICAgICAgICAgICAgICAgICAgICAgcmV0dXJuIG1ldGhvZChsaWZlY3ljbGUsIHBheWxvYWQpO1xuICAgICAgICAgICAgICAgICAgICB9IGNhdGNoIChlKSB7XG4gICAgICAgICAgICAgICAgICAgICAgICB0aGlzLnJlcG9ydEVycm9yKGxpZmVjeWNsZS50cmFuc2l0aW9uLCBsaWZlY3ljbGUuZnJvbSwgbGlmZWN5Y2xlLnRvLCBlKTtcbiAgICAgICAgICAgICAgICAgICAgICAgIHJldHVybiBmYWxzZTtcbiAgICAgICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgICAgIH07XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cblxuICAgICAgICBjb25zdCBpbXBsID0gbmV3IFN0YXRlTWFjaGluZSh7XG4gICAgICAgICAgICBpbml0OiB0aGlzLnJlc29sdmVBdG9taWNTdGF0ZShpbml0U3RhdGUpLFxuICAgICAgICAgICAgLy8gU2VsZi10cmFuc2l0aW9ucyBhcmUgb2JzZXJ2ZWQgdG9vOyBzdGVwc09mIGRlY2lkZXNcbiAgICAgICAgICAgIC8vIHdoaWNoIHN0YXRlcyB0aGV5IGxlYXZlIGFuZCBlbnRlci5cbiAgICAgICAgICAgIG9ic2VydmVVbmNoYW5nZWRTdGF0ZTogdHJ1ZSxcbiAgICAgICAgICAgIHRyYW5zaXRpb25zOiB0cmFuc2l0aW9ucyxcbiAgICAgICAgICAgIG1ldGhvZHM6IG1ldGhvZHMsXG4gICAgICAgICAgICBvbkludmFsaWRUcmFuc2l0aW9uOiAobmFtZTogc3RyaW5nLCBmcm9tOiBzdHJpbmcsIHRvOiBzdHJpbmcpID0+IHRoaXMucmVwb3J0RXJyb3IobmFtZSwgZnJvbSwgdG8pXG4gICAgICAgIH0pO1xuICAgICAgICBzaWxlbnQgPSBmYWxzZTtcbiAgICAgICAgaWYgKHJlc3RvcmluZykge1xuICAgICAgICAgICAgLy8gVGhlIHRpbWUgc3BlbnQgaW4gdGhlIHNhdmVkIHN0YXRlcyBpcyBub3Qga2VwdFxuICAgICAgICAgICAgdGhpcy5zY2hlZHVsZURlbGF5ZWRUcmFuc2l0aW9ucyh0aGlzLnBhdGhPZihpbXBsLnN0YXRlKSwgcmVnaW9uKTtcbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gaW1wbDtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBTY2hlZHVsZXMgdGhlIGRlbGF5ZWQgdHJhbnNpdGlvbnMgZnJvbSB0aGUgZ2l2ZW4gc3RhdGVzLFxuICAgICAqIHdoaWNoIGhhdmUganVzdCBiZWVuIGVudGVyZWQuXG4gICAgICovXG4gICAgcHJpdmF0ZSBzY2hlZHVsZURlbGF5ZWRUcmFuc2l0aW9ucyhzdGF0ZXM6IEFycmF5PHN0cmluZz4sIHJlZ2lvbjogc3RyaW5nKSB7XG4gICAgICAgIGNvbnN0IHRyYW5zaXRpb25Db25mID0gdGhpcy5fdHJhbnNpdGlvbkNvbmZpZ3VyYXRpb247XG4gICAgICAgIGZvciAoY29uc3QgayBpbiB0cmFuc2l0aW9uQ29uZikge1xuICAgICAgICAgICAgaWYgKHRyYW5zaXRpb25Db25mLmhhc093blByb3BlcnR5KGspKSB7XG4gICAgICAgICAgICAgICAgY29uc3QgZWxlbSA9IHRyYW5zaXRpb25Db25mW2tdO1xuICAgICAgICAgICAgICAgIGlmIChlbGVtLmRlbGF5ID09PSB1bmRlZmluZWQgfHwgZWxlbS5kZWxheSA9PT0gbnVsbCB8fCBpbmRleE9mKHN0YXRlcywgZWxlbS5mcm9tKSA8IDApIHtcbiAgICAgICAgICAgICAgICAgICAgY29udGludWU7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgICAgIGNvbnN0IGhhbmRsZSA9IHRoaXMuX3NjaGVkdWxlci5zZXRUaW1lb3V0KCgpID0+IHtcbiAgICAgICAgICAgICAgICAgICAgdGhpcy5maXJlRGVsYXllZFRyYW5zaXRpb24ocmVnaW9uLCBrKTtcbiAgICAgICAgICAgICAgICB9LCBlbGVtLmRlbGF5KTtcbiAgICAgICAgICAgICAgICB0aGlzLl90aW1lcnNbZWxlbS5mcm9tXSA9IHRoaXMuX3RpbWVyc1tlbGVtLmZyb21dIHx8IFtdO1xuICAgICAgICAgICAgICAgIHRoaXMuX3RpbWVyc1tlbGVtLmZyb21dLnB1c2goaGFuZGxlKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgIH1cblxuICAgIC8qKlxuICAgICAqIENhbmNlbHMgdGhlIGRlbGF5ZWQgdHJhbnNpdGlvbnMgZnJvbSB0aGUgZ2l2ZW4gc3RhdGVzLFxuICAgICAqIHdoaWNoIGFyZSBiZWluZyBsZWZ0LlxuICAgICAqL1xuICAgIHByaXZhdGUgY2FuY2VsRGVsYXllZFRyYW5zaXRpb25zKHN0YXRlczogQXJyYXk8c3RyaW5nPikge1xuICAgICAgICBmb3IgKGNvbnN0IHMgb2Ygc3RhdGVzKSB7XG4gICAgICAgICAgICBmb3IgKGNvbnN0IGhhbmRsZSBvZiB0aGlzLl90aW1lcnNbc10gfHwgW10pIHtcbiAgICAgICAgICAgICAgICB0aGlzLl9zY2hlZHVsZXIuY2xlYXJUaW1lb3V0KGhhbmRsZSk7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICBkZWxldGUgdGhpcy5fdGltZXJzW3NdO1xuICAgICAgICB9XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogVGFrZXMgYSBkZWxheWVkIHRyYW5zaXRpb24gd2hlbiBpdHMgdGltZSBpcyB1cC4gVGhlIHRyYW5zaXRpb24gaXNcbiAgICAgKiBza2lwcGVkIGlmIGl0cyBndWFyZCBkb2VzIG5vdCBob2xkLCBvciBhbm90aGVyIHRyYW5zaXRpb24gb2ZcbiAgICAgKiB0aGUgcmVnaW9uIGlzIGluIHByb2dyZXNzLlxuICAgICAqL1xuICAgIHByaXZhdGUgZmlyZURlbGF5ZWRUcmFuc2l0aW9uKHJlZ2lvbjogc3RyaW5nLCB0cmFuc2l0aW9uTmFtZTogc3RyaW5nKSB7XG4gICAgICAgIGNvbnN0IGltcGwgPSB0aGlzLl9pbXBscyAmJiB0aGlzLl9pbXBsc1tyZWdpb25dO1xuICAgICAgICBjb25zdCBlbGVtID0gdGhpcy50cmFuc2l0aW9uT2YodHJhbnNpdGlvbk5hbWUpO1xuICAgICAgICBpZiAoIWltcGwgfHwgdGhpcy5fcGVuZGluZ1JlZ2lvbnNbcmVnaW9uXSB8fCBpbXBsLmNhbm5vdCh0cmFuc2l0aW9uTmFtZSkpIHtcbiAgICAgICAgICAgIHJldHVybjtcbiAgICAgICAgfVxuICAgICAgICBpZiAoZWxlbS5ndWFyZCAmJiAhZWxlbS5ndWFyZCh0aGlzLl9jb250ZXh0KSkge1xuICAgICAgICAgICAgcmV0dXJuO1xuICAgICAgICB9XG4gICAgICAgIGNvbnN0IGN1cnJlbnRTdGF0ZSA9IGltcGwuc3RhdGU7XG4gICAgICAgIHRyeSB7XG4gICAgICAgICAgICB0aGlzLmZpcmVUcmFuc2l0aW9uKHJlZ2lvbiwgdHJhbnNpdGlvbk5hbWUpO1xuICAgICAgICB9IGNhdGNoIChlKSB7XG4gICAgICAgICAgICAvLyBOb2JvZHkgZWxzZSBjb3VsZCBjYXRjaCBpdCBpbiBhIHRpbWVyXG4gICAgICAgICAgICB0aGlzLnJlcG9ydEVycm9yKHRyYW5zaXRpb25OYW1lLCBjdXJyZW50U3RhdGUsIGVsZW0udG8sIGUpO1xuICAgICAgICB9XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogQXBwZW5kcyBhIHRha2VuIHRyYW5zaXRpb24gdG8gdGhlIGhpc3RvcnksXG4gICAgICogZHJvcHBpbmcgdGhlIG9sZGVzdCBvbmUgaWYgdGhlIGhpc3RvcnkgaXMgZnVsbC5cbiAgICAgKiBVbmRvaW5nIGEgdHJhbnNpdGlvbiBtb3ZlcyBpdCBmcm9tIHRoZSBoaXN0b3J5IHRvIHRoZSB1bmRvbmUgb25lcyxcbiAgICAgKiBhbmQgYW55IG90aGVyIHRyYW5zaXRpb24gdGhhbiBhIHJlZG8gY2xlYXJzIHRoZSB1bmRvbmUgb25lcy5cbiAgICAgKi9cbiAgICBwcml2YXRlIHJlY29yZEhpc3RvcnkobGlmZWN5Y2xlOiBJTGlmZUN5Y2xlRXZlbnQpIHtcbiAgICAgICAgY29uc3QgcmVwbGF5ID0gdGhpcy5fcmVwbGF5c1tsaWZlY3ljbGUucmVnaW9uXTtcbiAgICAgICAgZGVsZXRlIHRoaXMuX3JlcGxheXNbbGlmZWN5Y2xlLnJlZ2lvbl07XG4gICAgICAgIGlmIChyZXBsYXkgJiYgcmVwbGF5LmtpbmQgPT09ICd1bmRvJykge1xuICAgICAgICAgICAgdGhpcy5faGlzdG9yeSA9IHdpdGhvdXQodGhpcy5faGlzdG9yeSwgcmVwbGF5LmVudHJ5KTtcbiAgICAgICAgICAgIHRoaXMuX3VuZG9uZS5wdXNoKHJlcGxheS5lbnRyeSk7XG4gICAgICAgICAgICByZXR1cm47XG4gICAgICAgIH1cbiAgICAgICAgaWYgKHJlcGxheSAmJiByZXBsYXkua2luZCA9PT0gJ3JlZG8nKSB7XG4gICAgICAgICAgICB0aGlzLl91bmRvbmUgPSB3aXRob3V0KHRoaXMuX3VuZG9uZSwgcmVwbGF5LmVudHJ5KTtcbiAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgIHRoaXMuX3VuZG9uZSA9IFtdO1xuICAgICAgICB9XG4gICAgICAgIHRoaXMuX2hpc3RvcnkucHVzaCh7XG4gICAgICAgICAgICB0cmFuc2l0aW9uOiBsaWZlY3ljbGUudHJhbnNpdGlvbixcbiAgICAgICAgICAgIGZyb206IGxpZmVjeWNsZS5mcm9tLFxuICAgICAgICAgICAgdG86IGxpZmVjeWNsZS50byxcbiAgICAgICAgICAgIHJlZ2lvbjogbGlmZWN5Y2xlLnJlZ2lvbixcbiAgICAgICAgICAgIHBheWxvYWQ6IGxpZmVjeWNsZS5wYXlsb2FkLFxuICAgICAgICAgICAgdGltZXN0YW1wOiBEYXRlLm5vdygpXG4gICAgICAgIH0pO1xuICAgICAgICBpZiAodGhpcy5faGlzdG9yeS5sZW5ndGggPiB0aGlzLl9oaXN0b3J5TGltaXQpIHtcbiAgICAgICAgICAgIHRoaXMuX2hpc3Rvcnkuc2hpZnQoKTtcbiAgICAgICAgfVxuICAgIH1cblxuICAgIC8qKlxuICAgICAqIENoZWNrcyB0aGF0IHRoZSBnaXZlbiBzbmFwc2hvdCBtYXkgYmUgcmVzdG9yZWRcbiAgICAgKiBpbiB0aGUgY3VycmVudCBjb25maWd1cmF0aW9uLlxuICAgICAqL1xuICAgIHByaXZhdGUgdmFsaWRhdGVTbmFwc2hvdChzbmFwc2hvdDogSVNuYXBzaG90LCByZWdpb25zOiBBcnJheTxzdHJpbmc+KSB7XG4gICAgICAgIGlmIChzbmFwc2hvdC52ZXJzaW9uICE9PSBzbmFwc2hvdFZlcnNpb24pIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignVW5zdXBwb3J0ZWQgc25hcHNob3QgdmVyc2lvbjogJyArIHNuYXBzaG90LnZlcnNpb24pO1xuICAgICAgICB9XG4gICAgICAgIGNvbnN0IHN0YXRlQ29uZiA9IHRoaXMuX3N0YXRlQ29uZmlndXJhdGlvbjtcbiAgICAgICAgZm9yIChjb25zdCBrIGluIHNuYXBzaG90LnN0YXRlKSB7XG4gICAgICAgICAgICBpZiAoc25hcHNob3Quc3RhdGUuaGFzT3duUHJvcGVydHkoaykpIHtcbiAgICAgICAgICAgICAgICBpZiAoaW5kZXhPZihyZWdpb25zLCBrKSA8IDApIHtcbiAgICAgICAgICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdVbmRlZmluZWQgcmVnaW9uIGluIHNuYXBzaG90OiAnICsgayk7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgICAgIGNvbnN0IGVsZW0gPSBzdGF0ZUNvbmZbc25hcHNob3Quc3RhdGVba11dO1xuICAgICAgICAgICAgICAgIGlmICghZWxlbSB8fCBlbGVtLnJlZ2lvbiAhPT0gaykge1xuICAgICAgICAgICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1VuZGVmaW5lZCBzdGF0ZSBpbiBzbmFwc2hvdDogJyArIHNuYXBzaG90LnN0YXRlW2tdKTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBTdGFydHMgdGhlIEZTTS4gTm90ZSB0aGF0IHRoaXMgbWV0aG9kIG11c3QgYmUgaW52b2tlZCBiZWZvcmVcbiAgICAgKiBhbnkgbWV0aG9kIHdoaWNoIG1heSBjaGFuZ2UgdGhlIHN0YXRlIG9mIHRoZSBGU00uXG4gICAgICogRWFjaCByZWdpb24gc3RhcnRzIGZyb20gaXRzIG93biBpbml0IHN0YXRlLCB1bmxlc3NcbiAgICAgKiBhIHNuYXBzaG90IGlzIGdpdmVuLCBpbiB3aGljaCBjYXNlIHRoZSBGU00gcmVzdW1lcyBmcm9tXG4gICAgICogdGhlIHNhdmVkIHN0YXRlcywgY29udGV4dCBhbmQgaGlzdG9yeSB3aXRob3V0IGludm9raW5nXG4gICAgICogYW55IGVudGVyIGNhbGxiYWNrcy5cbiAgICAgKi9cbiAgICBzdGFydChzbmFwc2hvdD86IElTbmFwc2hvdDxUU3RhdGUsIFRDb250ZXh0Pikge1xuXG4gICAgICAgIHRoaXMuZW5zdXJlQ29uZmlndXJlU3RhZ2UoKTtcblxuICAgICAgICAvLyBEZWZpbml0aW9uXG4gICAgICAgIGNvbnN0IHN0YXRlQ29uZiA9IHRoaXMuX3N0YXRlQ29uZmlndXJhdGlvbjtcbiAgICAgICAgY29uc3QgcmVnaW9uQ29uZiA9IHRoaXMuX3JlZ2lvbkNvbmZpZ3VyYXRpb247XG5cbiAgICAgICAgLy8gVGhlIGRlZmF1bHQgcmVnaW9uIG1heSBiZSBsZWZ0IGVtcHR5IGlmXG4gICAgICAgIC8vIGFsbCBzdGF0ZXMgbGl2ZSBpbiBvdGhlciByZWdpb25zLlxuICAgICAgICBsZXQgdXNlRGVmYXVsdFJlZ2lvbiA9ICEhdGhpcy5faW5pdFN0YXRlIHx8IF8uaXNFbXB0eShyZWdpb25Db25mKTtcbiAgICAgICAgLy8gQSBzdGF0ZSB3aXRob3V0IGEgc2VsZi10cmFuc2l0aW9uIGlzIHJlLWVudGVyZWRcbiAgICAgICAgLy8gYnkgYW4gaW1wbGllZCBvbmUsIGlmIHNvIHJlcXVpcmVkLlxuICAgICAgICBjb25zdCByZWVudHJ5Q29uZjogeyBba2V5OiBzdHJpbmddOiBJVHJhbnNpdGlvblNwZWNpZmljYXRpb24gfSA9IHt9O1xuICAgICAgICBmb3IgKGNvbnN0IGswIGluIHN0YXRlQ29uZikge1xuICAgICAgICAgICAgaWYgKHN0YXRlQ29uZi5oYXNPd25Qcm9wZXJ0eShrMCkpIHtcbiAgICAgICAgICAgICAgICBjb25zdCBlbGVtMCA9IHN0YXRlQ29uZltrMF07XG4gICAgICAgICAgICAgICAgaWYgKGVsZW0wLmluaXRpYWwgJiYgaW5kZXhPZihlbGVtMC5jaGlsZHJlbiwgZWxlbTAuaW5pdGlhbCkgPCAwKSB7XG4gICAgICAgICAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignVW5kZWZpbmVkIGluaXRpYWwgY2hpbGQgc3RhdGU6ICcgKyBrMCArICcgLT4gJyArIGVsZW0wLmluaXRpYWwpO1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICBpZiAoZWxlbTAucmVnaW9uID09PSBkZWZhdWx0UmVnaW9uKSB7XG4gICAgICAgICAgICAgICAgICAgIHVzZURlZmF1bHRSZWdpb24gPSB0cnVlO1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICBjb25zdCBrZXkwID0gcmVwbGFjZVN0cih0cmFuc2l0aW9uS2V5Rm9ybWF0LCB7IGZyb206IGswLCB0bzogazAgfSk7XG4gICAgICAgICAgICAgICAgaWYgKHRoaXMuX3NhbWVTdGF0ZVBvbGljeSA9PT0gJ3JlZW50ZXInICYmICF0aGlzLl90cmFuc2l0aW9uQ29uZmlndXJhdGlvbltrZXkwXSkge1xuICAgICAgICAgICAgICAgICAgICByZWVudHJ5Q29uZltrZXkwXSA9IHsgZnJvbTogazAsIHRvOiBrMCB9O1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgICAgICB0aGlzLl9yZWVudHJ5Q29uZmlndXJhdGlvbiA9IHJlZW50cnlDb25mO1xuICAgICAgICBpZiAodXNlRGVmYXVsdFJlZ2lvbiAmJiAhdGhpcy5faW5pdFN0YXRlKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ0luaXQgc3RhdGUgaGFzIG5vdCBiZWVuIGRlZmluZWQuJyk7XG4gICAgICAgIH1cbiAgICAgICAgY29uc3QgaGlzdG9yeUNvbmYgPSB0aGlzLl9oaXN0b3J5Q29uZmlndXJhdGlvbjtcbiAgICAgICAgZm9yIChjb25zdCBrMyBpbiBoaXN0b3J5Q29uZikge1xuICAgICAgICAgICAgaWYgKGhpc3RvcnlDb25mLmhhc093blByb3BlcnR5KGszKSkge1xuICAgICAgICAgICAgICAgIGNvbnN0IGVsZW0zID0gaGlzdG9yeUNvbmZbazNdO1xuICAgICAgICAgICAgICAgIGlmIChzdGF0ZUNvbmZbZWxlbTMucGFyZW50XS5jaGlsZHJlbi5sZW5ndGggPT09IDApIHtcbiAgICAgICAgICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdIaXN0b3J5IHN0YXRlIG9mIGFuIGF0b21pYyBzdGF0ZTogJyArIGszKTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICAgICAgY29uc3QgdGFyZ2V0ID0gZWxlbTMuZGVmYXVsdFRhcmdldDtcbiAgICAgICAgICAgICAgICBpZiAodGFyZ2V0ICYmICghc3RhdGVDb25mW3RhcmdldF0gfHwgaW5kZXhPZih0aGlzLnBhdGhPZih0YXJnZXQpLCBlbGVtMy5wYXJlbnQpIDwgMCB8fCB0YXJnZXQgPT09IGVsZW0zLnBhcmVudCkpIHtcbiAgICAgICAgICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdVbmRlZmluZWQgZGVmYXVsdCB0YXJnZXQgb2YgaGlzdG9yeSBzdGF0ZTogJyArIGszICsgJyAtPiAnICsgdGFyZ2V0KTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cblxuXG4gICAgICAgIGNvbnN0IGluaXRTdGF0ZXM6IHsgW2tleTogc3RyaW5nXTogc3RyaW5nIH0gPSB7fTtcbiAgICAgICAgaWYgKHVzZURlZmF1bHRSZWdpb24pIHtcbiAgICAgICAgICAgIGluaXRTdGF0ZXNbZGVmYXVsdFJlZ2lvbl0gPSB0aGlzLl9pbml0U3RhdGU7XG4gICAgICAgIH1cbiAgICAgICAgZm9yIChjb25zdCBrMSBpbiByZWdpb25Db25mKSB7XG4gICAgICAgICAgICBpZiAocmVnaW9uQ29uZi5oYXNPd25Qcm9wZXJ0eShrMSkpIHtcbiAgICAgICAgICAgICAgICBpbml0U3RhdGVzW2sxXSA9IHJlZ2lvbkNvbmZbazFdLmluaXRTdGF0ZTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfVxuXG4gICAgICAgIGlmIChzbmFwc2hvdCkge1xuICAgICAgICAgICAgdGhpcy52YWxpZGF0ZVNuYXBzaG90KHNuYXBzaG90LCBfLmtleXMoaW5pdFN0YXRlcykpO1xuICAgICAgICB9XG4gICAgICAgIHRoaXMubG9hZFJ1bm5pbmdTdGF0dXMoc25hcHNob3QpO1xuXG4gICAgICAgIGNvbnN0IGltcGxzOiB7IFtrZXk6IHN0cmluZ106IElVbmRlcmx5SW1wbCB9ID0ge307XG4gICAgICAgIHRoaXMuX2V4ZWN1dGlvbi5leGVjdXRlKCgpID0+IHtcbiAgICAgICAgICAgIGZvciAoY29uc3QgazIgaW4gaW5pdFN0YXRlcykge1xuICAgICAgICAgICAgICAgIGlmIChpbml0U3RhdGVzLmhhc093blByb3BlcnR5KGsyKSkge1xuICAgICAgICAgICAgICAgICAgICBjb25zdCByZXN0b3JlZCA9IHNuYXBzaG90ICYmIHNuYXBzaG90LnN0YXRlW2syXTtcbiAgICAgICAgICAgICAgICAgICAgaW1wbHNbazJdID0gdGhpcy5jcmVhdGVJbXBsKGsyLCByZXN0b3JlZCB8fCBpbml0U3RhdGVzW2syXSwgISFyZXN0b3JlZCk7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgfVxuICAgICAgICB9KTtcbiAgICAgICAgdGhpcy5faW1wbHMgPSBpbXBscztcbiAgICAgICAgY29uc3Qgc3RhdGVzID0gdGhpcy5jb25maWd1cmF0aW9uKCk7XG4gICAgICAgIHRoaXMuZGVsaXZlcih0aGlzLl9jb25maWd1cmF0aW9uU3ViamVjdC5vYnNlcnZlcnMsICgpID0+IHRoaXMuX2NvbmZpZ3VyYXRpb25TdWJqZWN0Lm5leHQoc3RhdGVzKSk7XG4gICAgICAgIHRoaXMubm90aWZ5Q29udGV4dCgpO1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBMb2FkcyB0aGUgY29udGV4dCBkYXRhIGFuZCB0aGUgaGlzdG9yeSBmcm9tIHRoZSBnaXZlbiBzbmFwc2hvdCxcbiAgICAgKiBvciByZXNldHMgdGhlbSBpZiBubyBzbmFwc2hvdCBpcyBnaXZlbi5cbiAgICAgKi9cbiAgICBwcml2YXRlIGxvYWRSdW5uaW5nU3RhdHVzKHNuYXBzaG90PzogSVNuYXBzaG90KSB7XG4gICAgICAgIGlmIChzbmFwc2hvdCkge1xuICAgICAgICAgICAgdGhpcy5fY29udGV4dCA9IHNuYXBzaG90LmNvbnRleHQ7XG4gICAgICAgICAgICB0aGlzLl9oaXN0b3J5ID0gKHNuYXBzaG90Lmhpc3RvcnkgfHwgW10pLnNsaWNlKC10aGlzLl9oaXN0b3J5TGltaXQpO1xuICAgICAgICAgICAgdGhpcy5fdW5kb25lID0gKHNuYXBzaG90LnVuZG9uZSB8fCBbXSkuc2xpY2UoLXRoaXMuX2hpc3RvcnlMaW1pdCk7XG4gICAgICAgICAgICB0aGlzLl9sYXN0QWN0aXZlID0gXy5leHRlbmQoe30sIHNuYXBzaG90Lmxhc3RBY3RpdmUpO1xuICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgdGhpcy5faGlzdG9yeSA9IFtdO1xuICAgICAgICAgICAgdGhpcy5fdW5kb25lID0gW107XG4gICAgICAgICAgICB0aGlzLl9sYXN0QWN0aXZlID0ge307XG4gICAgICAgIH1cbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBQdXRzIHRoZSBydW5uaW5nIEZTTSBiYWNrIGludG8gdGhlIHN0YXR1cyBjYXB0dXJlZCBieSBhIHNuYXBzaG90LFxuICAgICAqIGUuZy4sIGZvciB0aW1lLXRyYXZlbCBkZWJ1Z2dpbmcuIEFzIHdoZW4gc3RhcnRpbmcgZnJvbSBhIHNuYXBzaG90LFxuICAgICAqIG5vbmUgb2YgdGhlIGNhbGxiYWNrcyBhcmUgaW52b2tlZC4gVGhlIGRlbGF5ZWQgdHJhbnNpdGlvbnMgYXJlXG4gICAgICogc2NoZWR1bGVkIGFnYWluIGZyb20gdGhlIHJlc3RvcmVkIHN0YXRlcy5cbiAgICAgKi9cbiAgICByZXN0b3JlKHNuYXBzaG90OiBJU25hcHNob3Q8VFN0YXRlLCBUQ29udGV4dD4pIHtcbiAgICAgICAgdGhpcy5lbnN1cmVSdW5uaW5nU3RhZ2UoKTtcbiAgICAgICAgaWYgKCFfLmlzRW1wdHkodGhpcy5fcGVuZGluZ1JlZ2lvbnMpKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1RyYW5zaXRpb24gaXMgaW4gcHJvZ3Jlc3M6ICcgKyBfLmtleXModGhpcy5fcGVuZGluZ1JlZ2lvbnMpLmpvaW4oJywgJykpO1xuICAgICAgICB9XG4gICAgICAgIGNvbnN0IHJlZ2lvbnMgPSBfLmtleXModGhpcy5faW1wbHMpO1xuICAgICAgICB0aGlzLnZhbGlkYXRlU25hcHNob3Qoc25hcHNob3QsIHJlZ2lvbnMpO1xuICAgICAgICB0aGlzLmNhbmNlbERlbGF5ZWRUcmFuc2l0aW9ucyhfLmtleXModGhpcy5fdGltZXJzKSk7XG4gICAgICAgIHRoaXMubG9hZFJ1bm5pbmdTdGF0dXMoc25hcHNob3QpO1xuXG4gICAgICAgIGNvbnN0IGltcGxzOiB7IFtrZXk6IHN0cmluZ106IElVbmRlcmx5SW1wbCB9ID0ge307XG4gICAgICAgIHRoaXMuX2V4ZWN1dGlvbi5leGVjdXRlKCgpID0+IHtcbiAgICAgICAgICAgIGZvciAoY29uc3QgayBvZiByZWdpb25zKSB7XG4gICAgICAgICAgICAgICAgaW1wbHNba10gPSB0aGlzLmNyZWF0ZUltcGwoaywgc25hcHNob3Quc3RhdGVba10gfHwgdGhpcy5faW1wbHNba10uc3RhdGUsIHRydWUpO1xuICAgICAgICAgICAgfVxuICAgICAgICB9KTtcbiAgICAgICAgdGhpcy5faW1wbHMgPSBpbXBscztcbiAgICAgICAgY29uc3Qgc3RhdGVzID0gdGhpcy5jb25maWd1cmF0aW9uKCk7XG4gICAgICAgIHRoaXMuZGVsaXZlcih0aGlzLl9jb25maWd1cmF0aW9uU3ViamVjdC5vYnNlcnZlcnMsICgpID0+IHRoaXMuX2NvbmZpZ3VyYXRpb25TdWJqZWN0Lm5leHQoc3RhdGVzKSk7XG4gICAgICAgIHRoaXMubm90aWZ5Q29udGV4dCgpO1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZXR1cm5zIGFuIG9ic2VydmFibGUgb2YgdGhlIGN1cnJlbnQgc3RhdGUgb2YgdGhlIGdpdmVuIHJlZ2lvbixcbiAgICAgKiBvciBvZiB0aGUgZGVmYXVsdCByZWdpb24gaWYgbm8gcmVnaW9uIGlzIGdpdmVuLiBUaGUgY3VycmVudCBzdGF0ZVxuICAgICAqIGlzIHJlcGxheWVkIHRvIGVhY2ggbmV3IHN1YnNjcmliZXIgb25jZSB0aGUgRlNNIGhhcyBzdGFydGVkLlxuICAgICAqIEEgc3RhdGUgaXMgZW1pdHRlZCBvbmx5IHdoZW4gaXQgZGlmZmVycyBmcm9tIHRoZSBwcmV2aW91cyBvbmUsXG4gICAgICogc28gcmUtZW50ZXJpbmcgdGhlIGN1cnJlbnQgc3RhdGUsIG9yIGFuIGludGVybmFsIHRyYW5zaXRpb24sXG4gICAgICogaXMgbm90IGVtaXR0ZWQ7IGl0IGlzIGZvdW5kIG9uIHRyYW5zaXRpb25zJCBpbnN0ZWFkLlxuICAgICAqL1xuICAgIHdhdGNoU3RhdGUocmVnaW9uPzogc3RyaW5nKTogT2JzZXJ2YWJsZTxUU3RhdGU+IHtcbiAgICAgICAgcmVnaW9uID0gcmVnaW9uIHx8IGRlZmF1bHRSZWdpb247XG4gICAgICAgIHJldHVybiB0aGlzLmNvbmZpZ3VyYXRpb24kLnBpcGUoXG4gICAgICAgICAgICBmaWx0ZXIoc3RhdGVzID0+IHN0YXRlcy5oYXNPd25Qcm9wZXJ0eShyZWdpb24pKSxcbiAgICAgICAgICAgIG1hcChzdGF0ZXMgPT4gc3RhdGVzW3JlZ2lvbl0pLFxuICAgICAgICAgICAgZGlzdGluY3RVbnRpbENoYW5nZWQoKSk7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogRGlzcG9zZXMgdGhlIEZTTSwgaS5lLiwgY2FuY2VscyB0aGUgcGVuZGluZyBkZWxheWVkIHRyYW5zaXRpb25zIGFuZFxuICAgICAqIGNvbXBsZXRlcyB0aGUgb2JzZXJ2YWJsZXMuIFRoZSBGU00gY2Fubm90IGJlIHVzZWQgYW55IG1vcmUgYWZ0ZXJ3YXJkcy5cbiAgICAgKi9cbiAgICBkaXNwb3NlKCkge1xuICAgICAgICBpZiAodGhpcy5fZGlzcG9zZWQpIHtcbiAgICAgICAgICAgIHJldHVybjtcbiAgICAgICAgfVxuICAgICAgICB0aGlzLl9kaXNwb3NlZCA9IHRydWU7XG4gICAgICAgIHRoaXMuY2FuY2VsRGVsYXllZFRyYW5zaXRpb25zKF8ua2V5cyh0aGlzLl90aW1lcnMpKTtcbiAgICAgICAgdGhpcy5fY29uZmlndXJhdGlvblN1YmplY3QuY29tcGxldGUoKTtcbiAgICAgICAgdGhpcy5fdHJhbnNpdGlvblN1YmplY3QuY29tcGxldGUoKTtcbiAgICAgICAgdGhpcy5fZXJyb3JTdWJqZWN0LmNvbXBsZXRlKCk7XG4gICAgICAgIHRoaXMuX2NvbnRleHRTdWJqZWN0LmNvbXBsZXRlKCk7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogUmVnaXN0ZXJzIGEgaGFuZGxlciBmb3IgZW50ZXJzdGF0ZVxuICAgICAqL1xuICAgIG9uRW50ZXJTdGF0ZShoYW5kbGVyOiBNZXRob2RDYWxsYmFja1R5cGU8VFN0YXRlLCBURXZlbnQsIFRDb250ZXh0Pikge1xuICAgICAgICBjb25zdCBvdXJIYW5kbGVycyA9IHRoaXMuX2hhbmRsZXJzLm9uRW50ZXJTdGF0ZTtcbiAgICAgICAgaWYgKGluZGV4T2Yob3VySGFuZGxlcnMsIGhhbmRsZXIpID49IDApIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignUmUtcmVnaXN0ZXJpbmcgYSBoYW5kZXIhJyk7XG4gICAgICAgIH1cbiAgICAgICAgb3VySGFuZGxlcnMucHVzaChoYW5kbGVyKTtcbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogUmVnaXN0ZXJzIGEgaGFuZGxlciBmb3IgZXhpdHN0YXRlXG4gICAgICovXG4gICAgb25FeGl0U3RhdGUoaGFuZGxlcjogTWV0aG9kQ2FsbGJhY2tUeXBlPFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dD4pIHtcbiAgICAgICAgY29uc3Qgb3VySGFuZGxlcnMgPSB0aGlzLl9oYW5kbGVycy5vbkxlYXZlU3RhdGU7XG4gICAgICAgIGlmIChpbmRleE9mKG91ckhhbmRsZXJzLCBoYW5kbGVyKSA+PSAwKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1JlZ2lzdGVyaW5nIGEgaGFuZGVyIScpO1xuICAgICAgICB9XG4gICAgICAgIG91ckhhbmRsZXJzLnB1c2goaGFuZGxlcik7XG4gICAgICAgIHJldHVybiB0aGlzO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFVuLXJlZ2lzdGVyIGEgaGFuZGxlciBmb3IgZW50ZXJzdGF0ZVxuICAgICAqL1xuICAgIG9mZkVudGVyU3RhdGUoaGFuZGxlcjogTWV0aG9kQ2FsbGJhY2tUeXBlPFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dD4pIHtcbiAgICAgICAgY29uc3Qgb3VySGFuZGxlcnMgPSB0aGlzLl9oYW5kbGVycy5vbkVudGVyU3RhdGU7XG4gICAgICAgIHRoaXMuX2hhbmRsZXJzLm9uRW50ZXJTdGF0ZSA9IHdpdGhvdXQob3VySGFuZGxlcnMsIGhhbmRsZXIpO1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBVbi1yZWdpc3RlciBhIGhhbmRsZXIgZm9yIGV4aXRzdGF0ZVxuICAgICAqL1xuICAgIG9mZkV4aXRTdGF0ZShoYW5kbGVyOiBNZXRob2RDYWxsYmFja1R5cGU8VFN0YXRlLCBURXZlbnQsIFRDb250ZXh0Pikge1xuICAgICAgICBjb25zdCBvdXJIYW5kbGVycyA9IHRoaXMuX2hhbmRsZXJzLm9uTGVhdmVTdGF0ZTtcbiAgICAgICAgdGhpcy5faGFuZGxlcnMub25MZWF2ZVN0YXRlID0gd2l0aG91dChvdXJIYW5kbGVycywgaGFuZGxlcik7XG4gICAgICAgIHJldHVybiB0aGlzO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIExvb2tzIGZvciBhIHRyYW5zaXRpb24gYW1vbmcgdGhlIGNhbmRpZGF0ZXMgb2YgZWFjaCBhY3RpdmUgc3RhdGUsXG4gICAgICogc3RhcnRpbmcgZnJvbSB0aGUgaW5uZXJtb3N0IGFjdGl2ZSBzdGF0ZS4gQSB0cmFuc2l0aW9uIHdob3NlIGd1YXJkXG4gICAgICogZG9lcyBub3QgaG9sZCBpcyBza2lwcGVkLCBhbmQgdGhlIGZpcnN0IG9mIHN1Y2ggdHJhbnNpdGlvbnNcbiAgICAgKiBpcyByZXBvcnRlZCBhcyByZWplY3RlZC5cbiAgICAgKi9cbiAgICBwcml2YXRlIHNlZWtUcmFuc2l0aW9uKGltcGw6IElVbmRlcmx5SW1wbCxcbiAgICAgICAgY2FuZGlkYXRlc09mOiAoc3RhdGU6IHN0cmluZykgPT4gQXJyYXk8c3RyaW5nPixcbiAgICAgICAgcGF5bG9hZD86IGFueSkge1xuICAgICAgICBjb25zdCBhY3RpdmVQYXRoID0gdGhpcy5wYXRoT2YoaW1wbC5zdGF0ZSk7XG4gICAgICAgIGxldCByZWplY3RlZDogc3RyaW5nID0gbnVsbDtcbiAgICAgICAgZm9yIChsZXQgaSA9IGFjdGl2ZVBhdGgubGVuZ3RoIC0gMTsgaSA+PSAwOyBpLS0pIHtcbiAgICAgICAgICAgIGZvciAoY29uc3Qga2V5IG9mIGNhbmRpZGF0ZXNPZihhY3RpdmVQYXRoW2ldKSkge1xuICAgICAgICAgICAgICAgIGNvbnN0IGVsZW0gPSB0aGlzLnRyYW5zaXRpb25PZihrZXkpO1xuICAgICAgICAgICAgICAgIGlmICghZWxlbSB8fCBpbXBsLmNhbm5vdChrZXkpKSB7XG4gICAgICAgICAgICAgICAgICAgIGNvbnRpbnVlO1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICBpZiAoZWxlbS5ndWFyZCAmJiAhZWxlbS5ndWFyZCh0aGlzLl9jb250ZXh0LCBwYXlsb2FkKSkge1xuICAgICAgICAgICAgICAgICAgICByZWplY3RlZCA9IHJlamVjdGVkIHx8IGtleTtcbiAgICAgICAgICAgICAgICAgICAgY29udGludWU7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgICAgIHJldHVybiB7IG5hbWU6IGtleSwgcmVqZWN0ZWQ6IG51bGwgfTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgICAgICByZXR1cm4geyBuYW1lOiBudWxsLCByZWplY3RlZDogcmVqZWN0ZWQgfTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBGaXJlcyB0aGUgZ2l2ZW4gdHJhbnNpdGlvbiBpbiB0aGUgZ2l2ZW4gcmVnaW9uLlxuICAgICAqIEluIHRoZSBhc3luY2hyb25vdXMgbW9kZSwgaXQgcmV0dXJucyBhIHByb21pc2Ugd2hpY2ggaXMgcmVzb2x2ZWRcbiAgICAgKiB0byB0aGUgcmVzdWx0aW5nIHN0YXRlIG9uY2UgdGhlIHRyYW5zaXRpb24gc2V0dGxlcy5cbiAgICAgKi9cbiAgICBwcml2YXRlIGZpcmVUcmFuc2l0aW9uKHJlZ2lvbjogc3RyaW5nLCB0cmFuc2l0aW9uTmFtZTogc3RyaW5nLCBwYXlsb2FkPzogYW55KTogdGhpcyB8IFByb21pc2U8VFN0YXRlPiB7XG4gICAgICAgIGNvbnN0IGltcGwgPSB0aGlzLl9pbXBsc1tyZWdpb25dO1xuICAgICAgICBjb25zdCBjdXJyZW50U3RhdGUgPSBpbXBsLnN0YXRlO1xuICAgICAgICBjb25zdCBlbGVtID0gdGhpcy50cmFuc2l0aW9uT2YodHJhbnNpdGlvbk5hbWUpO1xuICAgICAgICBjb25zdCB0byA9IGVsZW0udG87XG5cbiAgICAgICAgLy8gSW52b2tlIHRoaXMgZnVuY3Rpb24sIHdyYXBwZWQgYnkgdGhlIG1pZGRsZXdhcmVcbiAgICAgICAgY29uc3QgZnVuYyA9IGltcGxbdHJhbnNpdGlvbk5hbWVdO1xuICAgICAgICBjb25zdCBtaWRkbGV3YXJlID0gdGhpcy5fbWlkZGxld2FyZS5zbGljZSgpO1xuICAgICAgICBjb25zdCBsaWZlY3ljbGU6IElMaWZlQ3ljbGVFdmVudCA9IHtcbiAgICAgICAgICAgIHRyYW5zaXRpb246IHRyYW5zaXRpb25OYW1lLFxuICAgICAgICAgICAgZnJvbTogY3VycmVudFN0YXRlLFxuICAgICAgICAgICAgdG86IHRvLFxuICAgICAgICAgICAgcmVnaW9uOiByZWdpb24sXG4gICAgICAgICAgICBldmVudDogZWxlbS5ldmVudCxcbiAgICAgICAgICAgIHBheWxvYWQ6IHBheWxvYWQsXG4gICAgICAgICAgICBjb250ZXh0OiB0aGlzLl9jb250ZXh0XG4gICAgICAgIH07XG4gICAgICAgIGNvbnN0IHJ1biA9ICgpID0+IGludm9rZU1pZGRsZXdhcmUobWlkZGxld2FyZSwgbGlmZWN5Y2xlLCAoZGF0YSkgPT4gZnVuYy5jYWxsKGltcGwsIGRhdGEpKTtcbiAgICAgICAgdGhpcy5fcGVuZGluZ1JlZ2lvbnNbcmVnaW9uXSA9IHRydWU7XG4gICAgICAgIGlmICghdGhpcy5fYXN5bmNNb2RlKSB7XG4gICAgICAgICAgICB0cnkge1xuICAgICAgICAgICAgICAgIHRoaXMuX2V4ZWN1dGlvbi5leGVjdXRlKHJ1bik7XG4gICAgICAgICAgICB9IGZpbmFsbHkge1xuICAgICAgICAgICAgICAgIGRlbGV0ZSB0aGlzLl9wZW5kaW5nUmVnaW9uc1tyZWdpb25dO1xuICAgICAgICAgICAgICAgIHRoaXMubm90aWZ5U2V0dGxlZChyZWdpb24pO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgICAgIH1cblxuICAgICAgICBjb25zdCBzZXR0bGUgPSAoKSA9PiB7XG4gICAgICAgICAgICBkZWxldGUgdGhpcy5fcGVuZGluZ1JlZ2lvbnNbcmVnaW9uXTtcbiAgICAgICAgICAgIHRoaXMubm90aWZ5U2V0dGxlZChyZWdpb24pO1xuICAgICAgICAgICAgcmV0dXJuIDxUU3RhdGU+aW1wbC5zdGF0ZTtcbiAgICAgICAgfTtcbiAgICAgICAgLy8gVGhlIGNhbGxiYWNrcyBvZiB0aGUgcHJvbWlzZSBydW4gd2hlcmUgaXQgaXMgY3JlYXRlZFxuICAgICAgICByZXR1cm4gdGhpcy5fZXhlY3V0aW9uLmV4ZWN1dGUoKCkgPT4gUHJvbWlzZS5yZXNvbHZlKClcbiAgICAgICAgICAgIC50aGVuKHJ1bilcbiAgICAgICAgICAgIC50aGVuKG51bGwsIChlcnJvcikgPT4ge1xuICAgICAgICAgICAgICAgIC8vIFRoZSBGU00gaXMgc3RpbGwgaW4gdGhlIHNvdXJjZSBzdGF0ZVxuICAgICAgICAgICAgICAgIHRoaXMucmVwb3J0RXJyb3IodHJhbnNpdGlvbk5hbWUsIGN1cnJlbnRTdGF0ZSwgdG8sIGVycm9yKTtcbiAgICAgICAgICAgIH0pXG4gICAgICAgICAgICAudGhlbihzZXR0bGUsIChlcnJvcikgPT4ge1xuICAgICAgICAgICAgICAgIHNldHRsZSgpO1xuICAgICAgICAgICAgICAgIHRocm93IGVycm9yO1xuICAgICAgICAgICAgfSkpO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIE5vdGlmaWVzIHRoZSBzdWJzY3JpYmVycyBvZiB0aGUgdHJhbnNpdGlvbiB0YWtlbiBpbiB0aGUgZ2l2ZW4gcmVnaW9uLFxuICAgICAqIGlmIGFueS4gSXQgaXMgZG9uZSBvbmNlIHRoZSB0cmFuc2l0aW9uIHNldHRsZXMsIHNvIHRoYXRcbiAgICAgKiB0aGUgc3Vic2NyaWJlcnMgbWF5IHVzZSB0aGUgRlNNIGF0IG9uY2UsIGUuZy4sIHRha2UgYSBzbmFwc2hvdC5cbiAgICAgKi9cbiAgICBwcml2YXRlIG5vdGlmeVNldHRsZWQocmVnaW9uOiBzdHJpbmcpIHtcbiAgICAgICAgY29uc3QgZXZlbnQgPSB0aGlzLl9zZXR0bGVkRXZlbnRzW3JlZ2lvbl07XG4gICAgICAgIGRlbGV0ZSB0aGlzLl9zZXR0bGVkRXZlbnRzW3JlZ2lvbl07XG4gICAgICAgIGlmICghZXZlbnQgfHwgdGhpcy5fZGlzcG9zZWQpIHtcbiAgICAgICAgICAgIHJldHVybjtcbiAgICAgICAgfVxuICAgICAgICBjb25zdCBzdGF0ZXMgPSB0aGlzLmNvbmZpZ3VyYXRpb24oKTtcbiAgICAgICAgdGhpcy5kZWxpdmVyKHRoaXMuX2NvbmZpZ3VyYXRpb25TdWJqZWN0Lm9ic2VydmVycywgKCkgPT4gdGhpcy5fY29uZmlndXJhdGlvblN1YmplY3QubmV4dChzdGF0ZXMpKTtcbiAgICAgICAgdGhpcy5kZWxpdmVyKHRoaXMuX3RyYW5zaXRpb25TdWJqZWN0Lm9ic2VydmVycywgKCkgPT4gdGhpcy5fdHJhbnNpdGlvblN1YmplY3QubmV4dChldmVudCkpO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJlZ2lzdGVycyBhIGhhbmRsZXIgZm9yIHRoZSBjaGFuZ2Ugb2YgdGhlIGNvbnRleHQgZGF0YVxuICAgICAqL1xuICAgIG9uQ29udGV4dENoYW5nZShoYW5kbGVyOiBDb250ZXh0Q2hhbmdlQ2FsbGJhY2tUeXBlPFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dD4pIHtcbiAgICAgICAgY29uc3Qgb3VySGFuZGxlcnMgPSB0aGlzLl9oYW5kbGVycy5vbkNvbnRleHRDaGFuZ2U7XG4gICAgICAgIGlmIChpbmRleE9mKG91ckhhbmRsZXJzLCBoYW5kbGVyKSA+PSAwKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1JlLXJlZ2lzdGVyaW5nIGEgaGFuZGVyIScpO1xuICAgICAgICB9XG4gICAgICAgIG91ckhhbmRsZXJzLnB1c2goaGFuZGxlcik7XG4gICAgICAgIHJldHVybiB0aGlzO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFVuLXJlZ2lzdGVyIGEgaGFuZGxlciBmb3IgdGhlIGNoYW5nZSBvZiB0aGUgY29udGV4dCBkYXRhXG4gICAgICovXG4gICAgb2ZmQ29udGV4dENoYW5nZShoYW5kbGVyOiBDb250ZXh0Q2hhbmdlQ2FsbGJhY2tUeXBlPFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dD4pIHtcbiAgICAgICAgY29uc3Qgb3VySGFuZGxlcnMgPSB0aGlzLl9oYW5kbGVycy5vbkNvbnRleHRDaGFuZ2U7XG4gICAgICAgIHRoaXMuX2hhbmRsZXJzLm9uQ29udGV4dENoYW5nZSA9IHdpdGhvdXQob3VySGFuZGxlcnMsIGhhbmRsZXIpO1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZWdpc3RlcnMgYSBtaWRkbGV3YXJlIHdoaWNoIHdyYXBzIGV2ZXJ5IHRyYW5zaXRpb24sIGluIHRoZSBvcmRlclxuICAgICAqIG9mIHJlZ2lzdHJhdGlvbiwgdGhlIGZpcnN0IG9uZSBiZWluZyB0aGUgb3V0ZXJtb3N0LiBBIG1pZGRsZXdhcmUgaXNcbiAgICAgKiBpbnZva2VkIHdpdGggdGhlIGxpZmVjeWNsZSBldmVudCBvZiB0aGUgdHJhbnNpdGlvbiBiZWZvcmUgYW55IGNhbGxiYWNrLFxuICAgICAqIGFuZCBtYXkgaW5zcGVjdCBpdCwgcmVwbGFjZSB0aGUgcGF5bG9hZCBieSBjYWxsaW5nIG5leHQgd2l0aCBhIG5ldyBvbmUsXG4gICAgICogdmV0byB0aGUgdHJhbnNpdGlvbiBieSBub3QgY2FsbGluZyBuZXh0IG9yIGJ5IHRocm93aW5nLCBhbmQgcnVuIGNvZGVcbiAgICAgKiBhZnRlciB0aGUgdHJhbnNpdGlvbiBieSB3b3JraW5nIG9uIHdoYXQgbmV4dCByZXR1cm5zLlxuICAgICAqIEluIHRoZSBhc3luY2hyb25vdXMgbW9kZSwgbmV4dCByZXR1cm5zIGEgcHJvbWlzZSwgYW5kIGEgbWlkZGxld2FyZVxuICAgICAqIGlzIGV4cGVjdGVkIHRvIHJldHVybiBhIHByb21pc2UgdG9vIGlmIGl0IHdhaXRzIGZvciB0aGUgdHJhbnNpdGlvbi5cbiAgICAgKi9cbiAgICB1c2UobWlkZGxld2FyZTogTWlkZGxld2FyZVR5cGU8VFN0YXRlLCBURXZlbnQsIFRDb250ZXh0Pikge1xuICAgICAgICBpZiAoaW5kZXhPZih0aGlzLl9taWRkbGV3YXJlLCBtaWRkbGV3YXJlKSA+PSAwKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1JlLXJlZ2lzdGVyaW5nIGEgbWlkZGxld2FyZSEnKTtcbiAgICAgICAgfVxuICAgICAgICB0aGlzLl9taWRkbGV3YXJlLnB1c2gobWlkZGxld2FyZSk7XG4gICAgICAgIHJldHVybiB0aGlzO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFVuLXJlZ2lzdGVyIGEgbWlkZGxld2FyZVxuICAgICAqL1xuICAgIHVudXNlKG1pZGRsZXdhcmU6IE1pZGRsZXdhcmVUeXBlPFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dD4pIHtcbiAgICAgICAgdGhpcy5fbWlkZGxld2FyZSA9IHdpdGhvdXQodGhpcy5fbWlkZGxld2FyZSwgbWlkZGxld2FyZSk7XG4gICAgICAgIHJldHVybiB0aGlzO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFBlcmZvcm1zIGEgdHJhbnNpdGlvbiB0byB0aGUgZ2l2ZW4gc3RhdGUuXG4gICAgICogVGhpcyBtZXRob2QgYWxzbyB2YWxpZGF0ZSB0aGUgdHJhbnNpdGlvbi5cbiAgICAgKiBUaGUgcGF5bG9hZCBpcyBkZWxpdmVyZWQgdG8gYWxsIGNhbGxiYWNrcyBvZiB0aGUgdHJhbnNpdGlvbixcbiAgICAgKiBhcyBwYXJ0IG9mIHRoZSBsaWZlY3ljbGUgZXZlbnQuXG4gICAgICogSWYgdGhlIHRyYW5zaXRpb24gaXMgcmVqZWN0ZWQgYnkgaXRzIGd1YXJkLCB0aGUgZXJyb3IgaGFuZGxlclxuICAgICAqIGlzIGludm9rZWQgaW5zdGVhZC5cbiAgICAgKiBHb2luZyB0byBhbiBhY3RpdmUgc3RhdGUgdGFrZXMgdGhlIHNlbGYtdHJhbnNpdGlvbiBkZWZpbmVkIGZvciBpdCxcbiAgICAgKiBpZiBhbnksIGFuZCBvdGhlcndpc2UgZm9sbG93cyB0aGUgc2FtZS1zdGF0ZSBwb2xpY3kuXG4gICAgICogSW4gdGhlIGFzeW5jaHJvbm91cyBtb2RlLCBpdCByZXR1cm5zIGEgcHJvbWlzZSB3aGljaCBpcyByZXNvbHZlZFxuICAgICAqIHRvIHRoZSByZXN1bHRpbmcgc3RhdGUgb25jZSB0aGUgdHJhbnNpdGlvbiBzZXR0bGVzLlxuICAgICAqL1xuICAgIGdvKHRvOiBUU3RhdGUsIHBheWxvYWQ/OiBhbnkpOiBUcmFuc2l0aW9uUmVzdWx0VHlwZTxUQXN5bmMsIHRoaXMsIFRTdGF0ZT47XG4gICAgZ28odG86IFRTdGF0ZSwgcGF5bG9hZD86IGFueSk6IHRoaXMgfCBQcm9taXNlPFRTdGF0ZT4ge1xuICAgICAgICB0aGlzLmVuc3VyZVJ1bm5pbmdTdGFnZSgpO1xuXG4gICAgICAgIGNvbnN0IHN0YXRlQ29uZiA9IHRoaXMuX3N0YXRlQ29uZmlndXJhdGlvbjtcbiAgICAgICAgY29uc3QgdGFyZ2V0ID0gc3RhdGVDb25mW3RvXSB8fCB0aGlzLl9oaXN0b3J5Q29uZmlndXJhdGlvblt0b107XG4gICAgICAgIGlmICghdGFyZ2V0KSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ0dvIHRvIHVuZGVmaW5lZCBzdGF0ZTogJyArIHRvKTtcbiAgICAgICAgfVxuICAgICAgICAvLyBUaGUgdHJhbnNpdGlvbiBoYXBwZW5zIGluIHRoZSByZWdpb24gb2YgdGhlIHRhcmdldCBzdGF0ZVxuICAgICAgICBjb25zdCByZWdpb24gPSB0YXJnZXQucmVnaW9uO1xuICAgICAgICBjb25zdCBpbXBsID0gdGhpcy5pbXBsT2YocmVnaW9uKTtcbiAgICAgICAgY29uc3QgY3VycmVudFN0YXRlID0gPFRTdGF0ZT5pbXBsLnN0YXRlO1xuICAgICAgICBpZiAodGhpcy5fcGVuZGluZ1JlZ2lvbnNbcmVnaW9uXSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdUcmFuc2l0aW9uIGlzIGluIHByb2dyZXNzOiAnICsgY3VycmVudFN0YXRlICsgJyAtPiAnICsgdG8pO1xuICAgICAgICB9XG4gICAgICAgIGNvbnN0IHJlc3VsdCA9IHRoaXMuc2Vla1RyYW5zaXRpb24oaW1wbCwgKGZyb20pID0+IHtcbiAgICAgICAgICAgIHJldHVybiBbcmVwbGFjZVN0cih0cmFuc2l0aW9uS2V5Rm9ybWF0LCB7IGZyb206IGZyb20sIHRvOiB0byB9KV07XG4gICAgICAgIH0sIHBheWxvYWQpO1xuICAgICAgICBpZiAoIXJlc3VsdC5uYW1lICYmIHJlc3VsdC5yZWplY3RlZCkge1xuICAgICAgICAgICAgdGhpcy5yZXBvcnRFcnJvcihyZXN1bHQucmVqZWN0ZWQsIGN1cnJlbnRTdGF0ZSwgdG8pO1xuICAgICAgICAgICAgcmV0dXJuIHRoaXMuX2FzeW5jTW9kZSA/IFByb21pc2UucmVzb2x2ZShjdXJyZW50U3RhdGUpIDogdGhpcztcbiAgICAgICAgfVxuICAgICAgICBpZiAoIXJlc3VsdC5uYW1lICYmIHN0YXRlQ29uZlt0b10gJiYgaW5kZXhPZih0aGlzLnBhdGhPZihjdXJyZW50U3RhdGUpLCB0bykgPj0gMCkge1xuICAgICAgICAgICAgLy8gTm8gdHJhbnNpdGlvbiBpcyBkZWZpbmVkIGZvciBnb2luZyB0byBhbiBhY3RpdmUgc3RhdGUsXG4gICAgICAgICAgICAvLyBub3IgaW1wbGllZCBieSB0aGUgc2FtZS1zdGF0ZSBwb2xpY3kuXG4gICAgICAgICAgICBpZiAodGhpcy5fc2FtZVN0YXRlUG9saWN5ID09PSAnZXJyb3InKSB7XG4gICAgICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdBbHJlYWR5IGluIHN0YXRlOiAnICsgdG8pO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgcmV0dXJuIHRoaXMuX2FzeW5jTW9kZSA/IFByb21pc2UucmVzb2x2ZShjdXJyZW50U3RhdGUpIDogdGhpcztcbiAgICAgICAgfVxuICAgICAgICAvLyBWYWxpZGF0ZSBpZiB0aGlzIHRyYW5zaXRpb24gaXMgYWxsb3dlZCBvciBub3RcbiAgICAgICAgaWYgKCFyZXN1bHQubmFtZSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdUcmFuc2l0aW9uIGlzIG5vdCBhbGxvd2VkOiAnICsgY3VycmVudFN0YXRlICsgJyAtPiAnICsgdG8pO1xuICAgICAgICB9XG5cbiAgICAgICAgcmV0dXJuIHRoaXMuZmlyZVRyYW5zaXRpb24ocmVnaW9uLCByZXN1bHQubmFtZSwgcGF5bG9hZCk7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogU2VuZHMgYSBuYW1lZCBldmVudCB0byB0aGUgRlNNLiBJbiBlYWNoIHJlZ2lvbiwgdGhlIGV2ZW50IHRyaWdnZXJzXG4gICAgICogdGhlIGZpcnN0IHRyYW5zaXRpb24gZGVmaW5lZCBmb3IgaXQgZnJvbSB0aGUgYWN0aXZlIHN0YXRlcyB3aG9zZSBndWFyZFxuICAgICAqIGhvbGRzLiBJZiBubyByZWdpb24gdGFrZXMgYSB0cmFuc2l0aW9uLCB0aGUgZXJyb3IgaGFuZGxlciBpcyBpbnZva2VkLlxuICAgICAqIEluIHRoZSBhc3luY2hyb25vdXMgbW9kZSwgaXQgcmV0dXJucyBhIHByb21pc2Ugd2hpY2ggaXMgcmVzb2x2ZWRcbiAgICAgKiB0byB0aGUgcmVzdWx0aW5nIHN0YXRlcyBvZiB0aGUgcmVnaW9ucyB0YWtpbmcgYSB0cmFuc2l0aW9uLlxuICAgICAqL1xuICAgIHNlbmQoZXZlbnROYW1lOiBURXZlbnQsIHBheWxvYWQ/OiBhbnkpOiBUcmFuc2l0aW9uUmVzdWx0VHlwZTxUQXN5bmMsIHRoaXMsIEFycmF5PFRTdGF0ZT4+O1xuICAgIHNlbmQoZXZlbnROYW1lOiBURXZlbnQsIHBheWxvYWQ/OiBhbnkpOiB0aGlzIHwgUHJvbWlzZTxBcnJheTxUU3RhdGU+PiB7XG4gICAgICAgIHRoaXMuZW5zdXJlUnVubmluZ1N0YWdlKCk7XG5cbiAgICAgICAgY29uc3QgY2FuZGlkYXRlcyA9IHRoaXMuX2V2ZW50Q29uZmlndXJhdGlvbltldmVudE5hbWVdO1xuICAgICAgICBpZiAoIWNhbmRpZGF0ZXMpIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignU2VuZCB1bmRlZmluZWQgZXZlbnQ6ICcgKyBldmVudE5hbWUpO1xuICAgICAgICB9XG4gICAgICAgIGNvbnN0IHRyYW5zaXRpb25Db25mID0gdGhpcy5fdHJhbnNpdGlvbkNvbmZpZ3VyYXRpb247XG4gICAgICAgIGNvbnN0IHN0YXRlQ29uZiA9IHRoaXMuX3N0YXRlQ29uZmlndXJhdGlvbjtcbiAgICAgICAgY29uc3QgdGFyZ2V0czogeyBba2V5OiBzdHJpbmddOiBzdHJpbmcgfSA9IHt9O1xuICAgICAgICBsZXQgcmVqZWN0ZWQ6IHN0cmluZyA9IG51bGw7XG4gICAgICAgIGZvciAoY29uc3QgcmVnaW9uIGluIHRoaXMuX2ltcGxzKSB7XG4gICAgICAgICAgICBpZiAodGhpcy5faW1wbHMuaGFzT3duUHJvcGVydHkocmVnaW9uKSkge1xuICAgICAgICAgICAgICAgIGNvbnN0IGltcGwgPSB0aGlzLl9pbXBsc1tyZWdpb25dO1xuICAgICAgICAgICAgICAgIGlmICh0aGlzLl9wZW5kaW5nUmVnaW9uc1tyZWdpb25dKSB7XG4gICAgICAgICAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignVHJhbnNpdGlvbiBpcyBpbiBwcm9ncmVzczogJyArIGltcGwuc3RhdGUgKyAnIC0+ICcgKyBldmVudE5hbWUpO1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICBjb25zdCByZXN1bHQgPSB0aGlzLnNlZWtUcmFuc2l0aW9uKGltcGwsIChmcm9tKSA9PiB7XG4gICAgICAgICAgICAgICAgICAgIHJldHVybiBfLmZpbHRlcihjYW5kaWRhdGVzLCAoa2V5KSA9PiB7XG4gICAgICAgICAgICAgICAgICAgICAgICByZXR1cm4gdHJhbnNpdGlvbkNvbmZba2V5XS5mcm9tID09PSBmcm9tICYmIHN0YXRlQ29uZltmcm9tXS5yZWdpb24gPT09IHJlZ2lvbjtcbiAgICAgICAgICAgICAgICAgICAgfSk7XG4gICAgICAgICAgICAgICAgfSwgcGF5bG9hZCk7XG4gICAgICAgICAgICAgICAgaWYgKHJlc3VsdC5uYW1lKSB7XG4gICAgICAgICAgICAgICAgICAgIHRhcmdldHNbcmVnaW9uXSA9IHJlc3VsdC5uYW1lO1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICByZWplY3RlZCA9IHJlamVjdGVkIHx8IHJlc3VsdC5yZWplY3RlZDtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfVxuXG4gICAgICAgIGlmIChfLmlzRW1wdHkodGFyZ2V0cykpIHtcbiAgICAgICAgICAgIGlmIChyZWplY3RlZCkge1xuICAgICAgICAgICAgICAgIHRoaXMucmVwb3J0RXJyb3IoZXZlbnROYW1lLCB0cmFuc2l0aW9uQ29uZltyZWplY3RlZF0uZnJvbSwgdHJhbnNpdGlvbkNvbmZbcmVqZWN0ZWRdLnRvKTtcbiAgICAgICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICAgICAgLy8gVGhlIGV2ZW50IGlzIG5vdCBleHBlY3RlZCBpbiB0aGUgY3VycmVudCBzdGF0ZVxuICAgICAgICAgICAgICAgIGNvbnN0IHJlZ2lvbiA9IHN0YXRlQ29uZlt0cmFuc2l0aW9uQ29uZltjYW5kaWRhdGVzWzBdXS5mcm9tXS5yZWdpb247XG4gICAgICAgICAgICAgICAgdGhpcy5yZXBvcnRFcnJvcihldmVudE5hbWUsIHRoaXMuX2ltcGxzW3JlZ2lvbl0uc3RhdGUsIG51bGwpO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgcmV0dXJuIHRoaXMuX2FzeW5jTW9kZSA/IFByb21pc2UucmVzb2x2ZShbXSkgOiB0aGlzO1xuICAgICAgICB9XG5cbiAgICAgICAgY29uc3QgcHJvbWlzZXM6IEFycmF5PFByb21pc2U8VFN0YXRlPj4gPSBbXTtcbiAgICAgICAgZm9yIChjb25zdCByZWdpb24gaW4gdGFyZ2V0cykge1xuICAgICAgICAgICAgaWYgKHRhcmdldHMuaGFzT3duUHJvcGVydHkocmVnaW9uKSkge1xuICAgICAgICAgICAgICAgIGNvbnN0IG91dGNvbWUgPSB0aGlzLmZpcmVUcmFuc2l0aW9uKHJlZ2lvbiwgdGFyZ2V0c1tyZWdpb25dLCBwYXlsb2FkKTtcbiAgICAgICAgICAgICAgICBpZiAodGhpcy5fYXN5bmNNb2RlKSB7XG4gICAgICAgICAgICAgICAgICAgIHByb21pc2VzLnB1c2goPFByb21pc2U8VFN0YXRlPj5vdXRjb21lKTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgICAgcmV0dXJuIHRoaXMuX2FzeW5jTW9kZSA/IFByb21pc2UuYWxsKHByb21pc2VzKSA6IHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogQ2hlY2tzIGlmIHRoZSBGU00gY2FuIGdvIHRvIHRoZSBnaXZlbiBzdGF0ZSwgaS5lLiwgdGhlcmUgaXNcbiAgICAgKiBhIHRyYW5zaXRpb24gZnJvbSB0aGUgYWN0aXZlIHN0YXRlcyB3aG9zZSBndWFyZCBob2xkcy5cbiAgICAgKi9cbiAgICBjYW4odG86IFRTdGF0ZSwgcGF5bG9hZD86IGFueSkge1xuICAgICAgICB0aGlzLmVuc3VyZVJ1bm5pbmdTdGFnZSgpO1xuXG4gICAgICAgIGNvbnN0IHN0YXRlQ29uZiA9IHRoaXMuX3N0YXRlQ29uZmlndXJhdGlvbjtcbiAgICAgICAgY29uc3QgdGFyZ2V0ID0gc3RhdGVDb25mW3RvXSB8fCB0aGlzLl9oaXN0b3J5Q29uZmlndXJhdGlvblt0b107XG4gICAgICAgIGlmICghdGFyZ2V0KSB7XG4gICAgICAgICAgICByZXR1cm4gZmFsc2U7XG4gICAgICAgIH1cbiAgICAgICAgY29uc3QgaW1wbCA9IHRoaXMuaW1wbE9mKHRhcmdldC5yZWdpb24pO1xuICAgICAgICByZXR1cm4gISF0aGlzLnNlZWtUcmFuc2l0aW9uKGltcGwsIChmcm9tKSA9PiB7XG4gICAgICAgICAgICByZXR1cm4gW3JlcGxhY2VTdHIodHJhbnNpdGlvbktleUZvcm1hdCwgeyBmcm9tOiBmcm9tLCB0bzogdG8gfSldO1xuICAgICAgICB9LCBwYXlsb2FkKS5uYW1lO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJldHVybnMgdGhlIHRyYW5zaXRpb25zIHRha2VuLCB0aGUgb2xkZXN0IG9uZSBmaXJzdC5cbiAgICAgKi9cbiAgICBoaXN0b3J5KCk6IEFycmF5PElIaXN0b3J5RW50cnk8VFN0YXRlPj4ge1xuICAgICAgICByZXR1cm4gPEFycmF5PElIaXN0b3J5RW50cnk8VFN0YXRlPj4+dGhpcy5faGlzdG9yeS5zbGljZSgpO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIExvb2tzIGZvciB0aGUgdHJhbnNpdGlvbiB1bmRvaW5nIHRoZSBnaXZlbiBvbmUsIGkuZS4sIHRoZSB0cmFuc2l0aW9uXG4gICAgICogZnJvbSBpdHMgdGFyZ2V0IHN0YXRlIGJhY2sgdG8gaXRzIHNvdXJjZSBzdGF0ZSwgb3IgdG8gaXRzXG4gICAgICogY29tcGVuc2F0aW9uIHN0YXRlIGlmIGRlY2xhcmVkLiBUaGUgRlNNIG11c3Qgc3RpbGwgYmUgaW5cbiAgICAgKiB0aGUgdGFyZ2V0IHN0YXRlLCBvciB0aGUgaGlzdG9yeSBkb2VzIG5vdCBhcHBseSBhbnkgbW9yZS5cbiAgICAgKi9cbiAgICBwcml2YXRlIHNlZWtVbmRvVHJhbnNpdGlvbihpbXBsOiBJVW5kZXJseUltcGwsIGVudHJ5OiBJSGlzdG9yeUVudHJ5KSB7XG4gICAgICAgIGNvbnN0IGVsZW0gPSB0aGlzLnRyYW5zaXRpb25PZihlbnRyeS50cmFuc2l0aW9uKTtcbiAgICAgICAgY29uc3QgdG8gPSBlbGVtICYmIChlbGVtLmNvbXBlbnNhdGlvbiB8fCBlbGVtLmZyb20pO1xuICAgICAgICBjb25zdCB0YXJnZXRQYXRoID0gdGhpcy5fc3RhdGVDb25maWd1cmF0aW9uW2VudHJ5LnRvXSA/IHRoaXMucGF0aE9mKGVudHJ5LnRvKSA6IFtdO1xuICAgICAgICByZXR1cm4gdGhpcy5zZWVrVHJhbnNpdGlvbihpbXBsLCAoZnJvbSkgPT4ge1xuICAgICAgICAgICAgcmV0dXJuIHRvICYmIGluZGV4T2YodGFyZ2V0UGF0aCwgZnJvbSkgPj0gMCA/IFtyZXBsYWNlU3RyKHRyYW5zaXRpb25LZXlGb3JtYXQsIHsgZnJvbTogZnJvbSwgdG86IHRvIH0pXSA6IFtdO1xuICAgICAgICB9LCBlbnRyeS5wYXlsb2FkKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBMb29rcyBmb3IgdGhlIGdpdmVuIHRyYW5zaXRpb24gYWdhaW4sIGZvciByZWRvaW5nIGl0LlxuICAgICAqL1xuICAgIHByaXZhdGUgc2Vla1JlZG9UcmFuc2l0aW9uKGltcGw6IElVbmRlcmx5SW1wbCwgZW50cnk6IElIaXN0b3J5RW50cnkpIHtcbiAgICAgICAgY29uc3QgZWxlbSA9IHRoaXMudHJhbnNpdGlvbk9mKGVudHJ5LnRyYW5zaXRpb24pO1xuICAgICAgICByZXR1cm4gdGhpcy5zZWVrVHJhbnNpdGlvbihpbXBsLCAoZnJvbSkgPT4ge1xuICAgICAgICAgICAgcmV0dXJuIGVsZW0gJiYgZWxlbS5mcm9tID09PSBmcm9tID8gW2VudHJ5LnRyYW5zaXRpb25dIDogW107XG4gICAgICAgIH0sIGVudHJ5LnBheWxvYWQpO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFRha2VzIHRoZSB0cmFuc2l0aW9uIHdoaWNoIHVuZG9lcyBvciByZWRvZXMgdGhlIGdpdmVuIG9uZSxcbiAgICAgKiBhbmQga2VlcHMgdHJhY2sgb2YgaXQgdW50aWwgdGhlIHRyYW5zaXRpb24gc2V0dGxlcy5cbiAgICAgKi9cbiAgICBwcml2YXRlIHJlcGxheShraW5kOiBzdHJpbmcsIGVudHJ5OiBJSGlzdG9yeUVudHJ5KTogdGhpcyB8IFByb21pc2U8VFN0YXRlPiB7XG4gICAgICAgIGNvbnN0IHJlZ2lvbiA9IGVudHJ5LnJlZ2lvbjtcbiAgICAgICAgY29uc3QgaW1wbCA9IHRoaXMuaW1wbE9mKHJlZ2lvbik7XG4gICAgICAgIGNvbnN0IGN1cnJlbnRTdGF0ZSA9IDxUU3RhdGU+aW1wbC5zdGF0ZTtcbiAgICAgICAgaWYgKHRoaXMuX3BlbmRpbmdSZWdpb25zW3JlZ2lvbl0pIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignVHJhbnNpdGlvbiBpcyBpbiBwcm9ncmVzczogJyArIGN1cnJlbnRTdGF0ZSArICcgLT4gJyArIGtpbmQpO1xuICAgICAgICB9XG4gICAgICAgIGNvbnN0IHJlc3VsdCA9IGtpbmQgPT09ICd1bmRvJyA/XG4gICAgICAgICAgICB0aGlzLnNlZWtVbmRvVHJhbnNpdGlvbihpbXBsLCBlbnRyeSkgOlxuICAgICAgICAgICAgdGhpcy5zZWVrUmVkb1RyYW5zaXRpb24oaW1wbCwgZW50cnkpO1xuICAgICAgICBpZiAoIXJlc3VsdC5uYW1lICYmIHJlc3VsdC5yZWplY3RlZCkge1xuICAgICAgICAgICAgdGhpcy5yZXBvcnRFcnJvcihyZXN1bHQucmVqZWN0ZWQsIGN1cnJlbnRTdGF0ZSwgdGhpcy50cmFuc2l0aW9uT2YocmVzdWx0LnJlamVjdGVkKS50byk7XG4gICAgICAgICAgICByZXR1cm4gdGhpcy5fYXN5bmNNb2RlID8gUHJvbWlzZS5yZXNvbHZlKGN1cnJlbnRTdGF0ZSkgOiB0aGlzO1xuICAgICAgICB9XG4gICAgICAgIGlmICghcmVzdWx0Lm5hbWUpIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignVHJhbnNpdGlvbiBjYW5ub3QgYmUgJyArIChraW5kID09PSAndW5kbycgPyAndW5kb25lJyA6ICdyZWRvbmUnKSArICc6ICcgKyBlbnRyeS50cmFuc2l0aW9uKTtcbiAgICAgICAgfVxuXG4gICAgICAgIHRoaXMuX3JlcGxheXNbcmVnaW9uXSA9IHsga2luZDoga2luZCwgZW50cnk6IGVudHJ5IH07XG4gICAgICAgIGlmICghdGhpcy5fYXN5bmNNb2RlKSB7XG4gICAgICAgICAgICB0cnkge1xuICAgICAgICAgICAgICAgIHJldHVybiB0aGlzLmZpcmVUcmFuc2l0aW9uKHJlZ2lvbiwgcmVzdWx0Lm5hbWUsIGVudHJ5LnBheWxvYWQpO1xuICAgICAgICAgICAgfSBmaW5hbGx5IHtcbiAgICAgICAgICAgICAgICBkZWxldGUgdGhpcy5fcmVwbGF5c1tyZWdpb25dO1xuICAgICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICAgIHJldHVybiAoPFByb21pc2U8VFN0YXRlPj50aGlzLmZpcmVUcmFuc2l0aW9uKHJlZ2lvbiwgcmVzdWx0Lm5hbWUsIGVudHJ5LnBheWxvYWQpKS50aGVuKChzdGF0ZSkgPT4ge1xuICAgICAgICAgICAgZGVsZXRlIHRoaXMuX3JlcGxheXNbcmVnaW9uXTtcbiAgICAgICAgICAgIHJldHVybiBzdGF0ZTtcbiAgICAgICAgfSwgKGVycm9yKSA9PiB7XG4gICAgICAgICAgICBkZWxldGUgdGhpcy5fcmVwbGF5c1tyZWdpb25dO1xuICAgICAgICAgICAgdGhyb3cgZXJyb3I7XG4gICAgICAgIH0pO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFVuZG9lcyB0aGUgbGFzdCB0cmFuc2l0aW9uIGluIHRoZSBoaXN0b3J5LCBieSB0YWtpbmcgdGhlIHRyYW5zaXRpb25cbiAgICAgKiBmcm9tIGl0cyB0YXJnZXQgc3RhdGUgYmFjayB0byBpdHMgc291cmNlIHN0YXRlLCBvciB0byBpdHNcbiAgICAgKiBjb21wZW5zYXRpb24gc3RhdGUgaWYgZGVjbGFyZWQuIFRoZSB0cmFuc2l0aW9uIGlzIGdpdmVuIHRoZSBzYW1lXG4gICAgICogcGF5bG9hZCwgYW5kIGl0IGlzIHN1YmplY3QgdG8gaXRzIGd1YXJkIGxpa2UgYW55IG90aGVyLlxuICAgICAqIEluIHRoZSBhc3luY2hyb25vdXMgbW9kZSwgaXQgcmV0dXJucyBhIHByb21pc2Ugd2hpY2ggaXMgcmVzb2x2ZWRcbiAgICAgKiB0byB0aGUgcmVzdWx0aW5nIHN0YXRlIG9uY2UgdGhlIHRyYW5zaXRpb24gc2V0dGxlcy5cbiAgICAgKi9cbiAgICB1bmRvKCk6IFRyYW5zaXRpb25SZXN1bHRUeXBlPFRBc3luYywgdGhpcywgVFN0YXRlPjtcbiAgICB1bmRvKCk6IHRoaXMgfCBQcm9taXNlPFRTdGF0ZT4ge1xuICAgICAgICB0aGlzLmVuc3VyZVJ1bm5pbmdTdGFnZSgpO1xuICAgICAgICBpZiAoIXRoaXMuX2hpc3RvcnkubGVuZ3RoKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ05vdGhpbmcgdG8gdW5kby4nKTtcbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gdGhpcy5yZXBsYXkoJ3VuZG8nLCB0aGlzLl9oaXN0b3J5W3RoaXMuX2hpc3RvcnkubGVuZ3RoIC0gMV0pO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJlZG9lcyB0aGUgbGFzdCB1bmRvbmUgdHJhbnNpdGlvbiwgd2l0aCB0aGUgc2FtZSBwYXlsb2FkLlxuICAgICAqIEluIHRoZSBhc3luY2hyb25vdXMgbW9kZSwgaXQgcmV0dXJucyBhIHByb21pc2Ugd2hpY2ggaXMgcmVzb2x2ZWRcbiAgICAgKiB0byB0aGUgcmVzdWx0aW5nIHN0YXRlIG9uY2UgdGhlIHRyYW5zaXRpb24gc2V0dGxlcy5cbiAgICAgKi9cbiAgICByZWRvKCk6IFRyYW5zaXRpb25SZXN1bHRUeXBlPFRBc3luYywgdGhpcywgVFN0YXRlPjtcbiAgICByZWRvKCk6IHRoaXMgfCBQcm9taXNlPFRTdGF0ZT4ge1xuICAgICAgICB0aGlzLmVuc3VyZVJ1bm5pbmdTdGFnZSgpO1xuICAgICAgICBpZiAoIXRoaXMuX3VuZG9uZS5sZW5ndGgpIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignTm90aGluZyB0byByZWRvLicpO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiB0aGlzLnJlcGxheSgncmVkbycsIHRoaXMuX3VuZG9uZVt0aGlzLl91bmRvbmUubGVuZ3RoIC0gMV0pO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIENoZWNrcyBpZiB0aGUgbGFzdCB0cmFuc2l0aW9uIGluIHRoZSBoaXN0b3J5IG1heSBiZSB1bmRvbmUuXG4gICAgICovXG4gICAgY2FuVW5kbygpIHtcbiAgICAgICAgdGhpcy5lbnN1cmVSdW5uaW5nU3RhZ2UoKTtcbiAgICAgICAgY29uc3QgZW50cnkgPSB0aGlzLl9oaXN0b3J5W3RoaXMuX2hpc3RvcnkubGVuZ3RoIC0gMV07XG4gICAgICAgIHJldHVybiAhIWVudHJ5ICYmICF0aGlzLl9wZW5kaW5nUmVnaW9uc1tlbnRyeS5yZWdpb25dICYmXG4gICAgICAgICAgICAhIXRoaXMuc2Vla1VuZG9UcmFuc2l0aW9uKHRoaXMuaW1wbE9mKGVudHJ5LnJlZ2lvbiksIGVudHJ5KS5uYW1lO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIENoZWNrcyBpZiB0aGUgbGFzdCB1bmRvbmUgdHJhbnNpdGlvbiBtYXkgYmUgcmVkb25lLlxuICAgICAqL1xuICAgIGNhblJlZG8oKSB7XG4gICAgICAgIHRoaXMuZW5zdXJlUnVubmluZ1N0YWdlKCk7XG4gICAgICAgIGNvbnN0IGVudHJ5ID0gdGhpcy5fdW5kb25lW3RoaXMuX3VuZG9uZS5sZW5ndGggLSAxXTtcbiAgICAgICAgcmV0dXJuICEhZW50cnkgJiYgIXRoaXMuX3BlbmRpbmdSZWdpb25zW2VudHJ5LnJlZ2lvbl0gJiZcbiAgICAgICAgICAgICEhdGhpcy5zZWVrUmVkb1RyYW5zaXRpb24odGhpcy5pbXBsT2YoZW50cnkucmVnaW9uKSwgZW50cnkpLm5hbWU7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogUmV0dXJucyB0aGUgc3RhdHVzIG9mIHRoZSBGU00sIHdoaWNoIGlzIG9uZSBvZlxuICAgICAqICdjb25maWd1cmluZycsICdpZGxlJyBhbmQgJ3RyYW5zaXRpb25pbmcnLlxuICAgICAqL1xuICAgIHN0YXR1cygpIHtcbiAgICAgICAgaWYgKCF0aGlzLl9pbXBscykge1xuICAgICAgICAgICAgcmV0dXJuICdjb25maWd1cmluZyc7XG4gICAgICAgIH1cbiAgICAgICAgcmV0dXJuIF8uaXNFbXB0eSh0aGlzLl9wZW5kaW5nUmVnaW9ucykgPyAnaWRsZScgOiAndHJhbnNpdGlvbmluZyc7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogQ2FwdHVyZXMgdGhlIHJ1bm5pbmcgc3RhdHVzIG9mIHRoZSBGU00sIGkuZS4sIHRoZSBjdXJyZW50IHN0YXRlcyxcbiAgICAgKiB0aGUgY29udGV4dCBkYXRhIGFuZCB0aGUgaGlzdG9yeSwgaW4gcGxhaW4gSlNPTiBkYXRhLlxuICAgICAqIE5vdGUgdGhhdCB0aGUgY29udGV4dCBkYXRhIGFuZCB0aGUgcGF5bG9hZHMgb2YgdGhlIHRyYW5zaXRpb25zXG4gICAgICogaW4gdGhlIGhpc3RvcnkgYXJlIGV4cGVjdGVkIHRvIGJlIHNlcmlhbGl6YWJsZS5cbiAgICAgKi9cbiAgICBzbmFwc2hvdCgpOiBJU25hcHNob3Q8VFN0YXRlLCBUQ29udGV4dD4ge1xuICAgICAgICB0aGlzLmVuc3VyZVJ1bm5pbmdTdGFnZSgpO1xuICAgICAgICBpZiAoIV8uaXNFbXB0eSh0aGlzLl9wZW5kaW5nUmVnaW9ucykpIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignVHJhbnNpdGlvbiBpcyBpbiBwcm9ncmVzczogJyArIF8ua2V5cyh0aGlzLl9wZW5kaW5nUmVnaW9ucykuam9pbignLCAnKSk7XG4gICAgICAgIH1cbiAgICAgICAgcmV0dXJuIEpTT04ucGFyc2UoSlNPTi5zdHJpbmdpZnkoe1xuICAgICAgICAgICAgdmVyc2lvbjogc25hcHNob3RWZXJzaW9uLFxuICAgICAgICAgICAgc3RhdGU6IHRoaXMuY29uZmlndXJhdGlvbigpLFxuICAgICAgICAgICAgY29udGV4dDogdGhpcy5fY29udGV4dCxcbiAgICAgICAgICAgIGhpc3Rvcnk6IHRoaXMuX2hpc3RvcnksXG4gICAgICAgICAgICB1bmRvbmU6IHRoaXMuX3VuZG9uZSxcbiAgICAgICAgICAgIGxhc3RBY3RpdmU6IHRoaXMuX2xhc3RBY3RpdmVcbiAgICAgICAgfSkpO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJldHVybnMgdGhlIGN1cnJlbnQgY29udGV4dCBkYXRhLlxuICAgICAqL1xuICAgIGdldENvbnRleHQoKTogVENvbnRleHQge1xuICAgICAgICByZXR1cm4gdGhpcy5fY29udGV4dDtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBQcm92aWRlcyB0aGUgZXJyb3IgaGFuZGxlciBmb3IgdGhlIEZTTS5cbiAgICAgKi9cbiAgICBhZGRFcnJvckhhbmRsZXIoZm46IEVycm9ySGFuZGxlclR5cGUpIHtcbiAgICAgICAgdGhpcy5lbnN1cmVDb25maWd1cmVTdGFnZSgpO1xuXG4gICAgICAgIHRoaXMuX2Vycm9ySGFuZGxlciA9IGZuO1xuXG4gICAgICAgIHJldHVybiB0aGlzO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJldHVybnMgdGhlIGN1cnJlbnQgc3RhdGUgb2YgdGhlIGdpdmVuIHJlZ2lvbixcbiAgICAgKiBvciBvZiB0aGUgZGVmYXVsdCByZWdpb24gaWYgbm8gcmVnaW9uIGlzIGdpdmVuLlxuICAgICAqIEluIGNhc2Ugb2YgbmVzdGVkIHN0YXRlcywgaXQgaXMgdGhlIGlubmVybW9zdCBhY3RpdmUgc3RhdGUuXG4gICAgICovXG4gICAgY3VycmVudChyZWdpb24/OiBzdHJpbmcpIHtcbiAgICAgICAgdGhpcy5lbnN1cmVSdW5uaW5nU3RhZ2UoKTtcbiAgICAgICAgcmV0dXJuIDxUU3RhdGU+dGhpcy5pbXBsT2YocmVnaW9uKS5zdGF0ZTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZXR1cm5zIHRoZSBmdWxsIGFjdGl2ZSBwYXRoIG9mIHRoZSBnaXZlbiByZWdpb24sIGkuZS4sIHRoZSBjdXJyZW50IHN0YXRlXG4gICAgICogYW5kIGFsbCBvZiBpdHMgZW5jbG9zaW5nIHN0YXRlcywgc3RhcnRpbmcgZnJvbSB0aGUgb3V0ZXJtb3N0IG9uZS5cbiAgICAgKi9cbiAgICBjdXJyZW50UGF0aChyZWdpb24/OiBzdHJpbmcpIHtcbiAgICAgICAgdGhpcy5lbnN1cmVSdW5uaW5nU3RhZ2UoKTtcbiAgICAgICAgcmV0dXJuIDxBcnJheTxUU3RhdGU+PnRoaXMucGF0aE9mKHRoaXMuaW1wbE9mKHJlZ2lvbikuc3RhdGUpO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJldHVybnMgdGhlIGFjdGl2ZSBjb25maWd1cmF0aW9uLCBpLmUuLFxuICAgICAqIHRoZSBjdXJyZW50IHN0YXRlIG9mIGV2ZXJ5IHJlZ2lvbi5cbiAgICAgKi9cbiAgICBjb25maWd1cmF0aW9uKCkge1xuICAgICAgICB0aGlzLmVuc3VyZVJ1bm5pbmdTdGFnZSgpO1xuICAgICAgICBjb25zdCByZXN1bHQ6IHsgW2tleTogc3RyaW5nXTogVFN0YXRlIH0gPSB7fTtcbiAgICAgICAgZm9yIChjb25zdCBrIGluIHRoaXMuX2ltcGxzKSB7XG4gICAgICAgICAgICBpZiAodGhpcy5faW1wbHMuaGFzT3duUHJvcGVydHkoaykpIHtcbiAgICAgICAgICAgICAgICByZXN1bHRba10gPSA8VFN0YXRlPnRoaXMuX2ltcGxzW2tdLnN0YXRlO1xuICAgICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICAgIHJldHVybiByZXN1bHQ7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogQ2hlY2tzIGlmIHRoZSBnaXZlbiBzdGF0ZSBpcyBhY3RpdmUsIGkuZS4sIGl0IGlzIHRoZSBjdXJyZW50IHN0YXRlXG4gICAgICogb2YgYSByZWdpb24sIG9yIGl0IGVuY2xvc2VzIHRoZSBjdXJyZW50IHN0YXRlIG9mIGEgcmVnaW9uLlxuICAgICAqL1xuICAgIGlzQWN0aXZlKG5hbWU6IFRTdGF0ZSkge1xuICAgICAgICByZXR1cm4gaW5kZXhPZih0aGlzLmFjdGl2ZVN0YXRlcygpLCBuYW1lKSA+PSAwO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIEV4cG9ydHMgdGhlIGNvbmZpZ3VyYXRpb24gb2YgdGhlIEZTTSBhcyBhIGRlY2xhcmF0aXZlIGRlZmluaXRpb24uXG4gICAgICogVGhlIGNhbGxiYWNrcyBhbmQgdGhlIGd1YXJkcyBhcmUgbmFtZWQgYnkgbG9va2luZyB0aGVtIHVwIGluXG4gICAgICogdGhlIGdpdmVuIG1hcCBvZiBpbXBsZW1lbnRhdGlvbnMsIHdoaWNoIGRlZmF1bHRzIHRvIHRoZSBvbmVcbiAgICAgKiB0aGUgRlNNIGlzIGJ1aWx0IGZyb20uIFRoZSBjb250ZXh0IGRhdGEgaXMgZXhwb3J0ZWQgYXMgaXQgaXMgbm93LlxuICAgICAqIElmIGFueSBvZiB0aGVtIGNhbm5vdCBiZSBuYW1lZCwgYSBEZWZpbml0aW9uRXJyb3IgaXMgdGhyb3duLlxuICAgICAqL1xuICAgIHRvRGVmaW5pdGlvbihpbXBsZW1lbnRhdGlvbnM/OiB7IFtrZXk6IHN0cmluZ106IGFueSB9KTogSU1hY2hpbmVEZWZpbml0aW9uIHtcbiAgICAgICAgY29uc3QgZXJyb3JzOiBBcnJheTxJRGVmaW5pdGlvblByb2JsZW0+ID0gW107XG4gICAgICAgIGNvbnN0IGRlZmluaXRpb24gPSB0aGlzLmRlc2NyaWJlKGltcGxlbWVudGF0aW9ucyB8fCB0aGlzLl9pbXBsZW1lbnRhdGlvbnMgfHwge30sIGVycm9ycyk7XG4gICAgICAgIGlmIChlcnJvcnMubGVuZ3RoKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRGVmaW5pdGlvbkVycm9yKGVycm9ycyk7XG4gICAgICAgIH1cbiAgICAgICAgcmV0dXJuIGRlZmluaXRpb247XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogQnVpbGRzIHRoZSBkZWZpbml0aW9uIG9mIHRoZSBGU00sIGFuZCBjb2xsZWN0cyB0aGUgcHJvYmxlbXNcbiAgICAgKiBmb3VuZCBpbnN0ZWFkIG9mIHRocm93aW5nLiBBIGNhbGxiYWNrIHdoaWNoIGNhbm5vdCBiZSBuYW1lZCBpc1xuICAgICAqIGdpdmVuIGEgcGxhY2Vob2xkZXIgbmFtZS5cbiAgICAgKi9cbiAgICBwcml2YXRlIGRlc2NyaWJlKGltcGxlbWVudGF0aW9uczogeyBba2V5OiBzdHJpbmddOiBhbnkgfSwgZXJyb3JzOiBBcnJheTxJRGVmaW5pdGlvblByb2JsZW0+KTogSU1hY2hpbmVEZWZpbml0aW9uIHtcbiAgICAgICAgY29uc3QgbmFtZU9mID0gKGZuOiBhbnksIHBhdGg6IHN0cmluZyk6IHN0cmluZyA9PiB7XG4gICAgICAgICAgICBpZiAoIWZuKSB7XG4gICAgICAgICAgICAgICAgcmV0dXJuIHVuZGVmaW5lZDtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIGNvbnN0IG5hbWUgPSBfLmZpbmRLZXkoaW1wbGVtZW50YXRpb25zLCAodikgPT4gdiA9PT0gZm4pO1xuICAgICAgICAgICAgaWYgKCFuYW1lKSB7XG4gICAgICAgICAgICAgICAgZXJyb3JzLnB1c2goeyBwYXRoOiBwYXRoLCBtZXNzYWdlOiAnVW5uYW1lZCBpbXBsZW1lbnRhdGlvbicgfSk7XG4gICAgICAgICAgICAgICAgcmV0dXJuIGZuLm5hbWUgfHwgJ2Fub255bW91cyc7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICByZXR1cm4gbmFtZTtcbiAgICAgICAgfTtcbiAgICAgICAgLy8gRHJvcHMgdGhlIG9wdGlvbnMgd2hpY2ggYXJlIG5vdCBkZWZpbmVkLlxuICAgICAgICBjb25zdCBjb21wYWN0ID0gKG9iajogYW55KSA9PiBfLm9taXQob2JqLCBfLmlzVW5kZWZpbmVkKTtcblxuICAgICAgICBjb25zdCByZWdpb25Db25mID0gdGhpcy5fcmVnaW9uQ29uZmlndXJhdGlvbjtcbiAgICAgICAgY29uc3QgcmVnaW9uczogQXJyYXk8YW55PiA9IFtdO1xuICAgICAgICBmb3IgKGNvbnN0IGswIGluIHJlZ2lvbkNvbmYpIHtcbiAgICAgICAgICAgIGlmIChyZWdpb25Db25mLmhhc093blByb3BlcnR5KGswKSkge1xuICAgICAgICAgICAgICAgIHJlZ2lvbnMucHVzaCh7IG5hbWU6IGswLCBpbml0aWFsOiByZWdpb25Db25mW2swXS5pbml0U3RhdGUgfSk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cblxuICAgICAgICBjb25zdCBzdGF0ZUNvbmYgPSB0aGlzLl9zdGF0ZUNvbmZpZ3VyYXRpb247XG4gICAgICAgIGNvbnN0IHN0YXRlczogQXJyYXk8YW55PiA9IFtdO1xuICAgICAgICBmb3IgKGNvbnN0IGsxIGluIHN0YXRlQ29uZikge1xuICAgICAgICAgICAgaWYgKHN0YXRlQ29uZi5oYXNPd25Qcm9wZXJ0eShrMSkpIHtcbiAgICAgICAgICAgICAgICBjb25zdCBlbGVtMSA9IHN0YXRlQ29uZltrMV07XG4gICAgICAgICAgICAgICAgY29uc3QgcGF0aDEgPSAnL3N0YXRlcy8nICsgc3RhdGVzLmxlbmd0aDtcbiAgICAgICAgICAgICAgICBzdGF0ZXMucHVzaChjb21wYWN0KHtcbiAgICAgICAgICAgICAgICAgICAgbmFtZTogazEsXG4gICAgICAgICAgICAgICAgICAgIHBhcmVudDogZWxlbTEucGFyZW50LFxuICAgICAgICAgICAgICAgICAgICBpbml0aWFsOiBlbGVtMS5pbml0aWFsLFxuICAgICAgICAgICAgICAgICAgICAvLyBBIGNoaWxkIHN0YXRlIGlzIGFsd2F5cyBpbiB0aGUgcmVnaW9uIG9mIGl0cyBwYXJlbnQuXG4gICAgICAgICAgICAgICAgICAgIHJlZ2lvbjogZWxlbTEucGFyZW50IHx8IGVsZW0xLnJlZ2lvbiA9PT0gZGVmYXVsdFJlZ2lvbiA/IHVuZGVmaW5lZCA6IGVsZW0xLnJlZ2lvbixcbiAgICAgICAgICAgICAgICAgICAgZmluYWw6IGVsZW0xLmZpbmFsIHx8IHVuZGVmaW5lZCxcbiAgICAgICAgICAgICAgICAgICAgb25FbnRlcjogbmFtZU9mKGVsZW0xLm9uRW50ZXJDYWxsYmFjaywgcGF0aDEgKyAnL29uRW50ZXInKSxcbiAgICAgICAgICAgICAgICAgICAgb25MZWF2ZTogbmFtZU9mKGVsZW0xLm9uTGVhdmVDYWxsYmFjaywgcGF0aDEgKyAnL29uTGVhdmUnKVxuICAgICAgICAgICAgICAgIH0pKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfVxuXG4gICAgICAgIGNvbnN0IGhpc3RvcnlDb25mID0gdGhpcy5faGlzdG9yeUNvbmZpZ3VyYXRpb247XG4gICAgICAgIGNvbnN0IGhpc3RvcnlTdGF0ZXM6IEFycmF5PGFueT4gPSBbXTtcbiAgICAgICAgZm9yIChjb25zdCBrMyBpbiBoaXN0b3J5Q29uZikge1xuICAgICAgICAgICAgaWYgKGhpc3RvcnlDb25mLmhhc093blByb3BlcnR5KGszKSkge1xuICAgICAgICAgICAgICAgIGhpc3RvcnlTdGF0ZXMucHVzaChjb21wYWN0KHtcbiAgICAgICAgICAgICAgICAgICAgbmFtZTogazMsXG4gICAgICAgICAgICAgICAgICAgIHBhcmVudDogaGlzdG9yeUNvbmZbazNdLnBhcmVudCxcbiAgICAgICAgICAgICAgICAgICAgZGVlcDogaGlzdG9yeUNvbmZbazNdLmRlZXAgfHwgdW5kZWZpbmVkLFxuICAgICAgICAgICAgICAgICAgICBkZWZhdWx0VGFyZ2V0OiBoaXN0b3J5Q29uZltrM10uZGVmYXVsdFRhcmdldFxuICAgICAgICAgICAgICAgIH0pKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfVxuXG4gICAgICAgIGNvbnN0IHRyYW5zaXRpb25Db25mID0gdGhpcy5fdHJhbnNpdGlvbkNvbmZpZ3VyYXRpb247XG4gICAgICAgIGNvbnN0IHRyYW5zaXRpb25zOiBBcnJheTxhbnk+ID0gW107XG4gICAgICAgIGZvciAoY29uc3QgazIgaW4gdHJhbnNpdGlvbkNvbmYpIHtcbiAgICAgICAgICAgIGlmICh0cmFuc2l0aW9uQ29uZi5oYXNPd25Qcm9wZXJ0eShrMikpIHtcbiAgICAgICAgICAgICAgICBjb25zdCBlbGVtMiA9IHRyYW5zaXRpb25Db25mW2syXTtcbiAgICAgICAgICAgICAgICBjb25zdCBwYXRoMiA9ICcvdHJhbnNpdGlvbnMvJyArIHRyYW5zaXRpb25zLmxlbmd0aDtcbiAgICAgICAgICAgICAgICBsZXQgYXNzaWduOiBhbnkgPSBlbGVtMi5hc3NpZ247XG4gICAgICAgICAgICAgICAgaWYgKHR5cGVvZiBhc3NpZ24gPT09ICdmdW5jdGlvbicpIHtcbiAgICAgICAgICAgICAgICAgICAgYXNzaWduID0gbmFtZU9mKGFzc2lnbiwgcGF0aDIgKyAnL2Fzc2lnbicpO1xuICAgICAgICAgICAgICAgIH0gZWxzZSBpZiAoYXNzaWduICYmIF8uc29tZShhc3NpZ24sICh2KSA9PiB0eXBlb2YgdiA9PT0gJ2Z1bmN0aW9uJykpIHtcbiAgICAgICAgICAgICAgICAgICAgZXJyb3JzLnB1c2goeyBwYXRoOiBwYXRoMiArICcvYXNzaWduJywgbWVzc2FnZTogJ1VubmFtZWQgaW1wbGVtZW50YXRpb24nIH0pO1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICB0cmFuc2l0aW9ucy5wdXNoKGNvbXBhY3Qoe1xuICAgICAgICAgICAgICAgICAgICBmcm9tOiBlbGVtMi5mcm9tLFxuICAgICAgICAgICAgICAgICAgICB0bzogZWxlbTIudG8sXG4gICAgICAgICAgICAgICAgICAgIGV2ZW50OiBlbGVtMi5ldmVudCxcbiAgICAgICAgICAgICAgICAgICAgZ3VhcmQ6IG5hbWVPZihlbGVtMi5ndWFyZCwgcGF0aDIgKyAnL2d1YXJkJyksXG4gICAgICAgICAgICAgICAgICAgIG9uQmVmb3JlOiBuYW1lT2YoZWxlbTIub25CZWZvcmVDYWxsYmFjaywgcGF0aDIgKyAnL29uQmVmb3JlJyksXG4gICAgICAgICAgICAgICAgICAgIG9uQWZ0ZXI6IG5hbWVPZihlbGVtMi5vbkFmdGVyQ2FsbGJhY2ssIHBhdGgyICsgJy9vbkFmdGVyJyksXG4gICAgICAgICAgICAgICAgICAgIGFzc2lnbjogYXNzaWduLFxuICAgICAgICAgICAgICAgICAgICBkZWxheTogZWxlbTIuZGVsYXksXG4gICAgICAgICAgICAgICAgICAgIGNvbXBlbnNhdGlvbjogZWxlbTIuY29tcGVuc2F0aW9uLFxuICAgICAgICAgICAgICAgICAgICBpbnRlcm5hbDogZWxlbTIuaW50ZXJuYWxcbiAgICAgICAgICAgICAgICB9KSk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cblxuICAgICAgICByZXR1cm4gY29tcGFjdCh7XG4gICAgICAgICAgICB2ZXJzaW9uOiBkZWZpbml0aW9uVmVyc2lvbixcbiAgICAgICAgICAgIGluaXRpYWw6IHRoaXMuX2luaXRTdGF0ZSB8fCB1bmRlZmluZWQsXG4gICAgICAgICAgICBhc3luY01vZGU6IHRoaXMuX2FzeW5jTW9kZSB8fCB1bmRlZmluZWQsXG4gICAgICAgICAgICBzYW1lU3RhdGVQb2xpY3k6IHRoaXMuX3NhbWVTdGF0ZVBvbGljeSAhPT0gJ2lnbm9yZScgPyB0aGlzLl9zYW1lU3RhdGVQb2xpY3kgOiB1bmRlZmluZWQsXG4gICAgICAgICAgICBjb250ZXh0OiB0aGlzLl9jb250ZXh0LFxuICAgICAgICAgICAgcmVnaW9uczogcmVnaW9ucy5sZW5ndGggPyByZWdpb25zIDogdW5kZWZpbmVkLFxuICAgICAgICAgICAgc3RhdGVzOiBzdGF0ZXMsXG4gICAgICAgICAgICBoaXN0b3J5U3RhdGVzOiBoaXN0b3J5U3RhdGVzLmxlbmd0aCA/IGhpc3RvcnlTdGF0ZXMgOiB1bmRlZmluZWQsXG4gICAgICAgICAgICB0cmFuc2l0aW9uczogdHJhbnNpdGlvbnNcbiAgICAgICAgfSk7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogRXhwb3J0cyB0aGUgY29uZmlndXJhdGlvbiBvZiB0aGUgRlNNIGFzIGEgU0NYTUwgZG9jdW1lbnQuXG4gICAgICogVGhlIGNhbGxiYWNrcyBhbmQgdGhlIGd1YXJkcyBhcmUgbmFtZWQgaW4gdGhlIHNhbWUgd2F5XG4gICAgICogYXMgdG9EZWZpbml0aW9uIGRvZXMuXG4gICAgICovXG4gICAgdG9TY3htbChpbXBsZW1lbnRhdGlvbnM/OiB7IFtrZXk6IHN0cmluZ106IGFueSB9KSB7XG4gICAgICAgIHJldHVybiBzZXJpYWxpemVTY3htbCh0aGlzLnRvRGVmaW5pdGlvbihpbXBsZW1lbnRhdGlvbnMpKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBDaGVja3MgdGhlIGNvbmZpZ3VyYXRpb24gb2YgdGhlIEZTTSwgYW5kIHJlcG9ydHMgdGhlIHN0YXRlc1xuICAgICAqIHdoaWNoIGFyZSB1bnJlYWNoYWJsZSBmcm9tIHRoZSBpbml0IHN0YXRlcywgdGhlIGRlYWQgZW5kcyB3aGljaCBhcmVcbiAgICAgKiBub3QgZmluYWwsIHRoZSBzdGF0ZXMgd2l0aG91dCBpbmNvbWluZyB0cmFuc2l0aW9ucywgdGhlIHN0cm9uZ2x5XG4gICAgICogY29ubmVjdGVkIGNvbXBvbmVudHMsIGFuZCB0aGUgc3RhdGVzIHdoaWNoIGNhbm5vdCByZWFjaCBhIGZpbmFsIHN0YXRlLlxuICAgICAqIE5vdGUgdGhhdCBndWFyZCBjb25kaXRpb25zIGFyZSBub3QgdGFrZW4gaW50byBhY2NvdW50LlxuICAgICAqL1xuICAgIGFuYWx5emUoKTogSUFuYWx5c2lzUmVwb3J0IHtcbiAgICAgICAgcmV0dXJuIGFuYWx5emVEZWZpbml0aW9uKHRoaXMuZGVzY3JpYmUodGhpcy5faW1wbGVtZW50YXRpb25zIHx8IHt9LCBbXSkpO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIENoZWNrcyBhIHRlbXBvcmFsIHByb3BlcnR5LCBlLmcuLCAnQUcgKGVkaXRpbmcgLT4gRUYgc2F2ZWQpJyxcbiAgICAgKiBhZ2FpbnN0IHRoZSB0cmFuc2l0aW9ucyBvZiB0aGUgRlNNIGZyb20gdGhlIGluaXQgc3RhdGUgb2YgdGhlIGdpdmVuXG4gICAgICogcmVnaW9uLCBhbmQgZ2l2ZXMgYSBjb3VudGVyZXhhbXBsZSBwYXRoIGlmIHRoZSBwcm9wZXJ0eSBkb2VzIG5vdCBob2xkLlxuICAgICAqIFNlZSB0ZW1wb3JhbC1sb2dpYyBmb3IgdGhlIHByb3BlcnR5IGxhbmd1YWdlLlxuICAgICAqL1xuICAgIGNoZWNrKHByb3BlcnR5OiBzdHJpbmcsIHJlZ2lvbj86IHN0cmluZyk6IElQcm9wZXJ0eVJlc3VsdCB7XG4gICAgICAgIHJldHVybiBjaGVja1Byb3BlcnR5KHRoaXMuZGVzY3JpYmUodGhpcy5faW1wbGVtZW50YXRpb25zIHx8IHt9LCBbXSksIHByb3BlcnR5LCByZWdpb24pO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJlbmRlcnMgdGhlIGNvbmZpZ3VyYXRpb24gb2YgdGhlIEZTTSBhcyBhIEdyYXBodml6IERPVCBncmFwaC5cbiAgICAgKiBJZiByZXF1aXJlZCwgdGhlIHN0YXRlcyBpbiB3aGljaCBhIHJ1bm5pbmcgRlNNIGN1cnJlbnRseSBpc1xuICAgICAqIGFyZSBoaWdobGlnaHRlZC5cbiAgICAgKi9cbiAgICB0b0RvdChoaWdobGlnaHRDdXJyZW50PzogYm9vbGVhbikge1xuICAgICAgICByZXR1cm4gcmVuZGVyRG90KHRoaXMuZGVzY3JpYmUodGhpcy5faW1wbGVtZW50YXRpb25zIHx8IHt9LCBbXSksIHtcbiAgICAgICAgICAgIGFjdGl2ZTogaGlnaGxpZ2h0Q3VycmVudCA/IHRoaXMuYWN0aXZlU3RhdGVzKCkgOiBbXVxuICAgICAgICB9KTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZW5kZXJzIHRoZSBjb25maWd1cmF0aW9uIG9mIHRoZSBGU00gYXMgYSBNZXJtYWlkIHN0YXRlIGRpYWdyYW0uXG4gICAgICogSWYgcmVxdWlyZWQsIHRoZSBzdGF0ZXMgaW4gd2hpY2ggYSBydW5uaW5nIEZTTSBjdXJyZW50bHkgaXNcbiAgICAgKiBhcmUgaGlnaGxpZ2h0ZWQuXG4gICAgICovXG4gICAgdG9NZXJtYWlkKGhpZ2hsaWdodEN1cnJlbnQ/OiBib29sZWFuKSB7XG4gICAgICAgIHJldHVybiByZW5kZXJNZXJtYWlkKHRoaXMuZGVzY3JpYmUodGhpcy5faW1wbGVtZW50YXRpb25zIHx8IHt9LCBbXSksIHtcbiAgICAgICAgICAgIGFjdGl2ZTogaGlnaGxpZ2h0Q3VycmVudCA/IHRoaXMuYWN0aXZlU3RhdGVzKCkgOiBbXVxuICAgICAgICB9KTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZXR1cm5zIHRoZSBhY3RpdmUgc3RhdGVzIG9mIGFsbCByZWdpb25zLFxuICAgICAqIGluY2x1ZGluZyB0aGUgZW5jbG9zaW5nIGNvbXBvdW5kIHN0YXRlcy5cbiAgICAgKi9cbiAgICBwcml2YXRlIGFjdGl2ZVN0YXRlcygpIHtcbiAgICAgICAgdGhpcy5lbnN1cmVSdW5uaW5nU3RhZ2UoKTtcbiAgICAgICAgbGV0IHJlc3VsdDogQXJyYXk8c3RyaW5nPiA9IFtdO1xuICAgICAgICBmb3IgKGNvbnN0IGsgaW4gdGhpcy5faW1wbHMpIHtcbiAgICAgICAgICAgIGlmICh0aGlzLl9pbXBscy5oYXNPd25Qcm9wZXJ0eShrKSkge1xuICAgICAgICAgICAgICAgIHJlc3VsdCA9IHJlc3VsdC5jb25jYXQodGhpcy5wYXRoT2YodGhpcy5faW1wbHNba10uc3RhdGUpKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gcmVzdWx0O1xuICAgIH1cbn1cbiJdfQ==
\ No newline at end of file
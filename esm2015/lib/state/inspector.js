@@ -0,0 +1,508 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/** @type {?} */
+const defaultMaxRecords = 500;
+/**
+ * Describes a message sent by the DevTools extension.
+ * @record
+ */
+export function IDevToolsMessage() { }
+if (false) {
+    /** @type {?} */
+    IDevToolsMessage.prototype.type;
+    /** @type {?|undefined} */
+    IDevToolsMessage.prototype.payload;
+    /** @type {?|undefined} */
+    IDevToolsMessage.prototype.state;
+}
+/**
+ * Describes a connection to the DevTools extension,
+ * as returned by its connect method.
+ * @record
+ */
+export function IDevToolsConnection() { }
+if (false) {
+    /**
+     * @param {?} state
+     * @return {?}
+     */
+    IDevToolsConnection.prototype.init = function (state) { };
+    /**
+     * @param {?} action
+     * @param {?} state
+     * @return {?}
+     */
+    IDevToolsConnection.prototype.send = function (action, state) { };
+    /**
+     * @param {?} listener
+     * @return {?}
+     */
+    IDevToolsConnection.prototype.subscribe = function (listener) { };
+    /**
+     * @return {?}
+     */
+    IDevToolsConnection.prototype.unsubscribe = function () { };
+    /**
+     * @param {?} message
+     * @return {?}
+     */
+    IDevToolsConnection.prototype.error = function (message) { };
+}
+/**
+ * Describes the DevTools extension, i.e.,
+ * window.__REDUX_DEVTOOLS_EXTENSION__ in the browser.
+ * @record
+ */
+export function IDevToolsExtension() { }
+if (false) {
+    /**
+     * @param {?=} options
+     * @return {?}
+     */
+    IDevToolsExtension.prototype.connect = function (options) { };
+}
+/**
+ * Describes what the machine does at some point.
+ * @record
+ */
+export function IInspectorRecord() { }
+if (false) {
+    /** @type {?|undefined} */
+    IInspectorRecord.prototype.id;
+    /** @type {?} */
+    IInspectorRecord.prototype.type;
+    /** @type {?|undefined} */
+    IInspectorRecord.prototype.transition;
+    /** @type {?|undefined} */
+    IInspectorRecord.prototype.event;
+    /** @type {?|undefined} */
+    IInspectorRecord.prototype.from;
+    /** @type {?|undefined} */
+    IInspectorRecord.prototype.to;
+    /** @type {?|undefined} */
+    IInspectorRecord.prototype.payload;
+    /** @type {?|undefined} */
+    IInspectorRecord.prototype.error;
+    /** @type {?} */
+    IInspectorRecord.prototype.context;
+    /** @type {?|undefined} */
+    IInspectorRecord.prototype.previous;
+    /** @type {?|undefined} */
+    IInspectorRecord.prototype.snapshot;
+    /** @type {?} */
+    IInspectorRecord.prototype.timestamp;
+}
+/**
+ * Options for inspecting a machine.
+ * @record
+ */
+export function IInspectorOptions() { }
+if (false) {
+    /** @type {?|undefined} */
+    IInspectorOptions.prototype.name;
+    /** @type {?|undefined} */
+    IInspectorOptions.prototype.devTools;
+    /** @type {?|undefined} */
+    IInspectorOptions.prototype.maxRecords;
+}
+/**
+ * Returns the DevTools extension installed in the browser, if any.
+ * @return {?}
+ */
+function browserDevTools() {
+    /** @type {?} */
+    const root = typeof window !== 'undefined' ? window : null;
+    return (root && root['__REDUX_DEVTOOLS_EXTENSION__']) || null;
+}
+/**
+ * Represents the inspector of a started machine. Every transition, with
+ * its event and payload, every change of the context data and every error
+ * is recorded, and forwarded to the DevTools extension as an action.
+ * Jumping to a record, either from the code or from the extension,
+ * restores the machine to its running status at that point.
+ */
+export class MachineInspector {
+    /**
+     * @param {?} machine
+     * @param {?=} options
+     */
+    constructor(machine, options) {
+        options = options || {};
+        this._machine = machine;
+        this._records = [];
+        this._nextId = 0;
+        this._maxRecords = options.maxRecords || defaultMaxRecords;
+        this._subscriptions = [];
+        this._contextHandler = (change) => this.onContextChange(change);
+        /** @type {?} */
+        const devTools = options.devTools || browserDevTools();
+        this._connection = devTools ? devTools.connect({ name: options.name || 'FiniteStateMachine' }) : null;
+        this.append({
+            type: 'start',
+            context: machine.getContext(),
+            snapshot: machine.snapshot(),
+            timestamp: Date.now()
+        });
+        if (this._connection) {
+            this._connection.init(this.stateOf(this._records[0]));
+            this._connection.subscribe((message) => this.onMessage(message));
+        }
+        machine.onContextChange(this._contextHandler);
+        this._subscriptions.push(machine.transitions$.subscribe((event) => this.onTransition(event)));
+        this._subscriptions.push(machine.errors$.subscribe((event) => this.onError(event)));
+    }
+    /**
+     * Returns the records, the start first.
+     * @return {?}
+     */
+    records() {
+        return this._records.slice();
+    }
+    /**
+     * Restores the machine to its running status at the record of
+     * the given id. A record without a snapshot is taken as the closest
+     * record before it with a snapshot. A record which has been dropped
+     * cannot be jumped to.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} id
+     * @return {THIS}
+     */
+    jumpTo(id) {
+        /** @type {?} */
+        const records = (/** @type {?} */ (this))._records;
+        /** @type {?} */
+        let i = records.length - 1;
+        while (i >= 0 && records[i].id !== id) {
+            i--;
+        }
+        if (i < 0) {
+            throw new Error((id > 0 && id < (/** @type {?} */ (this))._nextId ? 'Dropped record: ' : 'Undefined record: ') + id);
+        }
+        while (!records[i].snapshot) {
+            if (records[i - 1].id !== records[i].id - 1) {
+                throw new Error('Dropped record: ' + (records[i].id - 1));
+            }
+            i--;
+        }
+        (/** @type {?} */ (this))._machine.restore(records[i].snapshot);
+        return (/** @type {?} */ (this));
+    }
+    /**
+     * Stops inspecting the machine.
+     * @return {?}
+     */
+    detach() {
+        for (const s of this._subscriptions) {
+            s.unsubscribe();
+        }
+        this._subscriptions = [];
+        this._machine.offContextChange(this._contextHandler);
+        if (this._connection) {
+            this._connection.unsubscribe();
+            this._connection = null;
+        }
+    }
+    /**
+     * @private
+     * @param {?} event
+     * @return {?}
+     */
+    onTransition(event) {
+        // Another region may still be in the middle of its transition
+        /** @type {?} */
+        const idle = this._machine.status() === 'idle';
+        this.append({
+            type: 'transition',
+            transition: event.transition,
+            event: event.event,
+            from: event.from,
+            to: event.to,
+            payload: event.payload,
+            context: this._machine.getContext(),
+            snapshot: idle ? this._machine.snapshot() : undefined,
+            timestamp: Date.now()
+        });
+    }
+    /**
+     * @private
+     * @param {?} change
+     * @return {?}
+     */
+    onContextChange(change) {
+        // The transition is still in progress
+        this.append({
+            type: 'context',
+            transition: change.lifecycle.transition,
+            payload: change.lifecycle.payload,
+            context: change.context,
+            previous: change.previous,
+            timestamp: Date.now()
+        });
+    }
+    /**
+     * @private
+     * @param {?} event
+     * @return {?}
+     */
+    onError(event) {
+        this.append({
+            type: 'error',
+            transition: event.name,
+            from: event.from,
+            to: event.to,
+            error: event.error,
+            context: this._machine.getContext(),
+            timestamp: Date.now()
+        });
+        if (this._connection) {
+            this._connection.error('Transition ' + event.name + ' from ' + event.from + ' to ' + event.to + ' fails.');
+        }
+    }
+    /**
+     * @private
+     * @param {?} record
+     * @return {?}
+     */
+    append(record) {
+        record.id = this._nextId++;
+        this._records.push(record);
+        if (this._records.length > this._maxRecords) {
+            // Keep the start, which may always be jumped to
+            this._records.splice(1, 1);
+        }
+        if (this._connection && record.type !== 'start') {
+            this._connection.send(this.actionOf(record), this.stateOf(record));
+        }
+    }
+    /**
+     * @private
+     * @param {?} record
+     * @return {?}
+     */
+    actionOf(record) {
+        return {
+            type: record.type === 'transition' ? (record.event || record.transition) : record.type + ': ' + record.transition,
+            transition: record.transition,
+            from: record.from,
+            to: record.to,
+            payload: record.payload
+        };
+    }
+    /**
+     * @private
+     * @param {?} record
+     * @return {?}
+     */
+    stateOf(record) {
+        return {
+            state: record.snapshot ? record.snapshot.state : this._machine.configuration(),
+            context: record.context
+        };
+    }
+    /**
+     * Handles the messages from the DevTools extension. The actions are
+     * numbered from the start, which is numbered 0, as the records are,
+     * so that an action is found by the id of its record. Jumping to
+     * an action whose record has been dropped is reported back as an error.
+     * @private
+     * @param {?} message
+     * @return {?}
+     */
+    onMessage(message) {
+        if (message.type !== 'DISPATCH' || !message.payload) {
+            return;
+        }
+        switch (message.payload.type) {
+            case 'JUMP_TO_STATE':
+            case 'JUMP_TO_ACTION':
+                try {
+                    this.jumpTo(message.payload.actionId);
+                }
+                catch (e) {
+                    this._connection.error(e.message);
+                }
+                break;
+            case 'RESET':
+                this.jumpTo(0);
+                this.commit();
+                break;
+            case 'COMMIT':
+                this.commit();
+                break;
+        }
+    }
+    /**
+     * Takes the current status as the new start.
+     * @private
+     * @return {?}
+     */
+    commit() {
+        this._records = [];
+        this._nextId = 0;
+        this.append({
+            type: 'start',
+            context: this._machine.getContext(),
+            snapshot: this._machine.snapshot(),
+            timestamp: Date.now()
+        });
+        if (this._connection) {
+            this._connection.init(this.stateOf(this._records[0]));
+        }
+    }
+}
+if (false) {
+    /**
+     * @type {?}
+     * @private
+     */
+    MachineInspector.prototype._machine;
+    /**
+     * @type {?}
+     * @private
+     */
+    MachineInspector.prototype._records;
+    /**
+     * @type {?}
+     * @private
+     */
+    MachineInspector.prototype._nextId;
+    /**
+     * @type {?}
+     * @private
+     */
+    MachineInspector.prototype._maxRecords;
+    /**
+     * @type {?}
+     * @private
+     */
+    MachineInspector.prototype._connection;
+    /**
+     * @type {?}
+     * @private
+     */
+    MachineInspector.prototype._subscriptions;
+    /**
+     * @type {?}
+     * @private
+     */
+    MachineInspector.prototype._contextHandler;
+}
+/**
+ * Represents a connection of the local stand-in of the DevTools extension.
+ */
+export class LocalDevToolsConnection {
+    /**
+     * @param {?} name
+     */
+    constructor(name) {
+        this.name = name;
+        this.actions = [];
+        this.states = [];
+        this.errors = [];
+        this._listeners = [];
+    }
+    /**
+     * @param {?} state
+     * @return {?}
+     */
+    init(state) {
+        this.actions = [null];
+        this.states = [state];
+    }
+    /**
+     * @param {?} action
+     * @param {?} state
+     * @return {?}
+     */
+    send(action, state) {
+        this.actions.push(action);
+        this.states.push(state);
+    }
+    /**
+     * @param {?} listener
+     * @return {?}
+     */
+    subscribe(listener) {
+        this._listeners.push(listener);
+        return () => {
+            this._listeners = this._listeners.filter(l => l !== listener);
+        };
+    }
+    /**
+     * @return {?}
+     */
+    unsubscribe() {
+        this._listeners = [];
+    }
+    /**
+     * @param {?} message
+     * @return {?}
+     */
+    error(message) {
+        this.errors.push(message);
+    }
+    /**
+     * Delivers a message as if it were sent by the extension.
+     * @param {?} message
+     * @return {?}
+     */
+    dispatch(message) {
+        for (const listener of this._listeners.slice()) {
+            listener(message);
+        }
+    }
+    /**
+     * Asks to jump to the given action, as the extension does.
+     * @param {?} actionId
+     * @return {?}
+     */
+    jumpToAction(actionId) {
+        this.dispatch({
+            type: 'DISPATCH',
+            payload: { type: 'JUMP_TO_ACTION', actionId: actionId },
+            state: JSON.stringify(this.states[actionId])
+        });
+    }
+}
+if (false) {
+    /** @type {?} */
+    LocalDevToolsConnection.prototype.actions;
+    /** @type {?} */
+    LocalDevToolsConnection.prototype.states;
+    /** @type {?} */
+    LocalDevToolsConnection.prototype.errors;
+    /**
+     * @type {?}
+     * @private
+     */
+    LocalDevToolsConnection.prototype._listeners;
+    /** @type {?} */
+    LocalDevToolsConnection.prototype.name;
+}
+/**
+ * Represents an in-process stand-in of the DevTools extension,
+ * e.g., for tests.
+ */
+export class LocalDevTools {
+    constructor() {
+        this.connections = [];
+    }
+    /**
+     * @param {?=} options
+     * @return {?}
+     */
+    connect(options) {
+        /** @type {?} */
+        const connection = new LocalDevToolsConnection(options && options.name);
+        this.connections.push(connection);
+        return connection;
+    }
+}
+if (false) {
+    /** @type {?} */
+    LocalDevTools.prototype.connections;
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5zcGVjdG9yLmpzIiwic291cmNlUm9vdCI6Im5nOi8vQHBvbHB3YXJlL2ZlLWJlaGF2aW9yLyIsInNvdXJjZXMiOlsibGliL3N0YXRlL2luc3BlY3Rvci50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7OztNQWlCTSxpQkFBaUIsR0FBRyxHQUFHOzs7OztBQUs3QixzQ0FJQzs7O0lBSEcsZ0NBQWE7O0lBQ2IsbUNBQWM7O0lBQ2QsaUNBQWU7Ozs7Ozs7QUFPbkIseUNBTUM7Ozs7OztJQUxHLDBEQUF1Qjs7Ozs7O0lBQ3ZCLGtFQUFvQzs7Ozs7SUFDcEMsa0VBQThEOzs7O0lBQzlELDREQUFvQjs7Ozs7SUFDcEIsNkRBQTZCOzs7Ozs7O0FBT2pDLHdDQUVDOzs7Ozs7SUFERyw4REFBMEQ7Ozs7OztBQU05RCxzQ0FxQkM7OztJQWxCRyw4QkFBWTs7SUFFWixnQ0FBYTs7SUFDYixzQ0FBb0I7O0lBQ3BCLGlDQUFlOztJQUNmLGdDQUFjOztJQUNkLDhCQUFZOztJQUNaLG1DQUFjOztJQUNkLGlDQUFZOztJQUVaLG1DQUFhOztJQUViLG9DQUFlOztJQUdmLG9DQUFxQjs7SUFFckIscUNBQWtCOzs7Ozs7QUFNdEIsdUNBUUM7OztJQU5HLGlDQUFjOztJQUVkLHFDQUE4Qjs7SUFHOUIsdUNBQW9COzs7Ozs7QUFNeEIsU0FBUyxlQUFlOztVQUNkLElBQUksR0FBUSxPQUFPLE1BQU0sS0FBSyxXQUFXLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsSUFBSTtJQUMvRCxPQUFPLENBQUMsSUFBSSxJQUFJLElBQUksQ0FBQyw4QkFBOEIsQ0FBQyxDQUFDLElBQUksSUFBSSxDQUFDO0FBQ2xFLENBQUM7Ozs7Ozs7O0FBVUQsTUFBTSxPQUFPLGdCQUFnQjs7Ozs7SUFVekIsWUFBWSxPQUFtRCxFQUFFLE9BQTJCO1FBQ3hGLE9BQU8sR0FBRyxPQUFPLElBQUksRUFBRSxDQUFDO1FBQ3hCLElBQUksQ0FBQyxRQUFRLEdBQUcsT0FBTyxDQUFDO1FBQ3hCLElBQUksQ0FBQyxRQUFRLEdBQUcsRUFBRSxDQUFDO1FBQ25CLElBQUksQ0FBQyxPQUFPLEdBQUcsQ0FBQyxDQUFDO1FBQ2pCLElBQUksQ0FBQyxXQUFXLEdBQUcsT0FBTyxDQUFDLFVBQVUsSUFBSSxpQkFBaUIsQ0FBQztRQUMzRCxJQUFJLENBQUMsY0FBYyxHQUFHLEVBQUUsQ0FBQztRQUN6QixJQUFJLENBQUMsZUFBZSxHQUFHLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLE1BQU0sQ0FBQyxDQUFDOztjQUUxRCxRQUFRLEdBQUcsT0FBTyxDQUFDLFFBQVEsSUFBSSxlQUFlLEVBQUU7UUFDdEQsSUFBSSxDQUFDLFdBQVcsR0FBRyxRQUFRLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsRUFBRSxJQUFJLEVBQUUsT0FBTyxDQUFDLElBQUksSUFBSSxvQkFBb0IsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztRQUV0RyxJQUFJLENBQUMsTUFBTSxDQUFDO1lBQ1IsSUFBSSxFQUFFLE9BQU87WUFDYixPQUFPLEVBQUUsT0FBTyxDQUFDLFVBQVUsRUFBRTtZQUM3QixRQUFRLEVBQUUsT0FBTyxDQUFDLFFBQVEsRUFBRTtZQUM1QixTQUFTLEVBQUUsSUFBSSxDQUFDLEdBQUcsRUFBRTtTQUN4QixDQUFDLENBQUM7UUFDSCxJQUFJLElBQUksQ0FBQyxXQUFXLEVBQUU7WUFDbEIsSUFBSSxDQUFDLFdBQVcsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN0RCxJQUFJLENBQUMsV0FBVyxDQUFDLFNBQVMsQ0FBQyxDQUFDLE9BQU8sRUFBRSxFQUFFLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO1NBQ3BFO1FBQ0QsT0FBTyxDQUFDLGVBQWUsQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLENBQUM7UUFDOUMsSUFBSSxDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLFlBQVksQ0FBQyxTQUFTLENBQUMsQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQzlGLElBQUksQ0FBQyxjQUFjLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUN4RixDQUFDOzs7OztJQUtELE9BQU87UUFDSCxPQUFPLElBQUksQ0FBQyxRQUFRLENBQUMsS0FBSyxFQUFFLENBQUM7SUFDakMsQ0FBQzs7Ozs7Ozs7Ozs7SUFRRCxNQUFNLENBQUMsRUFBVTs7Y0FDUCxPQUFPLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMsUUFBUTs7WUFDekIsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQztRQUMxQixPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEVBQUU7WUFDbkMsQ0FBQyxFQUFFLENBQUM7U0FDUDtRQUNELElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRTtZQUNQLE1BQU0sSUFBSSxLQUFLLENBQUMsQ0FBQyxFQUFFLEdBQUcsQ0FBQyxJQUFJLEVBQUUsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLGtCQUFrQixDQUFDLENBQUMsQ0FBQyxvQkFBb0IsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUFDO1NBQ25HO1FBQ0QsT0FBTyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLEVBQUU7WUFDekIsSUFBSSxPQUFPLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxHQUFHLENBQUMsRUFBRTtnQkFDekMsTUFBTSxJQUFJLEtBQUssQ0FBQyxrQkFBa0IsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQzthQUM3RDtZQUNELENBQUMsRUFBRSxDQUFDO1NBQ1A7UUFDRCxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUMzQyxPQUFPLG1CQUFBLElBQUksRUFBQSxDQUFDO0lBQ2hCLENBQUM7Ozs7O0lBS0QsTUFBTTtRQUNGLEtBQUssTUFBTSxDQUFDLElBQUksSUFBSSxDQUFDLGNBQWMsRUFBRTtZQUNqQyxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUM7U0FDbkI7UUFDRCxJQUFJLENBQUMsY0FBYyxHQUFHLEVBQUUsQ0FBQztRQUN6QixJQUFJLENBQUMsUUFBUSxDQUFDLGdCQUFnQixDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsQ0FBQztRQUNyRCxJQUFJLElBQUksQ0FBQyxXQUFXLEVBQUU7WUFDbEIsSUFBSSxDQUFDLFdBQVcsQ0FBQyxXQUFXLEVBQUUsQ0FBQztZQUMvQixJQUFJLENBQUMsV0FBVyxHQUFHLElBQUksQ0FBQztTQUMzQjtJQUNMLENBQUM7Ozs7OztJQUVPLFlBQVksQ0FBQyxLQUFzQjs7O2NBRWpDLElBQUksR0FBRyxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sRUFBRSxLQUFLLE1BQU07UUFDOUMsSUFBSSxDQUFDLE1BQU0sQ0FBQztZQUNSLElBQUksRUFBRSxZQUFZO1lBQ2xCLFVBQVUsRUFBRSxLQUFLLENBQUMsVUFBVTtZQUM1QixLQUFLLEVBQUUsS0FBSyxDQUFDLEtBQUs7WUFDbEIsSUFBSSxFQUFFLEtBQUssQ0FBQyxJQUFJO1lBQ2hCLEVBQUUsRUFBRSxLQUFLLENBQUMsRUFBRTtZQUNaLE9BQU8sRUFBRSxLQUFLLENBQUMsT0FBTztZQUN0QixPQUFPLEVBQUUsSUFBSSxDQUFDLFFBQVEsQ0FBQyxVQUFVLEVBQUU7WUFDbkMsUUFBUSxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDLENBQUMsU0FBUztZQUNyRCxTQUFTLEVBQUUsSUFBSSxDQUFDLEdBQUcsRUFBRTtTQUN4QixDQUFDLENBQUM7SUFDUCxDQUFDOzs7Ozs7SUFFTyxlQUFlLENBQUMsTUFBMkI7UUFDL0Msc0NBQXNDO1FBQ3RDLElBQUksQ0FBQyxNQUFNLENBQUM7WUFDUixJQUFJLEVBQUUsU0FBUztZQUNmLFVBQVUsRUFBRSxNQUFNLENBQUMsU0FBUyxDQUFDLFVBQVU7WUFDdkMsT0FBTyxFQUFFLE1BQU0sQ0FBQyxTQUFTLENBQUMsT0FBTztZQUNqQyxPQUFPLEVBQUUsTUFBTSxDQUFDLE9BQU87WUFDdkIsUUFBUSxFQUFFLE1BQU0sQ0FBQyxRQUFRO1lBQ3pCLFNBQVMsRUFBRSxJQUFJLENBQUMsR0FBRyxFQUFFO1NBQ3hCLENBQUMsQ0FBQztJQUNQLENBQUM7Ozs7OztJQUVPLE9BQU8sQ0FBQyxLQUFrQjtRQUM5QixJQUFJLENBQUMsTUFBTSxDQUFDO1lBQ1IsSUFBSSxFQUFFLE9BQU87WUFDYixVQUFVLEVBQUUsS0FBSyxDQUFDLElBQUk7WUFDdEIsSUFBSSxFQUFFLEtBQUssQ0FBQyxJQUFJO1lBQ2hCLEVBQUUsRUFBRSxLQUFLLENBQUMsRUFBRTtZQUNaLEtBQUssRUFBRSxLQUFLLENBQUMsS0FBSztZQUNsQixPQUFPLEVBQUUsSUFBSSxDQUFDLFFBQVEsQ0FBQyxVQUFVLEVBQUU7WUFDbkMsU0FBUyxFQUFFLElBQUksQ0FBQyxHQUFHLEVBQUU7U0FDeEIsQ0FBQyxDQUFDO1FBQ0gsSUFBSSxJQUFJLENBQUMsV0FBVyxFQUFFO1lBQ2xCLElBQUksQ0FBQyxXQUFXLENBQUMsS0FBSyxDQUFDLGFBQWEsR0FBRyxLQUFLLENBQUMsSUFBSSxHQUFHLFFBQVEsR0FBRyxLQUFLLENBQUMsSUFBSSxHQUFHLE1BQU0sR0FBRyxLQUFLLENBQUMsRUFBRSxHQUFHLFNBQVMsQ0FBQyxDQUFDO1NBQzlHO0lBQ0wsQ0FBQzs7Ozs7O0lBRU8sTUFBTSxDQUFDLE1BQXdCO1FBQ25DLE1BQU0sQ0FBQyxFQUFFLEdBQUcsSUFBSSxDQUFDLE9BQU8sRUFBRSxDQUFDO1FBQzNCLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQzNCLElBQUksSUFBSSxDQUFDLFFBQVEsQ0FBQyxNQUFNLEdBQUcsSUFBSSxDQUFDLFdBQVcsRUFBRTtZQUN6QyxnREFBZ0Q7WUFDaEQsSUFBSSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO1NBQzlCO1FBQ0QsSUFBSSxJQUFJLENBQUMsV0FBVyxJQUFJLE1BQU0sQ0FBQyxJQUFJLEtBQUssT0FBTyxFQUFFO1lBQzdDLElBQUksQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLEVBQUUsSUFBSSxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO1NBQ3RFO0lBQ0wsQ0FBQzs7Ozs7O0lBRU8sUUFBUSxDQUFDLE1BQXdCO1FBQ3JDLE9BQU87WUFDSCxJQUFJLEVBQUUsTUFBTSxDQUFDLElBQUksS0FBSyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssSUFBSSxNQUFNLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxJQUFJLEdBQUcsSUFBSSxHQUFHLE1BQU0sQ0FBQyxVQUFVO1lBQ2pILFVBQVUsRUFBRSxNQUFNLENBQUMsVUFBVTtZQUM3QixJQUFJLEVBQUUsTUFBTSxDQUFDLElBQUk7WUFDakIsRUFBRSxFQUFFLE1BQU0sQ0FBQyxFQUFFO1lBQ2IsT0FBTyxFQUFFLE1BQU0sQ0FBQyxPQUFPO1NBQzFCLENBQUM7SUFDTixDQUFDOzs7Ozs7SUFFTyxPQUFPLENBQUMsTUFBd0I7UUFDcEMsT0FBTztZQUNILEtBQUssRUFBRSxNQUFNLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxhQUFhLEVBQUU7WUFDOUUsT0FBTyxFQUFFLE1BQU0sQ0FBQyxPQUFPO1NBQzFCLENBQUM7SUFDTixDQUFDOzs7Ozs7Ozs7O0lBUU8sU0FBUyxDQUFDLE9BQXlCO1FBQ3ZDLElBQUksT0FBTyxDQUFDLElBQUksS0FBSyxVQUFVLElBQUksQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFO1lBQ2pELE9BQU87U0FDVjtRQUNELFFBQVEsT0FBTyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUU7WUFDMUIsS0FBSyxlQUFlLENBQUM7WUFDckIsS0FBSyxnQkFBZ0I7Z0JBQ2pCLElBQUk7b0JBQ0EsSUFBSSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxDQUFDO2lCQUN6QztnQkFBQyxPQUFPLENBQUMsRUFBRTtvQkFDUixJQUFJLENBQUMsV0FBVyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUM7aUJBQ3JDO2dCQUNELE1BQU07WUFDVixLQUFLLE9BQU87Z0JBQ1IsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDZixJQUFJLENBQUMsTUFBTSxFQUFFLENBQUM7Z0JBQ2QsTUFBTTtZQUNWLEtBQUssUUFBUTtnQkFDVCxJQUFJLENBQUMsTUFBTSxFQUFFLENBQUM7Z0JBQ2QsTUFBTTtTQUNiO0lBQ0wsQ0FBQzs7Ozs7O0lBS08sTUFBTTtRQUNWLElBQUksQ0FBQyxRQUFRLEdBQUcsRUFBRSxDQUFDO1FBQ25CLElBQUksQ0FBQyxPQUFPLEdBQUcsQ0FBQyxDQUFDO1FBQ2pCLElBQUksQ0FBQyxNQUFNLENBQUM7WUFDUixJQUFJLEVBQUUsT0FBTztZQUNiLE9BQU8sRUFBRSxJQUFJLENBQUMsUUFBUSxDQUFDLFVBQVUsRUFBRTtZQUNuQyxRQUFRLEVBQUUsSUFBSSxDQUFDLFFBQVEsQ0FBQyxRQUFRLEVBQUU7WUFDbEMsU0FBUyxFQUFFLElBQUksQ0FBQyxHQUFHLEVBQUU7U0FDeEIsQ0FBQyxDQUFDO1FBQ0gsSUFBSSxJQUFJLENBQUMsV0FBVyxFQUFFO1lBQ2xCLElBQUksQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7U0FDekQ7SUFDTCxDQUFDO0NBQ0o7Ozs7OztJQXZNRyxvQ0FBNkQ7Ozs7O0lBQzdELG9DQUEwQzs7Ozs7SUFDMUMsbUNBQXdCOzs7OztJQUN4Qix1Q0FBNEI7Ozs7O0lBQzVCLHVDQUF5Qzs7Ozs7SUFDekMsMENBQTRDOzs7OztJQUM1QywyQ0FBK0Q7Ozs7O0FBdU1uRSxNQUFNLE9BQU8sdUJBQXVCOzs7O0lBVWhDLFlBQW1CLElBQVk7UUFBWixTQUFJLEdBQUosSUFBSSxDQUFRO1FBQzNCLElBQUksQ0FBQyxPQUFPLEdBQUcsRUFBRSxDQUFDO1FBQ2xCLElBQUksQ0FBQyxNQUFNLEdBQUcsRUFBRSxDQUFDO1FBQ2pCLElBQUksQ0FBQyxNQUFNLEdBQUcsRUFBRSxDQUFDO1FBQ2pCLElBQUksQ0FBQyxVQUFVLEdBQUcsRUFBRSxDQUFDO0lBQ3pCLENBQUM7Ozs7O0lBRUQsSUFBSSxDQUFDLEtBQVU7UUFDWCxJQUFJLENBQUMsT0FBTyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDdEIsSUFBSSxDQUFDLE1BQU0sR0FBRyxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQzFCLENBQUM7Ozs7OztJQUVELElBQUksQ0FBQyxNQUFXLEVBQUUsS0FBVTtRQUN4QixJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUMxQixJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUM1QixDQUFDOzs7OztJQUVELFNBQVMsQ0FBQyxRQUE2QztRQUNuRCxJQUFJLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUMvQixPQUFPLEdBQUcsRUFBRTtZQUNSLElBQUksQ0FBQyxVQUFVLEdBQUcsSUFBSSxDQUFDLFVBQVUsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEtBQUssUUFBUSxDQUFDLENBQUM7UUFDbEUsQ0FBQyxDQUFDO0lBQ04sQ0FBQzs7OztJQUVELFdBQVc7UUFDUCxJQUFJLENBQUMsVUFBVSxHQUFHLEVBQUUsQ0FBQztJQUN6QixDQUFDOzs7OztJQUVELEtBQUssQ0FBQyxPQUFlO1FBQ2pCLElBQUksQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBQzlCLENBQUM7Ozs7OztJQUtELFFBQVEsQ0FBQyxPQUF5QjtRQUM5QixLQUFLLE1BQU0sUUFBUSxJQUFJLElBQUksQ0FBQyxVQUFVLENBQUMsS0FBSyxFQUFFLEVBQUU7WUFDNUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1NBQ3JCO0lBQ0wsQ0FBQzs7Ozs7O0lBS0QsWUFBWSxDQUFDLFFBQWdCO1FBQ3pCLElBQUksQ0FBQyxRQUFRLENBQUM7WUFDVixJQUFJLEVBQUUsVUFBVTtZQUNoQixPQUFPLEVBQUUsRUFBRSxJQUFJLEVBQUUsZ0JBQWdCLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRTtZQUN2RCxLQUFLLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDO1NBQy9DLENBQUMsQ0FBQztJQUNQLENBQUM7Q0FDSjs7O0lBMURHLDBDQUFvQjs7SUFFcEIseUNBQW1COztJQUNuQix5Q0FBc0I7Ozs7O0lBRXRCLDZDQUErRDs7SUFFbkQsdUNBQW1COzs7Ozs7QUEwRG5DLE1BQU0sT0FBTyxhQUFhO0lBSXRCO1FBQ0ksSUFBSSxDQUFDLFdBQVcsR0FBRyxFQUFFLENBQUM7SUFDMUIsQ0FBQzs7Ozs7SUFFRCxPQUFPLENBQUMsT0FBMkI7O2NBQ3pCLFVBQVUsR0FBRyxJQUFJLHVCQUF1QixDQUFDLE9BQU8sSUFBSSxPQUFPLENBQUMsSUFBSSxDQUFDO1FBQ3ZFLElBQUksQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDO1FBQ2xDLE9BQU8sVUFBVSxDQUFDO0lBQ3RCLENBQUM7Q0FDSjs7O0lBWEcsb0NBQTRDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAZmlsZU92ZXJ2aWV3XG4gKiBQcm92aWRlcyB0aGUgaW5zcGVjdG9yIHdoaWNoIHJlY29yZHMgd2hhdCBhIGZpbml0ZSBzdGF0ZSBtYWNoaW5lIGRvZXMsXG4gKiBzdXBwb3J0cyBqdW1waW5nIGJhY2sgdG8gYW55IHJlY29yZGVkIHBvaW50LCBhbmQgdGFsa3MgdG8gdGhlIFJlZHV4XG4gKiBEZXZUb29scyBleHRlbnNpb24sIG9yIHRvIGEgbG9jYWwgc3RhbmQtaW4gb2YgaXQuXG4gKiBAYXV0aG9yIFhpYW9sb25nIFRhbmcgPHh4bG9uZ3RhbmdAZ21haWwuY29tPlxuICogQGxpY2Vuc2UgQ29weXJpZ2h0IEBtZVxuICovXG5pbXBvcnQgeyBTdWJzY3JpcHRpb24gfSBmcm9tICdyeGpzJztcbmltcG9ydCB7XG4gICAgRmluaXRlU3RhdGVNYWNoaW5lLFxuICAgIElDb250ZXh0Q2hhbmdlRXZlbnQsXG4gICAgSUVycm9yRXZlbnQsXG4gICAgSUxpZmVDeWNsZUV2ZW50LFxuICAgIElTbmFwc2hvdFxufSBmcm9tICcuL2Zpbml0ZS1zdGF0ZS1tYWNoaW5lJztcblxuY29uc3QgZGVmYXVsdE1heFJlY29yZHMgPSA1MDA7XG5cbi8qKlxuICogRGVzY3JpYmVzIGEgbWVzc2FnZSBzZW50IGJ5IHRoZSBEZXZUb29scyBleHRlbnNpb24uXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgSURldlRvb2xzTWVzc2FnZSB7XG4gICAgdHlwZTogc3RyaW5nO1xuICAgIHBheWxvYWQ/OiBhbnk7XG4gICAgc3RhdGU/OiBzdHJpbmc7XG59XG5cbi8qKlxuICogRGVzY3JpYmVzIGEgY29ubmVjdGlvbiB0byB0aGUgRGV2VG9vbHMgZXh0ZW5zaW9uLFxuICogYXMgcmV0dXJuZWQgYnkgaXRzIGNvbm5lY3QgbWV0aG9kLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIElEZXZUb29sc0Nvbm5lY3Rpb24ge1xuICAgIGluaXQoc3RhdGU6IGFueSk6IHZvaWQ7XG4gICAgc2VuZChhY3Rpb246IGFueSwgc3RhdGU6IGFueSk6IHZvaWQ7XG4gICAgc3Vic2NyaWJlKGxpc3RlbmVyOiAobWVzc2FnZTogSURldlRvb2xzTWVzc2FnZSkgPT4gdm9pZCk6IGFueTtcbiAgICB1bnN1YnNjcmliZSgpOiB2b2lkO1xuICAgIGVycm9yKG1lc3NhZ2U6IHN0cmluZyk6IHZvaWQ7XG59XG5cbi8qKlxuICogRGVzY3JpYmVzIHRoZSBEZXZUb29scyBleHRlbnNpb24sIGkuZS4sXG4gKiB3aW5kb3cuX19SRURVWF9ERVZUT09MU19FWFRFTlNJT05fXyBpbiB0aGUgYnJvd3Nlci5cbiAqL1xuZXhwb3J0IGludGVyZmFjZSBJRGV2VG9vbHNFeHRlbnNpb24ge1xuICAgIGNvbm5lY3Qob3B0aW9ucz86IHsgbmFtZT86IHN0cmluZyB9KTogSURldlRvb2xzQ29ubmVjdGlvbjtcbn1cblxuLyoqXG4gKiBEZXNjcmliZXMgd2hhdCB0aGUgbWFjaGluZSBkb2VzIGF0IHNvbWUgcG9pbnQuXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgSUluc3BlY3RvclJlY29yZCB7XG4gICAgLy8gVGhlIG51bWJlciBvZiB0aGUgcmVjb3JkLCBjb3VudGluZyBmcm9tIHRoZSBzdGFydCwgd2hpY2ggaXNcbiAgICAvLyBudW1iZXJlZCAwOyBpdCBpcyB0aGUgaWQgb2YgdGhlIGFjdGlvbiBpbiB0aGUgRGV2VG9vbHMgZXh0ZW5zaW9uLlxuICAgIGlkPzogbnVtYmVyO1xuICAgIC8vIE9uZSBvZiAnc3RhcnQnLCAndHJhbnNpdGlvbicsICdjb250ZXh0JyBhbmQgJ2Vycm9yJ1xuICAgIHR5cGU6IHN0cmluZztcbiAgICB0cmFuc2l0aW9uPzogc3RyaW5nO1xuICAgIGV2ZW50Pzogc3RyaW5nO1xuICAgIGZyb20/OiBzdHJpbmc7XG4gICAgdG8/OiBzdHJpbmc7XG4gICAgcGF5bG9hZD86IGFueTtcbiAgICBlcnJvcj86IGFueTtcbiAgICAvLyBUaGUgY29udGV4dCBkYXRhIGFmdGVyIHRoZSByZWNvcmRcbiAgICBjb250ZXh0OiBhbnk7XG4gICAgLy8gVGhlIGNvbnRleHQgZGF0YSBiZWZvcmUgdGhlIHJlY29yZCwgZm9yIGEgY2hhbmdlIG9mIHRoZSBjb250ZXh0IGRhdGFcbiAgICBwcmV2aW91cz86IGFueTtcbiAgICAvLyBUaGUgcnVubmluZyBzdGF0dXMgYWZ0ZXIgdGhlIHJlY29yZCwgd2hpY2ggbWF5IGJlIGp1bXBlZCBiYWNrIHRvO1xuICAgIC8vIG1pc3NpbmcgZm9yIHRoZSByZWNvcmRzIGluIHRoZSBtaWRkbGUgb2YgYSB0cmFuc2l0aW9uLlxuICAgIHNuYXBzaG90PzogSVNuYXBzaG90O1xuICAgIC8vIFRoZSB0aW1lIGluIG1pbGxpc2Vjb25kcyBzaW5jZSB0aGUgZXBvY2hcbiAgICB0aW1lc3RhbXA6IG51bWJlcjtcbn1cblxuLyoqXG4gKiBPcHRpb25zIGZvciBpbnNwZWN0aW5nIGEgbWFjaGluZS5cbiAqL1xuZXhwb3J0IGludGVyZmFjZSBJSW5zcGVjdG9yT3B0aW9ucyB7XG4gICAgLy8gVGhlIG5hbWUgc2hvd24gaW4gdGhlIERldlRvb2xzIGV4dGVuc2lvblxuICAgIG5hbWU/OiBzdHJpbmc7XG4gICAgLy8gVGhlIERldlRvb2xzIGV4dGVuc2lvbjsgYnkgZGVmYXVsdCwgdGhlIGJyb3dzZXIgZXh0ZW5zaW9uIGlmIGluc3RhbGxlZC5cbiAgICBkZXZUb29scz86IElEZXZUb29sc0V4dGVuc2lvbjtcbiAgICAvLyBIb3cgbWFueSByZWNvcmRzIGFyZSBrZXB0IGF0IG1vc3Q7IHRoZSBvbGRlc3Qgb25lcyBidXQgdGhlIHN0YXJ0XG4gICAgLy8gYXJlIGRyb3BwZWQgZmlyc3QuXG4gICAgbWF4UmVjb3Jkcz86IG51bWJlcjtcbn1cblxuLyoqXG4gKiBSZXR1cm5zIHRoZSBEZXZUb29scyBleHRlbnNpb24gaW5zdGFsbGVkIGluIHRoZSBicm93c2VyLCBpZiBhbnkuXG4gKi9cbmZ1bmN0aW9uIGJyb3dzZXJEZXZUb29scygpOiBJRGV2VG9vbHNFeHRlbnNpb24ge1xuICAgIGNvbnN0IHJvb3Q6IGFueSA9IHR5cGVvZiB3aW5kb3cgIT09ICd1bmRlZmluZWQnID8gd2luZG93IDogbnVsbDtcbiAgICByZXR1cm4gKHJvb3QgJiYgcm9vdFsnX19SRURVWF9ERVZUT09MU19FWFRFTlNJT05fXyddKSB8fCBudWxsO1xufVxuXG4vKipcbiAqIFJlcHJlc2VudHMgdGhlIGluc3BlY3RvciBvZiBhIHN0YXJ0ZWQgbWFjaGluZS4gRXZlcnkgdHJhbnNpdGlvbiwgd2l0aFxuICogaXRzIGV2ZW50IGFuZCBwYXlsb2FkLCBldmVyeSBjaGFuZ2Ugb2YgdGhlIGNvbnRleHQgZGF0YSBhbmQgZXZlcnkgZXJyb3JcbiAqIGlzIHJlY29yZGVkLCBhbmQgZm9yd2FyZGVkIHRvIHRoZSBEZXZUb29scyBleHRlbnNpb24gYXMgYW4gYWN0aW9uLlxuICogSnVtcGluZyB0byBhIHJlY29yZCwgZWl0aGVyIGZyb20gdGhlIGNvZGUgb3IgZnJvbSB0aGUgZXh0ZW5zaW9uLFxuICogcmVzdG9yZXMgdGhlIG1hY2hpbmUgdG8gaXRzIHJ1bm5pbmcgc3RhdHVzIGF0IHRoYXQgcG9pbnQuXG4gKiBAY2xhc3MgTWFjaGluZUluc3BlY3RvclxuICovXG5leHBvcnQgY2xhc3MgTWFjaGluZUluc3BlY3RvciB7XG5cbiAgICBwcml2YXRlIF9tYWNoaW5lOiBGaW5pdGVTdGF0ZU1hY2hpbmU8YW55LCBhbnksIGFueSwgYm9vbGVhbj47XG4gICAgcHJpdmF0ZSBfcmVjb3JkczogQXJyYXk8SUluc3BlY3RvclJlY29yZD47XG4gICAgcHJpdmF0ZSBfbmV4dElkOiBudW1iZXI7XG4gICAgcHJpdmF0ZSBfbWF4UmVjb3JkczogbnVtYmVyO1xuICAgIHByaXZhdGUgX2Nvbm5lY3Rpb246IElEZXZUb29sc0Nvbm5lY3Rpb247XG4gICAgcHJpdmF0ZSBfc3Vic2NyaXB0aW9uczogQXJyYXk8U3Vic2NyaXB0aW9uPjtcbiAgICBwcml2YXRlIF9jb250ZXh0SGFuZGxlcjogKGNoYW5nZTogSUNvbnRleHRDaGFuZ2VFdmVudCkgPT4gdm9pZDtcblxuICAgIGNvbnN0cnVjdG9yKG1hY2hpbmU6IEZpbml0ZVN0YXRlTWFjaGluZTxhbnksIGFueSwgYW55LCBib29sZWFuPiwgb3B0aW9ucz86IElJbnNwZWN0b3JPcHRpb25zKSB7XG4gICAgICAgIG9wdGlvbnMgPSBvcHRpb25zIHx8IHt9O1xuICAgICAgICB0aGlzLl9tYWNoaW5lID0gbWFjaGluZTtcbiAgICAgICAgdGhpcy5fcmVjb3JkcyA9IFtdO1xuICAgICAgICB0aGlzLl9uZXh0SWQgPSAwO1xuICAgICAgICB0aGlzLl9tYXhSZWNvcmRzID0gb3B0aW9ucy5tYXhSZWNvcmRzIHx8IGRlZmF1bHRNYXhSZWNvcmRzO1xuICAgICAgICB0aGlzLl9zdWJzY3JpcHRpb25zID0gW107XG4gICAgICAgIHRoaXMuX2NvbnRleHRIYW5kbGVyID0gKGNoYW5nZSkgPT4gdGhpcy5vbkNvbnRleHRDaGFuZ2UoY2hhbmdlKTtcblxuICAgICAgICBjb25zdCBkZXZUb29scyA9IG9wdGlvbnMuZGV2VG9vbHMgfHwgYnJvd3NlckRldlRvb2xzKCk7XG4gICAgICAgIHRoaXMuX2Nvbm5lY3Rpb24gPSBkZXZUb29scyA/IGRldlRvb2xzLmNvbm5lY3QoeyBuYW1lOiBvcHRpb25zLm5hbWUgfHwgJ0Zpbml0ZVN0YXRlTWFjaGluZScgfSkgOiBudWxsO1xuXG4gICAgICAgIHRoaXMuYXBwZW5kKHtcbiAgICAgICAgICAgIHR5cGU6ICdzdGFydCcsXG4gICAgICAgICAgICBjb250ZXh0OiBtYWNoaW5lLmdldENvbnRleHQoKSxcbiAgICAgICAgICAgIHNuYXBzaG90OiBtYWNoaW5lLnNuYXBzaG90KCksXG4gICAgICAgICAgICB0aW1lc3RhbXA6IERhdGUubm93KClcbiAgICAgICAgfSk7XG4gICAgICAgIGlmICh0aGlzLl9jb25uZWN0aW9uKSB7XG4gICAgICAgICAgICB0aGlzLl9jb25uZWN0aW9uLmluaXQodGhpcy5zdGF0ZU9mKHRoaXMuX3JlY29yZHNbMF0pKTtcbiAgICAgICAgICAgIHRoaXMuX2Nvbm5lY3Rpb24uc3Vic2NyaWJlKChtZXNzYWdlKSA9PiB0aGlzLm9uTWVzc2FnZShtZXNzYWdlKSk7XG4gICAgICAgIH1cbiAgICAgICAgbWFjaGluZS5vbkNvbnRleHRDaGFuZ2UodGhpcy5fY29udGV4dEhhbmRsZXIpO1xuICAgICAgICB0aGlzLl9zdWJzY3JpcHRpb25zLnB1c2gobWFjaGluZS50cmFuc2l0aW9ucyQuc3Vic2NyaWJlKChldmVudCkgPT4gdGhpcy5vblRyYW5zaXRpb24oZXZlbnQpKSk7XG4gICAgICAgIHRoaXMuX3N1YnNjcmlwdGlvbnMucHVzaChtYWNoaW5lLmVycm9ycyQuc3Vic2NyaWJlKChldmVudCkgPT4gdGhpcy5vbkVycm9yKGV2ZW50KSkpO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJldHVybnMgdGhlIHJlY29yZHMsIHRoZSBzdGFydCBmaXJzdC5cbiAgICAgKi9cbiAgICByZWNvcmRzKCk6IEFycmF5PElJbnNwZWN0b3JSZWNvcmQ+IHtcbiAgICAgICAgcmV0dXJuIHRoaXMuX3JlY29yZHMuc2xpY2UoKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZXN0b3JlcyB0aGUgbWFjaGluZSB0byBpdHMgcnVubmluZyBzdGF0dXMgYXQgdGhlIHJlY29yZCBvZlxuICAgICAqIHRoZSBnaXZlbiBpZC4gQSByZWNvcmQgd2l0aG91dCBhIHNuYXBzaG90IGlzIHRha2VuIGFzIHRoZSBjbG9zZXN0XG4gICAgICogcmVjb3JkIGJlZm9yZSBpdCB3aXRoIGEgc25hcHNob3QuIEEgcmVjb3JkIHdoaWNoIGhhcyBiZWVuIGRyb3BwZWRcbiAgICAgKiBjYW5ub3QgYmUganVtcGVkIHRvLlxuICAgICAqL1xuICAgIGp1bXBUbyhpZDogbnVtYmVyKSB7XG4gICAgICAgIGNvbnN0IHJlY29yZHMgPSB0aGlzLl9yZWNvcmRzO1xuICAgICAgICBsZXQgaSA9IHJlY29yZHMubGVuZ3RoIC0gMTtcbiAgICAgICAgd2hpbGUgKGkgPj0gMCAmJiByZWNvcmRzW2ldLmlkICE9PSBpZCkge1xuICAgICAgICAgICAgaS0tO1xuICAgICAgICB9XG4gICAgICAgIGlmIChpIDwgMCkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKChpZCA+IDAgJiYgaWQgPCB0aGlzLl9uZXh0SWQgPyAnRHJvcHBlZCByZWNvcmQ6ICcgOiAnVW5kZWZpbmVkIHJlY29yZDogJykgKyBpZCk7XG4gICAgICAgIH1cbiAgICAgICAgd2hpbGUgKCFyZWNvcmRzW2ldLnNuYXBzaG90KSB7XG4gICAgICAgICAgICBpZiAocmVjb3Jkc1tpIC0gMV0uaWQgIT09IHJlY29yZHNbaV0uaWQgLSAxKSB7XG4gICAgICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdEcm9wcGVkIHJlY29yZDogJyArIChyZWNvcmRzW2ldLmlkIC0gMSkpO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgaS0tO1xuICAgICAgICB9XG4gICAgICAgIHRoaXMuX21hY2hpbmUucmVzdG9yZShyZWNvcmRzW2ldLnNuYXBzaG90KTtcbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogU3RvcHMgaW5zcGVjdGluZyB0aGUgbWFjaGluZS5cbiAgICAgKi9cbiAgICBkZXRhY2goKSB7XG4gICAgICAgIGZvciAoY29uc3QgcyBvZiB0aGlzLl9zdWJzY3JpcHRpb25zKSB7XG4gICAgICAgICAgICBzLnVuc3Vic2NyaWJlKCk7XG4gICAgICAgIH1cbiAgICAgICAgdGhpcy5fc3Vic2NyaXB0aW9ucyA9IFtdO1xuICAgICAgICB0aGlzLl9tYWNoaW5lLm9mZkNvbnRleHRDaGFuZ2UodGhpcy5fY29udGV4dEhhbmRsZXIpO1xuICAgICAgICBpZiAodGhpcy5fY29ubmVjdGlvbikge1xuICAgICAgICAgICAgdGhpcy5fY29ubmVjdGlvbi51bnN1YnNjcmliZSgpO1xuICAgICAgICAgICAgdGhpcy5fY29ubmVjdGlvbiA9IG51bGw7XG4gICAgICAgIH1cbiAgICB9XG5cbiAgICBwcml2YXRlIG9uVHJhbnNpdGlvbihldmVudDogSUxpZmVDeWNsZUV2ZW50KSB7XG4gICAgICAgIC8vIEFub3RoZXIgcmVnaW9uIG1heSBzdGlsbCBiZSBpbiB0aGUgbWlkZGxlIG9mIGl0cyB0cmFuc2l0aW9uXG4gICAgICAgIGNvbnN0IGlkbGUgPSB0aGlzLl9tYWNoaW5lLnN0YXR1cygpID09PSAnaWRsZSc7XG4gICAgICAgIHRoaXMuYXBwZW5kKHtcbiAgICAgICAgICAgIHR5cGU6ICd0cmFuc2l0aW9uJyxcbiAgICAgICAgICAgIHRyYW5zaXRpb246IGV2ZW50LnRyYW5zaXRpb24sXG4gICAgICAgICAgICBldmVudDogZXZlbnQuZXZlbnQsXG4gICAgICAgICAgICBmcm9tOiBldmVudC5mcm9tLFxuICAgICAgICAgICAgdG86IGV2ZW50LnRvLFxuICAgICAgICAgICAgcGF5bG9hZDogZXZlbnQucGF5bG9hZCxcbiAgICAgICAgICAgIGNvbnRleHQ6IHRoaXMuX21hY2hpbmUuZ2V0Q29udGV4dCgpLFxuICAgICAgICAgICAgc25hcHNob3Q6IGlkbGUgPyB0aGlzLl9tYWNoaW5lLnNuYXBzaG90KCkgOiB1bmRlZmluZWQsXG4gICAgICAgICAgICB0aW1lc3RhbXA6IERhdGUubm93KClcbiAgICAgICAgfSk7XG4gICAgfVxuXG4gICAgcHJpdmF0ZSBvbkNvbnRleHRDaGFuZ2UoY2hhbmdlOiBJQ29udGV4dENoYW5nZUV2ZW50KSB7XG4gICAgICAgIC8vIFRoZSB0cmFuc2l0aW9uIGlzIHN0aWxsIGluIHByb2dyZXNzXG4gICAgICAgIHRoaXMuYXBwZW5kKHtcbiAgICAgICAgICAgIHR5cGU6ICdjb250ZXh0JyxcbiAgICAgICAgICAgIHRyYW5zaXRpb246IGNoYW5nZS5saWZlY3ljbGUudHJhbnNpdGlvbixcbiAgICAgICAgICAgIHBheWxvYWQ6IGNoYW5nZS5saWZlY3ljbGUucGF5bG9hZCxcbiAgICAgICAgICAgIGNvbnRleHQ6IGNoYW5nZS5jb250ZXh0LFxuICAgICAgICAgICAgcHJldmlvdXM6IGNoYW5nZS5wcmV2aW91cyxcbiAgICAgICAgICAgIHRpbWVzdGFtcDogRGF0ZS5ub3coKVxuICAgICAgICB9KTtcbiAgICB9XG5cbiAgICBwcml2YXRlIG9uRXJyb3IoZXZlbnQ6IElFcnJvckV2ZW50KSB7XG4gICAgICAgIHRoaXMuYXBwZW5kKHtcbiAgICAgICAgICAgIHR5cGU6ICdlcnJvcicsXG4gICAgICAgICAgICB0cmFuc2l0aW9uOiBldmVudC5uYW1lLFxuICAgICAgICAgICAgZnJvbTogZXZlbnQuZnJvbSxcbiAgICAgICAgICAgIHRvOiBldmVudC50byxcbiAgICAgICAgICAgIGVycm9yOiBldmVudC5lcnJvcixcbiAgICAgICAgICAgIGNvbnRleHQ6IHRoaXMuX21hY2hpbmUuZ2V0Q29udGV4dCgpLFxuICAgICAgICAgICAgdGltZXN0YW1wOiBEYXRlLm5vdygpXG4gICAgICAgIH0pO1xuICAgICAgICBpZiAodGhpcy5fY29ubmVjdGlvbikge1xuICAgICAgICAgICAgdGhpcy5fY29ubmVjdGlvbi5lcnJvcignVHJhbnNpdGlvbiAnICsgZXZlbnQubmFtZSArICcgZnJvbSAnICsgZXZlbnQuZnJvbSArICcgdG8gJyArIGV2ZW50LnRvICsgJyBmYWlscy4nKTtcbiAgICAgICAgfVxuICAgIH1cblxuICAgIHByaXZhdGUgYXBwZW5kKHJlY29yZDogSUluc3BlY3RvclJlY29yZCkge1xuICAgICAgICByZWNvcmQuaWQgPSB0aGlzLl9uZXh0SWQrKztcbiAgICAgICAgdGhpcy5fcmVjb3Jkcy5wdXNoKHJlY29yZCk7XG4gICAgICAgIGlmICh0aGlzLl9yZWNvcmRzLmxlbmd0aCA+IHRoaXMuX21heFJlY29yZHMpIHtcbiAgICAgICAgICAgIC8vIEtlZXAgdGhlIHN0YXJ0LCB3aGljaCBtYXkgYWx3YXlzIGJlIGp1bXBlZCB0b1xuICAgICAgICAgICAgdGhpcy5fcmVjb3Jkcy5zcGxpY2UoMSwgMSk7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKHRoaXMuX2Nvbm5lY3Rpb24gJiYgcmVjb3JkLnR5cGUgIT09ICdzdGFydCcpIHtcbiAgICAgICAgICAgIHRoaXMuX2Nvbm5lY3Rpb24uc2VuZCh0aGlzLmFjdGlvbk9mKHJlY29yZCksIHRoaXMuc3RhdGVPZihyZWNvcmQpKTtcbiAgICAgICAgfVxuICAgIH1cblxuICAgIHByaXZhdGUgYWN0aW9uT2YocmVjb3JkOiBJSW5zcGVjdG9yUmVjb3JkKSB7XG4gICAgICAgIHJldHVybiB7XG4gICAgICAgICAgICB0eXBlOiByZWNvcmQudHlwZSA9PT0gJ3RyYW5zaXRpb24nID8gKHJlY29yZC5ldmVudCB8fCByZWNvcmQudHJhbnNpdGlvbikgOiByZWNvcmQudHlwZSArICc6ICcgKyByZWNvcmQudHJhbnNpdGlvbixcbiAgICAgICAgICAgIHRyYW5zaXRpb246IHJlY29yZC50cmFuc2l0aW9uLFxuICAgICAgICAgICAgZnJvbTogcmVjb3JkLmZyb20sXG4gICAgICAgICAgICB0bzogcmVjb3JkLnRvLFxuICAgICAgICAgICAgcGF5bG9hZDogcmVjb3JkLnBheWxvYWRcbiAgICAgICAgfTtcbiAgICB9XG5cbiAgICBwcml2YXRlIHN0YXRlT2YocmVjb3JkOiBJSW5zcGVjdG9yUmVjb3JkKSB7XG4gICAgICAgIHJldHVybiB7XG4gICAgICAgICAgICBzdGF0ZTogcmVjb3JkLnNuYXBzaG90ID8gcmVjb3JkLnNuYXBzaG90LnN0YXRlIDogdGhpcy5fbWFjaGluZS5jb25maWd1cmF0aW9uKCksXG4gICAgICAgICAgICBjb250ZXh0OiByZWNvcmQuY29udGV4dFxuICAgICAgICB9O1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIEhhbmRsZXMgdGhlIG1lc3NhZ2VzIGZyb20gdGhlIERldlRvb2xzIGV4dGVuc2lvbi4gVGhlIGFjdGlvbnMgYXJlXG4gICAgICogbnVtYmVyZWQgZnJvbSB0aGUgc3RhcnQsIHdoaWNoIGlzIG51bWJlcmVkIDAsIGFzIHRoZSByZWNvcmRzIGFyZSxcbiAgICAgKiBzbyB0aGF0IGFuIGFjdGlvbiBpcyBmb3VuZCBieSB0aGUgaWQgb2YgaXRzIHJlY29yZC4gSnVtcGluZyB0b1xuICAgICAqIGFuIGFjdGlvbiB3aG9zZSByZWNvcmQgaGFzIGJlZW4gZHJvcHBlZCBpcyByZXBvcnRlZCBiYWNrIGFzIGFuIGVycm9yLlxuICAgICAqL1xuICAgIHByaXZhdGUgb25NZXNzYWdlKG1lc3NhZ2U6IElEZXZUb29sc01lc3NhZ2UpIHtcbiAgICAgICAgaWYgKG1lc3NhZ2UudHlwZSAhPT0gJ0RJU1BBVENIJyB8fCAhbWVzc2FnZS5wYXlsb2FkKSB7XG4gICAgICAgICAgICByZXR1cm47XG4gICAgICAgIH1cbiAgICAgICAgc3dpdGNoIChtZXNzYWdlLnBheWxvYWQudHlwZSkge1xuICAgICAgICAgICAgY2FzZSAnSlVNUF9UT19TVEFURSc6XG4gICAgICAgICAgICBjYXNlICdKVU1QX1RPX0FDVElPTic6XG4gICAgICAgICAgICAgICAgdHJ5IHtcbiAgICAgICAgICAgICAgICAgICAgdGhpcy5qdW1wVG8obWVzc2FnZS5wYXlsb2FkLmFjdGlvbklkKTtcbiAgICAgICAgICAgICAgICB9IGNhdGNoIChlKSB7XG4gICAgICAgICAgICAgICAgICAgIHRoaXMuX2Nvbm5lY3Rpb24uZXJyb3IoZS5tZXNzYWdlKTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICAgICAgYnJlYWs7XG4gICAgICAgICAgICBjYXNlICdSRVNFVCc6XG4gICAgICAgICAgICAgICAgdGhpcy5qdW1wVG8oMCk7XG4gICAgICAgICAgICAgICAgdGhpcy5jb21taXQoKTtcbiAgICAgICAgICAgICAgICBicmVhaztcbiAgICAgICAgICAgIGNhc2UgJ0NPTU1JVCc6XG4gICAgICAgICAgICAgICAgdGhpcy5jb21taXQoKTtcbiAgICAgICAgICAgICAgICBicmVhaztcbiAgICAgICAgfVxuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFRha2VzIHRoZSBjdXJyZW50IHN0YXR1cyBhcyB0aGUgbmV3IHN0YXJ0LlxuICAgICAqL1xuICAgIHByaXZhdGUgY29tbWl0KCkge1xuICAgICAgICB0aGlzLl9yZWNvcmRzID0gW107XG4gICAgICAgIHRoaXMuX25leHRJZCA9IDA7XG4gICAgICAgIHRoaXMuYXBwZW5kKHtcbiAgICAgICAgICAgIHR5cGU6ICdzdGFydCcsXG4gICAgICAgICAgICBjb250ZXh0OiB0aGlzLl9tYWNoaW5lLmdldENvbnRleHQoKSxcbiAgICAgICAgICAgIHNuYXBzaG90OiB0aGlzLl9tYWNoaW5lLnNuYXBzaG90KCksXG4gICAgICAgICAgICB0aW1lc3RhbXA6IERhdGUubm93KClcbiAgICAgICAgfSk7XG4gICAgICAgIGlmICh0aGlzLl9jb25uZWN0aW9uKSB7XG4gICAgICAgICAgICB0aGlzLl9jb25uZWN0aW9uLmluaXQodGhpcy5zdGF0ZU9mKHRoaXMuX3JlY29yZHNbMF0pKTtcbiAgICAgICAgfVxuICAgIH1cbn1cblxuLyoqXG4gKiBSZXByZXNlbnRzIGEgY29ubmVjdGlvbiBvZiB0aGUgbG9jYWwgc3RhbmQtaW4gb2YgdGhlIERldlRvb2xzIGV4dGVuc2lvbi5cbiAqIEBjbGFzcyBMb2NhbERldlRvb2xzQ29ubmVjdGlvblxuICovXG5leHBvcnQgY2xhc3MgTG9jYWxEZXZUb29sc0Nvbm5lY3Rpb24gaW1wbGVtZW50cyBJRGV2VG9vbHNDb25uZWN0aW9uIHtcblxuICAgIC8vIFRoZSBhY3Rpb25zIHJlY2VpdmVkLCB0aGUgc3RhcnQgYmVpbmcgbnVsbFxuICAgIGFjdGlvbnM6IEFycmF5PGFueT47XG4gICAgLy8gVGhlIHN0YXRlcyByZWNlaXZlZCwgdGhlIGluaXRpYWwgb25lIGZpcnN0XG4gICAgc3RhdGVzOiBBcnJheTxhbnk+O1xuICAgIGVycm9yczogQXJyYXk8c3RyaW5nPjtcblxuICAgIHByaXZhdGUgX2xpc3RlbmVyczogQXJyYXk8KG1lc3NhZ2U6IElEZXZUb29sc01lc3NhZ2UpID0+IHZvaWQ+O1xuXG4gICAgY29uc3RydWN0b3IocHVibGljIG5hbWU6IHN0cmluZykge1xuICAgICAgICB0aGlzLmFjdGlvbnMgPSBbXTtcbiAgICAgICAgdGhpcy5zdGF0ZXMgPSBbXTtcbiAgICAgICAgdGhpcy5lcnJvcnMgPSBbXTtcbiAgICAgICAgdGhpcy5fbGlzdGVuZXJzID0gW107XG4gICAgfVxuXG4gICAgaW5pdChzdGF0ZTogYW55KSB7XG4gICAgICAgIHRoaXMuYWN0aW9ucyA9IFtudWxsXTtcbiAgICAgICAgdGhpcy5zdGF0ZXMgPSBbc3RhdGVdO1xuICAgIH1cblxuICAgIHNlbmQoYWN0aW9uOiBhbnksIHN0YXRlOiBhbnkpIHtcbiAgICAgICAgdGhpcy5hY3Rpb25zLnB1c2goYWN0aW9uKTtcbiAgICAgICAgdGhpcy5zdGF0ZXMucHVzaChzdGF0ZSk7XG4gICAgfVxuXG4gICAgc3Vic2NyaWJlKGxpc3RlbmVyOiAobWVzc2FnZTogSURldlRvb2xzTWVzc2FnZSkgPT4gdm9pZCkge1xuICAgICAgICB0aGlzLl9saXN0ZW5lcnMucHVzaChsaXN0ZW5lcik7XG4gICAgICAgIHJldHVybiAoKSA9PiB7XG4gICAgICAgICAgICB0aGlzLl9saXN0ZW5lcnMgPSB0aGlzLl9saXN0ZW5lcnMuZmlsdGVyKGwgPT4gbCAhPT0gbGlzdGVuZXIpO1xuICAgICAgICB9O1xuICAgIH1cblxuICAgIHVuc3Vic2NyaWJlKCkge1xuICAgICAgICB0aGlzLl9saXN0ZW5lcnMgPSBbXTtcbiAgICB9XG5cbiAgICBlcnJvcihtZXNzYWdlOiBzdHJpbmcpIHtcbiAgICAgICAgdGhpcy5lcnJvcnMucHVzaChtZXNzYWdlKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBEZWxpdmVycyBhIG1lc3NhZ2UgYXMgaWYgaXQgd2VyZSBzZW50IGJ5IHRoZSBleHRlbnNpb24uXG4gICAgICovXG4gICAgZGlzcGF0Y2gobWVzc2FnZTogSURldlRvb2xzTWVzc2FnZSkge1xuICAgICAgICBmb3IgKGNvbnN0IGxpc3RlbmVyIG9mIHRoaXMuX2xpc3RlbmVycy5zbGljZSgpKSB7XG4gICAgICAgICAgICBsaXN0ZW5lcihtZXNzYWdlKTtcbiAgICAgICAgfVxuICAgIH1cblxuICAgIC8qKlxuICAgICAqIEFza3MgdG8ganVtcCB0byB0aGUgZ2l2ZW4gYWN0aW9uLCBhcyB0aGUgZXh0ZW5zaW9uIGRvZXMuXG4gICAgICovXG4gICAganVtcFRvQWN0aW9uKGFjdGlvbklkOiBudW1iZXIpIHtcbiAgICAgICAgdGhpcy5kaXNwYXRjaCh7XG4gICAgICAgICAgICB0eXBlOiAnRElTUEFUQ0gnLFxuICAgICAgICAgICAgcGF5bG9hZDogeyB0eXBlOiAnSlVNUF9UT19BQ1RJT04nLCBhY3Rpb25JZDogYWN0aW9uSWQgfSxcbiAgICAgICAgICAgIHN0YXRlOiBKU09OLnN0cmluZ2lmeSh0aGlzLnN0YXRlc1thY3Rpb25JZF0pXG4gICAgICAgIH0pO1xuICAgIH1cbn1cblxuLyoqXG4gKiBSZXByZXNlbnRzIGFuIGluLXByb2Nlc3Mgc3RhbmQtaW4gb2YgdGhlIERldlRvb2xzIGV4dGVuc2lvbixcbiAqIGUuZy4sIGZvciB0ZXN0cy5cbiAqIEBjbGFzcyBMb2NhbERldlRvb2xzXG4gKi9cbmV4cG9ydCBjbGFzcyBMb2NhbERldlRvb2xzIGltcGxlbWVudHMgSURldlRvb2xzRXh0ZW5zaW9uIHtcblxuICAgIGNvbm5lY3Rpb25zOiBBcnJheTxMb2NhbERldlRvb2xzQ29ubmVjdGlvbj47XG5cbiAgICBjb25zdHJ1Y3RvcigpIHtcbiAgICAgICAgdGhpcy5jb25uZWN0aW9ucyA9IFtdO1xuICAgIH1cblxuICAgIGNvbm5lY3Qob3B0aW9ucz86IHsgbmFtZT86IHN0cmluZyB9KSB7XG4gICAgICAgIGNvbnN0IGNvbm5lY3Rpb24gPSBuZXcgTG9jYWxEZXZUb29sc0Nvbm5lY3Rpb24ob3B0aW9ucyAmJiBvcHRpb25zLm5hbWUpO1xuICAgICAgICB0aGlzLmNvbm5lY3Rpb25zLnB1c2goY29ubmVjdGlvbik7XG4gICAgICAgIHJldHVybiBjb25uZWN0aW9uO1xuICAgIH1cbn1cbiJdfQ==
\ No newline at end of file
@@ -0,0 +1,349 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * @fileOverview
+ * Provides the declarative (JSON) definition of a finite state machine,
+ * together with its schema and validation.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+// The format version of definitions
+/** @type {?} */
+export const definitionVersion = 1;
+/** @type {?} */
+const stateSeparator = '.';
+/**
+ * Describes a state. The callbacks are referred to by their names
+ * in the map of implementations.
+ * @record
+ */
+export function IStateDefinition() { }
+if (false) {
+    /** @type {?} */
+    IStateDefinition.prototype.name;
+    /** @type {?|undefined} */
+    IStateDefinition.prototype.parent;
+    /** @type {?|undefined} */
+    IStateDefinition.prototype.initial;
+    /** @type {?|undefined} */
+    IStateDefinition.prototype.region;
+    /** @type {?|undefined} */
+    IStateDefinition.prototype.final;
+    /** @type {?|undefined} */
+    IStateDefinition.prototype.onEnter;
+    /** @type {?|undefined} */
+    IStateDefinition.prototype.onLeave;
+}
+/**
+ * Describes a history pseudo-state of a compound state.
+ * @record
+ */
+export function IHistoryStateDefinition() { }
+if (false) {
+    /** @type {?} */
+    IHistoryStateDefinition.prototype.name;
+    /** @type {?} */
+    IHistoryStateDefinition.prototype.parent;
+    /** @type {?|undefined} */
+    IHistoryStateDefinition.prototype.deep;
+    /** @type {?|undefined} */
+    IHistoryStateDefinition.prototype.defaultTarget;
+}
+/**
+ * Describes a transition. The guard and the callbacks are referred to
+ * by their names in the map of implementations. The assign option is
+ * either the name of an implementation, or an object of the properties
+ * to be updated. The delay is given in milliseconds. The compensation
+ * is the state to go back to when the transition is undone. A self-transition
+ * may be internal, i.e., its state is neither left nor re-entered.
+ * @record
+ */
+export function ITransitionDefinition() { }
+if (false) {
+    /** @type {?} */
+    ITransitionDefinition.prototype.from;
+    /** @type {?} */
+    ITransitionDefinition.prototype.to;
+    /** @type {?|undefined} */
+    ITransitionDefinition.prototype.event;
+    /** @type {?|undefined} */
+    ITransitionDefinition.prototype.guard;
+    /** @type {?|undefined} */
+    ITransitionDefinition.prototype.onBefore;
+    /** @type {?|undefined} */
+    ITransitionDefinition.prototype.onAfter;
+    /** @type {?|undefined} */
+    ITransitionDefinition.prototype.assign;
+    /** @type {?|undefined} */
+    ITransitionDefinition.prototype.delay;
+    /** @type {?|undefined} */
+    ITransitionDefinition.prototype.compensation;
+    /** @type {?|undefined} */
+    ITransitionDefinition.prototype.internal;
+}
+/**
+ * Describes an orthogonal region.
+ * @record
+ */
+export function IRegionDefinition() { }
+if (false) {
+    /** @type {?} */
+    IRegionDefinition.prototype.name;
+    /** @type {?} */
+    IRegionDefinition.prototype.initial;
+}
+/**
+ * Describes a finite state machine in plain JSON data.
+ * @record
+ */
+export function IMachineDefinition() { }
+if (false) {
+    /** @type {?|undefined} */
+    IMachineDefinition.prototype.version;
+    /** @type {?|undefined} */
+    IMachineDefinition.prototype.initial;
+    /** @type {?|undefined} */
+    IMachineDefinition.prototype.asyncMode;
+    /** @type {?|undefined} */
+    IMachineDefinition.prototype.sameStatePolicy;
+    /** @type {?|undefined} */
+    IMachineDefinition.prototype.context;
+    /** @type {?|undefined} */
+    IMachineDefinition.prototype.regions;
+    /** @type {?} */
+    IMachineDefinition.prototype.states;
+    /** @type {?|undefined} */
+    IMachineDefinition.prototype.historyStates;
+    /** @type {?|undefined} */
+    IMachineDefinition.prototype.transitions;
+}
+/**
+ * Describes a problem found in a definition. The path is
+ * a JSON pointer to the offending part, e.g., '/transitions/2/to'.
+ * @record
+ */
+export function IDefinitionProblem() { }
+if (false) {
+    /** @type {?} */
+    IDefinitionProblem.prototype.path;
+    /** @type {?} */
+    IDefinitionProblem.prototype.message;
+}
+/**
+ * Represents a failure of building or exporting a definition.
+ * All the problems found are given, rather than the first one.
+ */
+export class DefinitionError extends Error {
+    /**
+     * @param {?} errors
+     */
+    constructor(errors) {
+        super('Invalid definition: ' + errors.map(e => (e.path || '/') + ' ' + e.message).join('; '));
+        // Restore the prototype chain, which is broken by
+        // extending the builtin Error in ES5.
+        Object.setPrototypeOf(this, DefinitionError.prototype);
+        this.name = 'DefinitionError';
+        this.errors = errors;
+    }
+}
+if (false) {
+    /** @type {?} */
+    DefinitionError.prototype.errors;
+}
+/** @type {?} */
+const nameSchema = { type: 'string', minLength: 1 };
+/**
+ * The JSON schema of definitions. Only the subset of JSON schema
+ * used here is supported by the validation below.
+ * @type {?}
+ */
+export const machineDefinitionSchema = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    type: 'object',
+    required: ['states'],
+    additionalProperties: false,
+    properties: {
+        version: { type: 'integer', enum: [definitionVersion] },
+        initial: nameSchema,
+        asyncMode: { type: 'boolean' },
+        sameStatePolicy: { type: 'string', enum: ['ignore', 'error', 'reenter'] },
+        context: {},
+        regions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'initial'],
+                additionalProperties: false,
+                properties: {
+                    name: nameSchema,
+                    initial: nameSchema
+                }
+            }
+        },
+        states: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name'],
+                additionalProperties: false,
+                properties: {
+                    name: nameSchema,
+                    parent: nameSchema,
+                    initial: nameSchema,
+                    region: nameSchema,
+                    final: { type: 'boolean' },
+                    onEnter: nameSchema,
+                    onLeave: nameSchema
+                }
+            }
+        },
+        historyStates: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'parent'],
+                additionalProperties: false,
+                properties: {
+                    name: nameSchema,
+                    parent: nameSchema,
+                    deep: { type: 'boolean' },
+                    defaultTarget: nameSchema
+                }
+            }
+        },
+        transitions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['from', 'to'],
+                additionalProperties: false,
+                properties: {
+                    from: nameSchema,
+                    to: nameSchema,
+                    event: nameSchema,
+                    guard: nameSchema,
+                    onBefore: nameSchema,
+                    onAfter: nameSchema,
+                    assign: { type: ['string', 'object'] },
+                    delay: { type: 'number' },
+                    compensation: nameSchema,
+                    internal: { type: 'boolean' }
+                }
+            }
+        }
+    }
+};
+/**
+ * @param {?} value
+ * @return {?}
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+}
+/**
+ * @param {?} value
+ * @param {?} type
+ * @return {?}
+ */
+function matchesType(value, type) {
+    if (type === 'integer') {
+        return typeof value === 'number' && value % 1 === 0;
+    }
+    return typeOf(value) === type;
+}
+/**
+ * Validates a value against the given schema, and collects
+ * all the problems found.
+ * @param {?} schema
+ * @param {?} value
+ * @param {?} path
+ * @param {?} errors
+ * @return {?}
+ */
+function validateValue(schema, value, path, errors) {
+    if (schema.type) {
+        /** @type {?} */
+        const types = [].concat(schema.type);
+        if (!types.some(t => matchesType(value, t))) {
+            errors.push({ path: path, message: 'must be of type ' + types.join(' or ') });
+            return;
+        }
+    }
+    if (schema.enum && schema.enum.indexOf(value) < 0) {
+        errors.push({ path: path, message: 'must be one of ' + schema.enum.join(', ') });
+    }
+    if (schema.minLength && typeof value === 'string' && value.length < schema.minLength) {
+        errors.push({ path: path, message: 'must not be shorter than ' + schema.minLength });
+    }
+    if (schema.items && Array.isArray(value)) {
+        value.forEach((elem, i) => {
+            validateValue(schema.items, elem, path + '/' + i, errors);
+        });
+    }
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach((k) => {
+            if (!value.hasOwnProperty(k)) {
+                errors.push({ path: path + '/' + k, message: 'is required' });
+            }
+        });
+        /** @type {?} */
+        const properties = schema.properties || {};
+        for (const k in value) {
+            if (value.hasOwnProperty(k)) {
+                if (properties[k]) {
+                    validateValue(properties[k], value[k], path + '/' + k, errors);
+                }
+                else if (schema.additionalProperties === false) {
+                    errors.push({ path: path + '/' + k, message: 'is not allowed' });
+                }
+            }
+        }
+    }
+}
+/**
+ * Validates a definition against the schema, and returns all the problems
+ * found. Note that the references between states, and the references
+ * to the implementations, are checked when the definition is loaded.
+ * @param {?} definition
+ * @return {?}
+ */
+export function validateDefinition(definition) {
+    /** @type {?} */
+    const errors = [];
+    validateValue(machineDefinitionSchema, definition, '', errors);
+    return errors;
+}
+/**
+ * Returns the parent of each state in a definition (null for a top-level
+ * state), following the same nesting rules as the FSM does: a state is
+ * nested either by the parent option, or by a dotted name whose prefix
+ * is a state defined earlier.
+ * @param {?} definition
+ * @return {?}
+ */
+export function parentsOf(definition) {
+    /** @type {?} */
+    const result = {};
+    definition.states.forEach(st => {
+        /** @type {?} */
+        let parent = st.parent;
+        if (!parent) {
+            /** @type {?} */
+            const pos = st.name.lastIndexOf(stateSeparator);
+            if (pos > 0 && result.hasOwnProperty(st.name.substring(0, pos))) {
+                parent = st.name.substring(0, pos);
+            }
+        }
+        result[st.name] = parent || null;
+    });
+    return result;
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibWFjaGluZS1kZWZpbml0aW9uLmpzIiwic291cmNlUm9vdCI6Im5nOi8vQHBvbHB3YXJlL2ZlLWJlaGF2aW9yLyIsInNvdXJjZXMiOlsibGliL3N0YXRlL21hY2hpbmUtZGVmaW5pdGlvbi50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7O0FBU0EsTUFBTSxPQUFPLGlCQUFpQixHQUFHLENBQUM7O01BQzVCLGNBQWMsR0FBRyxHQUFHOzs7Ozs7QUFNMUIsc0NBUUM7OztJQVBHLGdDQUFhOztJQUNiLGtDQUFnQjs7SUFDaEIsbUNBQWlCOztJQUNqQixrQ0FBZ0I7O0lBQ2hCLGlDQUFnQjs7SUFDaEIsbUNBQWlCOztJQUNqQixtQ0FBaUI7Ozs7OztBQU1yQiw2Q0FLQzs7O0lBSkcsdUNBQWE7O0lBQ2IseUNBQWU7O0lBQ2YsdUNBQWU7O0lBQ2YsZ0RBQXVCOzs7Ozs7Ozs7OztBQVczQiwyQ0FXQzs7O0lBVkcscUNBQWE7O0lBQ2IsbUNBQVc7O0lBQ1gsc0NBQWU7O0lBQ2Ysc0NBQWU7O0lBQ2YseUNBQWtCOztJQUNsQix3Q0FBaUI7O0lBQ2pCLHVDQUF5Qzs7SUFDekMsc0NBQWU7O0lBQ2YsNkNBQXNCOztJQUN0Qix5Q0FBbUI7Ozs7OztBQU12Qix1Q0FHQzs7O0lBRkcsaUNBQWE7O0lBQ2Isb0NBQWdCOzs7Ozs7QUFNcEIsd0NBV0M7OztJQVZHLHFDQUFpQjs7SUFDakIscUNBQWlCOztJQUNqQix1Q0FBb0I7O0lBRXBCLDZDQUF5Qjs7SUFDekIscUNBQWM7O0lBQ2QscUNBQW1DOztJQUNuQyxvQ0FBZ0M7O0lBQ2hDLDJDQUErQzs7SUFDL0MseUNBQTJDOzs7Ozs7O0FBTy9DLHdDQUdDOzs7SUFGRyxrQ0FBYTs7SUFDYixxQ0FBZ0I7Ozs7OztBQU9wQixNQUFNLE9BQU8sZUFBZ0IsU0FBUSxLQUFLOzs7O0lBSXRDLFlBQVksTUFBaUM7UUFDekMsS0FBSyxDQUFDLHNCQUFzQixHQUFHLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLElBQUksR0FBRyxDQUFDLEdBQUcsR0FBRyxHQUFHLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUM5RixrREFBa0Q7UUFDbEQsc0NBQXNDO1FBQ3RDLE1BQU0sQ0FBQyxjQUFjLENBQUMsSUFBSSxFQUFFLGVBQWUsQ0FBQyxTQUFTLENBQUMsQ0FBQztRQUN2RCxJQUFJLENBQUMsSUFBSSxHQUFHLGlCQUFpQixDQUFDO1FBQzlCLElBQUksQ0FBQyxNQUFNLEdBQUcsTUFBTSxDQUFDO0lBQ3pCLENBQUM7Q0FDSjs7O0lBVkcsaUNBQWtDOzs7TUFZaEMsVUFBVSxHQUFHLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFOzs7Ozs7QUFNbkQsTUFBTSxPQUFPLHVCQUF1QixHQUFHO0lBQ25DLE9BQU8sRUFBRSx5Q0FBeUM7SUFDbEQsSUFBSSxFQUFFLFFBQVE7SUFDZCxRQUFRLEVBQUUsQ0FBQyxRQUFRLENBQUM7SUFDcEIsb0JBQW9CLEVBQUUsS0FBSztJQUMzQixVQUFVLEVBQUU7UUFDUixPQUFPLEVBQUUsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxDQUFDLGlCQUFpQixDQUFDLEVBQUU7UUFDdkQsT0FBTyxFQUFFLFVBQVU7UUFDbkIsU0FBUyxFQUFFLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRTtRQUM5QixlQUFlLEVBQUUsRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRSxDQUFDLFFBQVEsRUFBRSxPQUFPLEVBQUUsU0FBUyxDQUFDLEVBQUU7UUFDekUsT0FBTyxFQUFFLEVBQUU7UUFDWCxPQUFPLEVBQUU7WUFDTCxJQUFJLEVBQUUsT0FBTztZQUNiLEtBQUssRUFBRTtnQkFDSCxJQUFJLEVBQUUsUUFBUTtnQkFDZCxRQUFRLEVBQUUsQ0FBQyxNQUFNLEVBQUUsU0FBUyxDQUFDO2dCQUM3QixvQkFBb0IsRUFBRSxLQUFLO2dCQUMzQixVQUFVLEVBQUU7b0JBQ1IsSUFBSSxFQUFFLFVBQVU7b0JBQ2hCLE9BQU8sRUFBRSxVQUFVO2lCQUN0QjthQUNKO1NBQ0o7UUFDRCxNQUFNLEVBQUU7WUFDSixJQUFJLEVBQUUsT0FBTztZQUNiLEtBQUssRUFBRTtnQkFDSCxJQUFJLEVBQUUsUUFBUTtnQkFDZCxRQUFRLEVBQUUsQ0FBQyxNQUFNLENBQUM7Z0JBQ2xCLG9CQUFvQixFQUFFLEtBQUs7Z0JBQzNCLFVBQVUsRUFBRTtvQkFDUixJQUFJLEVBQUUsVUFBVTtvQkFDaEIsTUFBTSxFQUFFLFVBQVU7b0JBQ2xCLE9BQU8sRUFBRSxVQUFVO29CQUNuQixNQUFNLEVBQUUsVUFBVTtvQkFDbEIsS0FBSyxFQUFFLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRTtvQkFDMUIsT0FBTyxFQUFFLFVBQVU7b0JBQ25CLE9BQU8sRUFBRSxVQUFVO2lCQUN0QjthQUNKO1NBQ0o7UUFDRCxhQUFhLEVBQUU7WUFDWCxJQUFJLEVBQUUsT0FBTztZQUNiLEtBQUssRUFBRTtnQkFDSCxJQUFJLEVBQUUsUUFBUTtnQkFDZCxRQUFRLEVBQUUsQ0FBQyxNQUFNLEVBQUUsUUFBUSxDQUFDO2dCQUM1QixvQkFBb0IsRUFBRSxLQUFLO2dCQUMzQixVQUFVLEVBQUU7b0JBQ1IsSUFBSSxFQUFFLFVBQVU7b0JBQ2hCLE1BQU0sRUFBRSxVQUFVO29CQUNsQixJQUFJLEVBQUUsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFO29CQUN6QixhQUFhLEVBQUUsVUFBVTtpQkFDNUI7YUFDSjtTQUNKO1FBQ0QsV0FBVyxFQUFFO1lBQ1QsSUFBSSxFQUFFLE9BQU87WUFDYixLQUFLLEVBQUU7Z0JBQ0gsSUFBSSxFQUFFLFFBQVE7Z0JBQ2QsUUFBUSxFQUFFLENBQUMsTUFBTSxFQUFFLElBQUksQ0FBQztnQkFDeEIsb0JBQW9CLEVBQUUsS0FBSztnQkFDM0IsVUFBVSxFQUFFO29CQUNSLElBQUksRUFBRSxVQUFVO29CQUNoQixFQUFFLEVBQUUsVUFBVTtvQkFDZCxLQUFLLEVBQUUsVUFBVTtvQkFDakIsS0FBSyxFQUFFLFVBQVU7b0JBQ2pCLFFBQVEsRUFBRSxVQUFVO29CQUNwQixPQUFPLEVBQUUsVUFBVTtvQkFDbkIsTUFBTSxFQUFFLEVBQUUsSUFBSSxFQUFFLENBQUMsUUFBUSxFQUFFLFFBQVEsQ0FBQyxFQUFFO29CQUN0QyxLQUFLLEVBQUUsRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFO29CQUN6QixZQUFZLEVBQUUsVUFBVTtvQkFDeEIsUUFBUSxFQUFFLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRTtpQkFDaEM7YUFDSjtTQUNKO0tBQ0o7Q0FDSjs7Ozs7QUFFRCxTQUFTLE1BQU0sQ0FBQyxLQUFVO0lBQ3RCLElBQUksS0FBSyxLQUFLLElBQUksRUFBRTtRQUNoQixPQUFPLE1BQU0sQ0FBQztLQUNqQjtJQUNELElBQUksS0FBSyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsRUFBRTtRQUN0QixPQUFPLE9BQU8sQ0FBQztLQUNsQjtJQUNELE9BQU8sT0FBTyxLQUFLLENBQUM7QUFDeEIsQ0FBQzs7Ozs7O0FBRUQsU0FBUyxXQUFXLENBQUMsS0FBVSxFQUFFLElBQVk7SUFDekMsSUFBSSxJQUFJLEtBQUssU0FBUyxFQUFFO1FBQ3BCLE9BQU8sT0FBTyxLQUFLLEtBQUssUUFBUSxJQUFJLEtBQUssR0FBRyxDQUFDLEtBQUssQ0FBQyxDQUFDO0tBQ3ZEO0lBQ0QsT0FBTyxNQUFNLENBQUMsS0FBSyxDQUFDLEtBQUssSUFBSSxDQUFDO0FBQ2xDLENBQUM7Ozs7Ozs7Ozs7QUFNRCxTQUFTLGFBQWEsQ0FBQyxNQUFXLEVBQUUsS0FBVSxFQUFFLElBQVksRUFBRSxNQUFpQztJQUMzRixJQUFJLE1BQU0sQ0FBQyxJQUFJLEVBQUU7O2NBQ1AsS0FBSyxHQUFrQixFQUFFLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUM7UUFDbkQsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxXQUFXLENBQUMsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLEVBQUU7WUFDekMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLGtCQUFrQixHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1lBQzlFLE9BQU87U0FDVjtLQUNKO0lBQ0QsSUFBSSxNQUFNLENBQUMsSUFBSSxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsRUFBRTtRQUMvQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUUsaUJBQWlCLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO0tBQ3BGO0lBQ0QsSUFBSSxNQUFNLENBQUMsU0FBUyxJQUFJLE9BQU8sS0FBSyxLQUFLLFFBQVEsSUFBSSxLQUFLLENBQUMsTUFBTSxHQUFHLE1BQU0sQ0FBQyxTQUFTLEVBQUU7UUFDbEYsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLDJCQUEyQixHQUFHLE1BQU0sQ0FBQyxTQUFTLEVBQUUsQ0FBQyxDQUFDO0tBQ3hGO0lBQ0QsSUFBSSxNQUFNLENBQUMsS0FBSyxJQUFJLEtBQUssQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEVBQUU7UUFDdEMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLEVBQUUsRUFBRTtZQUN0QixhQUFhLENBQUMsTUFBTSxDQUFDLEtBQUssRUFBRSxJQUFJLEVBQUUsSUFBSSxHQUFHLEdBQUcsR0FBRyxDQUFDLEVBQUUsTUFBTSxDQUFDLENBQUM7UUFDOUQsQ0FBQyxDQUFDLENBQUM7S0FDTjtJQUNELElBQUksTUFBTSxDQUFDLEtBQUssQ0FBQyxLQUFLLFFBQVEsRUFBRTtRQUM1QixDQUFDLE1BQU0sQ0FBQyxRQUFRLElBQUksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBUyxFQUFFLEVBQUU7WUFDMUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLEVBQUU7Z0JBQzFCLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsSUFBSSxHQUFHLEdBQUcsR0FBRyxDQUFDLEVBQUUsT0FBTyxFQUFFLGFBQWEsRUFBRSxDQUFDLENBQUM7YUFDakU7UUFDTCxDQUFDLENBQUMsQ0FBQzs7Y0FDRyxVQUFVLEdBQUcsTUFBTSxDQUFDLFVBQVUsSUFBSSxFQUFFO1FBQzFDLEtBQUssTUFBTSxDQUFDLElBQUksS0FBSyxFQUFFO1lBQ25CLElBQUksS0FBSyxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUMsRUFBRTtnQkFDekIsSUFBSSxVQUFVLENBQUMsQ0FBQyxDQUFDLEVBQUU7b0JBQ2YsYUFBYSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDLEVBQUUsSUFBSSxHQUFHLEdBQUcsR0FBRyxDQUFDLEVBQUUsTUFBTSxDQUFDLENBQUM7aUJBQ2xFO3FCQUFNLElBQUksTUFBTSxDQUFDLG9CQUFvQixLQUFLLEtBQUssRUFBRTtvQkFDOUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLEdBQUcsR0FBRyxHQUFHLENBQUMsRUFBRSxPQUFPLEVBQUUsZ0JBQWdCLEVBQUUsQ0FBQyxDQUFDO2lCQUNwRTthQUNKO1NBQ0o7S0FDSjtBQUNMLENBQUM7Ozs7Ozs7O0FBT0QsTUFBTSxVQUFVLGtCQUFrQixDQUFDLFVBQWU7O1VBQ3hDLE1BQU0sR0FBOEIsRUFBRTtJQUM1QyxhQUFhLENBQUMsdUJBQXVCLEVBQUUsVUFBVSxFQUFFLEVBQUUsRUFBRSxNQUFNLENBQUMsQ0FBQztJQUMvRCxPQUFPLE1BQU0sQ0FBQztBQUNsQixDQUFDOzs7Ozs7Ozs7QUFRRCxNQUFNLFVBQVUsU0FBUyxDQUFDLFVBQThCOztVQUM5QyxNQUFNLEdBQThCLEVBQUU7SUFDNUMsVUFBVSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLEVBQUU7O1lBQ3ZCLE1BQU0sR0FBRyxFQUFFLENBQUMsTUFBTTtRQUN0QixJQUFJLENBQUMsTUFBTSxFQUFFOztrQkFDSCxHQUFHLEdBQUcsRUFBRSxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsY0FBYyxDQUFDO1lBQy9DLElBQUksR0FBRyxHQUFHLENBQUMsSUFBSSxNQUFNLENBQUMsY0FBYyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUMsRUFBRSxHQUFHLENBQUMsQ0FBQyxFQUFFO2dCQUM3RCxNQUFNLEdBQUcsRUFBRSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxFQUFFLEdBQUcsQ0FBQyxDQUFDO2FBQ3RDO1NBQ0o7UUFDRCxNQUFNLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLE1BQU0sSUFBSSxJQUFJLENBQUM7SUFDckMsQ0FBQyxDQUFDLENBQUM7SUFDSCxPQUFPLE1BQU0sQ0FBQztBQUNsQixDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAZmlsZU92ZXJ2aWV3XG4gKiBQcm92aWRlcyB0aGUgZGVjbGFyYXRpdmUgKEpTT04pIGRlZmluaXRpb24gb2YgYSBmaW5pdGUgc3RhdGUgbWFjaGluZSxcbiAqIHRvZ2V0aGVyIHdpdGggaXRzIHNjaGVtYSBhbmQgdmFsaWRhdGlvbi5cbiAqIEBhdXRob3IgWGlhb2xvbmcgVGFuZyA8eHhsb25ndGFuZ0BnbWFpbC5jb20+XG4gKiBAbGljZW5zZSBDb3B5cmlnaHQgQG1lXG4gKi9cblxuLy8gVGhlIGZvcm1hdCB2ZXJzaW9uIG9mIGRlZmluaXRpb25zXG5leHBvcnQgY29uc3QgZGVmaW5pdGlvblZlcnNpb24gPSAxO1xuY29uc3Qgc3RhdGVTZXBhcmF0b3IgPSAnLic7XG5cbi8qKlxuICogRGVzY3JpYmVzIGEgc3RhdGUuIFRoZSBjYWxsYmFja3MgYXJlIHJlZmVycmVkIHRvIGJ5IHRoZWlyIG5hbWVzXG4gKiBpbiB0aGUgbWFwIG9mIGltcGxlbWVudGF0aW9ucy5cbiAqL1xuZXhwb3J0IGludGVyZmFjZSBJU3RhdGVEZWZpbml0aW9uIHtcbiAgICBuYW1lOiBzdHJpbmc7XG4gICAgcGFyZW50Pzogc3RyaW5nO1xuICAgIGluaXRpYWw/OiBzdHJpbmc7XG4gICAgcmVnaW9uPzogc3RyaW5nO1xuICAgIGZpbmFsPzogYm9vbGVhbjtcbiAgICBvbkVudGVyPzogc3RyaW5nO1xuICAgIG9uTGVhdmU/OiBzdHJpbmc7XG59XG5cbi8qKlxuICogRGVzY3JpYmVzIGEgaGlzdG9yeSBwc2V1ZG8tc3RhdGUgb2YgYSBjb21wb3VuZCBzdGF0ZS5cbiAqL1xuZXhwb3J0IGludGVyZmFjZSBJSGlzdG9yeVN0YXRlRGVmaW5pdGlvbiB7XG4gICAgbmFtZTogc3RyaW5nO1xuICAgIHBhcmVudDogc3RyaW5nO1xuICAgIGRlZXA/OiBib29sZWFuO1xuICAgIGRlZmF1bHRUYXJnZXQ/OiBzdHJpbmc7XG59XG5cbi8qKlxuICogRGVzY3JpYmVzIGEgdHJhbnNpdGlvbi4gVGhlIGd1YXJkIGFuZCB0aGUgY2FsbGJhY2tzIGFyZSByZWZlcnJlZCB0b1xuICogYnkgdGhlaXIgbmFtZXMgaW4gdGhlIG1hcCBvZiBpbXBsZW1lbnRhdGlvbnMuIFRoZSBhc3NpZ24gb3B0aW9uIGlzXG4gKiBlaXRoZXIgdGhlIG5hbWUgb2YgYW4gaW1wbGVtZW50YXRpb24sIG9yIGFuIG9iamVjdCBvZiB0aGUgcHJvcGVydGllc1xuICogdG8gYmUgdXBkYXRlZC4gVGhlIGRlbGF5IGlzIGdpdmVuIGluIG1pbGxpc2Vjb25kcy4gVGhlIGNvbXBlbnNhdGlvblxuICogaXMgdGhlIHN0YXRlIHRvIGdvIGJhY2sgdG8gd2hlbiB0aGUgdHJhbnNpdGlvbiBpcyB1bmRvbmUuIEEgc2VsZi10cmFuc2l0aW9uXG4gKiBtYXkgYmUgaW50ZXJuYWwsIGkuZS4sIGl0cyBzdGF0ZSBpcyBuZWl0aGVyIGxlZnQgbm9yIHJlLWVudGVyZWQuXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgSVRyYW5zaXRpb25EZWZpbml0aW9uIHtcbiAgICBmcm9tOiBzdHJpbmc7XG4gICAgdG86IHN0cmluZztcbiAgICBldmVudD86IHN0cmluZztcbiAgICBndWFyZD86IHN0cmluZztcbiAgICBvbkJlZm9yZT86IHN0cmluZztcbiAgICBvbkFmdGVyPzogc3RyaW5nO1xuICAgIGFzc2lnbj86IHN0cmluZyB8IHsgW2tleTogc3RyaW5nXTogYW55IH07XG4gICAgZGVsYXk/OiBudW1iZXI7XG4gICAgY29tcGVuc2F0aW9uPzogc3RyaW5nO1xuICAgIGludGVybmFsPzogYm9vbGVhbjtcbn1cblxuLyoqXG4gKiBEZXNjcmliZXMgYW4gb3J0aG9nb25hbCByZWdpb24uXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgSVJlZ2lvbkRlZmluaXRpb24ge1xuICAgIG5hbWU6IHN0cmluZztcbiAgICBpbml0aWFsOiBzdHJpbmc7XG59XG5cbi8qKlxuICogRGVzY3JpYmVzIGEgZmluaXRlIHN0YXRlIG1hY2hpbmUgaW4gcGxhaW4gSlNPTiBkYXRhLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIElNYWNoaW5lRGVmaW5pdGlvbiB7XG4gICAgdmVyc2lvbj86IG51bWJlcjtcbiAgICBpbml0aWFsPzogc3RyaW5nO1xuICAgIGFzeW5jTW9kZT86IGJvb2xlYW47XG4gICAgLy8gT25lIG9mICdpZ25vcmUnLCAnZXJyb3InIGFuZCAncmVlbnRlcidcbiAgICBzYW1lU3RhdGVQb2xpY3k/OiBzdHJpbmc7XG4gICAgY29udGV4dD86IGFueTtcbiAgICByZWdpb25zPzogQXJyYXk8SVJlZ2lvbkRlZmluaXRpb24+O1xuICAgIHN0YXRlczogQXJyYXk8SVN0YXRlRGVmaW5pdGlvbj47XG4gICAgaGlzdG9yeVN0YXRlcz86IEFycmF5PElIaXN0b3J5U3RhdGVEZWZpbml0aW9uPjtcbiAgICB0cmFuc2l0aW9ucz86IEFycmF5PElUcmFuc2l0aW9uRGVmaW5pdGlvbj47XG59XG5cbi8qKlxuICogRGVzY3JpYmVzIGEgcHJvYmxlbSBmb3VuZCBpbiBhIGRlZmluaXRpb24uIFRoZSBwYXRoIGlzXG4gKiBhIEpTT04gcG9pbnRlciB0byB0aGUgb2ZmZW5kaW5nIHBhcnQsIGUuZy4sICcvdHJhbnNpdGlvbnMvMi90bycuXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgSURlZmluaXRpb25Qcm9ibGVtIHtcbiAgICBwYXRoOiBzdHJpbmc7XG4gICAgbWVzc2FnZTogc3RyaW5nO1xufVxuXG4vKipcbiAqIFJlcHJlc2VudHMgYSBmYWlsdXJlIG9mIGJ1aWxkaW5nIG9yIGV4cG9ydGluZyBhIGRlZmluaXRpb24uXG4gKiBBbGwgdGhlIHByb2JsZW1zIGZvdW5kIGFyZSBnaXZlbiwgcmF0aGVyIHRoYW4gdGhlIGZpcnN0IG9uZS5cbiAqL1xuZXhwb3J0IGNsYXNzIERlZmluaXRpb25FcnJvciBleHRlbmRzIEVycm9yIHtcblxuICAgIGVycm9yczogQXJyYXk8SURlZmluaXRpb25Qcm9ibGVtPjtcblxuICAgIGNvbnN0cnVjdG9yKGVycm9yczogQXJyYXk8SURlZmluaXRpb25Qcm9ibGVtPikge1xuICAgICAgICBzdXBlcignSW52YWxpZCBkZWZpbml0aW9uOiAnICsgZXJyb3JzLm1hcChlID0+IChlLnBhdGggfHwgJy8nKSArICcgJyArIGUubWVzc2FnZSkuam9pbignOyAnKSk7XG4gICAgICAgIC8vIFJlc3RvcmUgdGhlIHByb3RvdHlwZSBjaGFpbiwgd2hpY2ggaXMgYnJva2VuIGJ5XG4gICAgICAgIC8vIGV4dGVuZGluZyB0aGUgYnVpbHRpbiBFcnJvciBpbiBFUzUuXG4gICAgICAgIE9iamVjdC5zZXRQcm90b3R5cGVPZih0aGlzLCBEZWZpbml0aW9uRXJyb3IucHJvdG90eXBlKTtcbiAgICAgICAgdGhpcy5uYW1lID0gJ0RlZmluaXRpb25FcnJvcic7XG4gICAgICAgIHRoaXMuZXJyb3JzID0gZXJyb3JzO1xuICAgIH1cbn1cblxuY29uc3QgbmFtZVNjaGVtYSA9IHsgdHlwZTogJ3N0cmluZycsIG1pbkxlbmd0aDogMSB9O1xuXG4vKipcbiAqIFRoZSBKU09OIHNjaGVtYSBvZiBkZWZpbml0aW9ucy4gT25seSB0aGUgc3Vic2V0IG9mIEpTT04gc2NoZW1hXG4gKiB1c2VkIGhlcmUgaXMgc3VwcG9ydGVkIGJ5IHRoZSB2YWxpZGF0aW9uIGJlbG93LlxuICovXG5leHBvcnQgY29uc3QgbWFjaGluZURlZmluaXRpb25TY2hlbWEgPSB7XG4gICAgJHNjaGVtYTogJ2h0dHA6Ly9qc29uLXNjaGVtYS5vcmcvZHJhZnQtMDcvc2NoZW1hIycsXG4gICAgdHlwZTogJ29iamVjdCcsXG4gICAgcmVxdWlyZWQ6IFsnc3RhdGVzJ10sXG4gICAgYWRkaXRpb25hbFByb3BlcnRpZXM6IGZhbHNlLFxuICAgIHByb3BlcnRpZXM6IHtcbiAgICAgICAgdmVyc2lvbjogeyB0eXBlOiAnaW50ZWdlcicsIGVudW06IFtkZWZpbml0aW9uVmVyc2lvbl0gfSxcbiAgICAgICAgaW5pdGlhbDogbmFtZVNjaGVtYSxcbiAgICAgICAgYXN5bmNNb2RlOiB7IHR5cGU6ICdib29sZWFuJyB9LFxuICAgICAgICBzYW1lU3RhdGVQb2xpY3k6IHsgdHlwZTogJ3N0cmluZycsIGVudW06IFsnaWdub3JlJywgJ2Vycm9yJywgJ3JlZW50ZXInXSB9LFxuICAgICAgICBjb250ZXh0OiB7fSxcbiAgICAgICAgcmVnaW9uczoge1xuICAgICAgICAgICAgdHlwZTogJ2FycmF5JyxcbiAgICAgICAgICAgIGl0ZW1zOiB7XG4gICAgICAgICAgICAgICAgdHlwZTogJ29iamVjdCcsXG4gICAgICAgICAgICAgICAgcmVxdWlyZWQ6IFsnbmFtZScsICdpbml0aWFsJ10sXG4gICAgICAgICAgICAgICAgYWRkaXRpb25hbFByb3BlcnRpZXM6IGZhbHNlLFxuICAgICAgICAgICAgICAgIHByb3BlcnRpZXM6IHtcbiAgICAgICAgICAgICAgICAgICAgbmFtZTogbmFtZVNjaGVtYSxcbiAgICAgICAgICAgICAgICAgICAgaW5pdGlhbDogbmFtZVNjaGVtYVxuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgIH1cbiAgICAgICAgfSxcbiAgICAgICAgc3RhdGVzOiB7XG4gICAgICAgICAgICB0eXBlOiAnYXJyYXknLFxuICAgICAgICAgICAgaXRlbXM6IHtcbiAgICAgICAgICAgICAgICB0eXBlOiAnb2JqZWN0JyxcbiAgICAgICAgICAgICAgICByZXF1aXJlZDogWyduYW1lJ10sXG4gICAgICAgICAgICAgICAgYWRkaXRpb25hbFByb3BlcnRpZXM6IGZhbHNlLFxuICAgICAgICAgICAgICAgIHByb3BlcnRpZXM6IHtcbiAgICAgICAgICAgICAgICAgICAgbmFtZTogbmFtZVNjaGVtYSxcbiAgICAgICAgICAgICAgICAgICAgcGFyZW50OiBuYW1lU2NoZW1hLFxuICAgICAgICAgICAgICAgICAgICBpbml0aWFsOiBuYW1lU2NoZW1hLFxuICAgICAgICAgICAgICAgICAgICByZWdpb246IG5hbWVTY2hlbWEsXG4gICAgICAgICAgICAgICAgICAgIGZpbmFsOiB7IHR5cGU6ICdib29sZWFuJyB9LFxuICAgICAgICAgICAgICAgICAgICBvbkVudGVyOiBuYW1lU2NoZW1hLFxuICAgICAgICAgICAgICAgICAgICBvbkxlYXZlOiBuYW1lU2NoZW1hXG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgfVxuICAgICAgICB9LFxuICAgICAgICBoaXN0b3J5U3RhdGVzOiB7XG4gICAgICAgICAgICB0eXBlOiAnYXJyYXknLFxuICAgICAgICAgICAgaXRlbXM6IHtcbiAgICAgICAgICAgICAgICB0eXBlOiAnb2JqZWN0JyxcbiAgICAgICAgICAgICAgICByZXF1aXJlZDogWyduYW1lJywgJ3BhcmVudCddLFxuICAgICAgICAgICAgICAgIGFkZGl0aW9uYWxQcm9wZXJ0aWVzOiBmYWxzZSxcbiAgICAgICAgICAgICAgICBwcm9wZXJ0aWVzOiB7XG4gICAgICAgICAgICAgICAgICAgIG5hbWU6IG5hbWVTY2hlbWEsXG4gICAgICAgICAgICAgICAgICAgIHBhcmVudDogbmFtZVNjaGVtYSxcbiAgICAgICAgICAgICAgICAgICAgZGVlcDogeyB0eXBlOiAnYm9vbGVhbicgfSxcbiAgICAgICAgICAgICAgICAgICAgZGVmYXVsdFRhcmdldDogbmFtZVNjaGVtYVxuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgIH1cbiAgICAgICAgfSxcbiAgICAgICAgdHJhbnNpdGlvbnM6IHtcbiAgICAgICAgICAgIHR5cGU6ICdhcnJheScsXG4gICAgICAgICAgICBpdGVtczoge1xuICAgICAgICAgICAgICAgIHR5cGU6ICdvYmplY3QnLFxuICAgICAgICAgICAgICAgIHJlcXVpcmVkOiBbJ2Zyb20nLCAndG8nXSxcbiAgICAgICAgICAgICAgICBhZGRpdGlvbmFsUHJvcGVydGllczogZmFsc2UsXG4gICAgICAgICAgICAgICAgcHJvcGVydGllczoge1xuICAgICAgICAgICAgICAgICAgICBmcm9tOiBuYW1lU2NoZW1hLFxuICAgICAgICAgICAgICAgICAgICB0bzogbmFtZVNjaGVtYSxcbiAgICAgICAgICAgICAgICAgICAgZXZlbnQ6IG5hbWVTY2hlbWEsXG4gICAgICAgICAgICAgICAgICAgIGd1YXJkOiBuYW1lU2NoZW1hLFxuICAgICAgICAgICAgICAgICAgICBvbkJlZm9yZTogbmFtZVNjaGVtYSxcbiAgICAgICAgICAgICAgICAgICAgb25BZnRlcjogbmFtZVNjaGVtYSxcbiAgICAgICAgICAgICAgICAgICAgYXNzaWduOiB7IHR5cGU6IFsnc3RyaW5nJywgJ29iamVjdCddIH0sXG4gICAgICAgICAgICAgICAgICAgIGRlbGF5OiB7IHR5cGU6ICdudW1iZXInIH0sXG4gICAgICAgICAgICAgICAgICAgIGNvbXBlbnNhdGlvbjogbmFtZVNjaGVtYSxcbiAgICAgICAgICAgICAgICAgICAgaW50ZXJuYWw6IHsgdHlwZTogJ2Jvb2xlYW4nIH1cbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICB9XG59O1xuXG5mdW5jdGlvbiB0eXBlT2YodmFsdWU6IGFueSkge1xuICAgIGlmICh2YWx1ZSA9PT0gbnVsbCkge1xuICAgICAgICByZXR1cm4gJ251bGwnO1xuICAgIH1cbiAgICBpZiAoQXJyYXkuaXNBcnJheSh2YWx1ZSkpIHtcbiAgICAgICAgcmV0dXJuICdhcnJheSc7XG4gICAgfVxuICAgIHJldHVybiB0eXBlb2YgdmFsdWU7XG59XG5cbmZ1bmN0aW9uIG1hdGNoZXNUeXBlKHZhbHVlOiBhbnksIHR5cGU6IHN0cmluZykge1xuICAgIGlmICh0eXBlID09PSAnaW50ZWdlcicpIHtcbiAgICAgICAgcmV0dXJuIHR5cGVvZiB2YWx1ZSA9PT0gJ251bWJlcicgJiYgdmFsdWUgJSAxID09PSAwO1xuICAgIH1cbiAgICByZXR1cm4gdHlwZU9mKHZhbHVlKSA9PT0gdHlwZTtcbn1cblxuLyoqXG4gKiBWYWxpZGF0ZXMgYSB2YWx1ZSBhZ2FpbnN0IHRoZSBnaXZlbiBzY2hlbWEsIGFuZCBjb2xsZWN0c1xuICogYWxsIHRoZSBwcm9ibGVtcyBmb3VuZC5cbiAqL1xuZnVuY3Rpb24gdmFsaWRhdGVWYWx1ZShzY2hlbWE6IGFueSwgdmFsdWU6IGFueSwgcGF0aDogc3RyaW5nLCBlcnJvcnM6IEFycmF5PElEZWZpbml0aW9uUHJvYmxlbT4pIHtcbiAgICBpZiAoc2NoZW1hLnR5cGUpIHtcbiAgICAgICAgY29uc3QgdHlwZXM6IEFycmF5PHN0cmluZz4gPSBbXS5jb25jYXQoc2NoZW1hLnR5cGUpO1xuICAgICAgICBpZiAoIXR5cGVzLnNvbWUodCA9PiBtYXRjaGVzVHlwZSh2YWx1ZSwgdCkpKSB7XG4gICAgICAgICAgICBlcnJvcnMucHVzaCh7IHBhdGg6IHBhdGgsIG1lc3NhZ2U6ICdtdXN0IGJlIG9mIHR5cGUgJyArIHR5cGVzLmpvaW4oJyBvciAnKSB9KTtcbiAgICAgICAgICAgIHJldHVybjtcbiAgICAgICAgfVxuICAgIH1cbiAgICBpZiAoc2NoZW1hLmVudW0gJiYgc2NoZW1hLmVudW0uaW5kZXhPZih2YWx1ZSkgPCAwKSB7XG4gICAgICAgIGVycm9ycy5wdXNoKHsgcGF0aDogcGF0aCwgbWVzc2FnZTogJ211c3QgYmUgb25lIG9mICcgKyBzY2hlbWEuZW51bS5qb2luKCcsICcpIH0pO1xuICAgIH1cbiAgICBpZiAoc2NoZW1hLm1pbkxlbmd0aCAmJiB0eXBlb2YgdmFsdWUgPT09ICdzdHJpbmcnICYmIHZhbHVlLmxlbmd0aCA8IHNjaGVtYS5taW5MZW5ndGgpIHtcbiAgICAgICAgZXJyb3JzLnB1c2goeyBwYXRoOiBwYXRoLCBtZXNzYWdlOiAnbXVzdCBub3QgYmUgc2hvcnRlciB0aGFuICcgKyBzY2hlbWEubWluTGVuZ3RoIH0pO1xuICAgIH1cbiAgICBpZiAoc2NoZW1hLml0ZW1zICYmIEFycmF5LmlzQXJyYXkodmFsdWUpKSB7XG4gICAgICAgIHZhbHVlLmZvckVhY2goKGVsZW0sIGkpID0+IHtcbiAgICAgICAgICAgIHZhbGlkYXRlVmFsdWUoc2NoZW1hLml0ZW1zLCBlbGVtLCBwYXRoICsgJy8nICsgaSwgZXJyb3JzKTtcbiAgICAgICAgfSk7XG4gICAgfVxuICAgIGlmICh0eXBlT2YodmFsdWUpID09PSAnb2JqZWN0Jykge1xuICAgICAgICAoc2NoZW1hLnJlcXVpcmVkIHx8IFtdKS5mb3JFYWNoKChrOiBzdHJpbmcpID0+IHtcbiAgICAgICAgICAgIGlmICghdmFsdWUuaGFzT3duUHJvcGVydHkoaykpIHtcbiAgICAgICAgICAgICAgICBlcnJvcnMucHVzaCh7IHBhdGg6IHBhdGggKyAnLycgKyBrLCBtZXNzYWdlOiAnaXMgcmVxdWlyZWQnIH0pO1xuICAgICAgICAgICAgfVxuICAgICAgICB9KTtcbiAgICAgICAgY29uc3QgcHJvcGVydGllcyA9IHNjaGVtYS5wcm9wZXJ0aWVzIHx8IHt9O1xuICAgICAgICBmb3IgKGNvbnN0IGsgaW4gdmFsdWUpIHtcbiAgICAgICAgICAgIGlmICh2YWx1ZS5oYXNPd25Qcm9wZXJ0eShrKSkge1xuICAgICAgICAgICAgICAgIGlmIChwcm9wZXJ0aWVzW2tdKSB7XG4gICAgICAgICAgICAgICAgICAgIHZhbGlkYXRlVmFsdWUocHJvcGVydGllc1trXSwgdmFsdWVba10sIHBhdGggKyAnLycgKyBrLCBlcnJvcnMpO1xuICAgICAgICAgICAgICAgIH0gZWxzZSBpZiAoc2NoZW1hLmFkZGl0aW9uYWxQcm9wZXJ0aWVzID09PSBmYWxzZSkge1xuICAgICAgICAgICAgICAgICAgICBlcnJvcnMucHVzaCh7IHBhdGg6IHBhdGggKyAnLycgKyBrLCBtZXNzYWdlOiAnaXMgbm90IGFsbG93ZWQnIH0pO1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgIH1cbn1cblxuLyoqXG4gKiBWYWxpZGF0ZXMgYSBkZWZpbml0aW9uIGFnYWluc3QgdGhlIHNjaGVtYSwgYW5kIHJldHVybnMgYWxsIHRoZSBwcm9ibGVtc1xuICogZm91bmQuIE5vdGUgdGhhdCB0aGUgcmVmZXJlbmNlcyBiZXR3ZWVuIHN0YXRlcywgYW5kIHRoZSByZWZlcmVuY2VzXG4gKiB0byB0aGUgaW1wbGVtZW50YXRpb25zLCBhcmUgY2hlY2tlZCB3aGVuIHRoZSBkZWZpbml0aW9uIGlzIGxvYWRlZC5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIHZhbGlkYXRlRGVmaW5pdGlvbihkZWZpbml0aW9uOiBhbnkpOiBBcnJheTxJRGVmaW5pdGlvblByb2JsZW0+IHtcbiAgICBjb25zdCBlcnJvcnM6IEFycmF5PElEZWZpbml0aW9uUHJvYmxlbT4gPSBbXTtcbiAgICB2YWxpZGF0ZVZhbHVlKG1hY2hpbmVEZWZpbml0aW9uU2NoZW1hLCBkZWZpbml0aW9uLCAnJywgZXJyb3JzKTtcbiAgICByZXR1cm4gZXJyb3JzO1xufVxuXG4vKipcbiAqIFJldHVybnMgdGhlIHBhcmVudCBvZiBlYWNoIHN0YXRlIGluIGEgZGVmaW5pdGlvbiAobnVsbCBmb3IgYSB0b3AtbGV2ZWxcbiAqIHN0YXRlKSwgZm9sbG93aW5nIHRoZSBzYW1lIG5lc3RpbmcgcnVsZXMgYXMgdGhlIEZTTSBkb2VzOiBhIHN0YXRlIGlzXG4gKiBuZXN0ZWQgZWl0aGVyIGJ5IHRoZSBwYXJlbnQgb3B0aW9uLCBvciBieSBhIGRvdHRlZCBuYW1lIHdob3NlIHByZWZpeFxuICogaXMgYSBzdGF0ZSBkZWZpbmVkIGVhcmxpZXIuXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiBwYXJlbnRzT2YoZGVmaW5pdGlvbjogSU1hY2hpbmVEZWZpbml0aW9uKTogeyBba2V5OiBzdHJpbmddOiBzdHJpbmcgfSB7XG4gICAgY29uc3QgcmVzdWx0OiB7IFtrZXk6IHN0cmluZ106IHN0cmluZyB9ID0ge307XG4gICAgZGVmaW5pdGlvbi5zdGF0ZXMuZm9yRWFjaChzdCA9PiB7XG4gICAgICAgIGxldCBwYXJlbnQgPSBzdC5wYXJlbnQ7XG4gICAgICAgIGlmICghcGFyZW50KSB7XG4gICAgICAgICAgICBjb25zdCBwb3MgPSBzdC5uYW1lLmxhc3RJbmRleE9mKHN0YXRlU2VwYXJhdG9yKTtcbiAgICAgICAgICAgIGlmIChwb3MgPiAwICYmIHJlc3VsdC5oYXNPd25Qcm9wZXJ0eShzdC5uYW1lLnN1YnN0cmluZygwLCBwb3MpKSkge1xuICAgICAgICAgICAgICAgIHBhcmVudCA9IHN0Lm5hbWUuc3Vic3RyaW5nKDAsIHBvcyk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgICAgcmVzdWx0W3N0Lm5hbWVdID0gcGFyZW50IHx8IG51bGw7XG4gICAgfSk7XG4gICAgcmV0dXJuIHJlc3VsdDtcbn1cbiJdfQ==
\ No newline at end of file
@@ -0,0 +1,317 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * @fileOverview
+ * Provides the static analysis of the definition of a finite state machine.
+ * The analysis works on the graph of atomic states, as the FSM is always
+ * in an atomic state of each region: a transition defined on a compound
+ * state leaves from each of its atomic descendants, and a transition to
+ * a compound state ends up in its initial atomic state. A transition to
+ * a history state may end up in any state the history state may remember.
+ * Guard conditions are not evaluated, i.e., every transition is assumed
+ * to be possible.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { parentsOf } from './machine-definition';
+/** @type {?} */
+const defaultRegion = 'default';
+/**
+ * Describes the result of analyzing a definition.
+ * @record
+ */
+export function IAnalysisReport() { }
+if (false) {
+    /** @type {?} */
+    IAnalysisReport.prototype.unreachable;
+    /** @type {?} */
+    IAnalysisReport.prototype.deadEnds;
+    /** @type {?} */
+    IAnalysisReport.prototype.noIncoming;
+    /** @type {?} */
+    IAnalysisReport.prototype.components;
+    /** @type {?} */
+    IAnalysisReport.prototype.cannotReachFinal;
+    /** @type {?} */
+    IAnalysisReport.prototype.ok;
+}
+/**
+ * Describes a transition between two atomic states.
+ * @record
+ */
+export function IStateGraphEdge() { }
+if (false) {
+    /** @type {?} */
+    IStateGraphEdge.prototype.to;
+    /** @type {?} */
+    IStateGraphEdge.prototype.transition;
+    /** @type {?|undefined} */
+    IStateGraphEdge.prototype.event;
+}
+/**
+ * The graph of the atomic states of a definition.
+ * @record
+ */
+export function IStateGraph() { }
+if (false) {
+    /** @type {?} */
+    IStateGraph.prototype.states;
+    /** @type {?} */
+    IStateGraph.prototype.edges;
+    /** @type {?} */
+    IStateGraph.prototype.initial;
+    /** @type {?} */
+    IStateGraph.prototype.regions;
+    /** @type {?} */
+    IStateGraph.prototype.paths;
+    /** @type {?} */
+    IStateGraph.prototype.final;
+}
+/**
+ * Builds the graph of the atomic states of a definition,
+ * following the same rules as the FSM does.
+ * @param {?} definition
+ * @return {?}
+ */
+export function buildStateGraph(definition) {
+    /** @type {?} */
+    const parents = parentsOf(definition);
+    /** @type {?} */
+    const children = {};
+    /** @type {?} */
+    const initials = {};
+    /** @type {?} */
+    const regions = {};
+    /** @type {?} */
+    const paths = {};
+    definition.states.forEach(st => {
+        /** @type {?} */
+        const parent = parents[st.name];
+        children[st.name] = [];
+        initials[st.name] = st.initial;
+        if (parent && children[parent]) {
+            children[parent].push(st.name);
+            regions[st.name] = regions[parent];
+            paths[st.name] = paths[parent].concat([st.name]);
+        }
+        else {
+            regions[st.name] = st.region || defaultRegion;
+            paths[st.name] = [st.name];
+        }
+    });
+    /** @type {?} */
+    const atomicStatesOf = (name) => {
+        if (!children[name].length) {
+            return [name];
+        }
+        /** @type {?} */
+        let result = [];
+        children[name].forEach(child => {
+            result = result.concat(atomicStatesOf(child));
+        });
+        return result;
+    };
+    /** @type {?} */
+    const resolveAtomicState = (name) => {
+        while (children[name] && children[name].length) {
+            name = initials[name] || children[name][0];
+        }
+        return name;
+    };
+    /** @type {?} */
+    const states = definition.states.map(st => st.name).filter(name => !children[name].length);
+    /** @type {?} */
+    const edges = {};
+    states.forEach(name => {
+        edges[name] = [];
+    });
+    /** @type {?} */
+    const histories = {};
+    (definition.historyStates || []).forEach(h => {
+        if (children[h.parent]) {
+            histories[h.name] = h;
+        }
+    });
+    /** @type {?} */
+    const targetsOf = (name) => {
+        /** @type {?} */
+        const h = histories[name];
+        if (!h) {
+            return [resolveAtomicState(name)];
+        }
+        /** @type {?} */
+        const result = h.deep ? atomicStatesOf(h.parent) : children[h.parent].map(resolveAtomicState);
+        /** @type {?} */
+        const fallback = resolveAtomicState(h.defaultTarget || h.parent);
+        return result.indexOf(fallback) < 0 ? result.concat([fallback]) : result;
+    };
+    (definition.transitions || []).forEach(tr => {
+        if (!children[tr.from] || (!children[tr.to] && !histories[tr.to])) {
+            return;
+        }
+        targetsOf(tr.to).forEach(to => {
+            atomicStatesOf(tr.from).forEach(from => {
+                // The same name as the FSM gives to the transition
+                edges[from].push({ to: to, transition: tr.from + '2' + tr.to, event: tr.event });
+            });
+        });
+    });
+    /** @type {?} */
+    const initial = [];
+    if (definition.initial && children[definition.initial]) {
+        initial.push(resolveAtomicState(definition.initial));
+    }
+    (definition.regions || []).forEach(r => {
+        if (children[r.initial]) {
+            initial.push(resolveAtomicState(r.initial));
+        }
+    });
+    /** @type {?} */
+    const finalStates = definition.states.filter(st => st.final).map(st => st.name);
+    /** @type {?} */
+    const final = states.filter(name => paths[name].some(s => finalStates.indexOf(s) >= 0));
+    return {
+        states: states,
+        edges: edges,
+        initial: initial,
+        regions: regions,
+        paths: paths,
+        final: final
+    };
+}
+/**
+ * Returns the states which can be reached from the given ones,
+ * including themselves, by following the given edges.
+ * @param {?} sources
+ * @param {?} edges
+ * @return {?}
+ */
+function reachableFrom(sources, edges) {
+    /** @type {?} */
+    const visited = {};
+    /** @type {?} */
+    const queue = sources.slice();
+    while (queue.length) {
+        /** @type {?} */
+        const name = queue.shift();
+        if (visited[name]) {
+            continue;
+        }
+        visited[name] = true;
+        (edges[name] || []).forEach(e => queue.push(e.to));
+    }
+    return visited;
+}
+/**
+ * Computes the strongly connected components by Tarjan's algorithm.
+ * @param {?} graph
+ * @return {?}
+ */
+function stronglyConnectedComponents(graph) {
+    /** @type {?} */
+    const components = [];
+    /** @type {?} */
+    const index = {};
+    /** @type {?} */
+    const lowLink = {};
+    /** @type {?} */
+    const onStack = {};
+    /** @type {?} */
+    const stack = [];
+    /** @type {?} */
+    let counter = 0;
+    /** @type {?} */
+    const visit = (name) => {
+        index[name] = lowLink[name] = counter++;
+        stack.push(name);
+        onStack[name] = true;
+        graph.edges[name].forEach(e => {
+            if (index[e.to] === undefined) {
+                visit(e.to);
+                lowLink[name] = Math.min(lowLink[name], lowLink[e.to]);
+            }
+            else if (onStack[e.to]) {
+                lowLink[name] = Math.min(lowLink[name], index[e.to]);
+            }
+        });
+        if (lowLink[name] === index[name]) {
+            /** @type {?} */
+            const component = [];
+            /** @type {?} */
+            let top;
+            do {
+                top = stack.pop();
+                onStack[top] = false;
+                component.unshift(top);
+            } while (top !== name);
+            components.push(component);
+        }
+    };
+    graph.states.forEach(name => {
+        if (index[name] === undefined) {
+            visit(name);
+        }
+    });
+    return components;
+}
+/**
+ * Analyzes a definition, reporting the states which are unreachable,
+ * the dead ends, the states without incoming transitions, the strongly
+ * connected components, and the states which cannot reach a final state.
+ * @param {?} definition
+ * @return {?}
+ */
+export function analyzeDefinition(definition) {
+    /** @type {?} */
+    const graph = buildStateGraph(definition);
+    /** @type {?} */
+    const allStates = definition.states.map(st => st.name);
+    /** @type {?} */
+    const atomicStatesIn = (name) => graph.states.filter(s => graph.paths[s].indexOf(name) >= 0);
+    /** @type {?} */
+    const reachable = reachableFrom(graph.initial, graph.edges);
+    /** @type {?} */
+    const unreachable = allStates.filter(name => !atomicStatesIn(name).some(s => reachable[s]));
+    /** @type {?} */
+    const deadEnds = graph.states.filter(name => !graph.edges[name].length && graph.final.indexOf(name) < 0);
+    /** @type {?} */
+    const entered = {};
+    graph.initial.forEach(name => {
+        entered[name] = true;
+    });
+    graph.states.forEach(name => {
+        graph.edges[name].forEach(e => {
+            entered[e.to] = true;
+        });
+    });
+    /** @type {?} */
+    const noIncoming = allStates.filter(name => !atomicStatesIn(name).some(s => entered[s]));
+    // Search backwards from the final states
+    /** @type {?} */
+    const reversed = {};
+    graph.states.forEach(name => {
+        graph.edges[name].forEach(e => {
+            reversed[e.to] = reversed[e.to] || [];
+            reversed[e.to].push({ to: name });
+        });
+    });
+    /** @type {?} */
+    const reachingFinal = reachableFrom(graph.final, reversed);
+    /** @type {?} */
+    const regionsWithFinal = graph.final.map(name => graph.regions[name]);
+    /** @type {?} */
+    const cannotReachFinal = graph.states.filter(name => {
+        return regionsWithFinal.indexOf(graph.regions[name]) >= 0 && !reachingFinal[name];
+    });
+    return {
+        unreachable: unreachable,
+        deadEnds: deadEnds,
+        noIncoming: noIncoming,
+        components: stronglyConnectedComponents(graph),
+        cannotReachFinal: cannotReachFinal,
+        ok: !unreachable.length && !deadEnds.length && !cannotReachFinal.length
+    };
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibW9kZWwtY2hlY2tpbmcuanMiLCJzb3VyY2VSb290Ijoibmc6Ly9AcG9scHdhcmUvZmUtYmVoYXZpb3IvIiwic291cmNlcyI6WyJsaWIvc3RhdGUvbW9kZWwtY2hlY2tpbmcudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7Ozs7Ozs7QUFhQSxPQUFPLEVBQStDLFNBQVMsRUFBRSxNQUFNLHNCQUFzQixDQUFDOztNQUV4RixhQUFhLEdBQUcsU0FBUzs7Ozs7QUFLL0IscUNBaUJDOzs7SUFmRyxzQ0FBMkI7O0lBRzNCLG1DQUF3Qjs7SUFHeEIscUNBQTBCOztJQUUxQixxQ0FBaUM7O0lBR2pDLDJDQUFnQzs7SUFHaEMsNkJBQVk7Ozs7OztBQU1oQixxQ0FJQzs7O0lBSEcsNkJBQVc7O0lBQ1gscUNBQW1COztJQUNuQixnQ0FBZTs7Ozs7O0FBTW5CLGlDQWVDOzs7SUFiRyw2QkFBc0I7O0lBR3RCLDRCQUFpRDs7SUFFakQsOEJBQXVCOztJQUV2Qiw4QkFBbUM7O0lBR25DLDRCQUF3Qzs7SUFFeEMsNEJBQXFCOzs7Ozs7OztBQU96QixNQUFNLFVBQVUsZUFBZSxDQUFDLFVBQThCOztVQUNwRCxPQUFPLEdBQUcsU0FBUyxDQUFDLFVBQVUsQ0FBQzs7VUFDL0IsUUFBUSxHQUFxQyxFQUFFOztVQUMvQyxRQUFRLEdBQThCLEVBQUU7O1VBQ3hDLE9BQU8sR0FBOEIsRUFBRTs7VUFDdkMsS0FBSyxHQUFxQyxFQUFFO0lBQ2xELFVBQVUsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxFQUFFOztjQUNyQixNQUFNLEdBQUcsT0FBTyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUM7UUFDL0IsUUFBUSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsR0FBRyxFQUFFLENBQUM7UUFDdkIsUUFBUSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsR0FBRyxFQUFFLENBQUMsT0FBTyxDQUFDO1FBQy9CLElBQUksTUFBTSxJQUFJLFFBQVEsQ0FBQyxNQUFNLENBQUMsRUFBRTtZQUM1QixRQUFRLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUMvQixPQUFPLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQztZQUNuQyxLQUFLLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztTQUNwRDthQUFNO1lBQ0gsT0FBTyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsR0FBRyxFQUFFLENBQUMsTUFBTSxJQUFJLGFBQWEsQ0FBQztZQUM5QyxLQUFLLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDO1NBQzlCO0lBQ0wsQ0FBQyxDQUFDLENBQUM7O1VBRUcsY0FBYyxHQUFHLENBQUMsSUFBWSxFQUFpQixFQUFFO1FBQ25ELElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxFQUFFO1lBQ3hCLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQztTQUNqQjs7WUFDRyxNQUFNLEdBQWtCLEVBQUU7UUFDOUIsUUFBUSxDQUFDLElBQUksQ0FBQyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsRUFBRTtZQUMzQixNQUFNLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxjQUFjLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUNsRCxDQUFDLENBQUMsQ0FBQztRQUNILE9BQU8sTUFBTSxDQUFDO0lBQ2xCLENBQUM7O1VBQ0ssa0JBQWtCLEdBQUcsQ0FBQyxJQUFZLEVBQUUsRUFBRTtRQUN4QyxPQUFPLFFBQVEsQ0FBQyxJQUFJLENBQUMsSUFBSSxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxFQUFFO1lBQzVDLElBQUksR0FBRyxRQUFRLENBQUMsSUFBSSxDQUFDLElBQUksUUFBUSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1NBQzlDO1FBQ0QsT0FBTyxJQUFJLENBQUM7SUFDaEIsQ0FBQzs7VUFFSyxNQUFNLEdBQUcsVUFBVSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxDQUFDOztVQUNwRixLQUFLLEdBQThDLEVBQUU7SUFDM0QsTUFBTSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRTtRQUNsQixLQUFLLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDO0lBQ3JCLENBQUMsQ0FBQyxDQUFDOztVQUNHLFNBQVMsR0FBK0MsRUFBRTtJQUNoRSxDQUFDLFVBQVUsQ0FBQyxhQUFhLElBQUksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFO1FBQ3pDLElBQUksUUFBUSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsRUFBRTtZQUNwQixTQUFTLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztTQUN6QjtJQUNMLENBQUMsQ0FBQyxDQUFDOztVQUNHLFNBQVMsR0FBRyxDQUFDLElBQVksRUFBRSxFQUFFOztjQUN6QixDQUFDLEdBQUcsU0FBUyxDQUFDLElBQUksQ0FBQztRQUN6QixJQUFJLENBQUMsQ0FBQyxFQUFFO1lBQ0osT0FBTyxDQUFDLGtCQUFrQixDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7U0FDckM7O2NBQ0ssTUFBTSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxDQUFDLGtCQUFrQixDQUFDOztjQUN2RixRQUFRLEdBQUcsa0JBQWtCLENBQUMsQ0FBQyxDQUFDLGFBQWEsSUFBSSxDQUFDLENBQUMsTUFBTSxDQUFDO1FBQ2hFLE9BQU8sTUFBTSxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUM7SUFDN0UsQ0FBQztJQUVELENBQUMsVUFBVSxDQUFDLFdBQVcsSUFBSSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLEVBQUU7UUFDeEMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUU7WUFDL0QsT0FBTztTQUNWO1FBQ0QsU0FBUyxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLEVBQUU7WUFDMUIsY0FBYyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUU7Z0JBQ25DLG1EQUFtRDtnQkFDbkQsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsVUFBVSxFQUFFLEVBQUUsQ0FBQyxJQUFJLEdBQUcsR0FBRyxHQUFHLEVBQUUsQ0FBQyxFQUFFLEVBQUUsS0FBSyxFQUFFLEVBQUUsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDO1lBQ3JGLENBQUMsQ0FBQyxDQUFDO1FBQ1AsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDLENBQUMsQ0FBQzs7VUFFRyxPQUFPLEdBQWtCLEVBQUU7SUFDakMsSUFBSSxVQUFVLENBQUMsT0FBTyxJQUFJLFFBQVEsQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLEVBQUU7UUFDcEQsT0FBTyxDQUFDLElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztLQUN4RDtJQUNELENBQUMsVUFBVSxDQUFDLE9BQU8sSUFBSSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQUU7UUFDbkMsSUFBSSxRQUFRLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxFQUFFO1lBQ3JCLE9BQU8sQ0FBQyxJQUFJLENBQUMsa0JBQWtCLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7U0FDL0M7SUFDTCxDQUFDLENBQUMsQ0FBQzs7VUFFRyxXQUFXLEdBQUcsVUFBVSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQzs7VUFDekUsS0FBSyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsV0FBVyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztJQUV2RixPQUFPO1FBQ0gsTUFBTSxFQUFFLE1BQU07UUFDZCxLQUFLLEVBQUUsS0FBSztRQUNaLE9BQU8sRUFBRSxPQUFPO1FBQ2hCLE9BQU8sRUFBRSxPQUFPO1FBQ2hCLEtBQUssRUFBRSxLQUFLO1FBQ1osS0FBSyxFQUFFLEtBQUs7S0FDZixDQUFDO0FBQ04sQ0FBQzs7Ozs7Ozs7QUFNRCxTQUFTLGFBQWEsQ0FBQyxPQUFzQixFQUFFLEtBQStDOztVQUNwRixPQUFPLEdBQStCLEVBQUU7O1VBQ3hDLEtBQUssR0FBRyxPQUFPLENBQUMsS0FBSyxFQUFFO0lBQzdCLE9BQU8sS0FBSyxDQUFDLE1BQU0sRUFBRTs7Y0FDWCxJQUFJLEdBQUcsS0FBSyxDQUFDLEtBQUssRUFBRTtRQUMxQixJQUFJLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRTtZQUNmLFNBQVM7U0FDWjtRQUNELE9BQU8sQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUM7UUFDckIsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztLQUN0RDtJQUNELE9BQU8sT0FBTyxDQUFDO0FBQ25CLENBQUM7Ozs7OztBQUtELFNBQVMsMkJBQTJCLENBQUMsS0FBa0I7O1VBQzdDLFVBQVUsR0FBeUIsRUFBRTs7VUFDckMsS0FBSyxHQUE4QixFQUFFOztVQUNyQyxPQUFPLEdBQThCLEVBQUU7O1VBQ3ZDLE9BQU8sR0FBK0IsRUFBRTs7VUFDeEMsS0FBSyxHQUFrQixFQUFFOztRQUMzQixPQUFPLEdBQUcsQ0FBQzs7VUFFVCxLQUFLLEdBQUcsQ0FBQyxJQUFZLEVBQUUsRUFBRTtRQUMzQixLQUFLLENBQUMsSUFBSSxDQUFDLEdBQUcsT0FBTyxDQUFDLElBQUksQ0FBQyxHQUFHLE9BQU8sRUFBRSxDQUFDO1FBQ3hDLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDakIsT0FBTyxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQztRQUNyQixLQUFLLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsRUFBRTtZQUMxQixJQUFJLEtBQUssQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEtBQUssU0FBUyxFQUFFO2dCQUMzQixLQUFLLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDO2dCQUNaLE9BQU8sQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRSxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7YUFDMUQ7aUJBQU0sSUFBSSxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFO2dCQUN0QixPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO2FBQ3hEO1FBQ0wsQ0FBQyxDQUFDLENBQUM7UUFDSCxJQUFJLE9BQU8sQ0FBQyxJQUFJLENBQUMsS0FBSyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUU7O2tCQUN6QixTQUFTLEdBQWtCLEVBQUU7O2dCQUMvQixHQUFXO1lBQ2YsR0FBRztnQkFDQyxHQUFHLEdBQUcsS0FBSyxDQUFDLEdBQUcsRUFBRSxDQUFDO2dCQUNsQixPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsS0FBSyxDQUFDO2dCQUNyQixTQUFTLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDO2FBQzFCLFFBQVEsR0FBRyxLQUFLLElBQUksRUFBRTtZQUN2QixVQUFVLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDO1NBQzlCO0lBQ0wsQ0FBQztJQUVELEtBQUssQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxFQUFFO1FBQ3hCLElBQUksS0FBSyxDQUFDLElBQUksQ0FBQyxLQUFLLFNBQVMsRUFBRTtZQUMzQixLQUFLLENBQUMsSUFBSSxDQUFDLENBQUM7U0FDZjtJQUNMLENBQUMsQ0FBQyxDQUFDO0lBQ0gsT0FBTyxVQUFVLENBQUM7QUFDdEIsQ0FBQzs7Ozs7Ozs7QUFPRCxNQUFNLFVBQVUsaUJBQWlCLENBQUMsVUFBOEI7O1VBQ3RELEtBQUssR0FBRyxlQUFlLENBQUMsVUFBVSxDQUFDOztVQUNuQyxTQUFTLEdBQUcsVUFBVSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDOztVQUNoRCxjQUFjLEdBQUcsQ0FBQyxJQUFZLEVBQUUsRUFBRSxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDOztVQUU5RixTQUFTLEdBQUcsYUFBYSxDQUFDLEtBQUssQ0FBQyxPQUFPLEVBQUUsS0FBSyxDQUFDLEtBQUssQ0FBQzs7VUFDckQsV0FBVyxHQUFHLFNBQVMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQzs7VUFFckYsUUFBUSxHQUFHLEtBQUssQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sSUFBSSxLQUFLLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7O1VBRWxHLE9BQU8sR0FBK0IsRUFBRTtJQUM5QyxLQUFLLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRTtRQUN6QixPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxDQUFDO0lBQ3pCLENBQUMsQ0FBQyxDQUFDO0lBQ0gsS0FBSyxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUU7UUFDeEIsS0FBSyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQUU7WUFDMUIsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsR0FBRyxJQUFJLENBQUM7UUFDekIsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDLENBQUMsQ0FBQzs7VUFDRyxVQUFVLEdBQUcsU0FBUyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsY0FBYyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDOzs7VUFHbEYsUUFBUSxHQUE2QyxFQUFFO0lBQzdELEtBQUssQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxFQUFFO1FBQ3hCLEtBQUssQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFO1lBQzFCLFFBQVEsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEdBQUcsUUFBUSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUM7WUFDdEMsUUFBUSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsRUFBRSxFQUFFLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQztRQUN0QyxDQUFDLENBQUMsQ0FBQztJQUNQLENBQUMsQ0FBQyxDQUFDOztVQUNHLGFBQWEsR0FBRyxhQUFhLENBQUMsS0FBSyxDQUFDLEtBQUssRUFBRSxRQUFRLENBQUM7O1VBQ3BELGdCQUFnQixHQUFHLEtBQUssQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQzs7VUFDL0QsZ0JBQWdCLEdBQUcsS0FBSyxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUU7UUFDaEQsT0FBTyxnQkFBZ0IsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUN0RixDQUFDLENBQUM7SUFFRixPQUFPO1FBQ0gsV0FBVyxFQUFFLFdBQVc7UUFDeEIsUUFBUSxFQUFFLFFBQVE7UUFDbEIsVUFBVSxFQUFFLFVBQVU7UUFDdEIsVUFBVSxFQUFFLDJCQUEyQixDQUFDLEtBQUssQ0FBQztRQUM5QyxnQkFBZ0IsRUFBRSxnQkFBZ0I7UUFDbEMsRUFBRSxFQUFFLENBQUMsV0FBVyxDQUFDLE1BQU0sSUFBSSxDQUFDLFFBQVEsQ0FBQyxNQUFNLElBQUksQ0FBQyxnQkFBZ0IsQ0FBQyxNQUFNO0tBQzFFLENBQUM7QUFDTixDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAZmlsZU92ZXJ2aWV3XG4gKiBQcm92aWRlcyB0aGUgc3RhdGljIGFuYWx5c2lzIG9mIHRoZSBkZWZpbml0aW9uIG9mIGEgZmluaXRlIHN0YXRlIG1hY2hpbmUuXG4gKiBUaGUgYW5hbHlzaXMgd29ya3Mgb24gdGhlIGdyYXBoIG9mIGF0b21pYyBzdGF0ZXMsIGFzIHRoZSBGU00gaXMgYWx3YXlzXG4gKiBpbiBhbiBhdG9taWMgc3RhdGUgb2YgZWFjaCByZWdpb246IGEgdHJhbnNpdGlvbiBkZWZpbmVkIG9uIGEgY29tcG91bmRcbiAqIHN0YXRlIGxlYXZlcyBmcm9tIGVhY2ggb2YgaXRzIGF0b21pYyBkZXNjZW5kYW50cywgYW5kIGEgdHJhbnNpdGlvbiB0b1xuICogYSBjb21wb3VuZCBzdGF0ZSBlbmRzIHVwIGluIGl0cyBpbml0aWFsIGF0b21pYyBzdGF0ZS4gQSB0cmFuc2l0aW9uIHRvXG4gKiBhIGhpc3Rvcnkgc3RhdGUgbWF5IGVuZCB1cCBpbiBhbnkgc3RhdGUgdGhlIGhpc3Rvcnkgc3RhdGUgbWF5IHJlbWVtYmVyLlxuICogR3VhcmQgY29uZGl0aW9ucyBhcmUgbm90IGV2YWx1YXRlZCwgaS5lLiwgZXZlcnkgdHJhbnNpdGlvbiBpcyBhc3N1bWVkXG4gKiB0byBiZSBwb3NzaWJsZS5cbiAqIEBhdXRob3IgWGlhb2xvbmcgVGFuZyA8eHhsb25ndGFuZ0BnbWFpbC5jb20+XG4gKiBAbGljZW5zZSBDb3B5cmlnaHQgQG1lXG4gKi9cbmltcG9ydCB7IElIaXN0b3J5U3RhdGVEZWZpbml0aW9uLCBJTWFjaGluZURlZmluaXRpb24sIHBhcmVudHNPZiB9IGZyb20gJy4vbWFjaGluZS1kZWZpbml0aW9uJztcblxuY29uc3QgZGVmYXVsdFJlZ2lvbiA9ICdkZWZhdWx0JztcblxuLyoqXG4gKiBEZXNjcmliZXMgdGhlIHJlc3VsdCBvZiBhbmFseXppbmcgYSBkZWZpbml0aW9uLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIElBbmFseXNpc1JlcG9ydCB7XG4gICAgLy8gVGhlIHN0YXRlcyB3aGljaCBjYW5ub3QgYmUgZW50ZXJlZCBmcm9tIHRoZSBpbml0IHN0YXRlcy5cbiAgICB1bnJlYWNoYWJsZTogQXJyYXk8c3RyaW5nPjtcbiAgICAvLyBUaGUgYXRvbWljIHN0YXRlcyB3aXRob3V0IGFueSBvdXRnb2luZyB0cmFuc2l0aW9uLFxuICAgIC8vIHdoaWNoIGFyZSBub3QgbWFya2VkIGFzIGZpbmFsLlxuICAgIGRlYWRFbmRzOiBBcnJheTxzdHJpbmc+O1xuICAgIC8vIFRoZSBzdGF0ZXMgd2hpY2ggYXJlIG5laXRoZXIgZW50ZXJlZCBieSBhbnkgdHJhbnNpdGlvblxuICAgIC8vIG5vciBlbnRlcmVkIGluaXRpYWxseS5cbiAgICBub0luY29taW5nOiBBcnJheTxzdHJpbmc+O1xuICAgIC8vIFRoZSBzdHJvbmdseSBjb25uZWN0ZWQgY29tcG9uZW50cyBvZiB0aGUgYXRvbWljIHN0YXRlcy5cbiAgICBjb21wb25lbnRzOiBBcnJheTxBcnJheTxzdHJpbmc+PjtcbiAgICAvLyBUaGUgYXRvbWljIHN0YXRlcyBmcm9tIHdoaWNoIG5vIGZpbmFsIHN0YXRlIGNhbiBiZSByZWFjaGVkLFxuICAgIC8vIHJlcG9ydGVkIGZvciB0aGUgcmVnaW9ucyB3aXRoIGF0IGxlYXN0IG9uZSBmaW5hbCBzdGF0ZS5cbiAgICBjYW5ub3RSZWFjaEZpbmFsOiBBcnJheTxzdHJpbmc+O1xuICAgIC8vIFdoZXRoZXIgdGhlcmUgaXMgbmVpdGhlciBhbnkgdW5yZWFjaGFibGUgc3RhdGUsIG5vciBhbnkgZGVhZCBlbmQsXG4gICAgLy8gbm9yIGFueSBzdGF0ZSB3aGljaCBjYW5ub3QgcmVhY2ggYSBmaW5hbCBzdGF0ZS5cbiAgICBvazogYm9vbGVhbjtcbn1cblxuLyoqXG4gKiBEZXNjcmliZXMgYSB0cmFuc2l0aW9uIGJldHdlZW4gdHdvIGF0b21pYyBzdGF0ZXMuXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgSVN0YXRlR3JhcGhFZGdlIHtcbiAgICB0bzogc3RyaW5nO1xuICAgIHRyYW5zaXRpb246IHN0cmluZztcbiAgICBldmVudD86IHN0cmluZztcbn1cblxuLyoqXG4gKiBUaGUgZ3JhcGggb2YgdGhlIGF0b21pYyBzdGF0ZXMgb2YgYSBkZWZpbml0aW9uLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIElTdGF0ZUdyYXBoIHtcbiAgICAvLyBUaGUgYXRvbWljIHN0YXRlcywgaW4gdGhlIG9yZGVyIG9mIGRlZmluaXRpb25cbiAgICBzdGF0ZXM6IEFycmF5PHN0cmluZz47XG4gICAgLy8gVGhlIHRhcmdldHMgb2YgdGhlIHRyYW5zaXRpb25zIGZyb20gZWFjaCBhdG9taWMgc3RhdGUsXG4gICAgLy8gdG9nZXRoZXIgd2l0aCB0aGUgbmFtZXMgYW5kIHRoZSBldmVudHMgb2YgdGhlIHRyYW5zaXRpb25zLlxuICAgIGVkZ2VzOiB7IFtrZXk6IHN0cmluZ106IEFycmF5PElTdGF0ZUdyYXBoRWRnZT4gfTtcbiAgICAvLyBUaGUgYXRvbWljIHN0YXRlcyBpbml0aWFsbHkgZW50ZXJlZCwgb25lIGZvciBlYWNoIHJlZ2lvblxuICAgIGluaXRpYWw6IEFycmF5PHN0cmluZz47XG4gICAgLy8gVGhlIHJlZ2lvbiBvZiBlYWNoIHN0YXRlXG4gICAgcmVnaW9uczogeyBba2V5OiBzdHJpbmddOiBzdHJpbmcgfTtcbiAgICAvLyBUaGUgZW5jbG9zaW5nIHN0YXRlcyBvZiBlYWNoIHN0YXRlLCBzdGFydGluZyBmcm9tIHRoZSBvdXRlcm1vc3Qgb25lLFxuICAgIC8vIGFuZCBlbmRpbmcgd2l0aCB0aGUgc3RhdGUgaXRzZWxmLlxuICAgIHBhdGhzOiB7IFtrZXk6IHN0cmluZ106IEFycmF5PHN0cmluZz4gfTtcbiAgICAvLyBUaGUgYXRvbWljIHN0YXRlcyB3aGljaCBhcmUsIG9yIGFyZSBuZXN0ZWQgaW4sIGEgZmluYWwgc3RhdGVcbiAgICBmaW5hbDogQXJyYXk8c3RyaW5nPjtcbn1cblxuLyoqXG4gKiBCdWlsZHMgdGhlIGdyYXBoIG9mIHRoZSBhdG9taWMgc3RhdGVzIG9mIGEgZGVmaW5pdGlvbixcbiAqIGZvbGxvd2luZyB0aGUgc2FtZSBydWxlcyBhcyB0aGUgRlNNIGRvZXMuXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiBidWlsZFN0YXRlR3JhcGgoZGVmaW5pdGlvbjogSU1hY2hpbmVEZWZpbml0aW9uKTogSVN0YXRlR3JhcGgge1xuICAgIGNvbnN0IHBhcmVudHMgPSBwYXJlbnRzT2YoZGVmaW5pdGlvbik7XG4gICAgY29uc3QgY2hpbGRyZW46IHsgW2tleTogc3RyaW5nXTogQXJyYXk8c3RyaW5nPiB9ID0ge307XG4gICAgY29uc3QgaW5pdGlhbHM6IHsgW2tleTogc3RyaW5nXTogc3RyaW5nIH0gPSB7fTtcbiAgICBjb25zdCByZWdpb25zOiB7IFtrZXk6IHN0cmluZ106IHN0cmluZyB9ID0ge307XG4gICAgY29uc3QgcGF0aHM6IHsgW2tleTogc3RyaW5nXTogQXJyYXk8c3RyaW5nPiB9ID0ge307XG4gICAgZGVmaW5pdGlvbi5zdGF0ZXMuZm9yRWFjaChzdCA9PiB7XG4gICAgICAgIGNvbnN0IHBhcmVudCA9IHBhcmVudHNbc3QubmFtZV07XG4gICAgICAgIGNoaWxkcmVuW3N0Lm5hbWVdID0gW107XG4gICAgICAgIGluaXRpYWxzW3N0Lm5hbWVdID0gc3QuaW5pdGlhbDtcbiAgICAgICAgaWYgKHBhcmVudCAmJiBjaGlsZHJlbltwYXJlbnRdKSB7XG4gICAgICAgICAgICBjaGlsZHJlbltwYXJlbnRdLnB1c2goc3QubmFtZSk7XG4gICAgICAgICAgICByZWdpb25zW3N0Lm5hbWVdID0gcmVnaW9uc1twYXJlbnRdO1xuICAgICAgICAgICAgcGF0aHNbc3QubmFtZV0gPSBwYXRoc1twYXJlbnRdLmNvbmNhdChbc3QubmFtZV0pO1xuICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgcmVnaW9uc1tzdC5uYW1lXSA9IHN0LnJlZ2lvbiB8fCBkZWZhdWx0UmVnaW9uO1xuICAgICAgICAgICAgcGF0aHNbc3QubmFtZV0gPSBbc3QubmFtZV07XG4gICAgICAgIH1cbiAgICB9KTtcblxuICAgIGNvbnN0IGF0b21pY1N0YXRlc09mID0gKG5hbWU6IHN0cmluZyk6IEFycmF5PHN0cmluZz4gPT4ge1xuICAgICAgICBpZiAoIWNoaWxkcmVuW25hbWVdLmxlbmd0aCkge1xuICAgICAgICAgICAgcmV0dXJuIFtuYW1lXTtcbiAgICAgICAgfVxuICAgICAgICBsZXQgcmVzdWx0OiBBcnJheTxzdHJpbmc+ID0gW107XG4gICAgICAgIGNoaWxkcmVuW25hbWVdLmZvckVhY2goY2hpbGQgPT4ge1xuICAgICAgICAgICAgcmVzdWx0ID0gcmVzdWx0LmNvbmNhdChhdG9taWNTdGF0ZXNPZihjaGlsZCkpO1xuICAgICAgICB9KTtcbiAgICAgICAgcmV0dXJuIHJlc3VsdDtcbiAgICB9O1xuICAgIGNvbnN0IHJlc29sdmVBdG9taWNTdGF0ZSA9IChuYW1lOiBzdHJpbmcpID0+IHtcbiAgICAgICAgd2hpbGUgKGNoaWxkcmVuW25hbWVdICYmIGNoaWxkcmVuW25hbWVdLmxlbmd0aCkge1xuICAgICAgICAgICAgbmFtZSA9IGluaXRpYWxzW25hbWVdIHx8IGNoaWxkcmVuW25hbWVdWzBdO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiBuYW1lO1xuICAgIH07XG5cbiAgICBjb25zdCBzdGF0ZXMgPSBkZWZpbml0aW9uLnN0YXRlcy5tYXAoc3QgPT4gc3QubmFtZSkuZmlsdGVyKG5hbWUgPT4gIWNoaWxkcmVuW25hbWVdLmxlbmd0aCk7XG4gICAgY29uc3QgZWRnZXM6IHsgW2tleTogc3RyaW5nXTogQXJyYXk8SVN0YXRlR3JhcGhFZGdlPiB9ID0ge307XG4gICAgc3RhdGVzLmZvckVhY2gobmFtZSA9PiB7XG4gICAgICAgIGVkZ2VzW25hbWVdID0gW107XG4gICAgfSk7XG4gICAgY29uc3QgaGlzdG9yaWVzOiB7IFtrZXk6IHN0cmluZ106IElIaXN0b3J5U3RhdGVEZWZpbml0aW9uIH0gPSB7fTtcbiAgICAoZGVmaW5pdGlvbi5oaXN0b3J5U3RhdGVzIHx8IFtdKS5mb3JFYWNoKGggPT4ge1xuICAgICAgICBpZiAoY2hpbGRyZW5baC5wYXJlbnRdKSB7XG4gICAgICAgICAgICBoaXN0b3JpZXNbaC5uYW1lXSA9IGg7XG4gICAgICAgIH1cbiAgICB9KTtcbiAgICBjb25zdCB0YXJnZXRzT2YgPSAobmFtZTogc3RyaW5nKSA9PiB7XG4gICAgICAgIGNvbnN0IGggPSBoaXN0b3JpZXNbbmFtZV07XG4gICAgICAgIGlmICghaCkge1xuICAgICAgICAgICAgcmV0dXJuIFtyZXNvbHZlQXRvbWljU3RhdGUobmFtZSldO1xuICAgICAgICB9XG4gICAgICAgIGNvbnN0IHJlc3VsdCA9IGguZGVlcCA/IGF0b21pY1N0YXRlc09mKGgucGFyZW50KSA6IGNoaWxkcmVuW2gucGFyZW50XS5tYXAocmVzb2x2ZUF0b21pY1N0YXRlKTtcbiAgICAgICAgY29uc3QgZmFsbGJhY2sgPSByZXNvbHZlQXRvbWljU3RhdGUoaC5kZWZhdWx0VGFyZ2V0IHx8IGgucGFyZW50KTtcbiAgICAgICAgcmV0dXJuIHJlc3VsdC5pbmRleE9mKGZhbGxiYWNrKSA8IDAgPyByZXN1bHQuY29uY2F0KFtmYWxsYmFja10pIDogcmVzdWx0O1xuICAgIH07XG5cbiAgICAoZGVmaW5pdGlvbi50cmFuc2l0aW9ucyB8fCBbXSkuZm9yRWFjaCh0ciA9PiB7XG4gICAgICAgIGlmICghY2hpbGRyZW5bdHIuZnJvbV0gfHwgKCFjaGlsZHJlblt0ci50b10gJiYgIWhpc3Rvcmllc1t0ci50b10pKSB7XG4gICAgICAgICAgICByZXR1cm47XG4gICAgICAgIH1cbiAgICAgICAgdGFyZ2V0c09mKHRyLnRvKS5mb3JFYWNoKHRvID0+IHtcbiAgICAgICAgICAgIGF0b21pY1N0YXRlc09mKHRyLmZyb20pLmZvckVhY2goZnJvbSA9PiB7XG4gICAgICAgICAgICAgICAgLy8gVGhlIHNhbWUgbmFtZSBhcyB0aGUgRlNNIGdpdmVzIHRvIHRoZSB0cmFuc2l0aW9uXG4gICAgICAgICAgICAgICAgZWRnZXNbZnJvbV0ucHVzaCh7IHRvOiB0bywgdHJhbnNpdGlvbjogdHIuZnJvbSArICcyJyArIHRyLnRvLCBldmVudDogdHIuZXZlbnQgfSk7XG4gICAgICAgICAgICB9KTtcbiAgICAgICAgfSk7XG4gICAgfSk7XG5cbiAgICBjb25zdCBpbml0aWFsOiBBcnJheTxzdHJpbmc+ID0gW107XG4gICAgaWYgKGRlZmluaXRpb24uaW5pdGlhbCAmJiBjaGlsZHJlbltkZWZpbml0aW9uLmluaXRpYWxdKSB7XG4gICAgICAgIGluaXRpYWwucHVzaChyZXNvbHZlQXRvbWljU3RhdGUoZGVmaW5pdGlvbi5pbml0aWFsKSk7XG4gICAgfVxuICAgIChkZWZpbml0aW9uLnJlZ2lvbnMgfHwgW10pLmZvckVhY2gociA9PiB7XG4gICAgICAgIGlmIChjaGlsZHJlbltyLmluaXRpYWxdKSB7XG4gICAgICAgICAgICBpbml0aWFsLnB1c2gocmVzb2x2ZUF0b21pY1N0YXRlKHIuaW5pdGlhbCkpO1xuICAgICAgICB9XG4gICAgfSk7XG5cbiAgICBjb25zdCBmaW5hbFN0YXRlcyA9IGRlZmluaXRpb24uc3RhdGVzLmZpbHRlcihzdCA9PiBzdC5maW5hbCkubWFwKHN0ID0+IHN0Lm5hbWUpO1xuICAgIGNvbnN0IGZpbmFsID0gc3RhdGVzLmZpbHRlcihuYW1lID0+IHBhdGhzW25hbWVdLnNvbWUocyA9PiBmaW5hbFN0YXRlcy5pbmRleE9mKHMpID49IDApKTtcblxuICAgIHJldHVybiB7XG4gICAgICAgIHN0YXRlczogc3RhdGVzLFxuICAgICAgICBlZGdlczogZWRnZXMsXG4gICAgICAgIGluaXRpYWw6IGluaXRpYWwsXG4gICAgICAgIHJlZ2lvbnM6IHJlZ2lvbnMsXG4gICAgICAgIHBhdGhzOiBwYXRocyxcbiAgICAgICAgZmluYWw6IGZpbmFsXG4gICAgfTtcbn1cblxuLyoqXG4gKiBSZXR1cm5zIHRoZSBzdGF0ZXMgd2hpY2ggY2FuIGJlIHJlYWNoZWQgZnJvbSB0aGUgZ2l2ZW4gb25lcyxcbiAqIGluY2x1ZGluZyB0aGVtc2VsdmVzLCBieSBmb2xsb3dpbmcgdGhlIGdpdmVuIGVkZ2VzLlxuICovXG5mdW5jdGlvbiByZWFjaGFibGVGcm9tKHNvdXJjZXM6IEFycmF5PHN0cmluZz4sIGVkZ2VzOiB7IFtrZXk6IHN0cmluZ106IEFycmF5PHsgdG86IHN0cmluZyB9PiB9KSB7XG4gICAgY29uc3QgdmlzaXRlZDogeyBba2V5OiBzdHJpbmddOiBib29sZWFuIH0gPSB7fTtcbiAgICBjb25zdCBxdWV1ZSA9IHNvdXJjZXMuc2xpY2UoKTtcbiAgICB3aGlsZSAocXVldWUubGVuZ3RoKSB7XG4gICAgICAgIGNvbnN0IG5hbWUgPSBxdWV1ZS5zaGlmdCgpO1xuICAgICAgICBpZiAodmlzaXRlZFtuYW1lXSkge1xuICAgICAgICAgICAgY29udGludWU7XG4gICAgICAgIH1cbiAgICAgICAgdmlzaXRlZFtuYW1lXSA9IHRydWU7XG4gICAgICAgIChlZGdlc1tuYW1lXSB8fCBbXSkuZm9yRWFjaChlID0+IHF1ZXVlLnB1c2goZS50bykpO1xuICAgIH1cbiAgICByZXR1cm4gdmlzaXRlZDtcbn1cblxuLyoqXG4gKiBDb21wdXRlcyB0aGUgc3Ryb25nbHkgY29ubmVjdGVkIGNvbXBvbmVudHMgYnkgVGFyamFuJ3MgYWxnb3JpdGhtLlxuICovXG5mdW5jdGlvbiBzdHJvbmdseUNvbm5lY3RlZENvbXBvbmVudHMoZ3JhcGg6IElTdGF0ZUdyYXBoKSB7XG4gICAgY29uc3QgY29tcG9uZW50czogQXJyYXk8QXJyYXk8c3RyaW5nPj4gPSBbXTtcbiAgICBjb25zdCBpbmRleDogeyBba2V5OiBzdHJpbmddOiBudW1iZXIgfSA9IHt9O1xuICAgIGNvbnN0IGxvd0xpbms6IHsgW2tleTogc3RyaW5nXTogbnVtYmVyIH0gPSB7fTtcbiAgICBjb25zdCBvblN0YWNrOiB7IFtrZXk6IHN0cmluZ106IGJvb2xlYW4gfSA9IHt9O1xuICAgIGNvbnN0IHN0YWNrOiBBcnJheTxzdHJpbmc+ID0gW107XG4gICAgbGV0IGNvdW50ZXIgPSAwO1xuXG4gICAgY29uc3QgdmlzaXQgPSAobmFtZTogc3RyaW5nKSA9PiB7XG4gICAgICAgIGluZGV4W25hbWVdID0gbG93TGlua1tuYW1lXSA9IGNvdW50ZXIrKztcbiAgICAgICAgc3RhY2sucHVzaChuYW1lKTtcbiAgICAgICAgb25TdGFja1tuYW1lXSA9IHRydWU7XG4gICAgICAgIGdyYXBoLmVkZ2VzW25hbWVdLmZvckVhY2goZSA9PiB7XG4gICAgICAgICAgICBpZiAoaW5kZXhbZS50b10gPT09IHVuZGVmaW5lZCkge1xuICAgICAgICAgICAgICAgIHZpc2l0KGUudG8pO1xuICAgICAgICAgICAgICAgIGxvd0xpbmtbbmFtZV0gPSBNYXRoLm1pbihsb3dMaW5rW25hbWVdLCBsb3dMaW5rW2UudG9dKTtcbiAgICAgICAgICAgIH0gZWxzZSBpZiAob25TdGFja1tlLnRvXSkge1xuICAgICAgICAgICAgICAgIGxvd0xpbmtbbmFtZV0gPSBNYXRoLm1pbihsb3dMaW5rW25hbWVdLCBpbmRleFtlLnRvXSk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH0pO1xuICAgICAgICBpZiAobG93TGlua1tuYW1lXSA9PT0gaW5kZXhbbmFtZV0pIHtcbiAgICAgICAgICAgIGNvbnN0IGNvbXBvbmVudDogQXJyYXk8c3RyaW5nPiA9IFtdO1xuICAgICAgICAgICAgbGV0IHRvcDogc3RyaW5nO1xuICAgICAgICAgICAgZG8ge1xuICAgICAgICAgICAgICAgIHRvcCA9IHN0YWNrLnBvcCgpO1xuICAgICAgICAgICAgICAgIG9uU3RhY2tbdG9wXSA9IGZhbHNlO1xuICAgICAgICAgICAgICAgIGNvbXBvbmVudC51bnNoaWZ0KHRvcCk7XG4gICAgICAgICAgICB9IHdoaWxlICh0b3AgIT09IG5hbWUpO1xuICAgICAgICAgICAgY29tcG9uZW50cy5wdXNoKGNvbXBvbmVudCk7XG4gICAgICAgIH1cbiAgICB9O1xuXG4gICAgZ3JhcGguc3RhdGVzLmZvckVhY2gobmFtZSA9PiB7XG4gICAgICAgIGlmIChpbmRleFtuYW1lXSA9PT0gdW5kZWZpbmVkKSB7XG4gICAgICAgICAgICB2aXNpdChuYW1lKTtcbiAgICAgICAgfVxuICAgIH0pO1xuICAgIHJldHVybiBjb21wb25lbnRzO1xufVxuXG4vKipcbiAqIEFuYWx5emVzIGEgZGVmaW5pdGlvbiwgcmVwb3J0aW5nIHRoZSBzdGF0ZXMgd2hpY2ggYXJlIHVucmVhY2hhYmxlLFxuICogdGhlIGRlYWQgZW5kcywgdGhlIHN0YXRlcyB3aXRob3V0IGluY29taW5nIHRyYW5zaXRpb25zLCB0aGUgc3Ryb25nbHlcbiAqIGNvbm5lY3RlZCBjb21wb25lbnRzLCBhbmQgdGhlIHN0YXRlcyB3aGljaCBjYW5ub3QgcmVhY2ggYSBmaW5hbCBzdGF0ZS5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIGFuYWx5emVEZWZpbml0aW9uKGRlZmluaXRpb246IElNYWNoaW5lRGVmaW5pdGlvbik6IElBbmFseXNpc1JlcG9ydCB7XG4gICAgY29uc3QgZ3JhcGggPSBidWlsZFN0YXRlR3JhcGgoZGVmaW5pdGlvbik7XG4gICAgY29uc3QgYWxsU3RhdGVzID0gZGVmaW5pdGlvbi5zdGF0ZXMubWFwKHN0ID0+IHN0Lm5hbWUpO1xuICAgIGNvbnN0IGF0b21pY1N0YXRlc0luID0gKG5hbWU6IHN0cmluZykgPT4gZ3JhcGguc3RhdGVzLmZpbHRlcihzID0+IGdyYXBoLnBhdGhzW3NdLmluZGV4T2YobmFtZSkgPj0gMCk7XG5cbiAgICBjb25zdCByZWFjaGFibGUgPSByZWFjaGFibGVGcm9tKGdyYXBoLmluaXRpYWwsIGdyYXBoLmVkZ2VzKTtcbiAgICBjb25zdCB1bnJlYWNoYWJsZSA9IGFsbFN0YXRlcy5maWx0ZXIobmFtZSA9PiAhYXRvbWljU3RhdGVzSW4obmFtZSkuc29tZShzID0+IHJlYWNoYWJsZVtzXSkpO1xuXG4gICAgY29uc3QgZGVhZEVuZHMgPSBncmFwaC5zdGF0ZXMuZmlsdGVyKG5hbWUgPT4gIWdyYXBoLmVkZ2VzW25hbWVdLmxlbmd0aCAmJiBncmFwaC5maW5hbC5pbmRleE9mKG5hbWUpIDwgMCk7XG5cbiAgICBjb25zdCBlbnRlcmVkOiB7IFtrZXk6IHN0cmluZ106IGJvb2xlYW4gfSA9IHt9O1xuICAgIGdyYXBoLmluaXRpYWwuZm9yRWFjaChuYW1lID0+IHtcbiAgICAgICAgZW50ZXJlZFtuYW1lXSA9IHRydWU7XG4gICAgfSk7XG4gICAgZ3JhcGguc3RhdGVzLmZvckVhY2gobmFtZSA9PiB7XG4gICAgICAgIGdyYXBoLmVkZ2VzW25hbWVdLmZvckVhY2goZSA9PiB7XG4gICAgICAgICAgICBlbnRlcmVkW2UudG9dID0gdHJ1ZTtcbiAgICAgICAgfSk7XG4gICAgfSk7XG4gICAgY29uc3Qgbm9JbmNvbWluZyA9IGFsbFN0YXRlcy5maWx0ZXIobmFtZSA9PiAhYXRvbWljU3RhdGVzSW4obmFtZSkuc29tZShzID0+IGVudGVyZWRbc10pKTtcblxuICAgIC8vIFNlYXJjaCBiYWNrd2FyZHMgZnJvbSB0aGUgZmluYWwgc3RhdGVzXG4gICAgY29uc3QgcmV2ZXJzZWQ6IHsgW2tleTogc3RyaW5nXTogQXJyYXk8eyB0bzogc3RyaW5nIH0+IH0gPSB7fTtcbiAgICBncmFwaC5zdGF0ZXMuZm9yRWFjaChuYW1lID0+IHtcbiAgICAgICAgZ3JhcGguZWRnZXNbbmFtZV0uZm9yRWFjaChlID0+IHtcbiAgICAgICAgICAgIHJldmVyc2VkW2UudG9dID0gcmV2ZXJzZWRbZS50b10gfHwgW107XG4gICAgICAgICAgICByZXZlcnNlZFtlLnRvXS5wdXNoKHsgdG86IG5hbWUgfSk7XG4gICAgICAgIH0pO1xuICAgIH0pO1xuICAgIGNvbnN0IHJlYWNoaW5nRmluYWwgPSByZWFjaGFibGVGcm9tKGdyYXBoLmZpbmFsLCByZXZlcnNlZCk7XG4gICAgY29uc3QgcmVnaW9uc1dpdGhGaW5hbCA9IGdyYXBoLmZpbmFsLm1hcChuYW1lID0+IGdyYXBoLnJlZ2lvbnNbbmFtZV0pO1xuICAgIGNvbnN0IGNhbm5vdFJlYWNoRmluYWwgPSBncmFwaC5zdGF0ZXMuZmlsdGVyKG5hbWUgPT4ge1xuICAgICAgICByZXR1cm4gcmVnaW9uc1dpdGhGaW5hbC5pbmRleE9mKGdyYXBoLnJlZ2lvbnNbbmFtZV0pID49IDAgJiYgIXJlYWNoaW5nRmluYWxbbmFtZV07XG4gICAgfSk7XG5cbiAgICByZXR1cm4ge1xuICAgICAgICB1bnJlYWNoYWJsZTogdW5yZWFjaGFibGUsXG4gICAgICAgIGRlYWRFbmRzOiBkZWFkRW5kcyxcbiAgICAgICAgbm9JbmNvbWluZzogbm9JbmNvbWluZyxcbiAgICAgICAgY29tcG9uZW50czogc3Ryb25nbHlDb25uZWN0ZWRDb21wb25lbnRzKGdyYXBoKSxcbiAgICAgICAgY2Fubm90UmVhY2hGaW5hbDogY2Fubm90UmVhY2hGaW5hbCxcbiAgICAgICAgb2s6ICF1bnJlYWNoYWJsZS5sZW5ndGggJiYgIWRlYWRFbmRzLmxlbmd0aCAmJiAhY2Fubm90UmVhY2hGaW5hbC5sZW5ndGhcbiAgICB9O1xufVxuIl19
\ No newline at end of file
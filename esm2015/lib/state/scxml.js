@@ -0,0 +1,638 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * @fileOverview
+ * Provides the conversion between SCXML (W3C State Chart XML) documents
+ * and the declarative definition of a finite state machine.
+ * Only the subset of SCXML which has a counterpart in the FSM is
+ * supported; any other construct is reported as a problem.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { DefinitionError, parentsOf } from './machine-definition';
+/** @type {?} */
+const scxmlNamespace = 'http://www.w3.org/2005/07/scxml';
+/** @type {?} */
+const defaultRegion = 'default';
+/** @type {?} */
+const identifierPattern = /^[A-Za-z_$][\w$]*$/;
+/**
+ * @record
+ */
+function IXmlElement() { }
+if (false) {
+    /** @type {?} */
+    IXmlElement.prototype.name;
+    /** @type {?} */
+    IXmlElement.prototype.attributes;
+    /** @type {?} */
+    IXmlElement.prototype.children;
+    /** @type {?} */
+    IXmlElement.prototype.text;
+}
+/** @type {?} */
+const entities = {
+    lt: '<', gt: '>', amp: '&', quot: '"', apos: '\''
+};
+/**
+ * @param {?} value
+ * @return {?}
+ */
+function decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|\w+);/g, (all, code) => {
+        if (code.charAt(0) === '#') {
+            return String.fromCharCode(code.charAt(1) === 'x' ?
+                parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10));
+        }
+        return entities.hasOwnProperty(code) ? entities[code] : all;
+    });
+}
+/**
+ * @param {?} value
+ * @return {?}
+ */
+function encodeEntities(value) {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+/**
+ * Parses a XML document into a tree of elements. This is a small
+ * non-validating parser; namespace prefixes are dropped, and processing
+ * instructions, comments and doctype declarations are skipped.
+ * @param {?} xml
+ * @return {?}
+ */
+function parseXml(xml) {
+    /** @type {?} */
+    let pos = 0;
+    /** @type {?} */
+    const fail = (message) => {
+        throw new Error('Malformed XML at ' + pos + ': ' + message);
+    };
+    /** @type {?} */
+    const localName = (name) => name.substring(name.indexOf(':') + 1);
+    /** @type {?} */
+    const skipUntil = (token) => {
+        /** @type {?} */
+        const end = xml.indexOf(token, pos);
+        if (end < 0) {
+            fail('missing ' + token);
+        }
+        pos = end + token.length;
+    };
+    /** @type {?} */
+    const skipMisc = () => {
+        for (;;) {
+            while (pos < xml.length && /\s/.test(xml.charAt(pos))) {
+                pos++;
+            }
+            if (xml.substr(pos, 2) === '<?') {
+                skipUntil('?>');
+            }
+            else if (xml.substr(pos, 4) === '<!--') {
+                skipUntil('-->');
+            }
+            else if (xml.substr(pos, 9) === '<!DOCTYPE') {
+                skipUntil('>');
+            }
+            else {
+                return;
+            }
+        }
+    };
+    /** @type {?} */
+    const parseElement = () => {
+        /** @type {?} */
+        const head = /^<([\w:.-]+)/.exec(xml.substring(pos));
+        if (!head) {
+            fail('expected an element');
+        }
+        pos += head[0].length;
+        /** @type {?} */
+        const element = { name: localName(head[1]), attributes: {}, children: [], text: '' };
+        for (;;) {
+            /** @type {?} */
+            const attr = /^\s+([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/.exec(xml.substring(pos));
+            if (!attr) {
+                break;
+            }
+            /** @type {?} */
+            const value = attr[3] !== undefined ? attr[3] : attr[4];
+            element.attributes[attr[1]] = decodeEntities(value);
+            pos += attr[0].length;
+        }
+        /** @type {?} */
+        const tail = /^\s*(\/?)>/.exec(xml.substring(pos));
+        if (!tail) {
+            fail('unterminated tag ' + head[1]);
+        }
+        pos += tail[0].length;
+        if (tail[1]) {
+            return element;
+        }
+        for (;;) {
+            if (pos >= xml.length) {
+                fail('unclosed element ' + head[1]);
+            }
+            if (xml.substr(pos, 2) === '</') {
+                /** @type {?} */
+                const close = /^<\/([\w:.-]+)\s*>/.exec(xml.substring(pos));
+                if (!close || close[1] !== head[1]) {
+                    fail('mismatched closing tag for ' + head[1]);
+                }
+                pos += close[0].length;
+                return element;
+            }
+            if (xml.substr(pos, 4) === '<!--') {
+                skipUntil('-->');
+            }
+            else if (xml.substr(pos, 9) === '<![CDATA[') {
+                /** @type {?} */
+                const start = pos + 9;
+                skipUntil(']]>');
+                element.text += xml.substring(start, pos - 3);
+            }
+            else if (xml.substr(pos, 2) === '<?') {
+                skipUntil('?>');
+            }
+            else if (xml.charAt(pos) === '<') {
+                element.children.push(parseElement());
+            }
+            else {
+                /** @type {?} */
+                const next = xml.indexOf('<', pos);
+                /** @type {?} */
+                const end = next < 0 ? xml.length : next;
+                element.text += decodeEntities(xml.substring(pos, end));
+                pos = end;
+            }
+        }
+    };
+    skipMisc();
+    /** @type {?} */
+    const root = parseElement();
+    skipMisc();
+    if (pos < xml.length) {
+        fail('unexpected content after the root element');
+    }
+    return root;
+}
+/**
+ * Parses a SCXML document into a definition. The onentry and onexit
+ * handlers, as well as the executable content of a transition, are
+ * expected to consist of a single script element, whose text is the name
+ * of the callback; the cond attribute is expected to be the name of
+ * a guard. The data elements of the datamodel make up the context data,
+ * and their expressions must be JSON values. A targetless transition
+ * is taken as an internal self-transition. A parallel element at the top
+ * stands for the orthogonal regions: each of its child states is a region,
+ * whose children are the states in the region, and the one with the id
+ * 'default' is the default region.
+ * If any unsupported construct is met, a DefinitionError listing
+ * all of them is thrown.
+ * @param {?} xml
+ * @return {?}
+ */
+export function parseScxml(xml) {
+    /** @type {?} */
+    const errors = [];
+    /** @type {?} */
+    let root;
+    try {
+        root = parseXml(xml);
+    }
+    catch (e) {
+        throw new DefinitionError([{ path: '', message: e.message }]);
+    }
+    if (root.name !== 'scxml') {
+        throw new DefinitionError([{ path: '/' + root.name, message: 'Not a SCXML document' }]);
+    }
+    /** @type {?} */
+    const states = [];
+    /** @type {?} */
+    const historyStates = [];
+    /** @type {?} */
+    const transitions = [];
+    /** @type {?} */
+    const regions = [];
+    /** @type {?} */
+    const definition = { states: states, transitions: transitions };
+    /** @type {?} */
+    const unsupported = (path, what) => {
+        errors.push({ path: path, message: 'Unsupported ' + what });
+    };
+    // Returns the callback name given by the executable content of an element.
+    /** @type {?} */
+    const callbackOf = (element, path) => {
+        /** @type {?} */
+        const scripts = element.children.filter(c => c.name === 'script');
+        element.children.forEach(c => {
+            if (c.name !== 'script') {
+                unsupported(path + '/' + c.name, 'executable content: ' + c.name);
+            }
+        });
+        if (scripts.length > 1) {
+            unsupported(path + '/script', 'multiple scripts');
+        }
+        if (!scripts.length) {
+            return undefined;
+        }
+        /** @type {?} */
+        const name = scripts[0].text.trim();
+        if (scripts[0].attributes.src || !identifierPattern.test(name)) {
+            unsupported(path + '/script', 'script; expected the name of a callback');
+            return undefined;
+        }
+        return name;
+    };
+    // Returns the target of an initial element.
+    /** @type {?} */
+    const initialOf = (element, path) => {
+        /** @type {?} */
+        const trans = element.children.filter(c => c.name === 'transition');
+        if (trans.length !== 1 || !trans[0].attributes.target || trans[0].children.length) {
+            unsupported(path, element.name + ' element; expected a single transition with a target');
+            return undefined;
+        }
+        return trans[0].attributes.target;
+    };
+    /** @type {?} */
+    const readTransition = (element, from, path) => {
+        /** @type {?} */
+        const attrs = element.attributes;
+        // A targetless transition leaves no state, and enters none.
+        /** @type {?} */
+        const transition = attrs.target ?
+            { from: from, to: attrs.target } :
+            { from: from, to: from, internal: true };
+        if (attrs.target && /\s/.test(attrs.target.trim())) {
+            unsupported(path + '/@target', 'multiple targets: ' + attrs.target);
+            return;
+        }
+        if (!attrs.event) {
+            unsupported(path, 'eventless transition');
+        }
+        else if (/\s/.test(attrs.event.trim()) || /[*]/.test(attrs.event)) {
+            unsupported(path + '/@event', 'event descriptor: ' + attrs.event);
+        }
+        else {
+            transition.event = attrs.event;
+        }
+        if (attrs.cond) {
+            if (identifierPattern.test(attrs.cond.trim())) {
+                transition.guard = attrs.cond.trim();
+            }
+            else {
+                unsupported(path + '/@cond', 'condition; expected the name of a guard: ' + attrs.cond);
+            }
+        }
+        if (attrs.type === 'internal') {
+            unsupported(path + '/@type', 'internal transition');
+        }
+        /** @type {?} */
+        const onAfter = callbackOf(element, path);
+        if (onAfter) {
+            transition.onAfter = onAfter;
+        }
+        transitions.push(transition);
+    };
+    /** @type {?} */
+    const readHistory = (element, parent, path) => {
+        /** @type {?} */
+        const id = element.attributes.id;
+        if (!id) {
+            unsupported(path, 'history without an id');
+            return;
+        }
+        /** @type {?} */
+        const history = { name: id, parent: parent };
+        if (element.attributes.type === 'deep') {
+            history.deep = true;
+        }
+        if (element.children.length) {
+            // The default transition
+            /** @type {?} */
+            const target = initialOf(element, path + '[@id=\'' + id + '\']');
+            if (target) {
+                history.defaultTarget = target;
+            }
+        }
+        historyStates.push(history);
+    };
+    /** @type {?} */
+    const readState = (element, parent, path, region) => {
+        /** @type {?} */
+        const id = element.attributes.id;
+        if (!id) {
+            unsupported(path, 'state without an id');
+            return;
+        }
+        path = path + '[@id=\'' + id + '\']';
+        /** @type {?} */
+        const state = { name: id };
+        if (parent) {
+            state.parent = parent;
+        }
+        if (region && region !== defaultRegion) {
+            state.region = region;
+        }
+        if (element.attributes.initial) {
+            state.initial = element.attributes.initial;
+        }
+        if (element.name === 'final') {
+            state.final = true;
+        }
+        states.push(state);
+        element.children.forEach(c => {
+            /** @type {?} */
+            const childPath = path + '/' + c.name;
+            if (c.name === 'state' || c.name === 'final') {
+                readState(c, id, childPath);
+            }
+            else if (c.name === 'initial') {
+                state.initial = initialOf(c, childPath);
+            }
+            else if (c.name === 'history') {
+                readHistory(c, id, childPath);
+            }
+            else if (c.name === 'transition') {
+                readTransition(c, id, childPath);
+            }
+            else if (c.name === 'onentry' || c.name === 'onexit') {
+                /** @type {?} */
+                const key = c.name === 'onentry' ? 'onEnter' : 'onLeave';
+                if (state[key]) {
+                    unsupported(childPath, 'multiple ' + c.name + ' handlers');
+                }
+                state[key] = callbackOf(c, childPath);
+            }
+            else {
+                unsupported(childPath, 'element: ' + c.name);
+            }
+        });
+    };
+    // Reads a region, i.e., a child state of the parallel element.
+    /** @type {?} */
+    const readRegion = (element, path) => {
+        /** @type {?} */
+        const id = element.attributes.id;
+        if (element.name !== 'state' || !id) {
+            unsupported(path, 'region; expected a state with an id');
+            return;
+        }
+        path = path + '[@id=\'' + id + '\']';
+        /** @type {?} */
+        const members = element.children.filter(c => c.name === 'state' || c.name === 'final');
+        /** @type {?} */
+        let initial = element.attributes.initial;
+        element.children.forEach(c => {
+            /** @type {?} */
+            const childPath = path + '/' + c.name;
+            if (c.name === 'state' || c.name === 'final') {
+                readState(c, null, childPath, id);
+            }
+            else if (c.name === 'initial') {
+                initial = initialOf(c, childPath);
+            }
+            else {
+                unsupported(childPath, 'element in a region: ' + c.name);
+            }
+        });
+        // By the SCXML semantics, the first state is the initial one.
+        initial = initial || (members.length ? members[0].attributes.id : undefined);
+        if (id === defaultRegion) {
+            definition.initial = initial;
+        }
+        else {
+            regions.push({ name: id, initial: initial });
+        }
+    };
+    /** @type {?} */
+    const parallels = root.children.filter(c => c.name === 'parallel');
+    if (parallels.length && root.children.some(c => c.name !== 'parallel' && c.name !== 'datamodel')) {
+        unsupported('/scxml/parallel', 'parallel element along with other states');
+    }
+    else if (parallels.length > 1) {
+        unsupported('/scxml/parallel', 'multiple parallel elements');
+    }
+    if (root.attributes.initial && !parallels.length) {
+        definition.initial = root.attributes.initial;
+    }
+    root.children.forEach(c => {
+        /** @type {?} */
+        const path = '/scxml/' + c.name;
+        if (c.name === 'state' || c.name === 'final') {
+            readState(c, null, path);
+        }
+        else if (c.name === 'parallel') {
+            c.children.forEach(r => readRegion(r, path + '/' + r.name));
+        }
+        else if (c.name === 'datamodel') {
+            /** @type {?} */
+            const context = {};
+            c.children.forEach(d => {
+                if (d.name !== 'data' || !d.attributes.id) {
+                    unsupported(path + '/' + d.name, 'data element');
+                    return;
+                }
+                try {
+                    context[d.attributes.id] = JSON.parse(d.attributes.expr || d.text || 'null');
+                }
+                catch (e) {
+                    unsupported(path + '/data[@id=\'' + d.attributes.id + '\']', 'data expression; expected a JSON value');
+                }
+            });
+            definition.context = context;
+        }
+        else {
+            unsupported(path, 'element: ' + c.name);
+        }
+    });
+    if (historyStates.length) {
+        definition.historyStates = historyStates;
+    }
+    if (regions.length) {
+        definition.regions = regions;
+    }
+    if (!definition.initial && states.length && !parallels.length) {
+        // By the SCXML semantics, the first state is the initial one.
+        definition.initial = states[0].name;
+    }
+    if (errors.length) {
+        throw new DefinitionError(errors);
+    }
+    return definition;
+}
+/**
+ * Serializes a definition as a SCXML document, following the same
+ * conventions as parseScxml. An internal self-transition is written
+ * as a targetless transition, and the orthogonal regions as the child
+ * states of a parallel element, named after the regions. A history state
+ * is always written with its default transition. Transitions without
+ * an event, which SCXML would take automatically, before callbacks,
+ * assign options, delays and compensations have no counterpart,
+ * and are reported by a DefinitionError.
+ * @param {?} definition
+ * @return {?}
+ */
+export function serializeScxml(definition) {
+    /** @type {?} */
+    const errors = [];
+    /** @type {?} */
+    const lines = [];
+    /** @type {?} */
+    const indent = (depth) => new Array(depth + 1).join('    ');
+    /** @type {?} */
+    const attr = (name, value) => value ? ' ' + name + '="' + encodeEntities(value) + '"' : '';
+    /** @type {?} */
+    const children = {};
+    /** @type {?} */
+    const roots = [];
+    /** @type {?} */
+    const parents = parentsOf(definition);
+    definition.states.forEach(st => {
+        /** @type {?} */
+        const parent = parents[st.name];
+        children[st.name] = [];
+        if (parent && children[parent]) {
+            children[parent].push(st);
+        }
+        else {
+            roots.push(st);
+        }
+    });
+    /** @type {?} */
+    const writeHandler = (tag, name, depth) => {
+        if (name) {
+            lines.push(indent(depth) + '<' + tag + '>');
+            lines.push(indent(depth + 1) + '<script>' + encodeEntities(name) + '</script>');
+            lines.push(indent(depth) + '</' + tag + '>');
+        }
+    };
+    /** @type {?} */
+    const writeState = (st, depth) => {
+        /** @type {?} */
+        const trans = (definition.transitions || []).filter(tr => tr.from === st.name);
+        // A final state in SCXML is always atomic, and cannot be left.
+        /** @type {?} */
+        const tag = st.final ? 'final' : 'state';
+        if (st.final && (trans.length || children[st.name].length)) {
+            errors.push({
+                path: '/states/' + definition.states.indexOf(st) + '/final',
+                message: 'Final states with transitions or children are not supported in SCXML'
+            });
+        }
+        /** @type {?} */
+        const open = indent(depth) + '<' + tag + attr('id', st.name) + attr('initial', st.initial) + '>';
+        lines.push(open);
+        writeHandler('onentry', st.onEnter, depth + 1);
+        writeHandler('onexit', st.onLeave, depth + 1);
+        trans.forEach(tr => {
+            /** @type {?} */
+            const index = definition.transitions.indexOf(tr);
+            if (!tr.event) {
+                errors.push({
+                    path: '/transitions/' + index + '/event',
+                    message: 'Transitions without an event are not supported in SCXML'
+                });
+            }
+            if (tr.onBefore) {
+                errors.push({ path: '/transitions/' + index + '/onBefore', message: 'Before callbacks are not supported in SCXML' });
+            }
+            if (tr.assign) {
+                errors.push({ path: '/transitions/' + index + '/assign', message: 'Assign options are not supported in SCXML' });
+            }
+            if (tr.delay !== undefined && tr.delay !== null) {
+                errors.push({ path: '/transitions/' + index + '/delay', message: 'Delays are not supported in SCXML' });
+            }
+            if (tr.compensation) {
+                errors.push({
+                    path: '/transitions/' + index + '/compensation',
+                    message: 'Compensations are not supported in SCXML'
+                });
+            }
+            /** @type {?} */
+            const head = indent(depth + 1) + '<transition' + attr('event', tr.event) +
+                attr('cond', tr.guard) + attr('target', tr.internal ? undefined : tr.to);
+            if (tr.onAfter) {
+                lines.push(head + '>');
+                lines.push(indent(depth + 2) + '<script>' + encodeEntities(tr.onAfter) + '</script>');
+                lines.push(indent(depth + 1) + '</transition>');
+            }
+            else {
+                lines.push(head + '/>');
+            }
+        });
+        children[st.name].forEach(child => writeState(child, depth + 1));
+        (definition.historyStates || []).filter(h => h.parent === st.name).forEach(h => {
+            // SCXML requires the default transition; by default, it goes to
+            // the initial state of the parent, which is its first child
+            // unless declared.
+            /** @type {?} */
+            const target = h.defaultTarget || st.initial || (children[st.name][0] && children[st.name][0].name);
+            lines.push(indent(depth + 1) + '<history' + attr('id', h.name) + attr('type', h.deep ? 'deep' : 'shallow') + '>');
+            lines.push(indent(depth + 2) + '<transition' + attr('target', target) + '/>');
+            lines.push(indent(depth + 1) + '</history>');
+        });
+        if (lines[lines.length - 1] === open) {
+            lines[lines.length - 1] = open.replace(/>$/, '/>');
+        }
+        else {
+            lines.push(indent(depth) + '</' + tag + '>');
+        }
+    };
+    /** @type {?} */
+    const regions = definition.regions || [];
+    lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+    lines.push('<scxml' + attr('xmlns', scxmlNamespace) + ' version="1.0"' +
+        attr('initial', regions.length ? undefined : definition.initial) + '>');
+    /** @type {?} */
+    const context = definition.context;
+    if (context !== undefined && context !== null) {
+        if (typeof context !== 'object' || Array.isArray(context)) {
+            errors.push({ path: '/context', message: 'Context data other than an object is not supported in SCXML' });
+        }
+        else if (Object.keys(context).length) {
+            lines.push(indent(1) + '<datamodel>');
+            Object.keys(context).forEach(k => {
+                lines.push(indent(2) + '<data' + attr('id', k) + ' expr="' + encodeEntities(JSON.stringify(context[k])) + '"/>');
+            });
+            lines.push(indent(1) + '</datamodel>');
+        }
+    }
+    if (regions.length) {
+        // A region is written as a state, so its name must not be taken
+        // by any state; the default region is left out if it is empty.
+        /** @type {?} */
+        const names = definition.states.map(st => st.name).concat((definition.historyStates || []).map(h => h.name));
+        lines.push(indent(1) + '<parallel>');
+        [{ name: defaultRegion, initial: definition.initial }].concat(regions).forEach((r, i) => {
+            /** @type {?} */
+            const members = roots.filter(st => (st.region || defaultRegion) === r.name);
+            if (!members.length) {
+                return;
+            }
+            if (names.indexOf(r.name) >= 0) {
+                errors.push({
+                    path: i ? '/regions/' + (i - 1) + '/name' : '/states/' + names.indexOf(r.name) + '/name',
+                    message: 'Regions named as states are not supported in SCXML: ' + r.name
+                });
+            }
+            lines.push(indent(2) + '<state' + attr('id', r.name) + attr('initial', r.initial) + '>');
+            members.forEach(st => writeState(st, 3));
+            lines.push(indent(2) + '</state>');
+        });
+        lines.push(indent(1) + '</parallel>');
+    }
+    else {
+        roots.forEach(st => writeState(st, 1));
+    }
+    lines.push('</scxml>');
+    if (errors.length) {
+        throw new DefinitionError(errors);
+    }
+    return lines.join('\n') + '\n';
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2N4bWwuanMiLCJzb3VyY2VSb290Ijoibmc6Ly9AcG9scHdhcmUvZmUtYmVoYXZpb3IvIiwic291cmNlcyI6WyJsaWIvc3RhdGUvc2N4bWwudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7OztBQVNBLE9BQU8sRUFDSCxlQUFlLEVBT2YsU0FBUyxFQUNaLE1BQU0sc0JBQXNCLENBQUM7O01BRXhCLGNBQWMsR0FBRyxpQ0FBaUM7O01BQ2xELGFBQWEsR0FBRyxTQUFTOztNQUN6QixpQkFBaUIsR0FBRyxvQkFBb0I7Ozs7QUFFOUMsMEJBS0M7OztJQUpHLDJCQUFhOztJQUNiLGlDQUFzQzs7SUFDdEMsK0JBQTZCOztJQUM3QiwyQkFBYTs7O01BR1gsUUFBUSxHQUE4QjtJQUN4QyxFQUFFLEVBQUUsR0FBRyxFQUFFLEVBQUUsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxJQUFJLEVBQUUsR0FBRyxFQUFFLElBQUksRUFBRSxJQUFJO0NBQ3BEOzs7OztBQUVELFNBQVMsY0FBYyxDQUFDLEtBQWE7SUFDakMsT0FBTyxLQUFLLENBQUMsT0FBTyxDQUFDLGlDQUFpQyxFQUFFLENBQUMsR0FBVyxFQUFFLElBQVksRUFBRSxFQUFFO1FBQ2xGLElBQUksSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsS0FBSyxHQUFHLEVBQUU7WUFDeEIsT0FBTyxNQUFNLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUM7Z0JBQy9DLFFBQVEsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDO1NBQzFFO1FBQ0QsT0FBTyxRQUFRLENBQUMsY0FBYyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQztJQUNoRSxDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7Ozs7O0FBRUQsU0FBUyxjQUFjLENBQUMsS0FBYTtJQUNqQyxPQUFPLEtBQUssQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLE9BQU8sQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsTUFBTSxDQUFDO1NBQ3BELE9BQU8sQ0FBQyxJQUFJLEVBQUUsTUFBTSxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxRQUFRLENBQUMsQ0FBQztBQUN2RCxDQUFDOzs7Ozs7OztBQU9ELFNBQVMsUUFBUSxDQUFDLEdBQVc7O1FBQ3JCLEdBQUcsR0FBRyxDQUFDOztVQUNMLElBQUksR0FBRyxDQUFDLE9BQWUsRUFBRSxFQUFFO1FBQzdCLE1BQU0sSUFBSSxLQUFLLENBQUMsbUJBQW1CLEdBQUcsR0FBRyxHQUFHLElBQUksR0FBRyxPQUFPLENBQUMsQ0FBQztJQUNoRSxDQUFDOztVQUNLLFNBQVMsR0FBRyxDQUFDLElBQVksRUFBRSxFQUFFLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQzs7VUFDbkUsU0FBUyxHQUFHLENBQUMsS0FBYSxFQUFFLEVBQUU7O2NBQzFCLEdBQUcsR0FBRyxHQUFHLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxHQUFHLENBQUM7UUFDbkMsSUFBSSxHQUFHLEdBQUcsQ0FBQyxFQUFFO1lBQ1QsSUFBSSxDQUFDLFVBQVUsR0FBRyxLQUFLLENBQUMsQ0FBQztTQUM1QjtRQUNELEdBQUcsR0FBRyxHQUFHLEdBQUcsS0FBSyxDQUFDLE1BQU0sQ0FBQztJQUM3QixDQUFDOztVQUNLLFFBQVEsR0FBRyxHQUFHLEVBQUU7UUFDbEIsU0FBVztZQUNQLE9BQU8sR0FBRyxHQUFHLEdBQUcsQ0FBQyxNQUFNLElBQUksSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUU7Z0JBQ25ELEdBQUcsRUFBRSxDQUFDO2FBQ1Q7WUFDRCxJQUFJLEdBQUcsQ0FBQyxNQUFNLENBQUMsR0FBRyxFQUFFLENBQUMsQ0FBQyxLQUFLLElBQUksRUFBRTtnQkFDN0IsU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDO2FBQ25CO2lCQUFNLElBQUksR0FBRyxDQUFDLE1BQU0sQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUFDLEtBQUssTUFBTSxFQUFFO2dCQUN0QyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUM7YUFDcEI7aUJBQU0sSUFBSSxHQUFHLENBQUMsTUFBTSxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUMsS0FBSyxXQUFXLEVBQUU7Z0JBQzNDLFNBQVMsQ0FBQyxHQUFHLENBQUMsQ0FBQzthQUNsQjtpQkFBTTtnQkFDSCxPQUFPO2FBQ1Y7U0FDSjtJQUNMLENBQUM7O1VBRUssWUFBWSxHQUFHLEdBQWdCLEVBQUU7O2NBQzdCLElBQUksR0FBRyxjQUFjLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDcEQsSUFBSSxDQUFDLElBQUksRUFBRTtZQUNQLElBQUksQ0FBQyxxQkFBcUIsQ0FBQyxDQUFDO1NBQy9CO1FBQ0QsR0FBRyxJQUFJLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUM7O2NBQ2hCLE9BQU8sR0FBZ0IsRUFBRSxJQUFJLEVBQUUsU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLFVBQVUsRUFBRSxFQUFFLEVBQUUsUUFBUSxFQUFFLEVBQUUsRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFO1FBQ2pHLFNBQVc7O2tCQUNELElBQUksR0FBRyw0Q0FBNEMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsQ0FBQztZQUNsRixJQUFJLENBQUMsSUFBSSxFQUFFO2dCQUNQLE1BQU07YUFDVDs7a0JBQ0ssS0FBSyxHQUFHLElBQUksQ0FBQyxDQUFDLENBQUMsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztZQUN2RCxPQUFPLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLGNBQWMsQ0FBQyxLQUFLLENBQUMsQ0FBQztZQUNwRCxHQUFHLElBQUksSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQztTQUN6Qjs7Y0FDSyxJQUFJLEdBQUcsWUFBWSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ2xELElBQUksQ0FBQyxJQUFJLEVBQUU7WUFDUCxJQUFJLENBQUMsbUJBQW1CLEdBQUcsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7U0FDdkM7UUFDRCxHQUFHLElBQUksSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQztRQUN0QixJQUFJLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRTtZQUNULE9BQU8sT0FBTyxDQUFDO1NBQ2xCO1FBQ0QsU0FBVztZQUNQLElBQUksR0FBRyxJQUFJLEdBQUcsQ0FBQyxNQUFNLEVBQUU7Z0JBQ25CLElBQUksQ0FBQyxtQkFBbUIsR0FBRyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQzthQUN2QztZQUNELElBQUksR0FBRyxDQUFDLE1BQU0sQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUFDLEtBQUssSUFBSSxFQUFFOztzQkFDdkIsS0FBSyxHQUFHLG9CQUFvQixDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxDQUFDO2dCQUMzRCxJQUFJLENBQUMsS0FBSyxJQUFJLEtBQUssQ0FBQyxDQUFDLENBQUMsS0FBSyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUU7b0JBQ2hDLElBQUksQ0FBQyw2QkFBNkIsR0FBRyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztpQkFDakQ7Z0JBQ0QsR0FBRyxJQUFJLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUM7Z0JBQ3ZCLE9BQU8sT0FBTyxDQUFDO2FBQ2xCO1lBQ0QsSUFBSSxHQUFHLENBQUMsTUFBTSxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUMsS0FBSyxNQUFNLEVBQUU7Z0JBQy9CLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQzthQUNwQjtpQkFBTSxJQUFJLEdBQUcsQ0FBQyxNQUFNLENBQUMsR0FBRyxFQUFFLENBQUMsQ0FBQyxLQUFLLFdBQVcsRUFBRTs7c0JBQ3JDLEtBQUssR0FBRyxHQUFHLEdBQUcsQ0FBQztnQkFDckIsU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUNqQixPQUFPLENBQUMsSUFBSSxJQUFJLEdBQUcsQ0FBQyxTQUFTLENBQUMsS0FBSyxFQUFFLEdBQUcsR0FBRyxDQUFDLENBQUMsQ0FBQzthQUNqRDtpQkFBTSxJQUFJLEdBQUcsQ0FBQyxNQUFNLENBQUMsR0FBRyxFQUFFLENBQUMsQ0FBQyxLQUFLLElBQUksRUFBRTtnQkFDcEMsU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDO2FBQ25CO2lCQUFNLElBQUksR0FBRyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsS0FBSyxHQUFHLEVBQUU7Z0JBQ2hDLE9BQU8sQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLFlBQVksRUFBRSxDQUFDLENBQUM7YUFDekM7aUJBQU07O3NCQUNHLElBQUksR0FBRyxHQUFHLENBQUMsT0FBTyxDQUFDLEdBQUcsRUFBRSxHQUFHLENBQUM7O3NCQUM1QixHQUFHLEdBQUcsSUFBSSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsSUFBSTtnQkFDeEMsT0FBTyxDQUFDLElBQUksSUFBSSxjQUFjLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxHQUFHLEVBQUUsR0FBRyxDQUFDLENBQUMsQ0FBQztnQkFDeEQsR0FBRyxHQUFHLEdBQUcsQ0FBQzthQUNiO1NBQ0o7SUFDTCxDQUFDO0lBRUQsUUFBUSxFQUFFLENBQUM7O1VBQ0wsSUFBSSxHQUFHLFlBQVksRUFBRTtJQUMzQixRQUFRLEVBQUUsQ0FBQztJQUNYLElBQUksR0FBRyxHQUFHLEdBQUcsQ0FBQyxNQUFNLEVBQUU7UUFDbEIsSUFBSSxDQUFDLDJDQUEyQyxDQUFDLENBQUM7S0FDckQ7SUFDRCxPQUFPLElBQUksQ0FBQztBQUNoQixDQUFDOzs7Ozs7Ozs7Ozs7Ozs7OztBQWdCRCxNQUFNLFVBQVUsVUFBVSxDQUFDLEdBQVc7O1VBQzVCLE1BQU0sR0FBOEIsRUFBRTs7UUFDeEMsSUFBaUI7SUFDckIsSUFBSTtRQUNBLElBQUksR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUM7S0FDeEI7SUFBQyxPQUFPLENBQUMsRUFBRTtRQUNSLE1BQU0sSUFBSSxlQUFlLENBQUMsQ0FBQyxFQUFFLElBQUksRUFBRSxFQUFFLEVBQUUsT0FBTyxFQUFFLENBQUMsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDLENBQUM7S0FDakU7SUFDRCxJQUFJLElBQUksQ0FBQyxJQUFJLEtBQUssT0FBTyxFQUFFO1FBQ3ZCLE1BQU0sSUFBSSxlQUFlLENBQUMsQ0FBQyxFQUFFLElBQUksRUFBRSxHQUFHLEdBQUcsSUFBSSxDQUFDLElBQUksRUFBRSxPQUFPLEVBQUUsc0JBQXNCLEVBQUUsQ0FBQyxDQUFDLENBQUM7S0FDM0Y7O1VBRUssTUFBTSxHQUE0QixFQUFFOztVQUNwQyxhQUFhLEdBQW1DLEVBQUU7O1VBQ2xELFdBQVcsR0FBaUMsRUFBRTs7VUFDOUMsT0FBTyxHQUE2QixFQUFFOztVQUN0QyxVQUFVLEdBQXVCLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxXQUFXLEVBQUUsV0FBVyxFQUFFOztVQUM3RSxXQUFXLEdBQUcsQ0FBQyxJQUFZLEVBQUUsSUFBWSxFQUFFLEVBQUU7UUFDL0MsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLGNBQWMsR0FBRyxJQUFJLEVBQUUsQ0FBQyxDQUFDO0lBQ2hFLENBQUM7OztVQUdLLFVBQVUsR0FBRyxDQUFDLE9BQW9CLEVBQUUsSUFBWSxFQUFFLEVBQUU7O2NBQ2hELE9BQU8sR0FBRyxPQUFPLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxJQUFJLEtBQUssUUFBUSxDQUFDO1FBQ2pFLE9BQU8sQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFO1lBQ3pCLElBQUksQ0FBQyxDQUFDLElBQUksS0FBSyxRQUFRLEVBQUU7Z0JBQ3JCLFdBQVcsQ0FBQyxJQUFJLEdBQUcsR0FBRyxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsc0JBQXNCLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDO2FBQ3JFO1FBQ0wsQ0FBQyxDQUFDLENBQUM7UUFDSCxJQUFJLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO1lBQ3BCLFdBQVcsQ0FBQyxJQUFJLEdBQUcsU0FBUyxFQUFFLGtCQUFrQixDQUFDLENBQUM7U0FDckQ7UUFDRCxJQUFJLENBQUMsT0FBTyxDQUFDLE1BQU0sRUFBRTtZQUNqQixPQUFPLFNBQVMsQ0FBQztTQUNwQjs7Y0FDSyxJQUFJLEdBQUcsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUU7UUFDbkMsSUFBSSxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLEdBQUcsSUFBSSxDQUFDLGlCQUFpQixDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRTtZQUM1RCxXQUFXLENBQUMsSUFBSSxHQUFHLFNBQVMsRUFBRSx5Q0FBeUMsQ0FBQyxDQUFDO1lBQ3pFLE9BQU8sU0FBUyxDQUFDO1NBQ3BCO1FBQ0QsT0FBTyxJQUFJLENBQUM7SUFDaEIsQ0FBQzs7O1VBR0ssU0FBUyxHQUFHLENBQUMsT0FBb0IsRUFBRSxJQUFZLEVBQUUsRUFBRTs7Y0FDL0MsS0FBSyxHQUFHLE9BQU8sQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksS0FBSyxZQUFZLENBQUM7UUFDbkUsSUFBSSxLQUFLLENBQUMsTUFBTSxLQUFLLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsTUFBTSxJQUFJLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsTUFBTSxFQUFFO1lBQy9FLFdBQVcsQ0FBQyxJQUFJLEVBQUUsT0FBTyxDQUFDLElBQUksR0FBRyxzREFBc0QsQ0FBQyxDQUFDO1lBQ3pGLE9BQU8sU0FBUyxDQUFDO1NBQ3BCO1FBQ0QsT0FBTyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLE1BQU0sQ0FBQztJQUN0QyxDQUFDOztVQUVLLGNBQWMsR0FBRyxDQUFDLE9BQW9CLEVBQUUsSUFBWSxFQUFFLElBQVksRUFBRSxFQUFFOztjQUNsRSxLQUFLLEdBQUcsT0FBTyxDQUFDLFVBQVU7OztjQUUxQixVQUFVLEdBQTBCLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBQztZQUNwRCxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFLEtBQUssQ0FBQyxNQUFNLEVBQUUsQ0FBQyxDQUFDO1lBQ2xDLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxFQUFFLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUU7UUFDNUMsSUFBSSxLQUFLLENBQUMsTUFBTSxJQUFJLElBQUksQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxJQUFJLEVBQUUsQ0FBQyxFQUFFO1lBQ2hELFdBQVcsQ0FBQyxJQUFJLEdBQUcsVUFBVSxFQUFFLG9CQUFvQixHQUFHLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBQztZQUNwRSxPQUFPO1NBQ1Y7UUFDRCxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssRUFBRTtZQUNkLFdBQVcsQ0FBQyxJQUFJLEVBQUUsc0JBQXNCLENBQUMsQ0FBQztTQUM3QzthQUFNLElBQUksSUFBSSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLElBQUksRUFBRSxDQUFDLElBQUksS0FBSyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLEVBQUU7WUFDakUsV0FBVyxDQUFDLElBQUksR0FBRyxTQUFTLEVBQUUsb0JBQW9CLEdBQUcsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO1NBQ3JFO2FBQU07WUFDSCxVQUFVLENBQUMsS0FBSyxHQUFHLEtBQUssQ0FBQyxLQUFLLENBQUM7U0FDbEM7UUFDRCxJQUFJLEtBQUssQ0FBQyxJQUFJLEVBQUU7WUFDWixJQUFJLGlCQUFpQixDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLEVBQUU7Z0JBQzNDLFVBQVUsQ0FBQyxLQUFLLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQzthQUN4QztpQkFBTTtnQkFDSCxXQUFXLENBQUMsSUFBSSxHQUFHLFFBQVEsRUFBRSwyQ0FBMkMsR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUM7YUFDMUY7U0FDSjtRQUNELElBQUksS0FBSyxDQUFDLElBQUksS0FBSyxVQUFVLEVBQUU7WUFDM0IsV0FBVyxDQUFDLElBQUksR0FBRyxRQUFRLEVBQUUscUJBQXFCLENBQUMsQ0FBQztTQUN2RDs7Y0FDSyxPQUFPLEdBQUcsVUFBVSxDQUFDLE9BQU8sRUFBRSxJQUFJLENBQUM7UUFDekMsSUFBSSxPQUFPLEVBQUU7WUFDVCxVQUFVLENBQUMsT0FBTyxHQUFHLE9BQU8sQ0FBQztTQUNoQztRQUNELFdBQVcsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUM7SUFDakMsQ0FBQzs7VUFFSyxXQUFXLEdBQUcsQ0FBQyxPQUFvQixFQUFFLE1BQWMsRUFBRSxJQUFZLEVBQUUsRUFBRTs7Y0FDakUsRUFBRSxHQUFHLE9BQU8sQ0FBQyxVQUFVLENBQUMsRUFBRTtRQUNoQyxJQUFJLENBQUMsRUFBRSxFQUFFO1lBQ0wsV0FBVyxDQUFDLElBQUksRUFBRSx1QkFBdUIsQ0FBQyxDQUFDO1lBQzNDLE9BQU87U0FDVjs7Y0FDSyxPQUFPLEdBQTRCLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFO1FBQ3JFLElBQUksT0FBTyxDQUFDLFVBQVUsQ0FBQyxJQUFJLEtBQUssTUFBTSxFQUFFO1lBQ3BDLE9BQU8sQ0FBQyxJQUFJLEdBQUcsSUFBSSxDQUFDO1NBQ3ZCO1FBQ0QsSUFBSSxPQUFPLENBQUMsUUFBUSxDQUFDLE1BQU0sRUFBRTs7O2tCQUVuQixNQUFNLEdBQUcsU0FBUyxDQUFDLE9BQU8sRUFBRSxJQUFJLEdBQUcsU0FBUyxHQUFHLEVBQUUsR0FBRyxLQUFLLENBQUM7WUFDaEUsSUFBSSxNQUFNLEVBQUU7Z0JBQ1IsT0FBTyxDQUFDLGFBQWEsR0FBRyxNQUFNLENBQUM7YUFDbEM7U0FDSjtRQUNELGFBQWEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7SUFDaEMsQ0FBQzs7VUFFSyxTQUFTLEdBQUcsQ0FBQyxPQUFvQixFQUFFLE1BQWMsRUFBRSxJQUFZLEVBQUUsTUFBZSxFQUFFLEVBQUU7O2NBQ2hGLEVBQUUsR0FBRyxPQUFPLENBQUMsVUFBVSxDQUFDLEVBQUU7UUFDaEMsSUFBSSxDQUFDLEVBQUUsRUFBRTtZQUNMLFdBQVcsQ0FBQyxJQUFJLEVBQUUscUJBQXFCLENBQUMsQ0FBQztZQUN6QyxPQUFPO1NBQ1Y7UUFDRCxJQUFJLEdBQUcsSUFBSSxHQUFHLFNBQVMsR0FBRyxFQUFFLEdBQUcsS0FBSyxDQUFDOztjQUMvQixLQUFLLEdBQXFCLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRTtRQUM1QyxJQUFJLE1BQU0sRUFBRTtZQUNSLEtBQUssQ0FBQyxNQUFNLEdBQUcsTUFBTSxDQUFDO1NBQ3pCO1FBQ0QsSUFBSSxNQUFNLElBQUksTUFBTSxLQUFLLGFBQWEsRUFBRTtZQUNwQyxLQUFLLENBQUMsTUFBTSxHQUFHLE1BQU0sQ0FBQztTQUN6QjtRQUNELElBQUksT0FBTyxDQUFDLFVBQVUsQ0FBQyxPQUFPLEVBQUU7WUFDNUIsS0FBSyxDQUFDLE9BQU8sR0FBRyxPQUFPLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQztTQUM5QztRQUNELElBQUksT0FBTyxDQUFDLElBQUksS0FBSyxPQUFPLEVBQUU7WUFDMUIsS0FBSyxDQUFDLEtBQUssR0FBRyxJQUFJLENBQUM7U0FDdEI7UUFDRCxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ25CLE9BQU8sQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFOztrQkFDbkIsU0FBUyxHQUFHLElBQUksR0FBRyxHQUFHLEdBQUcsQ0FBQyxDQUFDLElBQUk7WUFDckMsSUFBSSxDQUFDLENBQUMsSUFBSSxLQUFLLE9BQU8sSUFBSSxDQUFDLENBQUMsSUFBSSxLQUFLLE9BQU8sRUFBRTtnQkFDMUMsU0FBUyxDQUFDLENBQUMsRUFBRSxFQUFFLEVBQUUsU0FBUyxDQUFDLENBQUM7YUFDL0I7aUJBQU0sSUFBSSxDQUFDLENBQUMsSUFBSSxLQUFLLFNBQVMsRUFBRTtnQkFDN0IsS0FBSyxDQUFDLE9BQU8sR0FBRyxTQUFTLENBQUMsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDO2FBQzNDO2lCQUFNLElBQUksQ0FBQyxDQUFDLElBQUksS0FBSyxTQUFTLEVBQUU7Z0JBQzdCLFdBQVcsQ0FBQyxDQUFDLEVBQUUsRUFBRSxFQUFFLFNBQVMsQ0FBQyxDQUFDO2FBQ2pDO2lCQUFNLElBQUksQ0FBQyxDQUFDLElBQUksS0FBSyxZQUFZLEVBQUU7Z0JBQ2hDLGNBQWMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxFQUFFLFNBQVMsQ0FBQyxDQUFDO2FBQ3BDO2lCQUFNLElBQUksQ0FBQyxDQUFDLElBQUksS0FBSyxTQUFTLElBQUksQ0FBQyxDQUFDLElBQUksS0FBSyxRQUFRLEVBQUU7O3NCQUM5QyxHQUFHLEdBQUcsQ0FBQyxDQUFDLElBQUksS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsU0FBUztnQkFDeEQsSUFBSSxLQUFLLENBQUMsR0FBRyxDQUFDLEVBQUU7b0JBQ1osV0FBVyxDQUFDLFNBQVMsRUFBRSxXQUFXLEdBQUcsQ0FBQyxDQUFDLElBQUksR0FBRyxXQUFXLENBQUMsQ0FBQztpQkFDOUQ7Z0JBQ0QsS0FBSyxDQUFDLEdBQUcsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUM7YUFDekM7aUJBQU07Z0JBQ0gsV0FBVyxDQUFDLFNBQVMsRUFBRSxXQUFXLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDO2FBQ2hEO1FBQ0wsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDOzs7VUFHSyxVQUFVLEdBQUcsQ0FBQyxPQUFvQixFQUFFLElBQVksRUFBRSxFQUFFOztjQUNoRCxFQUFFLEdBQUcsT0FBTyxDQUFDLFVBQVUsQ0FBQyxFQUFFO1FBQ2hDLElBQUksT0FBTyxDQUFDLElBQUksS0FBSyxPQUFPLElBQUksQ0FBQyxFQUFFLEVBQUU7WUFDakMsV0FBVyxDQUFDLElBQUksRUFBRSxxQ0FBcUMsQ0FBQyxDQUFDO1lBQ3pELE9BQU87U0FDVjtRQUNELElBQUksR0FBRyxJQUFJLEdBQUcsU0FBUyxHQUFHLEVBQUUsR0FBRyxLQUFLLENBQUM7O2NBQy9CLE9BQU8sR0FBRyxPQUFPLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxJQUFJLEtBQUssT0FBTyxJQUFJLENBQUMsQ0FBQyxJQUFJLEtBQUssT0FBTyxDQUFDOztZQUNsRixPQUFPLEdBQUcsT0FBTyxDQUFDLFVBQVUsQ0FBQyxPQUFPO1FBQ3hDLE9BQU8sQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFOztrQkFDbkIsU0FBUyxHQUFHLElBQUksR0FBRyxHQUFHLEdBQUcsQ0FBQyxDQUFDLElBQUk7WUFDckMsSUFBSSxDQUFDLENBQUMsSUFBSSxLQUFLLE9BQU8sSUFBSSxDQUFDLENBQUMsSUFBSSxLQUFLLE9BQU8sRUFBRTtnQkFDMUMsU0FBUyxDQUFDLENBQUMsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLEVBQUUsQ0FBQyxDQUFDO2FBQ3JDO2lCQUFNLElBQUksQ0FBQyxDQUFDLElBQUksS0FBSyxTQUFTLEVBQUU7Z0JBQzdCLE9BQU8sR0FBRyxTQUFTLENBQUMsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDO2FBQ3JDO2lCQUFNO2dCQUNILFdBQVcsQ0FBQyxTQUFTLEVBQUUsdUJBQXVCLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDO2FBQzVEO1FBQ0wsQ0FBQyxDQUFDLENBQUM7UUFDSCw4REFBOEQ7UUFDOUQsT0FBTyxHQUFHLE9BQU8sSUFBSSxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQztRQUM3RSxJQUFJLEVBQUUsS0FBSyxhQUFhLEVBQUU7WUFDdEIsVUFBVSxDQUFDLE9BQU8sR0FBRyxPQUFPLENBQUM7U0FDaEM7YUFBTTtZQUNILE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsQ0FBQyxDQUFDO1NBQ2hEO0lBQ0wsQ0FBQzs7VUFFSyxTQUFTLEdBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxLQUFLLFVBQVUsQ0FBQztJQUNsRSxJQUFJLFNBQVMsQ0FBQyxNQUFNLElBQUksSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxLQUFLLFVBQVUsSUFBSSxDQUFDLENBQUMsSUFBSSxLQUFLLFdBQVcsQ0FBQyxFQUFFO1FBQzlGLFdBQVcsQ0FBQyxpQkFBaUIsRUFBRSwwQ0FBMEMsQ0FBQyxDQUFDO0tBQzlFO1NBQU0sSUFBSSxTQUFTLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtRQUM3QixXQUFXLENBQUMsaUJBQWlCLEVBQUUsNEJBQTRCLENBQUMsQ0FBQztLQUNoRTtJQUNELElBQUksSUFBSSxDQUFDLFVBQVUsQ0FBQyxPQUFPLElBQUksQ0FBQyxTQUFTLENBQUMsTUFBTSxFQUFFO1FBQzlDLFVBQVUsQ0FBQyxPQUFPLEdBQUcsSUFBSSxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUM7S0FDaEQ7SUFDRCxJQUFJLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsRUFBRTs7Y0FDaEIsSUFBSSxHQUFHLFNBQVMsR0FBRyxDQUFDLENBQUMsSUFBSTtRQUMvQixJQUFJLENBQUMsQ0FBQyxJQUFJLEtBQUssT0FBTyxJQUFJLENBQUMsQ0FBQyxJQUFJLEtBQUssT0FBTyxFQUFFO1lBQzFDLFNBQVMsQ0FBQyxDQUFDLEVBQUUsSUFBSSxFQUFFLElBQUksQ0FBQyxDQUFDO1NBQzVCO2FBQU0sSUFBSSxDQUFDLENBQUMsSUFBSSxLQUFLLFVBQVUsRUFBRTtZQUM5QixDQUFDLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxDQUFDLEVBQUUsSUFBSSxHQUFHLEdBQUcsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztTQUMvRDthQUFNLElBQUksQ0FBQyxDQUFDLElBQUksS0FBSyxXQUFXLEVBQUU7O2tCQUN6QixPQUFPLEdBQTJCLEVBQUU7WUFDMUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQUU7Z0JBQ25CLElBQUksQ0FBQyxDQUFDLElBQUksS0FBSyxNQUFNLElBQUksQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLEVBQUUsRUFBRTtvQkFDdkMsV0FBVyxDQUFDLElBQUksR0FBRyxHQUFHLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxjQUFjLENBQUMsQ0FBQztvQkFDakQsT0FBTztpQkFDVjtnQkFDRCxJQUFJO29CQUNBLE9BQU8sQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLEVBQUUsQ0FBQyxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxJQUFJLElBQUksQ0FBQyxDQUFDLElBQUksSUFBSSxNQUFNLENBQUMsQ0FBQztpQkFDaEY7Z0JBQUMsT0FBTyxDQUFDLEVBQUU7b0JBQ1IsV0FBVyxDQUFDLElBQUksR0FBRyxjQUFjLEdBQUcsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxFQUFFLEdBQUcsS0FBSyxFQUFFLHdDQUF3QyxDQUFDLENBQUM7aUJBQzFHO1lBQ0wsQ0FBQyxDQUFDLENBQUM7WUFDSCxVQUFVLENBQUMsT0FBTyxHQUFHLE9BQU8sQ0FBQztTQUNoQzthQUFNO1lBQ0gsV0FBVyxDQUFDLElBQUksRUFBRSxXQUFXLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDO1NBQzNDO0lBQ0wsQ0FBQyxDQUFDLENBQUM7SUFDSCxJQUFJLGFBQWEsQ0FBQyxNQUFNLEVBQUU7UUFDdEIsVUFBVSxDQUFDLGFBQWEsR0FBRyxhQUFhLENBQUM7S0FDNUM7SUFDRCxJQUFJLE9BQU8sQ0FBQyxNQUFNLEVBQUU7UUFDaEIsVUFBVSxDQUFDLE9BQU8sR0FBRyxPQUFPLENBQUM7S0FDaEM7SUFDRCxJQUFJLENBQUMsVUFBVSxDQUFDLE9BQU8sSUFBSSxNQUFNLENBQUMsTUFBTSxJQUFJLENBQUMsU0FBUyxDQUFDLE1BQU0sRUFBRTtRQUMzRCw4REFBOEQ7UUFDOUQsVUFBVSxDQUFDLE9BQU8sR0FBRyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO0tBQ3ZDO0lBRUQsSUFBSSxNQUFNLENBQUMsTUFBTSxFQUFFO1FBQ2YsTUFBTSxJQUFJLGVBQWUsQ0FBQyxNQUFNLENBQUMsQ0FBQztLQUNyQztJQUNELE9BQU8sVUFBVSxDQUFDO0FBQ3RCLENBQUM7Ozs7Ozs7Ozs7Ozs7QUFZRCxNQUFNLFVBQVUsY0FBYyxDQUFDLFVBQThCOztVQUNuRCxNQUFNLEdBQThCLEVBQUU7O1VBQ3RDLEtBQUssR0FBa0IsRUFBRTs7VUFDekIsTUFBTSxHQUFHLENBQUMsS0FBYSxFQUFFLEVBQUUsQ0FBQyxJQUFJLEtBQUssQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQzs7VUFDN0QsSUFBSSxHQUFHLENBQUMsSUFBWSxFQUFFLEtBQWEsRUFBRSxFQUFFLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxHQUFHLEdBQUcsSUFBSSxHQUFHLElBQUksR0FBRyxjQUFjLENBQUMsS0FBSyxDQUFDLEdBQUcsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFOztVQUVwRyxRQUFRLEdBQStDLEVBQUU7O1VBQ3pELEtBQUssR0FBNEIsRUFBRTs7VUFDbkMsT0FBTyxHQUFHLFNBQVMsQ0FBQyxVQUFVLENBQUM7SUFDckMsVUFBVSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLEVBQUU7O2NBQ3JCLE1BQU0sR0FBRyxPQUFPLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQztRQUMvQixRQUFRLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQztRQUN2QixJQUFJLE1BQU0sSUFBSSxRQUFRLENBQUMsTUFBTSxDQUFDLEVBQUU7WUFDNUIsUUFBUSxDQUFDLE1BQU0sQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztTQUM3QjthQUFNO1lBQ0gsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztTQUNsQjtJQUNMLENBQUMsQ0FBQyxDQUFDOztVQUVHLFlBQVksR0FBRyxDQUFDLEdBQVcsRUFBRSxJQUFZLEVBQUUsS0FBYSxFQUFFLEVBQUU7UUFDOUQsSUFBSSxJQUFJLEVBQUU7WUFDTixLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxHQUFHLEdBQUcsR0FBRyxHQUFHLEdBQUcsQ0FBQyxDQUFDO1lBQzVDLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsR0FBRyxVQUFVLEdBQUcsY0FBYyxDQUFDLElBQUksQ0FBQyxHQUFHLFdBQVcsQ0FBQyxDQUFDO1lBQ2hGLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLElBQUksR0FBRyxHQUFHLEdBQUcsR0FBRyxDQUFDLENBQUM7U0FDaEQ7SUFDTCxDQUFDOztVQUVLLFVBQVUsR0FBRyxDQUFDLEVBQW9CLEVBQUUsS0FBYSxFQUFFLEVBQUU7O2NBQ2pELEtBQUssR0FBRyxDQUFDLFVBQVUsQ0FBQyxXQUFXLElBQUksRUFBRSxDQUFDLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLElBQUksS0FBSyxFQUFFLENBQUMsSUFBSSxDQUFDOzs7Y0FFeEUsR0FBRyxHQUFHLEVBQUUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsT0FBTztRQUN4QyxJQUFJLEVBQUUsQ0FBQyxLQUFLLElBQUksQ0FBQyxLQUFLLENBQUMsTUFBTSxJQUFJLFFBQVEsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxDQUFDLEVBQUU7WUFDeEQsTUFBTSxDQUFDLElBQUksQ0FBQztnQkFDUixJQUFJLEVBQUUsVUFBVSxHQUFHLFVBQVUsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxHQUFHLFFBQVE7Z0JBQzNELE9BQU8sRUFBRSxzRUFBc0U7YUFDbEYsQ0FBQyxDQUFDO1NBQ047O2NBQ0ssSUFBSSxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxHQUFHLEdBQUcsR0FBRyxHQUFHLElBQUksQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQyxTQUFTLEVBQUUsRUFBRSxDQUFDLE9BQU8sQ0FBQyxHQUFHLEdBQUc7UUFDaEcsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUNqQixZQUFZLENBQUMsU0FBUyxFQUFFLEVBQUUsQ0FBQyxPQUFPLEVBQUUsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBQy9DLFlBQVksQ0FBQyxRQUFRLEVBQUUsRUFBRSxDQUFDLE9BQU8sRUFBRSxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFDOUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsRUFBRTs7a0JBQ1QsS0FBSyxHQUFHLFVBQVUsQ0FBQyxXQUFXLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQztZQUNoRCxJQUFJLENBQUMsRUFBRSxDQUFDLEtBQUssRUFBRTtnQkFDWCxNQUFNLENBQUMsSUFBSSxDQUFDO29CQUNSLElBQUksRUFBRSxlQUFlLEdBQUcsS0FBSyxHQUFHLFFBQVE7b0JBQ3hDLE9BQU8sRUFBRSx5REFBeUQ7aUJBQ3JFLENBQUMsQ0FBQzthQUNOO1lBQ0QsSUFBSSxFQUFFLENBQUMsUUFBUSxFQUFFO2dCQUNiLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsZUFBZSxHQUFHLEtBQUssR0FBRyxXQUFXLEVBQUUsT0FBTyxFQUFFLDZDQUE2QyxFQUFFLENBQUMsQ0FBQzthQUN4SDtZQUNELElBQUksRUFBRSxDQUFDLE1BQU0sRUFBRTtnQkFDWCxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLGVBQWUsR0FBRyxLQUFLLEdBQUcsU0FBUyxFQUFFLE9BQU8sRUFBRSwyQ0FBMkMsRUFBRSxDQUFDLENBQUM7YUFDcEg7WUFDRCxJQUFJLEVBQUUsQ0FBQyxLQUFLLEtBQUssU0FBUyxJQUFJLEVBQUUsQ0FBQyxLQUFLLEtBQUssSUFBSSxFQUFFO2dCQUM3QyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLGVBQWUsR0FBRyxLQUFLLEdBQUcsUUFBUSxFQUFFLE9BQU8sRUFBRSxtQ0FBbUMsRUFBRSxDQUFDLENBQUM7YUFDM0c7WUFDRCxJQUFJLEVBQUUsQ0FBQyxZQUFZLEVBQUU7Z0JBQ2pCLE1BQU0sQ0FBQyxJQUFJLENBQUM7b0JBQ1IsSUFBSSxFQUFFLGVBQWUsR0FBRyxLQUFLLEdBQUcsZUFBZTtvQkFDL0MsT0FBTyxFQUFFLDBDQUEwQztpQkFDdEQsQ0FBQyxDQUFDO2FBQ047O2tCQUNLLElBQUksR0FBRyxNQUFNLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLGFBQWEsR0FBRyxJQUFJLENBQUMsT0FBTyxFQUFFLEVBQUUsQ0FBQyxLQUFLLENBQUM7Z0JBQ3BFLElBQUksQ0FBQyxNQUFNLEVBQUUsRUFBRSxDQUFDLEtBQUssQ0FBQyxHQUFHLElBQUksQ0FBQyxRQUFRLEVBQUUsRUFBRSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDO1lBQzVFLElBQUksRUFBRSxDQUFDLE9BQU8sRUFBRTtnQkFDWixLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksR0FBRyxHQUFHLENBQUMsQ0FBQztnQkFDdkIsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLFVBQVUsR0FBRyxjQUFjLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxHQUFHLFdBQVcsQ0FBQyxDQUFDO2dCQUN0RixLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsZUFBZSxDQUFDLENBQUM7YUFDbkQ7aUJBQU07Z0JBQ0gsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLEdBQUcsSUFBSSxDQUFDLENBQUM7YUFDM0I7UUFDTCxDQUFDLENBQUMsQ0FBQztRQUNILFFBQVEsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLEtBQUssRUFBRSxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNqRSxDQUFDLFVBQVUsQ0FBQyxhQUFhLElBQUksRUFBRSxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLE1BQU0sS0FBSyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFOzs7OztrQkFJckUsTUFBTSxHQUFHLENBQUMsQ0FBQyxhQUFhLElBQUksRUFBRSxDQUFDLE9BQU8sSUFBSSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksUUFBUSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7WUFDbkcsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLFVBQVUsR0FBRyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLEdBQUcsR0FBRyxDQUFDLENBQUM7WUFDbEgsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLGFBQWEsR0FBRyxJQUFJLENBQUMsUUFBUSxFQUFFLE1BQU0sQ0FBQyxHQUFHLElBQUksQ0FBQyxDQUFDO1lBQzlFLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsR0FBRyxZQUFZLENBQUMsQ0FBQztRQUNqRCxDQUFDLENBQUMsQ0FBQztRQUNILElBQUksS0FBSyxDQUFDLEtBQUssQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLEtBQUssSUFBSSxFQUFFO1lBQ2xDLEtBQUssQ0FBQyxLQUFLLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLElBQUksQ0FBQyxDQUFDO1NBQ3REO2FBQU07WUFDSCxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxJQUFJLEdBQUcsR0FBRyxHQUFHLEdBQUcsQ0FBQyxDQUFDO1NBQ2hEO0lBQ0wsQ0FBQzs7VUFFSyxPQUFPLEdBQUcsVUFBVSxDQUFDLE9BQU8sSUFBSSxFQUFFO0lBQ3hDLEtBQUssQ0FBQyxJQUFJLENBQUMsd0NBQXdDLENBQUMsQ0FBQztJQUNyRCxLQUFLLENBQUMsSUFBSSxDQUFDLFFBQVEsR0FBRyxJQUFJLENBQUMsT0FBTyxFQUFFLGNBQWMsQ0FBQyxHQUFHLGdCQUFnQjtRQUNsRSxJQUFJLENBQUMsU0FBUyxFQUFFLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxHQUFHLEdBQUcsQ0FBQyxDQUFDOztVQUN0RSxPQUFPLEdBQUcsVUFBVSxDQUFDLE9BQU87SUFDbEMsSUFBSSxPQUFPLEtBQUssU0FBUyxJQUFJLE9BQU8sS0FBSyxJQUFJLEVBQUU7UUFDM0MsSUFBSSxPQUFPLE9BQU8sS0FBSyxRQUFRLElBQUksS0FBSyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRTtZQUN2RCxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxPQUFPLEVBQUUsNkRBQTZELEVBQUUsQ0FBQyxDQUFDO1NBQzdHO2FBQU0sSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDLE1BQU0sRUFBRTtZQUNwQyxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxhQUFhLENBQUMsQ0FBQztZQUN0QyxNQUFNLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsRUFBRTtnQkFDN0IsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsT0FBTyxHQUFHLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLEdBQUcsU0FBUyxHQUFHLGNBQWMsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsS0FBSyxDQUFDLENBQUM7WUFDckgsQ0FBQyxDQUFDLENBQUM7WUFDSCxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxjQUFjLENBQUMsQ0FBQztTQUMxQztLQUNKO0lBQ0QsSUFBSSxPQUFPLENBQUMsTUFBTSxFQUFFOzs7O2NBR1YsS0FBSyxHQUFHLFVBQVUsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLFVBQVUsQ0FBQyxhQUFhLElBQUksRUFBRSxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQzVHLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLFlBQVksQ0FBQyxDQUFDO1FBQ3JDLENBQUMsRUFBRSxJQUFJLEVBQUUsYUFBYSxFQUFFLE9BQU8sRUFBRSxVQUFVLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFOztrQkFDOUUsT0FBTyxHQUFHLEtBQUssQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxNQUFNLElBQUksYUFBYSxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQztZQUMzRSxJQUFJLENBQUMsT0FBTyxDQUFDLE1BQU0sRUFBRTtnQkFDakIsT0FBTzthQUNWO1lBQ0QsSUFBSSxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUU7Z0JBQzVCLE1BQU0sQ0FBQyxJQUFJLENBQUM7b0JBQ1IsSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxDQUFDLENBQUMsVUFBVSxHQUFHLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLE9BQU87b0JBQ3hGLE9BQU8sRUFBRSxzREFBc0QsR0FBRyxDQUFDLENBQUMsSUFBSTtpQkFDM0UsQ0FBQyxDQUFDO2FBQ047WUFDRCxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxRQUFRLEdBQUcsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxDQUFDLFNBQVMsRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLEdBQUcsR0FBRyxDQUFDLENBQUM7WUFDekYsT0FBTyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN6QyxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxVQUFVLENBQUMsQ0FBQztRQUN2QyxDQUFDLENBQUMsQ0FBQztRQUNILEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLGFBQWEsQ0FBQyxDQUFDO0tBQ3pDO1NBQU07UUFDSCxLQUFLLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO0tBQzFDO0lBQ0QsS0FBSyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQztJQUV2QixJQUFJLE1BQU0sQ0FBQyxNQUFNLEVBQUU7UUFDZixNQUFNLElBQUksZUFBZSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0tBQ3JDO0lBQ0QsT0FBTyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQztBQUNuQyxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAZmlsZU92ZXJ2aWV3XG4gKiBQcm92aWRlcyB0aGUgY29udmVyc2lvbiBiZXR3ZWVuIFNDWE1MIChXM0MgU3RhdGUgQ2hhcnQgWE1MKSBkb2N1bWVudHNcbiAqIGFuZCB0aGUgZGVjbGFyYXRpdmUgZGVmaW5pdGlvbiBvZiBhIGZpbml0ZSBzdGF0ZSBtYWNoaW5lLlxuICogT25seSB0aGUgc3Vic2V0IG9mIFNDWE1MIHdoaWNoIGhhcyBhIGNvdW50ZXJwYXJ0IGluIHRoZSBGU00gaXNcbiAqIHN1cHBvcnRlZDsgYW55IG90aGVyIGNvbnN0cnVjdCBpcyByZXBvcnRlZCBhcyBhIHByb2JsZW0uXG4gKiBAYXV0aG9yIFhpYW9sb25nIFRhbmcgPHh4bG9uZ3RhbmdAZ21haWwuY29tPlxuICogQGxpY2Vuc2UgQ29weXJpZ2h0IEBtZVxuICovXG5pbXBvcnQge1xuICAgIERlZmluaXRpb25FcnJvcixcbiAgICBJRGVmaW5pdGlvblByb2JsZW0sXG4gICAgSUhpc3RvcnlTdGF0ZURlZmluaXRpb24sXG4gICAgSU1hY2hpbmVEZWZpbml0aW9uLFxuICAgIElSZWdpb25EZWZpbml0aW9uLFxuICAgIElTdGF0ZURlZmluaXRpb24sXG4gICAgSVRyYW5zaXRpb25EZWZpbml0aW9uLFxuICAgIHBhcmVudHNPZlxufSBmcm9tICcuL21hY2hpbmUtZGVmaW5pdGlvbic7XG5cbmNvbnN0IHNjeG1sTmFtZXNwYWNlID0gJ2h0dHA6Ly93d3cudzMub3JnLzIwMDUvMDcvc2N4bWwnO1xuY29uc3QgZGVmYXVsdFJlZ2lvbiA9ICdkZWZhdWx0JztcbmNvbnN0IGlkZW50aWZpZXJQYXR0ZXJuID0gL15bQS1aYS16XyRdW1xcdyRdKiQvO1xuXG5pbnRlcmZhY2UgSVhtbEVsZW1lbnQge1xuICAgIG5hbWU6IHN0cmluZztcbiAgICBhdHRyaWJ1dGVzOiB7IFtrZXk6IHN0cmluZ106IHN0cmluZyB9O1xuICAgIGNoaWxkcmVuOiBBcnJheTxJWG1sRWxlbWVudD47XG4gICAgdGV4dDogc3RyaW5nO1xufVxuXG5jb25zdCBlbnRpdGllczogeyBba2V5OiBzdHJpbmddOiBzdHJpbmcgfSA9IHtcbiAgICBsdDogJzwnLCBndDogJz4nLCBhbXA6ICcmJywgcXVvdDogJ1wiJywgYXBvczogJ1xcJydcbn07XG5cbmZ1bmN0aW9uIGRlY29kZUVudGl0aWVzKHZhbHVlOiBzdHJpbmcpIHtcbiAgICByZXR1cm4gdmFsdWUucmVwbGFjZSgvJigjeFswLTlhLWZBLUZdK3wjWzAtOV0rfFxcdyspOy9nLCAoYWxsOiBzdHJpbmcsIGNvZGU6IHN0cmluZykgPT4ge1xuICAgICAgICBpZiAoY29kZS5jaGFyQXQoMCkgPT09ICcjJykge1xuICAgICAgICAgICAgcmV0dXJuIFN0cmluZy5mcm9tQ2hhckNvZGUoY29kZS5jaGFyQXQoMSkgPT09ICd4JyA/XG4gICAgICAgICAgICAgICAgcGFyc2VJbnQoY29kZS5zdWJzdHJpbmcoMiksIDE2KSA6IHBhcnNlSW50KGNvZGUuc3Vic3RyaW5nKDEpLCAxMCkpO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiBlbnRpdGllcy5oYXNPd25Qcm9wZXJ0eShjb2RlKSA/IGVudGl0aWVzW2NvZGVdIDogYWxsO1xuICAgIH0pO1xufVxuXG5mdW5jdGlvbiBlbmNvZGVFbnRpdGllcyh2YWx1ZTogc3RyaW5nKSB7XG4gICAgcmV0dXJuIHZhbHVlLnJlcGxhY2UoLyYvZywgJyZhbXA7JykucmVwbGFjZSgvPC9nLCAnJmx0OycpXG4gICAgICAgIC5yZXBsYWNlKC8+L2csICcmZ3Q7JykucmVwbGFjZSgvXCIvZywgJyZxdW90OycpO1xufVxuXG4vKipcbiAqIFBhcnNlcyBhIFhNTCBkb2N1bWVudCBpbnRvIGEgdHJlZSBvZiBlbGVtZW50cy4gVGhpcyBpcyBhIHNtYWxsXG4gKiBub24tdmFsaWRhdGluZyBwYXJzZXI7IG5hbWVzcGFjZSBwcmVmaXhlcyBhcmUgZHJvcHBlZCwgYW5kIHByb2Nlc3NpbmdcbiAqIGluc3RydWN0aW9ucywgY29tbWVudHMgYW5kIGRvY3R5cGUgZGVjbGFyYXRpb25zIGFyZSBza2lwcGVkLlxuICovXG5mdW5jdGlvbiBwYXJzZVhtbCh4bWw6IHN0cmluZyk6IElYbWxFbGVtZW50IHtcbiAgICBsZXQgcG9zID0gMDtcbiAgICBjb25zdCBmYWlsID0gKG1lc3NhZ2U6IHN0cmluZykgPT4ge1xuICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ01hbGZvcm1lZCBYTUwgYXQgJyArIHBvcyArICc6ICcgKyBtZXNzYWdlKTtcbiAgICB9O1xuICAgIGNvbnN0IGxvY2FsTmFtZSA9IChuYW1lOiBzdHJpbmcpID0+IG5hbWUuc3Vic3RyaW5nKG5hbWUuaW5kZXhPZignOicpICsgMSk7XG4gICAgY29uc3Qgc2tpcFVudGlsID0gKHRva2VuOiBzdHJpbmcpID0+IHtcbiAgICAgICAgY29uc3QgZW5kID0geG1sLmluZGV4T2YodG9rZW4sIHBvcyk7XG4gICAgICAgIGlmIChlbmQgPCAwKSB7XG4gICAgICAgICAgICBmYWlsKCdtaXNzaW5nICcgKyB0b2tlbik7XG4gICAgICAgIH1cbiAgICAgICAgcG9zID0gZW5kICsgdG9rZW4ubGVuZ3RoO1xuICAgIH07XG4gICAgY29uc3Qgc2tpcE1pc2MgPSAoKSA9PiB7XG4gICAgICAgIGZvciAoOyA7ICkge1xuICAgICAgICAgICAgd2hpbGUgKHBvcyA8IHhtbC5sZW5ndGggJiYgL1xccy8udGVzdCh4bWwuY2hhckF0KHBvcykpKSB7XG4gICAgICAgICAgICAgICAgcG9zKys7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICBpZiAoeG1sLnN1YnN0cihwb3MsIDIpID09PSAnPD8nKSB7XG4gICAgICAgICAgICAgICAgc2tpcFVudGlsKCc/PicpO1xuICAgICAgICAgICAgfSBlbHNlIGlmICh4bWwuc3Vic3RyKHBvcywgNCkgPT09ICc8IS0tJykge1xuICAgICAgICAgICAgICAgIHNraXBVbnRpbCgnLS0+Jyk7XG4gICAgICAgICAgICB9IGVsc2UgaWYgKHhtbC5zdWJzdHIocG9zLCA5KSA9PT0gJzwhRE9DVFlQRScpIHtcbiAgICAgICAgICAgICAgICBza2lwVW50aWwoJz4nKTtcbiAgICAgICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICAgICAgcmV0dXJuO1xuICAgICAgICAgICAgfVxuICAgICAgICB9XG4gICAgfTtcblxuICAgIGNvbnN0IHBhcnNlRWxlbWVudCA9ICgpOiBJWG1sRWxlbWVudCA9PiB7XG4gICAgICAgIGNvbnN0IGhlYWQgPSAvXjwoW1xcdzouLV0rKS8uZXhlYyh4bWwuc3Vic3RyaW5nKHBvcykpO1xuICAgICAgICBpZiAoIWhlYWQpIHtcbiAgICAgICAgICAgIGZhaWwoJ2V4cGVjdGVkIGFuIGVsZW1lbnQnKTtcbiAgICAgICAgfVxuICAgICAgICBwb3MgKz0gaGVhZFswXS5sZW5ndGg7XG4gICAgICAgIGNvbnN0IGVsZW1lbnQ6IElYbWxFbGVtZW50ID0geyBuYW1lOiBsb2NhbE5hbWUoaGVhZFsxXSksIGF0dHJpYnV0ZXM6IHt9LCBjaGlsZHJlbjogW10sIHRleHQ6ICcnIH07XG4gICAgICAgIGZvciAoOyA7ICkge1xuICAgICAgICAgICAgY29uc3QgYXR0ciA9IC9eXFxzKyhbXFx3Oi4tXSspXFxzKj1cXHMqKFwiKFteXCJdKilcInwnKFteJ10qKScpLy5leGVjKHhtbC5zdWJzdHJpbmcocG9zKSk7XG4gICAgICAgICAgICBpZiAoIWF0dHIpIHtcbiAgICAgICAgICAgICAgICBicmVhaztcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIGNvbnN0IHZhbHVlID0gYXR0clszXSAhPT0gdW5kZWZpbmVkID8gYXR0clszXSA6IGF0dHJbNF07XG4gICAgICAgICAgICBlbGVtZW50LmF0dHJpYnV0ZXNbYXR0clsxXV0gPSBkZWNvZGVFbnRpdGllcyh2YWx1ZSk7XG4gICAgICAgICAgICBwb3MgKz0gYXR0clswXS5sZW5ndGg7XG4gICAgICAgIH1cbiAgICAgICAgY29uc3QgdGFpbCA9IC9eXFxzKihcXC8/KT4vLmV4ZWMoeG1sLnN1YnN0cmluZyhwb3MpKTtcbiAgICAgICAgaWYgKCF0YWlsKSB7XG4gICAgICAgICAgICBmYWlsKCd1bnRlcm1pbmF0ZWQgdGFnICcgKyBoZWFkWzFdKTtcbiAgICAgICAgfVxuICAgICAgICBwb3MgKz0gdGFpbFswXS5sZW5ndGg7XG4gICAgICAgIGlmICh0YWlsWzFdKSB7XG4gICAgICAgICAgICByZXR1cm4gZWxlbWVudDtcbiAgICAgICAgfVxuICAgICAgICBmb3IgKDsgOyApIHtcbiAgICAgICAgICAgIGlmIChwb3MgPj0geG1sLmxlbmd0aCkge1xuICAgICAgICAgICAgICAgIGZhaWwoJ3VuY2xvc2VkIGVsZW1lbnQgJyArIGhlYWRbMV0pO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgaWYgKHhtbC5zdWJzdHIocG9zLCAyKSA9PT0gJzwvJykge1xuICAgICAgICAgICAgICAgIGNvbnN0IGNsb3NlID0gL148XFwvKFtcXHc6Li1dKylcXHMqPi8uZXhlYyh4bWwuc3Vic3RyaW5nKHBvcykpO1xuICAgICAgICAgICAgICAgIGlmICghY2xvc2UgfHwgY2xvc2VbMV0gIT09IGhlYWRbMV0pIHtcbiAgICAgICAgICAgICAgICAgICAgZmFpbCgnbWlzbWF0Y2hlZCBjbG9zaW5nIHRhZyBmb3IgJyArIGhlYWRbMV0pO1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICBwb3MgKz0gY2xvc2VbMF0ubGVuZ3RoO1xuICAgICAgICAgICAgICAgIHJldHVybiBlbGVtZW50O1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgaWYgKHhtbC5zdWJzdHIocG9zLCA0KSA9PT0gJzwhLS0nKSB7XG4gICAgICAgICAgICAgICAgc2tpcFVudGlsKCctLT4nKTtcbiAgICAgICAgICAgIH0gZWxzZSBpZiAoeG1sLnN1YnN0cihwb3MsIDkpID09PSAnPCFbQ0RBVEFbJykge1xuICAgICAgICAgICAgICAgIGNvbnN0IHN0YXJ0ID0gcG9zICsgOTtcbiAgICAgICAgICAgICAgICBza2lwVW50aWwoJ11dPicpO1xuICAgICAgICAgICAgICAgIGVsZW1lbnQudGV4dCArPSB4bWwuc3Vic3RyaW5nKHN0YXJ0LCBwb3MgLSAzKTtcbiAgICAgICAgICAgIH0gZWxzZSBpZiAoeG1sLnN1YnN0cihwb3MsIDIpID09PSAnPD8nKSB7XG4gICAgICAgICAgICAgICAgc2tpcFVudGlsKCc/PicpO1xuICAgICAgICAgICAgfSBlbHNlIGlmICh4bWwuY2hhckF0KHBvcykgPT09ICc8Jykge1xuICAgICAgICAgICAgICAgIGVsZW1lbnQuY2hpbGRyZW4ucHVzaChwYXJzZUVsZW1lbnQoKSk7XG4gICAgICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgICAgIGNvbnN0IG5leHQgPSB4bWwuaW5kZXhPZignPCcsIHBvcyk7XG4gICAgICAgICAgICAgICAgY29uc3QgZW5kID0gbmV4dCA8IDAgPyB4bWwubGVuZ3RoIDogbmV4dDtcbiAgICAgICAgICAgICAgICBlbGVtZW50LnRleHQgKz0gZGVjb2RlRW50aXRpZXMoeG1sLnN1YnN0cmluZyhwb3MsIGVuZCkpO1xuICAgICAgICAgICAgICAgIHBvcyA9IGVuZDtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgIH07XG5cbiAgICBza2lwTWlzYygpO1xuICAgIGNvbnN0IHJvb3QgPSBwYXJzZUVsZW1lbnQoKTtcbiAgICBza2lwTWlzYygpO1xuICAgIGlmIChwb3MgPCB4bWwubGVuZ3RoKSB7XG4gICAgICAgIGZhaWwoJ3VuZXhwZWN0ZWQgY29udGVudCBhZnRlciB0aGUgcm9vdCBlbGVtZW50Jyk7XG4gICAgfVxuICAgIHJldHVybiByb290O1xufVxuXG4vKipcbiAqIFBhcnNlcyBhIFNDWE1MIGRvY3VtZW50IGludG8gYSBkZWZpbml0aW9uLiBUaGUgb25lbnRyeSBhbmQgb25leGl0XG4gKiBoYW5kbGVycywgYXMgd2VsbCBhcyB0aGUgZXhlY3V0YWJsZSBjb250ZW50IG9mIGEgdHJhbnNpdGlvbiwgYXJlXG4gKiBleHBlY3RlZCB0byBjb25zaXN0IG9mIGEgc2luZ2xlIHNjcmlwdCBlbGVtZW50LCB3aG9zZSB0ZXh0IGlzIHRoZSBuYW1lXG4gKiBvZiB0aGUgY2FsbGJhY2s7IHRoZSBjb25kIGF0dHJpYnV0ZSBpcyBleHBlY3RlZCB0byBiZSB0aGUgbmFtZSBvZlxuICogYSBndWFyZC4gVGhlIGRhdGEgZWxlbWVudHMgb2YgdGhlIGRhdGFtb2RlbCBtYWtlIHVwIHRoZSBjb250ZXh0IGRhdGEsXG4gKiBhbmQgdGhlaXIgZXhwcmVzc2lvbnMgbXVzdCBiZSBKU09OIHZhbHVlcy4gQSB0YXJnZXRsZXNzIHRyYW5zaXRpb25cbiAqIGlzIHRha2VuIGFzIGFuIGludGVybmFsIHNlbGYtdHJhbnNpdGlvbi4gQSBwYXJhbGxlbCBlbGVtZW50IGF0IHRoZSB0b3BcbiAqIHN0YW5kcyBmb3IgdGhlIG9ydGhvZ29uYWwgcmVnaW9uczogZWFjaCBvZiBpdHMgY2hpbGQgc3RhdGVzIGlzIGEgcmVnaW9uLFxuICogd2hvc2UgY2hpbGRyZW4gYXJlIHRoZSBzdGF0ZXMgaW4gdGhlIHJlZ2lvbiwgYW5kIHRoZSBvbmUgd2l0aCB0aGUgaWRcbiAqICdkZWZhdWx0JyBpcyB0aGUgZGVmYXVsdCByZWdpb24uXG4gKiBJZiBhbnkgdW5zdXBwb3J0ZWQgY29uc3RydWN0IGlzIG1ldCwgYSBEZWZpbml0aW9uRXJyb3IgbGlzdGluZ1xuICogYWxsIG9mIHRoZW0gaXMgdGhyb3duLlxuICovXG5leHBvcnQgZnVuY3Rpb24gcGFyc2VTY3htbCh4bWw6IHN0cmluZyk6IElNYWNoaW5lRGVmaW5pdGlvbiB7XG4gICAgY29uc3QgZXJyb3JzOiBBcnJheTxJRGVmaW5pdGlvblByb2JsZW0+ID0gW107XG4gICAgbGV0IHJvb3Q6IElYbWxFbGVtZW50O1xuICAgIHRyeSB7XG4gICAgICAgIHJvb3QgPSBwYXJzZVhtbCh4bWwpO1xuICAgIH0gY2F0Y2ggKGUpIHtcbiAgICAgICAgdGhyb3cgbmV3IERlZmluaXRpb25FcnJvcihbeyBwYXRoOiAnJywgbWVzc2FnZTogZS5tZXNzYWdlIH1dKTtcbiAgICB9XG4gICAgaWYgKHJvb3QubmFtZSAhPT0gJ3NjeG1sJykge1xuICAgICAgICB0aHJvdyBuZXcgRGVmaW5pdGlvbkVycm9yKFt7IHBhdGg6ICcvJyArIHJvb3QubmFtZSwgbWVzc2FnZTogJ05vdCBhIFNDWE1MIGRvY3VtZW50JyB9XSk7XG4gICAgfVxuXG4gICAgY29uc3Qgc3RhdGVzOiBBcnJheTxJU3RhdGVEZWZpbml0aW9uPiA9IFtdO1xuICAgIGNvbnN0IGhpc3RvcnlTdGF0ZXM6IEFycmF5PElIaXN0b3J5U3RhdGVEZWZpbml0aW9uPiA9IFtdO1xuICAgIGNvbnN0IHRyYW5zaXRpb25zOiBBcnJheTxJVHJhbnNpdGlvbkRlZmluaXRpb24+ID0gW107XG4gICAgY29uc3QgcmVnaW9uczogQXJyYXk8SVJlZ2lvbkRlZmluaXRpb24+ID0gW107XG4gICAgY29uc3QgZGVmaW5pdGlvbjogSU1hY2hpbmVEZWZpbml0aW9uID0geyBzdGF0ZXM6IHN0YXRlcywgdHJhbnNpdGlvbnM6IHRyYW5zaXRpb25zIH07XG4gICAgY29uc3QgdW5zdXBwb3J0ZWQgPSAocGF0aDogc3RyaW5nLCB3aGF0OiBzdHJpbmcpID0+IHtcbiAgICAgICAgZXJyb3JzLnB1c2goeyBwYXRoOiBwYXRoLCBtZXNzYWdlOiAnVW5zdXBwb3J0ZWQgJyArIHdoYXQgfSk7XG4gICAgfTtcblxuICAgIC8vIFJldHVybnMgdGhlIGNhbGxiYWNrIG5hbWUgZ2l2ZW4gYnkgdGhlIGV4ZWN1dGFibGUgY29udGVudCBvZiBhbiBlbGVtZW50LlxuICAgIGNvbnN0IGNhbGxiYWNrT2YgPSAoZWxlbWVudDogSVhtbEVsZW1lbnQsIHBhdGg6IHN0cmluZykgPT4ge1xuICAgICAgICBjb25zdCBzY3JpcHRzID0gZWxlbWVudC5jaGlsZHJlbi5maWx0ZXIoYyA9PiBjLm5hbWUgPT09ICdzY3JpcHQnKTtcbiAgICAgICAgZWxlbWVudC5jaGlsZHJlbi5mb3JFYWNoKGMgPT4ge1xuICAgICAgICAgICAgaWYgKGMubmFtZSAhPT0gJ3NjcmlwdCcpIHtcbiAgICAgICAgICAgICAgICB1bnN1cHBvcnRlZChwYXRoICsgJy8nICsgYy5uYW1lLCAnZXhlY3V0YWJsZSBjb250ZW50OiAnICsgYy5uYW1lKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfSk7XG4gICAgICAgIGlmIChzY3JpcHRzLmxlbmd0aCA+IDEpIHtcbiAgICAgICAgICAgIHVuc3VwcG9ydGVkKHBhdGggKyAnL3NjcmlwdCcsICdtdWx0aXBsZSBzY3JpcHRzJyk7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKCFzY3JpcHRzLmxlbmd0aCkge1xuICAgICAgICAgICAgcmV0dXJuIHVuZGVmaW5lZDtcbiAgICAgICAgfVxuICAgICAgICBjb25zdCBuYW1lID0gc2NyaXB0c1swXS50ZXh0LnRyaW0oKTtcbiAgICAgICAgaWYgKHNjcmlwdHNbMF0uYXR0cmlidXRlcy5zcmMgfHwgIWlkZW50aWZpZXJQYXR0ZXJuLnRlc3QobmFtZSkpIHtcbiAgICAgICAgICAgIHVuc3VwcG9ydGVkKHBhdGggKyAnL3NjcmlwdCcsICdzY3JpcHQ7IGV4cGVjdGVkIHRoZSBuYW1lIG9mIGEgY2FsbGJhY2snKTtcbiAgICAgICAgICAgIHJldHVybiB1bmRlZmluZWQ7XG4gICAgICAgIH1cbiAgICAgICAgcmV0dXJuIG5hbWU7XG4gICAgfTtcblxuICAgIC8vIFJldHVybnMgdGhlIHRhcmdldCBvZiBhbiBpbml0aWFsIGVsZW1lbnQuXG4gICAgY29uc3QgaW5pdGlhbE9mID0gKGVsZW1lbnQ6IElYbWxFbGVtZW50LCBwYXRoOiBzdHJpbmcpID0+IHtcbiAgICAgICAgY29uc3QgdHJhbnMgPSBlbGVtZW50LmNoaWxkcmVuLmZpbHRlcihjID0+IGMubmFtZSA9PT0gJ3RyYW5zaXRpb24nKTtcbiAgICAgICAgaWYgKHRyYW5zLmxlbmd0aCAhPT0gMSB8fCAhdHJhbnNbMF0uYXR0cmlidXRlcy50YXJnZXQgfHwgdHJhbnNbMF0uY2hpbGRyZW4ubGVuZ3RoKSB7XG4gICAgICAgICAgICB1bnN1cHBvcnRlZChwYXRoLCBlbGVtZW50Lm5hbWUgKyAnIGVsZW1lbnQ7IGV4cGVjdGVkIGEgc2luZ2xlIHRyYW5zaXRpb24gd2l0aCBhIHRhcmdldCcpO1xuICAgICAgICAgICAgcmV0dXJuIHVuZGVmaW5lZDtcbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gdHJhbnNbMF0uYXR0cmlidXRlcy50YXJnZXQ7XG4gICAgfTtcblxuICAgIGNvbnN0IHJlYWRUcmFuc2l0aW9uID0gKGVsZW1lbnQ6IElYbWxFbGVtZW50LCBmcm9tOiBzdHJpbmcsIHBhdGg6IHN0cmluZykgPT4ge1xuICAgICAgICBjb25zdCBhdHRycyA9IGVsZW1lbnQuYXR0cmlidXRlcztcbiAgICAgICAgLy8gQSB0YXJnZXRsZXNzIHRyYW5zaXRpb24gbGVhdmVzIG5vIHN0YXRlLCBhbmQgZW50ZXJzIG5vbmUuXG4gICAgICAgIGNvbnN0IHRyYW5zaXRpb246IElUcmFuc2l0aW9uRGVmaW5pdGlvbiA9IGF0dHJzLnRhcmdldCA/XG4gICAgICAgICAgICB7IGZyb206IGZyb20sIHRvOiBhdHRycy50YXJnZXQgfSA6XG4gICAgICAgICAgICB7IGZyb206IGZyb20sIHRvOiBmcm9tLCBpbnRlcm5hbDogdHJ1ZSB9O1xuICAgICAgICBpZiAoYXR0cnMudGFyZ2V0ICYmIC9cXHMvLnRlc3QoYXR0cnMudGFyZ2V0LnRyaW0oKSkpIHtcbiAgICAgICAgICAgIHVuc3VwcG9ydGVkKHBhdGggKyAnL0B0YXJnZXQnLCAnbXVsdGlwbGUgdGFyZ2V0czogJyArIGF0dHJzLnRhcmdldCk7XG4gICAgICAgICAgICByZXR1cm47XG4gICAgICAgIH1cbiAgICAgICAgaWYgKCFhdHRycy5ldmVudCkge1xuICAgICAgICAgICAgdW5zdXBwb3J0ZWQocGF0aCwgJ2V2ZW50bGVzcyB0cmFuc2l0aW9uJyk7XG4gICAgICAgIH0gZWxzZSBpZiAoL1xccy8udGVzdChhdHRycy5ldmVudC50cmltKCkpIHx8IC9bKl0vLnRlc3QoYXR0cnMuZXZlbnQpKSB7XG4gICAgICAgICAgICB1bnN1cHBvcnRlZChwYXRoICsgJy9AZXZlbnQnLCAnZXZlbnQgZGVzY3JpcHRvcjogJyArIGF0dHJzLmV2ZW50KTtcbiAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgIHRyYW5zaXRpb24uZXZlbnQgPSBhdHRycy5ldmVudDtcbiAgICAgICAgfVxuICAgICAgICBpZiAoYXR0cnMuY29uZCkge1xuICAgICAgICAgICAgaWYgKGlkZW50aWZpZXJQYXR0ZXJuLnRlc3QoYXR0cnMuY29uZC50cmltKCkpKSB7XG4gICAgICAgICAgICAgICAgdHJhbnNpdGlvbi5ndWFyZCA9IGF0dHJzLmNvbmQudHJpbSgpO1xuICAgICAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgICAgICB1bnN1cHBvcnRlZChwYXRoICsgJy9AY29uZCcsICdjb25kaXRpb247IGV4cGVjdGVkIHRoZSBuYW1lIG9mIGEgZ3VhcmQ6ICcgKyBhdHRycy5jb25kKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgICAgICBpZiAoYXR0cnMudHlwZSA9PT0gJ2ludGVybmFsJykge1xuICAgICAgICAgICAgdW5zdXBwb3J0ZWQocGF0aCArICcvQHR5cGUnLCAnaW50ZXJuYWwgdHJhbnNpdGlvbicpO1xuICAgICAgICB9XG4gICAgICAgIGNvbnN0IG9uQWZ0ZXIgPSBjYWxsYmFja09mKGVsZW1lbnQsIHBhdGgpO1xuICAgICAgICBpZiAob25BZnRlcikge1xuICAgICAgICAgICAgdHJhbnNpdGlvbi5vbkFmdGVyID0gb25BZnRlcjtcbiAgICAgICAgfVxuICAgICAgICB0cmFuc2l0aW9ucy5wdXNoKHRyYW5zaXRpb24pO1xuICAgIH07XG5cbiAgICBjb25zdCByZWFkSGlzdG9yeSA9IChlbGVtZW50OiBJWG1sRWxlbWVudCwgcGFyZW50OiBzdHJpbmcsIHBhdGg6IHN0cmluZykgPT4ge1xuICAgICAgICBjb25zdCBpZCA9IGVsZW1lbnQuYXR0cmlidXRlcy5pZDtcbiAgICAgICAgaWYgKCFpZCkge1xuICAgICAgICAgICAgdW5zdXBwb3J0ZWQocGF0aCwgJ2hpc3Rvcnkgd2l0aG91dCBhbiBpZCcpO1xuICAgICAgICAgICAgcmV0dXJuO1xuICAgICAgICB9XG4gICAgICAgIGNvbnN0IGhpc3Rvcnk6IElIaXN0b3J5U3RhdGVEZWZpbml0aW9uID0geyBuYW1lOiBpZCwgcGFyZW50OiBwYXJlbnQgfTtcbiAgICAgICAgaWYgKGVsZW1lbnQuYXR0cmlidXRlcy50eXBlID09PSAnZGVlcCcpIHtcbiAgICAgICAgICAgIGhpc3RvcnkuZGVlcCA9IHRydWU7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKGVsZW1lbnQuY2hpbGRyZW4ubGVuZ3RoKSB7XG4gICAgICAgICAgICAvLyBUaGUgZGVmYXVsdCB0cmFuc2l0aW9uXG4gICAgICAgICAgICBjb25zdCB0YXJnZXQgPSBpbml0aWFsT2YoZWxlbWVudCwgcGF0aCArICdbQGlkPVxcJycgKyBpZCArICdcXCddJyk7XG4gICAgICAgICAgICBpZiAodGFyZ2V0KSB7XG4gICAgICAgICAgICAgICAgaGlzdG9yeS5kZWZhdWx0VGFyZ2V0ID0gdGFyZ2V0O1xuICAgICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICAgIGhpc3RvcnlTdGF0ZXMucHVzaChoaXN0b3J5KTtcbiAgICB9O1xuXG4gICAgY29uc3QgcmVhZFN0YXRlID0gKGVsZW1lbnQ6IElYbWxFbGVtZW50LCBwYXJlbnQ6IHN0cmluZywgcGF0aDogc3RyaW5nLCByZWdpb24/OiBzdHJpbmcpID0+IHtcbiAgICAgICAgY29uc3QgaWQgPSBlbGVtZW50LmF0dHJpYnV0ZXMuaWQ7XG4gICAgICAgIGlmICghaWQpIHtcbiAgICAgICAgICAgIHVuc3VwcG9ydGVkKHBhdGgsICdzdGF0ZSB3aXRob3V0IGFuIGlkJyk7XG4gICAgICAgICAgICByZXR1cm47XG4gICAgICAgIH1cbiAgICAgICAgcGF0aCA9IHBhdGggKyAnW0BpZD1cXCcnICsgaWQgKyAnXFwnXSc7XG4gICAgICAgIGNvbnN0IHN0YXRlOiBJU3RhdGVEZWZpbml0aW9uID0geyBuYW1lOiBpZCB9O1xuICAgICAgICBpZiAocGFyZW50KSB7XG4gICAgICAgICAgICBzdGF0ZS5wYXJlbnQgPSBwYXJlbnQ7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKHJlZ2lvbiAmJiByZWdpb24gIT09IGRlZmF1bHRSZWdpb24pIHtcbiAgICAgICAgICAgIHN0YXRlLnJlZ2lvbiA9IHJlZ2lvbjtcbiAgICAgICAgfVxuICAgICAgICBpZiAoZWxlbWVudC5hdHRyaWJ1dGVzLmluaXRpYWwpIHtcbiAgICAgICAgICAgIHN0YXRlLmluaXRpYWwgPSBlbGVtZW50LmF0dHJpYnV0ZXMuaW5pdGlhbDtcbiAgICAgICAgfVxuICAgICAgICBpZiAoZWxlbWVudC5uYW1lID09PSAnZmluYWwnKSB7XG4gICAgICAgICAgICBzdGF0ZS5maW5hbCA9IHRydWU7XG4gICAgICAgIH1cbiAgICAgICAgc3RhdGVzLnB1c2goc3RhdGUpO1xuICAgICAgICBlbGVtZW50LmNoaWxkcmVuLmZvckVhY2goYyA9PiB7XG4gICAgICAgICAgICBjb25zdCBjaGlsZFBhdGggPSBwYXRoICsgJy8nICsgYy5uYW1lO1xuICAgICAgICAgICAgaWYgKGMubmFtZSA9PT0gJ3N0YXRlJyB8fCBjLm5hbWUgPT09ICdmaW5hbCcpIHtcbiAgICAgICAgICAgICAgICByZWFkU3RhdGUoYywgaWQsIGNoaWxkUGF0aCk7XG4gICAgICAgICAgICB9IGVsc2UgaWYgKGMubmFtZSA9PT0gJ2luaXRpYWwnKSB7XG4gICAgICAgICAgICAgICAgc3RhdGUuaW5pdGlhbCA9IGluaXRpYWxPZihjLCBjaGlsZFBhdGgpO1xuICAgICAgICAgICAgfSBlbHNlIGlmIChjLm5hbWUgPT09ICdoaXN0b3J5Jykge1xuICAgICAgICAgICAgICAgIHJlYWRIaXN0b3J5KGMsIGlkLCBjaGlsZFBhdGgpO1xuICAgICAgICAgICAgfSBlbHNlIGlmIChjLm5hbWUgPT09ICd0cmFuc2l0aW9uJykge1xuICAgICAgICAgICAgICAgIHJlYWRUcmFuc2l0aW9uKGMsIGlkLCBjaGlsZFBhdGgpO1xuICAgICAgICAgICAgfSBlbHNlIGlmIChjLm5hbWUgPT09ICdvbmVudHJ5JyB8fCBjLm5hbWUgPT09ICdvbmV4aXQnKSB7XG4gICAgICAgICAgICAgICAgY29uc3Qga2V5ID0gYy5uYW1lID09PSAnb25lbnRyeScgPyAnb25FbnRlcicgOiAnb25MZWF2ZSc7XG4gICAgICAgICAgICAgICAgaWYgKHN0YXRlW2tleV0pIHtcbiAgICAgICAgICAgICAgICAgICAgdW5zdXBwb3J0ZWQoY2hpbGRQYXRoLCAnbXVsdGlwbGUgJyArIGMubmFtZSArICcgaGFuZGxlcnMnKTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICAgICAgc3RhdGVba2V5XSA9IGNhbGxiYWNrT2YoYywgY2hpbGRQYXRoKTtcbiAgICAgICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICAgICAgdW5zdXBwb3J0ZWQoY2hpbGRQYXRoLCAnZWxlbWVudDogJyArIGMubmFtZSk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH0pO1xuICAgIH07XG5cbiAgICAvLyBSZWFkcyBhIHJlZ2lvbiwgaS5lLiwgYSBjaGlsZCBzdGF0ZSBvZiB0aGUgcGFyYWxsZWwgZWxlbWVudC5cbiAgICBjb25zdCByZWFkUmVnaW9uID0gKGVsZW1lbnQ6IElYbWxFbGVtZW50LCBwYXRoOiBzdHJpbmcpID0+IHtcbiAgICAgICAgY29uc3QgaWQgPSBlbGVtZW50LmF0dHJpYnV0ZXMuaWQ7XG4gICAgICAgIGlmIChlbGVtZW50Lm5hbWUgIT09ICdzdGF0ZScgfHwgIWlkKSB7XG4gICAgICAgICAgICB1bnN1cHBvcnRlZChwYXRoLCAncmVnaW9uOyBleHBlY3RlZCBhIHN0YXRlIHdpdGggYW4gaWQnKTtcbiAgICAgICAgICAgIHJldHVybjtcbiAgICAgICAgfVxuICAgICAgICBwYXRoID0gcGF0aCArICdbQGlkPVxcJycgKyBpZCArICdcXCddJztcbiAgICAgICAgY29uc3QgbWVtYmVycyA9IGVsZW1lbnQuY2hpbGRyZW4uZmlsdGVyKGMgPT4gYy5uYW1lID09PSAnc3RhdGUnIHx8IGMubmFtZSA9PT0gJ2ZpbmFsJyk7XG4gICAgICAgIGxldCBpbml0aWFsID0gZWxlbWVudC5hdHRyaWJ1dGVzLmluaXRpYWw7XG4gICAgICAgIGVsZW1lbnQuY2hpbGRyZW4uZm9yRWFjaChjID0+IHtcbiAgICAgICAgICAgIGNvbnN0IGNoaWxkUGF0aCA9IHBhdGggKyAnLycgKyBjLm5hbWU7XG4gICAgICAgICAgICBpZiAoYy5uYW1lID09PSAnc3RhdGUnIHx8IGMubmFtZSA9PT0gJ2ZpbmFsJykge1xuICAgICAgICAgICAgICAgIHJlYWRTdGF0ZShjLCBudWxsLCBjaGlsZFBhdGgsIGlkKTtcbiAgICAgICAgICAgIH0gZWxzZSBpZiAoYy5uYW1lID09PSAnaW5pdGlhbCcpIHtcbiAgICAgICAgICAgICAgICBpbml0aWFsID0gaW5pdGlhbE9mKGMsIGNoaWxkUGF0aCk7XG4gICAgICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgICAgIHVuc3VwcG9ydGVkKGNoaWxkUGF0aCwgJ2VsZW1lbnQgaW4gYSByZWdpb246ICcgKyBjLm5hbWUpO1xuICAgICAgICAgICAgfVxuICAgICAgICB9KTtcbiAgICAgICAgLy8gQnkgdGhlIFNDWE1MIHNlbWFudGljcywgdGhlIGZpcnN0IHN0YXRlIGlzIHRoZSBpbml0aWFsIG9uZS5cbiAgICAgICAgaW5pdGlhbCA9IGluaXRpYWwgfHwgKG1lbWJlcnMubGVuZ3RoID8gbWVtYmVyc1swXS5hdHRyaWJ1dGVzLmlkIDogdW5kZWZpbmVkKTtcbiAgICAgICAgaWYgKGlkID09PSBkZWZhdWx0UmVnaW9uKSB7XG4gICAgICAgICAgICBkZWZpbml0aW9uLmluaXRpYWwgPSBpbml0aWFsO1xuICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgcmVnaW9ucy5wdXNoKHsgbmFtZTogaWQsIGluaXRpYWw6IGluaXRpYWwgfSk7XG4gICAgICAgIH1cbiAgICB9O1xuXG4gICAgY29uc3QgcGFyYWxsZWxzID0gcm9vdC5jaGlsZHJlbi5maWx0ZXIoYyA9PiBjLm5hbWUgPT09ICdwYXJhbGxlbCcpO1xuICAgIGlmIChwYXJhbGxlbHMubGVuZ3RoICYmIHJvb3QuY2hpbGRyZW4uc29tZShjID0+IGMubmFtZSAhPT0gJ3BhcmFsbGVsJyAmJiBjLm5hbWUgIT09ICdkYXRhbW9kZWwnKSkge1xuICAgICAgICB1bnN1cHBvcnRlZCgnL3NjeG1sL3BhcmFsbGVsJywgJ3BhcmFsbGVsIGVsZW1lbnQgYWxvbmcgd2l0aCBvdGhlciBzdGF0ZXMnKTtcbiAgICB9IGVsc2UgaWYgKHBhcmFsbGVscy5sZW5ndGggPiAxKSB7XG4gICAgICAgIHVuc3VwcG9ydGVkKCcvc2N4bWwvcGFyYWxsZWwnLCAnbXVsdGlwbGUgcGFyYWxsZWwgZWxlbWVudHMnKTtcbiAgICB9XG4gICAgaWYgKHJvb3QuYXR0cmlidXRlcy5pbml0aWFsICYmICFwYXJhbGxlbHMubGVuZ3RoKSB7XG4gICAgICAgIGRlZmluaXRpb24uaW5pdGlhbCA9IHJvb3QuYXR0cmlidXRlcy5pbml0aWFsO1xuICAgIH1cbiAgICByb290LmNoaWxkcmVuLmZvckVhY2goYyA9PiB7XG4gICAgICAgIGNvbnN0IHBhdGggPSAnL3NjeG1sLycgKyBjLm5hbWU7XG4gICAgICAgIGlmIChjLm5hbWUgPT09ICdzdGF0ZScgfHwgYy5uYW1lID09PSAnZmluYWwnKSB7XG4gICAgICAgICAgICByZWFkU3RhdGUoYywgbnVsbCwgcGF0aCk7XG4gICAgICAgIH0gZWxzZSBpZiAoYy5uYW1lID09PSAncGFyYWxsZWwnKSB7XG4gICAgICAgICAgICBjLmNoaWxkcmVuLmZvckVhY2gociA9PiByZWFkUmVnaW9uKHIsIHBhdGggKyAnLycgKyByLm5hbWUpKTtcbiAgICAgICAgfSBlbHNlIGlmIChjLm5hbWUgPT09ICdkYXRhbW9kZWwnKSB7XG4gICAgICAgICAgICBjb25zdCBjb250ZXh0OiB7IFtrZXk6IHN0cmluZ106IGFueSB9ID0ge307XG4gICAgICAgICAgICBjLmNoaWxkcmVuLmZvckVhY2goZCA9PiB7XG4gICAgICAgICAgICAgICAgaWYgKGQubmFtZSAhPT0gJ2RhdGEnIHx8ICFkLmF0dHJpYnV0ZXMuaWQpIHtcbiAgICAgICAgICAgICAgICAgICAgdW5zdXBwb3J0ZWQocGF0aCArICcvJyArIGQubmFtZSwgJ2RhdGEgZWxlbWVudCcpO1xuICAgICAgICAgICAgICAgICAgICByZXR1cm47XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgICAgIHRyeSB7XG4gICAgICAgICAgICAgICAgICAgIGNvbnRleHRbZC5hdHRyaWJ1dGVzLmlkXSA9IEpTT04ucGFyc2UoZC5hdHRyaWJ1dGVzLmV4cHIgfHwgZC50ZXh0IHx8ICdudWxsJyk7XG4gICAgICAgICAgICAgICAgfSBjYXRjaCAoZSkge1xuICAgICAgICAgICAgICAgICAgICB1bnN1cHBvcnRlZChwYXRoICsgJy9kYXRhW0BpZD1cXCcnICsgZC5hdHRyaWJ1dGVzLmlkICsgJ1xcJ10nLCAnZGF0YSBleHByZXNzaW9uOyBleHBlY3RlZCBhIEpTT04gdmFsdWUnKTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICB9KTtcbiAgICAgICAgICAgIGRlZmluaXRpb24uY29udGV4dCA9IGNvbnRleHQ7XG4gICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICB1bnN1cHBvcnRlZChwYXRoLCAnZWxlbWVudDogJyArIGMubmFtZSk7XG4gICAgICAgIH1cbiAgICB9KTtcbiAgICBpZiAoaGlzdG9yeVN0YXRlcy5sZW5ndGgpIHtcbiAgICAgICAgZGVmaW5pdGlvbi5oaXN0b3J5U3RhdGVzID0gaGlzdG9yeVN0YXRlcztcbiAgICB9XG4gICAgaWYgKHJlZ2lvbnMubGVuZ3RoKSB7XG4gICAgICAgIGRlZmluaXRpb24ucmVnaW9ucyA9IHJlZ2lvbnM7XG4gICAgfVxuICAgIGlmICghZGVmaW5pdGlvbi5pbml0aWFsICYmIHN0YXRlcy5sZW5ndGggJiYgIXBhcmFsbGVscy5sZW5ndGgpIHtcbiAgICAgICAgLy8gQnkgdGhlIFNDWE1MIHNlbWFudGljcywgdGhlIGZpcnN0IHN0YXRlIGlzIHRoZSBpbml0aWFsIG9uZS5cbiAgICAgICAgZGVmaW5pdGlvbi5pbml0aWFsID0gc3RhdGVzWzBdLm5hbWU7XG4gICAgfVxuXG4gICAgaWYgKGVycm9ycy5sZW5ndGgpIHtcbiAgICAgICAgdGhyb3cgbmV3IERlZmluaXRpb25FcnJvcihlcnJvcnMpO1xuICAgIH1cbiAgICByZXR1cm4gZGVmaW5pdGlvbjtcbn1cblxuLyoqXG4gKiBTZXJpYWxpemVzIGEgZGVmaW5pdGlvbiBhcyBhIFNDWE1MIGRvY3VtZW50LCBmb2xsb3dpbmcgdGhlIHNhbWVcbiAqIGNvbnZlbnRpb25zIGFzIHBhcnNlU2N4bWwuIEFuIGludGVybmFsIHNlbGYtdHJhbnNpdGlvbiBpcyB3cml0dGVuXG4gKiBhcyBhIHRhcmdldGxlc3MgdHJhbnNpdGlvbiwgYW5kIHRoZSBvcnRob2dvbmFsIHJlZ2lvbnMgYXMgdGhlIGNoaWxkXG4gKiBzdGF0ZXMgb2YgYSBwYXJhbGxlbCBlbGVtZW50LCBuYW1lZCBhZnRlciB0aGUgcmVnaW9ucy4gQSBoaXN0b3J5IHN0YXRlXG4gKiBpcyBhbHdheXMgd3JpdHRlbiB3aXRoIGl0cyBkZWZhdWx0IHRyYW5zaXRpb24uIFRyYW5zaXRpb25zIHdpdGhvdXRcbiAqIGFuIGV2ZW50LCB3aGljaCBTQ1hNTCB3b3VsZCB0YWtlIGF1dG9tYXRpY2FsbHksIGJlZm9yZSBjYWxsYmFja3MsXG4gKiBhc3NpZ24gb3B0aW9ucywgZGVsYXlzIGFuZCBjb21wZW5zYXRpb25zIGhhdmUgbm8gY291bnRlcnBhcnQsXG4gKiBhbmQgYXJlIHJlcG9ydGVkIGJ5IGEgRGVmaW5pdGlvbkVycm9yLlxuICovXG5leHBvcnQgZnVuY3Rpb24gc2VyaWFsaXplU2N4bWwoZGVmaW5pdGlvbjogSU1hY2hpbmVEZWZpbml0aW9uKTogc3RyaW5nIHtcbiAgICBjb25zdCBlcnJvcnM6IEFycmF5PElEZWZpbml0aW9uUHJvYmxlbT4gPSBbXTtcbiAgICBjb25zdCBsaW5lczogQXJyYXk8c3RyaW5nPiA9IFtdO1xuICAgIGNvbnN0IGluZGVudCA9IChkZXB0aDogbnVtYmVyKSA9PiBuZXcgQXJyYXkoZGVwdGggKyAxKS5qb2luKCcgICAgJyk7XG4gICAgY29uc3QgYXR0ciA9IChuYW1lOiBzdHJpbmcsIHZhbHVlOiBzdHJpbmcpID0+IHZhbHVlID8gJyAnICsgbmFtZSArICc9XCInICsgZW5jb2RlRW50aXRpZXModmFsdWUpICsgJ1wiJyA6ICcnO1xuXG4gICAgY29uc3QgY2hpbGRyZW46IHsgW2tleTogc3RyaW5nXTogQXJyYXk8SVN0YXRlRGVmaW5pdGlvbj4gfSA9IHt9O1xuICAgIGNvbnN0IHJvb3RzOiBBcnJheTxJU3RhdGVEZWZpbml0aW9uPiA9IFtdO1xuICAgIGNvbnN0IHBhcmVudHMgPSBwYXJlbnRzT2YoZGVmaW5pdGlvbik7XG4gICAgZGVmaW5pdGlvbi5zdGF0ZXMuZm9yRWFjaChzdCA9PiB7XG4gICAgICAgIGNvbnN0IHBhcmVudCA9IHBhcmVudHNbc3QubmFtZV07XG4gICAgICAgIGNoaWxkcmVuW3N0Lm5hbWVdID0gW107XG4gICAgICAgIGlmIChwYXJlbnQgJiYgY2hpbGRyZW5bcGFyZW50XSkge1xuICAgICAgICAgICAgY2hpbGRyZW5bcGFyZW50XS5wdXNoKHN0KTtcbiAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgIHJvb3RzLnB1c2goc3QpO1xuICAgICAgICB9XG4gICAgfSk7XG5cbiAgICBjb25zdCB3cml0ZUhhbmRsZXIgPSAodGFnOiBzdHJpbmcsIG5hbWU6IHN0cmluZywgZGVwdGg6IG51bWJlcikgPT4ge1xuICAgICAgICBpZiAobmFtZSkge1xuICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGgpICsgJzwnICsgdGFnICsgJz4nKTtcbiAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KGRlcHRoICsgMSkgKyAnPHNjcmlwdD4nICsgZW5jb2RlRW50aXRpZXMobmFtZSkgKyAnPC9zY3JpcHQ+Jyk7XG4gICAgICAgICAgICBsaW5lcy5wdXNoKGluZGVudChkZXB0aCkgKyAnPC8nICsgdGFnICsgJz4nKTtcbiAgICAgICAgfVxuICAgIH07XG5cbiAgICBjb25zdCB3cml0ZVN0YXRlID0gKHN0OiBJU3RhdGVEZWZpbml0aW9uLCBkZXB0aDogbnVtYmVyKSA9PiB7XG4gICAgICAgIGNvbnN0IHRyYW5zID0gKGRlZmluaXRpb24udHJhbnNpdGlvbnMgfHwgW10pLmZpbHRlcih0ciA9PiB0ci5mcm9tID09PSBzdC5uYW1lKTtcbiAgICAgICAgLy8gQSBmaW5hbCBzdGF0ZSBpbiBTQ1hNTCBpcyBhbHdheXMgYXRvbWljLCBhbmQgY2Fubm90IGJlIGxlZnQuXG4gICAgICAgIGNvbnN0IHRhZyA9IHN0LmZpbmFsID8gJ2ZpbmFsJyA6ICdzdGF0ZSc7XG4gICAgICAgIGlmIChzdC5maW5hbCAmJiAodHJhbnMubGVuZ3RoIHx8IGNoaWxkcmVuW3N0Lm5hbWVdLmxlbmd0aCkpIHtcbiAgICAgICAgICAgIGVycm9ycy5wdXNoKHtcbiAgICAgICAgICAgICAgICBwYXRoOiAnL3N0YXRlcy8nICsgZGVmaW5pdGlvbi5zdGF0ZXMuaW5kZXhPZihzdCkgKyAnL2ZpbmFsJyxcbiAgICAgICAgICAgICAgICBtZXNzYWdlOiAnRmluYWwgc3RhdGVzIHdpdGggdHJhbnNpdGlvbnMgb3IgY2hpbGRyZW4gYXJlIG5vdCBzdXBwb3J0ZWQgaW4gU0NYTUwnXG4gICAgICAgICAgICB9KTtcbiAgICAgICAgfVxuICAgICAgICBjb25zdCBvcGVuID0gaW5kZW50KGRlcHRoKSArICc8JyArIHRhZyArIGF0dHIoJ2lkJywgc3QubmFtZSkgKyBhdHRyKCdpbml0aWFsJywgc3QuaW5pdGlhbCkgKyAnPic7XG4gICAgICAgIGxpbmVzLnB1c2gob3Blbik7XG4gICAgICAgIHdyaXRlSGFuZGxlcignb25lbnRyeScsIHN0Lm9uRW50ZXIsIGRlcHRoICsgMSk7XG4gICAgICAgIHdyaXRlSGFuZGxlcignb25leGl0Jywgc3Qub25MZWF2ZSwgZGVwdGggKyAxKTtcbiAgICAgICAgdHJhbnMuZm9yRWFjaCh0ciA9PiB7XG4gICAgICAgICAgICBjb25zdCBpbmRleCA9IGRlZmluaXRpb24udHJhbnNpdGlvbnMuaW5kZXhPZih0cik7XG4gICAgICAgICAgICBpZiAoIXRyLmV2ZW50KSB7XG4gICAgICAgICAgICAgICAgZXJyb3JzLnB1c2goe1xuICAgICAgICAgICAgICAgICAgICBwYXRoOiAnL3RyYW5zaXRpb25zLycgKyBpbmRleCArICcvZXZlbnQnLFxuICAgICAgICAgICAgICAgICAgICBtZXNzYWdlOiAnVHJhbnNpdGlvbnMgd2l0aG91dCBhbiBldmVudCBhcmUgbm90IHN1cHBvcnRlZCBpbiBTQ1hNTCdcbiAgICAgICAgICAgICAgICB9KTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIGlmICh0ci5vbkJlZm9yZSkge1xuICAgICAgICAgICAgICAgIGVycm9ycy5wdXNoKHsgcGF0aDogJy90cmFuc2l0aW9ucy8nICsgaW5kZXggKyAnL29uQmVmb3JlJywgbWVzc2FnZTogJ0JlZm9yZSBjYWxsYmFja3MgYXJlIG5vdCBzdXBwb3J0ZWQgaW4gU0NYTUwnIH0pO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgaWYgKHRyLmFzc2lnbikge1xuICAgICAgICAgICAgICAgIGVycm9ycy5wdXNoKHsgcGF0aDogJy90cmFuc2l0aW9ucy8nICsgaW5kZXggKyAnL2Fzc2lnbicsIG1lc3NhZ2U6ICdBc3NpZ24gb3B0aW9ucyBhcmUgbm90IHN1cHBvcnRlZCBpbiBTQ1hNTCcgfSk7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICBpZiAodHIuZGVsYXkgIT09IHVuZGVmaW5lZCAmJiB0ci5kZWxheSAhPT0gbnVsbCkge1xuICAgICAgICAgICAgICAgIGVycm9ycy5wdXNoKHsgcGF0aDogJy90cmFuc2l0aW9ucy8nICsgaW5kZXggKyAnL2RlbGF5JywgbWVzc2FnZTogJ0RlbGF5cyBhcmUgbm90IHN1cHBvcnRlZCBpbiBTQ1hNTCcgfSk7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICBpZiAodHIuY29tcGVuc2F0aW9uKSB7XG4gICAgICAgICAgICAgICAgZXJyb3JzLnB1c2goe1xuICAgICAgICAgICAgICAgICAgICBwYXRoOiAnL3RyYW5zaXRpb25zLycgKyBpbmRleCArICcvY29tcGVuc2F0aW9uJyxcbiAgICAgICAgICAgICAgICAgICAgbWVzc2FnZTogJ0NvbXBlbnNhdGlvbnMgYXJlIG5vdCBzdXBwb3J0ZWQgaW4gU0NYTUwnXG4gICAgICAgICAgICAgICAgfSk7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICBjb25zdCBoZWFkID0gaW5kZW50KGRlcHRoICsgMSkgKyAnPHRyYW5zaXRpb24nICsgYXR0cignZXZlbnQnLCB0ci5ldmVudCkgK1xuICAgICAgICAgICAgICAgIGF0dHIoJ2NvbmQnLCB0ci5ndWFyZCkgKyBhdHRyKCd0YXJnZXQnLCB0ci5pbnRlcm5hbCA/IHVuZGVmaW5lZCA6IHRyLnRvKTtcbiAgICAgICAgICAgIGlmICh0ci5vbkFmdGVyKSB7XG4gICAgICAgICAgICAgICAgbGluZXMucHVzaChoZWFkICsgJz4nKTtcbiAgICAgICAgICAgICAgICBsaW5lcy5wdXNoKGluZGVudChkZXB0aCArIDIpICsgJzxzY3JpcHQ+JyArIGVuY29kZUVudGl0aWVzKHRyLm9uQWZ0ZXIpICsgJzwvc2NyaXB0PicpO1xuICAgICAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KGRlcHRoICsgMSkgKyAnPC90cmFuc2l0aW9uPicpO1xuICAgICAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgICAgICBsaW5lcy5wdXNoKGhlYWQgKyAnLz4nKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfSk7XG4gICAgICAgIGNoaWxkcmVuW3N0Lm5hbWVdLmZvckVhY2goY2hpbGQgPT4gd3JpdGVTdGF0ZShjaGlsZCwgZGVwdGggKyAxKSk7XG4gICAgICAgIChkZWZpbml0aW9uLmhpc3RvcnlTdGF0ZXMgfHwgW10pLmZpbHRlcihoID0+IGgucGFyZW50ID09PSBzdC5uYW1lKS5mb3JFYWNoKGggPT4ge1xuICAgICAgICAgICAgLy8gU0NYTUwgcmVxdWlyZXMgdGhlIGRlZmF1bHQgdHJhbnNpdGlvbjsgYnkgZGVmYXVsdCwgaXQgZ29lcyB0b1xuICAgICAgICAgICAgLy8gdGhlIGluaXRpYWwgc3RhdGUgb2YgdGhlIHBhcmVudCwgd2hpY2ggaXMgaXRzIGZpcnN0IGNoaWxkXG4gICAgICAgICAgICAvLyB1bmxlc3MgZGVjbGFyZWQuXG4gICAgICAgICAgICBjb25zdCB0YXJnZXQgPSBoLmRlZmF1bHRUYXJnZXQgfHwgc3QuaW5pdGlhbCB8fCAoY2hpbGRyZW5bc3QubmFtZV1bMF0gJiYgY2hpbGRyZW5bc3QubmFtZV1bMF0ubmFtZSk7XG4gICAgICAgICAgICBsaW5lcy5wdXNoKGluZGVudChkZXB0aCArIDEpICsgJzxoaXN0b3J5JyArIGF0dHIoJ2lkJywgaC5uYW1lKSArIGF0dHIoJ3R5cGUnLCBoLmRlZXAgPyAnZGVlcCcgOiAnc2hhbGxvdycpICsgJz4nKTtcbiAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KGRlcHRoICsgMikgKyAnPHRyYW5zaXRpb24nICsgYXR0cigndGFyZ2V0JywgdGFyZ2V0KSArICcvPicpO1xuICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGggKyAxKSArICc8L2hpc3Rvcnk+Jyk7XG4gICAgICAgIH0pO1xuICAgICAgICBpZiAobGluZXNbbGluZXMubGVuZ3RoIC0gMV0gPT09IG9wZW4pIHtcbiAgICAgICAgICAgIGxpbmVzW2xpbmVzLmxlbmd0aCAtIDFdID0gb3Blbi5yZXBsYWNlKC8+JC8sICcvPicpO1xuICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGgpICsgJzwvJyArIHRhZyArICc+Jyk7XG4gICAgICAgIH1cbiAgICB9O1xuXG4gICAgY29uc3QgcmVnaW9ucyA9IGRlZmluaXRpb24ucmVnaW9ucyB8fCBbXTtcbiAgICBsaW5lcy5wdXNoKCc8P3htbCB2ZXJzaW9uPVwiMS4wXCIgZW5jb2Rpbmc9XCJVVEYtOFwiPz4nKTtcbiAgICBsaW5lcy5wdXNoKCc8c2N4bWwnICsgYXR0cigneG1sbnMnLCBzY3htbE5hbWVzcGFjZSkgKyAnIHZlcnNpb249XCIxLjBcIicgK1xuICAgICAgICBhdHRyKCdpbml0aWFsJywgcmVnaW9ucy5sZW5ndGggPyB1bmRlZmluZWQgOiBkZWZpbml0aW9uLmluaXRpYWwpICsgJz4nKTtcbiAgICBjb25zdCBjb250ZXh0ID0gZGVmaW5pdGlvbi5jb250ZXh0O1xuICAgIGlmIChjb250ZXh0ICE9PSB1bmRlZmluZWQgJiYgY29udGV4dCAhPT0gbnVsbCkge1xuICAgICAgICBpZiAodHlwZW9mIGNvbnRleHQgIT09ICdvYmplY3QnIHx8IEFycmF5LmlzQXJyYXkoY29udGV4dCkpIHtcbiAgICAgICAgICAgIGVycm9ycy5wdXNoKHsgcGF0aDogJy9jb250ZXh0JywgbWVzc2FnZTogJ0NvbnRleHQgZGF0YSBvdGhlciB0aGFuIGFuIG9iamVjdCBpcyBub3Qgc3VwcG9ydGVkIGluIFNDWE1MJyB9KTtcbiAgICAgICAgfSBlbHNlIGlmIChPYmplY3Qua2V5cyhjb250ZXh0KS5sZW5ndGgpIHtcbiAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KDEpICsgJzxkYXRhbW9kZWw+Jyk7XG4gICAgICAgICAgICBPYmplY3Qua2V5cyhjb250ZXh0KS5mb3JFYWNoKGsgPT4ge1xuICAgICAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KDIpICsgJzxkYXRhJyArIGF0dHIoJ2lkJywgaykgKyAnIGV4cHI9XCInICsgZW5jb2RlRW50aXRpZXMoSlNPTi5zdHJpbmdpZnkoY29udGV4dFtrXSkpICsgJ1wiLz4nKTtcbiAgICAgICAgICAgIH0pO1xuICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoMSkgKyAnPC9kYXRhbW9kZWw+Jyk7XG4gICAgICAgIH1cbiAgICB9XG4gICAgaWYgKHJlZ2lvbnMubGVuZ3RoKSB7XG4gICAgICAgIC8vIEEgcmVnaW9uIGlzIHdyaXR0ZW4gYXMgYSBzdGF0ZSwgc28gaXRzIG5hbWUgbXVzdCBub3QgYmUgdGFrZW5cbiAgICAgICAgLy8gYnkgYW55IHN0YXRlOyB0aGUgZGVmYXVsdCByZWdpb24gaXMgbGVmdCBvdXQgaWYgaXQgaXMgZW1wdHkuXG4gICAgICAgIGNvbnN0IG5hbWVzID0gZGVmaW5pdGlvbi5zdGF0ZXMubWFwKHN0ID0+IHN0Lm5hbWUpLmNvbmNhdCgoZGVmaW5pdGlvbi5oaXN0b3J5U3RhdGVzIHx8IFtdKS5tYXAoaCA9PiBoLm5hbWUpKTtcbiAgICAgICAgbGluZXMucHVzaChpbmRlbnQoMSkgKyAnPHBhcmFsbGVsPicpO1xuICAgICAgICBbeyBuYW1lOiBkZWZhdWx0UmVnaW9uLCBpbml0aWFsOiBkZWZpbml0aW9uLmluaXRpYWwgfV0uY29uY2F0KHJlZ2lvbnMpLmZvckVhY2goKHIsIGkpID0+IHtcbiAgICAgICAgICAgIGNvbnN0IG1lbWJlcnMgPSByb290cy5maWx0ZXIoc3QgPT4gKHN0LnJlZ2lvbiB8fCBkZWZhdWx0UmVnaW9uKSA9PT0gci5uYW1lKTtcbiAgICAgICAgICAgIGlmICghbWVtYmVycy5sZW5ndGgpIHtcbiAgICAgICAgICAgICAgICByZXR1cm47XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICBpZiAobmFtZXMuaW5kZXhPZihyLm5hbWUpID49IDApIHtcbiAgICAgICAgICAgICAgICBlcnJvcnMucHVzaCh7XG4gICAgICAgICAgICAgICAgICAgIHBhdGg6IGkgPyAnL3JlZ2lvbnMvJyArIChpIC0gMSkgKyAnL25hbWUnIDogJy9zdGF0ZXMvJyArIG5hbWVzLmluZGV4T2Yoci5uYW1lKSArICcvbmFtZScsXG4gICAgICAgICAgICAgICAgICAgIG1lc3NhZ2U6ICdSZWdpb25zIG5hbWVkIGFzIHN0YXRlcyBhcmUgbm90IHN1cHBvcnRlZCBpbiBTQ1hNTDogJyArIHIubmFtZVxuICAgICAgICAgICAgICAgIH0pO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoMikgKyAnPHN0YXRlJyArIGF0dHIoJ2lkJywgci5uYW1lKSArIGF0dHIoJ2luaXRpYWwnLCByLmluaXRpYWwpICsgJz4nKTtcbiAgICAgICAgICAgIG1lbWJlcnMuZm9yRWFjaChzdCA9PiB3cml0ZVN0YXRlKHN0LCAzKSk7XG4gICAgICAgICAgICBsaW5lcy5wdXNoKGluZGVudCgyKSArICc8L3N0YXRlPicpO1xuICAgICAgICB9KTtcbiAgICAgICAgbGluZXMucHVzaChpbmRlbnQoMSkgKyAnPC9wYXJhbGxlbD4nKTtcbiAgICB9IGVsc2Uge1xuICAgICAgICByb290cy5mb3JFYWNoKHN0ID0+IHdyaXRlU3RhdGUoc3QsIDEpKTtcbiAgICB9XG4gICAgbGluZXMucHVzaCgnPC9zY3htbD4nKTtcblxuICAgIGlmIChlcnJvcnMubGVuZ3RoKSB7XG4gICAgICAgIHRocm93IG5ldyBEZWZpbml0aW9uRXJyb3IoZXJyb3JzKTtcbiAgICB9XG4gICAgcmV0dXJuIGxpbmVzLmpvaW4oJ1xcbicpICsgJ1xcbic7XG59XG4iXX0=
\ No newline at end of file
@@ -0,0 +1,540 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+import { buildStateGraph } from './model-checking';
+/** @type {?} */
+const defaultRegion = 'default';
+/** @type {?} */
+const temporalOperators = ['EX', 'AX', 'EF', 'AF', 'EG', 'AG'];
+/**
+ * Represents a parsed property.
+ * @record
+ */
+export function IFormula() { }
+if (false) {
+    /** @type {?} */
+    IFormula.prototype.op;
+    /** @type {?|undefined} */
+    IFormula.prototype.name;
+    /** @type {?|undefined} */
+    IFormula.prototype.args;
+}
+/**
+ * Describes a step in a path, i.e., the state and
+ * the transition by which the state is entered.
+ * @record
+ */
+export function IPathStep() { }
+if (false) {
+    /** @type {?} */
+    IPathStep.prototype.state;
+    /** @type {?} */
+    IPathStep.prototype.transition;
+}
+/**
+ * Describes the result of checking a property. If the property does not
+ * hold, a counterexample path from the init state is given; if the path
+ * ends in a cycle, loopsTo is the index of the step the path returns to.
+ * @record
+ */
+export function IPropertyResult() { }
+if (false) {
+    /** @type {?} */
+    IPropertyResult.prototype.holds;
+    /** @type {?|undefined} */
+    IPropertyResult.prototype.counterexample;
+    /** @type {?|undefined} */
+    IPropertyResult.prototype.loopsTo;
+}
+/**
+ * Parses a property into a formula.
+ * @param {?} text
+ * @return {?}
+ */
+export function parseProperty(text) {
+    /** @type {?} */
+    const tokens = [];
+    /** @type {?} */
+    const pattern = /^\s*(->|&&?|\|\|?|[!()\[\]@]|"[^"]*"|[A-Za-z_$][\w$.]*)/;
+    /** @type {?} */
+    let rest = text.replace(/\s+$/, '');
+    while (rest.length) {
+        /** @type {?} */
+        const m = pattern.exec(rest);
+        if (!m) {
+            throw new Error('Unexpected character in property: ' + rest);
+        }
+        tokens.push(m[1]);
+        rest = rest.substring(m[0].length);
+    }
+    /** @type {?} */
+    let index = 0;
+    /** @type {?} */
+    const peek = () => tokens[index];
+    /** @type {?} */
+    const expect = (token) => {
+        if (tokens[index] !== token) {
+            throw new Error('Expected ' + token + ' in property, but got ' + (tokens[index] || 'the end'));
+        }
+        index++;
+    };
+    /** @type {?} */
+    const nameOf = (token) => {
+        if (!token || !/^("|[A-Za-z_$])/.test(token)) {
+            throw new Error('Expected a name in property, but got ' + (token || 'the end'));
+        }
+        return token.charAt(0) === '"' ? token.substring(1, token.length - 1) : token;
+    };
+    /** @type {?} */
+    const parseImplies = () => {
+        /** @type {?} */
+        const left = parseOr();
+        if (peek() === '->') {
+            index++;
+            return { op: 'implies', args: [left, parseImplies()] };
+        }
+        return left;
+    };
+    /** @type {?} */
+    const parseOr = () => {
+        /** @type {?} */
+        let left = parseAnd();
+        while (peek() === '|' || peek() === '||') {
+            index++;
+            left = { op: 'or', args: [left, parseAnd()] };
+        }
+        return left;
+    };
+    /** @type {?} */
+    const parseAnd = () => {
+        /** @type {?} */
+        let left = parseUnary();
+        while (peek() === '&' || peek() === '&&') {
+            index++;
+            left = { op: 'and', args: [left, parseUnary()] };
+        }
+        return left;
+    };
+    /** @type {?} */
+    const parseUnary = () => {
+        /** @type {?} */
+        const token = peek();
+        if (token === '!') {
+            index++;
+            return { op: 'not', args: [parseUnary()] };
+        }
+        if (temporalOperators.indexOf(token) >= 0) {
+            index++;
+            return { op: token, args: [parseUnary()] };
+        }
+        if ((token === 'E' || token === 'A') && tokens[index + 1] === '[') {
+            index += 2;
+            /** @type {?} */
+            const left = parseImplies();
+            expect('U');
+            /** @type {?} */
+            const right = parseImplies();
+            expect(']');
+            return { op: token + 'U', args: [left, right] };
+        }
+        return parsePrimary();
+    };
+    /** @type {?} */
+    const parsePrimary = () => {
+        /** @type {?} */
+        const token = tokens[index++];
+        if (token === '(') {
+            /** @type {?} */
+            const inner = parseImplies();
+            expect(')');
+            return inner;
+        }
+        if (token === 'true' || token === 'false') {
+            return { op: token };
+        }
+        if (token === '@') {
+            return { op: 'tag', name: nameOf(tokens[index++]) };
+        }
+        return { op: 'atom', name: nameOf(token) };
+    };
+    /** @type {?} */
+    const formula = parseImplies();
+    if (index < tokens.length) {
+        throw new Error('Unexpected ' + tokens[index] + ' in property');
+    }
+    return formula;
+}
+/**
+ * Rewrites a formula in terms of not, and, or, EX, EU and EG.
+ * @param {?} f
+ * @return {?}
+ */
+function normalize(f) {
+    /** @type {?} */
+    const not = (g) => ({ op: 'not', args: [g] });
+    /** @type {?} */
+    const args = (f.args || []).map(normalize);
+    /** @type {?} */
+    const a = args[0];
+    /** @type {?} */
+    const b = args[1];
+    switch (f.op) {
+        case 'implies':
+            return { op: 'or', args: [not(a), b] };
+        case 'EF':
+            return { op: 'EU', args: [{ op: 'true' }, a] };
+        case 'AX':
+            return not({ op: 'EX', args: [not(a)] });
+        case 'AF':
+            return not({ op: 'EG', args: [not(a)] });
+        case 'AG':
+            return not({ op: 'EU', args: [{ op: 'true' }, not(a)] });
+        case 'AU':
+            return not({
+                op: 'or', args: [
+                    { op: 'EU', args: [not(b), { op: 'and', args: [not(a), not(b)] }] },
+                    { op: 'EG', args: [not(b)] }
+                ]
+            });
+        default:
+            return { op: f.op, name: f.name, args: args };
+    }
+}
+/**
+ * @record
+ */
+function IWitness() { }
+if (false) {
+    /** @type {?} */
+    IWitness.prototype.nodes;
+    /** @type {?|undefined} */
+    IWitness.prototype.loopsTo;
+}
+/**
+ * The states of the graph refined by the transitions entering them,
+ * so that transition tags can be evaluated as atoms.
+ */
+class KripkeStructure {
+    /**
+     * @param {?} graph
+     * @param {?} initState
+     */
+    constructor(graph, initState) {
+        this.states = [];
+        this.via = [];
+        this.events = [];
+        this.successors = [];
+        this._graph = graph;
+        this._cache = [];
+        /** @type {?} */
+        const ids = {};
+        /** @type {?} */
+        const nodeOf = (state, transition, event) => {
+            /** @type {?} */
+            const key = state + '\n' + (transition || '');
+            if (ids[key] === undefined) {
+                ids[key] = this.states.length;
+                this.states.push(state);
+                this.via.push(transition);
+                this.events.push(event);
+                this.successors.push(null);
+            }
+            return ids[key];
+        };
+        /** @type {?} */
+        const queue = [nodeOf(initState, null, null)];
+        while (queue.length) {
+            /** @type {?} */
+            const n = queue.shift();
+            if (this.successors[n]) {
+                continue;
+            }
+            this.successors[n] = graph.edges[this.states[n]].map(e => {
+                /** @type {?} */
+                const m = nodeOf(e.to, e.transition, e.event);
+                queue.push(m);
+                return m;
+            });
+        }
+    }
+    /**
+     * Returns for each node whether the given normalized formula holds.
+     * @param {?} f
+     * @return {?}
+     */
+    sat(f) {
+        for (const elem of this._cache) {
+            if (elem.formula === f) {
+                return elem.sat;
+            }
+        }
+        /** @type {?} */
+        const result = this.compute(f);
+        this._cache.push({ formula: f, sat: result });
+        return result;
+    }
+    /**
+     * @private
+     * @param {?} f
+     * @return {?}
+     */
+    compute(f) {
+        /** @type {?} */
+        const all = this.states.map(() => true);
+        /** @type {?} */
+        const succ = this.successors;
+        switch (f.op) {
+            case 'true':
+                return all;
+            case 'false':
+                return all.map(() => false);
+            case 'atom':
+                return this.states.map(s => this._graph.paths[s].indexOf(f.name) >= 0);
+            case 'tag':
+                return this.via.map((t, n) => t === f.name || this.events[n] === f.name);
+            case 'not':
+                return this.sat(f.args[0]).map(v => !v);
+            case 'and': {
+                /** @type {?} */
+                const a = this.sat(f.args[0]);
+                /** @type {?} */
+                const b = this.sat(f.args[1]);
+                return a.map((v, n) => v && b[n]);
+            }
+            case 'or': {
+                /** @type {?} */
+                const a = this.sat(f.args[0]);
+                /** @type {?} */
+                const b = this.sat(f.args[1]);
+                return a.map((v, n) => v || b[n]);
+            }
+            case 'EX': {
+                /** @type {?} */
+                const a = this.sat(f.args[0]);
+                return succ.map(ms => ms.some(m => a[m]));
+            }
+            case 'EU': {
+                // The least fixpoint
+                /** @type {?} */
+                const a = this.sat(f.args[0]);
+                /** @type {?} */
+                const z = this.sat(f.args[1]).slice();
+                /** @type {?} */
+                let changed = true;
+                while (changed) {
+                    changed = false;
+                    succ.forEach((ms, n) => {
+                        if (!z[n] && a[n] && ms.some(m => z[m])) {
+                            z[n] = changed = true;
+                        }
+                    });
+                }
+                return z;
+            }
+            case 'EG': {
+                // The greatest fixpoint; a node without successors
+                // ends a complete path.
+                /** @type {?} */
+                const z = this.sat(f.args[0]).slice();
+                /** @type {?} */
+                let changed = true;
+                while (changed) {
+                    changed = false;
+                    succ.forEach((ms, n) => {
+                        if (z[n] && ms.length && !ms.some(m => z[m])) {
+                            z[n] = false;
+                            changed = true;
+                        }
+                    });
+                }
+                return z;
+            }
+        }
+        throw new Error('Unsupported operator: ' + f.op);
+    }
+    /**
+     * Builds a path from the given node, which shows why the given
+     * normalized formula holds (or does not hold) there.
+     * For a branching formula, one of the relevant paths is given.
+     * @param {?} f
+     * @param {?} n
+     * @param {?} expected
+     * @return {?}
+     */
+    explain(f, n, expected) {
+        /** @type {?} */
+        const succ = this.successors;
+        /** @type {?} */
+        const prepend = (path, rest) => ({
+            nodes: path.concat(rest.nodes.slice(1)),
+            loopsTo: rest.loopsTo === undefined ? undefined : rest.loopsTo + path.length - 1
+        });
+        // Walks from the node by the given choice of successors,
+        // until the choice gives up or a node is revisited.
+        /** @type {?} */
+        const walk = (choose, stop) => {
+            /** @type {?} */
+            const path = [];
+            /** @type {?} */
+            let cur = n;
+            for (;;) {
+                /** @type {?} */
+                const seen = path.indexOf(cur);
+                if (seen >= 0) {
+                    return { nodes: path, loopsTo: seen };
+                }
+                path.push(cur);
+                /** @type {?} */
+                const finished = stop(cur);
+                if (finished) {
+                    return prepend(path, finished);
+                }
+                /** @type {?} */
+                const next = choose(cur);
+                if (next === undefined) {
+                    return { nodes: path };
+                }
+                cur = next;
+            }
+        };
+        /** @type {?} */
+        const a = f.args && f.args[0];
+        /** @type {?} */
+        const b = f.args && f.args[1];
+        switch (f.op) {
+            case 'not':
+                return this.explain(a, n, !expected);
+            case 'and':
+            case 'or':
+                // Explain an operand which decides the result,
+                // preferring the right one, e.g., the consequence
+                // of an implication.
+                return this.explain(this.sat(b)[n] === expected ? b : a, n, expected);
+            case 'EX': {
+                /** @type {?} */
+                const target = this.sat(a);
+                /** @type {?} */
+                const m = expected ? succ[n].filter(k => target[k])[0] : succ[n][0];
+                return m === undefined ? { nodes: [n] } : prepend([n, m], this.explain(a, m, expected));
+            }
+            case 'EU': {
+                /** @type {?} */
+                const left = this.sat(a);
+                /** @type {?} */
+                const right = this.sat(b);
+                if (expected) {
+                    // The shortest path through the left to the right
+                    /** @type {?} */
+                    const previous = {};
+                    /** @type {?} */
+                    const queue = [n];
+                    previous[n] = -1;
+                    while (queue.length) {
+                        /** @type {?} */
+                        const k = queue.shift();
+                        if (right[k]) {
+                            /** @type {?} */
+                            const path = [];
+                            for (let p = k; p >= 0; p = previous[p]) {
+                                path.unshift(p);
+                            }
+                            return prepend(path, this.explain(b, k, true));
+                        }
+                        if (left[k]) {
+                            succ[k].forEach(m => {
+                                if (previous[m] === undefined) {
+                                    previous[m] = k;
+                                    queue.push(m);
+                                }
+                            });
+                        }
+                    }
+                }
+                // Every path fails, and so does any of them.
+                return walk(k => succ[k][0], k => left[k] ? null : this.explain(a, k, false));
+            }
+            case 'EG': {
+                /** @type {?} */
+                const holds = this.sat(f);
+                if (expected) {
+                    return walk(k => succ[k].filter(m => holds[m])[0], () => null);
+                }
+                /** @type {?} */
+                const inner = this.sat(a);
+                return walk(k => succ[k][0], k => inner[k] ? null : this.explain(a, k, false));
+            }
+        }
+        return { nodes: [n] };
+    }
+}
+if (false) {
+    /** @type {?} */
+    KripkeStructure.prototype.states;
+    /** @type {?} */
+    KripkeStructure.prototype.via;
+    /** @type {?} */
+    KripkeStructure.prototype.events;
+    /** @type {?} */
+    KripkeStructure.prototype.successors;
+    /**
+     * @type {?}
+     * @private
+     */
+    KripkeStructure.prototype._graph;
+    /**
+     * @type {?}
+     * @private
+     */
+    KripkeStructure.prototype._cache;
+}
+/**
+ * Checks whether a property holds in the init state of the given region
+ * of a definition. Note that guard conditions are not taken into account.
+ * @param {?} definition
+ * @param {?} property
+ * @param {?=} region
+ * @return {?}
+ */
+export function checkProperty(definition, property, region) {
+    /** @type {?} */
+    const formula = parseProperty(property);
+    /** @type {?} */
+    const graph = buildStateGraph(definition);
+    region = region || defaultRegion;
+    // Verify the state names in the property. A transition tag is not
+    // verified, as a property such as 'AG !@idle2error' is meant to
+    // hold when there is no such transition.
+    /** @type {?} */
+    const verify = (f) => {
+        if (f.op === 'atom' && !graph.paths[f.name]) {
+            throw new Error('Undefined state in property: ' + f.name);
+        }
+        (f.args || []).forEach(verify);
+    };
+    verify(formula);
+    /** @type {?} */
+    const initState = graph.initial.filter(s => graph.regions[s] === region)[0];
+    if (!initState) {
+        throw new Error('Undefined init state in region: ' + region);
+    }
+    /** @type {?} */
+    const kripke = new KripkeStructure(graph, initState);
+    /** @type {?} */
+    const normalized = normalize(formula);
+    if (kripke.sat(normalized)[0]) {
+        return { holds: true };
+    }
+    /** @type {?} */
+    const witness = kripke.explain(normalized, 0, false);
+    /** @type {?} */
+    const result = {
+        holds: false,
+        counterexample: witness.nodes.map(k => ({ state: kripke.states[k], transition: kripke.via[k] }))
+    };
+    if (witness.loopsTo !== undefined) {
+        result.loopsTo = witness.loopsTo;
+    }
+    return result;
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidGVtcG9yYWwtbG9naWMuanMiLCJzb3VyY2VSb290Ijoibmc6Ly9AcG9scHdhcmUvZmUtYmVoYXZpb3IvIiwic291cmNlcyI6WyJsaWIvc3RhdGUvdGVtcG9yYWwtbG9naWMudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7OztBQXFCQSxPQUFPLEVBQUUsZUFBZSxFQUFlLE1BQU0sa0JBQWtCLENBQUM7O01BRTFELGFBQWEsR0FBRyxTQUFTOztNQUN6QixpQkFBaUIsR0FBRyxDQUFDLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxDQUFDOzs7OztBQUs5RCw4QkFJQzs7O0lBSEcsc0JBQVc7O0lBQ1gsd0JBQWM7O0lBQ2Qsd0JBQXVCOzs7Ozs7O0FBTzNCLCtCQUdDOzs7SUFGRywwQkFBYzs7SUFDZCwrQkFBbUI7Ozs7Ozs7O0FBUXZCLHFDQUlDOzs7SUFIRyxnQ0FBZTs7SUFDZix5Q0FBa0M7O0lBQ2xDLGtDQUFpQjs7Ozs7OztBQU1yQixNQUFNLFVBQVUsYUFBYSxDQUFDLElBQVk7O1VBQ2hDLE1BQU0sR0FBa0IsRUFBRTs7VUFDMUIsT0FBTyxHQUFHLHlEQUF5RDs7UUFDckUsSUFBSSxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FBQztJQUNuQyxPQUFPLElBQUksQ0FBQyxNQUFNLEVBQUU7O2NBQ1YsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDO1FBQzVCLElBQUksQ0FBQyxDQUFDLEVBQUU7WUFDSixNQUFNLElBQUksS0FBSyxDQUFDLG9DQUFvQyxHQUFHLElBQUksQ0FBQyxDQUFDO1NBQ2hFO1FBQ0QsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNsQixJQUFJLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUM7S0FDdEM7O1FBRUcsS0FBSyxHQUFHLENBQUM7O1VBQ1AsSUFBSSxHQUFHLEdBQUcsRUFBRSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUM7O1VBQzFCLE1BQU0sR0FBRyxDQUFDLEtBQWEsRUFBRSxFQUFFO1FBQzdCLElBQUksTUFBTSxDQUFDLEtBQUssQ0FBQyxLQUFLLEtBQUssRUFBRTtZQUN6QixNQUFNLElBQUksS0FBSyxDQUFDLFdBQVcsR0FBRyxLQUFLLEdBQUcsd0JBQXdCLEdBQUcsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLElBQUksU0FBUyxDQUFDLENBQUMsQ0FBQztTQUNsRztRQUNELEtBQUssRUFBRSxDQUFDO0lBQ1osQ0FBQzs7VUFDSyxNQUFNLEdBQUcsQ0FBQyxLQUFhLEVBQUUsRUFBRTtRQUM3QixJQUFJLENBQUMsS0FBSyxJQUFJLENBQUMsaUJBQWlCLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFO1lBQzFDLE1BQU0sSUFBSSxLQUFLLENBQUMsdUNBQXVDLEdBQUcsQ0FBQyxLQUFLLElBQUksU0FBUyxDQUFDLENBQUMsQ0FBQztTQUNuRjtRQUNELE9BQU8sS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsQ0FBQyxFQUFFLEtBQUssQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQztJQUNsRixDQUFDOztVQUVLLFlBQVksR0FBRyxHQUFhLEVBQUU7O2NBQzFCLElBQUksR0FBRyxPQUFPLEVBQUU7UUFDdEIsSUFBSSxJQUFJLEVBQUUsS0FBSyxJQUFJLEVBQUU7WUFDakIsS0FBSyxFQUFFLENBQUM7WUFDUixPQUFPLEVBQUUsRUFBRSxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsQ0FBQyxJQUFJLEVBQUUsWUFBWSxFQUFFLENBQUMsRUFBRSxDQUFDO1NBQzFEO1FBQ0QsT0FBTyxJQUFJLENBQUM7SUFDaEIsQ0FBQzs7VUFDSyxPQUFPLEdBQUcsR0FBYSxFQUFFOztZQUN2QixJQUFJLEdBQUcsUUFBUSxFQUFFO1FBQ3JCLE9BQU8sSUFBSSxFQUFFLEtBQUssR0FBRyxJQUFJLElBQUksRUFBRSxLQUFLLElBQUksRUFBRTtZQUN0QyxLQUFLLEVBQUUsQ0FBQztZQUNSLElBQUksR0FBRyxFQUFFLEVBQUUsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLENBQUMsSUFBSSxFQUFFLFFBQVEsRUFBRSxDQUFDLEVBQUUsQ0FBQztTQUNqRDtRQUNELE9BQU8sSUFBSSxDQUFDO0lBQ2hCLENBQUM7O1VBQ0ssUUFBUSxHQUFHLEdBQWEsRUFBRTs7WUFDeEIsSUFBSSxHQUFHLFVBQVUsRUFBRTtRQUN2QixPQUFPLElBQUksRUFBRSxLQUFLLEdBQUcsSUFBSSxJQUFJLEVBQUUsS0FBSyxJQUFJLEVBQUU7WUFDdEMsS0FBSyxFQUFFLENBQUM7WUFDUixJQUFJLEdBQUcsRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxDQUFDLElBQUksRUFBRSxVQUFVLEVBQUUsQ0FBQyxFQUFFLENBQUM7U0FDcEQ7UUFDRCxPQUFPLElBQUksQ0FBQztJQUNoQixDQUFDOztVQUNLLFVBQVUsR0FBRyxHQUFhLEVBQUU7O2NBQ3hCLEtBQUssR0FBRyxJQUFJLEVBQUU7UUFDcEIsSUFBSSxLQUFLLEtBQUssR0FBRyxFQUFFO1lBQ2YsS0FBSyxFQUFFLENBQUM7WUFDUixPQUFPLEVBQUUsRUFBRSxFQUFFLEtBQUssRUFBRSxJQUFJLEVBQUUsQ0FBQyxVQUFVLEVBQUUsQ0FBQyxFQUFFLENBQUM7U0FDOUM7UUFDRCxJQUFJLGlCQUFpQixDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUU7WUFDdkMsS0FBSyxFQUFFLENBQUM7WUFDUixPQUFPLEVBQUUsRUFBRSxFQUFFLEtBQUssRUFBRSxJQUFJLEVBQUUsQ0FBQyxVQUFVLEVBQUUsQ0FBQyxFQUFFLENBQUM7U0FDOUM7UUFDRCxJQUFJLENBQUMsS0FBSyxLQUFLLEdBQUcsSUFBSSxLQUFLLEtBQUssR0FBRyxDQUFDLElBQUksTUFBTSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsS0FBSyxHQUFHLEVBQUU7WUFDL0QsS0FBSyxJQUFJLENBQUMsQ0FBQzs7a0JBQ0wsSUFBSSxHQUFHLFlBQVksRUFBRTtZQUMzQixNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7O2tCQUNOLEtBQUssR0FBRyxZQUFZLEVBQUU7WUFDNUIsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1lBQ1osT0FBTyxFQUFFLEVBQUUsRUFBRSxLQUFLLEdBQUcsR0FBRyxFQUFFLElBQUksRUFBRSxDQUFDLElBQUksRUFBRSxLQUFLLENBQUMsRUFBRSxDQUFDO1NBQ25EO1FBQ0QsT0FBTyxZQUFZLEVBQUUsQ0FBQztJQUMxQixDQUFDOztVQUNLLFlBQVksR0FBRyxHQUFhLEVBQUU7O2NBQzFCLEtBQUssR0FBRyxNQUFNLENBQUMsS0FBSyxFQUFFLENBQUM7UUFDN0IsSUFBSSxLQUFLLEtBQUssR0FBRyxFQUFFOztrQkFDVCxLQUFLLEdBQUcsWUFBWSxFQUFFO1lBQzVCLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQztZQUNaLE9BQU8sS0FBSyxDQUFDO1NBQ2hCO1FBQ0QsSUFBSSxLQUFLLEtBQUssTUFBTSxJQUFJLEtBQUssS0FBSyxPQUFPLEVBQUU7WUFDdkMsT0FBTyxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsQ0FBQztTQUN4QjtRQUNELElBQUksS0FBSyxLQUFLLEdBQUcsRUFBRTtZQUNmLE9BQU8sRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxNQUFNLENBQUMsTUFBTSxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUMsRUFBRSxDQUFDO1NBQ3ZEO1FBQ0QsT0FBTyxFQUFFLEVBQUUsRUFBRSxNQUFNLEVBQUUsSUFBSSxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDO0lBQy9DLENBQUM7O1VBRUssT0FBTyxHQUFHLFlBQVksRUFBRTtJQUM5QixJQUFJLEtBQUssR0FBRyxNQUFNLENBQUMsTUFBTSxFQUFFO1FBQ3ZCLE1BQU0sSUFBSSxLQUFLLENBQUMsYUFBYSxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxjQUFjLENBQUMsQ0FBQztLQUNuRTtJQUNELE9BQU8sT0FBTyxDQUFDO0FBQ25CLENBQUM7Ozs7OztBQUtELFNBQVMsU0FBUyxDQUFDLENBQVc7O1VBQ3BCLEdBQUcsR0FBRyxDQUFDLENBQVcsRUFBWSxFQUFFLENBQUMsQ0FBQyxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQzs7VUFDM0QsSUFBSSxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksSUFBSSxFQUFFLENBQUMsQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDOztVQUNwQyxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUMsQ0FBQzs7VUFDWCxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUMsQ0FBQztJQUNqQixRQUFRLENBQUMsQ0FBQyxFQUFFLEVBQUU7UUFDVixLQUFLLFNBQVM7WUFDVixPQUFPLEVBQUUsRUFBRSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUUsQ0FBQztRQUMzQyxLQUFLLElBQUk7WUFDTCxPQUFPLEVBQUUsRUFBRSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsQ0FBQyxFQUFFLEVBQUUsRUFBRSxNQUFNLEVBQUUsRUFBRSxDQUFDLENBQUMsRUFBRSxDQUFDO1FBQ25ELEtBQUssSUFBSTtZQUNMLE9BQU8sR0FBRyxDQUFDLEVBQUUsRUFBRSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDN0MsS0FBSyxJQUFJO1lBQ0wsT0FBTyxHQUFHLENBQUMsRUFBRSxFQUFFLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUM3QyxLQUFLLElBQUk7WUFDTCxPQUFPLEdBQUcsQ0FBQyxFQUFFLEVBQUUsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLENBQUMsRUFBRSxFQUFFLEVBQUUsTUFBTSxFQUFFLEVBQUUsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQzdELEtBQUssSUFBSTtZQUNMLE9BQU8sR0FBRyxDQUFDO2dCQUNQLEVBQUUsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFO29CQUNaLEVBQUUsRUFBRSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUU7b0JBQ25FLEVBQUUsRUFBRSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRTtpQkFDL0I7YUFDSixDQUFDLENBQUM7UUFDUDtZQUNJLE9BQU8sRUFBRSxFQUFFLEVBQUUsQ0FBQyxDQUFDLEVBQUUsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLENBQUM7S0FDckQ7QUFDTCxDQUFDOzs7O0FBRUQsdUJBR0M7OztJQUZHLHlCQUFxQjs7SUFDckIsMkJBQWlCOzs7Ozs7QUFPckIsTUFBTSxlQUFlOzs7OztJQVNqQixZQUFZLEtBQWtCLEVBQUUsU0FBaUI7UUFDN0MsSUFBSSxDQUFDLE1BQU0sR0FBRyxFQUFFLENBQUM7UUFDakIsSUFBSSxDQUFDLEdBQUcsR0FBRyxFQUFFLENBQUM7UUFDZCxJQUFJLENBQUMsTUFBTSxHQUFHLEVBQUUsQ0FBQztRQUNqQixJQUFJLENBQUMsVUFBVSxHQUFHLEVBQUUsQ0FBQztRQUNyQixJQUFJLENBQUMsTUFBTSxHQUFHLEtBQUssQ0FBQztRQUNwQixJQUFJLENBQUMsTUFBTSxHQUFHLEVBQUUsQ0FBQzs7Y0FFWCxHQUFHLEdBQThCLEVBQUU7O2NBQ25DLE1BQU0sR0FBRyxDQUFDLEtBQWEsRUFBRSxVQUFrQixFQUFFLEtBQWEsRUFBRSxFQUFFOztrQkFDMUQsR0FBRyxHQUFHLEtBQUssR0FBRyxJQUFJLEdBQUcsQ0FBQyxVQUFVLElBQUksRUFBRSxDQUFDO1lBQzdDLElBQUksR0FBRyxDQUFDLEdBQUcsQ0FBQyxLQUFLLFNBQVMsRUFBRTtnQkFDeEIsR0FBRyxDQUFDLEdBQUcsQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDO2dCQUM5QixJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDeEIsSUFBSSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUM7Z0JBQzFCLElBQUksQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUN4QixJQUFJLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQzthQUM5QjtZQUNELE9BQU8sR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ3BCLENBQUM7O2NBQ0ssS0FBSyxHQUFHLENBQUMsTUFBTSxDQUFDLFNBQVMsRUFBRSxJQUFJLEVBQUUsSUFBSSxDQUFDLENBQUM7UUFDN0MsT0FBTyxLQUFLLENBQUMsTUFBTSxFQUFFOztrQkFDWCxDQUFDLEdBQUcsS0FBSyxDQUFDLEtBQUssRUFBRTtZQUN2QixJQUFJLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLEVBQUU7Z0JBQ3BCLFNBQVM7YUFDWjtZQUNELElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLEdBQUcsS0FBSyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFOztzQkFDL0MsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxVQUFVLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQztnQkFDN0MsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDZCxPQUFPLENBQUMsQ0FBQztZQUNiLENBQUMsQ0FBQyxDQUFDO1NBQ047SUFDTCxDQUFDOzs7Ozs7SUFLRCxHQUFHLENBQUMsQ0FBVztRQUNYLEtBQUssTUFBTSxJQUFJLElBQUksSUFBSSxDQUFDLE1BQU0sRUFBRTtZQUM1QixJQUFJLElBQUksQ0FBQyxPQUFPLEtBQUssQ0FBQyxFQUFFO2dCQUNwQixPQUFPLElBQUksQ0FBQyxHQUFHLENBQUM7YUFDbkI7U0FDSjs7Y0FDSyxNQUFNLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7UUFDOUIsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxPQUFPLEVBQUUsQ0FBQyxFQUFFLEdBQUcsRUFBRSxNQUFNLEVBQUUsQ0FBQyxDQUFDO1FBQzlDLE9BQU8sTUFBTSxDQUFDO0lBQ2xCLENBQUM7Ozs7OztJQUVPLE9BQU8sQ0FBQyxDQUFXOztjQUNqQixHQUFHLEdBQUcsSUFBSSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLENBQUMsSUFBSSxDQUFDOztjQUNqQyxJQUFJLEdBQUcsSUFBSSxDQUFDLFVBQVU7UUFDNUIsUUFBUSxDQUFDLENBQUMsRUFBRSxFQUFFO1lBQ1YsS0FBSyxNQUFNO2dCQUNQLE9BQU8sR0FBRyxDQUFDO1lBQ2YsS0FBSyxPQUFPO2dCQUNSLE9BQU8sR0FBRyxDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxLQUFLLENBQUMsQ0FBQztZQUNoQyxLQUFLLE1BQU07Z0JBQ1AsT0FBTyxJQUFJLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7WUFDM0UsS0FBSyxLQUFLO2dCQUNOLE9BQU8sSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksSUFBSSxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUM3RSxLQUFLLEtBQUs7Z0JBQ04sT0FBTyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQzVDLEtBQUssS0FBSyxDQUFDLENBQUM7O3NCQUNGLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7O3NCQUN2QixDQUFDLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUM3QixPQUFPLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7YUFDckM7WUFDRCxLQUFLLElBQUksQ0FBQyxDQUFDOztzQkFDRCxDQUFDLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDOztzQkFDdkIsQ0FBQyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDN0IsT0FBTyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO2FBQ3JDO1lBQ0QsS0FBSyxJQUFJLENBQUMsQ0FBQzs7c0JBQ0QsQ0FBQyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDN0IsT0FBTyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7YUFDN0M7WUFDRCxLQUFLLElBQUksQ0FBQyxDQUFDOzs7c0JBRUQsQ0FBQyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQzs7c0JBQ3ZCLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLEVBQUU7O29CQUNqQyxPQUFPLEdBQUcsSUFBSTtnQkFDbEIsT0FBTyxPQUFPLEVBQUU7b0JBQ1osT0FBTyxHQUFHLEtBQUssQ0FBQztvQkFDaEIsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLEVBQUUsRUFBRTt3QkFDbkIsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFOzRCQUNyQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsT0FBTyxHQUFHLElBQUksQ0FBQzt5QkFDekI7b0JBQ0wsQ0FBQyxDQUFDLENBQUM7aUJBQ047Z0JBQ0QsT0FBTyxDQUFDLENBQUM7YUFDWjtZQUNELEtBQUssSUFBSSxDQUFDLENBQUM7Ozs7c0JBR0QsQ0FBQyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssRUFBRTs7b0JBQ2pDLE9BQU8sR0FBRyxJQUFJO2dCQUNsQixPQUFPLE9BQU8sRUFBRTtvQkFDWixPQUFPLEdBQUcsS0FBSyxDQUFDO29CQUNoQixJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsRUFBRSxFQUFFO3dCQUNuQixJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsTUFBTSxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFOzRCQUMxQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsS0FBSyxDQUFDOzRCQUNiLE9BQU8sR0FBRyxJQUFJLENBQUM7eUJBQ2xCO29CQUNMLENBQUMsQ0FBQyxDQUFDO2lCQUNOO2dCQUNELE9BQU8sQ0FBQyxDQUFDO2FBQ1o7U0FDSjtRQUNELE1BQU0sSUFBSSxLQUFLLENBQUMsd0JBQXdCLEdBQUcsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDO0lBQ3JELENBQUM7Ozs7Ozs7Ozs7SUFPRCxPQUFPLENBQUMsQ0FBVyxFQUFFLENBQVMsRUFBRSxRQUFpQjs7Y0FDdkMsSUFBSSxHQUFHLElBQUksQ0FBQyxVQUFVOztjQUN0QixPQUFPLEdBQUcsQ0FBQyxJQUFtQixFQUFFLElBQWMsRUFBWSxFQUFFLENBQUMsQ0FBQztZQUNoRSxLQUFLLEVBQUUsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN2QyxPQUFPLEVBQUUsSUFBSSxDQUFDLE9BQU8sS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLE9BQU8sR0FBRyxJQUFJLENBQUMsTUFBTSxHQUFHLENBQUM7U0FDbkYsQ0FBQzs7OztjQUdJLElBQUksR0FBRyxDQUFDLE1BQTZCLEVBQUUsSUFBNkIsRUFBWSxFQUFFOztrQkFDOUUsSUFBSSxHQUFrQixFQUFFOztnQkFDMUIsR0FBRyxHQUFHLENBQUM7WUFDWCxTQUFXOztzQkFDRCxJQUFJLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUM7Z0JBQzlCLElBQUksSUFBSSxJQUFJLENBQUMsRUFBRTtvQkFDWCxPQUFPLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUUsSUFBSSxFQUFFLENBQUM7aUJBQ3pDO2dCQUNELElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7O3NCQUNULFFBQVEsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDO2dCQUMxQixJQUFJLFFBQVEsRUFBRTtvQkFDVixPQUFPLE9BQU8sQ0FBQyxJQUFJLEVBQUUsUUFBUSxDQUFDLENBQUM7aUJBQ2xDOztzQkFDSyxJQUFJLEdBQUcsTUFBTSxDQUFDLEdBQUcsQ0FBQztnQkFDeEIsSUFBSSxJQUFJLEtBQUssU0FBUyxFQUFFO29CQUNwQixPQUFPLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxDQUFDO2lCQUMxQjtnQkFDRCxHQUFHLEdBQUcsSUFBSSxDQUFDO2FBQ2Q7UUFDTCxDQUFDOztjQUVLLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDOztjQUN2QixDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUM3QixRQUFRLENBQUMsQ0FBQyxFQUFFLEVBQUU7WUFDVixLQUFLLEtBQUs7Z0JBQ04sT0FBTyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsQ0FBQztZQUN6QyxLQUFLLEtBQUssQ0FBQztZQUNYLEtBQUssSUFBSTtnQkFDTCwrQ0FBK0M7Z0JBQy9DLGtEQUFrRDtnQkFDbEQscUJBQXFCO2dCQUNyQixPQUFPLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxRQUFRLENBQUMsQ0FBQztZQUMxRSxLQUFLLElBQUksQ0FBQyxDQUFDOztzQkFDRCxNQUFNLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7O3NCQUNwQixDQUFDLEdBQUcsUUFBUSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7Z0JBQ25FLE9BQU8sQ0FBQyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLENBQUM7YUFDM0Y7WUFDRCxLQUFLLElBQUksQ0FBQyxDQUFDOztzQkFDRCxJQUFJLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7O3NCQUNsQixLQUFLLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7Z0JBQ3pCLElBQUksUUFBUSxFQUFFOzs7MEJBRUosUUFBUSxHQUE4QixFQUFFOzswQkFDeEMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDO29CQUNqQixRQUFRLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7b0JBQ2pCLE9BQU8sS0FBSyxDQUFDLE1BQU0sRUFBRTs7OEJBQ1gsQ0FBQyxHQUFHLEtBQUssQ0FBQyxLQUFLLEVBQUU7d0JBQ3ZCLElBQUksS0FBSyxDQUFDLENBQUMsQ0FBQyxFQUFFOztrQ0FDSixJQUFJLEdBQWtCLEVBQUU7NEJBQzlCLEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxDQUFDLENBQUMsRUFBRTtnQ0FDckMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQzs2QkFDbkI7NEJBQ0QsT0FBTyxPQUFPLENBQUMsSUFBSSxFQUFFLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDO3lCQUNsRDt3QkFDRCxJQUFJLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRTs0QkFDVCxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFO2dDQUNoQixJQUFJLFFBQVEsQ0FBQyxDQUFDLENBQUMsS0FBSyxTQUFTLEVBQUU7b0NBQzNCLFFBQVEsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUM7b0NBQ2hCLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7aUNBQ2pCOzRCQUNMLENBQUMsQ0FBQyxDQUFDO3lCQUNOO3FCQUNKO2lCQUNKO2dCQUNELDZDQUE2QztnQkFDN0MsT0FBTyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUM7YUFDakY7WUFDRCxLQUFLLElBQUksQ0FBQyxDQUFDOztzQkFDRCxLQUFLLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7Z0JBQ3pCLElBQUksUUFBUSxFQUFFO29CQUNWLE9BQU8sSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLEdBQUcsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDO2lCQUNsRTs7c0JBQ0ssS0FBSyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO2dCQUN6QixPQUFPLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQzthQUNsRjtTQUNKO1FBQ0QsT0FBTyxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7SUFDMUIsQ0FBQztDQUNKOzs7SUFqTkcsaUNBQXNCOztJQUN0Qiw4QkFBbUI7O0lBQ25CLGlDQUFzQjs7SUFDdEIscUNBQWlDOzs7OztJQUNqQyxpQ0FBNEI7Ozs7O0lBQzVCLGlDQUFrRTs7Ozs7Ozs7OztBQWtOdEUsTUFBTSxVQUFVLGFBQWEsQ0FBQyxVQUE4QixFQUFFLFFBQWdCLEVBQUUsTUFBZTs7VUFDckYsT0FBTyxHQUFHLGFBQWEsQ0FBQyxRQUFRLENBQUM7O1VBQ2pDLEtBQUssR0FBRyxlQUFlLENBQUMsVUFBVSxDQUFDO0lBQ3pDLE1BQU0sR0FBRyxNQUFNLElBQUksYUFBYSxDQUFDOzs7OztVQUszQixNQUFNLEdBQUcsQ0FBQyxDQUFXLEVBQUUsRUFBRTtRQUMzQixJQUFJLENBQUMsQ0FBQyxFQUFFLEtBQUssTUFBTSxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUU7WUFDekMsTUFBTSxJQUFJLEtBQUssQ0FBQywrQkFBK0IsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUM7U0FDN0Q7UUFDRCxDQUFDLENBQUMsQ0FBQyxJQUFJLElBQUksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQ25DLENBQUM7SUFDRCxNQUFNLENBQUMsT0FBTyxDQUFDLENBQUM7O1VBRVYsU0FBUyxHQUFHLEtBQUssQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsS0FBSyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDM0UsSUFBSSxDQUFDLFNBQVMsRUFBRTtRQUNaLE1BQU0sSUFBSSxLQUFLLENBQUMsa0NBQWtDLEdBQUcsTUFBTSxDQUFDLENBQUM7S0FDaEU7O1VBQ0ssTUFBTSxHQUFHLElBQUksZUFBZSxDQUFDLEtBQUssRUFBRSxTQUFTLENBQUM7O1VBQzlDLFVBQVUsR0FBRyxTQUFTLENBQUMsT0FBTyxDQUFDO0lBQ3JDLElBQUksTUFBTSxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRTtRQUMzQixPQUFPLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxDQUFDO0tBQzFCOztVQUNLLE9BQU8sR0FBRyxNQUFNLENBQUMsT0FBTyxDQUFDLFVBQVUsRUFBRSxDQUFDLEVBQUUsS0FBSyxDQUFDOztVQUM5QyxNQUFNLEdBQW9CO1FBQzVCLEtBQUssRUFBRSxLQUFLO1FBQ1osY0FBYyxFQUFFLE9BQU8sQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLFVBQVUsRUFBRSxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQztLQUNuRztJQUNELElBQUksT0FBTyxDQUFDLE9BQU8sS0FBSyxTQUFTLEVBQUU7UUFDL0IsTUFBTSxDQUFDLE9BQU8sR0FBRyxPQUFPLENBQUMsT0FBTyxDQUFDO0tBQ3BDO0lBQ0QsT0FBTyxNQUFNLENBQUM7QUFDbEIsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGZpbGVPdmVydmlld1xuICogUHJvdmlkZXMgdGhlIGNoZWNraW5nIG9mIHRlbXBvcmFsIHByb3BlcnRpZXMsIHdyaXR0ZW4gaW4gYSBDVEwtc3R5bGVcbiAqIGxhbmd1YWdlLCBhZ2FpbnN0IHRoZSBncmFwaCBvZiBhdG9taWMgc3RhdGVzIG9mIGEgZmluaXRlIHN0YXRlIG1hY2hpbmUuXG4gKlxuICogVGhlIGxhbmd1YWdlIGNvbnNpc3RzIG9mXG4gKiAtIGF0b21zOiBhIHN0YXRlIG5hbWUgKGluIHF1b3RlcyBpZiBpdCBpcyBub3QgYW4gaWRlbnRpZmllciksIHdoaWNoIGhvbGRzXG4gKiBpbiB0aGUgc3RhdGUgYW5kIGluIGFsbCBvZiBpdHMgZGVzY2VuZGFudHMsIGFuZCBhIHRyYW5zaXRpb24gdGFnICdAbmFtZScsXG4gKiB3aGljaCBob2xkcyByaWdodCBhZnRlciB0aGUgdHJhbnNpdGlvbiBvZiB0aGUgZ2l2ZW4gbmFtZSBvciBldmVudCxcbiAqIGFuZCBuZXZlciBpZiB0aGVyZSBpcyBubyBzdWNoIHRyYW5zaXRpb247XG4gKiAtIGNvbnN0YW50czogdHJ1ZSwgZmFsc2U7XG4gKiAtIGJvb2xlYW4gb3BlcmF0b3JzOiAhIChub3QpLCAmIChhbmQpLCB8IChvciksIC0+IChpbXBsaWVzKTtcbiAqIC0gdGVtcG9yYWwgb3BlcmF0b3JzOiBFWCwgQVgsIEVGLCBBRiwgRUcsIEFHLCBFW2YgVSBnXSwgQVtmIFUgZ10uXG4gKlxuICogRm9yIGluc3RhbmNlLCAnQUcgKGVkaXRpbmcgLT4gRUYgc2F2ZWQpJywgJ0FHICFAaWRsZTJlcnJvcicsIGFuZFxuICogJyFFWyF2YWxpZGF0ZWQgVSBzdWJtaXR0ZWRdJy4gQSBwYXRoIGVuZGluZyBpbiBhIHN0YXRlIHdpdGhvdXQgYW55XG4gKiBvdXRnb2luZyB0cmFuc2l0aW9uIGlzIGNvbnNpZGVyZWQgYXMgYSBjb21wbGV0ZSBwYXRoLlxuICogQGF1dGhvciBYaWFvbG9uZyBUYW5nIDx4eGxvbmd0YW5nQGdtYWlsLmNvbT5cbiAqIEBsaWNlbnNlIENvcHlyaWdodCBAbWVcbiAqL1xuaW1wb3J0IHsgSU1hY2hpbmVEZWZpbml0aW9uIH0gZnJvbSAnLi9tYWNoaW5lLWRlZmluaXRpb24nO1xuaW1wb3J0IHsgYnVpbGRTdGF0ZUdyYXBoLCBJU3RhdGVHcmFwaCB9IGZyb20gJy4vbW9kZWwtY2hlY2tpbmcnO1xuXG5jb25zdCBkZWZhdWx0UmVnaW9uID0gJ2RlZmF1bHQnO1xuY29uc3QgdGVtcG9yYWxPcGVyYXRvcnMgPSBbJ0VYJywgJ0FYJywgJ0VGJywgJ0FGJywgJ0VHJywgJ0FHJ107XG5cbi8qKlxuICogUmVwcmVzZW50cyBhIHBhcnNlZCBwcm9wZXJ0eS5cbiAqL1xuZXhwb3J0IGludGVyZmFjZSBJRm9ybXVsYSB7XG4gICAgb3A6IHN0cmluZztcbiAgICBuYW1lPzogc3RyaW5nO1xuICAgIGFyZ3M/OiBBcnJheTxJRm9ybXVsYT47XG59XG5cbi8qKlxuICogRGVzY3JpYmVzIGEgc3RlcCBpbiBhIHBhdGgsIGkuZS4sIHRoZSBzdGF0ZSBhbmRcbiAqIHRoZSB0cmFuc2l0aW9uIGJ5IHdoaWNoIHRoZSBzdGF0ZSBpcyBlbnRlcmVkLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIElQYXRoU3RlcCB7XG4gICAgc3RhdGU6IHN0cmluZztcbiAgICB0cmFuc2l0aW9uOiBzdHJpbmc7XG59XG5cbi8qKlxuICogRGVzY3JpYmVzIHRoZSByZXN1bHQgb2YgY2hlY2tpbmcgYSBwcm9wZXJ0eS4gSWYgdGhlIHByb3BlcnR5IGRvZXMgbm90XG4gKiBob2xkLCBhIGNvdW50ZXJleGFtcGxlIHBhdGggZnJvbSB0aGUgaW5pdCBzdGF0ZSBpcyBnaXZlbjsgaWYgdGhlIHBhdGhcbiAqIGVuZHMgaW4gYSBjeWNsZSwgbG9vcHNUbyBpcyB0aGUgaW5kZXggb2YgdGhlIHN0ZXAgdGhlIHBhdGggcmV0dXJucyB0by5cbiAqL1xuZXhwb3J0IGludGVyZmFjZSBJUHJvcGVydHlSZXN1bHQge1xuICAgIGhvbGRzOiBib29sZWFuO1xuICAgIGNvdW50ZXJleGFtcGxlPzogQXJyYXk8SVBhdGhTdGVwPjtcbiAgICBsb29wc1RvPzogbnVtYmVyO1xufVxuXG4vKipcbiAqIFBhcnNlcyBhIHByb3BlcnR5IGludG8gYSBmb3JtdWxhLlxuICovXG5leHBvcnQgZnVuY3Rpb24gcGFyc2VQcm9wZXJ0eSh0ZXh0OiBzdHJpbmcpOiBJRm9ybXVsYSB7XG4gICAgY29uc3QgdG9rZW5zOiBBcnJheTxzdHJpbmc+ID0gW107XG4gICAgY29uc3QgcGF0dGVybiA9IC9eXFxzKigtPnwmJj98XFx8XFx8P3xbISgpXFxbXFxdQF18XCJbXlwiXSpcInxbQS1aYS16XyRdW1xcdyQuXSopLztcbiAgICBsZXQgcmVzdCA9IHRleHQucmVwbGFjZSgvXFxzKyQvLCAnJyk7XG4gICAgd2hpbGUgKHJlc3QubGVuZ3RoKSB7XG4gICAgICAgIGNvbnN0IG0gPSBwYXR0ZXJuLmV4ZWMocmVzdCk7XG4gICAgICAgIGlmICghbSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdVbmV4cGVjdGVkIGNoYXJhY3RlciBpbiBwcm9wZXJ0eTogJyArIHJlc3QpO1xuICAgICAgICB9XG4gICAgICAgIHRva2Vucy5wdXNoKG1bMV0pO1xuICAgICAgICByZXN0ID0gcmVzdC5zdWJzdHJpbmcobVswXS5sZW5ndGgpO1xuICAgIH1cblxuICAgIGxldCBpbmRleCA9IDA7XG4gICAgY29uc3QgcGVlayA9ICgpID0+IHRva2Vuc1tpbmRleF07XG4gICAgY29uc3QgZXhwZWN0ID0gKHRva2VuOiBzdHJpbmcpID0+IHtcbiAgICAgICAgaWYgKHRva2Vuc1tpbmRleF0gIT09IHRva2VuKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ0V4cGVjdGVkICcgKyB0b2tlbiArICcgaW4gcHJvcGVydHksIGJ1dCBnb3QgJyArICh0b2tlbnNbaW5kZXhdIHx8ICd0aGUgZW5kJykpO1xuICAgICAgICB9XG4gICAgICAgIGluZGV4Kys7XG4gICAgfTtcbiAgICBjb25zdCBuYW1lT2YgPSAodG9rZW46IHN0cmluZykgPT4ge1xuICAgICAgICBpZiAoIXRva2VuIHx8ICEvXihcInxbQS1aYS16XyRdKS8udGVzdCh0b2tlbikpIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignRXhwZWN0ZWQgYSBuYW1lIGluIHByb3BlcnR5LCBidXQgZ290ICcgKyAodG9rZW4gfHwgJ3RoZSBlbmQnKSk7XG4gICAgICAgIH1cbiAgICAgICAgcmV0dXJuIHRva2VuLmNoYXJBdCgwKSA9PT0gJ1wiJyA/IHRva2VuLnN1YnN0cmluZygxLCB0b2tlbi5sZW5ndGggLSAxKSA6IHRva2VuO1xuICAgIH07XG5cbiAgICBjb25zdCBwYXJzZUltcGxpZXMgPSAoKTogSUZvcm11bGEgPT4ge1xuICAgICAgICBjb25zdCBsZWZ0ID0gcGFyc2VPcigpO1xuICAgICAgICBpZiAocGVlaygpID09PSAnLT4nKSB7XG4gICAgICAgICAgICBpbmRleCsrO1xuICAgICAgICAgICAgcmV0dXJuIHsgb3A6ICdpbXBsaWVzJywgYXJnczogW2xlZnQsIHBhcnNlSW1wbGllcygpXSB9O1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiBsZWZ0O1xuICAgIH07XG4gICAgY29uc3QgcGFyc2VPciA9ICgpOiBJRm9ybXVsYSA9PiB7XG4gICAgICAgIGxldCBsZWZ0ID0gcGFyc2VBbmQoKTtcbiAgICAgICAgd2hpbGUgKHBlZWsoKSA9PT0gJ3wnIHx8IHBlZWsoKSA9PT0gJ3x8Jykge1xuICAgICAgICAgICAgaW5kZXgrKztcbiAgICAgICAgICAgIGxlZnQgPSB7IG9wOiAnb3InLCBhcmdzOiBbbGVmdCwgcGFyc2VBbmQoKV0gfTtcbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gbGVmdDtcbiAgICB9O1xuICAgIGNvbnN0IHBhcnNlQW5kID0gKCk6IElGb3JtdWxhID0+IHtcbiAgICAgICAgbGV0IGxlZnQgPSBwYXJzZVVuYXJ5KCk7XG4gICAgICAgIHdoaWxlIChwZWVrKCkgPT09ICcmJyB8fCBwZWVrKCkgPT09ICcmJicpIHtcbiAgICAgICAgICAgIGluZGV4Kys7XG4gICAgICAgICAgICBsZWZ0ID0geyBvcDogJ2FuZCcsIGFyZ3M6IFtsZWZ0LCBwYXJzZVVuYXJ5KCldIH07XG4gICAgICAgIH1cbiAgICAgICAgcmV0dXJuIGxlZnQ7XG4gICAgfTtcbiAgICBjb25zdCBwYXJzZVVuYXJ5ID0gKCk6IElGb3JtdWxhID0+IHtcbiAgICAgICAgY29uc3QgdG9rZW4gPSBwZWVrKCk7XG4gICAgICAgIGlmICh0b2tlbiA9PT0gJyEnKSB7XG4gICAgICAgICAgICBpbmRleCsrO1xuICAgICAgICAgICAgcmV0dXJuIHsgb3A6ICdub3QnLCBhcmdzOiBbcGFyc2VVbmFyeSgpXSB9O1xuICAgICAgICB9XG4gICAgICAgIGlmICh0ZW1wb3JhbE9wZXJhdG9ycy5pbmRleE9mKHRva2VuKSA+PSAwKSB7XG4gICAgICAgICAgICBpbmRleCsrO1xuICAgICAgICAgICAgcmV0dXJuIHsgb3A6IHRva2VuLCBhcmdzOiBbcGFyc2VVbmFyeSgpXSB9O1xuICAgICAgICB9XG4gICAgICAgIGlmICgodG9rZW4gPT09ICdFJyB8fCB0b2tlbiA9PT0gJ0EnKSAmJiB0b2tlbnNbaW5kZXggKyAxXSA9PT0gJ1snKSB7XG4gICAgICAgICAgICBpbmRleCArPSAyO1xuICAgICAgICAgICAgY29uc3QgbGVmdCA9IHBhcnNlSW1wbGllcygpO1xuICAgICAgICAgICAgZXhwZWN0KCdVJyk7XG4gICAgICAgICAgICBjb25zdCByaWdodCA9IHBhcnNlSW1wbGllcygpO1xuICAgICAgICAgICAgZXhwZWN0KCddJyk7XG4gICAgICAgICAgICByZXR1cm4geyBvcDogdG9rZW4gKyAnVScsIGFyZ3M6IFtsZWZ0LCByaWdodF0gfTtcbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gcGFyc2VQcmltYXJ5KCk7XG4gICAgfTtcbiAgICBjb25zdCBwYXJzZVByaW1hcnkgPSAoKTogSUZvcm11bGEgPT4ge1xuICAgICAgICBjb25zdCB0b2tlbiA9IHRva2Vuc1tpbmRleCsrXTtcbiAgICAgICAgaWYgKHRva2VuID09PSAnKCcpIHtcbiAgICAgICAgICAgIGNvbnN0IGlubmVyID0gcGFyc2VJbXBsaWVzKCk7XG4gICAgICAgICAgICBleHBlY3QoJyknKTtcbiAgICAgICAgICAgIHJldHVybiBpbm5lcjtcbiAgICAgICAgfVxuICAgICAgICBpZiAodG9rZW4gPT09ICd0cnVlJyB8fCB0b2tlbiA9PT0gJ2ZhbHNlJykge1xuICAgICAgICAgICAgcmV0dXJuIHsgb3A6IHRva2VuIH07XG4gICAgICAgIH1cbiAgICAgICAgaWYgKHRva2VuID09PSAnQCcpIHtcbiAgICAgICAgICAgIHJldHVybiB7IG9wOiAndGFnJywgbmFtZTogbmFtZU9mKHRva2Vuc1tpbmRleCsrXSkgfTtcbiAgICAgICAgfVxuICAgICAgICByZXR1cm4geyBvcDogJ2F0b20nLCBuYW1lOiBuYW1lT2YodG9rZW4pIH07XG4gICAgfTtcblxuICAgIGNvbnN0IGZvcm11bGEgPSBwYXJzZUltcGxpZXMoKTtcbiAgICBpZiAoaW5kZXggPCB0b2tlbnMubGVuZ3RoKSB7XG4gICAgICAgIHRocm93IG5ldyBFcnJvcignVW5leHBlY3RlZCAnICsgdG9rZW5zW2luZGV4XSArICcgaW4gcHJvcGVydHknKTtcbiAgICB9XG4gICAgcmV0dXJuIGZvcm11bGE7XG59XG5cbi8qKlxuICogUmV3cml0ZXMgYSBmb3JtdWxhIGluIHRlcm1zIG9mIG5vdCwgYW5kLCBvciwgRVgsIEVVIGFuZCBFRy5cbiAqL1xuZnVuY3Rpb24gbm9ybWFsaXplKGY6IElGb3JtdWxhKTogSUZvcm11bGEge1xuICAgIGNvbnN0IG5vdCA9IChnOiBJRm9ybXVsYSk6IElGb3JtdWxhID0+ICh7IG9wOiAnbm90JywgYXJnczogW2ddIH0pO1xuICAgIGNvbnN0IGFyZ3MgPSAoZi5hcmdzIHx8IFtdKS5tYXAobm9ybWFsaXplKTtcbiAgICBjb25zdCBhID0gYXJnc1swXTtcbiAgICBjb25zdCBiID0gYXJnc1sxXTtcbiAgICBzd2l0Y2ggKGYub3ApIHtcbiAgICAgICAgY2FzZSAnaW1wbGllcyc6XG4gICAgICAgICAgICByZXR1cm4geyBvcDogJ29yJywgYXJnczogW25vdChhKSwgYl0gfTtcbiAgICAgICAgY2FzZSAnRUYnOlxuICAgICAgICAgICAgcmV0dXJuIHsgb3A6ICdFVScsIGFyZ3M6IFt7IG9wOiAndHJ1ZScgfSwgYV0gfTtcbiAgICAgICAgY2FzZSAnQVgnOlxuICAgICAgICAgICAgcmV0dXJuIG5vdCh7IG9wOiAnRVgnLCBhcmdzOiBbbm90KGEpXSB9KTtcbiAgICAgICAgY2FzZSAnQUYnOlxuICAgICAgICAgICAgcmV0dXJuIG5vdCh7IG9wOiAnRUcnLCBhcmdzOiBbbm90KGEpXSB9KTtcbiAgICAgICAgY2FzZSAnQUcnOlxuICAgICAgICAgICAgcmV0dXJuIG5vdCh7IG9wOiAnRVUnLCBhcmdzOiBbeyBvcDogJ3RydWUnIH0sIG5vdChhKV0gfSk7XG4gICAgICAgIGNhc2UgJ0FVJzpcbiAgICAgICAgICAgIHJldHVybiBub3Qoe1xuICAgICAgICAgICAgICAgIG9wOiAnb3InLCBhcmdzOiBbXG4gICAgICAgICAgICAgICAgICAgIHsgb3A6ICdFVScsIGFyZ3M6IFtub3QoYiksIHsgb3A6ICdhbmQnLCBhcmdzOiBbbm90KGEpLCBub3QoYildIH1dIH0sXG4gICAgICAgICAgICAgICAgICAgIHsgb3A6ICdFRycsIGFyZ3M6IFtub3QoYildIH1cbiAgICAgICAgICAgICAgICBdXG4gICAgICAgICAgICB9KTtcbiAgICAgICAgZGVmYXVsdDpcbiAgICAgICAgICAgIHJldHVybiB7IG9wOiBmLm9wLCBuYW1lOiBmLm5hbWUsIGFyZ3M6IGFyZ3MgfTtcbiAgICB9XG59XG5cbmludGVyZmFjZSBJV2l0bmVzcyB7XG4gICAgbm9kZXM6IEFycmF5PG51bWJlcj47XG4gICAgbG9vcHNUbz86IG51bWJlcjtcbn1cblxuLyoqXG4gKiBUaGUgc3RhdGVzIG9mIHRoZSBncmFwaCByZWZpbmVkIGJ5IHRoZSB0cmFuc2l0aW9ucyBlbnRlcmluZyB0aGVtLFxuICogc28gdGhhdCB0cmFuc2l0aW9uIHRhZ3MgY2FuIGJlIGV2YWx1YXRlZCBhcyBhdG9tcy5cbiAqL1xuY2xhc3MgS3JpcGtlU3RydWN0dXJlIHtcblxuICAgIHN0YXRlczogQXJyYXk8c3RyaW5nPjtcbiAgICB2aWE6IEFycmF5PHN0cmluZz47XG4gICAgZXZlbnRzOiBBcnJheTxzdHJpbmc+O1xuICAgIHN1Y2Nlc3NvcnM6IEFycmF5PEFycmF5PG51bWJlcj4+O1xuICAgIHByaXZhdGUgX2dyYXBoOiBJU3RhdGVHcmFwaDtcbiAgICBwcml2YXRlIF9jYWNoZTogQXJyYXk8eyBmb3JtdWxhOiBJRm9ybXVsYSwgc2F0OiBBcnJheTxib29sZWFuPiB9PjtcblxuICAgIGNvbnN0cnVjdG9yKGdyYXBoOiBJU3RhdGVHcmFwaCwgaW5pdFN0YXRlOiBzdHJpbmcpIHtcbiAgICAgICAgdGhpcy5zdGF0ZXMgPSBbXTtcbiAgICAgICAgdGhpcy52aWEgPSBbXTtcbiAgICAgICAgdGhpcy5ldmVudHMgPSBbXTtcbiAgICAgICAgdGhpcy5zdWNjZXNzb3JzID0gW107XG4gICAgICAgIHRoaXMuX2dyYXBoID0gZ3JhcGg7XG4gICAgICAgIHRoaXMuX2NhY2hlID0gW107XG5cbiAgICAgICAgY29uc3QgaWRzOiB7IFtrZXk6IHN0cmluZ106IG51bWJlciB9ID0ge307XG4gICAgICAgIGNvbnN0IG5vZGVPZiA9IChzdGF0ZTogc3RyaW5nLCB0cmFuc2l0aW9uOiBzdHJpbmcsIGV2ZW50OiBzdHJpbmcpID0+IHtcbiAgICAgICAgICAgIGNvbnN0IGtleSA9IHN0YXRlICsgJ1xcbicgKyAodHJhbnNpdGlvbiB8fCAnJyk7XG4gICAgICAgICAgICBpZiAoaWRzW2tleV0gPT09IHVuZGVmaW5lZCkge1xuICAgICAgICAgICAgICAgIGlkc1trZXldID0gdGhpcy5zdGF0ZXMubGVuZ3RoO1xuICAgICAgICAgICAgICAgIHRoaXMuc3RhdGVzLnB1c2goc3RhdGUpO1xuICAgICAgICAgICAgICAgIHRoaXMudmlhLnB1c2godHJhbnNpdGlvbik7XG4gICAgICAgICAgICAgICAgdGhpcy5ldmVudHMucHVzaChldmVudCk7XG4gICAgICAgICAgICAgICAgdGhpcy5zdWNjZXNzb3JzLnB1c2gobnVsbCk7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICByZXR1cm4gaWRzW2tleV07XG4gICAgICAgIH07XG4gICAgICAgIGNvbnN0IHF1ZXVlID0gW25vZGVPZihpbml0U3RhdGUsIG51bGwsIG51bGwpXTtcbiAgICAgICAgd2hpbGUgKHF1ZXVlLmxlbmd0aCkge1xuICAgICAgICAgICAgY29uc3QgbiA9IHF1ZXVlLnNoaWZ0KCk7XG4gICAgICAgICAgICBpZiAodGhpcy5zdWNjZXNzb3JzW25dKSB7XG4gICAgICAgICAgICAgICAgY29udGludWU7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICB0aGlzLnN1Y2Nlc3NvcnNbbl0gPSBncmFwaC5lZGdlc1t0aGlzLnN0YXRlc1tuXV0ubWFwKGUgPT4ge1xuICAgICAgICAgICAgICAgIGNvbnN0IG0gPSBub2RlT2YoZS50bywgZS50cmFuc2l0aW9uLCBlLmV2ZW50KTtcbiAgICAgICAgICAgICAgICBxdWV1ZS5wdXNoKG0pO1xuICAgICAgICAgICAgICAgIHJldHVybiBtO1xuICAgICAgICAgICAgfSk7XG4gICAgICAgIH1cbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZXR1cm5zIGZvciBlYWNoIG5vZGUgd2hldGhlciB0aGUgZ2l2ZW4gbm9ybWFsaXplZCBmb3JtdWxhIGhvbGRzLlxuICAgICAqL1xuICAgIHNhdChmOiBJRm9ybXVsYSk6IEFycmF5PGJvb2xlYW4+IHtcbiAgICAgICAgZm9yIChjb25zdCBlbGVtIG9mIHRoaXMuX2NhY2hlKSB7XG4gICAgICAgICAgICBpZiAoZWxlbS5mb3JtdWxhID09PSBmKSB7XG4gICAgICAgICAgICAgICAgcmV0dXJuIGVsZW0uc2F0O1xuICAgICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICAgIGNvbnN0IHJlc3VsdCA9IHRoaXMuY29tcHV0ZShmKTtcbiAgICAgICAgdGhpcy5fY2FjaGUucHVzaCh7IGZvcm11bGE6IGYsIHNhdDogcmVzdWx0IH0pO1xuICAgICAgICByZXR1cm4gcmVzdWx0O1xuICAgIH1cblxuICAgIHByaXZhdGUgY29tcHV0ZShmOiBJRm9ybXVsYSk6IEFycmF5PGJvb2xlYW4+IHtcbiAgICAgICAgY29uc3QgYWxsID0gdGhpcy5zdGF0ZXMubWFwKCgpID0+IHRydWUpO1xuICAgICAgICBjb25zdCBzdWNjID0gdGhpcy5zdWNjZXNzb3JzO1xuICAgICAgICBzd2l0Y2ggKGYub3ApIHtcbiAgICAgICAgICAgIGNhc2UgJ3RydWUnOlxuICAgICAgICAgICAgICAgIHJldHVybiBhbGw7XG4gICAgICAgICAgICBjYXNlICdmYWxzZSc6XG4gICAgICAgICAgICAgICAgcmV0dXJuIGFsbC5tYXAoKCkgPT4gZmFsc2UpO1xuICAgICAgICAgICAgY2FzZSAnYXRvbSc6XG4gICAgICAgICAgICAgICAgcmV0dXJuIHRoaXMuc3RhdGVzLm1hcChzID0+IHRoaXMuX2dyYXBoLnBhdGhzW3NdLmluZGV4T2YoZi5uYW1lKSA+PSAwKTtcbiAgICAgICAgICAgIGNhc2UgJ3RhZyc6XG4gICAgICAgICAgICAgICAgcmV0dXJuIHRoaXMudmlhLm1hcCgodCwgbikgPT4gdCA9PT0gZi5uYW1lIHx8IHRoaXMuZXZlbnRzW25dID09PSBmLm5hbWUpO1xuICAgICAgICAgICAgY2FzZSAnbm90JzpcbiAgICAgICAgICAgICAgICByZXR1cm4gdGhpcy5zYXQoZi5hcmdzWzBdKS5tYXAodiA9PiAhdik7XG4gICAgICAgICAgICBjYXNlICdhbmQnOiB7XG4gICAgICAgICAgICAgICAgY29uc3QgYSA9IHRoaXMuc2F0KGYuYXJnc1swXSk7XG4gICAgICAgICAgICAgICAgY29uc3QgYiA9IHRoaXMuc2F0KGYuYXJnc1sxXSk7XG4gICAgICAgICAgICAgICAgcmV0dXJuIGEubWFwKCh2LCBuKSA9PiB2ICYmIGJbbl0pO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgY2FzZSAnb3InOiB7XG4gICAgICAgICAgICAgICAgY29uc3QgYSA9IHRoaXMuc2F0KGYuYXJnc1swXSk7XG4gICAgICAgICAgICAgICAgY29uc3QgYiA9IHRoaXMuc2F0KGYuYXJnc1sxXSk7XG4gICAgICAgICAgICAgICAgcmV0dXJuIGEubWFwKCh2LCBuKSA9PiB2IHx8IGJbbl0pO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgY2FzZSAnRVgnOiB7XG4gICAgICAgICAgICAgICAgY29uc3QgYSA9IHRoaXMuc2F0KGYuYXJnc1swXSk7XG4gICAgICAgICAgICAgICAgcmV0dXJuIHN1Y2MubWFwKG1zID0+IG1zLnNvbWUobSA9PiBhW21dKSk7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICBjYXNlICdFVSc6IHtcbiAgICAgICAgICAgICAgICAvLyBUaGUgbGVhc3QgZml4cG9pbnRcbiAgICAgICAgICAgICAgICBjb25zdCBhID0gdGhpcy5zYXQoZi5hcmdzWzBdKTtcbiAgICAgICAgICAgICAgICBjb25zdCB6ID0gdGhpcy5zYXQoZi5hcmdzWzFdKS5zbGljZSgpO1xuICAgICAgICAgICAgICAgIGxldCBjaGFuZ2VkID0gdHJ1ZTtcbiAgICAgICAgICAgICAgICB3aGlsZSAoY2hhbmdlZCkge1xuICAgICAgICAgICAgICAgICAgICBjaGFuZ2VkID0gZmFsc2U7XG4gICAgICAgICAgICAgICAgICAgIHN1Y2MuZm9yRWFjaCgobXMsIG4pID0+IHtcbiAgICAgICAgICAgICAgICAgICAgICAgIGlmICgheltuXSAmJiBhW25dICYmIG1zLnNvbWUobSA9PiB6W21dKSkge1xuICAgICAgICAgICAgICAgICAgICAgICAgICAgIHpbbl0gPSBjaGFuZ2VkID0gdHJ1ZTtcbiAgICAgICAgICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICAgICAgfSk7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgICAgIHJldHVybiB6O1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgY2FzZSAnRUcnOiB7XG4gICAgICAgICAgICAgICAgLy8gVGhlIGdyZWF0ZXN0IGZpeHBvaW50OyBhIG5vZGUgd2l0aG91dCBzdWNjZXNzb3JzXG4gICAgICAgICAgICAgICAgLy8gZW5kcyBhIGNvbXBsZXRlIHBhdGguXG4gICAgICAgICAgICAgICAgY29uc3QgeiA9IHRoaXMuc2F0KGYuYXJnc1swXSkuc2xpY2UoKTtcbiAgICAgICAgICAgICAgICBsZXQgY2hhbmdlZCA9IHRydWU7XG4gICAgICAgICAgICAgICAgd2hpbGUgKGNoYW5nZWQpIHtcbiAgICAgICAgICAgICAgICAgICAgY2hhbmdlZCA9IGZhbHNlO1xuICAgICAgICAgICAgICAgICAgICBzdWNjLmZvckVhY2goKG1zLCBuKSA9PiB7XG4gICAgICAgICAgICAgICAgICAgICAgICBpZiAoeltuXSAmJiBtcy5sZW5ndGggJiYgIW1zLnNvbWUobSA9PiB6W21dKSkge1xuICAgICAgICAgICAgICAgICAgICAgICAgICAgIHpbbl0gPSBmYWxzZTtcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICBjaGFuZ2VkID0gdHJ1ZTtcbiAgICAgICAgICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICAgICAgfSk7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgICAgIHJldHVybiB6O1xuICAgICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICAgIHRocm93IG5ldyBFcnJvcignVW5zdXBwb3J0ZWQgb3BlcmF0b3I6ICcgKyBmLm9wKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBCdWlsZHMgYSBwYXRoIGZyb20gdGhlIGdpdmVuIG5vZGUsIHdoaWNoIHNob3dzIHdoeSB0aGUgZ2l2ZW5cbiAgICAgKiBub3JtYWxpemVkIGZvcm11bGEgaG9sZHMgKG9yIGRvZXMgbm90IGhvbGQpIHRoZXJlLlxuICAgICAqIEZvciBhIGJyYW5jaGluZyBmb3JtdWxhLCBvbmUgb2YgdGhlIHJlbGV2YW50IHBhdGhzIGlzIGdpdmVuLlxuICAgICAqL1xuICAgIGV4cGxhaW4oZjogSUZvcm11bGEsIG46IG51bWJlciwgZXhwZWN0ZWQ6IGJvb2xlYW4pOiBJV2l0bmVzcyB7XG4gICAgICAgIGNvbnN0IHN1Y2MgPSB0aGlzLnN1Y2Nlc3NvcnM7XG4gICAgICAgIGNvbnN0IHByZXBlbmQgPSAocGF0aDogQXJyYXk8bnVtYmVyPiwgcmVzdDogSVdpdG5lc3MpOiBJV2l0bmVzcyA9PiAoe1xuICAgICAgICAgICAgbm9kZXM6IHBhdGguY29uY2F0KHJlc3Qubm9kZXMuc2xpY2UoMSkpLFxuICAgICAgICAgICAgbG9vcHNUbzogcmVzdC5sb29wc1RvID09PSB1bmRlZmluZWQgPyB1bmRlZmluZWQgOiByZXN0Lmxvb3BzVG8gKyBwYXRoLmxlbmd0aCAtIDFcbiAgICAgICAgfSk7XG4gICAgICAgIC8vIFdhbGtzIGZyb20gdGhlIG5vZGUgYnkgdGhlIGdpdmVuIGNob2ljZSBvZiBzdWNjZXNzb3JzLFxuICAgICAgICAvLyB1bnRpbCB0aGUgY2hvaWNlIGdpdmVzIHVwIG9yIGEgbm9kZSBpcyByZXZpc2l0ZWQuXG4gICAgICAgIGNvbnN0IHdhbGsgPSAoY2hvb3NlOiAobTogbnVtYmVyKSA9PiBudW1iZXIsIHN0b3A6IChtOiBudW1iZXIpID0+IElXaXRuZXNzKTogSVdpdG5lc3MgPT4ge1xuICAgICAgICAgICAgY29uc3QgcGF0aDogQXJyYXk8bnVtYmVyPiA9IFtdO1xuICAgICAgICAgICAgbGV0IGN1ciA9IG47XG4gICAgICAgICAgICBmb3IgKDsgOyApIHtcbiAgICAgICAgICAgICAgICBjb25zdCBzZWVuID0gcGF0aC5pbmRleE9mKGN1cik7XG4gICAgICAgICAgICAgICAgaWYgKHNlZW4gPj0gMCkge1xuICAgICAgICAgICAgICAgICAgICByZXR1cm4geyBub2RlczogcGF0aCwgbG9vcHNUbzogc2VlbiB9O1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICBwYXRoLnB1c2goY3VyKTtcbiAgICAgICAgICAgICAgICBjb25zdCBmaW5pc2hlZCA9IHN0b3AoY3VyKTtcbiAgICAgICAgICAgICAgICBpZiAoZmluaXNoZWQpIHtcbiAgICAgICAgICAgICAgICAgICAgcmV0dXJuIHByZXBlbmQocGF0aCwgZmluaXNoZWQpO1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICBjb25zdCBuZXh0ID0gY2hvb3NlKGN1cik7XG4gICAgICAgICAgICAgICAgaWYgKG5leHQgPT09IHVuZGVmaW5lZCkge1xuICAgICAgICAgICAgICAgICAgICByZXR1cm4geyBub2RlczogcGF0aCB9O1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICBjdXIgPSBuZXh0O1xuICAgICAgICAgICAgfVxuICAgICAgICB9O1xuXG4gICAgICAgIGNvbnN0IGEgPSBmLmFyZ3MgJiYgZi5hcmdzWzBdO1xuICAgICAgICBjb25zdCBiID0gZi5hcmdzICYmIGYuYXJnc1sxXTtcbiAgICAgICAgc3dpdGNoIChmLm9wKSB7XG4gICAgICAgICAgICBjYXNlICdub3QnOlxuICAgICAgICAgICAgICAgIHJldHVybiB0aGlzLmV4cGxhaW4oYSwgbiwgIWV4cGVjdGVkKTtcbiAgICAgICAgICAgIGNhc2UgJ2FuZCc6XG4gICAgICAgICAgICBjYXNlICdvcic6XG4gICAgICAgICAgICAgICAgLy8gRXhwbGFpbiBhbiBvcGVyYW5kIHdoaWNoIGRlY2lkZXMgdGhlIHJlc3VsdCxcbiAgICAgICAgICAgICAgICAvLyBwcmVmZXJyaW5nIHRoZSByaWdodCBvbmUsIGUuZy4sIHRoZSBjb25zZXF1ZW5jZVxuICAgICAgICAgICAgICAgIC8vIG9mIGFuIGltcGxpY2F0aW9uLlxuICAgICAgICAgICAgICAgIHJldHVybiB0aGlzLmV4cGxhaW4odGhpcy5zYXQoYilbbl0gPT09IGV4cGVjdGVkID8gYiA6IGEsIG4sIGV4cGVjdGVkKTtcbiAgICAgICAgICAgIGNhc2UgJ0VYJzoge1xuICAgICAgICAgICAgICAgIGNvbnN0IHRhcmdldCA9IHRoaXMuc2F0KGEpO1xuICAgICAgICAgICAgICAgIGNvbnN0IG0gPSBleHBlY3RlZCA/IHN1Y2Nbbl0uZmlsdGVyKGsgPT4gdGFyZ2V0W2tdKVswXSA6IHN1Y2Nbbl1bMF07XG4gICAgICAgICAgICAgICAgcmV0dXJuIG0gPT09IHVuZGVmaW5lZCA/IHsgbm9kZXM6IFtuXSB9IDogcHJlcGVuZChbbiwgbV0sIHRoaXMuZXhwbGFpbihhLCBtLCBleHBlY3RlZCkpO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgY2FzZSAnRVUnOiB7XG4gICAgICAgICAgICAgICAgY29uc3QgbGVmdCA9IHRoaXMuc2F0KGEpO1xuICAgICAgICAgICAgICAgIGNvbnN0IHJpZ2h0ID0gdGhpcy5zYXQoYik7XG4gICAgICAgICAgICAgICAgaWYgKGV4cGVjdGVkKSB7XG4gICAgICAgICAgICAgICAgICAgIC8vIFRoZSBzaG9ydGVzdCBwYXRoIHRocm91Z2ggdGhlIGxlZnQgdG8gdGhlIHJpZ2h0XG4gICAgICAgICAgICAgICAgICAgIGNvbnN0IHByZXZpb3VzOiB7IFtrZXk6IG51bWJlcl06IG51bWJlciB9ID0ge307XG4gICAgICAgICAgICAgICAgICAgIGNvbnN0IHF1ZXVlID0gW25dO1xuICAgICAgICAgICAgICAgICAgICBwcmV2aW91c1tuXSA9IC0xO1xuICAgICAgICAgICAgICAgICAgICB3aGlsZSAocXVldWUubGVuZ3RoKSB7XG4gICAgICAgICAgICAgICAgICAgICAgICBjb25zdCBrID0gcXVldWUuc2hpZnQoKTtcbiAgICAgICAgICAgICAgICAgICAgICAgIGlmIChyaWdodFtrXSkge1xuICAgICAgICAgICAgICAgICAgICAgICAgICAgIGNvbnN0IHBhdGg6IEFycmF5PG51bWJlcj4gPSBbXTtcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICBmb3IgKGxldCBwID0gazsgcCA+PSAwOyBwID0gcHJldmlvdXNbcF0pIHtcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgcGF0aC51bnNoaWZ0KHApO1xuICAgICAgICAgICAgICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICAgICAgICAgICAgICByZXR1cm4gcHJlcGVuZChwYXRoLCB0aGlzLmV4cGxhaW4oYiwgaywgdHJ1ZSkpO1xuICAgICAgICAgICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgICAgICAgICAgICAgaWYgKGxlZnRba10pIHtcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICBzdWNjW2tdLmZvckVhY2gobSA9PiB7XG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIGlmIChwcmV2aW91c1ttXSA9PT0gdW5kZWZpbmVkKSB7XG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICBwcmV2aW91c1ttXSA9IGs7XG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICBxdWV1ZS5wdXNoKG0pO1xuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgfSk7XG4gICAgICAgICAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICAgICAgLy8gRXZlcnkgcGF0aCBmYWlscywgYW5kIHNvIGRvZXMgYW55IG9mIHRoZW0uXG4gICAgICAgICAgICAgICAgcmV0dXJuIHdhbGsoayA9PiBzdWNjW2tdWzBdLCBrID0+IGxlZnRba10gPyBudWxsIDogdGhpcy5leHBsYWluKGEsIGssIGZhbHNlKSk7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICBjYXNlICdFRyc6IHtcbiAgICAgICAgICAgICAgICBjb25zdCBob2xkcyA9IHRoaXMuc2F0KGYpO1xuICAgICAgICAgICAgICAgIGlmIChleHBlY3RlZCkge1xuICAgICAgICAgICAgICAgICAgICByZXR1cm4gd2FsayhrID0+IHN1Y2Nba10uZmlsdGVyKG0gPT4gaG9sZHNbbV0pWzBdLCAoKSA9PiBudWxsKTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICAgICAgY29uc3QgaW5uZXIgPSB0aGlzLnNhdChhKTtcbiAgICAgICAgICAgICAgICByZXR1cm4gd2FsayhrID0+IHN1Y2Nba11bMF0sIGsgPT4gaW5uZXJba10gPyBudWxsIDogdGhpcy5leHBsYWluKGEsIGssIGZhbHNlKSk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgICAgcmV0dXJuIHsgbm9kZXM6IFtuXSB9O1xuICAgIH1cbn1cblxuLyoqXG4gKiBDaGVja3Mgd2hldGhlciBhIHByb3BlcnR5IGhvbGRzIGluIHRoZSBpbml0IHN0YXRlIG9mIHRoZSBnaXZlbiByZWdpb25cbiAqIG9mIGEgZGVmaW5pdGlvbi4gTm90ZSB0aGF0IGd1YXJkIGNvbmRpdGlvbnMgYXJlIG5vdCB0YWtlbiBpbnRvIGFjY291bnQuXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiBjaGVja1Byb3BlcnR5KGRlZmluaXRpb246IElNYWNoaW5lRGVmaW5pdGlvbiwgcHJvcGVydHk6IHN0cmluZywgcmVnaW9uPzogc3RyaW5nKTogSVByb3BlcnR5UmVzdWx0IHtcbiAgICBjb25zdCBmb3JtdWxhID0gcGFyc2VQcm9wZXJ0eShwcm9wZXJ0eSk7XG4gICAgY29uc3QgZ3JhcGggPSBidWlsZFN0YXRlR3JhcGgoZGVmaW5pdGlvbik7XG4gICAgcmVnaW9uID0gcmVnaW9uIHx8IGRlZmF1bHRSZWdpb247XG5cbiAgICAvLyBWZXJpZnkgdGhlIHN0YXRlIG5hbWVzIGluIHRoZSBwcm9wZXJ0eS4gQSB0cmFuc2l0aW9uIHRhZyBpcyBub3RcbiAgICAvLyB2ZXJpZmllZCwgYXMgYSBwcm9wZXJ0eSBzdWNoIGFzICdBRyAhQGlkbGUyZXJyb3InIGlzIG1lYW50IHRvXG4gICAgLy8gaG9sZCB3aGVuIHRoZXJlIGlzIG5vIHN1Y2ggdHJhbnNpdGlvbi5cbiAgICBjb25zdCB2ZXJpZnkgPSAoZjogSUZvcm11bGEpID0+IHtcbiAgICAgICAgaWYgKGYub3AgPT09ICdhdG9tJyAmJiAhZ3JhcGgucGF0aHNbZi5uYW1lXSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdVbmRlZmluZWQgc3RhdGUgaW4gcHJvcGVydHk6ICcgKyBmLm5hbWUpO1xuICAgICAgICB9XG4gICAgICAgIChmLmFyZ3MgfHwgW10pLmZvckVhY2godmVyaWZ5KTtcbiAgICB9O1xuICAgIHZlcmlmeShmb3JtdWxhKTtcblxuICAgIGNvbnN0IGluaXRTdGF0ZSA9IGdyYXBoLmluaXRpYWwuZmlsdGVyKHMgPT4gZ3JhcGgucmVnaW9uc1tzXSA9PT0gcmVnaW9uKVswXTtcbiAgICBpZiAoIWluaXRTdGF0ZSkge1xuICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1VuZGVmaW5lZCBpbml0IHN0YXRlIGluIHJlZ2lvbjogJyArIHJlZ2lvbik7XG4gICAgfVxuICAgIGNvbnN0IGtyaXBrZSA9IG5ldyBLcmlwa2VTdHJ1Y3R1cmUoZ3JhcGgsIGluaXRTdGF0ZSk7XG4gICAgY29uc3Qgbm9ybWFsaXplZCA9IG5vcm1hbGl6ZShmb3JtdWxhKTtcbiAgICBpZiAoa3JpcGtlLnNhdChub3JtYWxpemVkKVswXSkge1xuICAgICAgICByZXR1cm4geyBob2xkczogdHJ1ZSB9O1xuICAgIH1cbiAgICBjb25zdCB3aXRuZXNzID0ga3JpcGtlLmV4cGxhaW4obm9ybWFsaXplZCwgMCwgZmFsc2UpO1xuICAgIGNvbnN0IHJlc3VsdDogSVByb3BlcnR5UmVzdWx0ID0ge1xuICAgICAgICBob2xkczogZmFsc2UsXG4gICAgICAgIGNvdW50ZXJleGFtcGxlOiB3aXRuZXNzLm5vZGVzLm1hcChrID0+ICh7IHN0YXRlOiBrcmlwa2Uuc3RhdGVzW2tdLCB0cmFuc2l0aW9uOiBrcmlwa2UudmlhW2tdIH0pKVxuICAgIH07XG4gICAgaWYgKHdpdG5lc3MubG9vcHNUbyAhPT0gdW5kZWZpbmVkKSB7XG4gICAgICAgIHJlc3VsdC5sb29wc1RvID0gd2l0bmVzcy5sb29wc1RvO1xuICAgIH1cbiAgICByZXR1cm4gcmVzdWx0O1xufVxuIl19
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * @fileOverview
+ * Provides the Angular module which makes finite state machines injectable.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { NgModule } from '@angular/core';
+import { MACHINE_REGISTRATIONS, MachineRegistry } from './machine-registry';
+import { FsmStateDirective } from './fsm-state.directive';
+import { FsmStatePipe } from './fsm-state.pipe';
+import { FsmCanActivateGuard, FsmCanDeactivateGuard } from './fsm-route-guards';
+/**
+ * The Angular module of the package. The machines registered with
+ * forRoot are shared by the whole application, and the machines
+ * registered with forFeature in a lazy loaded module are
+ * created in the injector of that module. The module also provides
+ * the fsmState directive and pipe for templates, and the route guards
+ * which consult the machines of the same injector.
+ */
+var FeBehaviorModule = /** @class */ (function () {
+    function FeBehaviorModule() {
+    }
+    /**
+     * Registers the given machines in the root injector.
+     */
+    /**
+     * Registers the given machines in the root injector.
+     * @param {?=} registrations
+     * @return {?}
+     */
+    FeBehaviorModule.forRoot = /**
+     * Registers the given machines in the root injector.
+     * @param {?=} registrations
+     * @return {?}
+     */
+    function (registrations) {
+        return {
+            ngModule: FeBehaviorModule,
+            providers: [
+                { provide: MACHINE_REGISTRATIONS, useValue: registrations || [], multi: true },
+                MachineRegistry,
+                FsmCanActivateGuard,
+                FsmCanDeactivateGuard
+            ]
+        };
+    };
+    /**
+     * Registers the given machines in the injector of a feature module.
+     */
+    /**
+     * Registers the given machines in the injector of a feature module.
+     * @param {?} registrations
+     * @return {?}
+     */
+    FeBehaviorModule.forFeature = /**
+     * Registers the given machines in the injector of a feature module.
+     * @param {?} registrations
+     * @return {?}
+     */
+    function (registrations) {
+        return {
+            ngModule: FeBehaviorModule,
+            providers: [
+                { provide: MACHINE_REGISTRATIONS, useValue: registrations, multi: true },
+                MachineRegistry,
+                FsmCanActivateGuard,
+                FsmCanDeactivateGuard
+            ]
+        };
+    };
+    FeBehaviorModule.decorators = [
+        { type: NgModule, args: [{
+                    declarations: [FsmStateDirective, FsmStatePipe],
+                    exports: [FsmStateDirective, FsmStatePipe]
+                },] }
+    ];
+    return FeBehaviorModule;
+}());
+export { FeBehaviorModule };
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZmUtYmVoYXZpb3IubW9kdWxlLmpzIiwic291cmNlUm9vdCI6Im5nOi8vQHBvbHB3YXJlL2ZlLWJlaGF2aW9yLyIsInNvdXJjZXMiOlsibGliL2FuZ3VsYXIvZmUtYmVoYXZpb3IubW9kdWxlLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7Ozs7Ozs7QUFNQSxPQUFPLEVBQXVCLFFBQVEsRUFBRSxNQUFNLGVBQWUsQ0FBQztBQUM5RCxPQUFPLEVBQXdCLHFCQUFxQixFQUFFLGVBQWUsRUFBRSxNQUFNLG9CQUFvQixDQUFDO0FBQ2xHLE9BQU8sRUFBRSxpQkFBaUIsRUFBRSxNQUFNLHVCQUF1QixDQUFDO0FBQzFELE9BQU8sRUFBRSxZQUFZLEVBQUUsTUFBTSxrQkFBa0IsQ0FBQztBQUNoRCxPQUFPLEVBQUUsbUJBQW1CLEVBQUUscUJBQXFCLEVBQUUsTUFBTSxvQkFBb0IsQ0FBQzs7Ozs7Ozs7O0FBV2hGO0lBQUE7SUFtQ0EsQ0FBQztJQTdCRzs7T0FFRzs7Ozs7O0lBQ0ksd0JBQU87Ozs7O0lBQWQsVUFBZSxhQUEyQztRQUN0RCxPQUFPO1lBQ0gsUUFBUSxFQUFFLGdCQUFnQjtZQUMxQixTQUFTLEVBQUU7Z0JBQ1AsRUFBRSxPQUFPLEVBQUUscUJBQXFCLEVBQUUsUUFBUSxFQUFFLGFBQWEsSUFBSSxFQUFFLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRTtnQkFDOUUsZUFBZTtnQkFDZixtQkFBbUI7Z0JBQ25CLHFCQUFxQjthQUN4QjtTQUNKLENBQUM7SUFDTixDQUFDO0lBRUQ7O09BRUc7Ozs7OztJQUNJLDJCQUFVOzs7OztJQUFqQixVQUFrQixhQUEwQztRQUN4RCxPQUFPO1lBQ0gsUUFBUSxFQUFFLGdCQUFnQjtZQUMxQixTQUFTLEVBQUU7Z0JBQ1AsRUFBRSxPQUFPLEVBQUUscUJBQXFCLEVBQUUsUUFBUSxFQUFFLGFBQWEsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFO2dCQUN4RSxlQUFlO2dCQUNmLG1CQUFtQjtnQkFDbkIscUJBQXFCO2FBQ3hCO1NBQ0osQ0FBQztJQUNOLENBQUM7O2dCQWxDSixRQUFRLFNBQUM7b0JBQ04sWUFBWSxFQUFFLENBQUMsaUJBQWlCLEVBQUUsWUFBWSxDQUFDO29CQUMvQyxPQUFPLEVBQUUsQ0FBQyxpQkFBaUIsRUFBRSxZQUFZLENBQUM7aUJBQzdDOztJQWdDRCx1QkFBQztDQUFBLEFBbkNELElBbUNDO1NBL0JZLGdCQUFnQiIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGZpbGVPdmVydmlld1xuICogUHJvdmlkZXMgdGhlIEFuZ3VsYXIgbW9kdWxlIHdoaWNoIG1ha2VzIGZpbml0ZSBzdGF0ZSBtYWNoaW5lcyBpbmplY3RhYmxlLlxuICogQGF1dGhvciBYaWFvbG9uZyBUYW5nIDx4eGxvbmd0YW5nQGdtYWlsLmNvbT5cbiAqIEBsaWNlbnNlIENvcHlyaWdodCBAbWVcbiAqL1xuaW1wb3J0IHsgTW9kdWxlV2l0aFByb3ZpZGVycywgTmdNb2R1bGUgfSBmcm9tICdAYW5ndWxhci9jb3JlJztcbmltcG9ydCB7IElNYWNoaW5lUmVnaXN0cmF0aW9uLCBNQUNISU5FX1JFR0lTVFJBVElPTlMsIE1hY2hpbmVSZWdpc3RyeSB9IGZyb20gJy4vbWFjaGluZS1yZWdpc3RyeSc7XG5pbXBvcnQgeyBGc21TdGF0ZURpcmVjdGl2ZSB9IGZyb20gJy4vZnNtLXN0YXRlLmRpcmVjdGl2ZSc7XG5pbXBvcnQgeyBGc21TdGF0ZVBpcGUgfSBmcm9tICcuL2ZzbS1zdGF0ZS5waXBlJztcbmltcG9ydCB7IEZzbUNhbkFjdGl2YXRlR3VhcmQsIEZzbUNhbkRlYWN0aXZhdGVHdWFyZCB9IGZyb20gJy4vZnNtLXJvdXRlLWd1YXJkcyc7XG5cbi8qKlxuICogVGhlIEFuZ3VsYXIgbW9kdWxlIG9mIHRoZSBwYWNrYWdlLiBUaGUgbWFjaGluZXMgcmVnaXN0ZXJlZCB3aXRoXG4gKiBmb3JSb290IGFyZSBzaGFyZWQgYnkgdGhlIHdob2xlIGFwcGxpY2F0aW9uLCBhbmQgdGhlIG1hY2hpbmVzXG4gKiByZWdpc3RlcmVkIHdpdGggZm9yRmVhdHVyZSBpbiBhIGxhenkgbG9hZGVkIG1vZHVsZSBhcmVcbiAqIGNyZWF0ZWQgaW4gdGhlIGluamVjdG9yIG9mIHRoYXQgbW9kdWxlLiBUaGUgbW9kdWxlIGFsc28gcHJvdmlkZXNcbiAqIHRoZSBmc21TdGF0ZSBkaXJlY3RpdmUgYW5kIHBpcGUgZm9yIHRlbXBsYXRlcywgYW5kIHRoZSByb3V0ZSBndWFyZHNcbiAqIHdoaWNoIGNvbnN1bHQgdGhlIG1hY2hpbmVzIG9mIHRoZSBzYW1lIGluamVjdG9yLlxuICogQGNsYXNzIEZlQmVoYXZpb3JNb2R1bGVcbiAqL1xuQE5nTW9kdWxlKHtcbiAgICBkZWNsYXJhdGlvbnM6IFtGc21TdGF0ZURpcmVjdGl2ZSwgRnNtU3RhdGVQaXBlXSxcbiAgICBleHBvcnRzOiBbRnNtU3RhdGVEaXJlY3RpdmUsIEZzbVN0YXRlUGlwZV1cbn0pXG5leHBvcnQgY2xhc3MgRmVCZWhhdmlvck1vZHVsZSB7XG5cbiAgICAvKipcbiAgICAgKiBSZWdpc3RlcnMgdGhlIGdpdmVuIG1hY2hpbmVzIGluIHRoZSByb290IGluamVjdG9yLlxuICAgICAqL1xuICAgIHN0YXRpYyBmb3JSb290KHJlZ2lzdHJhdGlvbnM/OiBBcnJheTxJTWFjaGluZVJlZ2lzdHJhdGlvbj4pOiBNb2R1bGVXaXRoUHJvdmlkZXJzIHtcbiAgICAgICAgcmV0dXJuIHtcbiAgICAgICAgICAgIG5nTW9kdWxlOiBGZUJlaGF2aW9yTW9kdWxlLFxuICAgICAgICAgICAgcHJvdmlkZXJzOiBbXG4gICAgICAgICAgICAgICAgeyBwcm92aWRlOiBNQUNISU5FX1JFR0lTVFJBVElPTlMsIHVzZVZhbHVlOiByZWdpc3RyYXRpb25zIHx8IFtdLCBtdWx0aTogdHJ1ZSB9LFxuICAgICAgICAgICAgICAgIE1hY2hpbmVSZWdpc3RyeSxcbiAgICAgICAgICAgICAgICBGc21DYW5BY3RpdmF0ZUd1YXJkLFxuICAgICAgICAgICAgICAgIEZzbUNhbkRlYWN0aXZhdGVHdWFyZFxuICAgICAgICAgICAgXVxuICAgICAgICB9O1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJlZ2lzdGVycyB0aGUgZ2l2ZW4gbWFjaGluZXMgaW4gdGhlIGluamVjdG9yIG9mIGEgZmVhdHVyZSBtb2R1bGUuXG4gICAgICovXG4gICAgc3RhdGljIGZvckZlYXR1cmUocmVnaXN0cmF0aW9uczogQXJyYXk8SU1hY2hpbmVSZWdpc3RyYXRpb24+KTogTW9kdWxlV2l0aFByb3ZpZGVycyB7XG4gICAgICAgIHJldHVybiB7XG4gICAgICAgICAgICBuZ01vZHVsZTogRmVCZWhhdmlvck1vZHVsZSxcbiAgICAgICAgICAgIHByb3ZpZGVyczogW1xuICAgICAgICAgICAgICAgIHsgcHJvdmlkZTogTUFDSElORV9SRUdJU1RSQVRJT05TLCB1c2VWYWx1ZTogcmVnaXN0cmF0aW9ucywgbXVsdGk6IHRydWUgfSxcbiAgICAgICAgICAgICAgICBNYWNoaW5lUmVnaXN0cnksXG4gICAgICAgICAgICAgICAgRnNtQ2FuQWN0aXZhdGVHdWFyZCxcbiAgICAgICAgICAgICAgICBGc21DYW5EZWFjdGl2YXRlR3VhcmRcbiAgICAgICAgICAgIF1cbiAgICAgICAgfTtcbiAgICB9XG59XG4iXX0=
\ No newline at end of file
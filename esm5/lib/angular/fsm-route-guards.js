@@ -0,0 +1,298 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * @fileOverview
+ * Provides the route guards which gate the navigation
+ * by the states of a finite state machine.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { Injectable } from '@angular/core';
+import { NavigationCancel, NavigationEnd, NavigationError, Router } from '@angular/router';
+import { filter, take } from 'rxjs/operators';
+import { MachineRegistry } from './machine-registry';
+/**
+ * The key of the route data read by the guards.
+ * @type {?}
+ */
+export var machineRouteDataKey = 'fsm';
+/**
+ * Describes how a route is gated by a machine, e.g.,
+ * data: { fsm: { machine: 'checkout', state: 'payment', go: true,
+ *     redirects: { cart: '/checkout/cart' }, redirectTo: '/' } }
+ * @record
+ */
+export function IMachineRouteData() { }
+if (false) {
+    /** @type {?} */
+    IMachineRouteData.prototype.machine;
+    /** @type {?|undefined} */
+    IMachineRouteData.prototype.state;
+    /** @type {?|undefined} */
+    IMachineRouteData.prototype.exit;
+    /** @type {?|undefined} */
+    IMachineRouteData.prototype.go;
+    /** @type {?|undefined} */
+    IMachineRouteData.prototype.redirects;
+    /** @type {?|undefined} */
+    IMachineRouteData.prototype.redirectTo;
+}
+/**
+ * @param {?} route
+ * @return {?}
+ */
+function routeDataOf(route) {
+    /** @type {?} */
+    var data = route.data && route.data[machineRouteDataKey];
+    if (!data || !data.machine) {
+        throw new Error('Undefined route data: ' + machineRouteDataKey);
+    }
+    return data;
+}
+/**
+ * Describes how to put a machine back as it was before the navigation,
+ * if the navigation does not end.
+ * @record
+ */
+function IRollback() { }
+if (false) {
+    /** @type {?} */
+    IRollback.prototype.machine;
+    /** @type {?} */
+    IRollback.prototype.snapshot;
+    /** @type {?} */
+    IRollback.prototype.taken;
+}
+// The rollbacks of the navigation in progress
+/** @type {?} */
+var rollbacks = [];
+/**
+ * Checks if the machine ends up in the given state, taking the transition
+ * to it if required. A transition may be rejected by its guard, or
+ * vetoed by its callbacks, and may settle asynchronously. A machine
+ * which throws instead, e.g., as another transition is in progress,
+ * or as it is not running, does not let the navigation go either.
+ * @param {?} router
+ * @param {?} machine
+ * @param {?} target
+ * @param {?} go
+ * @return {?}
+ */
+function enterState(router, machine, target, go) {
+    /** @type {?} */
+    var snapshot;
+    /** @type {?} */
+    var outcome;
+    try {
+        if (machine.isActive(target)) {
+            return Promise.resolve(true);
+        }
+        if (!machine.can(target)) {
+            return Promise.resolve(false);
+        }
+        if (!go) {
+            return Promise.resolve(true);
+        }
+        snapshot = machine.snapshot();
+        outcome = machine.go(target);
+    }
+    catch (e) {
+        return Promise.resolve(false);
+    }
+    return Promise.resolve(outcome).then(function () {
+        if (!machine.isActive(target)) {
+            return false;
+        }
+        rollBackUnlessNavigationEnds(router, machine, snapshot);
+        return true;
+    }, function () { return false; });
+}
+/**
+ * Puts the machine back into the given snapshot if the navigation
+ * does not end, unless the machine has moved on meanwhile.
+ * The guards of a navigation may take several transitions of
+ * the same machine, which are rolled back at once.
+ * @param {?} router
+ * @param {?} machine
+ * @param {?} snapshot
+ * @return {?}
+ */
+function rollBackUnlessNavigationEnds(router, machine, snapshot) {
+    /** @type {?} */
+    var taken = JSON.stringify(machine.configuration());
+    /** @type {?} */
+    var existing = rollbacks.filter(function (r) { return r.machine === machine; })[0];
+    if (existing) {
+        existing.taken = taken;
+        return;
+    }
+    /** @type {?} */
+    var rollback = { machine: machine, snapshot: snapshot, taken: taken };
+    rollbacks.push(rollback);
+    router.events.pipe(filter(function (e) { return e instanceof NavigationEnd || e instanceof NavigationCancel || e instanceof NavigationError; }), take(1)).subscribe(function (e) {
+        rollbacks.splice(rollbacks.indexOf(rollback), 1);
+        if (e instanceof NavigationEnd || machine.status() !== 'idle') {
+            return;
+        }
+        /** @type {?} */
+        var current;
+        try {
+            current = JSON.stringify(machine.configuration());
+        }
+        catch (error) {
+            // The machine has been disposed.
+            return;
+        }
+        if (current === rollback.taken) {
+            machine.restore(rollback.snapshot);
+        }
+    });
+}
+/**
+ * Guards the activation of a route by the state which the route stands for.
+ * If the route may not be activated, the navigation is redirected
+ * to the url configured for the current state, starting from
+ * the innermost one, or cancelled if there is none.
+ */
+var FsmCanActivateGuard = /** @class */ (function () {
+    function FsmCanActivateGuard(_registry, _router) {
+        this._registry = _registry;
+        this._router = _router;
+    }
+    /**
+     * @param {?} route
+     * @return {?}
+     */
+    FsmCanActivateGuard.prototype.canActivate = /**
+     * @param {?} route
+     * @return {?}
+     */
+    function (route) {
+        var _this = this;
+        /** @type {?} */
+        var data = routeDataOf(route);
+        if (!data.state) {
+            return Promise.resolve(true);
+        }
+        /** @type {?} */
+        var machine = this._registry.get(data.machine);
+        return enterState(this._router, machine, data.state, data.go).then(function (allowed) {
+            return allowed || _this.redirect(machine, data);
+        });
+    };
+    /**
+     * @private
+     * @param {?} machine
+     * @param {?} data
+     * @return {?}
+     */
+    FsmCanActivateGuard.prototype.redirect = /**
+     * @private
+     * @param {?} machine
+     * @param {?} data
+     * @return {?}
+     */
+    function (machine, data) {
+        /** @type {?} */
+        var redirects = data.redirects || {};
+        /** @type {?} */
+        var fallback = data.redirectTo ? this._router.parseUrl(data.redirectTo) : false;
+        /** @type {?} */
+        var configuration;
+        try {
+            configuration = machine.configuration();
+        }
+        catch (e) {
+            // The machine is not running.
+            return fallback;
+        }
+        for (var k in configuration) {
+            if (configuration.hasOwnProperty(k)) {
+                /** @type {?} */
+                var path = machine.currentPath(k);
+                for (var i = path.length - 1; i >= 0; i--) {
+                    if (redirects.hasOwnProperty(path[i])) {
+                        return this._router.parseUrl(redirects[path[i]]);
+                    }
+                }
+            }
+        }
+        return fallback;
+    };
+    FsmCanActivateGuard.decorators = [
+        { type: Injectable }
+    ];
+    /** @nocollapse */
+    FsmCanActivateGuard.ctorParameters = function () { return [
+        { type: MachineRegistry },
+        { type: Router }
+    ]; };
+    return FsmCanActivateGuard;
+}());
+export { FsmCanActivateGuard };
+if (false) {
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmCanActivateGuard.prototype._registry;
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmCanActivateGuard.prototype._router;
+}
+/**
+ * Guards the deactivation of a route by the state which the machine
+ * goes to when the route is left. A route without such a state
+ * may always be left.
+ */
+var FsmCanDeactivateGuard = /** @class */ (function () {
+    function FsmCanDeactivateGuard(_registry, _router) {
+        this._registry = _registry;
+        this._router = _router;
+    }
+    /**
+     * @param {?} component
+     * @param {?} route
+     * @return {?}
+     */
+    FsmCanDeactivateGuard.prototype.canDeactivate = /**
+     * @param {?} component
+     * @param {?} route
+     * @return {?}
+     */
+    function (component, route) {
+        /** @type {?} */
+        var data = routeDataOf(route);
+        if (!data.exit) {
+            return Promise.resolve(true);
+        }
+        return enterState(this._router, this._registry.get(data.machine), data.exit, data.go);
+    };
+    FsmCanDeactivateGuard.decorators = [
+        { type: Injectable }
+    ];
+    /** @nocollapse */
+    FsmCanDeactivateGuard.ctorParameters = function () { return [
+        { type: MachineRegistry },
+        { type: Router }
+    ]; };
+    return FsmCanDeactivateGuard;
+}());
+export { FsmCanDeactivateGuard };
+if (false) {
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmCanDeactivateGuard.prototype._registry;
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmCanDeactivateGuard.prototype._router;
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZnNtLXJvdXRlLWd1YXJkcy5qcyIsInNvdXJjZVJvb3QiOiJuZzovL0Bwb2xwd2FyZS9mZS1iZWhhdmlvci8iLCJzb3VyY2VzIjpbImxpYi9hbmd1bGFyL2ZzbS1yb3V0ZS1ndWFyZHMudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7QUFPQSxPQUFPLEVBQUUsVUFBVSxFQUFFLE1BQU0sZUFBZSxDQUFDO0FBQzNDLE9BQU8sRUFJSCxnQkFBZ0IsRUFDaEIsYUFBYSxFQUNiLGVBQWUsRUFDZixNQUFNLEVBRVQsTUFBTSxpQkFBaUIsQ0FBQztBQUN6QixPQUFPLEVBQUUsTUFBTSxFQUFFLElBQUksRUFBRSxNQUFNLGdCQUFnQixDQUFDO0FBRTlDLE9BQU8sRUFBRSxlQUFlLEVBQUUsTUFBTSxvQkFBb0IsQ0FBQzs7Ozs7QUFLckQsTUFBTSxLQUFPLG1CQUFtQixHQUFHLEtBQUs7Ozs7Ozs7QUFPeEMsdUNBb0JDOzs7SUFsQkcsb0NBQWdCOztJQUdoQixrQ0FBZTs7SUFHZixpQ0FBYzs7SUFNZCwrQkFBYTs7SUFHYixzQ0FBc0M7O0lBRXRDLHVDQUFvQjs7Ozs7O0FBR3hCLFNBQVMsV0FBVyxDQUFDLEtBQTZCOztRQUN4QyxJQUFJLEdBQUcsS0FBSyxDQUFDLElBQUksSUFBSSxLQUFLLENBQUMsSUFBSSxDQUFDLG1CQUFtQixDQUFDO0lBQzFELElBQUksQ0FBQyxJQUFJLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxFQUFFO1FBQ3hCLE1BQU0sSUFBSSxLQUFLLENBQUMsd0JBQXdCLEdBQUcsbUJBQW1CLENBQUMsQ0FBQztLQUNuRTtJQUNELE9BQU8sSUFBSSxDQUFDO0FBQ2hCLENBQUM7Ozs7OztBQU1ELHdCQU1DOzs7SUFMRyw0QkFBb0Q7O0lBRXBELDZCQUFvQjs7SUFFcEIsMEJBQWM7Ozs7SUFJWixTQUFTLEdBQXFCLEVBQUU7Ozs7Ozs7Ozs7Ozs7QUFTdEMsU0FBUyxVQUFVLENBQUMsTUFBYyxFQUFFLE9BQW1ELEVBQ25GLE1BQWMsRUFBRSxFQUFXOztRQUN2QixRQUFtQjs7UUFDbkIsT0FBWTtJQUNoQixJQUFJO1FBQ0EsSUFBSSxPQUFPLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxFQUFFO1lBQzFCLE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQztTQUNoQztRQUNELElBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFO1lBQ3RCLE9BQU8sT0FBTyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsQ0FBQztTQUNqQztRQUNELElBQUksQ0FBQyxFQUFFLEVBQUU7WUFDTCxPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUM7U0FDaEM7UUFDRCxRQUFRLEdBQUcsT0FBTyxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQzlCLE9BQU8sR0FBRyxPQUFPLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0tBQ2hDO0lBQUMsT0FBTyxDQUFDLEVBQUU7UUFDUixPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUM7S0FDakM7SUFDRCxPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLENBQUMsSUFBSSxDQUFDO1FBQ2pDLElBQUksQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxFQUFFO1lBQzNCLE9BQU8sS0FBSyxDQUFDO1NBQ2hCO1FBQ0QsNEJBQTRCLENBQUMsTUFBTSxFQUFFLE9BQU8sRUFBRSxRQUFRLENBQUMsQ0FBQztRQUN4RCxPQUFPLElBQUksQ0FBQztJQUNoQixDQUFDLEVBQUUsY0FBTSxPQUFBLEtBQUssRUFBTCxDQUFLLENBQUMsQ0FBQztBQUNwQixDQUFDOzs7Ozs7Ozs7OztBQVFELFNBQVMsNEJBQTRCLENBQUMsTUFBYyxFQUFFLE9BQW1ELEVBQ3JHLFFBQW1COztRQUNiLEtBQUssR0FBRyxJQUFJLENBQUMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxhQUFhLEVBQUUsQ0FBQzs7UUFDL0MsUUFBUSxHQUFHLFNBQVMsQ0FBQyxNQUFNLENBQUMsVUFBQSxDQUFDLElBQUksT0FBQSxDQUFDLENBQUMsT0FBTyxLQUFLLE9BQU8sRUFBckIsQ0FBcUIsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNoRSxJQUFJLFFBQVEsRUFBRTtRQUNWLFFBQVEsQ0FBQyxLQUFLLEdBQUcsS0FBSyxDQUFDO1FBQ3ZCLE9BQU87S0FDVjs7UUFDSyxRQUFRLEdBQWMsRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRTtJQUNsRixTQUFTLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBQ3pCLE1BQU0sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUNkLE1BQU0sQ0FBQyxVQUFDLENBQUMsSUFBSyxPQUFBLENBQUMsWUFBWSxhQUFhLElBQUksQ0FBQyxZQUFZLGdCQUFnQixJQUFJLENBQUMsWUFBWSxlQUFlLEVBQTNGLENBQTJGLENBQUMsRUFDMUcsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUNWLENBQUMsU0FBUyxDQUFDLFVBQUMsQ0FBQztRQUNWLFNBQVMsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztRQUNqRCxJQUFJLENBQUMsWUFBWSxhQUFhLElBQUksT0FBTyxDQUFDLE1BQU0sRUFBRSxLQUFLLE1BQU0sRUFBRTtZQUMzRCxPQUFPO1NBQ1Y7O1lBQ0csT0FBZTtRQUNuQixJQUFJO1lBQ0EsT0FBTyxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLGFBQWEsRUFBRSxDQUFDLENBQUM7U0FDckQ7UUFBQyxPQUFPLEtBQUssRUFBRTtZQUNaLGlDQUFpQztZQUNqQyxPQUFPO1NBQ1Y7UUFDRCxJQUFJLE9BQU8sS0FBSyxRQUFRLENBQUMsS0FBSyxFQUFFO1lBQzVCLE9BQU8sQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLFFBQVEsQ0FBQyxDQUFDO1NBQ3RDO0lBQ0wsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDOzs7Ozs7O0FBU0Q7SUFHSSw2QkFBb0IsU0FBMEIsRUFDbEMsT0FBZTtRQURQLGNBQVMsR0FBVCxTQUFTLENBQWlCO1FBQ2xDLFlBQU8sR0FBUCxPQUFPLENBQVE7SUFBSSxDQUFDOzs7OztJQUVoQyx5Q0FBVzs7OztJQUFYLFVBQVksS0FBNkI7UUFBekMsaUJBU0M7O1lBUlMsSUFBSSxHQUFHLFdBQVcsQ0FBQyxLQUFLLENBQUM7UUFDL0IsSUFBSSxDQUFDLElBQUksQ0FBQyxLQUFLLEVBQUU7WUFDYixPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUM7U0FDaEM7O1lBQ0ssT0FBTyxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUM7UUFDaEQsT0FBTyxVQUFVLENBQUMsSUFBSSxDQUFDLE9BQU8sRUFBRSxPQUFPLEVBQUUsSUFBSSxDQUFDLEtBQUssRUFBRSxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLFVBQUMsT0FBTztZQUN2RSxPQUFPLE9BQU8sSUFBSSxLQUFJLENBQUMsUUFBUSxDQUFDLE9BQU8sRUFBRSxJQUFJLENBQUMsQ0FBQztRQUNuRCxDQUFDLENBQUMsQ0FBQztJQUNQLENBQUM7Ozs7Ozs7SUFFTyxzQ0FBUTs7Ozs7O0lBQWhCLFVBQWlCLE9BQW1ELEVBQUUsSUFBdUI7O1lBQ25GLFNBQVMsR0FBRyxJQUFJLENBQUMsU0FBUyxJQUFJLEVBQUU7O1lBQ2hDLFFBQVEsR0FBRyxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUs7O1lBQzdFLGFBQXdDO1FBQzVDLElBQUk7WUFDQSxhQUFhLEdBQUcsT0FBTyxDQUFDLGFBQWEsRUFBRSxDQUFDO1NBQzNDO1FBQUMsT0FBTyxDQUFDLEVBQUU7WUFDUiw4QkFBOEI7WUFDOUIsT0FBTyxRQUFRLENBQUM7U0FDbkI7UUFDRCxLQUFLLElBQU0sQ0FBQyxJQUFJLGFBQWEsRUFBRTtZQUMzQixJQUFJLGFBQWEsQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLEVBQUU7O29CQUMzQixJQUFJLEdBQUcsT0FBTyxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUM7Z0JBQ25DLEtBQUssSUFBSSxDQUFDLEdBQUcsSUFBSSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRTtvQkFDdkMsSUFBSSxTQUFTLENBQUMsY0FBYyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFO3dCQUNuQyxPQUFPLElBQUksQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO3FCQUNwRDtpQkFDSjthQUNKO1NBQ0o7UUFDRCxPQUFPLFFBQVEsQ0FBQztJQUNwQixDQUFDOztnQkF0Q0osVUFBVTs7OztnQkF4SUYsZUFBZTtnQkFMcEIsTUFBTTs7SUFvTFYsMEJBQUM7Q0FBQSxBQXZDRCxJQXVDQztTQXRDWSxtQkFBbUI7Ozs7OztJQUVoQix3Q0FBa0M7Ozs7O0lBQzFDLHNDQUF1Qjs7Ozs7OztBQTJDL0I7SUFHSSwrQkFBb0IsU0FBMEIsRUFDbEMsT0FBZTtRQURQLGNBQVMsR0FBVCxTQUFTLENBQWlCO1FBQ2xDLFlBQU8sR0FBUCxPQUFPLENBQVE7SUFBSSxDQUFDOzs7Ozs7SUFFaEMsNkNBQWE7Ozs7O0lBQWIsVUFBYyxTQUFjLEVBQUUsS0FBNkI7O1lBQ2pELElBQUksR0FBRyxXQUFXLENBQUMsS0FBSyxDQUFDO1FBQy9CLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFO1lBQ1osT0FBTyxPQUFPLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDO1NBQ2hDO1FBQ0QsT0FBTyxVQUFVLENBQUMsSUFBSSxDQUFDLE9BQU8sRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsSUFBSSxDQUFDLElBQUksRUFBRSxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7SUFDMUYsQ0FBQzs7Z0JBWkosVUFBVTs7OztnQkF2TEYsZUFBZTtnQkFMcEIsTUFBTTs7SUF5TVYsNEJBQUM7Q0FBQSxBQWJELElBYUM7U0FaWSxxQkFBcUI7Ozs7OztJQUVsQiwwQ0FBa0M7Ozs7O0lBQzFDLHdDQUF1QiIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGZpbGVPdmVydmlld1xuICogUHJvdmlkZXMgdGhlIHJvdXRlIGd1YXJkcyB3aGljaCBnYXRlIHRoZSBuYXZpZ2F0aW9uXG4gKiBieSB0aGUgc3RhdGVzIG9mIGEgZmluaXRlIHN0YXRlIG1hY2hpbmUuXG4gKiBAYXV0aG9yIFhpYW9sb25nIFRhbmcgPHh4bG9uZ3RhbmdAZ21haWwuY29tPlxuICogQGxpY2Vuc2UgQ29weXJpZ2h0IEBtZVxuICovXG5pbXBvcnQgeyBJbmplY3RhYmxlIH0gZnJvbSAnQGFuZ3VsYXIvY29yZSc7XG5pbXBvcnQge1xuICAgIEFjdGl2YXRlZFJvdXRlU25hcHNob3QsXG4gICAgQ2FuQWN0aXZhdGUsXG4gICAgQ2FuRGVhY3RpdmF0ZSxcbiAgICBOYXZpZ2F0aW9uQ2FuY2VsLFxuICAgIE5hdmlnYXRpb25FbmQsXG4gICAgTmF2aWdhdGlvbkVycm9yLFxuICAgIFJvdXRlcixcbiAgICBVcmxUcmVlXG59IGZyb20gJ0Bhbmd1bGFyL3JvdXRlcic7XG5pbXBvcnQgeyBmaWx0ZXIsIHRha2UgfSBmcm9tICdyeGpzL29wZXJhdG9ycyc7XG5pbXBvcnQgeyBGaW5pdGVTdGF0ZU1hY2hpbmUsIElTbmFwc2hvdCB9IGZyb20gJy4uL3N0YXRlL2Zpbml0ZS1zdGF0ZS1tYWNoaW5lJztcbmltcG9ydCB7IE1hY2hpbmVSZWdpc3RyeSB9IGZyb20gJy4vbWFjaGluZS1yZWdpc3RyeSc7XG5cbi8qKlxuICogVGhlIGtleSBvZiB0aGUgcm91dGUgZGF0YSByZWFkIGJ5IHRoZSBndWFyZHMuXG4gKi9cbmV4cG9ydCBjb25zdCBtYWNoaW5lUm91dGVEYXRhS2V5ID0gJ2ZzbSc7XG5cbi8qKlxuICogRGVzY3JpYmVzIGhvdyBhIHJvdXRlIGlzIGdhdGVkIGJ5IGEgbWFjaGluZSwgZS5nLixcbiAqIGRhdGE6IHsgZnNtOiB7IG1hY2hpbmU6ICdjaGVja291dCcsIHN0YXRlOiAncGF5bWVudCcsIGdvOiB0cnVlLFxuICogICAgIHJlZGlyZWN0czogeyBjYXJ0OiAnL2NoZWNrb3V0L2NhcnQnIH0sIHJlZGlyZWN0VG86ICcvJyB9IH1cbiAqL1xuZXhwb3J0IGludGVyZmFjZSBJTWFjaGluZVJvdXRlRGF0YSB7XG4gICAgLy8gVGhlIG5hbWUgb2YgdGhlIG1hY2hpbmUgaW4gdGhlIHJlZ2lzdHJ5XG4gICAgbWFjaGluZTogc3RyaW5nO1xuICAgIC8vIFRoZSBzdGF0ZSB3aGljaCB0aGUgcm91dGUgc3RhbmRzIGZvcjsgdGhlIHJvdXRlIG1heSBiZSBhY3RpdmF0ZWRcbiAgICAvLyBpZiB0aGUgc3RhdGUgaXMgYWN0aXZlLCBvciB0aGUgbWFjaGluZSBjYW4gZ28gdG8gaXQuXG4gICAgc3RhdGU/OiBzdHJpbmc7XG4gICAgLy8gVGhlIHN0YXRlIHdoaWNoIHRoZSBtYWNoaW5lIGdvZXMgdG8gd2hlbiB0aGUgcm91dGUgaXMgbGVmdDtcbiAgICAvLyB0aGUgcm91dGUgbWF5IGJlIGxlZnQgb25seSBpZiB0aGUgbWFjaGluZSBjYW4gZ28gdG8gaXQuXG4gICAgZXhpdD86IHN0cmluZztcbiAgICAvLyBXaGV0aGVyIHRoZSB0cmFuc2l0aW9uIGlzIHRha2VuIGR1cmluZyB0aGUgbmF2aWdhdGlvbiwgc28gdGhhdFxuICAgIC8vIGl0cyBndWFyZCBhbmQgaXRzIGNhbGxiYWNrcywgZXZlbiBhc3luY2hyb25vdXMgb25lcywgbWF5IHN0b3BcbiAgICAvLyB0aGUgbmF2aWdhdGlvbjsgb3RoZXJ3aXNlLCBpdCBpcyBvbmx5IGNoZWNrZWQuIElmIHRoZSBuYXZpZ2F0aW9uXG4gICAgLy8gaXMgY2FuY2VsbGVkIG9yIGZhaWxzIGFmdGVyd2FyZHMsIGUuZy4sIGJ5IGFub3RoZXIgZ3VhcmQsXG4gICAgLy8gdGhlIG1hY2hpbmUgaXMgcHV0IGJhY2sgYXMgaXQgd2FzLCB3aXRob3V0IGludm9raW5nIGFueSBjYWxsYmFja3MuXG4gICAgZ28/OiBib29sZWFuO1xuICAgIC8vIFRoZSB1cmxzIHRvIHJlZGlyZWN0IHRvIHdoZW4gdGhlIHJvdXRlIG1heSBub3QgYmUgYWN0aXZhdGVkLFxuICAgIC8vIGJ5IHRoZSBjdXJyZW50IHN0YXRlcyBvZiB0aGUgbWFjaGluZS5cbiAgICByZWRpcmVjdHM/OiB7IFtrZXk6IHN0cmluZ106IHN0cmluZyB9O1xuICAgIC8vIFRoZSB1cmwgdG8gcmVkaXJlY3QgdG8gaWYgbm8gY3VycmVudCBzdGF0ZSBoYXMgYW55IHJlZGlyZWN0LlxuICAgIHJlZGlyZWN0VG8/OiBzdHJpbmc7XG59XG5cbmZ1bmN0aW9uIHJvdXRlRGF0YU9mKHJvdXRlOiBBY3RpdmF0ZWRSb3V0ZVNuYXBzaG90KTogSU1hY2hpbmVSb3V0ZURhdGEge1xuICAgIGNvbnN0IGRhdGEgPSByb3V0ZS5kYXRhICYmIHJvdXRlLmRhdGFbbWFjaGluZVJvdXRlRGF0YUtleV07XG4gICAgaWYgKCFkYXRhIHx8ICFkYXRhLm1hY2hpbmUpIHtcbiAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdVbmRlZmluZWQgcm91dGUgZGF0YTogJyArIG1hY2hpbmVSb3V0ZURhdGFLZXkpO1xuICAgIH1cbiAgICByZXR1cm4gZGF0YTtcbn1cblxuLyoqXG4gKiBEZXNjcmliZXMgaG93IHRvIHB1dCBhIG1hY2hpbmUgYmFjayBhcyBpdCB3YXMgYmVmb3JlIHRoZSBuYXZpZ2F0aW9uLFxuICogaWYgdGhlIG5hdmlnYXRpb24gZG9lcyBub3QgZW5kLlxuICovXG5pbnRlcmZhY2UgSVJvbGxiYWNrIHtcbiAgICBtYWNoaW5lOiBGaW5pdGVTdGF0ZU1hY2hpbmU8YW55LCBhbnksIGFueSwgYm9vbGVhbj47XG4gICAgLy8gVGhlIHJ1bm5pbmcgc3RhdHVzIGJlZm9yZSB0aGUgbmF2aWdhdGlvblxuICAgIHNuYXBzaG90OiBJU25hcHNob3Q7XG4gICAgLy8gVGhlIGNvbmZpZ3VyYXRpb24gd2hpY2ggdGhlIG5hdmlnYXRpb24gaGFzIHB1dCB0aGUgbWFjaGluZSBpbnRvXG4gICAgdGFrZW46IHN0cmluZztcbn1cblxuLy8gVGhlIHJvbGxiYWNrcyBvZiB0aGUgbmF2aWdhdGlvbiBpbiBwcm9ncmVzc1xuY29uc3Qgcm9sbGJhY2tzOiBBcnJheTxJUm9sbGJhY2s+ID0gW107XG5cbi8qKlxuICogQ2hlY2tzIGlmIHRoZSBtYWNoaW5lIGVuZHMgdXAgaW4gdGhlIGdpdmVuIHN0YXRlLCB0YWtpbmcgdGhlIHRyYW5zaXRpb25cbiAqIHRvIGl0IGlmIHJlcXVpcmVkLiBBIHRyYW5zaXRpb24gbWF5IGJlIHJlamVjdGVkIGJ5IGl0cyBndWFyZCwgb3JcbiAqIHZldG9lZCBieSBpdHMgY2FsbGJhY2tzLCBhbmQgbWF5IHNldHRsZSBhc3luY2hyb25vdXNseS4gQSBtYWNoaW5lXG4gKiB3aGljaCB0aHJvd3MgaW5zdGVhZCwgZS5nLiwgYXMgYW5vdGhlciB0cmFuc2l0aW9uIGlzIGluIHByb2dyZXNzLFxuICogb3IgYXMgaXQgaXMgbm90IHJ1bm5pbmcsIGRvZXMgbm90IGxldCB0aGUgbmF2aWdhdGlvbiBnbyBlaXRoZXIuXG4gKi9cbmZ1bmN0aW9uIGVudGVyU3RhdGUocm91dGVyOiBSb3V0ZXIsIG1hY2hpbmU6IEZpbml0ZVN0YXRlTWFjaGluZTxhbnksIGFueSwgYW55LCBib29sZWFuPixcbiAgICB0YXJnZXQ6IHN0cmluZywgZ286IGJvb2xlYW4pOiBQcm9taXNlPGJvb2xlYW4+IHtcbiAgICBsZXQgc25hcHNob3Q6IElTbmFwc2hvdDtcbiAgICBsZXQgb3V0Y29tZTogYW55O1xuICAgIHRyeSB7XG4gICAgICAgIGlmIChtYWNoaW5lLmlzQWN0aXZlKHRhcmdldCkpIHtcbiAgICAgICAgICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUodHJ1ZSk7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKCFtYWNoaW5lLmNhbih0YXJnZXQpKSB7XG4gICAgICAgICAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKGZhbHNlKTtcbiAgICAgICAgfVxuICAgICAgICBpZiAoIWdvKSB7XG4gICAgICAgICAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKHRydWUpO1xuICAgICAgICB9XG4gICAgICAgIHNuYXBzaG90ID0gbWFjaGluZS5zbmFwc2hvdCgpO1xuICAgICAgICBvdXRjb21lID0gbWFjaGluZS5nbyh0YXJnZXQpO1xuICAgIH0gY2F0Y2ggKGUpIHtcbiAgICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZShmYWxzZSk7XG4gICAgfVxuICAgIHJldHVybiBQcm9taXNlLnJlc29sdmUob3V0Y29tZSkudGhlbigoKSA9PiB7XG4gICAgICAgIGlmICghbWFjaGluZS5pc0FjdGl2ZSh0YXJnZXQpKSB7XG4gICAgICAgICAgICByZXR1cm4gZmFsc2U7XG4gICAgICAgIH1cbiAgICAgICAgcm9sbEJhY2tVbmxlc3NOYXZpZ2F0aW9uRW5kcyhyb3V0ZXIsIG1hY2hpbmUsIHNuYXBzaG90KTtcbiAgICAgICAgcmV0dXJuIHRydWU7XG4gICAgfSwgKCkgPT4gZmFsc2UpO1xufVxuXG4vKipcbiAqIFB1dHMgdGhlIG1hY2hpbmUgYmFjayBpbnRvIHRoZSBnaXZlbiBzbmFwc2hvdCBpZiB0aGUgbmF2aWdhdGlvblxuICogZG9lcyBub3QgZW5kLCB1bmxlc3MgdGhlIG1hY2hpbmUgaGFzIG1vdmVkIG9uIG1lYW53aGlsZS5cbiAqIFRoZSBndWFyZHMgb2YgYSBuYXZpZ2F0aW9uIG1heSB0YWtlIHNldmVyYWwgdHJhbnNpdGlvbnMgb2ZcbiAqIHRoZSBzYW1lIG1hY2hpbmUsIHdoaWNoIGFyZSByb2xsZWQgYmFjayBhdCBvbmNlLlxuICovXG5mdW5jdGlvbiByb2xsQmFja1VubGVzc05hdmlnYXRpb25FbmRzKHJvdXRlcjogUm91dGVyLCBtYWNoaW5lOiBGaW5pdGVTdGF0ZU1hY2hpbmU8YW55LCBhbnksIGFueSwgYm9vbGVhbj4sXG4gICAgc25hcHNob3Q6IElTbmFwc2hvdCkge1xuICAgIGNvbnN0IHRha2VuID0gSlNPTi5zdHJpbmdpZnkobWFjaGluZS5jb25maWd1cmF0aW9uKCkpO1xuICAgIGNvbnN0IGV4aXN0aW5nID0gcm9sbGJhY2tzLmZpbHRlcihyID0+IHIubWFjaGluZSA9PT0gbWFjaGluZSlbMF07XG4gICAgaWYgKGV4aXN0aW5nKSB7XG4gICAgICAgIGV4aXN0aW5nLnRha2VuID0gdGFrZW47XG4gICAgICAgIHJldHVybjtcbiAgICB9XG4gICAgY29uc3Qgcm9sbGJhY2s6IElSb2xsYmFjayA9IHsgbWFjaGluZTogbWFjaGluZSwgc25hcHNob3Q6IHNuYXBzaG90LCB0YWtlbjogdGFrZW4gfTtcbiAgICByb2xsYmFja3MucHVzaChyb2xsYmFjayk7XG4gICAgcm91dGVyLmV2ZW50cy5waXBlKFxuICAgICAgICBmaWx0ZXIoKGUpID0+IGUgaW5zdGFuY2VvZiBOYXZpZ2F0aW9uRW5kIHx8IGUgaW5zdGFuY2VvZiBOYXZpZ2F0aW9uQ2FuY2VsIHx8IGUgaW5zdGFuY2VvZiBOYXZpZ2F0aW9uRXJyb3IpLFxuICAgICAgICB0YWtlKDEpXG4gICAgKS5zdWJzY3JpYmUoKGUpID0+IHtcbiAgICAgICAgcm9sbGJhY2tzLnNwbGljZShyb2xsYmFja3MuaW5kZXhPZihyb2xsYmFjayksIDEpO1xuICAgICAgICBpZiAoZSBpbnN0YW5jZW9mIE5hdmlnYXRpb25FbmQgfHwgbWFjaGluZS5zdGF0dXMoKSAhPT0gJ2lkbGUnKSB7XG4gICAgICAgICAgICByZXR1cm47XG4gICAgICAgIH1cbiAgICAgICAgbGV0IGN1cnJlbnQ6IHN0cmluZztcbiAgICAgICAgdHJ5IHtcbiAgICAgICAgICAgIGN1cnJlbnQgPSBKU09OLnN0cmluZ2lmeShtYWNoaW5lLmNvbmZpZ3VyYXRpb24oKSk7XG4gICAgICAgIH0gY2F0Y2ggKGVycm9yKSB7XG4gICAgICAgICAgICAvLyBUaGUgbWFjaGluZSBoYXMgYmVlbiBkaXNwb3NlZC5cbiAgICAgICAgICAgIHJldHVybjtcbiAgICAgICAgfVxuICAgICAgICBpZiAoY3VycmVudCA9PT0gcm9sbGJhY2sudGFrZW4pIHtcbiAgICAgICAgICAgIG1hY2hpbmUucmVzdG9yZShyb2xsYmFjay5zbmFwc2hvdCk7XG4gICAgICAgIH1cbiAgICB9KTtcbn1cblxuLyoqXG4gKiBHdWFyZHMgdGhlIGFjdGl2YXRpb24gb2YgYSByb3V0ZSBieSB0aGUgc3RhdGUgd2hpY2ggdGhlIHJvdXRlIHN0YW5kcyBmb3IuXG4gKiBJZiB0aGUgcm91dGUgbWF5IG5vdCBiZSBhY3RpdmF0ZWQsIHRoZSBuYXZpZ2F0aW9uIGlzIHJlZGlyZWN0ZWRcbiAqIHRvIHRoZSB1cmwgY29uZmlndXJlZCBmb3IgdGhlIGN1cnJlbnQgc3RhdGUsIHN0YXJ0aW5nIGZyb21cbiAqIHRoZSBpbm5lcm1vc3Qgb25lLCBvciBjYW5jZWxsZWQgaWYgdGhlcmUgaXMgbm9uZS5cbiAqIEBjbGFzcyBGc21DYW5BY3RpdmF0ZUd1YXJkXG4gKi9cbkBJbmplY3RhYmxlKClcbmV4cG9ydCBjbGFzcyBGc21DYW5BY3RpdmF0ZUd1YXJkIGltcGxlbWVudHMgQ2FuQWN0aXZhdGUge1xuXG4gICAgY29uc3RydWN0b3IocHJpdmF0ZSBfcmVnaXN0cnk6IE1hY2hpbmVSZWdpc3RyeSxcbiAgICAgICAgcHJpdmF0ZSBfcm91dGVyOiBSb3V0ZXIpIHsgfVxuXG4gICAgY2FuQWN0aXZhdGUocm91dGU6IEFjdGl2YXRlZFJvdXRlU25hcHNob3QpOiBQcm9taXNlPGJvb2xlYW4gfCBVcmxUcmVlPiB7XG4gICAgICAgIGNvbnN0IGRhdGEgPSByb3V0ZURhdGFPZihyb3V0ZSk7XG4gICAgICAgIGlmICghZGF0YS5zdGF0ZSkge1xuICAgICAgICAgICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSh0cnVlKTtcbiAgICAgICAgfVxuICAgICAgICBjb25zdCBtYWNoaW5lID0gdGhpcy5fcmVnaXN0cnkuZ2V0KGRhdGEubWFjaGluZSk7XG4gICAgICAgIHJldHVybiBlbnRlclN0YXRlKHRoaXMuX3JvdXRlciwgbWFjaGluZSwgZGF0YS5zdGF0ZSwgZGF0YS5nbykudGhlbigoYWxsb3dlZCkgPT4ge1xuICAgICAgICAgICAgcmV0dXJuIGFsbG93ZWQgfHwgdGhpcy5yZWRpcmVjdChtYWNoaW5lLCBkYXRhKTtcbiAgICAgICAgfSk7XG4gICAgfVxuXG4gICAgcHJpdmF0ZSByZWRpcmVjdChtYWNoaW5lOiBGaW5pdGVTdGF0ZU1hY2hpbmU8YW55LCBhbnksIGFueSwgYm9vbGVhbj4sIGRhdGE6IElNYWNoaW5lUm91dGVEYXRhKTogYm9vbGVhbiB8IFVybFRyZWUge1xuICAgICAgICBjb25zdCByZWRpcmVjdHMgPSBkYXRhLnJlZGlyZWN0cyB8fCB7fTtcbiAgICAgICAgY29uc3QgZmFsbGJhY2sgPSBkYXRhLnJlZGlyZWN0VG8gPyB0aGlzLl9yb3V0ZXIucGFyc2VVcmwoZGF0YS5yZWRpcmVjdFRvKSA6IGZhbHNlO1xuICAgICAgICBsZXQgY29uZmlndXJhdGlvbjogeyBba2V5OiBzdHJpbmddOiBzdHJpbmcgfTtcbiAgICAgICAgdHJ5IHtcbiAgICAgICAgICAgIGNvbmZpZ3VyYXRpb24gPSBtYWNoaW5lLmNvbmZpZ3VyYXRpb24oKTtcbiAgICAgICAgfSBjYXRjaCAoZSkge1xuICAgICAgICAgICAgLy8gVGhlIG1hY2hpbmUgaXMgbm90IHJ1bm5pbmcuXG4gICAgICAgICAgICByZXR1cm4gZmFsbGJhY2s7XG4gICAgICAgIH1cbiAgICAgICAgZm9yIChjb25zdCBrIGluIGNvbmZpZ3VyYXRpb24pIHtcbiAgICAgICAgICAgIGlmIChjb25maWd1cmF0aW9uLmhhc093blByb3BlcnR5KGspKSB7XG4gICAgICAgICAgICAgICAgY29uc3QgcGF0aCA9IG1hY2hpbmUuY3VycmVudFBhdGgoayk7XG4gICAgICAgICAgICAgICAgZm9yIChsZXQgaSA9IHBhdGgubGVuZ3RoIC0gMTsgaSA+PSAwOyBpLS0pIHtcbiAgICAgICAgICAgICAgICAgICAgaWYgKHJlZGlyZWN0cy5oYXNPd25Qcm9wZXJ0eShwYXRoW2ldKSkge1xuICAgICAgICAgICAgICAgICAgICAgICAgcmV0dXJuIHRoaXMuX3JvdXRlci5wYXJzZVVybChyZWRpcmVjdHNbcGF0aFtpXV0pO1xuICAgICAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICAgIHJldHVybiBmYWxsYmFjaztcbiAgICB9XG59XG5cbi8qKlxuICogR3VhcmRzIHRoZSBkZWFjdGl2YXRpb24gb2YgYSByb3V0ZSBieSB0aGUgc3RhdGUgd2hpY2ggdGhlIG1hY2hpbmVcbiAqIGdvZXMgdG8gd2hlbiB0aGUgcm91dGUgaXMgbGVmdC4gQSByb3V0ZSB3aXRob3V0IHN1Y2ggYSBzdGF0ZVxuICogbWF5IGFsd2F5cyBiZSBsZWZ0LlxuICogQGNsYXNzIEZzbUNhbkRlYWN0aXZhdGVHdWFyZFxuICovXG5ASW5qZWN0YWJsZSgpXG5leHBvcnQgY2xhc3MgRnNtQ2FuRGVhY3RpdmF0ZUd1YXJkIGltcGxlbWVudHMgQ2FuRGVhY3RpdmF0ZTxhbnk+IHtcblxuICAgIGNvbnN0cnVjdG9yKHByaXZhdGUgX3JlZ2lzdHJ5OiBNYWNoaW5lUmVnaXN0cnksXG4gICAgICAgIHByaXZhdGUgX3JvdXRlcjogUm91dGVyKSB7IH1cblxuICAgIGNhbkRlYWN0aXZhdGUoY29tcG9uZW50OiBhbnksIHJvdXRlOiBBY3RpdmF0ZWRSb3V0ZVNuYXBzaG90KTogUHJvbWlzZTxib29sZWFuPiB7XG4gICAgICAgIGNvbnN0IGRhdGEgPSByb3V0ZURhdGFPZihyb3V0ZSk7XG4gICAgICAgIGlmICghZGF0YS5leGl0KSB7XG4gICAgICAgICAgICByZXR1cm4gUHJvbWlzZS5yZXNvbHZlKHRydWUpO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiBlbnRlclN0YXRlKHRoaXMuX3JvdXRlciwgdGhpcy5fcmVnaXN0cnkuZ2V0KGRhdGEubWFjaGluZSksIGRhdGEuZXhpdCwgZGF0YS5nbyk7XG4gICAgfVxufVxuIl19
\ No newline at end of file
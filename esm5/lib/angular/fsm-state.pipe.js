@@ -0,0 +1,131 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * @fileOverview
+ * Provides the pipe which reads the states of a finite state machine
+ * in templates.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { ChangeDetectorRef, NgZone, Pipe } from '@angular/core';
+import { isAnyStateActive } from './fsm-state.directive';
+/** @type {?} */
+var defaultRegion = 'default';
+/**
+ * Reads the states of a machine, and marks the view for check
+ * whenever the machine takes a transition, even outside the Angular zone.
+ * Without an argument, it returns the current state of the default region,
+ * e.g., {{ fsm | fsmState }}, or, if every state is in a named region,
+ * the current state of every region, e.g., {{ (fsm | fsmState).left }},
+ * which is the same object until the machine takes another transition;
+ * given a state or a list of states, it returns whether any of them
+ * is active, e.g., [class.busy]="fsm | fsmState: ['loading', 'saving']".
+ */
+var FsmStatePipe = /** @class */ (function () {
+    function FsmStatePipe(_changeDetector, _zone) {
+        this._changeDetector = _changeDetector;
+        this._zone = _zone;
+        this._machine = null;
+        this._subscription = null;
+        this._configuration = null;
+    }
+    /**
+     * @param {?} machine
+     * @param {?=} states
+     * @return {?}
+     */
+    FsmStatePipe.prototype.transform = /**
+     * @param {?} machine
+     * @param {?=} states
+     * @return {?}
+     */
+    function (machine, states) {
+        var _this = this;
+        if (machine !== this._machine) {
+            this.unsubscribe();
+            this._machine = machine;
+            this._configuration = null;
+            if (machine) {
+                this._subscription = machine.configuration$.subscribe(function (configuration) {
+                    _this._configuration = configuration;
+                    _this._zone.run(function () { return _this._changeDetector.markForCheck(); });
+                });
+            }
+        }
+        if (states !== undefined) {
+            return isAnyStateActive(machine, states);
+        }
+        /** @type {?} */
+        var current = this._configuration;
+        if (!current) {
+            return null;
+        }
+        return current.hasOwnProperty(defaultRegion) ? current[defaultRegion] : current;
+    };
+    /**
+     * @return {?}
+     */
+    FsmStatePipe.prototype.ngOnDestroy = /**
+     * @return {?}
+     */
+    function () {
+        this.unsubscribe();
+    };
+    /**
+     * @private
+     * @return {?}
+     */
+    FsmStatePipe.prototype.unsubscribe = /**
+     * @private
+     * @return {?}
+     */
+    function () {
+        if (this._subscription) {
+            this._subscription.unsubscribe();
+            this._subscription = null;
+        }
+    };
+    FsmStatePipe.decorators = [
+        { type: Pipe, args: [{
+                    name: 'fsmState',
+                    pure: false
+                },] }
+    ];
+    /** @nocollapse */
+    FsmStatePipe.ctorParameters = function () { return [
+        { type: ChangeDetectorRef },
+        { type: NgZone }
+    ]; };
+    return FsmStatePipe;
+}());
+export { FsmStatePipe };
+if (false) {
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmStatePipe.prototype._machine;
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmStatePipe.prototype._subscription;
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmStatePipe.prototype._configuration;
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmStatePipe.prototype._changeDetector;
+    /**
+     * @type {?}
+     * @private
+     */
+    FsmStatePipe.prototype._zone;
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZnNtLXN0YXRlLnBpcGUuanMiLCJzb3VyY2VSb290Ijoibmc6Ly9AcG9scHdhcmUvZmUtYmVoYXZpb3IvIiwic291cmNlcyI6WyJsaWIvYW5ndWxhci9mc20tc3RhdGUucGlwZS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7OztBQU9BLE9BQU8sRUFBRSxpQkFBaUIsRUFBRSxNQUFNLEVBQWEsSUFBSSxFQUFpQixNQUFNLGVBQWUsQ0FBQztBQUcxRixPQUFPLEVBQUUsZ0JBQWdCLEVBQUUsTUFBTSx1QkFBdUIsQ0FBQzs7SUFFbkQsYUFBYSxHQUFHLFNBQVM7Ozs7Ozs7Ozs7O0FBYS9CO0lBV0ksc0JBQW9CLGVBQWtDLEVBQzFDLEtBQWE7UUFETCxvQkFBZSxHQUFmLGVBQWUsQ0FBbUI7UUFDMUMsVUFBSyxHQUFMLEtBQUssQ0FBUTtRQUNyQixJQUFJLENBQUMsUUFBUSxHQUFHLElBQUksQ0FBQztRQUNyQixJQUFJLENBQUMsYUFBYSxHQUFHLElBQUksQ0FBQztRQUMxQixJQUFJLENBQUMsY0FBYyxHQUFHLElBQUksQ0FBQztJQUMvQixDQUFDOzs7Ozs7SUFJRCxnQ0FBUzs7Ozs7SUFBVCxVQUFVLE9BQW1ELEVBQ3pELE1BQStCO1FBRG5DLGlCQXFCQztRQW5CRyxJQUFJLE9BQU8sS0FBSyxJQUFJLENBQUMsUUFBUSxFQUFFO1lBQzNCLElBQUksQ0FBQyxXQUFXLEVBQUUsQ0FBQztZQUNuQixJQUFJLENBQUMsUUFBUSxHQUFHLE9BQU8sQ0FBQztZQUN4QixJQUFJLENBQUMsY0FBYyxHQUFHLElBQUksQ0FBQztZQUMzQixJQUFJLE9BQU8sRUFBRTtnQkFDVCxJQUFJLENBQUMsYUFBYSxHQUFHLE9BQU8sQ0FBQyxjQUFjLENBQUMsU0FBUyxDQUFDLFVBQUMsYUFBYTtvQkFDaEUsS0FBSSxDQUFDLGNBQWMsR0FBRyxhQUFhLENBQUM7b0JBQ3BDLEtBQUksQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLGNBQU0sT0FBQSxLQUFJLENBQUMsZUFBZSxDQUFDLFlBQVksRUFBRSxFQUFuQyxDQUFtQyxDQUFDLENBQUM7Z0JBQzlELENBQUMsQ0FBQyxDQUFDO2FBQ047U0FDSjtRQUNELElBQUksTUFBTSxLQUFLLFNBQVMsRUFBRTtZQUN0QixPQUFPLGdCQUFnQixDQUFDLE9BQU8sRUFBRSxNQUFNLENBQUMsQ0FBQztTQUM1Qzs7WUFDSyxPQUFPLEdBQUcsSUFBSSxDQUFDLGNBQWM7UUFDbkMsSUFBSSxDQUFDLE9BQU8sRUFBRTtZQUNWLE9BQU8sSUFBSSxDQUFDO1NBQ2Y7UUFDRCxPQUFPLE9BQU8sQ0FBQyxjQUFjLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxhQUFhLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDO0lBQ3BGLENBQUM7Ozs7SUFFRCxrQ0FBVzs7O0lBQVg7UUFDSSxJQUFJLENBQUMsV0FBVyxFQUFFLENBQUM7SUFDdkIsQ0FBQzs7Ozs7SUFFTyxrQ0FBVzs7OztJQUFuQjtRQUNJLElBQUksSUFBSSxDQUFDLGFBQWEsRUFBRTtZQUNwQixJQUFJLENBQUMsYUFBYSxDQUFDLFdBQVcsRUFBRSxDQUFDO1lBQ2pDLElBQUksQ0FBQyxhQUFhLEdBQUcsSUFBSSxDQUFDO1NBQzdCO0lBQ0wsQ0FBQzs7Z0JBcERKLElBQUksU0FBQztvQkFDRixJQUFJLEVBQUUsVUFBVTtvQkFDaEIsSUFBSSxFQUFFLEtBQUs7aUJBQ2Q7Ozs7Z0JBckJRLGlCQUFpQjtnQkFBRSxNQUFNOztJQXVFbEMsbUJBQUM7Q0FBQSxBQXJERCxJQXFEQztTQWpEWSxZQUFZOzs7Ozs7SUFFckIsZ0NBQTZEOzs7OztJQUM3RCxxQ0FBb0M7Ozs7O0lBRXBDLHNDQUFrRDs7Ozs7SUFFdEMsdUNBQTBDOzs7OztJQUNsRCw2QkFBcUIiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBmaWxlT3ZlcnZpZXdcbiAqIFByb3ZpZGVzIHRoZSBwaXBlIHdoaWNoIHJlYWRzIHRoZSBzdGF0ZXMgb2YgYSBmaW5pdGUgc3RhdGUgbWFjaGluZVxuICogaW4gdGVtcGxhdGVzLlxuICogQGF1dGhvciBYaWFvbG9uZyBUYW5nIDx4eGxvbmd0YW5nQGdtYWlsLmNvbT5cbiAqIEBsaWNlbnNlIENvcHlyaWdodCBAbWVcbiAqL1xuaW1wb3J0IHsgQ2hhbmdlRGV0ZWN0b3JSZWYsIE5nWm9uZSwgT25EZXN0cm95LCBQaXBlLCBQaXBlVHJhbnNmb3JtIH0gZnJvbSAnQGFuZ3VsYXIvY29yZSc7XG5pbXBvcnQgeyBTdWJzY3JpcHRpb24gfSBmcm9tICdyeGpzJztcbmltcG9ydCB7IEZpbml0ZVN0YXRlTWFjaGluZSB9IGZyb20gJy4uL3N0YXRlL2Zpbml0ZS1zdGF0ZS1tYWNoaW5lJztcbmltcG9ydCB7IGlzQW55U3RhdGVBY3RpdmUgfSBmcm9tICcuL2ZzbS1zdGF0ZS5kaXJlY3RpdmUnO1xuXG5jb25zdCBkZWZhdWx0UmVnaW9uID0gJ2RlZmF1bHQnO1xuXG4vKipcbiAqIFJlYWRzIHRoZSBzdGF0ZXMgb2YgYSBtYWNoaW5lLCBhbmQgbWFya3MgdGhlIHZpZXcgZm9yIGNoZWNrXG4gKiB3aGVuZXZlciB0aGUgbWFjaGluZSB0YWtlcyBhIHRyYW5zaXRpb24sIGV2ZW4gb3V0c2lkZSB0aGUgQW5ndWxhciB6b25lLlxuICogV2l0aG91dCBhbiBhcmd1bWVudCwgaXQgcmV0dXJucyB0aGUgY3VycmVudCBzdGF0ZSBvZiB0aGUgZGVmYXVsdCByZWdpb24sXG4gKiBlLmcuLCB7eyBmc20gfCBmc21TdGF0ZSB9fSwgb3IsIGlmIGV2ZXJ5IHN0YXRlIGlzIGluIGEgbmFtZWQgcmVnaW9uLFxuICogdGhlIGN1cnJlbnQgc3RhdGUgb2YgZXZlcnkgcmVnaW9uLCBlLmcuLCB7eyAoZnNtIHwgZnNtU3RhdGUpLmxlZnQgfX0sXG4gKiB3aGljaCBpcyB0aGUgc2FtZSBvYmplY3QgdW50aWwgdGhlIG1hY2hpbmUgdGFrZXMgYW5vdGhlciB0cmFuc2l0aW9uO1xuICogZ2l2ZW4gYSBzdGF0ZSBvciBhIGxpc3Qgb2Ygc3RhdGVzLCBpdCByZXR1cm5zIHdoZXRoZXIgYW55IG9mIHRoZW1cbiAqIGlzIGFjdGl2ZSwgZS5nLiwgW2NsYXNzLmJ1c3ldPVwiZnNtIHwgZnNtU3RhdGU6IFsnbG9hZGluZycsICdzYXZpbmcnXVwiLlxuICogQGNsYXNzIEZzbVN0YXRlUGlwZVxuICovXG5AUGlwZSh7XG4gICAgbmFtZTogJ2ZzbVN0YXRlJyxcbiAgICBwdXJlOiBmYWxzZVxufSlcbmV4cG9ydCBjbGFzcyBGc21TdGF0ZVBpcGUgaW1wbGVtZW50cyBQaXBlVHJhbnNmb3JtLCBPbkRlc3Ryb3kge1xuXG4gICAgcHJpdmF0ZSBfbWFjaGluZTogRmluaXRlU3RhdGVNYWNoaW5lPGFueSwgYW55LCBhbnksIGJvb2xlYW4+O1xuICAgIHByaXZhdGUgX3N1YnNjcmlwdGlvbjogU3Vic2NyaXB0aW9uO1xuICAgIC8vIFRoZSBjb25maWd1cmF0aW9uIGFzIG9mIHRoZSBsYXN0IHRyYW5zaXRpb25cbiAgICBwcml2YXRlIF9jb25maWd1cmF0aW9uOiB7IFtrZXk6IHN0cmluZ106IHN0cmluZyB9O1xuXG4gICAgY29uc3RydWN0b3IocHJpdmF0ZSBfY2hhbmdlRGV0ZWN0b3I6IENoYW5nZURldGVjdG9yUmVmLFxuICAgICAgICBwcml2YXRlIF96b25lOiBOZ1pvbmUpIHtcbiAgICAgICAgdGhpcy5fbWFjaGluZSA9IG51bGw7XG4gICAgICAgIHRoaXMuX3N1YnNjcmlwdGlvbiA9IG51bGw7XG4gICAgICAgIHRoaXMuX2NvbmZpZ3VyYXRpb24gPSBudWxsO1xuICAgIH1cblxuICAgIHRyYW5zZm9ybShtYWNoaW5lOiBGaW5pdGVTdGF0ZU1hY2hpbmU8YW55LCBhbnksIGFueSwgYm9vbGVhbj4pOiBzdHJpbmcgfCB7IFtyZWdpb246IHN0cmluZ106IHN0cmluZyB9O1xuICAgIHRyYW5zZm9ybShtYWNoaW5lOiBGaW5pdGVTdGF0ZU1hY2hpbmU8YW55LCBhbnksIGFueSwgYm9vbGVhbj4sIHN0YXRlczogc3RyaW5nIHwgQXJyYXk8c3RyaW5nPik6IGJvb2xlYW47XG4gICAgdHJhbnNmb3JtKG1hY2hpbmU6IEZpbml0ZVN0YXRlTWFjaGluZTxhbnksIGFueSwgYW55LCBib29sZWFuPixcbiAgICAgICAgc3RhdGVzPzogc3RyaW5nIHwgQXJyYXk8c3RyaW5nPik6IHN0cmluZyB8IHsgW3JlZ2lvbjogc3RyaW5nXTogc3RyaW5nIH0gfCBib29sZWFuIHtcbiAgICAgICAgaWYgKG1hY2hpbmUgIT09IHRoaXMuX21hY2hpbmUpIHtcbiAgICAgICAgICAgIHRoaXMudW5zdWJzY3JpYmUoKTtcbiAgICAgICAgICAgIHRoaXMuX21hY2hpbmUgPSBtYWNoaW5lO1xuICAgICAgICAgICAgdGhpcy5fY29uZmlndXJhdGlvbiA9IG51bGw7XG4gICAgICAgICAgICBpZiAobWFjaGluZSkge1xuICAgICAgICAgICAgICAgIHRoaXMuX3N1YnNjcmlwdGlvbiA9IG1hY2hpbmUuY29uZmlndXJhdGlvbiQuc3Vic2NyaWJlKChjb25maWd1cmF0aW9uKSA9PiB7XG4gICAgICAgICAgICAgICAgICAgIHRoaXMuX2NvbmZpZ3VyYXRpb24gPSBjb25maWd1cmF0aW9uO1xuICAgICAgICAgICAgICAgICAgICB0aGlzLl96b25lLnJ1bigoKSA9PiB0aGlzLl9jaGFuZ2VEZXRlY3Rvci5tYXJrRm9yQ2hlY2soKSk7XG4gICAgICAgICAgICAgICAgfSk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgICAgaWYgKHN0YXRlcyAhPT0gdW5kZWZpbmVkKSB7XG4gICAgICAgICAgICByZXR1cm4gaXNBbnlTdGF0ZUFjdGl2ZShtYWNoaW5lLCBzdGF0ZXMpO1xuICAgICAgICB9XG4gICAgICAgIGNvbnN0IGN1cnJlbnQgPSB0aGlzLl9jb25maWd1cmF0aW9uO1xuICAgICAgICBpZiAoIWN1cnJlbnQpIHtcbiAgICAgICAgICAgIHJldHVybiBudWxsO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiBjdXJyZW50Lmhhc093blByb3BlcnR5KGRlZmF1bHRSZWdpb24pID8gY3VycmVudFtkZWZhdWx0UmVnaW9uXSA6IGN1cnJlbnQ7XG4gICAgfVxuXG4gICAgbmdPbkRlc3Ryb3koKSB7XG4gICAgICAgIHRoaXMudW5zdWJzY3JpYmUoKTtcbiAgICB9XG5cbiAgICBwcml2YXRlIHVuc3Vic2NyaWJlKCkge1xuICAgICAgICBpZiAodGhpcy5fc3Vic2NyaXB0aW9uKSB7XG4gICAgICAgICAgICB0aGlzLl9zdWJzY3JpcHRpb24udW5zdWJzY3JpYmUoKTtcbiAgICAgICAgICAgIHRoaXMuX3N1YnNjcmlwdGlvbiA9IG51bGw7XG4gICAgICAgIH1cbiAgICB9XG59XG4iXX0=
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * @fileOverview
+ * Provides the execution strategy which runs finite state machines
+ * outside the Angular zone.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { Injectable, NgZone } from '@angular/core';
+/**
+ * Runs the work of a machine outside the Angular zone, so that
+ * the transitions do not trigger change detection by themselves,
+ * and re-enters the zone only to notify the handlers and the subscribers,
+ * e.g., the fsmState directive and pipe. To be used by the machines
+ * of a registry, it is provided under MACHINE_EXECUTION_STRATEGY, e.g.,
+ * { provide: MACHINE_EXECUTION_STRATEGY, useClass: NgZoneExecutionStrategy }
+ */
+var NgZoneExecutionStrategy = /** @class */ (function () {
+    function NgZoneExecutionStrategy(_zone) {
+        this._zone = _zone;
+    }
+    /**
+     * @template T
+     * @param {?} work
+     * @return {?}
+     */
+    NgZoneExecutionStrategy.prototype.execute = /**
+     * @template T
+     * @param {?} work
+     * @return {?}
+     */
+    function (work) {
+        return this._zone.runOutsideAngular(work);
+    };
+    /**
+     * @param {?} delivery
+     * @return {?}
+     */
+    NgZoneExecutionStrategy.prototype.notify = /**
+     * @param {?} delivery
+     * @return {?}
+     */
+    function (delivery) {
+        if (NgZone.isInAngularZone()) {
+            delivery();
+        }
+        else {
+            this._zone.run(delivery);
+        }
+    };
+    NgZoneExecutionStrategy.decorators = [
+        { type: Injectable }
+    ];
+    /** @nocollapse */
+    NgZoneExecutionStrategy.ctorParameters = function () { return [
+        { type: NgZone }
+    ]; };
+    return NgZoneExecutionStrategy;
+}());
+export { NgZoneExecutionStrategy };
+if (false) {
+    /**
+     * @type {?}
+     * @private
+     */
+    NgZoneExecutionStrategy.prototype._zone;
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibmctem9uZS1leGVjdXRpb24tc3RyYXRlZ3kuanMiLCJzb3VyY2VSb290Ijoibmc6Ly9AcG9scHdhcmUvZmUtYmVoYXZpb3IvIiwic291cmNlcyI6WyJsaWIvYW5ndWxhci9uZy16b25lLWV4ZWN1dGlvbi1zdHJhdGVneS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7OztBQU9BLE9BQU8sRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFFLE1BQU0sZUFBZSxDQUFDOzs7Ozs7Ozs7QUFZbkQ7SUFHSSxpQ0FBb0IsS0FBYTtRQUFiLFVBQUssR0FBTCxLQUFLLENBQVE7SUFBSSxDQUFDOzs7Ozs7SUFFdEMseUNBQU87Ozs7O0lBQVAsVUFBVyxJQUFhO1FBQ3BCLE9BQU8sSUFBSSxDQUFDLEtBQUssQ0FBQyxpQkFBaUIsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUM5QyxDQUFDOzs7OztJQUVELHdDQUFNOzs7O0lBQU4sVUFBTyxRQUFvQjtRQUN2QixJQUFJLE1BQU0sQ0FBQyxlQUFlLEVBQUUsRUFBRTtZQUMxQixRQUFRLEVBQUUsQ0FBQztTQUNkO2FBQU07WUFDSCxJQUFJLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsQ0FBQztTQUM1QjtJQUNMLENBQUM7O2dCQWZKLFVBQVU7Ozs7Z0JBWlUsTUFBTTs7SUE0QjNCLDhCQUFDO0NBQUEsQUFoQkQsSUFnQkM7U0FmWSx1QkFBdUI7Ozs7OztJQUVwQix3Q0FBcUIiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBmaWxlT3ZlcnZpZXdcbiAqIFByb3ZpZGVzIHRoZSBleGVjdXRpb24gc3RyYXRlZ3kgd2hpY2ggcnVucyBmaW5pdGUgc3RhdGUgbWFjaGluZXNcbiAqIG91dHNpZGUgdGhlIEFuZ3VsYXIgem9uZS5cbiAqIEBhdXRob3IgWGlhb2xvbmcgVGFuZyA8eHhsb25ndGFuZ0BnbWFpbC5jb20+XG4gKiBAbGljZW5zZSBDb3B5cmlnaHQgQG1lXG4gKi9cbmltcG9ydCB7IEluamVjdGFibGUsIE5nWm9uZSB9IGZyb20gJ0Bhbmd1bGFyL2NvcmUnO1xuaW1wb3J0IHsgSUV4ZWN1dGlvblN0cmF0ZWd5IH0gZnJvbSAnLi4vc3RhdGUvZXhlY3V0aW9uLXN0cmF0ZWd5JztcblxuLyoqXG4gKiBSdW5zIHRoZSB3b3JrIG9mIGEgbWFjaGluZSBvdXRzaWRlIHRoZSBBbmd1bGFyIHpvbmUsIHNvIHRoYXRcbiAqIHRoZSB0cmFuc2l0aW9ucyBkbyBub3QgdHJpZ2dlciBjaGFuZ2UgZGV0ZWN0aW9uIGJ5IHRoZW1zZWx2ZXMsXG4gKiBhbmQgcmUtZW50ZXJzIHRoZSB6b25lIG9ubHkgdG8gbm90aWZ5IHRoZSBoYW5kbGVycyBhbmQgdGhlIHN1YnNjcmliZXJzLFxuICogZS5nLiwgdGhlIGZzbVN0YXRlIGRpcmVjdGl2ZSBhbmQgcGlwZS4gVG8gYmUgdXNlZCBieSB0aGUgbWFjaGluZXNcbiAqIG9mIGEgcmVnaXN0cnksIGl0IGlzIHByb3ZpZGVkIHVuZGVyIE1BQ0hJTkVfRVhFQ1VUSU9OX1NUUkFURUdZLCBlLmcuLFxuICogeyBwcm92aWRlOiBNQUNISU5FX0VYRUNVVElPTl9TVFJBVEVHWSwgdXNlQ2xhc3M6IE5nWm9uZUV4ZWN1dGlvblN0cmF0ZWd5IH1cbiAqIEBjbGFzcyBOZ1pvbmVFeGVjdXRpb25TdHJhdGVneVxuICovXG5ASW5qZWN0YWJsZSgpXG5leHBvcnQgY2xhc3MgTmdab25lRXhlY3V0aW9uU3RyYXRlZ3kgaW1wbGVtZW50cyBJRXhlY3V0aW9uU3RyYXRlZ3kge1xuXG4gICAgY29uc3RydWN0b3IocHJpdmF0ZSBfem9uZTogTmdab25lKSB7IH1cblxuICAgIGV4ZWN1dGU8VD4od29yazogKCkgPT4gVCk6IFQge1xuICAgICAgICByZXR1cm4gdGhpcy5fem9uZS5ydW5PdXRzaWRlQW5ndWxhcih3b3JrKTtcbiAgICB9XG5cbiAgICBub3RpZnkoZGVsaXZlcnk6ICgpID0+IHZvaWQpIHtcbiAgICAgICAgaWYgKE5nWm9uZS5pc0luQW5ndWxhclpvbmUoKSkge1xuICAgICAgICAgICAgZGVsaXZlcnkoKTtcbiAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgIHRoaXMuX3pvbmUucnVuKGRlbGl2ZXJ5KTtcbiAgICAgICAgfVxuICAgIH1cbn1cbiJdfQ==
\ No newline at end of file
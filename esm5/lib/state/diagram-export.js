@@ -0,0 +1,329 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * @fileOverview
+ * Provides the exporters rendering the definition of a finite state machine
+ * as Graphviz DOT and Mermaid (stateDiagram-v2) text.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { parentsOf } from './machine-definition';
+/** @type {?} */
+var defaultRegion = 'default';
+/** @type {?} */
+var highlightColor = '#ffe08a';
+/** @type {?} */
+var highlightBorderColor = '#cc9a06';
+/**
+ * Options for rendering a diagram.
+ * @record
+ */
+export function IDiagramOptions() { }
+if (false) {
+    /** @type {?|undefined} */
+    IDiagramOptions.prototype.active;
+}
+/**
+ * @record
+ */
+function IStateNode() { }
+if (false) {
+    /** @type {?} */
+    IStateNode.prototype.name;
+    /** @type {?} */
+    IStateNode.prototype.children;
+    /** @type {?|undefined} */
+    IStateNode.prototype.initial;
+    /** @type {?|undefined} */
+    IStateNode.prototype.final;
+    /** @type {?} */
+    IStateNode.prototype.histories;
+}
+/**
+ * @record
+ */
+function IContainer() { }
+if (false) {
+    /** @type {?} */
+    IContainer.prototype.roots;
+    /** @type {?|undefined} */
+    IContainer.prototype.initial;
+}
+/**
+ * Arranges the states of a definition into a tree for each region,
+ * following the same nesting rules as the FSM does.
+ * @param {?} definition
+ * @return {?}
+ */
+function buildTree(definition) {
+    /** @type {?} */
+    var nodes = {};
+    /** @type {?} */
+    var regionOf = {};
+    /** @type {?} */
+    var regions = {};
+    regions[defaultRegion] = { roots: [], initial: definition.initial };
+    (definition.regions || []).forEach(function (r) {
+        regions[r.name] = { roots: [], initial: r.initial };
+    });
+    /** @type {?} */
+    var parents = parentsOf(definition);
+    definition.states.forEach(function (st) {
+        /** @type {?} */
+        var parent = parents[st.name];
+        nodes[st.name] = { name: st.name, children: [], initial: st.initial, final: st.final, histories: [] };
+        if (parent && nodes[parent]) {
+            nodes[parent].children.push(st.name);
+            regionOf[st.name] = regionOf[parent];
+        }
+        else {
+            /** @type {?} */
+            var region = st.region || defaultRegion;
+            regions[region] = regions[region] || { roots: [] };
+            regions[region].roots.push(st.name);
+            regionOf[st.name] = region;
+        }
+    });
+    (definition.historyStates || []).forEach(function (h) {
+        if (nodes[h.parent]) {
+            nodes[h.parent].histories.push(h);
+        }
+    });
+    return { nodes: nodes, regions: regions };
+}
+/**
+ * @param {?} history
+ * @return {?}
+ */
+function historyLabelOf(history) {
+    return history.deep ? 'H*' : 'H';
+}
+/**
+ * @param {?} transition
+ * @return {?}
+ */
+function labelOf(transition) {
+    // The same name as the FSM gives to the transition
+    /** @type {?} */
+    var label = transition.from + '2' + transition.to;
+    if (transition.event) {
+        label += ' (' + transition.event + ')';
+    }
+    if (transition.guard) {
+        label += ' [' + transition.guard + ']';
+    }
+    if (transition.delay !== undefined && transition.delay !== null) {
+        label += ' after ' + transition.delay + 'ms';
+    }
+    return label;
+}
+/**
+ * @param {?} value
+ * @return {?}
+ */
+function quote(value) {
+    return '"' + value.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+/**
+ * Renders a definition as a Graphviz DOT graph. A compound state is
+ * rendered as a cluster, and an orthogonal region as a dashed cluster.
+ * @param {?} definition
+ * @param {?=} options
+ * @return {?}
+ */
+export function renderDot(definition, options) {
+    /** @type {?} */
+    var active = (options && options.active) || [];
+    /** @type {?} */
+    var tree = buildTree(definition);
+    /** @type {?} */
+    var nodes = tree.nodes;
+    /** @type {?} */
+    var lines = [];
+    /** @type {?} */
+    var indent = function (depth) { return new Array(depth + 1).join('    '); };
+    /** @type {?} */
+    var clusterOf = function (name) { return 'cluster_' + name; };
+    /** @type {?} */
+    var writeInit = function (scope, target, depth) {
+        if (!target || !nodes[target]) {
+            return;
+        }
+        /** @type {?} */
+        var point = '__init__' + scope;
+        /** @type {?} */
+        var attrs = nodes[target].children.length ? ' [lhead=' + quote(clusterOf(target)) + ']' : '';
+        lines.push(indent(depth) + quote(point) + ' [shape=point];');
+        lines.push(indent(depth) + quote(point) + ' -> ' + quote(target) + attrs + ';');
+    };
+    /** @type {?} */
+    var writeState = function (name, depth) {
+        /** @type {?} */
+        var node = nodes[name];
+        /** @type {?} */
+        var highlighted = active.indexOf(name) >= 0;
+        if (!node.children.length) {
+            /** @type {?} */
+            var attrs = [];
+            if (node.final) {
+                attrs.push('peripheries=2');
+            }
+            if (highlighted) {
+                attrs.push('style="rounded,filled"', 'fillcolor=' + quote(highlightColor));
+            }
+            lines.push(indent(depth) + quote(name) + (attrs.length ? ' [' + attrs.join(', ') + ']' : '') + ';');
+            return;
+        }
+        // The invisible node is the anchor of the transitions
+        // from or to the compound state.
+        lines.push(indent(depth) + 'subgraph ' + quote(clusterOf(name)) + ' {');
+        lines.push(indent(depth + 1) + 'label=' + quote(name) + ';');
+        if (highlighted) {
+            lines.push(indent(depth + 1) + 'style=bold;');
+            lines.push(indent(depth + 1) + 'color=' + quote(highlightBorderColor) + ';');
+        }
+        lines.push(indent(depth + 1) + quote(name) + ' [shape=point, style=invis];');
+        writeInit(name, node.initial, depth + 1);
+        node.children.forEach(function (child) { return writeState(child, depth + 1); });
+        node.histories.forEach(function (h) {
+            lines.push(indent(depth + 1) + quote(h.name) + ' [shape=circle, label=' + quote(historyLabelOf(h)) + '];');
+            if (h.defaultTarget && nodes[h.defaultTarget]) {
+                /** @type {?} */
+                var attrs = nodes[h.defaultTarget].children.length ? ', lhead=' + quote(clusterOf(h.defaultTarget)) : '';
+                lines.push(indent(depth + 1) + quote(h.name) + ' -> ' + quote(h.defaultTarget) + ' [style=dashed' + attrs + '];');
+            }
+        });
+        lines.push(indent(depth) + '}');
+    };
+    lines.push('digraph fsm {');
+    lines.push(indent(1) + 'compound=true;');
+    lines.push(indent(1) + 'rankdir=LR;');
+    lines.push(indent(1) + 'node [shape=box, style=rounded];');
+    for (var k in tree.regions) {
+        if (tree.regions.hasOwnProperty(k)) {
+            /** @type {?} */
+            var region = tree.regions[k];
+            if (k === defaultRegion) {
+                writeInit(k, region.initial, 1);
+                region.roots.forEach(function (name) { return writeState(name, 1); });
+            }
+            else {
+                lines.push(indent(1) + 'subgraph ' + quote('cluster_region_' + k) + ' {');
+                lines.push(indent(2) + 'label=' + quote(k) + ';');
+                lines.push(indent(2) + 'style=dashed;');
+                writeInit('region_' + k, region.initial, 2);
+                region.roots.forEach(function (name) { return writeState(name, 2); });
+                lines.push(indent(1) + '}');
+            }
+        }
+    }
+    (definition.transitions || []).forEach(function (tr) {
+        /** @type {?} */
+        var attrs = ['label=' + quote(labelOf(tr))];
+        if (nodes[tr.from] && nodes[tr.from].children.length) {
+            attrs.push('ltail=' + quote(clusterOf(tr.from)));
+        }
+        if (nodes[tr.to] && nodes[tr.to].children.length) {
+            attrs.push('lhead=' + quote(clusterOf(tr.to)));
+        }
+        lines.push(indent(1) + quote(tr.from) + ' -> ' + quote(tr.to) + ' [' + attrs.join(', ') + '];');
+    });
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+/**
+ * Renders a definition as a Mermaid state diagram (stateDiagram-v2).
+ * The states are given generated identifiers, as state names
+ * may contain characters which Mermaid does not accept.
+ * @param {?} definition
+ * @param {?=} options
+ * @return {?}
+ */
+export function renderMermaid(definition, options) {
+    /** @type {?} */
+    var active = (options && options.active) || [];
+    /** @type {?} */
+    var tree = buildTree(definition);
+    /** @type {?} */
+    var nodes = tree.nodes;
+    /** @type {?} */
+    var ids = {};
+    definition.states.forEach(function (st, i) {
+        ids[st.name] = 's' + i;
+    });
+    (definition.historyStates || []).forEach(function (h, i) {
+        ids[h.name] = 'h' + i;
+    });
+    /** @type {?} */
+    var lines = [];
+    /** @type {?} */
+    var indent = function (depth) { return new Array(depth + 1).join('    '); };
+    /** @type {?} */
+    var sanitize = function (value) { return value.replace(/[\r\n]+/g, ' '); };
+    /** @type {?} */
+    var writeInit = function (target, depth) {
+        if (target && nodes[target]) {
+            lines.push(indent(depth) + '[*] --> ' + ids[target]);
+        }
+    };
+    /** @type {?} */
+    var writeState = function (name, depth) {
+        /** @type {?} */
+        var node = nodes[name];
+        lines.push(indent(depth) + 'state ' + JSON.stringify(name) + ' as ' + ids[name]);
+        if (node.final) {
+            lines.push(indent(depth) + ids[name] + ' --> [*]');
+        }
+        if (node.children.length) {
+            lines.push(indent(depth) + 'state ' + ids[name] + ' {');
+            writeInit(node.initial, depth + 1);
+            node.children.forEach(function (child) { return writeState(child, depth + 1); });
+            node.histories.forEach(function (h) {
+                /** @type {?} */
+                var label = h.name + ' (' + historyLabelOf(h) + ')';
+                lines.push(indent(depth + 1) + 'state ' + JSON.stringify(label) + ' as ' + ids[h.name]);
+                if (h.defaultTarget && ids[h.defaultTarget]) {
+                    lines.push(indent(depth + 1) + ids[h.name] + ' --> ' + ids[h.defaultTarget] + ' : default');
+                }
+            });
+            lines.push(indent(depth) + '}');
+        }
+    };
+    lines.push('stateDiagram-v2');
+    /** @type {?} */
+    var regionIndex = 0;
+    for (var k in tree.regions) {
+        if (tree.regions.hasOwnProperty(k)) {
+            /** @type {?} */
+            var region = tree.regions[k];
+            if (k === defaultRegion) {
+                writeInit(region.initial, 1);
+                region.roots.forEach(function (name) { return writeState(name, 1); });
+            }
+            else {
+                /** @type {?} */
+                var regionId = 'r' + regionIndex++;
+                lines.push(indent(1) + 'state ' + JSON.stringify(k) + ' as ' + regionId);
+                lines.push(indent(1) + 'state ' + regionId + ' {');
+                writeInit(region.initial, 2);
+                region.roots.forEach(function (name) { return writeState(name, 2); });
+                lines.push(indent(1) + '}');
+            }
+        }
+    }
+    (definition.transitions || []).forEach(function (tr) {
+        if (ids[tr.from] && ids[tr.to]) {
+            lines.push(indent(1) + ids[tr.from] + ' --> ' + ids[tr.to] + ' : ' + sanitize(labelOf(tr)));
+        }
+    });
+    /** @type {?} */
+    var highlighted = active.filter(function (name) { return ids[name]; }).map(function (name) { return ids[name]; });
+    if (highlighted.length) {
+        lines.push(indent(1) + 'classDef active fill:' + highlightColor);
+        lines.push(indent(1) + 'class ' + highlighted.join(',') + ' active');
+    }
+    return lines.join('\n') + '\n';
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZGlhZ3JhbS1leHBvcnQuanMiLCJzb3VyY2VSb290Ijoibmc6Ly9AcG9scHdhcmUvZmUtYmVoYXZpb3IvIiwic291cmNlcyI6WyJsaWIvc3RhdGUvZGlhZ3JhbS1leHBvcnQudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7QUFPQSxPQUFPLEVBSUgsU0FBUyxFQUNaLE1BQU0sc0JBQXNCLENBQUM7O0lBRXhCLGFBQWEsR0FBRyxTQUFTOztJQUN6QixjQUFjLEdBQUcsU0FBUzs7SUFDMUIsb0JBQW9CLEdBQUcsU0FBUzs7Ozs7QUFLdEMscUNBR0M7OztJQURHLGlDQUF1Qjs7Ozs7QUFHM0IseUJBTUM7OztJQUxHLDBCQUFhOztJQUNiLDhCQUF3Qjs7SUFDeEIsNkJBQWlCOztJQUNqQiwyQkFBZ0I7O0lBQ2hCLCtCQUEwQzs7Ozs7QUFHOUMseUJBSUM7OztJQUZHLDJCQUFxQjs7SUFDckIsNkJBQWlCOzs7Ozs7OztBQU9yQixTQUFTLFNBQVMsQ0FBQyxVQUE4Qjs7UUFDdkMsS0FBSyxHQUFrQyxFQUFFOztRQUN6QyxRQUFRLEdBQThCLEVBQUU7O1FBQ3hDLE9BQU8sR0FBa0MsRUFBRTtJQUNqRCxPQUFPLENBQUMsYUFBYSxDQUFDLEdBQUcsRUFBRSxLQUFLLEVBQUUsRUFBRSxFQUFFLE9BQU8sRUFBRSxVQUFVLENBQUMsT0FBTyxFQUFFLENBQUM7SUFDcEUsQ0FBQyxVQUFVLENBQUMsT0FBTyxJQUFJLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxVQUFBLENBQUM7UUFDaEMsT0FBTyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxFQUFFLEtBQUssRUFBRSxFQUFFLEVBQUUsT0FBTyxFQUFFLENBQUMsQ0FBQyxPQUFPLEVBQUUsQ0FBQztJQUN4RCxDQUFDLENBQUMsQ0FBQzs7UUFFRyxPQUFPLEdBQUcsU0FBUyxDQUFDLFVBQVUsQ0FBQztJQUNyQyxVQUFVLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxVQUFBLEVBQUU7O1lBQ2xCLE1BQU0sR0FBRyxPQUFPLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQztRQUMvQixLQUFLLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsSUFBSSxFQUFFLEVBQUUsQ0FBQyxJQUFJLEVBQUUsUUFBUSxFQUFFLEVBQUUsRUFBRSxPQUFPLEVBQUUsRUFBRSxDQUFDLE9BQU8sRUFBRSxLQUFLLEVBQUUsRUFBRSxDQUFDLEtBQUssRUFBRSxTQUFTLEVBQUUsRUFBRSxFQUFFLENBQUM7UUFDdEcsSUFBSSxNQUFNLElBQUksS0FBSyxDQUFDLE1BQU0sQ0FBQyxFQUFFO1lBQ3pCLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUNyQyxRQUFRLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQztTQUN4QzthQUFNOztnQkFDRyxNQUFNLEdBQUcsRUFBRSxDQUFDLE1BQU0sSUFBSSxhQUFhO1lBQ3pDLE9BQU8sQ0FBQyxNQUFNLENBQUMsR0FBRyxPQUFPLENBQUMsTUFBTSxDQUFDLElBQUksRUFBRSxLQUFLLEVBQUUsRUFBRSxFQUFFLENBQUM7WUFDbkQsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDO1lBQ3BDLFFBQVEsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsTUFBTSxDQUFDO1NBQzlCO0lBQ0wsQ0FBQyxDQUFDLENBQUM7SUFDSCxDQUFDLFVBQVUsQ0FBQyxhQUFhLElBQUksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLFVBQUEsQ0FBQztRQUN0QyxJQUFJLEtBQUssQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEVBQUU7WUFDakIsS0FBSyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO1NBQ3JDO0lBQ0wsQ0FBQyxDQUFDLENBQUM7SUFDSCxPQUFPLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLENBQUM7QUFDOUMsQ0FBQzs7Ozs7QUFFRCxTQUFTLGNBQWMsQ0FBQyxPQUFnQztJQUNwRCxPQUFPLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDO0FBQ3JDLENBQUM7Ozs7O0FBRUQsU0FBUyxPQUFPLENBQUMsVUFBaUM7OztRQUUxQyxLQUFLLEdBQUcsVUFBVSxDQUFDLElBQUksR0FBRyxHQUFHLEdBQUcsVUFBVSxDQUFDLEVBQUU7SUFDakQsSUFBSSxVQUFVLENBQUMsS0FBSyxFQUFFO1FBQ2xCLEtBQUssSUFBSSxJQUFJLEdBQUcsVUFBVSxDQUFDLEtBQUssR0FBRyxHQUFHLENBQUM7S0FDMUM7SUFDRCxJQUFJLFVBQVUsQ0FBQyxLQUFLLEVBQUU7UUFDbEIsS0FBSyxJQUFJLElBQUksR0FBRyxVQUFVLENBQUMsS0FBSyxHQUFHLEdBQUcsQ0FBQztLQUMxQztJQUNELElBQUksVUFBVSxDQUFDLEtBQUssS0FBSyxTQUFTLElBQUksVUFBVSxDQUFDLEtBQUssS0FBSyxJQUFJLEVBQUU7UUFDN0QsS0FBSyxJQUFJLFNBQVMsR0FBRyxVQUFVLENBQUMsS0FBSyxHQUFHLElBQUksQ0FBQztLQUNoRDtJQUNELE9BQU8sS0FBSyxDQUFDO0FBQ2pCLENBQUM7Ozs7O0FBRUQsU0FBUyxLQUFLLENBQUMsS0FBYTtJQUN4QixPQUFPLEdBQUcsR0FBRyxLQUFLLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxNQUFNLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLEtBQUssQ0FBQyxHQUFHLEdBQUcsQ0FBQztBQUN6RSxDQUFDOzs7Ozs7OztBQU1ELE1BQU0sVUFBVSxTQUFTLENBQUMsVUFBOEIsRUFBRSxPQUF5Qjs7UUFDekUsTUFBTSxHQUFHLENBQUMsT0FBTyxJQUFJLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxFQUFFOztRQUMxQyxJQUFJLEdBQUcsU0FBUyxDQUFDLFVBQVUsQ0FBQzs7UUFDNUIsS0FBSyxHQUFHLElBQUksQ0FBQyxLQUFLOztRQUNsQixLQUFLLEdBQWtCLEVBQUU7O1FBQ3pCLE1BQU0sR0FBRyxVQUFDLEtBQWEsSUFBSyxPQUFBLElBQUksS0FBSyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEVBQWpDLENBQWlDOztRQUM3RCxTQUFTLEdBQUcsVUFBQyxJQUFZLElBQUssT0FBQSxVQUFVLEdBQUcsSUFBSSxFQUFqQixDQUFpQjs7UUFFL0MsU0FBUyxHQUFHLFVBQUMsS0FBYSxFQUFFLE1BQWMsRUFBRSxLQUFhO1FBQzNELElBQUksQ0FBQyxNQUFNLElBQUksQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLEVBQUU7WUFDM0IsT0FBTztTQUNWOztZQUNLLEtBQUssR0FBRyxVQUFVLEdBQUcsS0FBSzs7WUFDMUIsS0FBSyxHQUFHLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxVQUFVLEdBQUcsS0FBSyxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRTtRQUM5RixLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxLQUFLLENBQUMsS0FBSyxDQUFDLEdBQUcsaUJBQWlCLENBQUMsQ0FBQztRQUM3RCxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxLQUFLLENBQUMsS0FBSyxDQUFDLEdBQUcsTUFBTSxHQUFHLEtBQUssQ0FBQyxNQUFNLENBQUMsR0FBRyxLQUFLLEdBQUcsR0FBRyxDQUFDLENBQUM7SUFDcEYsQ0FBQzs7UUFFSyxVQUFVLEdBQUcsVUFBQyxJQUFZLEVBQUUsS0FBYTs7WUFDckMsSUFBSSxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUM7O1lBQ2xCLFdBQVcsR0FBRyxNQUFNLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUM7UUFDN0MsSUFBSSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxFQUFFOztnQkFDakIsS0FBSyxHQUFrQixFQUFFO1lBQy9CLElBQUksSUFBSSxDQUFDLEtBQUssRUFBRTtnQkFDWixLQUFLLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxDQUFDO2FBQy9CO1lBQ0QsSUFBSSxXQUFXLEVBQUU7Z0JBQ2IsS0FBSyxDQUFDLElBQUksQ0FBQyx3QkFBd0IsRUFBRSxZQUFZLEdBQUcsS0FBSyxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUM7YUFDOUU7WUFDRCxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxJQUFJLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxHQUFHLEdBQUcsQ0FBQyxDQUFDO1lBQ3BHLE9BQU87U0FDVjtRQUNELHNEQUFzRDtRQUN0RCxpQ0FBaUM7UUFDakMsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsV0FBVyxHQUFHLEtBQUssQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztRQUN4RSxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsUUFBUSxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQztRQUM3RCxJQUFJLFdBQVcsRUFBRTtZQUNiLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsR0FBRyxhQUFhLENBQUMsQ0FBQztZQUM5QyxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsUUFBUSxHQUFHLEtBQUssQ0FBQyxvQkFBb0IsQ0FBQyxHQUFHLEdBQUcsQ0FBQyxDQUFDO1NBQ2hGO1FBQ0QsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsR0FBRyw4QkFBOEIsQ0FBQyxDQUFDO1FBQzdFLFNBQVMsQ0FBQyxJQUFJLEVBQUUsSUFBSSxDQUFDLE9BQU8sRUFBRSxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFDekMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsVUFBQSxLQUFLLElBQUksT0FBQSxVQUFVLENBQUMsS0FBSyxFQUFFLEtBQUssR0FBRyxDQUFDLENBQUMsRUFBNUIsQ0FBNEIsQ0FBQyxDQUFDO1FBQzdELElBQUksQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLFVBQUEsQ0FBQztZQUNwQixLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsS0FBSyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyx3QkFBd0IsR0FBRyxLQUFLLENBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUM7WUFDM0csSUFBSSxDQUFDLENBQUMsYUFBYSxJQUFJLEtBQUssQ0FBQyxDQUFDLENBQUMsYUFBYSxDQUFDLEVBQUU7O29CQUNyQyxLQUFLLEdBQUcsS0FBSyxDQUFDLENBQUMsQ0FBQyxhQUFhLENBQUMsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxVQUFVLEdBQUcsS0FBSyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRTtnQkFDMUcsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLEtBQUssQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsTUFBTSxHQUFHLEtBQUssQ0FBQyxDQUFDLENBQUMsYUFBYSxDQUFDLEdBQUcsZ0JBQWdCLEdBQUcsS0FBSyxHQUFHLElBQUksQ0FBQyxDQUFDO2FBQ3JIO1FBQ0wsQ0FBQyxDQUFDLENBQUM7UUFDSCxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQztJQUNwQyxDQUFDO0lBRUQsS0FBSyxDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsQ0FBQztJQUM1QixLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxnQkFBZ0IsQ0FBQyxDQUFDO0lBQ3pDLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLGFBQWEsQ0FBQyxDQUFDO0lBQ3RDLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLGtDQUFrQyxDQUFDLENBQUM7SUFDM0QsS0FBSyxJQUFNLENBQUMsSUFBSSxJQUFJLENBQUMsT0FBTyxFQUFFO1FBQzFCLElBQUksSUFBSSxDQUFDLE9BQU8sQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLEVBQUU7O2dCQUMxQixNQUFNLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7WUFDOUIsSUFBSSxDQUFDLEtBQUssYUFBYSxFQUFFO2dCQUNyQixTQUFTLENBQUMsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDLENBQUM7Z0JBQ2hDLE1BQU0sQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLFVBQUEsSUFBSSxJQUFJLE9BQUEsVUFBVSxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsRUFBbkIsQ0FBbUIsQ0FBQyxDQUFDO2FBQ3JEO2lCQUFNO2dCQUNILEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLFdBQVcsR0FBRyxLQUFLLENBQUMsaUJBQWlCLEdBQUcsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUM7Z0JBQzFFLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLFFBQVEsR0FBRyxLQUFLLENBQUMsQ0FBQyxDQUFDLEdBQUcsR0FBRyxDQUFDLENBQUM7Z0JBQ2xELEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLGVBQWUsQ0FBQyxDQUFDO2dCQUN4QyxTQUFTLENBQUMsU0FBUyxHQUFHLENBQUMsRUFBRSxNQUFNLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQyxDQUFDO2dCQUM1QyxNQUFNLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxVQUFBLElBQUksSUFBSSxPQUFBLFVBQVUsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLEVBQW5CLENBQW1CLENBQUMsQ0FBQztnQkFDbEQsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsR0FBRyxDQUFDLENBQUM7YUFDL0I7U0FDSjtLQUNKO0lBQ0QsQ0FBQyxVQUFVLENBQUMsV0FBVyxJQUFJLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxVQUFBLEVBQUU7O1lBQy9CLEtBQUssR0FBRyxDQUFDLFFBQVEsR0FBRyxLQUFLLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7UUFDN0MsSUFBSSxLQUFLLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLEtBQUssQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUMsUUFBUSxDQUFDLE1BQU0sRUFBRTtZQUNsRCxLQUFLLENBQUMsSUFBSSxDQUFDLFFBQVEsR0FBRyxLQUFLLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7U0FDcEQ7UUFDRCxJQUFJLEtBQUssQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLElBQUksS0FBSyxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxRQUFRLENBQUMsTUFBTSxFQUFFO1lBQzlDLEtBQUssQ0FBQyxJQUFJLENBQUMsUUFBUSxHQUFHLEtBQUssQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztTQUNsRDtRQUNELEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLEtBQUssQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsTUFBTSxHQUFHLEtBQUssQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEdBQUcsSUFBSSxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUM7SUFDcEcsQ0FBQyxDQUFDLENBQUM7SUFDSCxLQUFLLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ2hCLE9BQU8sS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUM7QUFDbkMsQ0FBQzs7Ozs7Ozs7O0FBT0QsTUFBTSxVQUFVLGFBQWEsQ0FBQyxVQUE4QixFQUFFLE9BQXlCOztRQUM3RSxNQUFNLEdBQUcsQ0FBQyxPQUFPLElBQUksT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLEVBQUU7O1FBQzFDLElBQUksR0FBRyxTQUFTLENBQUMsVUFBVSxDQUFDOztRQUM1QixLQUFLLEdBQUcsSUFBSSxDQUFDLEtBQUs7O1FBQ2xCLEdBQUcsR0FBOEIsRUFBRTtJQUN6QyxVQUFVLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxVQUFDLEVBQUUsRUFBRSxDQUFDO1FBQzVCLEdBQUcsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsR0FBRyxHQUFHLENBQUMsQ0FBQztJQUMzQixDQUFDLENBQUMsQ0FBQztJQUNILENBQUMsVUFBVSxDQUFDLGFBQWEsSUFBSSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsVUFBQyxDQUFDLEVBQUUsQ0FBQztRQUMxQyxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLEdBQUcsR0FBRyxDQUFDLENBQUM7SUFDMUIsQ0FBQyxDQUFDLENBQUM7O1FBQ0csS0FBSyxHQUFrQixFQUFFOztRQUN6QixNQUFNLEdBQUcsVUFBQyxLQUFhLElBQUssT0FBQSxJQUFJLEtBQUssQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFqQyxDQUFpQzs7UUFDN0QsUUFBUSxHQUFHLFVBQUMsS0FBYSxJQUFLLE9BQUEsS0FBSyxDQUFDLE9BQU8sQ0FBQyxVQUFVLEVBQUUsR0FBRyxDQUFDLEVBQTlCLENBQThCOztRQUU1RCxTQUFTLEdBQUcsVUFBQyxNQUFjLEVBQUUsS0FBYTtRQUM1QyxJQUFJLE1BQU0sSUFBSSxLQUFLLENBQUMsTUFBTSxDQUFDLEVBQUU7WUFDekIsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsVUFBVSxHQUFHLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO1NBQ3hEO0lBQ0wsQ0FBQzs7UUFFSyxVQUFVLEdBQUcsVUFBQyxJQUFZLEVBQUUsS0FBYTs7WUFDckMsSUFBSSxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUM7UUFDeEIsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsUUFBUSxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLEdBQUcsTUFBTSxHQUFHLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO1FBQ2pGLElBQUksSUFBSSxDQUFDLEtBQUssRUFBRTtZQUNaLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLEdBQUcsQ0FBQyxJQUFJLENBQUMsR0FBRyxVQUFVLENBQUMsQ0FBQztTQUN0RDtRQUNELElBQUksSUFBSSxDQUFDLFFBQVEsQ0FBQyxNQUFNLEVBQUU7WUFDdEIsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsUUFBUSxHQUFHLEdBQUcsQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztZQUN4RCxTQUFTLENBQUMsSUFBSSxDQUFDLE9BQU8sRUFBRSxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUM7WUFDbkMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsVUFBQSxLQUFLLElBQUksT0FBQSxVQUFVLENBQUMsS0FBSyxFQUFFLEtBQUssR0FBRyxDQUFDLENBQUMsRUFBNUIsQ0FBNEIsQ0FBQyxDQUFDO1lBQzdELElBQUksQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLFVBQUEsQ0FBQzs7b0JBQ2QsS0FBSyxHQUFHLENBQUMsQ0FBQyxJQUFJLEdBQUcsSUFBSSxHQUFHLGNBQWMsQ0FBQyxDQUFDLENBQUMsR0FBRyxHQUFHO2dCQUNyRCxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsUUFBUSxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLEdBQUcsTUFBTSxHQUFHLEdBQUcsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztnQkFDeEYsSUFBSSxDQUFDLENBQUMsYUFBYSxJQUFJLEdBQUcsQ0FBQyxDQUFDLENBQUMsYUFBYSxDQUFDLEVBQUU7b0JBQ3pDLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLE9BQU8sR0FBRyxHQUFHLENBQUMsQ0FBQyxDQUFDLGFBQWEsQ0FBQyxHQUFHLFlBQVksQ0FBQyxDQUFDO2lCQUMvRjtZQUNMLENBQUMsQ0FBQyxDQUFDO1lBQ0gsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsR0FBRyxDQUFDLENBQUM7U0FDbkM7SUFDTCxDQUFDO0lBRUQsS0FBSyxDQUFDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDOztRQUMxQixXQUFXLEdBQUcsQ0FBQztJQUNuQixLQUFLLElBQU0sQ0FBQyxJQUFJLElBQUksQ0FBQyxPQUFPLEVBQUU7UUFDMUIsSUFBSSxJQUFJLENBQUMsT0FBTyxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUMsRUFBRTs7Z0JBQzFCLE1BQU0sR0FBRyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztZQUM5QixJQUFJLENBQUMsS0FBSyxhQUFhLEVBQUU7Z0JBQ3JCLFNBQVMsQ0FBQyxNQUFNLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQyxDQUFDO2dCQUM3QixNQUFNLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxVQUFBLElBQUksSUFBSSxPQUFBLFVBQVUsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLEVBQW5CLENBQW1CLENBQUMsQ0FBQzthQUNyRDtpQkFBTTs7b0JBQ0csUUFBUSxHQUFHLEdBQUcsR0FBRyxXQUFXLEVBQUU7Z0JBQ3BDLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLFFBQVEsR0FBRyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxHQUFHLE1BQU0sR0FBRyxRQUFRLENBQUMsQ0FBQztnQkFDekUsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsUUFBUSxHQUFHLFFBQVEsR0FBRyxJQUFJLENBQUMsQ0FBQztnQkFDbkQsU0FBUyxDQUFDLE1BQU0sQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDLENBQUM7Z0JBQzdCLE1BQU0sQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLFVBQUEsSUFBSSxJQUFJLE9BQUEsVUFBVSxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsRUFBbkIsQ0FBbUIsQ0FBQyxDQUFDO2dCQUNsRCxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQzthQUMvQjtTQUNKO0tBQ0o7SUFDRCxDQUFDLFVBQVUsQ0FBQyxXQUFXLElBQUksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLFVBQUEsRUFBRTtRQUNyQyxJQUFJLEdBQUcsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLElBQUksR0FBRyxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRTtZQUM1QixLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxHQUFHLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLE9BQU8sR0FBRyxHQUFHLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxHQUFHLEtBQUssR0FBRyxRQUFRLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztTQUMvRjtJQUNMLENBQUMsQ0FBQyxDQUFDOztRQUNHLFdBQVcsR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLFVBQUEsSUFBSSxJQUFJLE9BQUEsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFULENBQVMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxVQUFBLElBQUksSUFBSSxPQUFBLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBVCxDQUFTLENBQUM7SUFDM0UsSUFBSSxXQUFXLENBQUMsTUFBTSxFQUFFO1FBQ3BCLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLHVCQUF1QixHQUFHLGNBQWMsQ0FBQyxDQUFDO1FBQ2pFLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLFFBQVEsR0FBRyxXQUFXLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFDO0tBQ3hFO0lBQ0QsT0FBTyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQztBQUNuQyxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAZmlsZU92ZXJ2aWV3XG4gKiBQcm92aWRlcyB0aGUgZXhwb3J0ZXJzIHJlbmRlcmluZyB0aGUgZGVmaW5pdGlvbiBvZiBhIGZpbml0ZSBzdGF0ZSBtYWNoaW5lXG4gKiBhcyBHcmFwaHZpeiBET1QgYW5kIE1lcm1haWQgKHN0YXRlRGlhZ3JhbS12MikgdGV4dC5cbiAqIEBhdXRob3IgWGlhb2xvbmcgVGFuZyA8eHhsb25ndGFuZ0BnbWFpbC5jb20+XG4gKiBAbGljZW5zZSBDb3B5cmlnaHQgQG1lXG4gKi9cbmltcG9ydCB7XG4gICAgSUhpc3RvcnlTdGF0ZURlZmluaXRpb24sXG4gICAgSU1hY2hpbmVEZWZpbml0aW9uLFxuICAgIElUcmFuc2l0aW9uRGVmaW5pdGlvbixcbiAgICBwYXJlbnRzT2Zcbn0gZnJvbSAnLi9tYWNoaW5lLWRlZmluaXRpb24nO1xuXG5jb25zdCBkZWZhdWx0UmVnaW9uID0gJ2RlZmF1bHQnO1xuY29uc3QgaGlnaGxpZ2h0Q29sb3IgPSAnI2ZmZTA4YSc7XG5jb25zdCBoaWdobGlnaHRCb3JkZXJDb2xvciA9ICcjY2M5YTA2JztcblxuLyoqXG4gKiBPcHRpb25zIGZvciByZW5kZXJpbmcgYSBkaWFncmFtLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIElEaWFncmFtT3B0aW9ucyB7XG4gICAgLy8gVGhlIHN0YXRlcyB0byBiZSBoaWdobGlnaHRlZCwgZS5nLiwgdGhlIGN1cnJlbnQgc3RhdGVzLlxuICAgIGFjdGl2ZT86IEFycmF5PHN0cmluZz47XG59XG5cbmludGVyZmFjZSBJU3RhdGVOb2RlIHtcbiAgICBuYW1lOiBzdHJpbmc7XG4gICAgY2hpbGRyZW46IEFycmF5PHN0cmluZz47XG4gICAgaW5pdGlhbD86IHN0cmluZztcbiAgICBmaW5hbD86IGJvb2xlYW47XG4gICAgaGlzdG9yaWVzOiBBcnJheTxJSGlzdG9yeVN0YXRlRGVmaW5pdGlvbj47XG59XG5cbmludGVyZmFjZSBJQ29udGFpbmVyIHtcbiAgICAvLyBUaGUgc3RhdGVzIHdoaWNoIGFyZSBub3QgbmVzdGVkIGluIGFueSBvdGhlciBzdGF0ZS5cbiAgICByb290czogQXJyYXk8c3RyaW5nPjtcbiAgICBpbml0aWFsPzogc3RyaW5nO1xufVxuXG4vKipcbiAqIEFycmFuZ2VzIHRoZSBzdGF0ZXMgb2YgYSBkZWZpbml0aW9uIGludG8gYSB0cmVlIGZvciBlYWNoIHJlZ2lvbixcbiAqIGZvbGxvd2luZyB0aGUgc2FtZSBuZXN0aW5nIHJ1bGVzIGFzIHRoZSBGU00gZG9lcy5cbiAqL1xuZnVuY3Rpb24gYnVpbGRUcmVlKGRlZmluaXRpb246IElNYWNoaW5lRGVmaW5pdGlvbikge1xuICAgIGNvbnN0IG5vZGVzOiB7IFtrZXk6IHN0cmluZ106IElTdGF0ZU5vZGUgfSA9IHt9O1xuICAgIGNvbnN0IHJlZ2lvbk9mOiB7IFtrZXk6IHN0cmluZ106IHN0cmluZyB9ID0ge307XG4gICAgY29uc3QgcmVnaW9uczogeyBba2V5OiBzdHJpbmddOiBJQ29udGFpbmVyIH0gPSB7fTtcbiAgICByZWdpb25zW2RlZmF1bHRSZWdpb25dID0geyByb290czogW10sIGluaXRpYWw6IGRlZmluaXRpb24uaW5pdGlhbCB9O1xuICAgIChkZWZpbml0aW9uLnJlZ2lvbnMgfHwgW10pLmZvckVhY2gociA9PiB7XG4gICAgICAgIHJlZ2lvbnNbci5uYW1lXSA9IHsgcm9vdHM6IFtdLCBpbml0aWFsOiByLmluaXRpYWwgfTtcbiAgICB9KTtcblxuICAgIGNvbnN0IHBhcmVudHMgPSBwYXJlbnRzT2YoZGVmaW5pdGlvbik7XG4gICAgZGVmaW5pdGlvbi5zdGF0ZXMuZm9yRWFjaChzdCA9PiB7XG4gICAgICAgIGNvbnN0IHBhcmVudCA9IHBhcmVudHNbc3QubmFtZV07XG4gICAgICAgIG5vZGVzW3N0Lm5hbWVdID0geyBuYW1lOiBzdC5uYW1lLCBjaGlsZHJlbjogW10sIGluaXRpYWw6IHN0LmluaXRpYWwsIGZpbmFsOiBzdC5maW5hbCwgaGlzdG9yaWVzOiBbXSB9O1xuICAgICAgICBpZiAocGFyZW50ICYmIG5vZGVzW3BhcmVudF0pIHtcbiAgICAgICAgICAgIG5vZGVzW3BhcmVudF0uY2hpbGRyZW4ucHVzaChzdC5uYW1lKTtcbiAgICAgICAgICAgIHJlZ2lvbk9mW3N0Lm5hbWVdID0gcmVnaW9uT2ZbcGFyZW50XTtcbiAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgIGNvbnN0IHJlZ2lvbiA9IHN0LnJlZ2lvbiB8fCBkZWZhdWx0UmVnaW9uO1xuICAgICAgICAgICAgcmVnaW9uc1tyZWdpb25dID0gcmVnaW9uc1tyZWdpb25dIHx8IHsgcm9vdHM6IFtdIH07XG4gICAgICAgICAgICByZWdpb25zW3JlZ2lvbl0ucm9vdHMucHVzaChzdC5uYW1lKTtcbiAgICAgICAgICAgIHJlZ2lvbk9mW3N0Lm5hbWVdID0gcmVnaW9uO1xuICAgICAgICB9XG4gICAgfSk7XG4gICAgKGRlZmluaXRpb24uaGlzdG9yeVN0YXRlcyB8fCBbXSkuZm9yRWFjaChoID0+IHtcbiAgICAgICAgaWYgKG5vZGVzW2gucGFyZW50XSkge1xuICAgICAgICAgICAgbm9kZXNbaC5wYXJlbnRdLmhpc3Rvcmllcy5wdXNoKGgpO1xuICAgICAgICB9XG4gICAgfSk7XG4gICAgcmV0dXJuIHsgbm9kZXM6IG5vZGVzLCByZWdpb25zOiByZWdpb25zIH07XG59XG5cbmZ1bmN0aW9uIGhpc3RvcnlMYWJlbE9mKGhpc3Rvcnk6IElIaXN0b3J5U3RhdGVEZWZpbml0aW9uKSB7XG4gICAgcmV0dXJuIGhpc3RvcnkuZGVlcCA/ICdIKicgOiAnSCc7XG59XG5cbmZ1bmN0aW9uIGxhYmVsT2YodHJhbnNpdGlvbjogSVRyYW5zaXRpb25EZWZpbml0aW9uKSB7XG4gICAgLy8gVGhlIHNhbWUgbmFtZSBhcyB0aGUgRlNNIGdpdmVzIHRvIHRoZSB0cmFuc2l0aW9uXG4gICAgbGV0IGxhYmVsID0gdHJhbnNpdGlvbi5mcm9tICsgJzInICsgdHJhbnNpdGlvbi50bztcbiAgICBpZiAodHJhbnNpdGlvbi5ldmVudCkge1xuICAgICAgICBsYWJlbCArPSAnICgnICsgdHJhbnNpdGlvbi5ldmVudCArICcpJztcbiAgICB9XG4gICAgaWYgKHRyYW5zaXRpb24uZ3VhcmQpIHtcbiAgICAgICAgbGFiZWwgKz0gJyBbJyArIHRyYW5zaXRpb24uZ3VhcmQgKyAnXSc7XG4gICAgfVxuICAgIGlmICh0cmFuc2l0aW9uLmRlbGF5ICE9PSB1bmRlZmluZWQgJiYgdHJhbnNpdGlvbi5kZWxheSAhPT0gbnVsbCkge1xuICAgICAgICBsYWJlbCArPSAnIGFmdGVyICcgKyB0cmFuc2l0aW9uLmRlbGF5ICsgJ21zJztcbiAgICB9XG4gICAgcmV0dXJuIGxhYmVsO1xufVxuXG5mdW5jdGlvbiBxdW90ZSh2YWx1ZTogc3RyaW5nKSB7XG4gICAgcmV0dXJuICdcIicgKyB2YWx1ZS5yZXBsYWNlKC9cXFxcL2csICdcXFxcXFxcXCcpLnJlcGxhY2UoL1wiL2csICdcXFxcXCInKSArICdcIic7XG59XG5cbi8qKlxuICogUmVuZGVycyBhIGRlZmluaXRpb24gYXMgYSBHcmFwaHZpeiBET1QgZ3JhcGguIEEgY29tcG91bmQgc3RhdGUgaXNcbiAqIHJlbmRlcmVkIGFzIGEgY2x1c3RlciwgYW5kIGFuIG9ydGhvZ29uYWwgcmVnaW9uIGFzIGEgZGFzaGVkIGNsdXN0ZXIuXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiByZW5kZXJEb3QoZGVmaW5pdGlvbjogSU1hY2hpbmVEZWZpbml0aW9uLCBvcHRpb25zPzogSURpYWdyYW1PcHRpb25zKTogc3RyaW5nIHtcbiAgICBjb25zdCBhY3RpdmUgPSAob3B0aW9ucyAmJiBvcHRpb25zLmFjdGl2ZSkgfHwgW107XG4gICAgY29uc3QgdHJlZSA9IGJ1aWxkVHJlZShkZWZpbml0aW9uKTtcbiAgICBjb25zdCBub2RlcyA9IHRyZWUubm9kZXM7XG4gICAgY29uc3QgbGluZXM6IEFycmF5PHN0cmluZz4gPSBbXTtcbiAgICBjb25zdCBpbmRlbnQgPSAoZGVwdGg6IG51bWJlcikgPT4gbmV3IEFycmF5KGRlcHRoICsgMSkuam9pbignICAgICcpO1xuICAgIGNvbnN0IGNsdXN0ZXJPZiA9IChuYW1lOiBzdHJpbmcpID0+ICdjbHVzdGVyXycgKyBuYW1lO1xuXG4gICAgY29uc3Qgd3JpdGVJbml0ID0gKHNjb3BlOiBzdHJpbmcsIHRhcmdldDogc3RyaW5nLCBkZXB0aDogbnVtYmVyKSA9PiB7XG4gICAgICAgIGlmICghdGFyZ2V0IHx8ICFub2Rlc1t0YXJnZXRdKSB7XG4gICAgICAgICAgICByZXR1cm47XG4gICAgICAgIH1cbiAgICAgICAgY29uc3QgcG9pbnQgPSAnX19pbml0X18nICsgc2NvcGU7XG4gICAgICAgIGNvbnN0IGF0dHJzID0gbm9kZXNbdGFyZ2V0XS5jaGlsZHJlbi5sZW5ndGggPyAnIFtsaGVhZD0nICsgcXVvdGUoY2x1c3Rlck9mKHRhcmdldCkpICsgJ10nIDogJyc7XG4gICAgICAgIGxpbmVzLnB1c2goaW5kZW50KGRlcHRoKSArIHF1b3RlKHBvaW50KSArICcgW3NoYXBlPXBvaW50XTsnKTtcbiAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGgpICsgcXVvdGUocG9pbnQpICsgJyAtPiAnICsgcXVvdGUodGFyZ2V0KSArIGF0dHJzICsgJzsnKTtcbiAgICB9O1xuXG4gICAgY29uc3Qgd3JpdGVTdGF0ZSA9IChuYW1lOiBzdHJpbmcsIGRlcHRoOiBudW1iZXIpID0+IHtcbiAgICAgICAgY29uc3Qgbm9kZSA9IG5vZGVzW25hbWVdO1xuICAgICAgICBjb25zdCBoaWdobGlnaHRlZCA9IGFjdGl2ZS5pbmRleE9mKG5hbWUpID49IDA7XG4gICAgICAgIGlmICghbm9kZS5jaGlsZHJlbi5sZW5ndGgpIHtcbiAgICAgICAgICAgIGNvbnN0IGF0dHJzOiBBcnJheTxzdHJpbmc+ID0gW107XG4gICAgICAgICAgICBpZiAobm9kZS5maW5hbCkge1xuICAgICAgICAgICAgICAgIGF0dHJzLnB1c2goJ3BlcmlwaGVyaWVzPTInKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIGlmIChoaWdobGlnaHRlZCkge1xuICAgICAgICAgICAgICAgIGF0dHJzLnB1c2goJ3N0eWxlPVwicm91bmRlZCxmaWxsZWRcIicsICdmaWxsY29sb3I9JyArIHF1b3RlKGhpZ2hsaWdodENvbG9yKSk7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICBsaW5lcy5wdXNoKGluZGVudChkZXB0aCkgKyBxdW90ZShuYW1lKSArIChhdHRycy5sZW5ndGggPyAnIFsnICsgYXR0cnMuam9pbignLCAnKSArICddJyA6ICcnKSArICc7Jyk7XG4gICAgICAgICAgICByZXR1cm47XG4gICAgICAgIH1cbiAgICAgICAgLy8gVGhlIGludmlzaWJsZSBub2RlIGlzIHRoZSBhbmNob3Igb2YgdGhlIHRyYW5zaXRpb25zXG4gICAgICAgIC8vIGZyb20gb3IgdG8gdGhlIGNvbXBvdW5kIHN0YXRlLlxuICAgICAgICBsaW5lcy5wdXNoKGluZGVudChkZXB0aCkgKyAnc3ViZ3JhcGggJyArIHF1b3RlKGNsdXN0ZXJPZihuYW1lKSkgKyAnIHsnKTtcbiAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGggKyAxKSArICdsYWJlbD0nICsgcXVvdGUobmFtZSkgKyAnOycpO1xuICAgICAgICBpZiAoaGlnaGxpZ2h0ZWQpIHtcbiAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KGRlcHRoICsgMSkgKyAnc3R5bGU9Ym9sZDsnKTtcbiAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KGRlcHRoICsgMSkgKyAnY29sb3I9JyArIHF1b3RlKGhpZ2hsaWdodEJvcmRlckNvbG9yKSArICc7Jyk7XG4gICAgICAgIH1cbiAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGggKyAxKSArIHF1b3RlKG5hbWUpICsgJyBbc2hhcGU9cG9pbnQsIHN0eWxlPWludmlzXTsnKTtcbiAgICAgICAgd3JpdGVJbml0KG5hbWUsIG5vZGUuaW5pdGlhbCwgZGVwdGggKyAxKTtcbiAgICAgICAgbm9kZS5jaGlsZHJlbi5mb3JFYWNoKGNoaWxkID0+IHdyaXRlU3RhdGUoY2hpbGQsIGRlcHRoICsgMSkpO1xuICAgICAgICBub2RlLmhpc3Rvcmllcy5mb3JFYWNoKGggPT4ge1xuICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGggKyAxKSArIHF1b3RlKGgubmFtZSkgKyAnIFtzaGFwZT1jaXJjbGUsIGxhYmVsPScgKyBxdW90ZShoaXN0b3J5TGFiZWxPZihoKSkgKyAnXTsnKTtcbiAgICAgICAgICAgIGlmIChoLmRlZmF1bHRUYXJnZXQgJiYgbm9kZXNbaC5kZWZhdWx0VGFyZ2V0XSkge1xuICAgICAgICAgICAgICAgIGNvbnN0IGF0dHJzID0gbm9kZXNbaC5kZWZhdWx0VGFyZ2V0XS5jaGlsZHJlbi5sZW5ndGggPyAnLCBsaGVhZD0nICsgcXVvdGUoY2x1c3Rlck9mKGguZGVmYXVsdFRhcmdldCkpIDogJyc7XG4gICAgICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGggKyAxKSArIHF1b3RlKGgubmFtZSkgKyAnIC0+ICcgKyBxdW90ZShoLmRlZmF1bHRUYXJnZXQpICsgJyBbc3R5bGU9ZGFzaGVkJyArIGF0dHJzICsgJ107Jyk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH0pO1xuICAgICAgICBsaW5lcy5wdXNoKGluZGVudChkZXB0aCkgKyAnfScpO1xuICAgIH07XG5cbiAgICBsaW5lcy5wdXNoKCdkaWdyYXBoIGZzbSB7Jyk7XG4gICAgbGluZXMucHVzaChpbmRlbnQoMSkgKyAnY29tcG91bmQ9dHJ1ZTsnKTtcbiAgICBsaW5lcy5wdXNoKGluZGVudCgxKSArICdyYW5rZGlyPUxSOycpO1xuICAgIGxpbmVzLnB1c2goaW5kZW50KDEpICsgJ25vZGUgW3NoYXBlPWJveCwgc3R5bGU9cm91bmRlZF07Jyk7XG4gICAgZm9yIChjb25zdCBrIGluIHRyZWUucmVnaW9ucykge1xuICAgICAgICBpZiAodHJlZS5yZWdpb25zLmhhc093blByb3BlcnR5KGspKSB7XG4gICAgICAgICAgICBjb25zdCByZWdpb24gPSB0cmVlLnJlZ2lvbnNba107XG4gICAgICAgICAgICBpZiAoayA9PT0gZGVmYXVsdFJlZ2lvbikge1xuICAgICAgICAgICAgICAgIHdyaXRlSW5pdChrLCByZWdpb24uaW5pdGlhbCwgMSk7XG4gICAgICAgICAgICAgICAgcmVnaW9uLnJvb3RzLmZvckVhY2gobmFtZSA9PiB3cml0ZVN0YXRlKG5hbWUsIDEpKTtcbiAgICAgICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoMSkgKyAnc3ViZ3JhcGggJyArIHF1b3RlKCdjbHVzdGVyX3JlZ2lvbl8nICsgaykgKyAnIHsnKTtcbiAgICAgICAgICAgICAgICBsaW5lcy5wdXNoKGluZGVudCgyKSArICdsYWJlbD0nICsgcXVvdGUoaykgKyAnOycpO1xuICAgICAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KDIpICsgJ3N0eWxlPWRhc2hlZDsnKTtcbiAgICAgICAgICAgICAgICB3cml0ZUluaXQoJ3JlZ2lvbl8nICsgaywgcmVnaW9uLmluaXRpYWwsIDIpO1xuICAgICAgICAgICAgICAgIHJlZ2lvbi5yb290cy5mb3JFYWNoKG5hbWUgPT4gd3JpdGVTdGF0ZShuYW1lLCAyKSk7XG4gICAgICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoMSkgKyAnfScpO1xuICAgICAgICAgICAgfVxuICAgICAgICB9XG4gICAgfVxuICAgIChkZWZpbml0aW9uLnRyYW5zaXRpb25zIHx8IFtdKS5mb3JFYWNoKHRyID0+IHtcbiAgICAgICAgY29uc3QgYXR0cnMgPSBbJ2xhYmVsPScgKyBxdW90ZShsYWJlbE9mKHRyKSldO1xuICAgICAgICBpZiAobm9kZXNbdHIuZnJvbV0gJiYgbm9kZXNbdHIuZnJvbV0uY2hpbGRyZW4ubGVuZ3RoKSB7XG4gICAgICAgICAgICBhdHRycy5wdXNoKCdsdGFpbD0nICsgcXVvdGUoY2x1c3Rlck9mKHRyLmZyb20pKSk7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKG5vZGVzW3RyLnRvXSAmJiBub2Rlc1t0ci50b10uY2hpbGRyZW4ubGVuZ3RoKSB7XG4gICAgICAgICAgICBhdHRycy5wdXNoKCdsaGVhZD0nICsgcXVvdGUoY2x1c3Rlck9mKHRyLnRvKSkpO1xuICAgICAgICB9XG4gICAgICAgIGxpbmVzLnB1c2goaW5kZW50KDEpICsgcXVvdGUodHIuZnJvbSkgKyAnIC0+ICcgKyBxdW90ZSh0ci50bykgKyAnIFsnICsgYXR0cnMuam9pbignLCAnKSArICddOycpO1xuICAgIH0pO1xuICAgIGxpbmVzLnB1c2goJ30nKTtcbiAgICByZXR1cm4gbGluZXMuam9pbignXFxuJykgKyAnXFxuJztcbn1cblxuLyoqXG4gKiBSZW5kZXJzIGEgZGVmaW5pdGlvbiBhcyBhIE1lcm1haWQgc3RhdGUgZGlhZ3JhbSAoc3RhdGVEaWFncmFtLXYyKS5cbiAqIFRoZSBzdGF0ZXMgYXJlIGdpdmVuIGdlbmVyYXRlZCBpZGVudGlmaWVycywgYXMgc3RhdGUgbmFtZXNcbiAqIG1heSBjb250YWluIGNoYXJhY3RlcnMgd2hpY2ggTWVybWFpZCBkb2VzIG5vdCBhY2NlcHQuXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiByZW5kZXJNZXJtYWlkKGRlZmluaXRpb246IElNYWNoaW5lRGVmaW5pdGlvbiwgb3B0aW9ucz86IElEaWFncmFtT3B0aW9ucyk6IHN0cmluZyB7XG4gICAgY29uc3QgYWN0aXZlID0gKG9wdGlvbnMgJiYgb3B0aW9ucy5hY3RpdmUpIHx8IFtdO1xuICAgIGNvbnN0IHRyZWUgPSBidWlsZFRyZWUoZGVmaW5pdGlvbik7XG4gICAgY29uc3Qgbm9kZXMgPSB0cmVlLm5vZGVzO1xuICAgIGNvbnN0IGlkczogeyBba2V5OiBzdHJpbmddOiBzdHJpbmcgfSA9IHt9O1xuICAgIGRlZmluaXRpb24uc3RhdGVzLmZvckVhY2goKHN0LCBpKSA9PiB7XG4gICAgICAgIGlkc1tzdC5uYW1lXSA9ICdzJyArIGk7XG4gICAgfSk7XG4gICAgKGRlZmluaXRpb24uaGlzdG9yeVN0YXRlcyB8fCBbXSkuZm9yRWFjaCgoaCwgaSkgPT4ge1xuICAgICAgICBpZHNbaC5uYW1lXSA9ICdoJyArIGk7XG4gICAgfSk7XG4gICAgY29uc3QgbGluZXM6IEFycmF5PHN0cmluZz4gPSBbXTtcbiAgICBjb25zdCBpbmRlbnQgPSAoZGVwdGg6IG51bWJlcikgPT4gbmV3IEFycmF5KGRlcHRoICsgMSkuam9pbignICAgICcpO1xuICAgIGNvbnN0IHNhbml0aXplID0gKHZhbHVlOiBzdHJpbmcpID0+IHZhbHVlLnJlcGxhY2UoL1tcXHJcXG5dKy9nLCAnICcpO1xuXG4gICAgY29uc3Qgd3JpdGVJbml0ID0gKHRhcmdldDogc3RyaW5nLCBkZXB0aDogbnVtYmVyKSA9PiB7XG4gICAgICAgIGlmICh0YXJnZXQgJiYgbm9kZXNbdGFyZ2V0XSkge1xuICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGgpICsgJ1sqXSAtLT4gJyArIGlkc1t0YXJnZXRdKTtcbiAgICAgICAgfVxuICAgIH07XG5cbiAgICBjb25zdCB3cml0ZVN0YXRlID0gKG5hbWU6IHN0cmluZywgZGVwdGg6IG51bWJlcikgPT4ge1xuICAgICAgICBjb25zdCBub2RlID0gbm9kZXNbbmFtZV07XG4gICAgICAgIGxpbmVzLnB1c2goaW5kZW50KGRlcHRoKSArICdzdGF0ZSAnICsgSlNPTi5zdHJpbmdpZnkobmFtZSkgKyAnIGFzICcgKyBpZHNbbmFtZV0pO1xuICAgICAgICBpZiAobm9kZS5maW5hbCkge1xuICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGgpICsgaWRzW25hbWVdICsgJyAtLT4gWypdJyk7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKG5vZGUuY2hpbGRyZW4ubGVuZ3RoKSB7XG4gICAgICAgICAgICBsaW5lcy5wdXNoKGluZGVudChkZXB0aCkgKyAnc3RhdGUgJyArIGlkc1tuYW1lXSArICcgeycpO1xuICAgICAgICAgICAgd3JpdGVJbml0KG5vZGUuaW5pdGlhbCwgZGVwdGggKyAxKTtcbiAgICAgICAgICAgIG5vZGUuY2hpbGRyZW4uZm9yRWFjaChjaGlsZCA9PiB3cml0ZVN0YXRlKGNoaWxkLCBkZXB0aCArIDEpKTtcbiAgICAgICAgICAgIG5vZGUuaGlzdG9yaWVzLmZvckVhY2goaCA9PiB7XG4gICAgICAgICAgICAgICAgY29uc3QgbGFiZWwgPSBoLm5hbWUgKyAnICgnICsgaGlzdG9yeUxhYmVsT2YoaCkgKyAnKSc7XG4gICAgICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGggKyAxKSArICdzdGF0ZSAnICsgSlNPTi5zdHJpbmdpZnkobGFiZWwpICsgJyBhcyAnICsgaWRzW2gubmFtZV0pO1xuICAgICAgICAgICAgICAgIGlmIChoLmRlZmF1bHRUYXJnZXQgJiYgaWRzW2guZGVmYXVsdFRhcmdldF0pIHtcbiAgICAgICAgICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGggKyAxKSArIGlkc1toLm5hbWVdICsgJyAtLT4gJyArIGlkc1toLmRlZmF1bHRUYXJnZXRdICsgJyA6IGRlZmF1bHQnKTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICB9KTtcbiAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KGRlcHRoKSArICd9Jyk7XG4gICAgICAgIH1cbiAgICB9O1xuXG4gICAgbGluZXMucHVzaCgnc3RhdGVEaWFncmFtLXYyJyk7XG4gICAgbGV0IHJlZ2lvbkluZGV4ID0gMDtcbiAgICBmb3IgKGNvbnN0IGsgaW4gdHJlZS5yZWdpb25zKSB7XG4gICAgICAgIGlmICh0cmVlLnJlZ2lvbnMuaGFzT3duUHJvcGVydHkoaykpIHtcbiAgICAgICAgICAgIGNvbnN0IHJlZ2lvbiA9IHRyZWUucmVnaW9uc1trXTtcbiAgICAgICAgICAgIGlmIChrID09PSBkZWZhdWx0UmVnaW9uKSB7XG4gICAgICAgICAgICAgICAgd3JpdGVJbml0KHJlZ2lvbi5pbml0aWFsLCAxKTtcbiAgICAgICAgICAgICAgICByZWdpb24ucm9vdHMuZm9yRWFjaChuYW1lID0+IHdyaXRlU3RhdGUobmFtZSwgMSkpO1xuICAgICAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgICAgICBjb25zdCByZWdpb25JZCA9ICdyJyArIHJlZ2lvbkluZGV4Kys7XG4gICAgICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoMSkgKyAnc3RhdGUgJyArIEpTT04uc3RyaW5naWZ5KGspICsgJyBhcyAnICsgcmVnaW9uSWQpO1xuICAgICAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KDEpICsgJ3N0YXRlICcgKyByZWdpb25JZCArICcgeycpO1xuICAgICAgICAgICAgICAgIHdyaXRlSW5pdChyZWdpb24uaW5pdGlhbCwgMik7XG4gICAgICAgICAgICAgICAgcmVnaW9uLnJvb3RzLmZvckVhY2gobmFtZSA9PiB3cml0ZVN0YXRlKG5hbWUsIDIpKTtcbiAgICAgICAgICAgICAgICBsaW5lcy5wdXNoKGluZGVudCgxKSArICd9Jyk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICB9XG4gICAgKGRlZmluaXRpb24udHJhbnNpdGlvbnMgfHwgW10pLmZvckVhY2godHIgPT4ge1xuICAgICAgICBpZiAoaWRzW3RyLmZyb21dICYmIGlkc1t0ci50b10pIHtcbiAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KDEpICsgaWRzW3RyLmZyb21dICsgJyAtLT4gJyArIGlkc1t0ci50b10gKyAnIDogJyArIHNhbml0aXplKGxhYmVsT2YodHIpKSk7XG4gICAgICAgIH1cbiAgICB9KTtcbiAgICBjb25zdCBoaWdobGlnaHRlZCA9IGFjdGl2ZS5maWx0ZXIobmFtZSA9PiBpZHNbbmFtZV0pLm1hcChuYW1lID0+IGlkc1tuYW1lXSk7XG4gICAgaWYgKGhpZ2hsaWdodGVkLmxlbmd0aCkge1xuICAgICAgICBsaW5lcy5wdXNoKGluZGVudCgxKSArICdjbGFzc0RlZiBhY3RpdmUgZmlsbDonICsgaGlnaGxpZ2h0Q29sb3IpO1xuICAgICAgICBsaW5lcy5wdXNoKGluZGVudCgxKSArICdjbGFzcyAnICsgaGlnaGxpZ2h0ZWQuam9pbignLCcpICsgJyBhY3RpdmUnKTtcbiAgICB9XG4gICAgcmV0dXJuIGxpbmVzLmpvaW4oJ1xcbicpICsgJ1xcbic7XG59XG4iXX0=
\ No newline at end of file
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * @fileOverview
+ * Provides the strategies deciding where a finite state machine
+ * does its work and delivers its notifications, e.g., inside or
+ * outside the zone of a framework.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+/**
+ * Defines where a machine runs.
+ * @record
+ */
+export function IExecutionStrategy() { }
+if (false) {
+    /**
+     * @template T
+     * @param {?} work
+     * @return {?}
+     */
+    IExecutionStrategy.prototype.execute = function (work) { };
+    /**
+     * @param {?} delivery
+     * @return {?}
+     */
+    IExecutionStrategy.prototype.notify = function (delivery) { };
+}
+/**
+ * The strategy which runs everything where the machine is called.
+ * @type {?}
+ */
+export var directExecutionStrategy = {
+    execute: function (work) { return work(); },
+    notify: function (delivery) { return delivery(); }
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZXhlY3V0aW9uLXN0cmF0ZWd5LmpzIiwic291cmNlUm9vdCI6Im5nOi8vQHBvbHB3YXJlL2ZlLWJlaGF2aW9yLyIsInNvdXJjZXMiOlsibGliL3N0YXRlL2V4ZWN1dGlvbi1zdHJhdGVneS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7O0FBWUEsd0NBT0M7Ozs7Ozs7SUFKRywyREFBNkI7Ozs7O0lBRzdCLDhEQUFtQzs7Ozs7O0FBTXZDLE1BQU0sS0FBTyx1QkFBdUIsR0FBdUI7SUFDdkQsT0FBTyxFQUFFLFVBQUksSUFBYSxJQUFLLE9BQUEsSUFBSSxFQUFFLEVBQU4sQ0FBTTtJQUNyQyxNQUFNLEVBQUUsVUFBQyxRQUFvQixJQUFLLE9BQUEsUUFBUSxFQUFFLEVBQVYsQ0FBVTtDQUMvQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGZpbGVPdmVydmlld1xuICogUHJvdmlkZXMgdGhlIHN0cmF0ZWdpZXMgZGVjaWRpbmcgd2hlcmUgYSBmaW5pdGUgc3RhdGUgbWFjaGluZVxuICogZG9lcyBpdHMgd29yayBhbmQgZGVsaXZlcnMgaXRzIG5vdGlmaWNhdGlvbnMsIGUuZy4sIGluc2lkZSBvclxuICogb3V0c2lkZSB0aGUgem9uZSBvZiBhIGZyYW1ld29yay5cbiAqIEBhdXRob3IgWGlhb2xvbmcgVGFuZyA8eHhsb25ndGFuZ0BnbWFpbC5jb20+XG4gKiBAbGljZW5zZSBDb3B5cmlnaHQgQG1lXG4gKi9cblxuLyoqXG4gKiBEZWZpbmVzIHdoZXJlIGEgbWFjaGluZSBydW5zLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIElFeGVjdXRpb25TdHJhdGVneSB7XG4gICAgLy8gUnVucyB0aGUgd29yayBvZiB0aGUgbWFjaGluZSwgaS5lLiwgdGFraW5nIHRyYW5zaXRpb25zXG4gICAgLy8gYW5kIGludm9raW5nIHRoZSBjYWxsYmFja3Mgb2YgdGhlIHN0YXRlcyBhbmQgdGhlIHRyYW5zaXRpb25zLlxuICAgIGV4ZWN1dGU8VD4od29yazogKCkgPT4gVCk6IFQ7XG4gICAgLy8gRGVsaXZlcnMgYSBub3RpZmljYXRpb24gdG8gdGhlIGhhbmRsZXJzIGFuZCB0aGUgc3Vic2NyaWJlcnNcbiAgICAvLyBvZiB0aGUgbWFjaGluZS4gSXQgaXMgaW52b2tlZCBvbmx5IGlmIHRoZXJlIGlzIGFueSBvZiB0aGVtLlxuICAgIG5vdGlmeShkZWxpdmVyeTogKCkgPT4gdm9pZCk6IHZvaWQ7XG59XG5cbi8qKlxuICogVGhlIHN0cmF0ZWd5IHdoaWNoIHJ1bnMgZXZlcnl0aGluZyB3aGVyZSB0aGUgbWFjaGluZSBpcyBjYWxsZWQuXG4gKi9cbmV4cG9ydCBjb25zdCBkaXJlY3RFeGVjdXRpb25TdHJhdGVneTogSUV4ZWN1dGlvblN0cmF0ZWd5ID0ge1xuICAgIGV4ZWN1dGU6IDxUPih3b3JrOiAoKSA9PiBUKSA9PiB3b3JrKCksXG4gICAgbm90aWZ5OiAoZGVsaXZlcnk6ICgpID0+IHZvaWQpID0+IGRlbGl2ZXJ5KClcbn07XG4iXX0=
\ No newline at end of file
@@ -10,6 +10,15 @@
  */
 import * as dependencies from '@polpware/fe-dependencies';
 import { replace as replaceStr } from '@polpware/fe-utilities';
+import { ReplaySubject, Subject } from 'rxjs';
+import { distinctUntilChanged, filter, map } from 'rxjs/operators';
+import { definitionVersion, DefinitionError, validateDefinition } from './machine-definition';
+import { renderDot, renderMermaid } from './diagram-export';
+import { parseScxml, serializeScxml } from './scxml';
+import { analyzeDefinition } from './model-checking';
+import { checkProperty } from './temporal-logic';
+import { realTimeScheduler } from './scheduler';
+import { directExecutionStrategy } from './execution-strategy';
 // A set of helper functions
 /** @type {?} */
 var _ = dependencies.underscore;
@@ -22,14 +31,22 @@ var without = _.without;
 /** @type {?} */
 var transitionKeyFormat = '{from}2{to}';
 /** @type {?} */
+var stateSeparator = '.';
+// The target which keeps the underlying implementation in its current state
+/** @type {?} */
+var wildcardState = '*';
+/** @type {?} */
+var defaultRegion = 'default';
+/** @type {?} */
 var errorMessageFormat = 'Transition {name} from {from} to {to} fails.';
-/**
- * @param {?} value
- * @return {?}
- */
-function captialize(value) {
-    return value.charAt(0).toUpperCase() + value.slice(1);
-}
+// The format version of snapshots; bump it whenever
+// the snapshot structure changes incompatibly.
+/** @type {?} */
+var snapshotVersion = 1;
+/** @type {?} */
+var maxHistoryLength = 100;
+/** @type {?} */
+var sameStatePolicies = ['ignore', 'error', 'reenter'];
 /**
  * @record
  */
@@ -54,9 +71,13 @@ if (false) {
     IUnderlyImpl.prototype.fire = function (transitionName) { };
 }
 /**
+ * Describes a transition to the callbacks invoked during it.
+ * The type parameters are the states, the events and the context data
+ * of the FSM, as in FiniteStateMachine.
  * @record
+ * @template TState, TEvent, TContext
  */
-function ILifeCycleEvent() { }
+export function ILifeCycleEvent() { }
 if (false) {
     /** @type {?} */
     ILifeCycleEvent.prototype.transition;
@@ -64,6 +85,99 @@ if (false) {
     ILifeCycleEvent.prototype.from;
     /** @type {?} */
     ILifeCycleEvent.prototype.to;
+    /** @type {?|undefined} */
+    ILifeCycleEvent.prototype.region;
+    /** @type {?|undefined} */
+    ILifeCycleEvent.prototype.event;
+    /** @type {?|undefined} */
+    ILifeCycleEvent.prototype.payload;
+    /** @type {?|undefined} */
+    ILifeCycleEvent.prototype.context;
+}
+/**
+ * Describes a change of the context data.
+ * @record
+ * @template TState, TEvent, TContext
+ */
+export function IContextChangeEvent() { }
+if (false) {
+    /** @type {?} */
+    IContextChangeEvent.prototype.context;
+    /** @type {?} */
+    IContextChangeEvent.prototype.previous;
+    /** @type {?} */
+    IContextChangeEvent.prototype.lifecycle;
+}
+/**
+ * Describes an error reported to the error handler.
+ * @record
+ */
+export function IErrorEvent() { }
+if (false) {
+    /** @type {?} */
+    IErrorEvent.prototype.name;
+    /** @type {?} */
+    IErrorEvent.prototype.from;
+    /** @type {?} */
+    IErrorEvent.prototype.to;
+    /** @type {?|undefined} */
+    IErrorEvent.prototype.error;
+}
+/**
+ * Describes a transition which has been taken.
+ * @record
+ * @template TState
+ */
+export function IHistoryEntry() { }
+if (false) {
+    /** @type {?} */
+    IHistoryEntry.prototype.transition;
+    /** @type {?} */
+    IHistoryEntry.prototype.from;
+    /** @type {?} */
+    IHistoryEntry.prototype.to;
+    /** @type {?} */
+    IHistoryEntry.prototype.region;
+    /** @type {?|undefined} */
+    IHistoryEntry.prototype.payload;
+    /** @type {?|undefined} */
+    IHistoryEntry.prototype.timestamp;
+}
+/**
+ * Describes the running status of a FSM in plain JSON data,
+ * from which a FSM of the same configuration may be started again.
+ * @record
+ * @template TState, TContext
+ */
+export function ISnapshot() { }
+if (false) {
+    /** @type {?} */
+    ISnapshot.prototype.version;
+    /** @type {?} */
+    ISnapshot.prototype.state;
+    /** @type {?} */
+    ISnapshot.prototype.context;
+    /** @type {?} */
+    ISnapshot.prototype.history;
+    /** @type {?|undefined} */
+    ISnapshot.prototype.undone;
+    /** @type {?|undefined} */
+    ISnapshot.prototype.lastActive;
+}
+/**
+ * @record
+ * @template TState
+ */
+export function IStateOptions() { }
+if (false) {
+    /** @type {?|undefined} */
+    IStateOptions.prototype.parent;
+    /** @type {?|undefined} */
+    IStateOptions.prototype.initial;
+    /** @type {?|undefined} */
+    IStateOptions.prototype.region;
+    /** @type {?|undefined} */
+    IStateOptions.prototype.final;
 }
 /**
  * @record
@@ -74,6 +188,68 @@ if (false) {
     IStateSpecification.prototype.onEnterCallback;
     /** @type {?|undefined} */
     IStateSpecification.prototype.onLeaveCallback;
+    /** @type {?|undefined} */
+    IStateSpecification.prototype.parent;
+    /** @type {?|undefined} */
+    IStateSpecification.prototype.initial;
+    /** @type {?} */
+    IStateSpecification.prototype.children;
+    /** @type {?} */
+    IStateSpecification.prototype.region;
+    /** @type {?|undefined} */
+    IStateSpecification.prototype.final;
+}
+/**
+ * @record
+ */
+function IRegionSpecification() { }
+if (false) {
+    /** @type {?} */
+    IRegionSpecification.prototype.initState;
+}
+/**
+ * @record
+ * @template TState
+ */
+export function IHistoryStateOptions() { }
+if (false) {
+    /** @type {?|undefined} */
+    IHistoryStateOptions.prototype.deep;
+    /** @type {?|undefined} */
+    IHistoryStateOptions.prototype.defaultTarget;
+}
+/**
+ * @record
+ */
+function IHistoryStateSpecification() { }
+if (false) {
+    /** @type {?} */
+    IHistoryStateSpecification.prototype.parent;
+    /** @type {?} */
+    IHistoryStateSpecification.prototype.deep;
+    /** @type {?|undefined} */
+    IHistoryStateSpecification.prototype.defaultTarget;
+    /** @type {?} */
+    IHistoryStateSpecification.prototype.region;
+}
+/**
+ * @record
+ * @template TState, TEvent, TContext
+ */
+export function ITransitionOptions() { }
+if (false) {
+    /** @type {?|undefined} */
+    ITransitionOptions.prototype.guard;
+    /** @type {?|undefined} */
+    ITransitionOptions.prototype.event;
+    /** @type {?|undefined} */
+    ITransitionOptions.prototype.assign;
+    /** @type {?|undefined} */
+    ITransitionOptions.prototype.delay;
+    /** @type {?|undefined} */
+    ITransitionOptions.prototype.compensation;
+    /** @type {?|undefined} */
+    ITransitionOptions.prototype.internal;
 }
 /**
  * @record
@@ -88,6 +264,28 @@ if (false) {
     ITransitionSpecification.prototype.onBeforeCallback;
     /** @type {?|undefined} */
     ITransitionSpecification.prototype.onAfterCallback;
+    /** @type {?|undefined} */
+    ITransitionSpecification.prototype.guard;
+    /** @type {?|undefined} */
+    ITransitionSpecification.prototype.event;
+    /** @type {?|undefined} */
+    ITransitionSpecification.prototype.assign;
+    /** @type {?|undefined} */
+    ITransitionSpecification.prototype.delay;
+    /** @type {?|undefined} */
+    ITransitionSpecification.prototype.compensation;
+    /** @type {?|undefined} */
+    ITransitionSpecification.prototype.internal;
+}
+/**
+ * @record
+ */
+function IReplaySpecification() { }
+if (false) {
+    /** @type {?} */
+    IReplaySpecification.prototype.kind;
+    /** @type {?} */
+    IReplaySpecification.prototype.entry;
 }
 /**
  * Builds a handler with necessary context information.
@@ -97,7 +295,7 @@ if (false) {
  * @return {?}
  */
 function buildHandlerInClosure(context, key) {
-    return function () {
+    return function (data) {
         /** @type {?} */
         var ourHandlers = context[key];
         if (!ourHandlers) {
@@ -110,14 +308,92 @@ function buildHandlerInClosure(context, key) {
         }
     };
 }
+/**
+ * Computes the states to be left and the states to be entered
+ * when moving from one state to another, given the active paths of both.
+ * The states to be left are ordered from the innermost one, and
+ * the states to be entered from the outermost one.
+ * @param {?} fromPath
+ * @param {?} toPath
+ * @return {?}
+ */
+function computeExitAndEntry(fromPath, toPath) {
+    /** @type {?} */
+    var i = 0;
+    while (i < fromPath.length && i < toPath.length && fromPath[i] === toPath[i]) {
+        i++;
+    }
+    return {
+        exit: fromPath.slice(i).reverse(),
+        entry: toPath.slice(i)
+    };
+}
+/**
+ * Invokes the given callbacks one after another, and stops at
+ * the first one which returns false. A callback may return a promise,
+ * and then the remaining callbacks are invoked once it is resolved.
+ * @param {?} callbacks
+ * @param {?} lifecycle
+ * @param {?=} index
+ * @return {?}
+ */
+function invokeInSequence(callbacks, lifecycle, index) {
+    if (index === void 0) { index = 0; }
+    var _loop_1 = function (i) {
+        /** @type {?} */
+        var result = callbacks[i](lifecycle);
+        if (result === false) {
+            return { value: false };
+        }
+        if (result && typeof result.then === 'function') {
+            return { value: result.then(function (value) {
+                    return value === false ? false : invokeInSequence(callbacks, lifecycle, i + 1);
+                }) };
+        }
+    };
+    for (var i = index; i < callbacks.length; i++) {
+        var state_1 = _loop_1(i);
+        if (typeof state_1 === "object")
+            return state_1.value;
+    }
+}
+/**
+ * Invokes the given middleware around the given work, the first one
+ * being the outermost. A middleware which does not call next vetoes
+ * the transition; a middleware may call next only once.
+ * @param {?} middleware
+ * @param {?} lifecycle
+ * @param {?} work
+ * @param {?=} index
+ * @return {?}
+ */
+function invokeMiddleware(middleware, lifecycle, work, index) {
+    if (index === void 0) { index = 0; }
+    if (index >= middleware.length) {
+        return work(lifecycle.payload);
+    }
+    /** @type {?} */
+    var called = false;
+    return middleware[index](lifecycle, function (payload) {
+        if (called) {
+            throw new Error('Calling next more than once: ' + lifecycle.transition);
+        }
+        called = true;
+        if (arguments.length > 0) {
+            lifecycle.payload = payload;
+        }
+        return invokeMiddleware(middleware, lifecycle, work, index + 1);
+    });
+}
 /**
  * Default error handler for the FSM.
  * @param {?} eventName
  * @param {?} from
  * @param {?} to
+ * @param {?=} error
  * @return {?}
  */
-function defaultErrorHandler(eventName, from, to) {
+function defaultErrorHandler(eventName, from, to, error) {
     /** @type {?} */
     var info = replaceStr(errorMessageFormat, {
         name: eventName,
@@ -125,6 +401,9 @@ function defaultErrorHandler(eventName, from, to) {
         to: to
     });
     console.log(info);
+    if (error) {
+        console.log(error);
+    }
 }
 /**
  * Represents a finite state machine.
@@ -136,6 +415,15 @@ function defaultErrorHandler(eventName, from, to) {
  * transitions
  * - Support for asychronous and synchrous transitions
  * - Support for global exception handling
+ * The states, the events and the context data may be typed by
+ * the type parameters, e.g.,
+ * new FiniteStateMachine<'idle' | 'busy', 'submit', { count: number }>(),
+ * so that the names are checked at compile time and the callbacks
+ * receive precisely typed lifecycle events. The last type parameter
+ * tells whether the FSM is in the asynchronous mode, as set by
+ * setAsyncMode, so that taking a transition is typed to return
+ * either the FSM or a promise.
+ * @template TState, TEvent, TContext, TAsync
  */
 var /**
  * Represents a finite state machine.
@@ -147,16 +435,245 @@ var /**
  * transitions
  * - Support for asychronous and synchrous transitions
  * - Support for global exception handling
+ * The states, the events and the context data may be typed by
+ * the type parameters, e.g.,
+ * new FiniteStateMachine<'idle' | 'busy', 'submit', { count: number }>(),
+ * so that the names are checked at compile time and the callbacks
+ * receive precisely typed lifecycle events. The last type parameter
+ * tells whether the FSM is in the asynchronous mode, as set by
+ * setAsyncMode, so that taking a transition is typed to return
+ * either the FSM or a promise.
+ * @template TState, TEvent, TContext, TAsync
  */
 FiniteStateMachine = /** @class */ (function () {
     function FiniteStateMachine() {
-        this._impl = null;
+        this._impls = null;
         this._initState = null;
+        this._context = {};
+        this._asyncMode = false;
+        this._sameStatePolicy = 'ignore';
+        this._pendingRegions = {};
         this._errorHandler = null;
+        this._regionConfiguration = {};
+        this._historyConfiguration = {};
+        this._lastActive = {};
         this._stateConfiguration = {};
         this._transitionConfiguration = {};
-        this._handlers = {};
+        this._reentryConfiguration = {};
+        this._eventConfiguration = {};
+        // Handlers may be registered before the FSM starts
+        this._handlers = {
+            onEnterState: [],
+            onLeaveState: [],
+            onContextChange: []
+        };
+        this._middleware = [];
+        this._history = [];
+        this._historyLimit = maxHistoryLength;
+        this._undone = [];
+        this._replays = {};
+        this._settledEvents = {};
+        this._implementations = null;
+        this._scheduler = realTimeScheduler;
+        this._timers = {};
+        this._execution = directExecutionStrategy;
+        this._disposed = false;
+        this._configurationSubject = new ReplaySubject(1);
+        this._transitionSubject = new Subject();
+        this._errorSubject = new Subject();
+        this._contextSubject = new ReplaySubject(1);
+        this.configuration$ = (/** @type {?} */ (this._configurationSubject.asObservable()));
+        this.state$ = this.watchState();
+        this.transitions$ = (/** @type {?} */ (this._transitionSubject.asObservable()));
+        this.errors$ = this._errorSubject.asObservable();
+        this.context$ = (/** @type {?} */ (this._contextSubject.asObservable()));
     }
+    /**
+     * Builds a FSM from a declarative definition, in which the callbacks
+     * and the guards are referred to by their names in the given map of
+     * implementations. The resulting FSM is configured but not started.
+     * If the definition is invalid, a DefinitionError listing all
+     * the problems found is thrown. The mode of the FSM is given by
+     * the definition, so it is unknown to the type system,
+     * unless stated by the last type parameter.
+     */
+    /**
+     * Builds a FSM from a declarative definition, in which the callbacks
+     * and the guards are referred to by their names in the given map of
+     * implementations. The resulting FSM is configured but not started.
+     * If the definition is invalid, a DefinitionError listing all
+     * the problems found is thrown. The mode of the FSM is given by
+     * the definition, so it is unknown to the type system,
+     * unless stated by the last type parameter.
+     * @template TState, TEvent, TContext, TAsync
+     * @param {?} definition
+     * @param {?=} implementations
+     * @return {?}
+     */
+    FiniteStateMachine.fromDefinition = /**
+     * Builds a FSM from a declarative definition, in which the callbacks
+     * and the guards are referred to by their names in the given map of
+     * implementations. The resulting FSM is configured but not started.
+     * If the definition is invalid, a DefinitionError listing all
+     * the problems found is thrown. The mode of the FSM is given by
+     * the definition, so it is unknown to the type system,
+     * unless stated by the last type parameter.
+     * @template TState, TEvent, TContext, TAsync
+     * @param {?} definition
+     * @param {?=} implementations
+     * @return {?}
+     */
+    function (definition, implementations) {
+        /** @type {?} */
+        var errors = validateDefinition(definition);
+        if (errors.length) {
+            throw new DefinitionError(errors);
+        }
+        implementations = implementations || {};
+        /** @type {?} */
+        var lookup = function (name, path) {
+            if (!name) {
+                return undefined;
+            }
+            if (!implementations.hasOwnProperty(name) || typeof implementations[name] !== 'function') {
+                errors.push({ path: path, message: 'Undefined implementation: ' + name });
+                return undefined;
+            }
+            return implementations[name];
+        };
+        // Keeps going on failures, so that all the problems are reported.
+        /** @type {?} */
+        var attempt = function (path, fn) {
+            try {
+                fn();
+            }
+            catch (e) {
+                errors.push({ path: path, message: e.message });
+            }
+        };
+        /** @type {?} */
+        var fsm = new FiniteStateMachine();
+        if (definition.context !== undefined) {
+            fsm.setContext(definition.context);
+        }
+        fsm.setAsyncMode(!!definition.asyncMode);
+        if (definition.sameStatePolicy) {
+            attempt('/sameStatePolicy', function () { return fsm.setSameStatePolicy((/** @type {?} */ (definition.sameStatePolicy))); });
+        }
+        (definition.regions || []).forEach(function (r, i) {
+            attempt('/regions/' + i, function () { return fsm.addRegion(r.name, r.initial); });
+        });
+        definition.states.forEach(function (st, i) {
+            /** @type {?} */
+            var path = '/states/' + i;
+            /** @type {?} */
+            var onEnter = lookup(st.onEnter, path + '/onEnter');
+            /** @type {?} */
+            var onLeave = lookup(st.onLeave, path + '/onLeave');
+            attempt(path, function () { return fsm.addState(st.name, onEnter, onLeave, {
+                parent: st.parent,
+                initial: st.initial,
+                region: st.region,
+                final: st.final
+            }); });
+        });
+        (definition.historyStates || []).forEach(function (h, i) {
+            attempt('/historyStates/' + i, function () { return fsm.addHistoryState(h.name, h.parent, {
+                deep: h.deep,
+                defaultTarget: h.defaultTarget
+            }); });
+        });
+        (definition.transitions || []).forEach(function (tr, i) {
+            /** @type {?} */
+            var path = '/transitions/' + i;
+            /** @type {?} */
+            var onAfter = lookup(tr.onAfter, path + '/onAfter');
+            /** @type {?} */
+            var onBefore = lookup(tr.onBefore, path + '/onBefore');
+            /** @type {?} */
+            var guard = lookup(tr.guard, path + '/guard');
+            /** @type {?} */
+            var assign = typeof tr.assign === 'string' ? lookup(tr.assign, path + '/assign') : tr.assign;
+            attempt(path, function () { return fsm.addTransition(tr.from, tr.to, onAfter, onBefore, {
+                guard: guard,
+                event: tr.event,
+                assign: assign,
+                delay: tr.delay,
+                compensation: tr.compensation,
+                internal: tr.internal
+            }); });
+        });
+        // The references to the states are otherwise checked only on start.
+        /** @type {?} */
+        var stateConf = fsm._stateConfiguration;
+        if (definition.initial) {
+            if (stateConf[definition.initial]) {
+                fsm.setInitState(definition.initial);
+            }
+            else {
+                errors.push({ path: '/initial', message: 'Undefined state: ' + definition.initial });
+            }
+        }
+        (definition.regions || []).forEach(function (r, i) {
+            if (!stateConf[r.initial] || stateConf[r.initial].region !== r.name) {
+                errors.push({ path: '/regions/' + i + '/initial', message: 'Undefined state in region: ' + r.initial });
+            }
+        });
+        definition.states.forEach(function (st, i) {
+            /** @type {?} */
+            var elem = stateConf[st.name];
+            if (elem && st.initial && indexOf(elem.children, st.initial) < 0) {
+                errors.push({ path: '/states/' + i + '/initial', message: 'Undefined initial child state: ' + st.initial });
+            }
+        });
+        (definition.historyStates || []).forEach(function (h, i) {
+            if (stateConf[h.parent] && !stateConf[h.parent].children.length) {
+                errors.push({ path: '/historyStates/' + i + '/parent', message: 'History state of an atomic state: ' + h.name });
+            }
+            /** @type {?} */
+            var target = h.defaultTarget;
+            if (target && (!stateConf[target] || target === h.parent || indexOf(fsm.pathOf(target), h.parent) < 0)) {
+                errors.push({ path: '/historyStates/' + i + '/defaultTarget', message: 'Undefined default target: ' + target });
+            }
+        });
+        if (errors.length) {
+            throw new DefinitionError(errors);
+        }
+        fsm._implementations = implementations;
+        return fsm;
+    };
+    /**
+     * Builds a FSM from a SCXML document, in which the onentry and onexit
+     * handlers and the conditions refer to the callbacks and the guards
+     * by their names in the given map of implementations.
+     * The resulting FSM is configured but not started,
+     * and it is in the synchronous mode.
+     */
+    /**
+     * Builds a FSM from a SCXML document, in which the onentry and onexit
+     * handlers and the conditions refer to the callbacks and the guards
+     * by their names in the given map of implementations.
+     * The resulting FSM is configured but not started,
+     * and it is in the synchronous mode.
+     * @template TState, TEvent, TContext
+     * @param {?} xml
+     * @param {?=} implementations
+     * @return {?}
+     */
+    FiniteStateMachine.fromScxml = /**
+     * Builds a FSM from a SCXML document, in which the onentry and onexit
+     * handlers and the conditions refer to the callbacks and the guards
+     * by their names in the given map of implementations.
+     * The resulting FSM is configured but not started,
+     * and it is in the synchronous mode.
+     * @template TState, TEvent, TContext
+     * @param {?} xml
+     * @param {?=} implementations
+     * @return {?}
+     */
+    function (xml, implementations) {
+        return FiniteStateMachine.fromDefinition(parseScxml(xml), implementations);
+    };
     /**
      * Checks if FSM is in configuration stage.
      */
@@ -171,7 +688,10 @@ FiniteStateMachine = /** @class */ (function () {
      * @return {?}
      */
     function () {
-        if (this._impl) {
+        if (this._disposed) {
+            throw new Error('State machine has been disposed.');
+        }
+        if (this._impls) {
             throw new Error('State machine has started.');
         }
     };
@@ -189,370 +709,2780 @@ FiniteStateMachine = /** @class */ (function () {
      * @return {?}
      */
     function () {
-        if (!this._impl) {
+        if (this._disposed) {
+            throw new Error('State machine has been disposed.');
+        }
+        if (!this._impls) {
             throw new Error('State machine has not yet started.');
         }
     };
     /**
-     * Defines the behavior when the FSM moves into a state by a transition.
+     * Returns the given state and all of its enclosing states,
+     * starting from the outermost one.
      */
     /**
-     * Defines the behavior when the FSM moves into a state by a transition.
-     * @template THIS
-     * @this {THIS}
+     * Returns the given state and all of its enclosing states,
+     * starting from the outermost one.
+     * @private
      * @param {?} name
-     * @param {?=} onEnterCallback
-     * @param {?=} onLeaveCallback
-     * @return {THIS}
+     * @return {?}
      */
-    FiniteStateMachine.prototype.addState = /**
-     * Defines the behavior when the FSM moves into a state by a transition.
-     * @template THIS
-     * @this {THIS}
+    FiniteStateMachine.prototype.pathOf = /**
+     * Returns the given state and all of its enclosing states,
+     * starting from the outermost one.
+     * @private
      * @param {?} name
-     * @param {?=} onEnterCallback
-     * @param {?=} onLeaveCallback
-     * @return {THIS}
+     * @return {?}
      */
-    function (name, onEnterCallback, onLeaveCallback) {
-        // Pre-conditions
-        (/** @type {?} */ (this)).ensureConfigureStage();
+    function (name) {
         /** @type {?} */
-        var stateConf = (/** @type {?} */ (this))._stateConfiguration;
-        if (stateConf[name]) {
-            throw new Error('Redefined state: ' + name);
+        var stateConf = this._stateConfiguration;
+        /** @type {?} */
+        var path = [];
+        for (var s = name; s; s = stateConf[s].parent) {
+            path.unshift(s);
         }
-        stateConf[name] = {
-            onEnterCallback: onEnterCallback,
-            onLeaveCallback: onLeaveCallback
-        };
-        return (/** @type {?} */ (this));
+        return path;
     };
     /**
-     * Defines the init state for the FSM.
+     * Resolves the atomic state which is entered
+     * when a transition targets the given state.
      */
     /**
-     * Defines the init state for the FSM.
-     * @template THIS
-     * @this {THIS}
+     * Resolves the atomic state which is entered
+     * when a transition targets the given state.
+     * @private
      * @param {?} name
-     * @return {THIS}
+     * @return {?}
      */
-    FiniteStateMachine.prototype.setInitState = /**
-     * Defines the init state for the FSM.
-     * @template THIS
-     * @this {THIS}
+    FiniteStateMachine.prototype.resolveAtomicState = /**
+     * Resolves the atomic state which is entered
+     * when a transition targets the given state.
+     * @private
      * @param {?} name
-     * @return {THIS}
+     * @return {?}
      */
     function (name) {
-        // Pre-conditions
-        (/** @type {?} */ (this)).ensureConfigureStage();
-        if ((/** @type {?} */ (this))._initState) {
-            throw new Error('Redefined init state: ' + (/** @type {?} */ (this))._initState);
+        /** @type {?} */
+        var stateConf = this._stateConfiguration;
+        /** @type {?} */
+        var elem = stateConf[name];
+        while (elem.children.length > 0) {
+            name = elem.initial || elem.children[0];
+            elem = stateConf[name];
         }
-        (/** @type {?} */ (this))._initState = name;
-        return (/** @type {?} */ (this));
+        return name;
     };
     /**
-     * Defines a new stransition.
+     * Returns the atomic states which are nested in the given state,
+     * or the state itself if it does not have any child.
      */
     /**
-     * Defines a new stransition.
-     * @template THIS
-     * @this {THIS}
-     * @param {?} from
-     * @param {?} to
-     * @param {?=} onAfterCallback
-     * @param {?=} onBeforeCallback
+     * Returns the atomic states which are nested in the given state,
+     * or the state itself if it does not have any child.
+     * @private
+     * @param {?} name
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.atomicStatesOf = /**
+     * Returns the atomic states which are nested in the given state,
+     * or the state itself if it does not have any child.
+     * @private
+     * @param {?} name
+     * @return {?}
+     */
+    function (name) {
+        /** @type {?} */
+        var elem = this._stateConfiguration[name];
+        if (elem.children.length === 0) {
+            return [name];
+        }
+        /** @type {?} */
+        var result = [];
+        for (var _i = 0, _a = elem.children; _i < _a.length; _i++) {
+            var child = _a[_i];
+            result = result.concat(this.atomicStatesOf(child));
+        }
+        return result;
+    };
+    /**
+     * Invokes the given callbacks which may delay or veto a transition.
+     * In the asynchronous mode, a promise resolved to false is turned into
+     * a rejection, as the underlying implementation would not take it as a veto.
+     * In the synchronous mode, a promise is an error, which vetoes
+     * the transition, as the underlying implementation would wait for it.
+     */
+    /**
+     * Invokes the given callbacks which may delay or veto a transition.
+     * In the asynchronous mode, a promise resolved to false is turned into
+     * a rejection, as the underlying implementation would not take it as a veto.
+     * In the synchronous mode, a promise is an error, which vetoes
+     * the transition, as the underlying implementation would wait for it.
+     * @private
+     * @param {?} callbacks
+     * @param {?} lifecycle
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.invokeVetoableCallbacks = /**
+     * Invokes the given callbacks which may delay or veto a transition.
+     * In the asynchronous mode, a promise resolved to false is turned into
+     * a rejection, as the underlying implementation would not take it as a veto.
+     * In the synchronous mode, a promise is an error, which vetoes
+     * the transition, as the underlying implementation would wait for it.
+     * @private
+     * @param {?} callbacks
+     * @param {?} lifecycle
+     * @return {?}
+     */
+    function (callbacks, lifecycle) {
+        /** @type {?} */
+        var result = invokeInSequence(callbacks, lifecycle);
+        if (!result || typeof result.then !== 'function') {
+            return result;
+        }
+        if (!this._asyncMode) {
+            throw new Error('Promise returned in synchronous mode: ' + lifecycle.transition);
+        }
+        return result.then(function (value) {
+            if (value === false) {
+                throw new Error('Transition is vetoed: ' + lifecycle.transition);
+            }
+            return value;
+        });
+    };
+    /**
+     * Updates the context data as declared by a transition,
+     * and notifies the handlers of the change.
+     */
+    /**
+     * Updates the context data as declared by a transition,
+     * and notifies the handlers of the change.
+     * @private
+     * @param {?} assign
+     * @param {?} lifecycle
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.assignContext = /**
+     * Updates the context data as declared by a transition,
+     * and notifies the handlers of the change.
+     * @private
+     * @param {?} assign
+     * @param {?} lifecycle
+     * @return {?}
+     */
+    function (assign, lifecycle) {
+        var _this = this;
+        /** @type {?} */
+        var previous = this._context;
+        /** @type {?} */
+        var changes = typeof assign === 'function' ?
+            ((/** @type {?} */ (assign)))(previous, lifecycle.payload) :
+            _.mapObject(assign, function (value) {
+                return typeof value === 'function' ? value(previous, lifecycle.payload) : value;
+            });
+        this._context = _.extend({}, previous, changes);
+        lifecycle.context = this._context;
+        /** @type {?} */
+        var change = {
+            context: this._context,
+            previous: previous,
+            lifecycle: lifecycle
+        };
+        this.deliver(this._handlers.onContextChange, function () {
+            buildHandlerInClosure(_this._handlers, 'onContextChange')(change);
+        });
+        this.notifyContext();
+    };
+    /**
+     * Notifies the subscribers of context$ of the current context data.
+     */
+    /**
+     * Notifies the subscribers of context$ of the current context data.
+     * @private
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.notifyContext = /**
+     * Notifies the subscribers of context$ of the current context data.
+     * @private
+     * @return {?}
+     */
+    function () {
+        var _this = this;
+        /** @type {?} */
+        var context = this._context;
+        this.deliver(this._contextSubject.observers, function () { return _this._contextSubject.next(context); });
+    };
+    /**
+     * Reports an error to the error handler and to the subscribers of errors$.
+     */
+    /**
+     * Reports an error to the error handler and to the subscribers of errors$.
+     * @private
+     * @param {?} name
+     * @param {?} from
+     * @param {?} to
+     * @param {?=} error
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.reportError = /**
+     * Reports an error to the error handler and to the subscribers of errors$.
+     * @private
+     * @param {?} name
+     * @param {?} from
+     * @param {?} to
+     * @param {?=} error
+     * @return {?}
+     */
+    function (name, from, to, error) {
+        var _this = this;
+        /** @type {?} */
+        var errorHandler = this._errorHandler || defaultErrorHandler;
+        errorHandler(name, from, to, error);
+        this.deliver(this._errorSubject.observers, function () {
+            _this._errorSubject.next({ name: name, from: from, to: to, error: error });
+        });
+    };
+    /**
+     * Delivers a notification by the execution strategy, unless
+     * nobody listens to it, in which case it is delivered at once.
+     */
+    /**
+     * Delivers a notification by the execution strategy, unless
+     * nobody listens to it, in which case it is delivered at once.
+     * @private
+     * @param {?} listeners
+     * @param {?} delivery
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.deliver = /**
+     * Delivers a notification by the execution strategy, unless
+     * nobody listens to it, in which case it is delivered at once.
+     * @private
+     * @param {?} listeners
+     * @param {?} delivery
+     * @return {?}
+     */
+    function (listeners, delivery) {
+        if (listeners && listeners.length > 0) {
+            this._execution.notify(delivery);
+        }
+        else {
+            delivery();
+        }
+    };
+    /**
+     * Returns the specification of the given transition, which is either
+     * defined, or implied by the same-state policy for re-entering a state.
+     */
+    /**
+     * Returns the specification of the given transition, which is either
+     * defined, or implied by the same-state policy for re-entering a state.
+     * @private
+     * @param {?} name
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.transitionOf = /**
+     * Returns the specification of the given transition, which is either
+     * defined, or implied by the same-state policy for re-entering a state.
+     * @private
+     * @param {?} name
+     * @return {?}
+     */
+    function (name) {
+        return this._transitionConfiguration[name] || this._reentryConfiguration[name];
+    };
+    /**
+     * Computes the states left and entered by a transition. A self-transition
+     * leaves and re-enters its own state, unless it is internal.
+     */
+    /**
+     * Computes the states left and entered by a transition. A self-transition
+     * leaves and re-enters its own state, unless it is internal.
+     * @private
+     * @param {?} lifecycle
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.stepsOf = /**
+     * Computes the states left and entered by a transition. A self-transition
+     * leaves and re-enters its own state, unless it is internal.
+     * @private
+     * @param {?} lifecycle
+     * @return {?}
+     */
+    function (lifecycle) {
+        /** @type {?} */
+        var elem = this.transitionOf(lifecycle.transition);
+        /** @type {?} */
+        var fromPath = this._stateConfiguration[lifecycle.from] ? this.pathOf(lifecycle.from) : [];
+        /** @type {?} */
+        var toPath = this.pathOf(lifecycle.to);
+        if (elem && elem.from === elem.to) {
+            if (elem.internal) {
+                return { exit: [], entry: [] };
+            }
+            /** @type {?} */
+            var i = indexOf(fromPath, elem.from);
+            return { exit: fromPath.slice(i).reverse(), entry: toPath.slice(i) };
+        }
+        return computeExitAndEntry(fromPath, toPath);
+    };
+    /**
+     * Returns the underlying implementation for the given region.
+     */
+    /**
+     * Returns the underlying implementation for the given region.
+     * @private
+     * @param {?} region
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.implOf = /**
+     * Returns the underlying implementation for the given region.
+     * @private
+     * @param {?} region
+     * @return {?}
+     */
+    function (region) {
+        region = region || defaultRegion;
+        /** @type {?} */
+        var impl = this._impls[region];
+        if (!impl) {
+            throw new Error('Undefined region: ' + region);
+        }
+        return impl;
+    };
+    /**
+     * Defines an orthogonal region, which is active at the same time as
+     * the default region and all the other regions.
+     * Each region has its own init state and its own current state.
+     */
+    /**
+     * Defines an orthogonal region, which is active at the same time as
+     * the default region and all the other regions.
+     * Each region has its own init state and its own current state.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} name
+     * @param {?} initState
      * @return {THIS}
      */
-    FiniteStateMachine.prototype.addTransition = /**
-     * Defines a new stransition.
+    FiniteStateMachine.prototype.addRegion = /**
+     * Defines an orthogonal region, which is active at the same time as
+     * the default region and all the other regions.
+     * Each region has its own init state and its own current state.
      * @template THIS
      * @this {THIS}
-     * @param {?} from
-     * @param {?} to
-     * @param {?=} onAfterCallback
-     * @param {?=} onBeforeCallback
+     * @param {?} name
+     * @param {?} initState
      * @return {THIS}
      */
-    function (from, to, onAfterCallback, onBeforeCallback) {
-        // Pre-condition
+    function (name, initState) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        /** @type {?} */
+        var regionConf = (/** @type {?} */ (this))._regionConfiguration;
+        if (name === defaultRegion || regionConf[name]) {
+            throw new Error('Redefined region: ' + name);
+        }
+        regionConf[name] = {
+            initState: initState
+        };
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Defines the behavior when the FSM moves into a state by a transition.
+     * A state may be nested in another state, either by a dotted name
+     * (e.g., 'editor.saving') or by the parent option. Entering a child
+     * state enters its parent first, and the transitions defined
+     * on the parent apply to all of its descendants.
+     */
+    /**
+     * Defines the behavior when the FSM moves into a state by a transition.
+     * A state may be nested in another state, either by a dotted name
+     * (e.g., 'editor.saving') or by the parent option. Entering a child
+     * state enters its parent first, and the transitions defined
+     * on the parent apply to all of its descendants.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} name
+     * @param {?=} onEnterCallback
+     * @param {?=} onLeaveCallback
+     * @param {?=} options
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.addState = /**
+     * Defines the behavior when the FSM moves into a state by a transition.
+     * A state may be nested in another state, either by a dotted name
+     * (e.g., 'editor.saving') or by the parent option. Entering a child
+     * state enters its parent first, and the transitions defined
+     * on the parent apply to all of its descendants.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} name
+     * @param {?=} onEnterCallback
+     * @param {?=} onLeaveCallback
+     * @param {?=} options
+     * @return {THIS}
+     */
+    function (name, onEnterCallback, onLeaveCallback, options) {
+        // Pre-conditions
         (/** @type {?} */ (this)).ensureConfigureStage();
         /** @type {?} */
         var stateConf = (/** @type {?} */ (this))._stateConfiguration;
+        if (stateConf[name] || (/** @type {?} */ (this))._historyConfiguration[name]) {
+            throw new Error('Redefined state: ' + name);
+        }
+        options = options || {};
         /** @type {?} */
-        var transitionConf = (/** @type {?} */ (this))._transitionConfiguration;
-        if (!stateConf[from]) {
-            throw new Error('Undefined source state: ' + from);
+        var parent = options.parent;
+        if (parent) {
+            if (!stateConf[parent]) {
+                throw new Error('Undefined parent state: ' + parent);
+            }
         }
-        if (!stateConf[to]) {
-            throw new Error('Undefined target state: ' + to);
+        else {
+            /** @type {?} */
+            var pos = name.lastIndexOf(stateSeparator);
+            if (pos > 0 && stateConf[name.substring(0, pos)]) {
+                parent = name.substring(0, pos);
+            }
         }
         /** @type {?} */
-        var key = replaceStr(transitionKeyFormat, { from: from, to: to });
-        if (transitionConf[key]) {
-            throw new Error('Redefined transition: ' + from + ' -> ' + to);
+        var region = options.region || defaultRegion;
+        if (region !== defaultRegion && !(/** @type {?} */ (this))._regionConfiguration[region]) {
+            throw new Error('Undefined region: ' + region);
         }
-        transitionConf[key] = {
-            from: from, to: to,
-            onAfterCallback: onAfterCallback,
-            onBeforeCallback: onBeforeCallback
+        if (parent) {
+            if (options.region && options.region !== stateConf[parent].region) {
+                throw new Error('State and its parent are in different regions: ' + name);
+            }
+            region = stateConf[parent].region;
+        }
+        stateConf[name] = {
+            onEnterCallback: onEnterCallback,
+            onLeaveCallback: onLeaveCallback,
+            parent: parent,
+            initial: options.initial,
+            children: [],
+            region: region,
+            final: options.final
         };
+        if (parent) {
+            stateConf[parent].children.push(name);
+        }
         return (/** @type {?} */ (this));
     };
     /**
-     * Starts the FSM. Note that this method must be invoked before
-     * any method which may change the state of the FSM.
+     * Defines a history pseudo-state of a compound state. A transition
+     * to a history state enters the child of the compound state which
+     * was last active when the compound state was left, or with the deep
+     * option, the atomic state which was last active. If the compound
+     * state has not been left yet, the default target is entered.
      */
     /**
-     * Starts the FSM. Note that this method must be invoked before
-     * any method which may change the state of the FSM.
+     * Defines a history pseudo-state of a compound state. A transition
+     * to a history state enters the child of the compound state which
+     * was last active when the compound state was left, or with the deep
+     * option, the atomic state which was last active. If the compound
+     * state has not been left yet, the default target is entered.
      * @template THIS
      * @this {THIS}
+     * @param {?} name
+     * @param {?} parent
+     * @param {?=} options
      * @return {THIS}
      */
-    FiniteStateMachine.prototype.start = /**
-     * Starts the FSM. Note that this method must be invoked before
-     * any method which may change the state of the FSM.
+    FiniteStateMachine.prototype.addHistoryState = /**
+     * Defines a history pseudo-state of a compound state. A transition
+     * to a history state enters the child of the compound state which
+     * was last active when the compound state was left, or with the deep
+     * option, the atomic state which was last active. If the compound
+     * state has not been left yet, the default target is entered.
      * @template THIS
      * @this {THIS}
+     * @param {?} name
+     * @param {?} parent
+     * @param {?=} options
      * @return {THIS}
      */
-    function () {
+    function (name, parent, options) {
+        // Pre-conditions
         (/** @type {?} */ (this)).ensureConfigureStage();
-        if (!(/** @type {?} */ (this))._initState) {
-            throw new Error('Init state has not been defined.');
+        /** @type {?} */
+        var stateConf = (/** @type {?} */ (this))._stateConfiguration;
+        /** @type {?} */
+        var historyConf = (/** @type {?} */ (this))._historyConfiguration;
+        if (stateConf[name] || historyConf[name]) {
+            throw new Error('Redefined state: ' + name);
         }
-        // Definition
+        if (!stateConf[parent]) {
+            throw new Error('Undefined parent state: ' + parent);
+        }
+        options = options || {};
+        historyConf[name] = {
+            parent: parent,
+            deep: !!options.deep,
+            defaultTarget: options.defaultTarget,
+            region: stateConf[parent].region
+        };
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Resolves the atomic state which is entered
+     * when a transition targets the given history state.
+     */
+    /**
+     * Resolves the atomic state which is entered
+     * when a transition targets the given history state.
+     * @private
+     * @param {?} name
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.resolveHistoryState = /**
+     * Resolves the atomic state which is entered
+     * when a transition targets the given history state.
+     * @private
+     * @param {?} name
+     * @return {?}
+     */
+    function (name) {
+        /** @type {?} */
+        var elem = this._historyConfiguration[name];
+        /** @type {?} */
+        var last = this._lastActive[elem.parent];
+        if (!last) {
+            return this.resolveAtomicState(elem.defaultTarget || elem.parent);
+        }
+        if (elem.deep) {
+            return last;
+        }
+        /** @type {?} */
+        var path = this.pathOf(last);
+        return this.resolveAtomicState(path[indexOf(path, elem.parent) + 1]);
+    };
+    /**
+     * Remembers the last active atomic state of the compound states
+     * with history states, which are left by a transition.
+     */
+    /**
+     * Remembers the last active atomic state of the compound states
+     * with history states, which are left by a transition.
+     * @private
+     * @param {?} from
+     * @param {?} exit
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.rememberHistory = /**
+     * Remembers the last active atomic state of the compound states
+     * with history states, which are left by a transition.
+     * @private
+     * @param {?} from
+     * @param {?} exit
+     * @return {?}
+     */
+    function (from, exit) {
+        /** @type {?} */
+        var historyConf = this._historyConfiguration;
+        for (var k in historyConf) {
+            if (historyConf.hasOwnProperty(k) && indexOf(exit, historyConf[k].parent) >= 0) {
+                this._lastActive[historyConf[k].parent] = from;
+            }
+        }
+    };
+    /**
+     * Defines the init state for the FSM.
+     */
+    /**
+     * Defines the init state for the FSM.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} name
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.setInitState = /**
+     * Defines the init state for the FSM.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} name
+     * @return {THIS}
+     */
+    function (name) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        if ((/** @type {?} */ (this))._initState) {
+            throw new Error('Redefined init state: ' + (/** @type {?} */ (this))._initState);
+        }
+        (/** @type {?} */ (this))._initState = name;
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * @param {?} value
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.setAsyncMode = /**
+     * @param {?} value
+     * @return {?}
+     */
+    function (value) {
+        // Pre-conditions
+        this.ensureConfigureStage();
+        this._asyncMode = value;
+        return this;
+    };
+    /**
+     * Defines what going to an active state does, if no transition
+     * is defined for it, e.g., by a self-transition: 'ignore' does nothing,
+     * which is the default; 'error' throws an error; 'reenter' leaves
+     * and re-enters the state, as an external self-transition would.
+     */
+    /**
+     * Defines what going to an active state does, if no transition
+     * is defined for it, e.g., by a self-transition: 'ignore' does nothing,
+     * which is the default; 'error' throws an error; 'reenter' leaves
+     * and re-enters the state, as an external self-transition would.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} policy
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.setSameStatePolicy = /**
+     * Defines what going to an active state does, if no transition
+     * is defined for it, e.g., by a self-transition: 'ignore' does nothing,
+     * which is the default; 'error' throws an error; 'reenter' leaves
+     * and re-enters the state, as an external self-transition would.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} policy
+     * @return {THIS}
+     */
+    function (policy) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        if (indexOf(sameStatePolicies, policy) < 0) {
+            throw new Error('Undefined same-state policy: ' + policy);
+        }
+        (/** @type {?} */ (this))._sameStatePolicy = policy;
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Defines the scheduler which drives the delayed transitions,
+     * e.g., a VirtualScheduler in tests. By default, the timers of
+     * the environment are used.
+     */
+    /**
+     * Defines the scheduler which drives the delayed transitions,
+     * e.g., a VirtualScheduler in tests. By default, the timers of
+     * the environment are used.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} scheduler
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.setScheduler = /**
+     * Defines the scheduler which drives the delayed transitions,
+     * e.g., a VirtualScheduler in tests. By default, the timers of
+     * the environment are used.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} scheduler
+     * @return {THIS}
+     */
+    function (scheduler) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        (/** @type {?} */ (this))._scheduler = scheduler;
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Defines where the FSM does its work and delivers its notifications,
+     * e.g., outside the zone of a framework. By default, everything
+     * runs where the FSM is called.
+     */
+    /**
+     * Defines where the FSM does its work and delivers its notifications,
+     * e.g., outside the zone of a framework. By default, everything
+     * runs where the FSM is called.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} strategy
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.setExecutionStrategy = /**
+     * Defines where the FSM does its work and delivers its notifications,
+     * e.g., outside the zone of a framework. By default, everything
+     * runs where the FSM is called.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} strategy
+     * @return {THIS}
+     */
+    function (strategy) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        (/** @type {?} */ (this))._execution = strategy;
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Defines how many transitions the history keeps at most,
+     * which also bounds how many transitions may be undone.
+     */
+    /**
+     * Defines how many transitions the history keeps at most,
+     * which also bounds how many transitions may be undone.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} limit
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.setHistoryLimit = /**
+     * Defines how many transitions the history keeps at most,
+     * which also bounds how many transitions may be undone.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} limit
+     * @return {THIS}
+     */
+    function (limit) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        (/** @type {?} */ (this))._historyLimit = limit;
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Defines the initial context data for the FSM, which is
+     * passed to the guard conditions of transitions and delivered in
+     * every lifecycle event. The context data is updated only by
+     * the assign option of transitions.
+     */
+    /**
+     * Defines the initial context data for the FSM, which is
+     * passed to the guard conditions of transitions and delivered in
+     * every lifecycle event. The context data is updated only by
+     * the assign option of transitions.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} context
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.setContext = /**
+     * Defines the initial context data for the FSM, which is
+     * passed to the guard conditions of transitions and delivered in
+     * every lifecycle event. The context data is updated only by
+     * the assign option of transitions.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} context
+     * @return {THIS}
+     */
+    function (context) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        (/** @type {?} */ (this))._context = context;
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Defines a new stransition.
+     * A transition with a guard condition is taken only if the guard holds.
+     * A transition with a delay is scheduled whenever its source state is
+     * entered, and is cancelled if the source state is left before.
+     * A transition with a compensation state is undone by going to it,
+     * rather than to the source state.
+     * A self-transition, i.e., from a state to itself, leaves and
+     * re-enters the state, including its descendants, unless it is
+     * internal, in which case no state is left or entered.
+     * A transition may be triggered by a named event, and the same event
+     * may trigger different transitions from different states.
+     */
+    /**
+     * Defines a new stransition.
+     * A transition with a guard condition is taken only if the guard holds.
+     * A transition with a delay is scheduled whenever its source state is
+     * entered, and is cancelled if the source state is left before.
+     * A transition with a compensation state is undone by going to it,
+     * rather than to the source state.
+     * A self-transition, i.e., from a state to itself, leaves and
+     * re-enters the state, including its descendants, unless it is
+     * internal, in which case no state is left or entered.
+     * A transition may be triggered by a named event, and the same event
+     * may trigger different transitions from different states.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} from
+     * @param {?} to
+     * @param {?=} onAfterCallback
+     * @param {?=} onBeforeCallback
+     * @param {?=} options
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.addTransition = /**
+     * Defines a new stransition.
+     * A transition with a guard condition is taken only if the guard holds.
+     * A transition with a delay is scheduled whenever its source state is
+     * entered, and is cancelled if the source state is left before.
+     * A transition with a compensation state is undone by going to it,
+     * rather than to the source state.
+     * A self-transition, i.e., from a state to itself, leaves and
+     * re-enters the state, including its descendants, unless it is
+     * internal, in which case no state is left or entered.
+     * A transition may be triggered by a named event, and the same event
+     * may trigger different transitions from different states.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} from
+     * @param {?} to
+     * @param {?=} onAfterCallback
+     * @param {?=} onBeforeCallback
+     * @param {?=} options
+     * @return {THIS}
+     */
+    function (from, to, onAfterCallback, onBeforeCallback, options) {
+        // Pre-condition
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        /** @type {?} */
+        var stateConf = (/** @type {?} */ (this))._stateConfiguration;
+        /** @type {?} */
+        var transitionConf = (/** @type {?} */ (this))._transitionConfiguration;
+        if (!stateConf[from]) {
+            throw new Error('Undefined source state: ' + from);
+        }
+        /** @type {?} */
+        var target = stateConf[to] || (/** @type {?} */ (this))._historyConfiguration[to];
+        if (!target) {
+            throw new Error('Undefined target state: ' + to);
+        }
+        if (stateConf[from].region !== target.region) {
+            throw new Error('Transition across regions: ' + from + ' -> ' + to);
+        }
+        /** @type {?} */
+        var key = replaceStr(transitionKeyFormat, { from: from, to: to });
+        if (transitionConf[key]) {
+            throw new Error('Redefined transition: ' + from + ' -> ' + to);
+        }
+        options = options || {};
+        if (options.compensation && !stateConf[options.compensation]) {
+            throw new Error('Undefined compensation state: ' + options.compensation);
+        }
+        if (options.internal && from !== to) {
+            throw new Error('Internal transition to another state: ' + from + ' -> ' + to);
+        }
+        transitionConf[key] = {
+            from: from, to: to,
+            onAfterCallback: onAfterCallback,
+            onBeforeCallback: onBeforeCallback,
+            guard: options.guard,
+            event: options.event,
+            assign: options.assign,
+            delay: options.delay,
+            compensation: options.compensation,
+            internal: options.internal
+        };
+        if (options.event) {
+            /** @type {?} */
+            var eventConf = (/** @type {?} */ (this))._eventConfiguration;
+            eventConf[options.event] = eventConf[options.event] || [];
+            eventConf[options.event].push(key);
+        }
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Builds the underlying implementation for the given region.
+     */
+    /**
+     * Builds the underlying implementation for the given region.
+     * @private
+     * @param {?} region
+     * @param {?} initState
+     * @param {?} restoring
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.createImpl = /**
+     * Builds the underlying implementation for the given region.
+     * @private
+     * @param {?} region
+     * @param {?} initState
+     * @param {?} restoring
+     * @return {?}
+     */
+    function (region, initState, restoring) {
+        var _this = this;
+        /** @type {?} */
+        var stateConf = this._stateConfiguration;
+        /** @type {?} */
+        var transitionConf = this._transitionConfiguration;
+        if (!stateConf[initState] || stateConf[initState].region !== region) {
+            throw new Error('Undefined init state: ' + initState);
+        }
+        /** @type {?} */
+        var transitions = [];
+        /** @type {?} */
+        var methods = {};
+        // A transition defined on a compound state applies to
+        // all of its descendants, and a transition to a compound state
+        // ends up in its initial atomic state.
+        /** @type {?} */
+        var allConf = _.extend({}, transitionConf, this._reentryConfiguration);
+        var _loop_2 = function (k1) {
+            if (allConf.hasOwnProperty(k1)) {
+                /** @type {?} */
+                var elem1_1 = allConf[k1];
+                if (stateConf[elem1_1.from].region !== region) {
+                    return "continue";
+                }
+                /** @type {?} */
+                var target = void 0;
+                if (elem1_1.internal) {
+                    // Stay in the current state
+                    target = wildcardState;
+                }
+                else if (this_1._historyConfiguration[elem1_1.to]) {
+                    // The target of a history state is decided on the fly.
+                    target = function () { return _this.resolveHistoryState(elem1_1.to); };
+                }
+                else {
+                    target = this_1.resolveAtomicState(elem1_1.to);
+                }
+                transitions.push({
+                    name: k1,
+                    from: this_1.atomicStatesOf(elem1_1.from),
+                    to: target
+                });
+            }
+        };
+        var this_1 = this;
+        for (var k1 in allConf) {
+            _loop_2(k1);
+        }
+        /** @type {?} */
+        var notifyEnterState = buildHandlerInClosure(this._handlers, 'onEnterState');
+        /** @type {?} */
+        var notifyLeaveState = buildHandlerInClosure(this._handlers, 'onLeaveState');
+        // The same lifecycle event is delivered to all callbacks
+        // of a transition; it is built when the transition begins.
+        /** @type {?} */
+        var event = null;
+        // While restoring from a snapshot, the init transition only
+        // puts the underlying implementation into the saved state;
+        // none of the callbacks are invoked.
+        /** @type {?} */
+        var silent = restoring;
+        // Only the before and leave callbacks may delay or veto a transition,
+        // as they are invoked before the state is changed.
+        methods['onBeforeTransition'] = function (lifecycle, payload) {
+            if (silent) {
+                return;
+            }
+            /** @type {?} */
+            var elem = _this.transitionOf(lifecycle.transition);
+            event = {
+                transition: lifecycle.transition,
+                from: lifecycle.from,
+                to: lifecycle.to,
+                region: region,
+                event: elem ? elem.event : undefined,
+                payload: payload,
+                context: _this._context
+            };
+            if (elem && elem.onBeforeCallback) {
+                return _this.invokeVetoableCallbacks([elem.onBeforeCallback], event);
+            }
+        };
+        // The context data is updated after the source state is left,
+        // so that the target state is entered with the new context.
+        methods['onTransition'] = function (lifecycle) {
+            if (silent) {
+                return;
+            }
+            /** @type {?} */
+            var elem = _this.transitionOf(lifecycle.transition);
+            if (elem) {
+                /** @type {?} */
+                var exit = _this.stepsOf(lifecycle).exit;
+                _this.cancelDelayedTransitions(exit);
+                _this.rememberHistory(lifecycle.from, exit);
+            }
+            if (elem && elem.assign) {
+                _this.assignContext(elem.assign, event);
+            }
+        };
+        methods['onAfterTransition'] = function (lifecycle) {
+            if (silent) {
+                return;
+            }
+            /** @type {?} */
+            var elem = _this.transitionOf(lifecycle.transition);
+            if (elem) {
+                _this.recordHistory(event);
+                // The transition is taken, even if the callback fails
+                _this._settledEvents[region] = event;
+            }
+            if (elem && elem.onAfterCallback) {
+                elem.onAfterCallback(event);
+            }
+        };
+        methods['onLeaveState'] = function (lifecycle) {
+            /** @type {?} */
+            var steps = _this.stepsOf(lifecycle);
+            if (silent || !steps.exit.length && !steps.entry.length) {
+                return;
+            }
+            // The init transition does not leave any state
+            if (steps.exit.length) {
+                _this.deliver(_this._handlers.onLeaveState, function () { return notifyLeaveState(event); });
+            }
+            // Leave from the innermost state
+            /** @type {?} */
+            var callbacks = [];
+            for (var _i = 0, _a = steps.exit; _i < _a.length; _i++) {
+                var s = _a[_i];
+                /** @type {?} */
+                var elem = stateConf[s];
+                if (elem.onLeaveCallback) {
+                    callbacks.push(elem.onLeaveCallback);
+                }
+            }
+            return _this.invokeVetoableCallbacks(callbacks, event);
+        };
+        methods['onEnterState'] = function (lifecycle) {
+            /** @type {?} */
+            var steps = _this.stepsOf(lifecycle);
+            if (silent || !steps.exit.length && !steps.entry.length) {
+                return;
+            }
+            _this.deliver(_this._handlers.onEnterState, function () { return notifyEnterState(event); });
+            // Enter from the outermost state
+            for (var _i = 0, _a = steps.entry; _i < _a.length; _i++) {
+                var s = _a[_i];
+                /** @type {?} */
+                var elem = stateConf[s];
+                if (elem.onEnterCallback) {
+                    elem.onEnterCallback(event);
+                }
+            }
+            _this.scheduleDelayedTransitions(steps.entry, region);
+        };
+        var _loop_3 = function (k2) {
+            if (methods.hasOwnProperty(k2)) {
+                /** @type {?} */
+                var method_1 = methods[k2];
+                methods[k2] = function (lifecycle, payload) {
+                    try {
+                        return method_1(lifecycle, payload);
+                    }
+                    catch (e) {
+                        _this.reportError(lifecycle.transition, lifecycle.from, lifecycle.to, e);
+                        return false;
+                    }
+                };
+            }
+        };
+        // An exception thrown by a callback is reported, and ends
+        // the transition by returning false, so that the underlying
+        // implementation gets out of the pending status. The state is kept
+        // as it is, i.e., the source state unless the exception is thrown
+        // after the state is changed.
+        for (var k2 in methods) {
+            _loop_3(k2);
+        }
+        /** @type {?} */
+        var impl = new StateMachine({
+            init: this.resolveAtomicState(initState),
+            // Self-transitions are observed too; stepsOf decides
+            // which states they leave and enter.
+            observeUnchangedState: true,
+            transitions: transitions,
+            methods: methods,
+            onInvalidTransition: function (name, from, to) { return _this.reportError(name, from, to); }
+        });
+        silent = false;
+        if (restoring) {
+            // The time spent in the saved states is not kept
+            this.scheduleDelayedTransitions(this.pathOf(impl.state), region);
+        }
+        return impl;
+    };
+    /**
+     * Schedules the delayed transitions from the given states,
+     * which have just been entered.
+     */
+    /**
+     * Schedules the delayed transitions from the given states,
+     * which have just been entered.
+     * @private
+     * @param {?} states
+     * @param {?} region
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.scheduleDelayedTransitions = /**
+     * Schedules the delayed transitions from the given states,
+     * which have just been entered.
+     * @private
+     * @param {?} states
+     * @param {?} region
+     * @return {?}
+     */
+    function (states, region) {
+        var _this = this;
+        /** @type {?} */
+        var transitionConf = this._transitionConfiguration;
+        var _loop_4 = function (k) {
+            if (transitionConf.hasOwnProperty(k)) {
+                /** @type {?} */
+                var elem = transitionConf[k];
+                if (elem.delay === undefined || elem.delay === null || indexOf(states, elem.from) < 0) {
+                    return "continue";
+                }
+                /** @type {?} */
+                var handle = this_2._scheduler.setTimeout(function () {
+                    _this.fireDelayedTransition(region, k);
+                }, elem.delay);
+                this_2._timers[elem.from] = this_2._timers[elem.from] || [];
+                this_2._timers[elem.from].push(handle);
+            }
+        };
+        var this_2 = this;
+        for (var k in transitionConf) {
+            _loop_4(k);
+        }
+    };
+    /**
+     * Cancels the delayed transitions from the given states,
+     * which are being left.
+     */
+    /**
+     * Cancels the delayed transitions from the given states,
+     * which are being left.
+     * @private
+     * @param {?} states
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.cancelDelayedTransitions = /**
+     * Cancels the delayed transitions from the given states,
+     * which are being left.
+     * @private
+     * @param {?} states
+     * @return {?}
+     */
+    function (states) {
+        for (var _i = 0, states_1 = states; _i < states_1.length; _i++) {
+            var s = states_1[_i];
+            for (var _a = 0, _b = this._timers[s] || []; _a < _b.length; _a++) {
+                var handle = _b[_a];
+                this._scheduler.clearTimeout(handle);
+            }
+            delete this._timers[s];
+        }
+    };
+    /**
+     * Takes a delayed transition when its time is up. The transition is
+     * skipped if its guard does not hold, or another transition of
+     * the region is in progress.
+     */
+    /**
+     * Takes a delayed transition when its time is up. The transition is
+     * skipped if its guard does not hold, or another transition of
+     * the region is in progress.
+     * @private
+     * @param {?} region
+     * @param {?} transitionName
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.fireDelayedTransition = /**
+     * Takes a delayed transition when its time is up. The transition is
+     * skipped if its guard does not hold, or another transition of
+     * the region is in progress.
+     * @private
+     * @param {?} region
+     * @param {?} transitionName
+     * @return {?}
+     */
+    function (region, transitionName) {
+        /** @type {?} */
+        var impl = this._impls && this._impls[region];
+        /** @type {?} */
+        var elem = this.transitionOf(transitionName);
+        if (!impl || this._pendingRegions[region] || impl.cannot(transitionName)) {
+            return;
+        }
+        if (elem.guard && !elem.guard(this._context)) {
+            return;
+        }
+        /** @type {?} */
+        var currentState = impl.state;
+        try {
+            this.fireTransition(region, transitionName);
+        }
+        catch (e) {
+            // Nobody else could catch it in a timer
+            this.reportError(transitionName, currentState, elem.to, e);
+        }
+    };
+    /**
+     * Appends a taken transition to the history,
+     * dropping the oldest one if the history is full.
+     * Undoing a transition moves it from the history to the undone ones,
+     * and any other transition than a redo clears the undone ones.
+     */
+    /**
+     * Appends a taken transition to the history,
+     * dropping the oldest one if the history is full.
+     * Undoing a transition moves it from the history to the undone ones,
+     * and any other transition than a redo clears the undone ones.
+     * @private
+     * @param {?} lifecycle
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.recordHistory = /**
+     * Appends a taken transition to the history,
+     * dropping the oldest one if the history is full.
+     * Undoing a transition moves it from the history to the undone ones,
+     * and any other transition than a redo clears the undone ones.
+     * @private
+     * @param {?} lifecycle
+     * @return {?}
+     */
+    function (lifecycle) {
+        /** @type {?} */
+        var replay = this._replays[lifecycle.region];
+        delete this._replays[lifecycle.region];
+        if (replay && replay.kind === 'undo') {
+            this._history = without(this._history, replay.entry);
+            this._undone.push(replay.entry);
+            return;
+        }
+        if (replay && replay.kind === 'redo') {
+            this._undone = without(this._undone, replay.entry);
+        }
+        else {
+            this._undone = [];
+        }
+        this._history.push({
+            transition: lifecycle.transition,
+            from: lifecycle.from,
+            to: lifecycle.to,
+            region: lifecycle.region,
+            payload: lifecycle.payload,
+            timestamp: Date.now()
+        });
+        if (this._history.length > this._historyLimit) {
+            this._history.shift();
+        }
+    };
+    /**
+     * Checks that the given snapshot may be restored
+     * in the current configuration.
+     */
+    /**
+     * Checks that the given snapshot may be restored
+     * in the current configuration.
+     * @private
+     * @param {?} snapshot
+     * @param {?} regions
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.validateSnapshot = /**
+     * Checks that the given snapshot may be restored
+     * in the current configuration.
+     * @private
+     * @param {?} snapshot
+     * @param {?} regions
+     * @return {?}
+     */
+    function (snapshot, regions) {
+        if (snapshot.version !== snapshotVersion) {
+            throw new Error('Unsupported snapshot version: ' + snapshot.version);
+        }
+        /** @type {?} */
+        var stateConf = this._stateConfiguration;
+        for (var k in snapshot.state) {
+            if (snapshot.state.hasOwnProperty(k)) {
+                if (indexOf(regions, k) < 0) {
+                    throw new Error('Undefined region in snapshot: ' + k);
+                }
+                /** @type {?} */
+                var elem = stateConf[snapshot.state[k]];
+                if (!elem || elem.region !== k) {
+                    throw new Error('Undefined state in snapshot: ' + snapshot.state[k]);
+                }
+            }
+        }
+    };
+    /**
+     * Starts the FSM. Note that this method must be invoked before
+     * any method which may change the state of the FSM.
+     * Each region starts from its own init state, unless
+     * a snapshot is given, in which case the FSM resumes from
+     * the saved states, context and history without invoking
+     * any enter callbacks.
+     */
+    /**
+     * Starts the FSM. Note that this method must be invoked before
+     * any method which may change the state of the FSM.
+     * Each region starts from its own init state, unless
+     * a snapshot is given, in which case the FSM resumes from
+     * the saved states, context and history without invoking
+     * any enter callbacks.
+     * @template THIS
+     * @this {THIS}
+     * @param {?=} snapshot
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.start = /**
+     * Starts the FSM. Note that this method must be invoked before
+     * any method which may change the state of the FSM.
+     * Each region starts from its own init state, unless
+     * a snapshot is given, in which case the FSM resumes from
+     * the saved states, context and history without invoking
+     * any enter callbacks.
+     * @template THIS
+     * @this {THIS}
+     * @param {?=} snapshot
+     * @return {THIS}
+     */
+    function (snapshot) {
+        var _this = this;
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        // Definition
+        /** @type {?} */
+        var stateConf = (/** @type {?} */ (this))._stateConfiguration;
+        /** @type {?} */
+        var regionConf = (/** @type {?} */ (this))._regionConfiguration;
+        // The default region may be left empty if
+        // all states live in other regions.
+        /** @type {?} */
+        var useDefaultRegion = !!(/** @type {?} */ (this))._initState || _.isEmpty(regionConf);
+        // A state without a self-transition is re-entered
+        // by an implied one, if so required.
+        /** @type {?} */
+        var reentryConf = {};
+        for (var k0 in stateConf) {
+            if (stateConf.hasOwnProperty(k0)) {
+                /** @type {?} */
+                var elem0 = stateConf[k0];
+                if (elem0.initial && indexOf(elem0.children, elem0.initial) < 0) {
+                    throw new Error('Undefined initial child state: ' + k0 + ' -> ' + elem0.initial);
+                }
+                if (elem0.region === defaultRegion) {
+                    useDefaultRegion = true;
+                }
+                /** @type {?} */
+                var key0 = replaceStr(transitionKeyFormat, { from: k0, to: k0 });
+                if ((/** @type {?} */ (this))._sameStatePolicy === 'reenter' && !(/** @type {?} */ (this))._transitionConfiguration[key0]) {
+                    reentryConf[key0] = { from: k0, to: k0 };
+                }
+            }
+        }
+        (/** @type {?} */ (this))._reentryConfiguration = reentryConf;
+        if (useDefaultRegion && !(/** @type {?} */ (this))._initState) {
+            throw new Error('Init state has not been defined.');
+        }
+        /** @type {?} */
+        var historyConf = (/** @type {?} */ (this))._historyConfiguration;
+        for (var k3 in historyConf) {
+            if (historyConf.hasOwnProperty(k3)) {
+                /** @type {?} */
+                var elem3 = historyConf[k3];
+                if (stateConf[elem3.parent].children.length === 0) {
+                    throw new Error('History state of an atomic state: ' + k3);
+                }
+                /** @type {?} */
+                var target = elem3.defaultTarget;
+                if (target && (!stateConf[target] || indexOf((/** @type {?} */ (this)).pathOf(target), elem3.parent) < 0 || target === elem3.parent)) {
+                    throw new Error('Undefined default target of history state: ' + k3 + ' -> ' + target);
+                }
+            }
+        }
+        /** @type {?} */
+        var initStates = {};
+        if (useDefaultRegion) {
+            initStates[defaultRegion] = (/** @type {?} */ (this))._initState;
+        }
+        for (var k1 in regionConf) {
+            if (regionConf.hasOwnProperty(k1)) {
+                initStates[k1] = regionConf[k1].initState;
+            }
+        }
+        if (snapshot) {
+            (/** @type {?} */ (this)).validateSnapshot(snapshot, _.keys(initStates));
+        }
+        (/** @type {?} */ (this)).loadRunningStatus(snapshot);
+        /** @type {?} */
+        var impls = {};
+        (/** @type {?} */ (this))._execution.execute(function () {
+            for (var k2 in initStates) {
+                if (initStates.hasOwnProperty(k2)) {
+                    /** @type {?} */
+                    var restored = snapshot && snapshot.state[k2];
+                    impls[k2] = (/** @type {?} */ (_this)).createImpl(k2, restored || initStates[k2], !!restored);
+                }
+            }
+        });
+        (/** @type {?} */ (this))._impls = impls;
+        /** @type {?} */
+        var states = (/** @type {?} */ (this)).configuration();
+        (/** @type {?} */ (this)).deliver((/** @type {?} */ (this))._configurationSubject.observers, function () { return (/** @type {?} */ (_this))._configurationSubject.next(states); });
+        (/** @type {?} */ (this)).notifyContext();
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Loads the context data and the history from the given snapshot,
+     * or resets them if no snapshot is given.
+     */
+    /**
+     * Loads the context data and the history from the given snapshot,
+     * or resets them if no snapshot is given.
+     * @private
+     * @param {?=} snapshot
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.loadRunningStatus = /**
+     * Loads the context data and the history from the given snapshot,
+     * or resets them if no snapshot is given.
+     * @private
+     * @param {?=} snapshot
+     * @return {?}
+     */
+    function (snapshot) {
+        if (snapshot) {
+            this._context = snapshot.context;
+            this._history = (snapshot.history || []).slice(-this._historyLimit);
+            this._undone = (snapshot.undone || []).slice(-this._historyLimit);
+            this._lastActive = _.extend({}, snapshot.lastActive);
+        }
+        else {
+            this._history = [];
+            this._undone = [];
+            this._lastActive = {};
+        }
+    };
+    /**
+     * Puts the running FSM back into the status captured by a snapshot,
+     * e.g., for time-travel debugging. As when starting from a snapshot,
+     * none of the callbacks are invoked. The delayed transitions are
+     * scheduled again from the restored states.
+     */
+    /**
+     * Puts the running FSM back into the status captured by a snapshot,
+     * e.g., for time-travel debugging. As when starting from a snapshot,
+     * none of the callbacks are invoked. The delayed transitions are
+     * scheduled again from the restored states.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} snapshot
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.restore = /**
+     * Puts the running FSM back into the status captured by a snapshot,
+     * e.g., for time-travel debugging. As when starting from a snapshot,
+     * none of the callbacks are invoked. The delayed transitions are
+     * scheduled again from the restored states.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} snapshot
+     * @return {THIS}
+     */
+    function (snapshot) {
+        var _this = this;
+        (/** @type {?} */ (this)).ensureRunningStage();
+        if (!_.isEmpty((/** @type {?} */ (this))._pendingRegions)) {
+            throw new Error('Transition is in progress: ' + _.keys((/** @type {?} */ (this))._pendingRegions).join(', '));
+        }
+        /** @type {?} */
+        var regions = _.keys((/** @type {?} */ (this))._impls);
+        (/** @type {?} */ (this)).validateSnapshot(snapshot, regions);
+        (/** @type {?} */ (this)).cancelDelayedTransitions(_.keys((/** @type {?} */ (this))._timers));
+        (/** @type {?} */ (this)).loadRunningStatus(snapshot);
+        /** @type {?} */
+        var impls = {};
+        (/** @type {?} */ (this))._execution.execute(function () {
+            for (var _i = 0, regions_1 = regions; _i < regions_1.length; _i++) {
+                var k = regions_1[_i];
+                impls[k] = (/** @type {?} */ (_this)).createImpl(k, snapshot.state[k] || (/** @type {?} */ (_this))._impls[k].state, true);
+            }
+        });
+        (/** @type {?} */ (this))._impls = impls;
+        /** @type {?} */
+        var states = (/** @type {?} */ (this)).configuration();
+        (/** @type {?} */ (this)).deliver((/** @type {?} */ (this))._configurationSubject.observers, function () { return (/** @type {?} */ (_this))._configurationSubject.next(states); });
+        (/** @type {?} */ (this)).notifyContext();
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Returns an observable of the current state of the given region,
+     * or of the default region if no region is given. The current state
+     * is replayed to each new subscriber once the FSM has started.
+     * A state is emitted only when it differs from the previous one,
+     * so re-entering the current state, or an internal transition,
+     * is not emitted; it is found on transitions$ instead.
+     */
+    /**
+     * Returns an observable of the current state of the given region,
+     * or of the default region if no region is given. The current state
+     * is replayed to each new subscriber once the FSM has started.
+     * A state is emitted only when it differs from the previous one,
+     * so re-entering the current state, or an internal transition,
+     * is not emitted; it is found on transitions$ instead.
+     * @param {?=} region
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.watchState = /**
+     * Returns an observable of the current state of the given region,
+     * or of the default region if no region is given. The current state
+     * is replayed to each new subscriber once the FSM has started.
+     * A state is emitted only when it differs from the previous one,
+     * so re-entering the current state, or an internal transition,
+     * is not emitted; it is found on transitions$ instead.
+     * @param {?=} region
+     * @return {?}
+     */
+    function (region) {
+        region = region || defaultRegion;
+        return this.configuration$.pipe(filter(function (states) { return states.hasOwnProperty(region); }), map(function (states) { return states[region]; }), distinctUntilChanged());
+    };
+    /**
+     * Disposes the FSM, i.e., cancels the pending delayed transitions and
+     * completes the observables. The FSM cannot be used any more afterwards.
+     */
+    /**
+     * Disposes the FSM, i.e., cancels the pending delayed transitions and
+     * completes the observables. The FSM cannot be used any more afterwards.
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.dispose = /**
+     * Disposes the FSM, i.e., cancels the pending delayed transitions and
+     * completes the observables. The FSM cannot be used any more afterwards.
+     * @return {?}
+     */
+    function () {
+        if (this._disposed) {
+            return;
+        }
+        this._disposed = true;
+        this.cancelDelayedTransitions(_.keys(this._timers));
+        this._configurationSubject.complete();
+        this._transitionSubject.complete();
+        this._errorSubject.complete();
+        this._contextSubject.complete();
+    };
+    /**
+     * Registers a handler for enterstate
+     */
+    /**
+     * Registers a handler for enterstate
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.onEnterState = /**
+     * Registers a handler for enterstate
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    function (handler) {
+        /** @type {?} */
+        var ourHandlers = (/** @type {?} */ (this))._handlers.onEnterState;
+        if (indexOf(ourHandlers, handler) >= 0) {
+            throw new Error('Re-registering a hander!');
+        }
+        ourHandlers.push(handler);
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Registers a handler for exitstate
+     */
+    /**
+     * Registers a handler for exitstate
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.onExitState = /**
+     * Registers a handler for exitstate
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    function (handler) {
+        /** @type {?} */
+        var ourHandlers = (/** @type {?} */ (this))._handlers.onLeaveState;
+        if (indexOf(ourHandlers, handler) >= 0) {
+            throw new Error('Registering a hander!');
+        }
+        ourHandlers.push(handler);
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Un-register a handler for enterstate
+     */
+    /**
+     * Un-register a handler for enterstate
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.offEnterState = /**
+     * Un-register a handler for enterstate
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    function (handler) {
+        /** @type {?} */
+        var ourHandlers = (/** @type {?} */ (this))._handlers.onEnterState;
+        (/** @type {?} */ (this))._handlers.onEnterState = without(ourHandlers, handler);
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Un-register a handler for exitstate
+     */
+    /**
+     * Un-register a handler for exitstate
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.offExitState = /**
+     * Un-register a handler for exitstate
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    function (handler) {
+        /** @type {?} */
+        var ourHandlers = (/** @type {?} */ (this))._handlers.onLeaveState;
+        (/** @type {?} */ (this))._handlers.onLeaveState = without(ourHandlers, handler);
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Looks for a transition among the candidates of each active state,
+     * starting from the innermost active state. A transition whose guard
+     * does not hold is skipped, and the first of such transitions
+     * is reported as rejected.
+     */
+    /**
+     * Looks for a transition among the candidates of each active state,
+     * starting from the innermost active state. A transition whose guard
+     * does not hold is skipped, and the first of such transitions
+     * is reported as rejected.
+     * @private
+     * @param {?} impl
+     * @param {?} candidatesOf
+     * @param {?=} payload
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.seekTransition = /**
+     * Looks for a transition among the candidates of each active state,
+     * starting from the innermost active state. A transition whose guard
+     * does not hold is skipped, and the first of such transitions
+     * is reported as rejected.
+     * @private
+     * @param {?} impl
+     * @param {?} candidatesOf
+     * @param {?=} payload
+     * @return {?}
+     */
+    function (impl, candidatesOf, payload) {
+        /** @type {?} */
+        var activePath = this.pathOf(impl.state);
+        /** @type {?} */
+        var rejected = null;
+        for (var i = activePath.length - 1; i >= 0; i--) {
+            for (var _i = 0, _a = candidatesOf(activePath[i]); _i < _a.length; _i++) {
+                var key = _a[_i];
+                /** @type {?} */
+                var elem = this.transitionOf(key);
+                if (!elem || impl.cannot(key)) {
+                    continue;
+                }
+                if (elem.guard && !elem.guard(this._context, payload)) {
+                    rejected = rejected || key;
+                    continue;
+                }
+                return { name: key, rejected: null };
+            }
+        }
+        return { name: null, rejected: rejected };
+    };
+    /**
+     * Fires the given transition in the given region.
+     * In the asynchronous mode, it returns a promise which is resolved
+     * to the resulting state once the transition settles.
+     */
+    /**
+     * Fires the given transition in the given region.
+     * In the asynchronous mode, it returns a promise which is resolved
+     * to the resulting state once the transition settles.
+     * @private
+     * @param {?} region
+     * @param {?} transitionName
+     * @param {?=} payload
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.fireTransition = /**
+     * Fires the given transition in the given region.
+     * In the asynchronous mode, it returns a promise which is resolved
+     * to the resulting state once the transition settles.
+     * @private
+     * @param {?} region
+     * @param {?} transitionName
+     * @param {?=} payload
+     * @return {?}
+     */
+    function (region, transitionName, payload) {
+        var _this = this;
+        /** @type {?} */
+        var impl = this._impls[region];
+        /** @type {?} */
+        var currentState = impl.state;
+        /** @type {?} */
+        var elem = this.transitionOf(transitionName);
+        /** @type {?} */
+        var to = elem.to;
+        // Invoke this function, wrapped by the middleware
+        /** @type {?} */
+        var func = impl[transitionName];
+        /** @type {?} */
+        var middleware = this._middleware.slice();
+        /** @type {?} */
+        var lifecycle = {
+            transition: transitionName,
+            from: currentState,
+            to: to,
+            region: region,
+            event: elem.event,
+            payload: payload,
+            context: this._context
+        };
+        /** @type {?} */
+        var run = function () { return invokeMiddleware(middleware, lifecycle, function (data) { return func.call(impl, data); }); };
+        this._pendingRegions[region] = true;
+        if (!this._asyncMode) {
+            try {
+                this._execution.execute(run);
+            }
+            finally {
+                delete this._pendingRegions[region];
+                this.notifySettled(region);
+            }
+            return this;
+        }
+        /** @type {?} */
+        var settle = function () {
+            delete _this._pendingRegions[region];
+            _this.notifySettled(region);
+            return (/** @type {?} */ (impl.state));
+        };
+        // The callbacks of the promise run where it is created
+        return this._execution.execute(function () { return Promise.resolve()
+            .then(run)
+            .then(null, function (error) {
+            // The FSM is still in the source state
+            _this.reportError(transitionName, currentState, to, error);
+        })
+            .then(settle, function (error) {
+            settle();
+            throw error;
+        }); });
+    };
+    /**
+     * Notifies the subscribers of the transition taken in the given region,
+     * if any. It is done once the transition settles, so that
+     * the subscribers may use the FSM at once, e.g., take a snapshot.
+     */
+    /**
+     * Notifies the subscribers of the transition taken in the given region,
+     * if any. It is done once the transition settles, so that
+     * the subscribers may use the FSM at once, e.g., take a snapshot.
+     * @private
+     * @param {?} region
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.notifySettled = /**
+     * Notifies the subscribers of the transition taken in the given region,
+     * if any. It is done once the transition settles, so that
+     * the subscribers may use the FSM at once, e.g., take a snapshot.
+     * @private
+     * @param {?} region
+     * @return {?}
+     */
+    function (region) {
+        var _this = this;
+        /** @type {?} */
+        var event = this._settledEvents[region];
+        delete this._settledEvents[region];
+        if (!event || this._disposed) {
+            return;
+        }
+        /** @type {?} */
+        var states = this.configuration();
+        this.deliver(this._configurationSubject.observers, function () { return _this._configurationSubject.next(states); });
+        this.deliver(this._transitionSubject.observers, function () { return _this._transitionSubject.next(event); });
+    };
+    /**
+     * Registers a handler for the change of the context data
+     */
+    /**
+     * Registers a handler for the change of the context data
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.onContextChange = /**
+     * Registers a handler for the change of the context data
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    function (handler) {
+        /** @type {?} */
+        var ourHandlers = (/** @type {?} */ (this))._handlers.onContextChange;
+        if (indexOf(ourHandlers, handler) >= 0) {
+            throw new Error('Re-registering a hander!');
+        }
+        ourHandlers.push(handler);
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Un-register a handler for the change of the context data
+     */
+    /**
+     * Un-register a handler for the change of the context data
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.offContextChange = /**
+     * Un-register a handler for the change of the context data
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    function (handler) {
+        /** @type {?} */
+        var ourHandlers = (/** @type {?} */ (this))._handlers.onContextChange;
+        (/** @type {?} */ (this))._handlers.onContextChange = without(ourHandlers, handler);
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Registers a middleware which wraps every transition, in the order
+     * of registration, the first one being the outermost. A middleware is
+     * invoked with the lifecycle event of the transition before any callback,
+     * and may inspect it, replace the payload by calling next with a new one,
+     * veto the transition by not calling next or by throwing, and run code
+     * after the transition by working on what next returns.
+     * In the asynchronous mode, next returns a promise, and a middleware
+     * is expected to return a promise too if it waits for the transition.
+     */
+    /**
+     * Registers a middleware which wraps every transition, in the order
+     * of registration, the first one being the outermost. A middleware is
+     * invoked with the lifecycle event of the transition before any callback,
+     * and may inspect it, replace the payload by calling next with a new one,
+     * veto the transition by not calling next or by throwing, and run code
+     * after the transition by working on what next returns.
+     * In the asynchronous mode, next returns a promise, and a middleware
+     * is expected to return a promise too if it waits for the transition.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} middleware
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.use = /**
+     * Registers a middleware which wraps every transition, in the order
+     * of registration, the first one being the outermost. A middleware is
+     * invoked with the lifecycle event of the transition before any callback,
+     * and may inspect it, replace the payload by calling next with a new one,
+     * veto the transition by not calling next or by throwing, and run code
+     * after the transition by working on what next returns.
+     * In the asynchronous mode, next returns a promise, and a middleware
+     * is expected to return a promise too if it waits for the transition.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} middleware
+     * @return {THIS}
+     */
+    function (middleware) {
+        if (indexOf((/** @type {?} */ (this))._middleware, middleware) >= 0) {
+            throw new Error('Re-registering a middleware!');
+        }
+        (/** @type {?} */ (this))._middleware.push(middleware);
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Un-register a middleware
+     */
+    /**
+     * Un-register a middleware
+     * @template THIS
+     * @this {THIS}
+     * @param {?} middleware
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.unuse = /**
+     * Un-register a middleware
+     * @template THIS
+     * @this {THIS}
+     * @param {?} middleware
+     * @return {THIS}
+     */
+    function (middleware) {
+        (/** @type {?} */ (this))._middleware = without((/** @type {?} */ (this))._middleware, middleware);
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * @param {?} to
+     * @param {?=} payload
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.go = /**
+     * @param {?} to
+     * @param {?=} payload
+     * @return {?}
+     */
+    function (to, payload) {
+        this.ensureRunningStage();
+        /** @type {?} */
+        var stateConf = this._stateConfiguration;
+        /** @type {?} */
+        var target = stateConf[to] || this._historyConfiguration[to];
+        if (!target) {
+            throw new Error('Go to undefined state: ' + to);
+        }
+        // The transition happens in the region of the target state
+        /** @type {?} */
+        var region = target.region;
+        /** @type {?} */
+        var impl = this.implOf(region);
+        /** @type {?} */
+        var currentState = (/** @type {?} */ (impl.state));
+        if (this._pendingRegions[region]) {
+            throw new Error('Transition is in progress: ' + currentState + ' -> ' + to);
+        }
+        /** @type {?} */
+        var result = this.seekTransition(impl, function (from) {
+            return [replaceStr(transitionKeyFormat, { from: from, to: to })];
+        }, payload);
+        if (!result.name && result.rejected) {
+            this.reportError(result.rejected, currentState, to);
+            return this._asyncMode ? Promise.resolve(currentState) : this;
+        }
+        if (!result.name && stateConf[to] && indexOf(this.pathOf(currentState), to) >= 0) {
+            // No transition is defined for going to an active state,
+            // nor implied by the same-state policy.
+            if (this._sameStatePolicy === 'error') {
+                throw new Error('Already in state: ' + to);
+            }
+            return this._asyncMode ? Promise.resolve(currentState) : this;
+        }
+        // Validate if this transition is allowed or not
+        if (!result.name) {
+            throw new Error('Transition is not allowed: ' + currentState + ' -> ' + to);
+        }
+        return this.fireTransition(region, result.name, payload);
+    };
+    /**
+     * @param {?} eventName
+     * @param {?=} payload
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.send = /**
+     * @param {?} eventName
+     * @param {?=} payload
+     * @return {?}
+     */
+    function (eventName, payload) {
+        this.ensureRunningStage();
+        /** @type {?} */
+        var candidates = this._eventConfiguration[eventName];
+        if (!candidates) {
+            throw new Error('Send undefined event: ' + eventName);
+        }
+        /** @type {?} */
+        var transitionConf = this._transitionConfiguration;
+        /** @type {?} */
+        var stateConf = this._stateConfiguration;
+        /** @type {?} */
+        var targets = {};
+        /** @type {?} */
+        var rejected = null;
+        var _loop_5 = function (region) {
+            if (this_3._impls.hasOwnProperty(region)) {
+                /** @type {?} */
+                var impl = this_3._impls[region];
+                if (this_3._pendingRegions[region]) {
+                    throw new Error('Transition is in progress: ' + impl.state + ' -> ' + eventName);
+                }
+                /** @type {?} */
+                var result = this_3.seekTransition(impl, function (from) {
+                    return _.filter(candidates, function (key) {
+                        return transitionConf[key].from === from && stateConf[from].region === region;
+                    });
+                }, payload);
+                if (result.name) {
+                    targets[region] = result.name;
+                }
+                rejected = rejected || result.rejected;
+            }
+        };
+        var this_3 = this;
+        for (var region in this._impls) {
+            _loop_5(region);
+        }
+        if (_.isEmpty(targets)) {
+            if (rejected) {
+                this.reportError(eventName, transitionConf[rejected].from, transitionConf[rejected].to);
+            }
+            else {
+                // The event is not expected in the current state
+                /** @type {?} */
+                var region = stateConf[transitionConf[candidates[0]].from].region;
+                this.reportError(eventName, this._impls[region].state, null);
+            }
+            return this._asyncMode ? Promise.resolve([]) : this;
+        }
+        /** @type {?} */
+        var promises = [];
+        for (var region in targets) {
+            if (targets.hasOwnProperty(region)) {
+                /** @type {?} */
+                var outcome = this.fireTransition(region, targets[region], payload);
+                if (this._asyncMode) {
+                    promises.push((/** @type {?} */ (outcome)));
+                }
+            }
+        }
+        return this._asyncMode ? Promise.all(promises) : this;
+    };
+    /**
+     * Checks if the FSM can go to the given state, i.e., there is
+     * a transition from the active states whose guard holds.
+     */
+    /**
+     * Checks if the FSM can go to the given state, i.e., there is
+     * a transition from the active states whose guard holds.
+     * @param {?} to
+     * @param {?=} payload
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.can = /**
+     * Checks if the FSM can go to the given state, i.e., there is
+     * a transition from the active states whose guard holds.
+     * @param {?} to
+     * @param {?=} payload
+     * @return {?}
+     */
+    function (to, payload) {
+        this.ensureRunningStage();
+        /** @type {?} */
+        var stateConf = this._stateConfiguration;
+        /** @type {?} */
+        var target = stateConf[to] || this._historyConfiguration[to];
+        if (!target) {
+            return false;
+        }
+        /** @type {?} */
+        var impl = this.implOf(target.region);
+        return !!this.seekTransition(impl, function (from) {
+            return [replaceStr(transitionKeyFormat, { from: from, to: to })];
+        }, payload).name;
+    };
+    /**
+     * Returns the transitions taken, the oldest one first.
+     */
+    /**
+     * Returns the transitions taken, the oldest one first.
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.history = /**
+     * Returns the transitions taken, the oldest one first.
+     * @return {?}
+     */
+    function () {
+        return (/** @type {?} */ (this._history.slice()));
+    };
+    /**
+     * Looks for the transition undoing the given one, i.e., the transition
+     * from its target state back to its source state, or to its
+     * compensation state if declared. The FSM must still be in
+     * the target state, or the history does not apply any more.
+     */
+    /**
+     * Looks for the transition undoing the given one, i.e., the transition
+     * from its target state back to its source state, or to its
+     * compensation state if declared. The FSM must still be in
+     * the target state, or the history does not apply any more.
+     * @private
+     * @param {?} impl
+     * @param {?} entry
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.seekUndoTransition = /**
+     * Looks for the transition undoing the given one, i.e., the transition
+     * from its target state back to its source state, or to its
+     * compensation state if declared. The FSM must still be in
+     * the target state, or the history does not apply any more.
+     * @private
+     * @param {?} impl
+     * @param {?} entry
+     * @return {?}
+     */
+    function (impl, entry) {
+        /** @type {?} */
+        var elem = this.transitionOf(entry.transition);
+        /** @type {?} */
+        var to = elem && (elem.compensation || elem.from);
+        /** @type {?} */
+        var targetPath = this._stateConfiguration[entry.to] ? this.pathOf(entry.to) : [];
+        return this.seekTransition(impl, function (from) {
+            return to && indexOf(targetPath, from) >= 0 ? [replaceStr(transitionKeyFormat, { from: from, to: to })] : [];
+        }, entry.payload);
+    };
+    /**
+     * Looks for the given transition again, for redoing it.
+     */
+    /**
+     * Looks for the given transition again, for redoing it.
+     * @private
+     * @param {?} impl
+     * @param {?} entry
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.seekRedoTransition = /**
+     * Looks for the given transition again, for redoing it.
+     * @private
+     * @param {?} impl
+     * @param {?} entry
+     * @return {?}
+     */
+    function (impl, entry) {
+        /** @type {?} */
+        var elem = this.transitionOf(entry.transition);
+        return this.seekTransition(impl, function (from) {
+            return elem && elem.from === from ? [entry.transition] : [];
+        }, entry.payload);
+    };
+    /**
+     * Takes the transition which undoes or redoes the given one,
+     * and keeps track of it until the transition settles.
+     */
+    /**
+     * Takes the transition which undoes or redoes the given one,
+     * and keeps track of it until the transition settles.
+     * @private
+     * @param {?} kind
+     * @param {?} entry
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.replay = /**
+     * Takes the transition which undoes or redoes the given one,
+     * and keeps track of it until the transition settles.
+     * @private
+     * @param {?} kind
+     * @param {?} entry
+     * @return {?}
+     */
+    function (kind, entry) {
+        var _this = this;
+        /** @type {?} */
+        var region = entry.region;
+        /** @type {?} */
+        var impl = this.implOf(region);
+        /** @type {?} */
+        var currentState = (/** @type {?} */ (impl.state));
+        if (this._pendingRegions[region]) {
+            throw new Error('Transition is in progress: ' + currentState + ' -> ' + kind);
+        }
+        /** @type {?} */
+        var result = kind === 'undo' ?
+            this.seekUndoTransition(impl, entry) :
+            this.seekRedoTransition(impl, entry);
+        if (!result.name && result.rejected) {
+            this.reportError(result.rejected, currentState, this.transitionOf(result.rejected).to);
+            return this._asyncMode ? Promise.resolve(currentState) : this;
+        }
+        if (!result.name) {
+            throw new Error('Transition cannot be ' + (kind === 'undo' ? 'undone' : 'redone') + ': ' + entry.transition);
+        }
+        this._replays[region] = { kind: kind, entry: entry };
+        if (!this._asyncMode) {
+            try {
+                return this.fireTransition(region, result.name, entry.payload);
+            }
+            finally {
+                delete this._replays[region];
+            }
+        }
+        return ((/** @type {?} */ (this.fireTransition(region, result.name, entry.payload)))).then(function (state) {
+            delete _this._replays[region];
+            return state;
+        }, function (error) {
+            delete _this._replays[region];
+            throw error;
+        });
+    };
+    /**
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.undo = /**
+     * @return {?}
+     */
+    function () {
+        this.ensureRunningStage();
+        if (!this._history.length) {
+            throw new Error('Nothing to undo.');
+        }
+        return this.replay('undo', this._history[this._history.length - 1]);
+    };
+    /**
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.redo = /**
+     * @return {?}
+     */
+    function () {
+        this.ensureRunningStage();
+        if (!this._undone.length) {
+            throw new Error('Nothing to redo.');
+        }
+        return this.replay('redo', this._undone[this._undone.length - 1]);
+    };
+    /**
+     * Checks if the last transition in the history may be undone.
+     */
+    /**
+     * Checks if the last transition in the history may be undone.
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.canUndo = /**
+     * Checks if the last transition in the history may be undone.
+     * @return {?}
+     */
+    function () {
+        this.ensureRunningStage();
+        /** @type {?} */
+        var entry = this._history[this._history.length - 1];
+        return !!entry && !this._pendingRegions[entry.region] &&
+            !!this.seekUndoTransition(this.implOf(entry.region), entry).name;
+    };
+    /**
+     * Checks if the last undone transition may be redone.
+     */
+    /**
+     * Checks if the last undone transition may be redone.
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.canRedo = /**
+     * Checks if the last undone transition may be redone.
+     * @return {?}
+     */
+    function () {
+        this.ensureRunningStage();
+        /** @type {?} */
+        var entry = this._undone[this._undone.length - 1];
+        return !!entry && !this._pendingRegions[entry.region] &&
+            !!this.seekRedoTransition(this.implOf(entry.region), entry).name;
+    };
+    /**
+     * Returns the status of the FSM, which is one of
+     * 'configuring', 'idle' and 'transitioning'.
+     */
+    /**
+     * Returns the status of the FSM, which is one of
+     * 'configuring', 'idle' and 'transitioning'.
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.status = /**
+     * Returns the status of the FSM, which is one of
+     * 'configuring', 'idle' and 'transitioning'.
+     * @return {?}
+     */
+    function () {
+        if (!this._impls) {
+            return 'configuring';
+        }
+        return _.isEmpty(this._pendingRegions) ? 'idle' : 'transitioning';
+    };
+    /**
+     * Captures the running status of the FSM, i.e., the current states,
+     * the context data and the history, in plain JSON data.
+     * Note that the context data and the payloads of the transitions
+     * in the history are expected to be serializable.
+     */
+    /**
+     * Captures the running status of the FSM, i.e., the current states,
+     * the context data and the history, in plain JSON data.
+     * Note that the context data and the payloads of the transitions
+     * in the history are expected to be serializable.
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.snapshot = /**
+     * Captures the running status of the FSM, i.e., the current states,
+     * the context data and the history, in plain JSON data.
+     * Note that the context data and the payloads of the transitions
+     * in the history are expected to be serializable.
+     * @return {?}
+     */
+    function () {
+        this.ensureRunningStage();
+        if (!_.isEmpty(this._pendingRegions)) {
+            throw new Error('Transition is in progress: ' + _.keys(this._pendingRegions).join(', '));
+        }
+        return JSON.parse(JSON.stringify({
+            version: snapshotVersion,
+            state: this.configuration(),
+            context: this._context,
+            history: this._history,
+            undone: this._undone,
+            lastActive: this._lastActive
+        }));
+    };
+    /**
+     * Returns the current context data.
+     */
+    /**
+     * Returns the current context data.
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.getContext = /**
+     * Returns the current context data.
+     * @return {?}
+     */
+    function () {
+        return this._context;
+    };
+    /**
+     * Provides the error handler for the FSM.
+     */
+    /**
+     * Provides the error handler for the FSM.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} fn
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.addErrorHandler = /**
+     * Provides the error handler for the FSM.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} fn
+     * @return {THIS}
+     */
+    function (fn) {
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        (/** @type {?} */ (this))._errorHandler = fn;
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Returns the current state of the given region,
+     * or of the default region if no region is given.
+     * In case of nested states, it is the innermost active state.
+     */
+    /**
+     * Returns the current state of the given region,
+     * or of the default region if no region is given.
+     * In case of nested states, it is the innermost active state.
+     * @param {?=} region
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.current = /**
+     * Returns the current state of the given region,
+     * or of the default region if no region is given.
+     * In case of nested states, it is the innermost active state.
+     * @param {?=} region
+     * @return {?}
+     */
+    function (region) {
+        this.ensureRunningStage();
+        return (/** @type {?} */ (this.implOf(region).state));
+    };
+    /**
+     * Returns the full active path of the given region, i.e., the current state
+     * and all of its enclosing states, starting from the outermost one.
+     */
+    /**
+     * Returns the full active path of the given region, i.e., the current state
+     * and all of its enclosing states, starting from the outermost one.
+     * @param {?=} region
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.currentPath = /**
+     * Returns the full active path of the given region, i.e., the current state
+     * and all of its enclosing states, starting from the outermost one.
+     * @param {?=} region
+     * @return {?}
+     */
+    function (region) {
+        this.ensureRunningStage();
+        return (/** @type {?} */ (this.pathOf(this.implOf(region).state)));
+    };
+    /**
+     * Returns the active configuration, i.e.,
+     * the current state of every region.
+     */
+    /**
+     * Returns the active configuration, i.e.,
+     * the current state of every region.
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.configuration = /**
+     * Returns the active configuration, i.e.,
+     * the current state of every region.
+     * @return {?}
+     */
+    function () {
+        this.ensureRunningStage();
+        /** @type {?} */
+        var result = {};
+        for (var k in this._impls) {
+            if (this._impls.hasOwnProperty(k)) {
+                result[k] = (/** @type {?} */ (this._impls[k].state));
+            }
+        }
+        return result;
+    };
+    /**
+     * Checks if the given state is active, i.e., it is the current state
+     * of a region, or it encloses the current state of a region.
+     */
+    /**
+     * Checks if the given state is active, i.e., it is the current state
+     * of a region, or it encloses the current state of a region.
+     * @param {?} name
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.isActive = /**
+     * Checks if the given state is active, i.e., it is the current state
+     * of a region, or it encloses the current state of a region.
+     * @param {?} name
+     * @return {?}
+     */
+    function (name) {
+        return indexOf(this.activeStates(), name) >= 0;
+    };
+    /**
+     * Exports the configuration of the FSM as a declarative definition.
+     * The callbacks and the guards are named by looking them up in
+     * the given map of implementations, which defaults to the one
+     * the FSM is built from. The context data is exported as it is now.
+     * If any of them cannot be named, a DefinitionError is thrown.
+     */
+    /**
+     * Exports the configuration of the FSM as a declarative definition.
+     * The callbacks and the guards are named by looking them up in
+     * the given map of implementations, which defaults to the one
+     * the FSM is built from. The context data is exported as it is now.
+     * If any of them cannot be named, a DefinitionError is thrown.
+     * @param {?=} implementations
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.toDefinition = /**
+     * Exports the configuration of the FSM as a declarative definition.
+     * The callbacks and the guards are named by looking them up in
+     * the given map of implementations, which defaults to the one
+     * the FSM is built from. The context data is exported as it is now.
+     * If any of them cannot be named, a DefinitionError is thrown.
+     * @param {?=} implementations
+     * @return {?}
+     */
+    function (implementations) {
+        /** @type {?} */
+        var errors = [];
+        /** @type {?} */
+        var definition = this.describe(implementations || this._implementations || {}, errors);
+        if (errors.length) {
+            throw new DefinitionError(errors);
+        }
+        return definition;
+    };
+    /**
+     * Builds the definition of the FSM, and collects the problems
+     * found instead of throwing. A callback which cannot be named is
+     * given a placeholder name.
+     */
+    /**
+     * Builds the definition of the FSM, and collects the problems
+     * found instead of throwing. A callback which cannot be named is
+     * given a placeholder name.
+     * @private
+     * @param {?} implementations
+     * @param {?} errors
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.describe = /**
+     * Builds the definition of the FSM, and collects the problems
+     * found instead of throwing. A callback which cannot be named is
+     * given a placeholder name.
+     * @private
+     * @param {?} implementations
+     * @param {?} errors
+     * @return {?}
+     */
+    function (implementations, errors) {
+        /** @type {?} */
+        var nameOf = function (fn, path) {
+            if (!fn) {
+                return undefined;
+            }
+            /** @type {?} */
+            var name = _.findKey(implementations, function (v) { return v === fn; });
+            if (!name) {
+                errors.push({ path: path, message: 'Unnamed implementation' });
+                return fn.name || 'anonymous';
+            }
+            return name;
+        };
+        // Drops the options which are not defined.
         /** @type {?} */
-        var stateConf = (/** @type {?} */ (this))._stateConfiguration;
+        var compact = function (obj) { return _.omit(obj, _.isUndefined); };
         /** @type {?} */
-        var transitionConf = (/** @type {?} */ (this))._transitionConfiguration;
+        var regionConf = this._regionConfiguration;
         /** @type {?} */
-        var transitions = [];
+        var regions = [];
+        for (var k0 in regionConf) {
+            if (regionConf.hasOwnProperty(k0)) {
+                regions.push({ name: k0, initial: regionConf[k0].initState });
+            }
+        }
         /** @type {?} */
-        var methods = {};
-        for (var k1 in transitionConf) {
-            if (transitionConf.hasOwnProperty(k1)) {
+        var stateConf = this._stateConfiguration;
+        /** @type {?} */
+        var states = [];
+        for (var k1 in stateConf) {
+            if (stateConf.hasOwnProperty(k1)) {
                 /** @type {?} */
-                var elem1 = transitionConf[k1];
-                transitions.push({
+                var elem1 = stateConf[k1];
+                /** @type {?} */
+                var path1 = '/states/' + states.length;
+                states.push(compact({
                     name: k1,
-                    from: elem1.from,
-                    to: elem1.to
-                });
-                if (elem1.onAfterCallback) {
-                    methods['onAfter' + captialize(k1)] = elem1.onAfterCallback;
-                }
-                if (elem1.onBeforeCallback) {
-                    methods['onBefore' + captialize(k1)] = elem1.onAfterCallback;
-                }
+                    parent: elem1.parent,
+                    initial: elem1.initial,
+                    // A child state is always in the region of its parent.
+                    region: elem1.parent || elem1.region === defaultRegion ? undefined : elem1.region,
+                    final: elem1.final || undefined,
+                    onEnter: nameOf(elem1.onEnterCallback, path1 + '/onEnter'),
+                    onLeave: nameOf(elem1.onLeaveCallback, path1 + '/onLeave')
+                }));
+            }
+        }
+        /** @type {?} */
+        var historyConf = this._historyConfiguration;
+        /** @type {?} */
+        var historyStates = [];
+        for (var k3 in historyConf) {
+            if (historyConf.hasOwnProperty(k3)) {
+                historyStates.push(compact({
+                    name: k3,
+                    parent: historyConf[k3].parent,
+                    deep: historyConf[k3].deep || undefined,
+                    defaultTarget: historyConf[k3].defaultTarget
+                }));
             }
         }
-        for (var k2 in stateConf) {
-            if (stateConf.hasOwnProperty(k2)) {
+        /** @type {?} */
+        var transitionConf = this._transitionConfiguration;
+        /** @type {?} */
+        var transitions = [];
+        for (var k2 in transitionConf) {
+            if (transitionConf.hasOwnProperty(k2)) {
+                /** @type {?} */
+                var elem2 = transitionConf[k2];
+                /** @type {?} */
+                var path2 = '/transitions/' + transitions.length;
                 /** @type {?} */
-                var elem2 = stateConf[k2];
-                if (elem2.onEnterCallback) {
-                    methods['onEnter' + captialize(k2)] = elem2.onEnterCallback;
+                var assign = elem2.assign;
+                if (typeof assign === 'function') {
+                    assign = nameOf(assign, path2 + '/assign');
                 }
-                if (elem2.onLeaveCallback) {
-                    methods['onLeave' + captialize(k2)] = elem2.onLeaveCallback;
+                else if (assign && _.some(assign, function (v) { return typeof v === 'function'; })) {
+                    errors.push({ path: path2 + '/assign', message: 'Unnamed implementation' });
                 }
+                transitions.push(compact({
+                    from: elem2.from,
+                    to: elem2.to,
+                    event: elem2.event,
+                    guard: nameOf(elem2.guard, path2 + '/guard'),
+                    onBefore: nameOf(elem2.onBeforeCallback, path2 + '/onBefore'),
+                    onAfter: nameOf(elem2.onAfterCallback, path2 + '/onAfter'),
+                    assign: assign,
+                    delay: elem2.delay,
+                    compensation: elem2.compensation,
+                    internal: elem2.internal
+                }));
             }
         }
-        /** @type {?} */
-        var handlers = (/** @type {?} */ (this))._handlers;
-        handlers.onEnterState = [];
-        handlers.onLeaveState = [];
-        methods['onEnterState'] = buildHandlerInClosure((/** @type {?} */ (this))._handlers, 'onEnterState');
-        methods['onLeaveState'] = buildHandlerInClosure((/** @type {?} */ (this))._handlers, 'onLeaveState');
-        (/** @type {?} */ (this))._impl = new StateMachine({
-            init: (/** @type {?} */ (this))._initState,
-            transitions: transitions,
-            methods: methods,
-            onInvalidTransition: (/** @type {?} */ (this))._errorHandler || defaultErrorHandler
+        return compact({
+            version: definitionVersion,
+            initial: this._initState || undefined,
+            asyncMode: this._asyncMode || undefined,
+            sameStatePolicy: this._sameStatePolicy !== 'ignore' ? this._sameStatePolicy : undefined,
+            context: this._context,
+            regions: regions.length ? regions : undefined,
+            states: states,
+            historyStates: historyStates.length ? historyStates : undefined,
+            transitions: transitions
         });
-        return (/** @type {?} */ (this));
-    };
-    /**
-     * Registers a handler for enterstate
-     */
-    /**
-     * Registers a handler for enterstate
-     * @template THIS
-     * @this {THIS}
-     * @param {?} handler
-     * @return {THIS}
-     */
-    FiniteStateMachine.prototype.onEnterState = /**
-     * Registers a handler for enterstate
-     * @template THIS
-     * @this {THIS}
-     * @param {?} handler
-     * @return {THIS}
-     */
-    function (handler) {
-        /** @type {?} */
-        var ourHandlers = (/** @type {?} */ (this))._handlers.onEnterState;
-        if (indexOf(ourHandlers, handler) >= 0) {
-            throw new Error('Re-registering a hander!');
-        }
-        ourHandlers.push(handler);
-        return (/** @type {?} */ (this));
     };
     /**
-     * Registers a handler for exitstate
+     * Exports the configuration of the FSM as a SCXML document.
+     * The callbacks and the guards are named in the same way
+     * as toDefinition does.
      */
     /**
-     * Registers a handler for exitstate
-     * @template THIS
-     * @this {THIS}
-     * @param {?} handler
-     * @return {THIS}
+     * Exports the configuration of the FSM as a SCXML document.
+     * The callbacks and the guards are named in the same way
+     * as toDefinition does.
+     * @param {?=} implementations
+     * @return {?}
      */
-    FiniteStateMachine.prototype.onExitState = /**
-     * Registers a handler for exitstate
-     * @template THIS
-     * @this {THIS}
-     * @param {?} handler
-     * @return {THIS}
+    FiniteStateMachine.prototype.toScxml = /**
+     * Exports the configuration of the FSM as a SCXML document.
+     * The callbacks and the guards are named in the same way
+     * as toDefinition does.
+     * @param {?=} implementations
+     * @return {?}
      */
-    function (handler) {
-        /** @type {?} */
-        var ourHandlers = (/** @type {?} */ (this))._handlers.onLeaveState;
-        if (indexOf(ourHandlers, handler) >= 0) {
-            throw new Error('Registering a hander!');
-        }
-        ourHandlers.push(handler);
-        return (/** @type {?} */ (this));
+    function (implementations) {
+        return serializeScxml(this.toDefinition(implementations));
     };
     /**
-     * Un-register a handler for enterstate
+     * Checks the configuration of the FSM, and reports the states
+     * which are unreachable from the init states, the dead ends which are
+     * not final, the states without incoming transitions, the strongly
+     * connected components, and the states which cannot reach a final state.
+     * Note that guard conditions are not taken into account.
      */
     /**
-     * Un-register a handler for enterstate
-     * @template THIS
-     * @this {THIS}
-     * @param {?} handler
-     * @return {THIS}
+     * Checks the configuration of the FSM, and reports the states
+     * which are unreachable from the init states, the dead ends which are
+     * not final, the states without incoming transitions, the strongly
+     * connected components, and the states which cannot reach a final state.
+     * Note that guard conditions are not taken into account.
+     * @return {?}
      */
-    FiniteStateMachine.prototype.offEnterState = /**
-     * Un-register a handler for enterstate
-     * @template THIS
-     * @this {THIS}
-     * @param {?} handler
-     * @return {THIS}
+    FiniteStateMachine.prototype.analyze = /**
+     * Checks the configuration of the FSM, and reports the states
+     * which are unreachable from the init states, the dead ends which are
+     * not final, the states without incoming transitions, the strongly
+     * connected components, and the states which cannot reach a final state.
+     * Note that guard conditions are not taken into account.
+     * @return {?}
      */
-    function (handler) {
-        /** @type {?} */
-        var ourHandlers = (/** @type {?} */ (this))._handlers.onEnterState;
-        (/** @type {?} */ (this))._handlers.onenterstate = without(ourHandlers, handler);
-        return (/** @type {?} */ (this));
+    function () {
+        return analyzeDefinition(this.describe(this._implementations || {}, []));
     };
     /**
-     * Un-register a handler for exitstate
+     * Checks a temporal property, e.g., 'AG (editing -> EF saved)',
+     * against the transitions of the FSM from the init state of the given
+     * region, and gives a counterexample path if the property does not hold.
+     * See temporal-logic for the property language.
      */
     /**
-     * Un-register a handler for exitstate
-     * @template THIS
-     * @this {THIS}
-     * @param {?} handler
-     * @return {THIS}
+     * Checks a temporal property, e.g., 'AG (editing -> EF saved)',
+     * against the transitions of the FSM from the init state of the given
+     * region, and gives a counterexample path if the property does not hold.
+     * See temporal-logic for the property language.
+     * @param {?} property
+     * @param {?=} region
+     * @return {?}
      */
-    FiniteStateMachine.prototype.offExitState = /**
-     * Un-register a handler for exitstate
-     * @template THIS
-     * @this {THIS}
-     * @param {?} handler
-     * @return {THIS}
+    FiniteStateMachine.prototype.check = /**
+     * Checks a temporal property, e.g., 'AG (editing -> EF saved)',
+     * against the transitions of the FSM from the init state of the given
+     * region, and gives a counterexample path if the property does not hold.
+     * See temporal-logic for the property language.
+     * @param {?} property
+     * @param {?=} region
+     * @return {?}
      */
-    function (handler) {
-        /** @type {?} */
-        var ourHandlers = (/** @type {?} */ (this))._handlers.onLeaveState;
-        (/** @type {?} */ (this))._handlers.onexitstate = without(ourHandlers, handler);
-        return (/** @type {?} */ (this));
+    function (property, region) {
+        return checkProperty(this.describe(this._implementations || {}, []), property, region);
     };
     /**
-     * Performs a transition to the given state.
-     * This method also validate the transition.
+     * Renders the configuration of the FSM as a Graphviz DOT graph.
+     * If required, the states in which a running FSM currently is
+     * are highlighted.
      */
     /**
-     * Performs a transition to the given state.
-     * This method also validate the transition.
-     * @param {?} to
+     * Renders the configuration of the FSM as a Graphviz DOT graph.
+     * If required, the states in which a running FSM currently is
+     * are highlighted.
+     * @param {?=} highlightCurrent
      * @return {?}
      */
-    FiniteStateMachine.prototype.go = /**
-     * Performs a transition to the given state.
-     * This method also validate the transition.
-     * @param {?} to
+    FiniteStateMachine.prototype.toDot = /**
+     * Renders the configuration of the FSM as a Graphviz DOT graph.
+     * If required, the states in which a running FSM currently is
+     * are highlighted.
+     * @param {?=} highlightCurrent
      * @return {?}
      */
-    function (to) {
-        this.ensureRunningStage();
-        /** @type {?} */
-        var stateConf = this._stateConfiguration;
-        if (!stateConf[to]) {
-            throw new Error('Go to undefined state: ' + to);
-        }
-        if (this._impl.is(to)) {
-            // TODO: check if the underlying implementation takes into account
-            // moving from one state to itself
-            return this;
-        }
-        /** @type {?} */
-        var currentState = this._impl.state;
-        /** @type {?} */
-        var transitionName = replaceStr(transitionKeyFormat, { from: currentState, to: to });
-        // Validate if this transition is allowed or not
-        if (this._impl.cannot(transitionName)) {
-            throw new Error('Transition is not allowed: ' + currentState + ' -> ' + to);
-        }
-        // Invoke this function
-        /** @type {?} */
-        var func = this._impl[transitionName];
-        func.call(this._impl);
-        return self;
+    function (highlightCurrent) {
+        return renderDot(this.describe(this._implementations || {}, []), {
+            active: highlightCurrent ? this.activeStates() : []
+        });
     };
     /**
-     * Provides the error handler for the FSM.
+     * Renders the configuration of the FSM as a Mermaid state diagram.
+     * If required, the states in which a running FSM currently is
+     * are highlighted.
      */
     /**
-     * Provides the error handler for the FSM.
-     * @template THIS
-     * @this {THIS}
-     * @param {?} fn
-     * @return {THIS}
+     * Renders the configuration of the FSM as a Mermaid state diagram.
+     * If required, the states in which a running FSM currently is
+     * are highlighted.
+     * @param {?=} highlightCurrent
+     * @return {?}
      */
-    FiniteStateMachine.prototype.addErrorHandler = /**
-     * Provides the error handler for the FSM.
-     * @template THIS
-     * @this {THIS}
-     * @param {?} fn
-     * @return {THIS}
+    FiniteStateMachine.prototype.toMermaid = /**
+     * Renders the configuration of the FSM as a Mermaid state diagram.
+     * If required, the states in which a running FSM currently is
+     * are highlighted.
+     * @param {?=} highlightCurrent
+     * @return {?}
      */
-    function (fn) {
-        (/** @type {?} */ (this)).ensureConfigureStage();
-        (/** @type {?} */ (this))._errorHandler = fn;
-        return (/** @type {?} */ (this));
+    function (highlightCurrent) {
+        return renderMermaid(this.describe(this._implementations || {}, []), {
+            active: highlightCurrent ? this.activeStates() : []
+        });
     };
     /**
-     * Returns the current state.
+     * Returns the active states of all regions,
+     * including the enclosing compound states.
      */
     /**
-     * Returns the current state.
+     * Returns the active states of all regions,
+     * including the enclosing compound states.
+     * @private
      * @return {?}
      */
-    FiniteStateMachine.prototype.current = /**
-     * Returns the current state.
+    FiniteStateMachine.prototype.activeStates = /**
+     * Returns the active states of all regions,
+     * including the enclosing compound states.
+     * @private
      * @return {?}
      */
     function () {
         this.ensureRunningStage();
-        return this._impl.state;
+        /** @type {?} */
+        var result = [];
+        for (var k in this._impls) {
+            if (this._impls.hasOwnProperty(k)) {
+                result = result.concat(this.pathOf(this._impls[k].state));
+            }
+        }
+        return result;
     };
     return FiniteStateMachine;
 }());
@@ -566,6 +3496,15 @@ FiniteStateMachine = /** @class */ (function () {
  * transitions
  * - Support for asychronous and synchrous transitions
  * - Support for global exception handling
+ * The states, the events and the context data may be typed by
+ * the type parameters, e.g.,
+ * new FiniteStateMachine<'idle' | 'busy', 'submit', { count: number }>(),
+ * so that the names are checked at compile time and the callbacks
+ * receive precisely typed lifecycle events. The last type parameter
+ * tells whether the FSM is in the asynchronous mode, as set by
+ * setAsyncMode, so that taking a transition is typed to return
+ * either the FSM or a promise.
+ * @template TState, TEvent, TContext, TAsync
  */
 export { FiniteStateMachine };
 if (false) {
@@ -573,17 +3512,102 @@ if (false) {
      * @type {?}
      * @private
      */
-    FiniteStateMachine.prototype._impl;
+    FiniteStateMachine.prototype._impls;
     /**
      * @type {?}
      * @private
      */
     FiniteStateMachine.prototype._initState;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._context;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._asyncMode;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._sameStatePolicy;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._pendingRegions;
     /**
      * @type {?}
      * @private
      */
     FiniteStateMachine.prototype._errorHandler;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._regionConfiguration;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._historyConfiguration;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._lastActive;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._scheduler;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._timers;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._execution;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._disposed;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._configurationSubject;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._transitionSubject;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._errorSubject;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._contextSubject;
+    /** @type {?} */
+    FiniteStateMachine.prototype.configuration$;
+    /** @type {?} */
+    FiniteStateMachine.prototype.state$;
+    /** @type {?} */
+    FiniteStateMachine.prototype.transitions$;
+    /** @type {?} */
+    FiniteStateMachine.prototype.errors$;
+    /** @type {?} */
+    FiniteStateMachine.prototype.context$;
     /**
      * @type {?}
      * @private
@@ -594,10 +3618,55 @@ if (false) {
      * @private
      */
     FiniteStateMachine.prototype._transitionConfiguration;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._reentryConfiguration;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._eventConfiguration;
     /**
      * @type {?}
      * @private
      */
     FiniteStateMachine.prototype._handlers;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._middleware;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._history;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._historyLimit;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._undone;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._replays;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._settledEvents;
+    /**
+     * @type {?}
+     * @private
+     */
+    FiniteStateMachine.prototype._implementations;
 }
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZmluaXRlLXN0YXRlLW1hY2hpbmUuanMiLCJzb3VyY2VSb290Ijoibmc6Ly9AcG9scHdhcmUvZmUtYmVoYXZpb3IvIiwic291cmNlcyI6WyJsaWIvc3RhdGUvZmluaXRlLXN0YXRlLW1hY2hpbmUudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7OztBQU1BLE9BQU8sS0FBSyxZQUFZLE1BQU0sMkJBQTJCLENBQUM7QUFDMUQsT0FBTyxFQUFFLE9BQU8sSUFBSSxVQUFVLEVBQUUsTUFBTSx3QkFBd0IsQ0FBQzs7O0lBR3pELENBQUMsR0FBRyxZQUFZLENBQUMsVUFBVTs7SUFDM0IsWUFBWSxHQUFHLFlBQVksQ0FBQyxjQUFjLENBQUM7O0lBQzNDLE9BQU8sR0FBRyxDQUFDLENBQUMsT0FBTzs7SUFDbkIsT0FBTyxHQUFHLENBQUMsQ0FBQyxPQUFPOztJQUNuQixtQkFBbUIsR0FBRyxhQUFhOztJQUNuQyxrQkFBa0IsR0FBRyw4Q0FBOEM7Ozs7O0FBR3pFLFNBQVMsVUFBVSxDQUFDLEtBQWE7SUFDN0IsT0FBTyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsRUFBRSxHQUFHLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7QUFDMUQsQ0FBQzs7OztBQUVELDJCQUtDOzs7SUFKRyw2QkFBYzs7Ozs7SUFDZCxxREFBK0I7Ozs7O0lBQy9CLDhEQUF3Qzs7Ozs7SUFDeEMsNERBQWtDOzs7OztBQUd0Qyw4QkFJQzs7O0lBSEcscUNBQW1COztJQUNuQiwrQkFBYTs7SUFDYiw2QkFBVzs7Ozs7QUFNZixrQ0FHQzs7O0lBRkcsOENBQXFDOztJQUNyQyw4Q0FBcUM7Ozs7O0FBR3pDLHVDQUtDOzs7SUFKRyx3Q0FBYTs7SUFDYixzQ0FBVzs7SUFDWCxvREFBc0M7O0lBQ3RDLG1EQUFxQzs7Ozs7Ozs7O0FBT3pDLFNBQVMscUJBQXFCLENBQUMsT0FBcUQsRUFBRSxHQUFXO0lBQzdGLE9BQU87O1lBQ0csV0FBVyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUM7UUFDaEMsSUFBSSxDQUFDLFdBQVcsRUFBRTtZQUNkLE9BQU87U0FDVjtRQUNELEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxXQUFXLENBQUMsTUFBTSxFQUFFLENBQUMsRUFBRSxFQUFFOztnQkFDbkMsSUFBSSxHQUFHLFdBQVcsQ0FBQyxDQUFDLENBQUM7WUFDM0IsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUUsU0FBUyxDQUFDLENBQUM7U0FDL0I7SUFDTCxDQUFDLENBQUM7QUFDTixDQUFDOzs7Ozs7OztBQUtELFNBQVMsbUJBQW1CLENBQUMsU0FBaUIsRUFBRSxJQUFZLEVBQUUsRUFBVTs7UUFDOUQsSUFBSSxHQUFHLFVBQVUsQ0FBQyxrQkFBa0IsRUFBRTtRQUN4QyxJQUFJLEVBQUUsU0FBUztRQUNmLElBQUksRUFBRSxJQUFJO1FBQ1YsRUFBRSxFQUFFLEVBQUU7S0FDVCxDQUFDO0lBQ0YsT0FBTyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQztBQUN0QixDQUFDOzs7Ozs7Ozs7Ozs7QUFjRDs7Ozs7Ozs7Ozs7O0lBU0k7UUFDSSxJQUFJLENBQUMsS0FBSyxHQUFHLElBQUksQ0FBQztRQUNsQixJQUFJLENBQUMsVUFBVSxHQUFHLElBQUksQ0FBQztRQUN2QixJQUFJLENBQUMsYUFBYSxHQUFHLElBQUksQ0FBQztRQUMxQixJQUFJLENBQUMsbUJBQW1CLEdBQUcsRUFBRSxDQUFDO1FBQzlCLElBQUksQ0FBQyx3QkFBd0IsR0FBRyxFQUFFLENBQUM7UUFDbkMsSUFBSSxDQUFDLFNBQVMsR0FBRyxFQUFFLENBQUM7SUFDeEIsQ0FBQztJQUVEOztPQUVHOzs7Ozs7SUFDSyxpREFBb0I7Ozs7O0lBQTVCO1FBQ0ksSUFBSSxJQUFJLENBQUMsS0FBSyxFQUFFO1lBQ1osTUFBTSxJQUFJLEtBQUssQ0FBQyw0QkFBNEIsQ0FBQyxDQUFDO1NBQ2pEO0lBQ0wsQ0FBQztJQUVEOztPQUVHOzs7Ozs7SUFDSywrQ0FBa0I7Ozs7O0lBQTFCO1FBQ0ksSUFBSSxDQUFDLElBQUksQ0FBQyxLQUFLLEVBQUU7WUFDYixNQUFNLElBQUksS0FBSyxDQUFDLG9DQUFvQyxDQUFDLENBQUM7U0FDekQ7SUFDTCxDQUFDO0lBRUQ7O09BRUc7Ozs7Ozs7Ozs7SUFDSCxxQ0FBUTs7Ozs7Ozs7O0lBQVIsVUFBUyxJQUFZLEVBQ2pCLGVBQW9DLEVBQ3BDLGVBQW9DO1FBQ3BDLGlCQUFpQjtRQUNqQixtQkFBQSxJQUFJLEVBQUEsQ0FBQyxvQkFBb0IsRUFBRSxDQUFDOztZQUN0QixTQUFTLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMsbUJBQW1CO1FBQzFDLElBQUksU0FBUyxDQUFDLElBQUksQ0FBQyxFQUFFO1lBQ2pCLE1BQU0sSUFBSSxLQUFLLENBQUMsbUJBQW1CLEdBQUcsSUFBSSxDQUFDLENBQUM7U0FDL0M7UUFDRCxTQUFTLENBQUMsSUFBSSxDQUFDLEdBQUc7WUFDZCxlQUFlLEVBQUUsZUFBZTtZQUNoQyxlQUFlLEVBQUUsZUFBZTtTQUNuQyxDQUFDO1FBQ0YsT0FBTyxtQkFBQSxJQUFJLEVBQUEsQ0FBQztJQUNoQixDQUFDO0lBRUQ7O09BRUc7Ozs7Ozs7O0lBQ0gseUNBQVk7Ozs7Ozs7SUFBWixVQUFhLElBQVk7UUFDckIsaUJBQWlCO1FBQ2pCLG1CQUFBLElBQUksRUFBQSxDQUFDLG9CQUFvQixFQUFFLENBQUM7UUFFNUIsSUFBSSxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxVQUFVLEVBQUU7WUFDakIsTUFBTSxJQUFJLEtBQUssQ0FBQyx3QkFBd0IsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxVQUFVLENBQUMsQ0FBQztTQUMvRDtRQUNELG1CQUFBLElBQUksRUFBQSxDQUFDLFVBQVUsR0FBRyxJQUFJLENBQUM7UUFDdkIsT0FBTyxtQkFBQSxJQUFJLEVBQUEsQ0FBQztJQUNoQixDQUFDO0lBRUQ7O09BRUc7Ozs7Ozs7Ozs7O0lBQ0gsMENBQWE7Ozs7Ozs7Ozs7SUFBYixVQUFjLElBQVksRUFDdEIsRUFBVSxFQUNWLGVBQW9DLEVBQ3BDLGdCQUFxQztRQUNyQyxnQkFBZ0I7UUFDaEIsbUJBQUEsSUFBSSxFQUFBLENBQUMsb0JBQW9CLEVBQUUsQ0FBQzs7WUFFdEIsU0FBUyxHQUFHLG1CQUFBLElBQUksRUFBQSxDQUFDLG1CQUFtQjs7WUFDcEMsY0FBYyxHQUFHLG1CQUFBLElBQUksRUFBQSxDQUFDLHdCQUF3QjtRQUNwRCxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxFQUFFO1lBQ2xCLE1BQU0sSUFBSSxLQUFLLENBQUMsMEJBQTBCLEdBQUcsSUFBSSxDQUFDLENBQUM7U0FDdEQ7UUFDRCxJQUFJLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxFQUFFO1lBQ2hCLE1BQU0sSUFBSSxLQUFLLENBQUMsMEJBQTBCLEdBQUcsRUFBRSxDQUFDLENBQUM7U0FDcEQ7O1lBQ0ssR0FBRyxHQUFHLFVBQVUsQ0FBQyxtQkFBbUIsRUFBRSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxDQUFDO1FBQ25FLElBQUksY0FBYyxDQUFDLEdBQUcsQ0FBQyxFQUFFO1lBQ3JCLE1BQU0sSUFBSSxLQUFLLENBQUMsd0JBQXdCLEdBQUcsSUFBSSxHQUFHLE1BQU0sR0FBRyxFQUFFLENBQUMsQ0FBQztTQUNsRTtRQUNELGNBQWMsQ0FBQyxHQUFHLENBQUMsR0FBRztZQUNsQixJQUFJLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxFQUFFO1lBQ2xCLGVBQWUsRUFBRSxlQUFlO1lBQ2hDLGdCQUFnQixFQUFFLGdCQUFnQjtTQUNyQyxDQUFDO1FBQ0YsT0FBTyxtQkFBQSxJQUFJLEVBQUEsQ0FBQztJQUNoQixDQUFDO0lBRUQ7OztPQUdHOzs7Ozs7OztJQUNILGtDQUFLOzs7Ozs7O0lBQUw7UUFFSSxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxvQkFBb0IsRUFBRSxDQUFDO1FBQzVCLElBQUksQ0FBQyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxVQUFVLEVBQUU7WUFDbEIsTUFBTSxJQUFJLEtBQUssQ0FBQyxrQ0FBa0MsQ0FBQyxDQUFDO1NBQ3ZEOzs7WUFHSyxTQUFTLEdBQVcsbUJBQUEsSUFBSSxFQUFBLENBQUMsbUJBQW1COztZQUM1QyxjQUFjLEdBQVcsbUJBQUEsSUFBSSxFQUFBLENBQUMsd0JBQXdCOztZQUV0RCxXQUFXLEdBQXNELEVBQUU7O1lBQ25FLE9BQU8sR0FBMEMsRUFBRTtRQUV6RCxLQUFLLElBQU0sRUFBRSxJQUFJLGNBQWMsRUFBRTtZQUM3QixJQUFJLGNBQWMsQ0FBQyxjQUFjLENBQUMsRUFBRSxDQUFDLEVBQUU7O29CQUM3QixLQUFLLEdBQUcsY0FBYyxDQUFDLEVBQUUsQ0FBQztnQkFDaEMsV0FBVyxDQUFDLElBQUksQ0FBQztvQkFDYixJQUFJLEVBQUUsRUFBRTtvQkFDUixJQUFJLEVBQUUsS0FBSyxDQUFDLElBQUk7b0JBQ2hCLEVBQUUsRUFBRSxLQUFLLENBQUMsRUFBRTtpQkFDZixDQUFDLENBQUM7Z0JBRUgsSUFBSSxLQUFLLENBQUMsZUFBZSxFQUFFO29CQUN2QixPQUFPLENBQUMsU0FBUyxHQUFHLFVBQVUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxHQUFHLEtBQUssQ0FBQyxlQUFlLENBQUM7aUJBQy9EO2dCQUNELElBQUksS0FBSyxDQUFDLGdCQUFnQixFQUFFO29CQUN4QixPQUFPLENBQUMsVUFBVSxHQUFHLFVBQVUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxHQUFHLEtBQUssQ0FBQyxlQUFlLENBQUM7aUJBQ2hFO2FBQ0o7U0FDSjtRQUVELEtBQUssSUFBTSxFQUFFLElBQUksU0FBUyxFQUFFO1lBRXhCLElBQUksU0FBUyxDQUFDLGNBQWMsQ0FBQyxFQUFFLENBQUMsRUFBRTs7b0JBQ3hCLEtBQUssR0FBRyxTQUFTLENBQUMsRUFBRSxDQUFDO2dCQUUzQixJQUFJLEtBQUssQ0FBQyxlQUFlLEVBQUU7b0JBQ3ZCLE9BQU8sQ0FBQyxTQUFTLEdBQUcsVUFBVSxDQUFDLEVBQUUsQ0FBQyxDQUFDLEdBQUcsS0FBSyxDQUFDLGVBQWUsQ0FBQztpQkFDL0Q7Z0JBQ0QsSUFBSSxLQUFLLENBQUMsZUFBZSxFQUFFO29CQUN2QixPQUFPLENBQUMsU0FBUyxHQUFHLFVBQVUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxHQUFHLEtBQUssQ0FBQyxlQUFlLENBQUM7aUJBQy9EO2FBQ0o7U0FDSjs7WUFFSyxRQUFRLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMsU0FBUztRQUMvQixRQUFRLENBQUMsWUFBWSxHQUFHLEVBQUUsQ0FBQztRQUMzQixRQUFRLENBQUMsWUFBWSxHQUFHLEVBQUUsQ0FBQztRQUUzQixPQUFPLENBQUMsY0FBYyxDQUFDLEdBQUcscUJBQXFCLENBQUMsbUJBQUEsSUFBSSxFQUFBLENBQUMsU0FBUyxFQUFFLGNBQWMsQ0FBQyxDQUFDO1FBQ2hGLE9BQU8sQ0FBQyxjQUFjLENBQUMsR0FBRyxxQkFBcUIsQ0FBQyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxTQUFTLEVBQUUsY0FBYyxDQUFDLENBQUM7UUFFaEYsbUJBQUEsSUFBSSxFQUFBLENBQUMsS0FBSyxHQUFHLElBQUksWUFBWSxDQUFDO1lBQzFCLElBQUksRUFBRSxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxVQUFVO1lBQ3JCLFdBQVcsRUFBRSxXQUFXO1lBQ3hCLE9BQU8sRUFBRSxPQUFPO1lBQ2hCLG1CQUFtQixFQUFFLG1CQUFBLElBQUksRUFBQSxDQUFDLGFBQWEsSUFBSSxtQkFBbUI7U0FDakUsQ0FBQyxDQUFDO1FBQ0gsT0FBTyxtQkFBQSxJQUFJLEVBQUEsQ0FBQztJQUNoQixDQUFDO0lBRUQ7O09BRUc7Ozs7Ozs7O0lBQ0gseUNBQVk7Ozs7Ozs7SUFBWixVQUFhLE9BQTJCOztZQUM5QixXQUFXLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMsU0FBUyxDQUFDLFlBQVk7UUFDL0MsSUFBSSxPQUFPLENBQUMsV0FBVyxFQUFFLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRTtZQUNwQyxNQUFNLElBQUksS0FBSyxDQUFDLDBCQUEwQixDQUFDLENBQUM7U0FDL0M7UUFDRCxXQUFXLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQzFCLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQztJQUVEOztPQUVHOzs7Ozs7OztJQUNILHdDQUFXOzs7Ozs7O0lBQVgsVUFBWSxPQUEyQjs7WUFDN0IsV0FBVyxHQUFHLG1CQUFBLElBQUksRUFBQSxDQUFDLFNBQVMsQ0FBQyxZQUFZO1FBQy9DLElBQUksT0FBTyxDQUFDLFdBQVcsRUFBRSxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUU7WUFDcEMsTUFBTSxJQUFJLEtBQUssQ0FBQyx1QkFBdUIsQ0FBQyxDQUFDO1NBQzVDO1FBQ0QsV0FBVyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUMxQixPQUFPLG1CQUFBLElBQUksRUFBQSxDQUFDO0lBQ2hCLENBQUM7SUFFRDs7T0FFRzs7Ozs7Ozs7SUFDSCwwQ0FBYTs7Ozs7OztJQUFiLFVBQWMsT0FBMkI7O1lBQy9CLFdBQVcsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxTQUFTLENBQUMsWUFBWTtRQUMvQyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxTQUFTLENBQUMsWUFBWSxHQUFHLE9BQU8sQ0FBQyxXQUFXLEVBQUUsT0FBTyxDQUFDLENBQUM7UUFDNUQsT0FBTyxtQkFBQSxJQUFJLEVBQUEsQ0FBQztJQUNoQixDQUFDO0lBRUQ7O09BRUc7Ozs7Ozs7O0lBQ0gseUNBQVk7Ozs7Ozs7SUFBWixVQUFhLE9BQTJCOztZQUM5QixXQUFXLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMsU0FBUyxDQUFDLFlBQVk7UUFDL0MsbUJBQUEsSUFBSSxFQUFBLENBQUMsU0FBUyxDQUFDLFdBQVcsR0FBRyxPQUFPLENBQUMsV0FBVyxFQUFFLE9BQU8sQ0FBQyxDQUFDO1FBQzNELE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQztJQUVEOzs7T0FHRzs7Ozs7OztJQUNILCtCQUFFOzs7Ozs7SUFBRixVQUFHLEVBQVU7UUFDVCxJQUFJLENBQUMsa0JBQWtCLEVBQUUsQ0FBQzs7WUFFcEIsU0FBUyxHQUFHLElBQUksQ0FBQyxtQkFBbUI7UUFDMUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsRUFBRTtZQUNoQixNQUFNLElBQUksS0FBSyxDQUFDLHlCQUF5QixHQUFHLEVBQUUsQ0FBQyxDQUFDO1NBQ25EO1FBQ0QsSUFBSSxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRTtZQUNuQixrRUFBa0U7WUFDbEUsa0NBQWtDO1lBQ2xDLE9BQU8sSUFBSSxDQUFDO1NBQ2Y7O1lBQ0ssWUFBWSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSzs7WUFDL0IsY0FBYyxHQUFHLFVBQVUsQ0FBQyxtQkFBbUIsRUFBRSxFQUFFLElBQUksRUFBRSxZQUFZLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxDQUFDO1FBQ3RGLGdEQUFnRDtRQUNoRCxJQUFJLElBQUksQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLGNBQWMsQ0FBQyxFQUFFO1lBQ25DLE1BQU0sSUFBSSxLQUFLLENBQUMsNkJBQTZCLEdBQUcsWUFBWSxHQUFHLE1BQU0sR0FBRyxFQUFFLENBQUMsQ0FBQztTQUMvRTs7O1lBR0ssSUFBSSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsY0FBYyxDQUFDO1FBQ3ZDLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ3RCLE9BQU8sSUFBSSxDQUFDO0lBQ2hCLENBQUM7SUFFRDs7T0FFRzs7Ozs7Ozs7SUFDSCw0Q0FBZTs7Ozs7OztJQUFmLFVBQWdCLEVBQW9CO1FBQ2hDLG1CQUFBLElBQUksRUFBQSxDQUFDLG9CQUFvQixFQUFFLENBQUM7UUFFNUIsbUJBQUEsSUFBSSxFQUFBLENBQUMsYUFBYSxHQUFHLEVBQUUsQ0FBQztRQUV4QixPQUFPLG1CQUFBLElBQUksRUFBQSxDQUFDO0lBQ2hCLENBQUM7SUFFRDs7T0FFRzs7Ozs7SUFDSCxvQ0FBTzs7OztJQUFQO1FBQ0ksSUFBSSxDQUFDLGtCQUFrQixFQUFFLENBQUM7UUFDMUIsT0FBTyxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQztJQUM1QixDQUFDO0lBQ0wseUJBQUM7QUFBRCxDQUFDLEFBOVBELElBOFBDOzs7Ozs7Ozs7Ozs7Ozs7Ozs7SUE1UEcsbUNBQTRCOzs7OztJQUM1Qix3Q0FBMkI7Ozs7O0lBQzNCLDJDQUF3Qzs7Ozs7SUFDeEMsaURBQW9FOzs7OztJQUNwRSxzREFBOEU7Ozs7O0lBQzlFLHVDQUFnRSIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGZpbGVPdmVydmlld1xuICogUHJvdmlkZXMgYSBjbGFzcyByZXByZXNlbnRpbmcgYSBmaW5pdGUgc3RhdGUgbWFjaGluZS5cbiAqIEBhdXRob3IgWGlhb2xvbmcgVGFuZyA8eHhsb25ndGFuZ0BnbWFpbC5jb20+XG4gKiBAbGljZW5zZSBDb3B5cmlnaHQgQG1lXG4gKi9cbmltcG9ydCAqIGFzIGRlcGVuZGVuY2llcyBmcm9tICdAcG9scHdhcmUvZmUtZGVwZW5kZW5jaWVzJztcbmltcG9ydCB7IHJlcGxhY2UgYXMgcmVwbGFjZVN0ciB9IGZyb20gJ0Bwb2xwd2FyZS9mZS11dGlsaXRpZXMnO1xuXG4vLyBBIHNldCBvZiBoZWxwZXIgZnVuY3Rpb25zXG5jb25zdCBfID0gZGVwZW5kZW5jaWVzLnVuZGVyc2NvcmU7XG5jb25zdCBTdGF0ZU1hY2hpbmUgPSBkZXBlbmRlbmNpZXNbJ3N0YXRlbWFjaGluZSddO1xuY29uc3QgaW5kZXhPZiA9IF8uaW5kZXhPZjtcbmNvbnN0IHdpdGhvdXQgPSBfLndpdGhvdXQ7XG5jb25zdCB0cmFuc2l0aW9uS2V5Rm9ybWF0ID0gJ3tmcm9tfTJ7dG99JztcbmNvbnN0IGVycm9yTWVzc2FnZUZvcm1hdCA9ICdUcmFuc2l0aW9uIHtuYW1lfSBmcm9tIHtmcm9tfSB0byB7dG99IGZhaWxzLic7XG5cblxuZnVuY3Rpb24gY2FwdGlhbGl6ZSh2YWx1ZTogc3RyaW5nKTogc3RyaW5nIHtcbiAgICByZXR1cm4gdmFsdWUuY2hhckF0KDApLnRvVXBwZXJDYXNlKCkgKyB2YWx1ZS5zbGljZSgxKTtcbn1cblxuaW50ZXJmYWNlIElVbmRlcmx5SW1wbCB7XG4gICAgc3RhdGU6IHN0cmluZztcbiAgICBpcyhzdGF0ZU5hbWU6IHN0cmluZyk6IGJvb2xlYW47XG4gICAgY2Fubm90KHRyYW5zaXRpb25OYW1lOiBzdHJpbmcpOiBib29sZWFuO1xuICAgIGZpcmUodHJhbnNpdGlvbk5hbWU6IHN0cmluZyk6IGFueTtcbn1cblxuaW50ZXJmYWNlIElMaWZlQ3ljbGVFdmVudCB7XG4gICAgdHJhbnNpdGlvbjogc3RyaW5nO1xuICAgIGZyb206IHN0cmluZztcbiAgICB0bzogc3RyaW5nO1xufVxuXG50eXBlIE1ldGhvZENhbGxiYWNrVHlwZSA9IChJTGlmZUN5Y2xlRXZlbnQpID0+IHZvaWQ7XG50eXBlIEVycm9ySGFuZGxlclR5cGUgPSAobmFtZTogc3RyaW5nLCBmcm9tOiBzdHJpbmcsIHRvOiBzdHJpbmcpID0+IHZvaWQ7XG5cbmludGVyZmFjZSBJU3RhdGVTcGVjaWZpY2F0aW9uIHtcbiAgICBvbkVudGVyQ2FsbGJhY2s/OiBNZXRob2RDYWxsYmFja1R5cGU7XG4gICAgb25MZWF2ZUNhbGxiYWNrPzogTWV0aG9kQ2FsbGJhY2tUeXBlO1xufVxuXG5pbnRlcmZhY2UgSVRyYW5zaXRpb25TcGVjaWZpY2F0aW9uIHtcbiAgICBmcm9tOiBzdHJpbmc7XG4gICAgdG86IHN0cmluZztcbiAgICBvbkJlZm9yZUNhbGxiYWNrPzogTWV0aG9kQ2FsbGJhY2tUeXBlO1xuICAgIG9uQWZ0ZXJDYWxsYmFjaz86IE1ldGhvZENhbGxiYWNrVHlwZTtcbn1cblxuLyoqXG4gKiBCdWlsZHMgYSBoYW5kbGVyIHdpdGggbmVjZXNzYXJ5IGNvbnRleHQgaW5mb3JtYXRpb24uXG4gKiBUaGUgcmVzdWx0aW5nIHJldHVybiB2YWx1ZSBpcyBhIGNsb3N1cmUgaW5kZWVkLlxuICovXG5mdW5jdGlvbiBidWlsZEhhbmRsZXJJbkNsb3N1cmUoY29udGV4dDogeyBba2V5OiBzdHJpbmddOiBBcnJheTxNZXRob2RDYWxsYmFja1R5cGU+IH0sIGtleTogc3RyaW5nKSB7XG4gICAgcmV0dXJuIGZ1bmN0aW9uKCkge1xuICAgICAgICBjb25zdCBvdXJIYW5kbGVycyA9IGNvbnRleHRba2V5XTtcbiAgICAgICAgaWYgKCFvdXJIYW5kbGVycykge1xuICAgICAgICAgICAgcmV0dXJuO1xuICAgICAgICB9XG4gICAgICAgIGZvciAobGV0IGkgPSAwOyBpIDwgb3VySGFuZGxlcnMubGVuZ3RoOyBpKyspIHtcbiAgICAgICAgICAgIGNvbnN0IGZ1bmMgPSBvdXJIYW5kbGVyc1tpXTtcbiAgICAgICAgICAgIGZ1bmMuYXBwbHkobnVsbCwgYXJndW1lbnRzKTtcbiAgICAgICAgfVxuICAgIH07XG59XG5cbi8qKlxuICogRGVmYXVsdCBlcnJvciBoYW5kbGVyIGZvciB0aGUgRlNNLlxuICovXG5mdW5jdGlvbiBkZWZhdWx0RXJyb3JIYW5kbGVyKGV2ZW50TmFtZTogc3RyaW5nLCBmcm9tOiBzdHJpbmcsIHRvOiBzdHJpbmcpOiB2b2lkIHtcbiAgICBjb25zdCBpbmZvID0gcmVwbGFjZVN0cihlcnJvck1lc3NhZ2VGb3JtYXQsIHtcbiAgICAgICAgbmFtZTogZXZlbnROYW1lLFxuICAgICAgICBmcm9tOiBmcm9tLFxuICAgICAgICB0bzogdG9cbiAgICB9KTtcbiAgICBjb25zb2xlLmxvZyhpbmZvKTtcbn1cblxuLyoqXG4gKiBSZXByZXNlbnRzIGEgZmluaXRlIHN0YXRlIG1hY2hpbmUuXG4gKiBUaGUgcmVzdWx0aW5nIEZTTSBpcyBidWlsdCB1cG9uIGEgY29tbW9ubHkgdXNlZCBqYXZhc2NyaXB0XG4gKiBzdGF0ZSBtYWNoaW5lIGxpYnJhcnkuXG4gKiBTdWNoIGEgZGVzaWduIChvZiBhcmNoaXRlY3R1cmUpIGlzIGJhc2VkIG9uIHRoZSBmb2xsb3dpbmcgY29uc2lkZXJhdGlvbnM6XG4gKiAtIEEgdXNlci1mcmllbmRseSBpbnRlcmZhY2UgZm9yIGRlZmluaW5nIHN0YXRlcyBhbmQgdGhlaXIgYmVoYXZpb3JzXG4gKiAtIEEga2luZCBvZiBtb2RlbC1jaGVja2luZyBjYXBhYmlsaXR5IGZvciB2ZXJpZnlpbmcgdGhlIGNvcnJlY3RuZXNzIG9mXG4gKiB0cmFuc2l0aW9uc1xuICogLSBTdXBwb3J0IGZvciBhc3ljaHJvbm91cyBhbmQgc3luY2hyb3VzIHRyYW5zaXRpb25zXG4gKiAtIFN1cHBvcnQgZm9yIGdsb2JhbCBleGNlcHRpb24gaGFuZGxpbmdcbiAqIEBjbGFzcyBGU01cbiAqL1xuZXhwb3J0IGNsYXNzIEZpbml0ZVN0YXRlTWFjaGluZSB7XG5cbiAgICBwcml2YXRlIF9pbXBsOiBJVW5kZXJseUltcGw7XG4gICAgcHJpdmF0ZSBfaW5pdFN0YXRlOiBzdHJpbmc7XG4gICAgcHJpdmF0ZSBfZXJyb3JIYW5kbGVyOiBFcnJvckhhbmRsZXJUeXBlO1xuICAgIHByaXZhdGUgX3N0YXRlQ29uZmlndXJhdGlvbjogeyBba2V5OiBzdHJpbmddOiBJU3RhdGVTcGVjaWZpY2F0aW9uIH07XG4gICAgcHJpdmF0ZSBfdHJhbnNpdGlvbkNvbmZpZ3VyYXRpb246IHsgW2tleTogc3RyaW5nXTogSVRyYW5zaXRpb25TcGVjaWZpY2F0aW9uIH07XG4gICAgcHJpdmF0ZSBfaGFuZGxlcnM6IHsgW2tleTogc3RyaW5nXTogQXJyYXk8TWV0aG9kQ2FsbGJhY2tUeXBlPiB9O1xuXG4gICAgY29uc3RydWN0b3IoKSB7XG4gICAgICAgIHRoaXMuX2ltcGwgPSBudWxsO1xuICAgICAgICB0aGlzLl9pbml0U3RhdGUgPSBudWxsO1xuICAgICAgICB0aGlzLl9lcnJvckhhbmRsZXIgPSBudWxsO1xuICAgICAgICB0aGlzLl9zdGF0ZUNvbmZpZ3VyYXRpb24gPSB7fTtcbiAgICAgICAgdGhpcy5fdHJhbnNpdGlvbkNvbmZpZ3VyYXRpb24gPSB7fTtcbiAgICAgICAgdGhpcy5faGFuZGxlcnMgPSB7fTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBDaGVja3MgaWYgRlNNIGlzIGluIGNvbmZpZ3VyYXRpb24gc3RhZ2UuXG4gICAgICovXG4gICAgcHJpdmF0ZSBlbnN1cmVDb25maWd1cmVTdGFnZSgpIHtcbiAgICAgICAgaWYgKHRoaXMuX2ltcGwpIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignU3RhdGUgbWFjaGluZSBoYXMgc3RhcnRlZC4nKTtcbiAgICAgICAgfVxuICAgIH1cblxuICAgIC8qKlxuICAgICAqIENoZWNrcyBpZiBGU00gaXMgaW4gcnVubmluZyBzdGFnZS5cbiAgICAgKi9cbiAgICBwcml2YXRlIGVuc3VyZVJ1bm5pbmdTdGFnZSgpIHtcbiAgICAgICAgaWYgKCF0aGlzLl9pbXBsKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1N0YXRlIG1hY2hpbmUgaGFzIG5vdCB5ZXQgc3RhcnRlZC4nKTtcbiAgICAgICAgfVxuICAgIH1cblxuICAgIC8qKlxuICAgICAqIERlZmluZXMgdGhlIGJlaGF2aW9yIHdoZW4gdGhlIEZTTSBtb3ZlcyBpbnRvIGEgc3RhdGUgYnkgYSB0cmFuc2l0aW9uLlxuICAgICAqL1xuICAgIGFkZFN0YXRlKG5hbWU6IHN0cmluZyxcbiAgICAgICAgb25FbnRlckNhbGxiYWNrPzogTWV0aG9kQ2FsbGJhY2tUeXBlLFxuICAgICAgICBvbkxlYXZlQ2FsbGJhY2s/OiBNZXRob2RDYWxsYmFja1R5cGUpIHtcbiAgICAgICAgLy8gUHJlLWNvbmRpdGlvbnNcbiAgICAgICAgdGhpcy5lbnN1cmVDb25maWd1cmVTdGFnZSgpO1xuICAgICAgICBjb25zdCBzdGF0ZUNvbmYgPSB0aGlzLl9zdGF0ZUNvbmZpZ3VyYXRpb247XG4gICAgICAgIGlmIChzdGF0ZUNvbmZbbmFtZV0pIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignUmVkZWZpbmVkIHN0YXRlOiAnICsgbmFtZSk7XG4gICAgICAgIH1cbiAgICAgICAgc3RhdGVDb25mW25hbWVdID0ge1xuICAgICAgICAgICAgb25FbnRlckNhbGxiYWNrOiBvbkVudGVyQ2FsbGJhY2ssXG4gICAgICAgICAgICBvbkxlYXZlQ2FsbGJhY2s6IG9uTGVhdmVDYWxsYmFja1xuICAgICAgICB9O1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBEZWZpbmVzIHRoZSBpbml0IHN0YXRlIGZvciB0aGUgRlNNLlxuICAgICAqL1xuICAgIHNldEluaXRTdGF0ZShuYW1lOiBzdHJpbmcpIHtcbiAgICAgICAgLy8gUHJlLWNvbmRpdGlvbnNcbiAgICAgICAgdGhpcy5lbnN1cmVDb25maWd1cmVTdGFnZSgpO1xuXG4gICAgICAgIGlmICh0aGlzLl9pbml0U3RhdGUpIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignUmVkZWZpbmVkIGluaXQgc3RhdGU6ICcgKyB0aGlzLl9pbml0U3RhdGUpO1xuICAgICAgICB9XG4gICAgICAgIHRoaXMuX2luaXRTdGF0ZSA9IG5hbWU7XG4gICAgICAgIHJldHVybiB0aGlzO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIERlZmluZXMgYSBuZXcgc3RyYW5zaXRpb24uXG4gICAgICovXG4gICAgYWRkVHJhbnNpdGlvbihmcm9tOiBzdHJpbmcsXG4gICAgICAgIHRvOiBzdHJpbmcsXG4gICAgICAgIG9uQWZ0ZXJDYWxsYmFjaz86IE1ldGhvZENhbGxiYWNrVHlwZSxcbiAgICAgICAgb25CZWZvcmVDYWxsYmFjaz86IE1ldGhvZENhbGxiYWNrVHlwZSkge1xuICAgICAgICAvLyBQcmUtY29uZGl0aW9uXG4gICAgICAgIHRoaXMuZW5zdXJlQ29uZmlndXJlU3RhZ2UoKTtcblxuICAgICAgICBjb25zdCBzdGF0ZUNvbmYgPSB0aGlzLl9zdGF0ZUNvbmZpZ3VyYXRpb247XG4gICAgICAgIGNvbnN0IHRyYW5zaXRpb25Db25mID0gdGhpcy5fdHJhbnNpdGlvbkNvbmZpZ3VyYXRpb247XG4gICAgICAgIGlmICghc3RhdGVDb25mW2Zyb21dKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1VuZGVmaW5lZCBzb3VyY2Ugc3RhdGU6ICcgKyBmcm9tKTtcbiAgICAgICAgfVxuICAgICAgICBpZiAoIXN0YXRlQ29uZlt0b10pIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignVW5kZWZpbmVkIHRhcmdldCBzdGF0ZTogJyArIHRvKTtcbiAgICAgICAgfVxuICAgICAgICBjb25zdCBrZXkgPSByZXBsYWNlU3RyKHRyYW5zaXRpb25LZXlGb3JtYXQsIHsgZnJvbTogZnJvbSwgdG86IHRvIH0pO1xuICAgICAgICBpZiAodHJhbnNpdGlvbkNvbmZba2V5XSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdSZWRlZmluZWQgdHJhbnNpdGlvbjogJyArIGZyb20gKyAnIC0+ICcgKyB0byk7XG4gICAgICAgIH1cbiAgICAgICAgdHJhbnNpdGlvbkNvbmZba2V5XSA9IHtcbiAgICAgICAgICAgIGZyb206IGZyb20sIHRvOiB0byxcbiAgICAgICAgICAgIG9uQWZ0ZXJDYWxsYmFjazogb25BZnRlckNhbGxiYWNrLFxuICAgICAgICAgICAgb25CZWZvcmVDYWxsYmFjazogb25CZWZvcmVDYWxsYmFja1xuICAgICAgICB9O1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBTdGFydHMgdGhlIEZTTS4gTm90ZSB0aGF0IHRoaXMgbWV0aG9kIG11c3QgYmUgaW52b2tlZCBiZWZvcmVcbiAgICAgKiBhbnkgbWV0aG9kIHdoaWNoIG1heSBjaGFuZ2UgdGhlIHN0YXRlIG9mIHRoZSBGU00uXG4gICAgICovXG4gICAgc3RhcnQoKSB7XG5cbiAgICAgICAgdGhpcy5lbnN1cmVDb25maWd1cmVTdGFnZSgpO1xuICAgICAgICBpZiAoIXRoaXMuX2luaXRTdGF0ZSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdJbml0IHN0YXRlIGhhcyBub3QgYmVlbiBkZWZpbmVkLicpO1xuICAgICAgICB9XG5cbiAgICAgICAgLy8gRGVmaW5pdGlvblxuICAgICAgICBjb25zdCBzdGF0ZUNvbmY6IE9iamVjdCA9IHRoaXMuX3N0YXRlQ29uZmlndXJhdGlvbjtcbiAgICAgICAgY29uc3QgdHJhbnNpdGlvbkNvbmY6IE9iamVjdCA9IHRoaXMuX3RyYW5zaXRpb25Db25maWd1cmF0aW9uO1xuXG4gICAgICAgIGNvbnN0IHRyYW5zaXRpb25zOiBBcnJheTx7IG5hbWU6IHN0cmluZywgZnJvbTogc3RyaW5nLCB0bzogc3RyaW5nIH0+ID0gW107XG4gICAgICAgIGNvbnN0IG1ldGhvZHM6IHsgW2tleTogc3RyaW5nXTogTWV0aG9kQ2FsbGJhY2tUeXBlIH0gPSB7fTtcblxuICAgICAgICBmb3IgKGNvbnN0IGsxIGluIHRyYW5zaXRpb25Db25mKSB7XG4gICAgICAgICAgICBpZiAodHJhbnNpdGlvbkNvbmYuaGFzT3duUHJvcGVydHkoazEpKSB7XG4gICAgICAgICAgICAgICAgY29uc3QgZWxlbTEgPSB0cmFuc2l0aW9uQ29uZltrMV07XG4gICAgICAgICAgICAgICAgdHJhbnNpdGlvbnMucHVzaCh7XG4gICAgICAgICAgICAgICAgICAgIG5hbWU6IGsxLFxuICAgICAgICAgICAgICAgICAgICBmcm9tOiBlbGVtMS5mcm9tLFxuICAgICAgICAgICAgICAgICAgICB0bzogZWxlbTEudG9cbiAgICAgICAgICAgICAgICB9KTtcblxuICAgICAgICAgICAgICAgIGlmIChlbGVtMS5vbkFmdGVyQ2FsbGJhY2spIHtcbiAgICAgICAgICAgICAgICAgICAgbWV0aG9kc1snb25BZnRlcicgKyBjYXB0aWFsaXplKGsxKV0gPSBlbGVtMS5vbkFmdGVyQ2FsbGJhY2s7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgICAgIGlmIChlbGVtMS5vbkJlZm9yZUNhbGxiYWNrKSB7XG4gICAgICAgICAgICAgICAgICAgIG1ldGhvZHNbJ29uQmVmb3JlJyArIGNhcHRpYWxpemUoazEpXSA9IGVsZW0xLm9uQWZ0ZXJDYWxsYmFjaztcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cblxuICAgICAgICBmb3IgKGNvbnN0IGsyIGluIHN0YXRlQ29uZikge1xuXG4gICAgICAgICAgICBpZiAoc3RhdGVDb25mLmhhc093blByb3BlcnR5KGsyKSkge1xuICAgICAgICAgICAgICAgIGNvbnN0IGVsZW0yID0gc3RhdGVDb25mW2syXTtcblxuICAgICAgICAgICAgICAgIGlmIChlbGVtMi5vbkVudGVyQ2FsbGJhY2spIHtcbiAgICAgICAgICAgICAgICAgICAgbWV0aG9kc1snb25FbnRlcicgKyBjYXB0aWFsaXplKGsyKV0gPSBlbGVtMi5vbkVudGVyQ2FsbGJhY2s7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgICAgIGlmIChlbGVtMi5vbkxlYXZlQ2FsbGJhY2spIHtcbiAgICAgICAgICAgICAgICAgICAgbWV0aG9kc1snb25MZWF2ZScgKyBjYXB0aWFsaXplKGsyKV0gPSBlbGVtMi5vbkxlYXZlQ2FsbGJhY2s7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgfVxuICAgICAgICB9XG5cbiAgICAgICAgY29uc3QgaGFuZGxlcnMgPSB0aGlzLl9oYW5kbGVycztcbiAgICAgICAgaGFuZGxlcnMub25FbnRlclN0YXRlID0gW107XG4gICAgICAgIGhhbmRsZXJzLm9uTGVhdmVTdGF0ZSA9IFtdO1xuXG4gICAgICAgIG1ldGhvZHNbJ29uRW50ZXJTdGF0ZSddID0gYnVpbGRIYW5kbGVySW5DbG9zdXJlKHRoaXMuX2hhbmRsZXJzLCAnb25FbnRlclN0YXRlJyk7XG4gICAgICAgIG1ldGhvZHNbJ29uTGVhdmVTdGF0ZSddID0gYnVpbGRIYW5kbGVySW5DbG9zdXJlKHRoaXMuX2hhbmRsZXJzLCAnb25MZWF2ZVN0YXRlJyk7XG5cbiAgICAgICAgdGhpcy5faW1wbCA9IG5ldyBTdGF0ZU1hY2hpbmUoe1xuICAgICAgICAgICAgaW5pdDogdGhpcy5faW5pdFN0YXRlLFxuICAgICAgICAgICAgdHJhbnNpdGlvbnM6IHRyYW5zaXRpb25zLFxuICAgICAgICAgICAgbWV0aG9kczogbWV0aG9kcyxcbiAgICAgICAgICAgIG9uSW52YWxpZFRyYW5zaXRpb246IHRoaXMuX2Vycm9ySGFuZGxlciB8fCBkZWZhdWx0RXJyb3JIYW5kbGVyXG4gICAgICAgIH0pO1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZWdpc3RlcnMgYSBoYW5kbGVyIGZvciBlbnRlcnN0YXRlXG4gICAgICovXG4gICAgb25FbnRlclN0YXRlKGhhbmRsZXI6IE1ldGhvZENhbGxiYWNrVHlwZSkge1xuICAgICAgICBjb25zdCBvdXJIYW5kbGVycyA9IHRoaXMuX2hhbmRsZXJzLm9uRW50ZXJTdGF0ZTtcbiAgICAgICAgaWYgKGluZGV4T2Yob3VySGFuZGxlcnMsIGhhbmRsZXIpID49IDApIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignUmUtcmVnaXN0ZXJpbmcgYSBoYW5kZXIhJyk7XG4gICAgICAgIH1cbiAgICAgICAgb3VySGFuZGxlcnMucHVzaChoYW5kbGVyKTtcbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogUmVnaXN0ZXJzIGEgaGFuZGxlciBmb3IgZXhpdHN0YXRlXG4gICAgICovXG4gICAgb25FeGl0U3RhdGUoaGFuZGxlcjogTWV0aG9kQ2FsbGJhY2tUeXBlKSB7XG4gICAgICAgIGNvbnN0IG91ckhhbmRsZXJzID0gdGhpcy5faGFuZGxlcnMub25MZWF2ZVN0YXRlO1xuICAgICAgICBpZiAoaW5kZXhPZihvdXJIYW5kbGVycywgaGFuZGxlcikgPj0gMCkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdSZWdpc3RlcmluZyBhIGhhbmRlciEnKTtcbiAgICAgICAgfVxuICAgICAgICBvdXJIYW5kbGVycy5wdXNoKGhhbmRsZXIpO1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBVbi1yZWdpc3RlciBhIGhhbmRsZXIgZm9yIGVudGVyc3RhdGVcbiAgICAgKi9cbiAgICBvZmZFbnRlclN0YXRlKGhhbmRsZXI6IE1ldGhvZENhbGxiYWNrVHlwZSkge1xuICAgICAgICBjb25zdCBvdXJIYW5kbGVycyA9IHRoaXMuX2hhbmRsZXJzLm9uRW50ZXJTdGF0ZTtcbiAgICAgICAgdGhpcy5faGFuZGxlcnMub25lbnRlcnN0YXRlID0gd2l0aG91dChvdXJIYW5kbGVycywgaGFuZGxlcik7XG4gICAgICAgIHJldHVybiB0aGlzO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFVuLXJlZ2lzdGVyIGEgaGFuZGxlciBmb3IgZXhpdHN0YXRlXG4gICAgICovXG4gICAgb2ZmRXhpdFN0YXRlKGhhbmRsZXI6IE1ldGhvZENhbGxiYWNrVHlwZSkge1xuICAgICAgICBjb25zdCBvdXJIYW5kbGVycyA9IHRoaXMuX2hhbmRsZXJzLm9uTGVhdmVTdGF0ZTtcbiAgICAgICAgdGhpcy5faGFuZGxlcnMub25leGl0c3RhdGUgPSB3aXRob3V0KG91ckhhbmRsZXJzLCBoYW5kbGVyKTtcbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogUGVyZm9ybXMgYSB0cmFuc2l0aW9uIHRvIHRoZSBnaXZlbiBzdGF0ZS5cbiAgICAgKiBUaGlzIG1ldGhvZCBhbHNvIHZhbGlkYXRlIHRoZSB0cmFuc2l0aW9uLlxuICAgICAqL1xuICAgIGdvKHRvOiBzdHJpbmcpIHtcbiAgICAgICAgdGhpcy5lbnN1cmVSdW5uaW5nU3RhZ2UoKTtcblxuICAgICAgICBjb25zdCBzdGF0ZUNvbmYgPSB0aGlzLl9zdGF0ZUNvbmZpZ3VyYXRpb247XG4gICAgICAgIGlmICghc3RhdGVDb25mW3RvXSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdHbyB0byB1bmRlZmluZWQgc3RhdGU6ICcgKyB0byk7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKHRoaXMuX2ltcGwuaXModG8pKSB7XG4gICAgICAgICAgICAvLyBUT0RPOiBjaGVjayBpZiB0aGUgdW5kZXJseWluZyBpbXBsZW1lbnRhdGlvbiB0YWtlcyBpbnRvIGFjY291bnRcbiAgICAgICAgICAgIC8vIG1vdmluZyBmcm9tIG9uZSBzdGF0ZSB0byBpdHNlbGZcbiAgICAgICAgICAgIHJldHVybiB0aGlzO1xuICAgICAgICB9XG4gICAgICAgIGNvbnN0IGN1cnJlbnRTdGF0ZSA9IHRoaXMuX2ltcGwuc3RhdGU7XG4gICAgICAgIGNvbnN0IHRyYW5zaXRpb25OYW1lID0gcmVwbGFjZVN0cih0cmFuc2l0aW9uS2V5Rm9ybWF0LCB7IGZyb206IGN1cnJlbnRTdGF0ZSwgdG86IHRvIH0pO1xuICAgICAgICAvLyBWYWxpZGF0ZSBpZiB0aGlzIHRyYW5zaXRpb24gaXMgYWxsb3dlZCBvciBub3RcbiAgICAgICAgaWYgKHRoaXMuX2ltcGwuY2Fubm90KHRyYW5zaXRpb25OYW1lKSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdUcmFuc2l0aW9uIGlzIG5vdCBhbGxvd2VkOiAnICsgY3VycmVudFN0YXRlICsgJyAtPiAnICsgdG8pO1xuICAgICAgICB9XG5cbiAgICAgICAgLy8gSW52b2tlIHRoaXMgZnVuY3Rpb25cbiAgICAgICAgY29uc3QgZnVuYyA9IHRoaXMuX2ltcGxbdHJhbnNpdGlvbk5hbWVdO1xuICAgICAgICBmdW5jLmNhbGwodGhpcy5faW1wbCk7XG4gICAgICAgIHJldHVybiBzZWxmO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFByb3ZpZGVzIHRoZSBlcnJvciBoYW5kbGVyIGZvciB0aGUgRlNNLlxuICAgICAqL1xuICAgIGFkZEVycm9ySGFuZGxlcihmbjogRXJyb3JIYW5kbGVyVHlwZSkge1xuICAgICAgICB0aGlzLmVuc3VyZUNvbmZpZ3VyZVN0YWdlKCk7XG5cbiAgICAgICAgdGhpcy5fZXJyb3JIYW5kbGVyID0gZm47XG5cbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogUmV0dXJucyB0aGUgY3VycmVudCBzdGF0ZS5cbiAgICAgKi9cbiAgICBjdXJyZW50KCkge1xuICAgICAgICB0aGlzLmVuc3VyZVJ1bm5pbmdTdGFnZSgpO1xuICAgICAgICByZXR1cm4gdGhpcy5faW1wbC5zdGF0ZTtcbiAgICB9XG59XG4iXX0=
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZmluaXRlLXN0YXRlLW1hY2hpbmUuanMiLCJzb3VyY2VSb290Ijoibmc6Ly9AcG9scHdhcmUvZmUtYmVoYXZpb3IvIiwic291cmNlcyI6WyJsaWIvc3RhdGUvZmluaXRlLXN0YXRlLW1hY2hpbmUudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7OztBQU1BLE9BQU8sS0FBSyxZQUFZLE1BQU0sMkJBQTJCLENBQUM7QUFDMUQsT0FBTyxFQUFFLE9BQU8sSUFBSSxVQUFVLEVBQUUsTUFBTSx3QkFBd0IsQ0FBQztBQUMvRCxPQUFPLEVBQWMsYUFBYSxFQUFFLE9BQU8sRUFBRSxNQUFNLE1BQU0sQ0FBQztBQUMxRCxPQUFPLEVBQUUsb0JBQW9CLEVBQUUsTUFBTSxFQUFFLEdBQUcsRUFBRSxNQUFNLGdCQUFnQixDQUFDO0FBQ25FLE9BQU8sRUFDSCxpQkFBaUIsRUFDakIsZUFBZSxFQU1mLGtCQUFrQixFQUNyQixNQUFNLHNCQUFzQixDQUFDO0FBQzlCLE9BQU8sRUFBRSxTQUFTLEVBQUUsYUFBYSxFQUFFLE1BQU0sa0JBQWtCLENBQUM7QUFDNUQsT0FBTyxFQUFFLFVBQVUsRUFBRSxjQUFjLEVBQUUsTUFBTSxTQUFTLENBQUM7QUFDckQsT0FBTyxFQUFFLGlCQUFpQixFQUFtQixNQUFNLGtCQUFrQixDQUFDO0FBQ3RFLE9BQU8sRUFBRSxhQUFhLEVBQW1CLE1BQU0sa0JBQWtCLENBQUM7QUFDbEUsT0FBTyxFQUFjLGlCQUFpQixFQUFFLE1BQU0sYUFBYSxDQUFDO0FBQzVELE9BQU8sRUFBRSx1QkFBdUIsRUFBc0IsTUFBTSxzQkFBc0IsQ0FBQzs7O0lBRzdFLENBQUMsR0FBRyxZQUFZLENBQUMsVUFBVTs7SUFDM0IsWUFBWSxHQUFHLFlBQVksQ0FBQyxjQUFjLENBQUM7O0lBQzNDLE9BQU8sR0FBRyxDQUFDLENBQUMsT0FBTzs7SUFDbkIsT0FBTyxHQUFHLENBQUMsQ0FBQyxPQUFPOztJQUNuQixtQkFBbUIsR0FBRyxhQUFhOztJQUNuQyxjQUFjLEdBQUcsR0FBRzs7O0lBRXBCLGFBQWEsR0FBRyxHQUFHOztJQUNuQixhQUFhLEdBQUcsU0FBUzs7SUFDekIsa0JBQWtCLEdBQUcsOENBQThDOzs7O0lBR25FLGVBQWUsR0FBRyxDQUFDOztJQUNuQixnQkFBZ0IsR0FBRyxHQUFHOztJQUN0QixpQkFBaUIsR0FBRyxDQUFDLFFBQVEsRUFBRSxPQUFPLEVBQUUsU0FBUyxDQUFDOzs7O0FBR3hELDJCQUtDOzs7SUFKRyw2QkFBYzs7Ozs7SUFDZCxxREFBK0I7Ozs7O0lBQy9CLDhEQUF3Qzs7Ozs7SUFDeEMsNERBQWtDOzs7Ozs7Ozs7QUFRdEMscUNBV0M7OztJQVZHLHFDQUFtQjs7SUFDbkIsK0JBQWE7O0lBQ2IsNkJBQVc7O0lBQ1gsaUNBQWdCOztJQUVoQixnQ0FBZTs7SUFFZixrQ0FBYzs7SUFFZCxrQ0FBbUI7Ozs7Ozs7QUFNdkIseUNBS0M7OztJQUpHLHNDQUFrQjs7SUFDbEIsdUNBQW1COztJQUVuQix3Q0FBcUQ7Ozs7OztBQU16RCxpQ0FNQzs7O0lBSkcsMkJBQWE7O0lBQ2IsMkJBQWE7O0lBQ2IseUJBQVc7O0lBQ1gsNEJBQVk7Ozs7Ozs7QUFNaEIsbUNBU0M7OztJQVJHLG1DQUFtQjs7SUFDbkIsNkJBQWE7O0lBQ2IsMkJBQVc7O0lBQ1gsK0JBQWU7O0lBRWYsZ0NBQWM7O0lBRWQsa0NBQW1COzs7Ozs7OztBQU92QiwrQkFZQzs7O0lBWEcsNEJBQWdCOztJQUVoQiwwQkFBaUM7O0lBQ2pDLDRCQUFrQjs7SUFDbEIsNEJBQXNDOztJQUd0QywyQkFBc0M7O0lBR3RDLCtCQUF1Qzs7Ozs7O0FBNkIzQyxtQ0FZQzs7O0lBVEcsK0JBQWdCOztJQUVoQixnQ0FBaUI7O0lBR2pCLCtCQUFnQjs7SUFHaEIsOEJBQWdCOzs7OztBQUdwQixrQ0FRQzs7O0lBUEcsOENBQXFDOztJQUNyQyw4Q0FBcUM7O0lBQ3JDLHFDQUFnQjs7SUFDaEIsc0NBQWlCOztJQUNqQix1Q0FBd0I7O0lBQ3hCLHFDQUFlOztJQUNmLG9DQUFnQjs7Ozs7QUFHcEIsbUNBRUM7OztJQURHLHlDQUFrQjs7Ozs7O0FBR3RCLDBDQU9DOzs7SUFKRyxvQ0FBZTs7SUFHZiw2Q0FBdUI7Ozs7O0FBRzNCLHlDQUtDOzs7SUFKRyw0Q0FBZTs7SUFDZiwwQ0FBYzs7SUFDZCxtREFBdUI7O0lBQ3ZCLDRDQUFlOzs7Ozs7QUFHbkIsd0NBaUJDOzs7SUFmRyxtQ0FBNEI7O0lBRTVCLG1DQUFlOztJQUVmLG9DQUE4Qjs7SUFHOUIsbUNBQWU7O0lBSWYsMENBQXNCOztJQUd0QixzQ0FBbUI7Ozs7O0FBR3ZCLHVDQVdDOzs7SUFWRyx3Q0FBYTs7SUFDYixzQ0FBVzs7SUFDWCxvREFBc0M7O0lBQ3RDLG1EQUFxQzs7SUFDckMseUNBQWtCOztJQUNsQix5Q0FBZTs7SUFDZiwwQ0FBb0I7O0lBQ3BCLHlDQUFlOztJQUNmLGdEQUFzQjs7SUFDdEIsNENBQW1COzs7OztBQUd2QixtQ0FHQzs7O0lBRkcsb0NBQWE7O0lBQ2IscUNBQXFCOzs7Ozs7Ozs7QUFPekIsU0FBUyxxQkFBcUIsQ0FBQyxPQUEyQyxFQUFFLEdBQVc7SUFDbkYsT0FBTyxVQUFTLElBQVM7O1lBQ2YsV0FBVyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUM7UUFDaEMsSUFBSSxDQUFDLFdBQVcsRUFBRTtZQUNkLE9BQU87U0FDVjtRQUNELEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxXQUFXLENBQUMsTUFBTSxFQUFFLENBQUMsRUFBRSxFQUFFOztnQkFDbkMsSUFBSSxHQUFHLFdBQVcsQ0FBQyxDQUFDLENBQUM7WUFDM0IsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUUsU0FBUyxDQUFDLENBQUM7U0FDL0I7SUFDTCxDQUFDLENBQUM7QUFDTixDQUFDOzs7Ozs7Ozs7O0FBUUQsU0FBUyxtQkFBbUIsQ0FBQyxRQUF1QixFQUFFLE1BQXFCOztRQUNuRSxDQUFDLEdBQUcsQ0FBQztJQUNULE9BQU8sQ0FBQyxHQUFHLFFBQVEsQ0FBQyxNQUFNLElBQUksQ0FBQyxHQUFHLE1BQU0sQ0FBQyxNQUFNLElBQUksUUFBUSxDQUFDLENBQUMsQ0FBQyxLQUFLLE1BQU0sQ0FBQyxDQUFDLENBQUMsRUFBRTtRQUMxRSxDQUFDLEVBQUUsQ0FBQztLQUNQO0lBQ0QsT0FBTztRQUNILElBQUksRUFBRSxRQUFRLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sRUFBRTtRQUNqQyxLQUFLLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7S0FDekIsQ0FBQztBQUNOLENBQUM7Ozs7Ozs7Ozs7QUFPRCxTQUFTLGdCQUFnQixDQUFDLFNBQW9DLEVBQUUsU0FBMEIsRUFBRSxLQUFpQjtJQUFqQixzQkFBQSxFQUFBLFNBQWlCOzRCQUNoRyxDQUFDOztZQUNBLE1BQU0sR0FBUSxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDO1FBQzNDLElBQUksTUFBTSxLQUFLLEtBQUssRUFBRTs0QkFDWCxLQUFLO1NBQ2Y7UUFDRCxJQUFJLE1BQU0sSUFBSSxPQUFPLE1BQU0sQ0FBQyxJQUFJLEtBQUssVUFBVSxFQUFFOzRCQUN0QyxNQUFNLENBQUMsSUFBSSxDQUFDLFVBQUMsS0FBSztvQkFDckIsT0FBTyxLQUFLLEtBQUssS0FBSyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLGdCQUFnQixDQUFDLFNBQVMsRUFBRSxTQUFTLEVBQUUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO2dCQUNuRixDQUFDLENBQUM7U0FDTDs7SUFUTCxLQUFLLElBQUksQ0FBQyxHQUFHLEtBQUssRUFBRSxDQUFDLEdBQUcsU0FBUyxDQUFDLE1BQU0sRUFBRSxDQUFDLEVBQUU7OEJBQXBDLENBQUM7OztLQVVUO0FBQ0wsQ0FBQzs7Ozs7Ozs7Ozs7QUFPRCxTQUFTLGdCQUFnQixDQUFDLFVBQWlDLEVBQUUsU0FBMEIsRUFDbkYsSUFBNEIsRUFBRSxLQUFpQjtJQUFqQixzQkFBQSxFQUFBLFNBQWlCO0lBQy9DLElBQUksS0FBSyxJQUFJLFVBQVUsQ0FBQyxNQUFNLEVBQUU7UUFDNUIsT0FBTyxJQUFJLENBQUMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxDQUFDO0tBQ2xDOztRQUNHLE1BQU0sR0FBRyxLQUFLO0lBQ2xCLE9BQU8sVUFBVSxDQUFDLEtBQUssQ0FBQyxDQUFDLFNBQVMsRUFBRSxVQUFTLE9BQWE7UUFDdEQsSUFBSSxNQUFNLEVBQUU7WUFDUixNQUFNLElBQUksS0FBSyxDQUFDLCtCQUErQixHQUFHLFNBQVMsQ0FBQyxVQUFVLENBQUMsQ0FBQztTQUMzRTtRQUNELE1BQU0sR0FBRyxJQUFJLENBQUM7UUFDZCxJQUFJLFNBQVMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO1lBQ3RCLFNBQVMsQ0FBQyxPQUFPLEdBQUcsT0FBTyxDQUFDO1NBQy9CO1FBQ0QsT0FBTyxnQkFBZ0IsQ0FBQyxVQUFVLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFDcEUsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDOzs7Ozs7Ozs7QUFLRCxTQUFTLG1CQUFtQixDQUFDLFNBQWlCLEVBQUUsSUFBWSxFQUFFLEVBQVUsRUFBRSxLQUFXOztRQUMzRSxJQUFJLEdBQUcsVUFBVSxDQUFDLGtCQUFrQixFQUFFO1FBQ3hDLElBQUksRUFBRSxTQUFTO1FBQ2YsSUFBSSxFQUFFLElBQUk7UUFDVixFQUFFLEVBQUUsRUFBRTtLQUNULENBQUM7SUFDRixPQUFPLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDO0lBQ2xCLElBQUksS0FBSyxFQUFFO1FBQ1AsT0FBTyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsQ0FBQztLQUN0QjtBQUNMLENBQUM7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7OztBQXNCRDs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7O0lBZ0RJO1FBQ0ksSUFBSSxDQUFDLE1BQU0sR0FBRyxJQUFJLENBQUM7UUFDbkIsSUFBSSxDQUFDLFVBQVUsR0FBRyxJQUFJLENBQUM7UUFDdkIsSUFBSSxDQUFDLFFBQVEsR0FBRyxFQUFFLENBQUM7UUFDbkIsSUFBSSxDQUFDLFVBQVUsR0FBRyxLQUFLLENBQUM7UUFDeEIsSUFBSSxDQUFDLGdCQUFnQixHQUFHLFFBQVEsQ0FBQztRQUNqQyxJQUFJLENBQUMsZUFBZSxHQUFHLEVBQUUsQ0FBQztRQUMxQixJQUFJLENBQUMsYUFBYSxHQUFHLElBQUksQ0FBQztRQUMxQixJQUFJLENBQUMsb0JBQW9CLEdBQUcsRUFBRSxDQUFDO1FBQy9CLElBQUksQ0FBQyxxQkFBcUIsR0FBRyxFQUFFLENBQUM7UUFDaEMsSUFBSSxDQUFDLFdBQVcsR0FBRyxFQUFFLENBQUM7UUFDdEIsSUFBSSxDQUFDLG1CQUFtQixHQUFHLEVBQUUsQ0FBQztRQUM5QixJQUFJLENBQUMsd0JBQXdCLEdBQUcsRUFBRSxDQUFDO1FBQ25DLElBQUksQ0FBQyxxQkFBcUIsR0FBRyxFQUFFLENBQUM7UUFDaEMsSUFBSSxDQUFDLG1CQUFtQixHQUFHLEVBQUUsQ0FBQztRQUM5QixtREFBbUQ7UUFDbkQsSUFBSSxDQUFDLFNBQVMsR0FBRztZQUNiLFlBQVksRUFBRSxFQUFFO1lBQ2hCLFlBQVksRUFBRSxFQUFFO1lBQ2hCLGVBQWUsRUFBRSxFQUFFO1NBQ3RCLENBQUM7UUFDRixJQUFJLENBQUMsV0FBVyxHQUFHLEVBQUUsQ0FBQztRQUN0QixJQUFJLENBQUMsUUFBUSxHQUFHLEVBQUUsQ0FBQztRQUNuQixJQUFJLENBQUMsYUFBYSxHQUFHLGdCQUFnQixDQUFDO1FBQ3RDLElBQUksQ0FBQyxPQUFPLEdBQUcsRUFBRSxDQUFDO1FBQ2xCLElBQUksQ0FBQyxRQUFRLEdBQUcsRUFBRSxDQUFDO1FBQ25CLElBQUksQ0FBQyxjQUFjLEdBQUcsRUFBRSxDQUFDO1FBQ3pCLElBQUksQ0FBQyxnQkFBZ0IsR0FBRyxJQUFJLENBQUM7UUFDN0IsSUFBSSxDQUFDLFVBQVUsR0FBRyxpQkFBaUIsQ0FBQztRQUNwQyxJQUFJLENBQUMsT0FBTyxHQUFHLEVBQUUsQ0FBQztRQUNsQixJQUFJLENBQUMsVUFBVSxHQUFHLHVCQUF1QixDQUFDO1FBQzFDLElBQUksQ0FBQyxTQUFTLEdBQUcsS0FBSyxDQUFDO1FBQ3ZCLElBQUksQ0FBQyxxQkFBcUIsR0FBRyxJQUFJLGFBQWEsQ0FBNEIsQ0FBQyxDQUFDLENBQUM7UUFDN0UsSUFBSSxDQUFDLGtCQUFrQixHQUFHLElBQUksT0FBTyxFQUFtQixDQUFDO1FBQ3pELElBQUksQ0FBQyxhQUFhLEdBQUcsSUFBSSxPQUFPLEVBQWUsQ0FBQztRQUNoRCxJQUFJLENBQUMsZUFBZSxHQUFHLElBQUksYUFBYSxDQUFNLENBQUMsQ0FBQyxDQUFDO1FBQ2pELElBQUksQ0FBQyxjQUFjLEdBQUcsbUJBQXVDLElBQUksQ0FBQyxxQkFBcUIsQ0FBQyxZQUFZLEVBQUUsRUFBQSxDQUFDO1FBQ3ZHLElBQUksQ0FBQyxNQUFNLEdBQUcsSUFBSSxDQUFDLFVBQVUsRUFBRSxDQUFDO1FBQ2hDLElBQUksQ0FBQyxZQUFZLEdBQUcsbUJBQXVELElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxZQUFZLEVBQUUsRUFBQSxDQUFDO1FBQ2xILElBQUksQ0FBQyxPQUFPLEdBQUcsSUFBSSxDQUFDLGFBQWEsQ0FBQyxZQUFZLEVBQUUsQ0FBQztRQUNqRCxJQUFJLENBQUMsUUFBUSxHQUFHLG1CQUFzQixJQUFJLENBQUMsZUFBZSxDQUFDLFlBQVksRUFBRSxFQUFBLENBQUM7SUFDOUUsQ0FBQztJQUVEOzs7Ozs7OztPQVFHOzs7Ozs7Ozs7Ozs7OztJQUNJLGlDQUFjOzs7Ozs7Ozs7Ozs7O0lBQXJCLFVBQ3NDLFVBQThCLEVBQ2hFLGVBQXdDOztZQUNsQyxNQUFNLEdBQUcsa0JBQWtCLENBQUMsVUFBVSxDQUFDO1FBQzdDLElBQUksTUFBTSxDQUFDLE1BQU0sRUFBRTtZQUNmLE1BQU0sSUFBSSxlQUFlLENBQUMsTUFBTSxDQUFDLENBQUM7U0FDckM7UUFFRCxlQUFlLEdBQUcsZUFBZSxJQUFJLEVBQUUsQ0FBQzs7WUFDbEMsTUFBTSxHQUFHLFVBQUMsSUFBWSxFQUFFLElBQVk7WUFDdEMsSUFBSSxDQUFDLElBQUksRUFBRTtnQkFDUCxPQUFPLFNBQVMsQ0FBQzthQUNwQjtZQUNELElBQUksQ0FBQyxlQUFlLENBQUMsY0FBYyxDQUFDLElBQUksQ0FBQyxJQUFJLE9BQU8sZUFBZSxDQUFDLElBQUksQ0FBQyxLQUFLLFVBQVUsRUFBRTtnQkFDdEYsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLDRCQUE0QixHQUFHLElBQUksRUFBRSxDQUFDLENBQUM7Z0JBQzFFLE9BQU8sU0FBUyxDQUFDO2FBQ3BCO1lBQ0QsT0FBTyxlQUFlLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDakMsQ0FBQzs7O1lBRUssT0FBTyxHQUFHLFVBQUMsSUFBWSxFQUFFLEVBQWM7WUFDekMsSUFBSTtnQkFDQSxFQUFFLEVBQUUsQ0FBQzthQUNSO1lBQUMsT0FBTyxDQUFDLEVBQUU7Z0JBQ1IsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLENBQUMsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO2FBQ25EO1FBQ0wsQ0FBQzs7WUFFSyxHQUFHLEdBQTJDLElBQUksa0JBQWtCLEVBQUU7UUFDNUUsSUFBSSxVQUFVLENBQUMsT0FBTyxLQUFLLFNBQVMsRUFBRTtZQUNsQyxHQUFHLENBQUMsVUFBVSxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsQ0FBQztTQUN0QztRQUNELEdBQUcsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxTQUFTLENBQUMsQ0FBQztRQUN6QyxJQUFJLFVBQVUsQ0FBQyxlQUFlLEVBQUU7WUFDNUIsT0FBTyxDQUFDLGtCQUFrQixFQUFFLGNBQU0sT0FBQSxHQUFHLENBQUMsa0JBQWtCLENBQUMsbUJBQXFCLFVBQVUsQ0FBQyxlQUFlLEVBQUEsQ0FBQyxFQUF2RSxDQUF1RSxDQUFDLENBQUM7U0FDOUc7UUFDRCxDQUFDLFVBQVUsQ0FBQyxPQUFPLElBQUksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLFVBQUMsQ0FBQyxFQUFFLENBQUM7WUFDcEMsT0FBTyxDQUFDLFdBQVcsR0FBRyxDQUFDLEVBQUUsY0FBTSxPQUFBLEdBQUcsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLEVBQWhDLENBQWdDLENBQUMsQ0FBQztRQUNyRSxDQUFDLENBQUMsQ0FBQztRQUNILFVBQVUsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLFVBQUMsRUFBb0IsRUFBRSxDQUFDOztnQkFDeEMsSUFBSSxHQUFHLFVBQVUsR0FBRyxDQUFDOztnQkFDckIsT0FBTyxHQUFHLE1BQU0sQ0FBQyxFQUFFLENBQUMsT0FBTyxFQUFFLElBQUksR0FBRyxVQUFVLENBQUM7O2dCQUMvQyxPQUFPLEdBQUcsTUFBTSxDQUFDLEVBQUUsQ0FBQyxPQUFPLEVBQUUsSUFBSSxHQUFHLFVBQVUsQ0FBQztZQUNyRCxPQUFPLENBQUMsSUFBSSxFQUFFLGNBQU0sT0FBQSxHQUFHLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxJQUFJLEVBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRTtnQkFDeEQsTUFBTSxFQUFFLEVBQUUsQ0FBQyxNQUFNO2dCQUNqQixPQUFPLEVBQUUsRUFBRSxDQUFDLE9BQU87Z0JBQ25CLE1BQU0sRUFBRSxFQUFFLENBQUMsTUFBTTtnQkFDakIsS0FBSyxFQUFFLEVBQUUsQ0FBQyxLQUFLO2FBQ2xCLENBQUMsRUFMa0IsQ0FLbEIsQ0FBQyxDQUFDO1FBQ1IsQ0FBQyxDQUFDLENBQUM7UUFDSCxDQUFDLFVBQVUsQ0FBQyxhQUFhLElBQUksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLFVBQUMsQ0FBMEIsRUFBRSxDQUFDO1lBQ25FLE9BQU8sQ0FBQyxpQkFBaUIsR0FBRyxDQUFDLEVBQUUsY0FBTSxPQUFBLEdBQUcsQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsTUFBTSxFQUFFO2dCQUN2RSxJQUFJLEVBQUUsQ0FBQyxDQUFDLElBQUk7Z0JBQ1osYUFBYSxFQUFFLENBQUMsQ0FBQyxhQUFhO2FBQ2pDLENBQUMsRUFIbUMsQ0FHbkMsQ0FBQyxDQUFDO1FBQ1IsQ0FBQyxDQUFDLENBQUM7UUFDSCxDQUFDLFVBQVUsQ0FBQyxXQUFXLElBQUksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLFVBQUMsRUFBeUIsRUFBRSxDQUFDOztnQkFDMUQsSUFBSSxHQUFHLGVBQWUsR0FBRyxDQUFDOztnQkFDMUIsT0FBTyxHQUFHLE1BQU0sQ0FBQyxFQUFFLENBQUMsT0FBTyxFQUFFLElBQUksR0FBRyxVQUFVLENBQUM7O2dCQUMvQyxRQUFRLEdBQUcsTUFBTSxDQUFDLEVBQUUsQ0FBQyxRQUFRLEVBQUUsSUFBSSxHQUFHLFdBQVcsQ0FBQzs7Z0JBQ2xELEtBQUssR0FBRyxNQUFNLENBQUMsRUFBRSxDQUFDLEtBQUssRUFBRSxJQUFJLEdBQUcsUUFBUSxDQUFDOztnQkFDekMsTUFBTSxHQUFHLE9BQU8sRUFBRSxDQUFDLE1BQU0sS0FBSyxRQUFRLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsTUFBTSxFQUFFLElBQUksR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLE1BQU07WUFDOUYsT0FBTyxDQUFDLElBQUksRUFBRSxjQUFNLE9BQUEsR0FBRyxDQUFDLGFBQWEsQ0FBQyxFQUFFLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQyxFQUFFLEVBQUUsT0FBTyxFQUFFLFFBQVEsRUFBRTtnQkFDckUsS0FBSyxFQUFFLEtBQUs7Z0JBQ1osS0FBSyxFQUFFLEVBQUUsQ0FBQyxLQUFLO2dCQUNmLE1BQU0sRUFBRSxNQUFNO2dCQUNkLEtBQUssRUFBRSxFQUFFLENBQUMsS0FBSztnQkFDZixZQUFZLEVBQUUsRUFBRSxDQUFDLFlBQVk7Z0JBQzdCLFFBQVEsRUFBRSxFQUFFLENBQUMsUUFBUTthQUN4QixDQUFDLEVBUGtCLENBT2xCLENBQUMsQ0FBQztRQUNSLENBQUMsQ0FBQyxDQUFDOzs7WUFHRyxTQUFTLEdBQUcsR0FBRyxDQUFDLG1CQUFtQjtRQUN6QyxJQUFJLFVBQVUsQ0FBQyxPQUFPLEVBQUU7WUFDcEIsSUFBSSxTQUFTLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxFQUFFO2dCQUMvQixHQUFHLENBQUMsWUFBWSxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsQ0FBQzthQUN4QztpQkFBTTtnQkFDSCxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxPQUFPLEVBQUUsbUJBQW1CLEdBQUcsVUFBVSxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7YUFDeEY7U0FDSjtRQUNELENBQUMsVUFBVSxDQUFDLE9BQU8sSUFBSSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsVUFBQyxDQUFDLEVBQUUsQ0FBQztZQUNwQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxTQUFTLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsSUFBSSxFQUFFO2dCQUNqRSxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLFdBQVcsR0FBRyxDQUFDLEdBQUcsVUFBVSxFQUFFLE9BQU8sRUFBRSw2QkFBNkIsR0FBRyxDQUFDLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQzthQUMzRztRQUNMLENBQUMsQ0FBQyxDQUFDO1FBQ0gsVUFBVSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsVUFBQyxFQUFvQixFQUFFLENBQUM7O2dCQUN4QyxJQUFJLEdBQUcsU0FBUyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUM7WUFDL0IsSUFBSSxJQUFJLElBQUksRUFBRSxDQUFDLE9BQU8sSUFBSSxPQUFPLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxFQUFFLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxFQUFFO2dCQUM5RCxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLFVBQVUsR0FBRyxDQUFDLEdBQUcsVUFBVSxFQUFFLE9BQU8sRUFBRSxpQ0FBaUMsR0FBRyxFQUFFLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQzthQUMvRztRQUNMLENBQUMsQ0FBQyxDQUFDO1FBQ0gsQ0FBQyxVQUFVLENBQUMsYUFBYSxJQUFJLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxVQUFDLENBQTBCLEVBQUUsQ0FBQztZQUNuRSxJQUFJLFNBQVMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLFFBQVEsQ0FBQyxNQUFNLEVBQUU7Z0JBQzdELE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsaUJBQWlCLEdBQUcsQ0FBQyxHQUFHLFNBQVMsRUFBRSxPQUFPLEVBQUUsb0NBQW9DLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUM7YUFDcEg7O2dCQUNLLE1BQU0sR0FBRyxDQUFDLENBQUMsYUFBYTtZQUM5QixJQUFJLE1BQU0sSUFBSSxDQUFDLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxJQUFJLE1BQU0sS0FBSyxDQUFDLENBQUMsTUFBTSxJQUFJLE9BQU8sQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRTtnQkFDcEcsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxpQkFBaUIsR0FBRyxDQUFDLEdBQUcsZ0JBQWdCLEVBQUUsT0FBTyxFQUFFLDRCQUE0QixHQUFHLE1BQU0sRUFBRSxDQUFDLENBQUM7YUFDbkg7UUFDTCxDQUFDLENBQUMsQ0FBQztRQUVILElBQUksTUFBTSxDQUFDLE1BQU0sRUFBRTtZQUNmLE1BQU0sSUFBSSxlQUFlLENBQUMsTUFBTSxDQUFDLENBQUM7U0FDckM7UUFDRCxHQUFHLENBQUMsZ0JBQWdCLEdBQUcsZUFBZSxDQUFDO1FBQ3ZDLE9BQU8sR0FBRyxDQUFDO0lBQ2YsQ0FBQztJQUVEOzs7Ozs7T0FNRzs7Ozs7Ozs7Ozs7O0lBQ0ksNEJBQVM7Ozs7Ozs7Ozs7O0lBQWhCLFVBQ0ksR0FBVyxFQUFFLGVBQXdDO1FBQ3JELE9BQU8sa0JBQWtCLENBQUMsY0FBYyxDQUFrQyxVQUFVLENBQUMsR0FBRyxDQUFDLEVBQUUsZUFBZSxDQUFDLENBQUM7SUFDaEgsQ0FBQztJQUVEOztPQUVHOzs7Ozs7SUFDSyxpREFBb0I7Ozs7O0lBQTVCO1FBQ0ksSUFBSSxJQUFJLENBQUMsU0FBUyxFQUFFO1lBQ2hCLE1BQU0sSUFBSSxLQUFLLENBQUMsa0NBQWtDLENBQUMsQ0FBQztTQUN2RDtRQUNELElBQUksSUFBSSxDQUFDLE1BQU0sRUFBRTtZQUNiLE1BQU0sSUFBSSxLQUFLLENBQUMsNEJBQTRCLENBQUMsQ0FBQztTQUNqRDtJQUNMLENBQUM7SUFFRDs7T0FFRzs7Ozs7O0lBQ0ssK0NBQWtCOzs7OztJQUExQjtRQUNJLElBQUksSUFBSSxDQUFDLFNBQVMsRUFBRTtZQUNoQixNQUFNLElBQUksS0FBSyxDQUFDLGtDQUFrQyxDQUFDLENBQUM7U0FDdkQ7UUFDRCxJQUFJLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRTtZQUNkLE1BQU0sSUFBSSxLQUFLLENBQUMsb0NBQW9DLENBQUMsQ0FBQztTQUN6RDtJQUNMLENBQUM7SUFFRDs7O09BR0c7Ozs7Ozs7O0lBQ0ssbUNBQU07Ozs7Ozs7SUFBZCxVQUFlLElBQVk7O1lBQ2pCLFNBQVMsR0FBRyxJQUFJLENBQUMsbUJBQW1COztZQUNwQyxJQUFJLEdBQWtCLEVBQUU7UUFDOUIsS0FBSyxJQUFJLENBQUMsR0FBRyxJQUFJLEVBQUUsQ0FBQyxFQUFFLENBQUMsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxFQUFFO1lBQzNDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUM7U0FDbkI7UUFDRCxPQUFPLElBQUksQ0FBQztJQUNoQixDQUFDO0lBRUQ7OztPQUdHOzs7Ozs7OztJQUNLLCtDQUFrQjs7Ozs7OztJQUExQixVQUEyQixJQUFZOztZQUM3QixTQUFTLEdBQUcsSUFBSSxDQUFDLG1CQUFtQjs7WUFDdEMsSUFBSSxHQUFHLFNBQVMsQ0FBQyxJQUFJLENBQUM7UUFDMUIsT0FBTyxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7WUFDN0IsSUFBSSxHQUFHLElBQUksQ0FBQyxPQUFPLElBQUksSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN4QyxJQUFJLEdBQUcsU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDO1NBQzFCO1FBQ0QsT0FBTyxJQUFJLENBQUM7SUFDaEIsQ0FBQztJQUVEOzs7T0FHRzs7Ozs7Ozs7SUFDSywyQ0FBYzs7Ozs7OztJQUF0QixVQUF1QixJQUFZOztZQUN6QixJQUFJLEdBQUcsSUFBSSxDQUFDLG1CQUFtQixDQUFDLElBQUksQ0FBQztRQUMzQyxJQUFJLElBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtZQUM1QixPQUFPLENBQUMsSUFBSSxDQUFDLENBQUM7U0FDakI7O1lBQ0csTUFBTSxHQUFrQixFQUFFO1FBQzlCLEtBQW9CLFVBQWEsRUFBYixLQUFBLElBQUksQ0FBQyxRQUFRLEVBQWIsY0FBYSxFQUFiLElBQWEsRUFBRTtZQUE5QixJQUFNLEtBQUssU0FBQTtZQUNaLE1BQU0sR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztTQUN0RDtRQUNELE9BQU8sTUFBTSxDQUFDO0lBQ2xCLENBQUM7SUFFRDs7Ozs7O09BTUc7Ozs7Ozs7Ozs7OztJQUNLLG9EQUF1Qjs7Ozs7Ozs7Ozs7SUFBL0IsVUFBZ0MsU0FBb0MsRUFBRSxTQUEwQjs7WUFDdEYsTUFBTSxHQUFHLGdCQUFnQixDQUFDLFNBQVMsRUFBRSxTQUFTLENBQUM7UUFDckQsSUFBSSxDQUFDLE1BQU0sSUFBSSxPQUFPLE1BQU0sQ0FBQyxJQUFJLEtBQUssVUFBVSxFQUFFO1lBQzlDLE9BQU8sTUFBTSxDQUFDO1NBQ2pCO1FBQ0QsSUFBSSxDQUFDLElBQUksQ0FBQyxVQUFVLEVBQUU7WUFDbEIsTUFBTSxJQUFJLEtBQUssQ0FBQyx3Q0FBd0MsR0FBRyxTQUFTLENBQUMsVUFBVSxDQUFDLENBQUM7U0FDcEY7UUFDRCxPQUFPLE1BQU0sQ0FBQyxJQUFJLENBQUMsVUFBQyxLQUFLO1lBQ3JCLElBQUksS0FBSyxLQUFLLEtBQUssRUFBRTtnQkFDakIsTUFBTSxJQUFJLEtBQUssQ0FBQyx3QkFBd0IsR0FBRyxTQUFTLENBQUMsVUFBVSxDQUFDLENBQUM7YUFDcEU7WUFDRCxPQUFPLEtBQUssQ0FBQztRQUNqQixDQUFDLENBQUMsQ0FBQztJQUNQLENBQUM7SUFFRDs7O09BR0c7Ozs7Ozs7OztJQUNLLDBDQUFhOzs7Ozs7OztJQUFyQixVQUFzQixNQUFrQixFQUFFLFNBQTBCO1FBQXBFLGlCQW1CQzs7WUFsQlMsUUFBUSxHQUFHLElBQUksQ0FBQyxRQUFROztZQUN4QixPQUFPLEdBQUcsT0FBTyxNQUFNLEtBQUssVUFBVSxDQUFDLENBQUM7WUFDMUMsQ0FBQyxtQkFBb0IsTUFBTSxFQUFBLENBQUMsQ0FBQyxRQUFRLEVBQUUsU0FBUyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7WUFDM0QsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxNQUFNLEVBQUUsVUFBQyxLQUFLO2dCQUN0QixPQUFPLE9BQU8sS0FBSyxLQUFLLFVBQVUsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLFFBQVEsRUFBRSxTQUFTLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQztZQUNwRixDQUFDLENBQUM7UUFDTixJQUFJLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQyxNQUFNLENBQUMsRUFBRSxFQUFFLFFBQVEsRUFBRSxPQUFPLENBQUMsQ0FBQztRQUNoRCxTQUFTLENBQUMsT0FBTyxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUM7O1lBRTVCLE1BQU0sR0FBd0I7WUFDaEMsT0FBTyxFQUFFLElBQUksQ0FBQyxRQUFRO1lBQ3RCLFFBQVEsRUFBRSxRQUFRO1lBQ2xCLFNBQVMsRUFBRSxTQUFTO1NBQ3ZCO1FBQ0QsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLGVBQWUsRUFBRTtZQUN6QyxxQkFBcUIsQ0FBQyxLQUFJLENBQUMsU0FBUyxFQUFFLGlCQUFpQixDQUFDLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDckUsQ0FBQyxDQUFDLENBQUM7UUFDSCxJQUFJLENBQUMsYUFBYSxFQUFFLENBQUM7SUFDekIsQ0FBQztJQUVEOztPQUVHOzs7Ozs7SUFDSywwQ0FBYTs7Ozs7SUFBckI7UUFBQSxpQkFHQzs7WUFGUyxPQUFPLEdBQUcsSUFBSSxDQUFDLFFBQVE7UUFDN0IsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLFNBQVMsRUFBRSxjQUFNLE9BQUEsS0FBSSxDQUFDLGVBQWUsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQWxDLENBQWtDLENBQUMsQ0FBQztJQUMzRixDQUFDO0lBRUQ7O09BRUc7Ozs7Ozs7Ozs7SUFDSyx3Q0FBVzs7Ozs7Ozs7O0lBQW5CLFVBQW9CLElBQVksRUFBRSxJQUFZLEVBQUUsRUFBVSxFQUFFLEtBQVc7UUFBdkUsaUJBTUM7O1lBTFMsWUFBWSxHQUFHLElBQUksQ0FBQyxhQUFhLElBQUksbUJBQW1CO1FBQzlELFlBQVksQ0FBQyxJQUFJLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxLQUFLLENBQUMsQ0FBQztRQUNwQyxJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsU0FBUyxFQUFFO1lBQ3ZDLEtBQUksQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUM7UUFDOUUsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDO0lBRUQ7OztPQUdHOzs7Ozs7Ozs7SUFDSyxvQ0FBTzs7Ozs7Ozs7SUFBZixVQUFnQixTQUFxQixFQUFFLFFBQW9CO1FBQ3ZELElBQUksU0FBUyxJQUFJLFNBQVMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO1lBQ25DLElBQUksQ0FBQyxVQUFVLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDO1NBQ3BDO2FBQU07WUFDSCxRQUFRLEVBQUUsQ0FBQztTQUNkO0lBQ0wsQ0FBQztJQUVEOzs7T0FHRzs7Ozs7Ozs7SUFDSyx5Q0FBWTs7Ozs7OztJQUFwQixVQUFxQixJQUFZO1FBQzdCLE9BQU8sSUFBSSxDQUFDLHdCQUF3QixDQUFDLElBQUksQ0FBQyxJQUFJLElBQUksQ0FBQyxxQkFBcUIsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUNuRixDQUFDO0lBRUQ7OztPQUdHOzs7Ozs7OztJQUNLLG9DQUFPOzs7Ozs7O0lBQWYsVUFBZ0IsU0FBMkQ7O1lBQ2pFLElBQUksR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDLFNBQVMsQ0FBQyxVQUFVLENBQUM7O1lBQzlDLFFBQVEsR0FBRyxJQUFJLENBQUMsbUJBQW1CLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRTs7WUFDdEYsTUFBTSxHQUFHLElBQUksQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQztRQUN4QyxJQUFJLElBQUksSUFBSSxJQUFJLENBQUMsSUFBSSxLQUFLLElBQUksQ0FBQyxFQUFFLEVBQUU7WUFDL0IsSUFBSSxJQUFJLENBQUMsUUFBUSxFQUFFO2dCQUNmLE9BQU8sRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFLEtBQUssRUFBRSxFQUFFLEVBQUUsQ0FBQzthQUNsQzs7Z0JBQ0ssQ0FBQyxHQUFHLE9BQU8sQ0FBQyxRQUFRLEVBQUUsSUFBSSxDQUFDLElBQUksQ0FBQztZQUN0QyxPQUFPLEVBQUUsSUFBSSxFQUFFLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxFQUFFLEVBQUUsS0FBSyxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztTQUN4RTtRQUNELE9BQU8sbUJBQW1CLENBQUMsUUFBUSxFQUFFLE1BQU0sQ0FBQyxDQUFDO0lBQ2pELENBQUM7SUFFRDs7T0FFRzs7Ozs7OztJQUNLLG1DQUFNOzs7Ozs7SUFBZCxVQUFlLE1BQWM7UUFDekIsTUFBTSxHQUFHLE1BQU0sSUFBSSxhQUFhLENBQUM7O1lBQzNCLElBQUksR0FBRyxJQUFJLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQztRQUNoQyxJQUFJLENBQUMsSUFBSSxFQUFFO1lBQ1AsTUFBTSxJQUFJLEtBQUssQ0FBQyxvQkFBb0IsR0FBRyxNQUFNLENBQUMsQ0FBQztTQUNsRDtRQUNELE9BQU8sSUFBSSxDQUFDO0lBQ2hCLENBQUM7SUFFRDs7OztPQUlHOzs7Ozs7Ozs7OztJQUNILHNDQUFTOzs7Ozs7Ozs7O0lBQVQsVUFBVSxJQUFZLEVBQUUsU0FBaUI7UUFDckMsaUJBQWlCO1FBQ2pCLG1CQUFBLElBQUksRUFBQSxDQUFDLG9CQUFvQixFQUFFLENBQUM7O1lBQ3RCLFVBQVUsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxvQkFBb0I7UUFDNUMsSUFBSSxJQUFJLEtBQUssYUFBYSxJQUFJLFVBQVUsQ0FBQyxJQUFJLENBQUMsRUFBRTtZQUM1QyxNQUFNLElBQUksS0FBSyxDQUFDLG9CQUFvQixHQUFHLElBQUksQ0FBQyxDQUFDO1NBQ2hEO1FBQ0QsVUFBVSxDQUFDLElBQUksQ0FBQyxHQUFHO1lBQ2YsU0FBUyxFQUFFLFNBQVM7U0FDdkIsQ0FBQztRQUNGLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQztJQUVEOzs7Ozs7T0FNRzs7Ozs7Ozs7Ozs7Ozs7O0lBQ0gscUNBQVE7Ozs7Ozs7Ozs7Ozs7O0lBQVIsVUFBUyxJQUFZLEVBQ2pCLGVBQThELEVBQzlELGVBQThELEVBQzlELE9BQStCO1FBQy9CLGlCQUFpQjtRQUNqQixtQkFBQSxJQUFJLEVBQUEsQ0FBQyxvQkFBb0IsRUFBRSxDQUFDOztZQUN0QixTQUFTLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMsbUJBQW1CO1FBQzFDLElBQUksU0FBUyxDQUFDLElBQUksQ0FBQyxJQUFJLG1CQUFBLElBQUksRUFBQSxDQUFDLHFCQUFxQixDQUFDLElBQUksQ0FBQyxFQUFFO1lBQ3JELE1BQU0sSUFBSSxLQUFLLENBQUMsbUJBQW1CLEdBQUcsSUFBSSxDQUFDLENBQUM7U0FDL0M7UUFDRCxPQUFPLEdBQUcsT0FBTyxJQUFJLEVBQUUsQ0FBQzs7WUFDcEIsTUFBTSxHQUFXLE9BQU8sQ0FBQyxNQUFNO1FBQ25DLElBQUksTUFBTSxFQUFFO1lBQ1IsSUFBSSxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsRUFBRTtnQkFDcEIsTUFBTSxJQUFJLEtBQUssQ0FBQywwQkFBMEIsR0FBRyxNQUFNLENBQUMsQ0FBQzthQUN4RDtTQUNKO2FBQU07O2dCQUNHLEdBQUcsR0FBRyxJQUFJLENBQUMsV0FBVyxDQUFDLGNBQWMsQ0FBQztZQUM1QyxJQUFJLEdBQUcsR0FBRyxDQUFDLElBQUksU0FBUyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxFQUFFLEdBQUcsQ0FBQyxDQUFDLEVBQUU7Z0JBQzlDLE1BQU0sR0FBRyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUMsRUFBRSxHQUFHLENBQUMsQ0FBQzthQUNuQztTQUNKOztZQUNHLE1BQU0sR0FBRyxPQUFPLENBQUMsTUFBTSxJQUFJLGFBQWE7UUFDNUMsSUFBSSxNQUFNLEtBQUssYUFBYSxJQUFJLENBQUMsbUJBQUEsSUFBSSxFQUFBLENBQUMsb0JBQW9CLENBQUMsTUFBTSxDQUFDLEVBQUU7WUFDaEUsTUFBTSxJQUFJLEtBQUssQ0FBQyxvQkFBb0IsR0FBRyxNQUFNLENBQUMsQ0FBQztTQUNsRDtRQUNELElBQUksTUFBTSxFQUFFO1lBQ1IsSUFBSSxPQUFPLENBQUMsTUFBTSxJQUFJLE9BQU8sQ0FBQyxNQUFNLEtBQUssU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDLE1BQU0sRUFBRTtnQkFDL0QsTUFBTSxJQUFJLEtBQUssQ0FBQyxpREFBaUQsR0FBRyxJQUFJLENBQUMsQ0FBQzthQUM3RTtZQUNELE1BQU0sR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLENBQUMsTUFBTSxDQUFDO1NBQ3JDO1FBQ0QsU0FBUyxDQUFDLElBQUksQ0FBQyxHQUFHO1lBQ2QsZUFBZSxFQUFFLGVBQWU7WUFDaEMsZUFBZSxFQUFFLGVBQWU7WUFDaEMsTUFBTSxFQUFFLE1BQU07WUFDZCxPQUFPLEVBQUUsT0FBTyxDQUFDLE9BQU87WUFDeEIsUUFBUSxFQUFFLEVBQUU7WUFDWixNQUFNLEVBQUUsTUFBTTtZQUNkLEtBQUssRUFBRSxPQUFPLENBQUMsS0FBSztTQUN2QixDQUFDO1FBQ0YsSUFBSSxNQUFNLEVBQUU7WUFDUixTQUFTLENBQUMsTUFBTSxDQUFDLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztTQUN6QztRQUNELE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQztJQUVEOzs7Ozs7T0FNRzs7Ozs7Ozs7Ozs7Ozs7SUFDSCw0Q0FBZTs7Ozs7Ozs7Ozs7OztJQUFmLFVBQWdCLElBQVksRUFBRSxNQUFjLEVBQUUsT0FBc0M7UUFDaEYsaUJBQWlCO1FBQ2pCLG1CQUFBLElBQUksRUFBQSxDQUFDLG9CQUFvQixFQUFFLENBQUM7O1lBQ3RCLFNBQVMsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxtQkFBbUI7O1lBQ3BDLFdBQVcsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxxQkFBcUI7UUFDOUMsSUFBSSxTQUFTLENBQUMsSUFBSSxDQUFDLElBQUksV0FBVyxDQUFDLElBQUksQ0FBQyxFQUFFO1lBQ3RDLE1BQU0sSUFBSSxLQUFLLENBQUMsbUJBQW1CLEdBQUcsSUFBSSxDQUFDLENBQUM7U0FDL0M7UUFDRCxJQUFJLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxFQUFFO1lBQ3BCLE1BQU0sSUFBSSxLQUFLLENBQUMsMEJBQTBCLEdBQUcsTUFBTSxDQUFDLENBQUM7U0FDeEQ7UUFDRCxPQUFPLEdBQUcsT0FBTyxJQUFJLEVBQUUsQ0FBQztRQUN4QixXQUFXLENBQUMsSUFBSSxDQUFDLEdBQUc7WUFDaEIsTUFBTSxFQUFFLE1BQU07WUFDZCxJQUFJLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJO1lBQ3BCLGFBQWEsRUFBRSxPQUFPLENBQUMsYUFBYTtZQUNwQyxNQUFNLEVBQUUsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDLE1BQU07U0FDbkMsQ0FBQztRQUNGLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQztJQUVEOzs7T0FHRzs7Ozs7Ozs7SUFDSyxnREFBbUI7Ozs7Ozs7SUFBM0IsVUFBNEIsSUFBWTs7WUFDOUIsSUFBSSxHQUFHLElBQUksQ0FBQyxxQkFBcUIsQ0FBQyxJQUFJLENBQUM7O1lBQ3ZDLElBQUksR0FBRyxJQUFJLENBQUMsV0FBVyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUM7UUFDMUMsSUFBSSxDQUFDLElBQUksRUFBRTtZQUNQLE9BQU8sSUFBSSxDQUFDLGtCQUFrQixDQUFDLElBQUksQ0FBQyxhQUFhLElBQUksSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1NBQ3JFO1FBQ0QsSUFBSSxJQUFJLENBQUMsSUFBSSxFQUFFO1lBQ1gsT0FBTyxJQUFJLENBQUM7U0FDZjs7WUFDSyxJQUFJLEdBQUcsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUM7UUFDOUIsT0FBTyxJQUFJLENBQUMsa0JBQWtCLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsSUFBSSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDekUsQ0FBQztJQUVEOzs7T0FHRzs7Ozs7Ozs7O0lBQ0ssNENBQWU7Ozs7Ozs7O0lBQXZCLFVBQXdCLElBQVksRUFBRSxJQUFtQjs7WUFDL0MsV0FBVyxHQUFHLElBQUksQ0FBQyxxQkFBcUI7UUFDOUMsS0FBSyxJQUFNLENBQUMsSUFBSSxXQUFXLEVBQUU7WUFDekIsSUFBSSxXQUFXLENBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxJQUFJLEVBQUUsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRTtnQkFDNUUsSUFBSSxDQUFDLFdBQVcsQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEdBQUcsSUFBSSxDQUFDO2FBQ2xEO1NBQ0o7SUFDTCxDQUFDO0lBRUQ7O09BRUc7Ozs7Ozs7O0lBQ0gseUNBQVk7Ozs7Ozs7SUFBWixVQUFhLElBQVk7UUFDckIsaUJBQWlCO1FBQ2pCLG1CQUFBLElBQUksRUFBQSxDQUFDLG9CQUFvQixFQUFFLENBQUM7UUFFNUIsSUFBSSxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxVQUFVLEVBQUU7WUFDakIsTUFBTSxJQUFJLEtBQUssQ0FBQyx3QkFBd0IsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxVQUFVLENBQUMsQ0FBQztTQUMvRDtRQUNELG1CQUFBLElBQUksRUFBQSxDQUFDLFVBQVUsR0FBRyxJQUFJLENBQUM7UUFDdkIsT0FBTyxtQkFBQSxJQUFJLEVBQUEsQ0FBQztJQUNoQixDQUFDOzs7OztJQWFELHlDQUFZOzs7O0lBQVosVUFBYSxLQUFjO1FBQ3ZCLGlCQUFpQjtRQUNqQixJQUFJLENBQUMsb0JBQW9CLEVBQUUsQ0FBQztRQUU1QixJQUFJLENBQUMsVUFBVSxHQUFHLEtBQUssQ0FBQztRQUN4QixPQUFPLElBQUksQ0FBQztJQUNoQixDQUFDO0lBRUQ7Ozs7O09BS0c7Ozs7Ozs7Ozs7O0lBQ0gsK0NBQWtCOzs7Ozs7Ozs7O0lBQWxCLFVBQW1CLE1BQTJCO1FBQzFDLGlCQUFpQjtRQUNqQixtQkFBQSxJQUFJLEVBQUEsQ0FBQyxvQkFBb0IsRUFBRSxDQUFDO1FBRTVCLElBQUksT0FBTyxDQUFDLGlCQUFpQixFQUFFLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRTtZQUN4QyxNQUFNLElBQUksS0FBSyxDQUFDLCtCQUErQixHQUFHLE1BQU0sQ0FBQyxDQUFDO1NBQzdEO1FBQ0QsbUJBQUEsSUFBSSxFQUFBLENBQUMsZ0JBQWdCLEdBQUcsTUFBTSxDQUFDO1FBQy9CLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQztJQUVEOzs7O09BSUc7Ozs7Ozs7Ozs7SUFDSCx5Q0FBWTs7Ozs7Ozs7O0lBQVosVUFBYSxTQUFxQjtRQUM5QixpQkFBaUI7UUFDakIsbUJBQUEsSUFBSSxFQUFBLENBQUMsb0JBQW9CLEVBQUUsQ0FBQztRQUU1QixtQkFBQSxJQUFJLEVBQUEsQ0FBQyxVQUFVLEdBQUcsU0FBUyxDQUFDO1FBQzVCLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQztJQUVEOzs7O09BSUc7Ozs7Ozs7Ozs7SUFDSCxpREFBb0I7Ozs7Ozs7OztJQUFwQixVQUFxQixRQUE0QjtRQUM3QyxpQkFBaUI7UUFDakIsbUJBQUEsSUFBSSxFQUFBLENBQUMsb0JBQW9CLEVBQUUsQ0FBQztRQUU1QixtQkFBQSxJQUFJLEVBQUEsQ0FBQyxVQUFVLEdBQUcsUUFBUSxDQUFDO1FBQzNCLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQztJQUVEOzs7T0FHRzs7Ozs7Ozs7O0lBQ0gsNENBQWU7Ozs7Ozs7O0lBQWYsVUFBZ0IsS0FBYTtRQUN6QixpQkFBaUI7UUFDakIsbUJBQUEsSUFBSSxFQUFBLENBQUMsb0JBQW9CLEVBQUUsQ0FBQztRQUU1QixtQkFBQSxJQUFJLEVBQUEsQ0FBQyxhQUFhLEdBQUcsS0FBSyxDQUFDO1FBQzNCLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQztJQUVEOzs7OztPQUtHOzs7Ozs7Ozs7OztJQUNILHVDQUFVOzs7Ozs7Ozs7O0lBQVYsVUFBVyxPQUFpQjtRQUN4QixpQkFBaUI7UUFDakIsbUJBQUEsSUFBSSxFQUFBLENBQUMsb0JBQW9CLEVBQUUsQ0FBQztRQUU1QixtQkFBQSxJQUFJLEVBQUEsQ0FBQyxRQUFRLEdBQUcsT0FBTyxDQUFDO1FBQ3hCLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQztJQUVEOzs7Ozs7Ozs7Ozs7T0FZRzs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7OztJQUNILDBDQUFhOzs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7SUFBYixVQUFjLElBQVksRUFDdEIsRUFBVSxFQUNWLGVBQThELEVBQzlELGdCQUErRCxFQUMvRCxPQUFzRDtRQUN0RCxnQkFBZ0I7UUFDaEIsbUJBQUEsSUFBSSxFQUFBLENBQUMsb0JBQW9CLEVBQUUsQ0FBQzs7WUFFdEIsU0FBUyxHQUFHLG1CQUFBLElBQUksRUFBQSxDQUFDLG1CQUFtQjs7WUFDcEMsY0FBYyxHQUFHLG1CQUFBLElBQUksRUFBQSxDQUFDLHdCQUF3QjtRQUNwRCxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxFQUFFO1lBQ2xCLE1BQU0sSUFBSSxLQUFLLENBQUMsMEJBQTBCLEdBQUcsSUFBSSxDQUFDLENBQUM7U0FDdEQ7O1lBQ0ssTUFBTSxHQUFHLFNBQVMsQ0FBQyxFQUFFLENBQUMsSUFBSSxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxxQkFBcUIsQ0FBQyxFQUFFLENBQUM7UUFDOUQsSUFBSSxDQUFDLE1BQU0sRUFBRTtZQUNULE1BQU0sSUFBSSxLQUFLLENBQUMsMEJBQTBCLEdBQUcsRUFBRSxDQUFDLENBQUM7U0FDcEQ7UUFDRCxJQUFJLFNBQVMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLEtBQUssTUFBTSxDQUFDLE1BQU0sRUFBRTtZQUMxQyxNQUFNLElBQUksS0FBSyxDQUFDLDZCQUE2QixHQUFHLElBQUksR0FBRyxNQUFNLEdBQUcsRUFBRSxDQUFDLENBQUM7U0FDdkU7O1lBQ0ssR0FBRyxHQUFHLFVBQVUsQ0FBQyxtQkFBbUIsRUFBRSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxDQUFDO1FBQ25FLElBQUksY0FBYyxDQUFDLEdBQUcsQ0FBQyxFQUFFO1lBQ3JCLE1BQU0sSUFBSSxLQUFLLENBQUMsd0JBQXdCLEdBQUcsSUFBSSxHQUFHLE1BQU0sR0FBRyxFQUFFLENBQUMsQ0FBQztTQUNsRTtRQUNELE9BQU8sR0FBRyxPQUFPLElBQUksRUFBRSxDQUFDO1FBQ3hCLElBQUksT0FBTyxDQUFDLFlBQVksSUFBSSxDQUFDLFNBQVMsQ0FBQyxPQUFPLENBQUMsWUFBWSxDQUFDLEVBQUU7WUFDMUQsTUFBTSxJQUFJLEtBQUssQ0FBQyxnQ0FBZ0MsR0FBRyxPQUFPLENBQUMsWUFBWSxDQUFDLENBQUM7U0FDNUU7UUFDRCxJQUFJLE9BQU8sQ0FBQyxRQUFRLElBQUksSUFBSSxLQUFLLEVBQUUsRUFBRTtZQUNqQyxNQUFNLElBQUksS0FBSyxDQUFDLHdDQUF3QyxHQUFHLElBQUksR0FBRyxNQUFNLEdBQUcsRUFBRSxDQUFDLENBQUM7U0FDbEY7UUFDRCxjQUFjLENBQUMsR0FBRyxDQUFDLEdBQUc7WUFDbEIsSUFBSSxFQUFFLElBQUksRUFBRSxFQUFFLEVBQUUsRUFBRTtZQUNsQixlQUFlLEVBQUUsZUFBZTtZQUNoQyxnQkFBZ0IsRUFBRSxnQkFBZ0I7WUFDbEMsS0FBSyxFQUFFLE9BQU8sQ0FBQyxLQUFLO1lBQ3BCLEtBQUssRUFBRSxPQUFPLENBQUMsS0FBSztZQUNwQixNQUFNLEVBQUUsT0FBTyxDQUFDLE1BQU07WUFDdEIsS0FBSyxFQUFFLE9BQU8sQ0FBQyxLQUFLO1lBQ3BCLFlBQVksRUFBRSxPQUFPLENBQUMsWUFBWTtZQUNsQyxRQUFRLEVBQUUsT0FBTyxDQUFDLFFBQVE7U0FDN0IsQ0FBQztRQUNGLElBQUksT0FBTyxDQUFDLEtBQUssRUFBRTs7Z0JBQ1QsU0FBUyxHQUFHLG1CQUFBLElBQUksRUFBQSxDQUFDLG1CQUFtQjtZQUMxQyxTQUFTLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxHQUFHLFNBQVMsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLElBQUksRUFBRSxDQUFDO1lBQzFELFNBQVMsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1NBQ3RDO1FBQ0QsT0FBTyxtQkFBQSxJQUFJLEVBQUEsQ0FBQztJQUNoQixDQUFDO0lBRUQ7O09BRUc7Ozs7Ozs7OztJQUNLLHVDQUFVOzs7Ozs7OztJQUFsQixVQUFtQixNQUFjLEVBQUUsU0FBaUIsRUFBRSxTQUFrQjtRQUF4RSxpQkEwS0M7O1lBektTLFNBQVMsR0FBRyxJQUFJLENBQUMsbUJBQW1COztZQUNwQyxjQUFjLEdBQUcsSUFBSSxDQUFDLHdCQUF3QjtRQUVwRCxJQUFJLENBQUMsU0FBUyxDQUFDLFNBQVMsQ0FBQyxJQUFJLFNBQVMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxNQUFNLEtBQUssTUFBTSxFQUFFO1lBQ2pFLE1BQU0sSUFBSSxLQUFLLENBQUMsd0JBQXdCLEdBQUcsU0FBUyxDQUFDLENBQUM7U0FDekQ7O1lBRUssV0FBVyxHQUE4RSxFQUFFOztZQUMzRixPQUFPLEdBQThELEVBQUU7Ozs7O1lBS3ZFLE9BQU8sR0FBRyxDQUFDLENBQUMsTUFBTSxDQUFDLEVBQUUsRUFBRSxjQUFjLEVBQUUsSUFBSSxDQUFDLHFCQUFxQixDQUFDO2dDQUM3RCxFQUFFO1lBQ1QsSUFBSSxPQUFPLENBQUMsY0FBYyxDQUFDLEVBQUUsQ0FBQyxFQUFFOztvQkFDdEIsT0FBSyxHQUE2QixPQUFPLENBQUMsRUFBRSxDQUFDO2dCQUNuRCxJQUFJLFNBQVMsQ0FBQyxPQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxLQUFLLE1BQU0sRUFBRTs7aUJBRTVDOztvQkFDRyxNQUFNLFNBQXlCO2dCQUNuQyxJQUFJLE9BQUssQ0FBQyxRQUFRLEVBQUU7b0JBQ2hCLDRCQUE0QjtvQkFDNUIsTUFBTSxHQUFHLGFBQWEsQ0FBQztpQkFDMUI7cUJBQU0sSUFBSSxPQUFLLHFCQUFxQixDQUFDLE9BQUssQ0FBQyxFQUFFLENBQUMsRUFBRTtvQkFDN0MsdURBQXVEO29CQUN2RCxNQUFNLEdBQUcsY0FBTSxPQUFBLEtBQUksQ0FBQyxtQkFBbUIsQ0FBQyxPQUFLLENBQUMsRUFBRSxDQUFDLEVBQWxDLENBQWtDLENBQUM7aUJBQ3JEO3FCQUFNO29CQUNILE1BQU0sR0FBRyxPQUFLLGtCQUFrQixDQUFDLE9BQUssQ0FBQyxFQUFFLENBQUMsQ0FBQztpQkFDOUM7Z0JBQ0QsV0FBVyxDQUFDLElBQUksQ0FBQztvQkFDYixJQUFJLEVBQUUsRUFBRTtvQkFDUixJQUFJLEVBQUUsT0FBSyxjQUFjLENBQUMsT0FBSyxDQUFDLElBQUksQ0FBQztvQkFDckMsRUFBRSxFQUFFLE1BQU07aUJBQ2IsQ0FBQyxDQUFDO2FBQ047OztRQXJCTCxLQUFLLElBQU0sRUFBRSxJQUFJLE9BQU87b0JBQWIsRUFBRTtTQXNCWjs7WUFFSyxnQkFBZ0IsR0FBRyxxQkFBcUIsQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLGNBQWMsQ0FBQzs7WUFDeEUsZ0JBQWdCLEdBQUcscUJBQXFCLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxjQUFjLENBQUM7Ozs7WUFJMUUsS0FBSyxHQUFvQixJQUFJOzs7OztZQUs3QixNQUFNLEdBQUcsU0FBUztRQUV0QixzRUFBc0U7UUFDdEUsbURBQW1EO1FBQ25ELE9BQU8sQ0FBQyxvQkFBb0IsQ0FBQyxHQUFHLFVBQUMsU0FBUyxFQUFFLE9BQU87WUFDL0MsSUFBSSxNQUFNLEVBQUU7Z0JBQ1IsT0FBTzthQUNWOztnQkFDSyxJQUFJLEdBQUcsS0FBSSxDQUFDLFlBQVksQ0FBQyxTQUFTLENBQUMsVUFBVSxDQUFDO1lBQ3BELEtBQUssR0FBRztnQkFDSixVQUFVLEVBQUUsU0FBUyxDQUFDLFVBQVU7Z0JBQ2hDLElBQUksRUFBRSxTQUFTLENBQUMsSUFBSTtnQkFDcEIsRUFBRSxFQUFFLFNBQVMsQ0FBQyxFQUFFO2dCQUNoQixNQUFNLEVBQUUsTUFBTTtnQkFDZCxLQUFLLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxTQUFTO2dCQUNwQyxPQUFPLEVBQUUsT0FBTztnQkFDaEIsT0FBTyxFQUFFLEtBQUksQ0FBQyxRQUFRO2FBQ3pCLENBQUM7WUFDRixJQUFJLElBQUksSUFBSSxJQUFJLENBQUMsZ0JBQWdCLEVBQUU7Z0JBQy9CLE9BQU8sS0FBSSxDQUFDLHVCQUF1QixDQUFDLENBQUMsSUFBSSxDQUFDLGdCQUFnQixDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUM7YUFDdkU7UUFDTCxDQUFDLENBQUM7UUFDRiw4REFBOEQ7UUFDOUQsNERBQTREO1FBQzVELE9BQU8sQ0FBQyxjQUFjLENBQUMsR0FBRyxVQUFDLFNBQVM7WUFDaEMsSUFBSSxNQUFNLEVBQUU7Z0JBQ1IsT0FBTzthQUNWOztnQkFDSyxJQUFJLEdBQUcsS0FBSSxDQUFDLFlBQVksQ0FBQyxTQUFTLENBQUMsVUFBVSxDQUFDO1lBQ3BELElBQUksSUFBSSxFQUFFOztvQkFDQSxJQUFJLEdBQUcsS0FBSSxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQyxJQUFJO2dCQUN6QyxLQUFJLENBQUMsd0JBQXdCLENBQUMsSUFBSSxDQUFDLENBQUM7Z0JBQ3BDLEtBQUksQ0FBQyxlQUFlLENBQUMsU0FBUyxDQUFDLElBQUksRUFBRSxJQUFJLENBQUMsQ0FBQzthQUM5QztZQUNELElBQUksSUFBSSxJQUFJLElBQUksQ0FBQyxNQUFNLEVBQUU7Z0JBQ3JCLEtBQUksQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxLQUFLLENBQUMsQ0FBQzthQUMxQztRQUNMLENBQUMsQ0FBQztRQUNGLE9BQU8sQ0FBQyxtQkFBbUIsQ0FBQyxHQUFHLFVBQUMsU0FBUztZQUNyQyxJQUFJLE1BQU0sRUFBRTtnQkFDUixPQUFPO2FBQ1Y7O2dCQUNLLElBQUksR0FBRyxLQUFJLENBQUMsWUFBWSxDQUFDLFNBQVMsQ0FBQyxVQUFVLENBQUM7WUFDcEQsSUFBSSxJQUFJLEVBQUU7Z0JBQ04sS0FBSSxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDMUIsc0RBQXNEO2dCQUN0RCxLQUFJLENBQUMsY0FBYyxDQUFDLE1BQU0sQ0FBQyxHQUFHLEtBQUssQ0FBQzthQUN2QztZQUNELElBQUksSUFBSSxJQUFJLElBQUksQ0FBQyxlQUFlLEVBQUU7Z0JBQzlCLElBQUksQ0FBQyxlQUFlLENBQUMsS0FBSyxDQUFDLENBQUM7YUFDL0I7UUFDTCxDQUFDLENBQUM7UUFDRixPQUFPLENBQUMsY0FBYyxDQUFDLEdBQUcsVUFBQyxTQUFTOztnQkFDMUIsS0FBSyxHQUFHLEtBQUksQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDO1lBQ3JDLElBQUksTUFBTSxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLE1BQU0sRUFBRTtnQkFDckQsT0FBTzthQUNWO1lBQ0QsK0NBQStDO1lBQy9DLElBQUksS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUU7Z0JBQ25CLEtBQUksQ0FBQyxPQUFPLENBQUMsS0FBSSxDQUFDLFNBQVMsQ0FBQyxZQUFZLEVBQUUsY0FBTSxPQUFBLGdCQUFnQixDQUFDLEtBQUssQ0FBQyxFQUF2QixDQUF1QixDQUFDLENBQUM7YUFDNUU7OztnQkFFSyxTQUFTLEdBQThCLEVBQUU7WUFDL0MsS0FBZ0IsVUFBVSxFQUFWLEtBQUEsS0FBSyxDQUFDLElBQUksRUFBVixjQUFVLEVBQVYsSUFBVSxFQUFFO2dCQUF2QixJQUFNLENBQUMsU0FBQTs7b0JBQ0YsSUFBSSxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUM7Z0JBQ3pCLElBQUksSUFBSSxDQUFDLGVBQWUsRUFBRTtvQkFDdEIsU0FBUyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLENBQUM7aUJBQ3hDO2FBQ0o7WUFDRCxPQUFPLEtBQUksQ0FBQyx1QkFBdUIsQ0FBQyxTQUFTLEVBQUUsS0FBSyxDQUFDLENBQUM7UUFDMUQsQ0FBQyxDQUFDO1FBQ0YsT0FBTyxDQUFDLGNBQWMsQ0FBQyxHQUFHLFVBQUMsU0FBUzs7Z0JBQzFCLEtBQUssR0FBRyxLQUFJLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQztZQUNyQyxJQUFJLE1BQU0sSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxNQUFNLEVBQUU7Z0JBQ3JELE9BQU87YUFDVjtZQUNELEtBQUksQ0FBQyxPQUFPLENBQUMsS0FBSSxDQUFDLFNBQVMsQ0FBQyxZQUFZLEVBQUUsY0FBTSxPQUFBLGdCQUFnQixDQUFDLEtBQUssQ0FBQyxFQUF2QixDQUF1QixDQUFDLENBQUM7WUFDekUsaUNBQWlDO1lBQ2pDLEtBQWdCLFVBQVcsRUFBWCxLQUFBLEtBQUssQ0FBQyxLQUFLLEVBQVgsY0FBVyxFQUFYLElBQVcsRUFBRTtnQkFBeEIsSUFBTSxDQUFDLFNBQUE7O29CQUNGLElBQUksR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDO2dCQUN6QixJQUFJLElBQUksQ0FBQyxlQUFlLEVBQUU7b0JBQ3RCLElBQUksQ0FBQyxlQUFlLENBQUMsS0FBSyxDQUFDLENBQUM7aUJBQy9CO2FBQ0o7WUFDRCxLQUFJLENBQUMsMEJBQTBCLENBQUMsS0FBSyxDQUFDLEtBQUssRUFBRSxNQUFNLENBQUMsQ0FBQztRQUN6RCxDQUFDLENBQUM7Z0NBT1MsRUFBRTtZQUNULElBQUksT0FBTyxDQUFDLGNBQWMsQ0FBQyxFQUFFLENBQUMsRUFBRTs7b0JBQ3RCLFFBQU0sR0FBRyxPQUFPLENBQUMsRUFBRSxDQUFDO2dCQUMxQixPQUFPLENBQUMsRUFBRSxDQUFDLEdBQUcsVUFBQyxTQUFTLEVBQUUsT0FBTztvQkFDN0IsSUFBSTt3QkFDQSxPQUFPLFFBQU0sQ0FBQyxTQUFTLEVBQUUsT0FBTyxDQUFDLENBQUM7cUJBQ3JDO29CQUFDLE9BQU8sQ0FBQyxFQUFFO3dCQUNSLEtBQUksQ0FBQyxXQUFXLENBQUMsU0FBUyxDQUFDLFVBQVUsRUFBRSxTQUFTLENBQUMsSUFBSSxFQUFFLFNBQVMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUM7d0JBQ3hFLE9BQU8sS0FBSyxDQUFDO3FCQUNoQjtnQkFDTCxDQUFDLENBQUM7YUFDTDs7UUFoQkwsMERBQTBEO1FBQzFELDREQUE0RDtRQUM1RCxtRUFBbUU7UUFDbkUsa0VBQWtFO1FBQ2xFLDhCQUE4QjtRQUM5QixLQUFLLElBQU0sRUFBRSxJQUFJLE9BQU87b0JBQWIsRUFBRTtTQVlaOztZQUVLLElBQUksR0FBRyxJQUFJLFlBQVksQ0FBQztZQUMxQixJQUFJLEVBQUUsSUFBSSxDQUFDLGtCQUFrQixDQUFDLFNBQVMsQ0FBQzs7O1lBR3hDLHFCQUFxQixFQUFFLElBQUk7WUFDM0IsV0FBVyxFQUFFLFdBQVc7WUFDeEIsT0FBTyxFQUFFLE9BQU87WUFDaEIsbUJBQW1CLEVBQUUsVUFBQyxJQUFZLEVBQUUsSUFBWSxFQUFFLEVBQVUsSUFBSyxPQUFBLEtBQUksQ0FBQyxXQUFXLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxFQUFFLENBQUMsRUFBaEMsQ0FBZ0M7U0FDcEcsQ0FBQztRQUNGLE1BQU0sR0FBRyxLQUFLLENBQUM7UUFDZixJQUFJLFNBQVMsRUFBRTtZQUNYLGlEQUFpRDtZQUNqRCxJQUFJLENBQUMsMEJBQTBCLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsTUFBTSxDQUFDLENBQUM7U0FDcEU7UUFDRCxPQUFPLElBQUksQ0FBQztJQUNoQixDQUFDO0lBRUQ7OztPQUdHOzs7Ozs7Ozs7SUFDSyx1REFBMEI7Ozs7Ozs7O0lBQWxDLFVBQW1DLE1BQXFCLEVBQUUsTUFBYztRQUF4RSxpQkFlQzs7WUFkUyxjQUFjLEdBQUcsSUFBSSxDQUFDLHdCQUF3QjtnQ0FDekMsQ0FBQztZQUNSLElBQUksY0FBYyxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUMsRUFBRTs7b0JBQzVCLElBQUksR0FBRyxjQUFjLENBQUMsQ0FBQyxDQUFDO2dCQUM5QixJQUFJLElBQUksQ0FBQyxLQUFLLEtBQUssU0FBUyxJQUFJLElBQUksQ0FBQyxLQUFLLEtBQUssSUFBSSxJQUFJLE9BQU8sQ0FBQyxNQUFNLEVBQUUsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRTs7aUJBRXRGOztvQkFDSyxNQUFNLEdBQUcsT0FBSyxVQUFVLENBQUMsVUFBVSxDQUFDO29CQUN0QyxLQUFJLENBQUMscUJBQXFCLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxDQUFDO2dCQUMxQyxDQUFDLEVBQUUsSUFBSSxDQUFDLEtBQUssQ0FBQztnQkFDZCxPQUFLLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsT0FBSyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztnQkFDeEQsT0FBSyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQzthQUN4Qzs7O1FBWEwsS0FBSyxJQUFNLENBQUMsSUFBSSxjQUFjO29CQUFuQixDQUFDO1NBWVg7SUFDTCxDQUFDO0lBRUQ7OztPQUdHOzs7Ozs7OztJQUNLLHFEQUF3Qjs7Ozs7OztJQUFoQyxVQUFpQyxNQUFxQjtRQUNsRCxLQUFnQixVQUFNLEVBQU4saUJBQU0sRUFBTixvQkFBTSxFQUFOLElBQU0sRUFBRTtZQUFuQixJQUFNLENBQUMsZUFBQTtZQUNSLEtBQXFCLFVBQXFCLEVBQXJCLEtBQUEsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLEVBQXJCLGNBQXFCLEVBQXJCLElBQXFCLEVBQUU7Z0JBQXZDLElBQU0sTUFBTSxTQUFBO2dCQUNiLElBQUksQ0FBQyxVQUFVLENBQUMsWUFBWSxDQUFDLE1BQU0sQ0FBQyxDQUFDO2FBQ3hDO1lBQ0QsT0FBTyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO1NBQzFCO0lBQ0wsQ0FBQztJQUVEOzs7O09BSUc7Ozs7Ozs7Ozs7SUFDSyxrREFBcUI7Ozs7Ozs7OztJQUE3QixVQUE4QixNQUFjLEVBQUUsY0FBc0I7O1lBQzFELElBQUksR0FBRyxJQUFJLENBQUMsTUFBTSxJQUFJLElBQUksQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDOztZQUN6QyxJQUFJLEdBQUcsSUFBSSxDQUFDLFlBQVksQ0FBQyxjQUFjLENBQUM7UUFDOUMsSUFBSSxDQUFDLElBQUksSUFBSSxJQUFJLENBQUMsZUFBZSxDQUFDLE1BQU0sQ0FBQyxJQUFJLElBQUksQ0FBQyxNQUFNLENBQUMsY0FBYyxDQUFDLEVBQUU7WUFDdEUsT0FBTztTQUNWO1FBQ0QsSUFBSSxJQUFJLENBQUMsS0FBSyxJQUFJLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLEVBQUU7WUFDMUMsT0FBTztTQUNWOztZQUNLLFlBQVksR0FBRyxJQUFJLENBQUMsS0FBSztRQUMvQixJQUFJO1lBQ0EsSUFBSSxDQUFDLGNBQWMsQ0FBQyxNQUFNLEVBQUUsY0FBYyxDQUFDLENBQUM7U0FDL0M7UUFBQyxPQUFPLENBQUMsRUFBRTtZQUNSLHdDQUF3QztZQUN4QyxJQUFJLENBQUMsV0FBVyxDQUFDLGNBQWMsRUFBRSxZQUFZLEVBQUUsSUFBSSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQztTQUM5RDtJQUNMLENBQUM7SUFFRDs7Ozs7T0FLRzs7Ozs7Ozs7OztJQUNLLDBDQUFhOzs7Ozs7Ozs7SUFBckIsVUFBc0IsU0FBMEI7O1lBQ3RDLE1BQU0sR0FBRyxJQUFJLENBQUMsUUFBUSxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUM7UUFDOUMsT0FBTyxJQUFJLENBQUMsUUFBUSxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUN2QyxJQUFJLE1BQU0sSUFBSSxNQUFNLENBQUMsSUFBSSxLQUFLLE1BQU0sRUFBRTtZQUNsQyxJQUFJLENBQUMsUUFBUSxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztZQUNyRCxJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7WUFDaEMsT0FBTztTQUNWO1FBQ0QsSUFBSSxNQUFNLElBQUksTUFBTSxDQUFDLElBQUksS0FBSyxNQUFNLEVBQUU7WUFDbEMsSUFBSSxDQUFDLE9BQU8sR0FBRyxPQUFPLENBQUMsSUFBSSxDQUFDLE9BQU8sRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7U0FDdEQ7YUFBTTtZQUNILElBQUksQ0FBQyxPQUFPLEdBQUcsRUFBRSxDQUFDO1NBQ3JCO1FBQ0QsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUM7WUFDZixVQUFVLEVBQUUsU0FBUyxDQUFDLFVBQVU7WUFDaEMsSUFBSSxFQUFFLFNBQVMsQ0FBQyxJQUFJO1lBQ3BCLEVBQUUsRUFBRSxTQUFTLENBQUMsRUFBRTtZQUNoQixNQUFNLEVBQUUsU0FBUyxDQUFDLE1BQU07WUFDeEIsT0FBTyxFQUFFLFNBQVMsQ0FBQyxPQUFPO1lBQzFCLFNBQVMsRUFBRSxJQUFJLENBQUMsR0FBRyxFQUFFO1NBQ3hCLENBQUMsQ0FBQztRQUNILElBQUksSUFBSSxDQUFDLFFBQVEsQ0FBQyxNQUFNLEdBQUcsSUFBSSxDQUFDLGFBQWEsRUFBRTtZQUMzQyxJQUFJLENBQUMsUUFBUSxDQUFDLEtBQUssRUFBRSxDQUFDO1NBQ3pCO0lBQ0wsQ0FBQztJQUVEOzs7T0FHRzs7Ozs7Ozs7O0lBQ0ssNkNBQWdCOzs7Ozs7OztJQUF4QixVQUF5QixRQUFtQixFQUFFLE9BQXNCO1FBQ2hFLElBQUksUUFBUSxDQUFDLE9BQU8sS0FBSyxlQUFlLEVBQUU7WUFDdEMsTUFBTSxJQUFJLEtBQUssQ0FBQyxnQ0FBZ0MsR0FBRyxRQUFRLENBQUMsT0FBTyxDQUFDLENBQUM7U0FDeEU7O1lBQ0ssU0FBUyxHQUFHLElBQUksQ0FBQyxtQkFBbUI7UUFDMUMsS0FBSyxJQUFNLENBQUMsSUFBSSxRQUFRLENBQUMsS0FBSyxFQUFFO1lBQzVCLElBQUksUUFBUSxDQUFDLEtBQUssQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLEVBQUU7Z0JBQ2xDLElBQUksT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUMsR0FBRyxDQUFDLEVBQUU7b0JBQ3pCLE1BQU0sSUFBSSxLQUFLLENBQUMsZ0NBQWdDLEdBQUcsQ0FBQyxDQUFDLENBQUM7aUJBQ3pEOztvQkFDSyxJQUFJLEdBQUcsU0FBUyxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7Z0JBQ3pDLElBQUksQ0FBQyxJQUFJLElBQUksSUFBSSxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUU7b0JBQzVCLE1BQU0sSUFBSSxLQUFLLENBQUMsK0JBQStCLEdBQUcsUUFBUSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO2lCQUN4RTthQUNKO1NBQ0o7SUFDTCxDQUFDO0lBRUQ7Ozs7Ozs7T0FPRzs7Ozs7Ozs7Ozs7OztJQUNILGtDQUFLOzs7Ozs7Ozs7Ozs7SUFBTCxVQUFNLFFBQXNDO1FBQTVDLGlCQTZFQztRQTNFRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxvQkFBb0IsRUFBRSxDQUFDOzs7WUFHdEIsU0FBUyxHQUFHLG1CQUFBLElBQUksRUFBQSxDQUFDLG1CQUFtQjs7WUFDcEMsVUFBVSxHQUFHLG1CQUFBLElBQUksRUFBQSxDQUFDLG9CQUFvQjs7OztZQUl4QyxnQkFBZ0IsR0FBRyxDQUFDLENBQUMsbUJBQUEsSUFBSSxFQUFBLENBQUMsVUFBVSxJQUFJLENBQUMsQ0FBQyxPQUFPLENBQUMsVUFBVSxDQUFDOzs7O1lBRzNELFdBQVcsR0FBZ0QsRUFBRTtRQUNuRSxLQUFLLElBQU0sRUFBRSxJQUFJLFNBQVMsRUFBRTtZQUN4QixJQUFJLFNBQVMsQ0FBQyxjQUFjLENBQUMsRUFBRSxDQUFDLEVBQUU7O29CQUN4QixLQUFLLEdBQUcsU0FBUyxDQUFDLEVBQUUsQ0FBQztnQkFDM0IsSUFBSSxLQUFLLENBQUMsT0FBTyxJQUFJLE9BQU8sQ0FBQyxLQUFLLENBQUMsUUFBUSxFQUFFLEtBQUssQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLEVBQUU7b0JBQzdELE1BQU0sSUFBSSxLQUFLLENBQUMsaUNBQWlDLEdBQUcsRUFBRSxHQUFHLE1BQU0sR0FBRyxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUM7aUJBQ3BGO2dCQUNELElBQUksS0FBSyxDQUFDLE1BQU0sS0FBSyxhQUFhLEVBQUU7b0JBQ2hDLGdCQUFnQixHQUFHLElBQUksQ0FBQztpQkFDM0I7O29CQUNLLElBQUksR0FBRyxVQUFVLENBQUMsbUJBQW1CLEVBQUUsRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsQ0FBQztnQkFDbEUsSUFBSSxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxnQkFBZ0IsS0FBSyxTQUFTLElBQUksQ0FBQyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyx3QkFBd0IsQ0FBQyxJQUFJLENBQUMsRUFBRTtvQkFDN0UsV0FBVyxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxFQUFFLENBQUM7aUJBQzVDO2FBQ0o7U0FDSjtRQUNELG1CQUFBLElBQUksRUFBQSxDQUFDLHFCQUFxQixHQUFHLFdBQVcsQ0FBQztRQUN6QyxJQUFJLGdCQUFnQixJQUFJLENBQUMsbUJBQUEsSUFBSSxFQUFBLENBQUMsVUFBVSxFQUFFO1lBQ3RDLE1BQU0sSUFBSSxLQUFLLENBQUMsa0NBQWtDLENBQUMsQ0FBQztTQUN2RDs7WUFDSyxXQUFXLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMscUJBQXFCO1FBQzlDLEtBQUssSUFBTSxFQUFFLElBQUksV0FBVyxFQUFFO1lBQzFCLElBQUksV0FBVyxDQUFDLGNBQWMsQ0FBQyxFQUFFLENBQUMsRUFBRTs7b0JBQzFCLEtBQUssR0FBRyxXQUFXLENBQUMsRUFBRSxDQUFDO2dCQUM3QixJQUFJLFNBQVMsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsUUFBUSxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUU7b0JBQy9DLE1BQU0sSUFBSSxLQUFLLENBQUMsb0NBQW9DLEdBQUcsRUFBRSxDQUFDLENBQUM7aUJBQzlEOztvQkFDSyxNQUFNLEdBQUcsS0FBSyxDQUFDLGFBQWE7Z0JBQ2xDLElBQUksTUFBTSxJQUFJLENBQUMsQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLElBQUksT0FBTyxDQUFDLG1CQUFBLElBQUksRUFBQSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsRUFBRSxLQUFLLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxJQUFJLE1BQU0sS0FBSyxLQUFLLENBQUMsTUFBTSxDQUFDLEVBQUU7b0JBQzdHLE1BQU0sSUFBSSxLQUFLLENBQUMsNkNBQTZDLEdBQUcsRUFBRSxHQUFHLE1BQU0sR0FBRyxNQUFNLENBQUMsQ0FBQztpQkFDekY7YUFDSjtTQUNKOztZQUdLLFVBQVUsR0FBOEIsRUFBRTtRQUNoRCxJQUFJLGdCQUFnQixFQUFFO1lBQ2xCLFVBQVUsQ0FBQyxhQUFhLENBQUMsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxVQUFVLENBQUM7U0FDL0M7UUFDRCxLQUFLLElBQU0sRUFBRSxJQUFJLFVBQVUsRUFBRTtZQUN6QixJQUFJLFVBQVUsQ0FBQyxjQUFjLENBQUMsRUFBRSxDQUFDLEVBQUU7Z0JBQy9CLFVBQVUsQ0FBQyxFQUFFLENBQUMsR0FBRyxVQUFVLENBQUMsRUFBRSxDQUFDLENBQUMsU0FBUyxDQUFDO2FBQzdDO1NBQ0o7UUFFRCxJQUFJLFFBQVEsRUFBRTtZQUNWLG1CQUFBLElBQUksRUFBQSxDQUFDLGdCQUFnQixDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUM7U0FDdkQ7UUFDRCxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxpQkFBaUIsQ0FBQyxRQUFRLENBQUMsQ0FBQzs7WUFFM0IsS0FBSyxHQUFvQyxFQUFFO1FBQ2pELG1CQUFBLElBQUksRUFBQSxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUM7WUFDcEIsS0FBSyxJQUFNLEVBQUUsSUFBSSxVQUFVLEVBQUU7Z0JBQ3pCLElBQUksVUFBVSxDQUFDLGNBQWMsQ0FBQyxFQUFFLENBQUMsRUFBRTs7d0JBQ3pCLFFBQVEsR0FBRyxRQUFRLElBQUksUUFBUSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUM7b0JBQy9DLEtBQUssQ0FBQyxFQUFFLENBQUMsR0FBRyxtQkFBQSxLQUFJLEVBQUEsQ0FBQyxVQUFVLENBQUMsRUFBRSxFQUFFLFFBQVEsSUFBSSxVQUFVLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDO2lCQUMzRTthQUNKO1FBQ0wsQ0FBQyxDQUFDLENBQUM7UUFDSCxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxNQUFNLEdBQUcsS0FBSyxDQUFDOztZQUNkLE1BQU0sR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxhQUFhLEVBQUU7UUFDbkMsbUJBQUEsSUFBSSxFQUFBLENBQUMsT0FBTyxDQUFDLG1CQUFBLElBQUksRUFBQSxDQUFDLHFCQUFxQixDQUFDLFNBQVMsRUFBRSxjQUFNLE9BQUEsbUJBQUEsS0FBSSxFQUFBLENBQUMscUJBQXFCLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUF2QyxDQUF1QyxDQUFDLENBQUM7UUFDbEcsbUJBQUEsSUFBSSxFQUFBLENBQUMsYUFBYSxFQUFFLENBQUM7UUFDckIsT0FBTyxtQkFBQSxJQUFJLEVBQUEsQ0FBQztJQUNoQixDQUFDO0lBRUQ7OztPQUdHOzs7Ozs7OztJQUNLLDhDQUFpQjs7Ozs7OztJQUF6QixVQUEwQixRQUFvQjtRQUMxQyxJQUFJLFFBQVEsRUFBRTtZQUNWLElBQUksQ0FBQyxRQUFRLEdBQUcsUUFBUSxDQUFDLE9BQU8sQ0FBQztZQUNqQyxJQUFJLENBQUMsUUFBUSxHQUFHLENBQUMsUUFBUSxDQUFDLE9BQU8sSUFBSSxFQUFFLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLENBQUM7WUFDcEUsSUFBSSxDQUFDLE9BQU8sR0FBRyxDQUFDLFFBQVEsQ0FBQyxNQUFNLElBQUksRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxDQUFDO1lBQ2xFLElBQUksQ0FBQyxXQUFXLEdBQUcsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxFQUFFLEVBQUUsUUFBUSxDQUFDLFVBQVUsQ0FBQyxDQUFDO1NBQ3hEO2FBQU07WUFDSCxJQUFJLENBQUMsUUFBUSxHQUFHLEVBQUUsQ0FBQztZQUNuQixJQUFJLENBQUMsT0FBTyxHQUFHLEVBQUUsQ0FBQztZQUNsQixJQUFJLENBQUMsV0FBVyxHQUFHLEVBQUUsQ0FBQztTQUN6QjtJQUNMLENBQUM7SUFFRDs7Ozs7T0FLRzs7Ozs7Ozs7Ozs7SUFDSCxvQ0FBTzs7Ozs7Ozs7OztJQUFQLFVBQVEsUUFBcUM7UUFBN0MsaUJBcUJDO1FBcEJHLG1CQUFBLElBQUksRUFBQSxDQUFDLGtCQUFrQixFQUFFLENBQUM7UUFDMUIsSUFBSSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsbUJBQUEsSUFBSSxFQUFBLENBQUMsZUFBZSxDQUFDLEVBQUU7WUFDbEMsTUFBTSxJQUFJLEtBQUssQ0FBQyw2QkFBNkIsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLG1CQUFBLElBQUksRUFBQSxDQUFDLGVBQWUsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO1NBQzVGOztZQUNLLE9BQU8sR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLG1CQUFBLElBQUksRUFBQSxDQUFDLE1BQU0sQ0FBQztRQUNuQyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxnQkFBZ0IsQ0FBQyxRQUFRLEVBQUUsT0FBTyxDQUFDLENBQUM7UUFDekMsbUJBQUEsSUFBSSxFQUFBLENBQUMsd0JBQXdCLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO1FBQ3BELG1CQUFBLElBQUksRUFBQSxDQUFDLGlCQUFpQixDQUFDLFFBQVEsQ0FBQyxDQUFDOztZQUUzQixLQUFLLEdBQW9DLEVBQUU7UUFDakQsbUJBQUEsSUFBSSxFQUFBLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQztZQUNwQixLQUFnQixVQUFPLEVBQVAsbUJBQU8sRUFBUCxxQkFBTyxFQUFQLElBQU8sRUFBRTtnQkFBcEIsSUFBTSxDQUFDLGdCQUFBO2dCQUNSLEtBQUssQ0FBQyxDQUFDLENBQUMsR0FBRyxtQkFBQSxLQUFJLEVBQUEsQ0FBQyxVQUFVLENBQUMsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLElBQUksbUJBQUEsS0FBSSxFQUFBLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssRUFBRSxJQUFJLENBQUMsQ0FBQzthQUNsRjtRQUNMLENBQUMsQ0FBQyxDQUFDO1FBQ0gsbUJBQUEsSUFBSSxFQUFBLENBQUMsTUFBTSxHQUFHLEtBQUssQ0FBQzs7WUFDZCxNQUFNLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMsYUFBYSxFQUFFO1FBQ25DLG1CQUFBLElBQUksRUFBQSxDQUFDLE9BQU8sQ0FBQyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxxQkFBcUIsQ0FBQyxTQUFTLEVBQUUsY0FBTSxPQUFBLG1CQUFBLEtBQUksRUFBQSxDQUFDLHFCQUFxQixDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsRUFBdkMsQ0FBdUMsQ0FBQyxDQUFDO1FBQ2xHLG1CQUFBLElBQUksRUFBQSxDQUFDLGFBQWEsRUFBRSxDQUFDO1FBQ3JCLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQztJQUVEOzs7Ozs7O09BT0c7Ozs7Ozs7Ozs7O0lBQ0gsdUNBQVU7Ozs7Ozs7Ozs7SUFBVixVQUFXLE1BQWU7UUFDdEIsTUFBTSxHQUFHLE1BQU0sSUFBSSxhQUFhLENBQUM7UUFDakMsT0FBTyxJQUFJLENBQUMsY0FBYyxDQUFDLElBQUksQ0FDM0IsTUFBTSxDQUFDLFVBQUEsTUFBTSxJQUFJLE9BQUEsTUFBTSxDQUFDLGNBQWMsQ0FBQyxNQUFNLENBQUMsRUFBN0IsQ0FBNkIsQ0FBQyxFQUMvQyxHQUFHLENBQUMsVUFBQSxNQUFNLElBQUksT0FBQSxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQWQsQ0FBYyxDQUFDLEVBQzdCLG9CQUFvQixFQUFFLENBQUMsQ0FBQztJQUNoQyxDQUFDO0lBRUQ7OztPQUdHOzs7Ozs7SUFDSCxvQ0FBTzs7Ozs7SUFBUDtRQUNJLElBQUksSUFBSSxDQUFDLFNBQVMsRUFBRTtZQUNoQixPQUFPO1NBQ1Y7UUFDRCxJQUFJLENBQUMsU0FBUyxHQUFHLElBQUksQ0FBQztRQUN0QixJQUFJLENBQUMsd0JBQXdCLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztRQUNwRCxJQUFJLENBQUMscUJBQXFCLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDdEMsSUFBSSxDQUFDLGtCQUFrQixDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQ25DLElBQUksQ0FBQyxhQUFhLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDOUIsSUFBSSxDQUFDLGVBQWUsQ0FBQyxRQUFRLEVBQUUsQ0FBQztJQUNwQyxDQUFDO0lBRUQ7O09BRUc7Ozs7Ozs7O0lBQ0gseUNBQVk7Ozs7Ozs7SUFBWixVQUFhLE9BQXFEOztZQUN4RCxXQUFXLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMsU0FBUyxDQUFDLFlBQVk7UUFDL0MsSUFBSSxPQUFPLENBQUMsV0FBVyxFQUFFLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRTtZQUNwQyxNQUFNLElBQUksS0FBSyxDQUFDLDBCQUEwQixDQUFDLENBQUM7U0FDL0M7UUFDRCxXQUFXLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQzFCLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQztJQUVEOztPQUVHOzs7Ozs7OztJQUNILHdDQUFXOzs7Ozs7O0lBQVgsVUFBWSxPQUFxRDs7WUFDdkQsV0FBVyxHQUFHLG1CQUFBLElBQUksRUFBQSxDQUFDLFNBQVMsQ0FBQyxZQUFZO1FBQy9DLElBQUksT0FBTyxDQUFDLFdBQVcsRUFBRSxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUU7WUFDcEMsTUFBTSxJQUFJLEtBQUssQ0FBQyx1QkFBdUIsQ0FBQyxDQUFDO1NBQzVDO1FBQ0QsV0FBVyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUMxQixPQUFPLG1CQUFBLElBQUksRUFBQSxDQUFDO0lBQ2hCLENBQUM7SUFFRDs7T0FFRzs7Ozs7Ozs7SUFDSCwwQ0FBYTs7Ozs7OztJQUFiLFVBQWMsT0FBcUQ7O1lBQ3pELFdBQVcsR0FBRyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxTQUFTLENBQUMsWUFBWTtRQUMvQyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxTQUFTLENBQUMsWUFBWSxHQUFHLE9BQU8sQ0FBQyxXQUFXLEVBQUUsT0FBTyxDQUFDLENBQUM7UUFDNUQsT0FBTyxtQkFBQSxJQUFJLEVBQUEsQ0FBQztJQUNoQixDQUFDO0lBRUQ7O09BRUc7Ozs7Ozs7O0lBQ0gseUNBQVk7Ozs7Ozs7SUFBWixVQUFhLE9BQXFEOztZQUN4RCxXQUFXLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMsU0FBUyxDQUFDLFlBQVk7UUFDL0MsbUJBQUEsSUFBSSxFQUFBLENBQUMsU0FBUyxDQUFDLFlBQVksR0FBRyxPQUFPLENBQUMsV0FBVyxFQUFFLE9BQU8sQ0FBQyxDQUFDO1FBQzVELE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQztJQUVEOzs7OztPQUtHOzs7Ozs7Ozs7Ozs7SUFDSywyQ0FBYzs7Ozs7Ozs7Ozs7SUFBdEIsVUFBdUIsSUFBa0IsRUFDckMsWUFBOEMsRUFDOUMsT0FBYTs7WUFDUCxVQUFVLEdBQUcsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDOztZQUN0QyxRQUFRLEdBQVcsSUFBSTtRQUMzQixLQUFLLElBQUksQ0FBQyxHQUFHLFVBQVUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUU7WUFDN0MsS0FBa0IsVUFBMkIsRUFBM0IsS0FBQSxZQUFZLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQTNCLGNBQTJCLEVBQTNCLElBQTJCLEVBQUU7Z0JBQTFDLElBQU0sR0FBRyxTQUFBOztvQkFDSixJQUFJLEdBQUcsSUFBSSxDQUFDLFlBQVksQ0FBQyxHQUFHLENBQUM7Z0JBQ25DLElBQUksQ0FBQyxJQUFJLElBQUksSUFBSSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRTtvQkFDM0IsU0FBUztpQkFDWjtnQkFDRCxJQUFJLElBQUksQ0FBQyxLQUFLLElBQUksQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUUsT0FBTyxDQUFDLEVBQUU7b0JBQ25ELFFBQVEsR0FBRyxRQUFRLElBQUksR0FBRyxDQUFDO29CQUMzQixTQUFTO2lCQUNaO2dCQUNELE9BQU8sRUFBRSxJQUFJLEVBQUUsR0FBRyxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUUsQ0FBQzthQUN4QztTQUNKO1FBQ0QsT0FBTyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxDQUFDO0lBQzlDLENBQUM7SUFFRDs7OztPQUlHOzs7Ozs7Ozs7OztJQUNLLDJDQUFjOzs7Ozs7Ozs7O0lBQXRCLFVBQXVCLE1BQWMsRUFBRSxjQUFzQixFQUFFLE9BQWE7UUFBNUUsaUJBOENDOztZQTdDUyxJQUFJLEdBQUcsSUFBSSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUM7O1lBQzFCLFlBQVksR0FBRyxJQUFJLENBQUMsS0FBSzs7WUFDekIsSUFBSSxHQUFHLElBQUksQ0FBQyxZQUFZLENBQUMsY0FBYyxDQUFDOztZQUN4QyxFQUFFLEdBQUcsSUFBSSxDQUFDLEVBQUU7OztZQUdaLElBQUksR0FBRyxJQUFJLENBQUMsY0FBYyxDQUFDOztZQUMzQixVQUFVLEdBQUcsSUFBSSxDQUFDLFdBQVcsQ0FBQyxLQUFLLEVBQUU7O1lBQ3JDLFNBQVMsR0FBb0I7WUFDL0IsVUFBVSxFQUFFLGNBQWM7WUFDMUIsSUFBSSxFQUFFLFlBQVk7WUFDbEIsRUFBRSxFQUFFLEVBQUU7WUFDTixNQUFNLEVBQUUsTUFBTTtZQUNkLEtBQUssRUFBRSxJQUFJLENBQUMsS0FBSztZQUNqQixPQUFPLEVBQUUsT0FBTztZQUNoQixPQUFPLEVBQUUsSUFBSSxDQUFDLFFBQVE7U0FDekI7O1lBQ0ssR0FBRyxHQUFHLGNBQU0sT0FBQSxnQkFBZ0IsQ0FBQyxVQUFVLEVBQUUsU0FBUyxFQUFFLFVBQUMsSUFBSSxJQUFLLE9BQUEsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsSUFBSSxDQUFDLEVBQXJCLENBQXFCLENBQUMsRUFBeEUsQ0FBd0U7UUFDMUYsSUFBSSxDQUFDLGVBQWUsQ0FBQyxNQUFNLENBQUMsR0FBRyxJQUFJLENBQUM7UUFDcEMsSUFBSSxDQUFDLElBQUksQ0FBQyxVQUFVLEVBQUU7WUFDbEIsSUFBSTtnQkFDQSxJQUFJLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQzthQUNoQztvQkFBUztnQkFDTixPQUFPLElBQUksQ0FBQyxlQUFlLENBQUMsTUFBTSxDQUFDLENBQUM7Z0JBQ3BDLElBQUksQ0FBQyxhQUFhLENBQUMsTUFBTSxDQUFDLENBQUM7YUFDOUI7WUFDRCxPQUFPLElBQUksQ0FBQztTQUNmOztZQUVLLE1BQU0sR0FBRztZQUNYLE9BQU8sS0FBSSxDQUFDLGVBQWUsQ0FBQyxNQUFNLENBQUMsQ0FBQztZQUNwQyxLQUFJLENBQUMsYUFBYSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQzNCLE9BQU8sbUJBQVEsSUFBSSxDQUFDLEtBQUssRUFBQSxDQUFDO1FBQzlCLENBQUM7UUFDRCx1REFBdUQ7UUFDdkQsT0FBTyxJQUFJLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxjQUFNLE9BQUEsT0FBTyxDQUFDLE9BQU8sRUFBRTthQUNqRCxJQUFJLENBQUMsR0FBRyxDQUFDO2FBQ1QsSUFBSSxDQUFDLElBQUksRUFBRSxVQUFDLEtBQUs7WUFDZCx1Q0FBdUM7WUFDdkMsS0FBSSxDQUFDLFdBQVcsQ0FBQyxjQUFjLEVBQUUsWUFBWSxFQUFFLEVBQUUsRUFBRSxLQUFLLENBQUMsQ0FBQztRQUM5RCxDQUFDLENBQUM7YUFDRCxJQUFJLENBQUMsTUFBTSxFQUFFLFVBQUMsS0FBSztZQUNoQixNQUFNLEVBQUUsQ0FBQztZQUNULE1BQU0sS0FBSyxDQUFDO1FBQ2hCLENBQUMsQ0FBQyxFQVQrQixDQVMvQixDQUFDLENBQUM7SUFDWixDQUFDO0lBRUQ7Ozs7T0FJRzs7Ozs7Ozs7O0lBQ0ssMENBQWE7Ozs7Ozs7O0lBQXJCLFVBQXNCLE1BQWM7UUFBcEMsaUJBU0M7O1lBUlMsS0FBSyxHQUFHLElBQUksQ0FBQyxjQUFjLENBQUMsTUFBTSxDQUFDO1FBQ3pDLE9BQU8sSUFBSSxDQUFDLGNBQWMsQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUNuQyxJQUFJLENBQUMsS0FBSyxJQUFJLElBQUksQ0FBQyxTQUFTLEVBQUU7WUFDMUIsT0FBTztTQUNWOztZQUNLLE1BQU0sR0FBRyxJQUFJLENBQUMsYUFBYSxFQUFFO1FBQ25DLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLHFCQUFxQixDQUFDLFNBQVMsRUFBRSxjQUFNLE9BQUEsS0FBSSxDQUFDLHFCQUFxQixDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsRUFBdkMsQ0FBdUMsQ0FBQyxDQUFDO1FBQ2xHLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLGtCQUFrQixDQUFDLFNBQVMsRUFBRSxjQUFNLE9BQUEsS0FBSSxDQUFDLGtCQUFrQixDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBbkMsQ0FBbUMsQ0FBQyxDQUFDO0lBQy9GLENBQUM7SUFFRDs7T0FFRzs7Ozs7Ozs7SUFDSCw0Q0FBZTs7Ozs7OztJQUFmLFVBQWdCLE9BQTREOztZQUNsRSxXQUFXLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMsU0FBUyxDQUFDLGVBQWU7UUFDbEQsSUFBSSxPQUFPLENBQUMsV0FBVyxFQUFFLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRTtZQUNwQyxNQUFNLElBQUksS0FBSyxDQUFDLDBCQUEwQixDQUFDLENBQUM7U0FDL0M7UUFDRCxXQUFXLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQzFCLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQztJQUVEOztPQUVHOzs7Ozs7OztJQUNILDZDQUFnQjs7Ozs7OztJQUFoQixVQUFpQixPQUE0RDs7WUFDbkUsV0FBVyxHQUFHLG1CQUFBLElBQUksRUFBQSxDQUFDLFNBQVMsQ0FBQyxlQUFlO1FBQ2xELG1CQUFBLElBQUksRUFBQSxDQUFDLFNBQVMsQ0FBQyxlQUFlLEdBQUcsT0FBTyxDQUFDLFdBQVcsRUFBRSxPQUFPLENBQUMsQ0FBQztRQUMvRCxPQUFPLG1CQUFBLElBQUksRUFBQSxDQUFDO0lBQ2hCLENBQUM7SUFFRDs7Ozs7Ozs7O09BU0c7Ozs7Ozs7Ozs7Ozs7OztJQUNILGdDQUFHOzs7Ozs7Ozs7Ozs7OztJQUFILFVBQUksVUFBb0Q7UUFDcEQsSUFBSSxPQUFPLENBQUMsbUJBQUEsSUFBSSxFQUFBLENBQUMsV0FBVyxFQUFFLFVBQVUsQ0FBQyxJQUFJLENBQUMsRUFBRTtZQUM1QyxNQUFNLElBQUksS0FBSyxDQUFDLDhCQUE4QixDQUFDLENBQUM7U0FDbkQ7UUFDRCxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDO1FBQ2xDLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQztJQUVEOztPQUVHOzs7Ozs7OztJQUNILGtDQUFLOzs7Ozs7O0lBQUwsVUFBTSxVQUFvRDtRQUN0RCxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxXQUFXLEdBQUcsT0FBTyxDQUFDLG1CQUFBLElBQUksRUFBQSxDQUFDLFdBQVcsRUFBRSxVQUFVLENBQUMsQ0FBQztRQUN6RCxPQUFPLG1CQUFBLElBQUksRUFBQSxDQUFDO0lBQ2hCLENBQUM7Ozs7OztJQWVELCtCQUFFOzs7OztJQUFGLFVBQUcsRUFBVSxFQUFFLE9BQWE7UUFDeEIsSUFBSSxDQUFDLGtCQUFrQixFQUFFLENBQUM7O1lBRXBCLFNBQVMsR0FBRyxJQUFJLENBQUMsbUJBQW1COztZQUNwQyxNQUFNLEdBQUcsU0FBUyxDQUFDLEVBQUUsQ0FBQyxJQUFJLElBQUksQ0FBQyxxQkFBcUIsQ0FBQyxFQUFFLENBQUM7UUFDOUQsSUFBSSxDQUFDLE1BQU0sRUFBRTtZQUNULE1BQU0sSUFBSSxLQUFLLENBQUMseUJBQXlCLEdBQUcsRUFBRSxDQUFDLENBQUM7U0FDbkQ7OztZQUVLLE1BQU0sR0FBRyxNQUFNLENBQUMsTUFBTTs7WUFDdEIsSUFBSSxHQUFHLElBQUksQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDOztZQUMxQixZQUFZLEdBQUcsbUJBQVEsSUFBSSxDQUFDLEtBQUssRUFBQTtRQUN2QyxJQUFJLElBQUksQ0FBQyxlQUFlLENBQUMsTUFBTSxDQUFDLEVBQUU7WUFDOUIsTUFBTSxJQUFJLEtBQUssQ0FBQyw2QkFBNkIsR0FBRyxZQUFZLEdBQUcsTUFBTSxHQUFHLEVBQUUsQ0FBQyxDQUFDO1NBQy9FOztZQUNLLE1BQU0sR0FBRyxJQUFJLENBQUMsY0FBYyxDQUFDLElBQUksRUFBRSxVQUFDLElBQUk7WUFDMUMsT0FBTyxDQUFDLFVBQVUsQ0FBQyxtQkFBbUIsRUFBRSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQztRQUNyRSxDQUFDLEVBQUUsT0FBTyxDQUFDO1FBQ1gsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLElBQUksTUFBTSxDQUFDLFFBQVEsRUFBRTtZQUNqQyxJQUFJLENBQUMsV0FBVyxDQUFDLE1BQU0sQ0FBQyxRQUFRLEVBQUUsWUFBWSxFQUFFLEVBQUUsQ0FBQyxDQUFDO1lBQ3BELE9BQU8sSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO1NBQ2pFO1FBQ0QsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLElBQUksU0FBUyxDQUFDLEVBQUUsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQyxFQUFFLEVBQUUsQ0FBQyxJQUFJLENBQUMsRUFBRTtZQUM5RSx5REFBeUQ7WUFDekQsd0NBQXdDO1lBQ3hDLElBQUksSUFBSSxDQUFDLGdCQUFnQixLQUFLLE9BQU8sRUFBRTtnQkFDbkMsTUFBTSxJQUFJLEtBQUssQ0FBQyxvQkFBb0IsR0FBRyxFQUFFLENBQUMsQ0FBQzthQUM5QztZQUNELE9BQU8sSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO1NBQ2pFO1FBQ0QsZ0RBQWdEO1FBQ2hELElBQUksQ0FBQyxNQUFNLENBQUMsSUFBSSxFQUFFO1lBQ2QsTUFBTSxJQUFJLEtBQUssQ0FBQyw2QkFBNkIsR0FBRyxZQUFZLEdBQUcsTUFBTSxHQUFHLEVBQUUsQ0FBQyxDQUFDO1NBQy9FO1FBRUQsT0FBTyxJQUFJLENBQUMsY0FBYyxDQUFDLE1BQU0sRUFBRSxNQUFNLENBQUMsSUFBSSxFQUFFLE9BQU8sQ0FBQyxDQUFDO0lBQzdELENBQUM7Ozs7OztJQVVELGlDQUFJOzs7OztJQUFKLFVBQUssU0FBaUIsRUFBRSxPQUFhO1FBQ2pDLElBQUksQ0FBQyxrQkFBa0IsRUFBRSxDQUFDOztZQUVwQixVQUFVLEdBQUcsSUFBSSxDQUFDLG1CQUFtQixDQUFDLFNBQVMsQ0FBQztRQUN0RCxJQUFJLENBQUMsVUFBVSxFQUFFO1lBQ2IsTUFBTSxJQUFJLEtBQUssQ0FBQyx3QkFBd0IsR0FBRyxTQUFTLENBQUMsQ0FBQztTQUN6RDs7WUFDSyxjQUFjLEdBQUcsSUFBSSxDQUFDLHdCQUF3Qjs7WUFDOUMsU0FBUyxHQUFHLElBQUksQ0FBQyxtQkFBbUI7O1lBQ3BDLE9BQU8sR0FBOEIsRUFBRTs7WUFDekMsUUFBUSxHQUFXLElBQUk7Z0NBQ2hCLE1BQU07WUFDYixJQUFJLE9BQUssTUFBTSxDQUFDLGNBQWMsQ0FBQyxNQUFNLENBQUMsRUFBRTs7b0JBQzlCLElBQUksR0FBRyxPQUFLLE1BQU0sQ0FBQyxNQUFNLENBQUM7Z0JBQ2hDLElBQUksT0FBSyxlQUFlLENBQUMsTUFBTSxDQUFDLEVBQUU7b0JBQzlCLE1BQU0sSUFBSSxLQUFLLENBQUMsNkJBQTZCLEdBQUcsSUFBSSxDQUFDLEtBQUssR0FBRyxNQUFNLEdBQUcsU0FBUyxDQUFDLENBQUM7aUJBQ3BGOztvQkFDSyxNQUFNLEdBQUcsT0FBSyxjQUFjLENBQUMsSUFBSSxFQUFFLFVBQUMsSUFBSTtvQkFDMUMsT0FBTyxDQUFDLENBQUMsTUFBTSxDQUFDLFVBQVUsRUFBRSxVQUFDLEdBQUc7d0JBQzVCLE9BQU8sY0FBYyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksS0FBSyxJQUFJLElBQUksU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sS0FBSyxNQUFNLENBQUM7b0JBQ2xGLENBQUMsQ0FBQyxDQUFDO2dCQUNQLENBQUMsRUFBRSxPQUFPLENBQUM7Z0JBQ1gsSUFBSSxNQUFNLENBQUMsSUFBSSxFQUFFO29CQUNiLE9BQU8sQ0FBQyxNQUFNLENBQUMsR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDO2lCQUNqQztnQkFDRCxRQUFRLEdBQUcsUUFBUSxJQUFJLE1BQU0sQ0FBQyxRQUFRLENBQUM7YUFDMUM7OztRQWZMLEtBQUssSUFBTSxNQUFNLElBQUksSUFBSSxDQUFDLE1BQU07b0JBQXJCLE1BQU07U0FnQmhCO1FBRUQsSUFBSSxDQUFDLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxFQUFFO1lBQ3BCLElBQUksUUFBUSxFQUFFO2dCQUNWLElBQUksQ0FBQyxXQUFXLENBQUMsU0FBUyxFQUFFLGNBQWMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxJQUFJLEVBQUUsY0FBYyxDQUFDLFFBQVEsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDO2FBQzNGO2lCQUFNOzs7b0JBRUcsTUFBTSxHQUFHLFNBQVMsQ0FBQyxjQUFjLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTTtnQkFDbkUsSUFBSSxDQUFDLFdBQVcsQ0FBQyxTQUFTLEVBQUUsSUFBSSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxLQUFLLEVBQUUsSUFBSSxDQUFDLENBQUM7YUFDaEU7WUFDRCxPQUFPLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztTQUN2RDs7WUFFSyxRQUFRLEdBQTJCLEVBQUU7UUFDM0MsS0FBSyxJQUFNLE1BQU0sSUFBSSxPQUFPLEVBQUU7WUFDMUIsSUFBSSxPQUFPLENBQUMsY0FBYyxDQUFDLE1BQU0sQ0FBQyxFQUFFOztvQkFDMUIsT0FBTyxHQUFHLElBQUksQ0FBQyxjQUFjLENBQUMsTUFBTSxFQUFFLE9BQU8sQ0FBQyxNQUFNLENBQUMsRUFBRSxPQUFPLENBQUM7Z0JBQ3JFLElBQUksSUFBSSxDQUFDLFVBQVUsRUFBRTtvQkFDakIsUUFBUSxDQUFDLElBQUksQ0FBQyxtQkFBaUIsT0FBTyxFQUFBLENBQUMsQ0FBQztpQkFDM0M7YUFDSjtTQUNKO1FBQ0QsT0FBTyxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7SUFDMUQsQ0FBQztJQUVEOzs7T0FHRzs7Ozs7Ozs7SUFDSCxnQ0FBRzs7Ozs7OztJQUFILFVBQUksRUFBVSxFQUFFLE9BQWE7UUFDekIsSUFBSSxDQUFDLGtCQUFrQixFQUFFLENBQUM7O1lBRXBCLFNBQVMsR0FBRyxJQUFJLENBQUMsbUJBQW1COztZQUNwQyxNQUFNLEdBQUcsU0FBUyxDQUFDLEVBQUUsQ0FBQyxJQUFJLElBQUksQ0FBQyxxQkFBcUIsQ0FBQyxFQUFFLENBQUM7UUFDOUQsSUFBSSxDQUFDLE1BQU0sRUFBRTtZQUNULE9BQU8sS0FBSyxDQUFDO1NBQ2hCOztZQUNLLElBQUksR0FBRyxJQUFJLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUM7UUFDdkMsT0FBTyxDQUFDLENBQUMsSUFBSSxDQUFDLGNBQWMsQ0FBQyxJQUFJLEVBQUUsVUFBQyxJQUFJO1lBQ3BDLE9BQU8sQ0FBQyxVQUFVLENBQUMsbUJBQW1CLEVBQUUsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUM7UUFDckUsQ0FBQyxFQUFFLE9BQU8sQ0FBQyxDQUFDLElBQUksQ0FBQztJQUNyQixDQUFDO0lBRUQ7O09BRUc7Ozs7O0lBQ0gsb0NBQU87Ozs7SUFBUDtRQUNJLE9BQU8sbUJBQThCLElBQUksQ0FBQyxRQUFRLENBQUMsS0FBSyxFQUFFLEVBQUEsQ0FBQztJQUMvRCxDQUFDO0lBRUQ7Ozs7O09BS0c7Ozs7Ozs7Ozs7O0lBQ0ssK0NBQWtCOzs7Ozs7Ozs7O0lBQTFCLFVBQTJCLElBQWtCLEVBQUUsS0FBb0I7O1lBQ3pELElBQUksR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDLEtBQUssQ0FBQyxVQUFVLENBQUM7O1lBQzFDLEVBQUUsR0FBRyxJQUFJLElBQUksQ0FBQyxJQUFJLENBQUMsWUFBWSxJQUFJLElBQUksQ0FBQyxJQUFJLENBQUM7O1lBQzdDLFVBQVUsR0FBRyxJQUFJLENBQUMsbUJBQW1CLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRTtRQUNsRixPQUFPLElBQUksQ0FBQyxjQUFjLENBQUMsSUFBSSxFQUFFLFVBQUMsSUFBSTtZQUNsQyxPQUFPLEVBQUUsSUFBSSxPQUFPLENBQUMsVUFBVSxFQUFFLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsbUJBQW1CLEVBQUUsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztRQUNqSCxDQUFDLEVBQUUsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBQ3RCLENBQUM7SUFFRDs7T0FFRzs7Ozs7Ozs7SUFDSywrQ0FBa0I7Ozs7Ozs7SUFBMUIsVUFBMkIsSUFBa0IsRUFBRSxLQUFvQjs7WUFDekQsSUFBSSxHQUFHLElBQUksQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLFVBQVUsQ0FBQztRQUNoRCxPQUFPLElBQUksQ0FBQyxjQUFjLENBQUMsSUFBSSxFQUFFLFVBQUMsSUFBSTtZQUNsQyxPQUFPLElBQUksSUFBSSxJQUFJLENBQUMsSUFBSSxLQUFLLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztRQUNoRSxDQUFDLEVBQUUsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBQ3RCLENBQUM7SUFFRDs7O09BR0c7Ozs7Ozs7OztJQUNLLG1DQUFNOzs7Ozs7OztJQUFkLFVBQWUsSUFBWSxFQUFFLEtBQW9CO1FBQWpELGlCQWlDQzs7WUFoQ1MsTUFBTSxHQUFHLEtBQUssQ0FBQyxNQUFNOztZQUNyQixJQUFJLEdBQUcsSUFBSSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUM7O1lBQzFCLFlBQVksR0FBRyxtQkFBUSxJQUFJLENBQUMsS0FBSyxFQUFBO1FBQ3ZDLElBQUksSUFBSSxDQUFDLGVBQWUsQ0FBQyxNQUFNLENBQUMsRUFBRTtZQUM5QixNQUFNLElBQUksS0FBSyxDQUFDLDZCQUE2QixHQUFHLFlBQVksR0FBRyxNQUFNLEdBQUcsSUFBSSxDQUFDLENBQUM7U0FDakY7O1lBQ0ssTUFBTSxHQUFHLElBQUksS0FBSyxNQUFNLENBQUMsQ0FBQztZQUM1QixJQUFJLENBQUMsa0JBQWtCLENBQUMsSUFBSSxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUM7WUFDdEMsSUFBSSxDQUFDLGtCQUFrQixDQUFDLElBQUksRUFBRSxLQUFLLENBQUM7UUFDeEMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLElBQUksTUFBTSxDQUFDLFFBQVEsRUFBRTtZQUNqQyxJQUFJLENBQUMsV0FBVyxDQUFDLE1BQU0sQ0FBQyxRQUFRLEVBQUUsWUFBWSxFQUFFLElBQUksQ0FBQyxZQUFZLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1lBQ3ZGLE9BQU8sSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO1NBQ2pFO1FBQ0QsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLEVBQUU7WUFDZCxNQUFNLElBQUksS0FBSyxDQUFDLHVCQUF1QixHQUFHLENBQUMsSUFBSSxLQUFLLE1BQU0sQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsR0FBRyxJQUFJLEdBQUcsS0FBSyxDQUFDLFVBQVUsQ0FBQyxDQUFDO1NBQ2hIO1FBRUQsSUFBSSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsR0FBRyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDO1FBQ3JELElBQUksQ0FBQyxJQUFJLENBQUMsVUFBVSxFQUFFO1lBQ2xCLElBQUk7Z0JBQ0EsT0FBTyxJQUFJLENBQUMsY0FBYyxDQUFDLE1BQU0sRUFBRSxNQUFNLENBQUMsSUFBSSxFQUFFLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQzthQUNsRTtvQkFBUztnQkFDTixPQUFPLElBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUM7YUFDaEM7U0FDSjtRQUNELE9BQU8sQ0FBQyxtQkFBaUIsSUFBSSxDQUFDLGNBQWMsQ0FBQyxNQUFNLEVBQUUsTUFBTSxDQUFDLElBQUksRUFBRSxLQUFLLENBQUMsT0FBTyxDQUFDLEVBQUEsQ0FBQyxDQUFDLElBQUksQ0FBQyxVQUFDLEtBQUs7WUFDekYsT0FBTyxLQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQzdCLE9BQU8sS0FBSyxDQUFDO1FBQ2pCLENBQUMsRUFBRSxVQUFDLEtBQUs7WUFDTCxPQUFPLEtBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUM7WUFDN0IsTUFBTSxLQUFLLENBQUM7UUFDaEIsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDOzs7O0lBV0QsaUNBQUk7OztJQUFKO1FBQ0ksSUFBSSxDQUFDLGtCQUFrQixFQUFFLENBQUM7UUFDMUIsSUFBSSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxFQUFFO1lBQ3ZCLE1BQU0sSUFBSSxLQUFLLENBQUMsa0JBQWtCLENBQUMsQ0FBQztTQUN2QztRQUNELE9BQU8sSUFBSSxDQUFDLE1BQU0sQ0FBQyxNQUFNLEVBQUUsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3hFLENBQUM7Ozs7SUFRRCxpQ0FBSTs7O0lBQUo7UUFDSSxJQUFJLENBQUMsa0JBQWtCLEVBQUUsQ0FBQztRQUMxQixJQUFJLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUU7WUFDdEIsTUFBTSxJQUFJLEtBQUssQ0FBQyxrQkFBa0IsQ0FBQyxDQUFDO1NBQ3ZDO1FBQ0QsT0FBTyxJQUFJLENBQUMsTUFBTSxDQUFDLE1BQU0sRUFBRSxJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDdEUsQ0FBQztJQUVEOztPQUVHOzs7OztJQUNILG9DQUFPOzs7O0lBQVA7UUFDSSxJQUFJLENBQUMsa0JBQWtCLEVBQUUsQ0FBQzs7WUFDcEIsS0FBSyxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDO1FBQ3JELE9BQU8sQ0FBQyxDQUFDLEtBQUssSUFBSSxDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQztZQUNqRCxDQUFDLENBQUMsSUFBSSxDQUFDLGtCQUFrQixDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQztJQUN6RSxDQUFDO0lBRUQ7O09BRUc7Ozs7O0lBQ0gsb0NBQU87Ozs7SUFBUDtRQUNJLElBQUksQ0FBQyxrQkFBa0IsRUFBRSxDQUFDOztZQUNwQixLQUFLLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUM7UUFDbkQsT0FBTyxDQUFDLENBQUMsS0FBSyxJQUFJLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDO1lBQ2pELENBQUMsQ0FBQyxJQUFJLENBQUMsa0JBQWtCLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDO0lBQ3pFLENBQUM7SUFFRDs7O09BR0c7Ozs7OztJQUNILG1DQUFNOzs7OztJQUFOO1FBQ0ksSUFBSSxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUU7WUFDZCxPQUFPLGFBQWEsQ0FBQztTQUN4QjtRQUNELE9BQU8sQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsZUFBZSxDQUFDO0lBQ3RFLENBQUM7SUFFRDs7Ozs7T0FLRzs7Ozs7Ozs7SUFDSCxxQ0FBUTs7Ozs7OztJQUFSO1FBQ0ksSUFBSSxDQUFDLGtCQUFrQixFQUFFLENBQUM7UUFDMUIsSUFBSSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxFQUFFO1lBQ2xDLE1BQU0sSUFBSSxLQUFLLENBQUMsNkJBQTZCLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7U0FDNUY7UUFDRCxPQUFPLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQztZQUM3QixPQUFPLEVBQUUsZUFBZTtZQUN4QixLQUFLLEVBQUUsSUFBSSxDQUFDLGFBQWEsRUFBRTtZQUMzQixPQUFPLEVBQUUsSUFBSSxDQUFDLFFBQVE7WUFDdEIsT0FBTyxFQUFFLElBQUksQ0FBQyxRQUFRO1lBQ3RCLE1BQU0sRUFBRSxJQUFJLENBQUMsT0FBTztZQUNwQixVQUFVLEVBQUUsSUFBSSxDQUFDLFdBQVc7U0FDL0IsQ0FBQyxDQUFDLENBQUM7SUFDUixDQUFDO0lBRUQ7O09BRUc7Ozs7O0lBQ0gsdUNBQVU7Ozs7SUFBVjtRQUNJLE9BQU8sSUFBSSxDQUFDLFFBQVEsQ0FBQztJQUN6QixDQUFDO0lBRUQ7O09BRUc7Ozs7Ozs7O0lBQ0gsNENBQWU7Ozs7Ozs7SUFBZixVQUFnQixFQUFvQjtRQUNoQyxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxvQkFBb0IsRUFBRSxDQUFDO1FBRTVCLG1CQUFBLElBQUksRUFBQSxDQUFDLGFBQWEsR0FBRyxFQUFFLENBQUM7UUFFeEIsT0FBTyxtQkFBQSxJQUFJLEVBQUEsQ0FBQztJQUNoQixDQUFDO0lBRUQ7Ozs7T0FJRzs7Ozs7Ozs7SUFDSCxvQ0FBTzs7Ozs7OztJQUFQLFVBQVEsTUFBZTtRQUNuQixJQUFJLENBQUMsa0JBQWtCLEVBQUUsQ0FBQztRQUMxQixPQUFPLG1CQUFRLElBQUksQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxFQUFBLENBQUM7SUFDN0MsQ0FBQztJQUVEOzs7T0FHRzs7Ozs7OztJQUNILHdDQUFXOzs7Ozs7SUFBWCxVQUFZLE1BQWU7UUFDdkIsSUFBSSxDQUFDLGtCQUFrQixFQUFFLENBQUM7UUFDMUIsT0FBTyxtQkFBZSxJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxDQUFDLEVBQUEsQ0FBQztJQUNqRSxDQUFDO0lBRUQ7OztPQUdHOzs7Ozs7SUFDSCwwQ0FBYTs7Ozs7SUFBYjtRQUNJLElBQUksQ0FBQyxrQkFBa0IsRUFBRSxDQUFDOztZQUNwQixNQUFNLEdBQThCLEVBQUU7UUFDNUMsS0FBSyxJQUFNLENBQUMsSUFBSSxJQUFJLENBQUMsTUFBTSxFQUFFO1lBQ3pCLElBQUksSUFBSSxDQUFDLE1BQU0sQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLEVBQUU7Z0JBQy9CLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxtQkFBUSxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssRUFBQSxDQUFDO2FBQzVDO1NBQ0o7UUFDRCxPQUFPLE1BQU0sQ0FBQztJQUNsQixDQUFDO0lBRUQ7OztPQUdHOzs7Ozs7O0lBQ0gscUNBQVE7Ozs7OztJQUFSLFVBQVMsSUFBWTtRQUNqQixPQUFPLE9BQU8sQ0FBQyxJQUFJLENBQUMsWUFBWSxFQUFFLEVBQUUsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO0lBQ25ELENBQUM7SUFFRDs7Ozs7O09BTUc7Ozs7Ozs7Ozs7SUFDSCx5Q0FBWTs7Ozs7Ozs7O0lBQVosVUFBYSxlQUF3Qzs7WUFDM0MsTUFBTSxHQUE4QixFQUFFOztZQUN0QyxVQUFVLEdBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQyxlQUFlLElBQUksSUFBSSxDQUFDLGdCQUFnQixJQUFJLEVBQUUsRUFBRSxNQUFNLENBQUM7UUFDeEYsSUFBSSxNQUFNLENBQUMsTUFBTSxFQUFFO1lBQ2YsTUFBTSxJQUFJLGVBQWUsQ0FBQyxNQUFNLENBQUMsQ0FBQztTQUNyQztRQUNELE9BQU8sVUFBVSxDQUFDO0lBQ3RCLENBQUM7SUFFRDs7OztPQUlHOzs7Ozs7Ozs7O0lBQ0sscUNBQVE7Ozs7Ozs7OztJQUFoQixVQUFpQixlQUF1QyxFQUFFLE1BQWlDOztZQUNqRixNQUFNLEdBQUcsVUFBQyxFQUFPLEVBQUUsSUFBWTtZQUNqQyxJQUFJLENBQUMsRUFBRSxFQUFFO2dCQUNMLE9BQU8sU0FBUyxDQUFDO2FBQ3BCOztnQkFDSyxJQUFJLEdBQUcsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxlQUFlLEVBQUUsVUFBQyxDQUFDLElBQUssT0FBQSxDQUFDLEtBQUssRUFBRSxFQUFSLENBQVEsQ0FBQztZQUN4RCxJQUFJLENBQUMsSUFBSSxFQUFFO2dCQUNQLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRSx3QkFBd0IsRUFBRSxDQUFDLENBQUM7Z0JBQy9ELE9BQU8sRUFBRSxDQUFDLElBQUksSUFBSSxXQUFXLENBQUM7YUFDakM7WUFDRCxPQUFPLElBQUksQ0FBQztRQUNoQixDQUFDOzs7WUFFSyxPQUFPLEdBQUcsVUFBQyxHQUFRLElBQUssT0FBQSxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUMsV0FBVyxDQUFDLEVBQTFCLENBQTBCOztZQUVsRCxVQUFVLEdBQUcsSUFBSSxDQUFDLG9CQUFvQjs7WUFDdEMsT0FBTyxHQUFlLEVBQUU7UUFDOUIsS0FBSyxJQUFNLEVBQUUsSUFBSSxVQUFVLEVBQUU7WUFDekIsSUFBSSxVQUFVLENBQUMsY0FBYyxDQUFDLEVBQUUsQ0FBQyxFQUFFO2dCQUMvQixPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxPQUFPLEVBQUUsVUFBVSxDQUFDLEVBQUUsQ0FBQyxDQUFDLFNBQVMsRUFBRSxDQUFDLENBQUM7YUFDakU7U0FDSjs7WUFFSyxTQUFTLEdBQUcsSUFBSSxDQUFDLG1CQUFtQjs7WUFDcEMsTUFBTSxHQUFlLEVBQUU7UUFDN0IsS0FBSyxJQUFNLEVBQUUsSUFBSSxTQUFTLEVBQUU7WUFDeEIsSUFBSSxTQUFTLENBQUMsY0FBYyxDQUFDLEVBQUUsQ0FBQyxFQUFFOztvQkFDeEIsS0FBSyxHQUFHLFNBQVMsQ0FBQyxFQUFFLENBQUM7O29CQUNyQixLQUFLLEdBQUcsVUFBVSxHQUFHLE1BQU0sQ0FBQyxNQUFNO2dCQUN4QyxNQUFNLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQztvQkFDaEIsSUFBSSxFQUFFLEVBQUU7b0JBQ1IsTUFBTSxFQUFFLEtBQUssQ0FBQyxNQUFNO29CQUNwQixPQUFPLEVBQUUsS0FBSyxDQUFDLE9BQU87O29CQUV0QixNQUFNLEVBQUUsS0FBSyxDQUFDLE1BQU0sSUFBSSxLQUFLLENBQUMsTUFBTSxLQUFLLGFBQWEsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsTUFBTTtvQkFDakYsS0FBSyxFQUFFLEtBQUssQ0FBQyxLQUFLLElBQUksU0FBUztvQkFDL0IsT0FBTyxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsZUFBZSxFQUFFLEtBQUssR0FBRyxVQUFVLENBQUM7b0JBQzFELE9BQU8sRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDLGVBQWUsRUFBRSxLQUFLLEdBQUcsVUFBVSxDQUFDO2lCQUM3RCxDQUFDLENBQUMsQ0FBQzthQUNQO1NBQ0o7O1lBRUssV0FBVyxHQUFHLElBQUksQ0FBQyxxQkFBcUI7O1lBQ3hDLGFBQWEsR0FBZSxFQUFFO1FBQ3BDLEtBQUssSUFBTSxFQUFFLElBQUksV0FBVyxFQUFFO1lBQzFCLElBQUksV0FBVyxDQUFDLGNBQWMsQ0FBQyxFQUFFLENBQUMsRUFBRTtnQkFDaEMsYUFBYSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUM7b0JBQ3ZCLElBQUksRUFBRSxFQUFFO29CQUNSLE1BQU0sRUFBRSxXQUFXLENBQUMsRUFBRSxDQUFDLENBQUMsTUFBTTtvQkFDOUIsSUFBSSxFQUFFLFdBQVcsQ0FBQyxFQUFFLENBQUMsQ0FBQyxJQUFJLElBQUksU0FBUztvQkFDdkMsYUFBYSxFQUFFLFdBQVcsQ0FBQyxFQUFFLENBQUMsQ0FBQyxhQUFhO2lCQUMvQyxDQUFDLENBQUMsQ0FBQzthQUNQO1NBQ0o7O1lBRUssY0FBYyxHQUFHLElBQUksQ0FBQyx3QkFBd0I7O1lBQzlDLFdBQVcsR0FBZSxFQUFFO1FBQ2xDLEtBQUssSUFBTSxFQUFFLElBQUksY0FBYyxFQUFFO1lBQzdCLElBQUksY0FBYyxDQUFDLGNBQWMsQ0FBQyxFQUFFLENBQUMsRUFBRTs7b0JBQzdCLEtBQUssR0FBRyxjQUFjLENBQUMsRUFBRSxDQUFDOztvQkFDMUIsS0FBSyxHQUFHLGVBQWUsR0FBRyxXQUFXLENBQUMsTUFBTTs7b0JBQzlDLE1BQU0sR0FBUSxLQUFLLENBQUMsTUFBTTtnQkFDOUIsSUFBSSxPQUFPLE1BQU0sS0FBSyxVQUFVLEVBQUU7b0JBQzlCLE1BQU0sR0FBRyxNQUFNLENBQUMsTUFBTSxFQUFFLEtBQUssR0FBRyxTQUFTLENBQUMsQ0FBQztpQkFDOUM7cUJBQU0sSUFBSSxNQUFNLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUUsVUFBQyxDQUFDLElBQUssT0FBQSxPQUFPLENBQUMsS0FBSyxVQUFVLEVBQXZCLENBQXVCLENBQUMsRUFBRTtvQkFDakUsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxLQUFLLEdBQUcsU0FBUyxFQUFFLE9BQU8sRUFBRSx3QkFBd0IsRUFBRSxDQUFDLENBQUM7aUJBQy9FO2dCQUNELFdBQVcsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDO29CQUNyQixJQUFJLEVBQUUsS0FBSyxDQUFDLElBQUk7b0JBQ2hCLEVBQUUsRUFBRSxLQUFLLENBQUMsRUFBRTtvQkFDWixLQUFLLEVBQUUsS0FBSyxDQUFDLEtBQUs7b0JBQ2xCLEtBQUssRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDLEtBQUssRUFBRSxLQUFLLEdBQUcsUUFBUSxDQUFDO29CQUM1QyxRQUFRLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxnQkFBZ0IsRUFBRSxLQUFLLEdBQUcsV0FBVyxDQUFDO29CQUM3RCxPQUFPLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxlQUFlLEVBQUUsS0FBSyxHQUFHLFVBQVUsQ0FBQztvQkFDMUQsTUFBTSxFQUFFLE1BQU07b0JBQ2QsS0FBSyxFQUFFLEtBQUssQ0FBQyxLQUFLO29CQUNsQixZQUFZLEVBQUUsS0FBSyxDQUFDLFlBQVk7b0JBQ2hDLFFBQVEsRUFBRSxLQUFLLENBQUMsUUFBUTtpQkFDM0IsQ0FBQyxDQUFDLENBQUM7YUFDUDtTQUNKO1FBRUQsT0FBTyxPQUFPLENBQUM7WUFDWCxPQUFPLEVBQUUsaUJBQWlCO1lBQzFCLE9BQU8sRUFBRSxJQUFJLENBQUMsVUFBVSxJQUFJLFNBQVM7WUFDckMsU0FBUyxFQUFFLElBQUksQ0FBQyxVQUFVLElBQUksU0FBUztZQUN2QyxlQUFlLEVBQUUsSUFBSSxDQUFDLGdCQUFnQixLQUFLLFFBQVEsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLGdCQUFnQixDQUFDLENBQUMsQ0FBQyxTQUFTO1lBQ3ZGLE9BQU8sRUFBRSxJQUFJLENBQUMsUUFBUTtZQUN0QixPQUFPLEVBQUUsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxTQUFTO1lBQzdDLE1BQU0sRUFBRSxNQUFNO1lBQ2QsYUFBYSxFQUFFLGFBQWEsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUMsU0FBUztZQUMvRCxXQUFXLEVBQUUsV0FBVztTQUMzQixDQUFDLENBQUM7SUFDUCxDQUFDO0lBRUQ7Ozs7T0FJRzs7Ozs7Ozs7SUFDSCxvQ0FBTzs7Ozs7OztJQUFQLFVBQVEsZUFBd0M7UUFDNUMsT0FBTyxjQUFjLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDO0lBQzlELENBQUM7SUFFRDs7Ozs7O09BTUc7Ozs7Ozs7OztJQUNILG9DQUFPOzs7Ozs7OztJQUFQO1FBQ0ksT0FBTyxpQkFBaUIsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxnQkFBZ0IsSUFBSSxFQUFFLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQztJQUM3RSxDQUFDO0lBRUQ7Ozs7O09BS0c7Ozs7Ozs7Ozs7SUFDSCxrQ0FBSzs7Ozs7Ozs7O0lBQUwsVUFBTSxRQUFnQixFQUFFLE1BQWU7UUFDbkMsT0FBTyxhQUFhLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsZ0JBQWdCLElBQUksRUFBRSxFQUFFLEVBQUUsQ0FBQyxFQUFFLFFBQVEsRUFBRSxNQUFNLENBQUMsQ0FBQztJQUMzRixDQUFDO0lBRUQ7Ozs7T0FJRzs7Ozs7Ozs7SUFDSCxrQ0FBSzs7Ozs7OztJQUFMLFVBQU0sZ0JBQTBCO1FBQzVCLE9BQU8sU0FBUyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLGdCQUFnQixJQUFJLEVBQUUsRUFBRSxFQUFFLENBQUMsRUFBRTtZQUM3RCxNQUFNLEVBQUUsZ0JBQWdCLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxZQUFZLEVBQUUsQ0FBQyxDQUFDLENBQUMsRUFBRTtTQUN0RCxDQUFDLENBQUM7SUFDUCxDQUFDO0lBRUQ7Ozs7T0FJRzs7Ozs7Ozs7SUFDSCxzQ0FBUzs7Ozs7OztJQUFULFVBQVUsZ0JBQTBCO1FBQ2hDLE9BQU8sYUFBYSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLGdCQUFnQixJQUFJLEVBQUUsRUFBRSxFQUFFLENBQUMsRUFBRTtZQUNqRSxNQUFNLEVBQUUsZ0JBQWdCLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxZQUFZLEVBQUUsQ0FBQyxDQUFDLENBQUMsRUFBRTtTQUN0RCxDQUFDLENBQUM7SUFDUCxDQUFDO0lBRUQ7OztPQUdHOzs7Ozs7O0lBQ0sseUNBQVk7Ozs7OztJQUFwQjtRQUNJLElBQUksQ0FBQyxrQkFBa0IsRUFBRSxDQUFDOztZQUN0QixNQUFNLEdBQWtCLEVBQUU7UUFDOUIsS0FBSyxJQUFNLENBQUMsSUFBSSxJQUFJLENBQUMsTUFBTSxFQUFFO1lBQ3pCLElBQUksSUFBSSxDQUFDLE1BQU0sQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLEVBQUU7Z0JBQy9CLE1BQU0sR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO2FBQzdEO1NBQ0o7UUFDRCxPQUFPLE1BQU0sQ0FBQztJQUNsQixDQUFDO0lBQ0wseUJBQUM7QUFBRCxDQUFDLEFBcjBERCxJQXEwREM7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7OztJQWwwREcsb0NBQWdEOzs7OztJQUNoRCx3Q0FBMkI7Ozs7O0lBQzNCLHNDQUFzQjs7Ozs7SUFDdEIsd0NBQTRCOzs7OztJQUM1Qiw4Q0FBaUM7Ozs7O0lBQ2pDLDZDQUFvRDs7Ozs7SUFDcEQsMkNBQXdDOzs7OztJQUN4QyxrREFBc0U7Ozs7O0lBQ3RFLG1EQUE2RTs7Ozs7SUFDN0UseUNBQStDOzs7OztJQUMvQyx3Q0FBK0I7Ozs7O0lBQy9CLHFDQUErQzs7Ozs7SUFDL0Msd0NBQXVDOzs7OztJQUN2Qyx1Q0FBMkI7Ozs7O0lBQzNCLG1EQUF3RTs7Ozs7SUFDeEUsZ0RBQXFEOzs7OztJQUNyRCwyQ0FBNEM7Ozs7O0lBQzVDLDZDQUE0Qzs7SUFJNUMsNENBQStEOztJQUcvRCxvQ0FBb0M7O0lBRXBDLDBDQUE2RTs7SUFFN0UscUNBQTBDOztJQUcxQyxzQ0FBd0M7Ozs7O0lBQ3hDLGlEQUFvRTs7Ozs7SUFDcEUsc0RBQThFOzs7OztJQUM5RSxtREFBMkU7Ozs7O0lBQzNFLGlEQUE4RDs7Ozs7SUFDOUQsdUNBQXNEOzs7OztJQUN0RCx5Q0FBMkM7Ozs7O0lBQzNDLHNDQUF1Qzs7Ozs7SUFDdkMsMkNBQThCOzs7OztJQUM5QixxQ0FBc0M7Ozs7O0lBQ3RDLHNDQUEwRDs7Ozs7SUFDMUQsNENBQTJEOzs7OztJQUMzRCw4Q0FBaUQiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBmaWxlT3ZlcnZpZXdcbiAqIFByb3ZpZGVzIGEgY2xhc3MgcmVwcmVzZW50aW5nIGEgZmluaXRlIHN0YXRlIG1hY2hpbmUuXG4gKiBAYXV0aG9yIFhpYW9sb25nIFRhbmcgPHh4bG9uZ3RhbmdAZ21haWwuY29tPlxuICogQGxpY2Vuc2UgQ29weXJpZ2h0IEBtZVxuICovXG5pbXBvcnQgKiBhcyBkZXBlbmRlbmNpZXMgZnJvbSAnQHBvbHB3YXJlL2ZlLWRlcGVuZGVuY2llcyc7XG5pbXBvcnQgeyByZXBsYWNlIGFzIHJlcGxhY2VTdHIgfSBmcm9tICdAcG9scHdhcmUvZmUtdXRpbGl0aWVzJztcbmltcG9ydCB7IE9ic2VydmFibGUsIFJlcGxheVN1YmplY3QsIFN1YmplY3QgfSBmcm9tICdyeGpzJztcbmltcG9ydCB7IGRpc3RpbmN0VW50aWxDaGFuZ2VkLCBmaWx0ZXIsIG1hcCB9IGZyb20gJ3J4anMvb3BlcmF0b3JzJztcbmltcG9ydCB7XG4gICAgZGVmaW5pdGlvblZlcnNpb24sXG4gICAgRGVmaW5pdGlvbkVycm9yLFxuICAgIElEZWZpbml0aW9uUHJvYmxlbSxcbiAgICBJSGlzdG9yeVN0YXRlRGVmaW5pdGlvbixcbiAgICBJTWFjaGluZURlZmluaXRpb24sXG4gICAgSVN0YXRlRGVmaW5pdGlvbixcbiAgICBJVHJhbnNpdGlvbkRlZmluaXRpb24sXG4gICAgdmFsaWRhdGVEZWZpbml0aW9uXG59IGZyb20gJy4vbWFjaGluZS1kZWZpbml0aW9uJztcbmltcG9ydCB7IHJlbmRlckRvdCwgcmVuZGVyTWVybWFpZCB9IGZyb20gJy4vZGlhZ3JhbS1leHBvcnQnO1xuaW1wb3J0IHsgcGFyc2VTY3htbCwgc2VyaWFsaXplU2N4bWwgfSBmcm9tICcuL3NjeG1sJztcbmltcG9ydCB7IGFuYWx5emVEZWZpbml0aW9uLCBJQW5hbHlzaXNSZXBvcnQgfSBmcm9tICcuL21vZGVsLWNoZWNraW5nJztcbmltcG9ydCB7IGNoZWNrUHJvcGVydHksIElQcm9wZXJ0eVJlc3VsdCB9IGZyb20gJy4vdGVtcG9yYWwtbG9naWMnO1xuaW1wb3J0IHsgSVNjaGVkdWxlciwgcmVhbFRpbWVTY2hlZHVsZXIgfSBmcm9tICcuL3NjaGVkdWxlcic7XG5pbXBvcnQgeyBkaXJlY3RFeGVjdXRpb25TdHJhdGVneSwgSUV4ZWN1dGlvblN0cmF0ZWd5IH0gZnJvbSAnLi9leGVjdXRpb24tc3RyYXRlZ3knO1xuXG4vLyBBIHNldCBvZiBoZWxwZXIgZnVuY3Rpb25zXG5jb25zdCBfID0gZGVwZW5kZW5jaWVzLnVuZGVyc2NvcmU7XG5jb25zdCBTdGF0ZU1hY2hpbmUgPSBkZXBlbmRlbmNpZXNbJ3N0YXRlbWFjaGluZSddO1xuY29uc3QgaW5kZXhPZiA9IF8uaW5kZXhPZjtcbmNvbnN0IHdpdGhvdXQgPSBfLndpdGhvdXQ7XG5jb25zdCB0cmFuc2l0aW9uS2V5Rm9ybWF0ID0gJ3tmcm9tfTJ7dG99JztcbmNvbnN0IHN0YXRlU2VwYXJhdG9yID0gJy4nO1xuLy8gVGhlIHRhcmdldCB3aGljaCBrZWVwcyB0aGUgdW5kZXJseWluZyBpbXBsZW1lbnRhdGlvbiBpbiBpdHMgY3VycmVudCBzdGF0ZVxuY29uc3Qgd2lsZGNhcmRTdGF0ZSA9ICcqJztcbmNvbnN0IGRlZmF1bHRSZWdpb24gPSAnZGVmYXVsdCc7XG5jb25zdCBlcnJvck1lc3NhZ2VGb3JtYXQgPSAnVHJhbnNpdGlvbiB7bmFtZX0gZnJvbSB7ZnJvbX0gdG8ge3RvfSBmYWlscy4nO1xuLy8gVGhlIGZvcm1hdCB2ZXJzaW9uIG9mIHNuYXBzaG90czsgYnVtcCBpdCB3aGVuZXZlclxuLy8gdGhlIHNuYXBzaG90IHN0cnVjdHVyZSBjaGFuZ2VzIGluY29tcGF0aWJseS5cbmNvbnN0IHNuYXBzaG90VmVyc2lvbiA9IDE7XG5jb25zdCBtYXhIaXN0b3J5TGVuZ3RoID0gMTAwO1xuY29uc3Qgc2FtZVN0YXRlUG9saWNpZXMgPSBbJ2lnbm9yZScsICdlcnJvcicsICdyZWVudGVyJ107XG5cblxuaW50ZXJmYWNlIElVbmRlcmx5SW1wbCB7XG4gICAgc3RhdGU6IHN0cmluZztcbiAgICBpcyhzdGF0ZU5hbWU6IHN0cmluZyk6IGJvb2xlYW47XG4gICAgY2Fubm90KHRyYW5zaXRpb25OYW1lOiBzdHJpbmcpOiBib29sZWFuO1xuICAgIGZpcmUodHJhbnNpdGlvbk5hbWU6IHN0cmluZyk6IGFueTtcbn1cblxuLyoqXG4gKiBEZXNjcmliZXMgYSB0cmFuc2l0aW9uIHRvIHRoZSBjYWxsYmFja3MgaW52b2tlZCBkdXJpbmcgaXQuXG4gKiBUaGUgdHlwZSBwYXJhbWV0ZXJzIGFyZSB0aGUgc3RhdGVzLCB0aGUgZXZlbnRzIGFuZCB0aGUgY29udGV4dCBkYXRhXG4gKiBvZiB0aGUgRlNNLCBhcyBpbiBGaW5pdGVTdGF0ZU1hY2hpbmUuXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgSUxpZmVDeWNsZUV2ZW50PFRTdGF0ZSBleHRlbmRzIHN0cmluZyA9IHN0cmluZywgVEV2ZW50IGV4dGVuZHMgc3RyaW5nID0gc3RyaW5nLCBUQ29udGV4dCA9IGFueT4ge1xuICAgIHRyYW5zaXRpb246IHN0cmluZztcbiAgICBmcm9tOiBUU3RhdGU7XG4gICAgdG86IFRTdGF0ZTtcbiAgICByZWdpb24/OiBzdHJpbmc7XG4gICAgLy8gVGhlIG5hbWVkIGV2ZW50IHdoaWNoIHRoZSB0cmFuc2l0aW9uIGlzIGRlZmluZWQgZm9yLCBpZiBhbnkuXG4gICAgZXZlbnQ/OiBURXZlbnQ7XG4gICAgLy8gVGhlIGRhdGEgZ2l2ZW4gd2hlbiB0aGUgdHJhbnNpdGlvbiBpcyB0cmlnZ2VyZWQuXG4gICAgcGF5bG9hZD86IGFueTtcbiAgICAvLyBUaGUgY29udGV4dCBkYXRhIG9mIHRoZSBGU00uXG4gICAgY29udGV4dD86IFRDb250ZXh0O1xufVxuXG4vKipcbiAqIERlc2NyaWJlcyBhIGNoYW5nZSBvZiB0aGUgY29udGV4dCBkYXRhLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIElDb250ZXh0Q2hhbmdlRXZlbnQ8VFN0YXRlIGV4dGVuZHMgc3RyaW5nID0gc3RyaW5nLCBURXZlbnQgZXh0ZW5kcyBzdHJpbmcgPSBzdHJpbmcsIFRDb250ZXh0ID0gYW55PiB7XG4gICAgY29udGV4dDogVENvbnRleHQ7XG4gICAgcHJldmlvdXM6IFRDb250ZXh0O1xuICAgIC8vIFRoZSB0cmFuc2l0aW9uIHdoaWNoIGNhdXNlcyB0aGUgY2hhbmdlLlxuICAgIGxpZmVjeWNsZTogSUxpZmVDeWNsZUV2ZW50PFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dD47XG59XG5cbi8qKlxuICogRGVzY3JpYmVzIGFuIGVycm9yIHJlcG9ydGVkIHRvIHRoZSBlcnJvciBoYW5kbGVyLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIElFcnJvckV2ZW50IHtcbiAgICAvLyBUaGUgdHJhbnNpdGlvbiBvciB0aGUgZXZlbnQgd2hpY2ggZmFpbHMuXG4gICAgbmFtZTogc3RyaW5nO1xuICAgIGZyb206IHN0cmluZztcbiAgICB0bzogc3RyaW5nO1xuICAgIGVycm9yPzogYW55O1xufVxuXG4vKipcbiAqIERlc2NyaWJlcyBhIHRyYW5zaXRpb24gd2hpY2ggaGFzIGJlZW4gdGFrZW4uXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgSUhpc3RvcnlFbnRyeTxUU3RhdGUgZXh0ZW5kcyBzdHJpbmcgPSBzdHJpbmc+IHtcbiAgICB0cmFuc2l0aW9uOiBzdHJpbmc7XG4gICAgZnJvbTogVFN0YXRlO1xuICAgIHRvOiBUU3RhdGU7XG4gICAgcmVnaW9uOiBzdHJpbmc7XG4gICAgLy8gVGhlIGRhdGEgZ2l2ZW4gd2hlbiB0aGUgdHJhbnNpdGlvbiBpcyB0cmlnZ2VyZWQuXG4gICAgcGF5bG9hZD86IGFueTtcbiAgICAvLyBUaGUgdGltZSBpbiBtaWxsaXNlY29uZHMgc2luY2UgdGhlIGVwb2NoIHdoZW4gdGhlIHRyYW5zaXRpb24gaXMgdGFrZW4uXG4gICAgdGltZXN0YW1wPzogbnVtYmVyO1xufVxuXG4vKipcbiAqIERlc2NyaWJlcyB0aGUgcnVubmluZyBzdGF0dXMgb2YgYSBGU00gaW4gcGxhaW4gSlNPTiBkYXRhLFxuICogZnJvbSB3aGljaCBhIEZTTSBvZiB0aGUgc2FtZSBjb25maWd1cmF0aW9uIG1heSBiZSBzdGFydGVkIGFnYWluLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIElTbmFwc2hvdDxUU3RhdGUgZXh0ZW5kcyBzdHJpbmcgPSBzdHJpbmcsIFRDb250ZXh0ID0gYW55PiB7XG4gICAgdmVyc2lvbjogbnVtYmVyO1xuICAgIC8vIFRoZSBjdXJyZW50IGF0b21pYyBzdGF0ZSBvZiBlYWNoIHJlZ2lvblxuICAgIHN0YXRlOiB7IFtrZXk6IHN0cmluZ106IFRTdGF0ZSB9O1xuICAgIGNvbnRleHQ6IFRDb250ZXh0O1xuICAgIGhpc3Rvcnk6IEFycmF5PElIaXN0b3J5RW50cnk8VFN0YXRlPj47XG4gICAgLy8gVGhlIHRyYW5zaXRpb25zIHdoaWNoIGhhdmUgYmVlbiB1bmRvbmUgYW5kIG1heSBiZSByZWRvbmUsXG4gICAgLy8gdGhlIG1vc3QgcmVjZW50bHkgdW5kb25lIG9uZSBsYXN0LlxuICAgIHVuZG9uZT86IEFycmF5PElIaXN0b3J5RW50cnk8VFN0YXRlPj47XG4gICAgLy8gVGhlIGxhc3QgYWN0aXZlIGF0b21pYyBzdGF0ZSBvZiBlYWNoIGNvbXBvdW5kIHN0YXRlXG4gICAgLy8gd2hpY2ggaGFzIGEgaGlzdG9yeSBzdGF0ZSwgYXMgb2Ygd2hlbiBpdCB3YXMgbGVmdC5cbiAgICBsYXN0QWN0aXZlPzogeyBba2V5OiBzdHJpbmddOiBUU3RhdGUgfTtcbn1cblxuZXhwb3J0IHR5cGUgTWV0aG9kQ2FsbGJhY2tUeXBlPFRTdGF0ZSBleHRlbmRzIHN0cmluZyA9IHN0cmluZywgVEV2ZW50IGV4dGVuZHMgc3RyaW5nID0gc3RyaW5nLCBUQ29udGV4dCA9IGFueT4gPVxuICAgIChsaWZlY3ljbGU6IElMaWZlQ3ljbGVFdmVudDxUU3RhdGUsIFRFdmVudCwgVENvbnRleHQ+KSA9PiB2b2lkO1xuZXhwb3J0IHR5cGUgRXJyb3JIYW5kbGVyVHlwZSA9IChuYW1lOiBzdHJpbmcsIGZyb206IHN0cmluZywgdG86IHN0cmluZywgZXJyb3I/OiBhbnkpID0+IHZvaWQ7XG5leHBvcnQgdHlwZSBHdWFyZFR5cGU8VENvbnRleHQgPSBhbnk+ID0gKGNvbnRleHQ6IFRDb250ZXh0LCBwYXlsb2FkPzogYW55KSA9PiBib29sZWFuO1xuZXhwb3J0IHR5cGUgQ29udGV4dENoYW5nZUNhbGxiYWNrVHlwZTxUU3RhdGUgZXh0ZW5kcyBzdHJpbmcgPSBzdHJpbmcsIFRFdmVudCBleHRlbmRzIHN0cmluZyA9IHN0cmluZywgVENvbnRleHQgPSBhbnk+ID1cbiAgICAoY2hhbmdlOiBJQ29udGV4dENoYW5nZUV2ZW50PFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dD4pID0+IHZvaWQ7XG4vLyBFaXRoZXIgYSBmdW5jdGlvbiBjb21wdXRpbmcgdGhlIHByb3BlcnRpZXMgdG8gYmUgdXBkYXRlZCwgb3Jcbi8vIGFuIG9iamVjdCBvZiB0aGUgcHJvcGVydGllcyB0byBiZSB1cGRhdGVkLCB3aGVyZSBlYWNoIHByb3BlcnR5XG4vLyBtYXkgYWxzbyBiZSBjb21wdXRlZCBieSBhIGZ1bmN0aW9uLlxuZXhwb3J0IHR5cGUgQXNzaWduRnVuY3Rpb25UeXBlPFRDb250ZXh0ID0gYW55PiA9IChjb250ZXh0OiBUQ29udGV4dCwgcGF5bG9hZD86IGFueSkgPT4gUGFydGlhbDxUQ29udGV4dD47XG5leHBvcnQgdHlwZSBBc3NpZ25UeXBlPFRDb250ZXh0ID0gYW55PiA9IEFzc2lnbkZ1bmN0aW9uVHlwZTxUQ29udGV4dD4gfFxuICAgIHsgW0sgaW4ga2V5b2YgVENvbnRleHRdPzogVENvbnRleHRbS10gfCAoKGNvbnRleHQ6IFRDb250ZXh0LCBwYXlsb2FkPzogYW55KSA9PiBUQ29udGV4dFtLXSkgfTtcbi8vIFdyYXBzIGEgdHJhbnNpdGlvbjsgaXQgZ29lcyBvbiB3aXRoIHRoZSB0cmFuc2l0aW9uIGJ5IGNhbGxpbmcgbmV4dCxcbi8vIG9wdGlvbmFsbHkgd2l0aCBhIG5ldyBwYXlsb2FkLCBhbmQgZ2V0cyB3aGF0IHRoZSB0cmFuc2l0aW9uIHJldHVybnMsXG4vLyBpLmUuLCBhIHByb21pc2UgaW4gdGhlIGFzeW5jaHJvbm91cyBtb2RlLlxuZXhwb3J0IHR5cGUgTWlkZGxld2FyZVR5cGU8VFN0YXRlIGV4dGVuZHMgc3RyaW5nID0gc3RyaW5nLCBURXZlbnQgZXh0ZW5kcyBzdHJpbmcgPSBzdHJpbmcsIFRDb250ZXh0ID0gYW55PiA9XG4gICAgKGxpZmVjeWNsZTogSUxpZmVDeWNsZUV2ZW50PFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dD4sIG5leHQ6IChwYXlsb2FkPzogYW55KSA9PiBhbnkpID0+IGFueTtcbi8vIFdoYXQgZ29pbmcgdG8gYW4gYWN0aXZlIHN0YXRlIGRvZXMsIGlmIG5vIHRyYW5zaXRpb24gaXMgZGVmaW5lZCBmb3IgaXQ6XG4vLyBub3RoaW5nLCB0aHJvd2luZyBhbiBlcnJvciwgb3IgbGVhdmluZyBhbmQgcmUtZW50ZXJpbmcgdGhlIHN0YXRlLlxuZXhwb3J0IHR5cGUgU2FtZVN0YXRlUG9saWN5VHlwZSA9ICdpZ25vcmUnIHwgJ2Vycm9yJyB8ICdyZWVudGVyJztcbi8vIFdoYXQgdGFraW5nIGEgdHJhbnNpdGlvbiByZXR1cm5zLCBieSB0aGUgbW9kZSBvZiB0aGUgRlNNOiB0aGUgRlNNIGl0c2VsZlxuLy8gaW4gdGhlIHN5bmNocm9ub3VzIG1vZGUsIHNvIHRoYXQgdGhlIGNhbGxzIG1heSBiZSBjaGFpbmVkLCBhbmQgYSBwcm9taXNlXG4vLyBvZiB0aGUgcmVzdWx0IGluIHRoZSBhc3luY2hyb25vdXMgbW9kZTsgZWl0aGVyIGlmIHRoZSBtb2RlIGlzIHVua25vd24uXG5leHBvcnQgdHlwZSBUcmFuc2l0aW9uUmVzdWx0VHlwZTxUQXN5bmMgZXh0ZW5kcyBib29sZWFuLCBUTWFjaGluZSwgVFJlc3VsdD4gPVxuICAgIFRBc3luYyBleHRlbmRzIHRydWUgPyBQcm9taXNlPFRSZXN1bHQ+IDogVE1hY2hpbmU7XG5cbmV4cG9ydCBpbnRlcmZhY2UgSVN0YXRlT3B0aW9uczxUU3RhdGUgZXh0ZW5kcyBzdHJpbmcgPSBzdHJpbmc+IHtcbiAgICAvLyBUaGUgZW5jbG9zaW5nIHN0YXRlOyBieSBkZWZhdWx0IGl0IGlzIGRlcml2ZWQgZnJvbSBhIGRvdHRlZCBuYW1lLFxuICAgIC8vIGUuZy4sICdlZGl0b3InIGZvciAnZWRpdG9yLnNhdmluZycuXG4gICAgcGFyZW50PzogVFN0YXRlO1xuICAgIC8vIFRoZSBjaGlsZCBzdGF0ZSB0byBlbnRlciB3aGVuIGEgdHJhbnNpdGlvbiB0YXJnZXRzIHRoaXMgc3RhdGUuXG4gICAgaW5pdGlhbD86IFRTdGF0ZTtcbiAgICAvLyBUaGUgb3J0aG9nb25hbCByZWdpb24gdGhlIHN0YXRlIGJlbG9uZ3MgdG87IGJ5IGRlZmF1bHQgaXQgaXNcbiAgICAvLyB0aGUgcmVnaW9uIG9mIGl0cyBwYXJlbnQsIG9yIHRoZSBkZWZhdWx0IHJlZ2lvbi5cbiAgICByZWdpb24/OiBzdHJpbmc7XG4gICAgLy8gV2hldGhlciB0aGUgc3RhdGUgaXMgYSBmaW5hbCBzdGF0ZSwgaS5lLiwgaXQgaXMgZmluZVxuICAgIC8vIGZvciB0aGUgc3RhdGUgbm90IHRvIGhhdmUgYW55IG91dGdvaW5nIHRyYW5zaXRpb24uXG4gICAgZmluYWw/OiBib29sZWFuO1xufVxuXG5pbnRlcmZhY2UgSVN0YXRlU3BlY2lmaWNhdGlvbiB7XG4gICAgb25FbnRlckNhbGxiYWNrPzogTWV0aG9kQ2FsbGJhY2tUeXBlO1xuICAgIG9uTGVhdmVDYWxsYmFjaz86IE1ldGhvZENhbGxiYWNrVHlwZTtcbiAgICBwYXJlbnQ/OiBzdHJpbmc7XG4gICAgaW5pdGlhbD86IHN0cmluZztcbiAgICBjaGlsZHJlbjogQXJyYXk8c3RyaW5nPjtcbiAgICByZWdpb246IHN0cmluZztcbiAgICBmaW5hbD86IGJvb2xlYW47XG59XG5cbmludGVyZmFjZSBJUmVnaW9uU3BlY2lmaWNhdGlvbiB7XG4gICAgaW5pdFN0YXRlOiBzdHJpbmc7XG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgSUhpc3RvcnlTdGF0ZU9wdGlvbnM8VFN0YXRlIGV4dGVuZHMgc3RyaW5nID0gc3RyaW5nPiB7XG4gICAgLy8gV2hldGhlciB0aGUgZnVsbCBkZXNjZW5kYW50IGNvbmZpZ3VyYXRpb24gaXMgcmVtZW1iZXJlZCxcbiAgICAvLyByYXRoZXIgdGhhbiB0aGUgbGFzdCBhY3RpdmUgY2hpbGQuXG4gICAgZGVlcD86IGJvb2xlYW47XG4gICAgLy8gVGhlIHN0YXRlIHRvIGVudGVyIHdoZW4gdGhlcmUgaXMgbm8gaGlzdG9yeSB5ZXQ7IGJ5IGRlZmF1bHRcbiAgICAvLyBpdCBpcyB0aGUgaW5pdGlhbCBzdGF0ZSBvZiB0aGUgcGFyZW50LlxuICAgIGRlZmF1bHRUYXJnZXQ/OiBUU3RhdGU7XG59XG5cbmludGVyZmFjZSBJSGlzdG9yeVN0YXRlU3BlY2lmaWNhdGlvbiB7XG4gICAgcGFyZW50OiBzdHJpbmc7XG4gICAgZGVlcDogYm9vbGVhbjtcbiAgICBkZWZhdWx0VGFyZ2V0Pzogc3RyaW5nO1xuICAgIHJlZ2lvbjogc3RyaW5nO1xufVxuXG5leHBvcnQgaW50ZXJmYWNlIElUcmFuc2l0aW9uT3B0aW9uczxUU3RhdGUgZXh0ZW5kcyBzdHJpbmcgPSBzdHJpbmcsIFRFdmVudCBleHRlbmRzIHN0cmluZyA9IHN0cmluZywgVENvbnRleHQgPSBhbnk+IHtcbiAgICAvLyBUaGUgY29uZGl0aW9uIHdoaWNoIG11c3QgaG9sZCBmb3IgdGhlIHRyYW5zaXRpb24gdG8gYmUgdGFrZW4uXG4gICAgZ3VhcmQ/OiBHdWFyZFR5cGU8VENvbnRleHQ+O1xuICAgIC8vIFRoZSBuYW1lZCBldmVudCB3aGljaCB0cmlnZ2VycyB0aGUgdHJhbnNpdGlvbi5cbiAgICBldmVudD86IFRFdmVudDtcbiAgICAvLyBUaGUgdXBkYXRlIHRvIHRoZSBjb250ZXh0IGRhdGEgd2hlbiB0aGUgdHJhbnNpdGlvbiBpcyB0YWtlbi5cbiAgICBhc3NpZ24/OiBBc3NpZ25UeXBlPFRDb250ZXh0PjtcbiAgICAvLyBUaGUgdGltZSBpbiBtaWxsaXNlY29uZHMgYWZ0ZXIgd2hpY2ggdGhlIHRyYW5zaXRpb24gaXMgdGFrZW5cbiAgICAvLyBhdXRvbWF0aWNhbGx5LCBpZiB0aGUgRlNNIHN0YXlzIGluIHRoZSBzb3VyY2Ugc3RhdGUgbWVhbndoaWxlLlxuICAgIGRlbGF5PzogbnVtYmVyO1xuICAgIC8vIFRoZSBzdGF0ZSB0byBnbyBiYWNrIHRvIHdoZW4gdGhlIHRyYW5zaXRpb24gaXMgdW5kb25lLFxuICAgIC8vIGJ5IHRoZSB0cmFuc2l0aW9uIGRlZmluZWQgZnJvbSB0aGUgdGFyZ2V0IHN0YXRlIHRvIGl0LlxuICAgIC8vIEJ5IGRlZmF1bHQsIGl0IGlzIHRoZSBzb3VyY2Ugc3RhdGUuXG4gICAgY29tcGVuc2F0aW9uPzogVFN0YXRlO1xuICAgIC8vIFdoZXRoZXIgYSBzZWxmLXRyYW5zaXRpb24gaXMgaW50ZXJuYWwsIGkuZS4sIGl0cyBzdGF0ZSBpc1xuICAgIC8vIG5laXRoZXIgbGVmdCBub3IgcmUtZW50ZXJlZDsgYnkgZGVmYXVsdCwgaXQgaXMgZXh0ZXJuYWwuXG4gICAgaW50ZXJuYWw/OiBib29sZWFuO1xufVxuXG5pbnRlcmZhY2UgSVRyYW5zaXRpb25TcGVjaWZpY2F0aW9uIHtcbiAgICBmcm9tOiBzdHJpbmc7XG4gICAgdG86IHN0cmluZztcbiAgICBvbkJlZm9yZUNhbGxiYWNrPzogTWV0aG9kQ2FsbGJhY2tUeXBlO1xuICAgIG9uQWZ0ZXJDYWxsYmFjaz86IE1ldGhvZENhbGxiYWNrVHlwZTtcbiAgICBndWFyZD86IEd1YXJkVHlwZTtcbiAgICBldmVudD86IHN0cmluZztcbiAgICBhc3NpZ24/OiBBc3NpZ25UeXBlO1xuICAgIGRlbGF5PzogbnVtYmVyO1xuICAgIGNvbXBlbnNhdGlvbj86IHN0cmluZztcbiAgICBpbnRlcm5hbD86IGJvb2xlYW47XG59XG5cbmludGVyZmFjZSBJUmVwbGF5U3BlY2lmaWNhdGlvbiB7XG4gICAga2luZDogc3RyaW5nO1xuICAgIGVudHJ5OiBJSGlzdG9yeUVudHJ5O1xufVxuXG4vKipcbiAqIEJ1aWxkcyBhIGhhbmRsZXIgd2l0aCBuZWNlc3NhcnkgY29udGV4dCBpbmZvcm1hdGlvbi5cbiAqIFRoZSByZXN1bHRpbmcgcmV0dXJuIHZhbHVlIGlzIGEgY2xvc3VyZSBpbmRlZWQuXG4gKi9cbmZ1bmN0aW9uIGJ1aWxkSGFuZGxlckluQ2xvc3VyZShjb250ZXh0OiB7IFtrZXk6IHN0cmluZ106IEFycmF5PEZ1bmN0aW9uPiB9LCBrZXk6IHN0cmluZykge1xuICAgIHJldHVybiBmdW5jdGlvbihkYXRhOiBhbnkpIHtcbiAgICAgICAgY29uc3Qgb3VySGFuZGxlcnMgPSBjb250ZXh0W2tleV07XG4gICAgICAgIGlmICghb3VySGFuZGxlcnMpIHtcbiAgICAgICAgICAgIHJldHVybjtcbiAgICAgICAgfVxuICAgICAgICBmb3IgKGxldCBpID0gMDsgaSA8IG91ckhhbmRsZXJzLmxlbmd0aDsgaSsrKSB7XG4gICAgICAgICAgICBjb25zdCBmdW5jID0gb3VySGFuZGxlcnNbaV07XG4gICAgICAgICAgICBmdW5jLmFwcGx5KG51bGwsIGFyZ3VtZW50cyk7XG4gICAgICAgIH1cbiAgICB9O1xufVxuXG4vKipcbiAqIENvbXB1dGVzIHRoZSBzdGF0ZXMgdG8gYmUgbGVmdCBhbmQgdGhlIHN0YXRlcyB0byBiZSBlbnRlcmVkXG4gKiB3aGVuIG1vdmluZyBmcm9tIG9uZSBzdGF0ZSB0byBhbm90aGVyLCBnaXZlbiB0aGUgYWN0aXZlIHBhdGhzIG9mIGJvdGguXG4gKiBUaGUgc3RhdGVzIHRvIGJlIGxlZnQgYXJlIG9yZGVyZWQgZnJvbSB0aGUgaW5uZXJtb3N0IG9uZSwgYW5kXG4gKiB0aGUgc3RhdGVzIHRvIGJlIGVudGVyZWQgZnJvbSB0aGUgb3V0ZXJtb3N0IG9uZS5cbiAqL1xuZnVuY3Rpb24gY29tcHV0ZUV4aXRBbmRFbnRyeShmcm9tUGF0aDogQXJyYXk8c3RyaW5nPiwgdG9QYXRoOiBBcnJheTxzdHJpbmc+KSB7XG4gICAgbGV0IGkgPSAwO1xuICAgIHdoaWxlIChpIDwgZnJvbVBhdGgubGVuZ3RoICYmIGkgPCB0b1BhdGgubGVuZ3RoICYmIGZyb21QYXRoW2ldID09PSB0b1BhdGhbaV0pIHtcbiAgICAgICAgaSsrO1xuICAgIH1cbiAgICByZXR1cm4ge1xuICAgICAgICBleGl0OiBmcm9tUGF0aC5zbGljZShpKS5yZXZlcnNlKCksXG4gICAgICAgIGVudHJ5OiB0b1BhdGguc2xpY2UoaSlcbiAgICB9O1xufVxuXG4vKipcbiAqIEludm9rZXMgdGhlIGdpdmVuIGNhbGxiYWNrcyBvbmUgYWZ0ZXIgYW5vdGhlciwgYW5kIHN0b3BzIGF0XG4gKiB0aGUgZmlyc3Qgb25lIHdoaWNoIHJldHVybnMgZmFsc2UuIEEgY2FsbGJhY2sgbWF5IHJldHVybiBhIHByb21pc2UsXG4gKiBhbmQgdGhlbiB0aGUgcmVtYWluaW5nIGNhbGxiYWNrcyBhcmUgaW52b2tlZCBvbmNlIGl0IGlzIHJlc29sdmVkLlxuICovXG5mdW5jdGlvbiBpbnZva2VJblNlcXVlbmNlKGNhbGxiYWNrczogQXJyYXk8TWV0aG9kQ2FsbGJhY2tUeXBlPiwgbGlmZWN5Y2xlOiBJTGlmZUN5Y2xlRXZlbnQsIGluZGV4OiBudW1iZXIgPSAwKTogYW55IHtcbiAgICBmb3IgKGxldCBpID0gaW5kZXg7IGkgPCBjYWxsYmFja3MubGVuZ3RoOyBpKyspIHtcbiAgICAgICAgY29uc3QgcmVzdWx0OiBhbnkgPSBjYWxsYmFja3NbaV0obGlmZWN5Y2xlKTtcbiAgICAgICAgaWYgKHJlc3VsdCA9PT0gZmFsc2UpIHtcbiAgICAgICAgICAgIHJldHVybiBmYWxzZTtcbiAgICAgICAgfVxuICAgICAgICBpZiAocmVzdWx0ICYmIHR5cGVvZiByZXN1bHQudGhlbiA9PT0gJ2Z1bmN0aW9uJykge1xuICAgICAgICAgICAgcmV0dXJuIHJlc3VsdC50aGVuKCh2YWx1ZSkgPT4ge1xuICAgICAgICAgICAgICAgIHJldHVybiB2YWx1ZSA9PT0gZmFsc2UgPyBmYWxzZSA6IGludm9rZUluU2VxdWVuY2UoY2FsbGJhY2tzLCBsaWZlY3ljbGUsIGkgKyAxKTtcbiAgICAgICAgICAgIH0pO1xuICAgICAgICB9XG4gICAgfVxufVxuXG4vKipcbiAqIEludm9rZXMgdGhlIGdpdmVuIG1pZGRsZXdhcmUgYXJvdW5kIHRoZSBnaXZlbiB3b3JrLCB0aGUgZmlyc3Qgb25lXG4gKiBiZWluZyB0aGUgb3V0ZXJtb3N0LiBBIG1pZGRsZXdhcmUgd2hpY2ggZG9lcyBub3QgY2FsbCBuZXh0IHZldG9lc1xuICogdGhlIHRyYW5zaXRpb247IGEgbWlkZGxld2FyZSBtYXkgY2FsbCBuZXh0IG9ubHkgb25jZS5cbiAqL1xuZnVuY3Rpb24gaW52b2tlTWlkZGxld2FyZShtaWRkbGV3YXJlOiBBcnJheTxNaWRkbGV3YXJlVHlwZT4sIGxpZmVjeWNsZTogSUxpZmVDeWNsZUV2ZW50LFxuICAgIHdvcms6IChwYXlsb2FkPzogYW55KSA9PiBhbnksIGluZGV4OiBudW1iZXIgPSAwKTogYW55IHtcbiAgICBpZiAoaW5kZXggPj0gbWlkZGxld2FyZS5sZW5ndGgpIHtcbiAgICAgICAgcmV0dXJuIHdvcmsobGlmZWN5Y2xlLnBheWxvYWQpO1xuICAgIH1cbiAgICBsZXQgY2FsbGVkID0gZmFsc2U7XG4gICAgcmV0dXJuIG1pZGRsZXdhcmVbaW5kZXhdKGxpZmVjeWNsZSwgZnVuY3Rpb24ocGF5bG9hZD86IGFueSkge1xuICAgICAgICBpZiAoY2FsbGVkKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ0NhbGxpbmcgbmV4dCBtb3JlIHRoYW4gb25jZTogJyArIGxpZmVjeWNsZS50cmFuc2l0aW9uKTtcbiAgICAgICAgfVxuICAgICAgICBjYWxsZWQgPSB0cnVlO1xuICAgICAgICBpZiAoYXJndW1lbnRzLmxlbmd0aCA+IDApIHtcbiAgICAgICAgICAgIGxpZmVjeWNsZS5wYXlsb2FkID0gcGF5bG9hZDtcbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gaW52b2tlTWlkZGxld2FyZShtaWRkbGV3YXJlLCBsaWZlY3ljbGUsIHdvcmssIGluZGV4ICsgMSk7XG4gICAgfSk7XG59XG5cbi8qKlxuICogRGVmYXVsdCBlcnJvciBoYW5kbGVyIGZvciB0aGUgRlNNLlxuICovXG5mdW5jdGlvbiBkZWZhdWx0RXJyb3JIYW5kbGVyKGV2ZW50TmFtZTogc3RyaW5nLCBmcm9tOiBzdHJpbmcsIHRvOiBzdHJpbmcsIGVycm9yPzogYW55KTogdm9pZCB7XG4gICAgY29uc3QgaW5mbyA9IHJlcGxhY2VTdHIoZXJyb3JNZXNzYWdlRm9ybWF0LCB7XG4gICAgICAgIG5hbWU6IGV2ZW50TmFtZSxcbiAgICAgICAgZnJvbTogZnJvbSxcbiAgICAgICAgdG86IHRvXG4gICAgfSk7XG4gICAgY29uc29sZS5sb2coaW5mbyk7XG4gICAgaWYgKGVycm9yKSB7XG4gICAgICAgIGNvbnNvbGUubG9nKGVycm9yKTtcbiAgICB9XG59XG5cbi8qKlxuICogUmVwcmVzZW50cyBhIGZpbml0ZSBzdGF0ZSBtYWNoaW5lLlxuICogVGhlIHJlc3VsdGluZyBGU00gaXMgYnVpbHQgdXBvbiBhIGNvbW1vbmx5IHVzZWQgamF2YXNjcmlwdFxuICogc3RhdGUgbWFjaGluZSBsaWJyYXJ5LlxuICogU3VjaCBhIGRlc2lnbiAob2YgYXJjaGl0ZWN0dXJlKSBpcyBiYXNlZCBvbiB0aGUgZm9sbG93aW5nIGNvbnNpZGVyYXRpb25zOlxuICogLSBBIHVzZXItZnJpZW5kbHkgaW50ZXJmYWNlIGZvciBkZWZpbmluZyBzdGF0ZXMgYW5kIHRoZWlyIGJlaGF2aW9yc1xuICogLSBBIGtpbmQgb2YgbW9kZWwtY2hlY2tpbmcgY2FwYWJpbGl0eSBmb3IgdmVyaWZ5aW5nIHRoZSBjb3JyZWN0bmVzcyBvZlxuICogdHJhbnNpdGlvbnNcbiAqIC0gU3VwcG9ydCBmb3IgYXN5Y2hyb25vdXMgYW5kIHN5bmNocm91cyB0cmFuc2l0aW9uc1xuICogLSBTdXBwb3J0IGZvciBnbG9iYWwgZXhjZXB0aW9uIGhhbmRsaW5nXG4gKiBUaGUgc3RhdGVzLCB0aGUgZXZlbnRzIGFuZCB0aGUgY29udGV4dCBkYXRhIG1heSBiZSB0eXBlZCBieVxuICogdGhlIHR5cGUgcGFyYW1ldGVycywgZS5nLixcbiAqIG5ldyBGaW5pdGVTdGF0ZU1hY2hpbmU8J2lkbGUnIHwgJ2J1c3knLCAnc3VibWl0JywgeyBjb3VudDogbnVtYmVyIH0+KCksXG4gKiBzbyB0aGF0IHRoZSBuYW1lcyBhcmUgY2hlY2tlZCBhdCBjb21waWxlIHRpbWUgYW5kIHRoZSBjYWxsYmFja3NcbiAqIHJlY2VpdmUgcHJlY2lzZWx5IHR5cGVkIGxpZmVjeWNsZSBldmVudHMuIFRoZSBsYXN0IHR5cGUgcGFyYW1ldGVyXG4gKiB0ZWxscyB3aGV0aGVyIHRoZSBGU00gaXMgaW4gdGhlIGFzeW5jaHJvbm91cyBtb2RlLCBhcyBzZXQgYnlcbiAqIHNldEFzeW5jTW9kZSwgc28gdGhhdCB0YWtpbmcgYSB0cmFuc2l0aW9uIGlzIHR5cGVkIHRvIHJldHVyblxuICogZWl0aGVyIHRoZSBGU00gb3IgYSBwcm9taXNlLlxuICogQGNsYXNzIEZTTVxuICovXG5leHBvcnQgY2xhc3MgRmluaXRlU3RhdGVNYWNoaW5lPFRTdGF0ZSBleHRlbmRzIHN0cmluZyA9IHN0cmluZywgVEV2ZW50IGV4dGVuZHMgc3RyaW5nID0gc3RyaW5nLCBUQ29udGV4dCA9IGFueSxcbiAgICBUQXN5bmMgZXh0ZW5kcyBib29sZWFuID0gZmFsc2U+IHtcblxuICAgIHByaXZhdGUgX2ltcGxzOiB7IFtrZXk6IHN0cmluZ106IElVbmRlcmx5SW1wbCB9O1xuICAgIHByaXZhdGUgX2luaXRTdGF0ZTogc3RyaW5nO1xuICAgIHByaXZhdGUgX2NvbnRleHQ6IGFueTtcbiAgICBwcml2YXRlIF9hc3luY01vZGU6IGJvb2xlYW47XG4gICAgcHJpdmF0ZSBfc2FtZVN0YXRlUG9saWN5OiBzdHJpbmc7XG4gICAgcHJpdmF0ZSBfcGVuZGluZ1JlZ2lvbnM6IHsgW2tleTogc3RyaW5nXTogYm9vbGVhbiB9O1xuICAgIHByaXZhdGUgX2Vycm9ySGFuZGxlcjogRXJyb3JIYW5kbGVyVHlwZTtcbiAgICBwcml2YXRlIF9yZWdpb25Db25maWd1cmF0aW9uOiB7IFtrZXk6IHN0cmluZ106IElSZWdpb25TcGVjaWZpY2F0aW9uIH07XG4gICAgcHJpdmF0ZSBfaGlzdG9yeUNvbmZpZ3VyYXRpb246IHsgW2tleTogc3RyaW5nXTogSUhpc3RvcnlTdGF0ZVNwZWNpZmljYXRpb24gfTtcbiAgICBwcml2YXRlIF9sYXN0QWN0aXZlOiB7IFtrZXk6IHN0cmluZ106IHN0cmluZyB9O1xuICAgIHByaXZhdGUgX3NjaGVkdWxlcjogSVNjaGVkdWxlcjtcbiAgICBwcml2YXRlIF90aW1lcnM6IHsgW2tleTogc3RyaW5nXTogQXJyYXk8YW55PiB9O1xuICAgIHByaXZhdGUgX2V4ZWN1dGlvbjogSUV4ZWN1dGlvblN0cmF0ZWd5O1xuICAgIHByaXZhdGUgX2Rpc3Bvc2VkOiBib29sZWFuO1xuICAgIHByaXZhdGUgX2NvbmZpZ3VyYXRpb25TdWJqZWN0OiBSZXBsYXlTdWJqZWN0PHsgW2tleTogc3RyaW5nXTogc3RyaW5nIH0+O1xuICAgIHByaXZhdGUgX3RyYW5zaXRpb25TdWJqZWN0OiBTdWJqZWN0PElMaWZlQ3ljbGVFdmVudD47XG4gICAgcHJpdmF0ZSBfZXJyb3JTdWJqZWN0OiBTdWJqZWN0PElFcnJvckV2ZW50PjtcbiAgICBwcml2YXRlIF9jb250ZXh0U3ViamVjdDogUmVwbGF5U3ViamVjdDxhbnk+O1xuXG4gICAgLy8gVGhlIGN1cnJlbnQgc3RhdGUgb2YgZXZlcnkgcmVnaW9uLCByZXBsYXllZCB0byBuZXcgc3Vic2NyaWJlcnM7XG4gICAgLy8gaXQgaXMgZW1pdHRlZCBvbmNlIGV2ZXJ5IHRyYW5zaXRpb24gaXMgdGFrZW4uXG4gICAgcmVhZG9ubHkgY29uZmlndXJhdGlvbiQ6IE9ic2VydmFibGU8eyBba2V5OiBzdHJpbmddOiBUU3RhdGUgfT47XG4gICAgLy8gVGhlIGN1cnJlbnQgc3RhdGUgb2YgdGhlIGRlZmF1bHQgcmVnaW9uLCByZXBsYXllZCB0byBuZXcgc3Vic2NyaWJlcnM7XG4gICAgLy8gaXQgaXMgZW1pdHRlZCBvbmx5IHdoZW4gdGhlIHN0YXRlIGNoYW5nZXMsIHNlZSB3YXRjaFN0YXRlLlxuICAgIHJlYWRvbmx5IHN0YXRlJDogT2JzZXJ2YWJsZTxUU3RhdGU+O1xuICAgIC8vIFRoZSB0cmFuc2l0aW9ucyBvbmNlIHRoZXkgYXJlIHRha2VuLCBpbmNsdWRpbmcgc2VsZi10cmFuc2l0aW9ucy5cbiAgICByZWFkb25seSB0cmFuc2l0aW9ucyQ6IE9ic2VydmFibGU8SUxpZmVDeWNsZUV2ZW50PFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dD4+O1xuICAgIC8vIFRoZSBlcnJvcnMgcmVwb3J0ZWQgdG8gdGhlIGVycm9yIGhhbmRsZXIuXG4gICAgcmVhZG9ubHkgZXJyb3JzJDogT2JzZXJ2YWJsZTxJRXJyb3JFdmVudD47XG4gICAgLy8gVGhlIGNvbnRleHQgZGF0YSwgcmVwbGF5ZWQgdG8gbmV3IHN1YnNjcmliZXJzIG9uY2UgdGhlIEZTTVxuICAgIC8vIGhhcyBzdGFydGVkOyBpdCBpcyBlbWl0dGVkIHdoZW5ldmVyIHRoZSBjb250ZXh0IGRhdGEgY2hhbmdlcy5cbiAgICByZWFkb25seSBjb250ZXh0JDogT2JzZXJ2YWJsZTxUQ29udGV4dD47XG4gICAgcHJpdmF0ZSBfc3RhdGVDb25maWd1cmF0aW9uOiB7IFtrZXk6IHN0cmluZ106IElTdGF0ZVNwZWNpZmljYXRpb24gfTtcbiAgICBwcml2YXRlIF90cmFuc2l0aW9uQ29uZmlndXJhdGlvbjogeyBba2V5OiBzdHJpbmddOiBJVHJhbnNpdGlvblNwZWNpZmljYXRpb24gfTtcbiAgICBwcml2YXRlIF9yZWVudHJ5Q29uZmlndXJhdGlvbjogeyBba2V5OiBzdHJpbmddOiBJVHJhbnNpdGlvblNwZWNpZmljYXRpb24gfTtcbiAgICBwcml2YXRlIF9ldmVudENvbmZpZ3VyYXRpb246IHsgW2tleTogc3RyaW5nXTogQXJyYXk8c3RyaW5nPiB9O1xuICAgIHByaXZhdGUgX2hhbmRsZXJzOiB7IFtrZXk6IHN0cmluZ106IEFycmF5PEZ1bmN0aW9uPiB9O1xuICAgIHByaXZhdGUgX21pZGRsZXdhcmU6IEFycmF5PE1pZGRsZXdhcmVUeXBlPjtcbiAgICBwcml2YXRlIF9oaXN0b3J5OiBBcnJheTxJSGlzdG9yeUVudHJ5PjtcbiAgICBwcml2YXRlIF9oaXN0b3J5TGltaXQ6IG51bWJlcjtcbiAgICBwcml2YXRlIF91bmRvbmU6IEFycmF5PElIaXN0b3J5RW50cnk+O1xuICAgIHByaXZhdGUgX3JlcGxheXM6IHsgW2tleTogc3RyaW5nXTogSVJlcGxheVNwZWNpZmljYXRpb24gfTtcbiAgICBwcml2YXRlIF9zZXR0bGVkRXZlbnRzOiB7IFtrZXk6IHN0cmluZ106IElMaWZlQ3ljbGVFdmVudCB9O1xuICAgIHByaXZhdGUgX2ltcGxlbWVudGF0aW9uczogeyBba2V5OiBzdHJpbmddOiBhbnkgfTtcblxuICAgIGNvbnN0cnVjdG9yKCkge1xuICAgICAgICB0aGlzLl9pbXBscyA9IG51bGw7XG4gICAgICAgIHRoaXMuX2luaXRTdGF0ZSA9IG51bGw7XG4gICAgICAgIHRoaXMuX2NvbnRleHQgPSB7fTtcbiAgICAgICAgdGhpcy5fYXN5bmNNb2RlID0gZmFsc2U7XG4gICAgICAgIHRoaXMuX3NhbWVTdGF0ZVBvbGljeSA9ICdpZ25vcmUnO1xuICAgICAgICB0aGlzLl9wZW5kaW5nUmVnaW9ucyA9IHt9O1xuICAgICAgICB0aGlzLl9lcnJvckhhbmRsZXIgPSBudWxsO1xuICAgICAgICB0aGlzLl9yZWdpb25Db25maWd1cmF0aW9uID0ge307XG4gICAgICAgIHRoaXMuX2hpc3RvcnlDb25maWd1cmF0aW9uID0ge307XG4gICAgICAgIHRoaXMuX2xhc3RBY3RpdmUgPSB7fTtcbiAgICAgICAgdGhpcy5fc3RhdGVDb25maWd1cmF0aW9uID0ge307XG4gICAgICAgIHRoaXMuX3RyYW5zaXRpb25Db25maWd1cmF0aW9uID0ge307XG4gICAgICAgIHRoaXMuX3JlZW50cnlDb25maWd1cmF0aW9uID0ge307XG4gICAgICAgIHRoaXMuX2V2ZW50Q29uZmlndXJhdGlvbiA9IHt9O1xuICAgICAgICAvLyBIYW5kbGVycyBtYXkgYmUgcmVnaXN0ZXJlZCBiZWZvcmUgdGhlIEZTTSBzdGFydHNcbiAgICAgICAgdGhpcy5faGFuZGxlcnMgPSB7XG4gICAgICAgICAgICBvbkVudGVyU3RhdGU6IFtdLFxuICAgICAgICAgICAgb25MZWF2ZVN0YXRlOiBbXSxcbiAgICAgICAgICAgIG9uQ29udGV4dENoYW5nZTogW11cbiAgICAgICAgfTtcbiAgICAgICAgdGhpcy5fbWlkZGxld2FyZSA9IFtdO1xuICAgICAgICB0aGlzLl9oaXN0b3J5ID0gW107XG4gICAgICAgIHRoaXMuX2hpc3RvcnlMaW1pdCA9IG1heEhpc3RvcnlMZW5ndGg7XG4gICAgICAgIHRoaXMuX3VuZG9uZSA9IFtdO1xuICAgICAgICB0aGlzLl9yZXBsYXlzID0ge307XG4gICAgICAgIHRoaXMuX3NldHRsZWRFdmVudHMgPSB7fTtcbiAgICAgICAgdGhpcy5faW1wbGVtZW50YXRpb25zID0gbnVsbDtcbiAgICAgICAgdGhpcy5fc2NoZWR1bGVyID0gcmVhbFRpbWVTY2hlZHVsZXI7XG4gICAgICAgIHRoaXMuX3RpbWVycyA9IHt9O1xuICAgICAgICB0aGlzLl9leGVjdXRpb24gPSBkaXJlY3RFeGVjdXRpb25TdHJhdGVneTtcbiAgICAgICAgdGhpcy5fZGlzcG9zZWQgPSBmYWxzZTtcbiAgICAgICAgdGhpcy5fY29uZmlndXJhdGlvblN1YmplY3QgPSBuZXcgUmVwbGF5U3ViamVjdDx7IFtrZXk6IHN0cmluZ106IHN0cmluZyB9PigxKTtcbiAgICAgICAgdGhpcy5fdHJhbnNpdGlvblN1YmplY3QgPSBuZXcgU3ViamVjdDxJTGlmZUN5Y2xlRXZlbnQ+KCk7XG4gICAgICAgIHRoaXMuX2Vycm9yU3ViamVjdCA9IG5ldyBTdWJqZWN0PElFcnJvckV2ZW50PigpO1xuICAgICAgICB0aGlzLl9jb250ZXh0U3ViamVjdCA9IG5ldyBSZXBsYXlTdWJqZWN0PGFueT4oMSk7XG4gICAgICAgIHRoaXMuY29uZmlndXJhdGlvbiQgPSA8T2JzZXJ2YWJsZTx7IFtrZXk6IHN0cmluZ106IFRTdGF0ZSB9Pj50aGlzLl9jb25maWd1cmF0aW9uU3ViamVjdC5hc09ic2VydmFibGUoKTtcbiAgICAgICAgdGhpcy5zdGF0ZSQgPSB0aGlzLndhdGNoU3RhdGUoKTtcbiAgICAgICAgdGhpcy50cmFuc2l0aW9ucyQgPSA8T2JzZXJ2YWJsZTxJTGlmZUN5Y2xlRXZlbnQ8VFN0YXRlLCBURXZlbnQsIFRDb250ZXh0Pj4+dGhpcy5fdHJhbnNpdGlvblN1YmplY3QuYXNPYnNlcnZhYmxlKCk7XG4gICAgICAgIHRoaXMuZXJyb3JzJCA9IHRoaXMuX2Vycm9yU3ViamVjdC5hc09ic2VydmFibGUoKTtcbiAgICAgICAgdGhpcy5jb250ZXh0JCA9IDxPYnNlcnZhYmxlPFRDb250ZXh0Pj50aGlzLl9jb250ZXh0U3ViamVjdC5hc09ic2VydmFibGUoKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBCdWlsZHMgYSBGU00gZnJvbSBhIGRlY2xhcmF0aXZlIGRlZmluaXRpb24sIGluIHdoaWNoIHRoZSBjYWxsYmFja3NcbiAgICAgKiBhbmQgdGhlIGd1YXJkcyBhcmUgcmVmZXJyZWQgdG8gYnkgdGhlaXIgbmFtZXMgaW4gdGhlIGdpdmVuIG1hcCBvZlxuICAgICAqIGltcGxlbWVudGF0aW9ucy4gVGhlIHJlc3VsdGluZyBGU00gaXMgY29uZmlndXJlZCBidXQgbm90IHN0YXJ0ZWQuXG4gICAgICogSWYgdGhlIGRlZmluaXRpb24gaXMgaW52YWxpZCwgYSBEZWZpbml0aW9uRXJyb3IgbGlzdGluZyBhbGxcbiAgICAgKiB0aGUgcHJvYmxlbXMgZm91bmQgaXMgdGhyb3duLiBUaGUgbW9kZSBvZiB0aGUgRlNNIGlzIGdpdmVuIGJ5XG4gICAgICogdGhlIGRlZmluaXRpb24sIHNvIGl0IGlzIHVua25vd24gdG8gdGhlIHR5cGUgc3lzdGVtLFxuICAgICAqIHVubGVzcyBzdGF0ZWQgYnkgdGhlIGxhc3QgdHlwZSBwYXJhbWV0ZXIuXG4gICAgICovXG4gICAgc3RhdGljIGZyb21EZWZpbml0aW9uPFRTdGF0ZSBleHRlbmRzIHN0cmluZyA9IHN0cmluZywgVEV2ZW50IGV4dGVuZHMgc3RyaW5nID0gc3RyaW5nLCBUQ29udGV4dCA9IGFueSxcbiAgICAgICAgVEFzeW5jIGV4dGVuZHMgYm9vbGVhbiA9IGJvb2xlYW4+KGRlZmluaXRpb246IElNYWNoaW5lRGVmaW5pdGlvbixcbiAgICAgICAgaW1wbGVtZW50YXRpb25zPzogeyBba2V5OiBzdHJpbmddOiBhbnkgfSk6IEZpbml0ZVN0YXRlTWFjaGluZTxUU3RhdGUsIFRFdmVudCwgVENvbnRleHQsIFRBc3luYz4ge1xuICAgICAgICBjb25zdCBlcnJvcnMgPSB2YWxpZGF0ZURlZmluaXRpb24oZGVmaW5pdGlvbik7XG4gICAgICAgIGlmIChlcnJvcnMubGVuZ3RoKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRGVmaW5pdGlvbkVycm9yKGVycm9ycyk7XG4gICAgICAgIH1cblxuICAgICAgICBpbXBsZW1lbnRhdGlvbnMgPSBpbXBsZW1lbnRhdGlvbnMgfHwge307XG4gICAgICAgIGNvbnN0IGxvb2t1cCA9IChuYW1lOiBzdHJpbmcsIHBhdGg6IHN0cmluZykgPT4ge1xuICAgICAgICAgICAgaWYgKCFuYW1lKSB7XG4gICAgICAgICAgICAgICAgcmV0dXJuIHVuZGVmaW5lZDtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIGlmICghaW1wbGVtZW50YXRpb25zLmhhc093blByb3BlcnR5KG5hbWUpIHx8IHR5cGVvZiBpbXBsZW1lbnRhdGlvbnNbbmFtZV0gIT09ICdmdW5jdGlvbicpIHtcbiAgICAgICAgICAgICAgICBlcnJvcnMucHVzaCh7IHBhdGg6IHBhdGgsIG1lc3NhZ2U6ICdVbmRlZmluZWQgaW1wbGVtZW50YXRpb246ICcgKyBuYW1lIH0pO1xuICAgICAgICAgICAgICAgIHJldHVybiB1bmRlZmluZWQ7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICByZXR1cm4gaW1wbGVtZW50YXRpb25zW25hbWVdO1xuICAgICAgICB9O1xuICAgICAgICAvLyBLZWVwcyBnb2luZyBvbiBmYWlsdXJlcywgc28gdGhhdCBhbGwgdGhlIHByb2JsZW1zIGFyZSByZXBvcnRlZC5cbiAgICAgICAgY29uc3QgYXR0ZW1wdCA9IChwYXRoOiBzdHJpbmcsIGZuOiAoKSA9PiB2b2lkKSA9PiB7XG4gICAgICAgICAgICB0cnkge1xuICAgICAgICAgICAgICAgIGZuKCk7XG4gICAgICAgICAgICB9IGNhdGNoIChlKSB7XG4gICAgICAgICAgICAgICAgZXJyb3JzLnB1c2goeyBwYXRoOiBwYXRoLCBtZXNzYWdlOiBlLm1lc3NhZ2UgfSk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH07XG5cbiAgICAgICAgY29uc3QgZnNtOiBGaW5pdGVTdGF0ZU1hY2hpbmU8YW55LCBhbnksIGFueSwgYW55PiA9IG5ldyBGaW5pdGVTdGF0ZU1hY2hpbmUoKTtcbiAgICAgICAgaWYgKGRlZmluaXRpb24uY29udGV4dCAhPT0gdW5kZWZpbmVkKSB7XG4gICAgICAgICAgICBmc20uc2V0Q29udGV4dChkZWZpbml0aW9uLmNvbnRleHQpO1xuICAgICAgICB9XG4gICAgICAgIGZzbS5zZXRBc3luY01vZGUoISFkZWZpbml0aW9uLmFzeW5jTW9kZSk7XG4gICAgICAgIGlmIChkZWZpbml0aW9uLnNhbWVTdGF0ZVBvbGljeSkge1xuICAgICAgICAgICAgYXR0ZW1wdCgnL3NhbWVTdGF0ZVBvbGljeScsICgpID0+IGZzbS5zZXRTYW1lU3RhdGVQb2xpY3koPFNhbWVTdGF0ZVBvbGljeVR5cGU+ZGVmaW5pdGlvbi5zYW1lU3RhdGVQb2xpY3kpKTtcbiAgICAgICAgfVxuICAgICAgICAoZGVmaW5pdGlvbi5yZWdpb25zIHx8IFtdKS5mb3JFYWNoKChyLCBpKSA9PiB7XG4gICAgICAgICAgICBhdHRlbXB0KCcvcmVnaW9ucy8nICsgaSwgKCkgPT4gZnNtLmFkZFJlZ2lvbihyLm5hbWUsIHIuaW5pdGlhbCkpO1xuICAgICAgICB9KTtcbiAgICAgICAgZGVmaW5pdGlvbi5zdGF0ZXMuZm9yRWFjaCgoc3Q6IElTdGF0ZURlZmluaXRpb24sIGkpID0+IHtcbiAgICAgICAgICAgIGNvbnN0IHBhdGggPSAnL3N0YXRlcy8nICsgaTtcbiAgICAgICAgICAgIGNvbnN0IG9uRW50ZXIgPSBsb29rdXAoc3Qub25FbnRlciwgcGF0aCArICcvb25FbnRlcicpO1xuICAgICAgICAgICAgY29uc3Qgb25MZWF2ZSA9IGxvb2t1cChzdC5vbkxlYXZlLCBwYXRoICsgJy9vbkxlYXZlJyk7XG4gICAgICAgICAgICBhdHRlbXB0KHBhdGgsICgpID0+IGZzbS5hZGRTdGF0ZShzdC5uYW1lLCBvbkVudGVyLCBvbkxlYXZlLCB7XG4gICAgICAgICAgICAgICAgcGFyZW50OiBzdC5wYXJlbnQsXG4gICAgICAgICAgICAgICAgaW5pdGlhbDogc3QuaW5pdGlhbCxcbiAgICAgICAgICAgICAgICByZWdpb246IHN0LnJlZ2lvbixcbiAgICAgICAgICAgICAgICBmaW5hbDogc3QuZmluYWxcbiAgICAgICAgICAgIH0pKTtcbiAgICAgICAgfSk7XG4gICAgICAgIChkZWZpbml0aW9uLmhpc3RvcnlTdGF0ZXMgfHwgW10pLmZvckVhY2goKGg6IElIaXN0b3J5U3RhdGVEZWZpbml0aW9uLCBpKSA9PiB7XG4gICAgICAgICAgICBhdHRlbXB0KCcvaGlzdG9yeVN0YXRlcy8nICsgaSwgKCkgPT4gZnNtLmFkZEhpc3RvcnlTdGF0ZShoLm5hbWUsIGgucGFyZW50LCB7XG4gICAgICAgICAgICAgICAgZGVlcDogaC5kZWVwLFxuICAgICAgICAgICAgICAgIGRlZmF1bHRUYXJnZXQ6IGguZGVmYXVsdFRhcmdldFxuICAgICAgICAgICAgfSkpO1xuICAgICAgICB9KTtcbiAgICAgICAgKGRlZmluaXRpb24udHJhbnNpdGlvbnMgfHwgW10pLmZvckVhY2goKHRyOiBJVHJhbnNpdGlvbkRlZmluaXRpb24sIGkpID0+IHtcbiAgICAgICAgICAgIGNvbnN0IHBhdGggPSAnL3RyYW5zaXRpb25zLycgKyBpO1xuICAgICAgICAgICAgY29uc3Qgb25BZnRlciA9IGxvb2t1cCh0ci5vbkFmdGVyLCBwYXRoICsgJy9vbkFmdGVyJyk7XG4gICAgICAgICAgICBjb25zdCBvbkJlZm9yZSA9IGxvb2t1cCh0ci5vbkJlZm9yZSwgcGF0aCArICcvb25CZWZvcmUnKTtcbiAgICAgICAgICAgIGNvbnN0IGd1YXJkID0gbG9va3VwKHRyLmd1YXJkLCBwYXRoICsgJy9ndWFyZCcpO1xuICAgICAgICAgICAgY29uc3QgYXNzaWduID0gdHlwZW9mIHRyLmFzc2lnbiA9PT0gJ3N0cmluZycgPyBsb29rdXAodHIuYXNzaWduLCBwYXRoICsgJy9hc3NpZ24nKSA6IHRyLmFzc2lnbjtcbiAgICAgICAgICAgIGF0dGVtcHQocGF0aCwgKCkgPT4gZnNtLmFkZFRyYW5zaXRpb24odHIuZnJvbSwgdHIudG8sIG9uQWZ0ZXIsIG9uQmVmb3JlLCB7XG4gICAgICAgICAgICAgICAgZ3VhcmQ6IGd1YXJkLFxuICAgICAgICAgICAgICAgIGV2ZW50OiB0ci5ldmVudCxcbiAgICAgICAgICAgICAgICBhc3NpZ246IGFzc2lnbixcbiAgICAgICAgICAgICAgICBkZWxheTogdHIuZGVsYXksXG4gICAgICAgICAgICAgICAgY29tcGVuc2F0aW9uOiB0ci5jb21wZW5zYXRpb24sXG4gICAgICAgICAgICAgICAgaW50ZXJuYWw6IHRyLmludGVybmFsXG4gICAgICAgICAgICB9KSk7XG4gICAgICAgIH0pO1xuXG4gICAgICAgIC8vIFRoZSByZWZlcmVuY2VzIHRvIHRoZSBzdGF0ZXMgYXJlIG90aGVyd2lzZSBjaGVja2VkIG9ubHkgb24gc3RhcnQuXG4gICAgICAgIGNvbnN0IHN0YXRlQ29uZiA9IGZzbS5fc3RhdGVDb25maWd1cmF0aW9uO1xuICAgICAgICBpZiAoZGVmaW5pdGlvbi5pbml0aWFsKSB7XG4gICAgICAgICAgICBpZiAoc3RhdGVDb25mW2RlZmluaXRpb24uaW5pdGlhbF0pIHtcbiAgICAgICAgICAgICAgICBmc20uc2V0SW5pdFN0YXRlKGRlZmluaXRpb24uaW5pdGlhbCk7XG4gICAgICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgICAgIGVycm9ycy5wdXNoKHsgcGF0aDogJy9pbml0aWFsJywgbWVzc2FnZTogJ1VuZGVmaW5lZCBzdGF0ZTogJyArIGRlZmluaXRpb24uaW5pdGlhbCB9KTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgICAgICAoZGVmaW5pdGlvbi5yZWdpb25zIHx8IFtdKS5mb3JFYWNoKChyLCBpKSA9PiB7XG4gICAgICAgICAgICBpZiAoIXN0YXRlQ29uZltyLmluaXRpYWxdIHx8IHN0YXRlQ29uZltyLmluaXRpYWxdLnJlZ2lvbiAhPT0gci5uYW1lKSB7XG4gICAgICAgICAgICAgICAgZXJyb3JzLnB1c2goeyBwYXRoOiAnL3JlZ2lvbnMvJyArIGkgKyAnL2luaXRpYWwnLCBtZXNzYWdlOiAnVW5kZWZpbmVkIHN0YXRlIGluIHJlZ2lvbjogJyArIHIuaW5pdGlhbCB9KTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfSk7XG4gICAgICAgIGRlZmluaXRpb24uc3RhdGVzLmZvckVhY2goKHN0OiBJU3RhdGVEZWZpbml0aW9uLCBpKSA9PiB7XG4gICAgICAgICAgICBjb25zdCBlbGVtID0gc3RhdGVDb25mW3N0Lm5hbWVdO1xuICAgICAgICAgICAgaWYgKGVsZW0gJiYgc3QuaW5pdGlhbCAmJiBpbmRleE9mKGVsZW0uY2hpbGRyZW4sIHN0LmluaXRpYWwpIDwgMCkge1xuICAgICAgICAgICAgICAgIGVycm9ycy5wdXNoKHsgcGF0aDogJy9zdGF0ZXMvJyArIGkgKyAnL2luaXRpYWwnLCBtZXNzYWdlOiAnVW5kZWZpbmVkIGluaXRpYWwgY2hpbGQgc3RhdGU6ICcgKyBzdC5pbml0aWFsIH0pO1xuICAgICAgICAgICAgfVxuICAgICAgICB9KTtcbiAgICAgICAgKGRlZmluaXRpb24uaGlzdG9yeVN0YXRlcyB8fCBbXSkuZm9yRWFjaCgoaDogSUhpc3RvcnlTdGF0ZURlZmluaXRpb24sIGkpID0+IHtcbiAgICAgICAgICAgIGlmIChzdGF0ZUNvbmZbaC5wYXJlbnRdICYmICFzdGF0ZUNvbmZbaC5wYXJlbnRdLmNoaWxkcmVuLmxlbmd0aCkge1xuICAgICAgICAgICAgICAgIGVycm9ycy5wdXNoKHsgcGF0aDogJy9oaXN0b3J5U3RhdGVzLycgKyBpICsgJy9wYXJlbnQnLCBtZXNzYWdlOiAnSGlzdG9yeSBzdGF0ZSBvZiBhbiBhdG9taWMgc3RhdGU6ICcgKyBoLm5hbWUgfSk7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICBjb25zdCB0YXJnZXQgPSBoLmRlZmF1bHRUYXJnZXQ7XG4gICAgICAgICAgICBpZiAodGFyZ2V0ICYmICghc3RhdGVDb25mW3RhcmdldF0gfHwgdGFyZ2V0ID09PSBoLnBhcmVudCB8fCBpbmRleE9mKGZzbS5wYXRoT2YodGFyZ2V0KSwgaC5wYXJlbnQpIDwgMCkpIHtcbiAgICAgICAgICAgICAgICBlcnJvcnMucHVzaCh7IHBhdGg6ICcvaGlzdG9yeVN0YXRlcy8nICsgaSArICcvZGVmYXVsdFRhcmdldCcsIG1lc3NhZ2U6ICdVbmRlZmluZWQgZGVmYXVsdCB0YXJnZXQ6ICcgKyB0YXJnZXQgfSk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH0pO1xuXG4gICAgICAgIGlmIChlcnJvcnMubGVuZ3RoKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRGVmaW5pdGlvbkVycm9yKGVycm9ycyk7XG4gICAgICAgIH1cbiAgICAgICAgZnNtLl9pbXBsZW1lbnRhdGlvbnMgPSBpbXBsZW1lbnRhdGlvbnM7XG4gICAgICAgIHJldHVybiBmc207XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogQnVpbGRzIGEgRlNNIGZyb20gYSBTQ1hNTCBkb2N1bWVudCwgaW4gd2hpY2ggdGhlIG9uZW50cnkgYW5kIG9uZXhpdFxuICAgICAqIGhhbmRsZXJzIGFuZCB0aGUgY29uZGl0aW9ucyByZWZlciB0byB0aGUgY2FsbGJhY2tzIGFuZCB0aGUgZ3VhcmRzXG4gICAgICogYnkgdGhlaXIgbmFtZXMgaW4gdGhlIGdpdmVuIG1hcCBvZiBpbXBsZW1lbnRhdGlvbnMuXG4gICAgICogVGhlIHJlc3VsdGluZyBGU00gaXMgY29uZmlndXJlZCBidXQgbm90IHN0YXJ0ZWQsXG4gICAgICogYW5kIGl0IGlzIGluIHRoZSBzeW5jaHJvbm91cyBtb2RlLlxuICAgICAqL1xuICAgIHN0YXRpYyBmcm9tU2N4bWw8VFN0YXRlIGV4dGVuZHMgc3RyaW5nID0gc3RyaW5nLCBURXZlbnQgZXh0ZW5kcyBzdHJpbmcgPSBzdHJpbmcsIFRDb250ZXh0ID0gYW55PihcbiAgICAgICAgeG1sOiBzdHJpbmcsIGltcGxlbWVudGF0aW9ucz86IHsgW2tleTogc3RyaW5nXTogYW55IH0pOiBGaW5pdGVTdGF0ZU1hY2hpbmU8VFN0YXRlLCBURXZlbnQsIFRDb250ZXh0PiB7XG4gICAgICAgIHJldHVybiBGaW5pdGVTdGF0ZU1hY2hpbmUuZnJvbURlZmluaXRpb248VFN0YXRlLCBURXZlbnQsIFRDb250ZXh0LCBmYWxzZT4ocGFyc2VTY3htbCh4bWwpLCBpbXBsZW1lbnRhdGlvbnMpO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIENoZWNrcyBpZiBGU00gaXMgaW4gY29uZmlndXJhdGlvbiBzdGFnZS5cbiAgICAgKi9cbiAgICBwcml2YXRlIGVuc3VyZUNvbmZpZ3VyZVN0YWdlKCkge1xuICAgICAgICBpZiAodGhpcy5fZGlzcG9zZWQpIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignU3RhdGUgbWFjaGluZSBoYXMgYmVlbiBkaXNwb3NlZC4nKTtcbiAgICAgICAgfVxuICAgICAgICBpZiAodGhpcy5faW1wbHMpIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignU3RhdGUgbWFjaGluZSBoYXMgc3RhcnRlZC4nKTtcbiAgICAgICAgfVxuICAgIH1cblxuICAgIC8qKlxuICAgICAqIENoZWNrcyBpZiBGU00gaXMgaW4gcnVubmluZyBzdGFnZS5cbiAgICAgKi9cbiAgICBwcml2YXRlIGVuc3VyZVJ1bm5pbmdTdGFnZSgpIHtcbiAgICAgICAgaWYgKHRoaXMuX2Rpc3Bvc2VkKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1N0YXRlIG1hY2hpbmUgaGFzIGJlZW4gZGlzcG9zZWQuJyk7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKCF0aGlzLl9pbXBscykge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdTdGF0ZSBtYWNoaW5lIGhhcyBub3QgeWV0IHN0YXJ0ZWQuJyk7XG4gICAgICAgIH1cbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZXR1cm5zIHRoZSBnaXZlbiBzdGF0ZSBhbmQgYWxsIG9mIGl0cyBlbmNsb3Npbmcgc3RhdGVzLFxuICAgICAqIHN0YXJ0aW5nIGZyb20gdGhlIG91dGVybW9zdCBvbmUuXG4gICAgICovXG4gICAgcHJpdmF0ZSBwYXRoT2YobmFtZTogc3RyaW5nKSB7XG4gICAgICAgIGNvbnN0IHN0YXRlQ29uZiA9IHRoaXMuX3N0YXRlQ29uZmlndXJhdGlvbjtcbiAgICAgICAgY29uc3QgcGF0aDogQXJyYXk8c3RyaW5nPiA9IFtdO1xuICAgICAgICBmb3IgKGxldCBzID0gbmFtZTsgczsgcyA9IHN0YXRlQ29uZltzXS5wYXJlbnQpIHtcbiAgICAgICAgICAgIHBhdGgudW5zaGlmdChzKTtcbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gcGF0aDtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZXNvbHZlcyB0aGUgYXRvbWljIHN0YXRlIHdoaWNoIGlzIGVudGVyZWRcbiAgICAgKiB3aGVuIGEgdHJhbnNpdGlvbiB0YXJnZXRzIHRoZSBnaXZlbiBzdGF0ZS5cbiAgICAgKi9cbiAgICBwcml2YXRlIHJlc29sdmVBdG9taWNTdGF0ZShuYW1lOiBzdHJpbmcpIHtcbiAgICAgICAgY29uc3Qgc3RhdGVDb25mID0gdGhpcy5fc3RhdGVDb25maWd1cmF0aW9uO1xuICAgICAgICBsZXQgZWxlbSA9IHN0YXRlQ29uZltuYW1lXTtcbiAgICAgICAgd2hpbGUgKGVsZW0uY2hpbGRyZW4ubGVuZ3RoID4gMCkge1xuICAgICAgICAgICAgbmFtZSA9IGVsZW0uaW5pdGlhbCB8fCBlbGVtLmNoaWxkcmVuWzBdO1xuICAgICAgICAgICAgZWxlbSA9IHN0YXRlQ29uZltuYW1lXTtcbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gbmFtZTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZXR1cm5zIHRoZSBhdG9taWMgc3RhdGVzIHdoaWNoIGFyZSBuZXN0ZWQgaW4gdGhlIGdpdmVuIHN0YXRlLFxuICAgICAqIG9yIHRoZSBzdGF0ZSBpdHNlbGYgaWYgaXQgZG9lcyBub3QgaGF2ZSBhbnkgY2hpbGQuXG4gICAgICovXG4gICAgcHJpdmF0ZSBhdG9taWNTdGF0ZXNPZihuYW1lOiBzdHJpbmcpOiBBcnJheTxzdHJpbmc+IHtcbiAgICAgICAgY29uc3QgZWxlbSA9IHRoaXMuX3N0YXRlQ29uZmlndXJhdGlvbltuYW1lXTtcbiAgICAgICAgaWYgKGVsZW0uY2hpbGRyZW4ubGVuZ3RoID09PSAwKSB7XG4gICAgICAgICAgICByZXR1cm4gW25hbWVdO1xuICAgICAgICB9XG4gICAgICAgIGxldCByZXN1bHQ6IEFycmF5PHN0cmluZz4gPSBbXTtcbiAgICAgICAgZm9yIChjb25zdCBjaGlsZCBvZiBlbGVtLmNoaWxkcmVuKSB7XG4gICAgICAgICAgICByZXN1bHQgPSByZXN1bHQuY29uY2F0KHRoaXMuYXRvbWljU3RhdGVzT2YoY2hpbGQpKTtcbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gcmVzdWx0O1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIEludm9rZXMgdGhlIGdpdmVuIGNhbGxiYWNrcyB3aGljaCBtYXkgZGVsYXkgb3IgdmV0byBhIHRyYW5zaXRpb24uXG4gICAgICogSW4gdGhlIGFzeW5jaHJvbm91cyBtb2RlLCBhIHByb21pc2UgcmVzb2x2ZWQgdG8gZmFsc2UgaXMgdHVybmVkIGludG9cbiAgICAgKiBhIHJlamVjdGlvbiwgYXMgdGhlIHVuZGVybHlpbmcgaW1wbGVtZW50YXRpb24gd291bGQgbm90IHRha2UgaXQgYXMgYSB2ZXRvLlxuICAgICAqIEluIHRoZSBzeW5jaHJvbm91cyBtb2RlLCBhIHByb21pc2UgaXMgYW4gZXJyb3IsIHdoaWNoIHZldG9lc1xuICAgICAqIHRoZSB0cmFuc2l0aW9uLCBhcyB0aGUgdW5kZXJseWluZyBpbXBsZW1lbnRhdGlvbiB3b3VsZCB3YWl0IGZvciBpdC5cbiAgICAgKi9cbiAgICBwcml2YXRlIGludm9rZVZldG9hYmxlQ2FsbGJhY2tzKGNhbGxiYWNrczogQXJyYXk8TWV0aG9kQ2FsbGJhY2tUeXBlPiwgbGlmZWN5Y2xlOiBJTGlmZUN5Y2xlRXZlbnQpIHtcbiAgICAgICAgY29uc3QgcmVzdWx0ID0gaW52b2tlSW5TZXF1ZW5jZShjYWxsYmFja3MsIGxpZmVjeWNsZSk7XG4gICAgICAgIGlmICghcmVzdWx0IHx8IHR5cGVvZiByZXN1bHQudGhlbiAhPT0gJ2Z1bmN0aW9uJykge1xuICAgICAgICAgICAgcmV0dXJuIHJlc3VsdDtcbiAgICAgICAgfVxuICAgICAgICBpZiAoIXRoaXMuX2FzeW5jTW9kZSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdQcm9taXNlIHJldHVybmVkIGluIHN5bmNocm9ub3VzIG1vZGU6ICcgKyBsaWZlY3ljbGUudHJhbnNpdGlvbik7XG4gICAgICAgIH1cbiAgICAgICAgcmV0dXJuIHJlc3VsdC50aGVuKCh2YWx1ZSkgPT4ge1xuICAgICAgICAgICAgaWYgKHZhbHVlID09PSBmYWxzZSkge1xuICAgICAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignVHJhbnNpdGlvbiBpcyB2ZXRvZWQ6ICcgKyBsaWZlY3ljbGUudHJhbnNpdGlvbik7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICByZXR1cm4gdmFsdWU7XG4gICAgICAgIH0pO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFVwZGF0ZXMgdGhlIGNvbnRleHQgZGF0YSBhcyBkZWNsYXJlZCBieSBhIHRyYW5zaXRpb24sXG4gICAgICogYW5kIG5vdGlmaWVzIHRoZSBoYW5kbGVycyBvZiB0aGUgY2hhbmdlLlxuICAgICAqL1xuICAgIHByaXZhdGUgYXNzaWduQ29udGV4dChhc3NpZ246IEFzc2lnblR5cGUsIGxpZmVjeWNsZTogSUxpZmVDeWNsZUV2ZW50KSB7XG4gICAgICAgIGNvbnN0IHByZXZpb3VzID0gdGhpcy5fY29udGV4dDtcbiAgICAgICAgY29uc3QgY2hhbmdlcyA9IHR5cGVvZiBhc3NpZ24gPT09ICdmdW5jdGlvbicgP1xuICAgICAgICAgICAgKDxBc3NpZ25GdW5jdGlvblR5cGU+YXNzaWduKShwcmV2aW91cywgbGlmZWN5Y2xlLnBheWxvYWQpIDpcbiAgICAgICAgICAgIF8ubWFwT2JqZWN0KGFzc2lnbiwgKHZhbHVlKSA9PiB7XG4gICAgICAgICAgICAgICAgcmV0dXJuIHR5cGVvZiB2YWx1ZSA9PT0gJ2Z1bmN0aW9uJyA/IHZhbHVlKHByZXZpb3VzLCBsaWZlY3ljbGUucGF5bG9hZCkgOiB2YWx1ZTtcbiAgICAgICAgICAgIH0pO1xuICAgICAgICB0aGlzLl9jb250ZXh0ID0gXy5leHRlbmQoe30sIHByZXZpb3VzLCBjaGFuZ2VzKTtcbiAgICAgICAgbGlmZWN5Y2xlLmNvbnRleHQgPSB0aGlzLl9jb250ZXh0O1xuXG4gICAgICAgIGNvbnN0IGNoYW5nZTogSUNvbnRleHRDaGFuZ2VFdmVudCA9IHtcbiAgICAgICAgICAgIGNvbnRleHQ6IHRoaXMuX2NvbnRleHQsXG4gICAgICAgICAgICBwcmV2aW91czogcHJldmlvdXMsXG4gICAgICAgICAgICBsaWZlY3ljbGU6IGxpZmVjeWNsZVxuICAgICAgICB9O1xuICAgICAgICB0aGlzLmRlbGl2ZXIodGhpcy5faGFuZGxlcnMub25Db250ZXh0Q2hhbmdlLCAoKSA9PiB7XG4gICAgICAgICAgICBidWlsZEhhbmRsZXJJbkNsb3N1cmUodGhpcy5faGFuZGxlcnMsICdvbkNvbnRleHRDaGFuZ2UnKShjaGFuZ2UpO1xuICAgICAgICB9KTtcbiAgICAgICAgdGhpcy5ub3RpZnlDb250ZXh0KCk7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogTm90aWZpZXMgdGhlIHN1YnNjcmliZXJzIG9mIGNvbnRleHQkIG9mIHRoZSBjdXJyZW50IGNvbnRleHQgZGF0YS5cbiAgICAgKi9cbiAgICBwcml2YXRlIG5vdGlmeUNvbnRleHQoKSB7XG4gICAgICAgIGNvbnN0IGNvbnRleHQgPSB0aGlzLl9jb250ZXh0O1xuICAgICAgICB0aGlzLmRlbGl2ZXIodGhpcy5fY29udGV4dFN1YmplY3Qub2JzZXJ2ZXJzLCAoKSA9PiB0aGlzLl9jb250ZXh0U3ViamVjdC5uZXh0KGNvbnRleHQpKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZXBvcnRzIGFuIGVycm9yIHRvIHRoZSBlcnJvciBoYW5kbGVyIGFuZCB0byB0aGUgc3Vic2NyaWJlcnMgb2YgZXJyb3JzJC5cbiAgICAgKi9cbiAgICBwcml2YXRlIHJlcG9ydEVycm9yKG5hbWU6IHN0cmluZywgZnJvbTogc3RyaW5nLCB0bzogc3RyaW5nLCBlcnJvcj86IGFueSkge1xuICAgICAgICBjb25zdCBlcnJvckhhbmRsZXIgPSB0aGlzLl9lcnJvckhhbmRsZXIgfHwgZGVmYXVsdEVycm9ySGFuZGxlcjtcbiAgICAgICAgZXJyb3JIYW5kbGVyKG5hbWUsIGZyb20sIHRvLCBlcnJvcik7XG4gICAgICAgIHRoaXMuZGVsaXZlcih0aGlzLl9lcnJvclN1YmplY3Qub2JzZXJ2ZXJzLCAoKSA9PiB7XG4gICAgICAgICAgICB0aGlzLl9lcnJvclN1YmplY3QubmV4dCh7IG5hbWU6IG5hbWUsIGZyb206IGZyb20sIHRvOiB0bywgZXJyb3I6IGVycm9yIH0pO1xuICAgICAgICB9KTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBEZWxpdmVycyBhIG5vdGlmaWNhdGlvbiBieSB0aGUgZXhlY3V0aW9uIHN0cmF0ZWd5LCB1bmxlc3NcbiAgICAgKiBub2JvZHkgbGlzdGVucyB0byBpdCwgaW4gd2hpY2ggY2FzZSBpdCBpcyBkZWxpdmVyZWQgYXQgb25jZS5cbiAgICAgKi9cbiAgICBwcml2YXRlIGRlbGl2ZXIobGlzdGVuZXJzOiBBcnJheTxhbnk+LCBkZWxpdmVyeTogKCkgPT4gdm9pZCkge1xuICAgICAgICBpZiAobGlzdGVuZXJzICYmIGxpc3RlbmVycy5sZW5ndGggPiAwKSB7XG4gICAgICAgICAgICB0aGlzLl9leGVjdXRpb24ubm90aWZ5KGRlbGl2ZXJ5KTtcbiAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgIGRlbGl2ZXJ5KCk7XG4gICAgICAgIH1cbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZXR1cm5zIHRoZSBzcGVjaWZpY2F0aW9uIG9mIHRoZSBnaXZlbiB0cmFuc2l0aW9uLCB3aGljaCBpcyBlaXRoZXJcbiAgICAgKiBkZWZpbmVkLCBvciBpbXBsaWVkIGJ5IHRoZSBzYW1lLXN0YXRlIHBvbGljeSBmb3IgcmUtZW50ZXJpbmcgYSBzdGF0ZS5cbiAgICAgKi9cbiAgICBwcml2YXRlIHRyYW5zaXRpb25PZihuYW1lOiBzdHJpbmcpIHtcbiAgICAgICAgcmV0dXJuIHRoaXMuX3RyYW5zaXRpb25Db25maWd1cmF0aW9uW25hbWVdIHx8IHRoaXMuX3JlZW50cnlDb25maWd1cmF0aW9uW25hbWVdO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIENvbXB1dGVzIHRoZSBzdGF0ZXMgbGVmdCBhbmQgZW50ZXJlZCBieSBhIHRyYW5zaXRpb24uIEEgc2VsZi10cmFuc2l0aW9uXG4gICAgICogbGVhdmVzIGFuZCByZS1lbnRlcnMgaXRzIG93biBzdGF0ZSwgdW5sZXNzIGl0IGlzIGludGVybmFsLlxuICAgICAqL1xuICAgIHByaXZhdGUgc3RlcHNPZihsaWZlY3ljbGU6IHsgdHJhbnNpdGlvbjogc3RyaW5nLCBmcm9tOiBzdHJpbmcsIHRvOiBzdHJpbmcgfSkge1xuICAgICAgICBjb25zdCBlbGVtID0gdGhpcy50cmFuc2l0aW9uT2YobGlmZWN5Y2xlLnRyYW5zaXRpb24pO1xuICAgICAgICBjb25zdCBmcm9tUGF0aCA9IHRoaXMuX3N0YXRlQ29uZmlndXJhdGlvbltsaWZlY3ljbGUuZnJvbV0gPyB0aGlzLnBhdGhPZihsaWZlY3ljbGUuZnJvbSkgOiBbXTtcbiAgICAgICAgY29uc3QgdG9QYXRoID0gdGhpcy5wYXRoT2YobGlmZWN5Y2xlLnRvKTtcbiAgICAgICAgaWYgKGVsZW0gJiYgZWxlbS5mcm9tID09PSBlbGVtLnRvKSB7XG4gICAgICAgICAgICBpZiAoZWxlbS5pbnRlcm5hbCkge1xuICAgICAgICAgICAgICAgIHJldHVybiB7IGV4aXQ6IFtdLCBlbnRyeTogW10gfTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIGNvbnN0IGkgPSBpbmRleE9mKGZyb21QYXRoLCBlbGVtLmZyb20pO1xuICAgICAgICAgICAgcmV0dXJuIHsgZXhpdDogZnJvbVBhdGguc2xpY2UoaSkucmV2ZXJzZSgpLCBlbnRyeTogdG9QYXRoLnNsaWNlKGkpIH07XG4gICAgICAgIH1cbiAgICAgICAgcmV0dXJuIGNvbXB1dGVFeGl0QW5kRW50cnkoZnJvbVBhdGgsIHRvUGF0aCk7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogUmV0dXJucyB0aGUgdW5kZXJseWluZyBpbXBsZW1lbnRhdGlvbiBmb3IgdGhlIGdpdmVuIHJlZ2lvbi5cbiAgICAgKi9cbiAgICBwcml2YXRlIGltcGxPZihyZWdpb246IHN0cmluZykge1xuICAgICAgICByZWdpb24gPSByZWdpb24gfHwgZGVmYXVsdFJlZ2lvbjtcbiAgICAgICAgY29uc3QgaW1wbCA9IHRoaXMuX2ltcGxzW3JlZ2lvbl07XG4gICAgICAgIGlmICghaW1wbCkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdVbmRlZmluZWQgcmVnaW9uOiAnICsgcmVnaW9uKTtcbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gaW1wbDtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBEZWZpbmVzIGFuIG9ydGhvZ29uYWwgcmVnaW9uLCB3aGljaCBpcyBhY3RpdmUgYXQgdGhlIHNhbWUgdGltZSBhc1xuICAgICAqIHRoZSBkZWZhdWx0IHJlZ2lvbiBhbmQgYWxsIHRoZSBvdGhlciByZWdpb25zLlxuICAgICAqIEVhY2ggcmVnaW9uIGhhcyBpdHMgb3duIGluaXQgc3RhdGUgYW5kIGl0cyBvd24gY3VycmVudCBzdGF0ZS5cbiAgICAgKi9cbiAgICBhZGRSZWdpb24obmFtZTogc3RyaW5nLCBpbml0U3RhdGU6IFRTdGF0ZSkge1xuICAgICAgICAvLyBQcmUtY29uZGl0aW9uc1xuICAgICAgICB0aGlzLmVuc3VyZUNvbmZpZ3VyZVN0YWdlKCk7XG4gICAgICAgIGNvbnN0IHJlZ2lvbkNvbmYgPSB0aGlzLl9yZWdpb25Db25maWd1cmF0aW9uO1xuICAgICAgICBpZiAobmFtZSA9PT0gZGVmYXVsdFJlZ2lvbiB8fCByZWdpb25Db25mW25hbWVdKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1JlZGVmaW5lZCByZWdpb246ICcgKyBuYW1lKTtcbiAgICAgICAgfVxuICAgICAgICByZWdpb25Db25mW25hbWVdID0ge1xuICAgICAgICAgICAgaW5pdFN0YXRlOiBpbml0U3RhdGVcbiAgICAgICAgfTtcbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogRGVmaW5lcyB0aGUgYmVoYXZpb3Igd2hlbiB0aGUgRlNNIG1vdmVzIGludG8gYSBzdGF0ZSBieSBhIHRyYW5zaXRpb24uXG4gICAgICogQSBzdGF0ZSBtYXkgYmUgbmVzdGVkIGluIGFub3RoZXIgc3RhdGUsIGVpdGhlciBieSBhIGRvdHRlZCBuYW1lXG4gICAgICogKGUuZy4sICdlZGl0b3Iuc2F2aW5nJykgb3IgYnkgdGhlIHBhcmVudCBvcHRpb24uIEVudGVyaW5nIGEgY2hpbGRcbiAgICAgKiBzdGF0ZSBlbnRlcnMgaXRzIHBhcmVudCBmaXJzdCwgYW5kIHRoZSB0cmFuc2l0aW9ucyBkZWZpbmVkXG4gICAgICogb24gdGhlIHBhcmVudCBhcHBseSB0byBhbGwgb2YgaXRzIGRlc2NlbmRhbnRzLlxuICAgICAqL1xuICAgIGFkZFN0YXRlKG5hbWU6IFRTdGF0ZSxcbiAgICAgICAgb25FbnRlckNhbGxiYWNrPzogTWV0aG9kQ2FsbGJhY2tUeXBlPFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dD4sXG4gICAgICAgIG9uTGVhdmVDYWxsYmFjaz86IE1ldGhvZENhbGxiYWNrVHlwZTxUU3RhdGUsIFRFdmVudCwgVENvbnRleHQ+LFxuICAgICAgICBvcHRpb25zPzogSVN0YXRlT3B0aW9uczxUU3RhdGU+KSB7XG4gICAgICAgIC8vIFByZS1jb25kaXRpb25zXG4gICAgICAgIHRoaXMuZW5zdXJlQ29uZmlndXJlU3RhZ2UoKTtcbiAgICAgICAgY29uc3Qgc3RhdGVDb25mID0gdGhpcy5fc3RhdGVDb25maWd1cmF0aW9uO1xuICAgICAgICBpZiAoc3RhdGVDb25mW25hbWVdIHx8IHRoaXMuX2hpc3RvcnlDb25maWd1cmF0aW9uW25hbWVdKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1JlZGVmaW5lZCBzdGF0ZTogJyArIG5hbWUpO1xuICAgICAgICB9XG4gICAgICAgIG9wdGlvbnMgPSBvcHRpb25zIHx8IHt9O1xuICAgICAgICBsZXQgcGFyZW50OiBzdHJpbmcgPSBvcHRpb25zLnBhcmVudDtcbiAgICAgICAgaWYgKHBhcmVudCkge1xuICAgICAgICAgICAgaWYgKCFzdGF0ZUNvbmZbcGFyZW50XSkge1xuICAgICAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignVW5kZWZpbmVkIHBhcmVudCBzdGF0ZTogJyArIHBhcmVudCk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICBjb25zdCBwb3MgPSBuYW1lLmxhc3RJbmRleE9mKHN0YXRlU2VwYXJhdG9yKTtcbiAgICAgICAgICAgIGlmIChwb3MgPiAwICYmIHN0YXRlQ29uZltuYW1lLnN1YnN0cmluZygwLCBwb3MpXSkge1xuICAgICAgICAgICAgICAgIHBhcmVudCA9IG5hbWUuc3Vic3RyaW5nKDAsIHBvcyk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgICAgbGV0IHJlZ2lvbiA9IG9wdGlvbnMucmVnaW9uIHx8IGRlZmF1bHRSZWdpb247XG4gICAgICAgIGlmIChyZWdpb24gIT09IGRlZmF1bHRSZWdpb24gJiYgIXRoaXMuX3JlZ2lvbkNvbmZpZ3VyYXRpb25bcmVnaW9uXSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdVbmRlZmluZWQgcmVnaW9uOiAnICsgcmVnaW9uKTtcbiAgICAgICAgfVxuICAgICAgICBpZiAocGFyZW50KSB7XG4gICAgICAgICAgICBpZiAob3B0aW9ucy5yZWdpb24gJiYgb3B0aW9ucy5yZWdpb24gIT09IHN0YXRlQ29uZltwYXJlbnRdLnJlZ2lvbikge1xuICAgICAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignU3RhdGUgYW5kIGl0cyBwYXJlbnQgYXJlIGluIGRpZmZlcmVudCByZWdpb25zOiAnICsgbmFtZSk7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICByZWdpb24gPSBzdGF0ZUNvbmZbcGFyZW50XS5yZWdpb247XG4gICAgICAgIH1cbiAgICAgICAgc3RhdGVDb25mW25hbWVdID0ge1xuICAgICAgICAgICAgb25FbnRlckNhbGxiYWNrOiBvbkVudGVyQ2FsbGJhY2ssXG4gICAgICAgICAgICBvbkxlYXZlQ2FsbGJhY2s6IG9uTGVhdmVDYWxsYmFjayxcbiAgICAgICAgICAgIHBhcmVudDogcGFyZW50LFxuICAgICAgICAgICAgaW5pdGlhbDogb3B0aW9ucy5pbml0aWFsLFxuICAgICAgICAgICAgY2hpbGRyZW46IFtdLFxuICAgICAgICAgICAgcmVnaW9uOiByZWdpb24sXG4gICAgICAgICAgICBmaW5hbDogb3B0aW9ucy5maW5hbFxuICAgICAgICB9O1xuICAgICAgICBpZiAocGFyZW50KSB7XG4gICAgICAgICAgICBzdGF0ZUNvbmZbcGFyZW50XS5jaGlsZHJlbi5wdXNoKG5hbWUpO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiB0aGlzO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIERlZmluZXMgYSBoaXN0b3J5IHBzZXVkby1zdGF0ZSBvZiBhIGNvbXBvdW5kIHN0YXRlLiBBIHRyYW5zaXRpb25cbiAgICAgKiB0byBhIGhpc3Rvcnkgc3RhdGUgZW50ZXJzIHRoZSBjaGlsZCBvZiB0aGUgY29tcG91bmQgc3RhdGUgd2hpY2hcbiAgICAgKiB3YXMgbGFzdCBhY3RpdmUgd2hlbiB0aGUgY29tcG91bmQgc3RhdGUgd2FzIGxlZnQsIG9yIHdpdGggdGhlIGRlZXBcbiAgICAgKiBvcHRpb24sIHRoZSBhdG9taWMgc3RhdGUgd2hpY2ggd2FzIGxhc3QgYWN0aXZlLiBJZiB0aGUgY29tcG91bmRcbiAgICAgKiBzdGF0ZSBoYXMgbm90IGJlZW4gbGVmdCB5ZXQsIHRoZSBkZWZhdWx0IHRhcmdldCBpcyBlbnRlcmVkLlxuICAgICAqL1xuICAgIGFkZEhpc3RvcnlTdGF0ZShuYW1lOiBUU3RhdGUsIHBhcmVudDogVFN0YXRlLCBvcHRpb25zPzogSUhpc3RvcnlTdGF0ZU9wdGlvbnM8VFN0YXRlPikge1xuICAgICAgICAvLyBQcmUtY29uZGl0aW9uc1xuICAgICAgICB0aGlzLmVuc3VyZUNvbmZpZ3VyZVN0YWdlKCk7XG4gICAgICAgIGNvbnN0IHN0YXRlQ29uZiA9IHRoaXMuX3N0YXRlQ29uZmlndXJhdGlvbjtcbiAgICAgICAgY29uc3QgaGlzdG9yeUNvbmYgPSB0aGlzLl9oaXN0b3J5Q29uZmlndXJhdGlvbjtcbiAgICAgICAgaWYgKHN0YXRlQ29uZltuYW1lXSB8fCBoaXN0b3J5Q29uZltuYW1lXSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdSZWRlZmluZWQgc3RhdGU6ICcgKyBuYW1lKTtcbiAgICAgICAgfVxuICAgICAgICBpZiAoIXN0YXRlQ29uZltwYXJlbnRdKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1VuZGVmaW5lZCBwYXJlbnQgc3RhdGU6ICcgKyBwYXJlbnQpO1xuICAgICAgICB9XG4gICAgICAgIG9wdGlvbnMgPSBvcHRpb25zIHx8IHt9O1xuICAgICAgICBoaXN0b3J5Q29uZltuYW1lXSA9IHtcbiAgICAgICAgICAgIHBhcmVudDogcGFyZW50LFxuICAgICAgICAgICAgZGVlcDogISFvcHRpb25zLmRlZXAsXG4gICAgICAgICAgICBkZWZhdWx0VGFyZ2V0OiBvcHRpb25zLmRlZmF1bHRUYXJnZXQsXG4gICAgICAgICAgICByZWdpb246IHN0YXRlQ29uZltwYXJlbnRdLnJlZ2lvblxuICAgICAgICB9O1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZXNvbHZlcyB0aGUgYXRvbWljIHN0YXRlIHdoaWNoIGlzIGVudGVyZWRcbiAgICAgKiB3aGVuIGEgdHJhbnNpdGlvbiB0YXJnZXRzIHRoZSBnaXZlbiBoaXN0b3J5IHN0YXRlLlxuICAgICAqL1xuICAgIHByaXZhdGUgcmVzb2x2ZUhpc3RvcnlTdGF0ZShuYW1lOiBzdHJpbmcpIHtcbiAgICAgICAgY29uc3QgZWxlbSA9IHRoaXMuX2hpc3RvcnlDb25maWd1cmF0aW9uW25hbWVdO1xuICAgICAgICBjb25zdCBsYXN0ID0gdGhpcy5fbGFzdEFjdGl2ZVtlbGVtLnBhcmVudF07XG4gICAgICAgIGlmICghbGFzdCkge1xuICAgICAgICAgICAgcmV0dXJuIHRoaXMucmVzb2x2ZUF0b21pY1N0YXRlKGVsZW0uZGVmYXVsdFRhcmdldCB8fCBlbGVtLnBhcmVudCk7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKGVsZW0uZGVlcCkge1xuICAgICAgICAgICAgcmV0dXJuIGxhc3Q7XG4gICAgICAgIH1cbiAgICAgICAgY29uc3QgcGF0aCA9IHRoaXMucGF0aE9mKGxhc3QpO1xuICAgICAgICByZXR1cm4gdGhpcy5yZXNvbHZlQXRvbWljU3RhdGUocGF0aFtpbmRleE9mKHBhdGgsIGVsZW0ucGFyZW50KSArIDFdKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZW1lbWJlcnMgdGhlIGxhc3QgYWN0aXZlIGF0b21pYyBzdGF0ZSBvZiB0aGUgY29tcG91bmQgc3RhdGVzXG4gICAgICogd2l0aCBoaXN0b3J5IHN0YXRlcywgd2hpY2ggYXJlIGxlZnQgYnkgYSB0cmFuc2l0aW9uLlxuICAgICAqL1xuICAgIHByaXZhdGUgcmVtZW1iZXJIaXN0b3J5KGZyb206IHN0cmluZywgZXhpdDogQXJyYXk8c3RyaW5nPikge1xuICAgICAgICBjb25zdCBoaXN0b3J5Q29uZiA9IHRoaXMuX2hpc3RvcnlDb25maWd1cmF0aW9uO1xuICAgICAgICBmb3IgKGNvbnN0IGsgaW4gaGlzdG9yeUNvbmYpIHtcbiAgICAgICAgICAgIGlmIChoaXN0b3J5Q29uZi5oYXNPd25Qcm9wZXJ0eShrKSAmJiBpbmRleE9mKGV4aXQsIGhpc3RvcnlDb25mW2tdLnBhcmVudCkgPj0gMCkge1xuICAgICAgICAgICAgICAgIHRoaXMuX2xhc3RBY3RpdmVbaGlzdG9yeUNvbmZba10ucGFyZW50XSA9IGZyb207XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBEZWZpbmVzIHRoZSBpbml0IHN0YXRlIGZvciB0aGUgRlNNLlxuICAgICAqL1xuICAgIHNldEluaXRTdGF0ZShuYW1lOiBUU3RhdGUpIHtcbiAgICAgICAgLy8gUHJlLWNvbmRpdGlvbnNcbiAgICAgICAgdGhpcy5lbnN1cmVDb25maWd1cmVTdGFnZSgpO1xuXG4gICAgICAgIGlmICh0aGlzLl9pbml0U3RhdGUpIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignUmVkZWZpbmVkIGluaXQgc3RhdGU6ICcgKyB0aGlzLl9pbml0U3RhdGUpO1xuICAgICAgICB9XG4gICAgICAgIHRoaXMuX2luaXRTdGF0ZSA9IG5hbWU7XG4gICAgICAgIHJldHVybiB0aGlzO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFR1cm5zIG9uIG9yIG9mZiB0aGUgYXN5bmNocm9ub3VzIG1vZGUuIEluIHRoZSBhc3luY2hyb25vdXMgbW9kZSxcbiAgICAgKiB0aGUgYmVmb3JlIGFuZCBsZWF2ZSBjYWxsYmFja3MgbWF5IHJldHVybiBhIHByb21pc2UsIGFuZFxuICAgICAqIGEgdHJhbnNpdGlvbiBjb21wbGV0ZXMgb25seSBhZnRlciBzdWNoIGEgcHJvbWlzZSBpcyByZXNvbHZlZC5cbiAgICAgKiBJZiB0aGUgcHJvbWlzZSBpcyByZWplY3RlZCwgdGhlIEZTTSBzdGF5cyBpbiB0aGUgc291cmNlIHN0YXRlXG4gICAgICogYW5kIHRoZSBlcnJvciBoYW5kbGVyIGlzIGludm9rZWQuIEluIHRoZSBzeW5jaHJvbm91cyBtb2RlLFxuICAgICAqIHN1Y2ggYSBwcm9taXNlIHZldG9lcyB0aGUgdHJhbnNpdGlvbiBhcyBhbiBlcnJvci5cbiAgICAgKi9cbiAgICBzZXRBc3luY01vZGUodmFsdWU6IHRydWUpOiBGaW5pdGVTdGF0ZU1hY2hpbmU8VFN0YXRlLCBURXZlbnQsIFRDb250ZXh0LCB0cnVlPjtcbiAgICBzZXRBc3luY01vZGUodmFsdWU6IGZhbHNlKTogRmluaXRlU3RhdGVNYWNoaW5lPFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dCwgZmFsc2U+O1xuICAgIHNldEFzeW5jTW9kZSh2YWx1ZTogYm9vbGVhbik6IEZpbml0ZVN0YXRlTWFjaGluZTxUU3RhdGUsIFRFdmVudCwgVENvbnRleHQsIGJvb2xlYW4+O1xuICAgIHNldEFzeW5jTW9kZSh2YWx1ZTogYm9vbGVhbik6IEZpbml0ZVN0YXRlTWFjaGluZTxUU3RhdGUsIFRFdmVudCwgVENvbnRleHQsIGJvb2xlYW4+IHtcbiAgICAgICAgLy8gUHJlLWNvbmRpdGlvbnNcbiAgICAgICAgdGhpcy5lbnN1cmVDb25maWd1cmVTdGFnZSgpO1xuXG4gICAgICAgIHRoaXMuX2FzeW5jTW9kZSA9IHZhbHVlO1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBEZWZpbmVzIHdoYXQgZ29pbmcgdG8gYW4gYWN0aXZlIHN0YXRlIGRvZXMsIGlmIG5vIHRyYW5zaXRpb25cbiAgICAgKiBpcyBkZWZpbmVkIGZvciBpdCwgZS5nLiwgYnkgYSBzZWxmLXRyYW5zaXRpb246ICdpZ25vcmUnIGRvZXMgbm90aGluZyxcbiAgICAgKiB3aGljaCBpcyB0aGUgZGVmYXVsdDsgJ2Vycm9yJyB0aHJvd3MgYW4gZXJyb3I7ICdyZWVudGVyJyBsZWF2ZXNcbiAgICAgKiBhbmQgcmUtZW50ZXJzIHRoZSBzdGF0ZSwgYXMgYW4gZXh0ZXJuYWwgc2VsZi10cmFuc2l0aW9uIHdvdWxkLlxuICAgICAqL1xuICAgIHNldFNhbWVTdGF0ZVBvbGljeShwb2xpY3k6IFNhbWVTdGF0ZVBvbGljeVR5cGUpIHtcbiAgICAgICAgLy8gUHJlLWNvbmRpdGlvbnNcbiAgICAgICAgdGhpcy5lbnN1cmVDb25maWd1cmVTdGFnZSgpO1xuXG4gICAgICAgIGlmIChpbmRleE9mKHNhbWVTdGF0ZVBvbGljaWVzLCBwb2xpY3kpIDwgMCkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdVbmRlZmluZWQgc2FtZS1zdGF0ZSBwb2xpY3k6ICcgKyBwb2xpY3kpO1xuICAgICAgICB9XG4gICAgICAgIHRoaXMuX3NhbWVTdGF0ZVBvbGljeSA9IHBvbGljeTtcbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogRGVmaW5lcyB0aGUgc2NoZWR1bGVyIHdoaWNoIGRyaXZlcyB0aGUgZGVsYXllZCB0cmFuc2l0aW9ucyxcbiAgICAgKiBlLmcuLCBhIFZpcnR1YWxTY2hlZHVsZXIgaW4gdGVzdHMuIEJ5IGRlZmF1bHQsIHRoZSB0aW1lcnMgb2ZcbiAgICAgKiB0aGUgZW52aXJvbm1lbnQgYXJlIHVzZWQuXG4gICAgICovXG4gICAgc2V0U2NoZWR1bGVyKHNjaGVkdWxlcjogSVNjaGVkdWxlcikge1xuICAgICAgICAvLyBQcmUtY29uZGl0aW9uc1xuICAgICAgICB0aGlzLmVuc3VyZUNvbmZpZ3VyZVN0YWdlKCk7XG5cbiAgICAgICAgdGhpcy5fc2NoZWR1bGVyID0gc2NoZWR1bGVyO1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBEZWZpbmVzIHdoZXJlIHRoZSBGU00gZG9lcyBpdHMgd29yayBhbmQgZGVsaXZlcnMgaXRzIG5vdGlmaWNhdGlvbnMsXG4gICAgICogZS5nLiwgb3V0c2lkZSB0aGUgem9uZSBvZiBhIGZyYW1ld29yay4gQnkgZGVmYXVsdCwgZXZlcnl0aGluZ1xuICAgICAqIHJ1bnMgd2hlcmUgdGhlIEZTTSBpcyBjYWxsZWQuXG4gICAgICovXG4gICAgc2V0RXhlY3V0aW9uU3RyYXRlZ3koc3RyYXRlZ3k6IElFeGVjdXRpb25TdHJhdGVneSkge1xuICAgICAgICAvLyBQcmUtY29uZGl0aW9uc1xuICAgICAgICB0aGlzLmVuc3VyZUNvbmZpZ3VyZVN0YWdlKCk7XG5cbiAgICAgICAgdGhpcy5fZXhlY3V0aW9uID0gc3RyYXRlZ3k7XG4gICAgICAgIHJldHVybiB0aGlzO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIERlZmluZXMgaG93IG1hbnkgdHJhbnNpdGlvbnMgdGhlIGhpc3Rvcnkga2VlcHMgYXQgbW9zdCxcbiAgICAgKiB3aGljaCBhbHNvIGJvdW5kcyBob3cgbWFueSB0cmFuc2l0aW9ucyBtYXkgYmUgdW5kb25lLlxuICAgICAqL1xuICAgIHNldEhpc3RvcnlMaW1pdChsaW1pdDogbnVtYmVyKSB7XG4gICAgICAgIC8vIFByZS1jb25kaXRpb25zXG4gICAgICAgIHRoaXMuZW5zdXJlQ29uZmlndXJlU3RhZ2UoKTtcblxuICAgICAgICB0aGlzLl9oaXN0b3J5TGltaXQgPSBsaW1pdDtcbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogRGVmaW5lcyB0aGUgaW5pdGlhbCBjb250ZXh0IGRhdGEgZm9yIHRoZSBGU00sIHdoaWNoIGlzXG4gICAgICogcGFzc2VkIHRvIHRoZSBndWFyZCBjb25kaXRpb25zIG9mIHRyYW5zaXRpb25zIGFuZCBkZWxpdmVyZWQgaW5cbiAgICAgKiBldmVyeSBsaWZlY3ljbGUgZXZlbnQuIFRoZSBjb250ZXh0IGRhdGEgaXMgdXBkYXRlZCBvbmx5IGJ5XG4gICAgICogdGhlIGFzc2lnbiBvcHRpb24gb2YgdHJhbnNpdGlvbnMuXG4gICAgICovXG4gICAgc2V0Q29udGV4dChjb250ZXh0OiBUQ29udGV4dCkge1xuICAgICAgICAvLyBQcmUtY29uZGl0aW9uc1xuICAgICAgICB0aGlzLmVuc3VyZUNvbmZpZ3VyZVN0YWdlKCk7XG5cbiAgICAgICAgdGhpcy5fY29udGV4dCA9IGNvbnRleHQ7XG4gICAgICAgIHJldHVybiB0aGlzO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIERlZmluZXMgYSBuZXcgc3RyYW5zaXRpb24uXG4gICAgICogQSB0cmFuc2l0aW9uIHdpdGggYSBndWFyZCBjb25kaXRpb24gaXMgdGFrZW4gb25seSBpZiB0aGUgZ3VhcmQgaG9sZHMuXG4gICAgICogQSB0cmFuc2l0aW9uIHdpdGggYSBkZWxheSBpcyBzY2hlZHVsZWQgd2hlbmV2ZXIgaXRzIHNvdXJjZSBzdGF0ZSBpc1xuICAgICAqIGVudGVyZWQsIGFuZCBpcyBjYW5jZWxsZWQgaWYgdGhlIHNvdXJjZSBzdGF0ZSBpcyBsZWZ0IGJlZm9yZS5cbiAgICAgKiBBIHRyYW5zaXRpb24gd2l0aCBhIGNvbXBlbnNhdGlvbiBzdGF0ZSBpcyB1bmRvbmUgYnkgZ29pbmcgdG8gaXQsXG4gICAgICogcmF0aGVyIHRoYW4gdG8gdGhlIHNvdXJjZSBzdGF0ZS5cbiAgICAgKiBBIHNlbGYtdHJhbnNpdGlvbiwgaS5lLiwgZnJvbSBhIHN0YXRlIHRvIGl0c2VsZiwgbGVhdmVzIGFuZFxuICAgICAqIHJlLWVudGVycyB0aGUgc3RhdGUsIGluY2x1ZGluZyBpdHMgZGVzY2VuZGFudHMsIHVubGVzcyBpdCBpc1xuICAgICAqIGludGVybmFsLCBpbiB3aGljaCBjYXNlIG5vIHN0YXRlIGlzIGxlZnQgb3IgZW50ZXJlZC5cbiAgICAgKiBBIHRyYW5zaXRpb24gbWF5IGJlIHRyaWdnZXJlZCBieSBhIG5hbWVkIGV2ZW50LCBhbmQgdGhlIHNhbWUgZXZlbnRcbiAgICAgKiBtYXkgdHJpZ2dlciBkaWZmZXJlbnQgdHJhbnNpdGlvbnMgZnJvbSBkaWZmZXJlbnQgc3RhdGVzLlxuICAgICAqL1xuICAgIGFkZFRyYW5zaXRpb24oZnJvbTogVFN0YXRlLFxuICAgICAgICB0bzogVFN0YXRlLFxuICAgICAgICBvbkFmdGVyQ2FsbGJhY2s/OiBNZXRob2RDYWxsYmFja1R5cGU8VFN0YXRlLCBURXZlbnQsIFRDb250ZXh0PixcbiAgICAgICAgb25CZWZvcmVDYWxsYmFjaz86IE1ldGhvZENhbGxiYWNrVHlwZTxUU3RhdGUsIFRFdmVudCwgVENvbnRleHQ+LFxuICAgICAgICBvcHRpb25zPzogSVRyYW5zaXRpb25PcHRpb25zPFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dD4pIHtcbiAgICAgICAgLy8gUHJlLWNvbmRpdGlvblxuICAgICAgICB0aGlzLmVuc3VyZUNvbmZpZ3VyZVN0YWdlKCk7XG5cbiAgICAgICAgY29uc3Qgc3RhdGVDb25mID0gdGhpcy5fc3RhdGVDb25maWd1cmF0aW9uO1xuICAgICAgICBjb25zdCB0cmFuc2l0aW9uQ29uZiA9IHRoaXMuX3RyYW5zaXRpb25Db25maWd1cmF0aW9uO1xuICAgICAgICBpZiAoIXN0YXRlQ29uZltmcm9tXSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdVbmRlZmluZWQgc291cmNlIHN0YXRlOiAnICsgZnJvbSk7XG4gICAgICAgIH1cbiAgICAgICAgY29uc3QgdGFyZ2V0ID0gc3RhdGVDb25mW3RvXSB8fCB0aGlzLl9oaXN0b3J5Q29uZmlndXJhdGlvblt0b107XG4gICAgICAgIGlmICghdGFyZ2V0KSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1VuZGVmaW5lZCB0YXJnZXQgc3RhdGU6ICcgKyB0byk7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKHN0YXRlQ29uZltmcm9tXS5yZWdpb24gIT09IHRhcmdldC5yZWdpb24pIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignVHJhbnNpdGlvbiBhY3Jvc3MgcmVnaW9uczogJyArIGZyb20gKyAnIC0+ICcgKyB0byk7XG4gICAgICAgIH1cbiAgICAgICAgY29uc3Qga2V5ID0gcmVwbGFjZVN0cih0cmFuc2l0aW9uS2V5Rm9ybWF0LCB7IGZyb206IGZyb20sIHRvOiB0byB9KTtcbiAgICAgICAgaWYgKHRyYW5zaXRpb25Db25mW2tleV0pIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignUmVkZWZpbmVkIHRyYW5zaXRpb246ICcgKyBmcm9tICsgJyAtPiAnICsgdG8pO1xuICAgICAgICB9XG4gICAgICAgIG9wdGlvbnMgPSBvcHRpb25zIHx8IHt9O1xuICAgICAgICBpZiAob3B0aW9ucy5jb21wZW5zYXRpb24gJiYgIXN0YXRlQ29uZltvcHRpb25zLmNvbXBlbnNhdGlvbl0pIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignVW5kZWZpbmVkIGNvbXBlbnNhdGlvbiBzdGF0ZTogJyArIG9wdGlvbnMuY29tcGVuc2F0aW9uKTtcbiAgICAgICAgfVxuICAgICAgICBpZiAob3B0aW9ucy5pbnRlcm5hbCAmJiBmcm9tICE9PSB0bykge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdJbnRlcm5hbCB0cmFuc2l0aW9uIHRvIGFub3RoZXIgc3RhdGU6ICcgKyBmcm9tICsgJyAtPiAnICsgdG8pO1xuICAgICAgICB9XG4gICAgICAgIHRyYW5zaXRpb25Db25mW2tleV0gPSB7XG4gICAgICAgICAgICBmcm9tOiBmcm9tLCB0bzogdG8sXG4gICAgICAgICAgICBvbkFmdGVyQ2FsbGJhY2s6IG9uQWZ0ZXJDYWxsYmFjayxcbiAgICAgICAgICAgIG9uQmVmb3JlQ2FsbGJhY2s6IG9uQmVmb3JlQ2FsbGJhY2ssXG4gICAgICAgICAgICBndWFyZDogb3B0aW9ucy5ndWFyZCxcbiAgICAgICAgICAgIGV2ZW50OiBvcHRpb25zLmV2ZW50LFxuICAgICAgICAgICAgYXNzaWduOiBvcHRpb25zLmFzc2lnbixcbiAgICAgICAgICAgIGRlbGF5OiBvcHRpb25zLmRlbGF5LFxuICAgICAgICAgICAgY29tcGVuc2F0aW9uOiBvcHRpb25zLmNvbXBlbnNhdGlvbixcbiAgICAgICAgICAgIGludGVybmFsOiBvcHRpb25zLmludGVybmFsXG4gICAgICAgIH07XG4gICAgICAgIGlmIChvcHRpb25zLmV2ZW50KSB7XG4gICAgICAgICAgICBjb25zdCBldmVudENvbmYgPSB0aGlzLl9ldmVudENvbmZpZ3VyYXRpb247XG4gICAgICAgICAgICBldmVudENvbmZbb3B0aW9ucy5ldmVudF0gPSBldmVudENvbmZbb3B0aW9ucy5ldmVudF0gfHwgW107XG4gICAgICAgICAgICBldmVudENvbmZbb3B0aW9ucy5ldmVudF0ucHVzaChrZXkpO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiB0aGlzO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIEJ1aWxkcyB0aGUgdW5kZXJseWluZyBpbXBsZW1lbnRhdGlvbiBmb3IgdGhlIGdpdmVuIHJlZ2lvbi5cbiAgICAgKi9cbiAgICBwcml2YXRlIGNyZWF0ZUltcGwocmVnaW9uOiBzdHJpbmcsIGluaXRTdGF0ZTogc3RyaW5nLCByZXN0b3Jpbmc6IGJvb2xlYW4pIHtcbiAgICAgICAgY29uc3Qgc3RhdGVDb25mID0gdGhpcy5fc3RhdGVDb25maWd1cmF0aW9uO1xuICAgICAgICBjb25zdCB0cmFuc2l0aW9uQ29uZiA9IHRoaXMuX3RyYW5zaXRpb25Db25maWd1cmF0aW9uO1xuXG4gICAgICAgIGlmICghc3RhdGVDb25mW2luaXRTdGF0ZV0gfHwgc3RhdGVDb25mW2luaXRTdGF0ZV0ucmVnaW9uICE9PSByZWdpb24pIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignVW5kZWZpbmVkIGluaXQgc3RhdGU6ICcgKyBpbml0U3RhdGUpO1xuICAgICAgICB9XG5cbiAgICAgICAgY29uc3QgdHJhbnNpdGlvbnM6IEFycmF5PHsgbmFtZTogc3RyaW5nLCBmcm9tOiBBcnJheTxzdHJpbmc+LCB0bzogc3RyaW5nIHwgKCgpID0+IHN0cmluZykgfT4gPSBbXTtcbiAgICAgICAgY29uc3QgbWV0aG9kczogeyBba2V5OiBzdHJpbmddOiAobGlmZWN5Y2xlOiBhbnksIHBheWxvYWQ/OiBhbnkpID0+IGFueSB9ID0ge307XG5cbiAgICAgICAgLy8gQSB0cmFuc2l0aW9uIGRlZmluZWQgb24gYSBjb21wb3VuZCBzdGF0ZSBhcHBsaWVzIHRvXG4gICAgICAgIC8vIGFsbCBvZiBpdHMgZGVzY2VuZGFudHMsIGFuZCBhIHRyYW5zaXRpb24gdG8gYSBjb21wb3VuZCBzdGF0ZVxuICAgICAgICAvLyBlbmRzIHVwIGluIGl0cyBpbml0aWFsIGF0b21pYyBzdGF0ZS5cbiAgICAgICAgY29uc3QgYWxsQ29uZiA9IF8uZXh0ZW5kKHt9LCB0cmFuc2l0aW9uQ29uZiwgdGhpcy5fcmVlbnRyeUNvbmZpZ3VyYXRpb24pO1xuICAgICAgICBmb3IgKGNvbnN0IGsxIGluIGFsbENvbmYpIHtcbiAgICAgICAgICAgIGlmIChhbGxDb25mLmhhc093blByb3BlcnR5KGsxKSkge1xuICAgICAgICAgICAgICAgIGNvbnN0IGVsZW0xOiBJVHJhbnNpdGlvblNwZWNpZmljYXRpb24gPSBhbGxDb25mW2sxXTtcbiAgICAgICAgICAgICAgICBpZiAoc3RhdGVDb25mW2VsZW0xLmZyb21dLnJlZ2lvbiAhPT0gcmVnaW9uKSB7XG4gICAgICAgICAgICAgICAgICAgIGNvbnRpbnVlO1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICBsZXQgdGFyZ2V0OiBzdHJpbmcgfCAoKCkgPT4gc3RyaW5nKTtcbiAgICAgICAgICAgICAgICBpZiAoZWxlbTEuaW50ZXJuYWwpIHtcbiAgICAgICAgICAgICAgICAgICAgLy8gU3RheSBpbiB0aGUgY3VycmVudCBzdGF0ZVxuICAgICAgICAgICAgICAgICAgICB0YXJnZXQgPSB3aWxkY2FyZFN0YXRlO1xuICAgICAgICAgICAgICAgIH0gZWxzZSBpZiAodGhpcy5faGlzdG9yeUNvbmZpZ3VyYXRpb25bZWxlbTEudG9dKSB7XG4gICAgICAgICAgICAgICAgICAgIC8vIFRoZSB0YXJnZXQgb2YgYSBoaXN0b3J5IHN0YXRlIGlzIGRlY2lkZWQgb24gdGhlIGZseS5cbiAgICAgICAgICAgICAgICAgICAgdGFyZ2V0ID0gKCkgPT4gdGhpcy5yZXNvbHZlSGlzdG9yeVN0YXRlKGVsZW0xLnRvKTtcbiAgICAgICAgICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgICAgICAgICB0YXJnZXQgPSB0aGlzLnJlc29sdmVBdG9taWNTdGF0ZShlbGVtMS50byk7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgICAgIHRyYW5zaXRpb25zLnB1c2goe1xuICAgICAgICAgICAgICAgICAgICBuYW1lOiBrMSxcbiAgICAgICAgICAgICAgICAgICAgZnJvbTogdGhpcy5hdG9taWNTdGF0ZXNPZihlbGVtMS5mcm9tKSxcbiAgICAgICAgICAgICAgICAgICAgdG86IHRhcmdldFxuICAgICAgICAgICAgICAgIH0pO1xuICAgICAgICAgICAgfVxuICAgICAgICB9XG5cbiAgICAgICAgY29uc3Qgbm90aWZ5RW50ZXJTdGF0ZSA9IGJ1aWxkSGFuZGxlckluQ2xvc3VyZSh0aGlzLl9oYW5kbGVycywgJ29uRW50ZXJTdGF0ZScpO1xuICAgICAgICBjb25zdCBub3RpZnlMZWF2ZVN0YXRlID0gYnVpbGRIYW5kbGVySW5DbG9zdXJlKHRoaXMuX2hhbmRsZXJzLCAnb25MZWF2ZVN0YXRlJyk7XG5cbiAgICAgICAgLy8gVGhlIHNhbWUgbGlmZWN5Y2xlIGV2ZW50IGlzIGRlbGl2ZXJlZCB0byBhbGwgY2FsbGJhY2tzXG4gICAgICAgIC8vIG9mIGEgdHJhbnNpdGlvbjsgaXQgaXMgYnVpbHQgd2hlbiB0aGUgdHJhbnNpdGlvbiBiZWdpbnMuXG4gICAgICAgIGxldCBldmVudDogSUxpZmVDeWNsZUV2ZW50ID0gbnVsbDtcblxuICAgICAgICAvLyBXaGlsZSByZXN0b3JpbmcgZnJvbSBhIHNuYXBzaG90LCB0aGUgaW5pdCB0cmFuc2l0aW9uIG9ubHlcbiAgICAgICAgLy8gcHV0cyB0aGUgdW5kZXJseWluZyBpbXBsZW1lbnRhdGlvbiBpbnRvIHRoZSBzYXZlZCBzdGF0ZTtcbiAgICAgICAgLy8gbm9uZSBvZiB0aGUgY2FsbGJhY2tzIGFyZSBpbnZva2VkLlxuICAgICAgICBsZXQgc2lsZW50ID0gcmVzdG9yaW5nO1xuXG4gICAgICAgIC8vIE9ubHkgdGhlIGJlZm9yZSBhbmQgbGVhdmUgY2FsbGJhY2tzIG1heSBkZWxheSBvciB2ZXRvIGEgdHJhbnNpdGlvbixcbiAgICAgICAgLy8gYXMgdGhleSBhcmUgaW52b2tlZCBiZWZvcmUgdGhlIHN0YXRlIGlzIGNoYW5nZWQuXG4gICAgICAgIG1ldGhvZHNbJ29uQmVmb3JlVHJhbnNpdGlvbiddID0gKGxpZmVjeWNsZSwgcGF5bG9hZCkgPT4ge1xuICAgICAgICAgICAgaWYgKHNpbGVudCkge1xuICAgICAgICAgICAgICAgIHJldHVybjtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIGNvbnN0IGVsZW0gPSB0aGlzLnRyYW5zaXRpb25PZihsaWZlY3ljbGUudHJhbnNpdGlvbik7XG4gICAgICAgICAgICBldmVudCA9IHtcbiAgICAgICAgICAgICAgICB0cmFuc2l0aW9uOiBsaWZlY3ljbGUudHJhbnNpdGlvbixcbiAgICAgICAgICAgICAgICBmcm9tOiBsaWZlY3ljbGUuZnJvbSxcbiAgICAgICAgICAgICAgICB0bzogbGlmZWN5Y2xlLnRvLFxuICAgICAgICAgICAgICAgIHJlZ2lvbjogcmVnaW9uLFxuICAgICAgICAgICAgICAgIGV2ZW50OiBlbGVtID8gZWxlbS5ldmVudCA6IHVuZGVmaW5lZCxcbiAgICAgICAgICAgICAgICBwYXlsb2FkOiBwYXlsb2FkLFxuICAgICAgICAgICAgICAgIGNvbnRleHQ6IHRoaXMuX2NvbnRleHRcbiAgICAgICAgICAgIH07XG4gICAgICAgICAgICBpZiAoZWxlbSAmJiBlbGVtLm9uQmVmb3JlQ2FsbGJhY2spIHtcbiAgICAgICAgICAgICAgICByZXR1cm4gdGhpcy5pbnZva2VWZXRvYWJsZUNhbGxiYWNrcyhbZWxlbS5vbkJlZm9yZUNhbGxiYWNrXSwgZXZlbnQpO1xuICAgICAgICAgICAgfVxuICAgICAgICB9O1xuICAgICAgICAvLyBUaGUgY29udGV4dCBkYXRhIGlzIHVwZGF0ZWQgYWZ0ZXIgdGhlIHNvdXJjZSBzdGF0ZSBpcyBsZWZ0LFxuICAgICAgICAvLyBzbyB0aGF0IHRoZSB0YXJnZXQgc3RhdGUgaXMgZW50ZXJlZCB3aXRoIHRoZSBuZXcgY29udGV4dC5cbiAgICAgICAgbWV0aG9kc1snb25UcmFuc2l0aW9uJ10gPSAobGlmZWN5Y2xlKSA9PiB7XG4gICAgICAgICAgICBpZiAoc2lsZW50KSB7XG4gICAgICAgICAgICAgICAgcmV0dXJuO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgY29uc3QgZWxlbSA9IHRoaXMudHJhbnNpdGlvbk9mKGxpZmVjeWNsZS50cmFuc2l0aW9uKTtcbiAgICAgICAgICAgIGlmIChlbGVtKSB7XG4gICAgICAgICAgICAgICAgY29uc3QgZXhpdCA9IHRoaXMuc3RlcHNPZihsaWZlY3ljbGUpLmV4aXQ7XG4gICAgICAgICAgICAgICAgdGhpcy5jYW5jZWxEZWxheWVkVHJhbnNpdGlvbnMoZXhpdCk7XG4gICAgICAgICAgICAgICAgdGhpcy5yZW1lbWJlckhpc3RvcnkobGlmZWN5Y2xlLmZyb20sIGV4aXQpO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgaWYgKGVsZW0gJiYgZWxlbS5hc3NpZ24pIHtcbiAgICAgICAgICAgICAgICB0aGlzLmFzc2lnbkNvbnRleHQoZWxlbS5hc3NpZ24sIGV2ZW50KTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfTtcbiAgICAgICAgbWV0aG9kc1snb25BZnRlclRyYW5zaXRpb24nXSA9IChsaWZlY3ljbGUpID0+IHtcbiAgICAgICAgICAgIGlmIChzaWxlbnQpIHtcbiAgICAgICAgICAgICAgICByZXR1cm47XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICBjb25zdCBlbGVtID0gdGhpcy50cmFuc2l0aW9uT2YobGlmZWN5Y2xlLnRyYW5zaXRpb24pO1xuICAgICAgICAgICAgaWYgKGVsZW0pIHtcbiAgICAgICAgICAgICAgICB0aGlzLnJlY29yZEhpc3RvcnkoZXZlbnQpO1xuICAgICAgICAgICAgICAgIC8vIFRoZSB0cmFuc2l0aW9uIGlzIHRha2VuLCBldmVuIGlmIHRoZSBjYWxsYmFjayBmYWlsc1xuICAgICAgICAgICAgICAgIHRoaXMuX3NldHRsZWRFdmVudHNbcmVnaW9uXSA9IGV2ZW50O1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgaWYgKGVsZW0gJiYgZWxlbS5vbkFmdGVyQ2FsbGJhY2spIHtcbiAgICAgICAgICAgICAgICBlbGVtLm9uQWZ0ZXJDYWxsYmFjayhldmVudCk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH07XG4gICAgICAgIG1ldGhvZHNbJ29uTGVhdmVTdGF0ZSddID0gKGxpZmVjeWNsZSkgPT4ge1xuICAgICAgICAgICAgY29uc3Qgc3RlcHMgPSB0aGlzLnN0ZXBzT2YobGlmZWN5Y2xlKTtcbiAgICAgICAgICAgIGlmIChzaWxlbnQgfHwgIXN0ZXBzLmV4aXQubGVuZ3RoICYmICFzdGVwcy5lbnRyeS5sZW5ndGgpIHtcbiAgICAgICAgICAgICAgICByZXR1cm47XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICAvLyBUaGUgaW5pdCB0cmFuc2l0aW9uIGRvZXMgbm90IGxlYXZlIGFueSBzdGF0ZVxuICAgICAgICAgICAgaWYgKHN0ZXBzLmV4aXQubGVuZ3RoKSB7XG4gICAgICAgICAgICAgICAgdGhpcy5kZWxpdmVyKHRoaXMuX2hhbmRsZXJzLm9uTGVhdmVTdGF0ZSwgKCkgPT4gbm90aWZ5TGVhdmVTdGF0ZShldmVudCkpO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgLy8gTGVhdmUgZnJvbSB0aGUgaW5uZXJtb3N0IHN0YXRlXG4gICAgICAgICAgICBjb25zdCBjYWxsYmFja3M6IEFycmF5PE1ldGhvZENhbGxiYWNrVHlwZT4gPSBbXTtcbiAgICAgICAgICAgIGZvciAoY29uc3QgcyBvZiBzdGVwcy5leGl0KSB7XG4gICAgICAgICAgICAgICAgY29uc3QgZWxlbSA9IHN0YXRlQ29uZltzXTtcbiAgICAgICAgICAgICAgICBpZiAoZWxlbS5vbkxlYXZlQ2FsbGJhY2spIHtcbiAgICAgICAgICAgICAgICAgICAgY2FsbGJhY2tzLnB1c2goZWxlbS5vbkxlYXZlQ2FsbGJhY2spO1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIHJldHVybiB0aGlzLmludm9rZVZldG9hYmxlQ2FsbGJhY2tzKGNhbGxiYWNrcywgZXZlbnQpO1xuICAgICAgICB9O1xuICAgICAgICBtZXRob2RzWydvbkVudGVyU3RhdGUnXSA9IChsaWZlY3ljbGUpID0+IHtcbiAgICAgICAgICAgIGNvbnN0IHN0ZXBzID0gdGhpcy5zdGVwc09mKGxpZmVjeWNsZSk7XG4gICAgICAgICAgICBpZiAoc2lsZW50IHx8ICFzdGVwcy5leGl0Lmxlbmd0aCAmJiAhc3RlcHMuZW50cnkubGVuZ3RoKSB7XG4gICAgICAgICAgICAgICAgcmV0dXJuO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgdGhpcy5kZWxpdmVyKHRoaXMuX2hhbmRsZXJzLm9uRW50ZXJTdGF0ZSwgKCkgPT4gbm90aWZ5RW50ZXJTdGF0ZShldmVudCkpO1xuICAgICAgICAgICAgLy8gRW50ZXIgZnJvbSB0aGUgb3V0ZXJtb3N0IHN0YXRlXG4gICAgICAgICAgICBmb3IgKGNvbnN0IHMgb2Ygc3RlcHMuZW50cnkpIHtcbiAgICAgICAgICAgICAgICBjb25zdCBlbGVtID0gc3RhdGVDb25mW3NdO1xuICAgICAgICAgICAgICAgIGlmIChlbGVtLm9uRW50ZXJDYWxsYmFjaykge1xuICAgICAgICAgICAgICAgICAgICBlbGVtLm9uRW50ZXJDYWxsYmFjayhldmVudCk7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgfVxuICAgICAgICAgICAgdGhpcy5zY2hlZHVsZURlbGF5ZWRUcmFuc2l0aW9ucyhzdGVwcy5lbnRyeSwgcmVnaW9uKTtcbiAgICAgICAgfTtcblxuICAgICAgICAvLyBBbiBleGNlcHRpb24gdGhyb3duIGJ5IGEgY2FsbGJhY2sgaXMgcmVwb3J0ZWQsIGFuZCBlbmRzXG4gICAgICAgIC8vIHRoZSB0cmFuc2l0aW9uIGJ5IHJldHVybmluZyBmYWxzZSwgc28gdGhhdCB0aGUgdW5kZXJseWluZ1xuICAgICAgICAvLyBpbXBsZW1lbnRhdGlvbiBnZXRzIG91dCBvZiB0aGUgcGVuZGluZyBzdGF0dXMuIFRoZSBzdGF0ZSBpcyBrZXB0XG4gICAgICAgIC8vIGFzIGl0IGlzLCBpLmUuLCB0aGUgc291cmNlIHN0YXRlIHVubGVzcyB0aGUgZXhjZXB0aW9uIGlzIHRocm93blxuICAgICAgICAvLyBhZnRlciB0aGUgc3RhdGUgaXMgY2hhbmdlZC5cbiAgICAgICAgZm9yIChjb25zdCBrMiBpbiBtZXRob2RzKSB7XG4gICAgICAgICAgICBpZiAobWV0aG9kcy5oYXNPd25Qcm9wZXJ0eShrMikpIHtcbiAgICAgICAgICAgICAgICBjb25zdCBtZXRob2QgPSBtZXRob2RzW2syXTtcbiAgICAgICAgICAgICAgICBtZXRob2RzW2syXSA9IChsaWZlY3ljbGUsIHBheWxvYWQpID0+IHtcbiAgICAgICAgICAgICAgICAgICAgdHJ5IHtcbiAgICAgICAgICAgICAgICAgICAgICAgIHJldHVybiBtZXRob2QobGlmZWN5Y2xlLCBwYXlsb2FkKTtcbiAgICAgICAgICAgICAgICAgICAgfSBjYXRjaCAoZSkge1xuICAgICAgICAgICAgICAgICAgICAgICAgdGhpcy5yZXBvcnRFcnJvcihsaWZlY3ljbGUudHJhbnNpdGlvbiwgbGlmZWN5Y2xlLmZyb20sIGxpZmVjeWNsZS50bywgZSk7XG4gICAgICAgICAgICAgICAgICAgICAgICByZXR1cm4gZmFsc2U7XG4gICAgICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICB9O1xuICAgICAgICAgICAgfVxuICAgICAgICB9XG5cbiAgICAgICAgY29uc3QgaW1wbCA9IG5ldyBTdGF0ZU1hY2hpbmUoe1xuICAgICAgICAgICAgaW5pdDogdGhpcy5yZXNvbHZlQXRvbWljU3RhdGUoaW5pdFN0YXRlKSxcbiAgICAgICAgICAgIC8vIFNlbGYtdHJhbnNpdGlvbnMgYXJlIG9ic2VydmVkIHRvbzsgc3RlcHNPZiBkZWNpZGVzXG4gICAgICAgICAgICAvLyB3aGljaCBzdGF0ZXMgdGhleSBsZWF2ZSBhbmQgZW50ZXIuXG4gICAgICAgICAgICBvYnNlcnZlVW5jaGFuZ2VkU3RhdGU6IHRydWUsXG4gICAgICAgICAgICB0cmFuc2l0aW9uczogdHJhbnNpdGlvbnMsXG4gICAgICAgICAgICBtZXRob2RzOiBtZXRob2RzLFxuICAgICAgICAgICAgb25JbnZhbGlkVHJhbnNpdGlvbjogKG5hbWU6IHN0cmluZywgZnJvbTogc3RyaW5nLCB0bzogc3RyaW5nKSA9PiB0aGlzLnJlcG9ydEVycm9yKG5hbWUsIGZyb20sIHRvKVxuICAgICAgICB9KTtcbiAgICAgICAgc2lsZW50ID0gZmFsc2U7XG4gICAgICAgIGlmIChyZXN0b3JpbmcpIHtcbiAgICAgICAgICAgIC8vIFRoZSB0aW1lIHNwZW50IGluIHRoZSBzYXZlZCBzdGF0ZXMgaXMgbm90IGtlcHRcbiAgICAgICAgICAgIHRoaXMuc2NoZWR1bGVEZWxheWVkVHJhbnNpdGlvbnModGhpcy5wYXRoT2YoaW1wbC5zdGF0ZSksIHJlZ2lvbik7XG4gICAgICAgIH1cbiAgICAgICAgcmV0dXJuIGltcGw7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogU2NoZWR1bGVzIHRoZSBkZWxheWVkIHRyYW5zaXRpb25zIGZyb20gdGhlIGdpdmVuIHN0YXRlcyxcbiAgICAgKiB3aGljaCBoYXZlIGp1c3QgYmVlbiBlbnRlcmVkLlxuICAgICAqL1xuICAgIHByaXZhdGUgc2NoZWR1bGVEZWxheWVkVHJhbnNpdGlvbnMoc3RhdGVzOiBBcnJheTxzdHJpbmc+LCByZWdpb246IHN0cmluZykge1xuICAgICAgICBjb25zdCB0cmFuc2l0aW9uQ29uZiA9IHRoaXMuX3RyYW5zaXRpb25Db25maWd1cmF0aW9uO1xuICAgICAgICBmb3IgKGNvbnN0IGsgaW4gdHJhbnNpdGlvbkNvbmYpIHtcbiAgICAgICAgICAgIGlmICh0cmFuc2l0aW9uQ29uZi5oYXNPd25Qcm9wZXJ0eShrKSkge1xuICAgICAgICAgICAgICAgIGNvbnN0IGVsZW0gPSB0cmFuc2l0aW9uQ29uZltrXTtcbiAgICAgICAgICAgICAgICBpZiAoZWxlbS5kZWxheSA9PT0gdW5kZWZpbmVkIHx8IGVsZW0uZGVsYXkgPT09IG51bGwgfHwgaW5kZXhPZihzdGF0ZXMsIGVsZW0uZnJvbSkgPCAwKSB7XG4gICAgICAgICAgICAgICAgICAgIGNvbnRpbnVlO1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICBjb25zdCBoYW5kbGUgPSB0aGlzLl9zY2hlZHVsZXIuc2V0VGltZW91dCgoKSA9PiB7XG4gICAgICAgICAgICAgICAgICAgIHRoaXMuZmlyZURlbGF5ZWRUcmFuc2l0aW9uKHJlZ2lvbiwgayk7XG4gICAgICAgICAgICAgICAgfSwgZWxlbS5kZWxheSk7XG4gICAgICAgICAgICAgICAgdGhpcy5fdGltZXJzW2VsZW0uZnJvbV0gPSB0aGlzLl90aW1lcnNbZWxlbS5mcm9tXSB8fCBbXTtcbiAgICAgICAgICAgICAgICB0aGlzLl90aW1lcnNbZWxlbS5mcm9tXS5wdXNoKGhhbmRsZSk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBDYW5jZWxzIHRoZSBkZWxheWVkIHRyYW5zaXRpb25zIGZyb20gdGhlIGdpdmVuIHN0YXRlcyxcbiAgICAgKiB3aGljaCBhcmUgYmVpbmcgbGVmdC5cbiAgICAgKi9cbiAgICBwcml2YXRlIGNhbmNlbERlbGF5ZWRUcmFuc2l0aW9ucyhzdGF0ZXM6IEFycmF5PHN0cmluZz4pIHtcbiAgICAgICAgZm9yIChjb25zdCBzIG9mIHN0YXRlcykge1xuICAgICAgICAgICAgZm9yIChjb25zdCBoYW5kbGUgb2YgdGhpcy5fdGltZXJzW3NdIHx8IFtdKSB7XG4gICAgICAgICAgICAgICAgdGhpcy5fc2NoZWR1bGVyLmNsZWFyVGltZW91dChoYW5kbGUpO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgZGVsZXRlIHRoaXMuX3RpbWVyc1tzXTtcbiAgICAgICAgfVxuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFRha2VzIGEgZGVsYXllZCB0cmFuc2l0aW9uIHdoZW4gaXRzIHRpbWUgaXMgdXAuIFRoZSB0cmFuc2l0aW9uIGlzXG4gICAgICogc2tpcHBlZCBpZiBpdHMgZ3VhcmQgZG9lcyBub3QgaG9sZCwgb3IgYW5vdGhlciB0cmFuc2l0aW9uIG9mXG4gICAgICogdGhlIHJlZ2lvbiBpcyBpbiBwcm9ncmVzcy5cbiAgICAgKi9cbiAgICBwcml2YXRlIGZpcmVEZWxheWVkVHJhbnNpdGlvbihyZWdpb246IHN0cmluZywgdHJhbnNpdGlvbk5hbWU6IHN0cmluZykge1xuICAgICAgICBjb25zdCBpbXBsID0gdGhpcy5faW1wbHMgJiYgdGhpcy5faW1wbHNbcmVnaW9uXTtcbiAgICAgICAgY29uc3QgZWxlbSA9IHRoaXMudHJhbnNpdGlvbk9mKHRyYW5zaXRpb25OYW1lKTtcbiAgICAgICAgaWYgKCFpbXBsIHx8IHRoaXMuX3BlbmRpbmdSZWdpb25zW3JlZ2lvbl0gfHwgaW1wbC5jYW5ub3QodHJhbnNpdGlvbk5hbWUpKSB7XG4gICAgICAgICAgICByZXR1cm47XG4gICAgICAgIH1cbiAgICAgICAgaWYgKGVsZW0uZ3VhcmQgJiYgIWVsZW0uZ3VhcmQodGhpcy5fY29udGV4dCkpIHtcbiAgICAgICAgICAgIHJldHVybjtcbiAgICAgICAgfVxuICAgICAgICBjb25zdCBjdXJyZW50U3RhdGUgPSBpbXBsLnN0YXRlO1xuICAgICAgICB0cnkge1xuICAgICAgICAgICAgdGhpcy5maXJlVHJhbnNpdGlvbihyZWdpb24sIHRyYW5zaXRpb25OYW1lKTtcbiAgICAgICAgfSBjYXRjaCAoZSkge1xuICAgICAgICAgICAgLy8gTm9ib2R5IGVsc2UgY291bGQgY2F0Y2ggaXQgaW4gYSB0aW1lclxuICAgICAgICAgICAgdGhpcy5yZXBvcnRFcnJvcih0cmFuc2l0aW9uTmFtZSwgY3VycmVudFN0YXRlLCBlbGVtLnRvLCBlKTtcbiAgICAgICAgfVxuICAgIH1cblxuICAgIC8qKlxuICAgICAqIEFwcGVuZHMgYSB0YWtlbiB0cmFuc2l0aW9uIHRvIHRoZSBoaXN0b3J5LFxuICAgICAqIGRyb3BwaW5nIHRoZSBvbGRlc3Qgb25lIGlmIHRoZSBoaXN0b3J5IGlzIGZ1bGwuXG4gICAgICogVW5kb2luZyBhIHRyYW5zaXRpb24gbW92ZXMgaXQgZnJvbSB0aGUgaGlzdG9yeSB0byB0aGUgdW5kb25lIG9uZXMsXG4gICAgICogYW5kIGFueSBvdGhlciB0cmFuc2l0aW9uIHRoYW4gYSByZWRvIGNsZWFycyB0aGUgdW5kb25lIG9uZXMuXG4gICAgICovXG4gICAgcHJpdmF0ZSByZWNvcmRIaXN0b3J5KGxpZmVjeWNsZTogSUxpZmVDeWNsZUV2ZW50KSB7XG4gICAgICAgIGNvbnN0IHJlcGxheSA9IHRoaXMuX3JlcGxheXNbbGlmZWN5Y2xlLnJlZ2lvbl07XG4gICAgICAgIGRlbGV0ZSB0aGlzLl9yZXBsYXlzW2xpZmVjeWNsZS5yZWdpb25dO1xuICAgICAgICBpZiAocmVwbGF5ICYmIHJlcGxheS5raW5kID09PSAndW5kbycpIHtcbiAgICAgICAgICAgIHRoaXMuX2hpc3RvcnkgPSB3aXRob3V0KHRoaXMuX2hpc3RvcnksIHJlcGxheS5lbnRyeSk7XG4gICAgICAgICAgICB0aGlzLl91bmRvbmUucHVzaChyZXBsYXkuZW50cnkpO1xuICAgICAgICAgICAgcmV0dXJuO1xuICAgICAgICB9XG4gICAgICAgIGlmIChyZXBsYXkgJiYgcmVwbGF5LmtpbmQgPT09ICdyZWRvJykge1xuICAgICAgICAgICAgdGhpcy5fdW5kb25lID0gd2l0aG91dCh0aGlzLl91bmRvbmUsIHJlcGxheS5lbnRyeSk7XG4gICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICB0aGlzLl91bmRvbmUgPSBbXTtcbiAgICAgICAgfVxuICAgICAgICB0aGlzLl9oaXN0b3J5LnB1c2goe1xuICAgICAgICAgICAgdHJhbnNpdGlvbjogbGlmZWN5Y2xlLnRyYW5zaXRpb24sXG4gICAgICAgICAgICBmcm9tOiBsaWZlY3ljbGUuZnJvbSxcbiAgICAgICAgICAgIHRvOiBsaWZlY3ljbGUudG8sXG4gICAgICAgICAgICByZWdpb246IGxpZmVjeWNsZS5yZWdpb24sXG4gICAgICAgICAgICBwYXlsb2FkOiBsaWZlY3ljbGUucGF5bG9hZCxcbiAgICAgICAgICAgIHRpbWVzdGFtcDogRGF0ZS5ub3coKVxuICAgICAgICB9KTtcbiAgICAgICAgaWYgKHRoaXMuX2hpc3RvcnkubGVuZ3RoID4gdGhpcy5faGlzdG9yeUxpbWl0KSB7XG4gICAgICAgICAgICB0aGlzLl9oaXN0b3J5LnNoaWZ0KCk7XG4gICAgICAgIH1cbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBDaGVja3MgdGhhdCB0aGUgZ2l2ZW4gc25hcHNob3QgbWF5IGJlIHJlc3RvcmVkXG4gICAgICogaW4gdGhlIGN1cnJlbnQgY29uZmlndXJhdGlvbi5cbiAgICAgKi9cbiAgICBwcml2YXRlIHZhbGlkYXRlU25hcHNob3Qoc25hcHNob3Q6IElTbmFwc2hvdCwgcmVnaW9uczogQXJyYXk8c3RyaW5nPikge1xuICAgICAgICBpZiAoc25hcHNob3QudmVyc2lvbiAhPT0gc25hcHNob3RWZXJzaW9uKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1Vuc3VwcG9ydGVkIHNuYXBzaG90IHZlcnNpb246ICcgKyBzbmFwc2hvdC52ZXJzaW9uKTtcbiAgICAgICAgfVxuICAgICAgICBjb25zdCBzdGF0ZUNvbmYgPSB0aGlzLl9zdGF0ZUNvbmZpZ3VyYXRpb247XG4gICAgICAgIGZvciAoY29uc3QgayBpbiBzbmFwc2hvdC5zdGF0ZSkge1xuICAgICAgICAgICAgaWYgKHNuYXBzaG90LnN0YXRlLmhhc093blByb3BlcnR5KGspKSB7XG4gICAgICAgICAgICAgICAgaWYgKGluZGV4T2YocmVnaW9ucywgaykgPCAwKSB7XG4gICAgICAgICAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignVW5kZWZpbmVkIHJlZ2lvbiBpbiBzbmFwc2hvdDogJyArIGspO1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICBjb25zdCBlbGVtID0gc3RhdGVDb25mW3NuYXBzaG90LnN0YXRlW2tdXTtcbiAgICAgICAgICAgICAgICBpZiAoIWVsZW0gfHwgZWxlbS5yZWdpb24gIT09IGspIHtcbiAgICAgICAgICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdVbmRlZmluZWQgc3RhdGUgaW4gc25hcHNob3Q6ICcgKyBzbmFwc2hvdC5zdGF0ZVtrXSk7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgfVxuICAgICAgICB9XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogU3RhcnRzIHRoZSBGU00uIE5vdGUgdGhhdCB0aGlzIG1ldGhvZCBtdXN0IGJlIGludm9rZWQgYmVmb3JlXG4gICAgICogYW55IG1ldGhvZCB3aGljaCBtYXkgY2hhbmdlIHRoZSBzdGF0ZSBvZiB0aGUgRlNNLlxuICAgICAqIEVhY2ggcmVnaW9uIHN0YXJ0cyBmcm9tIGl0cyBvd24gaW5pdCBzdGF0ZSwgdW5sZXNzXG4gICAgICogYSBzbmFwc2hvdCBpcyBnaXZlbiwgaW4gd2hpY2ggY2FzZSB0aGUgRlNNIHJlc3VtZXMgZnJvbVxuICAgICAqIHRoZSBzYXZlZCBzdGF0ZXMsIGNvbnRleHQgYW5kIGhpc3Rvcnkgd2l0aG91dCBpbnZva2luZ1xuICAgICAqIGFueSBlbnRlciBjYWxsYmFja3MuXG4gICAgICovXG4gICAgc3RhcnQoc25hcHNob3Q/OiBJU25hcHNob3Q8VFN0YXRlLCBUQ29udGV4dD4pIHtcblxuICAgICAgICB0aGlzLmVuc3VyZUNvbmZpZ3VyZVN0YWdlKCk7XG5cbiAgICAgICAgLy8gRGVmaW5pdGlvblxuICAgICAgICBjb25zdCBzdGF0ZUNvbmYgPSB0aGlzLl9zdGF0ZUNvbmZpZ3VyYXRpb247XG4gICAgICAgIGNvbnN0IHJlZ2lvbkNvbmYgPSB0aGlzLl9yZWdpb25Db25maWd1cmF0aW9uO1xuXG4gICAgICAgIC8vIFRoZSBkZWZhdWx0IHJlZ2lvbiBtYXkgYmUgbGVmdCBlbXB0eSBpZlxuICAgICAgICAvLyBhbGwgc3RhdGVzIGxpdmUgaW4gb3RoZXIgcmVnaW9ucy5cbiAgICAgICAgbGV0IHVzZURlZmF1bHRSZWdpb24gPSAhIXRoaXMuX2luaXRTdGF0ZSB8fCBfLmlzRW1wdHkocmVnaW9uQ29uZik7XG4gICAgICAgIC8vIEEgc3RhdGUgd2l0aG91dCBhIHNlbGYtdHJhbnNpdGlvbiBpcyByZS1lbnRlcmVkXG4gICAgICAgIC8vIGJ5IGFuIGltcGxpZWQgb25lLCBpZiBzbyByZXF1aXJlZC5cbiAgICAgICAgY29uc3QgcmVlbnRyeUNvbmY6IHsgW2tleTogc3RyaW5nXTogSVRyYW5zaXRpb25TcGVjaWZpY2F0aW9uIH0gPSB7fTtcbiAgICAgICAgZm9yIChjb25zdCBrMCBpbiBzdGF0ZUNvbmYpIHtcbiAgICAgICAgICAgIGlmIChzdGF0ZUNvbmYuaGFzT3duUHJvcGVydHkoazApKSB7XG4gICAgICAgICAgICAgICAgY29uc3QgZWxlbTAgPSBzdGF0ZUNvbmZbazBdO1xuICAgICAgICAgICAgICAgIGlmIChlbGVtMC5pbml0aWFsICYmIGluZGV4T2YoZWxlbTAuY2hpbGRyZW4sIGVsZW0wLmluaXRpYWwpIDwgMCkge1xuICAgICAgICAgICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1VuZGVmaW5lZCBpbml0aWFsIGNoaWxkIHN0YXRlOiAnICsgazAgKyAnIC0+ICcgKyBlbGVtMC5pbml0aWFsKTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICAgICAgaWYgKGVsZW0wLnJlZ2lvbiA9PT0gZGVmYXVsdFJlZ2lvbikge1xuICAgICAgICAgICAgICAgICAgICB1c2VEZWZhdWx0UmVnaW9uID0gdHJ1ZTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICAgICAgY29uc3Qga2V5MCA9IHJlcGxhY2VTdHIodHJhbnNpdGlvbktleUZvcm1hdCwgeyBmcm9tOiBrMCwgdG86IGswIH0pO1xuICAgICAgICAgICAgICAgIGlmICh0aGlzLl9zYW1lU3RhdGVQb2xpY3kgPT09ICdyZWVudGVyJyAmJiAhdGhpcy5fdHJhbnNpdGlvbkNvbmZpZ3VyYXRpb25ba2V5MF0pIHtcbiAgICAgICAgICAgICAgICAgICAgcmVlbnRyeUNvbmZba2V5MF0gPSB7IGZyb206IGswLCB0bzogazAgfTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgICAgdGhpcy5fcmVlbnRyeUNvbmZpZ3VyYXRpb24gPSByZWVudHJ5Q29uZjtcbiAgICAgICAgaWYgKHVzZURlZmF1bHRSZWdpb24gJiYgIXRoaXMuX2luaXRTdGF0ZSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdJbml0IHN0YXRlIGhhcyBub3QgYmVlbiBkZWZpbmVkLicpO1xuICAgICAgICB9XG4gICAgICAgIGNvbnN0IGhpc3RvcnlDb25mID0gdGhpcy5faGlzdG9yeUNvbmZpZ3VyYXRpb247XG4gICAgICAgIGZvciAoY29uc3QgazMgaW4gaGlzdG9yeUNvbmYpIHtcbiAgICAgICAgICAgIGlmIChoaXN0b3J5Q29uZi5oYXNPd25Qcm9wZXJ0eShrMykpIHtcbiAgICAgICAgICAgICAgICBjb25zdCBlbGVtMyA9IGhpc3RvcnlDb25mW2szXTtcbiAgICAgICAgICAgICAgICBpZiAoc3RhdGVDb25mW2VsZW0zLnBhcmVudF0uY2hpbGRyZW4ubGVuZ3RoID09PSAwKSB7XG4gICAgICAgICAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignSGlzdG9yeSBzdGF0ZSBvZiBhbiBhdG9taWMgc3RhdGU6ICcgKyBrMyk7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgICAgIGNvbnN0IHRhcmdldCA9IGVsZW0zLmRlZmF1bHRUYXJnZXQ7XG4gICAgICAgICAgICAgICAgaWYgKHRhcmdldCAmJiAoIXN0YXRlQ29uZlt0YXJnZXRdIHx8IGluZGV4T2YodGhpcy5wYXRoT2YodGFyZ2V0KSwgZWxlbTMucGFyZW50KSA8IDAgfHwgdGFyZ2V0ID09PSBlbGVtMy5wYXJlbnQpKSB7XG4gICAgICAgICAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignVW5kZWZpbmVkIGRlZmF1bHQgdGFyZ2V0IG9mIGhpc3Rvcnkgc3RhdGU6ICcgKyBrMyArICcgLT4gJyArIHRhcmdldCk7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgfVxuICAgICAgICB9XG5cblxuICAgICAgICBjb25zdCBpbml0U3RhdGVzOiB7IFtrZXk6IHN0cmluZ106IHN0cmluZyB9ID0ge307XG4gICAgICAgIGlmICh1c2VEZWZhdWx0UmVnaW9uKSB7XG4gICAgICAgICAgICBpbml0U3RhdGVzW2RlZmF1bHRSZWdpb25dID0gdGhpcy5faW5pdFN0YXRlO1xuICAgICAgICB9XG4gICAgICAgIGZvciAoY29uc3QgazEgaW4gcmVnaW9uQ29uZikge1xuICAgICAgICAgICAgaWYgKHJlZ2lvbkNvbmYuaGFzT3duUHJvcGVydHkoazEpKSB7XG4gICAgICAgICAgICAgICAgaW5pdFN0YXRlc1trMV0gPSByZWdpb25Db25mW2sxXS5pbml0U3RhdGU7XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cblxuICAgICAgICBpZiAoc25hcHNob3QpIHtcbiAgICAgICAgICAgIHRoaXMudmFsaWRhdGVTbmFwc2hvdChzbmFwc2hvdCwgXy5rZXlzKGluaXRTdGF0ZXMpKTtcbiAgICAgICAgfVxuICAgICAgICB0aGlzLmxvYWRSdW5uaW5nU3RhdHVzKHNuYXBzaG90KTtcblxuICAgICAgICBjb25zdCBpbXBsczogeyBba2V5OiBzdHJpbmddOiBJVW5kZXJseUltcGwgfSA9IHt9O1xuICAgICAgICB0aGlzLl9leGVjdXRpb24uZXhlY3V0ZSgoKSA9PiB7XG4gICAgICAgICAgICBmb3IgKGNvbnN0IGsyIGluIGluaXRTdGF0ZXMpIHtcbiAgICAgICAgICAgICAgICBpZiAoaW5pdFN0YXRlcy5oYXNPd25Qcm9wZXJ0eShrMikpIHtcbiAgICAgICAgICAgICAgICAgICAgY29uc3QgcmVzdG9yZWQgPSBzbmFwc2hvdCAmJiBzbmFwc2hvdC5zdGF0ZVtrMl07XG4gICAgICAgICAgICAgICAgICAgIGltcGxzW2syXSA9IHRoaXMuY3JlYXRlSW1wbChrMiwgcmVzdG9yZWQgfHwgaW5pdFN0YXRlc1trMl0sICEhcmVzdG9yZWQpO1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgIH1cbiAgICAgICAgfSk7XG4gICAgICAgIHRoaXMuX2ltcGxzID0gaW1wbHM7XG4gICAgICAgIGNvbnN0IHN0YXRlcyA9IHRoaXMuY29uZmlndXJhdGlvbigpO1xuICAgICAgICB0aGlzLmRlbGl2ZXIodGhpcy5fY29uZmlndXJhdGlvblN1YmplY3Qub2JzZXJ2ZXJzLCAoKSA9PiB0aGlzLl9jb25maWd1cmF0aW9uU3ViamVjdC5uZXh0KHN0YXRlcykpO1xuICAgICAgICB0aGlzLm5vdGlmeUNvbnRleHQoKTtcbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogTG9hZHMgdGhlIGNvbnRleHQgZGF0YSBhbmQgdGhlIGhpc3RvcnkgZnJvbSB0aGUgZ2l2ZW4gc25hcHNob3QsXG4gICAgICogb3IgcmVzZXRzIHRoZW0gaWYgbm8gc25hcHNob3QgaXMgZ2l2ZW4uXG4gICAgICovXG4gICAgcHJpdmF0ZSBsb2FkUnVubmluZ1N0YXR1cyhzbmFwc2hvdD86IElTbmFwc2hvdCkge1xuICAgICAgICBpZiAoc25hcHNob3QpIHtcbiAgICAgICAgICAgIHRoaXMuX2NvbnRleHQgPSBzbmFwc2hvdC5jb250ZXh0O1xuICAgICAgICAgICAgdGhpcy5faGlzdG9yeSA9IChzbmFwc2hvdC5oaXN0b3J5IHx8IFtdKS5zbGljZSgtdGhpcy5faGlzdG9yeUxpbWl0KTtcbiAgICAgICAgICAgIHRoaXMuX3VuZG9uZSA9IChzbmFwc2hvdC51bmRvbmUgfHwgW10pLnNsaWNlKC10aGlzLl9oaXN0b3J5TGltaXQpO1xuICAgICAgICAgICAgdGhpcy5fbGFzdEFjdGl2ZSA9IF8uZXh0ZW5kKHt9LCBzbmFwc2hvdC5sYXN0QWN0aXZlKTtcbiAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgIHRoaXMuX2hpc3RvcnkgPSBbXTtcbiAgICAgICAgICAgIHRoaXMuX3VuZG9uZSA9IFtdO1xuICAgICAgICAgICAgdGhpcy5fbGFzdEFjdGl2ZSA9IHt9O1xuICAgICAgICB9XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogUHV0cyB0aGUgcnVubmluZyBGU00gYmFjayBpbnRvIHRoZSBzdGF0dXMgY2FwdHVyZWQgYnkgYSBzbmFwc2hvdCxcbiAgICAgKiBlLmcuLCBmb3IgdGltZS10cmF2ZWwgZGVidWdnaW5nLiBBcyB3aGVuIHN0YXJ0aW5nIGZyb20gYSBzbmFwc2hvdCxcbiAgICAgKiBub25lIG9mIHRoZSBjYWxsYmFja3MgYXJlIGludm9rZWQuIFRoZSBkZWxheWVkIHRyYW5zaXRpb25zIGFyZVxuICAgICAqIHNjaGVkdWxlZCBhZ2FpbiBmcm9tIHRoZSByZXN0b3JlZCBzdGF0ZXMuXG4gICAgICovXG4gICAgcmVzdG9yZShzbmFwc2hvdDogSVNuYXBzaG90PFRTdGF0ZSwgVENvbnRleHQ+KSB7XG4gICAgICAgIHRoaXMuZW5zdXJlUnVubmluZ1N0YWdlKCk7XG4gICAgICAgIGlmICghXy5pc0VtcHR5KHRoaXMuX3BlbmRpbmdSZWdpb25zKSkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdUcmFuc2l0aW9uIGlzIGluIHByb2dyZXNzOiAnICsgXy5rZXlzKHRoaXMuX3BlbmRpbmdSZWdpb25zKS5qb2luKCcsICcpKTtcbiAgICAgICAgfVxuICAgICAgICBjb25zdCByZWdpb25zID0gXy5rZXlzKHRoaXMuX2ltcGxzKTtcbiAgICAgICAgdGhpcy52YWxpZGF0ZVNuYXBzaG90KHNuYXBzaG90LCByZWdpb25zKTtcbiAgICAgICAgdGhpcy5jYW5jZWxEZWxheWVkVHJhbnNpdGlvbnMoXy5rZXlzKHRoaXMuX3RpbWVycykpO1xuICAgICAgICB0aGlzLmxvYWRSdW5uaW5nU3RhdHVzKHNuYXBzaG90KTtcblxuICAgICAgICBjb25zdCBpbXBsczogeyBba2V5OiBzdHJpbmddOiBJVW5kZXJseUltcGwgfSA9IHt9O1xuICAgICAgICB0aGlzLl9leGVjdXRpb24uZXhlY3V0ZSgoKSA9PiB7XG4gICAgICAgICAgICBmb3IgKGNvbnN0IGsgb2YgcmVnaW9ucykge1xuICAgICAgICAgICAgICAgIGltcGxzW2tdID0gdGhpcy5jcmVhdGVJbXBsKGssIHNuYXBzaG90LnN0YXRlW2tdIHx8IHRoaXMuX2ltcGxzW2tdLnN0YXRlLCB0cnVlKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfSk7XG4gICAgICAgIHRoaXMuX2ltcGxzID0gaW1wbHM7XG4gICAgICAgIGNvbnN0IHN0YXRlcyA9IHRoaXMuY29uZmlndXJhdGlvbigpO1xuICAgICAgICB0aGlzLmRlbGl2ZXIodGhpcy5fY29uZmlndXJhdGlvblN1YmplY3Qub2JzZXJ2ZXJzLCAoKSA9PiB0aGlzLl9jb25maWd1cmF0aW9uU3ViamVjdC5uZXh0KHN0YXRlcykpO1xuICAgICAgICB0aGlzLm5vdGlmeUNvbnRleHQoKTtcbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogUmV0dXJucyBhbiBvYnNlcnZhYmxlIG9mIHRoZSBjdXJyZW50IHN0YXRlIG9mIHRoZSBnaXZlbiByZWdpb24sXG4gICAgICogb3Igb2YgdGhlIGRlZmF1bHQgcmVnaW9uIGlmIG5vIHJlZ2lvbiBpcyBnaXZlbi4gVGhlIGN1cnJlbnQgc3RhdGVcbiAgICAgKiBpcyByZXBsYXllZCB0byBlYWNoIG5ldyBzdWJzY3JpYmVyIG9uY2UgdGhlIEZTTSBoYXMgc3RhcnRlZC5cbiAgICAgKiBBIHN0YXRlIGlzIGVtaXR0ZWQgb25seSB3aGVuIGl0IGRpZmZlcnMgZnJvbSB0aGUgcHJldmlvdXMgb25lLFxuICAgICAqIHNvIHJlLWVudGVyaW5nIHRoZSBjdXJyZW50IHN0YXRlLCBvciBhbiBpbnRlcm5hbCB0cmFuc2l0aW9uLFxuICAgICAqIGlzIG5vdCBlbWl0dGVkOyBpdCBpcyBmb3VuZCBvbiB0cmFuc2l0aW9ucyQgaW5zdGVhZC5cbiAgICAgKi9cbiAgICB3YXRjaFN0YXRlKHJlZ2lvbj86IHN0cmluZyk6IE9ic2VydmFibGU8VFN0YXRlPiB7XG4gICAgICAgIHJlZ2lvbiA9IHJlZ2lvbiB8fCBkZWZhdWx0UmVnaW9uO1xuICAgICAgICByZXR1cm4gdGhpcy5jb25maWd1cmF0aW9uJC5waXBlKFxuICAgICAgICAgICAgZmlsdGVyKHN0YXRlcyA9PiBzdGF0ZXMuaGFzT3duUHJvcGVydHkocmVnaW9uKSksXG4gICAgICAgICAgICBtYXAoc3RhdGVzID0+IHN0YXRlc1tyZWdpb25dKSxcbiAgICAgICAgICAgIGRpc3RpbmN0VW50aWxDaGFuZ2VkKCkpO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIERpc3Bvc2VzIHRoZSBGU00sIGkuZS4sIGNhbmNlbHMgdGhlIHBlbmRpbmcgZGVsYXllZCB0cmFuc2l0aW9ucyBhbmRcbiAgICAgKiBjb21wbGV0ZXMgdGhlIG9ic2VydmFibGVzLiBUaGUgRlNNIGNhbm5vdCBiZSB1c2VkIGFueSBtb3JlIGFmdGVyd2FyZHMuXG4gICAgICovXG4gICAgZGlzcG9zZSgpIHtcbiAgICAgICAgaWYgKHRoaXMuX2Rpc3Bvc2VkKSB7XG4gICAgICAgICAgICByZXR1cm47XG4gICAgICAgIH1cbiAgICAgICAgdGhpcy5fZGlzcG9zZWQgPSB0cnVlO1xuICAgICAgICB0aGlzLmNhbmNlbERlbGF5ZWRUcmFuc2l0aW9ucyhfLmtleXModGhpcy5fdGltZXJzKSk7XG4gICAgICAgIHRoaXMuX2NvbmZpZ3VyYXRpb25TdWJqZWN0LmNvbXBsZXRlKCk7XG4gICAgICAgIHRoaXMuX3RyYW5zaXRpb25TdWJqZWN0LmNvbXBsZXRlKCk7XG4gICAgICAgIHRoaXMuX2Vycm9yU3ViamVjdC5jb21wbGV0ZSgpO1xuICAgICAgICB0aGlzLl9jb250ZXh0U3ViamVjdC5jb21wbGV0ZSgpO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJlZ2lzdGVycyBhIGhhbmRsZXIgZm9yIGVudGVyc3RhdGVcbiAgICAgKi9cbiAgICBvbkVudGVyU3RhdGUoaGFuZGxlcjogTWV0aG9kQ2FsbGJhY2tUeXBlPFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dD4pIHtcbiAgICAgICAgY29uc3Qgb3VySGFuZGxlcnMgPSB0aGlzLl9oYW5kbGVycy5vbkVudGVyU3RhdGU7XG4gICAgICAgIGlmIChpbmRleE9mKG91ckhhbmRsZXJzLCBoYW5kbGVyKSA+PSAwKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1JlLXJlZ2lzdGVyaW5nIGEgaGFuZGVyIScpO1xuICAgICAgICB9XG4gICAgICAgIG91ckhhbmRsZXJzLnB1c2goaGFuZGxlcik7XG4gICAgICAgIHJldHVybiB0aGlzO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJlZ2lzdGVycyBhIGhhbmRsZXIgZm9yIGV4aXRzdGF0ZVxuICAgICAqL1xuICAgIG9uRXhpdFN0YXRlKGhhbmRsZXI6IE1ldGhvZENhbGxiYWNrVHlwZTxUU3RhdGUsIFRFdmVudCwgVENvbnRleHQ+KSB7XG4gICAgICAgIGNvbnN0IG91ckhhbmRsZXJzID0gdGhpcy5faGFuZGxlcnMub25MZWF2ZVN0YXRlO1xuICAgICAgICBpZiAoaW5kZXhPZihvdXJIYW5kbGVycywgaGFuZGxlcikgPj0gMCkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdSZWdpc3RlcmluZyBhIGhhbmRlciEnKTtcbiAgICAgICAgfVxuICAgICAgICBvdXJIYW5kbGVycy5wdXNoKGhhbmRsZXIpO1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBVbi1yZWdpc3RlciBhIGhhbmRsZXIgZm9yIGVudGVyc3RhdGVcbiAgICAgKi9cbiAgICBvZmZFbnRlclN0YXRlKGhhbmRsZXI6IE1ldGhvZENhbGxiYWNrVHlwZTxUU3RhdGUsIFRFdmVudCwgVENvbnRleHQ+KSB7XG4gICAgICAgIGNvbnN0IG91ckhhbmRsZXJzID0gdGhpcy5faGFuZGxlcnMub25FbnRlclN0YXRlO1xuICAgICAgICB0aGlzLl9oYW5kbGVycy5vbkVudGVyU3RhdGUgPSB3aXRob3V0KG91ckhhbmRsZXJzLCBoYW5kbGVyKTtcbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogVW4tcmVnaXN0ZXIgYSBoYW5kbGVyIGZvciBleGl0c3RhdGVcbiAgICAgKi9cbiAgICBvZmZFeGl0U3RhdGUoaGFuZGxlcjogTWV0aG9kQ2FsbGJhY2tUeXBlPFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dD4pIHtcbiAgICAgICAgY29uc3Qgb3VySGFuZGxlcnMgPSB0aGlzLl9oYW5kbGVycy5vbkxlYXZlU3RhdGU7XG4gICAgICAgIHRoaXMuX2hhbmRsZXJzLm9uTGVhdmVTdGF0ZSA9IHdpdGhvdXQob3VySGFuZGxlcnMsIGhhbmRsZXIpO1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBMb29rcyBmb3IgYSB0cmFuc2l0aW9uIGFtb25nIHRoZSBjYW5kaWRhdGVzIG9mIGVhY2ggYWN0aXZlIHN0YXRlLFxuICAgICAqIHN0YXJ0aW5nIGZyb20gdGhlIGlubmVybW9zdCBhY3RpdmUgc3RhdGUuIEEgdHJhbnNpdGlvbiB3aG9zZSBndWFyZFxuICAgICAqIGRvZXMgbm90IGhvbGQgaXMgc2tpcHBlZCwgYW5kIHRoZSBmaXJzdCBvZiBzdWNoIHRyYW5zaXRpb25zXG4gICAgICogaXMgcmVwb3J0ZWQgYXMgcmVqZWN0ZWQuXG4gICAgICovXG4gICAgcHJpdmF0ZSBzZWVrVHJhbnNpdGlvbihpbXBsOiBJVW5kZXJseUltcGwsXG4gICAgICAgIGNhbmRpZGF0ZXNPZjogKHN0YXRlOiBzdHJpbmcpID0+IEFycmF5PHN0cmluZz4sXG4gICAgICAgIHBheWxvYWQ/OiBhbnkpIHtcbiAgICAgICAgY29uc3QgYWN0aXZlUGF0aCA9IHRoaXMucGF0aE9mKGltcGwuc3RhdGUpO1xuICAgICAgICBsZXQgcmVqZWN0ZWQ6IHN0cmluZyA9IG51bGw7XG4gICAgICAgIGZvciAobGV0IGkgPSBhY3RpdmVQYXRoLmxlbmd0aCAtIDE7IGkgPj0gMDsgaS0tKSB7XG4gICAgICAgICAgICBmb3IgKGNvbnN0IGtleSBvZiBjYW5kaWRhdGVzT2YoYWN0aXZlUGF0aFtpXSkpIHtcbiAgICAgICAgICAgICAgICBjb25zdCBlbGVtID0gdGhpcy50cmFuc2l0aW9uT2Yoa2V5KTtcbiAgICAgICAgICAgICAgICBpZiAoIWVsZW0gfHwgaW1wbC5jYW5ub3Qoa2V5KSkge1xuICAgICAgICAgICAgICAgICAgICBjb250aW51ZTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICAgICAgaWYgKGVsZW0uZ3VhcmQgJiYgIWVsZW0uZ3VhcmQodGhpcy5fY29udGV4dCwgcGF5bG9hZCkpIHtcbiAgICAgICAgICAgICAgICAgICAgcmVqZWN0ZWQgPSByZWplY3RlZCB8fCBrZXk7XG4gICAgICAgICAgICAgICAgICAgIGNvbnRpbnVlO1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICByZXR1cm4geyBuYW1lOiBrZXksIHJlamVjdGVkOiBudWxsIH07XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgICAgcmV0dXJuIHsgbmFtZTogbnVsbCwgcmVqZWN0ZWQ6IHJlamVjdGVkIH07XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogRmlyZXMgdGhlIGdpdmVuIHRyYW5zaXRpb24gaW4gdGhlIGdpdmVuIHJlZ2lvbi5cbiAgICAgKiBJbiB0aGUgYXN5bmNocm9ub3VzIG1vZGUsIGl0IHJldHVybnMgYSBwcm9taXNlIHdoaWNoIGlzIHJlc29sdmVkXG4gICAgICogdG8gdGhlIHJlc3VsdGluZyBzdGF0ZSBvbmNlIHRoZSB0cmFuc2l0aW9uIHNldHRsZXMuXG4gICAgICovXG4gICAgcHJpdmF0ZSBmaXJlVHJhbnNpdGlvbihyZWdpb246IHN0cmluZywgdHJhbnNpdGlvbk5hbWU6IHN0cmluZywgcGF5bG9hZD86IGFueSk6IHRoaXMgfCBQcm9taXNlPFRTdGF0ZT4ge1xuICAgICAgICBjb25zdCBpbXBsID0gdGhpcy5faW1wbHNbcmVnaW9uXTtcbiAgICAgICAgY29uc3QgY3VycmVudFN0YXRlID0gaW1wbC5zdGF0ZTtcbiAgICAgICAgY29uc3QgZWxlbSA9IHRoaXMudHJhbnNpdGlvbk9mKHRyYW5zaXRpb25OYW1lKTtcbiAgICAgICAgY29uc3QgdG8gPSBlbGVtLnRvO1xuXG4gICAgICAgIC8vIEludm9rZSB0aGlzIGZ1bmN0aW9uLCB3cmFwcGVkIGJ5IHRoZSBtaWRkbGV3YXJlXG4gICAgICAgIGNvbnN0IGZ1bmMgPSBpbXBsW3RyYW5zaXRpb25OYW1lXTtcbiAgICAgICAgY29uc3QgbWlkZGxld2FyZSA9IHRoaXMuX21pZGRsZXdhcmUuc2xpY2UoKTtcbiAgICAgICAgY29uc3QgbGlmZWN5Y2xlOiBJTGlmZUN5Y2xlRXZlbnQgPSB7XG4gICAgICAgICAgICB0cmFuc2l0aW9uOiB0cmFuc2l0aW9uTmFtZSxcbiAgICAgICAgICAgIGZyb206IGN1cnJlbnRTdGF0ZSxcbiAgICAgICAgICAgIHRvOiB0byxcbiAgICAgICAgICAgIHJlZ2lvbjogcmVnaW9uLFxuICAgICAgICAgICAgZXZlbnQ6IGVsZW0uZXZlbnQsXG4gICAgICAgICAgICBwYXlsb2FkOiBwYXlsb2FkLFxuICAgICAgICAgICAgY29udGV4dDogdGhpcy5fY29udGV4dFxuICAgICAgICB9O1xuICAgICAgICBjb25zdCBydW4gPSAoKSA9PiBpbnZva2VNaWRkbGV3YXJlKG1pZGRsZXdhcmUsIGxpZmVjeWNsZSwgKGRhdGEpID0+IGZ1bmMuY2FsbChpbXBsLCBkYXRhKSk7XG4gICAgICAgIHRoaXMuX3BlbmRpbmdSZWdpb25zW3JlZ2lvbl0gPSB0cnVlO1xuICAgICAgICBpZiAoIXRoaXMuX2FzeW5jTW9kZSkge1xuICAgICAgICAgICAgdHJ5IHtcbiAgICAgICAgICAgICAgICB0aGlzLl9leGVjdXRpb24uZXhlY3V0ZShydW4pO1xuICAgICAgICAgICAgfSBmaW5hbGx5IHtcbiAgICAgICAgICAgICAgICBkZWxldGUgdGhpcy5fcGVuZGluZ1JlZ2lvbnNbcmVnaW9uXTtcbiAgICAgICAgICAgICAgICB0aGlzLm5vdGlmeVNldHRsZWQocmVnaW9uKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIHJldHVybiB0aGlzO1xuICAgICAgICB9XG5cbiAgICAgICAgY29uc3Qgc2V0dGxlID0gKCkgPT4ge1xuICAgICAgICAgICAgZGVsZXRlIHRoaXMuX3BlbmRpbmdSZWdpb25zW3JlZ2lvbl07XG4gICAgICAgICAgICB0aGlzLm5vdGlmeVNldHRsZWQocmVnaW9uKTtcbiAgICAgICAgICAgIHJldHVybiA8VFN0YXRlPmltcGwuc3RhdGU7XG4gICAgICAgIH07XG4gICAgICAgIC8vIFRoZSBjYWxsYmFja3Mgb2YgdGhlIHByb21pc2UgcnVuIHdoZXJlIGl0IGlzIGNyZWF0ZWRcbiAgICAgICAgcmV0dXJuIHRoaXMuX2V4ZWN1dGlvbi5leGVjdXRlKCgpID0+IFByb21pc2UucmVzb2x2ZSgpXG4gICAgICAgICAgICAudGhlbihydW4pXG4gICAgICAgICAgICAudGhlbihudWxsLCAoZXJyb3IpID0+IHtcbiAgICAgICAgICAgICAgICAvLyBUaGUgRlNNIGlzIHN0aWxsIGluIHRoZSBzb3VyY2Ugc3RhdGVcbiAgICAgICAgICAgICAgICB0aGlzLnJlcG9ydEVycm9yKHRyYW5zaXRpb25OYW1lLCBjdXJyZW50U3RhdGUsIHRvLCBlcnJvcik7XG4gICAgICAgICAgICB9KVxuICAgICAgICAgICAgLnRoZW4oc2V0dGxlLCAoZXJyb3IpID0+IHtcbiAgICAgICAgICAgICAgICBzZXR0bGUoKTtcbiAgICAgICAgICAgICAgICB0aHJvdyBlcnJvcjtcbiAgICAgICAgICAgIH0pKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBOb3RpZmllcyB0aGUgc3Vic2NyaWJlcnMgb2YgdGhlIHRyYW5zaXRpb24gdGFrZW4gaW4gdGhlIGdpdmVuIHJlZ2lvbixcbiAgICAgKiBpZiBhbnkuIEl0IGlzIGRvbmUgb25jZSB0aGUgdHJhbnNpdGlvbiBzZXR0bGVzLCBzbyB0aGF0XG4gICAgICogdGhlIHN1YnNjcmliZXJzIG1heSB1c2UgdGhlIEZTTSBhdCBvbmNlLCBlLmcuLCB0YWtlIGEgc25hcHNob3QuXG4gICAgICovXG4gICAgcHJpdmF0ZSBub3RpZnlTZXR0bGVkKHJlZ2lvbjogc3RyaW5nKSB7XG4gICAgICAgIGNvbnN0IGV2ZW50ID0gdGhpcy5fc2V0dGxlZEV2ZW50c1tyZWdpb25dO1xuICAgICAgICBkZWxldGUgdGhpcy5fc2V0dGxlZEV2ZW50c1tyZWdpb25dO1xuICAgICAgICBpZiAoIWV2ZW50IHx8IHRoaXMuX2Rpc3Bvc2VkKSB7XG4gICAgICAgICAgICByZXR1cm47XG4gICAgICAgIH1cbiAgICAgICAgY29uc3Qgc3RhdGVzID0gdGhpcy5jb25maWd1cmF0aW9uKCk7XG4gICAgICAgIHRoaXMuZGVsaXZlcih0aGlzLl9jb25maWd1cmF0aW9uU3ViamVjdC5vYnNlcnZlcnMsICgpID0+IHRoaXMuX2NvbmZpZ3VyYXRpb25TdWJqZWN0Lm5leHQoc3RhdGVzKSk7XG4gICAgICAgIHRoaXMuZGVsaXZlcih0aGlzLl90cmFuc2l0aW9uU3ViamVjdC5vYnNlcnZlcnMsICgpID0+IHRoaXMuX3RyYW5zaXRpb25TdWJqZWN0Lm5leHQoZXZlbnQpKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZWdpc3RlcnMgYSBoYW5kbGVyIGZvciB0aGUgY2hhbmdlIG9mIHRoZSBjb250ZXh0IGRhdGFcbiAgICAgKi9cbiAgICBvbkNvbnRleHRDaGFuZ2UoaGFuZGxlcjogQ29udGV4dENoYW5nZUNhbGxiYWNrVHlwZTxUU3RhdGUsIFRFdmVudCwgVENvbnRleHQ+KSB7XG4gICAgICAgIGNvbnN0IG91ckhhbmRsZXJzID0gdGhpcy5faGFuZGxlcnMub25Db250ZXh0Q2hhbmdlO1xuICAgICAgICBpZiAoaW5kZXhPZihvdXJIYW5kbGVycywgaGFuZGxlcikgPj0gMCkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdSZS1yZWdpc3RlcmluZyBhIGhhbmRlciEnKTtcbiAgICAgICAgfVxuICAgICAgICBvdXJIYW5kbGVycy5wdXNoKGhhbmRsZXIpO1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBVbi1yZWdpc3RlciBhIGhhbmRsZXIgZm9yIHRoZSBjaGFuZ2Ugb2YgdGhlIGNvbnRleHQgZGF0YVxuICAgICAqL1xuICAgIG9mZkNvbnRleHRDaGFuZ2UoaGFuZGxlcjogQ29udGV4dENoYW5nZUNhbGxiYWNrVHlwZTxUU3RhdGUsIFRFdmVudCwgVENvbnRleHQ+KSB7XG4gICAgICAgIGNvbnN0IG91ckhhbmRsZXJzID0gdGhpcy5faGFuZGxlcnMub25Db250ZXh0Q2hhbmdlO1xuICAgICAgICB0aGlzLl9oYW5kbGVycy5vbkNvbnRleHRDaGFuZ2UgPSB3aXRob3V0KG91ckhhbmRsZXJzLCBoYW5kbGVyKTtcbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogUmVnaXN0ZXJzIGEgbWlkZGxld2FyZSB3aGljaCB3cmFwcyBldmVyeSB0cmFuc2l0aW9uLCBpbiB0aGUgb3JkZXJcbiAgICAgKiBvZiByZWdpc3RyYXRpb24sIHRoZSBmaXJzdCBvbmUgYmVpbmcgdGhlIG91dGVybW9zdC4gQSBtaWRkbGV3YXJlIGlzXG4gICAgICogaW52b2tlZCB3aXRoIHRoZSBsaWZlY3ljbGUgZXZlbnQgb2YgdGhlIHRyYW5zaXRpb24gYmVmb3JlIGFueSBjYWxsYmFjayxcbiAgICAgKiBhbmQgbWF5IGluc3BlY3QgaXQsIHJlcGxhY2UgdGhlIHBheWxvYWQgYnkgY2FsbGluZyBuZXh0IHdpdGggYSBuZXcgb25lLFxuICAgICAqIHZldG8gdGhlIHRyYW5zaXRpb24gYnkgbm90IGNhbGxpbmcgbmV4dCBvciBieSB0aHJvd2luZywgYW5kIHJ1biBjb2RlXG4gICAgICogYWZ0ZXIgdGhlIHRyYW5zaXRpb24gYnkgd29ya2luZyBvbiB3aGF0IG5leHQgcmV0dXJucy5cbiAgICAgKiBJbiB0aGUgYXN5bmNocm9ub3VzIG1vZGUsIG5leHQgcmV0dXJucyBhIHByb21pc2UsIGFuZCBhIG1pZGRsZXdhcmVcbiAgICAgKiBpcyBleHBlY3RlZCB0byByZXR1cm4gYSBwcm9taXNlIHRvbyBpZiBpdCB3YWl0cyBmb3IgdGhlIHRyYW5zaXRpb24uXG4gICAgICovXG4gICAgdXNlKG1pZGRsZXdhcmU6IE1pZGRsZXdhcmVUeXBlPFRTdGF0ZSwgVEV2ZW50LCBUQ29udGV4dD4pIHtcbiAgICAgICAgaWYgKGluZGV4T2YodGhpcy5fbWlkZGxld2FyZSwgbWlkZGxld2FyZSkgPj0gMCkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdSZS1yZWdpc3RlcmluZyBhIG1pZGRsZXdhcmUhJyk7XG4gICAgICAgIH1cbiAgICAgICAgdGhpcy5fbWlkZGxld2FyZS5wdXNoKG1pZGRsZXdhcmUpO1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBVbi1yZWdpc3RlciBhIG1pZGRsZXdhcmVcbiAgICAgKi9cbiAgICB1bnVzZShtaWRkbGV3YXJlOiBNaWRkbGV3YXJlVHlwZTxUU3RhdGUsIFRFdmVudCwgVENvbnRleHQ+KSB7XG4gICAgICAgIHRoaXMuX21pZGRsZXdhcmUgPSB3aXRob3V0KHRoaXMuX21pZGRsZXdhcmUsIG1pZGRsZXdhcmUpO1xuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBQZXJmb3JtcyBhIHRyYW5zaXRpb24gdG8gdGhlIGdpdmVuIHN0YXRlLlxuICAgICAqIFRoaXMgbWV0aG9kIGFsc28gdmFsaWRhdGUgdGhlIHRyYW5zaXRpb24uXG4gICAgICogVGhlIHBheWxvYWQgaXMgZGVsaXZlcmVkIHRvIGFsbCBjYWxsYmFja3Mgb2YgdGhlIHRyYW5zaXRpb24sXG4gICAgICogYXMgcGFydCBvZiB0aGUgbGlmZWN5Y2xlIGV2ZW50LlxuICAgICAqIElmIHRoZSB0cmFuc2l0aW9uIGlzIHJlamVjdGVkIGJ5IGl0cyBndWFyZCwgdGhlIGVycm9yIGhhbmRsZXJcbiAgICAgKiBpcyBpbnZva2VkIGluc3RlYWQuXG4gICAgICogR29pbmcgdG8gYW4gYWN0aXZlIHN0YXRlIHRha2VzIHRoZSBzZWxmLXRyYW5zaXRpb24gZGVmaW5lZCBmb3IgaXQsXG4gICAgICogaWYgYW55LCBhbmQgb3RoZXJ3aXNlIGZvbGxvd3MgdGhlIHNhbWUtc3RhdGUgcG9saWN5LlxuICAgICAqIEluIHRoZSBhc3luY2hyb25vdXMgbW9kZSwgaXQgcmV0dXJucyBhIHByb21pc2Ugd2hpY2ggaXMgcmVzb2x2ZWRcbiAgICAgKiB0byB0aGUgcmVzdWx0aW5nIHN0YXRlIG9uY2UgdGhlIHRyYW5zaXRpb24gc2V0dGxlcy5cbiAgICAgKi9cbiAgICBnbyh0bzogVFN0YXRlLCBwYXlsb2FkPzogYW55KTogVHJhbnNpdGlvblJlc3VsdFR5cGU8VEFzeW5jLCB0aGlzLCBUU3RhdGU+O1xuICAgIGdvKHRvOiBUU3RhdGUsIHBheWxvYWQ/OiBhbnkpOiB0aGlzIHwgUHJvbWlzZTxUU3RhdGU+IHtcbiAgICAgICAgdGhpcy5lbnN1cmVSdW5uaW5nU3RhZ2UoKTtcblxuICAgICAgICBjb25zdCBzdGF0ZUNvbmYgPSB0aGlzLl9zdGF0ZUNvbmZpZ3VyYXRpb247XG4gICAgICAgIGNvbnN0IHRhcmdldCA9IHN0YXRlQ29uZlt0b10gfHwgdGhpcy5faGlzdG9yeUNvbmZpZ3VyYXRpb25bdG9dO1xuICAgICAgICBpZiAoIXRhcmdldCkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdHbyB0byB1bmRlZmluZWQgc3RhdGU6ICcgKyB0byk7XG4gICAgICAgIH1cbiAgICAgICAgLy8gVGhlIHRyYW5zaXRpb24gaGFwcGVucyBpbiB0aGUgcmVnaW9uIG9mIHRoZSB0YXJnZXQgc3RhdGVcbiAgICAgICAgY29uc3QgcmVnaW9uID0gdGFyZ2V0LnJlZ2lvbjtcbiAgICAgICAgY29uc3QgaW1wbCA9IHRoaXMuaW1wbE9mKHJlZ2lvbik7XG4gICAgICAgIGNvbnN0IGN1cnJlbnRTdGF0ZSA9IDxUU3RhdGU+aW1wbC5zdGF0ZTtcbiAgICAgICAgaWYgKHRoaXMuX3BlbmRpbmdSZWdpb25zW3JlZ2lvbl0pIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignVHJhbnNpdGlvbiBpcyBpbiBwcm9ncmVzczogJyArIGN1cnJlbnRTdGF0ZSArICcgLT4gJyArIHRvKTtcbiAgICAgICAgfVxuICAgICAgICBjb25zdCByZXN1bHQgPSB0aGlzLnNlZWtUcmFuc2l0aW9uKGltcGwsIChmcm9tKSA9PiB7XG4gICAgICAgICAgICByZXR1cm4gW3JlcGxhY2VTdHIodHJhbnNpdGlvbktleUZvcm1hdCwgeyBmcm9tOiBmcm9tLCB0bzogdG8gfSldO1xuICAgICAgICB9LCBwYXlsb2FkKTtcbiAgICAgICAgaWYgKCFyZXN1bHQubmFtZSAmJiByZXN1bHQucmVqZWN0ZWQpIHtcbiAgICAgICAgICAgIHRoaXMucmVwb3J0RXJyb3IocmVzdWx0LnJlamVjdGVkLCBjdXJyZW50U3RhdGUsIHRvKTtcbiAgICAgICAgICAgIHJldHVybiB0aGlzLl9hc3luY01vZGUgPyBQcm9taXNlLnJlc29sdmUoY3VycmVudFN0YXRlKSA6IHRoaXM7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKCFyZXN1bHQubmFtZSAmJiBzdGF0ZUNvbmZbdG9dICYmIGluZGV4T2YodGhpcy5wYXRoT2YoY3VycmVudFN0YXRlKSwgdG8pID49IDApIHtcbiAgICAgICAgICAgIC8vIE5vIHRyYW5zaXRpb24gaXMgZGVmaW5lZCBmb3IgZ29pbmcgdG8gYW4gYWN0aXZlIHN0YXRlLFxuICAgICAgICAgICAgLy8gbm9yIGltcGxpZWQgYnkgdGhlIHNhbWUtc3RhdGUgcG9saWN5LlxuICAgICAgICAgICAgaWYgKHRoaXMuX3NhbWVTdGF0ZVBvbGljeSA9PT0gJ2Vycm9yJykge1xuICAgICAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignQWxyZWFkeSBpbiBzdGF0ZTogJyArIHRvKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIHJldHVybiB0aGlzLl9hc3luY01vZGUgPyBQcm9taXNlLnJlc29sdmUoY3VycmVudFN0YXRlKSA6IHRoaXM7XG4gICAgICAgIH1cbiAgICAgICAgLy8gVmFsaWRhdGUgaWYgdGhpcyB0cmFuc2l0aW9uIGlzIGFsbG93ZWQgb3Igbm90XG4gICAgICAgIGlmICghcmVzdWx0Lm5hbWUpIHtcbiAgICAgICAgICAgIHRocm93IG5ldyBFcnJvcignVHJhbnNpdGlvbiBpcyBub3QgYWxsb3dlZDogJyArIGN1cnJlbnRTdGF0ZSArICcgLT4gJyArIHRvKTtcbiAgICAgICAgfVxuXG4gICAgICAgIHJldHVybiB0aGlzLmZpcmVUcmFuc2l0aW9uKHJlZ2lvbiwgcmVzdWx0Lm5hbWUsIHBheWxvYWQpO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFNlbmRzIGEgbmFtZWQgZXZlbnQgdG8gdGhlIEZTTS4gSW4gZWFjaCByZWdpb24sIHRoZSBldmVudCB0cmlnZ2Vyc1xuICAgICAqIHRoZSBmaXJzdCB0cmFuc2l0aW9uIGRlZmluZWQgZm9yIGl0IGZyb20gdGhlIGFjdGl2ZSBzdGF0ZXMgd2hvc2UgZ3VhcmRcbiAgICAgKiBob2xkcy4gSWYgbm8gcmVnaW9uIHRha2VzIGEgdHJhbnNpdGlvbiwgdGhlIGVycm9yIGhhbmRsZXIgaXMgaW52b2tlZC5cbiAgICAgKiBJbiB0aGUgYXN5bmNocm9ub3VzIG1vZGUsIGl0IHJldHVybnMgYSBwcm9taXNlIHdoaWNoIGlzIHJlc29sdmVkXG4gICAgICogdG8gdGhlIHJlc3VsdGluZyBzdGF0ZXMgb2YgdGhlIHJlZ2lvbnMgdGFraW5nIGEgdHJhbnNpdGlvbi5cbiAgICAgKi9cbiAgICBzZW5kKGV2ZW50TmFtZTogVEV2ZW50LCBwYXlsb2FkPzogYW55KTogVHJhbnNpdGlvblJlc3VsdFR5cGU8VEFzeW5jLCB0aGlzLCBBcnJheTxUU3RhdGU+PjtcbiAgICBzZW5kKGV2ZW50TmFtZTogVEV2ZW50LCBwYXlsb2FkPzogYW55KTogdGhpcyB8IFByb21pc2U8QXJyYXk8VFN0YXRlPj4ge1xuICAgICAgICB0aGlzLmVuc3VyZVJ1bm5pbmdTdGFnZSgpO1xuXG4gICAgICAgIGNvbnN0IGNhbmRpZGF0ZXMgPSB0aGlzLl9ldmVudENvbmZpZ3VyYXRpb25bZXZlbnROYW1lXTtcbiAgICAgICAgaWYgKCFjYW5kaWRhdGVzKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1NlbmQgdW5kZWZpbmVkIGV2ZW50OiAnICsgZXZlbnROYW1lKTtcbiAgICAgICAgfVxuICAgICAgICBjb25zdCB0cmFuc2l0aW9uQ29uZiA9IHRoaXMuX3RyYW5zaXRpb25Db25maWd1cmF0aW9uO1xuICAgICAgICBjb25zdCBzdGF0ZUNvbmYgPSB0aGlzLl9zdGF0ZUNvbmZpZ3VyYXRpb247XG4gICAgICAgIGNvbnN0IHRhcmdldHM6IHsgW2tleTogc3RyaW5nXTogc3RyaW5nIH0gPSB7fTtcbiAgICAgICAgbGV0IHJlamVjdGVkOiBzdHJpbmcgPSBudWxsO1xuICAgICAgICBmb3IgKGNvbnN0IHJlZ2lvbiBpbiB0aGlzLl9pbXBscykge1xuICAgICAgICAgICAgaWYgKHRoaXMuX2ltcGxzLmhhc093blByb3BlcnR5KHJlZ2lvbikpIHtcbiAgICAgICAgICAgICAgICBjb25zdCBpbXBsID0gdGhpcy5faW1wbHNbcmVnaW9uXTtcbiAgICAgICAgICAgICAgICBpZiAodGhpcy5fcGVuZGluZ1JlZ2lvbnNbcmVnaW9uXSkge1xuICAgICAgICAgICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1RyYW5zaXRpb24gaXMgaW4gcHJvZ3Jlc3M6ICcgKyBpbXBsLnN0YXRlICsgJyAtPiAnICsgZXZlbnROYW1lKTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICAgICAgY29uc3QgcmVzdWx0ID0gdGhpcy5zZWVrVHJhbnNpdGlvbihpbXBsLCAoZnJvbSkgPT4ge1xuICAgICAgICAgICAgICAgICAgICByZXR1cm4gXy5maWx0ZXIoY2FuZGlkYXRlcywgKGtleSkgPT4ge1xuICAgICAgICAgICAgICAgICAgICAgICAgcmV0dXJuIHRyYW5zaXRpb25Db25mW2tleV0uZnJvbSA9PT0gZnJvbSAmJiBzdGF0ZUNvbmZbZnJvbV0ucmVnaW9uID09PSByZWdpb247XG4gICAgICAgICAgICAgICAgICAgIH0pO1xuICAgICAgICAgICAgICAgIH0sIHBheWxvYWQpO1xuICAgICAgICAgICAgICAgIGlmIChyZXN1bHQubmFtZSkge1xuICAgICAgICAgICAgICAgICAgICB0YXJnZXRzW3JlZ2lvbl0gPSByZXN1bHQubmFtZTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICAgICAgcmVqZWN0ZWQgPSByZWplY3RlZCB8fCByZXN1bHQucmVqZWN0ZWQ7XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cblxuICAgICAgICBpZiAoXy5pc0VtcHR5KHRhcmdldHMpKSB7XG4gICAgICAgICAgICBpZiAocmVqZWN0ZWQpIHtcbiAgICAgICAgICAgICAgICB0aGlzLnJlcG9ydEVycm9yKGV2ZW50TmFtZSwgdHJhbnNpdGlvbkNvbmZbcmVqZWN0ZWRdLmZyb20sIHRyYW5zaXRpb25Db25mW3JlamVjdGVkXS50byk7XG4gICAgICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgICAgIC8vIFRoZSBldmVudCBpcyBub3QgZXhwZWN0ZWQgaW4gdGhlIGN1cnJlbnQgc3RhdGVcbiAgICAgICAgICAgICAgICBjb25zdCByZWdpb24gPSBzdGF0ZUNvbmZbdHJhbnNpdGlvbkNvbmZbY2FuZGlkYXRlc1swXV0uZnJvbV0ucmVnaW9uO1xuICAgICAgICAgICAgICAgIHRoaXMucmVwb3J0RXJyb3IoZXZlbnROYW1lLCB0aGlzLl9pbXBsc1tyZWdpb25dLnN0YXRlLCBudWxsKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIHJldHVybiB0aGlzLl9hc3luY01vZGUgPyBQcm9taXNlLnJlc29sdmUoW10pIDogdGhpcztcbiAgICAgICAgfVxuXG4gICAgICAgIGNvbnN0IHByb21pc2VzOiBBcnJheTxQcm9taXNlPFRTdGF0ZT4+ID0gW107XG4gICAgICAgIGZvciAoY29uc3QgcmVnaW9uIGluIHRhcmdldHMpIHtcbiAgICAgICAgICAgIGlmICh0YXJnZXRzLmhhc093blByb3BlcnR5KHJlZ2lvbikpIHtcbiAgICAgICAgICAgICAgICBjb25zdCBvdXRjb21lID0gdGhpcy5maXJlVHJhbnNpdGlvbihyZWdpb24sIHRhcmdldHNbcmVnaW9uXSwgcGF5bG9hZCk7XG4gICAgICAgICAgICAgICAgaWYgKHRoaXMuX2FzeW5jTW9kZSkge1xuICAgICAgICAgICAgICAgICAgICBwcm9taXNlcy5wdXNoKDxQcm9taXNlPFRTdGF0ZT4+b3V0Y29tZSk7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICAgIHJldHVybiB0aGlzLl9hc3luY01vZGUgPyBQcm9taXNlLmFsbChwcm9taXNlcykgOiB0aGlzO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIENoZWNrcyBpZiB0aGUgRlNNIGNhbiBnbyB0byB0aGUgZ2l2ZW4gc3RhdGUsIGkuZS4sIHRoZXJlIGlzXG4gICAgICogYSB0cmFuc2l0aW9uIGZyb20gdGhlIGFjdGl2ZSBzdGF0ZXMgd2hvc2UgZ3VhcmQgaG9sZHMuXG4gICAgICovXG4gICAgY2FuKHRvOiBUU3RhdGUsIHBheWxvYWQ/OiBhbnkpIHtcbiAgICAgICAgdGhpcy5lbnN1cmVSdW5uaW5nU3RhZ2UoKTtcblxuICAgICAgICBjb25zdCBzdGF0ZUNvbmYgPSB0aGlzLl9zdGF0ZUNvbmZpZ3VyYXRpb247XG4gICAgICAgIGNvbnN0IHRhcmdldCA9IHN0YXRlQ29uZlt0b10gfHwgdGhpcy5faGlzdG9yeUNvbmZpZ3VyYXRpb25bdG9dO1xuICAgICAgICBpZiAoIXRhcmdldCkge1xuICAgICAgICAgICAgcmV0dXJuIGZhbHNlO1xuICAgICAgICB9XG4gICAgICAgIGNvbnN0IGltcGwgPSB0aGlzLmltcGxPZih0YXJnZXQucmVnaW9uKTtcbiAgICAgICAgcmV0dXJuICEhdGhpcy5zZWVrVHJhbnNpdGlvbihpbXBsLCAoZnJvbSkgPT4ge1xuICAgICAgICAgICAgcmV0dXJuIFtyZXBsYWNlU3RyKHRyYW5zaXRpb25LZXlGb3JtYXQsIHsgZnJvbTogZnJvbSwgdG86IHRvIH0pXTtcbiAgICAgICAgfSwgcGF5bG9hZCkubmFtZTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZXR1cm5zIHRoZSB0cmFuc2l0aW9ucyB0YWtlbiwgdGhlIG9sZGVzdCBvbmUgZmlyc3QuXG4gICAgICovXG4gICAgaGlzdG9yeSgpOiBBcnJheTxJSGlzdG9yeUVudHJ5PFRTdGF0ZT4+IHtcbiAgICAgICAgcmV0dXJuIDxBcnJheTxJSGlzdG9yeUVudHJ5PFRTdGF0ZT4+PnRoaXMuX2hpc3Rvcnkuc2xpY2UoKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBMb29rcyBmb3IgdGhlIHRyYW5zaXRpb24gdW5kb2luZyB0aGUgZ2l2ZW4gb25lLCBpLmUuLCB0aGUgdHJhbnNpdGlvblxuICAgICAqIGZyb20gaXRzIHRhcmdldCBzdGF0ZSBiYWNrIHRvIGl0cyBzb3VyY2Ugc3RhdGUsIG9yIHRvIGl0c1xuICAgICAqIGNvbXBlbnNhdGlvbiBzdGF0ZSBpZiBkZWNsYXJlZC4gVGhlIEZTTSBtdXN0IHN0aWxsIGJlIGluXG4gICAgICogdGhlIHRhcmdldCBzdGF0ZSwgb3IgdGhlIGhpc3RvcnkgZG9lcyBub3QgYXBwbHkgYW55IG1vcmUuXG4gICAgICovXG4gICAgcHJpdmF0ZSBzZWVrVW5kb1RyYW5zaXRpb24oaW1wbDogSVVuZGVybHlJbXBsLCBlbnRyeTogSUhpc3RvcnlFbnRyeSkge1xuICAgICAgICBjb25zdCBlbGVtID0gdGhpcy50cmFuc2l0aW9uT2YoZW50cnkudHJhbnNpdGlvbik7XG4gICAgICAgIGNvbnN0IHRvID0gZWxlbSAmJiAoZWxlbS5jb21wZW5zYXRpb24gfHwgZWxlbS5mcm9tKTtcbiAgICAgICAgY29uc3QgdGFyZ2V0UGF0aCA9IHRoaXMuX3N0YXRlQ29uZmlndXJhdGlvbltlbnRyeS50b10gPyB0aGlzLnBhdGhPZihlbnRyeS50bykgOiBbXTtcbiAgICAgICAgcmV0dXJuIHRoaXMuc2Vla1RyYW5zaXRpb24oaW1wbCwgKGZyb20pID0+IHtcbiAgICAgICAgICAgIHJldHVybiB0byAmJiBpbmRleE9mKHRhcmdldFBhdGgsIGZyb20pID49IDAgPyBbcmVwbGFjZVN0cih0cmFuc2l0aW9uS2V5Rm9ybWF0LCB7IGZyb206IGZyb20sIHRvOiB0byB9KV0gOiBbXTtcbiAgICAgICAgfSwgZW50cnkucGF5bG9hZCk7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogTG9va3MgZm9yIHRoZSBnaXZlbiB0cmFuc2l0aW9uIGFnYWluLCBmb3IgcmVkb2luZyBpdC5cbiAgICAgKi9cbiAgICBwcml2YXRlIHNlZWtSZWRvVHJhbnNpdGlvbihpbXBsOiBJVW5kZXJseUltcGwsIGVudHJ5OiBJSGlzdG9yeUVudHJ5KSB7XG4gICAgICAgIGNvbnN0IGVsZW0gPSB0aGlzLnRyYW5zaXRpb25PZihlbnRyeS50cmFuc2l0aW9uKTtcbiAgICAgICAgcmV0dXJuIHRoaXMuc2Vla1RyYW5zaXRpb24oaW1wbCwgKGZyb20pID0+IHtcbiAgICAgICAgICAgIHJldHVybiBlbGVtICYmIGVsZW0uZnJvbSA9PT0gZnJvbSA/IFtlbnRyeS50cmFuc2l0aW9uXSA6IFtdO1xuICAgICAgICB9LCBlbnRyeS5wYXlsb2FkKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBUYWtlcyB0aGUgdHJhbnNpdGlvbiB3aGljaCB1bmRvZXMgb3IgcmVkb2VzIHRoZSBnaXZlbiBvbmUsXG4gICAgICogYW5kIGtlZXBzIHRyYWNrIG9mIGl0IHVudGlsIHRoZSB0cmFuc2l0aW9uIHNldHRsZXMuXG4gICAgICovXG4gICAgcHJpdmF0ZSByZXBsYXkoa2luZDogc3RyaW5nLCBlbnRyeTogSUhpc3RvcnlFbnRyeSk6IHRoaXMgfCBQcm9taXNlPFRTdGF0ZT4ge1xuICAgICAgICBjb25zdCByZWdpb24gPSBlbnRyeS5yZWdpb247XG4gICAgICAgIGNvbnN0IGltcGwgPSB0aGlzLmltcGxPZihyZWdpb24pO1xuICAgICAgICBjb25zdCBjdXJyZW50U3RhdGUgPSA8VFN0YXRlPmltcGwuc3RhdGU7XG4gICAgICAgIGlmICh0aGlzLl9wZW5kaW5nUmVnaW9uc1tyZWdpb25dKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1RyYW5zaXRpb24gaXMgaW4gcHJvZ3Jlc3M6ICcgKyBjdXJyZW50U3RhdGUgKyAnIC0+ICcgKyBraW5kKTtcbiAgICAgICAgfVxuICAgICAgICBjb25zdCByZXN1bHQgPSBraW5kID09PSAndW5kbycgP1xuICAgICAgICAgICAgdGhpcy5zZWVrVW5kb1RyYW5zaXRpb24oaW1wbCwgZW50cnkpIDpcbiAgICAgICAgICAgIHRoaXMuc2Vla1JlZG9UcmFuc2l0aW9uKGltcGwsIGVudHJ5KTtcbiAgICAgICAgaWYgKCFyZXN1bHQubmFtZSAmJiByZXN1bHQucmVqZWN0ZWQpIHtcbiAgICAgICAgICAgIHRoaXMucmVwb3J0RXJyb3IocmVzdWx0LnJlamVjdGVkLCBjdXJyZW50U3RhdGUsIHRoaXMudHJhbnNpdGlvbk9mKHJlc3VsdC5yZWplY3RlZCkudG8pO1xuICAgICAgICAgICAgcmV0dXJuIHRoaXMuX2FzeW5jTW9kZSA/IFByb21pc2UucmVzb2x2ZShjdXJyZW50U3RhdGUpIDogdGhpcztcbiAgICAgICAgfVxuICAgICAgICBpZiAoIXJlc3VsdC5uYW1lKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1RyYW5zaXRpb24gY2Fubm90IGJlICcgKyAoa2luZCA9PT0gJ3VuZG8nID8gJ3VuZG9uZScgOiAncmVkb25lJykgKyAnOiAnICsgZW50cnkudHJhbnNpdGlvbik7XG4gICAgICAgIH1cblxuICAgICAgICB0aGlzLl9yZXBsYXlzW3JlZ2lvbl0gPSB7IGtpbmQ6IGtpbmQsIGVudHJ5OiBlbnRyeSB9O1xuICAgICAgICBpZiAoIXRoaXMuX2FzeW5jTW9kZSkge1xuICAgICAgICAgICAgdHJ5IHtcbiAgICAgICAgICAgICAgICByZXR1cm4gdGhpcy5maXJlVHJhbnNpdGlvbihyZWdpb24sIHJlc3VsdC5uYW1lLCBlbnRyeS5wYXlsb2FkKTtcbiAgICAgICAgICAgIH0gZmluYWxseSB7XG4gICAgICAgICAgICAgICAgZGVsZXRlIHRoaXMuX3JlcGxheXNbcmVnaW9uXTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gKDxQcm9taXNlPFRTdGF0ZT4+dGhpcy5maXJlVHJhbnNpdGlvbihyZWdpb24sIHJlc3VsdC5uYW1lLCBlbnRyeS5wYXlsb2FkKSkudGhlbigoc3RhdGUpID0+IHtcbiAgICAgICAgICAgIGRlbGV0ZSB0aGlzLl9yZXBsYXlzW3JlZ2lvbl07XG4gICAgICAgICAgICByZXR1cm4gc3RhdGU7XG4gICAgICAgIH0sIChlcnJvcikgPT4ge1xuICAgICAgICAgICAgZGVsZXRlIHRoaXMuX3JlcGxheXNbcmVnaW9uXTtcbiAgICAgICAgICAgIHRocm93IGVycm9yO1xuICAgICAgICB9KTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBVbmRvZXMgdGhlIGxhc3QgdHJhbnNpdGlvbiBpbiB0aGUgaGlzdG9yeSwgYnkgdGFraW5nIHRoZSB0cmFuc2l0aW9uXG4gICAgICogZnJvbSBpdHMgdGFyZ2V0IHN0YXRlIGJhY2sgdG8gaXRzIHNvdXJjZSBzdGF0ZSwgb3IgdG8gaXRzXG4gICAgICogY29tcGVuc2F0aW9uIHN0YXRlIGlmIGRlY2xhcmVkLiBUaGUgdHJhbnNpdGlvbiBpcyBnaXZlbiB0aGUgc2FtZVxuICAgICAqIHBheWxvYWQsIGFuZCBpdCBpcyBzdWJqZWN0IHRvIGl0cyBndWFyZCBsaWtlIGFueSBvdGhlci5cbiAgICAgKiBJbiB0aGUgYXN5bmNocm9ub3VzIG1vZGUsIGl0IHJldHVybnMgYSBwcm9taXNlIHdoaWNoIGlzIHJlc29sdmVkXG4gICAgICogdG8gdGhlIHJlc3VsdGluZyBzdGF0ZSBvbmNlIHRoZSB0cmFuc2l0aW9uIHNldHRsZXMuXG4gICAgICovXG4gICAgdW5kbygpOiBUcmFuc2l0aW9uUmVzdWx0VHlwZTxUQXN5bmMsIHRoaXMsIFRTdGF0ZT47XG4gICAgdW5kbygpOiB0aGlzIHwgUHJvbWlzZTxUU3RhdGU+IHtcbiAgICAgICAgdGhpcy5lbnN1cmVSdW5uaW5nU3RhZ2UoKTtcbiAgICAgICAgaWYgKCF0aGlzLl9oaXN0b3J5Lmxlbmd0aCkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdOb3RoaW5nIHRvIHVuZG8uJyk7XG4gICAgICAgIH1cbiAgICAgICAgcmV0dXJuIHRoaXMucmVwbGF5KCd1bmRvJywgdGhpcy5faGlzdG9yeVt0aGlzLl9oaXN0b3J5Lmxlbmd0aCAtIDFdKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZWRvZXMgdGhlIGxhc3QgdW5kb25lIHRyYW5zaXRpb24sIHdpdGggdGhlIHNhbWUgcGF5bG9hZC5cbiAgICAgKiBJbiB0aGUgYXN5bmNocm9ub3VzIG1vZGUsIGl0IHJldHVybnMgYSBwcm9taXNlIHdoaWNoIGlzIHJlc29sdmVkXG4gICAgICogdG8gdGhlIHJlc3VsdGluZyBzdGF0ZSBvbmNlIHRoZSB0cmFuc2l0aW9uIHNldHRsZXMuXG4gICAgICovXG4gICAgcmVkbygpOiBUcmFuc2l0aW9uUmVzdWx0VHlwZTxUQXN5bmMsIHRoaXMsIFRTdGF0ZT47XG4gICAgcmVkbygpOiB0aGlzIHwgUHJvbWlzZTxUU3RhdGU+IHtcbiAgICAgICAgdGhpcy5lbnN1cmVSdW5uaW5nU3RhZ2UoKTtcbiAgICAgICAgaWYgKCF0aGlzLl91bmRvbmUubGVuZ3RoKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ05vdGhpbmcgdG8gcmVkby4nKTtcbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gdGhpcy5yZXBsYXkoJ3JlZG8nLCB0aGlzLl91bmRvbmVbdGhpcy5fdW5kb25lLmxlbmd0aCAtIDFdKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBDaGVja3MgaWYgdGhlIGxhc3QgdHJhbnNpdGlvbiBpbiB0aGUgaGlzdG9yeSBtYXkgYmUgdW5kb25lLlxuICAgICAqL1xuICAgIGNhblVuZG8oKSB7XG4gICAgICAgIHRoaXMuZW5zdXJlUnVubmluZ1N0YWdlKCk7XG4gICAgICAgIGNvbnN0IGVudHJ5ID0gdGhpcy5faGlzdG9yeVt0aGlzLl9oaXN0b3J5Lmxlbmd0aCAtIDFdO1xuICAgICAgICByZXR1cm4gISFlbnRyeSAmJiAhdGhpcy5fcGVuZGluZ1JlZ2lvbnNbZW50cnkucmVnaW9uXSAmJlxuICAgICAgICAgICAgISF0aGlzLnNlZWtVbmRvVHJhbnNpdGlvbih0aGlzLmltcGxPZihlbnRyeS5yZWdpb24pLCBlbnRyeSkubmFtZTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBDaGVja3MgaWYgdGhlIGxhc3QgdW5kb25lIHRyYW5zaXRpb24gbWF5IGJlIHJlZG9uZS5cbiAgICAgKi9cbiAgICBjYW5SZWRvKCkge1xuICAgICAgICB0aGlzLmVuc3VyZVJ1bm5pbmdTdGFnZSgpO1xuICAgICAgICBjb25zdCBlbnRyeSA9IHRoaXMuX3VuZG9uZVt0aGlzLl91bmRvbmUubGVuZ3RoIC0gMV07XG4gICAgICAgIHJldHVybiAhIWVudHJ5ICYmICF0aGlzLl9wZW5kaW5nUmVnaW9uc1tlbnRyeS5yZWdpb25dICYmXG4gICAgICAgICAgICAhIXRoaXMuc2Vla1JlZG9UcmFuc2l0aW9uKHRoaXMuaW1wbE9mKGVudHJ5LnJlZ2lvbiksIGVudHJ5KS5uYW1lO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJldHVybnMgdGhlIHN0YXR1cyBvZiB0aGUgRlNNLCB3aGljaCBpcyBvbmUgb2ZcbiAgICAgKiAnY29uZmlndXJpbmcnLCAnaWRsZScgYW5kICd0cmFuc2l0aW9uaW5nJy5cbiAgICAgKi9cbiAgICBzdGF0dXMoKSB7XG4gICAgICAgIGlmICghdGhpcy5faW1wbHMpIHtcbiAgICAgICAgICAgIHJldHVybiAnY29uZmlndXJpbmcnO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiBfLmlzRW1wdHkodGhpcy5fcGVuZGluZ1JlZ2lvbnMpID8gJ2lkbGUnIDogJ3RyYW5zaXRpb25pbmcnO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIENhcHR1cmVzIHRoZSBydW5uaW5nIHN0YXR1cyBvZiB0aGUgRlNNLCBpLmUuLCB0aGUgY3VycmVudCBzdGF0ZXMsXG4gICAgICogdGhlIGNvbnRleHQgZGF0YSBhbmQgdGhlIGhpc3RvcnksIGluIHBsYWluIEpTT04gZGF0YS5cbiAgICAgKiBOb3RlIHRoYXQgdGhlIGNvbnRleHQgZGF0YSBhbmQgdGhlIHBheWxvYWRzIG9mIHRoZSB0cmFuc2l0aW9uc1xuICAgICAqIGluIHRoZSBoaXN0b3J5IGFyZSBleHBlY3RlZCB0byBiZSBzZXJpYWxpemFibGUuXG4gICAgICovXG4gICAgc25hcHNob3QoKTogSVNuYXBzaG90PFRTdGF0ZSwgVENvbnRleHQ+IHtcbiAgICAgICAgdGhpcy5lbnN1cmVSdW5uaW5nU3RhZ2UoKTtcbiAgICAgICAgaWYgKCFfLmlzRW1wdHkodGhpcy5fcGVuZGluZ1JlZ2lvbnMpKSB7XG4gICAgICAgICAgICB0aHJvdyBuZXcgRXJyb3IoJ1RyYW5zaXRpb24gaXMgaW4gcHJvZ3Jlc3M6ICcgKyBfLmtleXModGhpcy5fcGVuZGluZ1JlZ2lvbnMpLmpvaW4oJywgJykpO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiBKU09OLnBhcnNlKEpTT04uc3RyaW5naWZ5KHtcbiAgICAgICAgICAgIHZlcnNpb246IHNuYXBzaG90VmVyc2lvbixcbiAgICAgICAgICAgIHN0YXRlOiB0aGlzLmNvbmZpZ3VyYXRpb24oKSxcbiAgICAgICAgICAgIGNvbnRleHQ6IHRoaXMuX2NvbnRleHQsXG4gICAgICAgICAgICBoaXN0b3J5OiB0aGlzLl9oaXN0b3J5LFxuICAgICAgICAgICAgdW5kb25lOiB0aGlzLl91bmRvbmUsXG4gICAgICAgICAgICBsYXN0QWN0aXZlOiB0aGlzLl9sYXN0QWN0aXZlXG4gICAgICAgIH0pKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZXR1cm5zIHRoZSBjdXJyZW50IGNvbnRleHQgZGF0YS5cbiAgICAgKi9cbiAgICBnZXRDb250ZXh0KCk6IFRDb250ZXh0IHtcbiAgICAgICAgcmV0dXJuIHRoaXMuX2NvbnRleHQ7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogUHJvdmlkZXMgdGhlIGVycm9yIGhhbmRsZXIgZm9yIHRoZSBGU00uXG4gICAgICovXG4gICAgYWRkRXJyb3JIYW5kbGVyKGZuOiBFcnJvckhhbmRsZXJUeXBlKSB7XG4gICAgICAgIHRoaXMuZW5zdXJlQ29uZmlndXJlU3RhZ2UoKTtcblxuICAgICAgICB0aGlzLl9lcnJvckhhbmRsZXIgPSBmbjtcblxuICAgICAgICByZXR1cm4gdGhpcztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZXR1cm5zIHRoZSBjdXJyZW50IHN0YXRlIG9mIHRoZSBnaXZlbiByZWdpb24sXG4gICAgICogb3Igb2YgdGhlIGRlZmF1bHQgcmVnaW9uIGlmIG5vIHJlZ2lvbiBpcyBnaXZlbi5cbiAgICAgKiBJbiBjYXNlIG9mIG5lc3RlZCBzdGF0ZXMsIGl0IGlzIHRoZSBpbm5lcm1vc3QgYWN0aXZlIHN0YXRlLlxuICAgICAqL1xuICAgIGN1cnJlbnQocmVnaW9uPzogc3RyaW5nKSB7XG4gICAgICAgIHRoaXMuZW5zdXJlUnVubmluZ1N0YWdlKCk7XG4gICAgICAgIHJldHVybiA8VFN0YXRlPnRoaXMuaW1wbE9mKHJlZ2lvbikuc3RhdGU7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogUmV0dXJucyB0aGUgZnVsbCBhY3RpdmUgcGF0aCBvZiB0aGUgZ2l2ZW4gcmVnaW9uLCBpLmUuLCB0aGUgY3VycmVudCBzdGF0ZVxuICAgICAqIGFuZCBhbGwgb2YgaXRzIGVuY2xvc2luZyBzdGF0ZXMsIHN0YXJ0aW5nIGZyb20gdGhlIG91dGVybW9zdCBvbmUuXG4gICAgICovXG4gICAgY3VycmVudFBhdGgocmVnaW9uPzogc3RyaW5nKSB7XG4gICAgICAgIHRoaXMuZW5zdXJlUnVubmluZ1N0YWdlKCk7XG4gICAgICAgIHJldHVybiA8QXJyYXk8VFN0YXRlPj50aGlzLnBhdGhPZih0aGlzLmltcGxPZihyZWdpb24pLnN0YXRlKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZXR1cm5zIHRoZSBhY3RpdmUgY29uZmlndXJhdGlvbiwgaS5lLixcbiAgICAgKiB0aGUgY3VycmVudCBzdGF0ZSBvZiBldmVyeSByZWdpb24uXG4gICAgICovXG4gICAgY29uZmlndXJhdGlvbigpIHtcbiAgICAgICAgdGhpcy5lbnN1cmVSdW5uaW5nU3RhZ2UoKTtcbiAgICAgICAgY29uc3QgcmVzdWx0OiB7IFtrZXk6IHN0cmluZ106IFRTdGF0ZSB9ID0ge307XG4gICAgICAgIGZvciAoY29uc3QgayBpbiB0aGlzLl9pbXBscykge1xuICAgICAgICAgICAgaWYgKHRoaXMuX2ltcGxzLmhhc093blByb3BlcnR5KGspKSB7XG4gICAgICAgICAgICAgICAgcmVzdWx0W2tdID0gPFRTdGF0ZT50aGlzLl9pbXBsc1trXS5zdGF0ZTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gcmVzdWx0O1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIENoZWNrcyBpZiB0aGUgZ2l2ZW4gc3RhdGUgaXMgYWN0aXZlLCBpLmUuLCBpdCBpcyB0aGUgY3VycmVudCBzdGF0ZVxuICAgICAqIG9mIGEgcmVnaW9uLCBvciBpdCBlbmNsb3NlcyB0aGUgY3VycmVudCBzdGF0ZSBvZiBhIHJlZ2lvbi5cbiAgICAgKi9cbiAgICBpc0FjdGl2ZShuYW1lOiBUU3RhdGUpIHtcbiAgICAgICAgcmV0dXJuIGluZGV4T2YodGhpcy5hY3RpdmVTdGF0ZXMoKSwgbmFtZSkgPj0gMDtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBFeHBvcnRzIHRoZSBjb25maWd1cmF0aW9uIG9mIHRoZSBGU00gYXMgYSBkZWNsYXJhdGl2ZSBkZWZpbml0aW9uLlxuICAgICAqIFRoZSBjYWxsYmFja3MgYW5kIHRoZSBndWFyZHMgYXJlIG5hbWVkIGJ5IGxvb2tpbmcgdGhlbSB1cCBpblxuICAgICAqIHRoZSBnaXZlbiBtYXAgb2YgaW1wbGVtZW50YXRpb25zLCB3aGljaCBkZWZhdWx0cyB0byB0aGUgb25lXG4gICAgICogdGhlIEZTTSBpcyBidWlsdCBmcm9tLiBUaGUgY29udGV4dCBkYXRhIGlzIGV4cG9ydGVkIGFzIGl0IGlzIG5vdy5cbiAgICAgKiBJZiBhbnkgb2YgdGhlbSBjYW5ub3QgYmUgbmFtZWQsIGEgRGVmaW5pdGlvbkVycm9yIGlzIHRocm93bi5cbiAgICAgKi9cbiAgICB0b0RlZmluaXRpb24oaW1wbGVtZW50YXRpb25zPzogeyBba2V5OiBzdHJpbmddOiBhbnkgfSk6IElNYWNoaW5lRGVmaW5pdGlvbiB7XG4gICAgICAgIGNvbnN0IGVycm9yczogQXJyYXk8SURlZmluaXRpb25Qcm9ibGVtPiA9IFtdO1xuICAgICAgICBjb25zdCBkZWZpbml0aW9uID0gdGhpcy5kZXNjcmliZShpbXBsZW1lbnRhdGlvbnMgfHwgdGhpcy5faW1wbGVtZW50YXRpb25zIHx8IHt9LCBlcnJvcnMpO1xuICAgICAgICBpZiAoZXJyb3JzLmxlbmd0aCkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IERlZmluaXRpb25FcnJvcihlcnJvcnMpO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiBkZWZpbml0aW9uO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIEJ1aWxkcyB0aGUgZGVmaW5pdGlvbiBvZiB0aGUgRlNNLCBhbmQgY29sbGVjdHMgdGhlIHByb2JsZW1zXG4gICAgICogZm91bmQgaW5zdGVhZCBvZiB0aHJvd2luZy4gQSBjYWxsYmFjayB3aGljaCBjYW5ub3QgYmUgbmFtZWQgaXNcbiAgICAgKiBnaXZlbiBhIHBsYWNlaG9sZGVyIG5hbWUuXG4gICAgICovXG4gICAgcHJpdmF0ZSBkZXNjcmliZShpbXBsZW1lbnRhdGlvbnM6IHsgW2tleTogc3RyaW5nXTogYW55IH0sIGVycm9yczogQXJyYXk8SURlZmluaXRpb25Qcm9ibGVtPik6IElNYWNoaW5lRGVmaW5pdGlvbiB7XG4gICAgICAgIGNvbnN0IG5hbWVPZiA9IChmbjogYW55LCBwYXRoOiBzdHJpbmcpOiBzdHJpbmcgPT4ge1xuICAgICAgICAgICAgaWYgKCFmbikge1xuICAgICAgICAgICAgICAgIHJldHVybiB1bmRlZmluZWQ7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICBjb25zdCBuYW1lID0gXy5maW5kS2V5KGltcGxlbWVudGF0aW9ucywgKHYpID0+IHYgPT09IGZuKTtcbiAgICAgICAgICAgIGlmICghbmFtZSkge1xuICAgICAgICAgICAgICAgIGVycm9ycy5wdXNoKHsgcGF0aDogcGF0aCwgbWVzc2FnZTogJ1VubmFtZWQgaW1wbGVtZW50YXRpb24nIH0pO1xuICAgICAgICAgICAgICAgIHJldHVybiBmbi5uYW1lIHx8ICdhbm9ueW1vdXMnO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgcmV0dXJuIG5hbWU7XG4gICAgICAgIH07XG4gICAgICAgIC8vIERyb3BzIHRoZSBvcHRpb25zIHdoaWNoIGFyZSBub3QgZGVmaW5lZC5cbiAgICAgICAgY29uc3QgY29tcGFjdCA9IChvYmo6IGFueSkgPT4gXy5vbWl0KG9iaiwgXy5pc1VuZGVmaW5lZCk7XG5cbiAgICAgICAgY29uc3QgcmVnaW9uQ29uZiA9IHRoaXMuX3JlZ2lvbkNvbmZpZ3VyYXRpb247XG4gICAgICAgIGNvbnN0IHJlZ2lvbnM6IEFycmF5PGFueT4gPSBbXTtcbiAgICAgICAgZm9yIChjb25zdCBrMCBpbiByZWdpb25Db25mKSB7XG4gICAgICAgICAgICBpZiAocmVnaW9uQ29uZi5oYXNPd25Qcm9wZXJ0eShrMCkpIHtcbiAgICAgICAgICAgICAgICByZWdpb25zLnB1c2goeyBuYW1lOiBrMCwgaW5pdGlhbDogcmVnaW9uQ29uZltrMF0uaW5pdFN0YXRlIH0pO1xuICAgICAgICAgICAgfVxuICAgICAgICB9XG5cbiAgICAgICAgY29uc3Qgc3RhdGVDb25mID0gdGhpcy5fc3RhdGVDb25maWd1cmF0aW9uO1xuICAgICAgICBjb25zdCBzdGF0ZXM6IEFycmF5PGFueT4gPSBbXTtcbiAgICAgICAgZm9yIChjb25zdCBrMSBpbiBzdGF0ZUNvbmYpIHtcbiAgICAgICAgICAgIGlmIChzdGF0ZUNvbmYuaGFzT3duUHJvcGVydHkoazEpKSB7XG4gICAgICAgICAgICAgICAgY29uc3QgZWxlbTEgPSBzdGF0ZUNvbmZbazFdO1xuICAgICAgICAgICAgICAgIGNvbnN0IHBhdGgxID0gJy9zdGF0ZXMvJyArIHN0YXRlcy5sZW5ndGg7XG4gICAgICAgICAgICAgICAgc3RhdGVzLnB1c2goY29tcGFjdCh7XG4gICAgICAgICAgICAgICAgICAgIG5hbWU6IGsxLFxuICAgICAgICAgICAgICAgICAgICBwYXJlbnQ6IGVsZW0xLnBhcmVudCxcbiAgICAgICAgICAgICAgICAgICAgaW5pdGlhbDogZWxlbTEuaW5pdGlhbCxcbiAgICAgICAgICAgICAgICAgICAgLy8gQSBjaGlsZCBzdGF0ZSBpcyBhbHdheXMgaW4gdGhlIHJlZ2lvbiBvZiBpdHMgcGFyZW50LlxuICAgICAgICAgICAgICAgICAgICByZWdpb246IGVsZW0xLnBhcmVudCB8fCBlbGVtMS5yZWdpb24gPT09IGRlZmF1bHRSZWdpb24gPyB1bmRlZmluZWQgOiBlbGVtMS5yZWdpb24sXG4gICAgICAgICAgICAgICAgICAgIGZpbmFsOiBlbGVtMS5maW5hbCB8fCB1bmRlZmluZWQsXG4gICAgICAgICAgICAgICAgICAgIG9uRW50ZXI6IG5hbWVPZihlbGVtMS5vbkVudGVyQ2FsbGJhY2ssIHBhdGgxICsgJy9vbkVudGVyJyksXG4gICAgICAgICAgICAgICAgICAgIG9uTGVhdmU6IG5hbWVPZihlbGVtMS5vbkxlYXZlQ2FsbGJhY2ssIHBhdGgxICsgJy9vbkxlYXZlJylcbiAgICAgICAgICAgICAgICB9KSk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cblxuICAgICAgICBjb25zdCBoaXN0b3J5Q29uZiA9IHRoaXMuX2hpc3RvcnlDb25maWd1cmF0aW9uO1xuICAgICAgICBjb25zdCBoaXN0b3J5U3RhdGVzOiBBcnJheTxhbnk+ID0gW107XG4gICAgICAgIGZvciAoY29uc3QgazMgaW4gaGlzdG9yeUNvbmYpIHtcbiAgICAgICAgICAgIGlmIChoaXN0b3J5Q29uZi5oYXNPd25Qcm9wZXJ0eShrMykpIHtcbiAgICAgICAgICAgICAgICBoaXN0b3J5U3RhdGVzLnB1c2goY29tcGFjdCh7XG4gICAgICAgICAgICAgICAgICAgIG5hbWU6IGszLFxuICAgICAgICAgICAgICAgICAgICBwYXJlbnQ6IGhpc3RvcnlDb25mW2szXS5wYXJlbnQsXG4gICAgICAgICAgICAgICAgICAgIGRlZXA6IGhpc3RvcnlDb25mW2szXS5kZWVwIHx8IHVuZGVmaW5lZCxcbiAgICAgICAgICAgICAgICAgICAgZGVmYXVsdFRhcmdldDogaGlzdG9yeUNvbmZbazNdLmRlZmF1bHRUYXJnZXRcbiAgICAgICAgICAgICAgICB9KSk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cblxuICAgICAgICBjb25zdCB0cmFuc2l0aW9uQ29uZiA9IHRoaXMuX3RyYW5zaXRpb25Db25maWd1cmF0aW9uO1xuICAgICAgICBjb25zdCB0cmFuc2l0aW9uczogQXJyYXk8YW55PiA9IFtdO1xuICAgICAgICBmb3IgKGNvbnN0IGsyIGluIHRyYW5zaXRpb25Db25mKSB7XG4gICAgICAgICAgICBpZiAodHJhbnNpdGlvbkNvbmYuaGFzT3duUHJvcGVydHkoazIpKSB7XG4gICAgICAgICAgICAgICAgY29uc3QgZWxlbTIgPSB0cmFuc2l0aW9uQ29uZltrMl07XG4gICAgICAgICAgICAgICAgY29uc3QgcGF0aDIgPSAnL3RyYW5zaXRpb25zLycgKyB0cmFuc2l0aW9ucy5sZW5ndGg7XG4gICAgICAgICAgICAgICAgbGV0IGFzc2lnbjogYW55ID0gZWxlbTIuYXNzaWduO1xuICAgICAgICAgICAgICAgIGlmICh0eXBlb2YgYXNzaWduID09PSAnZnVuY3Rpb24nKSB7XG4gICAgICAgICAgICAgICAgICAgIGFzc2lnbiA9IG5hbWVPZihhc3NpZ24sIHBhdGgyICsgJy9hc3NpZ24nKTtcbiAgICAgICAgICAgICAgICB9IGVsc2UgaWYgKGFzc2lnbiAmJiBfLnNvbWUoYXNzaWduLCAodikgPT4gdHlwZW9mIHYgPT09ICdmdW5jdGlvbicpKSB7XG4gICAgICAgICAgICAgICAgICAgIGVycm9ycy5wdXNoKHsgcGF0aDogcGF0aDIgKyAnL2Fzc2lnbicsIG1lc3NhZ2U6ICdVbm5hbWVkIGltcGxlbWVudGF0aW9uJyB9KTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICAgICAgdHJhbnNpdGlvbnMucHVzaChjb21wYWN0KHtcbiAgICAgICAgICAgICAgICAgICAgZnJvbTogZWxlbTIuZnJvbSxcbiAgICAgICAgICAgICAgICAgICAgdG86IGVsZW0yLnRvLFxuICAgICAgICAgICAgICAgICAgICBldmVudDogZWxlbTIuZXZlbnQsXG4gICAgICAgICAgICAgICAgICAgIGd1YXJkOiBuYW1lT2YoZWxlbTIuZ3VhcmQsIHBhdGgyICsgJy9ndWFyZCcpLFxuICAgICAgICAgICAgICAgICAgICBvbkJlZm9yZTogbmFtZU9mKGVsZW0yLm9uQmVmb3JlQ2FsbGJhY2ssIHBhdGgyICsgJy9vbkJlZm9yZScpLFxuICAgICAgICAgICAgICAgICAgICBvbkFmdGVyOiBuYW1lT2YoZWxlbTIub25BZnRlckNhbGxiYWNrLCBwYXRoMiArICcvb25BZnRlcicpLFxuICAgICAgICAgICAgICAgICAgICBhc3NpZ246IGFzc2lnbixcbiAgICAgICAgICAgICAgICAgICAgZGVsYXk6IGVsZW0yLmRlbGF5LFxuICAgICAgICAgICAgICAgICAgICBjb21wZW5zYXRpb246IGVsZW0yLmNvbXBlbnNhdGlvbixcbiAgICAgICAgICAgICAgICAgICAgaW50ZXJuYWw6IGVsZW0yLmludGVybmFsXG4gICAgICAgICAgICAgICAgfSkpO1xuICAgICAgICAgICAgfVxuICAgICAgICB9XG5cbiAgICAgICAgcmV0dXJuIGNvbXBhY3Qoe1xuICAgICAgICAgICAgdmVyc2lvbjogZGVmaW5pdGlvblZlcnNpb24sXG4gICAgICAgICAgICBpbml0aWFsOiB0aGlzLl9pbml0U3RhdGUgfHwgdW5kZWZpbmVkLFxuICAgICAgICAgICAgYXN5bmNNb2RlOiB0aGlzLl9hc3luY01vZGUgfHwgdW5kZWZpbmVkLFxuICAgICAgICAgICAgc2FtZVN0YXRlUG9saWN5OiB0aGlzLl9zYW1lU3RhdGVQb2xpY3kgIT09ICdpZ25vcmUnID8gdGhpcy5fc2FtZVN0YXRlUG9saWN5IDogdW5kZWZpbmVkLFxuICAgICAgICAgICAgY29udGV4dDogdGhpcy5fY29udGV4dCxcbiAgICAgICAgICAgIHJlZ2lvbnM6IHJlZ2lvbnMubGVuZ3RoID8gcmVnaW9ucyA6IHVuZGVmaW5lZCxcbiAgICAgICAgICAgIHN0YXRlczogc3RhdGVzLFxuICAgICAgICAgICAgaGlzdG9yeVN0YXRlczogaGlzdG9yeVN0YXRlcy5sZW5ndGggPyBoaXN0b3J5U3RhdGVzIDogdW5kZWZpbmVkLFxuICAgICAgICAgICAgdHJhbnNpdGlvbnM6IHRyYW5zaXRpb25zXG4gICAgICAgIH0pO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIEV4cG9ydHMgdGhlIGNvbmZpZ3VyYXRpb24gb2YgdGhlIEZTTSBhcyBhIFNDWE1MIGRvY3VtZW50LlxuICAgICAqIFRoZSBjYWxsYmFja3MgYW5kIHRoZSBndWFyZHMgYXJlIG5hbWVkIGluIHRoZSBzYW1lIHdheVxuICAgICAqIGFzIHRvRGVmaW5pdGlvbiBkb2VzLlxuICAgICAqL1xuICAgIHRvU2N4bWwoaW1wbGVtZW50YXRpb25zPzogeyBba2V5OiBzdHJpbmddOiBhbnkgfSkge1xuICAgICAgICByZXR1cm4gc2VyaWFsaXplU2N4bWwodGhpcy50b0RlZmluaXRpb24oaW1wbGVtZW50YXRpb25zKSk7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogQ2hlY2tzIHRoZSBjb25maWd1cmF0aW9uIG9mIHRoZSBGU00sIGFuZCByZXBvcnRzIHRoZSBzdGF0ZXNcbiAgICAgKiB3aGljaCBhcmUgdW5yZWFjaGFibGUgZnJvbSB0aGUgaW5pdCBzdGF0ZXMsIHRoZSBkZWFkIGVuZHMgd2hpY2ggYXJlXG4gICAgICogbm90IGZpbmFsLCB0aGUgc3RhdGVzIHdpdGhvdXQgaW5jb21pbmcgdHJhbnNpdGlvbnMsIHRoZSBzdHJvbmdseVxuICAgICAqIGNvbm5lY3RlZCBjb21wb25lbnRzLCBhbmQgdGhlIHN0YXRlcyB3aGljaCBjYW5ub3QgcmVhY2ggYSBmaW5hbCBzdGF0ZS5cbiAgICAgKiBOb3RlIHRoYXQgZ3VhcmQgY29uZGl0aW9ucyBhcmUgbm90IHRha2VuIGludG8gYWNjb3VudC5cbiAgICAgKi9cbiAgICBhbmFseXplKCk6IElBbmFseXNpc1JlcG9ydCB7XG4gICAgICAgIHJldHVybiBhbmFseXplRGVmaW5pdGlvbih0aGlzLmRlc2NyaWJlKHRoaXMuX2ltcGxlbWVudGF0aW9ucyB8fCB7fSwgW10pKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBDaGVja3MgYSB0ZW1wb3JhbCBwcm9wZXJ0eSwgZS5nLiwgJ0FHIChlZGl0aW5nIC0+IEVGIHNhdmVkKScsXG4gICAgICogYWdhaW5zdCB0aGUgdHJhbnNpdGlvbnMgb2YgdGhlIEZTTSBmcm9tIHRoZSBpbml0IHN0YXRlIG9mIHRoZSBnaXZlblxuICAgICAqIHJlZ2lvbiwgYW5kIGdpdmVzIGEgY291bnRlcmV4YW1wbGUgcGF0aCBpZiB0aGUgcHJvcGVydHkgZG9lcyBub3QgaG9sZC5cbiAgICAgKiBTZWUgdGVtcG9yYWwtbG9naWMgZm9yIHRoZSBwcm9wZXJ0eSBsYW5ndWFnZS5cbiAgICAgKi9cbiAgICBjaGVjayhwcm9wZXJ0eTogc3RyaW5nLCByZWdpb24/OiBzdHJpbmcpOiBJUHJvcGVydHlSZXN1bHQge1xuICAgICAgICByZXR1cm4gY2hlY2tQcm9wZXJ0eSh0aGlzLmRlc2NyaWJlKHRoaXMuX2ltcGxlbWVudGF0aW9ucyB8fCB7fSwgW10pLCBwcm9wZXJ0eSwgcmVnaW9uKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZW5kZXJzIHRoZSBjb25maWd1cmF0aW9uIG9mIHRoZSBGU00gYXMgYSBHcmFwaHZpeiBET1QgZ3JhcGguXG4gICAgICogSWYgcmVxdWlyZWQsIHRoZSBzdGF0ZXMgaW4gd2hpY2ggYSBydW5uaW5nIEZTTSBjdXJyZW50bHkgaXNcbiAgICAgKiBhcmUgaGlnaGxpZ2h0ZWQuXG4gICAgICovXG4gICAgdG9Eb3QoaGlnaGxpZ2h0Q3VycmVudD86IGJvb2xlYW4pIHtcbiAgICAgICAgcmV0dXJuIHJlbmRlckRvdCh0aGlzLmRlc2NyaWJlKHRoaXMuX2ltcGxlbWVudGF0aW9ucyB8fCB7fSwgW10pLCB7XG4gICAgICAgICAgICBhY3RpdmU6IGhpZ2hsaWdodEN1cnJlbnQgPyB0aGlzLmFjdGl2ZVN0YXRlcygpIDogW11cbiAgICAgICAgfSk7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogUmVuZGVycyB0aGUgY29uZmlndXJhdGlvbiBvZiB0aGUgRlNNIGFzIGEgTWVybWFpZCBzdGF0ZSBkaWFncmFtLlxuICAgICAqIElmIHJlcXVpcmVkLCB0aGUgc3RhdGVzIGluIHdoaWNoIGEgcnVubmluZyBGU00gY3VycmVudGx5IGlzXG4gICAgICogYXJlIGhpZ2hsaWdodGVkLlxuICAgICAqL1xuICAgIHRvTWVybWFpZChoaWdobGlnaHRDdXJyZW50PzogYm9vbGVhbikge1xuICAgICAgICByZXR1cm4gcmVuZGVyTWVybWFpZCh0aGlzLmRlc2NyaWJlKHRoaXMuX2ltcGxlbWVudGF0aW9ucyB8fCB7fSwgW10pLCB7XG4gICAgICAgICAgICBhY3RpdmU6IGhpZ2hsaWdodEN1cnJlbnQgPyB0aGlzLmFjdGl2ZVN0YXRlcygpIDogW11cbiAgICAgICAgfSk7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogUmV0dXJucyB0aGUgYWN0aXZlIHN0YXRlcyBvZiBhbGwgcmVnaW9ucyxcbiAgICAgKiBpbmNsdWRpbmcgdGhlIGVuY2xvc2luZyBjb21wb3VuZCBzdGF0ZXMuXG4gICAgICovXG4gICAgcHJpdmF0ZSBhY3RpdmVTdGF0ZXMoKSB7XG4gICAgICAgIHRoaXMuZW5zdXJlUnVubmluZ1N0YWdlKCk7XG4gICAgICAgIGxldCByZXN1bHQ6IEFycmF5PHN0cmluZz4gPSBbXTtcbiAgICAgICAgZm9yIChjb25zdCBrIGluIHRoaXMuX2ltcGxzKSB7XG4gICAgICAgICAgICBpZiAodGhpcy5faW1wbHMuaGFzT3duUHJvcGVydHkoaykpIHtcbiAgICAgICAgICAgICAgICByZXN1bHQgPSByZXN1bHQuY29uY2F0KHRoaXMucGF0aE9mKHRoaXMuX2ltcGxzW2tdLnN0YXRlKSk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgICAgcmV0dXJuIHJlc3VsdDtcbiAgICB9XG59XG4iXX0=
\ No newline at end of file
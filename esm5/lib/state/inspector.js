@@ -0,0 +1,662 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/** @type {?} */
+var defaultMaxRecords = 500;
+/**
+ * Describes a message sent by the DevTools extension.
+ * @record
+ */
+export function IDevToolsMessage() { }
+if (false) {
+    /** @type {?} */
+    IDevToolsMessage.prototype.type;
+    /** @type {?|undefined} */
+    IDevToolsMessage.prototype.payload;
+    /** @type {?|undefined} */
+    IDevToolsMessage.prototype.state;
+}
+/**
+ * Describes a connection to the DevTools extension,
+ * as returned by its connect method.
+ * @record
+ */
+export function IDevToolsConnection() { }
+if (false) {
+    /**
+     * @param {?} state
+     * @return {?}
+     */
+    IDevToolsConnection.prototype.init = function (state) { };
+    /**
+     * @param {?} action
+     * @param {?} state
+     * @return {?}
+     */
+    IDevToolsConnection.prototype.send = function (action, state) { };
+    /**
+     * @param {?} listener
+     * @return {?}
+     */
+    IDevToolsConnection.prototype.subscribe = function (listener) { };
+    /**
+     * @return {?}
+     */
+    IDevToolsConnection.prototype.unsubscribe = function () { };
+    /**
+     * @param {?} message
+     * @return {?}
+     */
+    IDevToolsConnection.prototype.error = function (message) { };
+}
+/**
+ * Describes the DevTools extension, i.e.,
+ * window.__REDUX_DEVTOOLS_EXTENSION__ in the browser.
+ * @record
+ */
+export function IDevToolsExtension() { }
+if (false) {
+    /**
+     * @param {?=} options
+     * @return {?}
+     */
+    IDevToolsExtension.prototype.connect = function (options) { };
+}
+/**
+ * Describes what the machine does at some point.
+ * @record
+ */
+export function IInspectorRecord() { }
+if (false) {
+    /** @type {?|undefined} */
+    IInspectorRecord.prototype.id;
+    /** @type {?} */
+    IInspectorRecord.prototype.type;
+    /** @type {?|undefined} */
+    IInspectorRecord.prototype.transition;
+    /** @type {?|undefined} */
+    IInspectorRecord.prototype.event;
+    /** @type {?|undefined} */
+    IInspectorRecord.prototype.from;
+    /** @type {?|undefined} */
+    IInspectorRecord.prototype.to;
+    /** @type {?|undefined} */
+    IInspectorRecord.prototype.payload;
+    /** @type {?|undefined} */
+    IInspectorRecord.prototype.error;
+    /** @type {?} */
+    IInspectorRecord.prototype.context;
+    /** @type {?|undefined} */
+    IInspectorRecord.prototype.previous;
+    /** @type {?|undefined} */
+    IInspectorRecord.prototype.snapshot;
+    /** @type {?} */
+    IInspectorRecord.prototype.timestamp;
+}
+/**
+ * Options for inspecting a machine.
+ * @record
+ */
+export function IInspectorOptions() { }
+if (false) {
+    /** @type {?|undefined} */
+    IInspectorOptions.prototype.name;
+    /** @type {?|undefined} */
+    IInspectorOptions.prototype.devTools;
+    /** @type {?|undefined} */
+    IInspectorOptions.prototype.maxRecords;
+}
+/**
+ * Returns the DevTools extension installed in the browser, if any.
+ * @return {?}
+ */
+function browserDevTools() {
+    /** @type {?} */
+    var root = typeof window !== 'undefined' ? window : null;
+    return (root && root['__REDUX_DEVTOOLS_EXTENSION__']) || null;
+}
+/**
+ * Represents the inspector of a started machine. Every transition, with
+ * its event and payload, every change of the context data and every error
+ * is recorded, and forwarded to the DevTools extension as an action.
+ * Jumping to a record, either from the code or from the extension,
+ * restores the machine to its running status at that point.
+ */
+var /**
+ * Represents the inspector of a started machine. Every transition, with
+ * its event and payload, every change of the context data and every error
+ * is recorded, and forwarded to the DevTools extension as an action.
+ * Jumping to a record, either from the code or from the extension,
+ * restores the machine to its running status at that point.
+ */
+MachineInspector = /** @class */ (function () {
+    function MachineInspector(machine, options) {
+        var _this = this;
+        options = options || {};
+        this._machine = machine;
+        this._records = [];
+        this._nextId = 0;
+        this._maxRecords = options.maxRecords || defaultMaxRecords;
+        this._subscriptions = [];
+        this._contextHandler = function (change) { return _this.onContextChange(change); };
+        /** @type {?} */
+        var devTools = options.devTools || browserDevTools();
+        this._connection = devTools ? devTools.connect({ name: options.name || 'FiniteStateMachine' }) : null;
+        this.append({
+            type: 'start',
+            context: machine.getContext(),
+            snapshot: machine.snapshot(),
+            timestamp: Date.now()
+        });
+        if (this._connection) {
+            this._connection.init(this.stateOf(this._records[0]));
+            this._connection.subscribe(function (message) { return _this.onMessage(message); });
+        }
+        machine.onContextChange(this._contextHandler);
+        this._subscriptions.push(machine.transitions$.subscribe(function (event) { return _this.onTransition(event); }));
+        this._subscriptions.push(machine.errors$.subscribe(function (event) { return _this.onError(event); }));
+    }
+    /**
+     * Returns the records, the start first.
+     */
+    /**
+     * Returns the records, the start first.
+     * @return {?}
+     */
+    MachineInspector.prototype.records = /**
+     * Returns the records, the start first.
+     * @return {?}
+     */
+    function () {
+        return this._records.slice();
+    };
+    /**
+     * Restores the machine to its running status at the record of
+     * the given id. A record without a snapshot is taken as the closest
+     * record before it with a snapshot. A record which has been dropped
+     * cannot be jumped to.
+     */
+    /**
+     * Restores the machine to its running status at the record of
+     * the given id. A record without a snapshot is taken as the closest
+     * record before it with a snapshot. A record which has been dropped
+     * cannot be jumped to.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} id
+     * @return {THIS}
+     */
+    MachineInspector.prototype.jumpTo = /**
+     * Restores the machine to its running status at the record of
+     * the given id. A record without a snapshot is taken as the closest
+     * record before it with a snapshot. A record which has been dropped
+     * cannot be jumped to.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} id
+     * @return {THIS}
+     */
+    function (id) {
+        /** @type {?} */
+        var records = (/** @type {?} */ (this))._records;
+        /** @type {?} */
+        var i = records.length - 1;
+        while (i >= 0 && records[i].id !== id) {
+            i--;
+        }
+        if (i < 0) {
+            throw new Error((id > 0 && id < (/** @type {?} */ (this))._nextId ? 'Dropped record: ' : 'Undefined record: ') + id);
+        }
+        while (!records[i].snapshot) {
+            if (records[i - 1].id !== records[i].id - 1) {
+                throw new Error('Dropped record: ' + (records[i].id - 1));
+            }
+            i--;
+        }
+        (/** @type {?} */ (this))._machine.restore(records[i].snapshot);
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Stops inspecting the machine.
+     */
+    /**
+     * Stops inspecting the machine.
+     * @return {?}
+     */
+    MachineInspector.prototype.detach = /**
+     * Stops inspecting the machine.
+     * @return {?}
+     */
+    function () {
+        for (var _i = 0, _a = this._subscriptions; _i < _a.length; _i++) {
+            var s = _a[_i];
+            s.unsubscribe();
+        }
+        this._subscriptions = [];
+        this._machine.offContextChange(this._contextHandler);
+        if (this._connection) {
+            this._connection.unsubscribe();
+            this._connection = null;
+        }
+    };
+    /**
+     * @private
+     * @param {?} event
+     * @return {?}
+     */
+    MachineInspector.prototype.onTransition = /**
+     * @private
+     * @param {?} event
+     * @return {?}
+     */
+    function (event) {
+        // Another region may still be in the middle of its transition
+        /** @type {?} */
+        var idle = this._machine.status() === 'idle';
+        this.append({
+            type: 'transition',
+            transition: event.transition,
+            event: event.event,
+            from: event.from,
+            to: event.to,
+            payload: event.payload,
+            context: this._machine.getContext(),
+            snapshot: idle ? this._machine.snapshot() : undefined,
+            timestamp: Date.now()
+        });
+    };
+    /**
+     * @private
+     * @param {?} change
+     * @return {?}
+     */
+    MachineInspector.prototype.onContextChange = /**
+     * @private
+     * @param {?} change
+     * @return {?}
+     */
+    function (change) {
+        // The transition is still in progress
+        this.append({
+            type: 'context',
+            transition: change.lifecycle.transition,
+            payload: change.lifecycle.payload,
+            context: change.context,
+            previous: change.previous,
+            timestamp: Date.now()
+        });
+    };
+    /**
+     * @private
+     * @param {?} event
+     * @return {?}
+     */
+    MachineInspector.prototype.onError = /**
+     * @private
+     * @param {?} event
+     * @return {?}
+     */
+    function (event) {
+        this.append({
+            type: 'error',
+            transition: event.name,
+            from: event.from,
+            to: event.to,
+            error: event.error,
+            context: this._machine.getContext(),
+            timestamp: Date.now()
+        });
+        if (this._connection) {
+            this._connection.error('Transition ' + event.name + ' from ' + event.from + ' to ' + event.to + ' fails.');
+        }
+    };
+    /**
+     * @private
+     * @param {?} record
+     * @return {?}
+     */
+    MachineInspector.prototype.append = /**
+     * @private
+     * @param {?} record
+     * @return {?}
+     */
+    function (record) {
+        record.id = this._nextId++;
+        this._records.push(record);
+        if (this._records.length > this._maxRecords) {
+            // Keep the start, which may always be jumped to
+            this._records.splice(1, 1);
+        }
+        if (this._connection && record.type !== 'start') {
+            this._connection.send(this.actionOf(record), this.stateOf(record));
+        }
+    };
+    /**
+     * @private
+     * @param {?} record
+     * @return {?}
+     */
+    MachineInspector.prototype.actionOf = /**
+     * @private
+     * @param {?} record
+     * @return {?}
+     */
+    function (record) {
+        return {
+            type: record.type === 'transition' ? (record.event || record.transition) : record.type + ': ' + record.transition,
+            transition: record.transition,
+            from: record.from,
+            to: record.to,
+            payload: record.payload
+        };
+    };
+    /**
+     * @private
+     * @param {?} record
+     * @return {?}
+     */
+    MachineInspector.prototype.stateOf = /**
+     * @private
+     * @param {?} record
+     * @return {?}
+     */
+    function (record) {
+        return {
+            state: record.snapshot ? record.snapshot.state : this._machine.configuration(),
+            context: record.context
+        };
+    };
+    /**
+     * Handles the messages from the DevTools extension. The actions are
+     * numbered from the start, which is numbered 0, as the records are,
+     * so that an action is found by the id of its record. Jumping to
+     * an action whose record has been dropped is reported back as an error.
+     */
+    /**
+     * Handles the messages from the DevTools extension. The actions are
+     * numbered from the start, which is numbered 0, as the records are,
+     * so that an action is found by the id of its record. Jumping to
+     * an action whose record has been dropped is reported back as an error.
+     * @private
+     * @param {?} message
+     * @return {?}
+     */
+    MachineInspector.prototype.onMessage = /**
+     * Handles the messages from the DevTools extension. The actions are
+     * numbered from the start, which is numbered 0, as the records are,
+     * so that an action is found by the id of its record. Jumping to
+     * an action whose record has been dropped is reported back as an error.
+     * @private
+     * @param {?} message
+     * @return {?}
+     */
+    function (message) {
+        if (message.type !== 'DISPATCH' || !message.payload) {
+            return;
+        }
+        switch (message.payload.type) {
+            case 'JUMP_TO_STATE':
+            case 'JUMP_TO_ACTION':
+                try {
+                    this.jumpTo(message.payload.actionId);
+                }
+                catch (e) {
+                    this._connection.error(e.message);
+                }
+                break;
+            case 'RESET':
+                this.jumpTo(0);
+                this.commit();
+                break;
+            case 'COMMIT':
+                this.commit();
+                break;
+        }
+    };
+    /**
+     * Takes the current status as the new start.
+     */
+    /**
+     * Takes the current status as the new start.
+     * @private
+     * @return {?}
+     */
+    MachineInspector.prototype.commit = /**
+     * Takes the current status as the new start.
+     * @private
+     * @return {?}
+     */
+    function () {
+        this._records = [];
+        this._nextId = 0;
+        this.append({
+            type: 'start',
+            context: this._machine.getContext(),
+            snapshot: this._machine.snapshot(),
+            timestamp: Date.now()
+        });
+        if (this._connection) {
+            this._connection.init(this.stateOf(this._records[0]));
+        }
+    };
+    return MachineInspector;
+}());
+/**
+ * Represents the inspector of a started machine. Every transition, with
+ * its event and payload, every change of the context data and every error
+ * is recorded, and forwarded to the DevTools extension as an action.
+ * Jumping to a record, either from the code or from the extension,
+ * restores the machine to its running status at that point.
+ */
+export { MachineInspector };
+if (false) {
+    /**
+     * @type {?}
+     * @private
+     */
+    MachineInspector.prototype._machine;
+    /**
+     * @type {?}
+     * @private
+     */
+    MachineInspector.prototype._records;
+    /**
+     * @type {?}
+     * @private
+     */
+    MachineInspector.prototype._nextId;
+    /**
+     * @type {?}
+     * @private
+     */
+    MachineInspector.prototype._maxRecords;
+    /**
+     * @type {?}
+     * @private
+     */
+    MachineInspector.prototype._connection;
+    /**
+     * @type {?}
+     * @private
+     */
+    MachineInspector.prototype._subscriptions;
+    /**
+     * @type {?}
+     * @private
+     */
+    MachineInspector.prototype._contextHandler;
+}
+/**
+ * Represents a connection of the local stand-in of the DevTools extension.
+ */
+var /**
+ * Represents a connection of the local stand-in of the DevTools extension.
+ */
+LocalDevToolsConnection = /** @class */ (function () {
+    function LocalDevToolsConnection(name) {
+        this.name = name;
+        this.actions = [];
+        this.states = [];
+        this.errors = [];
+        this._listeners = [];
+    }
+    /**
+     * @param {?} state
+     * @return {?}
+     */
+    LocalDevToolsConnection.prototype.init = /**
+     * @param {?} state
+     * @return {?}
+     */
+    function (state) {
+        this.actions = [null];
+        this.states = [state];
+    };
+    /**
+     * @param {?} action
+     * @param {?} state
+     * @return {?}
+     */
+    LocalDevToolsConnection.prototype.send = /**
+     * @param {?} action
+     * @param {?} state
+     * @return {?}
+     */
+    function (action, state) {
+        this.actions.push(action);
+        this.states.push(state);
+    };
+    /**
+     * @param {?} listener
+     * @return {?}
+     */
+    LocalDevToolsConnection.prototype.subscribe = /**
+     * @param {?} listener
+     * @return {?}
+     */
+    function (listener) {
+        var _this = this;
+        this._listeners.push(listener);
+        return function () {
+            _this._listeners = _this._listeners.filter(function (l) { return l !== listener; });
+        };
+    };
+    /**
+     * @return {?}
+     */
+    LocalDevToolsConnection.prototype.unsubscribe = /**
+     * @return {?}
+     */
+    function () {
+        this._listeners = [];
+    };
+    /**
+     * @param {?} message
+     * @return {?}
+     */
+    LocalDevToolsConnection.prototype.error = /**
+     * @param {?} message
+     * @return {?}
+     */
+    function (message) {
+        this.errors.push(message);
+    };
+    /**
+     * Delivers a message as if it were sent by the extension.
+     */
+    /**
+     * Delivers a message as if it were sent by the extension.
+     * @param {?} message
+     * @return {?}
+     */
+    LocalDevToolsConnection.prototype.dispatch = /**
+     * Delivers a message as if it were sent by the extension.
+     * @param {?} message
+     * @return {?}
+     */
+    function (message) {
+        for (var _i = 0, _a = this._listeners.slice(); _i < _a.length; _i++) {
+            var listener = _a[_i];
+            listener(message);
+        }
+    };
+    /**
+     * Asks to jump to the given action, as the extension does.
+     */
+    /**
+     * Asks to jump to the given action, as the extension does.
+     * @param {?} actionId
+     * @return {?}
+     */
+    LocalDevToolsConnection.prototype.jumpToAction = /**
+     * Asks to jump to the given action, as the extension does.
+     * @param {?} actionId
+     * @return {?}
+     */
+    function (actionId) {
+        this.dispatch({
+            type: 'DISPATCH',
+            payload: { type: 'JUMP_TO_ACTION', actionId: actionId },
+            state: JSON.stringify(this.states[actionId])
+        });
+    };
+    return LocalDevToolsConnection;
+}());
+/**
+ * Represents a connection of the local stand-in of the DevTools extension.
+ */
+export { LocalDevToolsConnection };
+if (false) {
+    /** @type {?} */
+    LocalDevToolsConnection.prototype.actions;
+    /** @type {?} */
+    LocalDevToolsConnection.prototype.states;
+    /** @type {?} */
+    LocalDevToolsConnection.prototype.errors;
+    /**
+     * @type {?}
+     * @private
+     */
+    LocalDevToolsConnection.prototype._listeners;
+    /** @type {?} */
+    LocalDevToolsConnection.prototype.name;
+}
+/**
+ * Represents an in-process stand-in of the DevTools extension,
+ * e.g., for tests.
+ */
+var /**
+ * Represents an in-process stand-in of the DevTools extension,
+ * e.g., for tests.
+ */
+LocalDevTools = /** @class */ (function () {
+    function LocalDevTools() {
+        this.connections = [];
+    }
+    /**
+     * @param {?=} options
+     * @return {?}
+     */
+    LocalDevTools.prototype.connect = /**
+     * @param {?=} options
+     * @return {?}
+     */
+    function (options) {
+        /** @type {?} */
+        var connection = new LocalDevToolsConnection(options && options.name);
+        this.connections.push(connection);
+        return connection;
+    };
+    return LocalDevTools;
+}());
+/**
+ * Represents an in-process stand-in of the DevTools extension,
+ * e.g., for tests.
+ */
+export { LocalDevTools };
+if (false) {
+    /** @type {?} */
+    LocalDevTools.prototype.connections;
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5zcGVjdG9yLmpzIiwic291cmNlUm9vdCI6Im5nOi8vQHBvbHB3YXJlL2ZlLWJlaGF2aW9yLyIsInNvdXJjZXMiOlsibGliL3N0YXRlL2luc3BlY3Rvci50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7OztJQWlCTSxpQkFBaUIsR0FBRyxHQUFHOzs7OztBQUs3QixzQ0FJQzs7O0lBSEcsZ0NBQWE7O0lBQ2IsbUNBQWM7O0lBQ2QsaUNBQWU7Ozs7Ozs7QUFPbkIseUNBTUM7Ozs7OztJQUxHLDBEQUF1Qjs7Ozs7O0lBQ3ZCLGtFQUFvQzs7Ozs7SUFDcEMsa0VBQThEOzs7O0lBQzlELDREQUFvQjs7Ozs7SUFDcEIsNkRBQTZCOzs7Ozs7O0FBT2pDLHdDQUVDOzs7Ozs7SUFERyw4REFBMEQ7Ozs7OztBQU05RCxzQ0FxQkM7OztJQWxCRyw4QkFBWTs7SUFFWixnQ0FBYTs7SUFDYixzQ0FBb0I7O0lBQ3BCLGlDQUFlOztJQUNmLGdDQUFjOztJQUNkLDhCQUFZOztJQUNaLG1DQUFjOztJQUNkLGlDQUFZOztJQUVaLG1DQUFhOztJQUViLG9DQUFlOztJQUdmLG9DQUFxQjs7SUFFckIscUNBQWtCOzs7Ozs7QUFNdEIsdUNBUUM7OztJQU5HLGlDQUFjOztJQUVkLHFDQUE4Qjs7SUFHOUIsdUNBQW9COzs7Ozs7QUFNeEIsU0FBUyxlQUFlOztRQUNkLElBQUksR0FBUSxPQUFPLE1BQU0sS0FBSyxXQUFXLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsSUFBSTtJQUMvRCxPQUFPLENBQUMsSUFBSSxJQUFJLElBQUksQ0FBQyw4QkFBOEIsQ0FBQyxDQUFDLElBQUksSUFBSSxDQUFDO0FBQ2xFLENBQUM7Ozs7Ozs7O0FBVUQ7Ozs7Ozs7O0lBVUksMEJBQVksT0FBbUQsRUFBRSxPQUEyQjtRQUE1RixpQkF5QkM7UUF4QkcsT0FBTyxHQUFHLE9BQU8sSUFBSSxFQUFFLENBQUM7UUFDeEIsSUFBSSxDQUFDLFFBQVEsR0FBRyxPQUFPLENBQUM7UUFDeEIsSUFBSSxDQUFDLFFBQVEsR0FBRyxFQUFFLENBQUM7UUFDbkIsSUFBSSxDQUFDLE9BQU8sR0FBRyxDQUFDLENBQUM7UUFDakIsSUFBSSxDQUFDLFdBQVcsR0FBRyxPQUFPLENBQUMsVUFBVSxJQUFJLGlCQUFpQixDQUFDO1FBQzNELElBQUksQ0FBQyxjQUFjLEdBQUcsRUFBRSxDQUFDO1FBQ3pCLElBQUksQ0FBQyxlQUFlLEdBQUcsVUFBQyxNQUFNLElBQUssT0FBQSxLQUFJLENBQUMsZUFBZSxDQUFDLE1BQU0sQ0FBQyxFQUE1QixDQUE0QixDQUFDOztZQUUxRCxRQUFRLEdBQUcsT0FBTyxDQUFDLFFBQVEsSUFBSSxlQUFlLEVBQUU7UUFDdEQsSUFBSSxDQUFDLFdBQVcsR0FBRyxRQUFRLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsRUFBRSxJQUFJLEVBQUUsT0FBTyxDQUFDLElBQUksSUFBSSxvQkFBb0IsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztRQUV0RyxJQUFJLENBQUMsTUFBTSxDQUFDO1lBQ1IsSUFBSSxFQUFFLE9BQU87WUFDYixPQUFPLEVBQUUsT0FBTyxDQUFDLFVBQVUsRUFBRTtZQUM3QixRQUFRLEVBQUUsT0FBTyxDQUFDLFFBQVEsRUFBRTtZQUM1QixTQUFTLEVBQUUsSUFBSSxDQUFDLEdBQUcsRUFBRTtTQUN4QixDQUFDLENBQUM7UUFDSCxJQUFJLElBQUksQ0FBQyxXQUFXLEVBQUU7WUFDbEIsSUFBSSxDQUFDLFdBQVcsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN0RCxJQUFJLENBQUMsV0FBVyxDQUFDLFNBQVMsQ0FBQyxVQUFDLE9BQU8sSUFBSyxPQUFBLEtBQUksQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLEVBQXZCLENBQXVCLENBQUMsQ0FBQztTQUNwRTtRQUNELE9BQU8sQ0FBQyxlQUFlLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxDQUFDO1FBQzlDLElBQUksQ0FBQyxjQUFjLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxZQUFZLENBQUMsU0FBUyxDQUFDLFVBQUMsS0FBSyxJQUFLLE9BQUEsS0FBSSxDQUFDLFlBQVksQ0FBQyxLQUFLLENBQUMsRUFBeEIsQ0FBd0IsQ0FBQyxDQUFDLENBQUM7UUFDOUYsSUFBSSxDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsVUFBQyxLQUFLLElBQUssT0FBQSxLQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxFQUFuQixDQUFtQixDQUFDLENBQUMsQ0FBQztJQUN4RixDQUFDO0lBRUQ7O09BRUc7Ozs7O0lBQ0gsa0NBQU87Ozs7SUFBUDtRQUNJLE9BQU8sSUFBSSxDQUFDLFFBQVEsQ0FBQyxLQUFLLEVBQUUsQ0FBQztJQUNqQyxDQUFDO0lBRUQ7Ozs7O09BS0c7Ozs7Ozs7Ozs7O0lBQ0gsaUNBQU07Ozs7Ozs7Ozs7SUFBTixVQUFPLEVBQVU7O1lBQ1AsT0FBTyxHQUFHLG1CQUFBLElBQUksRUFBQSxDQUFDLFFBQVE7O1lBQ3pCLENBQUMsR0FBRyxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUM7UUFDMUIsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxFQUFFO1lBQ25DLENBQUMsRUFBRSxDQUFDO1NBQ1A7UUFDRCxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUU7WUFDUCxNQUFNLElBQUksS0FBSyxDQUFDLENBQUMsRUFBRSxHQUFHLENBQUMsSUFBSSxFQUFFLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxrQkFBa0IsQ0FBQyxDQUFDLENBQUMsb0JBQW9CLENBQUMsR0FBRyxFQUFFLENBQUMsQ0FBQztTQUNuRztRQUNELE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsUUFBUSxFQUFFO1lBQ3pCLElBQUksT0FBTyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLEtBQUssT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsR0FBRyxDQUFDLEVBQUU7Z0JBQ3pDLE1BQU0sSUFBSSxLQUFLLENBQUMsa0JBQWtCLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7YUFDN0Q7WUFDRCxDQUFDLEVBQUUsQ0FBQztTQUNQO1FBQ0QsbUJBQUEsSUFBSSxFQUFBLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUM7UUFDM0MsT0FBTyxtQkFBQSxJQUFJLEVBQUEsQ0FBQztJQUNoQixDQUFDO0lBRUQ7O09BRUc7Ozs7O0lBQ0gsaUNBQU07Ozs7SUFBTjtRQUNJLEtBQWdCLFVBQW1CLEVBQW5CLEtBQUEsSUFBSSxDQUFDLGNBQWMsRUFBbkIsY0FBbUIsRUFBbkIsSUFBbUIsRUFBRTtZQUFoQyxJQUFNLENBQUMsU0FBQTtZQUNSLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQztTQUNuQjtRQUNELElBQUksQ0FBQyxjQUFjLEdBQUcsRUFBRSxDQUFDO1FBQ3pCLElBQUksQ0FBQyxRQUFRLENBQUMsZ0JBQWdCLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxDQUFDO1FBQ3JELElBQUksSUFBSSxDQUFDLFdBQVcsRUFBRTtZQUNsQixJQUFJLENBQUMsV0FBVyxDQUFDLFdBQVcsRUFBRSxDQUFDO1lBQy9CLElBQUksQ0FBQyxXQUFXLEdBQUcsSUFBSSxDQUFDO1NBQzNCO0lBQ0wsQ0FBQzs7Ozs7O0lBRU8sdUNBQVk7Ozs7O0lBQXBCLFVBQXFCLEtBQXNCOzs7WUFFakMsSUFBSSxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxFQUFFLEtBQUssTUFBTTtRQUM5QyxJQUFJLENBQUMsTUFBTSxDQUFDO1lBQ1IsSUFBSSxFQUFFLFlBQVk7WUFDbEIsVUFBVSxFQUFFLEtBQUssQ0FBQyxVQUFVO1lBQzVCLEtBQUssRUFBRSxLQUFLLENBQUMsS0FBSztZQUNsQixJQUFJLEVBQUUsS0FBSyxDQUFDLElBQUk7WUFDaEIsRUFBRSxFQUFFLEtBQUssQ0FBQyxFQUFFO1lBQ1osT0FBTyxFQUFFLEtBQUssQ0FBQyxPQUFPO1lBQ3RCLE9BQU8sRUFBRSxJQUFJLENBQUMsUUFBUSxDQUFDLFVBQVUsRUFBRTtZQUNuQyxRQUFRLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUMsQ0FBQyxTQUFTO1lBQ3JELFNBQVMsRUFBRSxJQUFJLENBQUMsR0FBRyxFQUFFO1NBQ3hCLENBQUMsQ0FBQztJQUNQLENBQUM7Ozs7OztJQUVPLDBDQUFlOzs7OztJQUF2QixVQUF3QixNQUEyQjtRQUMvQyxzQ0FBc0M7UUFDdEMsSUFBSSxDQUFDLE1BQU0sQ0FBQztZQUNSLElBQUksRUFBRSxTQUFTO1lBQ2YsVUFBVSxFQUFFLE1BQU0sQ0FBQyxTQUFTLENBQUMsVUFBVTtZQUN2QyxPQUFPLEVBQUUsTUFBTSxDQUFDLFNBQVMsQ0FBQyxPQUFPO1lBQ2pDLE9BQU8sRUFBRSxNQUFNLENBQUMsT0FBTztZQUN2QixRQUFRLEVBQUUsTUFBTSxDQUFDLFFBQVE7WUFDekIsU0FBUyxFQUFFLElBQUksQ0FBQyxHQUFHLEVBQUU7U0FDeEIsQ0FBQyxDQUFDO0lBQ1AsQ0FBQzs7Ozs7O0lBRU8sa0NBQU87Ozs7O0lBQWYsVUFBZ0IsS0FBa0I7UUFDOUIsSUFBSSxDQUFDLE1BQU0sQ0FBQztZQUNSLElBQUksRUFBRSxPQUFPO1lBQ2IsVUFBVSxFQUFFLEtBQUssQ0FBQyxJQUFJO1lBQ3RCLElBQUksRUFBRSxLQUFLLENBQUMsSUFBSTtZQUNoQixFQUFFLEVBQUUsS0FBSyxDQUFDLEVBQUU7WUFDWixLQUFLLEVBQUUsS0FBSyxDQUFDLEtBQUs7WUFDbEIsT0FBTyxFQUFFLElBQUksQ0FBQyxRQUFRLENBQUMsVUFBVSxFQUFFO1lBQ25DLFNBQVMsRUFBRSxJQUFJLENBQUMsR0FBRyxFQUFFO1NBQ3hCLENBQUMsQ0FBQztRQUNILElBQUksSUFBSSxDQUFDLFdBQVcsRUFBRTtZQUNsQixJQUFJLENBQUMsV0FBVyxDQUFDLEtBQUssQ0FBQyxhQUFhLEdBQUcsS0FBSyxDQUFDLElBQUksR0FBRyxRQUFRLEdBQUcsS0FBSyxDQUFDLElBQUksR0FBRyxNQUFNLEdBQUcsS0FBSyxDQUFDLEVBQUUsR0FBRyxTQUFTLENBQUMsQ0FBQztTQUM5RztJQUNMLENBQUM7Ozs7OztJQUVPLGlDQUFNOzs7OztJQUFkLFVBQWUsTUFBd0I7UUFDbkMsTUFBTSxDQUFDLEVBQUUsR0FBRyxJQUFJLENBQUMsT0FBTyxFQUFFLENBQUM7UUFDM0IsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDM0IsSUFBSSxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sR0FBRyxJQUFJLENBQUMsV0FBVyxFQUFFO1lBQ3pDLGdEQUFnRDtZQUNoRCxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7U0FDOUI7UUFDRCxJQUFJLElBQUksQ0FBQyxXQUFXLElBQUksTUFBTSxDQUFDLElBQUksS0FBSyxPQUFPLEVBQUU7WUFDN0MsSUFBSSxDQUFDLFdBQVcsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsRUFBRSxJQUFJLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7U0FDdEU7SUFDTCxDQUFDOzs7Ozs7SUFFTyxtQ0FBUTs7Ozs7SUFBaEIsVUFBaUIsTUFBd0I7UUFDckMsT0FBTztZQUNILElBQUksRUFBRSxNQUFNLENBQUMsSUFBSSxLQUFLLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsS0FBSyxJQUFJLE1BQU0sQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLElBQUksR0FBRyxJQUFJLEdBQUcsTUFBTSxDQUFDLFVBQVU7WUFDakgsVUFBVSxFQUFFLE1BQU0sQ0FBQyxVQUFVO1lBQzdCLElBQUksRUFBRSxNQUFNLENBQUMsSUFBSTtZQUNqQixFQUFFLEVBQUUsTUFBTSxDQUFDLEVBQUU7WUFDYixPQUFPLEVBQUUsTUFBTSxDQUFDLE9BQU87U0FDMUIsQ0FBQztJQUNOLENBQUM7Ozs7OztJQUVPLGtDQUFPOzs7OztJQUFmLFVBQWdCLE1BQXdCO1FBQ3BDLE9BQU87WUFDSCxLQUFLLEVBQUUsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsYUFBYSxFQUFFO1lBQzlFLE9BQU8sRUFBRSxNQUFNLENBQUMsT0FBTztTQUMxQixDQUFDO0lBQ04sQ0FBQztJQUVEOzs7OztPQUtHOzs7Ozs7Ozs7O0lBQ0ssb0NBQVM7Ozs7Ozs7OztJQUFqQixVQUFrQixPQUF5QjtRQUN2QyxJQUFJLE9BQU8sQ0FBQyxJQUFJLEtBQUssVUFBVSxJQUFJLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRTtZQUNqRCxPQUFPO1NBQ1Y7UUFDRCxRQUFRLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFO1lBQzFCLEtBQUssZUFBZSxDQUFDO1lBQ3JCLEtBQUssZ0JBQWdCO2dCQUNqQixJQUFJO29CQUNBLElBQUksQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQztpQkFDekM7Z0JBQUMsT0FBTyxDQUFDLEVBQUU7b0JBQ1IsSUFBSSxDQUFDLFdBQVcsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDO2lCQUNyQztnQkFDRCxNQUFNO1lBQ1YsS0FBSyxPQUFPO2dCQUNSLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUM7Z0JBQ2YsSUFBSSxDQUFDLE1BQU0sRUFBRSxDQUFDO2dCQUNkLE1BQU07WUFDVixLQUFLLFFBQVE7Z0JBQ1QsSUFBSSxDQUFDLE1BQU0sRUFBRSxDQUFDO2dCQUNkLE1BQU07U0FDYjtJQUNMLENBQUM7SUFFRDs7T0FFRzs7Ozs7O0lBQ0ssaUNBQU07Ozs7O0lBQWQ7UUFDSSxJQUFJLENBQUMsUUFBUSxHQUFHLEVBQUUsQ0FBQztRQUNuQixJQUFJLENBQUMsT0FBTyxHQUFHLENBQUMsQ0FBQztRQUNqQixJQUFJLENBQUMsTUFBTSxDQUFDO1lBQ1IsSUFBSSxFQUFFLE9BQU87WUFDYixPQUFPLEVBQUUsSUFBSSxDQUFDLFFBQVEsQ0FBQyxVQUFVLEVBQUU7WUFDbkMsUUFBUSxFQUFFLElBQUksQ0FBQyxRQUFRLENBQUMsUUFBUSxFQUFFO1lBQ2xDLFNBQVMsRUFBRSxJQUFJLENBQUMsR0FBRyxFQUFFO1NBQ3hCLENBQUMsQ0FBQztRQUNILElBQUksSUFBSSxDQUFDLFdBQVcsRUFBRTtZQUNsQixJQUFJLENBQUMsV0FBVyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1NBQ3pEO0lBQ0wsQ0FBQztJQUNMLHVCQUFDO0FBQUQsQ0FBQyxBQXpNRCxJQXlNQzs7Ozs7Ozs7Ozs7Ozs7SUF2TUcsb0NBQTZEOzs7OztJQUM3RCxvQ0FBMEM7Ozs7O0lBQzFDLG1DQUF3Qjs7Ozs7SUFDeEIsdUNBQTRCOzs7OztJQUM1Qix1Q0FBeUM7Ozs7O0lBQ3pDLDBDQUE0Qzs7Ozs7SUFDNUMsMkNBQStEOzs7OztBQXVNbkU7Ozs7SUFVSSxpQ0FBbUIsSUFBWTtRQUFaLFNBQUksR0FBSixJQUFJLENBQVE7UUFDM0IsSUFBSSxDQUFDLE9BQU8sR0FBRyxFQUFFLENBQUM7UUFDbEIsSUFBSSxDQUFDLE1BQU0sR0FBRyxFQUFFLENBQUM7UUFDakIsSUFBSSxDQUFDLE1BQU0sR0FBRyxFQUFFLENBQUM7UUFDakIsSUFBSSxDQUFDLFVBQVUsR0FBRyxFQUFFLENBQUM7SUFDekIsQ0FBQzs7Ozs7SUFFRCxzQ0FBSTs7OztJQUFKLFVBQUssS0FBVTtRQUNYLElBQUksQ0FBQyxPQUFPLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUN0QixJQUFJLENBQUMsTUFBTSxHQUFHLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDMUIsQ0FBQzs7Ozs7O0lBRUQsc0NBQUk7Ozs7O0lBQUosVUFBSyxNQUFXLEVBQUUsS0FBVTtRQUN4QixJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUMxQixJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUM1QixDQUFDOzs7OztJQUVELDJDQUFTOzs7O0lBQVQsVUFBVSxRQUE2QztRQUF2RCxpQkFLQztRQUpHLElBQUksQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDO1FBQy9CLE9BQU87WUFDSCxLQUFJLENBQUMsVUFBVSxHQUFHLEtBQUksQ0FBQyxVQUFVLENBQUMsTUFBTSxDQUFDLFVBQUEsQ0FBQyxJQUFJLE9BQUEsQ0FBQyxLQUFLLFFBQVEsRUFBZCxDQUFjLENBQUMsQ0FBQztRQUNsRSxDQUFDLENBQUM7SUFDTixDQUFDOzs7O0lBRUQsNkNBQVc7OztJQUFYO1FBQ0ksSUFBSSxDQUFDLFVBQVUsR0FBRyxFQUFFLENBQUM7SUFDekIsQ0FBQzs7Ozs7SUFFRCx1Q0FBSzs7OztJQUFMLFVBQU0sT0FBZTtRQUNqQixJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztJQUM5QixDQUFDO0lBRUQ7O09BRUc7Ozs7OztJQUNILDBDQUFROzs7OztJQUFSLFVBQVMsT0FBeUI7UUFDOUIsS0FBdUIsVUFBdUIsRUFBdkIsS0FBQSxJQUFJLENBQUMsVUFBVSxDQUFDLEtBQUssRUFBRSxFQUF2QixjQUF1QixFQUF2QixJQUF1QixFQUFFO1lBQTNDLElBQU0sUUFBUSxTQUFBO1lBQ2YsUUFBUSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1NBQ3JCO0lBQ0wsQ0FBQztJQUVEOztPQUVHOzs7Ozs7SUFDSCw4Q0FBWTs7Ozs7SUFBWixVQUFhLFFBQWdCO1FBQ3pCLElBQUksQ0FBQyxRQUFRLENBQUM7WUFDVixJQUFJLEVBQUUsVUFBVTtZQUNoQixPQUFPLEVBQUUsRUFBRSxJQUFJLEVBQUUsZ0JBQWdCLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRTtZQUN2RCxLQUFLLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDO1NBQy9DLENBQUMsQ0FBQztJQUNQLENBQUM7SUFDTCw4QkFBQztBQUFELENBQUMsQUE3REQsSUE2REM7Ozs7Ozs7SUExREcsMENBQW9COztJQUVwQix5Q0FBbUI7O0lBQ25CLHlDQUFzQjs7Ozs7SUFFdEIsNkNBQStEOztJQUVuRCx1Q0FBbUI7Ozs7OztBQTBEbkM7Ozs7O0lBSUk7UUFDSSxJQUFJLENBQUMsV0FBVyxHQUFHLEVBQUUsQ0FBQztJQUMxQixDQUFDOzs7OztJQUVELCtCQUFPOzs7O0lBQVAsVUFBUSxPQUEyQjs7WUFDekIsVUFBVSxHQUFHLElBQUksdUJBQXVCLENBQUMsT0FBTyxJQUFJLE9BQU8sQ0FBQyxJQUFJLENBQUM7UUFDdkUsSUFBSSxDQUFDLFdBQVcsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUM7UUFDbEMsT0FBTyxVQUFVLENBQUM7SUFDdEIsQ0FBQztJQUNMLG9CQUFDO0FBQUQsQ0FBQyxBQWJELElBYUM7Ozs7Ozs7O0lBWEcsb0NBQTRDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAZmlsZU92ZXJ2aWV3XG4gKiBQcm92aWRlcyB0aGUgaW5zcGVjdG9yIHdoaWNoIHJlY29yZHMgd2hhdCBhIGZpbml0ZSBzdGF0ZSBtYWNoaW5lIGRvZXMsXG4gKiBzdXBwb3J0cyBqdW1waW5nIGJhY2sgdG8gYW55IHJlY29yZGVkIHBvaW50LCBhbmQgdGFsa3MgdG8gdGhlIFJlZHV4XG4gKiBEZXZUb29scyBleHRlbnNpb24sIG9yIHRvIGEgbG9jYWwgc3RhbmQtaW4gb2YgaXQuXG4gKiBAYXV0aG9yIFhpYW9sb25nIFRhbmcgPHh4bG9uZ3RhbmdAZ21haWwuY29tPlxuICogQGxpY2Vuc2UgQ29weXJpZ2h0IEBtZVxuICovXG5pbXBvcnQgeyBTdWJzY3JpcHRpb24gfSBmcm9tICdyeGpzJztcbmltcG9ydCB7XG4gICAgRmluaXRlU3RhdGVNYWNoaW5lLFxuICAgIElDb250ZXh0Q2hhbmdlRXZlbnQsXG4gICAgSUVycm9yRXZlbnQsXG4gICAgSUxpZmVDeWNsZUV2ZW50LFxuICAgIElTbmFwc2hvdFxufSBmcm9tICcuL2Zpbml0ZS1zdGF0ZS1tYWNoaW5lJztcblxuY29uc3QgZGVmYXVsdE1heFJlY29yZHMgPSA1MDA7XG5cbi8qKlxuICogRGVzY3JpYmVzIGEgbWVzc2FnZSBzZW50IGJ5IHRoZSBEZXZUb29scyBleHRlbnNpb24uXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgSURldlRvb2xzTWVzc2FnZSB7XG4gICAgdHlwZTogc3RyaW5nO1xuICAgIHBheWxvYWQ/OiBhbnk7XG4gICAgc3RhdGU/OiBzdHJpbmc7XG59XG5cbi8qKlxuICogRGVzY3JpYmVzIGEgY29ubmVjdGlvbiB0byB0aGUgRGV2VG9vbHMgZXh0ZW5zaW9uLFxuICogYXMgcmV0dXJuZWQgYnkgaXRzIGNvbm5lY3QgbWV0aG9kLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIElEZXZUb29sc0Nvbm5lY3Rpb24ge1xuICAgIGluaXQoc3RhdGU6IGFueSk6IHZvaWQ7XG4gICAgc2VuZChhY3Rpb246IGFueSwgc3RhdGU6IGFueSk6IHZvaWQ7XG4gICAgc3Vic2NyaWJlKGxpc3RlbmVyOiAobWVzc2FnZTogSURldlRvb2xzTWVzc2FnZSkgPT4gdm9pZCk6IGFueTtcbiAgICB1bnN1YnNjcmliZSgpOiB2b2lkO1xuICAgIGVycm9yKG1lc3NhZ2U6IHN0cmluZyk6IHZvaWQ7XG59XG5cbi8qKlxuICogRGVzY3JpYmVzIHRoZSBEZXZUb29scyBleHRlbnNpb24sIGkuZS4sXG4gKiB3aW5kb3cuX19SRURVWF9ERVZUT09MU19FWFRFTlNJT05fXyBpbiB0aGUgYnJvd3Nlci5cbiAqL1xuZXhwb3J0IGludGVyZmFjZSBJRGV2VG9vbHNFeHRlbnNpb24ge1xuICAgIGNvbm5lY3Qob3B0aW9ucz86IHsgbmFtZT86IHN0cmluZyB9KTogSURldlRvb2xzQ29ubmVjdGlvbjtcbn1cblxuLyoqXG4gKiBEZXNjcmliZXMgd2hhdCB0aGUgbWFjaGluZSBkb2VzIGF0IHNvbWUgcG9pbnQuXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgSUluc3BlY3RvclJlY29yZCB7XG4gICAgLy8gVGhlIG51bWJlciBvZiB0aGUgcmVjb3JkLCBjb3VudGluZyBmcm9tIHRoZSBzdGFydCwgd2hpY2ggaXNcbiAgICAvLyBudW1iZXJlZCAwOyBpdCBpcyB0aGUgaWQgb2YgdGhlIGFjdGlvbiBpbiB0aGUgRGV2VG9vbHMgZXh0ZW5zaW9uLlxuICAgIGlkPzogbnVtYmVyO1xuICAgIC8vIE9uZSBvZiAnc3RhcnQnLCAndHJhbnNpdGlvbicsICdjb250ZXh0JyBhbmQgJ2Vycm9yJ1xuICAgIHR5cGU6IHN0cmluZztcbiAgICB0cmFuc2l0aW9uPzogc3RyaW5nO1xuICAgIGV2ZW50Pzogc3RyaW5nO1xuICAgIGZyb20/OiBzdHJpbmc7XG4gICAgdG8/OiBzdHJpbmc7XG4gICAgcGF5bG9hZD86IGFueTtcbiAgICBlcnJvcj86IGFueTtcbiAgICAvLyBUaGUgY29udGV4dCBkYXRhIGFmdGVyIHRoZSByZWNvcmRcbiAgICBjb250ZXh0OiBhbnk7XG4gICAgLy8gVGhlIGNvbnRleHQgZGF0YSBiZWZvcmUgdGhlIHJlY29yZCwgZm9yIGEgY2hhbmdlIG9mIHRoZSBjb250ZXh0IGRhdGFcbiAgICBwcmV2aW91cz86IGFueTtcbiAgICAvLyBUaGUgcnVubmluZyBzdGF0dXMgYWZ0ZXIgdGhlIHJlY29yZCwgd2hpY2ggbWF5IGJlIGp1bXBlZCBiYWNrIHRvO1xuICAgIC8vIG1pc3NpbmcgZm9yIHRoZSByZWNvcmRzIGluIHRoZSBtaWRkbGUgb2YgYSB0cmFuc2l0aW9uLlxuICAgIHNuYXBzaG90PzogSVNuYXBzaG90O1xuICAgIC8vIFRoZSB0aW1lIGluIG1pbGxpc2Vjb25kcyBzaW5jZSB0aGUgZXBvY2hcbiAgICB0aW1lc3RhbXA6IG51bWJlcjtcbn1cblxuLyoqXG4gKiBPcHRpb25zIGZvciBpbnNwZWN0aW5nIGEgbWFjaGluZS5cbiAqL1xuZXhwb3J0IGludGVyZmFjZSBJSW5zcGVjdG9yT3B0aW9ucyB7XG4gICAgLy8gVGhlIG5hbWUgc2hvd24gaW4gdGhlIERldlRvb2xzIGV4dGVuc2lvblxuICAgIG5hbWU/OiBzdHJpbmc7XG4gICAgLy8gVGhlIERldlRvb2xzIGV4dGVuc2lvbjsgYnkgZGVmYXVsdCwgdGhlIGJyb3dzZXIgZXh0ZW5zaW9uIGlmIGluc3RhbGxlZC5cbiAgICBkZXZUb29scz86IElEZXZUb29sc0V4dGVuc2lvbjtcbiAgICAvLyBIb3cgbWFueSByZWNvcmRzIGFyZSBrZXB0IGF0IG1vc3Q7IHRoZSBvbGRlc3Qgb25lcyBidXQgdGhlIHN0YXJ0XG4gICAgLy8gYXJlIGRyb3BwZWQgZmlyc3QuXG4gICAgbWF4UmVjb3Jkcz86IG51bWJlcjtcbn1cblxuLyoqXG4gKiBSZXR1cm5zIHRoZSBEZXZUb29scyBleHRlbnNpb24gaW5zdGFsbGVkIGluIHRoZSBicm93c2VyLCBpZiBhbnkuXG4gKi9cbmZ1bmN0aW9uIGJyb3dzZXJEZXZUb29scygpOiBJRGV2VG9vbHNFeHRlbnNpb24ge1xuICAgIGNvbnN0IHJvb3Q6IGFueSA9IHR5cGVvZiB3aW5kb3cgIT09ICd1bmRlZmluZWQnID8gd2luZG93IDogbnVsbDtcbiAgICByZXR1cm4gKHJvb3QgJiYgcm9vdFsnX19SRURVWF9ERVZUT09MU19FWFRFTlNJT05fXyddKSB8fCBudWxsO1xufVxuXG4vKipcbiAqIFJlcHJlc2VudHMgdGhlIGluc3BlY3RvciBvZiBhIHN0YXJ0ZWQgbWFjaGluZS4gRXZlcnkgdHJhbnNpdGlvbiwgd2l0aFxuICogaXRzIGV2ZW50IGFuZCBwYXlsb2FkLCBldmVyeSBjaGFuZ2Ugb2YgdGhlIGNvbnRleHQgZGF0YSBhbmQgZXZlcnkgZXJyb3JcbiAqIGlzIHJlY29yZGVkLCBhbmQgZm9yd2FyZGVkIHRvIHRoZSBEZXZUb29scyBleHRlbnNpb24gYXMgYW4gYWN0aW9uLlxuICogSnVtcGluZyB0byBhIHJlY29yZCwgZWl0aGVyIGZyb20gdGhlIGNvZGUgb3IgZnJvbSB0aGUgZXh0ZW5zaW9uLFxuICogcmVzdG9yZXMgdGhlIG1hY2hpbmUgdG8gaXRzIHJ1bm5pbmcgc3RhdHVzIGF0IHRoYXQgcG9pbnQuXG4gKiBAY2xhc3MgTWFjaGluZUluc3BlY3RvclxuICovXG5leHBvcnQgY2xhc3MgTWFjaGluZUluc3BlY3RvciB7XG5cbiAgICBwcml2YXRlIF9tYWNoaW5lOiBGaW5pdGVTdGF0ZU1hY2hpbmU8YW55LCBhbnksIGFueSwgYm9vbGVhbj47XG4gICAgcHJpdmF0ZSBfcmVjb3JkczogQXJyYXk8SUluc3BlY3RvclJlY29yZD47XG4gICAgcHJpdmF0ZSBfbmV4dElkOiBudW1iZXI7XG4gICAgcHJpdmF0ZSBfbWF4UmVjb3JkczogbnVtYmVyO1xuICAgIHByaXZhdGUgX2Nvbm5lY3Rpb246IElEZXZUb29sc0Nvbm5lY3Rpb247XG4gICAgcHJpdmF0ZSBfc3Vic2NyaXB0aW9uczogQXJyYXk8U3Vic2NyaXB0aW9uPjtcbiAgICBwcml2YXRlIF9jb250ZXh0SGFuZGxlcjogKGNoYW5nZTogSUNvbnRleHRDaGFuZ2VFdmVudCkgPT4gdm9pZDtcblxuICAgIGNvbnN0cnVjdG9yKG1hY2hpbmU6IEZpbml0ZVN0YXRlTWFjaGluZTxhbnksIGFueSwgYW55LCBib29sZWFuPiwgb3B0aW9ucz86IElJbnNwZWN0b3JPcHRpb25zKSB7XG4gICAgICAgIG9wdGlvbnMgPSBvcHRpb25zIHx8IHt9O1xuICAgICAgICB0aGlzLl9tYWNoaW5lID0gbWFjaGluZTtcbiAgICAgICAgdGhpcy5fcmVjb3JkcyA9IFtdO1xuICAgICAgICB0aGlzLl9uZXh0SWQgPSAwO1xuICAgICAgICB0aGlzLl9tYXhSZWNvcmRzID0gb3B0aW9ucy5tYXhSZWNvcmRzIHx8IGRlZmF1bHRNYXhSZWNvcmRzO1xuICAgICAgICB0aGlzLl9zdWJzY3JpcHRpb25zID0gW107XG4gICAgICAgIHRoaXMuX2NvbnRleHRIYW5kbGVyID0gKGNoYW5nZSkgPT4gdGhpcy5vbkNvbnRleHRDaGFuZ2UoY2hhbmdlKTtcblxuICAgICAgICBjb25zdCBkZXZUb29scyA9IG9wdGlvbnMuZGV2VG9vbHMgfHwgYnJvd3NlckRldlRvb2xzKCk7XG4gICAgICAgIHRoaXMuX2Nvbm5lY3Rpb24gPSBkZXZUb29scyA/IGRldlRvb2xzLmNvbm5lY3QoeyBuYW1lOiBvcHRpb25zLm5hbWUgfHwgJ0Zpbml0ZVN0YXRlTWFjaGluZScgfSkgOiBudWxsO1xuXG4gICAgICAgIHRoaXMuYXBwZW5kKHtcbiAgICAgICAgICAgIHR5cGU6ICdzdGFydCcsXG4gICAgICAgICAgICBjb250ZXh0OiBtYWNoaW5lLmdldENvbnRleHQoKSxcbiAgICAgICAgICAgIHNuYXBzaG90OiBtYWNoaW5lLnNuYXBzaG90KCksXG4gICAgICAgICAgICB0aW1lc3RhbXA6IERhdGUubm93KClcbiAgICAgICAgfSk7XG4gICAgICAgIGlmICh0aGlzLl9jb25uZWN0aW9uKSB7XG4gICAgICAgICAgICB0aGlzLl9jb25uZWN0aW9uLmluaXQodGhpcy5zdGF0ZU9mKHRoaXMuX3JlY29yZHNbMF0pKTtcbiAgICAgICAgICAgIHRoaXMuX2Nvbm5lY3Rpb24uc3Vic2NyaWJlKChtZXNzYWdlKSA9PiB0aGlzLm9uTWVzc2FnZShtZXNzYWdlKSk7XG4gICAgICAgIH1cbiAgICAgICAgbWFjaGluZS5vbkNvbnRleHRDaGFuZ2UodGhpcy5fY29udGV4dEhhbmRsZXIpO1xuICAgICAgICB0aGlzLl9zdWJzY3JpcHRpb25zLnB1c2gobWFjaGluZS50cmFuc2l0aW9ucyQuc3Vic2NyaWJlKChldmVudCkgPT4gdGhpcy5vblRyYW5zaXRpb24oZXZlbnQpKSk7XG4gICAgICAgIHRoaXMuX3N1YnNjcmlwdGlvbnMucHVzaChtYWNoaW5lLmVycm9ycyQuc3Vic2NyaWJlKChldmVudCkgPT4gdGhpcy5vbkVycm9yKGV2ZW50KSkpO1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFJldHVybnMgdGhlIHJlY29yZHMsIHRoZSBzdGFydCBmaXJzdC5cbiAgICAgKi9cbiAgICByZWNvcmRzKCk6IEFycmF5PElJbnNwZWN0b3JSZWNvcmQ+IHtcbiAgICAgICAgcmV0dXJuIHRoaXMuX3JlY29yZHMuc2xpY2UoKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZXN0b3JlcyB0aGUgbWFjaGluZSB0byBpdHMgcnVubmluZyBzdGF0dXMgYXQgdGhlIHJlY29yZCBvZlxuICAgICAqIHRoZSBnaXZlbiBpZC4gQSByZWNvcmQgd2l0aG91dCBhIHNuYXBzaG90IGlzIHRha2VuIGFzIHRoZSBjbG9zZXN0XG4gICAgICogcmVjb3JkIGJlZm9yZSBpdCB3aXRoIGEgc25hcHNob3QuIEEgcmVjb3JkIHdoaWNoIGhhcyBiZWVuIGRyb3BwZWRcbiAgICAgKiBjYW5ub3QgYmUganVtcGVkIHRvLlxuICAgICAqL1xuICAgIGp1bXBUbyhpZDogbnVtYmVyKSB7XG4gICAgICAgIGNvbnN0IHJlY29yZHMgPSB0aGlzLl9yZWNvcmRzO1xuICAgICAgICBsZXQgaSA9IHJlY29yZHMubGVuZ3RoIC0gMTtcbiAgICAgICAgd2hpbGUgKGkgPj0gMCAmJiByZWNvcmRzW2ldLmlkICE9PSBpZCkge1xuICAgICAgICAgICAgaS0tO1xuICAgICAgICB9XG4gICAgICAgIGlmIChpIDwgMCkge1xuICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKChpZCA+IDAgJiYgaWQgPCB0aGlzLl9uZXh0SWQgPyAnRHJvcHBlZCByZWNvcmQ6ICcgOiAnVW5kZWZpbmVkIHJlY29yZDogJykgKyBpZCk7XG4gICAgICAgIH1cbiAgICAgICAgd2hpbGUgKCFyZWNvcmRzW2ldLnNuYXBzaG90KSB7XG4gICAgICAgICAgICBpZiAocmVjb3Jkc1tpIC0gMV0uaWQgIT09IHJlY29yZHNbaV0uaWQgLSAxKSB7XG4gICAgICAgICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdEcm9wcGVkIHJlY29yZDogJyArIChyZWNvcmRzW2ldLmlkIC0gMSkpO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgaS0tO1xuICAgICAgICB9XG4gICAgICAgIHRoaXMuX21hY2hpbmUucmVzdG9yZShyZWNvcmRzW2ldLnNuYXBzaG90KTtcbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogU3RvcHMgaW5zcGVjdGluZyB0aGUgbWFjaGluZS5cbiAgICAgKi9cbiAgICBkZXRhY2goKSB7XG4gICAgICAgIGZvciAoY29uc3QgcyBvZiB0aGlzLl9zdWJzY3JpcHRpb25zKSB7XG4gICAgICAgICAgICBzLnVuc3Vic2NyaWJlKCk7XG4gICAgICAgIH1cbiAgICAgICAgdGhpcy5fc3Vic2NyaXB0aW9ucyA9IFtdO1xuICAgICAgICB0aGlzLl9tYWNoaW5lLm9mZkNvbnRleHRDaGFuZ2UodGhpcy5fY29udGV4dEhhbmRsZXIpO1xuICAgICAgICBpZiAodGhpcy5fY29ubmVjdGlvbikge1xuICAgICAgICAgICAgdGhpcy5fY29ubmVjdGlvbi51bnN1YnNjcmliZSgpO1xuICAgICAgICAgICAgdGhpcy5fY29ubmVjdGlvbiA9IG51bGw7XG4gICAgICAgIH1cbiAgICB9XG5cbiAgICBwcml2YXRlIG9uVHJhbnNpdGlvbihldmVudDogSUxpZmVDeWNsZUV2ZW50KSB7XG4gICAgICAgIC8vIEFub3RoZXIgcmVnaW9uIG1heSBzdGlsbCBiZSBpbiB0aGUgbWlkZGxlIG9mIGl0cyB0cmFuc2l0aW9uXG4gICAgICAgIGNvbnN0IGlkbGUgPSB0aGlzLl9tYWNoaW5lLnN0YXR1cygpID09PSAnaWRsZSc7XG4gICAgICAgIHRoaXMuYXBwZW5kKHtcbiAgICAgICAgICAgIHR5cGU6ICd0cmFuc2l0aW9uJyxcbiAgICAgICAgICAgIHRyYW5zaXRpb246IGV2ZW50LnRyYW5zaXRpb24sXG4gICAgICAgICAgICBldmVudDogZXZlbnQuZXZlbnQsXG4gICAgICAgICAgICBmcm9tOiBldmVudC5mcm9tLFxuICAgICAgICAgICAgdG86IGV2ZW50LnRvLFxuICAgICAgICAgICAgcGF5bG9hZDogZXZlbnQucGF5bG9hZCxcbiAgICAgICAgICAgIGNvbnRleHQ6IHRoaXMuX21hY2hpbmUuZ2V0Q29udGV4dCgpLFxuICAgICAgICAgICAgc25hcHNob3Q6IGlkbGUgPyB0aGlzLl9tYWNoaW5lLnNuYXBzaG90KCkgOiB1bmRlZmluZWQsXG4gICAgICAgICAgICB0aW1lc3RhbXA6IERhdGUubm93KClcbiAgICAgICAgfSk7XG4gICAgfVxuXG4gICAgcHJpdmF0ZSBvbkNvbnRleHRDaGFuZ2UoY2hhbmdlOiBJQ29udGV4dENoYW5nZUV2ZW50KSB7XG4gICAgICAgIC8vIFRoZSB0cmFuc2l0aW9uIGlzIHN0aWxsIGluIHByb2dyZXNzXG4gICAgICAgIHRoaXMuYXBwZW5kKHtcbiAgICAgICAgICAgIHR5cGU6ICdjb250ZXh0JyxcbiAgICAgICAgICAgIHRyYW5zaXRpb246IGNoYW5nZS5saWZlY3ljbGUudHJhbnNpdGlvbixcbiAgICAgICAgICAgIHBheWxvYWQ6IGNoYW5nZS5saWZlY3ljbGUucGF5bG9hZCxcbiAgICAgICAgICAgIGNvbnRleHQ6IGNoYW5nZS5jb250ZXh0LFxuICAgICAgICAgICAgcHJldmlvdXM6IGNoYW5nZS5wcmV2aW91cyxcbiAgICAgICAgICAgIHRpbWVzdGFtcDogRGF0ZS5ub3coKVxuICAgICAgICB9KTtcbiAgICB9XG5cbiAgICBwcml2YXRlIG9uRXJyb3IoZXZlbnQ6IElFcnJvckV2ZW50KSB7XG4gICAgICAgIHRoaXMuYXBwZW5kKHtcbiAgICAgICAgICAgIHR5cGU6ICdlcnJvcicsXG4gICAgICAgICAgICB0cmFuc2l0aW9uOiBldmVudC5uYW1lLFxuICAgICAgICAgICAgZnJvbTogZXZlbnQuZnJvbSxcbiAgICAgICAgICAgIHRvOiBldmVudC50byxcbiAgICAgICAgICAgIGVycm9yOiBldmVudC5lcnJvcixcbiAgICAgICAgICAgIGNvbnRleHQ6IHRoaXMuX21hY2hpbmUuZ2V0Q29udGV4dCgpLFxuICAgICAgICAgICAgdGltZXN0YW1wOiBEYXRlLm5vdygpXG4gICAgICAgIH0pO1xuICAgICAgICBpZiAodGhpcy5fY29ubmVjdGlvbikge1xuICAgICAgICAgICAgdGhpcy5fY29ubmVjdGlvbi5lcnJvcignVHJhbnNpdGlvbiAnICsgZXZlbnQubmFtZSArICcgZnJvbSAnICsgZXZlbnQuZnJvbSArICcgdG8gJyArIGV2ZW50LnRvICsgJyBmYWlscy4nKTtcbiAgICAgICAgfVxuICAgIH1cblxuICAgIHByaXZhdGUgYXBwZW5kKHJlY29yZDogSUluc3BlY3RvclJlY29yZCkge1xuICAgICAgICByZWNvcmQuaWQgPSB0aGlzLl9uZXh0SWQrKztcbiAgICAgICAgdGhpcy5fcmVjb3Jkcy5wdXNoKHJlY29yZCk7XG4gICAgICAgIGlmICh0aGlzLl9yZWNvcmRzLmxlbmd0aCA+IHRoaXMuX21heFJlY29yZHMpIHtcbiAgICAgICAgICAgIC8vIEtlZXAgdGhlIHN0YXJ0LCB3aGljaCBtYXkgYWx3YXlzIGJlIGp1bXBlZCB0b1xuICAgICAgICAgICAgdGhpcy5fcmVjb3Jkcy5zcGxpY2UoMSwgMSk7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKHRoaXMuX2Nvbm5lY3Rpb24gJiYgcmVjb3JkLnR5cGUgIT09ICdzdGFydCcpIHtcbiAgICAgICAgICAgIHRoaXMuX2Nvbm5lY3Rpb24uc2VuZCh0aGlzLmFjdGlvbk9mKHJlY29yZCksIHRoaXMuc3RhdGVPZihyZWNvcmQpKTtcbiAgICAgICAgfVxuICAgIH1cblxuICAgIHByaXZhdGUgYWN0aW9uT2YocmVjb3JkOiBJSW5zcGVjdG9yUmVjb3JkKSB7XG4gICAgICAgIHJldHVybiB7XG4gICAgICAgICAgICB0eXBlOiByZWNvcmQudHlwZSA9PT0gJ3RyYW5zaXRpb24nID8gKHJlY29yZC5ldmVudCB8fCByZWNvcmQudHJhbnNpdGlvbikgOiByZWNvcmQudHlwZSArICc6ICcgKyByZWNvcmQudHJhbnNpdGlvbixcbiAgICAgICAgICAgIHRyYW5zaXRpb246IHJlY29yZC50cmFuc2l0aW9uLFxuICAgICAgICAgICAgZnJvbTogcmVjb3JkLmZyb20sXG4gICAgICAgICAgICB0bzogcmVjb3JkLnRvLFxuICAgICAgICAgICAgcGF5bG9hZDogcmVjb3JkLnBheWxvYWRcbiAgICAgICAgfTtcbiAgICB9XG5cbiAgICBwcml2YXRlIHN0YXRlT2YocmVjb3JkOiBJSW5zcGVjdG9yUmVjb3JkKSB7XG4gICAgICAgIHJldHVybiB7XG4gICAgICAgICAgICBzdGF0ZTogcmVjb3JkLnNuYXBzaG90ID8gcmVjb3JkLnNuYXBzaG90LnN0YXRlIDogdGhpcy5fbWFjaGluZS5jb25maWd1cmF0aW9uKCksXG4gICAgICAgICAgICBjb250ZXh0OiByZWNvcmQuY29udGV4dFxuICAgICAgICB9O1xuICAgIH1cblxuICAgIC8qKlxuICAgICAqIEhhbmRsZXMgdGhlIG1lc3NhZ2VzIGZyb20gdGhlIERldlRvb2xzIGV4dGVuc2lvbi4gVGhlIGFjdGlvbnMgYXJlXG4gICAgICogbnVtYmVyZWQgZnJvbSB0aGUgc3RhcnQsIHdoaWNoIGlzIG51bWJlcmVkIDAsIGFzIHRoZSByZWNvcmRzIGFyZSxcbiAgICAgKiBzbyB0aGF0IGFuIGFjdGlvbiBpcyBmb3VuZCBieSB0aGUgaWQgb2YgaXRzIHJlY29yZC4gSnVtcGluZyB0b1xuICAgICAqIGFuIGFjdGlvbiB3aG9zZSByZWNvcmQgaGFzIGJlZW4gZHJvcHBlZCBpcyByZXBvcnRlZCBiYWNrIGFzIGFuIGVycm9yLlxuICAgICAqL1xuICAgIHByaXZhdGUgb25NZXNzYWdlKG1lc3NhZ2U6IElEZXZUb29sc01lc3NhZ2UpIHtcbiAgICAgICAgaWYgKG1lc3NhZ2UudHlwZSAhPT0gJ0RJU1BBVENIJyB8fCAhbWVzc2FnZS5wYXlsb2FkKSB7XG4gICAgICAgICAgICByZXR1cm47XG4gICAgICAgIH1cbiAgICAgICAgc3dpdGNoIChtZXNzYWdlLnBheWxvYWQudHlwZSkge1xuICAgICAgICAgICAgY2FzZSAnSlVNUF9UT19TVEFURSc6XG4gICAgICAgICAgICBjYXNlICdKVU1QX1RPX0FDVElPTic6XG4gICAgICAgICAgICAgICAgdHJ5IHtcbiAgICAgICAgICAgICAgICAgICAgdGhpcy5qdW1wVG8obWVzc2FnZS5wYXlsb2FkLmFjdGlvbklkKTtcbiAgICAgICAgICAgICAgICB9IGNhdGNoIChlKSB7XG4gICAgICAgICAgICAgICAgICAgIHRoaXMuX2Nvbm5lY3Rpb24uZXJyb3IoZS5tZXNzYWdlKTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICAgICAgYnJlYWs7XG4gICAgICAgICAgICBjYXNlICdSRVNFVCc6XG4gICAgICAgICAgICAgICAgdGhpcy5qdW1wVG8oMCk7XG4gICAgICAgICAgICAgICAgdGhpcy5jb21taXQoKTtcbiAgICAgICAgICAgICAgICBicmVhaztcbiAgICAgICAgICAgIGNhc2UgJ0NPTU1JVCc6XG4gICAgICAgICAgICAgICAgdGhpcy5jb21taXQoKTtcbiAgICAgICAgICAgICAgICBicmVhaztcbiAgICAgICAgfVxuICAgIH1cblxuICAgIC8qKlxuICAgICAqIFRha2VzIHRoZSBjdXJyZW50IHN0YXR1cyBhcyB0aGUgbmV3IHN0YXJ0LlxuICAgICAqL1xuICAgIHByaXZhdGUgY29tbWl0KCkge1xuICAgICAgICB0aGlzLl9yZWNvcmRzID0gW107XG4gICAgICAgIHRoaXMuX25leHRJZCA9IDA7XG4gICAgICAgIHRoaXMuYXBwZW5kKHtcbiAgICAgICAgICAgIHR5cGU6ICdzdGFydCcsXG4gICAgICAgICAgICBjb250ZXh0OiB0aGlzLl9tYWNoaW5lLmdldENvbnRleHQoKSxcbiAgICAgICAgICAgIHNuYXBzaG90OiB0aGlzLl9tYWNoaW5lLnNuYXBzaG90KCksXG4gICAgICAgICAgICB0aW1lc3RhbXA6IERhdGUubm93KClcbiAgICAgICAgfSk7XG4gICAgICAgIGlmICh0aGlzLl9jb25uZWN0aW9uKSB7XG4gICAgICAgICAgICB0aGlzLl9jb25uZWN0aW9uLmluaXQodGhpcy5zdGF0ZU9mKHRoaXMuX3JlY29yZHNbMF0pKTtcbiAgICAgICAgfVxuICAgIH1cbn1cblxuLyoqXG4gKiBSZXByZXNlbnRzIGEgY29ubmVjdGlvbiBvZiB0aGUgbG9jYWwgc3RhbmQtaW4gb2YgdGhlIERldlRvb2xzIGV4dGVuc2lvbi5cbiAqIEBjbGFzcyBMb2NhbERldlRvb2xzQ29ubmVjdGlvblxuICovXG5leHBvcnQgY2xhc3MgTG9jYWxEZXZUb29sc0Nvbm5lY3Rpb24gaW1wbGVtZW50cyBJRGV2VG9vbHNDb25uZWN0aW9uIHtcblxuICAgIC8vIFRoZSBhY3Rpb25zIHJlY2VpdmVkLCB0aGUgc3RhcnQgYmVpbmcgbnVsbFxuICAgIGFjdGlvbnM6IEFycmF5PGFueT47XG4gICAgLy8gVGhlIHN0YXRlcyByZWNlaXZlZCwgdGhlIGluaXRpYWwgb25lIGZpcnN0XG4gICAgc3RhdGVzOiBBcnJheTxhbnk+O1xuICAgIGVycm9yczogQXJyYXk8c3RyaW5nPjtcblxuICAgIHByaXZhdGUgX2xpc3RlbmVyczogQXJyYXk8KG1lc3NhZ2U6IElEZXZUb29sc01lc3NhZ2UpID0+IHZvaWQ+O1xuXG4gICAgY29uc3RydWN0b3IocHVibGljIG5hbWU6IHN0cmluZykge1xuICAgICAgICB0aGlzLmFjdGlvbnMgPSBbXTtcbiAgICAgICAgdGhpcy5zdGF0ZXMgPSBbXTtcbiAgICAgICAgdGhpcy5lcnJvcnMgPSBbXTtcbiAgICAgICAgdGhpcy5fbGlzdGVuZXJzID0gW107XG4gICAgfVxuXG4gICAgaW5pdChzdGF0ZTogYW55KSB7XG4gICAgICAgIHRoaXMuYWN0aW9ucyA9IFtudWxsXTtcbiAgICAgICAgdGhpcy5zdGF0ZXMgPSBbc3RhdGVdO1xuICAgIH1cblxuICAgIHNlbmQoYWN0aW9uOiBhbnksIHN0YXRlOiBhbnkpIHtcbiAgICAgICAgdGhpcy5hY3Rpb25zLnB1c2goYWN0aW9uKTtcbiAgICAgICAgdGhpcy5zdGF0ZXMucHVzaChzdGF0ZSk7XG4gICAgfVxuXG4gICAgc3Vic2NyaWJlKGxpc3RlbmVyOiAobWVzc2FnZTogSURldlRvb2xzTWVzc2FnZSkgPT4gdm9pZCkge1xuICAgICAgICB0aGlzLl9saXN0ZW5lcnMucHVzaChsaXN0ZW5lcik7XG4gICAgICAgIHJldHVybiAoKSA9PiB7XG4gICAgICAgICAgICB0aGlzLl9saXN0ZW5lcnMgPSB0aGlzLl9saXN0ZW5lcnMuZmlsdGVyKGwgPT4gbCAhPT0gbGlzdGVuZXIpO1xuICAgICAgICB9O1xuICAgIH1cblxuICAgIHVuc3Vic2NyaWJlKCkge1xuICAgICAgICB0aGlzLl9saXN0ZW5lcnMgPSBbXTtcbiAgICB9XG5cbiAgICBlcnJvcihtZXNzYWdlOiBzdHJpbmcpIHtcbiAgICAgICAgdGhpcy5lcnJvcnMucHVzaChtZXNzYWdlKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBEZWxpdmVycyBhIG1lc3NhZ2UgYXMgaWYgaXQgd2VyZSBzZW50IGJ5IHRoZSBleHRlbnNpb24uXG4gICAgICovXG4gICAgZGlzcGF0Y2gobWVzc2FnZTogSURldlRvb2xzTWVzc2FnZSkge1xuICAgICAgICBmb3IgKGNvbnN0IGxpc3RlbmVyIG9mIHRoaXMuX2xpc3RlbmVycy5zbGljZSgpKSB7XG4gICAgICAgICAgICBsaXN0ZW5lcihtZXNzYWdlKTtcbiAgICAgICAgfVxuICAgIH1cblxuICAgIC8qKlxuICAgICAqIEFza3MgdG8ganVtcCB0byB0aGUgZ2l2ZW4gYWN0aW9uLCBhcyB0aGUgZXh0ZW5zaW9uIGRvZXMuXG4gICAgICovXG4gICAganVtcFRvQWN0aW9uKGFjdGlvbklkOiBudW1iZXIpIHtcbiAgICAgICAgdGhpcy5kaXNwYXRjaCh7XG4gICAgICAgICAgICB0eXBlOiAnRElTUEFUQ0gnLFxuICAgICAgICAgICAgcGF5bG9hZDogeyB0eXBlOiAnSlVNUF9UT19BQ1RJT04nLCBhY3Rpb25JZDogYWN0aW9uSWQgfSxcbiAgICAgICAgICAgIHN0YXRlOiBKU09OLnN0cmluZ2lmeSh0aGlzLnN0YXRlc1thY3Rpb25JZF0pXG4gICAgICAgIH0pO1xuICAgIH1cbn1cblxuLyoqXG4gKiBSZXByZXNlbnRzIGFuIGluLXByb2Nlc3Mgc3RhbmQtaW4gb2YgdGhlIERldlRvb2xzIGV4dGVuc2lvbixcbiAqIGUuZy4sIGZvciB0ZXN0cy5cbiAqIEBjbGFzcyBMb2NhbERldlRvb2xzXG4gKi9cbmV4cG9ydCBjbGFzcyBMb2NhbERldlRvb2xzIGltcGxlbWVudHMgSURldlRvb2xzRXh0ZW5zaW9uIHtcblxuICAgIGNvbm5lY3Rpb25zOiBBcnJheTxMb2NhbERldlRvb2xzQ29ubmVjdGlvbj47XG5cbiAgICBjb25zdHJ1Y3RvcigpIHtcbiAgICAgICAgdGhpcy5jb25uZWN0aW9ucyA9IFtdO1xuICAgIH1cblxuICAgIGNvbm5lY3Qob3B0aW9ucz86IHsgbmFtZT86IHN0cmluZyB9KSB7XG4gICAgICAgIGNvbnN0IGNvbm5lY3Rpb24gPSBuZXcgTG9jYWxEZXZUb29sc0Nvbm5lY3Rpb24ob3B0aW9ucyAmJiBvcHRpb25zLm5hbWUpO1xuICAgICAgICB0aGlzLmNvbm5lY3Rpb25zLnB1c2goY29ubmVjdGlvbik7XG4gICAgICAgIHJldHVybiBjb25uZWN0aW9uO1xuICAgIH1cbn1cbiJdfQ==
\ No newline at end of file
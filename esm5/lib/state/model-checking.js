@@ -0,0 +1,317 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * @fileOverview
+ * Provides the static analysis of the definition of a finite state machine.
+ * The analysis works on the graph of atomic states, as the FSM is always
+ * in an atomic state of each region: a transition defined on a compound
+ * state leaves from each of its atomic descendants, and a transition to
+ * a compound state ends up in its initial atomic state. A transition to
+ * a history state may end up in any state the history state may remember.
+ * Guard conditions are not evaluated, i.e., every transition is assumed
+ * to be possible.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { parentsOf } from './machine-definition';
+/** @type {?} */
+var defaultRegion = 'default';
+/**
+ * Describes the result of analyzing a definition.
+ * @record
+ */
+export function IAnalysisReport() { }
+if (false) {
+    /** @type {?} */
+    IAnalysisReport.prototype.unreachable;
+    /** @type {?} */
+    IAnalysisReport.prototype.deadEnds;
+    /** @type {?} */
+    IAnalysisReport.prototype.noIncoming;
+    /** @type {?} */
+    IAnalysisReport.prototype.components;
+    /** @type {?} */
+    IAnalysisReport.prototype.cannotReachFinal;
+    /** @type {?} */
+    IAnalysisReport.prototype.ok;
+}
+/**
+ * Describes a transition between two atomic states.
+ * @record
+ */
+export function IStateGraphEdge() { }
+if (false) {
+    /** @type {?} */
+    IStateGraphEdge.prototype.to;
+    /** @type {?} */
+    IStateGraphEdge.prototype.transition;
+    /** @type {?|undefined} */
+    IStateGraphEdge.prototype.event;
+}
+/**
+ * The graph of the atomic states of a definition.
+ * @record
+ */
+export function IStateGraph() { }
+if (false) {
+    /** @type {?} */
+    IStateGraph.prototype.states;
+    /** @type {?} */
+    IStateGraph.prototype.edges;
+    /** @type {?} */
+    IStateGraph.prototype.initial;
+    /** @type {?} */
+    IStateGraph.prototype.regions;
+    /** @type {?} */
+    IStateGraph.prototype.paths;
+    /** @type {?} */
+    IStateGraph.prototype.final;
+}
+/**
+ * Builds the graph of the atomic states of a definition,
+ * following the same rules as the FSM does.
+ * @param {?} definition
+ * @return {?}
+ */
+export function buildStateGraph(definition) {
+    /** @type {?} */
+    var parents = parentsOf(definition);
+    /** @type {?} */
+    var children = {};
+    /** @type {?} */
+    var initials = {};
+    /** @type {?} */
+    var regions = {};
+    /** @type {?} */
+    var paths = {};
+    definition.states.forEach(function (st) {
+        /** @type {?} */
+        var parent = parents[st.name];
+        children[st.name] = [];
+        initials[st.name] = st.initial;
+        if (parent && children[parent]) {
+            children[parent].push(st.name);
+            regions[st.name] = regions[parent];
+            paths[st.name] = paths[parent].concat([st.name]);
+        }
+        else {
+            regions[st.name] = st.region || defaultRegion;
+            paths[st.name] = [st.name];
+        }
+    });
+    /** @type {?} */
+    var atomicStatesOf = function (name) {
+        if (!children[name].length) {
+            return [name];
+        }
+        /** @type {?} */
+        var result = [];
+        children[name].forEach(function (child) {
+            result = result.concat(atomicStatesOf(child));
+        });
+        return result;
+    };
+    /** @type {?} */
+    var resolveAtomicState = function (name) {
+        while (children[name] && children[name].length) {
+            name = initials[name] || children[name][0];
+        }
+        return name;
+    };
+    /** @type {?} */
+    var states = definition.states.map(function (st) { return st.name; }).filter(function (name) { return !children[name].length; });
+    /** @type {?} */
+    var edges = {};
+    states.forEach(function (name) {
+        edges[name] = [];
+    });
+    /** @type {?} */
+    var histories = {};
+    (definition.historyStates || []).forEach(function (h) {
+        if (children[h.parent]) {
+            histories[h.name] = h;
+        }
+    });
+    /** @type {?} */
+    var targetsOf = function (name) {
+        /** @type {?} */
+        var h = histories[name];
+        if (!h) {
+            return [resolveAtomicState(name)];
+        }
+        /** @type {?} */
+        var result = h.deep ? atomicStatesOf(h.parent) : children[h.parent].map(resolveAtomicState);
+        /** @type {?} */
+        var fallback = resolveAtomicState(h.defaultTarget || h.parent);
+        return result.indexOf(fallback) < 0 ? result.concat([fallback]) : result;
+    };
+    (definition.transitions || []).forEach(function (tr) {
+        if (!children[tr.from] || (!children[tr.to] && !histories[tr.to])) {
+            return;
+        }
+        targetsOf(tr.to).forEach(function (to) {
+            atomicStatesOf(tr.from).forEach(function (from) {
+                // The same name as the FSM gives to the transition
+                edges[from].push({ to: to, transition: tr.from + '2' + tr.to, event: tr.event });
+            });
+        });
+    });
+    /** @type {?} */
+    var initial = [];
+    if (definition.initial && children[definition.initial]) {
+        initial.push(resolveAtomicState(definition.initial));
+    }
+    (definition.regions || []).forEach(function (r) {
+        if (children[r.initial]) {
+            initial.push(resolveAtomicState(r.initial));
+        }
+    });
+    /** @type {?} */
+    var finalStates = definition.states.filter(function (st) { return st.final; }).map(function (st) { return st.name; });
+    /** @type {?} */
+    var final = states.filter(function (name) { return paths[name].some(function (s) { return finalStates.indexOf(s) >= 0; }); });
+    return {
+        states: states,
+        edges: edges,
+        initial: initial,
+        regions: regions,
+        paths: paths,
+        final: final
+    };
+}
+/**
+ * Returns the states which can be reached from the given ones,
+ * including themselves, by following the given edges.
+ * @param {?} sources
+ * @param {?} edges
+ * @return {?}
+ */
+function reachableFrom(sources, edges) {
+    /** @type {?} */
+    var visited = {};
+    /** @type {?} */
+    var queue = sources.slice();
+    while (queue.length) {
+        /** @type {?} */
+        var name_1 = queue.shift();
+        if (visited[name_1]) {
+            continue;
+        }
+        visited[name_1] = true;
+        (edges[name_1] || []).forEach(function (e) { return queue.push(e.to); });
+    }
+    return visited;
+}
+/**
+ * Computes the strongly connected components by Tarjan's algorithm.
+ * @param {?} graph
+ * @return {?}
+ */
+function stronglyConnectedComponents(graph) {
+    /** @type {?} */
+    var components = [];
+    /** @type {?} */
+    var index = {};
+    /** @type {?} */
+    var lowLink = {};
+    /** @type {?} */
+    var onStack = {};
+    /** @type {?} */
+    var stack = [];
+    /** @type {?} */
+    var counter = 0;
+    /** @type {?} */
+    var visit = function (name) {
+        index[name] = lowLink[name] = counter++;
+        stack.push(name);
+        onStack[name] = true;
+        graph.edges[name].forEach(function (e) {
+            if (index[e.to] === undefined) {
+                visit(e.to);
+                lowLink[name] = Math.min(lowLink[name], lowLink[e.to]);
+            }
+            else if (onStack[e.to]) {
+                lowLink[name] = Math.min(lowLink[name], index[e.to]);
+            }
+        });
+        if (lowLink[name] === index[name]) {
+            /** @type {?} */
+            var component = [];
+            /** @type {?} */
+            var top_1;
+            do {
+                top_1 = stack.pop();
+                onStack[top_1] = false;
+                component.unshift(top_1);
+            } while (top_1 !== name);
+            components.push(component);
+        }
+    };
+    graph.states.forEach(function (name) {
+        if (index[name] === undefined) {
+            visit(name);
+        }
+    });
+    return components;
+}
+/**
+ * Analyzes a definition, reporting the states which are unreachable,
+ * the dead ends, the states without incoming transitions, the strongly
+ * connected components, and the states which cannot reach a final state.
+ * @param {?} definition
+ * @return {?}
+ */
+export function analyzeDefinition(definition) {
+    /** @type {?} */
+    var graph = buildStateGraph(definition);
+    /** @type {?} */
+    var allStates = definition.states.map(function (st) { return st.name; });
+    /** @type {?} */
+    var atomicStatesIn = function (name) { return graph.states.filter(function (s) { return graph.paths[s].indexOf(name) >= 0; }); };
+    /** @type {?} */
+    var reachable = reachableFrom(graph.initial, graph.edges);
+    /** @type {?} */
+    var unreachable = allStates.filter(function (name) { return !atomicStatesIn(name).some(function (s) { return reachable[s]; }); });
+    /** @type {?} */
+    var deadEnds = graph.states.filter(function (name) { return !graph.edges[name].length && graph.final.indexOf(name) < 0; });
+    /** @type {?} */
+    var entered = {};
+    graph.initial.forEach(function (name) {
+        entered[name] = true;
+    });
+    graph.states.forEach(function (name) {
+        graph.edges[name].forEach(function (e) {
+            entered[e.to] = true;
+        });
+    });
+    /** @type {?} */
+    var noIncoming = allStates.filter(function (name) { return !atomicStatesIn(name).some(function (s) { return entered[s]; }); });
+    // Search backwards from the final states
+    /** @type {?} */
+    var reversed = {};
+    graph.states.forEach(function (name) {
+        graph.edges[name].forEach(function (e) {
+            reversed[e.to] = reversed[e.to] || [];
+            reversed[e.to].push({ to: name });
+        });
+    });
+    /** @type {?} */
+    var reachingFinal = reachableFrom(graph.final, reversed);
+    /** @type {?} */
+    var regionsWithFinal = graph.final.map(function (name) { return graph.regions[name]; });
+    /** @type {?} */
+    var cannotReachFinal = graph.states.filter(function (name) {
+        return regionsWithFinal.indexOf(graph.regions[name]) >= 0 && !reachingFinal[name];
+    });
+    return {
+        unreachable: unreachable,
+        deadEnds: deadEnds,
+        noIncoming: noIncoming,
+        components: stronglyConnectedComponents(graph),
+        cannotReachFinal: cannotReachFinal,
+        ok: !unreachable.length && !deadEnds.length && !cannotReachFinal.length
+    };
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibW9kZWwtY2hlY2tpbmcuanMiLCJzb3VyY2VSb290Ijoibmc6Ly9AcG9scHdhcmUvZmUtYmVoYXZpb3IvIiwic291cmNlcyI6WyJsaWIvc3RhdGUvbW9kZWwtY2hlY2tpbmcudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7Ozs7Ozs7QUFhQSxPQUFPLEVBQStDLFNBQVMsRUFBRSxNQUFNLHNCQUFzQixDQUFDOztJQUV4RixhQUFhLEdBQUcsU0FBUzs7Ozs7QUFLL0IscUNBaUJDOzs7SUFmRyxzQ0FBMkI7O0lBRzNCLG1DQUF3Qjs7SUFHeEIscUNBQTBCOztJQUUxQixxQ0FBaUM7O0lBR2pDLDJDQUFnQzs7SUFHaEMsNkJBQVk7Ozs7OztBQU1oQixxQ0FJQzs7O0lBSEcsNkJBQVc7O0lBQ1gscUNBQW1COztJQUNuQixnQ0FBZTs7Ozs7O0FBTW5CLGlDQWVDOzs7SUFiRyw2QkFBc0I7O0lBR3RCLDRCQUFpRDs7SUFFakQsOEJBQXVCOztJQUV2Qiw4QkFBbUM7O0lBR25DLDRCQUF3Qzs7SUFFeEMsNEJBQXFCOzs7Ozs7OztBQU96QixNQUFNLFVBQVUsZUFBZSxDQUFDLFVBQThCOztRQUNwRCxPQUFPLEdBQUcsU0FBUyxDQUFDLFVBQVUsQ0FBQzs7UUFDL0IsUUFBUSxHQUFxQyxFQUFFOztRQUMvQyxRQUFRLEdBQThCLEVBQUU7O1FBQ3hDLE9BQU8sR0FBOEIsRUFBRTs7UUFDdkMsS0FBSyxHQUFxQyxFQUFFO0lBQ2xELFVBQVUsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLFVBQUEsRUFBRTs7WUFDbEIsTUFBTSxHQUFHLE9BQU8sQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDO1FBQy9CLFFBQVEsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDO1FBQ3ZCLFFBQVEsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLE9BQU8sQ0FBQztRQUMvQixJQUFJLE1BQU0sSUFBSSxRQUFRLENBQUMsTUFBTSxDQUFDLEVBQUU7WUFDNUIsUUFBUSxDQUFDLE1BQU0sQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUM7WUFDL0IsT0FBTyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsR0FBRyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUM7WUFDbkMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsR0FBRyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7U0FDcEQ7YUFBTTtZQUNILE9BQU8sQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLE1BQU0sSUFBSSxhQUFhLENBQUM7WUFDOUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQztTQUM5QjtJQUNMLENBQUMsQ0FBQyxDQUFDOztRQUVHLGNBQWMsR0FBRyxVQUFDLElBQVk7UUFDaEMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLEVBQUU7WUFDeEIsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDO1NBQ2pCOztZQUNHLE1BQU0sR0FBa0IsRUFBRTtRQUM5QixRQUFRLENBQUMsSUFBSSxDQUFDLENBQUMsT0FBTyxDQUFDLFVBQUEsS0FBSztZQUN4QixNQUFNLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxjQUFjLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUNsRCxDQUFDLENBQUMsQ0FBQztRQUNILE9BQU8sTUFBTSxDQUFDO0lBQ2xCLENBQUM7O1FBQ0ssa0JBQWtCLEdBQUcsVUFBQyxJQUFZO1FBQ3BDLE9BQU8sUUFBUSxDQUFDLElBQUksQ0FBQyxJQUFJLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLEVBQUU7WUFDNUMsSUFBSSxHQUFHLFFBQVEsQ0FBQyxJQUFJLENBQUMsSUFBSSxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7U0FDOUM7UUFDRCxPQUFPLElBQUksQ0FBQztJQUNoQixDQUFDOztRQUVLLE1BQU0sR0FBRyxVQUFVLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxVQUFBLEVBQUUsSUFBSSxPQUFBLEVBQUUsQ0FBQyxJQUFJLEVBQVAsQ0FBTyxDQUFDLENBQUMsTUFBTSxDQUFDLFVBQUEsSUFBSSxJQUFJLE9BQUEsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxFQUF0QixDQUFzQixDQUFDOztRQUNwRixLQUFLLEdBQThDLEVBQUU7SUFDM0QsTUFBTSxDQUFDLE9BQU8sQ0FBQyxVQUFBLElBQUk7UUFDZixLQUFLLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDO0lBQ3JCLENBQUMsQ0FBQyxDQUFDOztRQUNHLFNBQVMsR0FBK0MsRUFBRTtJQUNoRSxDQUFDLFVBQVUsQ0FBQyxhQUFhLElBQUksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLFVBQUEsQ0FBQztRQUN0QyxJQUFJLFFBQVEsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEVBQUU7WUFDcEIsU0FBUyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7U0FDekI7SUFDTCxDQUFDLENBQUMsQ0FBQzs7UUFDRyxTQUFTLEdBQUcsVUFBQyxJQUFZOztZQUNyQixDQUFDLEdBQUcsU0FBUyxDQUFDLElBQUksQ0FBQztRQUN6QixJQUFJLENBQUMsQ0FBQyxFQUFFO1lBQ0osT0FBTyxDQUFDLGtCQUFrQixDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7U0FDckM7O1lBQ0ssTUFBTSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxDQUFDLGtCQUFrQixDQUFDOztZQUN2RixRQUFRLEdBQUcsa0JBQWtCLENBQUMsQ0FBQyxDQUFDLGFBQWEsSUFBSSxDQUFDLENBQUMsTUFBTSxDQUFDO1FBQ2hFLE9BQU8sTUFBTSxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUM7SUFDN0UsQ0FBQztJQUVELENBQUMsVUFBVSxDQUFDLFdBQVcsSUFBSSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsVUFBQSxFQUFFO1FBQ3JDLElBQUksQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxFQUFFO1lBQy9ELE9BQU87U0FDVjtRQUNELFNBQVMsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLFVBQUEsRUFBRTtZQUN2QixjQUFjLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDLE9BQU8sQ0FBQyxVQUFBLElBQUk7Z0JBQ2hDLG1EQUFtRDtnQkFDbkQsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsVUFBVSxFQUFFLEVBQUUsQ0FBQyxJQUFJLEdBQUcsR0FBRyxHQUFHLEVBQUUsQ0FBQyxFQUFFLEVBQUUsS0FBSyxFQUFFLEVBQUUsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDO1lBQ3JGLENBQUMsQ0FBQyxDQUFDO1FBQ1AsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDLENBQUMsQ0FBQzs7UUFFRyxPQUFPLEdBQWtCLEVBQUU7SUFDakMsSUFBSSxVQUFVLENBQUMsT0FBTyxJQUFJLFFBQVEsQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLEVBQUU7UUFDcEQsT0FBTyxDQUFDLElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztLQUN4RDtJQUNELENBQUMsVUFBVSxDQUFDLE9BQU8sSUFBSSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsVUFBQSxDQUFDO1FBQ2hDLElBQUksUUFBUSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsRUFBRTtZQUNyQixPQUFPLENBQUMsSUFBSSxDQUFDLGtCQUFrQixDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO1NBQy9DO0lBQ0wsQ0FBQyxDQUFDLENBQUM7O1FBRUcsV0FBVyxHQUFHLFVBQVUsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLFVBQUEsRUFBRSxJQUFJLE9BQUEsRUFBRSxDQUFDLEtBQUssRUFBUixDQUFRLENBQUMsQ0FBQyxHQUFHLENBQUMsVUFBQSxFQUFFLElBQUksT0FBQSxFQUFFLENBQUMsSUFBSSxFQUFQLENBQU8sQ0FBQzs7UUFDekUsS0FBSyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsVUFBQSxJQUFJLElBQUksT0FBQSxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLFVBQUEsQ0FBQyxJQUFJLE9BQUEsV0FBVyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQTNCLENBQTJCLENBQUMsRUFBbEQsQ0FBa0QsQ0FBQztJQUV2RixPQUFPO1FBQ0gsTUFBTSxFQUFFLE1BQU07UUFDZCxLQUFLLEVBQUUsS0FBSztRQUNaLE9BQU8sRUFBRSxPQUFPO1FBQ2hCLE9BQU8sRUFBRSxPQUFPO1FBQ2hCLEtBQUssRUFBRSxLQUFLO1FBQ1osS0FBSyxFQUFFLEtBQUs7S0FDZixDQUFDO0FBQ04sQ0FBQzs7Ozs7Ozs7QUFNRCxTQUFTLGFBQWEsQ0FBQyxPQUFzQixFQUFFLEtBQStDOztRQUNwRixPQUFPLEdBQStCLEVBQUU7O1FBQ3hDLEtBQUssR0FBRyxPQUFPLENBQUMsS0FBSyxFQUFFO0lBQzdCLE9BQU8sS0FBSyxDQUFDLE1BQU0sRUFBRTs7WUFDWCxNQUFJLEdBQUcsS0FBSyxDQUFDLEtBQUssRUFBRTtRQUMxQixJQUFJLE9BQU8sQ0FBQyxNQUFJLENBQUMsRUFBRTtZQUNmLFNBQVM7U0FDWjtRQUNELE9BQU8sQ0FBQyxNQUFJLENBQUMsR0FBRyxJQUFJLENBQUM7UUFDckIsQ0FBQyxLQUFLLENBQUMsTUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLFVBQUEsQ0FBQyxJQUFJLE9BQUEsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQWhCLENBQWdCLENBQUMsQ0FBQztLQUN0RDtJQUNELE9BQU8sT0FBTyxDQUFDO0FBQ25CLENBQUM7Ozs7OztBQUtELFNBQVMsMkJBQTJCLENBQUMsS0FBa0I7O1FBQzdDLFVBQVUsR0FBeUIsRUFBRTs7UUFDckMsS0FBSyxHQUE4QixFQUFFOztRQUNyQyxPQUFPLEdBQThCLEVBQUU7O1FBQ3ZDLE9BQU8sR0FBK0IsRUFBRTs7UUFDeEMsS0FBSyxHQUFrQixFQUFFOztRQUMzQixPQUFPLEdBQUcsQ0FBQzs7UUFFVCxLQUFLLEdBQUcsVUFBQyxJQUFZO1FBQ3ZCLEtBQUssQ0FBQyxJQUFJLENBQUMsR0FBRyxPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsT0FBTyxFQUFFLENBQUM7UUFDeEMsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUNqQixPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxDQUFDO1FBQ3JCLEtBQUssQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsT0FBTyxDQUFDLFVBQUEsQ0FBQztZQUN2QixJQUFJLEtBQUssQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEtBQUssU0FBUyxFQUFFO2dCQUMzQixLQUFLLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDO2dCQUNaLE9BQU8sQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRSxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7YUFDMUQ7aUJBQU0sSUFBSSxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFO2dCQUN0QixPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO2FBQ3hEO1FBQ0wsQ0FBQyxDQUFDLENBQUM7UUFDSCxJQUFJLE9BQU8sQ0FBQyxJQUFJLENBQUMsS0FBSyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUU7O2dCQUN6QixTQUFTLEdBQWtCLEVBQUU7O2dCQUMvQixLQUFXO1lBQ2YsR0FBRztnQkFDQyxLQUFHLEdBQUcsS0FBSyxDQUFDLEdBQUcsRUFBRSxDQUFDO2dCQUNsQixPQUFPLENBQUMsS0FBRyxDQUFDLEdBQUcsS0FBSyxDQUFDO2dCQUNyQixTQUFTLENBQUMsT0FBTyxDQUFDLEtBQUcsQ0FBQyxDQUFDO2FBQzFCLFFBQVEsS0FBRyxLQUFLLElBQUksRUFBRTtZQUN2QixVQUFVLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDO1NBQzlCO0lBQ0wsQ0FBQztJQUVELEtBQUssQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLFVBQUEsSUFBSTtRQUNyQixJQUFJLEtBQUssQ0FBQyxJQUFJLENBQUMsS0FBSyxTQUFTLEVBQUU7WUFDM0IsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDO1NBQ2Y7SUFDTCxDQUFDLENBQUMsQ0FBQztJQUNILE9BQU8sVUFBVSxDQUFDO0FBQ3RCLENBQUM7Ozs7Ozs7O0FBT0QsTUFBTSxVQUFVLGlCQUFpQixDQUFDLFVBQThCOztRQUN0RCxLQUFLLEdBQUcsZUFBZSxDQUFDLFVBQVUsQ0FBQzs7UUFDbkMsU0FBUyxHQUFHLFVBQVUsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLFVBQUEsRUFBRSxJQUFJLE9BQUEsRUFBRSxDQUFDLElBQUksRUFBUCxDQUFPLENBQUM7O1FBQ2hELGNBQWMsR0FBRyxVQUFDLElBQVksSUFBSyxPQUFBLEtBQUssQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLFVBQUEsQ0FBQyxJQUFJLE9BQUEsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFqQyxDQUFpQyxDQUFDLEVBQTNELENBQTJEOztRQUU5RixTQUFTLEdBQUcsYUFBYSxDQUFDLEtBQUssQ0FBQyxPQUFPLEVBQUUsS0FBSyxDQUFDLEtBQUssQ0FBQzs7UUFDckQsV0FBVyxHQUFHLFNBQVMsQ0FBQyxNQUFNLENBQUMsVUFBQSxJQUFJLElBQUksT0FBQSxDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsVUFBQSxDQUFDLElBQUksT0FBQSxTQUFTLENBQUMsQ0FBQyxDQUFDLEVBQVosQ0FBWSxDQUFDLEVBQTdDLENBQTZDLENBQUM7O1FBRXJGLFFBQVEsR0FBRyxLQUFLLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxVQUFBLElBQUksSUFBSSxPQUFBLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLElBQUksS0FBSyxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUExRCxDQUEwRCxDQUFDOztRQUVsRyxPQUFPLEdBQStCLEVBQUU7SUFDOUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsVUFBQSxJQUFJO1FBQ3RCLE9BQU8sQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUM7SUFDekIsQ0FBQyxDQUFDLENBQUM7SUFDSCxLQUFLLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxVQUFBLElBQUk7UUFDckIsS0FBSyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQyxPQUFPLENBQUMsVUFBQSxDQUFDO1lBQ3ZCLE9BQU8sQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEdBQUcsSUFBSSxDQUFDO1FBQ3pCLENBQUMsQ0FBQyxDQUFDO0lBQ1AsQ0FBQyxDQUFDLENBQUM7O1FBQ0csVUFBVSxHQUFHLFNBQVMsQ0FBQyxNQUFNLENBQUMsVUFBQSxJQUFJLElBQUksT0FBQSxDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsVUFBQSxDQUFDLElBQUksT0FBQSxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQVYsQ0FBVSxDQUFDLEVBQTNDLENBQTJDLENBQUM7OztRQUdsRixRQUFRLEdBQTZDLEVBQUU7SUFDN0QsS0FBSyxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsVUFBQSxJQUFJO1FBQ3JCLEtBQUssQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsT0FBTyxDQUFDLFVBQUEsQ0FBQztZQUN2QixRQUFRLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLElBQUksRUFBRSxDQUFDO1lBQ3RDLFFBQVEsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsRUFBRSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUM7UUFDdEMsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDLENBQUMsQ0FBQzs7UUFDRyxhQUFhLEdBQUcsYUFBYSxDQUFDLEtBQUssQ0FBQyxLQUFLLEVBQUUsUUFBUSxDQUFDOztRQUNwRCxnQkFBZ0IsR0FBRyxLQUFLLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxVQUFBLElBQUksSUFBSSxPQUFBLEtBQUssQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQW5CLENBQW1CLENBQUM7O1FBQy9ELGdCQUFnQixHQUFHLEtBQUssQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLFVBQUEsSUFBSTtRQUM3QyxPQUFPLGdCQUFnQixDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLElBQUksQ0FBQyxDQUFDO0lBQ3RGLENBQUMsQ0FBQztJQUVGLE9BQU87UUFDSCxXQUFXLEVBQUUsV0FBVztRQUN4QixRQUFRLEVBQUUsUUFBUTtRQUNsQixVQUFVLEVBQUUsVUFBVTtRQUN0QixVQUFVLEVBQUUsMkJBQTJCLENBQUMsS0FBSyxDQUFDO1FBQzlDLGdCQUFnQixFQUFFLGdCQUFnQjtRQUNsQyxFQUFFLEVBQUUsQ0FBQyxXQUFXLENBQUMsTUFBTSxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sSUFBSSxDQUFDLGdCQUFnQixDQUFDLE1BQU07S0FDMUUsQ0FBQztBQUNOLENBQUMiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBmaWxlT3ZlcnZpZXdcbiAqIFByb3ZpZGVzIHRoZSBzdGF0aWMgYW5hbHlzaXMgb2YgdGhlIGRlZmluaXRpb24gb2YgYSBmaW5pdGUgc3RhdGUgbWFjaGluZS5cbiAqIFRoZSBhbmFseXNpcyB3b3JrcyBvbiB0aGUgZ3JhcGggb2YgYXRvbWljIHN0YXRlcywgYXMgdGhlIEZTTSBpcyBhbHdheXNcbiAqIGluIGFuIGF0b21pYyBzdGF0ZSBvZiBlYWNoIHJlZ2lvbjogYSB0cmFuc2l0aW9uIGRlZmluZWQgb24gYSBjb21wb3VuZFxuICogc3RhdGUgbGVhdmVzIGZyb20gZWFjaCBvZiBpdHMgYXRvbWljIGRlc2NlbmRhbnRzLCBhbmQgYSB0cmFuc2l0aW9uIHRvXG4gKiBhIGNvbXBvdW5kIHN0YXRlIGVuZHMgdXAgaW4gaXRzIGluaXRpYWwgYXRvbWljIHN0YXRlLiBBIHRyYW5zaXRpb24gdG9cbiAqIGEgaGlzdG9yeSBzdGF0ZSBtYXkgZW5kIHVwIGluIGFueSBzdGF0ZSB0aGUgaGlzdG9yeSBzdGF0ZSBtYXkgcmVtZW1iZXIuXG4gKiBHdWFyZCBjb25kaXRpb25zIGFyZSBub3QgZXZhbHVhdGVkLCBpLmUuLCBldmVyeSB0cmFuc2l0aW9uIGlzIGFzc3VtZWRcbiAqIHRvIGJlIHBvc3NpYmxlLlxuICogQGF1dGhvciBYaWFvbG9uZyBUYW5nIDx4eGxvbmd0YW5nQGdtYWlsLmNvbT5cbiAqIEBsaWNlbnNlIENvcHlyaWdodCBAbWVcbiAqL1xuaW1wb3J0IHsgSUhpc3RvcnlTdGF0ZURlZmluaXRpb24sIElNYWNoaW5lRGVmaW5pdGlvbiwgcGFyZW50c09mIH0gZnJvbSAnLi9tYWNoaW5lLWRlZmluaXRpb24nO1xuXG5jb25zdCBkZWZhdWx0UmVnaW9uID0gJ2RlZmF1bHQnO1xuXG4vKipcbiAqIERlc2NyaWJlcyB0aGUgcmVzdWx0IG9mIGFuYWx5emluZyBhIGRlZmluaXRpb24uXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgSUFuYWx5c2lzUmVwb3J0IHtcbiAgICAvLyBUaGUgc3RhdGVzIHdoaWNoIGNhbm5vdCBiZSBlbnRlcmVkIGZyb20gdGhlIGluaXQgc3RhdGVzLlxuICAgIHVucmVhY2hhYmxlOiBBcnJheTxzdHJpbmc+O1xuICAgIC8vIFRoZSBhdG9taWMgc3RhdGVzIHdpdGhvdXQgYW55IG91dGdvaW5nIHRyYW5zaXRpb24sXG4gICAgLy8gd2hpY2ggYXJlIG5vdCBtYXJrZWQgYXMgZmluYWwuXG4gICAgZGVhZEVuZHM6IEFycmF5PHN0cmluZz47XG4gICAgLy8gVGhlIHN0YXRlcyB3aGljaCBhcmUgbmVpdGhlciBlbnRlcmVkIGJ5IGFueSB0cmFuc2l0aW9uXG4gICAgLy8gbm9yIGVudGVyZWQgaW5pdGlhbGx5LlxuICAgIG5vSW5jb21pbmc6IEFycmF5PHN0cmluZz47XG4gICAgLy8gVGhlIHN0cm9uZ2x5IGNvbm5lY3RlZCBjb21wb25lbnRzIG9mIHRoZSBhdG9taWMgc3RhdGVzLlxuICAgIGNvbXBvbmVudHM6IEFycmF5PEFycmF5PHN0cmluZz4+O1xuICAgIC8vIFRoZSBhdG9taWMgc3RhdGVzIGZyb20gd2hpY2ggbm8gZmluYWwgc3RhdGUgY2FuIGJlIHJlYWNoZWQsXG4gICAgLy8gcmVwb3J0ZWQgZm9yIHRoZSByZWdpb25zIHdpdGggYXQgbGVhc3Qgb25lIGZpbmFsIHN0YXRlLlxuICAgIGNhbm5vdFJlYWNoRmluYWw6IEFycmF5PHN0cmluZz47XG4gICAgLy8gV2hldGhlciB0aGVyZSBpcyBuZWl0aGVyIGFueSB1bnJlYWNoYWJsZSBzdGF0ZSwgbm9yIGFueSBkZWFkIGVuZCxcbiAgICAvLyBub3IgYW55IHN0YXRlIHdoaWNoIGNhbm5vdCByZWFjaCBhIGZpbmFsIHN0YXRlLlxuICAgIG9rOiBib29sZWFuO1xufVxuXG4vKipcbiAqIERlc2NyaWJlcyBhIHRyYW5zaXRpb24gYmV0d2VlbiB0d28gYXRvbWljIHN0YXRlcy5cbiAqL1xuZXhwb3J0IGludGVyZmFjZSBJU3RhdGVHcmFwaEVkZ2Uge1xuICAgIHRvOiBzdHJpbmc7XG4gICAgdHJhbnNpdGlvbjogc3RyaW5nO1xuICAgIGV2ZW50Pzogc3RyaW5nO1xufVxuXG4vKipcbiAqIFRoZSBncmFwaCBvZiB0aGUgYXRvbWljIHN0YXRlcyBvZiBhIGRlZmluaXRpb24uXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgSVN0YXRlR3JhcGgge1xuICAgIC8vIFRoZSBhdG9taWMgc3RhdGVzLCBpbiB0aGUgb3JkZXIgb2YgZGVmaW5pdGlvblxuICAgIHN0YXRlczogQXJyYXk8c3RyaW5nPjtcbiAgICAvLyBUaGUgdGFyZ2V0cyBvZiB0aGUgdHJhbnNpdGlvbnMgZnJvbSBlYWNoIGF0b21pYyBzdGF0ZSxcbiAgICAvLyB0b2dldGhlciB3aXRoIHRoZSBuYW1lcyBhbmQgdGhlIGV2ZW50cyBvZiB0aGUgdHJhbnNpdGlvbnMuXG4gICAgZWRnZXM6IHsgW2tleTogc3RyaW5nXTogQXJyYXk8SVN0YXRlR3JhcGhFZGdlPiB9O1xuICAgIC8vIFRoZSBhdG9taWMgc3RhdGVzIGluaXRpYWxseSBlbnRlcmVkLCBvbmUgZm9yIGVhY2ggcmVnaW9uXG4gICAgaW5pdGlhbDogQXJyYXk8c3RyaW5nPjtcbiAgICAvLyBUaGUgcmVnaW9uIG9mIGVhY2ggc3RhdGVcbiAgICByZWdpb25zOiB7IFtrZXk6IHN0cmluZ106IHN0cmluZyB9O1xuICAgIC8vIFRoZSBlbmNsb3Npbmcgc3RhdGVzIG9mIGVhY2ggc3RhdGUsIHN0YXJ0aW5nIGZyb20gdGhlIG91dGVybW9zdCBvbmUsXG4gICAgLy8gYW5kIGVuZGluZyB3aXRoIHRoZSBzdGF0ZSBpdHNlbGYuXG4gICAgcGF0aHM6IHsgW2tleTogc3RyaW5nXTogQXJyYXk8c3RyaW5nPiB9O1xuICAgIC8vIFRoZSBhdG9taWMgc3RhdGVzIHdoaWNoIGFyZSwgb3IgYXJlIG5lc3RlZCBpbiwgYSBmaW5hbCBzdGF0ZVxuICAgIGZpbmFsOiBBcnJheTxzdHJpbmc+O1xufVxuXG4vKipcbiAqIEJ1aWxkcyB0aGUgZ3JhcGggb2YgdGhlIGF0b21pYyBzdGF0ZXMgb2YgYSBkZWZpbml0aW9uLFxuICogZm9sbG93aW5nIHRoZSBzYW1lIHJ1bGVzIGFzIHRoZSBGU00gZG9lcy5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIGJ1aWxkU3RhdGVHcmFwaChkZWZpbml0aW9uOiBJTWFjaGluZURlZmluaXRpb24pOiBJU3RhdGVHcmFwaCB7XG4gICAgY29uc3QgcGFyZW50cyA9IHBhcmVudHNPZihkZWZpbml0aW9uKTtcbiAgICBjb25zdCBjaGlsZHJlbjogeyBba2V5OiBzdHJpbmddOiBBcnJheTxzdHJpbmc+IH0gPSB7fTtcbiAgICBjb25zdCBpbml0aWFsczogeyBba2V5OiBzdHJpbmddOiBzdHJpbmcgfSA9IHt9O1xuICAgIGNvbnN0IHJlZ2lvbnM6IHsgW2tleTogc3RyaW5nXTogc3RyaW5nIH0gPSB7fTtcbiAgICBjb25zdCBwYXRoczogeyBba2V5OiBzdHJpbmddOiBBcnJheTxzdHJpbmc+IH0gPSB7fTtcbiAgICBkZWZpbml0aW9uLnN0YXRlcy5mb3JFYWNoKHN0ID0+IHtcbiAgICAgICAgY29uc3QgcGFyZW50ID0gcGFyZW50c1tzdC5uYW1lXTtcbiAgICAgICAgY2hpbGRyZW5bc3QubmFtZV0gPSBbXTtcbiAgICAgICAgaW5pdGlhbHNbc3QubmFtZV0gPSBzdC5pbml0aWFsO1xuICAgICAgICBpZiAocGFyZW50ICYmIGNoaWxkcmVuW3BhcmVudF0pIHtcbiAgICAgICAgICAgIGNoaWxkcmVuW3BhcmVudF0ucHVzaChzdC5uYW1lKTtcbiAgICAgICAgICAgIHJlZ2lvbnNbc3QubmFtZV0gPSByZWdpb25zW3BhcmVudF07XG4gICAgICAgICAgICBwYXRoc1tzdC5uYW1lXSA9IHBhdGhzW3BhcmVudF0uY29uY2F0KFtzdC5uYW1lXSk7XG4gICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICByZWdpb25zW3N0Lm5hbWVdID0gc3QucmVnaW9uIHx8IGRlZmF1bHRSZWdpb247XG4gICAgICAgICAgICBwYXRoc1tzdC5uYW1lXSA9IFtzdC5uYW1lXTtcbiAgICAgICAgfVxuICAgIH0pO1xuXG4gICAgY29uc3QgYXRvbWljU3RhdGVzT2YgPSAobmFtZTogc3RyaW5nKTogQXJyYXk8c3RyaW5nPiA9PiB7XG4gICAgICAgIGlmICghY2hpbGRyZW5bbmFtZV0ubGVuZ3RoKSB7XG4gICAgICAgICAgICByZXR1cm4gW25hbWVdO1xuICAgICAgICB9XG4gICAgICAgIGxldCByZXN1bHQ6IEFycmF5PHN0cmluZz4gPSBbXTtcbiAgICAgICAgY2hpbGRyZW5bbmFtZV0uZm9yRWFjaChjaGlsZCA9PiB7XG4gICAgICAgICAgICByZXN1bHQgPSByZXN1bHQuY29uY2F0KGF0b21pY1N0YXRlc09mKGNoaWxkKSk7XG4gICAgICAgIH0pO1xuICAgICAgICByZXR1cm4gcmVzdWx0O1xuICAgIH07XG4gICAgY29uc3QgcmVzb2x2ZUF0b21pY1N0YXRlID0gKG5hbWU6IHN0cmluZykgPT4ge1xuICAgICAgICB3aGlsZSAoY2hpbGRyZW5bbmFtZV0gJiYgY2hpbGRyZW5bbmFtZV0ubGVuZ3RoKSB7XG4gICAgICAgICAgICBuYW1lID0gaW5pdGlhbHNbbmFtZV0gfHwgY2hpbGRyZW5bbmFtZV1bMF07XG4gICAgICAgIH1cbiAgICAgICAgcmV0dXJuIG5hbWU7XG4gICAgfTtcblxuICAgIGNvbnN0IHN0YXRlcyA9IGRlZmluaXRpb24uc3RhdGVzLm1hcChzdCA9PiBzdC5uYW1lKS5maWx0ZXIobmFtZSA9PiAhY2hpbGRyZW5bbmFtZV0ubGVuZ3RoKTtcbiAgICBjb25zdCBlZGdlczogeyBba2V5OiBzdHJpbmddOiBBcnJheTxJU3RhdGVHcmFwaEVkZ2U+IH0gPSB7fTtcbiAgICBzdGF0ZXMuZm9yRWFjaChuYW1lID0+IHtcbiAgICAgICAgZWRnZXNbbmFtZV0gPSBbXTtcbiAgICB9KTtcbiAgICBjb25zdCBoaXN0b3JpZXM6IHsgW2tleTogc3RyaW5nXTogSUhpc3RvcnlTdGF0ZURlZmluaXRpb24gfSA9IHt9O1xuICAgIChkZWZpbml0aW9uLmhpc3RvcnlTdGF0ZXMgfHwgW10pLmZvckVhY2goaCA9PiB7XG4gICAgICAgIGlmIChjaGlsZHJlbltoLnBhcmVudF0pIHtcbiAgICAgICAgICAgIGhpc3Rvcmllc1toLm5hbWVdID0gaDtcbiAgICAgICAgfVxuICAgIH0pO1xuICAgIGNvbnN0IHRhcmdldHNPZiA9IChuYW1lOiBzdHJpbmcpID0+IHtcbiAgICAgICAgY29uc3QgaCA9IGhpc3Rvcmllc1tuYW1lXTtcbiAgICAgICAgaWYgKCFoKSB7XG4gICAgICAgICAgICByZXR1cm4gW3Jlc29sdmVBdG9taWNTdGF0ZShuYW1lKV07XG4gICAgICAgIH1cbiAgICAgICAgY29uc3QgcmVzdWx0ID0gaC5kZWVwID8gYXRvbWljU3RhdGVzT2YoaC5wYXJlbnQpIDogY2hpbGRyZW5baC5wYXJlbnRdLm1hcChyZXNvbHZlQXRvbWljU3RhdGUpO1xuICAgICAgICBjb25zdCBmYWxsYmFjayA9IHJlc29sdmVBdG9taWNTdGF0ZShoLmRlZmF1bHRUYXJnZXQgfHwgaC5wYXJlbnQpO1xuICAgICAgICByZXR1cm4gcmVzdWx0LmluZGV4T2YoZmFsbGJhY2spIDwgMCA/IHJlc3VsdC5jb25jYXQoW2ZhbGxiYWNrXSkgOiByZXN1bHQ7XG4gICAgfTtcblxuICAgIChkZWZpbml0aW9uLnRyYW5zaXRpb25zIHx8IFtdKS5mb3JFYWNoKHRyID0+IHtcbiAgICAgICAgaWYgKCFjaGlsZHJlblt0ci5mcm9tXSB8fCAoIWNoaWxkcmVuW3RyLnRvXSAmJiAhaGlzdG9yaWVzW3RyLnRvXSkpIHtcbiAgICAgICAgICAgIHJldHVybjtcbiAgICAgICAgfVxuICAgICAgICB0YXJnZXRzT2YodHIudG8pLmZvckVhY2godG8gPT4ge1xuICAgICAgICAgICAgYXRvbWljU3RhdGVzT2YodHIuZnJvbSkuZm9yRWFjaChmcm9tID0+IHtcbiAgICAgICAgICAgICAgICAvLyBUaGUgc2FtZSBuYW1lIGFzIHRoZSBGU00gZ2l2ZXMgdG8gdGhlIHRyYW5zaXRpb25cbiAgICAgICAgICAgICAgICBlZGdlc1tmcm9tXS5wdXNoKHsgdG86IHRvLCB0cmFuc2l0aW9uOiB0ci5mcm9tICsgJzInICsgdHIudG8sIGV2ZW50OiB0ci5ldmVudCB9KTtcbiAgICAgICAgICAgIH0pO1xuICAgICAgICB9KTtcbiAgICB9KTtcblxuICAgIGNvbnN0IGluaXRpYWw6IEFycmF5PHN0cmluZz4gPSBbXTtcbiAgICBpZiAoZGVmaW5pdGlvbi5pbml0aWFsICYmIGNoaWxkcmVuW2RlZmluaXRpb24uaW5pdGlhbF0pIHtcbiAgICAgICAgaW5pdGlhbC5wdXNoKHJlc29sdmVBdG9taWNTdGF0ZShkZWZpbml0aW9uLmluaXRpYWwpKTtcbiAgICB9XG4gICAgKGRlZmluaXRpb24ucmVnaW9ucyB8fCBbXSkuZm9yRWFjaChyID0+IHtcbiAgICAgICAgaWYgKGNoaWxkcmVuW3IuaW5pdGlhbF0pIHtcbiAgICAgICAgICAgIGluaXRpYWwucHVzaChyZXNvbHZlQXRvbWljU3RhdGUoci5pbml0aWFsKSk7XG4gICAgICAgIH1cbiAgICB9KTtcblxuICAgIGNvbnN0IGZpbmFsU3RhdGVzID0gZGVmaW5pdGlvbi5zdGF0ZXMuZmlsdGVyKHN0ID0+IHN0LmZpbmFsKS5tYXAoc3QgPT4gc3QubmFtZSk7XG4gICAgY29uc3QgZmluYWwgPSBzdGF0ZXMuZmlsdGVyKG5hbWUgPT4gcGF0aHNbbmFtZV0uc29tZShzID0+IGZpbmFsU3RhdGVzLmluZGV4T2YocykgPj0gMCkpO1xuXG4gICAgcmV0dXJuIHtcbiAgICAgICAgc3RhdGVzOiBzdGF0ZXMsXG4gICAgICAgIGVkZ2VzOiBlZGdlcyxcbiAgICAgICAgaW5pdGlhbDogaW5pdGlhbCxcbiAgICAgICAgcmVnaW9uczogcmVnaW9ucyxcbiAgICAgICAgcGF0aHM6IHBhdGhzLFxuICAgICAgICBmaW5hbDogZmluYWxcbiAgICB9O1xufVxuXG4vKipcbiAqIFJldHVybnMgdGhlIHN0YXRlcyB3aGljaCBjYW4gYmUgcmVhY2hlZCBmcm9tIHRoZSBnaXZlbiBvbmVzLFxuICogaW5jbHVkaW5nIHRoZW1zZWx2ZXMsIGJ5IGZvbGxvd2luZyB0aGUgZ2l2ZW4gZWRnZXMuXG4gKi9cbmZ1bmN0aW9uIHJlYWNoYWJsZUZyb20oc291cmNlczogQXJyYXk8c3RyaW5nPiwgZWRnZXM6IHsgW2tleTogc3RyaW5nXTogQXJyYXk8eyB0bzogc3RyaW5nIH0+IH0pIHtcbiAgICBjb25zdCB2aXNpdGVkOiB7IFtrZXk6IHN0cmluZ106IGJvb2xlYW4gfSA9IHt9O1xuICAgIGNvbnN0IHF1ZXVlID0gc291cmNlcy5zbGljZSgpO1xuICAgIHdoaWxlIChxdWV1ZS5sZW5ndGgpIHtcbiAgICAgICAgY29uc3QgbmFtZSA9IHF1ZXVlLnNoaWZ0KCk7XG4gICAgICAgIGlmICh2aXNpdGVkW25hbWVdKSB7XG4gICAgICAgICAgICBjb250aW51ZTtcbiAgICAgICAgfVxuICAgICAgICB2aXNpdGVkW25hbWVdID0gdHJ1ZTtcbiAgICAgICAgKGVkZ2VzW25hbWVdIHx8IFtdKS5mb3JFYWNoKGUgPT4gcXVldWUucHVzaChlLnRvKSk7XG4gICAgfVxuICAgIHJldHVybiB2aXNpdGVkO1xufVxuXG4vKipcbiAqIENvbXB1dGVzIHRoZSBzdHJvbmdseSBjb25uZWN0ZWQgY29tcG9uZW50cyBieSBUYXJqYW4ncyBhbGdvcml0aG0uXG4gKi9cbmZ1bmN0aW9uIHN0cm9uZ2x5Q29ubmVjdGVkQ29tcG9uZW50cyhncmFwaDogSVN0YXRlR3JhcGgpIHtcbiAgICBjb25zdCBjb21wb25lbnRzOiBBcnJheTxBcnJheTxzdHJpbmc+PiA9IFtdO1xuICAgIGNvbnN0IGluZGV4OiB7IFtrZXk6IHN0cmluZ106IG51bWJlciB9ID0ge307XG4gICAgY29uc3QgbG93TGluazogeyBba2V5OiBzdHJpbmddOiBudW1iZXIgfSA9IHt9O1xuICAgIGNvbnN0IG9uU3RhY2s6IHsgW2tleTogc3RyaW5nXTogYm9vbGVhbiB9ID0ge307XG4gICAgY29uc3Qgc3RhY2s6IEFycmF5PHN0cmluZz4gPSBbXTtcbiAgICBsZXQgY291bnRlciA9IDA7XG5cbiAgICBjb25zdCB2aXNpdCA9IChuYW1lOiBzdHJpbmcpID0+IHtcbiAgICAgICAgaW5kZXhbbmFtZV0gPSBsb3dMaW5rW25hbWVdID0gY291bnRlcisrO1xuICAgICAgICBzdGFjay5wdXNoKG5hbWUpO1xuICAgICAgICBvblN0YWNrW25hbWVdID0gdHJ1ZTtcbiAgICAgICAgZ3JhcGguZWRnZXNbbmFtZV0uZm9yRWFjaChlID0+IHtcbiAgICAgICAgICAgIGlmIChpbmRleFtlLnRvXSA9PT0gdW5kZWZpbmVkKSB7XG4gICAgICAgICAgICAgICAgdmlzaXQoZS50byk7XG4gICAgICAgICAgICAgICAgbG93TGlua1tuYW1lXSA9IE1hdGgubWluKGxvd0xpbmtbbmFtZV0sIGxvd0xpbmtbZS50b10pO1xuICAgICAgICAgICAgfSBlbHNlIGlmIChvblN0YWNrW2UudG9dKSB7XG4gICAgICAgICAgICAgICAgbG93TGlua1tuYW1lXSA9IE1hdGgubWluKGxvd0xpbmtbbmFtZV0sIGluZGV4W2UudG9dKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfSk7XG4gICAgICAgIGlmIChsb3dMaW5rW25hbWVdID09PSBpbmRleFtuYW1lXSkge1xuICAgICAgICAgICAgY29uc3QgY29tcG9uZW50OiBBcnJheTxzdHJpbmc+ID0gW107XG4gICAgICAgICAgICBsZXQgdG9wOiBzdHJpbmc7XG4gICAgICAgICAgICBkbyB7XG4gICAgICAgICAgICAgICAgdG9wID0gc3RhY2sucG9wKCk7XG4gICAgICAgICAgICAgICAgb25TdGFja1t0b3BdID0gZmFsc2U7XG4gICAgICAgICAgICAgICAgY29tcG9uZW50LnVuc2hpZnQodG9wKTtcbiAgICAgICAgICAgIH0gd2hpbGUgKHRvcCAhPT0gbmFtZSk7XG4gICAgICAgICAgICBjb21wb25lbnRzLnB1c2goY29tcG9uZW50KTtcbiAgICAgICAgfVxuICAgIH07XG5cbiAgICBncmFwaC5zdGF0ZXMuZm9yRWFjaChuYW1lID0+IHtcbiAgICAgICAgaWYgKGluZGV4W25hbWVdID09PSB1bmRlZmluZWQpIHtcbiAgICAgICAgICAgIHZpc2l0KG5hbWUpO1xuICAgICAgICB9XG4gICAgfSk7XG4gICAgcmV0dXJuIGNvbXBvbmVudHM7XG59XG5cbi8qKlxuICogQW5hbHl6ZXMgYSBkZWZpbml0aW9uLCByZXBvcnRpbmcgdGhlIHN0YXRlcyB3aGljaCBhcmUgdW5yZWFjaGFibGUsXG4gKiB0aGUgZGVhZCBlbmRzLCB0aGUgc3RhdGVzIHdpdGhvdXQgaW5jb21pbmcgdHJhbnNpdGlvbnMsIHRoZSBzdHJvbmdseVxuICogY29ubmVjdGVkIGNvbXBvbmVudHMsIGFuZCB0aGUgc3RhdGVzIHdoaWNoIGNhbm5vdCByZWFjaCBhIGZpbmFsIHN0YXRlLlxuICovXG5leHBvcnQgZnVuY3Rpb24gYW5hbHl6ZURlZmluaXRpb24oZGVmaW5pdGlvbjogSU1hY2hpbmVEZWZpbml0aW9uKTogSUFuYWx5c2lzUmVwb3J0IHtcbiAgICBjb25zdCBncmFwaCA9IGJ1aWxkU3RhdGVHcmFwaChkZWZpbml0aW9uKTtcbiAgICBjb25zdCBhbGxTdGF0ZXMgPSBkZWZpbml0aW9uLnN0YXRlcy5tYXAoc3QgPT4gc3QubmFtZSk7XG4gICAgY29uc3QgYXRvbWljU3RhdGVzSW4gPSAobmFtZTogc3RyaW5nKSA9PiBncmFwaC5zdGF0ZXMuZmlsdGVyKHMgPT4gZ3JhcGgucGF0aHNbc10uaW5kZXhPZihuYW1lKSA+PSAwKTtcblxuICAgIGNvbnN0IHJlYWNoYWJsZSA9IHJlYWNoYWJsZUZyb20oZ3JhcGguaW5pdGlhbCwgZ3JhcGguZWRnZXMpO1xuICAgIGNvbnN0IHVucmVhY2hhYmxlID0gYWxsU3RhdGVzLmZpbHRlcihuYW1lID0+ICFhdG9taWNTdGF0ZXNJbihuYW1lKS5zb21lKHMgPT4gcmVhY2hhYmxlW3NdKSk7XG5cbiAgICBjb25zdCBkZWFkRW5kcyA9IGdyYXBoLnN0YXRlcy5maWx0ZXIobmFtZSA9PiAhZ3JhcGguZWRnZXNbbmFtZV0ubGVuZ3RoICYmIGdyYXBoLmZpbmFsLmluZGV4T2YobmFtZSkgPCAwKTtcblxuICAgIGNvbnN0IGVudGVyZWQ6IHsgW2tleTogc3RyaW5nXTogYm9vbGVhbiB9ID0ge307XG4gICAgZ3JhcGguaW5pdGlhbC5mb3JFYWNoKG5hbWUgPT4ge1xuICAgICAgICBlbnRlcmVkW25hbWVdID0gdHJ1ZTtcbiAgICB9KTtcbiAgICBncmFwaC5zdGF0ZXMuZm9yRWFjaChuYW1lID0+IHtcbiAgICAgICAgZ3JhcGguZWRnZXNbbmFtZV0uZm9yRWFjaChlID0+IHtcbiAgICAgICAgICAgIGVudGVyZWRbZS50b10gPSB0cnVlO1xuICAgICAgICB9KTtcbiAgICB9KTtcbiAgICBjb25zdCBub0luY29taW5nID0gYWxsU3RhdGVzLmZpbHRlcihuYW1lID0+ICFhdG9taWNTdGF0ZXNJbihuYW1lKS5zb21lKHMgPT4gZW50ZXJlZFtzXSkpO1xuXG4gICAgLy8gU2VhcmNoIGJhY2t3YXJkcyBmcm9tIHRoZSBmaW5hbCBzdGF0ZXNcbiAgICBjb25zdCByZXZlcnNlZDogeyBba2V5OiBzdHJpbmddOiBBcnJheTx7IHRvOiBzdHJpbmcgfT4gfSA9IHt9O1xuICAgIGdyYXBoLnN0YXRlcy5mb3JFYWNoKG5hbWUgPT4ge1xuICAgICAgICBncmFwaC5lZGdlc1tuYW1lXS5mb3JFYWNoKGUgPT4ge1xuICAgICAgICAgICAgcmV2ZXJzZWRbZS50b10gPSByZXZlcnNlZFtlLnRvXSB8fCBbXTtcbiAgICAgICAgICAgIHJldmVyc2VkW2UudG9dLnB1c2goeyB0bzogbmFtZSB9KTtcbiAgICAgICAgfSk7XG4gICAgfSk7XG4gICAgY29uc3QgcmVhY2hpbmdGaW5hbCA9IHJlYWNoYWJsZUZyb20oZ3JhcGguZmluYWwsIHJldmVyc2VkKTtcbiAgICBjb25zdCByZWdpb25zV2l0aEZpbmFsID0gZ3JhcGguZmluYWwubWFwKG5hbWUgPT4gZ3JhcGgucmVnaW9uc1tuYW1lXSk7XG4gICAgY29uc3QgY2Fubm90UmVhY2hGaW5hbCA9IGdyYXBoLnN0YXRlcy5maWx0ZXIobmFtZSA9PiB7XG4gICAgICAgIHJldHVybiByZWdpb25zV2l0aEZpbmFsLmluZGV4T2YoZ3JhcGgucmVnaW9uc1tuYW1lXSkgPj0gMCAmJiAhcmVhY2hpbmdGaW5hbFtuYW1lXTtcbiAgICB9KTtcblxuICAgIHJldHVybiB7XG4gICAgICAgIHVucmVhY2hhYmxlOiB1bnJlYWNoYWJsZSxcbiAgICAgICAgZGVhZEVuZHM6IGRlYWRFbmRzLFxuICAgICAgICBub0luY29taW5nOiBub0luY29taW5nLFxuICAgICAgICBjb21wb25lbnRzOiBzdHJvbmdseUNvbm5lY3RlZENvbXBvbmVudHMoZ3JhcGgpLFxuICAgICAgICBjYW5ub3RSZWFjaEZpbmFsOiBjYW5ub3RSZWFjaEZpbmFsLFxuICAgICAgICBvazogIXVucmVhY2hhYmxlLmxlbmd0aCAmJiAhZGVhZEVuZHMubGVuZ3RoICYmICFjYW5ub3RSZWFjaEZpbmFsLmxlbmd0aFxuICAgIH07XG59XG4iXX0=
\ No newline at end of file
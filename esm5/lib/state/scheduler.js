@@ -0,0 +1,192 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * @fileOverview
+ * Provides the schedulers which drive the delayed transitions
+ * of a finite state machine.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+/**
+ * Defines a clock which runs callbacks after a delay.
+ * @record
+ */
+export function IScheduler() { }
+if (false) {
+    /**
+     * @param {?} callback
+     * @param {?} delay
+     * @return {?}
+     */
+    IScheduler.prototype.setTimeout = function (callback, delay) { };
+    /**
+     * @param {?} handle
+     * @return {?}
+     */
+    IScheduler.prototype.clearTimeout = function (handle) { };
+}
+/**
+ * The scheduler based on the timers of the environment.
+ * @type {?}
+ */
+export var realTimeScheduler = {
+    setTimeout: function (callback, delay) { return setTimeout(callback, delay); },
+    clearTimeout: function (handle) { return clearTimeout(handle); }
+};
+/**
+ * @record
+ */
+function IVirtualTask() { }
+if (false) {
+    /** @type {?} */
+    IVirtualTask.prototype.id;
+    /** @type {?} */
+    IVirtualTask.prototype.time;
+    /** @type {?} */
+    IVirtualTask.prototype.callback;
+}
+/**
+ * Represents a scheduler of virtual time, which moves on only
+ * when it is advanced. It is intended for deterministic tests.
+ */
+var /**
+ * Represents a scheduler of virtual time, which moves on only
+ * when it is advanced. It is intended for deterministic tests.
+ */
+VirtualScheduler = /** @class */ (function () {
+    function VirtualScheduler() {
+        this._now = 0;
+        this._counter = 0;
+        this._tasks = [];
+    }
+    /**
+     * Returns the current virtual time in milliseconds.
+     */
+    /**
+     * Returns the current virtual time in milliseconds.
+     * @return {?}
+     */
+    VirtualScheduler.prototype.now = /**
+     * Returns the current virtual time in milliseconds.
+     * @return {?}
+     */
+    function () {
+        return this._now;
+    };
+    /**
+     * Returns the number of the callbacks to be run.
+     */
+    /**
+     * Returns the number of the callbacks to be run.
+     * @return {?}
+     */
+    VirtualScheduler.prototype.pending = /**
+     * Returns the number of the callbacks to be run.
+     * @return {?}
+     */
+    function () {
+        return this._tasks.length;
+    };
+    /**
+     * @param {?} callback
+     * @param {?} delay
+     * @return {?}
+     */
+    VirtualScheduler.prototype.setTimeout = /**
+     * @param {?} callback
+     * @param {?} delay
+     * @return {?}
+     */
+    function (callback, delay) {
+        /** @type {?} */
+        var id = ++this._counter;
+        this._tasks.push({
+            id: id,
+            time: this._now + Math.max(0, delay || 0),
+            callback: callback
+        });
+        return id;
+    };
+    /**
+     * @param {?} handle
+     * @return {?}
+     */
+    VirtualScheduler.prototype.clearTimeout = /**
+     * @param {?} handle
+     * @return {?}
+     */
+    function (handle) {
+        this._tasks = this._tasks.filter(function (t) { return t.id !== handle; });
+    };
+    /**
+     * Moves the virtual time forward, and runs the callbacks which
+     * become due in the order of their due time (and then in the order
+     * they are scheduled), including the ones scheduled meanwhile.
+     */
+    /**
+     * Moves the virtual time forward, and runs the callbacks which
+     * become due in the order of their due time (and then in the order
+     * they are scheduled), including the ones scheduled meanwhile.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} ms
+     * @return {THIS}
+     */
+    VirtualScheduler.prototype.advance = /**
+     * Moves the virtual time forward, and runs the callbacks which
+     * become due in the order of their due time (and then in the order
+     * they are scheduled), including the ones scheduled meanwhile.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} ms
+     * @return {THIS}
+     */
+    function (ms) {
+        /** @type {?} */
+        var target = (/** @type {?} */ (this))._now + ms;
+        for (;;) {
+            /** @type {?} */
+            var next = null;
+            for (var _i = 0, _a = (/** @type {?} */ (this))._tasks; _i < _a.length; _i++) {
+                var t = _a[_i];
+                if (t.time <= target && (!next || t.time < next.time || (t.time === next.time && t.id < next.id))) {
+                    next = t;
+                }
+            }
+            if (!next) {
+                break;
+            }
+            (/** @type {?} */ (this)).clearTimeout(next.id);
+            (/** @type {?} */ (this))._now = next.time;
+            next.callback();
+        }
+        (/** @type {?} */ (this))._now = target;
+        return (/** @type {?} */ (this));
+    };
+    return VirtualScheduler;
+}());
+/**
+ * Represents a scheduler of virtual time, which moves on only
+ * when it is advanced. It is intended for deterministic tests.
+ */
+export { VirtualScheduler };
+if (false) {
+    /**
+     * @type {?}
+     * @private
+     */
+    VirtualScheduler.prototype._now;
+    /**
+     * @type {?}
+     * @private
+     */
+    VirtualScheduler.prototype._counter;
+    /**
+     * @type {?}
+     * @private
+     */
+    VirtualScheduler.prototype._tasks;
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2NoZWR1bGVyLmpzIiwic291cmNlUm9vdCI6Im5nOi8vQHBvbHB3YXJlL2ZlLWJlaGF2aW9yLyIsInNvdXJjZXMiOlsibGliL3N0YXRlL3NjaGVkdWxlci50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7QUFXQSxnQ0FHQzs7Ozs7OztJQUZHLGlFQUFxRDs7Ozs7SUFDckQsMERBQWdDOzs7Ozs7QUFNcEMsTUFBTSxLQUFPLGlCQUFpQixHQUFlO0lBQ3pDLFVBQVUsRUFBRSxVQUFDLFFBQW9CLEVBQUUsS0FBYSxJQUFLLE9BQUEsVUFBVSxDQUFDLFFBQVEsRUFBRSxLQUFLLENBQUMsRUFBM0IsQ0FBMkI7SUFDaEYsWUFBWSxFQUFFLFVBQUMsTUFBVyxJQUFLLE9BQUEsWUFBWSxDQUFDLE1BQU0sQ0FBQyxFQUFwQixDQUFvQjtDQUN0RDs7OztBQUVELDJCQUlDOzs7SUFIRywwQkFBVzs7SUFDWCw0QkFBYTs7SUFDYixnQ0FBcUI7Ozs7OztBQVF6Qjs7Ozs7SUFNSTtRQUNJLElBQUksQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDO1FBQ2QsSUFBSSxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUM7UUFDbEIsSUFBSSxDQUFDLE1BQU0sR0FBRyxFQUFFLENBQUM7SUFDckIsQ0FBQztJQUVEOztPQUVHOzs7OztJQUNILDhCQUFHOzs7O0lBQUg7UUFDSSxPQUFPLElBQUksQ0FBQyxJQUFJLENBQUM7SUFDckIsQ0FBQztJQUVEOztPQUVHOzs7OztJQUNILGtDQUFPOzs7O0lBQVA7UUFDSSxPQUFPLElBQUksQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDO0lBQzlCLENBQUM7Ozs7OztJQUVELHFDQUFVOzs7OztJQUFWLFVBQVcsUUFBb0IsRUFBRSxLQUFhOztZQUNwQyxFQUFFLEdBQUcsRUFBRSxJQUFJLENBQUMsUUFBUTtRQUMxQixJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQztZQUNiLEVBQUUsRUFBRSxFQUFFO1lBQ04sSUFBSSxFQUFFLElBQUksQ0FBQyxJQUFJLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsS0FBSyxJQUFJLENBQUMsQ0FBQztZQUN6QyxRQUFRLEVBQUUsUUFBUTtTQUNyQixDQUFDLENBQUM7UUFDSCxPQUFPLEVBQUUsQ0FBQztJQUNkLENBQUM7Ozs7O0lBRUQsdUNBQVk7Ozs7SUFBWixVQUFhLE1BQVc7UUFDcEIsSUFBSSxDQUFDLE1BQU0sR0FBRyxJQUFJLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxVQUFBLENBQUMsSUFBSSxPQUFBLENBQUMsQ0FBQyxFQUFFLEtBQUssTUFBTSxFQUFmLENBQWUsQ0FBQyxDQUFDO0lBQzNELENBQUM7SUFFRDs7OztPQUlHOzs7Ozs7Ozs7O0lBQ0gsa0NBQU87Ozs7Ozs7OztJQUFQLFVBQVEsRUFBVTs7WUFDUixNQUFNLEdBQUcsbUJBQUEsSUFBSSxFQUFBLENBQUMsSUFBSSxHQUFHLEVBQUU7UUFDN0IsU0FBVzs7Z0JBQ0gsSUFBSSxHQUFpQixJQUFJO1lBQzdCLEtBQWdCLFVBQVcsRUFBWCxLQUFBLG1CQUFBLElBQUksRUFBQSxDQUFDLE1BQU0sRUFBWCxjQUFXLEVBQVgsSUFBVyxFQUFFO2dCQUF4QixJQUFNLENBQUMsU0FBQTtnQkFDUixJQUFJLENBQUMsQ0FBQyxJQUFJLElBQUksTUFBTSxJQUFJLENBQUMsQ0FBQyxJQUFJLElBQUksQ0FBQyxDQUFDLElBQUksR0FBRyxJQUFJLENBQUMsSUFBSSxJQUFJLENBQUMsQ0FBQyxDQUFDLElBQUksS0FBSyxJQUFJLENBQUMsSUFBSSxJQUFJLENBQUMsQ0FBQyxFQUFFLEdBQUcsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUU7b0JBQy9GLElBQUksR0FBRyxDQUFDLENBQUM7aUJBQ1o7YUFDSjtZQUNELElBQUksQ0FBQyxJQUFJLEVBQUU7Z0JBQ1AsTUFBTTthQUNUO1lBQ0QsbUJBQUEsSUFBSSxFQUFBLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztZQUMzQixtQkFBQSxJQUFJLEVBQUEsQ0FBQyxJQUFJLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQztZQUN0QixJQUFJLENBQUMsUUFBUSxFQUFFLENBQUM7U0FDbkI7UUFDRCxtQkFBQSxJQUFJLEVBQUEsQ0FBQyxJQUFJLEdBQUcsTUFBTSxDQUFDO1FBQ25CLE9BQU8sbUJBQUEsSUFBSSxFQUFBLENBQUM7SUFDaEIsQ0FBQztJQUNMLHVCQUFDO0FBQUQsQ0FBQyxBQWhFRCxJQWdFQzs7Ozs7Ozs7Ozs7SUE5REcsZ0NBQXFCOzs7OztJQUNyQixvQ0FBeUI7Ozs7O0lBQ3pCLGtDQUFvQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGZpbGVPdmVydmlld1xuICogUHJvdmlkZXMgdGhlIHNjaGVkdWxlcnMgd2hpY2ggZHJpdmUgdGhlIGRlbGF5ZWQgdHJhbnNpdGlvbnNcbiAqIG9mIGEgZmluaXRlIHN0YXRlIG1hY2hpbmUuXG4gKiBAYXV0aG9yIFhpYW9sb25nIFRhbmcgPHh4bG9uZ3RhbmdAZ21haWwuY29tPlxuICogQGxpY2Vuc2UgQ29weXJpZ2h0IEBtZVxuICovXG5cbi8qKlxuICogRGVmaW5lcyBhIGNsb2NrIHdoaWNoIHJ1bnMgY2FsbGJhY2tzIGFmdGVyIGEgZGVsYXkuXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgSVNjaGVkdWxlciB7XG4gICAgc2V0VGltZW91dChjYWxsYmFjazogKCkgPT4gdm9pZCwgZGVsYXk6IG51bWJlcik6IGFueTtcbiAgICBjbGVhclRpbWVvdXQoaGFuZGxlOiBhbnkpOiB2b2lkO1xufVxuXG4vKipcbiAqIFRoZSBzY2hlZHVsZXIgYmFzZWQgb24gdGhlIHRpbWVycyBvZiB0aGUgZW52aXJvbm1lbnQuXG4gKi9cbmV4cG9ydCBjb25zdCByZWFsVGltZVNjaGVkdWxlcjogSVNjaGVkdWxlciA9IHtcbiAgICBzZXRUaW1lb3V0OiAoY2FsbGJhY2s6ICgpID0+IHZvaWQsIGRlbGF5OiBudW1iZXIpID0+IHNldFRpbWVvdXQoY2FsbGJhY2ssIGRlbGF5KSxcbiAgICBjbGVhclRpbWVvdXQ6IChoYW5kbGU6IGFueSkgPT4gY2xlYXJUaW1lb3V0KGhhbmRsZSlcbn07XG5cbmludGVyZmFjZSBJVmlydHVhbFRhc2sge1xuICAgIGlkOiBudW1iZXI7XG4gICAgdGltZTogbnVtYmVyO1xuICAgIGNhbGxiYWNrOiAoKSA9PiB2b2lkO1xufVxuXG4vKipcbiAqIFJlcHJlc2VudHMgYSBzY2hlZHVsZXIgb2YgdmlydHVhbCB0aW1lLCB3aGljaCBtb3ZlcyBvbiBvbmx5XG4gKiB3aGVuIGl0IGlzIGFkdmFuY2VkLiBJdCBpcyBpbnRlbmRlZCBmb3IgZGV0ZXJtaW5pc3RpYyB0ZXN0cy5cbiAqIEBjbGFzcyBWaXJ0dWFsU2NoZWR1bGVyXG4gKi9cbmV4cG9ydCBjbGFzcyBWaXJ0dWFsU2NoZWR1bGVyIGltcGxlbWVudHMgSVNjaGVkdWxlciB7XG5cbiAgICBwcml2YXRlIF9ub3c6IG51bWJlcjtcbiAgICBwcml2YXRlIF9jb3VudGVyOiBudW1iZXI7XG4gICAgcHJpdmF0ZSBfdGFza3M6IEFycmF5PElWaXJ0dWFsVGFzaz47XG5cbiAgICBjb25zdHJ1Y3RvcigpIHtcbiAgICAgICAgdGhpcy5fbm93ID0gMDtcbiAgICAgICAgdGhpcy5fY291bnRlciA9IDA7XG4gICAgICAgIHRoaXMuX3Rhc2tzID0gW107XG4gICAgfVxuXG4gICAgLyoqXG4gICAgICogUmV0dXJucyB0aGUgY3VycmVudCB2aXJ0dWFsIHRpbWUgaW4gbWlsbGlzZWNvbmRzLlxuICAgICAqL1xuICAgIG5vdygpIHtcbiAgICAgICAgcmV0dXJuIHRoaXMuX25vdztcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBSZXR1cm5zIHRoZSBudW1iZXIgb2YgdGhlIGNhbGxiYWNrcyB0byBiZSBydW4uXG4gICAgICovXG4gICAgcGVuZGluZygpIHtcbiAgICAgICAgcmV0dXJuIHRoaXMuX3Rhc2tzLmxlbmd0aDtcbiAgICB9XG5cbiAgICBzZXRUaW1lb3V0KGNhbGxiYWNrOiAoKSA9PiB2b2lkLCBkZWxheTogbnVtYmVyKSB7XG4gICAgICAgIGNvbnN0IGlkID0gKyt0aGlzLl9jb3VudGVyO1xuICAgICAgICB0aGlzLl90YXNrcy5wdXNoKHtcbiAgICAgICAgICAgIGlkOiBpZCxcbiAgICAgICAgICAgIHRpbWU6IHRoaXMuX25vdyArIE1hdGgubWF4KDAsIGRlbGF5IHx8IDApLFxuICAgICAgICAgICAgY2FsbGJhY2s6IGNhbGxiYWNrXG4gICAgICAgIH0pO1xuICAgICAgICByZXR1cm4gaWQ7XG4gICAgfVxuXG4gICAgY2xlYXJUaW1lb3V0KGhhbmRsZTogYW55KSB7XG4gICAgICAgIHRoaXMuX3Rhc2tzID0gdGhpcy5fdGFza3MuZmlsdGVyKHQgPT4gdC5pZCAhPT0gaGFuZGxlKTtcbiAgICB9XG5cbiAgICAvKipcbiAgICAgKiBNb3ZlcyB0aGUgdmlydHVhbCB0aW1lIGZvcndhcmQsIGFuZCBydW5zIHRoZSBjYWxsYmFja3Mgd2hpY2hcbiAgICAgKiBiZWNvbWUgZHVlIGluIHRoZSBvcmRlciBvZiB0aGVpciBkdWUgdGltZSAoYW5kIHRoZW4gaW4gdGhlIG9yZGVyXG4gICAgICogdGhleSBhcmUgc2NoZWR1bGVkKSwgaW5jbHVkaW5nIHRoZSBvbmVzIHNjaGVkdWxlZCBtZWFud2hpbGUuXG4gICAgICovXG4gICAgYWR2YW5jZShtczogbnVtYmVyKSB7XG4gICAgICAgIGNvbnN0IHRhcmdldCA9IHRoaXMuX25vdyArIG1zO1xuICAgICAgICBmb3IgKDsgOyApIHtcbiAgICAgICAgICAgIGxldCBuZXh0OiBJVmlydHVhbFRhc2sgPSBudWxsO1xuICAgICAgICAgICAgZm9yIChjb25zdCB0IG9mIHRoaXMuX3Rhc2tzKSB7XG4gICAgICAgICAgICAgICAgaWYgKHQudGltZSA8PSB0YXJnZXQgJiYgKCFuZXh0IHx8IHQudGltZSA8IG5leHQudGltZSB8fCAodC50aW1lID09PSBuZXh0LnRpbWUgJiYgdC5pZCA8IG5leHQuaWQpKSkge1xuICAgICAgICAgICAgICAgICAgICBuZXh0ID0gdDtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICBpZiAoIW5leHQpIHtcbiAgICAgICAgICAgICAgICBicmVhaztcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIHRoaXMuY2xlYXJUaW1lb3V0KG5leHQuaWQpO1xuICAgICAgICAgICAgdGhpcy5fbm93ID0gbmV4dC50aW1lO1xuICAgICAgICAgICAgbmV4dC5jYWxsYmFjaygpO1xuICAgICAgICB9XG4gICAgICAgIHRoaXMuX25vdyA9IHRhcmdldDtcbiAgICAgICAgcmV0dXJuIHRoaXM7XG4gICAgfVxufVxuIl19
\ No newline at end of file
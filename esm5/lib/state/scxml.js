@@ -0,0 +1,638 @@
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * @fileOverview
+ * Provides the conversion between SCXML (W3C State Chart XML) documents
+ * and the declarative definition of a finite state machine.
+ * Only the subset of SCXML which has a counterpart in the FSM is
+ * supported; any other construct is reported as a problem.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { DefinitionError, parentsOf } from './machine-definition';
+/** @type {?} */
+var scxmlNamespace = 'http://www.w3.org/2005/07/scxml';
+/** @type {?} */
+var defaultRegion = 'default';
+/** @type {?} */
+var identifierPattern = /^[A-Za-z_$][\w$]*$/;
+/**
+ * @record
+ */
+function IXmlElement() { }
+if (false) {
+    /** @type {?} */
+    IXmlElement.prototype.name;
+    /** @type {?} */
+    IXmlElement.prototype.attributes;
+    /** @type {?} */
+    IXmlElement.prototype.children;
+    /** @type {?} */
+    IXmlElement.prototype.text;
+}
+/** @type {?} */
+var entities = {
+    lt: '<', gt: '>', amp: '&', quot: '"', apos: '\''
+};
+/**
+ * @param {?} value
+ * @return {?}
+ */
+function decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|\w+);/g, function (all, code) {
+        if (code.charAt(0) === '#') {
+            return String.fromCharCode(code.charAt(1) === 'x' ?
+                parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10));
+        }
+        return entities.hasOwnProperty(code) ? entities[code] : all;
+    });
+}
+/**
+ * @param {?} value
+ * @return {?}
+ */
+function encodeEntities(value) {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+/**
+ * Parses a XML document into a tree of elements. This is a small
+ * non-validating parser; namespace prefixes are dropped, and processing
+ * instructions, comments and doctype declarations are skipped.
+ * @param {?} xml
+ * @return {?}
+ */
+function parseXml(xml) {
+    /** @type {?} */
+    var pos = 0;
+    /** @type {?} */
+    var fail = function (message) {
+        throw new Error('Malformed XML at ' + pos + ': ' + message);
+    };
+    /** @type {?} */
+    var localName = function (name) { return name.substring(name.indexOf(':') + 1); };
+    /** @type {?} */
+    var skipUntil = function (token) {
+        /** @type {?} */
+        var end = xml.indexOf(token, pos);
+        if (end < 0) {
+            fail('missing ' + token);
+        }
+        pos = end + token.length;
+    };
+    /** @type {?} */
+    var skipMisc = function () {
+        for (;;) {
+            while (pos < xml.length && /\s/.test(xml.charAt(pos))) {
+                pos++;
+            }
+            if (xml.substr(pos, 2) === '<?') {
+                skipUntil('?>');
+            }
+            else if (xml.substr(pos, 4) === '<!--') {
+                skipUntil('-->');
+            }
+            else if (xml.substr(pos, 9) === '<!DOCTYPE') {
+                skipUntil('>');
+            }
+            else {
+                return;
+            }
+        }
+    };
+    /** @type {?} */
+    var parseElement = function () {
+        /** @type {?} */
+        var head = /^<([\w:.-]+)/.exec(xml.substring(pos));
+        if (!head) {
+            fail('expected an element');
+        }
+        pos += head[0].length;
+        /** @type {?} */
+        var element = { name: localName(head[1]), attributes: {}, children: [], text: '' };
+        for (;;) {
+            /** @type {?} */
+            var attr = /^\s+([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/.exec(xml.substring(pos));
+            if (!attr) {
+                break;
+            }
+            /** @type {?} */
+            var value = attr[3] !== undefined ? attr[3] : attr[4];
+            element.attributes[attr[1]] = decodeEntities(value);
+            pos += attr[0].length;
+        }
+        /** @type {?} */
+        var tail = /^\s*(\/?)>/.exec(xml.substring(pos));
+        if (!tail) {
+            fail('unterminated tag ' + head[1]);
+        }
+        pos += tail[0].length;
+        if (tail[1]) {
+            return element;
+        }
+        for (;;) {
+            if (pos >= xml.length) {
+                fail('unclosed element ' + head[1]);
+            }
+            if (xml.substr(pos, 2) === '</') {
+                /** @type {?} */
+                var close_1 = /^<\/([\w:.-]+)\s*>/.exec(xml.substring(pos));
+                if (!close_1 || close_1[1] !== head[1]) {
+                    fail('mismatched closing tag for ' + head[1]);
+                }
+                pos += close_1[0].length;
+                return element;
+            }
+            if (xml.substr(pos, 4) === '<!--') {
+                skipUntil('-->');
+            }
+            else if (xml.substr(pos, 9) === '<![CDATA[') {
+                /** @type {?} */
+                var start = pos + 9;
+                skipUntil(']]>');
+                element.text += xml.substring(start, pos - 3);
+            }
+            else if (xml.substr(pos, 2) === '<?') {
+                skipUntil('?>');
+            }
+            else if (xml.charAt(pos) === '<') {
+                element.children.push(parseElement());
+            }
+            else {
+                /** @type {?} */
+                var next = xml.indexOf('<', pos);
+                /** @type {?} */
+                var end = next < 0 ? xml.length : next;
+                element.text += decodeEntities(xml.substring(pos, end));
+                pos = end;
+            }
+        }
+    };
+    skipMisc();
+    /** @type {?} */
+    var root = parseElement();
+    skipMisc();
+    if (pos < xml.length) {
+        fail('unexpected content after the root element');
+    }
+    return root;
+}
+/**
+ * Parses a SCXML document into a definition. The onentry and onexit
+ * handlers, as well as the executable content of a transition, are
+ * expected to consist of a single script element, whose text is the name
+ * of the callback; the cond attribute is expected to be the name of
+ * a guard. The data elements of the datamodel make up the context data,
+ * and their expressions must be JSON values. A targetless transition
+ * is taken as an internal self-transition. A parallel element at the top
+ * stands for the orthogonal regions: each of its child states is a region,
+ * whose children are the states in the region, and the one with the id
+ * 'default' is the default region.
+ * If any unsupported construct is met, a DefinitionError listing
+ * all of them is thrown.
+ * @param {?} xml
+ * @return {?}
+ */
+export function parseScxml(xml) {
+    /** @type {?} */
+    var errors = [];
+    /** @type {?} */
+    var root;
+    try {
+        root = parseXml(xml);
+    }
+    catch (e) {
+        throw new DefinitionError([{ path: '', message: e.message }]);
+    }
+    if (root.name !== 'scxml') {
+        throw new DefinitionError([{ path: '/' + root.name, message: 'Not a SCXML document' }]);
+    }
+    /** @type {?} */
+    var states = [];
+    /** @type {?} */
+    var historyStates = [];
+    /** @type {?} */
+    var transitions = [];
+    /** @type {?} */
+    var regions = [];
+    /** @type {?} */
+    var definition = { states: states, transitions: transitions };
+    /** @type {?} */
+    var unsupported = function (path, what) {
+        errors.push({ path: path, message: 'Unsupported ' + what });
+    };
+    // Returns the callback name given by the executable content of an element.
+    /** @type {?} */
+    var callbackOf = function (element, path) {
+        /** @type {?} */
+        var scripts = element.children.filter(function (c) { return c.name === 'script'; });
+        element.children.forEach(function (c) {
+            if (c.name !== 'script') {
+                unsupported(path + '/' + c.name, 'executable content: ' + c.name);
+            }
+        });
+        if (scripts.length > 1) {
+            unsupported(path + '/script', 'multiple scripts');
+        }
+        if (!scripts.length) {
+            return undefined;
+        }
+        /** @type {?} */
+        var name = scripts[0].text.trim();
+        if (scripts[0].attributes.src || !identifierPattern.test(name)) {
+            unsupported(path + '/script', 'script; expected the name of a callback');
+            return undefined;
+        }
+        return name;
+    };
+    // Returns the target of an initial element.
+    /** @type {?} */
+    var initialOf = function (element, path) {
+        /** @type {?} */
+        var trans = element.children.filter(function (c) { return c.name === 'transition'; });
+        if (trans.length !== 1 || !trans[0].attributes.target || trans[0].children.length) {
+            unsupported(path, element.name + ' element; expected a single transition with a target');
+            return undefined;
+        }
+        return trans[0].attributes.target;
+    };
+    /** @type {?} */
+    var readTransition = function (element, from, path) {
+        /** @type {?} */
+        var attrs = element.attributes;
+        // A targetless transition leaves no state, and enters none.
+        /** @type {?} */
+        var transition = attrs.target ?
+            { from: from, to: attrs.target } :
+            { from: from, to: from, internal: true };
+        if (attrs.target && /\s/.test(attrs.target.trim())) {
+            unsupported(path + '/@target', 'multiple targets: ' + attrs.target);
+            return;
+        }
+        if (!attrs.event) {
+            unsupported(path, 'eventless transition');
+        }
+        else if (/\s/.test(attrs.event.trim()) || /[*]/.test(attrs.event)) {
+            unsupported(path + '/@event', 'event descriptor: ' + attrs.event);
+        }
+        else {
+            transition.event = attrs.event;
+        }
+        if (attrs.cond) {
+            if (identifierPattern.test(attrs.cond.trim())) {
+                transition.guard = attrs.cond.trim();
+            }
+            else {
+                unsupported(path + '/@cond', 'condition; expected the name of a guard: ' + attrs.cond);
+            }
+        }
+        if (attrs.type === 'internal') {
+            unsupported(path + '/@type', 'internal transition');
+        }
+        /** @type {?} */
+        var onAfter = callbackOf(element, path);
+        if (onAfter) {
+            transition.onAfter = onAfter;
+        }
+        transitions.push(transition);
+    };
+    /** @type {?} */
+    var readHistory = function (element, parent, path) {
+        /** @type {?} */
+        var id = element.attributes.id;
+        if (!id) {
+            unsupported(path, 'history without an id');
+            return;
+        }
+        /** @type {?} */
+        var history = { name: id, parent: parent };
+        if (element.attributes.type === 'deep') {
+            history.deep = true;
+        }
+        if (element.children.length) {
+            // The default transition
+            /** @type {?} */
+            var target = initialOf(element, path + '[@id=\'' + id + '\']');
+            if (target) {
+                history.defaultTarget = target;
+            }
+        }
+        historyStates.push(history);
+    };
+    /** @type {?} */
+    var readState = function (element, parent, path, region) {
+        /** @type {?} */
+        var id = element.attributes.id;
+        if (!id) {
+            unsupported(path, 'state without an id');
+            return;
+        }
+        path = path + '[@id=\'' + id + '\']';
+        /** @type {?} */
+        var state = { name: id };
+        if (parent) {
+            state.parent = parent;
+        }
+        if (region && region !== defaultRegion) {
+            state.region = region;
+        }
+        if (element.attributes.initial) {
+            state.initial = element.attributes.initial;
+        }
+        if (element.name === 'final') {
+            state.final = true;
+        }
+        states.push(state);
+        element.children.forEach(function (c) {
+            /** @type {?} */
+            var childPath = path + '/' + c.name;
+            if (c.name === 'state' || c.name === 'final') {
+                readState(c, id, childPath);
+            }
+            else if (c.name === 'initial') {
+                state.initial = initialOf(c, childPath);
+            }
+            else if (c.name === 'history') {
+                readHistory(c, id, childPath);
+            }
+            else if (c.name === 'transition') {
+                readTransition(c, id, childPath);
+            }
+            else if (c.name === 'onentry' || c.name === 'onexit') {
+                /** @type {?} */
+                var key = c.name === 'onentry' ? 'onEnter' : 'onLeave';
+                if (state[key]) {
+                    unsupported(childPath, 'multiple ' + c.name + ' handlers');
+                }
+                state[key] = callbackOf(c, childPath);
+            }
+            else {
+                unsupported(childPath, 'element: ' + c.name);
+            }
+        });
+    };
+    // Reads a region, i.e., a child state of the parallel element.
+    /** @type {?} */
+    var readRegion = function (element, path) {
+        /** @type {?} */
+        var id = element.attributes.id;
+        if (element.name !== 'state' || !id) {
+            unsupported(path, 'region; expected a state with an id');
+            return;
+        }
+        path = path + '[@id=\'' + id + '\']';
+        /** @type {?} */
+        var members = element.children.filter(function (c) { return c.name === 'state' || c.name === 'final'; });
+        /** @type {?} */
+        var initial = element.attributes.initial;
+        element.children.forEach(function (c) {
+            /** @type {?} */
+            var childPath = path + '/' + c.name;
+            if (c.name === 'state' || c.name === 'final') {
+                readState(c, null, childPath, id);
+            }
+            else if (c.name === 'initial') {
+                initial = initialOf(c, childPath);
+            }
+            else {
+                unsupported(childPath, 'element in a region: ' + c.name);
+            }
+        });
+        // By the SCXML semantics, the first state is the initial one.
+        initial = initial || (members.length ? members[0].attributes.id : undefined);
+        if (id === defaultRegion) {
+            definition.initial = initial;
+        }
+        else {
+            regions.push({ name: id, initial: initial });
+        }
+    };
+    /** @type {?} */
+    var parallels = root.children.filter(function (c) { return c.name === 'parallel'; });
+    if (parallels.length && root.children.some(function (c) { return c.name !== 'parallel' && c.name !== 'datamodel'; })) {
+        unsupported('/scxml/parallel', 'parallel element along with other states');
+    }
+    else if (parallels.length > 1) {
+        unsupported('/scxml/parallel', 'multiple parallel elements');
+    }
+    if (root.attributes.initial && !parallels.length) {
+        definition.initial = root.attributes.initial;
+    }
+    root.children.forEach(function (c) {
+        /** @type {?} */
+        var path = '/scxml/' + c.name;
+        if (c.name === 'state' || c.name === 'final') {
+            readState(c, null, path);
+        }
+        else if (c.name === 'parallel') {
+            c.children.forEach(function (r) { return readRegion(r, path + '/' + r.name); });
+        }
+        else if (c.name === 'datamodel') {
+            /** @type {?} */
+            var context_1 = {};
+            c.children.forEach(function (d) {
+                if (d.name !== 'data' || !d.attributes.id) {
+                    unsupported(path + '/' + d.name, 'data element');
+                    return;
+                }
+                try {
+                    context_1[d.attributes.id] = JSON.parse(d.attributes.expr || d.text || 'null');
+                }
+                catch (e) {
+                    unsupported(path + '/data[@id=\'' + d.attributes.id + '\']', 'data expression; expected a JSON value');
+                }
+            });
+            definition.context = context_1;
+        }
+        else {
+            unsupported(path, 'element: ' + c.name);
+        }
+    });
+    if (historyStates.length) {
+        definition.historyStates = historyStates;
+    }
+    if (regions.length) {
+        definition.regions = regions;
+    }
+    if (!definition.initial && states.length && !parallels.length) {
+        // By the SCXML semantics, the first state is the initial one.
+        definition.initial = states[0].name;
+    }
+    if (errors.length) {
+        throw new DefinitionError(errors);
+    }
+    return definition;
+}
+/**
+ * Serializes a definition as a SCXML document, following the same
+ * conventions as parseScxml. An internal self-transition is written
+ * as a targetless transition, and the orthogonal regions as the child
+ * states of a parallel element, named after the regions. A history state
+ * is always written with its default transition. Transitions without
+ * an event, which SCXML would take automatically, before callbacks,
+ * assign options, delays and compensations have no counterpart,
+ * and are reported by a DefinitionError.
+ * @param {?} definition
+ * @return {?}
+ */
+export function serializeScxml(definition) {
+    /** @type {?} */
+    var errors = [];
+    /** @type {?} */
+    var lines = [];
+    /** @type {?} */
+    var indent = function (depth) { return new Array(depth + 1).join('    '); };
+    /** @type {?} */
+    var attr = function (name, value) { return value ? ' ' + name + '="' + encodeEntities(value) + '"' : ''; };
+    /** @type {?} */
+    var children = {};
+    /** @type {?} */
+    var roots = [];
+    /** @type {?} */
+    var parents = parentsOf(definition);
+    definition.states.forEach(function (st) {
+        /** @type {?} */
+        var parent = parents[st.name];
+        children[st.name] = [];
+        if (parent && children[parent]) {
+            children[parent].push(st);
+        }
+        else {
+            roots.push(st);
+        }
+    });
+    /** @type {?} */
+    var writeHandler = function (tag, name, depth) {
+        if (name) {
+            lines.push(indent(depth) + '<' + tag + '>');
+            lines.push(indent(depth + 1) + '<script>' + encodeEntities(name) + '</script>');
+            lines.push(indent(depth) + '</' + tag + '>');
+        }
+    };
+    /** @type {?} */
+    var writeState = function (st, depth) {
+        /** @type {?} */
+        var trans = (definition.transitions || []).filter(function (tr) { return tr.from === st.name; });
+        // A final state in SCXML is always atomic, and cannot be left.
+        /** @type {?} */
+        var tag = st.final ? 'final' : 'state';
+        if (st.final && (trans.length || children[st.name].length)) {
+            errors.push({
+                path: '/states/' + definition.states.indexOf(st) + '/final',
+                message: 'Final states with transitions or children are not supported in SCXML'
+            });
+        }
+        /** @type {?} */
+        var open = indent(depth) + '<' + tag + attr('id', st.name) + attr('initial', st.initial) + '>';
+        lines.push(open);
+        writeHandler('onentry', st.onEnter, depth + 1);
+        writeHandler('onexit', st.onLeave, depth + 1);
+        trans.forEach(function (tr) {
+            /** @type {?} */
+            var index = definition.transitions.indexOf(tr);
+            if (!tr.event) {
+                errors.push({
+                    path: '/transitions/' + index + '/event',
+                    message: 'Transitions without an event are not supported in SCXML'
+                });
+            }
+            if (tr.onBefore) {
+                errors.push({ path: '/transitions/' + index + '/onBefore', message: 'Before callbacks are not supported in SCXML' });
+            }
+            if (tr.assign) {
+                errors.push({ path: '/transitions/' + index + '/assign', message: 'Assign options are not supported in SCXML' });
+            }
+            if (tr.delay !== undefined && tr.delay !== null) {
+                errors.push({ path: '/transitions/' + index + '/delay', message: 'Delays are not supported in SCXML' });
+            }
+            if (tr.compensation) {
+                errors.push({
+                    path: '/transitions/' + index + '/compensation',
+                    message: 'Compensations are not supported in SCXML'
+                });
+            }
+            /** @type {?} */
+            var head = indent(depth + 1) + '<transition' + attr('event', tr.event) +
+                attr('cond', tr.guard) + attr('target', tr.internal ? undefined : tr.to);
+            if (tr.onAfter) {
+                lines.push(head + '>');
+                lines.push(indent(depth + 2) + '<script>' + encodeEntities(tr.onAfter) + '</script>');
+                lines.push(indent(depth + 1) + '</transition>');
+            }
+            else {
+                lines.push(head + '/>');
+            }
+        });
+        children[st.name].forEach(function (child) { return writeState(child, depth + 1); });
+        (definition.historyStates || []).filter(function (h) { return h.parent === st.name; }).forEach(function (h) {
+            // SCXML requires the default transition; by default, it goes to
+            // the initial state of the parent, which is its first child
+            // unless declared.
+            /** @type {?} */
+            var target = h.defaultTarget || st.initial || (children[st.name][0] && children[st.name][0].name);
+            lines.push(indent(depth + 1) + '<history' + attr('id', h.name) + attr('type', h.deep ? 'deep' : 'shallow') + '>');
+            lines.push(indent(depth + 2) + '<transition' + attr('target', target) + '/>');
+            lines.push(indent(depth + 1) + '</history>');
+        });
+        if (lines[lines.length - 1] === open) {
+            lines[lines.length - 1] = open.replace(/>$/, '/>');
+        }
+        else {
+            lines.push(indent(depth) + '</' + tag + '>');
+        }
+    };
+    /** @type {?} */
+    var regions = definition.regions || [];
+    lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+    lines.push('<scxml' + attr('xmlns', scxmlNamespace) + ' version="1.0"' +
+        attr('initial', regions.length ? undefined : definition.initial) + '>');
+    /** @type {?} */
+    var context = definition.context;
+    if (context !== undefined && context !== null) {
+        if (typeof context !== 'object' || Array.isArray(context)) {
+            errors.push({ path: '/context', message: 'Context data other than an object is not supported in SCXML' });
+        }
+        else if (Object.keys(context).length) {
+            lines.push(indent(1) + '<datamodel>');
+            Object.keys(context).forEach(function (k) {
+                lines.push(indent(2) + '<data' + attr('id', k) + ' expr="' + encodeEntities(JSON.stringify(context[k])) + '"/>');
+            });
+            lines.push(indent(1) + '</datamodel>');
+        }
+    }
+    if (regions.length) {
+        // A region is written as a state, so its name must not be taken
+        // by any state; the default region is left out if it is empty.
+        /** @type {?} */
+        var names_1 = definition.states.map(function (st) { return st.name; }).concat((definition.historyStates || []).map(function (h) { return h.name; }));
+        lines.push(indent(1) + '<parallel>');
+        [{ name: defaultRegion, initial: definition.initial }].concat(regions).forEach(function (r, i) {
+            /** @type {?} */
+            var members = roots.filter(function (st) { return (st.region || defaultRegion) === r.name; });
+            if (!members.length) {
+                return;
+            }
+            if (names_1.indexOf(r.name) >= 0) {
+                errors.push({
+                    path: i ? '/regions/' + (i - 1) + '/name' : '/states/' + names_1.indexOf(r.name) + '/name',
+                    message: 'Regions named as states are not supported in SCXML: ' + r.name
+                });
+            }
+            lines.push(indent(2) + '<state' + attr('id', r.name) + attr('initial', r.initial) + '>');
+            members.forEach(function (st) { return writeState(st, 3); });
+            lines.push(indent(2) + '</state>');
+        });
+        lines.push(indent(1) + '</parallel>');
+    }
+    else {
+        roots.forEach(function (st) { return writeState(st, 1); });
+    }
+    lines.push('</scxml>');
+    if (errors.length) {
+        throw new DefinitionError(errors);
+    }
+    return lines.join('\n') + '\n';
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2N4bWwuanMiLCJzb3VyY2VSb290Ijoibmc6Ly9AcG9scHdhcmUvZmUtYmVoYXZpb3IvIiwic291cmNlcyI6WyJsaWIvc3RhdGUvc2N4bWwudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7Ozs7Ozs7OztBQVNBLE9BQU8sRUFDSCxlQUFlLEVBT2YsU0FBUyxFQUNaLE1BQU0sc0JBQXNCLENBQUM7O0lBRXhCLGNBQWMsR0FBRyxpQ0FBaUM7O0lBQ2xELGFBQWEsR0FBRyxTQUFTOztJQUN6QixpQkFBaUIsR0FBRyxvQkFBb0I7Ozs7QUFFOUMsMEJBS0M7OztJQUpHLDJCQUFhOztJQUNiLGlDQUFzQzs7SUFDdEMsK0JBQTZCOztJQUM3QiwyQkFBYTs7O0lBR1gsUUFBUSxHQUE4QjtJQUN4QyxFQUFFLEVBQUUsR0FBRyxFQUFFLEVBQUUsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxJQUFJLEVBQUUsR0FBRyxFQUFFLElBQUksRUFBRSxJQUFJO0NBQ3BEOzs7OztBQUVELFNBQVMsY0FBYyxDQUFDLEtBQWE7SUFDakMsT0FBTyxLQUFLLENBQUMsT0FBTyxDQUFDLGlDQUFpQyxFQUFFLFVBQUMsR0FBVyxFQUFFLElBQVk7UUFDOUUsSUFBSSxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxLQUFLLEdBQUcsRUFBRTtZQUN4QixPQUFPLE1BQU0sQ0FBQyxZQUFZLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQztnQkFDL0MsUUFBUSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUM7U0FDMUU7UUFDRCxPQUFPLFFBQVEsQ0FBQyxjQUFjLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDO0lBQ2hFLENBQUMsQ0FBQyxDQUFDO0FBQ1AsQ0FBQzs7Ozs7QUFFRCxTQUFTLGNBQWMsQ0FBQyxLQUFhO0lBQ2pDLE9BQU8sS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsT0FBTyxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxNQUFNLENBQUM7U0FDcEQsT0FBTyxDQUFDLElBQUksRUFBRSxNQUFNLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLFFBQVEsQ0FBQyxDQUFDO0FBQ3ZELENBQUM7Ozs7Ozs7O0FBT0QsU0FBUyxRQUFRLENBQUMsR0FBVzs7UUFDckIsR0FBRyxHQUFHLENBQUM7O1FBQ0wsSUFBSSxHQUFHLFVBQUMsT0FBZTtRQUN6QixNQUFNLElBQUksS0FBSyxDQUFDLG1CQUFtQixHQUFHLEdBQUcsR0FBRyxJQUFJLEdBQUcsT0FBTyxDQUFDLENBQUM7SUFDaEUsQ0FBQzs7UUFDSyxTQUFTLEdBQUcsVUFBQyxJQUFZLElBQUssT0FBQSxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQXJDLENBQXFDOztRQUNuRSxTQUFTLEdBQUcsVUFBQyxLQUFhOztZQUN0QixHQUFHLEdBQUcsR0FBRyxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsR0FBRyxDQUFDO1FBQ25DLElBQUksR0FBRyxHQUFHLENBQUMsRUFBRTtZQUNULElBQUksQ0FBQyxVQUFVLEdBQUcsS0FBSyxDQUFDLENBQUM7U0FDNUI7UUFDRCxHQUFHLEdBQUcsR0FBRyxHQUFHLEtBQUssQ0FBQyxNQUFNLENBQUM7SUFDN0IsQ0FBQzs7UUFDSyxRQUFRLEdBQUc7UUFDYixTQUFXO1lBQ1AsT0FBTyxHQUFHLEdBQUcsR0FBRyxDQUFDLE1BQU0sSUFBSSxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRTtnQkFDbkQsR0FBRyxFQUFFLENBQUM7YUFDVDtZQUNELElBQUksR0FBRyxDQUFDLE1BQU0sQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUFDLEtBQUssSUFBSSxFQUFFO2dCQUM3QixTQUFTLENBQUMsSUFBSSxDQUFDLENBQUM7YUFDbkI7aUJBQU0sSUFBSSxHQUFHLENBQUMsTUFBTSxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUMsS0FBSyxNQUFNLEVBQUU7Z0JBQ3RDLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQzthQUNwQjtpQkFBTSxJQUFJLEdBQUcsQ0FBQyxNQUFNLENBQUMsR0FBRyxFQUFFLENBQUMsQ0FBQyxLQUFLLFdBQVcsRUFBRTtnQkFDM0MsU0FBUyxDQUFDLEdBQUcsQ0FBQyxDQUFDO2FBQ2xCO2lCQUFNO2dCQUNILE9BQU87YUFDVjtTQUNKO0lBQ0wsQ0FBQzs7UUFFSyxZQUFZLEdBQUc7O1lBQ1gsSUFBSSxHQUFHLGNBQWMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUNwRCxJQUFJLENBQUMsSUFBSSxFQUFFO1lBQ1AsSUFBSSxDQUFDLHFCQUFxQixDQUFDLENBQUM7U0FDL0I7UUFDRCxHQUFHLElBQUksSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQzs7WUFDaEIsT0FBTyxHQUFnQixFQUFFLElBQUksRUFBRSxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsVUFBVSxFQUFFLEVBQUUsRUFBRSxRQUFRLEVBQUUsRUFBRSxFQUFFLElBQUksRUFBRSxFQUFFLEVBQUU7UUFDakcsU0FBVzs7Z0JBQ0QsSUFBSSxHQUFHLDRDQUE0QyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1lBQ2xGLElBQUksQ0FBQyxJQUFJLEVBQUU7Z0JBQ1AsTUFBTTthQUNUOztnQkFDSyxLQUFLLEdBQUcsSUFBSSxDQUFDLENBQUMsQ0FBQyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO1lBQ3ZELE9BQU8sQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsY0FBYyxDQUFDLEtBQUssQ0FBQyxDQUFDO1lBQ3BELEdBQUcsSUFBSSxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDO1NBQ3pCOztZQUNLLElBQUksR0FBRyxZQUFZLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDbEQsSUFBSSxDQUFDLElBQUksRUFBRTtZQUNQLElBQUksQ0FBQyxtQkFBbUIsR0FBRyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztTQUN2QztRQUNELEdBQUcsSUFBSSxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDO1FBQ3RCLElBQUksSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFO1lBQ1QsT0FBTyxPQUFPLENBQUM7U0FDbEI7UUFDRCxTQUFXO1lBQ1AsSUFBSSxHQUFHLElBQUksR0FBRyxDQUFDLE1BQU0sRUFBRTtnQkFDbkIsSUFBSSxDQUFDLG1CQUFtQixHQUFHLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO2FBQ3ZDO1lBQ0QsSUFBSSxHQUFHLENBQUMsTUFBTSxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUMsS0FBSyxJQUFJLEVBQUU7O29CQUN2QixPQUFLLEdBQUcsb0JBQW9CLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUM7Z0JBQzNELElBQUksQ0FBQyxPQUFLLElBQUksT0FBSyxDQUFDLENBQUMsQ0FBQyxLQUFLLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRTtvQkFDaEMsSUFBSSxDQUFDLDZCQUE2QixHQUFHLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO2lCQUNqRDtnQkFDRCxHQUFHLElBQUksT0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQztnQkFDdkIsT0FBTyxPQUFPLENBQUM7YUFDbEI7WUFDRCxJQUFJLEdBQUcsQ0FBQyxNQUFNLENBQUMsR0FBRyxFQUFFLENBQUMsQ0FBQyxLQUFLLE1BQU0sRUFBRTtnQkFDL0IsU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFDO2FBQ3BCO2lCQUFNLElBQUksR0FBRyxDQUFDLE1BQU0sQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUFDLEtBQUssV0FBVyxFQUFFOztvQkFDckMsS0FBSyxHQUFHLEdBQUcsR0FBRyxDQUFDO2dCQUNyQixTQUFTLENBQUMsS0FBSyxDQUFDLENBQUM7Z0JBQ2pCLE9BQU8sQ0FBQyxJQUFJLElBQUksR0FBRyxDQUFDLFNBQVMsQ0FBQyxLQUFLLEVBQUUsR0FBRyxHQUFHLENBQUMsQ0FBQyxDQUFDO2FBQ2pEO2lCQUFNLElBQUksR0FBRyxDQUFDLE1BQU0sQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUFDLEtBQUssSUFBSSxFQUFFO2dCQUNwQyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUM7YUFDbkI7aUJBQU0sSUFBSSxHQUFHLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxLQUFLLEdBQUcsRUFBRTtnQkFDaEMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsWUFBWSxFQUFFLENBQUMsQ0FBQzthQUN6QztpQkFBTTs7b0JBQ0csSUFBSSxHQUFHLEdBQUcsQ0FBQyxPQUFPLENBQUMsR0FBRyxFQUFFLEdBQUcsQ0FBQzs7b0JBQzVCLEdBQUcsR0FBRyxJQUFJLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxJQUFJO2dCQUN4QyxPQUFPLENBQUMsSUFBSSxJQUFJLGNBQWMsQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLEdBQUcsRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDO2dCQUN4RCxHQUFHLEdBQUcsR0FBRyxDQUFDO2FBQ2I7U0FDSjtJQUNMLENBQUM7SUFFRCxRQUFRLEVBQUUsQ0FBQzs7UUFDTCxJQUFJLEdBQUcsWUFBWSxFQUFFO0lBQzNCLFFBQVEsRUFBRSxDQUFDO0lBQ1gsSUFBSSxHQUFHLEdBQUcsR0FBRyxDQUFDLE1BQU0sRUFBRTtRQUNsQixJQUFJLENBQUMsMkNBQTJDLENBQUMsQ0FBQztLQUNyRDtJQUNELE9BQU8sSUFBSSxDQUFDO0FBQ2hCLENBQUM7Ozs7Ozs7Ozs7Ozs7Ozs7O0FBZ0JELE1BQU0sVUFBVSxVQUFVLENBQUMsR0FBVzs7UUFDNUIsTUFBTSxHQUE4QixFQUFFOztRQUN4QyxJQUFpQjtJQUNyQixJQUFJO1FBQ0EsSUFBSSxHQUFHLFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQztLQUN4QjtJQUFDLE9BQU8sQ0FBQyxFQUFFO1FBQ1IsTUFBTSxJQUFJLGVBQWUsQ0FBQyxDQUFDLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxPQUFPLEVBQUUsQ0FBQyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUMsQ0FBQztLQUNqRTtJQUNELElBQUksSUFBSSxDQUFDLElBQUksS0FBSyxPQUFPLEVBQUU7UUFDdkIsTUFBTSxJQUFJLGVBQWUsQ0FBQyxDQUFDLEVBQUUsSUFBSSxFQUFFLEdBQUcsR0FBRyxJQUFJLENBQUMsSUFBSSxFQUFFLE9BQU8sRUFBRSxzQkFBc0IsRUFBRSxDQUFDLENBQUMsQ0FBQztLQUMzRjs7UUFFSyxNQUFNLEdBQTRCLEVBQUU7O1FBQ3BDLGFBQWEsR0FBbUMsRUFBRTs7UUFDbEQsV0FBVyxHQUFpQyxFQUFFOztRQUM5QyxPQUFPLEdBQTZCLEVBQUU7O1FBQ3RDLFVBQVUsR0FBdUIsRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLFdBQVcsRUFBRSxXQUFXLEVBQUU7O1FBQzdFLFdBQVcsR0FBRyxVQUFDLElBQVksRUFBRSxJQUFZO1FBQzNDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRSxjQUFjLEdBQUcsSUFBSSxFQUFFLENBQUMsQ0FBQztJQUNoRSxDQUFDOzs7UUFHSyxVQUFVLEdBQUcsVUFBQyxPQUFvQixFQUFFLElBQVk7O1lBQzVDLE9BQU8sR0FBRyxPQUFPLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxVQUFBLENBQUMsSUFBSSxPQUFBLENBQUMsQ0FBQyxJQUFJLEtBQUssUUFBUSxFQUFuQixDQUFtQixDQUFDO1FBQ2pFLE9BQU8sQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLFVBQUEsQ0FBQztZQUN0QixJQUFJLENBQUMsQ0FBQyxJQUFJLEtBQUssUUFBUSxFQUFFO2dCQUNyQixXQUFXLENBQUMsSUFBSSxHQUFHLEdBQUcsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLHNCQUFzQixHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQzthQUNyRTtRQUNMLENBQUMsQ0FBQyxDQUFDO1FBQ0gsSUFBSSxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtZQUNwQixXQUFXLENBQUMsSUFBSSxHQUFHLFNBQVMsRUFBRSxrQkFBa0IsQ0FBQyxDQUFDO1NBQ3JEO1FBQ0QsSUFBSSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUU7WUFDakIsT0FBTyxTQUFTLENBQUM7U0FDcEI7O1lBQ0ssSUFBSSxHQUFHLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFO1FBQ25DLElBQUksT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxHQUFHLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUU7WUFDNUQsV0FBVyxDQUFDLElBQUksR0FBRyxTQUFTLEVBQUUseUNBQXlDLENBQUMsQ0FBQztZQUN6RSxPQUFPLFNBQVMsQ0FBQztTQUNwQjtRQUNELE9BQU8sSUFBSSxDQUFDO0lBQ2hCLENBQUM7OztRQUdLLFNBQVMsR0FBRyxVQUFDLE9BQW9CLEVBQUUsSUFBWTs7WUFDM0MsS0FBSyxHQUFHLE9BQU8sQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLFVBQUEsQ0FBQyxJQUFJLE9BQUEsQ0FBQyxDQUFDLElBQUksS0FBSyxZQUFZLEVBQXZCLENBQXVCLENBQUM7UUFDbkUsSUFBSSxLQUFLLENBQUMsTUFBTSxLQUFLLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsTUFBTSxJQUFJLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsTUFBTSxFQUFFO1lBQy9FLFdBQVcsQ0FBQyxJQUFJLEVBQUUsT0FBTyxDQUFDLElBQUksR0FBRyxzREFBc0QsQ0FBQyxDQUFDO1lBQ3pGLE9BQU8sU0FBUyxDQUFDO1NBQ3BCO1FBQ0QsT0FBTyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLE1BQU0sQ0FBQztJQUN0QyxDQUFDOztRQUVLLGNBQWMsR0FBRyxVQUFDLE9BQW9CLEVBQUUsSUFBWSxFQUFFLElBQVk7O1lBQzlELEtBQUssR0FBRyxPQUFPLENBQUMsVUFBVTs7O1lBRTFCLFVBQVUsR0FBMEIsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQ3BELEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxFQUFFLEVBQUUsS0FBSyxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUM7WUFDbEMsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRTtRQUM1QyxJQUFJLEtBQUssQ0FBQyxNQUFNLElBQUksSUFBSSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLElBQUksRUFBRSxDQUFDLEVBQUU7WUFDaEQsV0FBVyxDQUFDLElBQUksR0FBRyxVQUFVLEVBQUUsb0JBQW9CLEdBQUcsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQ3BFLE9BQU87U0FDVjtRQUNELElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxFQUFFO1lBQ2QsV0FBVyxDQUFDLElBQUksRUFBRSxzQkFBc0IsQ0FBQyxDQUFDO1NBQzdDO2FBQU0sSUFBSSxJQUFJLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsSUFBSSxFQUFFLENBQUMsSUFBSSxLQUFLLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsRUFBRTtZQUNqRSxXQUFXLENBQUMsSUFBSSxHQUFHLFNBQVMsRUFBRSxvQkFBb0IsR0FBRyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7U0FDckU7YUFBTTtZQUNILFVBQVUsQ0FBQyxLQUFLLEdBQUcsS0FBSyxDQUFDLEtBQUssQ0FBQztTQUNsQztRQUNELElBQUksS0FBSyxDQUFDLElBQUksRUFBRTtZQUNaLElBQUksaUJBQWlCLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsRUFBRTtnQkFDM0MsVUFBVSxDQUFDLEtBQUssR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDO2FBQ3hDO2lCQUFNO2dCQUNILFdBQVcsQ0FBQyxJQUFJLEdBQUcsUUFBUSxFQUFFLDJDQUEyQyxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQzthQUMxRjtTQUNKO1FBQ0QsSUFBSSxLQUFLLENBQUMsSUFBSSxLQUFLLFVBQVUsRUFBRTtZQUMzQixXQUFXLENBQUMsSUFBSSxHQUFHLFFBQVEsRUFBRSxxQkFBcUIsQ0FBQyxDQUFDO1NBQ3ZEOztZQUNLLE9BQU8sR0FBRyxVQUFVLENBQUMsT0FBTyxFQUFFLElBQUksQ0FBQztRQUN6QyxJQUFJLE9BQU8sRUFBRTtZQUNULFVBQVUsQ0FBQyxPQUFPLEdBQUcsT0FBTyxDQUFDO1NBQ2hDO1FBQ0QsV0FBVyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQztJQUNqQyxDQUFDOztRQUVLLFdBQVcsR0FBRyxVQUFDLE9BQW9CLEVBQUUsTUFBYyxFQUFFLElBQVk7O1lBQzdELEVBQUUsR0FBRyxPQUFPLENBQUMsVUFBVSxDQUFDLEVBQUU7UUFDaEMsSUFBSSxDQUFDLEVBQUUsRUFBRTtZQUNMLFdBQVcsQ0FBQyxJQUFJLEVBQUUsdUJBQXVCLENBQUMsQ0FBQztZQUMzQyxPQUFPO1NBQ1Y7O1lBQ0ssT0FBTyxHQUE0QixFQUFFLElBQUksRUFBRSxFQUFFLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRTtRQUNyRSxJQUFJLE9BQU8sQ0FBQyxVQUFVLENBQUMsSUFBSSxLQUFLLE1BQU0sRUFBRTtZQUNwQyxPQUFPLENBQUMsSUFBSSxHQUFHLElBQUksQ0FBQztTQUN2QjtRQUNELElBQUksT0FBTyxDQUFDLFFBQVEsQ0FBQyxNQUFNLEVBQUU7OztnQkFFbkIsTUFBTSxHQUFHLFNBQVMsQ0FBQyxPQUFPLEVBQUUsSUFBSSxHQUFHLFNBQVMsR0FBRyxFQUFFLEdBQUcsS0FBSyxDQUFDO1lBQ2hFLElBQUksTUFBTSxFQUFFO2dCQUNSLE9BQU8sQ0FBQyxhQUFhLEdBQUcsTUFBTSxDQUFDO2FBQ2xDO1NBQ0o7UUFDRCxhQUFhLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBQ2hDLENBQUM7O1FBRUssU0FBUyxHQUFHLFVBQUMsT0FBb0IsRUFBRSxNQUFjLEVBQUUsSUFBWSxFQUFFLE1BQWU7O1lBQzVFLEVBQUUsR0FBRyxPQUFPLENBQUMsVUFBVSxDQUFDLEVBQUU7UUFDaEMsSUFBSSxDQUFDLEVBQUUsRUFBRTtZQUNMLFdBQVcsQ0FBQyxJQUFJLEVBQUUscUJBQXFCLENBQUMsQ0FBQztZQUN6QyxPQUFPO1NBQ1Y7UUFDRCxJQUFJLEdBQUcsSUFBSSxHQUFHLFNBQVMsR0FBRyxFQUFFLEdBQUcsS0FBSyxDQUFDOztZQUMvQixLQUFLLEdBQXFCLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRTtRQUM1QyxJQUFJLE1BQU0sRUFBRTtZQUNSLEtBQUssQ0FBQyxNQUFNLEdBQUcsTUFBTSxDQUFDO1NBQ3pCO1FBQ0QsSUFBSSxNQUFNLElBQUksTUFBTSxLQUFLLGFBQWEsRUFBRTtZQUNwQyxLQUFLLENBQUMsTUFBTSxHQUFHLE1BQU0sQ0FBQztTQUN6QjtRQUNELElBQUksT0FBTyxDQUFDLFVBQVUsQ0FBQyxPQUFPLEVBQUU7WUFDNUIsS0FBSyxDQUFDLE9BQU8sR0FBRyxPQUFPLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQztTQUM5QztRQUNELElBQUksT0FBTyxDQUFDLElBQUksS0FBSyxPQUFPLEVBQUU7WUFDMUIsS0FBSyxDQUFDLEtBQUssR0FBRyxJQUFJLENBQUM7U0FDdEI7UUFDRCxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ25CLE9BQU8sQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLFVBQUEsQ0FBQzs7Z0JBQ2hCLFNBQVMsR0FBRyxJQUFJLEdBQUcsR0FBRyxHQUFHLENBQUMsQ0FBQyxJQUFJO1lBQ3JDLElBQUksQ0FBQyxDQUFDLElBQUksS0FBSyxPQUFPLElBQUksQ0FBQyxDQUFDLElBQUksS0FBSyxPQUFPLEVBQUU7Z0JBQzFDLFNBQVMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxFQUFFLFNBQVMsQ0FBQyxDQUFDO2FBQy9CO2lCQUFNLElBQUksQ0FBQyxDQUFDLElBQUksS0FBSyxTQUFTLEVBQUU7Z0JBQzdCLEtBQUssQ0FBQyxPQUFPLEdBQUcsU0FBUyxDQUFDLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQzthQUMzQztpQkFBTSxJQUFJLENBQUMsQ0FBQyxJQUFJLEtBQUssU0FBUyxFQUFFO2dCQUM3QixXQUFXLENBQUMsQ0FBQyxFQUFFLEVBQUUsRUFBRSxTQUFTLENBQUMsQ0FBQzthQUNqQztpQkFBTSxJQUFJLENBQUMsQ0FBQyxJQUFJLEtBQUssWUFBWSxFQUFFO2dCQUNoQyxjQUFjLENBQUMsQ0FBQyxFQUFFLEVBQUUsRUFBRSxTQUFTLENBQUMsQ0FBQzthQUNwQztpQkFBTSxJQUFJLENBQUMsQ0FBQyxJQUFJLEtBQUssU0FBUyxJQUFJLENBQUMsQ0FBQyxJQUFJLEtBQUssUUFBUSxFQUFFOztvQkFDOUMsR0FBRyxHQUFHLENBQUMsQ0FBQyxJQUFJLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLFNBQVM7Z0JBQ3hELElBQUksS0FBSyxDQUFDLEdBQUcsQ0FBQyxFQUFFO29CQUNaLFdBQVcsQ0FBQyxTQUFTLEVBQUUsV0FBVyxHQUFHLENBQUMsQ0FBQyxJQUFJLEdBQUcsV0FBVyxDQUFDLENBQUM7aUJBQzlEO2dCQUNELEtBQUssQ0FBQyxHQUFHLENBQUMsR0FBRyxVQUFVLENBQUMsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDO2FBQ3pDO2lCQUFNO2dCQUNILFdBQVcsQ0FBQyxTQUFTLEVBQUUsV0FBVyxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQzthQUNoRDtRQUNMLENBQUMsQ0FBQyxDQUFDO0lBQ1AsQ0FBQzs7O1FBR0ssVUFBVSxHQUFHLFVBQUMsT0FBb0IsRUFBRSxJQUFZOztZQUM1QyxFQUFFLEdBQUcsT0FBTyxDQUFDLFVBQVUsQ0FBQyxFQUFFO1FBQ2hDLElBQUksT0FBTyxDQUFDLElBQUksS0FBSyxPQUFPLElBQUksQ0FBQyxFQUFFLEVBQUU7WUFDakMsV0FBVyxDQUFDLElBQUksRUFBRSxxQ0FBcUMsQ0FBQyxDQUFDO1lBQ3pELE9BQU87U0FDVjtRQUNELElBQUksR0FBRyxJQUFJLEdBQUcsU0FBUyxHQUFHLEVBQUUsR0FBRyxLQUFLLENBQUM7O1lBQy9CLE9BQU8sR0FBRyxPQUFPLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxVQUFBLENBQUMsSUFBSSxPQUFBLENBQUMsQ0FBQyxJQUFJLEtBQUssT0FBTyxJQUFJLENBQUMsQ0FBQyxJQUFJLEtBQUssT0FBTyxFQUF4QyxDQUF3QyxDQUFDOztZQUNsRixPQUFPLEdBQUcsT0FBTyxDQUFDLFVBQVUsQ0FBQyxPQUFPO1FBQ3hDLE9BQU8sQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLFVBQUEsQ0FBQzs7Z0JBQ2hCLFNBQVMsR0FBRyxJQUFJLEdBQUcsR0FBRyxHQUFHLENBQUMsQ0FBQyxJQUFJO1lBQ3JDLElBQUksQ0FBQyxDQUFDLElBQUksS0FBSyxPQUFPLElBQUksQ0FBQyxDQUFDLElBQUksS0FBSyxPQUFPLEVBQUU7Z0JBQzFDLFNBQVMsQ0FBQyxDQUFDLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRSxFQUFFLENBQUMsQ0FBQzthQUNyQztpQkFBTSxJQUFJLENBQUMsQ0FBQyxJQUFJLEtBQUssU0FBUyxFQUFFO2dCQUM3QixPQUFPLEdBQUcsU0FBUyxDQUFDLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQzthQUNyQztpQkFBTTtnQkFDSCxXQUFXLENBQUMsU0FBUyxFQUFFLHVCQUF1QixHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQzthQUM1RDtRQUNMLENBQUMsQ0FBQyxDQUFDO1FBQ0gsOERBQThEO1FBQzlELE9BQU8sR0FBRyxPQUFPLElBQUksQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUM7UUFDN0UsSUFBSSxFQUFFLEtBQUssYUFBYSxFQUFFO1lBQ3RCLFVBQVUsQ0FBQyxPQUFPLEdBQUcsT0FBTyxDQUFDO1NBQ2hDO2FBQU07WUFDSCxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLENBQUMsQ0FBQztTQUNoRDtJQUNMLENBQUM7O1FBRUssU0FBUyxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLFVBQUEsQ0FBQyxJQUFJLE9BQUEsQ0FBQyxDQUFDLElBQUksS0FBSyxVQUFVLEVBQXJCLENBQXFCLENBQUM7SUFDbEUsSUFBSSxTQUFTLENBQUMsTUFBTSxJQUFJLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLFVBQUEsQ0FBQyxJQUFJLE9BQUEsQ0FBQyxDQUFDLElBQUksS0FBSyxVQUFVLElBQUksQ0FBQyxDQUFDLElBQUksS0FBSyxXQUFXLEVBQS9DLENBQStDLENBQUMsRUFBRTtRQUM5RixXQUFXLENBQUMsaUJBQWlCLEVBQUUsMENBQTBDLENBQUMsQ0FBQztLQUM5RTtTQUFNLElBQUksU0FBUyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7UUFDN0IsV0FBVyxDQUFDLGlCQUFpQixFQUFFLDRCQUE0QixDQUFDLENBQUM7S0FDaEU7SUFDRCxJQUFJLElBQUksQ0FBQyxVQUFVLENBQUMsT0FBTyxJQUFJLENBQUMsU0FBUyxDQUFDLE1BQU0sRUFBRTtRQUM5QyxVQUFVLENBQUMsT0FBTyxHQUFHLElBQUksQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDO0tBQ2hEO0lBQ0QsSUFBSSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsVUFBQSxDQUFDOztZQUNiLElBQUksR0FBRyxTQUFTLEdBQUcsQ0FBQyxDQUFDLElBQUk7UUFDL0IsSUFBSSxDQUFDLENBQUMsSUFBSSxLQUFLLE9BQU8sSUFBSSxDQUFDLENBQUMsSUFBSSxLQUFLLE9BQU8sRUFBRTtZQUMxQyxTQUFTLENBQUMsQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLENBQUMsQ0FBQztTQUM1QjthQUFNLElBQUksQ0FBQyxDQUFDLElBQUksS0FBSyxVQUFVLEVBQUU7WUFDOUIsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsVUFBQSxDQUFDLElBQUksT0FBQSxVQUFVLENBQUMsQ0FBQyxFQUFFLElBQUksR0FBRyxHQUFHLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFsQyxDQUFrQyxDQUFDLENBQUM7U0FDL0Q7YUFBTSxJQUFJLENBQUMsQ0FBQyxJQUFJLEtBQUssV0FBVyxFQUFFOztnQkFDekIsU0FBTyxHQUEyQixFQUFFO1lBQzFDLENBQUMsQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLFVBQUEsQ0FBQztnQkFDaEIsSUFBSSxDQUFDLENBQUMsSUFBSSxLQUFLLE1BQU0sSUFBSSxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsRUFBRSxFQUFFO29CQUN2QyxXQUFXLENBQUMsSUFBSSxHQUFHLEdBQUcsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLGNBQWMsQ0FBQyxDQUFDO29CQUNqRCxPQUFPO2lCQUNWO2dCQUNELElBQUk7b0JBQ0EsU0FBTyxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsRUFBRSxDQUFDLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLElBQUksSUFBSSxDQUFDLENBQUMsSUFBSSxJQUFJLE1BQU0sQ0FBQyxDQUFDO2lCQUNoRjtnQkFBQyxPQUFPLENBQUMsRUFBRTtvQkFDUixXQUFXLENBQUMsSUFBSSxHQUFHLGNBQWMsR0FBRyxDQUFDLENBQUMsVUFBVSxDQUFDLEVBQUUsR0FBRyxLQUFLLEVBQUUsd0NBQXdDLENBQUMsQ0FBQztpQkFDMUc7WUFDTCxDQUFDLENBQUMsQ0FBQztZQUNILFVBQVUsQ0FBQyxPQUFPLEdBQUcsU0FBTyxDQUFDO1NBQ2hDO2FBQU07WUFDSCxXQUFXLENBQUMsSUFBSSxFQUFFLFdBQVcsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUM7U0FDM0M7SUFDTCxDQUFDLENBQUMsQ0FBQztJQUNILElBQUksYUFBYSxDQUFDLE1BQU0sRUFBRTtRQUN0QixVQUFVLENBQUMsYUFBYSxHQUFHLGFBQWEsQ0FBQztLQUM1QztJQUNELElBQUksT0FBTyxDQUFDLE1BQU0sRUFBRTtRQUNoQixVQUFVLENBQUMsT0FBTyxHQUFHLE9BQU8sQ0FBQztLQUNoQztJQUNELElBQUksQ0FBQyxVQUFVLENBQUMsT0FBTyxJQUFJLE1BQU0sQ0FBQyxNQUFNLElBQUksQ0FBQyxTQUFTLENBQUMsTUFBTSxFQUFFO1FBQzNELDhEQUE4RDtRQUM5RCxVQUFVLENBQUMsT0FBTyxHQUFHLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7S0FDdkM7SUFFRCxJQUFJLE1BQU0sQ0FBQyxNQUFNLEVBQUU7UUFDZixNQUFNLElBQUksZUFBZSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0tBQ3JDO0lBQ0QsT0FBTyxVQUFVLENBQUM7QUFDdEIsQ0FBQzs7Ozs7Ozs7Ozs7OztBQVlELE1BQU0sVUFBVSxjQUFjLENBQUMsVUFBOEI7O1FBQ25ELE1BQU0sR0FBOEIsRUFBRTs7UUFDdEMsS0FBSyxHQUFrQixFQUFFOztRQUN6QixNQUFNLEdBQUcsVUFBQyxLQUFhLElBQUssT0FBQSxJQUFJLEtBQUssQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFqQyxDQUFpQzs7UUFDN0QsSUFBSSxHQUFHLFVBQUMsSUFBWSxFQUFFLEtBQWEsSUFBSyxPQUFBLEtBQUssQ0FBQyxDQUFDLENBQUMsR0FBRyxHQUFHLElBQUksR0FBRyxJQUFJLEdBQUcsY0FBYyxDQUFDLEtBQUssQ0FBQyxHQUFHLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUE1RCxDQUE0RDs7UUFFcEcsUUFBUSxHQUErQyxFQUFFOztRQUN6RCxLQUFLLEdBQTRCLEVBQUU7O1FBQ25DLE9BQU8sR0FBRyxTQUFTLENBQUMsVUFBVSxDQUFDO0lBQ3JDLFVBQVUsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLFVBQUEsRUFBRTs7WUFDbEIsTUFBTSxHQUFHLE9BQU8sQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDO1FBQy9CLFFBQVEsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDO1FBQ3ZCLElBQUksTUFBTSxJQUFJLFFBQVEsQ0FBQyxNQUFNLENBQUMsRUFBRTtZQUM1QixRQUFRLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1NBQzdCO2FBQU07WUFDSCxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1NBQ2xCO0lBQ0wsQ0FBQyxDQUFDLENBQUM7O1FBRUcsWUFBWSxHQUFHLFVBQUMsR0FBVyxFQUFFLElBQVksRUFBRSxLQUFhO1FBQzFELElBQUksSUFBSSxFQUFFO1lBQ04sS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsR0FBRyxHQUFHLEdBQUcsR0FBRyxHQUFHLENBQUMsQ0FBQztZQUM1QyxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsVUFBVSxHQUFHLGNBQWMsQ0FBQyxJQUFJLENBQUMsR0FBRyxXQUFXLENBQUMsQ0FBQztZQUNoRixLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxJQUFJLEdBQUcsR0FBRyxHQUFHLEdBQUcsQ0FBQyxDQUFDO1NBQ2hEO0lBQ0wsQ0FBQzs7UUFFSyxVQUFVLEdBQUcsVUFBQyxFQUFvQixFQUFFLEtBQWE7O1lBQzdDLEtBQUssR0FBRyxDQUFDLFVBQVUsQ0FBQyxXQUFXLElBQUksRUFBRSxDQUFDLENBQUMsTUFBTSxDQUFDLFVBQUEsRUFBRSxJQUFJLE9BQUEsRUFBRSxDQUFDLElBQUksS0FBSyxFQUFFLENBQUMsSUFBSSxFQUFuQixDQUFtQixDQUFDOzs7WUFFeEUsR0FBRyxHQUFHLEVBQUUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsT0FBTztRQUN4QyxJQUFJLEVBQUUsQ0FBQyxLQUFLLElBQUksQ0FBQyxLQUFLLENBQUMsTUFBTSxJQUFJLFFBQVEsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxDQUFDLEVBQUU7WUFDeEQsTUFBTSxDQUFDLElBQUksQ0FBQztnQkFDUixJQUFJLEVBQUUsVUFBVSxHQUFHLFVBQVUsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxHQUFHLFFBQVE7Z0JBQzNELE9BQU8sRUFBRSxzRUFBc0U7YUFDbEYsQ0FBQyxDQUFDO1NBQ047O1lBQ0ssSUFBSSxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsR0FBRyxHQUFHLEdBQUcsR0FBRyxHQUFHLElBQUksQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQyxTQUFTLEVBQUUsRUFBRSxDQUFDLE9BQU8sQ0FBQyxHQUFHLEdBQUc7UUFDaEcsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUNqQixZQUFZLENBQUMsU0FBUyxFQUFFLEVBQUUsQ0FBQyxPQUFPLEVBQUUsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBQy9DLFlBQVksQ0FBQyxRQUFRLEVBQUUsRUFBRSxDQUFDLE9BQU8sRUFBRSxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFDOUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxVQUFBLEVBQUU7O2dCQUNOLEtBQUssR0FBRyxVQUFVLENBQUMsV0FBVyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUM7WUFDaEQsSUFBSSxDQUFDLEVBQUUsQ0FBQyxLQUFLLEVBQUU7Z0JBQ1gsTUFBTSxDQUFDLElBQUksQ0FBQztvQkFDUixJQUFJLEVBQUUsZUFBZSxHQUFHLEtBQUssR0FBRyxRQUFRO29CQUN4QyxPQUFPLEVBQUUseURBQXlEO2lCQUNyRSxDQUFDLENBQUM7YUFDTjtZQUNELElBQUksRUFBRSxDQUFDLFFBQVEsRUFBRTtnQkFDYixNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLGVBQWUsR0FBRyxLQUFLLEdBQUcsV0FBVyxFQUFFLE9BQU8sRUFBRSw2Q0FBNkMsRUFBRSxDQUFDLENBQUM7YUFDeEg7WUFDRCxJQUFJLEVBQUUsQ0FBQyxNQUFNLEVBQUU7Z0JBQ1gsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxlQUFlLEdBQUcsS0FBSyxHQUFHLFNBQVMsRUFBRSxPQUFPLEVBQUUsMkNBQTJDLEVBQUUsQ0FBQyxDQUFDO2FBQ3BIO1lBQ0QsSUFBSSxFQUFFLENBQUMsS0FBSyxLQUFLLFNBQVMsSUFBSSxFQUFFLENBQUMsS0FBSyxLQUFLLElBQUksRUFBRTtnQkFDN0MsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxlQUFlLEdBQUcsS0FBSyxHQUFHLFFBQVEsRUFBRSxPQUFPLEVBQUUsbUNBQW1DLEVBQUUsQ0FBQyxDQUFDO2FBQzNHO1lBQ0QsSUFBSSxFQUFFLENBQUMsWUFBWSxFQUFFO2dCQUNqQixNQUFNLENBQUMsSUFBSSxDQUFDO29CQUNSLElBQUksRUFBRSxlQUFlLEdBQUcsS0FBSyxHQUFHLGVBQWU7b0JBQy9DLE9BQU8sRUFBRSwwQ0FBMEM7aUJBQ3RELENBQUMsQ0FBQzthQUNOOztnQkFDSyxJQUFJLEdBQUcsTUFBTSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsR0FBRyxhQUFhLEdBQUcsSUFBSSxDQUFDLE9BQU8sRUFBRSxFQUFFLENBQUMsS0FBSyxDQUFDO2dCQUNwRSxJQUFJLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FBQyxLQUFLLENBQUMsR0FBRyxJQUFJLENBQUMsUUFBUSxFQUFFLEVBQUUsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQztZQUM1RSxJQUFJLEVBQUUsQ0FBQyxPQUFPLEVBQUU7Z0JBQ1osS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLEdBQUcsR0FBRyxDQUFDLENBQUM7Z0JBQ3ZCLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsR0FBRyxVQUFVLEdBQUcsY0FBYyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsR0FBRyxXQUFXLENBQUMsQ0FBQztnQkFDdEYsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLGVBQWUsQ0FBQyxDQUFDO2FBQ25EO2lCQUFNO2dCQUNILEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxHQUFHLElBQUksQ0FBQyxDQUFDO2FBQzNCO1FBQ0wsQ0FBQyxDQUFDLENBQUM7UUFDSCxRQUFRLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDLE9BQU8sQ0FBQyxVQUFBLEtBQUssSUFBSSxPQUFBLFVBQVUsQ0FBQyxLQUFLLEVBQUUsS0FBSyxHQUFHLENBQUMsQ0FBQyxFQUE1QixDQUE0QixDQUFDLENBQUM7UUFDakUsQ0FBQyxVQUFVLENBQUMsYUFBYSxJQUFJLEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxVQUFBLENBQUMsSUFBSSxPQUFBLENBQUMsQ0FBQyxNQUFNLEtBQUssRUFBRSxDQUFDLElBQUksRUFBcEIsQ0FBb0IsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxVQUFBLENBQUM7Ozs7O2dCQUlsRSxNQUFNLEdBQUcsQ0FBQyxDQUFDLGFBQWEsSUFBSSxFQUFFLENBQUMsT0FBTyxJQUFJLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxRQUFRLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztZQUNuRyxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsVUFBVSxHQUFHLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQztZQUNsSCxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsYUFBYSxHQUFHLElBQUksQ0FBQyxRQUFRLEVBQUUsTUFBTSxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUM7WUFDOUUsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLFlBQVksQ0FBQyxDQUFDO1FBQ2pELENBQUMsQ0FBQyxDQUFDO1FBQ0gsSUFBSSxLQUFLLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsS0FBSyxJQUFJLEVBQUU7WUFDbEMsS0FBSyxDQUFDLEtBQUssQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsSUFBSSxDQUFDLENBQUM7U0FDdEQ7YUFBTTtZQUNILEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLElBQUksR0FBRyxHQUFHLEdBQUcsR0FBRyxDQUFDLENBQUM7U0FDaEQ7SUFDTCxDQUFDOztRQUVLLE9BQU8sR0FBRyxVQUFVLENBQUMsT0FBTyxJQUFJLEVBQUU7SUFDeEMsS0FBSyxDQUFDLElBQUksQ0FBQyx3Q0FBd0MsQ0FBQyxDQUFDO0lBQ3JELEtBQUssQ0FBQyxJQUFJLENBQUMsUUFBUSxHQUFHLElBQUksQ0FBQyxPQUFPLEVBQUUsY0FBYyxDQUFDLEdBQUcsZ0JBQWdCO1FBQ2xFLElBQUksQ0FBQyxTQUFTLEVBQUUsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLEdBQUcsR0FBRyxDQUFDLENBQUM7O1FBQ3RFLE9BQU8sR0FBRyxVQUFVLENBQUMsT0FBTztJQUNsQyxJQUFJLE9BQU8sS0FBSyxTQUFTLElBQUksT0FBTyxLQUFLLElBQUksRUFBRTtRQUMzQyxJQUFJLE9BQU8sT0FBTyxLQUFLLFFBQVEsSUFBSSxLQUFLLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxFQUFFO1lBQ3ZELE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLE9BQU8sRUFBRSw2REFBNkQsRUFBRSxDQUFDLENBQUM7U0FDN0c7YUFBTSxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsTUFBTSxFQUFFO1lBQ3BDLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLGFBQWEsQ0FBQyxDQUFDO1lBQ3RDLE1BQU0sQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsT0FBTyxDQUFDLFVBQUEsQ0FBQztnQkFDMUIsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsT0FBTyxHQUFHLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLEdBQUcsU0FBUyxHQUFHLGNBQWMsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsS0FBSyxDQUFDLENBQUM7WUFDckgsQ0FBQyxDQUFDLENBQUM7WUFDSCxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxjQUFjLENBQUMsQ0FBQztTQUMxQztLQUNKO0lBQ0QsSUFBSSxPQUFPLENBQUMsTUFBTSxFQUFFOzs7O1lBR1YsT0FBSyxHQUFHLFVBQVUsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLFVBQUEsRUFBRSxJQUFJLE9BQUEsRUFBRSxDQUFDLElBQUksRUFBUCxDQUFPLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxVQUFVLENBQUMsYUFBYSxJQUFJLEVBQUUsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxVQUFBLENBQUMsSUFBSSxPQUFBLENBQUMsQ0FBQyxJQUFJLEVBQU4sQ0FBTSxDQUFDLENBQUM7UUFDNUcsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsWUFBWSxDQUFDLENBQUM7UUFDckMsQ0FBQyxFQUFFLElBQUksRUFBRSxhQUFhLEVBQUUsT0FBTyxFQUFFLFVBQVUsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsQ0FBQyxPQUFPLENBQUMsVUFBQyxDQUFDLEVBQUUsQ0FBQzs7Z0JBQzFFLE9BQU8sR0FBRyxLQUFLLENBQUMsTUFBTSxDQUFDLFVBQUEsRUFBRSxJQUFJLE9BQUEsQ0FBQyxFQUFFLENBQUMsTUFBTSxJQUFJLGFBQWEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxJQUFJLEVBQXZDLENBQXVDLENBQUM7WUFDM0UsSUFBSSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUU7Z0JBQ2pCLE9BQU87YUFDVjtZQUNELElBQUksT0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFO2dCQUM1QixNQUFNLENBQUMsSUFBSSxDQUFDO29CQUNSLElBQUksRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsQ0FBQyxDQUFDLFVBQVUsR0FBRyxPQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxPQUFPO29CQUN4RixPQUFPLEVBQUUsc0RBQXNELEdBQUcsQ0FBQyxDQUFDLElBQUk7aUJBQzNFLENBQUMsQ0FBQzthQUNOO1lBQ0QsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsUUFBUSxHQUFHLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQyxTQUFTLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxHQUFHLEdBQUcsQ0FBQyxDQUFDO1lBQ3pGLE9BQU8sQ0FBQyxPQUFPLENBQUMsVUFBQSxFQUFFLElBQUksT0FBQSxVQUFVLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxFQUFqQixDQUFpQixDQUFDLENBQUM7WUFDekMsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsVUFBVSxDQUFDLENBQUM7UUFDdkMsQ0FBQyxDQUFDLENBQUM7UUFDSCxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxhQUFhLENBQUMsQ0FBQztLQUN6QztTQUFNO1FBQ0gsS0FBSyxDQUFDLE9BQU8sQ0FBQyxVQUFBLEVBQUUsSUFBSSxPQUFBLFVBQVUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLEVBQWpCLENBQWlCLENBQUMsQ0FBQztLQUMxQztJQUNELEtBQUssQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUM7SUFFdkIsSUFBSSxNQUFNLENBQUMsTUFBTSxFQUFFO1FBQ2YsTUFBTSxJQUFJLGVBQWUsQ0FBQyxNQUFNLENBQUMsQ0FBQztLQUNyQztJQUNELE9BQU8sS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUM7QUFDbkMsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGZpbGVPdmVydmlld1xuICogUHJvdmlkZXMgdGhlIGNvbnZlcnNpb24gYmV0d2VlbiBTQ1hNTCAoVzNDIFN0YXRlIENoYXJ0IFhNTCkgZG9jdW1lbnRzXG4gKiBhbmQgdGhlIGRlY2xhcmF0aXZlIGRlZmluaXRpb24gb2YgYSBmaW5pdGUgc3RhdGUgbWFjaGluZS5cbiAqIE9ubHkgdGhlIHN1YnNldCBvZiBTQ1hNTCB3aGljaCBoYXMgYSBjb3VudGVycGFydCBpbiB0aGUgRlNNIGlzXG4gKiBzdXBwb3J0ZWQ7IGFueSBvdGhlciBjb25zdHJ1Y3QgaXMgcmVwb3J0ZWQgYXMgYSBwcm9ibGVtLlxuICogQGF1dGhvciBYaWFvbG9uZyBUYW5nIDx4eGxvbmd0YW5nQGdtYWlsLmNvbT5cbiAqIEBsaWNlbnNlIENvcHlyaWdodCBAbWVcbiAqL1xuaW1wb3J0IHtcbiAgICBEZWZpbml0aW9uRXJyb3IsXG4gICAgSURlZmluaXRpb25Qcm9ibGVtLFxuICAgIElIaXN0b3J5U3RhdGVEZWZpbml0aW9uLFxuICAgIElNYWNoaW5lRGVmaW5pdGlvbixcbiAgICBJUmVnaW9uRGVmaW5pdGlvbixcbiAgICBJU3RhdGVEZWZpbml0aW9uLFxuICAgIElUcmFuc2l0aW9uRGVmaW5pdGlvbixcbiAgICBwYXJlbnRzT2Zcbn0gZnJvbSAnLi9tYWNoaW5lLWRlZmluaXRpb24nO1xuXG5jb25zdCBzY3htbE5hbWVzcGFjZSA9ICdodHRwOi8vd3d3LnczLm9yZy8yMDA1LzA3L3NjeG1sJztcbmNvbnN0IGRlZmF1bHRSZWdpb24gPSAnZGVmYXVsdCc7XG5jb25zdCBpZGVudGlmaWVyUGF0dGVybiA9IC9eW0EtWmEtel8kXVtcXHckXSokLztcblxuaW50ZXJmYWNlIElYbWxFbGVtZW50IHtcbiAgICBuYW1lOiBzdHJpbmc7XG4gICAgYXR0cmlidXRlczogeyBba2V5OiBzdHJpbmddOiBzdHJpbmcgfTtcbiAgICBjaGlsZHJlbjogQXJyYXk8SVhtbEVsZW1lbnQ+O1xuICAgIHRleHQ6IHN0cmluZztcbn1cblxuY29uc3QgZW50aXRpZXM6IHsgW2tleTogc3RyaW5nXTogc3RyaW5nIH0gPSB7XG4gICAgbHQ6ICc8JywgZ3Q6ICc+JywgYW1wOiAnJicsIHF1b3Q6ICdcIicsIGFwb3M6ICdcXCcnXG59O1xuXG5mdW5jdGlvbiBkZWNvZGVFbnRpdGllcyh2YWx1ZTogc3RyaW5nKSB7XG4gICAgcmV0dXJuIHZhbHVlLnJlcGxhY2UoLyYoI3hbMC05YS1mQS1GXSt8I1swLTldK3xcXHcrKTsvZywgKGFsbDogc3RyaW5nLCBjb2RlOiBzdHJpbmcpID0+IHtcbiAgICAgICAgaWYgKGNvZGUuY2hhckF0KDApID09PSAnIycpIHtcbiAgICAgICAgICAgIHJldHVybiBTdHJpbmcuZnJvbUNoYXJDb2RlKGNvZGUuY2hhckF0KDEpID09PSAneCcgP1xuICAgICAgICAgICAgICAgIHBhcnNlSW50KGNvZGUuc3Vic3RyaW5nKDIpLCAxNikgOiBwYXJzZUludChjb2RlLnN1YnN0cmluZygxKSwgMTApKTtcbiAgICAgICAgfVxuICAgICAgICByZXR1cm4gZW50aXRpZXMuaGFzT3duUHJvcGVydHkoY29kZSkgPyBlbnRpdGllc1tjb2RlXSA6IGFsbDtcbiAgICB9KTtcbn1cblxuZnVuY3Rpb24gZW5jb2RlRW50aXRpZXModmFsdWU6IHN0cmluZykge1xuICAgIHJldHVybiB2YWx1ZS5yZXBsYWNlKC8mL2csICcmYW1wOycpLnJlcGxhY2UoLzwvZywgJyZsdDsnKVxuICAgICAgICAucmVwbGFjZSgvPi9nLCAnJmd0OycpLnJlcGxhY2UoL1wiL2csICcmcXVvdDsnKTtcbn1cblxuLyoqXG4gKiBQYXJzZXMgYSBYTUwgZG9jdW1lbnQgaW50byBhIHRyZWUgb2YgZWxlbWVudHMuIFRoaXMgaXMgYSBzbWFsbFxuICogbm9uLXZhbGlkYXRpbmcgcGFyc2VyOyBuYW1lc3BhY2UgcHJlZml4ZXMgYXJlIGRyb3BwZWQsIGFuZCBwcm9jZXNzaW5nXG4gKiBpbnN0cnVjdGlvbnMsIGNvbW1lbnRzIGFuZCBkb2N0eXBlIGRlY2xhcmF0aW9ucyBhcmUgc2tpcHBlZC5cbiAqL1xuZnVuY3Rpb24gcGFyc2VYbWwoeG1sOiBzdHJpbmcpOiBJWG1sRWxlbWVudCB7XG4gICAgbGV0IHBvcyA9IDA7XG4gICAgY29uc3QgZmFpbCA9IChtZXNzYWdlOiBzdHJpbmcpID0+IHtcbiAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdNYWxmb3JtZWQgWE1MIGF0ICcgKyBwb3MgKyAnOiAnICsgbWVzc2FnZSk7XG4gICAgfTtcbiAgICBjb25zdCBsb2NhbE5hbWUgPSAobmFtZTogc3RyaW5nKSA9PiBuYW1lLnN1YnN0cmluZyhuYW1lLmluZGV4T2YoJzonKSArIDEpO1xuICAgIGNvbnN0IHNraXBVbnRpbCA9ICh0b2tlbjogc3RyaW5nKSA9PiB7XG4gICAgICAgIGNvbnN0IGVuZCA9IHhtbC5pbmRleE9mKHRva2VuLCBwb3MpO1xuICAgICAgICBpZiAoZW5kIDwgMCkge1xuICAgICAgICAgICAgZmFpbCgnbWlzc2luZyAnICsgdG9rZW4pO1xuICAgICAgICB9XG4gICAgICAgIHBvcyA9IGVuZCArIHRva2VuLmxlbmd0aDtcbiAgICB9O1xuICAgIGNvbnN0IHNraXBNaXNjID0gKCkgPT4ge1xuICAgICAgICBmb3IgKDsgOyApIHtcbiAgICAgICAgICAgIHdoaWxlIChwb3MgPCB4bWwubGVuZ3RoICYmIC9cXHMvLnRlc3QoeG1sLmNoYXJBdChwb3MpKSkge1xuICAgICAgICAgICAgICAgIHBvcysrO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgaWYgKHhtbC5zdWJzdHIocG9zLCAyKSA9PT0gJzw/Jykge1xuICAgICAgICAgICAgICAgIHNraXBVbnRpbCgnPz4nKTtcbiAgICAgICAgICAgIH0gZWxzZSBpZiAoeG1sLnN1YnN0cihwb3MsIDQpID09PSAnPCEtLScpIHtcbiAgICAgICAgICAgICAgICBza2lwVW50aWwoJy0tPicpO1xuICAgICAgICAgICAgfSBlbHNlIGlmICh4bWwuc3Vic3RyKHBvcywgOSkgPT09ICc8IURPQ1RZUEUnKSB7XG4gICAgICAgICAgICAgICAgc2tpcFVudGlsKCc+Jyk7XG4gICAgICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgICAgIHJldHVybjtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgIH07XG5cbiAgICBjb25zdCBwYXJzZUVsZW1lbnQgPSAoKTogSVhtbEVsZW1lbnQgPT4ge1xuICAgICAgICBjb25zdCBoZWFkID0gL148KFtcXHc6Li1dKykvLmV4ZWMoeG1sLnN1YnN0cmluZyhwb3MpKTtcbiAgICAgICAgaWYgKCFoZWFkKSB7XG4gICAgICAgICAgICBmYWlsKCdleHBlY3RlZCBhbiBlbGVtZW50Jyk7XG4gICAgICAgIH1cbiAgICAgICAgcG9zICs9IGhlYWRbMF0ubGVuZ3RoO1xuICAgICAgICBjb25zdCBlbGVtZW50OiBJWG1sRWxlbWVudCA9IHsgbmFtZTogbG9jYWxOYW1lKGhlYWRbMV0pLCBhdHRyaWJ1dGVzOiB7fSwgY2hpbGRyZW46IFtdLCB0ZXh0OiAnJyB9O1xuICAgICAgICBmb3IgKDsgOyApIHtcbiAgICAgICAgICAgIGNvbnN0IGF0dHIgPSAvXlxccysoW1xcdzouLV0rKVxccyo9XFxzKihcIihbXlwiXSopXCJ8JyhbXiddKiknKS8uZXhlYyh4bWwuc3Vic3RyaW5nKHBvcykpO1xuICAgICAgICAgICAgaWYgKCFhdHRyKSB7XG4gICAgICAgICAgICAgICAgYnJlYWs7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICBjb25zdCB2YWx1ZSA9IGF0dHJbM10gIT09IHVuZGVmaW5lZCA/IGF0dHJbM10gOiBhdHRyWzRdO1xuICAgICAgICAgICAgZWxlbWVudC5hdHRyaWJ1dGVzW2F0dHJbMV1dID0gZGVjb2RlRW50aXRpZXModmFsdWUpO1xuICAgICAgICAgICAgcG9zICs9IGF0dHJbMF0ubGVuZ3RoO1xuICAgICAgICB9XG4gICAgICAgIGNvbnN0IHRhaWwgPSAvXlxccyooXFwvPyk+Ly5leGVjKHhtbC5zdWJzdHJpbmcocG9zKSk7XG4gICAgICAgIGlmICghdGFpbCkge1xuICAgICAgICAgICAgZmFpbCgndW50ZXJtaW5hdGVkIHRhZyAnICsgaGVhZFsxXSk7XG4gICAgICAgIH1cbiAgICAgICAgcG9zICs9IHRhaWxbMF0ubGVuZ3RoO1xuICAgICAgICBpZiAodGFpbFsxXSkge1xuICAgICAgICAgICAgcmV0dXJuIGVsZW1lbnQ7XG4gICAgICAgIH1cbiAgICAgICAgZm9yICg7IDsgKSB7XG4gICAgICAgICAgICBpZiAocG9zID49IHhtbC5sZW5ndGgpIHtcbiAgICAgICAgICAgICAgICBmYWlsKCd1bmNsb3NlZCBlbGVtZW50ICcgKyBoZWFkWzFdKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIGlmICh4bWwuc3Vic3RyKHBvcywgMikgPT09ICc8LycpIHtcbiAgICAgICAgICAgICAgICBjb25zdCBjbG9zZSA9IC9ePFxcLyhbXFx3Oi4tXSspXFxzKj4vLmV4ZWMoeG1sLnN1YnN0cmluZyhwb3MpKTtcbiAgICAgICAgICAgICAgICBpZiAoIWNsb3NlIHx8IGNsb3NlWzFdICE9PSBoZWFkWzFdKSB7XG4gICAgICAgICAgICAgICAgICAgIGZhaWwoJ21pc21hdGNoZWQgY2xvc2luZyB0YWcgZm9yICcgKyBoZWFkWzFdKTtcbiAgICAgICAgICAgICAgICB9XG4gICAgICAgICAgICAgICAgcG9zICs9IGNsb3NlWzBdLmxlbmd0aDtcbiAgICAgICAgICAgICAgICByZXR1cm4gZWxlbWVudDtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIGlmICh4bWwuc3Vic3RyKHBvcywgNCkgPT09ICc8IS0tJykge1xuICAgICAgICAgICAgICAgIHNraXBVbnRpbCgnLS0+Jyk7XG4gICAgICAgICAgICB9IGVsc2UgaWYgKHhtbC5zdWJzdHIocG9zLCA5KSA9PT0gJzwhW0NEQVRBWycpIHtcbiAgICAgICAgICAgICAgICBjb25zdCBzdGFydCA9IHBvcyArIDk7XG4gICAgICAgICAgICAgICAgc2tpcFVudGlsKCddXT4nKTtcbiAgICAgICAgICAgICAgICBlbGVtZW50LnRleHQgKz0geG1sLnN1YnN0cmluZyhzdGFydCwgcG9zIC0gMyk7XG4gICAgICAgICAgICB9IGVsc2UgaWYgKHhtbC5zdWJzdHIocG9zLCAyKSA9PT0gJzw/Jykge1xuICAgICAgICAgICAgICAgIHNraXBVbnRpbCgnPz4nKTtcbiAgICAgICAgICAgIH0gZWxzZSBpZiAoeG1sLmNoYXJBdChwb3MpID09PSAnPCcpIHtcbiAgICAgICAgICAgICAgICBlbGVtZW50LmNoaWxkcmVuLnB1c2gocGFyc2VFbGVtZW50KCkpO1xuICAgICAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgICAgICBjb25zdCBuZXh0ID0geG1sLmluZGV4T2YoJzwnLCBwb3MpO1xuICAgICAgICAgICAgICAgIGNvbnN0IGVuZCA9IG5leHQgPCAwID8geG1sLmxlbmd0aCA6IG5leHQ7XG4gICAgICAgICAgICAgICAgZWxlbWVudC50ZXh0ICs9IGRlY29kZUVudGl0aWVzKHhtbC5zdWJzdHJpbmcocG9zLCBlbmQpKTtcbiAgICAgICAgICAgICAgICBwb3MgPSBlbmQ7XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICB9O1xuXG4gICAgc2tpcE1pc2MoKTtcbiAgICBjb25zdCByb290ID0gcGFyc2VFbGVtZW50KCk7XG4gICAgc2tpcE1pc2MoKTtcbiAgICBpZiAocG9zIDwgeG1sLmxlbmd0aCkge1xuICAgICAgICBmYWlsKCd1bmV4cGVjdGVkIGNvbnRlbnQgYWZ0ZXIgdGhlIHJvb3QgZWxlbWVudCcpO1xuICAgIH1cbiAgICByZXR1cm4gcm9vdDtcbn1cblxuLyoqXG4gKiBQYXJzZXMgYSBTQ1hNTCBkb2N1bWVudCBpbnRvIGEgZGVmaW5pdGlvbi4gVGhlIG9uZW50cnkgYW5kIG9uZXhpdFxuICogaGFuZGxlcnMsIGFzIHdlbGwgYXMgdGhlIGV4ZWN1dGFibGUgY29udGVudCBvZiBhIHRyYW5zaXRpb24sIGFyZVxuICogZXhwZWN0ZWQgdG8gY29uc2lzdCBvZiBhIHNpbmdsZSBzY3JpcHQgZWxlbWVudCwgd2hvc2UgdGV4dCBpcyB0aGUgbmFtZVxuICogb2YgdGhlIGNhbGxiYWNrOyB0aGUgY29uZCBhdHRyaWJ1dGUgaXMgZXhwZWN0ZWQgdG8gYmUgdGhlIG5hbWUgb2ZcbiAqIGEgZ3VhcmQuIFRoZSBkYXRhIGVsZW1lbnRzIG9mIHRoZSBkYXRhbW9kZWwgbWFrZSB1cCB0aGUgY29udGV4dCBkYXRhLFxuICogYW5kIHRoZWlyIGV4cHJlc3Npb25zIG11c3QgYmUgSlNPTiB2YWx1ZXMuIEEgdGFyZ2V0bGVzcyB0cmFuc2l0aW9uXG4gKiBpcyB0YWtlbiBhcyBhbiBpbnRlcm5hbCBzZWxmLXRyYW5zaXRpb24uIEEgcGFyYWxsZWwgZWxlbWVudCBhdCB0aGUgdG9wXG4gKiBzdGFuZHMgZm9yIHRoZSBvcnRob2dvbmFsIHJlZ2lvbnM6IGVhY2ggb2YgaXRzIGNoaWxkIHN0YXRlcyBpcyBhIHJlZ2lvbixcbiAqIHdob3NlIGNoaWxkcmVuIGFyZSB0aGUgc3RhdGVzIGluIHRoZSByZWdpb24sIGFuZCB0aGUgb25lIHdpdGggdGhlIGlkXG4gKiAnZGVmYXVsdCcgaXMgdGhlIGRlZmF1bHQgcmVnaW9uLlxuICogSWYgYW55IHVuc3VwcG9ydGVkIGNvbnN0cnVjdCBpcyBtZXQsIGEgRGVmaW5pdGlvbkVycm9yIGxpc3RpbmdcbiAqIGFsbCBvZiB0aGVtIGlzIHRocm93bi5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIHBhcnNlU2N4bWwoeG1sOiBzdHJpbmcpOiBJTWFjaGluZURlZmluaXRpb24ge1xuICAgIGNvbnN0IGVycm9yczogQXJyYXk8SURlZmluaXRpb25Qcm9ibGVtPiA9IFtdO1xuICAgIGxldCByb290OiBJWG1sRWxlbWVudDtcbiAgICB0cnkge1xuICAgICAgICByb290ID0gcGFyc2VYbWwoeG1sKTtcbiAgICB9IGNhdGNoIChlKSB7XG4gICAgICAgIHRocm93IG5ldyBEZWZpbml0aW9uRXJyb3IoW3sgcGF0aDogJycsIG1lc3NhZ2U6IGUubWVzc2FnZSB9XSk7XG4gICAgfVxuICAgIGlmIChyb290Lm5hbWUgIT09ICdzY3htbCcpIHtcbiAgICAgICAgdGhyb3cgbmV3IERlZmluaXRpb25FcnJvcihbeyBwYXRoOiAnLycgKyByb290Lm5hbWUsIG1lc3NhZ2U6ICdOb3QgYSBTQ1hNTCBkb2N1bWVudCcgfV0pO1xuICAgIH1cblxuICAgIGNvbnN0IHN0YXRlczogQXJyYXk8SVN0YXRlRGVmaW5pdGlvbj4gPSBbXTtcbiAgICBjb25zdCBoaXN0b3J5U3RhdGVzOiBBcnJheTxJSGlzdG9yeVN0YXRlRGVmaW5pdGlvbj4gPSBbXTtcbiAgICBjb25zdCB0cmFuc2l0aW9uczogQXJyYXk8SVRyYW5zaXRpb25EZWZpbml0aW9uPiA9IFtdO1xuICAgIGNvbnN0IHJlZ2lvbnM6IEFycmF5PElSZWdpb25EZWZpbml0aW9uPiA9IFtdO1xuICAgIGNvbnN0IGRlZmluaXRpb246IElNYWNoaW5lRGVmaW5pdGlvbiA9IHsgc3RhdGVzOiBzdGF0ZXMsIHRyYW5zaXRpb25zOiB0cmFuc2l0aW9ucyB9O1xuICAgIGNvbnN0IHVuc3VwcG9ydGVkID0gKHBhdGg6IHN0cmluZywgd2hhdDogc3RyaW5nKSA9PiB7XG4gICAgICAgIGVycm9ycy5wdXNoKHsgcGF0aDogcGF0aCwgbWVzc2FnZTogJ1Vuc3VwcG9ydGVkICcgKyB3aGF0IH0pO1xuICAgIH07XG5cbiAgICAvLyBSZXR1cm5zIHRoZSBjYWxsYmFjayBuYW1lIGdpdmVuIGJ5IHRoZSBleGVjdXRhYmxlIGNvbnRlbnQgb2YgYW4gZWxlbWVudC5cbiAgICBjb25zdCBjYWxsYmFja09mID0gKGVsZW1lbnQ6IElYbWxFbGVtZW50LCBwYXRoOiBzdHJpbmcpID0+IHtcbiAgICAgICAgY29uc3Qgc2NyaXB0cyA9IGVsZW1lbnQuY2hpbGRyZW4uZmlsdGVyKGMgPT4gYy5uYW1lID09PSAnc2NyaXB0Jyk7XG4gICAgICAgIGVsZW1lbnQuY2hpbGRyZW4uZm9yRWFjaChjID0+IHtcbiAgICAgICAgICAgIGlmIChjLm5hbWUgIT09ICdzY3JpcHQnKSB7XG4gICAgICAgICAgICAgICAgdW5zdXBwb3J0ZWQocGF0aCArICcvJyArIGMubmFtZSwgJ2V4ZWN1dGFibGUgY29udGVudDogJyArIGMubmFtZSk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH0pO1xuICAgICAgICBpZiAoc2NyaXB0cy5sZW5ndGggPiAxKSB7XG4gICAgICAgICAgICB1bnN1cHBvcnRlZChwYXRoICsgJy9zY3JpcHQnLCAnbXVsdGlwbGUgc2NyaXB0cycpO1xuICAgICAgICB9XG4gICAgICAgIGlmICghc2NyaXB0cy5sZW5ndGgpIHtcbiAgICAgICAgICAgIHJldHVybiB1bmRlZmluZWQ7XG4gICAgICAgIH1cbiAgICAgICAgY29uc3QgbmFtZSA9IHNjcmlwdHNbMF0udGV4dC50cmltKCk7XG4gICAgICAgIGlmIChzY3JpcHRzWzBdLmF0dHJpYnV0ZXMuc3JjIHx8ICFpZGVudGlmaWVyUGF0dGVybi50ZXN0KG5hbWUpKSB7XG4gICAgICAgICAgICB1bnN1cHBvcnRlZChwYXRoICsgJy9zY3JpcHQnLCAnc2NyaXB0OyBleHBlY3RlZCB0aGUgbmFtZSBvZiBhIGNhbGxiYWNrJyk7XG4gICAgICAgICAgICByZXR1cm4gdW5kZWZpbmVkO1xuICAgICAgICB9XG4gICAgICAgIHJldHVybiBuYW1lO1xuICAgIH07XG5cbiAgICAvLyBSZXR1cm5zIHRoZSB0YXJnZXQgb2YgYW4gaW5pdGlhbCBlbGVtZW50LlxuICAgIGNvbnN0IGluaXRpYWxPZiA9IChlbGVtZW50OiBJWG1sRWxlbWVudCwgcGF0aDogc3RyaW5nKSA9PiB7XG4gICAgICAgIGNvbnN0IHRyYW5zID0gZWxlbWVudC5jaGlsZHJlbi5maWx0ZXIoYyA9PiBjLm5hbWUgPT09ICd0cmFuc2l0aW9uJyk7XG4gICAgICAgIGlmICh0cmFucy5sZW5ndGggIT09IDEgfHwgIXRyYW5zWzBdLmF0dHJpYnV0ZXMudGFyZ2V0IHx8IHRyYW5zWzBdLmNoaWxkcmVuLmxlbmd0aCkge1xuICAgICAgICAgICAgdW5zdXBwb3J0ZWQocGF0aCwgZWxlbWVudC5uYW1lICsgJyBlbGVtZW50OyBleHBlY3RlZCBhIHNpbmdsZSB0cmFuc2l0aW9uIHdpdGggYSB0YXJnZXQnKTtcbiAgICAgICAgICAgIHJldHVybiB1bmRlZmluZWQ7XG4gICAgICAgIH1cbiAgICAgICAgcmV0dXJuIHRyYW5zWzBdLmF0dHJpYnV0ZXMudGFyZ2V0O1xuICAgIH07XG5cbiAgICBjb25zdCByZWFkVHJhbnNpdGlvbiA9IChlbGVtZW50OiBJWG1sRWxlbWVudCwgZnJvbTogc3RyaW5nLCBwYXRoOiBzdHJpbmcpID0+IHtcbiAgICAgICAgY29uc3QgYXR0cnMgPSBlbGVtZW50LmF0dHJpYnV0ZXM7XG4gICAgICAgIC8vIEEgdGFyZ2V0bGVzcyB0cmFuc2l0aW9uIGxlYXZlcyBubyBzdGF0ZSwgYW5kIGVudGVycyBub25lLlxuICAgICAgICBjb25zdCB0cmFuc2l0aW9uOiBJVHJhbnNpdGlvbkRlZmluaXRpb24gPSBhdHRycy50YXJnZXQgP1xuICAgICAgICAgICAgeyBmcm9tOiBmcm9tLCB0bzogYXR0cnMudGFyZ2V0IH0gOlxuICAgICAgICAgICAgeyBmcm9tOiBmcm9tLCB0bzogZnJvbSwgaW50ZXJuYWw6IHRydWUgfTtcbiAgICAgICAgaWYgKGF0dHJzLnRhcmdldCAmJiAvXFxzLy50ZXN0KGF0dHJzLnRhcmdldC50cmltKCkpKSB7XG4gICAgICAgICAgICB1bnN1cHBvcnRlZChwYXRoICsgJy9AdGFyZ2V0JywgJ211bHRpcGxlIHRhcmdldHM6ICcgKyBhdHRycy50YXJnZXQpO1xuICAgICAgICAgICAgcmV0dXJuO1xuICAgICAgICB9XG4gICAgICAgIGlmICghYXR0cnMuZXZlbnQpIHtcbiAgICAgICAgICAgIHVuc3VwcG9ydGVkKHBhdGgsICdldmVudGxlc3MgdHJhbnNpdGlvbicpO1xuICAgICAgICB9IGVsc2UgaWYgKC9cXHMvLnRlc3QoYXR0cnMuZXZlbnQudHJpbSgpKSB8fCAvWypdLy50ZXN0KGF0dHJzLmV2ZW50KSkge1xuICAgICAgICAgICAgdW5zdXBwb3J0ZWQocGF0aCArICcvQGV2ZW50JywgJ2V2ZW50IGRlc2NyaXB0b3I6ICcgKyBhdHRycy5ldmVudCk7XG4gICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICB0cmFuc2l0aW9uLmV2ZW50ID0gYXR0cnMuZXZlbnQ7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKGF0dHJzLmNvbmQpIHtcbiAgICAgICAgICAgIGlmIChpZGVudGlmaWVyUGF0dGVybi50ZXN0KGF0dHJzLmNvbmQudHJpbSgpKSkge1xuICAgICAgICAgICAgICAgIHRyYW5zaXRpb24uZ3VhcmQgPSBhdHRycy5jb25kLnRyaW0oKTtcbiAgICAgICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICAgICAgdW5zdXBwb3J0ZWQocGF0aCArICcvQGNvbmQnLCAnY29uZGl0aW9uOyBleHBlY3RlZCB0aGUgbmFtZSBvZiBhIGd1YXJkOiAnICsgYXR0cnMuY29uZCk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgICAgaWYgKGF0dHJzLnR5cGUgPT09ICdpbnRlcm5hbCcpIHtcbiAgICAgICAgICAgIHVuc3VwcG9ydGVkKHBhdGggKyAnL0B0eXBlJywgJ2ludGVybmFsIHRyYW5zaXRpb24nKTtcbiAgICAgICAgfVxuICAgICAgICBjb25zdCBvbkFmdGVyID0gY2FsbGJhY2tPZihlbGVtZW50LCBwYXRoKTtcbiAgICAgICAgaWYgKG9uQWZ0ZXIpIHtcbiAgICAgICAgICAgIHRyYW5zaXRpb24ub25BZnRlciA9IG9uQWZ0ZXI7XG4gICAgICAgIH1cbiAgICAgICAgdHJhbnNpdGlvbnMucHVzaCh0cmFuc2l0aW9uKTtcbiAgICB9O1xuXG4gICAgY29uc3QgcmVhZEhpc3RvcnkgPSAoZWxlbWVudDogSVhtbEVsZW1lbnQsIHBhcmVudDogc3RyaW5nLCBwYXRoOiBzdHJpbmcpID0+IHtcbiAgICAgICAgY29uc3QgaWQgPSBlbGVtZW50LmF0dHJpYnV0ZXMuaWQ7XG4gICAgICAgIGlmICghaWQpIHtcbiAgICAgICAgICAgIHVuc3VwcG9ydGVkKHBhdGgsICdoaXN0b3J5IHdpdGhvdXQgYW4gaWQnKTtcbiAgICAgICAgICAgIHJldHVybjtcbiAgICAgICAgfVxuICAgICAgICBjb25zdCBoaXN0b3J5OiBJSGlzdG9yeVN0YXRlRGVmaW5pdGlvbiA9IHsgbmFtZTogaWQsIHBhcmVudDogcGFyZW50IH07XG4gICAgICAgIGlmIChlbGVtZW50LmF0dHJpYnV0ZXMudHlwZSA9PT0gJ2RlZXAnKSB7XG4gICAgICAgICAgICBoaXN0b3J5LmRlZXAgPSB0cnVlO1xuICAgICAgICB9XG4gICAgICAgIGlmIChlbGVtZW50LmNoaWxkcmVuLmxlbmd0aCkge1xuICAgICAgICAgICAgLy8gVGhlIGRlZmF1bHQgdHJhbnNpdGlvblxuICAgICAgICAgICAgY29uc3QgdGFyZ2V0ID0gaW5pdGlhbE9mKGVsZW1lbnQsIHBhdGggKyAnW0BpZD1cXCcnICsgaWQgKyAnXFwnXScpO1xuICAgICAgICAgICAgaWYgKHRhcmdldCkge1xuICAgICAgICAgICAgICAgIGhpc3RvcnkuZGVmYXVsdFRhcmdldCA9IHRhcmdldDtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgICAgICBoaXN0b3J5U3RhdGVzLnB1c2goaGlzdG9yeSk7XG4gICAgfTtcblxuICAgIGNvbnN0IHJlYWRTdGF0ZSA9IChlbGVtZW50OiBJWG1sRWxlbWVudCwgcGFyZW50OiBzdHJpbmcsIHBhdGg6IHN0cmluZywgcmVnaW9uPzogc3RyaW5nKSA9PiB7XG4gICAgICAgIGNvbnN0IGlkID0gZWxlbWVudC5hdHRyaWJ1dGVzLmlkO1xuICAgICAgICBpZiAoIWlkKSB7XG4gICAgICAgICAgICB1bnN1cHBvcnRlZChwYXRoLCAnc3RhdGUgd2l0aG91dCBhbiBpZCcpO1xuICAgICAgICAgICAgcmV0dXJuO1xuICAgICAgICB9XG4gICAgICAgIHBhdGggPSBwYXRoICsgJ1tAaWQ9XFwnJyArIGlkICsgJ1xcJ10nO1xuICAgICAgICBjb25zdCBzdGF0ZTogSVN0YXRlRGVmaW5pdGlvbiA9IHsgbmFtZTogaWQgfTtcbiAgICAgICAgaWYgKHBhcmVudCkge1xuICAgICAgICAgICAgc3RhdGUucGFyZW50ID0gcGFyZW50O1xuICAgICAgICB9XG4gICAgICAgIGlmIChyZWdpb24gJiYgcmVnaW9uICE9PSBkZWZhdWx0UmVnaW9uKSB7XG4gICAgICAgICAgICBzdGF0ZS5yZWdpb24gPSByZWdpb247XG4gICAgICAgIH1cbiAgICAgICAgaWYgKGVsZW1lbnQuYXR0cmlidXRlcy5pbml0aWFsKSB7XG4gICAgICAgICAgICBzdGF0ZS5pbml0aWFsID0gZWxlbWVudC5hdHRyaWJ1dGVzLmluaXRpYWw7XG4gICAgICAgIH1cbiAgICAgICAgaWYgKGVsZW1lbnQubmFtZSA9PT0gJ2ZpbmFsJykge1xuICAgICAgICAgICAgc3RhdGUuZmluYWwgPSB0cnVlO1xuICAgICAgICB9XG4gICAgICAgIHN0YXRlcy5wdXNoKHN0YXRlKTtcbiAgICAgICAgZWxlbWVudC5jaGlsZHJlbi5mb3JFYWNoKGMgPT4ge1xuICAgICAgICAgICAgY29uc3QgY2hpbGRQYXRoID0gcGF0aCArICcvJyArIGMubmFtZTtcbiAgICAgICAgICAgIGlmIChjLm5hbWUgPT09ICdzdGF0ZScgfHwgYy5uYW1lID09PSAnZmluYWwnKSB7XG4gICAgICAgICAgICAgICAgcmVhZFN0YXRlKGMsIGlkLCBjaGlsZFBhdGgpO1xuICAgICAgICAgICAgfSBlbHNlIGlmIChjLm5hbWUgPT09ICdpbml0aWFsJykge1xuICAgICAgICAgICAgICAgIHN0YXRlLmluaXRpYWwgPSBpbml0aWFsT2YoYywgY2hpbGRQYXRoKTtcbiAgICAgICAgICAgIH0gZWxzZSBpZiAoYy5uYW1lID09PSAnaGlzdG9yeScpIHtcbiAgICAgICAgICAgICAgICByZWFkSGlzdG9yeShjLCBpZCwgY2hpbGRQYXRoKTtcbiAgICAgICAgICAgIH0gZWxzZSBpZiAoYy5uYW1lID09PSAndHJhbnNpdGlvbicpIHtcbiAgICAgICAgICAgICAgICByZWFkVHJhbnNpdGlvbihjLCBpZCwgY2hpbGRQYXRoKTtcbiAgICAgICAgICAgIH0gZWxzZSBpZiAoYy5uYW1lID09PSAnb25lbnRyeScgfHwgYy5uYW1lID09PSAnb25leGl0Jykge1xuICAgICAgICAgICAgICAgIGNvbnN0IGtleSA9IGMubmFtZSA9PT0gJ29uZW50cnknID8gJ29uRW50ZXInIDogJ29uTGVhdmUnO1xuICAgICAgICAgICAgICAgIGlmIChzdGF0ZVtrZXldKSB7XG4gICAgICAgICAgICAgICAgICAgIHVuc3VwcG9ydGVkKGNoaWxkUGF0aCwgJ211bHRpcGxlICcgKyBjLm5hbWUgKyAnIGhhbmRsZXJzJyk7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgICAgIHN0YXRlW2tleV0gPSBjYWxsYmFja09mKGMsIGNoaWxkUGF0aCk7XG4gICAgICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgICAgIHVuc3VwcG9ydGVkKGNoaWxkUGF0aCwgJ2VsZW1lbnQ6ICcgKyBjLm5hbWUpO1xuICAgICAgICAgICAgfVxuICAgICAgICB9KTtcbiAgICB9O1xuXG4gICAgLy8gUmVhZHMgYSByZWdpb24sIGkuZS4sIGEgY2hpbGQgc3RhdGUgb2YgdGhlIHBhcmFsbGVsIGVsZW1lbnQuXG4gICAgY29uc3QgcmVhZFJlZ2lvbiA9IChlbGVtZW50OiBJWG1sRWxlbWVudCwgcGF0aDogc3RyaW5nKSA9PiB7XG4gICAgICAgIGNvbnN0IGlkID0gZWxlbWVudC5hdHRyaWJ1dGVzLmlkO1xuICAgICAgICBpZiAoZWxlbWVudC5uYW1lICE9PSAnc3RhdGUnIHx8ICFpZCkge1xuICAgICAgICAgICAgdW5zdXBwb3J0ZWQocGF0aCwgJ3JlZ2lvbjsgZXhwZWN0ZWQgYSBzdGF0ZSB3aXRoIGFuIGlkJyk7XG4gICAgICAgICAgICByZXR1cm47XG4gICAgICAgIH1cbiAgICAgICAgcGF0aCA9IHBhdGggKyAnW0BpZD1cXCcnICsgaWQgKyAnXFwnXSc7XG4gICAgICAgIGNvbnN0IG1lbWJlcnMgPSBlbGVtZW50LmNoaWxkcmVuLmZpbHRlcihjID0+IGMubmFtZSA9PT0gJ3N0YXRlJyB8fCBjLm5hbWUgPT09ICdmaW5hbCcpO1xuICAgICAgICBsZXQgaW5pdGlhbCA9IGVsZW1lbnQuYXR0cmlidXRlcy5pbml0aWFsO1xuICAgICAgICBlbGVtZW50LmNoaWxkcmVuLmZvckVhY2goYyA9PiB7XG4gICAgICAgICAgICBjb25zdCBjaGlsZFBhdGggPSBwYXRoICsgJy8nICsgYy5uYW1lO1xuICAgICAgICAgICAgaWYgKGMubmFtZSA9PT0gJ3N0YXRlJyB8fCBjLm5hbWUgPT09ICdmaW5hbCcpIHtcbiAgICAgICAgICAgICAgICByZWFkU3RhdGUoYywgbnVsbCwgY2hpbGRQYXRoLCBpZCk7XG4gICAgICAgICAgICB9IGVsc2UgaWYgKGMubmFtZSA9PT0gJ2luaXRpYWwnKSB7XG4gICAgICAgICAgICAgICAgaW5pdGlhbCA9IGluaXRpYWxPZihjLCBjaGlsZFBhdGgpO1xuICAgICAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgICAgICB1bnN1cHBvcnRlZChjaGlsZFBhdGgsICdlbGVtZW50IGluIGEgcmVnaW9uOiAnICsgYy5uYW1lKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgfSk7XG4gICAgICAgIC8vIEJ5IHRoZSBTQ1hNTCBzZW1hbnRpY3MsIHRoZSBmaXJzdCBzdGF0ZSBpcyB0aGUgaW5pdGlhbCBvbmUuXG4gICAgICAgIGluaXRpYWwgPSBpbml0aWFsIHx8IChtZW1iZXJzLmxlbmd0aCA/IG1lbWJlcnNbMF0uYXR0cmlidXRlcy5pZCA6IHVuZGVmaW5lZCk7XG4gICAgICAgIGlmIChpZCA9PT0gZGVmYXVsdFJlZ2lvbikge1xuICAgICAgICAgICAgZGVmaW5pdGlvbi5pbml0aWFsID0gaW5pdGlhbDtcbiAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgIHJlZ2lvbnMucHVzaCh7IG5hbWU6IGlkLCBpbml0aWFsOiBpbml0aWFsIH0pO1xuICAgICAgICB9XG4gICAgfTtcblxuICAgIGNvbnN0IHBhcmFsbGVscyA9IHJvb3QuY2hpbGRyZW4uZmlsdGVyKGMgPT4gYy5uYW1lID09PSAncGFyYWxsZWwnKTtcbiAgICBpZiAocGFyYWxsZWxzLmxlbmd0aCAmJiByb290LmNoaWxkcmVuLnNvbWUoYyA9PiBjLm5hbWUgIT09ICdwYXJhbGxlbCcgJiYgYy5uYW1lICE9PSAnZGF0YW1vZGVsJykpIHtcbiAgICAgICAgdW5zdXBwb3J0ZWQoJy9zY3htbC9wYXJhbGxlbCcsICdwYXJhbGxlbCBlbGVtZW50IGFsb25nIHdpdGggb3RoZXIgc3RhdGVzJyk7XG4gICAgfSBlbHNlIGlmIChwYXJhbGxlbHMubGVuZ3RoID4gMSkge1xuICAgICAgICB1bnN1cHBvcnRlZCgnL3NjeG1sL3BhcmFsbGVsJywgJ211bHRpcGxlIHBhcmFsbGVsIGVsZW1lbnRzJyk7XG4gICAgfVxuICAgIGlmIChyb290LmF0dHJpYnV0ZXMuaW5pdGlhbCAmJiAhcGFyYWxsZWxzLmxlbmd0aCkge1xuICAgICAgICBkZWZpbml0aW9uLmluaXRpYWwgPSByb290LmF0dHJpYnV0ZXMuaW5pdGlhbDtcbiAgICB9XG4gICAgcm9vdC5jaGlsZHJlbi5mb3JFYWNoKGMgPT4ge1xuICAgICAgICBjb25zdCBwYXRoID0gJy9zY3htbC8nICsgYy5uYW1lO1xuICAgICAgICBpZiAoYy5uYW1lID09PSAnc3RhdGUnIHx8IGMubmFtZSA9PT0gJ2ZpbmFsJykge1xuICAgICAgICAgICAgcmVhZFN0YXRlKGMsIG51bGwsIHBhdGgpO1xuICAgICAgICB9IGVsc2UgaWYgKGMubmFtZSA9PT0gJ3BhcmFsbGVsJykge1xuICAgICAgICAgICAgYy5jaGlsZHJlbi5mb3JFYWNoKHIgPT4gcmVhZFJlZ2lvbihyLCBwYXRoICsgJy8nICsgci5uYW1lKSk7XG4gICAgICAgIH0gZWxzZSBpZiAoYy5uYW1lID09PSAnZGF0YW1vZGVsJykge1xuICAgICAgICAgICAgY29uc3QgY29udGV4dDogeyBba2V5OiBzdHJpbmddOiBhbnkgfSA9IHt9O1xuICAgICAgICAgICAgYy5jaGlsZHJlbi5mb3JFYWNoKGQgPT4ge1xuICAgICAgICAgICAgICAgIGlmIChkLm5hbWUgIT09ICdkYXRhJyB8fCAhZC5hdHRyaWJ1dGVzLmlkKSB7XG4gICAgICAgICAgICAgICAgICAgIHVuc3VwcG9ydGVkKHBhdGggKyAnLycgKyBkLm5hbWUsICdkYXRhIGVsZW1lbnQnKTtcbiAgICAgICAgICAgICAgICAgICAgcmV0dXJuO1xuICAgICAgICAgICAgICAgIH1cbiAgICAgICAgICAgICAgICB0cnkge1xuICAgICAgICAgICAgICAgICAgICBjb250ZXh0W2QuYXR0cmlidXRlcy5pZF0gPSBKU09OLnBhcnNlKGQuYXR0cmlidXRlcy5leHByIHx8IGQudGV4dCB8fCAnbnVsbCcpO1xuICAgICAgICAgICAgICAgIH0gY2F0Y2ggKGUpIHtcbiAgICAgICAgICAgICAgICAgICAgdW5zdXBwb3J0ZWQocGF0aCArICcvZGF0YVtAaWQ9XFwnJyArIGQuYXR0cmlidXRlcy5pZCArICdcXCddJywgJ2RhdGEgZXhwcmVzc2lvbjsgZXhwZWN0ZWQgYSBKU09OIHZhbHVlJyk7XG4gICAgICAgICAgICAgICAgfVxuICAgICAgICAgICAgfSk7XG4gICAgICAgICAgICBkZWZpbml0aW9uLmNvbnRleHQgPSBjb250ZXh0O1xuICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgICAgdW5zdXBwb3J0ZWQocGF0aCwgJ2VsZW1lbnQ6ICcgKyBjLm5hbWUpO1xuICAgICAgICB9XG4gICAgfSk7XG4gICAgaWYgKGhpc3RvcnlTdGF0ZXMubGVuZ3RoKSB7XG4gICAgICAgIGRlZmluaXRpb24uaGlzdG9yeVN0YXRlcyA9IGhpc3RvcnlTdGF0ZXM7XG4gICAgfVxuICAgIGlmIChyZWdpb25zLmxlbmd0aCkge1xuICAgICAgICBkZWZpbml0aW9uLnJlZ2lvbnMgPSByZWdpb25zO1xuICAgIH1cbiAgICBpZiAoIWRlZmluaXRpb24uaW5pdGlhbCAmJiBzdGF0ZXMubGVuZ3RoICYmICFwYXJhbGxlbHMubGVuZ3RoKSB7XG4gICAgICAgIC8vIEJ5IHRoZSBTQ1hNTCBzZW1hbnRpY3MsIHRoZSBmaXJzdCBzdGF0ZSBpcyB0aGUgaW5pdGlhbCBvbmUuXG4gICAgICAgIGRlZmluaXRpb24uaW5pdGlhbCA9IHN0YXRlc1swXS5uYW1lO1xuICAgIH1cblxuICAgIGlmIChlcnJvcnMubGVuZ3RoKSB7XG4gICAgICAgIHRocm93IG5ldyBEZWZpbml0aW9uRXJyb3IoZXJyb3JzKTtcbiAgICB9XG4gICAgcmV0dXJuIGRlZmluaXRpb247XG59XG5cbi8qKlxuICogU2VyaWFsaXplcyBhIGRlZmluaXRpb24gYXMgYSBTQ1hNTCBkb2N1bWVudCwgZm9sbG93aW5nIHRoZSBzYW1lXG4gKiBjb252ZW50aW9ucyBhcyBwYXJzZVNjeG1sLiBBbiBpbnRlcm5hbCBzZWxmLXRyYW5zaXRpb24gaXMgd3JpdHRlblxuICogYXMgYSB0YXJnZXRsZXNzIHRyYW5zaXRpb24sIGFuZCB0aGUgb3J0aG9nb25hbCByZWdpb25zIGFzIHRoZSBjaGlsZFxuICogc3RhdGVzIG9mIGEgcGFyYWxsZWwgZWxlbWVudCwgbmFtZWQgYWZ0ZXIgdGhlIHJlZ2lvbnMuIEEgaGlzdG9yeSBzdGF0ZVxuICogaXMgYWx3YXlzIHdyaXR0ZW4gd2l0aCBpdHMgZGVmYXVsdCB0cmFuc2l0aW9uLiBUcmFuc2l0aW9ucyB3aXRob3V0XG4gKiBhbiBldmVudCwgd2hpY2ggU0NYTUwgd291bGQgdGFrZSBhdXRvbWF0aWNhbGx5LCBiZWZvcmUgY2FsbGJhY2tzLFxuICogYXNzaWduIG9wdGlvbnMsIGRlbGF5cyBhbmQgY29tcGVuc2F0aW9ucyBoYXZlIG5vIGNvdW50ZXJwYXJ0LFxuICogYW5kIGFyZSByZXBvcnRlZCBieSBhIERlZmluaXRpb25FcnJvci5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIHNlcmlhbGl6ZVNjeG1sKGRlZmluaXRpb246IElNYWNoaW5lRGVmaW5pdGlvbik6IHN0cmluZyB7XG4gICAgY29uc3QgZXJyb3JzOiBBcnJheTxJRGVmaW5pdGlvblByb2JsZW0+ID0gW107XG4gICAgY29uc3QgbGluZXM6IEFycmF5PHN0cmluZz4gPSBbXTtcbiAgICBjb25zdCBpbmRlbnQgPSAoZGVwdGg6IG51bWJlcikgPT4gbmV3IEFycmF5KGRlcHRoICsgMSkuam9pbignICAgICcpO1xuICAgIGNvbnN0IGF0dHIgPSAobmFtZTogc3RyaW5nLCB2YWx1ZTogc3RyaW5nKSA9PiB2YWx1ZSA/ICcgJyArIG5hbWUgKyAnPVwiJyArIGVuY29kZUVudGl0aWVzKHZhbHVlKSArICdcIicgOiAnJztcblxuICAgIGNvbnN0IGNoaWxkcmVuOiB7IFtrZXk6IHN0cmluZ106IEFycmF5PElTdGF0ZURlZmluaXRpb24+IH0gPSB7fTtcbiAgICBjb25zdCByb290czogQXJyYXk8SVN0YXRlRGVmaW5pdGlvbj4gPSBbXTtcbiAgICBjb25zdCBwYXJlbnRzID0gcGFyZW50c09mKGRlZmluaXRpb24pO1xuICAgIGRlZmluaXRpb24uc3RhdGVzLmZvckVhY2goc3QgPT4ge1xuICAgICAgICBjb25zdCBwYXJlbnQgPSBwYXJlbnRzW3N0Lm5hbWVdO1xuICAgICAgICBjaGlsZHJlbltzdC5uYW1lXSA9IFtdO1xuICAgICAgICBpZiAocGFyZW50ICYmIGNoaWxkcmVuW3BhcmVudF0pIHtcbiAgICAgICAgICAgIGNoaWxkcmVuW3BhcmVudF0ucHVzaChzdCk7XG4gICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICByb290cy5wdXNoKHN0KTtcbiAgICAgICAgfVxuICAgIH0pO1xuXG4gICAgY29uc3Qgd3JpdGVIYW5kbGVyID0gKHRhZzogc3RyaW5nLCBuYW1lOiBzdHJpbmcsIGRlcHRoOiBudW1iZXIpID0+IHtcbiAgICAgICAgaWYgKG5hbWUpIHtcbiAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KGRlcHRoKSArICc8JyArIHRhZyArICc+Jyk7XG4gICAgICAgICAgICBsaW5lcy5wdXNoKGluZGVudChkZXB0aCArIDEpICsgJzxzY3JpcHQ+JyArIGVuY29kZUVudGl0aWVzKG5hbWUpICsgJzwvc2NyaXB0PicpO1xuICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGgpICsgJzwvJyArIHRhZyArICc+Jyk7XG4gICAgICAgIH1cbiAgICB9O1xuXG4gICAgY29uc3Qgd3JpdGVTdGF0ZSA9IChzdDogSVN0YXRlRGVmaW5pdGlvbiwgZGVwdGg6IG51bWJlcikgPT4ge1xuICAgICAgICBjb25zdCB0cmFucyA9IChkZWZpbml0aW9uLnRyYW5zaXRpb25zIHx8IFtdKS5maWx0ZXIodHIgPT4gdHIuZnJvbSA9PT0gc3QubmFtZSk7XG4gICAgICAgIC8vIEEgZmluYWwgc3RhdGUgaW4gU0NYTUwgaXMgYWx3YXlzIGF0b21pYywgYW5kIGNhbm5vdCBiZSBsZWZ0LlxuICAgICAgICBjb25zdCB0YWcgPSBzdC5maW5hbCA/ICdmaW5hbCcgOiAnc3RhdGUnO1xuICAgICAgICBpZiAoc3QuZmluYWwgJiYgKHRyYW5zLmxlbmd0aCB8fCBjaGlsZHJlbltzdC5uYW1lXS5sZW5ndGgpKSB7XG4gICAgICAgICAgICBlcnJvcnMucHVzaCh7XG4gICAgICAgICAgICAgICAgcGF0aDogJy9zdGF0ZXMvJyArIGRlZmluaXRpb24uc3RhdGVzLmluZGV4T2Yoc3QpICsgJy9maW5hbCcsXG4gICAgICAgICAgICAgICAgbWVzc2FnZTogJ0ZpbmFsIHN0YXRlcyB3aXRoIHRyYW5zaXRpb25zIG9yIGNoaWxkcmVuIGFyZSBub3Qgc3VwcG9ydGVkIGluIFNDWE1MJ1xuICAgICAgICAgICAgfSk7XG4gICAgICAgIH1cbiAgICAgICAgY29uc3Qgb3BlbiA9IGluZGVudChkZXB0aCkgKyAnPCcgKyB0YWcgKyBhdHRyKCdpZCcsIHN0Lm5hbWUpICsgYXR0cignaW5pdGlhbCcsIHN0LmluaXRpYWwpICsgJz4nO1xuICAgICAgICBsaW5lcy5wdXNoKG9wZW4pO1xuICAgICAgICB3cml0ZUhhbmRsZXIoJ29uZW50cnknLCBzdC5vbkVudGVyLCBkZXB0aCArIDEpO1xuICAgICAgICB3cml0ZUhhbmRsZXIoJ29uZXhpdCcsIHN0Lm9uTGVhdmUsIGRlcHRoICsgMSk7XG4gICAgICAgIHRyYW5zLmZvckVhY2godHIgPT4ge1xuICAgICAgICAgICAgY29uc3QgaW5kZXggPSBkZWZpbml0aW9uLnRyYW5zaXRpb25zLmluZGV4T2YodHIpO1xuICAgICAgICAgICAgaWYgKCF0ci5ldmVudCkge1xuICAgICAgICAgICAgICAgIGVycm9ycy5wdXNoKHtcbiAgICAgICAgICAgICAgICAgICAgcGF0aDogJy90cmFuc2l0aW9ucy8nICsgaW5kZXggKyAnL2V2ZW50JyxcbiAgICAgICAgICAgICAgICAgICAgbWVzc2FnZTogJ1RyYW5zaXRpb25zIHdpdGhvdXQgYW4gZXZlbnQgYXJlIG5vdCBzdXBwb3J0ZWQgaW4gU0NYTUwnXG4gICAgICAgICAgICAgICAgfSk7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgICBpZiAodHIub25CZWZvcmUpIHtcbiAgICAgICAgICAgICAgICBlcnJvcnMucHVzaCh7IHBhdGg6ICcvdHJhbnNpdGlvbnMvJyArIGluZGV4ICsgJy9vbkJlZm9yZScsIG1lc3NhZ2U6ICdCZWZvcmUgY2FsbGJhY2tzIGFyZSBub3Qgc3VwcG9ydGVkIGluIFNDWE1MJyB9KTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIGlmICh0ci5hc3NpZ24pIHtcbiAgICAgICAgICAgICAgICBlcnJvcnMucHVzaCh7IHBhdGg6ICcvdHJhbnNpdGlvbnMvJyArIGluZGV4ICsgJy9hc3NpZ24nLCBtZXNzYWdlOiAnQXNzaWduIG9wdGlvbnMgYXJlIG5vdCBzdXBwb3J0ZWQgaW4gU0NYTUwnIH0pO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgaWYgKHRyLmRlbGF5ICE9PSB1bmRlZmluZWQgJiYgdHIuZGVsYXkgIT09IG51bGwpIHtcbiAgICAgICAgICAgICAgICBlcnJvcnMucHVzaCh7IHBhdGg6ICcvdHJhbnNpdGlvbnMvJyArIGluZGV4ICsgJy9kZWxheScsIG1lc3NhZ2U6ICdEZWxheXMgYXJlIG5vdCBzdXBwb3J0ZWQgaW4gU0NYTUwnIH0pO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgaWYgKHRyLmNvbXBlbnNhdGlvbikge1xuICAgICAgICAgICAgICAgIGVycm9ycy5wdXNoKHtcbiAgICAgICAgICAgICAgICAgICAgcGF0aDogJy90cmFuc2l0aW9ucy8nICsgaW5kZXggKyAnL2NvbXBlbnNhdGlvbicsXG4gICAgICAgICAgICAgICAgICAgIG1lc3NhZ2U6ICdDb21wZW5zYXRpb25zIGFyZSBub3Qgc3VwcG9ydGVkIGluIFNDWE1MJ1xuICAgICAgICAgICAgICAgIH0pO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgY29uc3QgaGVhZCA9IGluZGVudChkZXB0aCArIDEpICsgJzx0cmFuc2l0aW9uJyArIGF0dHIoJ2V2ZW50JywgdHIuZXZlbnQpICtcbiAgICAgICAgICAgICAgICBhdHRyKCdjb25kJywgdHIuZ3VhcmQpICsgYXR0cigndGFyZ2V0JywgdHIuaW50ZXJuYWwgPyB1bmRlZmluZWQgOiB0ci50byk7XG4gICAgICAgICAgICBpZiAodHIub25BZnRlcikge1xuICAgICAgICAgICAgICAgIGxpbmVzLnB1c2goaGVhZCArICc+Jyk7XG4gICAgICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGggKyAyKSArICc8c2NyaXB0PicgKyBlbmNvZGVFbnRpdGllcyh0ci5vbkFmdGVyKSArICc8L3NjcmlwdD4nKTtcbiAgICAgICAgICAgICAgICBsaW5lcy5wdXNoKGluZGVudChkZXB0aCArIDEpICsgJzwvdHJhbnNpdGlvbj4nKTtcbiAgICAgICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICAgICAgbGluZXMucHVzaChoZWFkICsgJy8+Jyk7XG4gICAgICAgICAgICB9XG4gICAgICAgIH0pO1xuICAgICAgICBjaGlsZHJlbltzdC5uYW1lXS5mb3JFYWNoKGNoaWxkID0+IHdyaXRlU3RhdGUoY2hpbGQsIGRlcHRoICsgMSkpO1xuICAgICAgICAoZGVmaW5pdGlvbi5oaXN0b3J5U3RhdGVzIHx8IFtdKS5maWx0ZXIoaCA9PiBoLnBhcmVudCA9PT0gc3QubmFtZSkuZm9yRWFjaChoID0+IHtcbiAgICAgICAgICAgIC8vIFNDWE1MIHJlcXVpcmVzIHRoZSBkZWZhdWx0IHRyYW5zaXRpb247IGJ5IGRlZmF1bHQsIGl0IGdvZXMgdG9cbiAgICAgICAgICAgIC8vIHRoZSBpbml0aWFsIHN0YXRlIG9mIHRoZSBwYXJlbnQsIHdoaWNoIGlzIGl0cyBmaXJzdCBjaGlsZFxuICAgICAgICAgICAgLy8gdW5sZXNzIGRlY2xhcmVkLlxuICAgICAgICAgICAgY29uc3QgdGFyZ2V0ID0gaC5kZWZhdWx0VGFyZ2V0IHx8IHN0LmluaXRpYWwgfHwgKGNoaWxkcmVuW3N0Lm5hbWVdWzBdICYmIGNoaWxkcmVuW3N0Lm5hbWVdWzBdLm5hbWUpO1xuICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoZGVwdGggKyAxKSArICc8aGlzdG9yeScgKyBhdHRyKCdpZCcsIGgubmFtZSkgKyBhdHRyKCd0eXBlJywgaC5kZWVwID8gJ2RlZXAnIDogJ3NoYWxsb3cnKSArICc+Jyk7XG4gICAgICAgICAgICBsaW5lcy5wdXNoKGluZGVudChkZXB0aCArIDIpICsgJzx0cmFuc2l0aW9uJyArIGF0dHIoJ3RhcmdldCcsIHRhcmdldCkgKyAnLz4nKTtcbiAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KGRlcHRoICsgMSkgKyAnPC9oaXN0b3J5PicpO1xuICAgICAgICB9KTtcbiAgICAgICAgaWYgKGxpbmVzW2xpbmVzLmxlbmd0aCAtIDFdID09PSBvcGVuKSB7XG4gICAgICAgICAgICBsaW5lc1tsaW5lcy5sZW5ndGggLSAxXSA9IG9wZW4ucmVwbGFjZSgvPiQvLCAnLz4nKTtcbiAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KGRlcHRoKSArICc8LycgKyB0YWcgKyAnPicpO1xuICAgICAgICB9XG4gICAgfTtcblxuICAgIGNvbnN0IHJlZ2lvbnMgPSBkZWZpbml0aW9uLnJlZ2lvbnMgfHwgW107XG4gICAgbGluZXMucHVzaCgnPD94bWwgdmVyc2lvbj1cIjEuMFwiIGVuY29kaW5nPVwiVVRGLThcIj8+Jyk7XG4gICAgbGluZXMucHVzaCgnPHNjeG1sJyArIGF0dHIoJ3htbG5zJywgc2N4bWxOYW1lc3BhY2UpICsgJyB2ZXJzaW9uPVwiMS4wXCInICtcbiAgICAgICAgYXR0cignaW5pdGlhbCcsIHJlZ2lvbnMubGVuZ3RoID8gdW5kZWZpbmVkIDogZGVmaW5pdGlvbi5pbml0aWFsKSArICc+Jyk7XG4gICAgY29uc3QgY29udGV4dCA9IGRlZmluaXRpb24uY29udGV4dDtcbiAgICBpZiAoY29udGV4dCAhPT0gdW5kZWZpbmVkICYmIGNvbnRleHQgIT09IG51bGwpIHtcbiAgICAgICAgaWYgKHR5cGVvZiBjb250ZXh0ICE9PSAnb2JqZWN0JyB8fCBBcnJheS5pc0FycmF5KGNvbnRleHQpKSB7XG4gICAgICAgICAgICBlcnJvcnMucHVzaCh7IHBhdGg6ICcvY29udGV4dCcsIG1lc3NhZ2U6ICdDb250ZXh0IGRhdGEgb3RoZXIgdGhhbiBhbiBvYmplY3QgaXMgbm90IHN1cHBvcnRlZCBpbiBTQ1hNTCcgfSk7XG4gICAgICAgIH0gZWxzZSBpZiAoT2JqZWN0LmtleXMoY29udGV4dCkubGVuZ3RoKSB7XG4gICAgICAgICAgICBsaW5lcy5wdXNoKGluZGVudCgxKSArICc8ZGF0YW1vZGVsPicpO1xuICAgICAgICAgICAgT2JqZWN0LmtleXMoY29udGV4dCkuZm9yRWFjaChrID0+IHtcbiAgICAgICAgICAgICAgICBsaW5lcy5wdXNoKGluZGVudCgyKSArICc8ZGF0YScgKyBhdHRyKCdpZCcsIGspICsgJyBleHByPVwiJyArIGVuY29kZUVudGl0aWVzKEpTT04uc3RyaW5naWZ5KGNvbnRleHRba10pKSArICdcIi8+Jyk7XG4gICAgICAgICAgICB9KTtcbiAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KDEpICsgJzwvZGF0YW1vZGVsPicpO1xuICAgICAgICB9XG4gICAgfVxuICAgIGlmIChyZWdpb25zLmxlbmd0aCkge1xuICAgICAgICAvLyBBIHJlZ2lvbiBpcyB3cml0dGVuIGFzIGEgc3RhdGUsIHNvIGl0cyBuYW1lIG11c3Qgbm90IGJlIHRha2VuXG4gICAgICAgIC8vIGJ5IGFueSBzdGF0ZTsgdGhlIGRlZmF1bHQgcmVnaW9uIGlzIGxlZnQgb3V0IGlmIGl0IGlzIGVtcHR5LlxuICAgICAgICBjb25zdCBuYW1lcyA9IGRlZmluaXRpb24uc3RhdGVzLm1hcChzdCA9PiBzdC5uYW1lKS5jb25jYXQoKGRlZmluaXRpb24uaGlzdG9yeVN0YXRlcyB8fCBbXSkubWFwKGggPT4gaC5uYW1lKSk7XG4gICAgICAgIGxpbmVzLnB1c2goaW5kZW50KDEpICsgJzxwYXJhbGxlbD4nKTtcbiAgICAgICAgW3sgbmFtZTogZGVmYXVsdFJlZ2lvbiwgaW5pdGlhbDogZGVmaW5pdGlvbi5pbml0aWFsIH1dLmNvbmNhdChyZWdpb25zKS5mb3JFYWNoKChyLCBpKSA9PiB7XG4gICAgICAgICAgICBjb25zdCBtZW1iZXJzID0gcm9vdHMuZmlsdGVyKHN0ID0+IChzdC5yZWdpb24gfHwgZGVmYXVsdFJlZ2lvbikgPT09IHIubmFtZSk7XG4gICAgICAgICAgICBpZiAoIW1lbWJlcnMubGVuZ3RoKSB7XG4gICAgICAgICAgICAgICAgcmV0dXJuO1xuICAgICAgICAgICAgfVxuICAgICAgICAgICAgaWYgKG5hbWVzLmluZGV4T2Yoci5uYW1lKSA+PSAwKSB7XG4gICAgICAgICAgICAgICAgZXJyb3JzLnB1c2goe1xuICAgICAgICAgICAgICAgICAgICBwYXRoOiBpID8gJy9yZWdpb25zLycgKyAoaSAtIDEpICsgJy9uYW1lJyA6ICcvc3RhdGVzLycgKyBuYW1lcy5pbmRleE9mKHIubmFtZSkgKyAnL25hbWUnLFxuICAgICAgICAgICAgICAgICAgICBtZXNzYWdlOiAnUmVnaW9ucyBuYW1lZCBhcyBzdGF0ZXMgYXJlIG5vdCBzdXBwb3J0ZWQgaW4gU0NYTUw6ICcgKyByLm5hbWVcbiAgICAgICAgICAgICAgICB9KTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIGxpbmVzLnB1c2goaW5kZW50KDIpICsgJzxzdGF0ZScgKyBhdHRyKCdpZCcsIHIubmFtZSkgKyBhdHRyKCdpbml0aWFsJywgci5pbml0aWFsKSArICc+Jyk7XG4gICAgICAgICAgICBtZW1iZXJzLmZvckVhY2goc3QgPT4gd3JpdGVTdGF0ZShzdCwgMykpO1xuICAgICAgICAgICAgbGluZXMucHVzaChpbmRlbnQoMikgKyAnPC9zdGF0ZT4nKTtcbiAgICAgICAgfSk7XG4gICAgICAgIGxpbmVzLnB1c2goaW5kZW50KDEpICsgJzwvcGFyYWxsZWw+Jyk7XG4gICAgfSBlbHNlIHtcbiAgICAgICAgcm9vdHMuZm9yRWFjaChzdCA9PiB3cml0ZVN0YXRlKHN0LCAxKSk7XG4gICAgfVxuICAgIGxpbmVzLnB1c2goJzwvc2N4bWw+Jyk7XG5cbiAgICBpZiAoZXJyb3JzLmxlbmd0aCkge1xuICAgICAgICB0aHJvdyBuZXcgRGVmaW5pdGlvbkVycm9yKGVycm9ycyk7XG4gICAgfVxuICAgIHJldHVybiBsaW5lcy5qb2luKCdcXG4nKSArICdcXG4nO1xufVxuIl19
\ No newline at end of file
@@ -5,5 +5,5 @@
 /**
  * Generated bundle index. Do not edit.
  */
-export { FiniteStateMachine } from './public_api';
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicG9scHdhcmUtZmUtYmVoYXZpb3IuanMiLCJzb3VyY2VSb290Ijoibmc6Ly9AcG9scHdhcmUvZmUtYmVoYXZpb3IvIiwic291cmNlcyI6WyJwb2xwd2FyZS1mZS1iZWhhdmlvci50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7O0FBSUEsbUNBQWMsY0FBYyxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBHZW5lcmF0ZWQgYnVuZGxlIGluZGV4LiBEbyBub3QgZWRpdC5cbiAqL1xuXG5leHBvcnQgKiBmcm9tICcuL3B1YmxpY19hcGknO1xuIl19
\ No newline at end of file
+export { FiniteStateMachine, validateDefinition, parentsOf, definitionVersion, DefinitionError, machineDefinitionSchema, renderDot, renderMermaid, parseScxml, serializeScxml, buildStateGraph, analyzeDefinition, parseProperty, checkProperty, realTimeScheduler, VirtualScheduler, directExecutionStrategy, MachineInspector, LocalDevToolsConnection, LocalDevTools, provideMachines, MACHINE_REGISTRATIONS, MACHINE_EXECUTION_STRATEGY, MachineRegistry, FeBehaviorModule, isAnyStateActive, FsmStateDirective, FsmStatePipe, machineRouteDataKey, FsmCanActivateGuard, FsmCanDeactivateGuard, NgZoneExecutionStrategy } from './public_api';
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicG9scHdhcmUtZmUtYmVoYXZpb3IuanMiLCJzb3VyY2VSb290Ijoibmc6Ly9AcG9scHdhcmUvZmUtYmVoYXZpb3IvIiwic291cmNlcyI6WyJwb2xwd2FyZS1mZS1iZWhhdmlvci50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7O0FBSUEsbW1CQUFjLGNBQWMsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogR2VuZXJhdGVkIGJ1bmRsZSBpbmRleC4gRG8gbm90IGVkaXQuXG4gKi9cblxuZXhwb3J0ICogZnJvbSAnLi9wdWJsaWNfYXBpJztcbiJdfQ==
\ No newline at end of file
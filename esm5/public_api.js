@@ -6,4 +6,18 @@
  * Public API Surface of fe-behavior
  */
 export { FiniteStateMachine } from './lib/state/finite-state-machine';
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicHVibGljX2FwaS5qcyIsInNvdXJjZVJvb3QiOiJuZzovL0Bwb2xwd2FyZS9mZS1iZWhhdmlvci8iLCJzb3VyY2VzIjpbInB1YmxpY19hcGkudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7OztBQUlBLG1DQUFjLGtDQUFrQyxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLypcbiAqIFB1YmxpYyBBUEkgU3VyZmFjZSBvZiBmZS1iZWhhdmlvclxuICovXG5cbmV4cG9ydCAqIGZyb20gJy4vbGliL3N0YXRlL2Zpbml0ZS1zdGF0ZS1tYWNoaW5lJztcbiJdfQ==
\ No newline at end of file
+export { validateDefinition, parentsOf, definitionVersion, DefinitionError, machineDefinitionSchema } from './lib/state/machine-definition';
+export { renderDot, renderMermaid } from './lib/state/diagram-export';
+export { parseScxml, serializeScxml } from './lib/state/scxml';
+export { buildStateGraph, analyzeDefinition } from './lib/state/model-checking';
+export { parseProperty, checkProperty } from './lib/state/temporal-logic';
+export { realTimeScheduler, VirtualScheduler } from './lib/state/scheduler';
+export { directExecutionStrategy } from './lib/state/execution-strategy';
+export { MachineInspector, LocalDevToolsConnection, LocalDevTools } from './lib/state/inspector';
+export { provideMachines, MACHINE_REGISTRATIONS, MACHINE_EXECUTION_STRATEGY, MachineRegistry } from './lib/angular/machine-registry';
+export { FeBehaviorModule } from './lib/angular/fe-behavior.module';
+export { isAnyStateActive, FsmStateDirective } from './lib/angular/fsm-state.directive';
+export { FsmStatePipe } from './lib/angular/fsm-state.pipe';
+export { machineRouteDataKey, FsmCanActivateGuard, FsmCanDeactivateGuard } from './lib/angular/fsm-route-guards';
+export { NgZoneExecutionStrategy } from './lib/angular/ng-zone-execution-strategy';
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicHVibGljX2FwaS5qcyIsInNvdXJjZVJvb3QiOiJuZzovL0Bwb2xwd2FyZS9mZS1iZWhhdmlvci8iLCJzb3VyY2VzIjpbInB1YmxpY19hcGkudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7Ozs7OztBQUlBLG1DQUFjLGtDQUFrQyxDQUFDO0FBQ2pELDJHQUFjLGdDQUFnQyxDQUFDO0FBQy9DLHlDQUFjLDRCQUE0QixDQUFDO0FBQzNDLDJDQUFjLG1CQUFtQixDQUFDO0FBQ2xDLG1EQUFjLDRCQUE0QixDQUFDO0FBQzNDLDZDQUFjLDRCQUE0QixDQUFDO0FBQzNDLG9EQUFjLHVCQUF1QixDQUFDO0FBQ3RDLHdDQUFjLGdDQUFnQyxDQUFDO0FBQy9DLHlFQUFjLHVCQUF1QixDQUFDO0FBQ3RDLG9HQUFjLGdDQUFnQyxDQUFDO0FBQy9DLGlDQUFjLGtDQUFrQyxDQUFDO0FBQ2pELG9EQUFjLG1DQUFtQyxDQUFDO0FBQ2xELDZCQUFjLDhCQUE4QixDQUFDO0FBQzdDLGdGQUFjLGdDQUFnQyxDQUFDO0FBQy9DLHdDQUFjLDBDQUEwQyxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLypcbiAqIFB1YmxpYyBBUEkgU3VyZmFjZSBvZiBmZS1iZWhhdmlvclxuICovXG5cbmV4cG9ydCAqIGZyb20gJy4vbGliL3N0YXRlL2Zpbml0ZS1zdGF0ZS1tYWNoaW5lJztcbmV4cG9ydCAqIGZyb20gJy4vbGliL3N0YXRlL21hY2hpbmUtZGVmaW5pdGlvbic7XG5leHBvcnQgKiBmcm9tICcuL2xpYi9zdGF0ZS9kaWFncmFtLWV4cG9ydCc7XG5leHBvcnQgKiBmcm9tICcuL2xpYi9zdGF0ZS9zY3htbCc7XG5leHBvcnQgKiBmcm9tICcuL2xpYi9zdGF0ZS9tb2RlbC1jaGVja2luZyc7XG5leHBvcnQgKiBmcm9tICcuL2xpYi9zdGF0ZS90ZW1wb3JhbC1sb2dpYyc7XG5leHBvcnQgKiBmcm9tICcuL2xpYi9zdGF0ZS9zY2hlZHVsZXInO1xuZXhwb3J0ICogZnJvbSAnLi9saWIvc3RhdGUvZXhlY3V0aW9uLXN0cmF0ZWd5JztcbmV4cG9ydCAqIGZyb20gJy4vbGliL3N0YXRlL2luc3BlY3Rvcic7XG5leHBvcnQgKiBmcm9tICcuL2xpYi9hbmd1bGFyL21hY2hpbmUtcmVnaXN0cnknO1xuZXhwb3J0ICogZnJvbSAnLi9saWIvYW5ndWxhci9mZS1iZWhhdmlvci5tb2R1bGUnO1xuZXhwb3J0ICogZnJvbSAnLi9saWIvYW5ndWxhci9mc20tc3RhdGUuZGlyZWN0aXZlJztcbmV4cG9ydCAqIGZyb20gJy4vbGliL2FuZ3VsYXIvZnNtLXN0YXRlLnBpcGUnO1xuZXhwb3J0ICogZnJvbSAnLi9saWIvYW5ndWxhci9mc20tcm91dGUtZ3VhcmRzJztcbmV4cG9ydCAqIGZyb20gJy4vbGliL2FuZ3VsYXIvbmctem9uZS1leGVjdXRpb24tc3RyYXRlZ3knO1xuIl19
\ No newline at end of file
@@ -1,496 +1,6491 @@
 import { underscore, statemachine } from '@polpware/fe-dependencies';
 import { replace } from '@polpware/fe-utilities';
+import { ReplaySubject, Subject } from 'rxjs';
+import { __extends } from 'tslib';
+import { NavigationCancel, NavigationEnd, NavigationError, Router } from '@angular/router';
+import { distinctUntilChanged, filter, map, take } from 'rxjs/operators';
+import { Inject, Injectable, InjectionToken, Optional, SkipSelf, Directive, Input, NgZone, TemplateRef, ViewContainerRef, ChangeDetectorRef, Pipe, NgModule } from '@angular/core';
 
 /**
  * @fileoverview added by tsickle
  * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
  */
-// A set of helper functions
+/**
+ * @fileOverview
+ * Provides the declarative (JSON) definition of a finite state machine,
+ * together with its schema and validation.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+// The format version of definitions
 /** @type {?} */
-var _ = underscore;
+var definitionVersion = 1;
 /** @type {?} */
-var StateMachine = statemachine;
+var stateSeparator = '.';
+/**
+ * Represents a failure of building or exporting a definition.
+ * All the problems found are given, rather than the first one.
+ */
+var  /**
+ * Represents a failure of building or exporting a definition.
+ * All the problems found are given, rather than the first one.
+ */
+DefinitionError = /** @class */ (function (_super) {
+    __extends(DefinitionError, _super);
+    function DefinitionError(errors) {
+        var _this = _super.call(this, 'Invalid definition: ' + errors.map(function (e) { return (e.path || '/') + ' ' + e.message; }).join('; ')) || this;
+        // Restore the prototype chain, which is broken by
+        // extending the builtin Error in ES5.
+        Object.setPrototypeOf(_this, DefinitionError.prototype);
+        _this.name = 'DefinitionError';
+        _this.errors = errors;
+        return _this;
+    }
+    return DefinitionError;
+}(Error));
 /** @type {?} */
-var indexOf = _.indexOf;
+var nameSchema = { type: 'string', minLength: 1 };
+/**
+ * The JSON schema of definitions. Only the subset of JSON schema
+ * used here is supported by the validation below.
+ * @type {?}
+ */
+var machineDefinitionSchema = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    type: 'object',
+    required: ['states'],
+    additionalProperties: false,
+    properties: {
+        version: { type: 'integer', enum: [definitionVersion] },
+        initial: nameSchema,
+        asyncMode: { type: 'boolean' },
+        sameStatePolicy: { type: 'string', enum: ['ignore', 'error', 'reenter'] },
+        context: {},
+        regions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'initial'],
+                additionalProperties: false,
+                properties: {
+                    name: nameSchema,
+                    initial: nameSchema
+                }
+            }
+        },
+        states: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name'],
+                additionalProperties: false,
+                properties: {
+                    name: nameSchema,
+                    parent: nameSchema,
+                    initial: nameSchema,
+                    region: nameSchema,
+                    final: { type: 'boolean' },
+                    onEnter: nameSchema,
+                    onLeave: nameSchema
+                }
+            }
+        },
+        historyStates: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'parent'],
+                additionalProperties: false,
+                properties: {
+                    name: nameSchema,
+                    parent: nameSchema,
+                    deep: { type: 'boolean' },
+                    defaultTarget: nameSchema
+                }
+            }
+        },
+        transitions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['from', 'to'],
+                additionalProperties: false,
+                properties: {
+                    from: nameSchema,
+                    to: nameSchema,
+                    event: nameSchema,
+                    guard: nameSchema,
+                    onBefore: nameSchema,
+                    onAfter: nameSchema,
+                    assign: { type: ['string', 'object'] },
+                    delay: { type: 'number' },
+                    compensation: nameSchema,
+                    internal: { type: 'boolean' }
+                }
+            }
+        }
+    }
+};
+/**
+ * @param {?} value
+ * @return {?}
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+}
+/**
+ * @param {?} value
+ * @param {?} type
+ * @return {?}
+ */
+function matchesType(value, type) {
+    if (type === 'integer') {
+        return typeof value === 'number' && value % 1 === 0;
+    }
+    return typeOf(value) === type;
+}
+/**
+ * Validates a value against the given schema, and collects
+ * all the problems found.
+ * @param {?} schema
+ * @param {?} value
+ * @param {?} path
+ * @param {?} errors
+ * @return {?}
+ */
+function validateValue(schema, value, path, errors) {
+    if (schema.type) {
+        /** @type {?} */
+        var types = [].concat(schema.type);
+        if (!types.some(function (t) { return matchesType(value, t); })) {
+            errors.push({ path: path, message: 'must be of type ' + types.join(' or ') });
+            return;
+        }
+    }
+    if (schema.enum && schema.enum.indexOf(value) < 0) {
+        errors.push({ path: path, message: 'must be one of ' + schema.enum.join(', ') });
+    }
+    if (schema.minLength && typeof value === 'string' && value.length < schema.minLength) {
+        errors.push({ path: path, message: 'must not be shorter than ' + schema.minLength });
+    }
+    if (schema.items && Array.isArray(value)) {
+        value.forEach(function (elem, i) {
+            validateValue(schema.items, elem, path + '/' + i, errors);
+        });
+    }
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(function (k) {
+            if (!value.hasOwnProperty(k)) {
+                errors.push({ path: path + '/' + k, message: 'is required' });
+            }
+        });
+        /** @type {?} */
+        var properties = schema.properties || {};
+        for (var k in value) {
+            if (value.hasOwnProperty(k)) {
+                if (properties[k]) {
+                    validateValue(properties[k], value[k], path + '/' + k, errors);
+                }
+                else if (schema.additionalProperties === false) {
+                    errors.push({ path: path + '/' + k, message: 'is not allowed' });
+                }
+            }
+        }
+    }
+}
+/**
+ * Validates a definition against the schema, and returns all the problems
+ * found. Note that the references between states, and the references
+ * to the implementations, are checked when the definition is loaded.
+ * @param {?} definition
+ * @return {?}
+ */
+function validateDefinition(definition) {
+    /** @type {?} */
+    var errors = [];
+    validateValue(machineDefinitionSchema, definition, '', errors);
+    return errors;
+}
+/**
+ * Returns the parent of each state in a definition (null for a top-level
+ * state), following the same nesting rules as the FSM does: a state is
+ * nested either by the parent option, or by a dotted name whose prefix
+ * is a state defined earlier.
+ * @param {?} definition
+ * @return {?}
+ */
+function parentsOf(definition) {
+    /** @type {?} */
+    var result = {};
+    definition.states.forEach(function (st) {
+        /** @type {?} */
+        var parent = st.parent;
+        if (!parent) {
+            /** @type {?} */
+            var pos = st.name.lastIndexOf(stateSeparator);
+            if (pos > 0 && result.hasOwnProperty(st.name.substring(0, pos))) {
+                parent = st.name.substring(0, pos);
+            }
+        }
+        result[st.name] = parent || null;
+    });
+    return result;
+}
+
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
 /** @type {?} */
-var without = _.without;
+var defaultRegion = 'default';
 /** @type {?} */
-var transitionKeyFormat = '{from}2{to}';
+var highlightColor = '#ffe08a';
 /** @type {?} */
-var errorMessageFormat = 'Transition {name} from {from} to {to} fails.';
+var highlightBorderColor = '#cc9a06';
+/**
+ * Arranges the states of a definition into a tree for each region,
+ * following the same nesting rules as the FSM does.
+ * @param {?} definition
+ * @return {?}
+ */
+function buildTree(definition) {
+    /** @type {?} */
+    var nodes = {};
+    /** @type {?} */
+    var regionOf = {};
+    /** @type {?} */
+    var regions = {};
+    regions[defaultRegion] = { roots: [], initial: definition.initial };
+    (definition.regions || []).forEach(function (r) {
+        regions[r.name] = { roots: [], initial: r.initial };
+    });
+    /** @type {?} */
+    var parents = parentsOf(definition);
+    definition.states.forEach(function (st) {
+        /** @type {?} */
+        var parent = parents[st.name];
+        nodes[st.name] = { name: st.name, children: [], initial: st.initial, final: st.final, histories: [] };
+        if (parent && nodes[parent]) {
+            nodes[parent].children.push(st.name);
+            regionOf[st.name] = regionOf[parent];
+        }
+        else {
+            /** @type {?} */
+            var region = st.region || defaultRegion;
+            regions[region] = regions[region] || { roots: [] };
+            regions[region].roots.push(st.name);
+            regionOf[st.name] = region;
+        }
+    });
+    (definition.historyStates || []).forEach(function (h) {
+        if (nodes[h.parent]) {
+            nodes[h.parent].histories.push(h);
+        }
+    });
+    return { nodes: nodes, regions: regions };
+}
+/**
+ * @param {?} history
+ * @return {?}
+ */
+function historyLabelOf(history) {
+    return history.deep ? 'H*' : 'H';
+}
+/**
+ * @param {?} transition
+ * @return {?}
+ */
+function labelOf(transition) {
+    // The same name as the FSM gives to the transition
+    /** @type {?} */
+    var label = transition.from + '2' + transition.to;
+    if (transition.event) {
+        label += ' (' + transition.event + ')';
+    }
+    if (transition.guard) {
+        label += ' [' + transition.guard + ']';
+    }
+    if (transition.delay !== undefined && transition.delay !== null) {
+        label += ' after ' + transition.delay + 'ms';
+    }
+    return label;
+}
 /**
  * @param {?} value
  * @return {?}
  */
-function captialize(value) {
-    return value.charAt(0).toUpperCase() + value.slice(1);
+function quote(value) {
+    return '"' + value.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
 }
 /**
- * Builds a handler with necessary context information.
- * The resulting return value is a closure indeed.
- * @param {?} context
- * @param {?} key
+ * Renders a definition as a Graphviz DOT graph. A compound state is
+ * rendered as a cluster, and an orthogonal region as a dashed cluster.
+ * @param {?} definition
+ * @param {?=} options
  * @return {?}
  */
-function buildHandlerInClosure(context, key) {
-    return function () {
-        /** @type {?} */
-        var ourHandlers = context[key];
-        if (!ourHandlers) {
+function renderDot(definition, options) {
+    /** @type {?} */
+    var active = (options && options.active) || [];
+    /** @type {?} */
+    var tree = buildTree(definition);
+    /** @type {?} */
+    var nodes = tree.nodes;
+    /** @type {?} */
+    var lines = [];
+    /** @type {?} */
+    var indent = function (depth) { return new Array(depth + 1).join('    '); };
+    /** @type {?} */
+    var clusterOf = function (name) { return 'cluster_' + name; };
+    /** @type {?} */
+    var writeInit = function (scope, target, depth) {
+        if (!target || !nodes[target]) {
             return;
         }
-        for (var i = 0; i < ourHandlers.length; i++) {
+        /** @type {?} */
+        var point = '__init__' + scope;
+        /** @type {?} */
+        var attrs = nodes[target].children.length ? ' [lhead=' + quote(clusterOf(target)) + ']' : '';
+        lines.push(indent(depth) + quote(point) + ' [shape=point];');
+        lines.push(indent(depth) + quote(point) + ' -> ' + quote(target) + attrs + ';');
+    };
+    /** @type {?} */
+    var writeState = function (name, depth) {
+        /** @type {?} */
+        var node = nodes[name];
+        /** @type {?} */
+        var highlighted = active.indexOf(name) >= 0;
+        if (!node.children.length) {
             /** @type {?} */
-            var func = ourHandlers[i];
-            func.apply(null, arguments);
+            var attrs = [];
+            if (node.final) {
+                attrs.push('peripheries=2');
+            }
+            if (highlighted) {
+                attrs.push('style="rounded,filled"', 'fillcolor=' + quote(highlightColor));
+            }
+            lines.push(indent(depth) + quote(name) + (attrs.length ? ' [' + attrs.join(', ') + ']' : '') + ';');
+            return;
+        }
+        // The invisible node is the anchor of the transitions
+        // from or to the compound state.
+        lines.push(indent(depth) + 'subgraph ' + quote(clusterOf(name)) + ' {');
+        lines.push(indent(depth + 1) + 'label=' + quote(name) + ';');
+        if (highlighted) {
+            lines.push(indent(depth + 1) + 'style=bold;');
+            lines.push(indent(depth + 1) + 'color=' + quote(highlightBorderColor) + ';');
         }
+        lines.push(indent(depth + 1) + quote(name) + ' [shape=point, style=invis];');
+        writeInit(name, node.initial, depth + 1);
+        node.children.forEach(function (child) { return writeState(child, depth + 1); });
+        node.histories.forEach(function (h) {
+            lines.push(indent(depth + 1) + quote(h.name) + ' [shape=circle, label=' + quote(historyLabelOf(h)) + '];');
+            if (h.defaultTarget && nodes[h.defaultTarget]) {
+                /** @type {?} */
+                var attrs = nodes[h.defaultTarget].children.length ? ', lhead=' + quote(clusterOf(h.defaultTarget)) : '';
+                lines.push(indent(depth + 1) + quote(h.name) + ' -> ' + quote(h.defaultTarget) + ' [style=dashed' + attrs + '];');
+            }
+        });
+        lines.push(indent(depth) + '}');
     };
+    lines.push('digraph fsm {');
+    lines.push(indent(1) + 'compound=true;');
+    lines.push(indent(1) + 'rankdir=LR;');
+    lines.push(indent(1) + 'node [shape=box, style=rounded];');
+    for (var k in tree.regions) {
+        if (tree.regions.hasOwnProperty(k)) {
+            /** @type {?} */
+            var region = tree.regions[k];
+            if (k === defaultRegion) {
+                writeInit(k, region.initial, 1);
+                region.roots.forEach(function (name) { return writeState(name, 1); });
+            }
+            else {
+                lines.push(indent(1) + 'subgraph ' + quote('cluster_region_' + k) + ' {');
+                lines.push(indent(2) + 'label=' + quote(k) + ';');
+                lines.push(indent(2) + 'style=dashed;');
+                writeInit('region_' + k, region.initial, 2);
+                region.roots.forEach(function (name) { return writeState(name, 2); });
+                lines.push(indent(1) + '}');
+            }
+        }
+    }
+    (definition.transitions || []).forEach(function (tr) {
+        /** @type {?} */
+        var attrs = ['label=' + quote(labelOf(tr))];
+        if (nodes[tr.from] && nodes[tr.from].children.length) {
+            attrs.push('ltail=' + quote(clusterOf(tr.from)));
+        }
+        if (nodes[tr.to] && nodes[tr.to].children.length) {
+            attrs.push('lhead=' + quote(clusterOf(tr.to)));
+        }
+        lines.push(indent(1) + quote(tr.from) + ' -> ' + quote(tr.to) + ' [' + attrs.join(', ') + '];');
+    });
+    lines.push('}');
+    return lines.join('\n') + '\n';
 }
 /**
- * Default error handler for the FSM.
- * @param {?} eventName
- * @param {?} from
- * @param {?} to
+ * Renders a definition as a Mermaid state diagram (stateDiagram-v2).
+ * The states are given generated identifiers, as state names
+ * may contain characters which Mermaid does not accept.
+ * @param {?} definition
+ * @param {?=} options
  * @return {?}
  */
-function defaultErrorHandler(eventName, from, to) {
+function renderMermaid(definition, options) {
     /** @type {?} */
-    var info = replace(errorMessageFormat, {
-        name: eventName,
-        from: from,
-        to: to
+    var active = (options && options.active) || [];
+    /** @type {?} */
+    var tree = buildTree(definition);
+    /** @type {?} */
+    var nodes = tree.nodes;
+    /** @type {?} */
+    var ids = {};
+    definition.states.forEach(function (st, i) {
+        ids[st.name] = 's' + i;
     });
-    console.log(info);
+    (definition.historyStates || []).forEach(function (h, i) {
+        ids[h.name] = 'h' + i;
+    });
+    /** @type {?} */
+    var lines = [];
+    /** @type {?} */
+    var indent = function (depth) { return new Array(depth + 1).join('    '); };
+    /** @type {?} */
+    var sanitize = function (value) { return value.replace(/[\r\n]+/g, ' '); };
+    /** @type {?} */
+    var writeInit = function (target, depth) {
+        if (target && nodes[target]) {
+            lines.push(indent(depth) + '[*] --> ' + ids[target]);
+        }
+    };
+    /** @type {?} */
+    var writeState = function (name, depth) {
+        /** @type {?} */
+        var node = nodes[name];
+        lines.push(indent(depth) + 'state ' + JSON.stringify(name) + ' as ' + ids[name]);
+        if (node.final) {
+            lines.push(indent(depth) + ids[name] + ' --> [*]');
+        }
+        if (node.children.length) {
+            lines.push(indent(depth) + 'state ' + ids[name] + ' {');
+            writeInit(node.initial, depth + 1);
+            node.children.forEach(function (child) { return writeState(child, depth + 1); });
+            node.histories.forEach(function (h) {
+                /** @type {?} */
+                var label = h.name + ' (' + historyLabelOf(h) + ')';
+                lines.push(indent(depth + 1) + 'state ' + JSON.stringify(label) + ' as ' + ids[h.name]);
+                if (h.defaultTarget && ids[h.defaultTarget]) {
+                    lines.push(indent(depth + 1) + ids[h.name] + ' --> ' + ids[h.defaultTarget] + ' : default');
+                }
+            });
+            lines.push(indent(depth) + '}');
+        }
+    };
+    lines.push('stateDiagram-v2');
+    /** @type {?} */
+    var regionIndex = 0;
+    for (var k in tree.regions) {
+        if (tree.regions.hasOwnProperty(k)) {
+            /** @type {?} */
+            var region = tree.regions[k];
+            if (k === defaultRegion) {
+                writeInit(region.initial, 1);
+                region.roots.forEach(function (name) { return writeState(name, 1); });
+            }
+            else {
+                /** @type {?} */
+                var regionId = 'r' + regionIndex++;
+                lines.push(indent(1) + 'state ' + JSON.stringify(k) + ' as ' + regionId);
+                lines.push(indent(1) + 'state ' + regionId + ' {');
+                writeInit(region.initial, 2);
+                region.roots.forEach(function (name) { return writeState(name, 2); });
+                lines.push(indent(1) + '}');
+            }
+        }
+    }
+    (definition.transitions || []).forEach(function (tr) {
+        if (ids[tr.from] && ids[tr.to]) {
+            lines.push(indent(1) + ids[tr.from] + ' --> ' + ids[tr.to] + ' : ' + sanitize(labelOf(tr)));
+        }
+    });
+    /** @type {?} */
+    var highlighted = active.filter(function (name) { return ids[name]; }).map(function (name) { return ids[name]; });
+    if (highlighted.length) {
+        lines.push(indent(1) + 'classDef active fill:' + highlightColor);
+        lines.push(indent(1) + 'class ' + highlighted.join(',') + ' active');
+    }
+    return lines.join('\n') + '\n';
 }
+
 /**
- * Represents a finite state machine.
- * The resulting FSM is built upon a commonly used javascript
- * state machine library.
- * Such a design (of architecture) is based on the following considerations:
- * - A user-friendly interface for defining states and their behaviors
- * - A kind of model-checking capability for verifying the correctness of
- * transitions
- * - Support for asychronous and synchrous transitions
- * - Support for global exception handling
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
  */
-var  /**
- * Represents a finite state machine.
- * The resulting FSM is built upon a commonly used javascript
- * state machine library.
- * Such a design (of architecture) is based on the following considerations:
- * - A user-friendly interface for defining states and their behaviors
- * - A kind of model-checking capability for verifying the correctness of
- * transitions
- * - Support for asychronous and synchrous transitions
- * - Support for global exception handling
+/** @type {?} */
+var scxmlNamespace = 'http://www.w3.org/2005/07/scxml';
+/** @type {?} */
+var defaultRegion$1 = 'default';
+/** @type {?} */
+var identifierPattern = /^[A-Za-z_$][\w$]*$/;
+/** @type {?} */
+var entities = {
+    lt: '<', gt: '>', amp: '&', quot: '"', apos: '\''
+};
+/**
+ * @param {?} value
+ * @return {?}
  */
-FiniteStateMachine = /** @class */ (function () {
-    function FiniteStateMachine() {
-        this._impl = null;
-        this._initState = null;
-        this._errorHandler = null;
-        this._stateConfiguration = {};
-        this._transitionConfiguration = {};
-        this._handlers = {};
-    }
+function decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|\w+);/g, function (all, code) {
+        if (code.charAt(0) === '#') {
+            return String.fromCharCode(code.charAt(1) === 'x' ?
+                parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10));
+        }
+        return entities.hasOwnProperty(code) ? entities[code] : all;
+    });
+}
+/**
+ * @param {?} value
+ * @return {?}
+ */
+function encodeEntities(value) {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+/**
+ * Parses a XML document into a tree of elements. This is a small
+ * non-validating parser; namespace prefixes are dropped, and processing
+ * instructions, comments and doctype declarations are skipped.
+ * @param {?} xml
+ * @return {?}
+ */
+function parseXml(xml) {
+    /** @type {?} */
+    var pos = 0;
+    /** @type {?} */
+    var fail = function (message) {
+        throw new Error('Malformed XML at ' + pos + ': ' + message);
+    };
+    /** @type {?} */
+    var localName = function (name) { return name.substring(name.indexOf(':') + 1); };
+    /** @type {?} */
+    var skipUntil = function (token) {
+        /** @type {?} */
+        var end = xml.indexOf(token, pos);
+        if (end < 0) {
+            fail('missing ' + token);
+        }
+        pos = end + token.length;
+    };
+    /** @type {?} */
+    var skipMisc = function () {
+        for (;;) {
+            while (pos < xml.length && /\s/.test(xml.charAt(pos))) {
+                pos++;
+            }
+            if (xml.substr(pos, 2) === '<?') {
+                skipUntil('?>');
+            }
+            else if (xml.substr(pos, 4) === '<!--') {
+                skipUntil('-->');
+            }
+            else if (xml.substr(pos, 9) === '<!DOCTYPE') {
+                skipUntil('>');
+            }
+            else {
+                return;
+            }
+        }
+    };
+    /** @type {?} */
+    var parseElement = function () {
+        /** @type {?} */
+        var head = /^<([\w:.-]+)/.exec(xml.substring(pos));
+        if (!head) {
+            fail('expected an element');
+        }
+        pos += head[0].length;
+        /** @type {?} */
+        var element = { name: localName(head[1]), attributes: {}, children: [], text: '' };
+        for (;;) {
+            /** @type {?} */
+            var attr = /^\s+([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/.exec(xml.substring(pos));
+            if (!attr) {
+                break;
+            }
+            /** @type {?} */
+            var value = attr[3] !== undefined ? attr[3] : attr[4];
+            element.attributes[attr[1]] = decodeEntities(value);
+            pos += attr[0].length;
+        }
+        /** @type {?} */
+        var tail = /^\s*(\/?)>/.exec(xml.substring(pos));
+        if (!tail) {
+            fail('unterminated tag ' + head[1]);
+        }
+        pos += tail[0].length;
+        if (tail[1]) {
+            return element;
+        }
+        for (;;) {
+            if (pos >= xml.length) {
+                fail('unclosed element ' + head[1]);
+            }
+            if (xml.substr(pos, 2) === '</') {
+                /** @type {?} */
+                var close_1 = /^<\/([\w:.-]+)\s*>/.exec(xml.substring(pos));
+                if (!close_1 || close_1[1] !== head[1]) {
+                    fail('mismatched closing tag for ' + head[1]);
+                }
+                pos += close_1[0].length;
+                return element;
+            }
+            if (xml.substr(pos, 4) === '<!--') {
+                skipUntil('-->');
+            }
+            else if (xml.substr(pos, 9) === '<![CDATA[') {
+                /** @type {?} */
+                var start = pos + 9;
+                skipUntil(']]>');
+                element.text += xml.substring(start, pos - 3);
+            }
+            else if (xml.substr(pos, 2) === '<?') {
+                skipUntil('?>');
+            }
+            else if (xml.charAt(pos) === '<') {
+                element.children.push(parseElement());
+            }
+            else {
+                /** @type {?} */
+                var next = xml.indexOf('<', pos);
+                /** @type {?} */
+                var end = next < 0 ? xml.length : next;
+                element.text += decodeEntities(xml.substring(pos, end));
+                pos = end;
+            }
+        }
+    };
+    skipMisc();
+    /** @type {?} */
+    var root = parseElement();
+    skipMisc();
+    if (pos < xml.length) {
+        fail('unexpected content after the root element');
+    }
+    return root;
+}
+/**
+ * Parses a SCXML document into a definition. The onentry and onexit
+ * handlers, as well as the executable content of a transition, are
+ * expected to consist of a single script element, whose text is the name
+ * of the callback; the cond attribute is expected to be the name of
+ * a guard. The data elements of the datamodel make up the context data,
+ * and their expressions must be JSON values. A targetless transition
+ * is taken as an internal self-transition. A parallel element at the top
+ * stands for the orthogonal regions: each of its child states is a region,
+ * whose children are the states in the region, and the one with the id
+ * 'default' is the default region.
+ * If any unsupported construct is met, a DefinitionError listing
+ * all of them is thrown.
+ * @param {?} xml
+ * @return {?}
+ */
+function parseScxml(xml) {
+    /** @type {?} */
+    var errors = [];
+    /** @type {?} */
+    var root;
+    try {
+        root = parseXml(xml);
+    }
+    catch (e) {
+        throw new DefinitionError([{ path: '', message: e.message }]);
+    }
+    if (root.name !== 'scxml') {
+        throw new DefinitionError([{ path: '/' + root.name, message: 'Not a SCXML document' }]);
+    }
+    /** @type {?} */
+    var states = [];
+    /** @type {?} */
+    var historyStates = [];
+    /** @type {?} */
+    var transitions = [];
+    /** @type {?} */
+    var regions = [];
+    /** @type {?} */
+    var definition = { states: states, transitions: transitions };
+    /** @type {?} */
+    var unsupported = function (path, what) {
+        errors.push({ path: path, message: 'Unsupported ' + what });
+    };
+    // Returns the callback name given by the executable content of an element.
+    /** @type {?} */
+    var callbackOf = function (element, path) {
+        /** @type {?} */
+        var scripts = element.children.filter(function (c) { return c.name === 'script'; });
+        element.children.forEach(function (c) {
+            if (c.name !== 'script') {
+                unsupported(path + '/' + c.name, 'executable content: ' + c.name);
+            }
+        });
+        if (scripts.length > 1) {
+            unsupported(path + '/script', 'multiple scripts');
+        }
+        if (!scripts.length) {
+            return undefined;
+        }
+        /** @type {?} */
+        var name = scripts[0].text.trim();
+        if (scripts[0].attributes.src || !identifierPattern.test(name)) {
+            unsupported(path + '/script', 'script; expected the name of a callback');
+            return undefined;
+        }
+        return name;
+    };
+    // Returns the target of an initial element.
+    /** @type {?} */
+    var initialOf = function (element, path) {
+        /** @type {?} */
+        var trans = element.children.filter(function (c) { return c.name === 'transition'; });
+        if (trans.length !== 1 || !trans[0].attributes.target || trans[0].children.length) {
+            unsupported(path, element.name + ' element; expected a single transition with a target');
+            return undefined;
+        }
+        return trans[0].attributes.target;
+    };
+    /** @type {?} */
+    var readTransition = function (element, from, path) {
+        /** @type {?} */
+        var attrs = element.attributes;
+        // A targetless transition leaves no state, and enters none.
+        /** @type {?} */
+        var transition = attrs.target ?
+            { from: from, to: attrs.target } :
+            { from: from, to: from, internal: true };
+        if (attrs.target && /\s/.test(attrs.target.trim())) {
+            unsupported(path + '/@target', 'multiple targets: ' + attrs.target);
+            return;
+        }
+        if (!attrs.event) {
+            unsupported(path, 'eventless transition');
+        }
+        else if (/\s/.test(attrs.event.trim()) || /[*]/.test(attrs.event)) {
+            unsupported(path + '/@event', 'event descriptor: ' + attrs.event);
+        }
+        else {
+            transition.event = attrs.event;
+        }
+        if (attrs.cond) {
+            if (identifierPattern.test(attrs.cond.trim())) {
+                transition.guard = attrs.cond.trim();
+            }
+            else {
+                unsupported(path + '/@cond', 'condition; expected the name of a guard: ' + attrs.cond);
+            }
+        }
+        if (attrs.type === 'internal') {
+            unsupported(path + '/@type', 'internal transition');
+        }
+        /** @type {?} */
+        var onAfter = callbackOf(element, path);
+        if (onAfter) {
+            transition.onAfter = onAfter;
+        }
+        transitions.push(transition);
+    };
+    /** @type {?} */
+    var readHistory = function (element, parent, path) {
+        /** @type {?} */
+        var id = element.attributes.id;
+        if (!id) {
+            unsupported(path, 'history without an id');
+            return;
+        }
+        /** @type {?} */
+        var history = { name: id, parent: parent };
+        if (element.attributes.type === 'deep') {
+            history.deep = true;
+        }
+        if (element.children.length) {
+            // The default transition
+            /** @type {?} */
+            var target = initialOf(element, path + '[@id=\'' + id + '\']');
+            if (target) {
+                history.defaultTarget = target;
+            }
+        }
+        historyStates.push(history);
+    };
+    /** @type {?} */
+    var readState = function (element, parent, path, region) {
+        /** @type {?} */
+        var id = element.attributes.id;
+        if (!id) {
+            unsupported(path, 'state without an id');
+            return;
+        }
+        path = path + '[@id=\'' + id + '\']';
+        /** @type {?} */
+        var state = { name: id };
+        if (parent) {
+            state.parent = parent;
+        }
+        if (region && region !== defaultRegion$1) {
+            state.region = region;
+        }
+        if (element.attributes.initial) {
+            state.initial = element.attributes.initial;
+        }
+        if (element.name === 'final') {
+            state.final = true;
+        }
+        states.push(state);
+        element.children.forEach(function (c) {
+            /** @type {?} */
+            var childPath = path + '/' + c.name;
+            if (c.name === 'state' || c.name === 'final') {
+                readState(c, id, childPath);
+            }
+            else if (c.name === 'initial') {
+                state.initial = initialOf(c, childPath);
+            }
+            else if (c.name === 'history') {
+                readHistory(c, id, childPath);
+            }
+            else if (c.name === 'transition') {
+                readTransition(c, id, childPath);
+            }
+            else if (c.name === 'onentry' || c.name === 'onexit') {
+                /** @type {?} */
+                var key = c.name === 'onentry' ? 'onEnter' : 'onLeave';
+                if (state[key]) {
+                    unsupported(childPath, 'multiple ' + c.name + ' handlers');
+                }
+                state[key] = callbackOf(c, childPath);
+            }
+            else {
+                unsupported(childPath, 'element: ' + c.name);
+            }
+        });
+    };
+    // Reads a region, i.e., a child state of the parallel element.
+    /** @type {?} */
+    var readRegion = function (element, path) {
+        /** @type {?} */
+        var id = element.attributes.id;
+        if (element.name !== 'state' || !id) {
+            unsupported(path, 'region; expected a state with an id');
+            return;
+        }
+        path = path + '[@id=\'' + id + '\']';
+        /** @type {?} */
+        var members = element.children.filter(function (c) { return c.name === 'state' || c.name === 'final'; });
+        /** @type {?} */
+        var initial = element.attributes.initial;
+        element.children.forEach(function (c) {
+            /** @type {?} */
+            var childPath = path + '/' + c.name;
+            if (c.name === 'state' || c.name === 'final') {
+                readState(c, null, childPath, id);
+            }
+            else if (c.name === 'initial') {
+                initial = initialOf(c, childPath);
+            }
+            else {
+                unsupported(childPath, 'element in a region: ' + c.name);
+            }
+        });
+        // By the SCXML semantics, the first state is the initial one.
+        initial = initial || (members.length ? members[0].attributes.id : undefined);
+        if (id === defaultRegion$1) {
+            definition.initial = initial;
+        }
+        else {
+            regions.push({ name: id, initial: initial });
+        }
+    };
+    /** @type {?} */
+    var parallels = root.children.filter(function (c) { return c.name === 'parallel'; });
+    if (parallels.length && root.children.some(function (c) { return c.name !== 'parallel' && c.name !== 'datamodel'; })) {
+        unsupported('/scxml/parallel', 'parallel element along with other states');
+    }
+    else if (parallels.length > 1) {
+        unsupported('/scxml/parallel', 'multiple parallel elements');
+    }
+    if (root.attributes.initial && !parallels.length) {
+        definition.initial = root.attributes.initial;
+    }
+    root.children.forEach(function (c) {
+        /** @type {?} */
+        var path = '/scxml/' + c.name;
+        if (c.name === 'state' || c.name === 'final') {
+            readState(c, null, path);
+        }
+        else if (c.name === 'parallel') {
+            c.children.forEach(function (r) { return readRegion(r, path + '/' + r.name); });
+        }
+        else if (c.name === 'datamodel') {
+            /** @type {?} */
+            var context_1 = {};
+            c.children.forEach(function (d) {
+                if (d.name !== 'data' || !d.attributes.id) {
+                    unsupported(path + '/' + d.name, 'data element');
+                    return;
+                }
+                try {
+                    context_1[d.attributes.id] = JSON.parse(d.attributes.expr || d.text || 'null');
+                }
+                catch (e) {
+                    unsupported(path + '/data[@id=\'' + d.attributes.id + '\']', 'data expression; expected a JSON value');
+                }
+            });
+            definition.context = context_1;
+        }
+        else {
+            unsupported(path, 'element: ' + c.name);
+        }
+    });
+    if (historyStates.length) {
+        definition.historyStates = historyStates;
+    }
+    if (regions.length) {
+        definition.regions = regions;
+    }
+    if (!definition.initial && states.length && !parallels.length) {
+        // By the SCXML semantics, the first state is the initial one.
+        definition.initial = states[0].name;
+    }
+    if (errors.length) {
+        throw new DefinitionError(errors);
+    }
+    return definition;
+}
+/**
+ * Serializes a definition as a SCXML document, following the same
+ * conventions as parseScxml. An internal self-transition is written
+ * as a targetless transition, and the orthogonal regions as the child
+ * states of a parallel element, named after the regions. A history state
+ * is always written with its default transition. Transitions without
+ * an event, which SCXML would take automatically, before callbacks,
+ * assign options, delays and compensations have no counterpart,
+ * and are reported by a DefinitionError.
+ * @param {?} definition
+ * @return {?}
+ */
+function serializeScxml(definition) {
+    /** @type {?} */
+    var errors = [];
+    /** @type {?} */
+    var lines = [];
+    /** @type {?} */
+    var indent = function (depth) { return new Array(depth + 1).join('    '); };
+    /** @type {?} */
+    var attr = function (name, value) { return value ? ' ' + name + '="' + encodeEntities(value) + '"' : ''; };
+    /** @type {?} */
+    var children = {};
+    /** @type {?} */
+    var roots = [];
+    /** @type {?} */
+    var parents = parentsOf(definition);
+    definition.states.forEach(function (st) {
+        /** @type {?} */
+        var parent = parents[st.name];
+        children[st.name] = [];
+        if (parent && children[parent]) {
+            children[parent].push(st);
+        }
+        else {
+            roots.push(st);
+        }
+    });
+    /** @type {?} */
+    var writeHandler = function (tag, name, depth) {
+        if (name) {
+            lines.push(indent(depth) + '<' + tag + '>');
+            lines.push(indent(depth + 1) + '<script>' + encodeEntities(name) + '</script>');
+            lines.push(indent(depth) + '</' + tag + '>');
+        }
+    };
+    /** @type {?} */
+    var writeState = function (st, depth) {
+        /** @type {?} */
+        var trans = (definition.transitions || []).filter(function (tr) { return tr.from === st.name; });
+        // A final state in SCXML is always atomic, and cannot be left.
+        /** @type {?} */
+        var tag = st.final ? 'final' : 'state';
+        if (st.final && (trans.length || children[st.name].length)) {
+            errors.push({
+                path: '/states/' + definition.states.indexOf(st) + '/final',
+                message: 'Final states with transitions or children are not supported in SCXML'
+            });
+        }
+        /** @type {?} */
+        var open = indent(depth) + '<' + tag + attr('id', st.name) + attr('initial', st.initial) + '>';
+        lines.push(open);
+        writeHandler('onentry', st.onEnter, depth + 1);
+        writeHandler('onexit', st.onLeave, depth + 1);
+        trans.forEach(function (tr) {
+            /** @type {?} */
+            var index = definition.transitions.indexOf(tr);
+            if (!tr.event) {
+                errors.push({
+                    path: '/transitions/' + index + '/event',
+                    message: 'Transitions without an event are not supported in SCXML'
+                });
+            }
+            if (tr.onBefore) {
+                errors.push({ path: '/transitions/' + index + '/onBefore', message: 'Before callbacks are not supported in SCXML' });
+            }
+            if (tr.assign) {
+                errors.push({ path: '/transitions/' + index + '/assign', message: 'Assign options are not supported in SCXML' });
+            }
+            if (tr.delay !== undefined && tr.delay !== null) {
+                errors.push({ path: '/transitions/' + index + '/delay', message: 'Delays are not supported in SCXML' });
+            }
+            if (tr.compensation) {
+                errors.push({
+                    path: '/transitions/' + index + '/compensation',
+                    message: 'Compensations are not supported in SCXML'
+                });
+            }
+            /** @type {?} */
+            var head = indent(depth + 1) + '<transition' + attr('event', tr.event) +
+                attr('cond', tr.guard) + attr('target', tr.internal ? undefined : tr.to);
+            if (tr.onAfter) {
+                lines.push(head + '>');
+                lines.push(indent(depth + 2) + '<script>' + encodeEntities(tr.onAfter) + '</script>');
+                lines.push(indent(depth + 1) + '</transition>');
+            }
+            else {
+                lines.push(head + '/>');
+            }
+        });
+        children[st.name].forEach(function (child) { return writeState(child, depth + 1); });
+        (definition.historyStates || []).filter(function (h) { return h.parent === st.name; }).forEach(function (h) {
+            // SCXML requires the default transition; by default, it goes to
+            // the initial state of the parent, which is its first child
+            // unless declared.
+            /** @type {?} */
+            var target = h.defaultTarget || st.initial || (children[st.name][0] && children[st.name][0].name);
+            lines.push(indent(depth + 1) + '<history' + attr('id', h.name) + attr('type', h.deep ? 'deep' : 'shallow') + '>');
+            lines.push(indent(depth + 2) + '<transition' + attr('target', target) + '/>');
+            lines.push(indent(depth + 1) + '</history>');
+        });
+        if (lines[lines.length - 1] === open) {
+            lines[lines.length - 1] = open.replace(/>$/, '/>');
+        }
+        else {
+            lines.push(indent(depth) + '</' + tag + '>');
+        }
+    };
+    /** @type {?} */
+    var regions = definition.regions || [];
+    lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+    lines.push('<scxml' + attr('xmlns', scxmlNamespace) + ' version="1.0"' +
+        attr('initial', regions.length ? undefined : definition.initial) + '>');
+    /** @type {?} */
+    var context = definition.context;
+    if (context !== undefined && context !== null) {
+        if (typeof context !== 'object' || Array.isArray(context)) {
+            errors.push({ path: '/context', message: 'Context data other than an object is not supported in SCXML' });
+        }
+        else if (Object.keys(context).length) {
+            lines.push(indent(1) + '<datamodel>');
+            Object.keys(context).forEach(function (k) {
+                lines.push(indent(2) + '<data' + attr('id', k) + ' expr="' + encodeEntities(JSON.stringify(context[k])) + '"/>');
+            });
+            lines.push(indent(1) + '</datamodel>');
+        }
+    }
+    if (regions.length) {
+        // A region is written as a state, so its name must not be taken
+        // by any state; the default region is left out if it is empty.
+        /** @type {?} */
+        var names_1 = definition.states.map(function (st) { return st.name; }).concat((definition.historyStates || []).map(function (h) { return h.name; }));
+        lines.push(indent(1) + '<parallel>');
+        [{ name: defaultRegion$1, initial: definition.initial }].concat(regions).forEach(function (r, i) {
+            /** @type {?} */
+            var members = roots.filter(function (st) { return (st.region || defaultRegion$1) === r.name; });
+            if (!members.length) {
+                return;
+            }
+            if (names_1.indexOf(r.name) >= 0) {
+                errors.push({
+                    path: i ? '/regions/' + (i - 1) + '/name' : '/states/' + names_1.indexOf(r.name) + '/name',
+                    message: 'Regions named as states are not supported in SCXML: ' + r.name
+                });
+            }
+            lines.push(indent(2) + '<state' + attr('id', r.name) + attr('initial', r.initial) + '>');
+            members.forEach(function (st) { return writeState(st, 3); });
+            lines.push(indent(2) + '</state>');
+        });
+        lines.push(indent(1) + '</parallel>');
+    }
+    else {
+        roots.forEach(function (st) { return writeState(st, 1); });
+    }
+    lines.push('</scxml>');
+    if (errors.length) {
+        throw new DefinitionError(errors);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/** @type {?} */
+var defaultRegion$2 = 'default';
+/**
+ * Builds the graph of the atomic states of a definition,
+ * following the same rules as the FSM does.
+ * @param {?} definition
+ * @return {?}
+ */
+function buildStateGraph(definition) {
+    /** @type {?} */
+    var parents = parentsOf(definition);
+    /** @type {?} */
+    var children = {};
+    /** @type {?} */
+    var initials = {};
+    /** @type {?} */
+    var regions = {};
+    /** @type {?} */
+    var paths = {};
+    definition.states.forEach(function (st) {
+        /** @type {?} */
+        var parent = parents[st.name];
+        children[st.name] = [];
+        initials[st.name] = st.initial;
+        if (parent && children[parent]) {
+            children[parent].push(st.name);
+            regions[st.name] = regions[parent];
+            paths[st.name] = paths[parent].concat([st.name]);
+        }
+        else {
+            regions[st.name] = st.region || defaultRegion$2;
+            paths[st.name] = [st.name];
+        }
+    });
+    /** @type {?} */
+    var atomicStatesOf = function (name) {
+        if (!children[name].length) {
+            return [name];
+        }
+        /** @type {?} */
+        var result = [];
+        children[name].forEach(function (child) {
+            result = result.concat(atomicStatesOf(child));
+        });
+        return result;
+    };
+    /** @type {?} */
+    var resolveAtomicState = function (name) {
+        while (children[name] && children[name].length) {
+            name = initials[name] || children[name][0];
+        }
+        return name;
+    };
+    /** @type {?} */
+    var states = definition.states.map(function (st) { return st.name; }).filter(function (name) { return !children[name].length; });
+    /** @type {?} */
+    var edges = {};
+    states.forEach(function (name) {
+        edges[name] = [];
+    });
+    /** @type {?} */
+    var histories = {};
+    (definition.historyStates || []).forEach(function (h) {
+        if (children[h.parent]) {
+            histories[h.name] = h;
+        }
+    });
+    /** @type {?} */
+    var targetsOf = function (name) {
+        /** @type {?} */
+        var h = histories[name];
+        if (!h) {
+            return [resolveAtomicState(name)];
+        }
+        /** @type {?} */
+        var result = h.deep ? atomicStatesOf(h.parent) : children[h.parent].map(resolveAtomicState);
+        /** @type {?} */
+        var fallback = resolveAtomicState(h.defaultTarget || h.parent);
+        return result.indexOf(fallback) < 0 ? result.concat([fallback]) : result;
+    };
+    (definition.transitions || []).forEach(function (tr) {
+        if (!children[tr.from] || (!children[tr.to] && !histories[tr.to])) {
+            return;
+        }
+        targetsOf(tr.to).forEach(function (to) {
+            atomicStatesOf(tr.from).forEach(function (from) {
+                // The same name as the FSM gives to the transition
+                edges[from].push({ to: to, transition: tr.from + '2' + tr.to, event: tr.event });
+            });
+        });
+    });
+    /** @type {?} */
+    var initial = [];
+    if (definition.initial && children[definition.initial]) {
+        initial.push(resolveAtomicState(definition.initial));
+    }
+    (definition.regions || []).forEach(function (r) {
+        if (children[r.initial]) {
+            initial.push(resolveAtomicState(r.initial));
+        }
+    });
+    /** @type {?} */
+    var finalStates = definition.states.filter(function (st) { return st.final; }).map(function (st) { return st.name; });
+    /** @type {?} */
+    var final = states.filter(function (name) { return paths[name].some(function (s) { return finalStates.indexOf(s) >= 0; }); });
+    return {
+        states: states,
+        edges: edges,
+        initial: initial,
+        regions: regions,
+        paths: paths,
+        final: final
+    };
+}
+/**
+ * Returns the states which can be reached from the given ones,
+ * including themselves, by following the given edges.
+ * @param {?} sources
+ * @param {?} edges
+ * @return {?}
+ */
+function reachableFrom(sources, edges) {
+    /** @type {?} */
+    var visited = {};
+    /** @type {?} */
+    var queue = sources.slice();
+    while (queue.length) {
+        /** @type {?} */
+        var name_1 = queue.shift();
+        if (visited[name_1]) {
+            continue;
+        }
+        visited[name_1] = true;
+        (edges[name_1] || []).forEach(function (e) { return queue.push(e.to); });
+    }
+    return visited;
+}
+/**
+ * Computes the strongly connected components by Tarjan's algorithm.
+ * @param {?} graph
+ * @return {?}
+ */
+function stronglyConnectedComponents(graph) {
+    /** @type {?} */
+    var components = [];
+    /** @type {?} */
+    var index = {};
+    /** @type {?} */
+    var lowLink = {};
+    /** @type {?} */
+    var onStack = {};
+    /** @type {?} */
+    var stack = [];
+    /** @type {?} */
+    var counter = 0;
+    /** @type {?} */
+    var visit = function (name) {
+        index[name] = lowLink[name] = counter++;
+        stack.push(name);
+        onStack[name] = true;
+        graph.edges[name].forEach(function (e) {
+            if (index[e.to] === undefined) {
+                visit(e.to);
+                lowLink[name] = Math.min(lowLink[name], lowLink[e.to]);
+            }
+            else if (onStack[e.to]) {
+                lowLink[name] = Math.min(lowLink[name], index[e.to]);
+            }
+        });
+        if (lowLink[name] === index[name]) {
+            /** @type {?} */
+            var component = [];
+            /** @type {?} */
+            var top_1;
+            do {
+                top_1 = stack.pop();
+                onStack[top_1] = false;
+                component.unshift(top_1);
+            } while (top_1 !== name);
+            components.push(component);
+        }
+    };
+    graph.states.forEach(function (name) {
+        if (index[name] === undefined) {
+            visit(name);
+        }
+    });
+    return components;
+}
+/**
+ * Analyzes a definition, reporting the states which are unreachable,
+ * the dead ends, the states without incoming transitions, the strongly
+ * connected components, and the states which cannot reach a final state.
+ * @param {?} definition
+ * @return {?}
+ */
+function analyzeDefinition(definition) {
+    /** @type {?} */
+    var graph = buildStateGraph(definition);
+    /** @type {?} */
+    var allStates = definition.states.map(function (st) { return st.name; });
+    /** @type {?} */
+    var atomicStatesIn = function (name) { return graph.states.filter(function (s) { return graph.paths[s].indexOf(name) >= 0; }); };
+    /** @type {?} */
+    var reachable = reachableFrom(graph.initial, graph.edges);
+    /** @type {?} */
+    var unreachable = allStates.filter(function (name) { return !atomicStatesIn(name).some(function (s) { return reachable[s]; }); });
+    /** @type {?} */
+    var deadEnds = graph.states.filter(function (name) { return !graph.edges[name].length && graph.final.indexOf(name) < 0; });
+    /** @type {?} */
+    var entered = {};
+    graph.initial.forEach(function (name) {
+        entered[name] = true;
+    });
+    graph.states.forEach(function (name) {
+        graph.edges[name].forEach(function (e) {
+            entered[e.to] = true;
+        });
+    });
+    /** @type {?} */
+    var noIncoming = allStates.filter(function (name) { return !atomicStatesIn(name).some(function (s) { return entered[s]; }); });
+    // Search backwards from the final states
+    /** @type {?} */
+    var reversed = {};
+    graph.states.forEach(function (name) {
+        graph.edges[name].forEach(function (e) {
+            reversed[e.to] = reversed[e.to] || [];
+            reversed[e.to].push({ to: name });
+        });
+    });
+    /** @type {?} */
+    var reachingFinal = reachableFrom(graph.final, reversed);
+    /** @type {?} */
+    var regionsWithFinal = graph.final.map(function (name) { return graph.regions[name]; });
+    /** @type {?} */
+    var cannotReachFinal = graph.states.filter(function (name) {
+        return regionsWithFinal.indexOf(graph.regions[name]) >= 0 && !reachingFinal[name];
+    });
+    return {
+        unreachable: unreachable,
+        deadEnds: deadEnds,
+        noIncoming: noIncoming,
+        components: stronglyConnectedComponents(graph),
+        cannotReachFinal: cannotReachFinal,
+        ok: !unreachable.length && !deadEnds.length && !cannotReachFinal.length
+    };
+}
+
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/** @type {?} */
+var defaultRegion$3 = 'default';
+/** @type {?} */
+var temporalOperators = ['EX', 'AX', 'EF', 'AF', 'EG', 'AG'];
+/**
+ * Parses a property into a formula.
+ * @param {?} text
+ * @return {?}
+ */
+function parseProperty(text) {
+    /** @type {?} */
+    var tokens = [];
+    /** @type {?} */
+    var pattern = /^\s*(->|&&?|\|\|?|[!()\[\]@]|"[^"]*"|[A-Za-z_$][\w$.]*)/;
+    /** @type {?} */
+    var rest = text.replace(/\s+$/, '');
+    while (rest.length) {
+        /** @type {?} */
+        var m = pattern.exec(rest);
+        if (!m) {
+            throw new Error('Unexpected character in property: ' + rest);
+        }
+        tokens.push(m[1]);
+        rest = rest.substring(m[0].length);
+    }
+    /** @type {?} */
+    var index = 0;
+    /** @type {?} */
+    var peek = function () { return tokens[index]; };
+    /** @type {?} */
+    var expect = function (token) {
+        if (tokens[index] !== token) {
+            throw new Error('Expected ' + token + ' in property, but got ' + (tokens[index] || 'the end'));
+        }
+        index++;
+    };
+    /** @type {?} */
+    var nameOf = function (token) {
+        if (!token || !/^("|[A-Za-z_$])/.test(token)) {
+            throw new Error('Expected a name in property, but got ' + (token || 'the end'));
+        }
+        return token.charAt(0) === '"' ? token.substring(1, token.length - 1) : token;
+    };
+    /** @type {?} */
+    var parseImplies = function () {
+        /** @type {?} */
+        var left = parseOr();
+        if (peek() === '->') {
+            index++;
+            return { op: 'implies', args: [left, parseImplies()] };
+        }
+        return left;
+    };
+    /** @type {?} */
+    var parseOr = function () {
+        /** @type {?} */
+        var left = parseAnd();
+        while (peek() === '|' || peek() === '||') {
+            index++;
+            left = { op: 'or', args: [left, parseAnd()] };
+        }
+        return left;
+    };
+    /** @type {?} */
+    var parseAnd = function () {
+        /** @type {?} */
+        var left = parseUnary();
+        while (peek() === '&' || peek() === '&&') {
+            index++;
+            left = { op: 'and', args: [left, parseUnary()] };
+        }
+        return left;
+    };
+    /** @type {?} */
+    var parseUnary = function () {
+        /** @type {?} */
+        var token = peek();
+        if (token === '!') {
+            index++;
+            return { op: 'not', args: [parseUnary()] };
+        }
+        if (temporalOperators.indexOf(token) >= 0) {
+            index++;
+            return { op: token, args: [parseUnary()] };
+        }
+        if ((token === 'E' || token === 'A') && tokens[index + 1] === '[') {
+            index += 2;
+            /** @type {?} */
+            var left = parseImplies();
+            expect('U');
+            /** @type {?} */
+            var right = parseImplies();
+            expect(']');
+            return { op: token + 'U', args: [left, right] };
+        }
+        return parsePrimary();
+    };
+    /** @type {?} */
+    var parsePrimary = function () {
+        /** @type {?} */
+        var token = tokens[index++];
+        if (token === '(') {
+            /** @type {?} */
+            var inner = parseImplies();
+            expect(')');
+            return inner;
+        }
+        if (token === 'true' || token === 'false') {
+            return { op: token };
+        }
+        if (token === '@') {
+            return { op: 'tag', name: nameOf(tokens[index++]) };
+        }
+        return { op: 'atom', name: nameOf(token) };
+    };
+    /** @type {?} */
+    var formula = parseImplies();
+    if (index < tokens.length) {
+        throw new Error('Unexpected ' + tokens[index] + ' in property');
+    }
+    return formula;
+}
+/**
+ * Rewrites a formula in terms of not, and, or, EX, EU and EG.
+ * @param {?} f
+ * @return {?}
+ */
+function normalize(f) {
+    /** @type {?} */
+    var not = function (g) { return ({ op: 'not', args: [g] }); };
+    /** @type {?} */
+    var args = (f.args || []).map(normalize);
+    /** @type {?} */
+    var a = args[0];
+    /** @type {?} */
+    var b = args[1];
+    switch (f.op) {
+        case 'implies':
+            return { op: 'or', args: [not(a), b] };
+        case 'EF':
+            return { op: 'EU', args: [{ op: 'true' }, a] };
+        case 'AX':
+            return not({ op: 'EX', args: [not(a)] });
+        case 'AF':
+            return not({ op: 'EG', args: [not(a)] });
+        case 'AG':
+            return not({ op: 'EU', args: [{ op: 'true' }, not(a)] });
+        case 'AU':
+            return not({
+                op: 'or', args: [
+                    { op: 'EU', args: [not(b), { op: 'and', args: [not(a), not(b)] }] },
+                    { op: 'EG', args: [not(b)] }
+                ]
+            });
+        default:
+            return { op: f.op, name: f.name, args: args };
+    }
+}
+/**
+ * The states of the graph refined by the transitions entering them,
+ * so that transition tags can be evaluated as atoms.
+ */
+var /**
+ * The states of the graph refined by the transitions entering them,
+ * so that transition tags can be evaluated as atoms.
+ */
+KripkeStructure = /** @class */ (function () {
+    function KripkeStructure(graph, initState) {
+        var _this = this;
+        this.states = [];
+        this.via = [];
+        this.events = [];
+        this.successors = [];
+        this._graph = graph;
+        this._cache = [];
+        /** @type {?} */
+        var ids = {};
+        /** @type {?} */
+        var nodeOf = function (state, transition, event) {
+            /** @type {?} */
+            var key = state + '\n' + (transition || '');
+            if (ids[key] === undefined) {
+                ids[key] = _this.states.length;
+                _this.states.push(state);
+                _this.via.push(transition);
+                _this.events.push(event);
+                _this.successors.push(null);
+            }
+            return ids[key];
+        };
+        /** @type {?} */
+        var queue = [nodeOf(initState, null, null)];
+        while (queue.length) {
+            /** @type {?} */
+            var n = queue.shift();
+            if (this.successors[n]) {
+                continue;
+            }
+            this.successors[n] = graph.edges[this.states[n]].map(function (e) {
+                /** @type {?} */
+                var m = nodeOf(e.to, e.transition, e.event);
+                queue.push(m);
+                return m;
+            });
+        }
+    }
+    /**
+     * Returns for each node whether the given normalized formula holds.
+     */
+    /**
+     * Returns for each node whether the given normalized formula holds.
+     * @param {?} f
+     * @return {?}
+     */
+    KripkeStructure.prototype.sat = /**
+     * Returns for each node whether the given normalized formula holds.
+     * @param {?} f
+     * @return {?}
+     */
+    function (f) {
+        for (var _i = 0, _a = this._cache; _i < _a.length; _i++) {
+            var elem = _a[_i];
+            if (elem.formula === f) {
+                return elem.sat;
+            }
+        }
+        /** @type {?} */
+        var result = this.compute(f);
+        this._cache.push({ formula: f, sat: result });
+        return result;
+    };
+    /**
+     * @private
+     * @param {?} f
+     * @return {?}
+     */
+    KripkeStructure.prototype.compute = /**
+     * @private
+     * @param {?} f
+     * @return {?}
+     */
+    function (f) {
+        var _this = this;
+        /** @type {?} */
+        var all = this.states.map(function () { return true; });
+        /** @type {?} */
+        var succ = this.successors;
+        switch (f.op) {
+            case 'true':
+                return all;
+            case 'false':
+                return all.map(function () { return false; });
+            case 'atom':
+                return this.states.map(function (s) { return _this._graph.paths[s].indexOf(f.name) >= 0; });
+            case 'tag':
+                return this.via.map(function (t, n) { return t === f.name || _this.events[n] === f.name; });
+            case 'not':
+                return this.sat(f.args[0]).map(function (v) { return !v; });
+            case 'and': {
+                /** @type {?} */
+                var a = this.sat(f.args[0]);
+                /** @type {?} */
+                var b_1 = this.sat(f.args[1]);
+                return a.map(function (v, n) { return v && b_1[n]; });
+            }
+            case 'or': {
+                /** @type {?} */
+                var a = this.sat(f.args[0]);
+                /** @type {?} */
+                var b_2 = this.sat(f.args[1]);
+                return a.map(function (v, n) { return v || b_2[n]; });
+            }
+            case 'EX': {
+                /** @type {?} */
+                var a_1 = this.sat(f.args[0]);
+                return succ.map(function (ms) { return ms.some(function (m) { return a_1[m]; }); });
+            }
+            case 'EU': {
+                // The least fixpoint
+                /** @type {?} */
+                var a_2 = this.sat(f.args[0]);
+                /** @type {?} */
+                var z_1 = this.sat(f.args[1]).slice();
+                /** @type {?} */
+                var changed_1 = true;
+                while (changed_1) {
+                    changed_1 = false;
+                    succ.forEach(function (ms, n) {
+                        if (!z_1[n] && a_2[n] && ms.some(function (m) { return z_1[m]; })) {
+                            z_1[n] = changed_1 = true;
+                        }
+                    });
+                }
+                return z_1;
+            }
+            case 'EG': {
+                // The greatest fixpoint; a node without successors
+                // ends a complete path.
+                /** @type {?} */
+                var z_2 = this.sat(f.args[0]).slice();
+                /** @type {?} */
+                var changed_2 = true;
+                while (changed_2) {
+                    changed_2 = false;
+                    succ.forEach(function (ms, n) {
+                        if (z_2[n] && ms.length && !ms.some(function (m) { return z_2[m]; })) {
+                            z_2[n] = false;
+                            changed_2 = true;
+                        }
+                    });
+                }
+                return z_2;
+            }
+        }
+        throw new Error('Unsupported operator: ' + f.op);
+    };
+    /**
+     * Builds a path from the given node, which shows why the given
+     * normalized formula holds (or does not hold) there.
+     * For a branching formula, one of the relevant paths is given.
+     */
+    /**
+     * Builds a path from the given node, which shows why the given
+     * normalized formula holds (or does not hold) there.
+     * For a branching formula, one of the relevant paths is given.
+     * @param {?} f
+     * @param {?} n
+     * @param {?} expected
+     * @return {?}
+     */
+    KripkeStructure.prototype.explain = /**
+     * Builds a path from the given node, which shows why the given
+     * normalized formula holds (or does not hold) there.
+     * For a branching formula, one of the relevant paths is given.
+     * @param {?} f
+     * @param {?} n
+     * @param {?} expected
+     * @return {?}
+     */
+    function (f, n, expected) {
+        var _this = this;
+        /** @type {?} */
+        var succ = this.successors;
+        /** @type {?} */
+        var prepend = function (path, rest) { return ({
+            nodes: path.concat(rest.nodes.slice(1)),
+            loopsTo: rest.loopsTo === undefined ? undefined : rest.loopsTo + path.length - 1
+        }); };
+        // Walks from the node by the given choice of successors,
+        // until the choice gives up or a node is revisited.
+        /** @type {?} */
+        var walk = function (choose, stop) {
+            /** @type {?} */
+            var path = [];
+            /** @type {?} */
+            var cur = n;
+            for (;;) {
+                /** @type {?} */
+                var seen = path.indexOf(cur);
+                if (seen >= 0) {
+                    return { nodes: path, loopsTo: seen };
+                }
+                path.push(cur);
+                /** @type {?} */
+                var finished = stop(cur);
+                if (finished) {
+                    return prepend(path, finished);
+                }
+                /** @type {?} */
+                var next = choose(cur);
+                if (next === undefined) {
+                    return { nodes: path };
+                }
+                cur = next;
+            }
+        };
+        /** @type {?} */
+        var a = f.args && f.args[0];
+        /** @type {?} */
+        var b = f.args && f.args[1];
+        switch (f.op) {
+            case 'not':
+                return this.explain(a, n, !expected);
+            case 'and':
+            case 'or':
+                // Explain an operand which decides the result,
+                // preferring the right one, e.g., the consequence
+                // of an implication.
+                return this.explain(this.sat(b)[n] === expected ? b : a, n, expected);
+            case 'EX': {
+                /** @type {?} */
+                var target_1 = this.sat(a);
+                /** @type {?} */
+                var m = expected ? succ[n].filter(function (k) { return target_1[k]; })[0] : succ[n][0];
+                return m === undefined ? { nodes: [n] } : prepend([n, m], this.explain(a, m, expected));
+            }
+            case 'EU': {
+                /** @type {?} */
+                var left_1 = this.sat(a);
+                /** @type {?} */
+                var right = this.sat(b);
+                if (expected) {
+                    // The shortest path through the left to the right
+                    /** @type {?} */
+                    var previous_1 = {};
+                    /** @type {?} */
+                    var queue_1 = [n];
+                    previous_1[n] = -1;
+                    var _loop_1 = function () {
+                        /** @type {?} */
+                        var k = queue_1.shift();
+                        if (right[k]) {
+                            /** @type {?} */
+                            var path = [];
+                            for (var p = k; p >= 0; p = previous_1[p]) {
+                                path.unshift(p);
+                            }
+                            return { value: prepend(path, this_1.explain(b, k, true)) };
+                        }
+                        if (left_1[k]) {
+                            succ[k].forEach(function (m) {
+                                if (previous_1[m] === undefined) {
+                                    previous_1[m] = k;
+                                    queue_1.push(m);
+                                }
+                            });
+                        }
+                    };
+                    var this_1 = this;
+                    while (queue_1.length) {
+                        var state_1 = _loop_1();
+                        if (typeof state_1 === "object")
+                            return state_1.value;
+                    }
+                }
+                // Every path fails, and so does any of them.
+                return walk(function (k) { return succ[k][0]; }, function (k) { return left_1[k] ? null : _this.explain(a, k, false); });
+            }
+            case 'EG': {
+                /** @type {?} */
+                var holds_1 = this.sat(f);
+                if (expected) {
+                    return walk(function (k) { return succ[k].filter(function (m) { return holds_1[m]; })[0]; }, function () { return null; });
+                }
+                /** @type {?} */
+                var inner_1 = this.sat(a);
+                return walk(function (k) { return succ[k][0]; }, function (k) { return inner_1[k] ? null : _this.explain(a, k, false); });
+            }
+        }
+        return { nodes: [n] };
+    };
+    return KripkeStructure;
+}());
+/**
+ * Checks whether a property holds in the init state of the given region
+ * of a definition. Note that guard conditions are not taken into account.
+ * @param {?} definition
+ * @param {?} property
+ * @param {?=} region
+ * @return {?}
+ */
+function checkProperty(definition, property, region) {
+    /** @type {?} */
+    var formula = parseProperty(property);
+    /** @type {?} */
+    var graph = buildStateGraph(definition);
+    region = region || defaultRegion$3;
+    // Verify the state names in the property. A transition tag is not
+    // verified, as a property such as 'AG !@idle2error' is meant to
+    // hold when there is no such transition.
+    /** @type {?} */
+    var verify = function (f) {
+        if (f.op === 'atom' && !graph.paths[f.name]) {
+            throw new Error('Undefined state in property: ' + f.name);
+        }
+        (f.args || []).forEach(verify);
+    };
+    verify(formula);
+    /** @type {?} */
+    var initState = graph.initial.filter(function (s) { return graph.regions[s] === region; })[0];
+    if (!initState) {
+        throw new Error('Undefined init state in region: ' + region);
+    }
+    /** @type {?} */
+    var kripke = new KripkeStructure(graph, initState);
+    /** @type {?} */
+    var normalized = normalize(formula);
+    if (kripke.sat(normalized)[0]) {
+        return { holds: true };
+    }
+    /** @type {?} */
+    var witness = kripke.explain(normalized, 0, false);
+    /** @type {?} */
+    var result = {
+        holds: false,
+        counterexample: witness.nodes.map(function (k) { return ({ state: kripke.states[k], transition: kripke.via[k] }); })
+    };
+    if (witness.loopsTo !== undefined) {
+        result.loopsTo = witness.loopsTo;
+    }
+    return result;
+}
+
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * The scheduler based on the timers of the environment.
+ * @type {?}
+ */
+var realTimeScheduler = {
+    setTimeout: function (callback, delay) { return setTimeout(callback, delay); },
+    clearTimeout: function (handle) { return clearTimeout(handle); }
+};
+/**
+ * Represents a scheduler of virtual time, which moves on only
+ * when it is advanced. It is intended for deterministic tests.
+ */
+var  /**
+ * Represents a scheduler of virtual time, which moves on only
+ * when it is advanced. It is intended for deterministic tests.
+ */
+VirtualScheduler = /** @class */ (function () {
+    function VirtualScheduler() {
+        this._now = 0;
+        this._counter = 0;
+        this._tasks = [];
+    }
+    /**
+     * Returns the current virtual time in milliseconds.
+     */
+    /**
+     * Returns the current virtual time in milliseconds.
+     * @return {?}
+     */
+    VirtualScheduler.prototype.now = /**
+     * Returns the current virtual time in milliseconds.
+     * @return {?}
+     */
+    function () {
+        return this._now;
+    };
+    /**
+     * Returns the number of the callbacks to be run.
+     */
+    /**
+     * Returns the number of the callbacks to be run.
+     * @return {?}
+     */
+    VirtualScheduler.prototype.pending = /**
+     * Returns the number of the callbacks to be run.
+     * @return {?}
+     */
+    function () {
+        return this._tasks.length;
+    };
+    /**
+     * @param {?} callback
+     * @param {?} delay
+     * @return {?}
+     */
+    VirtualScheduler.prototype.setTimeout = /**
+     * @param {?} callback
+     * @param {?} delay
+     * @return {?}
+     */
+    function (callback, delay) {
+        /** @type {?} */
+        var id = ++this._counter;
+        this._tasks.push({
+            id: id,
+            time: this._now + Math.max(0, delay || 0),
+            callback: callback
+        });
+        return id;
+    };
+    /**
+     * @param {?} handle
+     * @return {?}
+     */
+    VirtualScheduler.prototype.clearTimeout = /**
+     * @param {?} handle
+     * @return {?}
+     */
+    function (handle) {
+        this._tasks = this._tasks.filter(function (t) { return t.id !== handle; });
+    };
+    /**
+     * Moves the virtual time forward, and runs the callbacks which
+     * become due in the order of their due time (and then in the order
+     * they are scheduled), including the ones scheduled meanwhile.
+     */
+    /**
+     * Moves the virtual time forward, and runs the callbacks which
+     * become due in the order of their due time (and then in the order
+     * they are scheduled), including the ones scheduled meanwhile.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} ms
+     * @return {THIS}
+     */
+    VirtualScheduler.prototype.advance = /**
+     * Moves the virtual time forward, and runs the callbacks which
+     * become due in the order of their due time (and then in the order
+     * they are scheduled), including the ones scheduled meanwhile.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} ms
+     * @return {THIS}
+     */
+    function (ms) {
+        /** @type {?} */
+        var target = (/** @type {?} */ (this))._now + ms;
+        for (;;) {
+            /** @type {?} */
+            var next = null;
+            for (var _i = 0, _a = (/** @type {?} */ (this))._tasks; _i < _a.length; _i++) {
+                var t = _a[_i];
+                if (t.time <= target && (!next || t.time < next.time || (t.time === next.time && t.id < next.id))) {
+                    next = t;
+                }
+            }
+            if (!next) {
+                break;
+            }
+            (/** @type {?} */ (this)).clearTimeout(next.id);
+            (/** @type {?} */ (this))._now = next.time;
+            next.callback();
+        }
+        (/** @type {?} */ (this))._now = target;
+        return (/** @type {?} */ (this));
+    };
+    return VirtualScheduler;
+}());
+
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * The strategy which runs everything where the machine is called.
+ * @type {?}
+ */
+var directExecutionStrategy = {
+    execute: function (work) { return work(); },
+    notify: function (delivery) { return delivery(); }
+};
+
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+// A set of helper functions
+/** @type {?} */
+var _ = underscore;
+/** @type {?} */
+var StateMachine = statemachine;
+/** @type {?} */
+var indexOf = _.indexOf;
+/** @type {?} */
+var without = _.without;
+/** @type {?} */
+var transitionKeyFormat = '{from}2{to}';
+/** @type {?} */
+var stateSeparator$1 = '.';
+// The target which keeps the underlying implementation in its current state
+/** @type {?} */
+var wildcardState = '*';
+/** @type {?} */
+var defaultRegion$4 = 'default';
+/** @type {?} */
+var errorMessageFormat = 'Transition {name} from {from} to {to} fails.';
+// The format version of snapshots; bump it whenever
+// the snapshot structure changes incompatibly.
+/** @type {?} */
+var snapshotVersion = 1;
+/** @type {?} */
+var maxHistoryLength = 100;
+/** @type {?} */
+var sameStatePolicies = ['ignore', 'error', 'reenter'];
+/**
+ * Builds a handler with necessary context information.
+ * The resulting return value is a closure indeed.
+ * @param {?} context
+ * @param {?} key
+ * @return {?}
+ */
+function buildHandlerInClosure(context, key) {
+    return function (data) {
+        /** @type {?} */
+        var ourHandlers = context[key];
+        if (!ourHandlers) {
+            return;
+        }
+        for (var i = 0; i < ourHandlers.length; i++) {
+            /** @type {?} */
+            var func = ourHandlers[i];
+            func.apply(null, arguments);
+        }
+    };
+}
+/**
+ * Computes the states to be left and the states to be entered
+ * when moving from one state to another, given the active paths of both.
+ * The states to be left are ordered from the innermost one, and
+ * the states to be entered from the outermost one.
+ * @param {?} fromPath
+ * @param {?} toPath
+ * @return {?}
+ */
+function computeExitAndEntry(fromPath, toPath) {
+    /** @type {?} */
+    var i = 0;
+    while (i < fromPath.length && i < toPath.length && fromPath[i] === toPath[i]) {
+        i++;
+    }
+    return {
+        exit: fromPath.slice(i).reverse(),
+        entry: toPath.slice(i)
+    };
+}
+/**
+ * Invokes the given callbacks one after another, and stops at
+ * the first one which returns false. A callback may return a promise,
+ * and then the remaining callbacks are invoked once it is resolved.
+ * @param {?} callbacks
+ * @param {?} lifecycle
+ * @param {?=} index
+ * @return {?}
+ */
+function invokeInSequence(callbacks, lifecycle, index) {
+    if (index === void 0) { index = 0; }
+    var _loop_1 = function (i) {
+        /** @type {?} */
+        var result = callbacks[i](lifecycle);
+        if (result === false) {
+            return { value: false };
+        }
+        if (result && typeof result.then === 'function') {
+            return { value: result.then(function (value) {
+                    return value === false ? false : invokeInSequence(callbacks, lifecycle, i + 1);
+                }) };
+        }
+    };
+    for (var i = index; i < callbacks.length; i++) {
+        var state_1 = _loop_1(i);
+        if (typeof state_1 === "object")
+            return state_1.value;
+    }
+}
+/**
+ * Invokes the given middleware around the given work, the first one
+ * being the outermost. A middleware which does not call next vetoes
+ * the transition; a middleware may call next only once.
+ * @param {?} middleware
+ * @param {?} lifecycle
+ * @param {?} work
+ * @param {?=} index
+ * @return {?}
+ */
+function invokeMiddleware(middleware, lifecycle, work, index) {
+    if (index === void 0) { index = 0; }
+    if (index >= middleware.length) {
+        return work(lifecycle.payload);
+    }
+    /** @type {?} */
+    var called = false;
+    return middleware[index](lifecycle, function (payload) {
+        if (called) {
+            throw new Error('Calling next more than once: ' + lifecycle.transition);
+        }
+        called = true;
+        if (arguments.length > 0) {
+            lifecycle.payload = payload;
+        }
+        return invokeMiddleware(middleware, lifecycle, work, index + 1);
+    });
+}
+/**
+ * Default error handler for the FSM.
+ * @param {?} eventName
+ * @param {?} from
+ * @param {?} to
+ * @param {?=} error
+ * @return {?}
+ */
+function defaultErrorHandler(eventName, from, to, error) {
+    /** @type {?} */
+    var info = replace(errorMessageFormat, {
+        name: eventName,
+        from: from,
+        to: to
+    });
+    console.log(info);
+    if (error) {
+        console.log(error);
+    }
+}
+/**
+ * Represents a finite state machine.
+ * The resulting FSM is built upon a commonly used javascript
+ * state machine library.
+ * Such a design (of architecture) is based on the following considerations:
+ * - A user-friendly interface for defining states and their behaviors
+ * - A kind of model-checking capability for verifying the correctness of
+ * transitions
+ * - Support for asychronous and synchrous transitions
+ * - Support for global exception handling
+ * The states, the events and the context data may be typed by
+ * the type parameters, e.g.,
+ * new FiniteStateMachine<'idle' | 'busy', 'submit', { count: number }>(),
+ * so that the names are checked at compile time and the callbacks
+ * receive precisely typed lifecycle events. The last type parameter
+ * tells whether the FSM is in the asynchronous mode, as set by
+ * setAsyncMode, so that taking a transition is typed to return
+ * either the FSM or a promise.
+ * @template TState, TEvent, TContext, TAsync
+ */
+var  /**
+ * Represents a finite state machine.
+ * The resulting FSM is built upon a commonly used javascript
+ * state machine library.
+ * Such a design (of architecture) is based on the following considerations:
+ * - A user-friendly interface for defining states and their behaviors
+ * - A kind of model-checking capability for verifying the correctness of
+ * transitions
+ * - Support for asychronous and synchrous transitions
+ * - Support for global exception handling
+ * The states, the events and the context data may be typed by
+ * the type parameters, e.g.,
+ * new FiniteStateMachine<'idle' | 'busy', 'submit', { count: number }>(),
+ * so that the names are checked at compile time and the callbacks
+ * receive precisely typed lifecycle events. The last type parameter
+ * tells whether the FSM is in the asynchronous mode, as set by
+ * setAsyncMode, so that taking a transition is typed to return
+ * either the FSM or a promise.
+ * @template TState, TEvent, TContext, TAsync
+ */
+FiniteStateMachine = /** @class */ (function () {
+    function FiniteStateMachine() {
+        this._impls = null;
+        this._initState = null;
+        this._context = {};
+        this._asyncMode = false;
+        this._sameStatePolicy = 'ignore';
+        this._pendingRegions = {};
+        this._errorHandler = null;
+        this._regionConfiguration = {};
+        this._historyConfiguration = {};
+        this._lastActive = {};
+        this._stateConfiguration = {};
+        this._transitionConfiguration = {};
+        this._reentryConfiguration = {};
+        this._eventConfiguration = {};
+        // Handlers may be registered before the FSM starts
+        this._handlers = {
+            onEnterState: [],
+            onLeaveState: [],
+            onContextChange: []
+        };
+        this._middleware = [];
+        this._history = [];
+        this._historyLimit = maxHistoryLength;
+        this._undone = [];
+        this._replays = {};
+        this._settledEvents = {};
+        this._implementations = null;
+        this._scheduler = realTimeScheduler;
+        this._timers = {};
+        this._execution = directExecutionStrategy;
+        this._disposed = false;
+        this._configurationSubject = new ReplaySubject(1);
+        this._transitionSubject = new Subject();
+        this._errorSubject = new Subject();
+        this._contextSubject = new ReplaySubject(1);
+        this.configuration$ = (/** @type {?} */ (this._configurationSubject.asObservable()));
+        this.state$ = this.watchState();
+        this.transitions$ = (/** @type {?} */ (this._transitionSubject.asObservable()));
+        this.errors$ = this._errorSubject.asObservable();
+        this.context$ = (/** @type {?} */ (this._contextSubject.asObservable()));
+    }
+    /**
+     * Builds a FSM from a declarative definition, in which the callbacks
+     * and the guards are referred to by their names in the given map of
+     * implementations. The resulting FSM is configured but not started.
+     * If the definition is invalid, a DefinitionError listing all
+     * the problems found is thrown. The mode of the FSM is given by
+     * the definition, so it is unknown to the type system,
+     * unless stated by the last type parameter.
+     */
+    /**
+     * Builds a FSM from a declarative definition, in which the callbacks
+     * and the guards are referred to by their names in the given map of
+     * implementations. The resulting FSM is configured but not started.
+     * If the definition is invalid, a DefinitionError listing all
+     * the problems found is thrown. The mode of the FSM is given by
+     * the definition, so it is unknown to the type system,
+     * unless stated by the last type parameter.
+     * @template TState, TEvent, TContext, TAsync
+     * @param {?} definition
+     * @param {?=} implementations
+     * @return {?}
+     */
+    FiniteStateMachine.fromDefinition = /**
+     * Builds a FSM from a declarative definition, in which the callbacks
+     * and the guards are referred to by their names in the given map of
+     * implementations. The resulting FSM is configured but not started.
+     * If the definition is invalid, a DefinitionError listing all
+     * the problems found is thrown. The mode of the FSM is given by
+     * the definition, so it is unknown to the type system,
+     * unless stated by the last type parameter.
+     * @template TState, TEvent, TContext, TAsync
+     * @param {?} definition
+     * @param {?=} implementations
+     * @return {?}
+     */
+    function (definition, implementations) {
+        /** @type {?} */
+        var errors = validateDefinition(definition);
+        if (errors.length) {
+            throw new DefinitionError(errors);
+        }
+        implementations = implementations || {};
+        /** @type {?} */
+        var lookup = function (name, path) {
+            if (!name) {
+                return undefined;
+            }
+            if (!implementations.hasOwnProperty(name) || typeof implementations[name] !== 'function') {
+                errors.push({ path: path, message: 'Undefined implementation: ' + name });
+                return undefined;
+            }
+            return implementations[name];
+        };
+        // Keeps going on failures, so that all the problems are reported.
+        /** @type {?} */
+        var attempt = function (path, fn) {
+            try {
+                fn();
+            }
+            catch (e) {
+                errors.push({ path: path, message: e.message });
+            }
+        };
+        /** @type {?} */
+        var fsm = new FiniteStateMachine();
+        if (definition.context !== undefined) {
+            fsm.setContext(definition.context);
+        }
+        fsm.setAsyncMode(!!definition.asyncMode);
+        if (definition.sameStatePolicy) {
+            attempt('/sameStatePolicy', function () { return fsm.setSameStatePolicy((/** @type {?} */ (definition.sameStatePolicy))); });
+        }
+        (definition.regions || []).forEach(function (r, i) {
+            attempt('/regions/' + i, function () { return fsm.addRegion(r.name, r.initial); });
+        });
+        definition.states.forEach(function (st, i) {
+            /** @type {?} */
+            var path = '/states/' + i;
+            /** @type {?} */
+            var onEnter = lookup(st.onEnter, path + '/onEnter');
+            /** @type {?} */
+            var onLeave = lookup(st.onLeave, path + '/onLeave');
+            attempt(path, function () { return fsm.addState(st.name, onEnter, onLeave, {
+                parent: st.parent,
+                initial: st.initial,
+                region: st.region,
+                final: st.final
+            }); });
+        });
+        (definition.historyStates || []).forEach(function (h, i) {
+            attempt('/historyStates/' + i, function () { return fsm.addHistoryState(h.name, h.parent, {
+                deep: h.deep,
+                defaultTarget: h.defaultTarget
+            }); });
+        });
+        (definition.transitions || []).forEach(function (tr, i) {
+            /** @type {?} */
+            var path = '/transitions/' + i;
+            /** @type {?} */
+            var onAfter = lookup(tr.onAfter, path + '/onAfter');
+            /** @type {?} */
+            var onBefore = lookup(tr.onBefore, path + '/onBefore');
+            /** @type {?} */
+            var guard = lookup(tr.guard, path + '/guard');
+            /** @type {?} */
+            var assign = typeof tr.assign === 'string' ? lookup(tr.assign, path + '/assign') : tr.assign;
+            attempt(path, function () { return fsm.addTransition(tr.from, tr.to, onAfter, onBefore, {
+                guard: guard,
+                event: tr.event,
+                assign: assign,
+                delay: tr.delay,
+                compensation: tr.compensation,
+                internal: tr.internal
+            }); });
+        });
+        // The references to the states are otherwise checked only on start.
+        /** @type {?} */
+        var stateConf = fsm._stateConfiguration;
+        if (definition.initial) {
+            if (stateConf[definition.initial]) {
+                fsm.setInitState(definition.initial);
+            }
+            else {
+                errors.push({ path: '/initial', message: 'Undefined state: ' + definition.initial });
+            }
+        }
+        (definition.regions || []).forEach(function (r, i) {
+            if (!stateConf[r.initial] || stateConf[r.initial].region !== r.name) {
+                errors.push({ path: '/regions/' + i + '/initial', message: 'Undefined state in region: ' + r.initial });
+            }
+        });
+        definition.states.forEach(function (st, i) {
+            /** @type {?} */
+            var elem = stateConf[st.name];
+            if (elem && st.initial && indexOf(elem.children, st.initial) < 0) {
+                errors.push({ path: '/states/' + i + '/initial', message: 'Undefined initial child state: ' + st.initial });
+            }
+        });
+        (definition.historyStates || []).forEach(function (h, i) {
+            if (stateConf[h.parent] && !stateConf[h.parent].children.length) {
+                errors.push({ path: '/historyStates/' + i + '/parent', message: 'History state of an atomic state: ' + h.name });
+            }
+            /** @type {?} */
+            var target = h.defaultTarget;
+            if (target && (!stateConf[target] || target === h.parent || indexOf(fsm.pathOf(target), h.parent) < 0)) {
+                errors.push({ path: '/historyStates/' + i + '/defaultTarget', message: 'Undefined default target: ' + target });
+            }
+        });
+        if (errors.length) {
+            throw new DefinitionError(errors);
+        }
+        fsm._implementations = implementations;
+        return fsm;
+    };
+    /**
+     * Builds a FSM from a SCXML document, in which the onentry and onexit
+     * handlers and the conditions refer to the callbacks and the guards
+     * by their names in the given map of implementations.
+     * The resulting FSM is configured but not started,
+     * and it is in the synchronous mode.
+     */
+    /**
+     * Builds a FSM from a SCXML document, in which the onentry and onexit
+     * handlers and the conditions refer to the callbacks and the guards
+     * by their names in the given map of implementations.
+     * The resulting FSM is configured but not started,
+     * and it is in the synchronous mode.
+     * @template TState, TEvent, TContext
+     * @param {?} xml
+     * @param {?=} implementations
+     * @return {?}
+     */
+    FiniteStateMachine.fromScxml = /**
+     * Builds a FSM from a SCXML document, in which the onentry and onexit
+     * handlers and the conditions refer to the callbacks and the guards
+     * by their names in the given map of implementations.
+     * The resulting FSM is configured but not started,
+     * and it is in the synchronous mode.
+     * @template TState, TEvent, TContext
+     * @param {?} xml
+     * @param {?=} implementations
+     * @return {?}
+     */
+    function (xml, implementations) {
+        return FiniteStateMachine.fromDefinition(parseScxml(xml), implementations);
+    };
+    /**
+     * Checks if FSM is in configuration stage.
+     */
+    /**
+     * Checks if FSM is in configuration stage.
+     * @private
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.ensureConfigureStage = /**
+     * Checks if FSM is in configuration stage.
+     * @private
+     * @return {?}
+     */
+    function () {
+        if (this._disposed) {
+            throw new Error('State machine has been disposed.');
+        }
+        if (this._impls) {
+            throw new Error('State machine has started.');
+        }
+    };
+    /**
+     * Checks if FSM is in running stage.
+     */
+    /**
+     * Checks if FSM is in running stage.
+     * @private
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.ensureRunningStage = /**
+     * Checks if FSM is in running stage.
+     * @private
+     * @return {?}
+     */
+    function () {
+        if (this._disposed) {
+            throw new Error('State machine has been disposed.');
+        }
+        if (!this._impls) {
+            throw new Error('State machine has not yet started.');
+        }
+    };
+    /**
+     * Returns the given state and all of its enclosing states,
+     * starting from the outermost one.
+     */
+    /**
+     * Returns the given state and all of its enclosing states,
+     * starting from the outermost one.
+     * @private
+     * @param {?} name
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.pathOf = /**
+     * Returns the given state and all of its enclosing states,
+     * starting from the outermost one.
+     * @private
+     * @param {?} name
+     * @return {?}
+     */
+    function (name) {
+        /** @type {?} */
+        var stateConf = this._stateConfiguration;
+        /** @type {?} */
+        var path = [];
+        for (var s = name; s; s = stateConf[s].parent) {
+            path.unshift(s);
+        }
+        return path;
+    };
+    /**
+     * Resolves the atomic state which is entered
+     * when a transition targets the given state.
+     */
+    /**
+     * Resolves the atomic state which is entered
+     * when a transition targets the given state.
+     * @private
+     * @param {?} name
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.resolveAtomicState = /**
+     * Resolves the atomic state which is entered
+     * when a transition targets the given state.
+     * @private
+     * @param {?} name
+     * @return {?}
+     */
+    function (name) {
+        /** @type {?} */
+        var stateConf = this._stateConfiguration;
+        /** @type {?} */
+        var elem = stateConf[name];
+        while (elem.children.length > 0) {
+            name = elem.initial || elem.children[0];
+            elem = stateConf[name];
+        }
+        return name;
+    };
+    /**
+     * Returns the atomic states which are nested in the given state,
+     * or the state itself if it does not have any child.
+     */
+    /**
+     * Returns the atomic states which are nested in the given state,
+     * or the state itself if it does not have any child.
+     * @private
+     * @param {?} name
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.atomicStatesOf = /**
+     * Returns the atomic states which are nested in the given state,
+     * or the state itself if it does not have any child.
+     * @private
+     * @param {?} name
+     * @return {?}
+     */
+    function (name) {
+        /** @type {?} */
+        var elem = this._stateConfiguration[name];
+        if (elem.children.length === 0) {
+            return [name];
+        }
+        /** @type {?} */
+        var result = [];
+        for (var _i = 0, _a = elem.children; _i < _a.length; _i++) {
+            var child = _a[_i];
+            result = result.concat(this.atomicStatesOf(child));
+        }
+        return result;
+    };
+    /**
+     * Invokes the given callbacks which may delay or veto a transition.
+     * In the asynchronous mode, a promise resolved to false is turned into
+     * a rejection, as the underlying implementation would not take it as a veto.
+     * In the synchronous mode, a promise is an error, which vetoes
+     * the transition, as the underlying implementation would wait for it.
+     */
+    /**
+     * Invokes the given callbacks which may delay or veto a transition.
+     * In the asynchronous mode, a promise resolved to false is turned into
+     * a rejection, as the underlying implementation would not take it as a veto.
+     * In the synchronous mode, a promise is an error, which vetoes
+     * the transition, as the underlying implementation would wait for it.
+     * @private
+     * @param {?} callbacks
+     * @param {?} lifecycle
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.invokeVetoableCallbacks = /**
+     * Invokes the given callbacks which may delay or veto a transition.
+     * In the asynchronous mode, a promise resolved to false is turned into
+     * a rejection, as the underlying implementation would not take it as a veto.
+     * In the synchronous mode, a promise is an error, which vetoes
+     * the transition, as the underlying implementation would wait for it.
+     * @private
+     * @param {?} callbacks
+     * @param {?} lifecycle
+     * @return {?}
+     */
+    function (callbacks, lifecycle) {
+        /** @type {?} */
+        var result = invokeInSequence(callbacks, lifecycle);
+        if (!result || typeof result.then !== 'function') {
+            return result;
+        }
+        if (!this._asyncMode) {
+            throw new Error('Promise returned in synchronous mode: ' + lifecycle.transition);
+        }
+        return result.then(function (value) {
+            if (value === false) {
+                throw new Error('Transition is vetoed: ' + lifecycle.transition);
+            }
+            return value;
+        });
+    };
+    /**
+     * Updates the context data as declared by a transition,
+     * and notifies the handlers of the change.
+     */
+    /**
+     * Updates the context data as declared by a transition,
+     * and notifies the handlers of the change.
+     * @private
+     * @param {?} assign
+     * @param {?} lifecycle
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.assignContext = /**
+     * Updates the context data as declared by a transition,
+     * and notifies the handlers of the change.
+     * @private
+     * @param {?} assign
+     * @param {?} lifecycle
+     * @return {?}
+     */
+    function (assign, lifecycle) {
+        var _this = this;
+        /** @type {?} */
+        var previous = this._context;
+        /** @type {?} */
+        var changes = typeof assign === 'function' ?
+            ((/** @type {?} */ (assign)))(previous, lifecycle.payload) :
+            _.mapObject(assign, function (value) {
+                return typeof value === 'function' ? value(previous, lifecycle.payload) : value;
+            });
+        this._context = _.extend({}, previous, changes);
+        lifecycle.context = this._context;
+        /** @type {?} */
+        var change = {
+            context: this._context,
+            previous: previous,
+            lifecycle: lifecycle
+        };
+        this.deliver(this._handlers.onContextChange, function () {
+            buildHandlerInClosure(_this._handlers, 'onContextChange')(change);
+        });
+        this.notifyContext();
+    };
+    /**
+     * Notifies the subscribers of context$ of the current context data.
+     */
+    /**
+     * Notifies the subscribers of context$ of the current context data.
+     * @private
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.notifyContext = /**
+     * Notifies the subscribers of context$ of the current context data.
+     * @private
+     * @return {?}
+     */
+    function () {
+        var _this = this;
+        /** @type {?} */
+        var context = this._context;
+        this.deliver(this._contextSubject.observers, function () { return _this._contextSubject.next(context); });
+    };
+    /**
+     * Reports an error to the error handler and to the subscribers of errors$.
+     */
+    /**
+     * Reports an error to the error handler and to the subscribers of errors$.
+     * @private
+     * @param {?} name
+     * @param {?} from
+     * @param {?} to
+     * @param {?=} error
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.reportError = /**
+     * Reports an error to the error handler and to the subscribers of errors$.
+     * @private
+     * @param {?} name
+     * @param {?} from
+     * @param {?} to
+     * @param {?=} error
+     * @return {?}
+     */
+    function (name, from, to, error) {
+        var _this = this;
+        /** @type {?} */
+        var errorHandler = this._errorHandler || defaultErrorHandler;
+        errorHandler(name, from, to, error);
+        this.deliver(this._errorSubject.observers, function () {
+            _this._errorSubject.next({ name: name, from: from, to: to, error: error });
+        });
+    };
+    /**
+     * Delivers a notification by the execution strategy, unless
+     * nobody listens to it, in which case it is delivered at once.
+     */
+    /**
+     * Delivers a notification by the execution strategy, unless
+     * nobody listens to it, in which case it is delivered at once.
+     * @private
+     * @param {?} listeners
+     * @param {?} delivery
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.deliver = /**
+     * Delivers a notification by the execution strategy, unless
+     * nobody listens to it, in which case it is delivered at once.
+     * @private
+     * @param {?} listeners
+     * @param {?} delivery
+     * @return {?}
+     */
+    function (listeners, delivery) {
+        if (listeners && listeners.length > 0) {
+            this._execution.notify(delivery);
+        }
+        else {
+            delivery();
+        }
+    };
+    /**
+     * Returns the specification of the given transition, which is either
+     * defined, or implied by the same-state policy for re-entering a state.
+     */
+    /**
+     * Returns the specification of the given transition, which is either
+     * defined, or implied by the same-state policy for re-entering a state.
+     * @private
+     * @param {?} name
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.transitionOf = /**
+     * Returns the specification of the given transition, which is either
+     * defined, or implied by the same-state policy for re-entering a state.
+     * @private
+     * @param {?} name
+     * @return {?}
+     */
+    function (name) {
+        return this._transitionConfiguration[name] || this._reentryConfiguration[name];
+    };
+    /**
+     * Computes the states left and entered by a transition. A self-transition
+     * leaves and re-enters its own state, unless it is internal.
+     */
+    /**
+     * Computes the states left and entered by a transition. A self-transition
+     * leaves and re-enters its own state, unless it is internal.
+     * @private
+     * @param {?} lifecycle
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.stepsOf = /**
+     * Computes the states left and entered by a transition. A self-transition
+     * leaves and re-enters its own state, unless it is internal.
+     * @private
+     * @param {?} lifecycle
+     * @return {?}
+     */
+    function (lifecycle) {
+        /** @type {?} */
+        var elem = this.transitionOf(lifecycle.transition);
+        /** @type {?} */
+        var fromPath = this._stateConfiguration[lifecycle.from] ? this.pathOf(lifecycle.from) : [];
+        /** @type {?} */
+        var toPath = this.pathOf(lifecycle.to);
+        if (elem && elem.from === elem.to) {
+            if (elem.internal) {
+                return { exit: [], entry: [] };
+            }
+            /** @type {?} */
+            var i = indexOf(fromPath, elem.from);
+            return { exit: fromPath.slice(i).reverse(), entry: toPath.slice(i) };
+        }
+        return computeExitAndEntry(fromPath, toPath);
+    };
+    /**
+     * Returns the underlying implementation for the given region.
+     */
+    /**
+     * Returns the underlying implementation for the given region.
+     * @private
+     * @param {?} region
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.implOf = /**
+     * Returns the underlying implementation for the given region.
+     * @private
+     * @param {?} region
+     * @return {?}
+     */
+    function (region) {
+        region = region || defaultRegion$4;
+        /** @type {?} */
+        var impl = this._impls[region];
+        if (!impl) {
+            throw new Error('Undefined region: ' + region);
+        }
+        return impl;
+    };
+    /**
+     * Defines an orthogonal region, which is active at the same time as
+     * the default region and all the other regions.
+     * Each region has its own init state and its own current state.
+     */
+    /**
+     * Defines an orthogonal region, which is active at the same time as
+     * the default region and all the other regions.
+     * Each region has its own init state and its own current state.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} name
+     * @param {?} initState
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.addRegion = /**
+     * Defines an orthogonal region, which is active at the same time as
+     * the default region and all the other regions.
+     * Each region has its own init state and its own current state.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} name
+     * @param {?} initState
+     * @return {THIS}
+     */
+    function (name, initState) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        /** @type {?} */
+        var regionConf = (/** @type {?} */ (this))._regionConfiguration;
+        if (name === defaultRegion$4 || regionConf[name]) {
+            throw new Error('Redefined region: ' + name);
+        }
+        regionConf[name] = {
+            initState: initState
+        };
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Defines the behavior when the FSM moves into a state by a transition.
+     * A state may be nested in another state, either by a dotted name
+     * (e.g., 'editor.saving') or by the parent option. Entering a child
+     * state enters its parent first, and the transitions defined
+     * on the parent apply to all of its descendants.
+     */
+    /**
+     * Defines the behavior when the FSM moves into a state by a transition.
+     * A state may be nested in another state, either by a dotted name
+     * (e.g., 'editor.saving') or by the parent option. Entering a child
+     * state enters its parent first, and the transitions defined
+     * on the parent apply to all of its descendants.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} name
+     * @param {?=} onEnterCallback
+     * @param {?=} onLeaveCallback
+     * @param {?=} options
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.addState = /**
+     * Defines the behavior when the FSM moves into a state by a transition.
+     * A state may be nested in another state, either by a dotted name
+     * (e.g., 'editor.saving') or by the parent option. Entering a child
+     * state enters its parent first, and the transitions defined
+     * on the parent apply to all of its descendants.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} name
+     * @param {?=} onEnterCallback
+     * @param {?=} onLeaveCallback
+     * @param {?=} options
+     * @return {THIS}
+     */
+    function (name, onEnterCallback, onLeaveCallback, options) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        /** @type {?} */
+        var stateConf = (/** @type {?} */ (this))._stateConfiguration;
+        if (stateConf[name] || (/** @type {?} */ (this))._historyConfiguration[name]) {
+            throw new Error('Redefined state: ' + name);
+        }
+        options = options || {};
+        /** @type {?} */
+        var parent = options.parent;
+        if (parent) {
+            if (!stateConf[parent]) {
+                throw new Error('Undefined parent state: ' + parent);
+            }
+        }
+        else {
+            /** @type {?} */
+            var pos = name.lastIndexOf(stateSeparator$1);
+            if (pos > 0 && stateConf[name.substring(0, pos)]) {
+                parent = name.substring(0, pos);
+            }
+        }
+        /** @type {?} */
+        var region = options.region || defaultRegion$4;
+        if (region !== defaultRegion$4 && !(/** @type {?} */ (this))._regionConfiguration[region]) {
+            throw new Error('Undefined region: ' + region);
+        }
+        if (parent) {
+            if (options.region && options.region !== stateConf[parent].region) {
+                throw new Error('State and its parent are in different regions: ' + name);
+            }
+            region = stateConf[parent].region;
+        }
+        stateConf[name] = {
+            onEnterCallback: onEnterCallback,
+            onLeaveCallback: onLeaveCallback,
+            parent: parent,
+            initial: options.initial,
+            children: [],
+            region: region,
+            final: options.final
+        };
+        if (parent) {
+            stateConf[parent].children.push(name);
+        }
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Defines a history pseudo-state of a compound state. A transition
+     * to a history state enters the child of the compound state which
+     * was last active when the compound state was left, or with the deep
+     * option, the atomic state which was last active. If the compound
+     * state has not been left yet, the default target is entered.
+     */
+    /**
+     * Defines a history pseudo-state of a compound state. A transition
+     * to a history state enters the child of the compound state which
+     * was last active when the compound state was left, or with the deep
+     * option, the atomic state which was last active. If the compound
+     * state has not been left yet, the default target is entered.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} name
+     * @param {?} parent
+     * @param {?=} options
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.addHistoryState = /**
+     * Defines a history pseudo-state of a compound state. A transition
+     * to a history state enters the child of the compound state which
+     * was last active when the compound state was left, or with the deep
+     * option, the atomic state which was last active. If the compound
+     * state has not been left yet, the default target is entered.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} name
+     * @param {?} parent
+     * @param {?=} options
+     * @return {THIS}
+     */
+    function (name, parent, options) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        /** @type {?} */
+        var stateConf = (/** @type {?} */ (this))._stateConfiguration;
+        /** @type {?} */
+        var historyConf = (/** @type {?} */ (this))._historyConfiguration;
+        if (stateConf[name] || historyConf[name]) {
+            throw new Error('Redefined state: ' + name);
+        }
+        if (!stateConf[parent]) {
+            throw new Error('Undefined parent state: ' + parent);
+        }
+        options = options || {};
+        historyConf[name] = {
+            parent: parent,
+            deep: !!options.deep,
+            defaultTarget: options.defaultTarget,
+            region: stateConf[parent].region
+        };
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Resolves the atomic state which is entered
+     * when a transition targets the given history state.
+     */
+    /**
+     * Resolves the atomic state which is entered
+     * when a transition targets the given history state.
+     * @private
+     * @param {?} name
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.resolveHistoryState = /**
+     * Resolves the atomic state which is entered
+     * when a transition targets the given history state.
+     * @private
+     * @param {?} name
+     * @return {?}
+     */
+    function (name) {
+        /** @type {?} */
+        var elem = this._historyConfiguration[name];
+        /** @type {?} */
+        var last = this._lastActive[elem.parent];
+        if (!last) {
+            return this.resolveAtomicState(elem.defaultTarget || elem.parent);
+        }
+        if (elem.deep) {
+            return last;
+        }
+        /** @type {?} */
+        var path = this.pathOf(last);
+        return this.resolveAtomicState(path[indexOf(path, elem.parent) + 1]);
+    };
+    /**
+     * Remembers the last active atomic state of the compound states
+     * with history states, which are left by a transition.
+     */
+    /**
+     * Remembers the last active atomic state of the compound states
+     * with history states, which are left by a transition.
+     * @private
+     * @param {?} from
+     * @param {?} exit
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.rememberHistory = /**
+     * Remembers the last active atomic state of the compound states
+     * with history states, which are left by a transition.
+     * @private
+     * @param {?} from
+     * @param {?} exit
+     * @return {?}
+     */
+    function (from, exit) {
+        /** @type {?} */
+        var historyConf = this._historyConfiguration;
+        for (var k in historyConf) {
+            if (historyConf.hasOwnProperty(k) && indexOf(exit, historyConf[k].parent) >= 0) {
+                this._lastActive[historyConf[k].parent] = from;
+            }
+        }
+    };
+    /**
+     * Defines the init state for the FSM.
+     */
+    /**
+     * Defines the init state for the FSM.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} name
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.setInitState = /**
+     * Defines the init state for the FSM.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} name
+     * @return {THIS}
+     */
+    function (name) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        if ((/** @type {?} */ (this))._initState) {
+            throw new Error('Redefined init state: ' + (/** @type {?} */ (this))._initState);
+        }
+        (/** @type {?} */ (this))._initState = name;
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * @param {?} value
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.setAsyncMode = /**
+     * @param {?} value
+     * @return {?}
+     */
+    function (value) {
+        // Pre-conditions
+        this.ensureConfigureStage();
+        this._asyncMode = value;
+        return this;
+    };
+    /**
+     * Defines what going to an active state does, if no transition
+     * is defined for it, e.g., by a self-transition: 'ignore' does nothing,
+     * which is the default; 'error' throws an error; 'reenter' leaves
+     * and re-enters the state, as an external self-transition would.
+     */
+    /**
+     * Defines what going to an active state does, if no transition
+     * is defined for it, e.g., by a self-transition: 'ignore' does nothing,
+     * which is the default; 'error' throws an error; 'reenter' leaves
+     * and re-enters the state, as an external self-transition would.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} policy
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.setSameStatePolicy = /**
+     * Defines what going to an active state does, if no transition
+     * is defined for it, e.g., by a self-transition: 'ignore' does nothing,
+     * which is the default; 'error' throws an error; 'reenter' leaves
+     * and re-enters the state, as an external self-transition would.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} policy
+     * @return {THIS}
+     */
+    function (policy) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        if (indexOf(sameStatePolicies, policy) < 0) {
+            throw new Error('Undefined same-state policy: ' + policy);
+        }
+        (/** @type {?} */ (this))._sameStatePolicy = policy;
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Defines the scheduler which drives the delayed transitions,
+     * e.g., a VirtualScheduler in tests. By default, the timers of
+     * the environment are used.
+     */
+    /**
+     * Defines the scheduler which drives the delayed transitions,
+     * e.g., a VirtualScheduler in tests. By default, the timers of
+     * the environment are used.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} scheduler
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.setScheduler = /**
+     * Defines the scheduler which drives the delayed transitions,
+     * e.g., a VirtualScheduler in tests. By default, the timers of
+     * the environment are used.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} scheduler
+     * @return {THIS}
+     */
+    function (scheduler) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        (/** @type {?} */ (this))._scheduler = scheduler;
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Defines where the FSM does its work and delivers its notifications,
+     * e.g., outside the zone of a framework. By default, everything
+     * runs where the FSM is called.
+     */
+    /**
+     * Defines where the FSM does its work and delivers its notifications,
+     * e.g., outside the zone of a framework. By default, everything
+     * runs where the FSM is called.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} strategy
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.setExecutionStrategy = /**
+     * Defines where the FSM does its work and delivers its notifications,
+     * e.g., outside the zone of a framework. By default, everything
+     * runs where the FSM is called.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} strategy
+     * @return {THIS}
+     */
+    function (strategy) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        (/** @type {?} */ (this))._execution = strategy;
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Defines how many transitions the history keeps at most,
+     * which also bounds how many transitions may be undone.
+     */
+    /**
+     * Defines how many transitions the history keeps at most,
+     * which also bounds how many transitions may be undone.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} limit
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.setHistoryLimit = /**
+     * Defines how many transitions the history keeps at most,
+     * which also bounds how many transitions may be undone.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} limit
+     * @return {THIS}
+     */
+    function (limit) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        (/** @type {?} */ (this))._historyLimit = limit;
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Defines the initial context data for the FSM, which is
+     * passed to the guard conditions of transitions and delivered in
+     * every lifecycle event. The context data is updated only by
+     * the assign option of transitions.
+     */
+    /**
+     * Defines the initial context data for the FSM, which is
+     * passed to the guard conditions of transitions and delivered in
+     * every lifecycle event. The context data is updated only by
+     * the assign option of transitions.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} context
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.setContext = /**
+     * Defines the initial context data for the FSM, which is
+     * passed to the guard conditions of transitions and delivered in
+     * every lifecycle event. The context data is updated only by
+     * the assign option of transitions.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} context
+     * @return {THIS}
+     */
+    function (context) {
+        // Pre-conditions
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        (/** @type {?} */ (this))._context = context;
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Defines a new stransition.
+     * A transition with a guard condition is taken only if the guard holds.
+     * A transition with a delay is scheduled whenever its source state is
+     * entered, and is cancelled if the source state is left before.
+     * A transition with a compensation state is undone by going to it,
+     * rather than to the source state.
+     * A self-transition, i.e., from a state to itself, leaves and
+     * re-enters the state, including its descendants, unless it is
+     * internal, in which case no state is left or entered.
+     * A transition may be triggered by a named event, and the same event
+     * may trigger different transitions from different states.
+     */
+    /**
+     * Defines a new stransition.
+     * A transition with a guard condition is taken only if the guard holds.
+     * A transition with a delay is scheduled whenever its source state is
+     * entered, and is cancelled if the source state is left before.
+     * A transition with a compensation state is undone by going to it,
+     * rather than to the source state.
+     * A self-transition, i.e., from a state to itself, leaves and
+     * re-enters the state, including its descendants, unless it is
+     * internal, in which case no state is left or entered.
+     * A transition may be triggered by a named event, and the same event
+     * may trigger different transitions from different states.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} from
+     * @param {?} to
+     * @param {?=} onAfterCallback
+     * @param {?=} onBeforeCallback
+     * @param {?=} options
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.addTransition = /**
+     * Defines a new stransition.
+     * A transition with a guard condition is taken only if the guard holds.
+     * A transition with a delay is scheduled whenever its source state is
+     * entered, and is cancelled if the source state is left before.
+     * A transition with a compensation state is undone by going to it,
+     * rather than to the source state.
+     * A self-transition, i.e., from a state to itself, leaves and
+     * re-enters the state, including its descendants, unless it is
+     * internal, in which case no state is left or entered.
+     * A transition may be triggered by a named event, and the same event
+     * may trigger different transitions from different states.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} from
+     * @param {?} to
+     * @param {?=} onAfterCallback
+     * @param {?=} onBeforeCallback
+     * @param {?=} options
+     * @return {THIS}
+     */
+    function (from, to, onAfterCallback, onBeforeCallback, options) {
+        // Pre-condition
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        /** @type {?} */
+        var stateConf = (/** @type {?} */ (this))._stateConfiguration;
+        /** @type {?} */
+        var transitionConf = (/** @type {?} */ (this))._transitionConfiguration;
+        if (!stateConf[from]) {
+            throw new Error('Undefined source state: ' + from);
+        }
+        /** @type {?} */
+        var target = stateConf[to] || (/** @type {?} */ (this))._historyConfiguration[to];
+        if (!target) {
+            throw new Error('Undefined target state: ' + to);
+        }
+        if (stateConf[from].region !== target.region) {
+            throw new Error('Transition across regions: ' + from + ' -> ' + to);
+        }
+        /** @type {?} */
+        var key = replace(transitionKeyFormat, { from: from, to: to });
+        if (transitionConf[key]) {
+            throw new Error('Redefined transition: ' + from + ' -> ' + to);
+        }
+        options = options || {};
+        if (options.compensation && !stateConf[options.compensation]) {
+            throw new Error('Undefined compensation state: ' + options.compensation);
+        }
+        if (options.internal && from !== to) {
+            throw new Error('Internal transition to another state: ' + from + ' -> ' + to);
+        }
+        transitionConf[key] = {
+            from: from, to: to,
+            onAfterCallback: onAfterCallback,
+            onBeforeCallback: onBeforeCallback,
+            guard: options.guard,
+            event: options.event,
+            assign: options.assign,
+            delay: options.delay,
+            compensation: options.compensation,
+            internal: options.internal
+        };
+        if (options.event) {
+            /** @type {?} */
+            var eventConf = (/** @type {?} */ (this))._eventConfiguration;
+            eventConf[options.event] = eventConf[options.event] || [];
+            eventConf[options.event].push(key);
+        }
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Builds the underlying implementation for the given region.
+     */
+    /**
+     * Builds the underlying implementation for the given region.
+     * @private
+     * @param {?} region
+     * @param {?} initState
+     * @param {?} restoring
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.createImpl = /**
+     * Builds the underlying implementation for the given region.
+     * @private
+     * @param {?} region
+     * @param {?} initState
+     * @param {?} restoring
+     * @return {?}
+     */
+    function (region, initState, restoring) {
+        var _this = this;
+        /** @type {?} */
+        var stateConf = this._stateConfiguration;
+        /** @type {?} */
+        var transitionConf = this._transitionConfiguration;
+        if (!stateConf[initState] || stateConf[initState].region !== region) {
+            throw new Error('Undefined init state: ' + initState);
+        }
+        /** @type {?} */
+        var transitions = [];
+        /** @type {?} */
+        var methods = {};
+        // A transition defined on a compound state applies to
+        // all of its descendants, and a transition to a compound state
+        // ends up in its initial atomic state.
+        /** @type {?} */
+        var allConf = _.extend({}, transitionConf, this._reentryConfiguration);
+        var _loop_2 = function (k1) {
+            if (allConf.hasOwnProperty(k1)) {
+                /** @type {?} */
+                var elem1_1 = allConf[k1];
+                if (stateConf[elem1_1.from].region !== region) {
+                    return "continue";
+                }
+                /** @type {?} */
+                var target = void 0;
+                if (elem1_1.internal) {
+                    // Stay in the current state
+                    target = wildcardState;
+                }
+                else if (this_1._historyConfiguration[elem1_1.to]) {
+                    // The target of a history state is decided on the fly.
+                    target = function () { return _this.resolveHistoryState(elem1_1.to); };
+                }
+                else {
+                    target = this_1.resolveAtomicState(elem1_1.to);
+                }
+                transitions.push({
+                    name: k1,
+                    from: this_1.atomicStatesOf(elem1_1.from),
+                    to: target
+                });
+            }
+        };
+        var this_1 = this;
+        for (var k1 in allConf) {
+            _loop_2(k1);
+        }
+        /** @type {?} */
+        var notifyEnterState = buildHandlerInClosure(this._handlers, 'onEnterState');
+        /** @type {?} */
+        var notifyLeaveState = buildHandlerInClosure(this._handlers, 'onLeaveState');
+        // The same lifecycle event is delivered to all callbacks
+        // of a transition; it is built when the transition begins.
+        /** @type {?} */
+        var event = null;
+        // While restoring from a snapshot, the init transition only
+        // puts the underlying implementation into the saved state;
+        // none of the callbacks are invoked.
+        /** @type {?} */
+        var silent = restoring;
+        // Only the before and leave callbacks may delay or veto a transition,
+        // as they are invoked before the state is changed.
+        methods['onBeforeTransition'] = function (lifecycle, payload) {
+            if (silent) {
+                return;
+            }
+            /** @type {?} */
+            var elem = _this.transitionOf(lifecycle.transition);
+            event = {
+                transition: lifecycle.transition,
+                from: lifecycle.from,
+                to: lifecycle.to,
+                region: region,
+                event: elem ? elem.event : undefined,
+                payload: payload,
+                context: _this._context
+            };
+            if (elem && elem.onBeforeCallback) {
+                return _this.invokeVetoableCallbacks([elem.onBeforeCallback], event);
+            }
+        };
+        // The context data is updated after the source state is left,
+        // so that the target state is entered with the new context.
+        methods['onTransition'] = function (lifecycle) {
+            if (silent) {
+                return;
+            }
+            /** @type {?} */
+            var elem = _this.transitionOf(lifecycle.transition);
+            if (elem) {
+                /** @type {?} */
+                var exit = _this.stepsOf(lifecycle).exit;
+                _this.cancelDelayedTransitions(exit);
+                _this.rememberHistory(lifecycle.from, exit);
+            }
+            if (elem && elem.assign) {
+                _this.assignContext(elem.assign, event);
+            }
+        };
+        methods['onAfterTransition'] = function (lifecycle) {
+            if (silent) {
+                return;
+            }
+            /** @type {?} */
+            var elem = _this.transitionOf(lifecycle.transition);
+            if (elem) {
+                _this.recordHistory(event);
+                // The transition is taken, even if the callback fails
+                _this._settledEvents[region] = event;
+            }
+            if (elem && elem.onAfterCallback) {
+                elem.onAfterCallback(event);
+            }
+        };
+        methods['onLeaveState'] = function (lifecycle) {
+            /** @type {?} */
+            var steps = _this.stepsOf(lifecycle);
+            if (silent || !steps.exit.length && !steps.entry.length) {
+                return;
+            }
+            // The init transition does not leave any state
+            if (steps.exit.length) {
+                _this.deliver(_this._handlers.onLeaveState, function () { return notifyLeaveState(event); });
+            }
+            // Leave from the innermost state
+            /** @type {?} */
+            var callbacks = [];
+            for (var _i = 0, _a = steps.exit; _i < _a.length; _i++) {
+                var s = _a[_i];
+                /** @type {?} */
+                var elem = stateConf[s];
+                if (elem.onLeaveCallback) {
+                    callbacks.push(elem.onLeaveCallback);
+                }
+            }
+            return _this.invokeVetoableCallbacks(callbacks, event);
+        };
+        methods['onEnterState'] = function (lifecycle) {
+            /** @type {?} */
+            var steps = _this.stepsOf(lifecycle);
+            if (silent || !steps.exit.length && !steps.entry.length) {
+                return;
+            }
+            _this.deliver(_this._handlers.onEnterState, function () { return notifyEnterState(event); });
+            // Enter from the outermost state
+            for (var _i = 0, _a = steps.entry; _i < _a.length; _i++) {
+                var s = _a[_i];
+                /** @type {?} */
+                var elem = stateConf[s];
+                if (elem.onEnterCallback) {
+                    elem.onEnterCallback(event);
+                }
+            }
+            _this.scheduleDelayedTransitions(steps.entry, region);
+        };
+        var _loop_3 = function (k2) {
+            if (methods.hasOwnProperty(k2)) {
+                /** @type {?} */
+                var method_1 = methods[k2];
+                methods[k2] = function (lifecycle, payload) {
+                    try {
+                        return method_1(lifecycle, payload);
+                    }
+                    catch (e) {
+                        _this.reportError(lifecycle.transition, lifecycle.from, lifecycle.to, e);
+                        return false;
+                    }
+                };
+            }
+        };
+        // An exception thrown by a callback is reported, and ends
+        // the transition by returning false, so that the underlying
+        // implementation gets out of the pending status. The state is kept
+        // as it is, i.e., the source state unless the exception is thrown
+        // after the state is changed.
+        for (var k2 in methods) {
+            _loop_3(k2);
+        }
+        /** @type {?} */
+        var impl = new StateMachine({
+            init: this.resolveAtomicState(initState),
+            // Self-transitions are observed too; stepsOf decides
+            // which states they leave and enter.
+            observeUnchangedState: true,
+            transitions: transitions,
+            methods: methods,
+            onInvalidTransition: function (name, from, to) { return _this.reportError(name, from, to); }
+        });
+        silent = false;
+        if (restoring) {
+            // The time spent in the saved states is not kept
+            this.scheduleDelayedTransitions(this.pathOf(impl.state), region);
+        }
+        return impl;
+    };
+    /**
+     * Schedules the delayed transitions from the given states,
+     * which have just been entered.
+     */
+    /**
+     * Schedules the delayed transitions from the given states,
+     * which have just been entered.
+     * @private
+     * @param {?} states
+     * @param {?} region
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.scheduleDelayedTransitions = /**
+     * Schedules the delayed transitions from the given states,
+     * which have just been entered.
+     * @private
+     * @param {?} states
+     * @param {?} region
+     * @return {?}
+     */
+    function (states, region) {
+        var _this = this;
+        /** @type {?} */
+        var transitionConf = this._transitionConfiguration;
+        var _loop_4 = function (k) {
+            if (transitionConf.hasOwnProperty(k)) {
+                /** @type {?} */
+                var elem = transitionConf[k];
+                if (elem.delay === undefined || elem.delay === null || indexOf(states, elem.from) < 0) {
+                    return "continue";
+                }
+                /** @type {?} */
+                var handle = this_2._scheduler.setTimeout(function () {
+                    _this.fireDelayedTransition(region, k);
+                }, elem.delay);
+                this_2._timers[elem.from] = this_2._timers[elem.from] || [];
+                this_2._timers[elem.from].push(handle);
+            }
+        };
+        var this_2 = this;
+        for (var k in transitionConf) {
+            _loop_4(k);
+        }
+    };
+    /**
+     * Cancels the delayed transitions from the given states,
+     * which are being left.
+     */
+    /**
+     * Cancels the delayed transitions from the given states,
+     * which are being left.
+     * @private
+     * @param {?} states
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.cancelDelayedTransitions = /**
+     * Cancels the delayed transitions from the given states,
+     * which are being left.
+     * @private
+     * @param {?} states
+     * @return {?}
+     */
+    function (states) {
+        for (var _i = 0, states_1 = states; _i < states_1.length; _i++) {
+            var s = states_1[_i];
+            for (var _a = 0, _b = this._timers[s] || []; _a < _b.length; _a++) {
+                var handle = _b[_a];
+                this._scheduler.clearTimeout(handle);
+            }
+            delete this._timers[s];
+        }
+    };
+    /**
+     * Takes a delayed transition when its time is up. The transition is
+     * skipped if its guard does not hold, or another transition of
+     * the region is in progress.
+     */
+    /**
+     * Takes a delayed transition when its time is up. The transition is
+     * skipped if its guard does not hold, or another transition of
+     * the region is in progress.
+     * @private
+     * @param {?} region
+     * @param {?} transitionName
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.fireDelayedTransition = /**
+     * Takes a delayed transition when its time is up. The transition is
+     * skipped if its guard does not hold, or another transition of
+     * the region is in progress.
+     * @private
+     * @param {?} region
+     * @param {?} transitionName
+     * @return {?}
+     */
+    function (region, transitionName) {
+        /** @type {?} */
+        var impl = this._impls && this._impls[region];
+        /** @type {?} */
+        var elem = this.transitionOf(transitionName);
+        if (!impl || this._pendingRegions[region] || impl.cannot(transitionName)) {
+            return;
+        }
+        if (elem.guard && !elem.guard(this._context)) {
+            return;
+        }
+        /** @type {?} */
+        var currentState = impl.state;
+        try {
+            this.fireTransition(region, transitionName);
+        }
+        catch (e) {
+            // Nobody else could catch it in a timer
+            this.reportError(transitionName, currentState, elem.to, e);
+        }
+    };
+    /**
+     * Appends a taken transition to the history,
+     * dropping the oldest one if the history is full.
+     * Undoing a transition moves it from the history to the undone ones,
+     * and any other transition than a redo clears the undone ones.
+     */
+    /**
+     * Appends a taken transition to the history,
+     * dropping the oldest one if the history is full.
+     * Undoing a transition moves it from the history to the undone ones,
+     * and any other transition than a redo clears the undone ones.
+     * @private
+     * @param {?} lifecycle
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.recordHistory = /**
+     * Appends a taken transition to the history,
+     * dropping the oldest one if the history is full.
+     * Undoing a transition moves it from the history to the undone ones,
+     * and any other transition than a redo clears the undone ones.
+     * @private
+     * @param {?} lifecycle
+     * @return {?}
+     */
+    function (lifecycle) {
+        /** @type {?} */
+        var replay = this._replays[lifecycle.region];
+        delete this._replays[lifecycle.region];
+        if (replay && replay.kind === 'undo') {
+            this._history = without(this._history, replay.entry);
+            this._undone.push(replay.entry);
+            return;
+        }
+        if (replay && replay.kind === 'redo') {
+            this._undone = without(this._undone, replay.entry);
+        }
+        else {
+            this._undone = [];
+        }
+        this._history.push({
+            transition: lifecycle.transition,
+            from: lifecycle.from,
+            to: lifecycle.to,
+            region: lifecycle.region,
+            payload: lifecycle.payload,
+            timestamp: Date.now()
+        });
+        if (this._history.length > this._historyLimit) {
+            this._history.shift();
+        }
+    };
+    /**
+     * Checks that the given snapshot may be restored
+     * in the current configuration.
+     */
+    /**
+     * Checks that the given snapshot may be restored
+     * in the current configuration.
+     * @private
+     * @param {?} snapshot
+     * @param {?} regions
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.validateSnapshot = /**
+     * Checks that the given snapshot may be restored
+     * in the current configuration.
+     * @private
+     * @param {?} snapshot
+     * @param {?} regions
+     * @return {?}
+     */
+    function (snapshot, regions) {
+        if (snapshot.version !== snapshotVersion) {
+            throw new Error('Unsupported snapshot version: ' + snapshot.version);
+        }
+        /** @type {?} */
+        var stateConf = this._stateConfiguration;
+        for (var k in snapshot.state) {
+            if (snapshot.state.hasOwnProperty(k)) {
+                if (indexOf(regions, k) < 0) {
+                    throw new Error('Undefined region in snapshot: ' + k);
+                }
+                /** @type {?} */
+                var elem = stateConf[snapshot.state[k]];
+                if (!elem || elem.region !== k) {
+                    throw new Error('Undefined state in snapshot: ' + snapshot.state[k]);
+                }
+            }
+        }
+    };
+    /**
+     * Starts the FSM. Note that this method must be invoked before
+     * any method which may change the state of the FSM.
+     * Each region starts from its own init state, unless
+     * a snapshot is given, in which case the FSM resumes from
+     * the saved states, context and history without invoking
+     * any enter callbacks.
+     */
+    /**
+     * Starts the FSM. Note that this method must be invoked before
+     * any method which may change the state of the FSM.
+     * Each region starts from its own init state, unless
+     * a snapshot is given, in which case the FSM resumes from
+     * the saved states, context and history without invoking
+     * any enter callbacks.
+     * @template THIS
+     * @this {THIS}
+     * @param {?=} snapshot
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.start = /**
+     * Starts the FSM. Note that this method must be invoked before
+     * any method which may change the state of the FSM.
+     * Each region starts from its own init state, unless
+     * a snapshot is given, in which case the FSM resumes from
+     * the saved states, context and history without invoking
+     * any enter callbacks.
+     * @template THIS
+     * @this {THIS}
+     * @param {?=} snapshot
+     * @return {THIS}
+     */
+    function (snapshot) {
+        var _this = this;
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        // Definition
+        /** @type {?} */
+        var stateConf = (/** @type {?} */ (this))._stateConfiguration;
+        /** @type {?} */
+        var regionConf = (/** @type {?} */ (this))._regionConfiguration;
+        // The default region may be left empty if
+        // all states live in other regions.
+        /** @type {?} */
+        var useDefaultRegion = !!(/** @type {?} */ (this))._initState || _.isEmpty(regionConf);
+        // A state without a self-transition is re-entered
+        // by an implied one, if so required.
+        /** @type {?} */
+        var reentryConf = {};
+        for (var k0 in stateConf) {
+            if (stateConf.hasOwnProperty(k0)) {
+                /** @type {?} */
+                var elem0 = stateConf[k0];
+                if (elem0.initial && indexOf(elem0.children, elem0.initial) < 0) {
+                    throw new Error('Undefined initial child state: ' + k0 + ' -> ' + elem0.initial);
+                }
+                if (elem0.region === defaultRegion$4) {
+                    useDefaultRegion = true;
+                }
+                /** @type {?} */
+                var key0 = replace(transitionKeyFormat, { from: k0, to: k0 });
+                if ((/** @type {?} */ (this))._sameStatePolicy === 'reenter' && !(/** @type {?} */ (this))._transitionConfiguration[key0]) {
+                    reentryConf[key0] = { from: k0, to: k0 };
+                }
+            }
+        }
+        (/** @type {?} */ (this))._reentryConfiguration = reentryConf;
+        if (useDefaultRegion && !(/** @type {?} */ (this))._initState) {
+            throw new Error('Init state has not been defined.');
+        }
+        /** @type {?} */
+        var historyConf = (/** @type {?} */ (this))._historyConfiguration;
+        for (var k3 in historyConf) {
+            if (historyConf.hasOwnProperty(k3)) {
+                /** @type {?} */
+                var elem3 = historyConf[k3];
+                if (stateConf[elem3.parent].children.length === 0) {
+                    throw new Error('History state of an atomic state: ' + k3);
+                }
+                /** @type {?} */
+                var target = elem3.defaultTarget;
+                if (target && (!stateConf[target] || indexOf((/** @type {?} */ (this)).pathOf(target), elem3.parent) < 0 || target === elem3.parent)) {
+                    throw new Error('Undefined default target of history state: ' + k3 + ' -> ' + target);
+                }
+            }
+        }
+        /** @type {?} */
+        var initStates = {};
+        if (useDefaultRegion) {
+            initStates[defaultRegion$4] = (/** @type {?} */ (this))._initState;
+        }
+        for (var k1 in regionConf) {
+            if (regionConf.hasOwnProperty(k1)) {
+                initStates[k1] = regionConf[k1].initState;
+            }
+        }
+        if (snapshot) {
+            (/** @type {?} */ (this)).validateSnapshot(snapshot, _.keys(initStates));
+        }
+        (/** @type {?} */ (this)).loadRunningStatus(snapshot);
+        /** @type {?} */
+        var impls = {};
+        (/** @type {?} */ (this))._execution.execute(function () {
+            for (var k2 in initStates) {
+                if (initStates.hasOwnProperty(k2)) {
+                    /** @type {?} */
+                    var restored = snapshot && snapshot.state[k2];
+                    impls[k2] = (/** @type {?} */ (_this)).createImpl(k2, restored || initStates[k2], !!restored);
+                }
+            }
+        });
+        (/** @type {?} */ (this))._impls = impls;
+        /** @type {?} */
+        var states = (/** @type {?} */ (this)).configuration();
+        (/** @type {?} */ (this)).deliver((/** @type {?} */ (this))._configurationSubject.observers, function () { return (/** @type {?} */ (_this))._configurationSubject.next(states); });
+        (/** @type {?} */ (this)).notifyContext();
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Loads the context data and the history from the given snapshot,
+     * or resets them if no snapshot is given.
+     */
+    /**
+     * Loads the context data and the history from the given snapshot,
+     * or resets them if no snapshot is given.
+     * @private
+     * @param {?=} snapshot
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.loadRunningStatus = /**
+     * Loads the context data and the history from the given snapshot,
+     * or resets them if no snapshot is given.
+     * @private
+     * @param {?=} snapshot
+     * @return {?}
+     */
+    function (snapshot) {
+        if (snapshot) {
+            this._context = snapshot.context;
+            this._history = (snapshot.history || []).slice(-this._historyLimit);
+            this._undone = (snapshot.undone || []).slice(-this._historyLimit);
+            this._lastActive = _.extend({}, snapshot.lastActive);
+        }
+        else {
+            this._history = [];
+            this._undone = [];
+            this._lastActive = {};
+        }
+    };
+    /**
+     * Puts the running FSM back into the status captured by a snapshot,
+     * e.g., for time-travel debugging. As when starting from a snapshot,
+     * none of the callbacks are invoked. The delayed transitions are
+     * scheduled again from the restored states.
+     */
+    /**
+     * Puts the running FSM back into the status captured by a snapshot,
+     * e.g., for time-travel debugging. As when starting from a snapshot,
+     * none of the callbacks are invoked. The delayed transitions are
+     * scheduled again from the restored states.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} snapshot
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.restore = /**
+     * Puts the running FSM back into the status captured by a snapshot,
+     * e.g., for time-travel debugging. As when starting from a snapshot,
+     * none of the callbacks are invoked. The delayed transitions are
+     * scheduled again from the restored states.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} snapshot
+     * @return {THIS}
+     */
+    function (snapshot) {
+        var _this = this;
+        (/** @type {?} */ (this)).ensureRunningStage();
+        if (!_.isEmpty((/** @type {?} */ (this))._pendingRegions)) {
+            throw new Error('Transition is in progress: ' + _.keys((/** @type {?} */ (this))._pendingRegions).join(', '));
+        }
+        /** @type {?} */
+        var regions = _.keys((/** @type {?} */ (this))._impls);
+        (/** @type {?} */ (this)).validateSnapshot(snapshot, regions);
+        (/** @type {?} */ (this)).cancelDelayedTransitions(_.keys((/** @type {?} */ (this))._timers));
+        (/** @type {?} */ (this)).loadRunningStatus(snapshot);
+        /** @type {?} */
+        var impls = {};
+        (/** @type {?} */ (this))._execution.execute(function () {
+            for (var _i = 0, regions_1 = regions; _i < regions_1.length; _i++) {
+                var k = regions_1[_i];
+                impls[k] = (/** @type {?} */ (_this)).createImpl(k, snapshot.state[k] || (/** @type {?} */ (_this))._impls[k].state, true);
+            }
+        });
+        (/** @type {?} */ (this))._impls = impls;
+        /** @type {?} */
+        var states = (/** @type {?} */ (this)).configuration();
+        (/** @type {?} */ (this)).deliver((/** @type {?} */ (this))._configurationSubject.observers, function () { return (/** @type {?} */ (_this))._configurationSubject.next(states); });
+        (/** @type {?} */ (this)).notifyContext();
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Returns an observable of the current state of the given region,
+     * or of the default region if no region is given. The current state
+     * is replayed to each new subscriber once the FSM has started.
+     * A state is emitted only when it differs from the previous one,
+     * so re-entering the current state, or an internal transition,
+     * is not emitted; it is found on transitions$ instead.
+     */
+    /**
+     * Returns an observable of the current state of the given region,
+     * or of the default region if no region is given. The current state
+     * is replayed to each new subscriber once the FSM has started.
+     * A state is emitted only when it differs from the previous one,
+     * so re-entering the current state, or an internal transition,
+     * is not emitted; it is found on transitions$ instead.
+     * @param {?=} region
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.watchState = /**
+     * Returns an observable of the current state of the given region,
+     * or of the default region if no region is given. The current state
+     * is replayed to each new subscriber once the FSM has started.
+     * A state is emitted only when it differs from the previous one,
+     * so re-entering the current state, or an internal transition,
+     * is not emitted; it is found on transitions$ instead.
+     * @param {?=} region
+     * @return {?}
+     */
+    function (region) {
+        region = region || defaultRegion$4;
+        return this.configuration$.pipe(filter(function (states) { return states.hasOwnProperty(region); }), map(function (states) { return states[region]; }), distinctUntilChanged());
+    };
+    /**
+     * Disposes the FSM, i.e., cancels the pending delayed transitions and
+     * completes the observables. The FSM cannot be used any more afterwards.
+     */
+    /**
+     * Disposes the FSM, i.e., cancels the pending delayed transitions and
+     * completes the observables. The FSM cannot be used any more afterwards.
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.dispose = /**
+     * Disposes the FSM, i.e., cancels the pending delayed transitions and
+     * completes the observables. The FSM cannot be used any more afterwards.
+     * @return {?}
+     */
+    function () {
+        if (this._disposed) {
+            return;
+        }
+        this._disposed = true;
+        this.cancelDelayedTransitions(_.keys(this._timers));
+        this._configurationSubject.complete();
+        this._transitionSubject.complete();
+        this._errorSubject.complete();
+        this._contextSubject.complete();
+    };
+    /**
+     * Registers a handler for enterstate
+     */
+    /**
+     * Registers a handler for enterstate
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.onEnterState = /**
+     * Registers a handler for enterstate
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    function (handler) {
+        /** @type {?} */
+        var ourHandlers = (/** @type {?} */ (this))._handlers.onEnterState;
+        if (indexOf(ourHandlers, handler) >= 0) {
+            throw new Error('Re-registering a hander!');
+        }
+        ourHandlers.push(handler);
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Registers a handler for exitstate
+     */
+    /**
+     * Registers a handler for exitstate
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.onExitState = /**
+     * Registers a handler for exitstate
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    function (handler) {
+        /** @type {?} */
+        var ourHandlers = (/** @type {?} */ (this))._handlers.onLeaveState;
+        if (indexOf(ourHandlers, handler) >= 0) {
+            throw new Error('Registering a hander!');
+        }
+        ourHandlers.push(handler);
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Un-register a handler for enterstate
+     */
+    /**
+     * Un-register a handler for enterstate
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.offEnterState = /**
+     * Un-register a handler for enterstate
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    function (handler) {
+        /** @type {?} */
+        var ourHandlers = (/** @type {?} */ (this))._handlers.onEnterState;
+        (/** @type {?} */ (this))._handlers.onEnterState = without(ourHandlers, handler);
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Un-register a handler for exitstate
+     */
+    /**
+     * Un-register a handler for exitstate
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.offExitState = /**
+     * Un-register a handler for exitstate
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    function (handler) {
+        /** @type {?} */
+        var ourHandlers = (/** @type {?} */ (this))._handlers.onLeaveState;
+        (/** @type {?} */ (this))._handlers.onLeaveState = without(ourHandlers, handler);
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Looks for a transition among the candidates of each active state,
+     * starting from the innermost active state. A transition whose guard
+     * does not hold is skipped, and the first of such transitions
+     * is reported as rejected.
+     */
+    /**
+     * Looks for a transition among the candidates of each active state,
+     * starting from the innermost active state. A transition whose guard
+     * does not hold is skipped, and the first of such transitions
+     * is reported as rejected.
+     * @private
+     * @param {?} impl
+     * @param {?} candidatesOf
+     * @param {?=} payload
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.seekTransition = /**
+     * Looks for a transition among the candidates of each active state,
+     * starting from the innermost active state. A transition whose guard
+     * does not hold is skipped, and the first of such transitions
+     * is reported as rejected.
+     * @private
+     * @param {?} impl
+     * @param {?} candidatesOf
+     * @param {?=} payload
+     * @return {?}
+     */
+    function (impl, candidatesOf, payload) {
+        /** @type {?} */
+        var activePath = this.pathOf(impl.state);
+        /** @type {?} */
+        var rejected = null;
+        for (var i = activePath.length - 1; i >= 0; i--) {
+            for (var _i = 0, _a = candidatesOf(activePath[i]); _i < _a.length; _i++) {
+                var key = _a[_i];
+                /** @type {?} */
+                var elem = this.transitionOf(key);
+                if (!elem || impl.cannot(key)) {
+                    continue;
+                }
+                if (elem.guard && !elem.guard(this._context, payload)) {
+                    rejected = rejected || key;
+                    continue;
+                }
+                return { name: key, rejected: null };
+            }
+        }
+        return { name: null, rejected: rejected };
+    };
+    /**
+     * Fires the given transition in the given region.
+     * In the asynchronous mode, it returns a promise which is resolved
+     * to the resulting state once the transition settles.
+     */
+    /**
+     * Fires the given transition in the given region.
+     * In the asynchronous mode, it returns a promise which is resolved
+     * to the resulting state once the transition settles.
+     * @private
+     * @param {?} region
+     * @param {?} transitionName
+     * @param {?=} payload
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.fireTransition = /**
+     * Fires the given transition in the given region.
+     * In the asynchronous mode, it returns a promise which is resolved
+     * to the resulting state once the transition settles.
+     * @private
+     * @param {?} region
+     * @param {?} transitionName
+     * @param {?=} payload
+     * @return {?}
+     */
+    function (region, transitionName, payload) {
+        var _this = this;
+        /** @type {?} */
+        var impl = this._impls[region];
+        /** @type {?} */
+        var currentState = impl.state;
+        /** @type {?} */
+        var elem = this.transitionOf(transitionName);
+        /** @type {?} */
+        var to = elem.to;
+        // Invoke this function, wrapped by the middleware
+        /** @type {?} */
+        var func = impl[transitionName];
+        /** @type {?} */
+        var middleware = this._middleware.slice();
+        /** @type {?} */
+        var lifecycle = {
+            transition: transitionName,
+            from: currentState,
+            to: to,
+            region: region,
+            event: elem.event,
+            payload: payload,
+            context: this._context
+        };
+        /** @type {?} */
+        var run = function () { return invokeMiddleware(middleware, lifecycle, function (data) { return func.call(impl, data); }); };
+        this._pendingRegions[region] = true;
+        if (!this._asyncMode) {
+            try {
+                this._execution.execute(run);
+            }
+            finally {
+                delete this._pendingRegions[region];
+                this.notifySettled(region);
+            }
+            return this;
+        }
+        /** @type {?} */
+        var settle = function () {
+            delete _this._pendingRegions[region];
+            _this.notifySettled(region);
+            return (/** @type {?} */ (impl.state));
+        };
+        // The callbacks of the promise run where it is created
+        return this._execution.execute(function () { return Promise.resolve()
+            .then(run)
+            .then(null, function (error) {
+            // The FSM is still in the source state
+            _this.reportError(transitionName, currentState, to, error);
+        })
+            .then(settle, function (error) {
+            settle();
+            throw error;
+        }); });
+    };
+    /**
+     * Notifies the subscribers of the transition taken in the given region,
+     * if any. It is done once the transition settles, so that
+     * the subscribers may use the FSM at once, e.g., take a snapshot.
+     */
+    /**
+     * Notifies the subscribers of the transition taken in the given region,
+     * if any. It is done once the transition settles, so that
+     * the subscribers may use the FSM at once, e.g., take a snapshot.
+     * @private
+     * @param {?} region
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.notifySettled = /**
+     * Notifies the subscribers of the transition taken in the given region,
+     * if any. It is done once the transition settles, so that
+     * the subscribers may use the FSM at once, e.g., take a snapshot.
+     * @private
+     * @param {?} region
+     * @return {?}
+     */
+    function (region) {
+        var _this = this;
+        /** @type {?} */
+        var event = this._settledEvents[region];
+        delete this._settledEvents[region];
+        if (!event || this._disposed) {
+            return;
+        }
+        /** @type {?} */
+        var states = this.configuration();
+        this.deliver(this._configurationSubject.observers, function () { return _this._configurationSubject.next(states); });
+        this.deliver(this._transitionSubject.observers, function () { return _this._transitionSubject.next(event); });
+    };
+    /**
+     * Registers a handler for the change of the context data
+     */
+    /**
+     * Registers a handler for the change of the context data
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.onContextChange = /**
+     * Registers a handler for the change of the context data
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    function (handler) {
+        /** @type {?} */
+        var ourHandlers = (/** @type {?} */ (this))._handlers.onContextChange;
+        if (indexOf(ourHandlers, handler) >= 0) {
+            throw new Error('Re-registering a hander!');
+        }
+        ourHandlers.push(handler);
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Un-register a handler for the change of the context data
+     */
+    /**
+     * Un-register a handler for the change of the context data
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.offContextChange = /**
+     * Un-register a handler for the change of the context data
+     * @template THIS
+     * @this {THIS}
+     * @param {?} handler
+     * @return {THIS}
+     */
+    function (handler) {
+        /** @type {?} */
+        var ourHandlers = (/** @type {?} */ (this))._handlers.onContextChange;
+        (/** @type {?} */ (this))._handlers.onContextChange = without(ourHandlers, handler);
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Registers a middleware which wraps every transition, in the order
+     * of registration, the first one being the outermost. A middleware is
+     * invoked with the lifecycle event of the transition before any callback,
+     * and may inspect it, replace the payload by calling next with a new one,
+     * veto the transition by not calling next or by throwing, and run code
+     * after the transition by working on what next returns.
+     * In the asynchronous mode, next returns a promise, and a middleware
+     * is expected to return a promise too if it waits for the transition.
+     */
+    /**
+     * Registers a middleware which wraps every transition, in the order
+     * of registration, the first one being the outermost. A middleware is
+     * invoked with the lifecycle event of the transition before any callback,
+     * and may inspect it, replace the payload by calling next with a new one,
+     * veto the transition by not calling next or by throwing, and run code
+     * after the transition by working on what next returns.
+     * In the asynchronous mode, next returns a promise, and a middleware
+     * is expected to return a promise too if it waits for the transition.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} middleware
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.use = /**
+     * Registers a middleware which wraps every transition, in the order
+     * of registration, the first one being the outermost. A middleware is
+     * invoked with the lifecycle event of the transition before any callback,
+     * and may inspect it, replace the payload by calling next with a new one,
+     * veto the transition by not calling next or by throwing, and run code
+     * after the transition by working on what next returns.
+     * In the asynchronous mode, next returns a promise, and a middleware
+     * is expected to return a promise too if it waits for the transition.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} middleware
+     * @return {THIS}
+     */
+    function (middleware) {
+        if (indexOf((/** @type {?} */ (this))._middleware, middleware) >= 0) {
+            throw new Error('Re-registering a middleware!');
+        }
+        (/** @type {?} */ (this))._middleware.push(middleware);
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Un-register a middleware
+     */
+    /**
+     * Un-register a middleware
+     * @template THIS
+     * @this {THIS}
+     * @param {?} middleware
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.unuse = /**
+     * Un-register a middleware
+     * @template THIS
+     * @this {THIS}
+     * @param {?} middleware
+     * @return {THIS}
+     */
+    function (middleware) {
+        (/** @type {?} */ (this))._middleware = without((/** @type {?} */ (this))._middleware, middleware);
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * @param {?} to
+     * @param {?=} payload
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.go = /**
+     * @param {?} to
+     * @param {?=} payload
+     * @return {?}
+     */
+    function (to, payload) {
+        this.ensureRunningStage();
+        /** @type {?} */
+        var stateConf = this._stateConfiguration;
+        /** @type {?} */
+        var target = stateConf[to] || this._historyConfiguration[to];
+        if (!target) {
+            throw new Error('Go to undefined state: ' + to);
+        }
+        // The transition happens in the region of the target state
+        /** @type {?} */
+        var region = target.region;
+        /** @type {?} */
+        var impl = this.implOf(region);
+        /** @type {?} */
+        var currentState = (/** @type {?} */ (impl.state));
+        if (this._pendingRegions[region]) {
+            throw new Error('Transition is in progress: ' + currentState + ' -> ' + to);
+        }
+        /** @type {?} */
+        var result = this.seekTransition(impl, function (from) {
+            return [replace(transitionKeyFormat, { from: from, to: to })];
+        }, payload);
+        if (!result.name && result.rejected) {
+            this.reportError(result.rejected, currentState, to);
+            return this._asyncMode ? Promise.resolve(currentState) : this;
+        }
+        if (!result.name && stateConf[to] && indexOf(this.pathOf(currentState), to) >= 0) {
+            // No transition is defined for going to an active state,
+            // nor implied by the same-state policy.
+            if (this._sameStatePolicy === 'error') {
+                throw new Error('Already in state: ' + to);
+            }
+            return this._asyncMode ? Promise.resolve(currentState) : this;
+        }
+        // Validate if this transition is allowed or not
+        if (!result.name) {
+            throw new Error('Transition is not allowed: ' + currentState + ' -> ' + to);
+        }
+        return this.fireTransition(region, result.name, payload);
+    };
+    /**
+     * @param {?} eventName
+     * @param {?=} payload
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.send = /**
+     * @param {?} eventName
+     * @param {?=} payload
+     * @return {?}
+     */
+    function (eventName, payload) {
+        this.ensureRunningStage();
+        /** @type {?} */
+        var candidates = this._eventConfiguration[eventName];
+        if (!candidates) {
+            throw new Error('Send undefined event: ' + eventName);
+        }
+        /** @type {?} */
+        var transitionConf = this._transitionConfiguration;
+        /** @type {?} */
+        var stateConf = this._stateConfiguration;
+        /** @type {?} */
+        var targets = {};
+        /** @type {?} */
+        var rejected = null;
+        var _loop_5 = function (region) {
+            if (this_3._impls.hasOwnProperty(region)) {
+                /** @type {?} */
+                var impl = this_3._impls[region];
+                if (this_3._pendingRegions[region]) {
+                    throw new Error('Transition is in progress: ' + impl.state + ' -> ' + eventName);
+                }
+                /** @type {?} */
+                var result = this_3.seekTransition(impl, function (from) {
+                    return _.filter(candidates, function (key) {
+                        return transitionConf[key].from === from && stateConf[from].region === region;
+                    });
+                }, payload);
+                if (result.name) {
+                    targets[region] = result.name;
+                }
+                rejected = rejected || result.rejected;
+            }
+        };
+        var this_3 = this;
+        for (var region in this._impls) {
+            _loop_5(region);
+        }
+        if (_.isEmpty(targets)) {
+            if (rejected) {
+                this.reportError(eventName, transitionConf[rejected].from, transitionConf[rejected].to);
+            }
+            else {
+                // The event is not expected in the current state
+                /** @type {?} */
+                var region = stateConf[transitionConf[candidates[0]].from].region;
+                this.reportError(eventName, this._impls[region].state, null);
+            }
+            return this._asyncMode ? Promise.resolve([]) : this;
+        }
+        /** @type {?} */
+        var promises = [];
+        for (var region in targets) {
+            if (targets.hasOwnProperty(region)) {
+                /** @type {?} */
+                var outcome = this.fireTransition(region, targets[region], payload);
+                if (this._asyncMode) {
+                    promises.push((/** @type {?} */ (outcome)));
+                }
+            }
+        }
+        return this._asyncMode ? Promise.all(promises) : this;
+    };
+    /**
+     * Checks if the FSM can go to the given state, i.e., there is
+     * a transition from the active states whose guard holds.
+     */
+    /**
+     * Checks if the FSM can go to the given state, i.e., there is
+     * a transition from the active states whose guard holds.
+     * @param {?} to
+     * @param {?=} payload
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.can = /**
+     * Checks if the FSM can go to the given state, i.e., there is
+     * a transition from the active states whose guard holds.
+     * @param {?} to
+     * @param {?=} payload
+     * @return {?}
+     */
+    function (to, payload) {
+        this.ensureRunningStage();
+        /** @type {?} */
+        var stateConf = this._stateConfiguration;
+        /** @type {?} */
+        var target = stateConf[to] || this._historyConfiguration[to];
+        if (!target) {
+            return false;
+        }
+        /** @type {?} */
+        var impl = this.implOf(target.region);
+        return !!this.seekTransition(impl, function (from) {
+            return [replace(transitionKeyFormat, { from: from, to: to })];
+        }, payload).name;
+    };
+    /**
+     * Returns the transitions taken, the oldest one first.
+     */
+    /**
+     * Returns the transitions taken, the oldest one first.
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.history = /**
+     * Returns the transitions taken, the oldest one first.
+     * @return {?}
+     */
+    function () {
+        return (/** @type {?} */ (this._history.slice()));
+    };
+    /**
+     * Looks for the transition undoing the given one, i.e., the transition
+     * from its target state back to its source state, or to its
+     * compensation state if declared. The FSM must still be in
+     * the target state, or the history does not apply any more.
+     */
+    /**
+     * Looks for the transition undoing the given one, i.e., the transition
+     * from its target state back to its source state, or to its
+     * compensation state if declared. The FSM must still be in
+     * the target state, or the history does not apply any more.
+     * @private
+     * @param {?} impl
+     * @param {?} entry
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.seekUndoTransition = /**
+     * Looks for the transition undoing the given one, i.e., the transition
+     * from its target state back to its source state, or to its
+     * compensation state if declared. The FSM must still be in
+     * the target state, or the history does not apply any more.
+     * @private
+     * @param {?} impl
+     * @param {?} entry
+     * @return {?}
+     */
+    function (impl, entry) {
+        /** @type {?} */
+        var elem = this.transitionOf(entry.transition);
+        /** @type {?} */
+        var to = elem && (elem.compensation || elem.from);
+        /** @type {?} */
+        var targetPath = this._stateConfiguration[entry.to] ? this.pathOf(entry.to) : [];
+        return this.seekTransition(impl, function (from) {
+            return to && indexOf(targetPath, from) >= 0 ? [replace(transitionKeyFormat, { from: from, to: to })] : [];
+        }, entry.payload);
+    };
+    /**
+     * Looks for the given transition again, for redoing it.
+     */
+    /**
+     * Looks for the given transition again, for redoing it.
+     * @private
+     * @param {?} impl
+     * @param {?} entry
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.seekRedoTransition = /**
+     * Looks for the given transition again, for redoing it.
+     * @private
+     * @param {?} impl
+     * @param {?} entry
+     * @return {?}
+     */
+    function (impl, entry) {
+        /** @type {?} */
+        var elem = this.transitionOf(entry.transition);
+        return this.seekTransition(impl, function (from) {
+            return elem && elem.from === from ? [entry.transition] : [];
+        }, entry.payload);
+    };
+    /**
+     * Takes the transition which undoes or redoes the given one,
+     * and keeps track of it until the transition settles.
+     */
+    /**
+     * Takes the transition which undoes or redoes the given one,
+     * and keeps track of it until the transition settles.
+     * @private
+     * @param {?} kind
+     * @param {?} entry
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.replay = /**
+     * Takes the transition which undoes or redoes the given one,
+     * and keeps track of it until the transition settles.
+     * @private
+     * @param {?} kind
+     * @param {?} entry
+     * @return {?}
+     */
+    function (kind, entry) {
+        var _this = this;
+        /** @type {?} */
+        var region = entry.region;
+        /** @type {?} */
+        var impl = this.implOf(region);
+        /** @type {?} */
+        var currentState = (/** @type {?} */ (impl.state));
+        if (this._pendingRegions[region]) {
+            throw new Error('Transition is in progress: ' + currentState + ' -> ' + kind);
+        }
+        /** @type {?} */
+        var result = kind === 'undo' ?
+            this.seekUndoTransition(impl, entry) :
+            this.seekRedoTransition(impl, entry);
+        if (!result.name && result.rejected) {
+            this.reportError(result.rejected, currentState, this.transitionOf(result.rejected).to);
+            return this._asyncMode ? Promise.resolve(currentState) : this;
+        }
+        if (!result.name) {
+            throw new Error('Transition cannot be ' + (kind === 'undo' ? 'undone' : 'redone') + ': ' + entry.transition);
+        }
+        this._replays[region] = { kind: kind, entry: entry };
+        if (!this._asyncMode) {
+            try {
+                return this.fireTransition(region, result.name, entry.payload);
+            }
+            finally {
+                delete this._replays[region];
+            }
+        }
+        return ((/** @type {?} */ (this.fireTransition(region, result.name, entry.payload)))).then(function (state) {
+            delete _this._replays[region];
+            return state;
+        }, function (error) {
+            delete _this._replays[region];
+            throw error;
+        });
+    };
+    /**
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.undo = /**
+     * @return {?}
+     */
+    function () {
+        this.ensureRunningStage();
+        if (!this._history.length) {
+            throw new Error('Nothing to undo.');
+        }
+        return this.replay('undo', this._history[this._history.length - 1]);
+    };
+    /**
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.redo = /**
+     * @return {?}
+     */
+    function () {
+        this.ensureRunningStage();
+        if (!this._undone.length) {
+            throw new Error('Nothing to redo.');
+        }
+        return this.replay('redo', this._undone[this._undone.length - 1]);
+    };
+    /**
+     * Checks if the last transition in the history may be undone.
+     */
+    /**
+     * Checks if the last transition in the history may be undone.
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.canUndo = /**
+     * Checks if the last transition in the history may be undone.
+     * @return {?}
+     */
+    function () {
+        this.ensureRunningStage();
+        /** @type {?} */
+        var entry = this._history[this._history.length - 1];
+        return !!entry && !this._pendingRegions[entry.region] &&
+            !!this.seekUndoTransition(this.implOf(entry.region), entry).name;
+    };
+    /**
+     * Checks if the last undone transition may be redone.
+     */
+    /**
+     * Checks if the last undone transition may be redone.
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.canRedo = /**
+     * Checks if the last undone transition may be redone.
+     * @return {?}
+     */
+    function () {
+        this.ensureRunningStage();
+        /** @type {?} */
+        var entry = this._undone[this._undone.length - 1];
+        return !!entry && !this._pendingRegions[entry.region] &&
+            !!this.seekRedoTransition(this.implOf(entry.region), entry).name;
+    };
+    /**
+     * Returns the status of the FSM, which is one of
+     * 'configuring', 'idle' and 'transitioning'.
+     */
+    /**
+     * Returns the status of the FSM, which is one of
+     * 'configuring', 'idle' and 'transitioning'.
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.status = /**
+     * Returns the status of the FSM, which is one of
+     * 'configuring', 'idle' and 'transitioning'.
+     * @return {?}
+     */
+    function () {
+        if (!this._impls) {
+            return 'configuring';
+        }
+        return _.isEmpty(this._pendingRegions) ? 'idle' : 'transitioning';
+    };
+    /**
+     * Captures the running status of the FSM, i.e., the current states,
+     * the context data and the history, in plain JSON data.
+     * Note that the context data and the payloads of the transitions
+     * in the history are expected to be serializable.
+     */
+    /**
+     * Captures the running status of the FSM, i.e., the current states,
+     * the context data and the history, in plain JSON data.
+     * Note that the context data and the payloads of the transitions
+     * in the history are expected to be serializable.
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.snapshot = /**
+     * Captures the running status of the FSM, i.e., the current states,
+     * the context data and the history, in plain JSON data.
+     * Note that the context data and the payloads of the transitions
+     * in the history are expected to be serializable.
+     * @return {?}
+     */
+    function () {
+        this.ensureRunningStage();
+        if (!_.isEmpty(this._pendingRegions)) {
+            throw new Error('Transition is in progress: ' + _.keys(this._pendingRegions).join(', '));
+        }
+        return JSON.parse(JSON.stringify({
+            version: snapshotVersion,
+            state: this.configuration(),
+            context: this._context,
+            history: this._history,
+            undone: this._undone,
+            lastActive: this._lastActive
+        }));
+    };
+    /**
+     * Returns the current context data.
+     */
+    /**
+     * Returns the current context data.
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.getContext = /**
+     * Returns the current context data.
+     * @return {?}
+     */
+    function () {
+        return this._context;
+    };
+    /**
+     * Provides the error handler for the FSM.
+     */
+    /**
+     * Provides the error handler for the FSM.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} fn
+     * @return {THIS}
+     */
+    FiniteStateMachine.prototype.addErrorHandler = /**
+     * Provides the error handler for the FSM.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} fn
+     * @return {THIS}
+     */
+    function (fn) {
+        (/** @type {?} */ (this)).ensureConfigureStage();
+        (/** @type {?} */ (this))._errorHandler = fn;
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Returns the current state of the given region,
+     * or of the default region if no region is given.
+     * In case of nested states, it is the innermost active state.
+     */
+    /**
+     * Returns the current state of the given region,
+     * or of the default region if no region is given.
+     * In case of nested states, it is the innermost active state.
+     * @param {?=} region
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.current = /**
+     * Returns the current state of the given region,
+     * or of the default region if no region is given.
+     * In case of nested states, it is the innermost active state.
+     * @param {?=} region
+     * @return {?}
+     */
+    function (region) {
+        this.ensureRunningStage();
+        return (/** @type {?} */ (this.implOf(region).state));
+    };
+    /**
+     * Returns the full active path of the given region, i.e., the current state
+     * and all of its enclosing states, starting from the outermost one.
+     */
+    /**
+     * Returns the full active path of the given region, i.e., the current state
+     * and all of its enclosing states, starting from the outermost one.
+     * @param {?=} region
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.currentPath = /**
+     * Returns the full active path of the given region, i.e., the current state
+     * and all of its enclosing states, starting from the outermost one.
+     * @param {?=} region
+     * @return {?}
+     */
+    function (region) {
+        this.ensureRunningStage();
+        return (/** @type {?} */ (this.pathOf(this.implOf(region).state)));
+    };
+    /**
+     * Returns the active configuration, i.e.,
+     * the current state of every region.
+     */
+    /**
+     * Returns the active configuration, i.e.,
+     * the current state of every region.
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.configuration = /**
+     * Returns the active configuration, i.e.,
+     * the current state of every region.
+     * @return {?}
+     */
+    function () {
+        this.ensureRunningStage();
+        /** @type {?} */
+        var result = {};
+        for (var k in this._impls) {
+            if (this._impls.hasOwnProperty(k)) {
+                result[k] = (/** @type {?} */ (this._impls[k].state));
+            }
+        }
+        return result;
+    };
+    /**
+     * Checks if the given state is active, i.e., it is the current state
+     * of a region, or it encloses the current state of a region.
+     */
+    /**
+     * Checks if the given state is active, i.e., it is the current state
+     * of a region, or it encloses the current state of a region.
+     * @param {?} name
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.isActive = /**
+     * Checks if the given state is active, i.e., it is the current state
+     * of a region, or it encloses the current state of a region.
+     * @param {?} name
+     * @return {?}
+     */
+    function (name) {
+        return indexOf(this.activeStates(), name) >= 0;
+    };
+    /**
+     * Exports the configuration of the FSM as a declarative definition.
+     * The callbacks and the guards are named by looking them up in
+     * the given map of implementations, which defaults to the one
+     * the FSM is built from. The context data is exported as it is now.
+     * If any of them cannot be named, a DefinitionError is thrown.
+     */
+    /**
+     * Exports the configuration of the FSM as a declarative definition.
+     * The callbacks and the guards are named by looking them up in
+     * the given map of implementations, which defaults to the one
+     * the FSM is built from. The context data is exported as it is now.
+     * If any of them cannot be named, a DefinitionError is thrown.
+     * @param {?=} implementations
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.toDefinition = /**
+     * Exports the configuration of the FSM as a declarative definition.
+     * The callbacks and the guards are named by looking them up in
+     * the given map of implementations, which defaults to the one
+     * the FSM is built from. The context data is exported as it is now.
+     * If any of them cannot be named, a DefinitionError is thrown.
+     * @param {?=} implementations
+     * @return {?}
+     */
+    function (implementations) {
+        /** @type {?} */
+        var errors = [];
+        /** @type {?} */
+        var definition = this.describe(implementations || this._implementations || {}, errors);
+        if (errors.length) {
+            throw new DefinitionError(errors);
+        }
+        return definition;
+    };
+    /**
+     * Builds the definition of the FSM, and collects the problems
+     * found instead of throwing. A callback which cannot be named is
+     * given a placeholder name.
+     */
+    /**
+     * Builds the definition of the FSM, and collects the problems
+     * found instead of throwing. A callback which cannot be named is
+     * given a placeholder name.
+     * @private
+     * @param {?} implementations
+     * @param {?} errors
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.describe = /**
+     * Builds the definition of the FSM, and collects the problems
+     * found instead of throwing. A callback which cannot be named is
+     * given a placeholder name.
+     * @private
+     * @param {?} implementations
+     * @param {?} errors
+     * @return {?}
+     */
+    function (implementations, errors) {
+        /** @type {?} */
+        var nameOf = function (fn, path) {
+            if (!fn) {
+                return undefined;
+            }
+            /** @type {?} */
+            var name = _.findKey(implementations, function (v) { return v === fn; });
+            if (!name) {
+                errors.push({ path: path, message: 'Unnamed implementation' });
+                return fn.name || 'anonymous';
+            }
+            return name;
+        };
+        // Drops the options which are not defined.
+        /** @type {?} */
+        var compact = function (obj) { return _.omit(obj, _.isUndefined); };
+        /** @type {?} */
+        var regionConf = this._regionConfiguration;
+        /** @type {?} */
+        var regions = [];
+        for (var k0 in regionConf) {
+            if (regionConf.hasOwnProperty(k0)) {
+                regions.push({ name: k0, initial: regionConf[k0].initState });
+            }
+        }
+        /** @type {?} */
+        var stateConf = this._stateConfiguration;
+        /** @type {?} */
+        var states = [];
+        for (var k1 in stateConf) {
+            if (stateConf.hasOwnProperty(k1)) {
+                /** @type {?} */
+                var elem1 = stateConf[k1];
+                /** @type {?} */
+                var path1 = '/states/' + states.length;
+                states.push(compact({
+                    name: k1,
+                    parent: elem1.parent,
+                    initial: elem1.initial,
+                    // A child state is always in the region of its parent.
+                    region: elem1.parent || elem1.region === defaultRegion$4 ? undefined : elem1.region,
+                    final: elem1.final || undefined,
+                    onEnter: nameOf(elem1.onEnterCallback, path1 + '/onEnter'),
+                    onLeave: nameOf(elem1.onLeaveCallback, path1 + '/onLeave')
+                }));
+            }
+        }
+        /** @type {?} */
+        var historyConf = this._historyConfiguration;
+        /** @type {?} */
+        var historyStates = [];
+        for (var k3 in historyConf) {
+            if (historyConf.hasOwnProperty(k3)) {
+                historyStates.push(compact({
+                    name: k3,
+                    parent: historyConf[k3].parent,
+                    deep: historyConf[k3].deep || undefined,
+                    defaultTarget: historyConf[k3].defaultTarget
+                }));
+            }
+        }
+        /** @type {?} */
+        var transitionConf = this._transitionConfiguration;
+        /** @type {?} */
+        var transitions = [];
+        for (var k2 in transitionConf) {
+            if (transitionConf.hasOwnProperty(k2)) {
+                /** @type {?} */
+                var elem2 = transitionConf[k2];
+                /** @type {?} */
+                var path2 = '/transitions/' + transitions.length;
+                /** @type {?} */
+                var assign = elem2.assign;
+                if (typeof assign === 'function') {
+                    assign = nameOf(assign, path2 + '/assign');
+                }
+                else if (assign && _.some(assign, function (v) { return typeof v === 'function'; })) {
+                    errors.push({ path: path2 + '/assign', message: 'Unnamed implementation' });
+                }
+                transitions.push(compact({
+                    from: elem2.from,
+                    to: elem2.to,
+                    event: elem2.event,
+                    guard: nameOf(elem2.guard, path2 + '/guard'),
+                    onBefore: nameOf(elem2.onBeforeCallback, path2 + '/onBefore'),
+                    onAfter: nameOf(elem2.onAfterCallback, path2 + '/onAfter'),
+                    assign: assign,
+                    delay: elem2.delay,
+                    compensation: elem2.compensation,
+                    internal: elem2.internal
+                }));
+            }
+        }
+        return compact({
+            version: definitionVersion,
+            initial: this._initState || undefined,
+            asyncMode: this._asyncMode || undefined,
+            sameStatePolicy: this._sameStatePolicy !== 'ignore' ? this._sameStatePolicy : undefined,
+            context: this._context,
+            regions: regions.length ? regions : undefined,
+            states: states,
+            historyStates: historyStates.length ? historyStates : undefined,
+            transitions: transitions
+        });
+    };
+    /**
+     * Exports the configuration of the FSM as a SCXML document.
+     * The callbacks and the guards are named in the same way
+     * as toDefinition does.
+     */
+    /**
+     * Exports the configuration of the FSM as a SCXML document.
+     * The callbacks and the guards are named in the same way
+     * as toDefinition does.
+     * @param {?=} implementations
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.toScxml = /**
+     * Exports the configuration of the FSM as a SCXML document.
+     * The callbacks and the guards are named in the same way
+     * as toDefinition does.
+     * @param {?=} implementations
+     * @return {?}
+     */
+    function (implementations) {
+        return serializeScxml(this.toDefinition(implementations));
+    };
+    /**
+     * Checks the configuration of the FSM, and reports the states
+     * which are unreachable from the init states, the dead ends which are
+     * not final, the states without incoming transitions, the strongly
+     * connected components, and the states which cannot reach a final state.
+     * Note that guard conditions are not taken into account.
+     */
+    /**
+     * Checks the configuration of the FSM, and reports the states
+     * which are unreachable from the init states, the dead ends which are
+     * not final, the states without incoming transitions, the strongly
+     * connected components, and the states which cannot reach a final state.
+     * Note that guard conditions are not taken into account.
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.analyze = /**
+     * Checks the configuration of the FSM, and reports the states
+     * which are unreachable from the init states, the dead ends which are
+     * not final, the states without incoming transitions, the strongly
+     * connected components, and the states which cannot reach a final state.
+     * Note that guard conditions are not taken into account.
+     * @return {?}
+     */
+    function () {
+        return analyzeDefinition(this.describe(this._implementations || {}, []));
+    };
+    /**
+     * Checks a temporal property, e.g., 'AG (editing -> EF saved)',
+     * against the transitions of the FSM from the init state of the given
+     * region, and gives a counterexample path if the property does not hold.
+     * See temporal-logic for the property language.
+     */
+    /**
+     * Checks a temporal property, e.g., 'AG (editing -> EF saved)',
+     * against the transitions of the FSM from the init state of the given
+     * region, and gives a counterexample path if the property does not hold.
+     * See temporal-logic for the property language.
+     * @param {?} property
+     * @param {?=} region
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.check = /**
+     * Checks a temporal property, e.g., 'AG (editing -> EF saved)',
+     * against the transitions of the FSM from the init state of the given
+     * region, and gives a counterexample path if the property does not hold.
+     * See temporal-logic for the property language.
+     * @param {?} property
+     * @param {?=} region
+     * @return {?}
+     */
+    function (property, region) {
+        return checkProperty(this.describe(this._implementations || {}, []), property, region);
+    };
+    /**
+     * Renders the configuration of the FSM as a Graphviz DOT graph.
+     * If required, the states in which a running FSM currently is
+     * are highlighted.
+     */
+    /**
+     * Renders the configuration of the FSM as a Graphviz DOT graph.
+     * If required, the states in which a running FSM currently is
+     * are highlighted.
+     * @param {?=} highlightCurrent
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.toDot = /**
+     * Renders the configuration of the FSM as a Graphviz DOT graph.
+     * If required, the states in which a running FSM currently is
+     * are highlighted.
+     * @param {?=} highlightCurrent
+     * @return {?}
+     */
+    function (highlightCurrent) {
+        return renderDot(this.describe(this._implementations || {}, []), {
+            active: highlightCurrent ? this.activeStates() : []
+        });
+    };
+    /**
+     * Renders the configuration of the FSM as a Mermaid state diagram.
+     * If required, the states in which a running FSM currently is
+     * are highlighted.
+     */
+    /**
+     * Renders the configuration of the FSM as a Mermaid state diagram.
+     * If required, the states in which a running FSM currently is
+     * are highlighted.
+     * @param {?=} highlightCurrent
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.toMermaid = /**
+     * Renders the configuration of the FSM as a Mermaid state diagram.
+     * If required, the states in which a running FSM currently is
+     * are highlighted.
+     * @param {?=} highlightCurrent
+     * @return {?}
+     */
+    function (highlightCurrent) {
+        return renderMermaid(this.describe(this._implementations || {}, []), {
+            active: highlightCurrent ? this.activeStates() : []
+        });
+    };
+    /**
+     * Returns the active states of all regions,
+     * including the enclosing compound states.
+     */
+    /**
+     * Returns the active states of all regions,
+     * including the enclosing compound states.
+     * @private
+     * @return {?}
+     */
+    FiniteStateMachine.prototype.activeStates = /**
+     * Returns the active states of all regions,
+     * including the enclosing compound states.
+     * @private
+     * @return {?}
+     */
+    function () {
+        this.ensureRunningStage();
+        /** @type {?} */
+        var result = [];
+        for (var k in this._impls) {
+            if (this._impls.hasOwnProperty(k)) {
+                result = result.concat(this.pathOf(this._impls[k].state));
+            }
+        }
+        return result;
+    };
+    return FiniteStateMachine;
+}());
+
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/** @type {?} */
+var defaultMaxRecords = 500;
+/**
+ * Returns the DevTools extension installed in the browser, if any.
+ * @return {?}
+ */
+function browserDevTools() {
+    /** @type {?} */
+    var root = typeof window !== 'undefined' ? window : null;
+    return (root && root['__REDUX_DEVTOOLS_EXTENSION__']) || null;
+}
+/**
+ * Represents the inspector of a started machine. Every transition, with
+ * its event and payload, every change of the context data and every error
+ * is recorded, and forwarded to the DevTools extension as an action.
+ * Jumping to a record, either from the code or from the extension,
+ * restores the machine to its running status at that point.
+ */
+var  /**
+ * Represents the inspector of a started machine. Every transition, with
+ * its event and payload, every change of the context data and every error
+ * is recorded, and forwarded to the DevTools extension as an action.
+ * Jumping to a record, either from the code or from the extension,
+ * restores the machine to its running status at that point.
+ */
+MachineInspector = /** @class */ (function () {
+    function MachineInspector(machine, options) {
+        var _this = this;
+        options = options || {};
+        this._machine = machine;
+        this._records = [];
+        this._nextId = 0;
+        this._maxRecords = options.maxRecords || defaultMaxRecords;
+        this._subscriptions = [];
+        this._contextHandler = function (change) { return _this.onContextChange(change); };
+        /** @type {?} */
+        var devTools = options.devTools || browserDevTools();
+        this._connection = devTools ? devTools.connect({ name: options.name || 'FiniteStateMachine' }) : null;
+        this.append({
+            type: 'start',
+            context: machine.getContext(),
+            snapshot: machine.snapshot(),
+            timestamp: Date.now()
+        });
+        if (this._connection) {
+            this._connection.init(this.stateOf(this._records[0]));
+            this._connection.subscribe(function (message) { return _this.onMessage(message); });
+        }
+        machine.onContextChange(this._contextHandler);
+        this._subscriptions.push(machine.transitions$.subscribe(function (event) { return _this.onTransition(event); }));
+        this._subscriptions.push(machine.errors$.subscribe(function (event) { return _this.onError(event); }));
+    }
+    /**
+     * Returns the records, the start first.
+     */
+    /**
+     * Returns the records, the start first.
+     * @return {?}
+     */
+    MachineInspector.prototype.records = /**
+     * Returns the records, the start first.
+     * @return {?}
+     */
+    function () {
+        return this._records.slice();
+    };
+    /**
+     * Restores the machine to its running status at the record of
+     * the given id. A record without a snapshot is taken as the closest
+     * record before it with a snapshot. A record which has been dropped
+     * cannot be jumped to.
+     */
+    /**
+     * Restores the machine to its running status at the record of
+     * the given id. A record without a snapshot is taken as the closest
+     * record before it with a snapshot. A record which has been dropped
+     * cannot be jumped to.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} id
+     * @return {THIS}
+     */
+    MachineInspector.prototype.jumpTo = /**
+     * Restores the machine to its running status at the record of
+     * the given id. A record without a snapshot is taken as the closest
+     * record before it with a snapshot. A record which has been dropped
+     * cannot be jumped to.
+     * @template THIS
+     * @this {THIS}
+     * @param {?} id
+     * @return {THIS}
+     */
+    function (id) {
+        /** @type {?} */
+        var records = (/** @type {?} */ (this))._records;
+        /** @type {?} */
+        var i = records.length - 1;
+        while (i >= 0 && records[i].id !== id) {
+            i--;
+        }
+        if (i < 0) {
+            throw new Error((id > 0 && id < (/** @type {?} */ (this))._nextId ? 'Dropped record: ' : 'Undefined record: ') + id);
+        }
+        while (!records[i].snapshot) {
+            if (records[i - 1].id !== records[i].id - 1) {
+                throw new Error('Dropped record: ' + (records[i].id - 1));
+            }
+            i--;
+        }
+        (/** @type {?} */ (this))._machine.restore(records[i].snapshot);
+        return (/** @type {?} */ (this));
+    };
+    /**
+     * Stops inspecting the machine.
+     */
+    /**
+     * Stops inspecting the machine.
+     * @return {?}
+     */
+    MachineInspector.prototype.detach = /**
+     * Stops inspecting the machine.
+     * @return {?}
+     */
+    function () {
+        for (var _i = 0, _a = this._subscriptions; _i < _a.length; _i++) {
+            var s = _a[_i];
+            s.unsubscribe();
+        }
+        this._subscriptions = [];
+        this._machine.offContextChange(this._contextHandler);
+        if (this._connection) {
+            this._connection.unsubscribe();
+            this._connection = null;
+        }
+    };
+    /**
+     * @private
+     * @param {?} event
+     * @return {?}
+     */
+    MachineInspector.prototype.onTransition = /**
+     * @private
+     * @param {?} event
+     * @return {?}
+     */
+    function (event) {
+        // Another region may still be in the middle of its transition
+        /** @type {?} */
+        var idle = this._machine.status() === 'idle';
+        this.append({
+            type: 'transition',
+            transition: event.transition,
+            event: event.event,
+            from: event.from,
+            to: event.to,
+            payload: event.payload,
+            context: this._machine.getContext(),
+            snapshot: idle ? this._machine.snapshot() : undefined,
+            timestamp: Date.now()
+        });
+    };
+    /**
+     * @private
+     * @param {?} change
+     * @return {?}
+     */
+    MachineInspector.prototype.onContextChange = /**
+     * @private
+     * @param {?} change
+     * @return {?}
+     */
+    function (change) {
+        // The transition is still in progress
+        this.append({
+            type: 'context',
+            transition: change.lifecycle.transition,
+            payload: change.lifecycle.payload,
+            context: change.context,
+            previous: change.previous,
+            timestamp: Date.now()
+        });
+    };
+    /**
+     * @private
+     * @param {?} event
+     * @return {?}
+     */
+    MachineInspector.prototype.onError = /**
+     * @private
+     * @param {?} event
+     * @return {?}
+     */
+    function (event) {
+        this.append({
+            type: 'error',
+            transition: event.name,
+            from: event.from,
+            to: event.to,
+            error: event.error,
+            context: this._machine.getContext(),
+            timestamp: Date.now()
+        });
+        if (this._connection) {
+            this._connection.error('Transition ' + event.name + ' from ' + event.from + ' to ' + event.to + ' fails.');
+        }
+    };
+    /**
+     * @private
+     * @param {?} record
+     * @return {?}
+     */
+    MachineInspector.prototype.append = /**
+     * @private
+     * @param {?} record
+     * @return {?}
+     */
+    function (record) {
+        record.id = this._nextId++;
+        this._records.push(record);
+        if (this._records.length > this._maxRecords) {
+            // Keep the start, which may always be jumped to
+            this._records.splice(1, 1);
+        }
+        if (this._connection && record.type !== 'start') {
+            this._connection.send(this.actionOf(record), this.stateOf(record));
+        }
+    };
+    /**
+     * @private
+     * @param {?} record
+     * @return {?}
+     */
+    MachineInspector.prototype.actionOf = /**
+     * @private
+     * @param {?} record
+     * @return {?}
+     */
+    function (record) {
+        return {
+            type: record.type === 'transition' ? (record.event || record.transition) : record.type + ': ' + record.transition,
+            transition: record.transition,
+            from: record.from,
+            to: record.to,
+            payload: record.payload
+        };
+    };
+    /**
+     * @private
+     * @param {?} record
+     * @return {?}
+     */
+    MachineInspector.prototype.stateOf = /**
+     * @private
+     * @param {?} record
+     * @return {?}
+     */
+    function (record) {
+        return {
+            state: record.snapshot ? record.snapshot.state : this._machine.configuration(),
+            context: record.context
+        };
+    };
     /**
-     * Checks if FSM is in configuration stage.
+     * Handles the messages from the DevTools extension. The actions are
+     * numbered from the start, which is numbered 0, as the records are,
+     * so that an action is found by the id of its record. Jumping to
+     * an action whose record has been dropped is reported back as an error.
      */
     /**
-     * Checks if FSM is in configuration stage.
+     * Handles the messages from the DevTools extension. The actions are
+     * numbered from the start, which is numbered 0, as the records are,
+     * so that an action is found by the id of its record. Jumping to
+     * an action whose record has been dropped is reported back as an error.
      * @private
+     * @param {?} message
      * @return {?}
      */
-    FiniteStateMachine.prototype.ensureConfigureStage = /**
-     * Checks if FSM is in configuration stage.
+    MachineInspector.prototype.onMessage = /**
+     * Handles the messages from the DevTools extension. The actions are
+     * numbered from the start, which is numbered 0, as the records are,
+     * so that an action is found by the id of its record. Jumping to
+     * an action whose record has been dropped is reported back as an error.
      * @private
+     * @param {?} message
      * @return {?}
      */
-    function () {
-        if (this._impl) {
-            throw new Error('State machine has started.');
+    function (message) {
+        if (message.type !== 'DISPATCH' || !message.payload) {
+            return;
+        }
+        switch (message.payload.type) {
+            case 'JUMP_TO_STATE':
+            case 'JUMP_TO_ACTION':
+                try {
+                    this.jumpTo(message.payload.actionId);
+                }
+                catch (e) {
+                    this._connection.error(e.message);
+                }
+                break;
+            case 'RESET':
+                this.jumpTo(0);
+                this.commit();
+                break;
+            case 'COMMIT':
+                this.commit();
+                break;
         }
     };
     /**
-     * Checks if FSM is in running stage.
+     * Takes the current status as the new start.
      */
     /**
-     * Checks if FSM is in running stage.
+     * Takes the current status as the new start.
      * @private
      * @return {?}
      */
-    FiniteStateMachine.prototype.ensureRunningStage = /**
-     * Checks if FSM is in running stage.
+    MachineInspector.prototype.commit = /**
+     * Takes the current status as the new start.
      * @private
      * @return {?}
      */
     function () {
-        if (!this._impl) {
-            throw new Error('State machine has not yet started.');
+        this._records = [];
+        this._nextId = 0;
+        this.append({
+            type: 'start',
+            context: this._machine.getContext(),
+            snapshot: this._machine.snapshot(),
+            timestamp: Date.now()
+        });
+        if (this._connection) {
+            this._connection.init(this.stateOf(this._records[0]));
         }
     };
+    return MachineInspector;
+}());
+/**
+ * Represents a connection of the local stand-in of the DevTools extension.
+ */
+var  /**
+ * Represents a connection of the local stand-in of the DevTools extension.
+ */
+LocalDevToolsConnection = /** @class */ (function () {
+    function LocalDevToolsConnection(name) {
+        this.name = name;
+        this.actions = [];
+        this.states = [];
+        this.errors = [];
+        this._listeners = [];
+    }
     /**
-     * Defines the behavior when the FSM moves into a state by a transition.
+     * @param {?} state
+     * @return {?}
+     */
+    LocalDevToolsConnection.prototype.init = /**
+     * @param {?} state
+     * @return {?}
      */
+    function (state) {
+        this.actions = [null];
+        this.states = [state];
+    };
     /**
-     * Defines the behavior when the FSM moves into a state by a transition.
-     * @template THIS
-     * @this {THIS}
-     * @param {?} name
-     * @param {?=} onEnterCallback
-     * @param {?=} onLeaveCallback
-     * @return {THIS}
+     * @param {?} action
+     * @param {?} state
+     * @return {?}
      */
-    FiniteStateMachine.prototype.addState = /**
-     * Defines the behavior when the FSM moves into a state by a transition.
-     * @template THIS
-     * @this {THIS}
-     * @param {?} name
-     * @param {?=} onEnterCallback
-     * @param {?=} onLeaveCallback
-     * @return {THIS}
+    LocalDevToolsConnection.prototype.send = /**
+     * @param {?} action
+     * @param {?} state
+     * @return {?}
      */
-    function (name, onEnterCallback, onLeaveCallback) {
-        // Pre-conditions
-        (/** @type {?} */ (this)).ensureConfigureStage();
-        /** @type {?} */
-        var stateConf = (/** @type {?} */ (this))._stateConfiguration;
-        if (stateConf[name]) {
-            throw new Error('Redefined state: ' + name);
-        }
-        stateConf[name] = {
-            onEnterCallback: onEnterCallback,
-            onLeaveCallback: onLeaveCallback
+    function (action, state) {
+        this.actions.push(action);
+        this.states.push(state);
+    };
+    /**
+     * @param {?} listener
+     * @return {?}
+     */
+    LocalDevToolsConnection.prototype.subscribe = /**
+     * @param {?} listener
+     * @return {?}
+     */
+    function (listener) {
+        var _this = this;
+        this._listeners.push(listener);
+        return function () {
+            _this._listeners = _this._listeners.filter(function (l) { return l !== listener; });
         };
-        return (/** @type {?} */ (this));
     };
     /**
-     * Defines the init state for the FSM.
+     * @return {?}
+     */
+    LocalDevToolsConnection.prototype.unsubscribe = /**
+     * @return {?}
      */
+    function () {
+        this._listeners = [];
+    };
     /**
-     * Defines the init state for the FSM.
-     * @template THIS
-     * @this {THIS}
+     * @param {?} message
+     * @return {?}
+     */
+    LocalDevToolsConnection.prototype.error = /**
+     * @param {?} message
+     * @return {?}
+     */
+    function (message) {
+        this.errors.push(message);
+    };
+    /**
+     * Delivers a message as if it were sent by the extension.
+     */
+    /**
+     * Delivers a message as if it were sent by the extension.
+     * @param {?} message
+     * @return {?}
+     */
+    LocalDevToolsConnection.prototype.dispatch = /**
+     * Delivers a message as if it were sent by the extension.
+     * @param {?} message
+     * @return {?}
+     */
+    function (message) {
+        for (var _i = 0, _a = this._listeners.slice(); _i < _a.length; _i++) {
+            var listener = _a[_i];
+            listener(message);
+        }
+    };
+    /**
+     * Asks to jump to the given action, as the extension does.
+     */
+    /**
+     * Asks to jump to the given action, as the extension does.
+     * @param {?} actionId
+     * @return {?}
+     */
+    LocalDevToolsConnection.prototype.jumpToAction = /**
+     * Asks to jump to the given action, as the extension does.
+     * @param {?} actionId
+     * @return {?}
+     */
+    function (actionId) {
+        this.dispatch({
+            type: 'DISPATCH',
+            payload: { type: 'JUMP_TO_ACTION', actionId: actionId },
+            state: JSON.stringify(this.states[actionId])
+        });
+    };
+    return LocalDevToolsConnection;
+}());
+/**
+ * Represents an in-process stand-in of the DevTools extension,
+ * e.g., for tests.
+ */
+var  /**
+ * Represents an in-process stand-in of the DevTools extension,
+ * e.g., for tests.
+ */
+LocalDevTools = /** @class */ (function () {
+    function LocalDevTools() {
+        this.connections = [];
+    }
+    /**
+     * @param {?=} options
+     * @return {?}
+     */
+    LocalDevTools.prototype.connect = /**
+     * @param {?=} options
+     * @return {?}
+     */
+    function (options) {
+        /** @type {?} */
+        var connection = new LocalDevToolsConnection(options && options.name);
+        this.connections.push(connection);
+        return connection;
+    };
+    return LocalDevTools;
+}());
+
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * The token under which the registrations of machines are provided.
+ * Each provider contributes an array of registrations.
+ * @type {?}
+ */
+var MACHINE_REGISTRATIONS = new InjectionToken('MACHINE_REGISTRATIONS');
+/**
+ * The token under which the execution strategy of the machines
+ * created by a registry is provided, if any.
+ * @type {?}
+ */
+var MACHINE_EXECUTION_STRATEGY = new InjectionToken('MACHINE_EXECUTION_STRATEGY');
+/**
+ * Represents the machines available in an injector.
+ * A machine registered in the same injector as the registry is created
+ * and started on the first request, and a machine registered elsewhere
+ * is looked up in the registry of the parent injector.
+ * Provided at the component level without any registration, the registry
+ * creates its own instances of the machines visible to the component.
+ */
+var MachineRegistry = /** @class */ (function () {
+    function MachineRegistry(registrations, parent, execution) {
+        this._registrations = {};
+        this._machines = {};
+        this._parent = parent;
+        this._execution = execution;
+        for (var _i = 0, _a = registrations || []; _i < _a.length; _i++) {
+            var group = _a[_i];
+            for (var _b = 0, group_1 = group; _b < group_1.length; _b++) {
+                var elem = group_1[_b];
+                if (this._registrations[elem.name]) {
+                    throw new Error('Re-registering a machine: ' + elem.name);
+                }
+                this._registrations[elem.name] = elem;
+            }
+        }
+    }
+    /**
+     * Checks if the machine of the given name is available,
+     * either in this registry or in any of its ancestors.
+     */
+    /**
+     * Checks if the machine of the given name is available,
+     * either in this registry or in any of its ancestors.
      * @param {?} name
-     * @return {THIS}
+     * @return {?}
      */
-    FiniteStateMachine.prototype.setInitState = /**
-     * Defines the init state for the FSM.
-     * @template THIS
-     * @this {THIS}
+    MachineRegistry.prototype.has = /**
+     * Checks if the machine of the given name is available,
+     * either in this registry or in any of its ancestors.
      * @param {?} name
-     * @return {THIS}
+     * @return {?}
      */
     function (name) {
-        // Pre-conditions
-        (/** @type {?} */ (this)).ensureConfigureStage();
-        if ((/** @type {?} */ (this))._initState) {
-            throw new Error('Redefined init state: ' + (/** @type {?} */ (this))._initState);
-        }
-        (/** @type {?} */ (this))._initState = name;
-        return (/** @type {?} */ (this));
+        return !!this._registrations[name] || (!!this._parent && this._parent.has(name));
     };
     /**
-     * Defines a new stransition.
+     * Returns the machine of the given name, which is created
+     * from its definition and started on the first request,
+     * with the execution strategy provided, if any.
+     * The states, the events and the context data of the machine
+     * may be given as the type parameters, as in FiniteStateMachine,
+     * and so may the mode, which is otherwise unknown.
      */
     /**
-     * Defines a new stransition.
-     * @template THIS
-     * @this {THIS}
-     * @param {?} from
-     * @param {?} to
-     * @param {?=} onAfterCallback
-     * @param {?=} onBeforeCallback
-     * @return {THIS}
+     * Returns the machine of the given name, which is created
+     * from its definition and started on the first request,
+     * with the execution strategy provided, if any.
+     * The states, the events and the context data of the machine
+     * may be given as the type parameters, as in FiniteStateMachine,
+     * and so may the mode, which is otherwise unknown.
+     * @template TState, TEvent, TContext, TAsync
+     * @param {?} name
+     * @return {?}
      */
-    FiniteStateMachine.prototype.addTransition = /**
-     * Defines a new stransition.
-     * @template THIS
-     * @this {THIS}
-     * @param {?} from
-     * @param {?} to
-     * @param {?=} onAfterCallback
-     * @param {?=} onBeforeCallback
-     * @return {THIS}
+    MachineRegistry.prototype.get = /**
+     * Returns the machine of the given name, which is created
+     * from its definition and started on the first request,
+     * with the execution strategy provided, if any.
+     * The states, the events and the context data of the machine
+     * may be given as the type parameters, as in FiniteStateMachine,
+     * and so may the mode, which is otherwise unknown.
+     * @template TState, TEvent, TContext, TAsync
+     * @param {?} name
+     * @return {?}
      */
-    function (from, to, onAfterCallback, onBeforeCallback) {
-        // Pre-condition
-        (/** @type {?} */ (this)).ensureConfigureStage();
-        /** @type {?} */
-        var stateConf = (/** @type {?} */ (this))._stateConfiguration;
+    function (name) {
         /** @type {?} */
-        var transitionConf = (/** @type {?} */ (this))._transitionConfiguration;
-        if (!stateConf[from]) {
-            throw new Error('Undefined source state: ' + from);
-        }
-        if (!stateConf[to]) {
-            throw new Error('Undefined target state: ' + to);
+        var elem = this._registrations[name];
+        if (!elem) {
+            if (!this._parent) {
+                throw new Error('Undefined machine: ' + name);
+            }
+            return this._parent.get(name);
         }
-        /** @type {?} */
-        var key = replace(transitionKeyFormat, { from: from, to: to });
-        if (transitionConf[key]) {
-            throw new Error('Redefined transition: ' + from + ' -> ' + to);
+        if (!this._machines[name]) {
+            /** @type {?} */
+            var machine = FiniteStateMachine.fromDefinition(elem.definition, elem.implementations);
+            if (this._execution) {
+                machine.setExecutionStrategy(this._execution);
+            }
+            this._machines[name] = machine.start();
         }
-        transitionConf[key] = {
-            from: from, to: to,
-            onAfterCallback: onAfterCallback,
-            onBeforeCallback: onBeforeCallback
-        };
-        return (/** @type {?} */ (this));
+        return this._machines[name];
     };
     /**
-     * Starts the FSM. Note that this method must be invoked before
-     * any method which may change the state of the FSM.
+     * Disposes the machines created by this registry.
      */
     /**
-     * Starts the FSM. Note that this method must be invoked before
-     * any method which may change the state of the FSM.
-     * @template THIS
-     * @this {THIS}
-     * @return {THIS}
+     * Disposes the machines created by this registry.
+     * @return {?}
      */
-    FiniteStateMachine.prototype.start = /**
-     * Starts the FSM. Note that this method must be invoked before
-     * any method which may change the state of the FSM.
-     * @template THIS
-     * @this {THIS}
-     * @return {THIS}
+    MachineRegistry.prototype.ngOnDestroy = /**
+     * Disposes the machines created by this registry.
+     * @return {?}
      */
     function () {
-        (/** @type {?} */ (this)).ensureConfigureStage();
-        if (!(/** @type {?} */ (this))._initState) {
-            throw new Error('Init state has not been defined.');
-        }
-        // Definition
-        /** @type {?} */
-        var stateConf = (/** @type {?} */ (this))._stateConfiguration;
-        /** @type {?} */
-        var transitionConf = (/** @type {?} */ (this))._transitionConfiguration;
-        /** @type {?} */
-        var transitions = [];
-        /** @type {?} */
-        var methods = {};
-        for (var k1 in transitionConf) {
-            if (transitionConf.hasOwnProperty(k1)) {
-                /** @type {?} */
-                var elem1 = transitionConf[k1];
-                transitions.push({
-                    name: k1,
-                    from: elem1.from,
-                    to: elem1.to
-                });
-                if (elem1.onAfterCallback) {
-                    methods['onAfter' + captialize(k1)] = elem1.onAfterCallback;
-                }
-                if (elem1.onBeforeCallback) {
-                    methods['onBefore' + captialize(k1)] = elem1.onAfterCallback;
-                }
+        for (var k in this._machines) {
+            if (this._machines.hasOwnProperty(k)) {
+                this._machines[k].dispose();
             }
         }
-        for (var k2 in stateConf) {
-            if (stateConf.hasOwnProperty(k2)) {
-                /** @type {?} */
-                var elem2 = stateConf[k2];
-                if (elem2.onEnterCallback) {
-                    methods['onEnter' + captialize(k2)] = elem2.onEnterCallback;
-                }
-                if (elem2.onLeaveCallback) {
-                    methods['onLeave' + captialize(k2)] = elem2.onLeaveCallback;
-                }
+        this._machines = {};
+    };
+    MachineRegistry.decorators = [
+        { type: Injectable }
+    ];
+    /** @nocollapse */
+    MachineRegistry.ctorParameters = function () { return [
+        { type: Array, decorators: [{ type: Optional }, { type: Inject, args: [MACHINE_REGISTRATIONS,] }] },
+        { type: MachineRegistry, decorators: [{ type: Optional }, { type: SkipSelf }] },
+        { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [MACHINE_EXECUTION_STRATEGY,] }] }
+    ]; };
+    return MachineRegistry;
+}());
+/**
+ * Returns the providers of a registry of the given machines, e.g.,
+ * to be used in the providers of a component, so that the machines
+ * live as long as the component.
+ * @param {?} registrations
+ * @return {?}
+ */
+function provideMachines(registrations) {
+    return [
+        { provide: MACHINE_REGISTRATIONS, useValue: registrations, multi: true },
+        MachineRegistry
+    ];
+}
+
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * Checks if any of the given states is active in the given machine.
+ * A machine which has not yet started has no active state.
+ * @param {?} machine
+ * @param {?} states
+ * @return {?}
+ */
+function isAnyStateActive(machine, states) {
+    if (!machine || machine.status() === 'configuring') {
+        return false;
+    }
+    /** @type {?} */
+    var names = typeof states === 'string' ? [states] : (states || []);
+    return names.some(function (name) { return machine.isActive(name); });
+}
+/**
+ * Renders its template while any of the given states is active,
+ * and the else template otherwise, e.g.,
+ * <div *fsmState="['loading', 'saving']; machine: fsm; else idle">...</div>
+ * A state is active if it is the current state of a region, or
+ * it encloses one. The template is updated whenever the machine
+ * takes a transition, even outside the Angular zone.
+ */
+var FsmStateDirective = /** @class */ (function () {
+    function FsmStateDirective(_viewContainer, _templateRef, _zone) {
+        this._viewContainer = _viewContainer;
+        this._templateRef = _templateRef;
+        this._zone = _zone;
+        this._subscription = null;
+        this._shown = null;
+    }
+    /**
+     * @param {?} changes
+     * @return {?}
+     */
+    FsmStateDirective.prototype.ngOnChanges = /**
+     * @param {?} changes
+     * @return {?}
+     */
+    function (changes) {
+        var _this = this;
+        if (changes['fsmStateMachine']) {
+            this.unsubscribe();
+            if (this.fsmStateMachine) {
+                // The current states are replayed at once, if any.
+                this._subscription = this.fsmStateMachine.configuration$.subscribe(function () {
+                    _this._zone.run(function () { return _this.render(); });
+                });
             }
-        }
-        /** @type {?} */
-        var handlers = (/** @type {?} */ (this))._handlers;
-        handlers.onEnterState = [];
-        handlers.onLeaveState = [];
-        methods['onEnterState'] = buildHandlerInClosure((/** @type {?} */ (this))._handlers, 'onEnterState');
-        methods['onLeaveState'] = buildHandlerInClosure((/** @type {?} */ (this))._handlers, 'onLeaveState');
-        (/** @type {?} */ (this))._impl = new StateMachine({
-            init: (/** @type {?} */ (this))._initState,
-            transitions: transitions,
-            methods: methods,
-            onInvalidTransition: (/** @type {?} */ (this))._errorHandler || defaultErrorHandler
-        });
-        return (/** @type {?} */ (this));
+        }
+        this.render();
     };
     /**
-     * Registers a handler for enterstate
+     * @return {?}
+     */
+    FsmStateDirective.prototype.ngOnDestroy = /**
+     * @return {?}
      */
+    function () {
+        this.unsubscribe();
+    };
     /**
-     * Registers a handler for enterstate
-     * @template THIS
-     * @this {THIS}
-     * @param {?} handler
-     * @return {THIS}
+     * @private
+     * @return {?}
      */
-    FiniteStateMachine.prototype.onEnterState = /**
-     * Registers a handler for enterstate
-     * @template THIS
-     * @this {THIS}
-     * @param {?} handler
-     * @return {THIS}
+    FsmStateDirective.prototype.unsubscribe = /**
+     * @private
+     * @return {?}
      */
-    function (handler) {
-        /** @type {?} */
-        var ourHandlers = (/** @type {?} */ (this))._handlers.onEnterState;
-        if (indexOf(ourHandlers, handler) >= 0) {
-            throw new Error('Re-registering a hander!');
+    function () {
+        if (this._subscription) {
+            this._subscription.unsubscribe();
+            this._subscription = null;
         }
-        ourHandlers.push(handler);
-        return (/** @type {?} */ (this));
     };
     /**
-     * Registers a handler for exitstate
+     * Shows the template matching the active states,
+     * unless it is shown already.
      */
     /**
-     * Registers a handler for exitstate
-     * @template THIS
-     * @this {THIS}
-     * @param {?} handler
-     * @return {THIS}
+     * Shows the template matching the active states,
+     * unless it is shown already.
+     * @private
+     * @return {?}
      */
-    FiniteStateMachine.prototype.onExitState = /**
-     * Registers a handler for exitstate
-     * @template THIS
-     * @this {THIS}
-     * @param {?} handler
-     * @return {THIS}
+    FsmStateDirective.prototype.render = /**
+     * Shows the template matching the active states,
+     * unless it is shown already.
+     * @private
+     * @return {?}
      */
-    function (handler) {
+    function () {
         /** @type {?} */
-        var ourHandlers = (/** @type {?} */ (this))._handlers.onLeaveState;
-        if (indexOf(ourHandlers, handler) >= 0) {
-            throw new Error('Registering a hander!');
+        var template = isAnyStateActive(this.fsmStateMachine, this.fsmState) ?
+            this._templateRef : (this.fsmStateElse || null);
+        if (template === this._shown) {
+            return;
         }
-        ourHandlers.push(handler);
-        return (/** @type {?} */ (this));
+        this._viewContainer.clear();
+        if (template) {
+            this._viewContainer.createEmbeddedView(template);
+        }
+        this._shown = template;
     };
+    FsmStateDirective.decorators = [
+        { type: Directive, args: [{
+                    selector: '[fsmState]'
+                },] }
+    ];
+    /** @nocollapse */
+    FsmStateDirective.ctorParameters = function () { return [
+        { type: ViewContainerRef },
+        { type: TemplateRef },
+        { type: NgZone }
+    ]; };
+    FsmStateDirective.propDecorators = {
+        fsmState: [{ type: Input }],
+        fsmStateMachine: [{ type: Input }],
+        fsmStateElse: [{ type: Input }]
+    };
+    return FsmStateDirective;
+}());
+
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/** @type {?} */
+var defaultRegion$5 = 'default';
+/**
+ * Reads the states of a machine, and marks the view for check
+ * whenever the machine takes a transition, even outside the Angular zone.
+ * Without an argument, it returns the current state of the default region,
+ * e.g., {{ fsm | fsmState }}, or, if every state is in a named region,
+ * the current state of every region, e.g., {{ (fsm | fsmState).left }},
+ * which is the same object until the machine takes another transition;
+ * given a state or a list of states, it returns whether any of them
+ * is active, e.g., [class.busy]="fsm | fsmState: ['loading', 'saving']".
+ */
+var FsmStatePipe = /** @class */ (function () {
+    function FsmStatePipe(_changeDetector, _zone) {
+        this._changeDetector = _changeDetector;
+        this._zone = _zone;
+        this._machine = null;
+        this._subscription = null;
+        this._configuration = null;
+    }
     /**
-     * Un-register a handler for enterstate
-     */
-    /**
-     * Un-register a handler for enterstate
-     * @template THIS
-     * @this {THIS}
-     * @param {?} handler
-     * @return {THIS}
+     * @param {?} machine
+     * @param {?=} states
+     * @return {?}
      */
-    FiniteStateMachine.prototype.offEnterState = /**
-     * Un-register a handler for enterstate
-     * @template THIS
-     * @this {THIS}
-     * @param {?} handler
-     * @return {THIS}
+    FsmStatePipe.prototype.transform = /**
+     * @param {?} machine
+     * @param {?=} states
+     * @return {?}
      */
-    function (handler) {
+    function (machine, states) {
+        var _this = this;
+        if (machine !== this._machine) {
+            this.unsubscribe();
+            this._machine = machine;
+            this._configuration = null;
+            if (machine) {
+                this._subscription = machine.configuration$.subscribe(function (configuration) {
+                    _this._configuration = configuration;
+                    _this._zone.run(function () { return _this._changeDetector.markForCheck(); });
+                });
+            }
+        }
+        if (states !== undefined) {
+            return isAnyStateActive(machine, states);
+        }
         /** @type {?} */
-        var ourHandlers = (/** @type {?} */ (this))._handlers.onEnterState;
-        (/** @type {?} */ (this))._handlers.onenterstate = without(ourHandlers, handler);
-        return (/** @type {?} */ (this));
+        var current = this._configuration;
+        if (!current) {
+            return null;
+        }
+        return current.hasOwnProperty(defaultRegion$5) ? current[defaultRegion$5] : current;
     };
     /**
-     * Un-register a handler for exitstate
+     * @return {?}
      */
+    FsmStatePipe.prototype.ngOnDestroy = /**
+     * @return {?}
+     */
+    function () {
+        this.unsubscribe();
+    };
     /**
-     * Un-register a handler for exitstate
-     * @template THIS
-     * @this {THIS}
-     * @param {?} handler
-     * @return {THIS}
+     * @private
+     * @return {?}
      */
-    FiniteStateMachine.prototype.offExitState = /**
-     * Un-register a handler for exitstate
-     * @template THIS
-     * @this {THIS}
-     * @param {?} handler
-     * @return {THIS}
+    FsmStatePipe.prototype.unsubscribe = /**
+     * @private
+     * @return {?}
      */
-    function (handler) {
-        /** @type {?} */
-        var ourHandlers = (/** @type {?} */ (this))._handlers.onLeaveState;
-        (/** @type {?} */ (this))._handlers.onexitstate = without(ourHandlers, handler);
-        return (/** @type {?} */ (this));
+    function () {
+        if (this._subscription) {
+            this._subscription.unsubscribe();
+            this._subscription = null;
+        }
     };
+    FsmStatePipe.decorators = [
+        { type: Pipe, args: [{
+                    name: 'fsmState',
+                    pure: false
+                },] }
+    ];
+    /** @nocollapse */
+    FsmStatePipe.ctorParameters = function () { return [
+        { type: ChangeDetectorRef },
+        { type: NgZone }
+    ]; };
+    return FsmStatePipe;
+}());
+
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * The key of the route data read by the guards.
+ * @type {?}
+ */
+var machineRouteDataKey = 'fsm';
+/**
+ * @param {?} route
+ * @return {?}
+ */
+function routeDataOf(route) {
+    /** @type {?} */
+    var data = route.data && route.data[machineRouteDataKey];
+    if (!data || !data.machine) {
+        throw new Error('Undefined route data: ' + machineRouteDataKey);
+    }
+    return data;
+}
+// The rollbacks of the navigation in progress
+/** @type {?} */
+var rollbacks = [];
+/**
+ * Checks if the machine ends up in the given state, taking the transition
+ * to it if required. A transition may be rejected by its guard, or
+ * vetoed by its callbacks, and may settle asynchronously. A machine
+ * which throws instead, e.g., as another transition is in progress,
+ * or as it is not running, does not let the navigation go either.
+ * @param {?} router
+ * @param {?} machine
+ * @param {?} target
+ * @param {?} go
+ * @return {?}
+ */
+function enterState(router, machine, target, go) {
+    /** @type {?} */
+    var snapshot;
+    /** @type {?} */
+    var outcome;
+    try {
+        if (machine.isActive(target)) {
+            return Promise.resolve(true);
+        }
+        if (!machine.can(target)) {
+            return Promise.resolve(false);
+        }
+        if (!go) {
+            return Promise.resolve(true);
+        }
+        snapshot = machine.snapshot();
+        outcome = machine.go(target);
+    }
+    catch (e) {
+        return Promise.resolve(false);
+    }
+    return Promise.resolve(outcome).then(function () {
+        if (!machine.isActive(target)) {
+            return false;
+        }
+        rollBackUnlessNavigationEnds(router, machine, snapshot);
+        return true;
+    }, function () { return false; });
+}
+/**
+ * Puts the machine back into the given snapshot if the navigation
+ * does not end, unless the machine has moved on meanwhile.
+ * The guards of a navigation may take several transitions of
+ * the same machine, which are rolled back at once.
+ * @param {?} router
+ * @param {?} machine
+ * @param {?} snapshot
+ * @return {?}
+ */
+function rollBackUnlessNavigationEnds(router, machine, snapshot) {
+    /** @type {?} */
+    var taken = JSON.stringify(machine.configuration());
+    /** @type {?} */
+    var existing = rollbacks.filter(function (r) { return r.machine === machine; })[0];
+    if (existing) {
+        existing.taken = taken;
+        return;
+    }
+    /** @type {?} */
+    var rollback = { machine: machine, snapshot: snapshot, taken: taken };
+    rollbacks.push(rollback);
+    router.events.pipe(filter(function (e) { return e instanceof NavigationEnd || e instanceof NavigationCancel || e instanceof NavigationError; }), take(1)).subscribe(function (e) {
+        rollbacks.splice(rollbacks.indexOf(rollback), 1);
+        if (e instanceof NavigationEnd || machine.status() !== 'idle') {
+            return;
+        }
+        /** @type {?} */
+        var current;
+        try {
+            current = JSON.stringify(machine.configuration());
+        }
+        catch (error) {
+            // The machine has been disposed.
+            return;
+        }
+        if (current === rollback.taken) {
+            machine.restore(rollback.snapshot);
+        }
+    });
+}
+/**
+ * Guards the activation of a route by the state which the route stands for.
+ * If the route may not be activated, the navigation is redirected
+ * to the url configured for the current state, starting from
+ * the innermost one, or cancelled if there is none.
+ */
+var FsmCanActivateGuard = /** @class */ (function () {
+    function FsmCanActivateGuard(_registry, _router) {
+        this._registry = _registry;
+        this._router = _router;
+    }
     /**
-     * Performs a transition to the given state.
-     * This method also validate the transition.
+     * @param {?} route
+     * @return {?}
      */
+    FsmCanActivateGuard.prototype.canActivate = /**
+     * @param {?} route
+     * @return {?}
+     */
+    function (route) {
+        var _this = this;
+        /** @type {?} */
+        var data = routeDataOf(route);
+        if (!data.state) {
+            return Promise.resolve(true);
+        }
+        /** @type {?} */
+        var machine = this._registry.get(data.machine);
+        return enterState(this._router, machine, data.state, data.go).then(function (allowed) {
+            return allowed || _this.redirect(machine, data);
+        });
+    };
     /**
-     * Performs a transition to the given state.
-     * This method also validate the transition.
-     * @param {?} to
+     * @private
+     * @param {?} machine
+     * @param {?} data
      * @return {?}
      */
-    FiniteStateMachine.prototype.go = /**
-     * Performs a transition to the given state.
-     * This method also validate the transition.
-     * @param {?} to
+    FsmCanActivateGuard.prototype.redirect = /**
+     * @private
+     * @param {?} machine
+     * @param {?} data
      * @return {?}
      */
-    function (to) {
-        this.ensureRunningStage();
+    function (machine, data) {
         /** @type {?} */
-        var stateConf = this._stateConfiguration;
-        if (!stateConf[to]) {
-            throw new Error('Go to undefined state: ' + to);
-        }
-        if (this._impl.is(to)) {
-            // TODO: check if the underlying implementation takes into account
-            // moving from one state to itself
-            return this;
-        }
+        var redirects = data.redirects || {};
         /** @type {?} */
-        var currentState = this._impl.state;
+        var fallback = data.redirectTo ? this._router.parseUrl(data.redirectTo) : false;
         /** @type {?} */
-        var transitionName = replace(transitionKeyFormat, { from: currentState, to: to });
-        // Validate if this transition is allowed or not
-        if (this._impl.cannot(transitionName)) {
-            throw new Error('Transition is not allowed: ' + currentState + ' -> ' + to);
+        var configuration;
+        try {
+            configuration = machine.configuration();
         }
-        // Invoke this function
+        catch (e) {
+            // The machine is not running.
+            return fallback;
+        }
+        for (var k in configuration) {
+            if (configuration.hasOwnProperty(k)) {
+                /** @type {?} */
+                var path = machine.currentPath(k);
+                for (var i = path.length - 1; i >= 0; i--) {
+                    if (redirects.hasOwnProperty(path[i])) {
+                        return this._router.parseUrl(redirects[path[i]]);
+                    }
+                }
+            }
+        }
+        return fallback;
+    };
+    FsmCanActivateGuard.decorators = [
+        { type: Injectable }
+    ];
+    /** @nocollapse */
+    FsmCanActivateGuard.ctorParameters = function () { return [
+        { type: MachineRegistry },
+        { type: Router }
+    ]; };
+    return FsmCanActivateGuard;
+}());
+/**
+ * Guards the deactivation of a route by the state which the machine
+ * goes to when the route is left. A route without such a state
+ * may always be left.
+ */
+var FsmCanDeactivateGuard = /** @class */ (function () {
+    function FsmCanDeactivateGuard(_registry, _router) {
+        this._registry = _registry;
+        this._router = _router;
+    }
+    /**
+     * @param {?} component
+     * @param {?} route
+     * @return {?}
+     */
+    FsmCanDeactivateGuard.prototype.canDeactivate = /**
+     * @param {?} component
+     * @param {?} route
+     * @return {?}
+     */
+    function (component, route) {
         /** @type {?} */
-        var func = this._impl[transitionName];
-        func.call(this._impl);
-        return self;
+        var data = routeDataOf(route);
+        if (!data.exit) {
+            return Promise.resolve(true);
+        }
+        return enterState(this._router, this._registry.get(data.machine), data.exit, data.go);
     };
+    FsmCanDeactivateGuard.decorators = [
+        { type: Injectable }
+    ];
+    /** @nocollapse */
+    FsmCanDeactivateGuard.ctorParameters = function () { return [
+        { type: MachineRegistry },
+        { type: Router }
+    ]; };
+    return FsmCanDeactivateGuard;
+}());
+
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * The Angular module of the package. The machines registered with
+ * forRoot are shared by the whole application, and the machines
+ * registered with forFeature in a lazy loaded module are
+ * created in the injector of that module. The module also provides
+ * the fsmState directive and pipe for templates, and the route guards
+ * which consult the machines of the same injector.
+ */
+var FeBehaviorModule = /** @class */ (function () {
+    function FeBehaviorModule() {
+    }
     /**
-     * Provides the error handler for the FSM.
+     * Registers the given machines in the root injector.
      */
     /**
-     * Provides the error handler for the FSM.
-     * @template THIS
-     * @this {THIS}
-     * @param {?} fn
-     * @return {THIS}
+     * Registers the given machines in the root injector.
+     * @param {?=} registrations
+     * @return {?}
      */
-    FiniteStateMachine.prototype.addErrorHandler = /**
-     * Provides the error handler for the FSM.
-     * @template THIS
-     * @this {THIS}
-     * @param {?} fn
-     * @return {THIS}
+    FeBehaviorModule.forRoot = /**
+     * Registers the given machines in the root injector.
+     * @param {?=} registrations
+     * @return {?}
      */
-    function (fn) {
-        (/** @type {?} */ (this)).ensureConfigureStage();
-        (/** @type {?} */ (this))._errorHandler = fn;
-        return (/** @type {?} */ (this));
+    function (registrations) {
+        return {
+            ngModule: FeBehaviorModule,
+            providers: [
+                { provide: MACHINE_REGISTRATIONS, useValue: registrations || [], multi: true },
+                MachineRegistry,
+                FsmCanActivateGuard,
+                FsmCanDeactivateGuard
+            ]
+        };
     };
     /**
-     * Returns the current state.
+     * Registers the given machines in the injector of a feature module.
      */
     /**
-     * Returns the current state.
+     * Registers the given machines in the injector of a feature module.
+     * @param {?} registrations
      * @return {?}
      */
-    FiniteStateMachine.prototype.current = /**
-     * Returns the current state.
+    FeBehaviorModule.forFeature = /**
+     * Registers the given machines in the injector of a feature module.
+     * @param {?} registrations
      * @return {?}
      */
-    function () {
-        this.ensureRunningStage();
-        return this._impl.state;
+    function (registrations) {
+        return {
+            ngModule: FeBehaviorModule,
+            providers: [
+                { provide: MACHINE_REGISTRATIONS, useValue: registrations, multi: true },
+                MachineRegistry,
+                FsmCanActivateGuard,
+                FsmCanDeactivateGuard
+            ]
+        };
     };
-    return FiniteStateMachine;
+    FeBehaviorModule.decorators = [
+        { type: NgModule, args: [{
+                    declarations: [FsmStateDirective, FsmStatePipe],
+                    exports: [FsmStateDirective, FsmStatePipe]
+                },] }
+    ];
+    return FeBehaviorModule;
+}());
+
+/**
+ * @fileoverview added by tsickle
+ * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
+ */
+/**
+ * Runs the work of a machine outside the Angular zone, so that
+ * the transitions do not trigger change detection by themselves,
+ * and re-enters the zone only to notify the handlers and the subscribers,
+ * e.g., the fsmState directive and pipe. To be used by the machines
+ * of a registry, it is provided under MACHINE_EXECUTION_STRATEGY, e.g.,
+ * { provide: MACHINE_EXECUTION_STRATEGY, useClass: NgZoneExecutionStrategy }
+ */
+var NgZoneExecutionStrategy = /** @class */ (function () {
+    function NgZoneExecutionStrategy(_zone) {
+        this._zone = _zone;
+    }
+    /**
+     * @template T
+     * @param {?} work
+     * @return {?}
+     */
+    NgZoneExecutionStrategy.prototype.execute = /**
+     * @template T
+     * @param {?} work
+     * @return {?}
+     */
+    function (work) {
+        return this._zone.runOutsideAngular(work);
+    };
+    /**
+     * @param {?} delivery
+     * @return {?}
+     */
+    NgZoneExecutionStrategy.prototype.notify = /**
+     * @param {?} delivery
+     * @return {?}
+     */
+    function (delivery) {
+        if (NgZone.isInAngularZone()) {
+            delivery();
+        }
+        else {
+            this._zone.run(delivery);
+        }
+    };
+    NgZoneExecutionStrategy.decorators = [
+        { type: Injectable }
+    ];
+    /** @nocollapse */
+    NgZoneExecutionStrategy.ctorParameters = function () { return [
+        { type: NgZone }
+    ]; };
+    return NgZoneExecutionStrategy;
 }());
 
 /**
@@ -503,6 +6498,6 @@ FiniteStateMachine = /** @class */ (function () {
  * @suppress {checkTypes,extraRequire,missingReturn,unusedPrivateMembers,uselessCode} checked by tsc
  */
 
-export { FiniteStateMachine };
+export { FiniteStateMachine, validateDefinition, parentsOf, definitionVersion, DefinitionError, machineDefinitionSchema, renderDot, renderMermaid, parseScxml, serializeScxml, buildStateGraph, analyzeDefinition, parseProperty, checkProperty, realTimeScheduler, VirtualScheduler, directExecutionStrategy, MachineInspector, LocalDevToolsConnection, LocalDevTools, provideMachines, MACHINE_REGISTRATIONS, MACHINE_EXECUTION_STRATEGY, MachineRegistry, FeBehaviorModule, isAnyStateActive, FsmStateDirective, FsmStatePipe, machineRouteDataKey, FsmCanActivateGuard, FsmCanDeactivateGuard, NgZoneExecutionStrategy };
 
 //# sourceMappingURL=polpware-fe-behavior.js.map
\ No newline at end of file
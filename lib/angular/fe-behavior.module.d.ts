@@ -0,0 +1,27 @@
+/**
+ * @fileOverview
+ * Provides the Angular module which makes finite state machines injectable.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { ModuleWithProviders } from '@angular/core';
+import { IMachineRegistration } from './machine-registry';
+/**
+ * The Angular module of the package. The machines registered with
+ * forRoot are shared by the whole application, and the machines
+ * registered with forFeature in a lazy loaded module are
+ * created in the injector of that module. The module also provides
+ * the fsmState directive and pipe for templates, and the route guards
+ * which consult the machines of the same injector.
+ * @class FeBehaviorModule
+ */
+export declare class FeBehaviorModule {
+    /**
+     * Registers the given machines in the root injector.
+     */
+    static forRoot(registrations?: Array<IMachineRegistration>): ModuleWithProviders;
+    /**
+     * Registers the given machines in the injector of a feature module.
+     */
+    static forFeature(registrations: Array<IMachineRegistration>): ModuleWithProviders;
+}
@@ -0,0 +1,47 @@
+import { ActivatedRouteSnapshot, CanActivate, CanDeactivate, Router, UrlTree } from '@angular/router';
+import { MachineRegistry } from './machine-registry';
+/**
+ * The key of the route data read by the guards.
+ */
+export declare const machineRouteDataKey = "fsm";
+/**
+ * Describes how a route is gated by a machine, e.g.,
+ * data: { fsm: { machine: 'checkout', state: 'payment', go: true,
+ *     redirects: { cart: '/checkout/cart' }, redirectTo: '/' } }
+ */
+export interface IMachineRouteData {
+    machine: string;
+    state?: string;
+    exit?: string;
+    go?: boolean;
+    redirects?: {
+        [key: string]: string;
+    };
+    redirectTo?: string;
+}
+/**
+ * Guards the activation of a route by the state which the route stands for.
+ * If the route may not be activated, the navigation is redirected
+ * to the url configured for the current state, starting from
+ * the innermost one, or cancelled if there is none.
+ * @class FsmCanActivateGuard
+ */
+export declare class FsmCanActivateGuard implements CanActivate {
+    private _registry;
+    private _router;
+    constructor(_registry: MachineRegistry, _router: Router);
+    canActivate(route: ActivatedRouteSnapshot): Promise<boolean | UrlTree>;
+    private redirect;
+}
+/**
+ * Guards the deactivation of a route by the state which the machine
+ * goes to when the route is left. A route without such a state
+ * may always be left.
+ * @class FsmCanDeactivateGuard
+ */
+export declare class FsmCanDeactivateGuard implements CanDeactivate<any> {
+    private _registry;
+    private _router;
+    constructor(_registry: MachineRegistry, _router: Router);
+    canDeactivate(component: any, route: ActivatedRouteSnapshot): Promise<boolean>;
+}
@@ -0,0 +1,42 @@
+/**
+ * @fileOverview
+ * Provides the structural directive which renders a template
+ * depending on the active states of a finite state machine.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { NgZone, OnChanges, OnDestroy, SimpleChanges, TemplateRef, ViewContainerRef } from '@angular/core';
+import { FiniteStateMachine } from '../state/finite-state-machine';
+/**
+ * Checks if any of the given states is active in the given machine.
+ * A machine which has not yet started has no active state.
+ */
+export declare function isAnyStateActive(machine: FiniteStateMachine<any, any, any, boolean>, states: string | Array<string>): boolean;
+/**
+ * Renders its template while any of the given states is active,
+ * and the else template otherwise, e.g.,
+ * <div *fsmState="['loading', 'saving']; machine: fsm; else idle">...</div>
+ * A state is active if it is the current state of a region, or
+ * it encloses one. The template is updated whenever the machine
+ * takes a transition, even outside the Angular zone.
+ * @class FsmStateDirective
+ */
+export declare class FsmStateDirective implements OnChanges, OnDestroy {
+    private _viewContainer;
+    private _templateRef;
+    private _zone;
+    fsmState: string | Array<string>;
+    fsmStateMachine: FiniteStateMachine<any, any, any, boolean>;
+    fsmStateElse: TemplateRef<any>;
+    private _subscription;
+    private _shown;
+    constructor(_viewContainer: ViewContainerRef, _templateRef: TemplateRef<any>, _zone: NgZone);
+    ngOnChanges(changes: SimpleChanges): void;
+    ngOnDestroy(): void;
+    private unsubscribe;
+    /**
+     * Shows the template matching the active states,
+     * unless it is shown already.
+     */
+    private render;
+}
@@ -0,0 +1,34 @@
+/**
+ * @fileOverview
+ * Provides the pipe which reads the states of a finite state machine
+ * in templates.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { ChangeDetectorRef, NgZone, OnDestroy, PipeTransform } from '@angular/core';
+import { FiniteStateMachine } from '../state/finite-state-machine';
+/**
+ * Reads the states of a machine, and marks the view for check
+ * whenever the machine takes a transition, even outside the Angular zone.
+ * Without an argument, it returns the current state of the default region,
+ * e.g., {{ fsm | fsmState }}, or, if every state is in a named region,
+ * the current state of every region, e.g., {{ (fsm | fsmState).left }},
+ * which is the same object until the machine takes another transition;
+ * given a state or a list of states, it returns whether any of them
+ * is active, e.g., [class.busy]="fsm | fsmState: ['loading', 'saving']".
+ * @class FsmStatePipe
+ */
+export declare class FsmStatePipe implements PipeTransform, OnDestroy {
+    private _changeDetector;
+    private _zone;
+    private _machine;
+    private _subscription;
+    private _configuration;
+    constructor(_changeDetector: ChangeDetectorRef, _zone: NgZone);
+    transform(machine: FiniteStateMachine<any, any, any, boolean>): string | {
+        [region: string]: string;
+    };
+    transform(machine: FiniteStateMachine<any, any, any, boolean>, states: string | Array<string>): boolean;
+    ngOnDestroy(): void;
+    private unsubscribe;
+}
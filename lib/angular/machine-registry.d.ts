@@ -0,0 +1,74 @@
+/**
+ * @fileOverview
+ * Provides the injectable registry of finite state machines, which
+ * creates the machines registered in its injector on demand, and
+ * disposes them when the injector is destroyed.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { InjectionToken, OnDestroy, Provider } from '@angular/core';
+import { FiniteStateMachine } from '../state/finite-state-machine';
+import { IMachineDefinition } from '../state/machine-definition';
+import { IExecutionStrategy } from '../state/execution-strategy';
+/**
+ * Describes a machine to be provided by a registry.
+ * The callbacks and the guards in the definition are referred to
+ * by their names in the map of implementations.
+ */
+export interface IMachineRegistration {
+    name: string;
+    definition: IMachineDefinition;
+    implementations?: {
+        [key: string]: any;
+    };
+}
+/**
+ * The token under which the registrations of machines are provided.
+ * Each provider contributes an array of registrations.
+ */
+export declare const MACHINE_REGISTRATIONS: InjectionToken<IMachineRegistration[][]>;
+/**
+ * The token under which the execution strategy of the machines
+ * created by a registry is provided, if any.
+ */
+export declare const MACHINE_EXECUTION_STRATEGY: InjectionToken<IExecutionStrategy>;
+/**
+ * Represents the machines available in an injector.
+ * A machine registered in the same injector as the registry is created
+ * and started on the first request, and a machine registered elsewhere
+ * is looked up in the registry of the parent injector.
+ * Provided at the component level without any registration, the registry
+ * creates its own instances of the machines visible to the component.
+ * @class MachineRegistry
+ */
+export declare class MachineRegistry implements OnDestroy {
+    private _registrations;
+    private _machines;
+    private _parent;
+    private _execution;
+    constructor(registrations: Array<IMachineRegistration[]>, parent: MachineRegistry, execution: IExecutionStrategy);
+    /**
+     * Checks if the machine of the given name is available,
+     * either in this registry or in any of its ancestors.
+     */
+    has(name: string): boolean;
+    /**
+     * Returns the machine of the given name, which is created
+     * from its definition and started on the first request,
+     * with the execution strategy provided, if any.
+     * The states, the events and the context data of the machine
+     * may be given as the type parameters, as in FiniteStateMachine,
+     * and so may the mode, which is otherwise unknown.
+     */
+    get<TState extends string = string, TEvent extends string = string, TContext = any, TAsync extends boolean = boolean>(name: string): FiniteStateMachine<TState, TEvent, TContext, TAsync>;
+    /**
+     * Disposes the machines created by this registry.
+     */
+    ngOnDestroy(): void;
+}
+/**
+ * Returns the providers of a registry of the given machines, e.g.,
+ * to be used in the providers of a component, so that the machines
+ * live as long as the component.
+ */
+export declare function provideMachines(registrations: Array<IMachineRegistration>): Array<Provider>;
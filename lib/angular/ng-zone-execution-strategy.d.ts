@@ -0,0 +1,24 @@
+/**
+ * @fileOverview
+ * Provides the execution strategy which runs finite state machines
+ * outside the Angular zone.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { NgZone } from '@angular/core';
+import { IExecutionStrategy } from '../state/execution-strategy';
+/**
+ * Runs the work of a machine outside the Angular zone, so that
+ * the transitions do not trigger change detection by themselves,
+ * and re-enters the zone only to notify the handlers and the subscribers,
+ * e.g., the fsmState directive and pipe. To be used by the machines
+ * of a registry, it is provided under MACHINE_EXECUTION_STRATEGY, e.g.,
+ * { provide: MACHINE_EXECUTION_STRATEGY, useClass: NgZoneExecutionStrategy }
+ * @class NgZoneExecutionStrategy
+ */
+export declare class NgZoneExecutionStrategy implements IExecutionStrategy {
+    private _zone;
+    constructor(_zone: NgZone);
+    execute<T>(work: () => T): T;
+    notify(delivery: () => void): void;
+}
@@ -0,0 +1,25 @@
+/**
+ * @fileOverview
+ * Provides the exporters rendering the definition of a finite state machine
+ * as Graphviz DOT and Mermaid (stateDiagram-v2) text.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { IMachineDefinition } from './machine-definition';
+/**
+ * Options for rendering a diagram.
+ */
+export interface IDiagramOptions {
+    active?: Array<string>;
+}
+/**
+ * Renders a definition as a Graphviz DOT graph. A compound state is
+ * rendered as a cluster, and an orthogonal region as a dashed cluster.
+ */
+export declare function renderDot(definition: IMachineDefinition, options?: IDiagramOptions): string;
+/**
+ * Renders a definition as a Mermaid state diagram (stateDiagram-v2).
+ * The states are given generated identifiers, as state names
+ * may contain characters which Mermaid does not accept.
+ */
+export declare function renderMermaid(definition: IMachineDefinition, options?: IDiagramOptions): string;
@@ -0,0 +1,19 @@
+/**
+ * @fileOverview
+ * Provides the strategies deciding where a finite state machine
+ * does its work and delivers its notifications, e.g., inside or
+ * outside the zone of a framework.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+/**
+ * Defines where a machine runs.
+ */
+export interface IExecutionStrategy {
+    execute<T>(work: () => T): T;
+    notify(delivery: () => void): void;
+}
+/**
+ * The strategy which runs everything where the machine is called.
+ */
+export declare const directExecutionStrategy: IExecutionStrategy;
@@ -1,5 +1,96 @@
-declare type MethodCallbackType = (ILifeCycleEvent: any) => void;
-declare type ErrorHandlerType = (name: string, from: string, to: string) => void;
+import { Observable } from 'rxjs';
+import { IMachineDefinition } from './machine-definition';
+import { IAnalysisReport } from './model-checking';
+import { IPropertyResult } from './temporal-logic';
+import { IScheduler } from './scheduler';
+import { IExecutionStrategy } from './execution-strategy';
+/**
+ * Describes a transition to the callbacks invoked during it.
+ * The type parameters are the states, the events and the context data
+ * of the FSM, as in FiniteStateMachine.
+ */
+export interface ILifeCycleEvent<TState extends string = string, TEvent extends string = string, TContext = any> {
+    transition: string;
+    from: TState;
+    to: TState;
+    region?: string;
+    event?: TEvent;
+    payload?: any;
+    context?: TContext;
+}
+/**
+ * Describes a change of the context data.
+ */
+export interface IContextChangeEvent<TState extends string = string, TEvent extends string = string, TContext = any> {
+    context: TContext;
+    previous: TContext;
+    lifecycle: ILifeCycleEvent<TState, TEvent, TContext>;
+}
+/**
+ * Describes an error reported to the error handler.
+ */
+export interface IErrorEvent {
+    name: string;
+    from: string;
+    to: string;
+    error?: any;
+}
+/**
+ * Describes a transition which has been taken.
+ */
+export interface IHistoryEntry<TState extends string = string> {
+    transition: string;
+    from: TState;
+    to: TState;
+    region: string;
+    payload?: any;
+    timestamp?: number;
+}
+/**
+ * Describes the running status of a FSM in plain JSON data,
+ * from which a FSM of the same configuration may be started again.
+ */
+export interface ISnapshot<TState extends string = string, TContext = any> {
+    version: number;
+    state: {
+        [key: string]: TState;
+    };
+    context: TContext;
+    history: Array<IHistoryEntry<TState>>;
+    undone?: Array<IHistoryEntry<TState>>;
+    lastActive?: {
+        [key: string]: TState;
+    };
+}
+export declare type MethodCallbackType<TState extends string = string, TEvent extends string = string, TContext = any> = (lifecycle: ILifeCycleEvent<TState, TEvent, TContext>) => void;
+export declare type ErrorHandlerType = (name: string, from: string, to: string, error?: any) => void;
+export declare type GuardType<TContext = any> = (context: TContext, payload?: any) => boolean;
+export declare type ContextChangeCallbackType<TState extends string = string, TEvent extends string = string, TContext = any> = (change: IContextChangeEvent<TState, TEvent, TContext>) => void;
+export declare type AssignFunctionType<TContext = any> = (context: TContext, payload?: any) => Partial<TContext>;
+export declare type AssignType<TContext = any> = AssignFunctionType<TContext> | {
+    [K in keyof TContext]?: TContext[K] | ((context: TContext, payload?: any) => TContext[K]);
+};
+export declare type MiddlewareType<TState extends string = string, TEvent extends string = string, TContext = any> = (lifecycle: ILifeCycleEvent<TState, TEvent, TContext>, next: (payload?: any) => any) => any;
+export declare type SameStatePolicyType = 'ignore' | 'error' | 'reenter';
+export declare type TransitionResultType<TAsync extends boolean, TMachine, TResult> = TAsync extends true ? Promise<TResult> : TMachine;
+export interface IStateOptions<TState extends string = string> {
+    parent?: TState;
+    initial?: TState;
+    region?: string;
+    final?: boolean;
+}
+export interface IHistoryStateOptions<TState extends string = string> {
+    deep?: boolean;
+    defaultTarget?: TState;
+}
+export interface ITransitionOptions<TState extends string = string, TEvent extends string = string, TContext = any> {
+    guard?: GuardType<TContext>;
+    event?: TEvent;
+    assign?: AssignType<TContext>;
+    delay?: number;
+    compensation?: TState;
+    internal?: boolean;
+}
 /**
  * Represents a finite state machine.
  * The resulting FSM is built upon a commonly used javascript
@@ -10,16 +101,77 @@ declare type ErrorHandlerType = (name: string, from: string, to: string) => void
  * transitions
  * - Support for asychronous and synchrous transitions
  * - Support for global exception handling
+ * The states, the events and the context data may be typed by
+ * the type parameters, e.g.,
+ * new FiniteStateMachine<'idle' | 'busy', 'submit', { count: number }>(),
+ * so that the names are checked at compile time and the callbacks
+ * receive precisely typed lifecycle events. The last type parameter
+ * tells whether the FSM is in the asynchronous mode, as set by
+ * setAsyncMode, so that taking a transition is typed to return
+ * either the FSM or a promise.
  * @class FSM
  */
-export declare class FiniteStateMachine {
-    private _impl;
+export declare class FiniteStateMachine<TState extends string = string, TEvent extends string = string, TContext = any, TAsync extends boolean = false> {
+    private _impls;
     private _initState;
+    private _context;
+    private _asyncMode;
+    private _sameStatePolicy;
+    private _pendingRegions;
     private _errorHandler;
+    private _regionConfiguration;
+    private _historyConfiguration;
+    private _lastActive;
+    private _scheduler;
+    private _timers;
+    private _execution;
+    private _disposed;
+    private _configurationSubject;
+    private _transitionSubject;
+    private _errorSubject;
+    private _contextSubject;
+    readonly configuration$: Observable<{
+        [key: string]: TState;
+    }>;
+    readonly state$: Observable<TState>;
+    readonly transitions$: Observable<ILifeCycleEvent<TState, TEvent, TContext>>;
+    readonly errors$: Observable<IErrorEvent>;
+    readonly context$: Observable<TContext>;
     private _stateConfiguration;
     private _transitionConfiguration;
+    private _reentryConfiguration;
+    private _eventConfiguration;
     private _handlers;
+    private _middleware;
+    private _history;
+    private _historyLimit;
+    private _undone;
+    private _replays;
+    private _settledEvents;
+    private _implementations;
     constructor();
+    /**
+     * Builds a FSM from a declarative definition, in which the callbacks
+     * and the guards are referred to by their names in the given map of
+     * implementations. The resulting FSM is configured but not started.
+     * If the definition is invalid, a DefinitionError listing all
+     * the problems found is thrown. The mode of the FSM is given by
+     * the definition, so it is unknown to the type system,
+     * unless stated by the last type parameter.
+     */
+    static fromDefinition<TState extends string = string, TEvent extends string = string, TContext = any, TAsync extends boolean = boolean>(definition: IMachineDefinition, implementations?: {
+        [key: string]: any;
+    }): FiniteStateMachine<TState, TEvent, TContext, TAsync>;
+    /**
+     * Builds a FSM from a SCXML document, in which the onentry and onexit
+     * handlers and the conditions refer to the callbacks and the guards
+     * by their names in the given map of implementations.
+     * The resulting FSM is configured but not started,
+     * and it is in the synchronous mode.
+     */
+    static fromScxml<TState extends string = string, TEvent extends string = string, TContext = any>(xml: string, implementations?: {
+        [key: string]: any;
+    }): FiniteStateMachine<TState, TEvent, TContext>;
     /**
      * Checks if FSM is in configuration stage.
      */
@@ -28,51 +180,444 @@ export declare class FiniteStateMachine {
      * Checks if FSM is in running stage.
      */
     private ensureRunningStage;
+    /**
+     * Returns the given state and all of its enclosing states,
+     * starting from the outermost one.
+     */
+    private pathOf;
+    /**
+     * Resolves the atomic state which is entered
+     * when a transition targets the given state.
+     */
+    private resolveAtomicState;
+    /**
+     * Returns the atomic states which are nested in the given state,
+     * or the state itself if it does not have any child.
+     */
+    private atomicStatesOf;
+    /**
+     * Invokes the given callbacks which may delay or veto a transition.
+     * In the asynchronous mode, a promise resolved to false is turned into
+     * a rejection, as the underlying implementation would not take it as a veto.
+     * In the synchronous mode, a promise is an error, which vetoes
+     * the transition, as the underlying implementation would wait for it.
+     */
+    private invokeVetoableCallbacks;
+    /**
+     * Updates the context data as declared by a transition,
+     * and notifies the handlers of the change.
+     */
+    private assignContext;
+    /**
+     * Notifies the subscribers of context$ of the current context data.
+     */
+    private notifyContext;
+    /**
+     * Reports an error to the error handler and to the subscribers of errors$.
+     */
+    private reportError;
+    /**
+     * Delivers a notification by the execution strategy, unless
+     * nobody listens to it, in which case it is delivered at once.
+     */
+    private deliver;
+    /**
+     * Returns the specification of the given transition, which is either
+     * defined, or implied by the same-state policy for re-entering a state.
+     */
+    private transitionOf;
+    /**
+     * Computes the states left and entered by a transition. A self-transition
+     * leaves and re-enters its own state, unless it is internal.
+     */
+    private stepsOf;
+    /**
+     * Returns the underlying implementation for the given region.
+     */
+    private implOf;
+    /**
+     * Defines an orthogonal region, which is active at the same time as
+     * the default region and all the other regions.
+     * Each region has its own init state and its own current state.
+     */
+    addRegion(name: string, initState: TState): this;
     /**
      * Defines the behavior when the FSM moves into a state by a transition.
+     * A state may be nested in another state, either by a dotted name
+     * (e.g., 'editor.saving') or by the parent option. Entering a child
+     * state enters its parent first, and the transitions defined
+     * on the parent apply to all of its descendants.
      */
-    addState(name: string, onEnterCallback?: MethodCallbackType, onLeaveCallback?: MethodCallbackType): this;
+    addState(name: TState, onEnterCallback?: MethodCallbackType<TState, TEvent, TContext>, onLeaveCallback?: MethodCallbackType<TState, TEvent, TContext>, options?: IStateOptions<TState>): this;
+    /**
+     * Defines a history pseudo-state of a compound state. A transition
+     * to a history state enters the child of the compound state which
+     * was last active when the compound state was left, or with the deep
+     * option, the atomic state which was last active. If the compound
+     * state has not been left yet, the default target is entered.
+     */
+    addHistoryState(name: TState, parent: TState, options?: IHistoryStateOptions<TState>): this;
+    /**
+     * Resolves the atomic state which is entered
+     * when a transition targets the given history state.
+     */
+    private resolveHistoryState;
+    /**
+     * Remembers the last active atomic state of the compound states
+     * with history states, which are left by a transition.
+     */
+    private rememberHistory;
     /**
      * Defines the init state for the FSM.
      */
-    setInitState(name: string): this;
+    setInitState(name: TState): this;
+    /**
+     * Turns on or off the asynchronous mode. In the asynchronous mode,
+     * the before and leave callbacks may return a promise, and
+     * a transition completes only after such a promise is resolved.
+     * If the promise is rejected, the FSM stays in the source state
+     * and the error handler is invoked. In the synchronous mode,
+     * such a promise vetoes the transition as an error.
+     */
+    setAsyncMode(value: true): FiniteStateMachine<TState, TEvent, TContext, true>;
+    setAsyncMode(value: false): FiniteStateMachine<TState, TEvent, TContext, false>;
+    setAsyncMode(value: boolean): FiniteStateMachine<TState, TEvent, TContext, boolean>;
+    /**
+     * Defines what going to an active state does, if no transition
+     * is defined for it, e.g., by a self-transition: 'ignore' does nothing,
+     * which is the default; 'error' throws an error; 'reenter' leaves
+     * and re-enters the state, as an external self-transition would.
+     */
+    setSameStatePolicy(policy: SameStatePolicyType): this;
+    /**
+     * Defines the scheduler which drives the delayed transitions,
+     * e.g., a VirtualScheduler in tests. By default, the timers of
+     * the environment are used.
+     */
+    setScheduler(scheduler: IScheduler): this;
+    /**
+     * Defines where the FSM does its work and delivers its notifications,
+     * e.g., outside the zone of a framework. By default, everything
+     * runs where the FSM is called.
+     */
+    setExecutionStrategy(strategy: IExecutionStrategy): this;
+    /**
+     * Defines how many transitions the history keeps at most,
+     * which also bounds how many transitions may be undone.
+     */
+    setHistoryLimit(limit: number): this;
+    /**
+     * Defines the initial context data for the FSM, which is
+     * passed to the guard conditions of transitions and delivered in
+     * every lifecycle event. The context data is updated only by
+     * the assign option of transitions.
+     */
+    setContext(context: TContext): this;
     /**
      * Defines a new stransition.
+     * A transition with a guard condition is taken only if the guard holds.
+     * A transition with a delay is scheduled whenever its source state is
+     * entered, and is cancelled if the source state is left before.
+     * A transition with a compensation state is undone by going to it,
+     * rather than to the source state.
+     * A self-transition, i.e., from a state to itself, leaves and
+     * re-enters the state, including its descendants, unless it is
+     * internal, in which case no state is left or entered.
+     * A transition may be triggered by a named event, and the same event
+     * may trigger different transitions from different states.
+     */
+    addTransition(from: TState, to: TState, onAfterCallback?: MethodCallbackType<TState, TEvent, TContext>, onBeforeCallback?: MethodCallbackType<TState, TEvent, TContext>, options?: ITransitionOptions<TState, TEvent, TContext>): this;
+    /**
+     * Builds the underlying implementation for the given region.
+     */
+    private createImpl;
+    /**
+     * Schedules the delayed transitions from the given states,
+     * which have just been entered.
+     */
+    private scheduleDelayedTransitions;
+    /**
+     * Cancels the delayed transitions from the given states,
+     * which are being left.
+     */
+    private cancelDelayedTransitions;
+    /**
+     * Takes a delayed transition when its time is up. The transition is
+     * skipped if its guard does not hold, or another transition of
+     * the region is in progress.
+     */
+    private fireDelayedTransition;
+    /**
+     * Appends a taken transition to the history,
+     * dropping the oldest one if the history is full.
+     * Undoing a transition moves it from the history to the undone ones,
+     * and any other transition than a redo clears the undone ones.
+     */
+    private recordHistory;
+    /**
+     * Checks that the given snapshot may be restored
+     * in the current configuration.
      */
-    addTransition(from: string, to: string, onAfterCallback?: MethodCallbackType, onBeforeCallback?: MethodCallbackType): this;
+    private validateSnapshot;
     /**
      * Starts the FSM. Note that this method must be invoked before
      * any method which may change the state of the FSM.
+     * Each region starts from its own init state, unless
+     * a snapshot is given, in which case the FSM resumes from
+     * the saved states, context and history without invoking
+     * any enter callbacks.
+     */
+    start(snapshot?: ISnapshot<TState, TContext>): this;
+    /**
+     * Loads the context data and the history from the given snapshot,
+     * or resets them if no snapshot is given.
      */
-    start(): this;
+    private loadRunningStatus;
+    /**
+     * Puts the running FSM back into the status captured by a snapshot,
+     * e.g., for time-travel debugging. As when starting from a snapshot,
+     * none of the callbacks are invoked. The delayed transitions are
+     * scheduled again from the restored states.
+     */
+    restore(snapshot: ISnapshot<TState, TContext>): this;
+    /**
+     * Returns an observable of the current state of the given region,
+     * or of the default region if no region is given. The current state
+     * is replayed to each new subscriber once the FSM has started.
+     * A state is emitted only when it differs from the previous one,
+     * so re-entering the current state, or an internal transition,
+     * is not emitted; it is found on transitions$ instead.
+     */
+    watchState(region?: string): Observable<TState>;
+    /**
+     * Disposes the FSM, i.e., cancels the pending delayed transitions and
+     * completes the observables. The FSM cannot be used any more afterwards.
+     */
+    dispose(): void;
     /**
      * Registers a handler for enterstate
      */
-    onEnterState(handler: MethodCallbackType): this;
+    onEnterState(handler: MethodCallbackType<TState, TEvent, TContext>): this;
     /**
      * Registers a handler for exitstate
      */
-    onExitState(handler: MethodCallbackType): this;
+    onExitState(handler: MethodCallbackType<TState, TEvent, TContext>): this;
     /**
      * Un-register a handler for enterstate
      */
-    offEnterState(handler: MethodCallbackType): this;
+    offEnterState(handler: MethodCallbackType<TState, TEvent, TContext>): this;
     /**
      * Un-register a handler for exitstate
      */
-    offExitState(handler: MethodCallbackType): this;
+    offExitState(handler: MethodCallbackType<TState, TEvent, TContext>): this;
+    /**
+     * Looks for a transition among the candidates of each active state,
+     * starting from the innermost active state. A transition whose guard
+     * does not hold is skipped, and the first of such transitions
+     * is reported as rejected.
+     */
+    private seekTransition;
+    /**
+     * Fires the given transition in the given region.
+     * In the asynchronous mode, it returns a promise which is resolved
+     * to the resulting state once the transition settles.
+     */
+    private fireTransition;
+    /**
+     * Notifies the subscribers of the transition taken in the given region,
+     * if any. It is done once the transition settles, so that
+     * the subscribers may use the FSM at once, e.g., take a snapshot.
+     */
+    private notifySettled;
+    /**
+     * Registers a handler for the change of the context data
+     */
+    onContextChange(handler: ContextChangeCallbackType<TState, TEvent, TContext>): this;
+    /**
+     * Un-register a handler for the change of the context data
+     */
+    offContextChange(handler: ContextChangeCallbackType<TState, TEvent, TContext>): this;
+    /**
+     * Registers a middleware which wraps every transition, in the order
+     * of registration, the first one being the outermost. A middleware is
+     * invoked with the lifecycle event of the transition before any callback,
+     * and may inspect it, replace the payload by calling next with a new one,
+     * veto the transition by not calling next or by throwing, and run code
+     * after the transition by working on what next returns.
+     * In the asynchronous mode, next returns a promise, and a middleware
+     * is expected to return a promise too if it waits for the transition.
+     */
+    use(middleware: MiddlewareType<TState, TEvent, TContext>): this;
+    /**
+     * Un-register a middleware
+     */
+    unuse(middleware: MiddlewareType<TState, TEvent, TContext>): this;
     /**
      * Performs a transition to the given state.
      * This method also validate the transition.
+     * The payload is delivered to all callbacks of the transition,
+     * as part of the lifecycle event.
+     * If the transition is rejected by its guard, the error handler
+     * is invoked instead.
+     * Going to an active state takes the self-transition defined for it,
+     * if any, and otherwise follows the same-state policy.
+     * In the asynchronous mode, it returns a promise which is resolved
+     * to the resulting state once the transition settles.
+     */
+    go(to: TState, payload?: any): TransitionResultType<TAsync, this, TState>;
+    /**
+     * Sends a named event to the FSM. In each region, the event triggers
+     * the first transition defined for it from the active states whose guard
+     * holds. If no region takes a transition, the error handler is invoked.
+     * In the asynchronous mode, it returns a promise which is resolved
+     * to the resulting states of the regions taking a transition.
+     */
+    send(eventName: TEvent, payload?: any): TransitionResultType<TAsync, this, Array<TState>>;
+    /**
+     * Checks if the FSM can go to the given state, i.e., there is
+     * a transition from the active states whose guard holds.
+     */
+    can(to: TState, payload?: any): boolean;
+    /**
+     * Returns the transitions taken, the oldest one first.
+     */
+    history(): Array<IHistoryEntry<TState>>;
+    /**
+     * Looks for the transition undoing the given one, i.e., the transition
+     * from its target state back to its source state, or to its
+     * compensation state if declared. The FSM must still be in
+     * the target state, or the history does not apply any more.
+     */
+    private seekUndoTransition;
+    /**
+     * Looks for the given transition again, for redoing it.
+     */
+    private seekRedoTransition;
+    /**
+     * Takes the transition which undoes or redoes the given one,
+     * and keeps track of it until the transition settles.
      */
-    go(to: string): Window | this;
+    private replay;
+    /**
+     * Undoes the last transition in the history, by taking the transition
+     * from its target state back to its source state, or to its
+     * compensation state if declared. The transition is given the same
+     * payload, and it is subject to its guard like any other.
+     * In the asynchronous mode, it returns a promise which is resolved
+     * to the resulting state once the transition settles.
+     */
+    undo(): TransitionResultType<TAsync, this, TState>;
+    /**
+     * Redoes the last undone transition, with the same payload.
+     * In the asynchronous mode, it returns a promise which is resolved
+     * to the resulting state once the transition settles.
+     */
+    redo(): TransitionResultType<TAsync, this, TState>;
+    /**
+     * Checks if the last transition in the history may be undone.
+     */
+    canUndo(): boolean;
+    /**
+     * Checks if the last undone transition may be redone.
+     */
+    canRedo(): boolean;
+    /**
+     * Returns the status of the FSM, which is one of
+     * 'configuring', 'idle' and 'transitioning'.
+     */
+    status(): "configuring" | "idle" | "transitioning";
+    /**
+     * Captures the running status of the FSM, i.e., the current states,
+     * the context data and the history, in plain JSON data.
+     * Note that the context data and the payloads of the transitions
+     * in the history are expected to be serializable.
+     */
+    snapshot(): ISnapshot<TState, TContext>;
+    /**
+     * Returns the current context data.
+     */
+    getContext(): TContext;
     /**
      * Provides the error handler for the FSM.
      */
     addErrorHandler(fn: ErrorHandlerType): this;
     /**
-     * Returns the current state.
+     * Returns the current state of the given region,
+     * or of the default region if no region is given.
+     * In case of nested states, it is the innermost active state.
+     */
+    current(region?: string): TState;
+    /**
+     * Returns the full active path of the given region, i.e., the current state
+     * and all of its enclosing states, starting from the outermost one.
+     */
+    currentPath(region?: string): TState[];
+    /**
+     * Returns the active configuration, i.e.,
+     * the current state of every region.
+     */
+    configuration(): {
+        [key: string]: TState;
+    };
+    /**
+     * Checks if the given state is active, i.e., it is the current state
+     * of a region, or it encloses the current state of a region.
+     */
+    isActive(name: TState): boolean;
+    /**
+     * Exports the configuration of the FSM as a declarative definition.
+     * The callbacks and the guards are named by looking them up in
+     * the given map of implementations, which defaults to the one
+     * the FSM is built from. The context data is exported as it is now.
+     * If any of them cannot be named, a DefinitionError is thrown.
+     */
+    toDefinition(implementations?: {
+        [key: string]: any;
+    }): IMachineDefinition;
+    /**
+     * Builds the definition of the FSM, and collects the problems
+     * found instead of throwing. A callback which cannot be named is
+     * given a placeholder name.
+     */
+    private describe;
+    /**
+     * Exports the configuration of the FSM as a SCXML document.
+     * The callbacks and the guards are named in the same way
+     * as toDefinition does.
+     */
+    toScxml(implementations?: {
+        [key: string]: any;
+    }): string;
+    /**
+     * Checks the configuration of the FSM, and reports the states
+     * which are unreachable from the init states, the dead ends which are
+     * not final, the states without incoming transitions, the strongly
+     * connected components, and the states which cannot reach a final state.
+     * Note that guard conditions are not taken into account.
+     */
+    analyze(): IAnalysisReport;
+    /**
+     * Checks a temporal property, e.g., 'AG (editing -> EF saved)',
+     * against the transitions of the FSM from the init state of the given
+     * region, and gives a counterexample path if the property does not hold.
+     * See temporal-logic for the property language.
+     */
+    check(property: string, region?: string): IPropertyResult;
+    /**
+     * Renders the configuration of the FSM as a Graphviz DOT graph.
+     * If required, the states in which a running FSM currently is
+     * are highlighted.
+     */
+    toDot(highlightCurrent?: boolean): string;
+    /**
+     * Renders the configuration of the FSM as a Mermaid state diagram.
+     * If required, the states in which a running FSM currently is
+     * are highlighted.
+     */
+    toMermaid(highlightCurrent?: boolean): string;
+    /**
+     * Returns the active states of all regions,
+     * including the enclosing compound states.
      */
-    current(): string;
+    private activeStates;
 }
-export {};
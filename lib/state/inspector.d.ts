@@ -0,0 +1,141 @@
+import { FiniteStateMachine, ISnapshot } from './finite-state-machine';
+/**
+ * Describes a message sent by the DevTools extension.
+ */
+export interface IDevToolsMessage {
+    type: string;
+    payload?: any;
+    state?: string;
+}
+/**
+ * Describes a connection to the DevTools extension,
+ * as returned by its connect method.
+ */
+export interface IDevToolsConnection {
+    init(state: any): void;
+    send(action: any, state: any): void;
+    subscribe(listener: (message: IDevToolsMessage) => void): any;
+    unsubscribe(): void;
+    error(message: string): void;
+}
+/**
+ * Describes the DevTools extension, i.e.,
+ * window.__REDUX_DEVTOOLS_EXTENSION__ in the browser.
+ */
+export interface IDevToolsExtension {
+    connect(options?: {
+        name?: string;
+    }): IDevToolsConnection;
+}
+/**
+ * Describes what the machine does at some point.
+ */
+export interface IInspectorRecord {
+    id?: number;
+    type: string;
+    transition?: string;
+    event?: string;
+    from?: string;
+    to?: string;
+    payload?: any;
+    error?: any;
+    context: any;
+    previous?: any;
+    snapshot?: ISnapshot;
+    timestamp: number;
+}
+/**
+ * Options for inspecting a machine.
+ */
+export interface IInspectorOptions {
+    name?: string;
+    devTools?: IDevToolsExtension;
+    maxRecords?: number;
+}
+/**
+ * Represents the inspector of a started machine. Every transition, with
+ * its event and payload, every change of the context data and every error
+ * is recorded, and forwarded to the DevTools extension as an action.
+ * Jumping to a record, either from the code or from the extension,
+ * restores the machine to its running status at that point.
+ * @class MachineInspector
+ */
+export declare class MachineInspector {
+    private _machine;
+    private _records;
+    private _nextId;
+    private _maxRecords;
+    private _connection;
+    private _subscriptions;
+    private _contextHandler;
+    constructor(machine: FiniteStateMachine<any, any, any, boolean>, options?: IInspectorOptions);
+    /**
+     * Returns the records, the start first.
+     */
+    records(): Array<IInspectorRecord>;
+    /**
+     * Restores the machine to its running status at the record of
+     * the given id. A record without a snapshot is taken as the closest
+     * record before it with a snapshot. A record which has been dropped
+     * cannot be jumped to.
+     */
+    jumpTo(id: number): this;
+    /**
+     * Stops inspecting the machine.
+     */
+    detach(): void;
+    private onTransition;
+    private onContextChange;
+    private onError;
+    private append;
+    private actionOf;
+    private stateOf;
+    /**
+     * Handles the messages from the DevTools extension. The actions are
+     * numbered from the start, which is numbered 0, as the records are,
+     * so that an action is found by the id of its record. Jumping to
+     * an action whose record has been dropped is reported back as an error.
+     */
+    private onMessage;
+    /**
+     * Takes the current status as the new start.
+     */
+    private commit;
+}
+/**
+ * Represents a connection of the local stand-in of the DevTools extension.
+ * @class LocalDevToolsConnection
+ */
+export declare class LocalDevToolsConnection implements IDevToolsConnection {
+    name: string;
+    actions: Array<any>;
+    states: Array<any>;
+    errors: Array<string>;
+    private _listeners;
+    constructor(name: string);
+    init(state: any): void;
+    send(action: any, state: any): void;
+    subscribe(listener: (message: IDevToolsMessage) => void): () => void;
+    unsubscribe(): void;
+    error(message: string): void;
+    /**
+     * Delivers a message as if it were sent by the extension.
+     */
+    dispatch(message: IDevToolsMessage): void;
+    /**
+     * Asks to jump to the given action, as the extension does.
+     */
+    jumpToAction(actionId: number): void;
+}
+/**
+ * Represents an in-process stand-in of the DevTools extension,
+ * e.g., for tests.
+ * @class LocalDevTools
+ */
+export declare class LocalDevTools implements IDevToolsExtension {
+    connections: Array<LocalDevToolsConnection>;
+    constructor();
+    connect(options?: {
+        name?: string;
+    }): LocalDevToolsConnection;
+}
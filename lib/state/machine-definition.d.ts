@@ -0,0 +1,259 @@
+/**
+ * @fileOverview
+ * Provides the declarative (JSON) definition of a finite state machine,
+ * together with its schema and validation.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+export declare const definitionVersion = 1;
+/**
+ * Describes a state. The callbacks are referred to by their names
+ * in the map of implementations.
+ */
+export interface IStateDefinition {
+    name: string;
+    parent?: string;
+    initial?: string;
+    region?: string;
+    final?: boolean;
+    onEnter?: string;
+    onLeave?: string;
+}
+/**
+ * Describes a history pseudo-state of a compound state.
+ */
+export interface IHistoryStateDefinition {
+    name: string;
+    parent: string;
+    deep?: boolean;
+    defaultTarget?: string;
+}
+/**
+ * Describes a transition. The guard and the callbacks are referred to
+ * by their names in the map of implementations. The assign option is
+ * either the name of an implementation, or an object of the properties
+ * to be updated. The delay is given in milliseconds. The compensation
+ * is the state to go back to when the transition is undone. A self-transition
+ * may be internal, i.e., its state is neither left nor re-entered.
+ */
+export interface ITransitionDefinition {
+    from: string;
+    to: string;
+    event?: string;
+    guard?: string;
+    onBefore?: string;
+    onAfter?: string;
+    assign?: string | {
+        [key: string]: any;
+    };
+    delay?: number;
+    compensation?: string;
+    internal?: boolean;
+}
+/**
+ * Describes an orthogonal region.
+ */
+export interface IRegionDefinition {
+    name: string;
+    initial: string;
+}
+/**
+ * Describes a finite state machine in plain JSON data.
+ */
+export interface IMachineDefinition {
+    version?: number;
+    initial?: string;
+    asyncMode?: boolean;
+    sameStatePolicy?: string;
+    context?: any;
+    regions?: Array<IRegionDefinition>;
+    states: Array<IStateDefinition>;
+    historyStates?: Array<IHistoryStateDefinition>;
+    transitions?: Array<ITransitionDefinition>;
+}
+/**
+ * Describes a problem found in a definition. The path is
+ * a JSON pointer to the offending part, e.g., '/transitions/2/to'.
+ */
+export interface IDefinitionProblem {
+    path: string;
+    message: string;
+}
+/**
+ * Represents a failure of building or exporting a definition.
+ * All the problems found are given, rather than the first one.
+ */
+export declare class DefinitionError extends Error {
+    errors: Array<IDefinitionProblem>;
+    constructor(errors: Array<IDefinitionProblem>);
+}
+/**
+ * The JSON schema of definitions. Only the subset of JSON schema
+ * used here is supported by the validation below.
+ */
+export declare const machineDefinitionSchema: {
+    $schema: string;
+    type: string;
+    required: string[];
+    additionalProperties: boolean;
+    properties: {
+        version: {
+            type: string;
+            enum: number[];
+        };
+        initial: {
+            type: string;
+            minLength: number;
+        };
+        asyncMode: {
+            type: string;
+        };
+        sameStatePolicy: {
+            type: string;
+            enum: string[];
+        };
+        context: {};
+        regions: {
+            type: string;
+            items: {
+                type: string;
+                required: string[];
+                additionalProperties: boolean;
+                properties: {
+                    name: {
+                        type: string;
+                        minLength: number;
+                    };
+                    initial: {
+                        type: string;
+                        minLength: number;
+                    };
+                };
+            };
+        };
+        states: {
+            type: string;
+            items: {
+                type: string;
+                required: string[];
+                additionalProperties: boolean;
+                properties: {
+                    name: {
+                        type: string;
+                        minLength: number;
+                    };
+                    parent: {
+                        type: string;
+                        minLength: number;
+                    };
+                    initial: {
+                        type: string;
+                        minLength: number;
+                    };
+                    region: {
+                        type: string;
+                        minLength: number;
+                    };
+                    final: {
+                        type: string;
+                    };
+                    onEnter: {
+                        type: string;
+                        minLength: number;
+                    };
+                    onLeave: {
+                        type: string;
+                        minLength: number;
+                    };
+                };
+            };
+        };
+        historyStates: {
+            type: string;
+            items: {
+                type: string;
+                required: string[];
+                additionalProperties: boolean;
+                properties: {
+                    name: {
+                        type: string;
+                        minLength: number;
+                    };
+                    parent: {
+                        type: string;
+                        minLength: number;
+                    };
+                    deep: {
+                        type: string;
+                    };
+                    defaultTarget: {
+                        type: string;
+                        minLength: number;
+                    };
+                };
+            };
+        };
+        transitions: {
+            type: string;
+            items: {
+                type: string;
+                required: string[];
+                additionalProperties: boolean;
+                properties: {
+                    from: {
+                        type: string;
+                        minLength: number;
+                    };
+                    to: {
+                        type: string;
+                        minLength: number;
+                    };
+                    event: {
+                        type: string;
+                        minLength: number;
+                    };
+                    guard: {
+                        type: string;
+                        minLength: number;
+                    };
+                    onBefore: {
+                        type: string;
+                        minLength: number;
+                    };
+                    onAfter: {
+                        type: string;
+                        minLength: number;
+                    };
+                    assign: {
+                        type: string[];
+                    };
+                    delay: {
+                        type: string;
+                    };
+                    compensation: {
+                        type: string;
+                        minLength: number;
+                    };
+                    internal: {
+                        type: string;
+                    };
+                };
+            };
+        };
+    };
+};
+/**
+ * Validates a definition against the schema, and returns all the problems
+ * found. Note that the references between states, and the references
+ * to the implementations, are checked when the definition is loaded.
+ */
+export declare function validateDefinition(definition: any): Array<IDefinitionProblem>;
+/**
+ * Returns the parent of each state in a definition (null for a top-level
+ * state), following the same nesting rules as the FSM does: a state is
+ * nested either by the parent option, or by a dotted name whose prefix
+ * is a state defined earlier.
+ */
+export declare function parentsOf(definition: IMachineDefinition): {
+    [key: string]: string;
+};
@@ -0,0 +1,61 @@
+/**
+ * @fileOverview
+ * Provides the static analysis of the definition of a finite state machine.
+ * The analysis works on the graph of atomic states, as the FSM is always
+ * in an atomic state of each region: a transition defined on a compound
+ * state leaves from each of its atomic descendants, and a transition to
+ * a compound state ends up in its initial atomic state. A transition to
+ * a history state may end up in any state the history state may remember.
+ * Guard conditions are not evaluated, i.e., every transition is assumed
+ * to be possible.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { IMachineDefinition } from './machine-definition';
+/**
+ * Describes the result of analyzing a definition.
+ */
+export interface IAnalysisReport {
+    unreachable: Array<string>;
+    deadEnds: Array<string>;
+    noIncoming: Array<string>;
+    components: Array<Array<string>>;
+    cannotReachFinal: Array<string>;
+    ok: boolean;
+}
+/**
+ * Describes a transition between two atomic states.
+ */
+export interface IStateGraphEdge {
+    to: string;
+    transition: string;
+    event?: string;
+}
+/**
+ * The graph of the atomic states of a definition.
+ */
+export interface IStateGraph {
+    states: Array<string>;
+    edges: {
+        [key: string]: Array<IStateGraphEdge>;
+    };
+    initial: Array<string>;
+    regions: {
+        [key: string]: string;
+    };
+    paths: {
+        [key: string]: Array<string>;
+    };
+    final: Array<string>;
+}
+/**
+ * Builds the graph of the atomic states of a definition,
+ * following the same rules as the FSM does.
+ */
+export declare function buildStateGraph(definition: IMachineDefinition): IStateGraph;
+/**
+ * Analyzes a definition, reporting the states which are unreachable,
+ * the dead ends, the states without incoming transitions, the strongly
+ * connected components, and the states which cannot reach a final state.
+ */
+export declare function analyzeDefinition(definition: IMachineDefinition): IAnalysisReport;
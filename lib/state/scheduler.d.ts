@@ -0,0 +1,45 @@
+/**
+ * @fileOverview
+ * Provides the schedulers which drive the delayed transitions
+ * of a finite state machine.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+/**
+ * Defines a clock which runs callbacks after a delay.
+ */
+export interface IScheduler {
+    setTimeout(callback: () => void, delay: number): any;
+    clearTimeout(handle: any): void;
+}
+/**
+ * The scheduler based on the timers of the environment.
+ */
+export declare const realTimeScheduler: IScheduler;
+/**
+ * Represents a scheduler of virtual time, which moves on only
+ * when it is advanced. It is intended for deterministic tests.
+ * @class VirtualScheduler
+ */
+export declare class VirtualScheduler implements IScheduler {
+    private _now;
+    private _counter;
+    private _tasks;
+    constructor();
+    /**
+     * Returns the current virtual time in milliseconds.
+     */
+    now(): number;
+    /**
+     * Returns the number of the callbacks to be run.
+     */
+    pending(): number;
+    setTimeout(callback: () => void, delay: number): number;
+    clearTimeout(handle: any): void;
+    /**
+     * Moves the virtual time forward, and runs the callbacks which
+     * become due in the order of their due time (and then in the order
+     * they are scheduled), including the ones scheduled meanwhile.
+     */
+    advance(ms: number): this;
+}
@@ -0,0 +1,36 @@
+/**
+ * @fileOverview
+ * Provides the conversion between SCXML (W3C State Chart XML) documents
+ * and the declarative definition of a finite state machine.
+ * Only the subset of SCXML which has a counterpart in the FSM is
+ * supported; any other construct is reported as a problem.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { IMachineDefinition } from './machine-definition';
+/**
+ * Parses a SCXML document into a definition. The onentry and onexit
+ * handlers, as well as the executable content of a transition, are
+ * expected to consist of a single script element, whose text is the name
+ * of the callback; the cond attribute is expected to be the name of
+ * a guard. The data elements of the datamodel make up the context data,
+ * and their expressions must be JSON values. A targetless transition
+ * is taken as an internal self-transition. A parallel element at the top
+ * stands for the orthogonal regions: each of its child states is a region,
+ * whose children are the states in the region, and the one with the id
+ * 'default' is the default region.
+ * If any unsupported construct is met, a DefinitionError listing
+ * all of them is thrown.
+ */
+export declare function parseScxml(xml: string): IMachineDefinition;
+/**
+ * Serializes a definition as a SCXML document, following the same
+ * conventions as parseScxml. An internal self-transition is written
+ * as a targetless transition, and the orthogonal regions as the child
+ * states of a parallel element, named after the regions. A history state
+ * is always written with its default transition. Transitions without
+ * an event, which SCXML would take automatically, before callbacks,
+ * assign options, delays and compensations have no counterpart,
+ * and are reported by a DefinitionError.
+ */
+export declare function serializeScxml(definition: IMachineDefinition): string;
@@ -0,0 +1,56 @@
+/**
+ * @fileOverview
+ * Provides the checking of temporal properties, written in a CTL-style
+ * language, against the graph of atomic states of a finite state machine.
+ *
+ * The language consists of
+ * - atoms: a state name (in quotes if it is not an identifier), which holds
+ * in the state and in all of its descendants, and a transition tag '@name',
+ * which holds right after the transition of the given name or event,
+ * and never if there is no such transition;
+ * - constants: true, false;
+ * - boolean operators: ! (not), & (and), | (or), -> (implies);
+ * - temporal operators: EX, AX, EF, AF, EG, AG, E[f U g], A[f U g].
+ *
+ * For instance, 'AG (editing -> EF saved)', 'AG !@idle2error', and
+ * '!E[!validated U submitted]'. A path ending in a state without any
+ * outgoing transition is considered as a complete path.
+ * @author Xiaolong Tang <xxlongtang@gmail.com>
+ * @license Copyright @me
+ */
+import { IMachineDefinition } from './machine-definition';
+/**
+ * Represents a parsed property.
+ */
+export interface IFormula {
+    op: string;
+    name?: string;
+    args?: Array<IFormula>;
+}
+/**
+ * Describes a step in a path, i.e., the state and
+ * the transition by which the state is entered.
+ */
+export interface IPathStep {
+    state: string;
+    transition: string;
+}
+/**
+ * Describes the result of checking a property. If the property does not
+ * hold, a counterexample path from the init state is given; if the path
+ * ends in a cycle, loopsTo is the index of the step the path returns to.
+ */
+export interface IPropertyResult {
+    holds: boolean;
+    counterexample?: Array<IPathStep>;
+    loopsTo?: number;
+}
+/**
+ * Parses a property into a formula.
+ */
+export declare function parseProperty(text: string): IFormula;
+/**
+ * Checks whether a property holds in the init state of the given region
+ * of a definition. Note that guard conditions are not taken into account.
+ */
+export declare function checkProperty(definition: IMachineDefinition, property: string, region?: string): IPropertyResult;
@@ -1 +1,15 @@
 export * from './lib/state/finite-state-machine';
+export * from './lib/state/machine-definition';
+export * from './lib/state/diagram-export';
+export * from './lib/state/scxml';
+export * from './lib/state/model-checking';
+export * from './lib/state/temporal-logic';
+export * from './lib/state/scheduler';
+export * from './lib/state/execution-strategy';
+export * from './lib/state/inspector';
+export * from './lib/angular/machine-registry';
+export * from './lib/angular/fe-behavior.module';
+export * from './lib/angular/fsm-state.directive';
+export * from './lib/angular/fsm-state.pipe';
+export * from './lib/angular/fsm-route-guards';
+export * from './lib/angular/ng-zone-execution-strategy';